@@ -0,0 +1,74 @@
+// Commands the code edit agent may run without asking. An entry matches when the command's
+// leading arguments equal the entry's arguments, so "npm test" also covers "npm test -- --run".
+export const DEFAULT_COMMAND_ALLOWLIST = [
+  'npm test',
+  'npm run test',
+  'npm run lint',
+  'npm run build',
+  'npm ls',
+  'npx vitest run',
+  'npx jest',
+  'npx eslint',
+  'npx tsc --noEmit',
+  'yarn test',
+  'pnpm test',
+  'pytest',
+  'python -m pytest',
+  'git status',
+  'git diff',
+  'git log',
+  'ls'
+];
+
+// Extra arguments that can make an allowlisted command read or write outside the project,
+// such as `git diff --no-index /etc/passwd` or `npx eslint --output-file ../notes`. They also
+// match in `--flag=value` form. A command carrying one of them, or an absolute or `..` path,
+// is not covered by the allowlist and needs approval instead.
+export const ALLOWLIST_DENIED_ARGUMENTS = [
+  '--no-index',
+  '--output',
+  '--output-file',
+  '-o',
+  '--outfile',
+  '--outdir',
+  '--prefix',
+  '--global',
+  '-g'
+];
+
+// Variables agent commands inherit from the server environment; LC_* locale settings are kept
+// too. Everything else, including the server's own keys and settings, is left out.
+export const AGENT_COMMAND_ENV_KEYS = [
+  'PATH',
+  'Path',
+  'PATHEXT',
+  'HOME',
+  'USERPROFILE',
+  'USER',
+  'USERNAME',
+  'LOGNAME',
+  'SHELL',
+  'LANG',
+  'LANGUAGE',
+  'TERM',
+  'TZ',
+  'TMPDIR',
+  'TEMP',
+  'TMP',
+  'SystemRoot',
+  'SYSTEMROOT',
+  'ComSpec',
+  'WINDIR',
+  'APPDATA',
+  'LOCALAPPDATA',
+  'NVM_DIR',
+  'VIRTUAL_ENV'
+];
+
+export const DEFAULT_COMMAND_TIMEOUT_MS = 120_000;
+export const MIN_COMMAND_TIMEOUT_MS = 1_000;
+export const MAX_COMMAND_TIMEOUT_MS = 30 * 60 * 1000;
+
+export const DEFAULT_COMMAND_OUTPUT_CHARS = 12_000;
+export const MIN_COMMAND_OUTPUT_CHARS = 1_000;
+export const MAX_COMMAND_OUTPUT_CHARS = 200_000;
@@ -5,6 +5,15 @@ import { fileURLToPath } from 'url';
 import os from 'os';
 import fs from 'fs';
 import { encryptApiKey, decryptApiKey } from './encryption.js';
+import {
+  DEFAULT_COMMAND_ALLOWLIST,
+  DEFAULT_COMMAND_TIMEOUT_MS,
+  MIN_COMMAND_TIMEOUT_MS,
+  MAX_COMMAND_TIMEOUT_MS,
+  DEFAULT_COMMAND_OUTPUT_CHARS,
+  MIN_COMMAND_OUTPUT_CHARS,
+  MAX_COMMAND_OUTPUT_CHARS
+} from './constants/agentCommandPolicy.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -136,7 +145,23 @@ const defaultPortSettingsRecord = {
 };
 
 const defaultTestingSettingsRecord = {
-  coverageTarget: 100
+  coverageTarget: 100,
+  failedTestRetries: 0
+};
+
+const MAX_FAILED_TEST_RETRIES = 3;
+
+const normalizeFailedTestRetries = (value) => {
+  const parsed = Number(value);
+  return Number.isInteger(parsed)
+    ? Math.max(0, Math.min(MAX_FAILED_TEST_RETRIES, parsed))
+    : defaultTestingSettingsRecord.failedTestRetries;
+};
+
+const defaultAgentCommandSettingsRecord = {
+  allowlist: DEFAULT_COMMAND_ALLOWLIST,
+  timeoutMs: DEFAULT_COMMAND_TIMEOUT_MS,
+  maxOutputChars: DEFAULT_COMMAND_OUTPUT_CHARS
 };
 
 const defaultProjectTestingScope = {
@@ -191,6 +216,49 @@ const normalizeCoverageTargetValue = (value) => {
   return numeric;
 };
 
+const clampInteger = (value, min, max, fallback) => {
+  const numeric = Number(value);
+  if (!Number.isInteger(numeric)) {
+    return fallback;
+  }
+  return Math.max(min, Math.min(max, numeric));
+};
+
+const normalizeCommandAllowlist = (value) => {
+  let entries = value;
+  if (typeof value === 'string') {
+    try {
+      entries = JSON.parse(value);
+    } catch {
+      entries = null;
+    }
+  }
+  if (!Array.isArray(entries)) {
+    return [...defaultAgentCommandSettingsRecord.allowlist];
+  }
+  const normalized = entries
+    .filter((entry) => typeof entry === 'string')
+    .map((entry) => entry.trim().replace(/\s+/g, ' '))
+    .filter(Boolean);
+  return [...new Set(normalized)];
+};
+
+const normalizeAgentCommandSettings = (settings = {}) => ({
+  allowlist: normalizeCommandAllowlist(settings.allowlist),
+  timeoutMs: clampInteger(
+    settings.timeoutMs,
+    MIN_COMMAND_TIMEOUT_MS,
+    MAX_COMMAND_TIMEOUT_MS,
+    defaultAgentCommandSettingsRecord.timeoutMs
+  ),
+  maxOutputChars: clampInteger(
+    settings.maxOutputChars,
+    MIN_COMMAND_OUTPUT_CHARS,
+    MAX_COMMAND_OUTPUT_CHARS,
+    defaultAgentCommandSettingsRecord.maxOutputChars
+  )
+});
+
 const normalizeProjectTestingMode = (value) => (
   value === 'custom' ? 'custom' : 'global'
 );
@@ -243,6 +311,75 @@ export const initializeDatabase = async () => {
     // Add endpoint_path column for storing the probed API endpoint (e.g. /responses)
     await ensureTableColumn('llm_config', 'endpoint_path', 'TEXT');
 
+    // Named model profiles that can be assigned to agent roles (classification, code edits, ...)
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS llm_profiles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        provider TEXT NOT NULL,
+        model TEXT NOT NULL,
+        api_url TEXT NOT NULL,
+        api_key_encrypted TEXT,
+        requires_api_key BOOLEAN DEFAULT 1,
+        endpoint_path TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Role routing table: an ordered list of profile ids per role (first = primary, rest = fallbacks)
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS llm_role_routes (
+        role TEXT PRIMARY KEY,
+        profile_ids TEXT NOT NULL DEFAULT '[]',
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Token usage and cost per LLM request, attributed to the project/goal/autopilot session that made it
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS llm_usage (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        provider TEXT NOT NULL,
+        model TEXT NOT NULL,
+        role TEXT,
+        request_type TEXT,
+        phase TEXT,
+        project_id INTEGER,
+        goal_id INTEGER,
+        session_id TEXT,
+        prompt_tokens INTEGER NOT NULL DEFAULT 0,
+        completion_tokens INTEGER NOT NULL DEFAULT 0,
+        cost_usd REAL NOT NULL DEFAULT 0,
+        estimated BOOLEAN DEFAULT 0,
+        priced BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_llm_usage_project ON llm_usage(project_id)');
+
+    // Price overrides in USD per million tokens; models without a row use the built-in price table
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS llm_prices (
+        provider TEXT NOT NULL,
+        model TEXT NOT NULL,
+        input_per_million REAL NOT NULL DEFAULT 0,
+        output_per_million REAL NOT NULL DEFAULT 0,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (provider, model)
+      )
+    `);
+
+    // Hard LLM spend limit per project (USD)
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS project_llm_budgets (
+        project_id INTEGER PRIMARY KEY,
+        budget_usd REAL NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(project_id) REFERENCES projects(id) ON DELETE CASCADE
+      )
+    `);
+
     // API Request logs table (for debugging and monitoring)
     await dbRun(`
       CREATE TABLE IF NOT EXISTS api_logs (
@@ -273,6 +410,32 @@ export const initializeDatabase = async () => {
       )
     `);
 
+    // Which account performed each audited action (null while the API runs without accounts).
+    await ensureTableColumn('audit_logs', 'user_id', 'INTEGER');
+
+    // Local accounts. Once the first one exists every API request needs a session.
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'member',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Login sessions, keyed by a hash of the token handed to the client.
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS auth_sessions (
+        token_hash TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        expires_at DATETIME NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
     // Runs (canonical execution unit for goal/autopilot work).
     await dbRun(`
       CREATE TABLE IF NOT EXISTS runs (
@@ -324,6 +487,27 @@ export const initializeDatabase = async () => {
     await ensureTableColumn('runs', 'session_id', 'TEXT');
     await ensureTableColumn('runs', 'goal_id', 'INTEGER');
 
+    // Jobs waiting for a jobRunner slot, so queued work survives a restart.
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS job_queue (
+        id TEXT PRIMARY KEY,
+        project_id INTEGER NOT NULL,
+        type TEXT NOT NULL,
+        display_name TEXT,
+        command TEXT NOT NULL,
+        args TEXT,
+        cwd TEXT NOT NULL,
+        env TEXT,
+        coverage_thresholds TEXT,
+        test_report_file TEXT,
+        partial INTEGER NOT NULL DEFAULT 0,
+        priority TEXT NOT NULL DEFAULT 'normal',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await ensureTableColumn('job_queue', 'test_report_file', 'TEXT');
+    await ensureTableColumn('job_queue', 'partial', 'INTEGER NOT NULL DEFAULT 0');
+
     // Projects table
     await dbRun(`
       CREATE TABLE IF NOT EXISTS projects (
@@ -349,6 +533,9 @@ export const initializeDatabase = async () => {
     await ensureTableColumn('projects', 'frontend_port', 'INTEGER');
     await ensureTableColumn('projects', 'backend_port', 'INTEGER');
 
+    // Projects belong to the account that created them; admins see every project.
+    await ensureTableColumn('projects', 'owner_user_id', 'INTEGER');
+
     await dbRun(`
       CREATE TABLE IF NOT EXISTS git_settings (
         id INTEGER PRIMARY KEY CHECK (id = 1),
@@ -403,6 +590,24 @@ export const initializeDatabase = async () => {
       CREATE TABLE IF NOT EXISTS testing_settings (
         id INTEGER PRIMARY KEY CHECK (id = 1),
         coverage_target INTEGER NOT NULL DEFAULT ${defaultTestingSettingsRecord.coverageTarget},
+        failed_test_retries INTEGER NOT NULL DEFAULT ${defaultTestingSettingsRecord.failedTestRetries},
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await ensureTableColumn(
+      'testing_settings',
+      'failed_test_retries',
+      `INTEGER NOT NULL DEFAULT ${defaultTestingSettingsRecord.failedTestRetries}`
+    );
+
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS agent_command_settings (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        allowlist TEXT NOT NULL,
+        timeout_ms INTEGER NOT NULL DEFAULT ${defaultAgentCommandSettingsRecord.timeoutMs},
+        max_output_chars INTEGER NOT NULL DEFAULT ${defaultAgentCommandSettingsRecord.maxOutputChars},
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )
@@ -448,6 +653,12 @@ export const initializeDatabase = async () => {
 
     await ensureTableColumn('branches', 'staged_files', 'TEXT');
 
+    // Pull/merge requests opened on the remote host for a branch.
+    await ensureTableColumn('branches', 'pr_provider', 'TEXT');
+    await ensureTableColumn('branches', 'pr_number', 'INTEGER');
+    await ensureTableColumn('branches', 'pr_url', 'TEXT');
+    await ensureTableColumn('branches', 'pr_status', 'TEXT');
+
     await dbRun(`
       CREATE TABLE IF NOT EXISTS test_runs (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -469,6 +680,47 @@ export const initializeDatabase = async () => {
       )
     `);
 
+    // One row per test outcome of a branch test run (retried failures add a row per attempt),
+    // so a test's history and flakiness can be traced across runs of the same commit.
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS test_case_results (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id INTEGER NOT NULL,
+        test_run_id INTEGER NOT NULL,
+        branch_id INTEGER,
+        commit_sha TEXT,
+        test_key TEXT NOT NULL,
+        workspace TEXT,
+        file TEXT,
+        name TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempt INTEGER NOT NULL DEFAULT 1,
+        duration_ms INTEGER,
+        error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        FOREIGN KEY(test_run_id) REFERENCES test_runs(id) ON DELETE CASCADE
+      )
+    `);
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_test_case_results_project_key ON test_case_results(project_id, test_key)');
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_test_case_results_run ON test_case_results(test_run_id)');
+
+    // Quarantined tests still run and are reported, but their failures do not fail a test run.
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS test_quarantine (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id INTEGER NOT NULL,
+        test_key TEXT NOT NULL,
+        workspace TEXT,
+        file TEXT,
+        name TEXT NOT NULL,
+        reason TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(project_id, test_key),
+        FOREIGN KEY(project_id) REFERENCES projects(id) ON DELETE CASCADE
+      )
+    `);
+
     await dbRun(`
       CREATE TABLE IF NOT EXISTS agent_goals (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -479,6 +731,8 @@ export const initializeDatabase = async () => {
         branch_name TEXT NOT NULL,
         parent_goal_id INTEGER,
         title TEXT,
+        depends_on TEXT,
+        acceptance_checks TEXT,
         metadata TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -495,6 +749,12 @@ export const initializeDatabase = async () => {
     // Ensure legacy databases can store human-friendly titles.
     await ensureTableColumn('agent_goals', 'title', 'TEXT');
 
+    // Ensure legacy databases can store dependency edges (JSON array of goal ids).
+    await ensureTableColumn('agent_goals', 'depends_on', 'TEXT');
+
+    // Ensure legacy databases can store structured acceptance checks (JSON array).
+    await ensureTableColumn('agent_goals', 'acceptance_checks', 'TEXT');
+
     await dbRun(`
       CREATE TABLE IF NOT EXISTS agent_tasks (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -503,6 +763,7 @@ export const initializeDatabase = async () => {
         title TEXT NOT NULL,
         status TEXT NOT NULL DEFAULT 'pending',
         payload TEXT,
+        depends_on TEXT,
         metadata TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -510,6 +771,73 @@ export const initializeDatabase = async () => {
       )
     `);
 
+    // Ensure legacy databases can store task dependency edges (JSON array of task ids).
+    await ensureTableColumn('agent_tasks', 'depends_on', 'TEXT');
+
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS chat_threads (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id INTEGER NOT NULL,
+        title TEXT NOT NULL,
+        archived INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(project_id) REFERENCES projects(id) ON DELETE CASCADE
+      )
+    `);
+
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS chat_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        thread_id INTEGER NOT NULL,
+        client_id TEXT NOT NULL,
+        sender TEXT NOT NULL,
+        text TEXT NOT NULL,
+        variant TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(thread_id, client_id),
+        FOREIGN KEY(thread_id) REFERENCES chat_threads(id) ON DELETE CASCADE
+      )
+    `);
+
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS chat_thread_links (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        thread_id INTEGER NOT NULL,
+        kind TEXT NOT NULL,
+        ref_id TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(thread_id, kind, ref_id),
+        FOREIGN KEY(thread_id) REFERENCES chat_threads(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Long-term project memory injected into agent prompts (kind: avoid | decision | fact)
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS project_memories (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id INTEGER NOT NULL,
+        kind TEXT NOT NULL DEFAULT 'fact',
+        content TEXT NOT NULL,
+        priority INTEGER NOT NULL DEFAULT 3,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        source TEXT NOT NULL DEFAULT 'user',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(project_id) REFERENCES projects(id) ON DELETE CASCADE
+      )
+    `);
+
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS project_memory_settings (
+        project_id INTEGER PRIMARY KEY,
+        auto_capture INTEGER NOT NULL DEFAULT 0,
+        token_budget INTEGER NOT NULL DEFAULT 600,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(project_id) REFERENCES projects(id) ON DELETE CASCADE
+      )
+    `);
+
     console.log('✅ Database initialized successfully');
   } catch (error) {
     console.error('❌ Database initialization failed:', error);
@@ -525,6 +853,17 @@ export const getGitSettingsToken = async () => {
   return decryptApiKey(row.token_encrypted, { quiet: true });
 };
 
+// Project token when one is stored, otherwise the global token.
+export const getProjectGitSettingsToken = async (projectId) => {
+  const row = projectId
+    ? await dbGet('SELECT token_encrypted FROM project_git_settings WHERE project_id = ?', [projectId])
+    : null;
+  if (row?.token_encrypted) {
+    return decryptApiKey(row.token_encrypted, { quiet: true });
+  }
+  return getGitSettingsToken();
+};
+
 // Database operations
 export const db_operations = {
   // LLM Configuration operations
@@ -553,6 +892,211 @@ export const db_operations = {
     return configs;
   },
 
+  // LLM profile + role routing operations
+  async listLLMProfiles() {
+    return dbAll('SELECT * FROM llm_profiles ORDER BY name COLLATE NOCASE ASC');
+  },
+
+  async getLLMProfile(id) {
+    const profile = await dbGet('SELECT * FROM llm_profiles WHERE id = ?', [id]);
+    return profile || null;
+  },
+
+  async saveLLMProfile(profile = {}) {
+    const { id, name, provider, model, apiUrl, apiKeyEncrypted, requiresApiKey, endpointPath } = profile;
+
+    if (id) {
+      await dbRun(`
+        UPDATE llm_profiles
+        SET name = ?, provider = ?, model = ?, api_url = ?, api_key_encrypted = ?,
+            requires_api_key = ?, endpoint_path = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [name, provider, model, apiUrl, apiKeyEncrypted ?? null, requiresApiKey ? 1 : 0, endpointPath || null, id]);
+      return db_operations.getLLMProfile(id);
+    }
+
+    await dbRun(`
+      INSERT INTO llm_profiles (name, provider, model, api_url, api_key_encrypted, requires_api_key, endpoint_path)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [name, provider, model, apiUrl, apiKeyEncrypted ?? null, requiresApiKey ? 1 : 0, endpointPath || null]);
+
+    const created = await dbGet('SELECT * FROM llm_profiles WHERE name = ?', [name]);
+    return created || null;
+  },
+
+  async deleteLLMProfile(id) {
+    const existing = await db_operations.getLLMProfile(id);
+    if (!existing) {
+      return false;
+    }
+
+    await dbRun('DELETE FROM llm_profiles WHERE id = ?', [id]);
+
+    // Drop the profile from every route so fallback chains never point at a missing row.
+    const routes = await db_operations.getLLMRoleRoutes();
+    for (const [role, profileIds] of Object.entries(routes)) {
+      const remaining = profileIds.filter((profileId) => profileId !== existing.id);
+      if (remaining.length !== profileIds.length) {
+        await db_operations.saveLLMRoleRoute(role, remaining);
+      }
+    }
+    return true;
+  },
+
+  async getLLMRoleRoutes() {
+    const rows = await dbAll('SELECT role, profile_ids FROM llm_role_routes ORDER BY role ASC');
+    return rows.reduce((routes, row) => {
+      let profileIds = [];
+      try {
+        const parsed = JSON.parse(row.profile_ids);
+        profileIds = Array.isArray(parsed) ? parsed.filter(Number.isInteger) : [];
+      } catch {
+        profileIds = [];
+      }
+      routes[row.role] = profileIds;
+      return routes;
+    }, {});
+  },
+
+  async saveLLMRoleRoute(role, profileIds = []) {
+    if (!Array.isArray(profileIds) || profileIds.length === 0) {
+      await dbRun('DELETE FROM llm_role_routes WHERE role = ?', [role]);
+      return [];
+    }
+
+    await dbRun(`
+      INSERT INTO llm_role_routes (role, profile_ids, updated_at)
+      VALUES (?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(role) DO UPDATE SET
+        profile_ids = excluded.profile_ids,
+        updated_at = CURRENT_TIMESTAMP
+    `, [role, JSON.stringify(profileIds)]);
+    return profileIds;
+  },
+
+  // LLM token usage and cost accounting
+  async recordLLMUsage(entry = {}) {
+    await dbRun(`
+      INSERT INTO llm_usage (
+        provider, model, role, request_type, phase, project_id, goal_id, session_id,
+        prompt_tokens, completion_tokens, cost_usd, estimated, priced
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      entry.provider,
+      entry.model,
+      entry.role || null,
+      entry.requestType || null,
+      entry.phase || null,
+      entry.projectId ?? null,
+      entry.goalId ?? null,
+      entry.sessionId ? String(entry.sessionId) : null,
+      entry.promptTokens || 0,
+      entry.completionTokens || 0,
+      entry.costUsd || 0,
+      entry.estimated ? 1 : 0,
+      entry.priced === false ? 0 : 1
+    ]);
+    return true;
+  },
+
+  // Totals plus per-goal, per-session and per-model rollups. Without a projectId the
+  // rollup covers every project and also groups by project.
+  async getLLMUsageRollup({ projectId } = {}) {
+    const scoped = projectId != null;
+    const where = scoped ? 'WHERE project_id = ?' : '';
+    const params = scoped ? [projectId] : [];
+    const columns = `
+      COUNT(*) AS requests,
+      COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens,
+      COALESCE(SUM(completion_tokens), 0) AS completion_tokens,
+      COALESCE(SUM(cost_usd), 0) AS cost_usd,
+      COALESCE(SUM(estimated), 0) AS estimated_requests,
+      COALESCE(SUM(CASE WHEN priced THEN 0 ELSE 1 END), 0) AS unpriced_requests
+    `;
+    const groupBy = (keyColumns) => dbAll(`
+      SELECT ${keyColumns}, ${columns}, MAX(created_at) AS last_used_at
+      FROM llm_usage
+      ${where ? `${where} AND` : 'WHERE'} ${keyColumns.split(',')[0].trim()} IS NOT NULL
+      GROUP BY ${keyColumns}
+      ORDER BY cost_usd DESC, requests DESC
+    `, params);
+
+    const [totals, byGoal, bySession, byModel, byProject] = await Promise.all([
+      dbGet(`SELECT ${columns} FROM llm_usage ${where}`, params),
+      groupBy('goal_id'),
+      groupBy('session_id'),
+      groupBy('provider, model'),
+      scoped ? Promise.resolve(null) : groupBy('project_id')
+    ]);
+
+    return {
+      totals,
+      byGoal,
+      bySession,
+      byModel,
+      ...(byProject ? { byProject } : {})
+    };
+  },
+
+  async getProjectLLMSpend(projectId) {
+    const row = await dbGet(
+      'SELECT COALESCE(SUM(cost_usd), 0) AS spent FROM llm_usage WHERE project_id = ?',
+      [projectId]
+    );
+    return row?.spent || 0;
+  },
+
+  async listLLMPrices() {
+    return dbAll('SELECT * FROM llm_prices ORDER BY provider, model');
+  },
+
+  async saveLLMPrice({ provider, model, inputPerMillion, outputPerMillion }) {
+    await dbRun(`
+      INSERT INTO llm_prices (provider, model, input_per_million, output_per_million, updated_at)
+      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(provider, model) DO UPDATE SET
+        input_per_million = excluded.input_per_million,
+        output_per_million = excluded.output_per_million,
+        updated_at = CURRENT_TIMESTAMP
+    `, [provider, model, inputPerMillion, outputPerMillion]);
+    return dbGet('SELECT * FROM llm_prices WHERE provider = ? AND model = ?', [provider, model]);
+  },
+
+  async deleteLLMPrice(provider, model) {
+    const existing = await dbGet('SELECT 1 FROM llm_prices WHERE provider = ? AND model = ?', [provider, model]);
+    if (!existing) {
+      return false;
+    }
+    await dbRun('DELETE FROM llm_prices WHERE provider = ? AND model = ?', [provider, model]);
+    return true;
+  },
+
+  async getProjectLLMBudget(projectId) {
+    const row = await dbGet(
+      'SELECT budget_usd FROM project_llm_budgets WHERE project_id = ?',
+      [projectId]
+    );
+    return row ? row.budget_usd : null;
+  },
+
+  // A null budget removes the limit.
+  async saveProjectLLMBudget(projectId, budgetUsd) {
+    if (budgetUsd === null || budgetUsd === undefined) {
+      await dbRun('DELETE FROM project_llm_budgets WHERE project_id = ?', [projectId]);
+      return null;
+    }
+
+    await dbRun(`
+      INSERT INTO project_llm_budgets (project_id, budget_usd, updated_at)
+      VALUES (?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(project_id) DO UPDATE SET
+        budget_usd = excluded.budget_usd,
+        updated_at = CURRENT_TIMESTAMP
+    `, [projectId, budgetUsd]);
+    return budgetUsd;
+  },
+
   // API logging operations
   async logAPIRequest(logData) {
     const { provider, model, requestType, responseTime, success, errorMessage } = logData;
@@ -644,13 +1188,14 @@ export const db_operations = {
       framework = 'react',
       path,
       frontendPort,
-      backendPort
+      backendPort,
+      ownerUserId = null
     } = project;
     
     return new Promise((resolve, reject) => {
       db.run(`
-        INSERT INTO projects (name, description, language, framework, path, frontend_port, backend_port)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO projects (name, description, language, framework, path, frontend_port, backend_port, owner_user_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
       `, [
         name,
         description,
@@ -658,7 +1203,8 @@ export const db_operations = {
         framework,
         path,
         normalizePortValue(frontendPort) ?? null,
-        normalizePortValue(backendPort) ?? null
+        normalizePortValue(backendPort) ?? null,
+        ownerUserId
       ], function(err) {
         if (err) {
           reject(err);
@@ -811,17 +1357,23 @@ export const db_operations = {
     const coverageTarget = Number.isInteger(parsed)
       ? Math.max(50, Math.min(100, parsed))
       : defaultTestingSettingsRecord.coverageTarget;
+    // Callers that only send the coverage target keep the stored retry count.
+    const failedTestRetries = settings.failedTestRetries === undefined
+      ? (await db_operations.getTestingSettings()).failedTestRetries
+      : normalizeFailedTestRetries(settings.failedTestRetries);
 
     await dbRun(`
-      INSERT INTO testing_settings (id, coverage_target, created_at, updated_at)
-      VALUES (1, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      INSERT INTO testing_settings (id, coverage_target, failed_test_retries, created_at, updated_at)
+      VALUES (1, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
       ON CONFLICT(id) DO UPDATE SET
         coverage_target = excluded.coverage_target,
+        failed_test_retries = excluded.failed_test_retries,
         updated_at = CURRENT_TIMESTAMP
-    `, [coverageTarget]);
+    `, [coverageTarget, failedTestRetries]);
 
     return {
-      coverageTarget
+      coverageTarget,
+      failedTestRetries
     };
   },
 
@@ -836,7 +1388,38 @@ export const db_operations = {
       ? Math.max(50, Math.min(100, parsed))
       : defaultTestingSettingsRecord.coverageTarget;
 
-    return { coverageTarget };
+    return { coverageTarget, failedTestRetries: normalizeFailedTestRetries(row.failed_test_retries) };
+  },
+
+  async saveAgentCommandSettings(settings = {}) {
+    const normalized = normalizeAgentCommandSettings(settings);
+
+    await dbRun(`
+      INSERT INTO agent_command_settings (id, allowlist, timeout_ms, max_output_chars, created_at, updated_at)
+      VALUES (1, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      ON CONFLICT(id) DO UPDATE SET
+        allowlist = excluded.allowlist,
+        timeout_ms = excluded.timeout_ms,
+        max_output_chars = excluded.max_output_chars,
+        updated_at = CURRENT_TIMESTAMP
+    `, [JSON.stringify(normalized.allowlist), normalized.timeoutMs, normalized.maxOutputChars]);
+
+    return { ...normalized, isCustomized: true };
+  },
+
+  async getAgentCommandSettings() {
+    const row = await dbGet('SELECT * FROM agent_command_settings WHERE id = 1');
+    if (!row) {
+      return { ...normalizeAgentCommandSettings(), isCustomized: false };
+    }
+    return {
+      ...normalizeAgentCommandSettings({
+        allowlist: row.allowlist,
+        timeoutMs: row.timeout_ms,
+        maxOutputChars: row.max_output_chars
+      }),
+      isCustomized: true
+    };
   },
 
   async saveProjectTestingSettings(projectId, settings = {}) {
@@ -1031,6 +1614,8 @@ export const savePortSettings = db_operations.savePortSettings;
 export const getPortSettings = db_operations.getPortSettings;
 export const saveTestingSettings = db_operations.saveTestingSettings;
 export const getTestingSettings = db_operations.getTestingSettings;
+export const saveAgentCommandSettings = db_operations.saveAgentCommandSettings;
+export const getAgentCommandSettings = db_operations.getAgentCommandSettings;
 export const saveProjectTestingSettings = db_operations.saveProjectTestingSettings;
 export const getProjectTestingSettings = db_operations.getProjectTestingSettings;
 export const saveProjectGitSettings = db_operations.saveProjectGitSettings;
@@ -2,10 +2,23 @@ import axios from 'axios';
 import { db_operations } from './database.js';
 import { decryptApiKey } from './encryption.js';
 import { llmRequestMetrics } from './services/llmRequestMetrics.js';
+import { loadLlmRouting, resolveLlmRole } from './services/llmRouting.js';
+import { recordLlmUsage } from './services/llmUsage.js';
 import { buildActionToolBridgePayload, buildToolBridgePayload, shouldUseActionToolBridgeByDefault } from './llm-client/toolBridge.js';
 import { formatPayload, formatPayloadInternal, sanitizePayload } from './llm-client/payload.js';
 import { getHeaders, getEndpointURL } from './llm-client/http.js';
-import { extractResponse, getErrorMessage } from './llm-client/response.js';
+import { extractResponse, extractUsage, getErrorMessage } from './llm-client/response.js';
+import {
+  formatStreamPayload,
+  getStreamEndpointURL,
+  hydrateStreamError,
+  isAbortError,
+  readTokenStream
+} from './llm-client/stream.js';
+
+export const LLM_REQUEST_CANCELLED = 'LLM_REQUEST_CANCELLED';
+
+const createCancelledError = () => Object.assign(new Error('LLM request cancelled'), { code: LLM_REQUEST_CANCELLED });
 
 const buildPromptFromMessages = (messages = []) => {
   if (!Array.isArray(messages)) {
@@ -87,6 +100,10 @@ export class LLMClient {
     // to the right endpoint.
     this.resolvedEndpointPath = null;
 
+    // Role -> ordered model profiles, loaded from the routing table by
+    // loadRoleRoutes(). Roles without a route use the active config above.
+    this.roleRoutes = {};
+
     // De-duplicate identical outbound requests to avoid hammering providers.
     // This is especially useful when multiple subsystems ask the same question
     // concurrently (or retry logic replays identical payloads).
@@ -164,10 +181,12 @@ export class LLMClient {
   }
 
   async _makeDedupedRequest(payload, options, fn) {
+    // Cancellable requests are never shared: aborting one caller must not fail another.
     const disableDedup =
       process.env.LUCIDCODER_LLM_DEDUP === '0' ||
       process.env.LUCIDCODER_LLM_DEDUP === 'false' ||
-      options?.__lucidcoderDisableDedup === true;
+      options?.__lucidcoderDisableDedup === true ||
+      Boolean(options?.__lucidcoderSignal);
     if (disableDedup) {
       return fn();
     }
@@ -182,7 +201,8 @@ export class LLMClient {
 
     const requestType = options?.__lucidcoderRequestType || 'generate';
     const phase = options?.__lucidcoderPhase || 'unknown';
-    const metricsContext = { provider, model, requestType, phase };
+    const role = options?.__lucidcoderRole || null;
+    const metricsContext = { provider, model, requestType, phase, role };
 
     const now = Date.now();
     if (allowRecentCache && windowMs > 0) {
@@ -190,7 +210,8 @@ export class LLMClient {
       if (recent && now - recent.timestamp <= windowMs) {
         llmRequestMetrics.record('dedup_recent', metricsContext);
         // Return a lightweight response-like object compatible with extractResponse.
-        return { data: recent.data };
+        // Cached replies cost nothing, so usage accounting skips them.
+        return { data: recent.data, cached: true };
       }
     }
 
@@ -274,6 +295,30 @@ export class LLMClient {
     }
   }
 
+  async loadRoleRoutes() {
+    try {
+      this.roleRoutes = await loadLlmRouting();
+      const roles = Object.keys(this.roleRoutes);
+      if (roles.length > 0) {
+        console.log(`✅ LLM role routes loaded: ${roles.join(', ')}`);
+      }
+      return true;
+    } catch (error) {
+      console.warn('⚠️  Failed to load LLM role routes:', error?.message || error);
+      this.roleRoutes = {};
+      return false;
+    }
+  }
+
+  // A view of this client bound to a routed profile. Dedup caches (and any
+  // spies on the instance) are shared through the prototype chain.
+  withProfile(target) {
+    const scoped = Object.create(this);
+    scoped.config = target.config;
+    scoped.apiKey = target.apiKey;
+    return scoped;
+  }
+
   async testConnection(testConfig = null) {
     const config = testConfig || this.config;
     const apiKey = testConfig?.apiKey || this.apiKey;
@@ -393,17 +438,50 @@ export class LLMClient {
       console.log(`🔄 [${timestamp}] Request payload:`, JSON.stringify(requestPayload, null, 2));
     }
 
+    const signal = payload?.__lucidcoderSignal;
     const response = await axios({
       method: 'POST',
       url,
       headers,
       data: requestPayload,
-      timeout: 30000
+      timeout: 30000,
+      ...(signal ? { signal } : {})
     });
 
     return response;
   }
 
+  async makeStreamingAPIRequest(config, apiKey, payload, { onToken, onUsage, signal } = {}) {
+    const headers = this.getHeaders(config.provider, apiKey);
+    const url = getStreamEndpointURL(config);
+    const requestPayload = formatStreamPayload(
+      config.provider,
+      this.sanitizePayload(config.provider, this.formatPayload(config.provider, payload, config))
+    );
+
+    const timestamp = new Date().toISOString();
+    console.log(`🔄 [${timestamp}] Making streaming API request to ${config.provider}`);
+
+    if (process.env.LUCIDCODER_LLM_DEBUG === '1') {
+      console.log(`🔄 [${timestamp}] Request payload:`, JSON.stringify(requestPayload, null, 2));
+    }
+
+    try {
+      const response = await axios({
+        method: 'POST',
+        url,
+        headers,
+        data: requestPayload,
+        timeout: 30000,
+        responseType: 'stream',
+        ...(signal ? { signal } : {})
+      });
+      return await readTokenStream(config.provider, response.data, onToken, onUsage);
+    } catch (error) {
+      throw await hydrateStreamError(error);
+    }
+  }
+
   async makeAPIRequestWithEndpoint(config, apiKey, endpointPath, payload) {
     const headers = this.getHeaders(config.provider, apiKey);
     const baseUrl = String(config.api_url || '').replace(/\/+$/, '');
@@ -442,6 +520,40 @@ export class LLMClient {
   }
 
   async generateResponse(messages, options = {}) {
+    const role = resolveLlmRole(options);
+    const routedOptions = role ? { ...options, __lucidcoderRole: role } : options;
+    const chain = role ? this.roleRoutes?.[role] : null;
+
+    if (!Array.isArray(chain) || chain.length === 0) {
+      return this.generateWithCurrentConfig(messages, routedOptions);
+    }
+
+    // Profiles are tried in routing order; a provider error moves on to the next one.
+    let lastError = null;
+    for (const target of chain) {
+      try {
+        return await this.withProfile(target).generateWithCurrentConfig(messages, routedOptions);
+      } catch (error) {
+        if (error?.code === LLM_REQUEST_CANCELLED) {
+          throw error;
+        }
+        lastError = error;
+        llmRequestMetrics.record('profile_error', {
+          provider: target.config.provider,
+          model: target.config.model,
+          requestType: options.__lucidcoderRequestType || 'generate',
+          phase: options.__lucidcoderPhase || 'unknown',
+          role
+        });
+        if (process.env.LUCIDCODER_LLM_DEBUG === '1') {
+          console.log(`⚠️  LLM profile "${target.name}" failed for role ${role}: ${error?.message || error}`);
+        }
+      }
+    }
+    throw lastError;
+  }
+
+  async generateWithCurrentConfig(messages, options = {}) {
     if (!this.config) {
       await this.initialize();
     }
@@ -455,14 +567,22 @@ export class LLMClient {
     const requestType = options.__lucidcoderRequestType || 'generate';
     const phase = options.__lucidcoderPhase || 'unknown';
     const disableToolBridgeFallback = options.__lucidcoderDisableToolBridgeFallback === true;
+    const signal = options.__lucidcoderSignal || null;
+    const onToken = typeof options.__lucidcoderOnToken === 'function' ? options.__lucidcoderOnToken : null;
     const metricsContext = {
       provider: this.config.provider,
       model: this.config.model,
       requestType,
-      phase
+      phase,
+      role: options.__lucidcoderRole || null
     };
     llmRequestMetrics.record('requested', metricsContext);
 
+    if (signal?.aborted) {
+      llmRequestMetrics.record('cancelled', metricsContext);
+      throw createCancelledError();
+    }
+
     const basePayload = {
       messages,
       max_tokens: options.max_tokens || 1000,
@@ -470,6 +590,18 @@ export class LLMClient {
       ...options
     };
 
+    const completeWith = async (response) => {
+      const text = this.extractResponse(this.config.provider, response.data);
+      if (!response.cached) {
+        await this.recordUsage(metricsContext, {
+          usage: extractUsage(this.config.provider, response.data),
+          messages,
+          text
+        });
+      }
+      return text;
+    };
+
     try {
 
       // ── Stored-endpoint shortcut ──────────────────────────────────
@@ -500,8 +632,11 @@ export class LLMClient {
               success: true,
               errorMessage: null
             });
-            return this.extractResponse(this.config.provider, directResponse.data);
+            return await completeWith(directResponse);
           } catch (directError) {
+            if (signal?.aborted) {
+              throw directError;
+            }
             lastError = directError;
             const msg = this.getErrorMessage(directError);
             const stripped = stripUnsupportedParams(payload, msg);
@@ -518,6 +653,46 @@ export class LLMClient {
         }
       }
 
+      // ── Streaming ─────────────────────────────────────────────────
+      // Callers that pass an onToken callback get tokens as they arrive.
+      // Streams skip the tool bridge (tool-call deltas carry no text), so an
+      // empty or failed stream falls through to the buffered path below.
+      if (onToken) {
+        let streamedText = '';
+        let streamedUsage = null;
+        try {
+          llmRequestMetrics.record('outbound', metricsContext);
+          streamedText = await this.makeStreamingAPIRequest(this.config, this.apiKey, basePayload, {
+            onToken,
+            onUsage: (usage) => {
+              streamedUsage = usage;
+            },
+            signal
+          });
+        } catch (streamError) {
+          if (signal?.aborted || isAbortError(streamError)) {
+            throw streamError;
+          }
+          if (process.env.LUCIDCODER_LLM_DEBUG === '1') {
+            console.log(`⚠️  Streaming request failed, retrying without streaming: ${this.getErrorMessage(streamError)}`);
+          }
+        }
+
+        if (streamedText.trim()) {
+          await db_operations.logAPIRequest({
+            provider: this.config.provider,
+            model: this.config.model,
+            requestType: 'generate',
+            responseTime: Date.now() - startTime,
+            success: true,
+            errorMessage: null
+          });
+          await this.recordUsage(metricsContext, { usage: streamedUsage, messages, text: streamedText });
+          return streamedText.trim();
+        }
+        llmRequestMetrics.record('stream_fallback', metricsContext);
+      }
+
       let response;
       const request = async (payload) => this._makeDedupedRequest(
         payload,
@@ -608,9 +783,14 @@ export class LLMClient {
         errorMessage: null
       });
 
-      return this.extractResponse(this.config.provider, response.data);
+      return await completeWith(response);
 
     } catch (error) {
+      if (signal?.aborted || isAbortError(error)) {
+        llmRequestMetrics.record('cancelled', metricsContext);
+        throw createCancelledError();
+      }
+
       const errorMessage = this.getErrorMessage(error);
       const provider = String(this.config?.provider || '').toLowerCase();
       const model = this.config?.model;
@@ -686,7 +866,7 @@ export class LLMClient {
             const fallbackResponse = await attemptWithStripping(endpoint, fallbackPayload);
             // Remember which endpoint worked so probes can read it
             this.resolvedEndpointPath = endpoint;
-            return this.extractResponse(this.config.provider, fallbackResponse.data);
+            return await completeWith(fallbackResponse);
           } catch (fallbackError) {
             fallbackErrorMessage = this.getErrorMessage(fallbackError);
           }
@@ -711,6 +891,26 @@ export class LLMClient {
     }
   }
 
+  // Usage accounting is best-effort: a failed write must never fail the request.
+  async recordUsage(metricsContext, { usage, messages, text }) {
+    try {
+      await recordLlmUsage({
+        provider: metricsContext.provider,
+        model: metricsContext.model,
+        role: metricsContext.role,
+        requestType: metricsContext.requestType,
+        phase: metricsContext.phase,
+        usage,
+        messages,
+        text
+      });
+    } catch (error) {
+      if (process.env.LUCIDCODER_LLM_DEBUG === '1') {
+        console.log(`⚠️  Failed to record LLM usage: ${error?.message || error}`);
+      }
+    }
+  }
+
   extractResponse(provider, responseData) {
     return extractResponse(provider, responseData);
   }
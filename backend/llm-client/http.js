@@ -21,12 +21,13 @@ export function getHeaders(provider, apiKey) {
       break;
 
     case 'anthropic':
-      headers['Authorization'] = `Bearer ${sanitizedApiKey}`;
+      // The Messages API authenticates with x-api-key rather than a bearer token.
+      headers['x-api-key'] = sanitizedApiKey;
       headers['anthropic-version'] = '2023-06-01';
       break;
 
     case 'google':
-      headers['Authorization'] = `Bearer ${sanitizedApiKey}`;
+      headers['x-goog-api-key'] = sanitizedApiKey;
       break;
 
     case 'cohere':
@@ -0,0 +1,126 @@
+const ESCAPES = {
+  '"': '"',
+  '\\': '\\',
+  '/': '/',
+  b: '\b',
+  f: '\f',
+  n: '\n',
+  r: '\r',
+  t: '\t'
+};
+
+const isHighSurrogate = (code) => code >= 0xd800 && code <= 0xdbff;
+
+/**
+ * Agents reply with a single JSON action, so their raw tokens are JSON syntax.
+ * This reads those tokens incrementally and passes on only the decoded text of
+ * the named top-level string fields (e.g. an answer or a reason) as it arrives.
+ *
+ * Returns a push(chunk) function; create one per LLM response.
+ */
+export function createJsonTextStream(fields, onText) {
+  const wanted = new Set(fields);
+  const containers = [];
+  let inString = false;
+  let stringRole = null;
+  let escape = false;
+  let unicode = null;
+  let pendingHigh = '';
+  let key = '';
+  let lastKey = null;
+  let expectingKey = false;
+  let output = '';
+
+  const atTopLevelObject = () => containers.length === 1 && containers[0] === '{';
+
+  const appendChar = (char) => {
+    if (stringRole === 'key') {
+      key += char;
+    } else if (stringRole === 'text') {
+      output += char;
+    }
+  };
+
+  const appendDecoded = (char) => {
+    // Characters outside the BMP arrive as two \u escapes; hold the first half so no chunk ends mid-character.
+    if (char.length === 1 && isHighSurrogate(char.charCodeAt(0))) {
+      pendingHigh = char;
+      return;
+    }
+    appendChar(`${pendingHigh}${char}`);
+    pendingHigh = '';
+  };
+
+  const readStringChar = (char) => {
+    if (unicode !== null) {
+      unicode += char;
+      if (unicode.length === 4) {
+        const code = Number.parseInt(unicode, 16);
+        unicode = null;
+        appendDecoded(Number.isFinite(code) ? String.fromCharCode(code) : '');
+      }
+      return;
+    }
+    if (escape) {
+      escape = false;
+      if (char === 'u') {
+        unicode = '';
+        return;
+      }
+      appendDecoded(ESCAPES[char] ?? char);
+      return;
+    }
+    if (char === '\\') {
+      escape = true;
+      return;
+    }
+    if (char === '"') {
+      inString = false;
+      if (stringRole === 'key') {
+        lastKey = key;
+      }
+      stringRole = null;
+      return;
+    }
+    appendDecoded(char);
+  };
+
+  const readStructureChar = (char) => {
+    if (char === '{' || char === '[') {
+      containers.push(char);
+      expectingKey = char === '{' && containers.length === 1;
+    } else if (char === '}' || char === ']') {
+      containers.pop();
+    } else if (char === ',') {
+      expectingKey = atTopLevelObject();
+    } else if (char === ':') {
+      expectingKey = false;
+    } else if (char === '"') {
+      inString = true;
+      if (atTopLevelObject() && expectingKey) {
+        stringRole = 'key';
+        key = '';
+      } else {
+        stringRole = atTopLevelObject() && wanted.has(lastKey) ? 'text' : null;
+      }
+    }
+  };
+
+  return (chunk) => {
+    if (typeof chunk !== 'string' || !chunk) {
+      return;
+    }
+    for (const char of chunk) {
+      if (inString) {
+        readStringChar(char);
+      } else {
+        readStructureChar(char);
+      }
+    }
+    if (output) {
+      const text = output;
+      output = '';
+      onText(text);
+    }
+  };
+}
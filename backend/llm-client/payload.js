@@ -75,6 +75,29 @@ export function formatPayload(provider, model, prompt, options = {}, currentConf
   return formatPayloadInternal(provider, payload, { model }, currentConfig);
 }
 
+// Anthropic and Gemini take system prompts as a top-level field rather than as
+// a message role, so they are pulled out of the conversation before formatting.
+export function splitSystemMessages(messages) {
+  const list = Array.isArray(messages) ? messages : [];
+  const systemParts = [];
+  const conversation = [];
+
+  for (const msg of list) {
+    if (msg?.role === 'system') {
+      if (typeof msg.content === 'string' && msg.content.trim()) {
+        systemParts.push(msg.content.trim());
+      }
+      continue;
+    }
+    conversation.push(msg);
+  }
+
+  return {
+    system: systemParts.join('\n\n'),
+    messages: conversation
+  };
+}
+
 export function formatPayloadInternal(provider, payload, config, currentConfig) {
   const modelToUse = config?.model || payload?.model || currentConfig?.model;
 
@@ -88,18 +111,26 @@ export function formatPayloadInternal(provider, payload, config, currentConfig)
   };
 
   switch (provider) {
-    case 'anthropic':
-      return {
+    case 'anthropic': {
+      const { system, messages } = splitSystemMessages(payload.messages);
+      const formatted = {
         model: modelToUse,
         max_tokens: payload.max_tokens || 1000,
-        messages: payload.messages,
+        messages,
         temperature: payload.temperature || 0.7,
         top_p: payload.top_p || 0.9
       };
+      if (system) {
+        formatted.system = system;
+      }
+      return formatted;
+    }
 
-    case 'google':
-      return {
-        contents: payload.messages.map(msg => ({
+    case 'google': {
+      const { system, messages } = splitSystemMessages(payload.messages);
+      const formatted = {
+        contents: messages.map(msg => ({
+          role: msg.role === 'assistant' ? 'model' : 'user',
           parts: [{ text: msg.content }]
         })),
         generationConfig: {
@@ -108,6 +139,11 @@ export function formatPayloadInternal(provider, payload, config, currentConfig)
           topP: payload.top_p || 0.9
         }
       };
+      if (system) {
+        formatted.systemInstruction = { parts: [{ text: system }] };
+      }
+      return formatted;
+    }
 
     case 'cohere': {
       const lastMessage = payload.messages[payload.messages.length - 1];
@@ -204,9 +204,33 @@ export function extractResponse(provider, responseData) {
         if (actionName === 'list_file') {
           return JSON.stringify({ action: 'list_dir', path, reason: reason || undefined });
         }
+        if (actionName === 'search_code') {
+          return JSON.stringify({
+            action: 'search_code',
+            query: coerceString(parsed?.query),
+            type: coerceString(parsed?.type) || undefined,
+            reason: reason || undefined
+          });
+        }
         if (actionName === 'write_file') {
           return JSON.stringify({ action: 'write_file', path, content, reason: reason || undefined });
         }
+        if (actionName === 'apply_patch') {
+          return JSON.stringify({
+            action: 'apply_patch',
+            path,
+            patch: coerceString(parsed?.patch || parsed?.diff) || undefined,
+            replacements: Array.isArray(parsed?.replacements) ? parsed.replacements : undefined,
+            reason: reason || undefined
+          });
+        }
+        if (actionName === 'run_command') {
+          return JSON.stringify({
+            action: 'run_command',
+            command: coerceString(parsed?.command || parsed?.cmd),
+            reason: reason || undefined
+          });
+        }
         if (actionName === 'list_goals') {
           return JSON.stringify({ action: 'list_goals', reason: reason || undefined });
         }
@@ -268,3 +292,56 @@ export function extractResponse(provider, responseData) {
     }
   }
 }
+
+const toTokenCount = (value) => {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric >= 0 ? Math.round(numeric) : null;
+};
+
+const pickUsageSource = (provider, data) => {
+  if (provider === 'google') {
+    const meta = data.usageMetadata;
+    return meta ? { prompt: meta.promptTokenCount, completion: meta.candidatesTokenCount } : null;
+  }
+  if (provider === 'ollama') {
+    return { prompt: data.prompt_eval_count, completion: data.eval_count };
+  }
+  if (provider === 'cohere') {
+    const billed = data.meta?.billed_units
+      || data.usage?.billed_units
+      || data.response?.meta?.billed_units
+      || data.delta?.usage?.billed_units;
+    return billed ? { prompt: billed.input_tokens, completion: billed.output_tokens } : null;
+  }
+
+  // OpenAI-compatible chat/completions/responses bodies and Anthropic messages
+  // (including the message_start / message_delta stream events).
+  const usage = data.usage || data.message?.usage || data.response?.usage;
+  if (!usage) {
+    return null;
+  }
+  return {
+    prompt: usage.prompt_tokens ?? usage.input_tokens,
+    completion: usage.completion_tokens ?? usage.output_tokens
+  };
+};
+
+// Reads the token counts a provider reports for a response body or stream event.
+// Returns null when the provider reported nothing usable.
+export function extractUsage(provider, responseData) {
+  if (!responseData || typeof responseData !== 'object') {
+    return null;
+  }
+
+  const source = pickUsageSource(String(provider || '').toLowerCase(), responseData);
+  const promptTokens = toTokenCount(source?.prompt);
+  const completionTokens = toTokenCount(source?.completion);
+  if (promptTokens === null && completionTokens === null) {
+    return null;
+  }
+
+  return {
+    promptTokens: promptTokens ?? 0,
+    completionTokens: completionTokens ?? 0
+  };
+}
@@ -0,0 +1,172 @@
+import { getEndpointURL } from './http.js';
+import { extractUsage } from './response.js';
+
+export function getStreamEndpointURL(config) {
+  if (config?.provider === 'google') {
+    // Gemini streams from a separate method; alt=sse switches it from a JSON array to SSE frames.
+    return `${config.api_url}/models/${config.model}:streamGenerateContent?alt=sse`;
+  }
+  return getEndpointURL(config);
+}
+
+export function formatStreamPayload(provider, payload) {
+  if (!payload || typeof payload !== 'object' || provider === 'google') {
+    return payload;
+  }
+  return { ...payload, stream: true };
+}
+
+const joinText = (parts) => (Array.isArray(parts)
+  ? parts.map((part) => (typeof part?.text === 'string' ? part.text : '')).join('')
+  : '');
+
+const streamErrorMessage = (event) => {
+  const error = event?.error;
+  if (!error) {
+    return null;
+  }
+  if (typeof error === 'string') {
+    return error;
+  }
+  return error.message || JSON.stringify(error);
+};
+
+// Returns the text carried by a single decoded stream event, or '' for
+// bookkeeping events (message_start, usage, done markers, ...).
+export function extractStreamDelta(provider, event) {
+  if (!event || typeof event !== 'object') {
+    return '';
+  }
+
+  const errorMessage = event.type === 'error' || event.error ? streamErrorMessage(event) : null;
+  if (errorMessage) {
+    throw new Error(errorMessage);
+  }
+
+  switch (provider) {
+    case 'anthropic':
+      return event.type === 'content_block_delta' && typeof event.delta?.text === 'string'
+        ? event.delta.text
+        : '';
+
+    case 'google':
+      return joinText(event.candidates?.[0]?.content?.parts);
+
+    case 'cohere':
+      if (event.event_type === 'text-generation' && typeof event.text === 'string') {
+        return event.text;
+      }
+      return typeof event.delta?.message?.content?.text === 'string'
+        ? event.delta.message.content.text
+        : '';
+
+    case 'ollama':
+      return typeof event.message?.content === 'string' ? event.message.content : '';
+
+    default: {
+      const choice = event.choices?.[0];
+      if (typeof choice?.delta?.content === 'string') {
+        return choice.delta.content;
+      }
+      return typeof choice?.text === 'string' ? choice.text : '';
+    }
+  }
+}
+
+// Providers either send SSE (`data: {...}` frames) or newline-delimited JSON.
+// Both reduce to "one JSON document per line", so a single line parser covers them.
+export function parseStreamLine(line) {
+  const trimmed = typeof line === 'string' ? line.trim() : '';
+  if (!trimmed || trimmed.startsWith(':') || trimmed.startsWith('event:') || trimmed.startsWith('id:')) {
+    return null;
+  }
+
+  const data = trimmed.startsWith('data:') ? trimmed.slice(5).trim() : trimmed;
+  if (!data || data === '[DONE]') {
+    return null;
+  }
+
+  try {
+    return JSON.parse(data);
+  } catch {
+    return null;
+  }
+}
+
+// Usage arrives spread over events (Anthropic reports input and output tokens
+// separately), so each count keeps the largest value seen. onUsage is called once
+// at the end when the provider reported any usage.
+export async function readTokenStream(provider, stream, onToken, onUsage) {
+  let buffer = '';
+  let text = '';
+  let usage = null;
+
+  const handleLine = (line) => {
+    const event = parseStreamLine(line);
+    const eventUsage = extractUsage(provider, event);
+    if (eventUsage) {
+      usage = {
+        promptTokens: Math.max(usage?.promptTokens || 0, eventUsage.promptTokens),
+        completionTokens: Math.max(usage?.completionTokens || 0, eventUsage.completionTokens)
+      };
+    }
+    const delta = extractStreamDelta(provider, event);
+    if (delta) {
+      text += delta;
+      if (typeof onToken === 'function') {
+        onToken(delta);
+      }
+    }
+  };
+
+  for await (const chunk of stream) {
+    buffer += typeof chunk === 'string' ? chunk : Buffer.from(chunk).toString('utf8');
+    let newlineIndex = buffer.indexOf('\n');
+    while (newlineIndex !== -1) {
+      handleLine(buffer.slice(0, newlineIndex));
+      buffer = buffer.slice(newlineIndex + 1);
+      newlineIndex = buffer.indexOf('\n');
+    }
+  }
+
+  if (buffer.trim()) {
+    handleLine(buffer);
+  }
+
+  if (usage && typeof onUsage === 'function') {
+    onUsage(usage);
+  }
+
+  return text;
+}
+
+// With responseType: 'stream', axios leaves error bodies as unread streams.
+// Read them back into JSON (or text) so getErrorMessage can report the provider's message.
+export async function hydrateStreamError(error) {
+  const body = error?.response?.data;
+  if (!body || typeof body[Symbol.asyncIterator] !== 'function') {
+    return error;
+  }
+
+  let raw = '';
+  try {
+    for await (const chunk of body) {
+      raw += typeof chunk === 'string' ? chunk : Buffer.from(chunk).toString('utf8');
+    }
+  } catch {
+    // Keep whatever was read before the stream failed.
+  }
+
+  try {
+    error.response.data = JSON.parse(raw);
+  } catch {
+    error.response.data = raw;
+  }
+  return error;
+}
+
+export function isAbortError(error) {
+  return error?.code === 'ERR_CANCELED'
+    || error?.name === 'AbortError'
+    || error?.name === 'CanceledError';
+}
@@ -70,6 +70,23 @@ export function buildActionToolBridgePayload(payload) {
         }
       }
     },
+    {
+      type: 'function',
+      function: {
+        name: 'search_code',
+        description: 'Request searching the project code index by keyword, symbol, importers or HTTP route.',
+        parameters: {
+          type: 'object',
+          properties: {
+            query: { type: 'string' },
+            type: { type: 'string', enum: ['keyword', 'symbol', 'imports', 'route'] },
+            reason: { type: 'string' }
+          },
+          required: ['query'],
+          additionalProperties: true
+        }
+      }
+    },
     {
       type: 'function',
       function: {
@@ -87,6 +104,50 @@ export function buildActionToolBridgePayload(payload) {
         }
       }
     },
+    {
+      type: 'function',
+      function: {
+        name: 'apply_patch',
+        description: 'Request patching a project file with a unified diff or search/replace blocks.',
+        parameters: {
+          type: 'object',
+          properties: {
+            path: { type: 'string' },
+            patch: { type: 'string' },
+            replacements: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  search: { type: 'string' },
+                  replace: { type: 'string' }
+                },
+                required: ['search', 'replace']
+              }
+            },
+            reason: { type: 'string' }
+          },
+          required: ['path'],
+          additionalProperties: true
+        }
+      }
+    },
+    {
+      type: 'function',
+      function: {
+        name: 'run_command',
+        description: 'Request running a single shell command from the project root.',
+        parameters: {
+          type: 'object',
+          properties: {
+            command: { type: 'string' },
+            reason: { type: 'string' }
+          },
+          required: ['command'],
+          additionalProperties: true
+        }
+      }
+    },
     {
       type: 'function',
       function: {
@@ -0,0 +1,205 @@
+import {
+  SESSION_COOKIE_NAME,
+  canAccessProject,
+  isAuthRequired,
+  resolveSessionUser
+} from '../services/authService.js';
+import { hasUnrestrictedAccess } from '../services/projectAccess.js';
+import { getGoal as defaultGetGoal } from '../services/goalStore.js';
+import { getCommandApproval as defaultGetCommandApproval } from '../services/commandApprovals.js';
+
+// Paths under /api that answer without a session (login itself, and the probes the UI makes
+// before it knows whether to show the login screen).
+const PUBLIC_API_PATHS = new Set(['/health', '/version', '/auth/status', '/auth/login', '/auth/register']);
+
+const readCookie = (cookieHeader, name) => {
+  for (const part of String(cookieHeader || '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator > 0 && part.slice(0, separator).trim() === name) {
+      return decodeURIComponent(part.slice(separator + 1).trim());
+    }
+  }
+  return null;
+};
+
+// Browsers send the session cookie; scripts and other API clients can use a bearer token instead.
+export const readRequestToken = (headers = {}) => {
+  const authorization = typeof headers.authorization === 'string' ? headers.authorization : '';
+  const match = authorization.match(/^Bearer\s+(\S+)$/i);
+  if (match) {
+    return match[1];
+  }
+  return readCookie(headers.cookie, SESSION_COOKIE_NAME);
+};
+
+const sendUnauthorized = (res) => res.status(401).json({ success: false, error: 'Authentication required' });
+
+const sendForbidden = (res, error) => res.status(403).json({ success: false, error });
+
+// Mounted on /api. Until the first account is created the API stays open, as it always was.
+export const authenticateRequest = () => async (req, res, next) => {
+  try {
+    if (!(await isAuthRequired())) {
+      next();
+      return;
+    }
+
+    const token = readRequestToken(req.headers);
+    const user = token ? await resolveSessionUser(token) : null;
+    if (user) {
+      req.user = user;
+      req.sessionToken = token;
+      next();
+      return;
+    }
+
+    if (PUBLIC_API_PATHS.has(req.path)) {
+      next();
+      return;
+    }
+    sendUnauthorized(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const requireAdmin = (shouldRequire = () => true) => async (req, res, next) => {
+  try {
+    if (!shouldRequire(req)) {
+      next();
+      return;
+    }
+    if (req.user) {
+      if (req.user.role === 'admin') {
+        next();
+        return;
+      }
+      sendForbidden(res, 'Admin access required');
+      return;
+    }
+    if (await isAuthRequired()) {
+      sendUnauthorized(res);
+      return;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const toProjectId = (value) => {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+};
+
+export const readRequestProjectId = (req) => (
+  toProjectId(req.params?.projectId)
+  ?? toProjectId(req.query?.projectId)
+  ?? toProjectId(req.body?.projectId)
+);
+
+// Members only reach their own projects. `resolveProjectId` covers routes addressed by another
+// id (a goal, for example); by default the project id comes from the path, query or body.
+export const requireProjectAccess = ({ resolveProjectId = readRequestProjectId } = {}) => async (req, res, next) => {
+  try {
+    if (hasUnrestrictedAccess(req.user)) {
+      next();
+      return;
+    }
+    const projectId = await resolveProjectId(req);
+    if (projectId && !(await canAccessProject(req.user, projectId))) {
+      sendForbidden(res, 'You do not have access to this project');
+      return;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Only admins may change how the LLM is reached or paid for, server-wide settings (git
+// credentials among them) or the shared templates.
+const LLM_ADMIN_PATHS = /^\/(configure|profiles|routes|prices|budgets)(\/|$)/;
+const isLlmConfigChange = (req) => req.method !== 'GET' && LLM_ADMIN_PATHS.test(req.path);
+const isChange = (req) => req.method !== 'GET';
+
+const loadAutopilotSessionProjectId = async (sessionId) => {
+  // Imported on demand: the session service pulls in the whole agent stack.
+  const { getAutopilotSession } = await import('../services/autopilotSessions.js');
+  return getAutopilotSession(sessionId, { includeEvents: false })?.projectId ?? null;
+};
+
+// Registers the access rules ahead of the API routers. Goal routes are addressed by goal id, so
+// their project is looked up from the goal; command approvals and autopilot sessions likewise.
+export const applyAccessControl = (app, {
+  getGoal = defaultGetGoal,
+  getCommandApproval = defaultGetCommandApproval,
+  getAutopilotSessionProjectId = loadAutopilotSessionProjectId
+} = {}) => {
+  const resolveGoalRequestProjectId = async (req) => {
+    const goalId = toProjectId(req.path.split('/')[1]);
+    if (goalId) {
+      const goal = await getGoal(goalId);
+      return goal?.projectId ?? null;
+    }
+    return readRequestProjectId(req);
+  };
+
+  app.use('/api', authenticateRequest());
+  app.use('/api/llm', requireAdmin(isLlmConfigChange));
+  app.use('/api/llm/generate', requireProjectAccess());
+  app.use('/api/settings', requireAdmin(isChange));
+  app.use('/api/fs', requireAdmin());
+  app.use('/api/templates', requireAdmin(isChange));
+  app.use('/api/projects/:projectId', requireProjectAccess());
+  app.use('/api/projects/:projectId/git-settings', requireAdmin(isChange));
+  app.use('/api/goals', requireProjectAccess({ resolveProjectId: resolveGoalRequestProjectId }));
+  app.use('/api/agent/command-approvals/:approvalId', requireProjectAccess({
+    resolveProjectId: (req) => getCommandApproval(req.params.approvalId)?.projectId ?? null
+  }));
+  app.use('/api/agent/autopilot/sessions/:sessionId', requireProjectAccess({
+    resolveProjectId: (req) => getAutopilotSessionProjectId(req.params.sessionId)
+  }));
+  app.use('/api/agent', requireProjectAccess());
+};
+
+// Preview requests come from the project's own app inside the iframe, so only the session
+// cookie is trusted; the app may send Authorization headers of its own.
+export const resolvePreviewAccessError = async (req, projectId) => {
+  if (!(await isAuthRequired())) {
+    return null;
+  }
+  const user = await resolveSessionUser(readCookie(req.headers?.cookie, SESSION_COOKIE_NAME));
+  if (!user) {
+    return { statusCode: 401, error: 'Authentication required' };
+  }
+  if (!(await canAccessProject(user, projectId))) {
+    return { statusCode: 403, error: 'You do not have access to this project' };
+  }
+  return null;
+};
+
+// Socket.IO handshake check. Browsers send the session cookie with the upgrade request; other
+// clients can pass `auth: { token }` when they connect.
+export const authenticateSocket = async (socket, next) => {
+  try {
+    if (!(await isAuthRequired())) {
+      next();
+      return;
+    }
+    const token = socket.handshake?.auth?.token || readRequestToken(socket.handshake?.headers);
+    const user = await resolveSessionUser(token);
+    if (!user) {
+      next(new Error('Authentication required'));
+      return;
+    }
+    socket.data = { ...socket.data, user };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const __authMiddlewareTesting = {
+  readCookie
+};
@@ -1,5 +1,6 @@
 import express from 'express';
 import { handleAgentRequest } from '../services/agentRequestHandler.js';
+import { runWithLlmUsageContext } from '../services/llmUsage.js';
 import { planGoalFromPrompt, createChildGoal } from '../services/agentOrchestrator.js';
 import { runTestsForBranch } from '../services/branchWorkflow.js';
 import {
@@ -17,7 +18,11 @@ import {
   getAutopilotSession,
   resumeAutopilotSessions
 } from '../services/autopilotSessions.js';
+import { listPendingCommandApprovals, resolveCommandApproval } from '../services/commandApprovals.js';
 import { runForegroundCleanup } from '../services/foregroundCleanupRunner.js';
+import { normalizeRefactorRequest, runForegroundRefactor } from '../services/foregroundRefactorRunner.js';
+import { normalizeAddTestsRequest, runForegroundAddTests } from '../services/foregroundAddTestsRunner.js';
+import { getChatThread, linkChatThread } from '../services/chatThreadStore.js';
 
 const router = express.Router();
 
@@ -25,6 +30,15 @@ const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 const STREAM_CHUNK_SIZE = 24;
 const STREAM_DELAY_MS = process.env.NODE_ENV === 'test' ? 0 : 15;
 
+// A `threadId` is optional; when given it must name a chat thread of the same project.
+const isForeignThread = async (projectId, threadId) => {
+  if (!threadId) {
+    return false;
+  }
+  const thread = await getChatThread(threadId);
+  return !thread || String(thread.projectId) !== String(projectId);
+};
+
 const writeSseEvent = (res, event, payload) => {
   if (!res || res.writableEnded || res.destroyed) {
     return false;
@@ -107,9 +121,143 @@ router.post('/cleanup/stream', async (req, res) => {
   }
 });
 
+router.post('/refactor/stream', async (req, res) => {
+  const cancelled = { value: false };
+
+  try {
+    const {
+      projectId,
+      prompt,
+      scope,
+      refactorType,
+      symbolName,
+      newName,
+      moduleName,
+      options
+    } = req.body || {};
+
+    if (!projectId) {
+      return res.status(400).json({ error: 'projectId is required' });
+    }
+
+    try {
+      normalizeRefactorRequest({ scope, refactorType, symbolName, newName, moduleName });
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    if (typeof res.flushHeaders === 'function') {
+      res.flushHeaders();
+    }
+
+    try {
+      res.write('retry: 1000\n\n');
+    } catch {
+      return res.end();
+    }
+
+    res.on('close', () => {
+      cancelled.value = true;
+    });
+    req.on('aborted', () => {
+      cancelled.value = true;
+    });
+
+    const result = await runForegroundRefactor({
+      projectId,
+      prompt: typeof prompt === 'string' ? prompt : '',
+      scope,
+      refactorType,
+      symbolName,
+      newName,
+      moduleName,
+      options,
+      shouldCancel: () => cancelled.value,
+      onEvent: ({ event, data }) => {
+        writeSseEvent(res, event || 'message', data || {});
+      }
+    });
+
+    writeSseEvent(res, 'done', { result });
+    res.end();
+  } catch (error) {
+    if (error?.code === 'REFACTOR_CANCELLED' || cancelled.value) {
+      writeSseEvent(res, 'done', { result: { cancelled: true } });
+      return res.end();
+    }
+
+    writeSseEvent(res, 'error', { message: error?.message || 'Refactor failed' });
+    return res.end();
+  }
+});
+
+router.post('/add-tests/stream', async (req, res) => {
+  const cancelled = { value: false };
+
+  try {
+    const { projectId, prompt, targetFile, lineRange, options } = req.body || {};
+
+    if (!projectId) {
+      return res.status(400).json({ error: 'projectId is required' });
+    }
+
+    try {
+      normalizeAddTestsRequest({ targetFile, lineRange });
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    if (typeof res.flushHeaders === 'function') {
+      res.flushHeaders();
+    }
+
+    try {
+      res.write('retry: 1000\n\n');
+    } catch {
+      return res.end();
+    }
+
+    res.on('close', () => {
+      cancelled.value = true;
+    });
+    req.on('aborted', () => {
+      cancelled.value = true;
+    });
+
+    const result = await runForegroundAddTests({
+      projectId,
+      prompt: typeof prompt === 'string' ? prompt : '',
+      targetFile,
+      lineRange,
+      options,
+      shouldCancel: () => cancelled.value,
+      onEvent: ({ event, data }) => {
+        writeSseEvent(res, event || 'message', data || {});
+      }
+    });
+
+    writeSseEvent(res, 'done', { result });
+    res.end();
+  } catch (error) {
+    if (error?.code === 'ADD_TESTS_CANCELLED' || cancelled.value) {
+      writeSseEvent(res, 'done', { result: { cancelled: true } });
+      return res.end();
+    }
+
+    writeSseEvent(res, 'error', { message: error?.message || 'Add tests failed' });
+    return res.end();
+  }
+});
+
 router.post('/request', async (req, res) => {
   try {
-    const { projectId, prompt, maxSteps } = req.body || {};
+    const { projectId, prompt, maxSteps, threadId } = req.body || {};
 
     if (!projectId) {
       return res.status(400).json({ error: 'projectId is required' });
@@ -117,8 +265,14 @@ router.post('/request', async (req, res) => {
     if (!prompt) {
       return res.status(400).json({ error: 'prompt is required' });
     }
+    if (await isForeignThread(projectId, threadId)) {
+      return res.status(404).json({ error: 'Chat thread not found' });
+    }
 
-    const result = await handleAgentRequest({ projectId, prompt, maxSteps });
+    const result = await runWithLlmUsageContext(
+      { projectId },
+      () => handleAgentRequest({ projectId, prompt, maxSteps, threadId })
+    );
     res.status(200).json(result);
   } catch (error) {
     console.error('[Agent] Request failed:', error.message || error);
@@ -130,8 +284,10 @@ router.post('/request', async (req, res) => {
 });
 
 router.post('/request/stream', async (req, res) => {
+  const controller = new AbortController();
+
   try {
-    const { projectId, prompt, maxSteps } = req.body || {};
+    const { projectId, prompt, maxSteps, threadId } = req.body || {};
 
     if (!projectId) {
       return res.status(400).json({ error: 'projectId is required' });
@@ -139,6 +295,9 @@ router.post('/request/stream', async (req, res) => {
     if (!prompt) {
       return res.status(400).json({ error: 'prompt is required' });
     }
+    if (await isForeignThread(projectId, threadId)) {
+      return res.status(404).json({ error: 'Chat thread not found' });
+    }
 
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
@@ -148,9 +307,33 @@ router.post('/request/stream', async (req, res) => {
     }
     res.write('retry: 1000\n\n');
 
-    const result = await handleAgentRequest({ projectId, prompt, maxSteps });
+    // A client disconnect aborts the in-flight LLM request rather than letting it run to completion.
+    if (typeof res.on === 'function') {
+      res.on('close', () => {
+        if (!res.writableEnded) {
+          controller.abort();
+        }
+      });
+    }
+    if (typeof req.on === 'function') {
+      req.on('aborted', () => controller.abort());
+    }
+
+    let streamedAnswer = false;
+    const result = await runWithLlmUsageContext({ projectId }, () => handleAgentRequest({
+      projectId,
+      prompt,
+      maxSteps,
+      threadId,
+      signal: controller.signal,
+      onToken: (text) => {
+        streamedAnswer = true;
+        writeSseEvent(res, 'token', { text });
+      }
+    }));
 
-    if (result?.kind === 'question' && typeof result.answer === 'string' && result.answer.length > 0) {
+    // Answers the model streamed as tokens are already on the client; only replay the others.
+    if (!streamedAnswer && result?.kind === 'question' && typeof result.answer === 'string' && result.answer.length > 0) {
       for (let index = 0; index < result.answer.length; index += STREAM_CHUNK_SIZE) {
         const chunk = result.answer.slice(index, index + STREAM_CHUNK_SIZE);
         writeSseEvent(res, 'chunk', { text: chunk });
@@ -163,7 +346,9 @@ router.post('/request/stream', async (req, res) => {
     writeSseEvent(res, 'done', { result });
     res.end();
   } catch (error) {
-    writeSseEvent(res, 'error', { message: error?.message || 'Agent request failed' });
+    if (!controller.signal.aborted) {
+      writeSseEvent(res, 'error', { message: error?.message || 'Agent request failed' });
+    }
     res.end();
   }
 });
@@ -238,16 +423,44 @@ router.post('/ui/commands/ack', (req, res) => {
   }
 });
 
+router.get('/command-approvals', (req, res) => {
+  const { projectId } = req.query || {};
+  if (!projectId) {
+    return res.status(400).json({ error: 'projectId is required' });
+  }
+  res.status(200).json({ success: true, approvals: listPendingCommandApprovals(projectId) });
+});
+
+router.post('/command-approvals/:approvalId', (req, res) => {
+  const { approved } = req.body || {};
+  if (typeof approved !== 'boolean') {
+    return res.status(400).json({ error: 'approved must be a boolean' });
+  }
+  const approval = resolveCommandApproval(req.params.approvalId, approved);
+  if (!approval) {
+    return res.status(404).json({ error: 'Command approval not found' });
+  }
+  res.status(200).json({ success: true, approval });
+});
+
 router.post('/autopilot', async (req, res) => {
   try {
-    const { projectId, prompt, options, uiSessionId } = req.body || {};
+    const { projectId, prompt, options, uiSessionId, threadId } = req.body || {};
     if (!projectId) {
       return res.status(400).json({ error: 'projectId is required' });
     }
     if (!prompt) {
       return res.status(400).json({ error: 'prompt is required' });
     }
+    if (await isForeignThread(projectId, threadId)) {
+      return res.status(404).json({ error: 'Chat thread not found' });
+    }
     const session = await createAutopilotSession({ projectId, prompt, options, uiSessionId });
+    if (threadId && session?.id) {
+      await linkChatThread(threadId, { kind: 'autopilot', refId: session.id }).catch((error) => {
+        console.warn('[Agent Autopilot] Failed to link session to chat thread:', error?.message || error);
+      });
+    }
     res.status(202).json({ success: true, session });
   } catch (error) {
     console.error('[Agent Autopilot] Start failed:', error);
@@ -0,0 +1,121 @@
+import express from 'express';
+import {
+  AuthError,
+  SESSION_COOKIE_NAME,
+  SESSION_TTL_MS,
+  authenticateUser,
+  createSession,
+  deleteUser,
+  isAuthRequired,
+  listUsers,
+  registerUser,
+  revokeSession,
+  updateUser
+} from '../services/authService.js';
+import { requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const sendAuthError = (res, error, label, fallback) => {
+  if (error instanceof AuthError) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  console.error(`[Auth] ${label} failed:`, error);
+  return res.status(500).json({ success: false, error: fallback });
+};
+
+const startSession = async (req, res, user) => {
+  const session = await createSession(user.id);
+  res.cookie(SESSION_COOKIE_NAME, session.token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    maxAge: SESSION_TTL_MS,
+    path: '/'
+  });
+  // Lets the audit log attribute the login request itself.
+  req.user = user;
+  return session;
+};
+
+const requireSignedIn = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+  return next();
+};
+
+router.get('/status', async (req, res) => {
+  try {
+    res.json({ success: true, authRequired: await isAuthRequired(), user: req.user || null });
+  } catch (error) {
+    sendAuthError(res, error, 'Status', 'Failed to read authentication status');
+  }
+});
+
+router.post('/register', async (req, res) => {
+  try {
+    const { username, password, role } = req.body || {};
+    const { user, bootstrap } = await registerUser({ username, password, role }, { actor: req.user });
+    if (!bootstrap) {
+      return res.status(201).json({ success: true, user });
+    }
+    // Whoever creates the first account is signed in straight away, or they would be locked out.
+    const session = await startSession(req, res, user);
+    return res.status(201).json({ success: true, user, token: session.token, expiresAt: session.expiresAt });
+  } catch (error) {
+    return sendAuthError(res, error, 'Register', 'Failed to create account');
+  }
+});
+
+router.post('/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const user = await authenticateUser(username, password);
+    const session = await startSession(req, res, user);
+    res.json({ success: true, user, token: session.token, expiresAt: session.expiresAt });
+  } catch (error) {
+    sendAuthError(res, error, 'Login', 'Failed to sign in');
+  }
+});
+
+router.post('/logout', async (req, res) => {
+  try {
+    if (req.sessionToken) {
+      await revokeSession(req.sessionToken);
+    }
+    res.clearCookie(SESSION_COOKIE_NAME, { path: '/' });
+    res.json({ success: true });
+  } catch (error) {
+    sendAuthError(res, error, 'Logout', 'Failed to sign out');
+  }
+});
+
+router.get('/users', requireAdmin(), async (req, res) => {
+  try {
+    res.json({ success: true, users: await listUsers() });
+  } catch (error) {
+    sendAuthError(res, error, 'List users', 'Failed to list accounts');
+  }
+});
+
+router.put('/users/:id', requireSignedIn, async (req, res) => {
+  try {
+    const { role, password } = req.body || {};
+    const user = await updateUser(Number(req.params.id), { role, password }, { actor: req.user });
+    res.json({ success: true, user });
+  } catch (error) {
+    sendAuthError(res, error, 'Update user', 'Failed to update account');
+  }
+});
+
+router.delete('/users/:id', requireSignedIn, requireAdmin(), async (req, res) => {
+  try {
+    await deleteUser(Number(req.params.id));
+    res.json({ success: true });
+  } catch (error) {
+    sendAuthError(res, error, 'Delete user', 'Failed to delete account');
+  }
+});
+
+export default router;
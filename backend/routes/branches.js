@@ -5,6 +5,8 @@ import {
   runTestsForBranch,
   recordJobProofForBranch,
   mergeBranch,
+  openPullRequest,
+  refreshPullRequest,
   stageWorkspaceChange,
   clearStagedChanges,
   checkoutBranch,
@@ -32,7 +34,11 @@ const respondWithError = (res, error, fallbackMessage) => {
   const statusCode = error.statusCode || 500;
   const message = statusCode === 500 ? fallbackMessage : error.message;
   console.error('[BranchRoutes]', error.message);
-  res.status(statusCode).json({ success: false, error: message });
+  const payload = { success: false, error: message };
+  if (error.conflicts) {
+    payload.conflicts = error.conflicts;
+  }
+  res.status(statusCode).json(payload);
 };
 
 router.get('/', async (req, res) => {
@@ -119,7 +125,8 @@ router.post('/:branchName/tests', async (req, res) => {
     const testRun = await runTestsForBranch(projectId, branchName, {
       ...rawOptions,
       enforceFullCoverage: true,
-      includeCoverageLineRefs: true
+      includeCoverageLineRefs: true,
+      jobPriority: 'high'
     });
     res.json({ success: true, testRun });
   } catch (error) {
@@ -163,6 +170,30 @@ router.post('/:branchName/merge', async (req, res) => {
   }
 });
 
+router.post('/:branchName/pull-request', async (req, res) => {
+  try {
+    const projectId = parseProjectId(req.params.projectId);
+    const branchName = decodeURIComponent(req.params.branchName);
+    const result = await openPullRequest(projectId, branchName);
+    const overview = await getBranchOverview(projectId);
+    res.status(result.created ? 201 : 200).json({ success: true, ...result, overview });
+  } catch (error) {
+    respondWithError(res, error, 'Failed to open pull request');
+  }
+});
+
+router.post('/:branchName/pull-request/refresh', async (req, res) => {
+  try {
+    const projectId = parseProjectId(req.params.projectId);
+    const branchName = decodeURIComponent(req.params.branchName);
+    const result = await refreshPullRequest(projectId, branchName);
+    const overview = await getBranchOverview(projectId);
+    res.json({ success: true, ...result, overview });
+  } catch (error) {
+    respondWithError(res, error, 'Failed to refresh pull request');
+  }
+});
+
 router.post('/:branchName/checkout', async (req, res) => {
   try {
     const projectId = parseProjectId(req.params.projectId);
@@ -0,0 +1,105 @@
+import express from 'express';
+import {
+  ChatThreadError,
+  appendChatMessages,
+  createChatThread,
+  getChatThread,
+  listChatMessages,
+  listChatThreads,
+  updateChatThread
+} from '../services/chatThreadStore.js';
+
+const router = express.Router({ mergeParams: true });
+
+const sendChatThreadError = (res, error, label, fallback) => {
+  if (error instanceof ChatThreadError) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  console.error(`[ChatThreads] ${label} failed:`, error);
+  return res.status(500).json({ success: false, error: fallback });
+};
+
+const isTruthyFlag = (value) => {
+  const normalized = String(value || '').toLowerCase();
+  return normalized === 'true' || normalized === '1';
+};
+
+// Resolves the thread for the request, answering 404 when it belongs to another project.
+const loadProjectThread = async (req, res) => {
+  const { projectId, threadId } = req.params;
+  const thread = await getChatThread(threadId);
+  if (!thread || String(thread.projectId) !== String(projectId)) {
+    res.status(404).json({ success: false, error: 'Chat thread not found' });
+    return null;
+  }
+  return thread;
+};
+
+router.get('/', async (req, res) => {
+  try {
+    const threads = await listChatThreads(req.params.projectId, {
+      includeArchived: isTruthyFlag(req.query.includeArchived),
+      query: typeof req.query.q === 'string' ? req.query.q : ''
+    });
+    res.status(200).json({ success: true, threads });
+  } catch (error) {
+    console.error('[ChatThreads] List failed:', error);
+    res.status(500).json({ success: false, error: 'Failed to list chat threads' });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const { title, messages } = req.body || {};
+    let thread = await createChatThread({ projectId: req.params.projectId, title });
+    if (Array.isArray(messages) && messages.length > 0) {
+      thread = await appendChatMessages(thread.id, messages);
+    }
+    res.status(201).json({ success: true, thread });
+  } catch (error) {
+    sendChatThreadError(res, error, 'Create', 'Failed to create chat thread');
+  }
+});
+
+router.put('/:threadId', async (req, res) => {
+  try {
+    if (!(await loadProjectThread(req, res))) {
+      return;
+    }
+    const { title, archived } = req.body || {};
+    const thread = await updateChatThread(req.params.threadId, { title, archived });
+    res.status(200).json({ success: true, thread });
+  } catch (error) {
+    sendChatThreadError(res, error, 'Update', 'Failed to update chat thread');
+  }
+});
+
+router.get('/:threadId/messages', async (req, res) => {
+  try {
+    const thread = await loadProjectThread(req, res);
+    if (!thread) {
+      return;
+    }
+    const limit = req.query.limit ? Number(req.query.limit) : undefined;
+    const messages = await listChatMessages(thread.id, { limit });
+    res.status(200).json({ success: true, thread, messages });
+  } catch (error) {
+    console.error('[ChatThreads] Messages failed:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch chat messages' });
+  }
+});
+
+router.post('/:threadId/messages', async (req, res) => {
+  try {
+    const thread = await loadProjectThread(req, res);
+    if (!thread) {
+      return;
+    }
+    const updated = await appendChatMessages(thread.id, req.body?.messages);
+    res.status(200).json({ success: true, thread: updated });
+  } catch (error) {
+    sendChatThreadError(res, error, 'Save messages', 'Failed to save chat messages');
+  }
+});
+
+export default router;
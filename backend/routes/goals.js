@@ -6,12 +6,18 @@ import {
   deleteGoalById,
   advanceGoalPhase,
   advanceGoalState,
+  setGoalDependencies,
+  setGoalAcceptanceChecks,
+  verifyGoalAcceptance,
   recordTestRunForGoal,
   runTestsForGoal,
   createMetaGoalWithChildren,
   planGoalFromPrompt
 } from '../services/agentOrchestrator.js';
 import { isLlmPlanningError, planGoalFromPromptFallback } from '../services/planningFallback.js';
+import { runWithLlmUsageContext } from '../services/llmUsage.js';
+import { cancelChildGoalRun, getChildGoalRun, startChildGoalRun } from '../services/goalScheduler.js';
+import { completePreviewElementCheck } from '../services/previewChecks.js';
 
 const router = express.Router();
 
@@ -140,7 +146,7 @@ router.post('/:id/state', async (req, res) => {
     if (/Goal not found/i.test(error.message)) {
       return res.status(404).json({ error: 'Goal not found' });
     }
-    if (/Invalid goal transition/i.test(error.message)) {
+    if (/Invalid goal transition|Acceptance checks failed/i.test(error.message)) {
       return res.status(400).json({ error: error.message });
     }
     console.error('Error advancing goal state:', error);
@@ -148,6 +154,130 @@ router.post('/:id/state', async (req, res) => {
   }
 });
 
+router.put('/:id/dependencies', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const { dependsOn } = req.body || {};
+
+    if (!id) {
+      return res.status(400).json({ error: 'id is required' });
+    }
+
+    const goal = await setGoalDependencies(id, dependsOn);
+    res.json({ goal });
+  } catch (error) {
+    if (/Goal not found/i.test(error.message)) {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+    if (/dependsOn must be an array|cannot depend on itself|must be sibling goals|form a cycle/i.test(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating goal dependencies:', error);
+    res.status(500).json({ error: 'Failed to update goal dependencies' });
+  }
+});
+
+router.put('/:id/acceptance-checks', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const { acceptanceChecks } = req.body || {};
+
+    if (!id) {
+      return res.status(400).json({ error: 'id is required' });
+    }
+
+    const goal = await setGoalAcceptanceChecks(id, acceptanceChecks);
+    res.json({ goal });
+  } catch (error) {
+    if (/Goal not found/i.test(error.message)) {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+    if (/acceptanceChecks must be an array|at most \d+ acceptance checks|Acceptance check \d+ is invalid/i.test(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating acceptance checks:', error);
+    res.status(500).json({ error: 'Failed to update acceptance checks' });
+  }
+});
+
+router.post('/:id/acceptance-checks/verify', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) {
+      return res.status(400).json({ error: 'id is required' });
+    }
+
+    const { goal, verification } = await verifyGoalAcceptance(id);
+    res.json({ goal, verification });
+  } catch (error) {
+    if (/Goal not found/i.test(error.message)) {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+    if (/no acceptance checks/i.test(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error verifying acceptance checks:', error);
+    res.status(500).json({ error: 'Failed to verify acceptance checks' });
+  }
+});
+
+// The browser answers element checks the verifier asked it to run in the preview.
+router.post('/preview-checks/:checkId', (req, res) => {
+  const { projectId, count, error } = req.body || {};
+  if (!projectId) {
+    return res.status(400).json({ error: 'projectId is required' });
+  }
+  if (!completePreviewElementCheck(req.params.checkId, projectId, { count, error })) {
+    return res.status(404).json({ error: 'Preview check not found' });
+  }
+  res.json({ success: true });
+});
+
+router.post('/:id/run-children', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const { maxParallel } = req.body || {};
+
+    if (!id) {
+      return res.status(400).json({ error: 'id is required' });
+    }
+
+    const run = await startChildGoalRun({ goalId: id, maxParallel });
+    res.status(202).json({ success: true, run });
+  } catch (error) {
+    if (/Goal not found/i.test(error.message)) {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+    if (/already running|already in progress|working tree changes/i.test(error.message)) {
+      return res.status(409).json({ error: error.message });
+    }
+    if (/no child goals to run|form a cycle/i.test(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error running child goals:', error);
+    res.status(500).json({ error: 'Failed to run child goals' });
+  }
+});
+
+router.get('/:id/run-children', (req, res) => {
+  const id = Number(req.params.id);
+  if (!id) {
+    return res.status(400).json({ error: 'id is required' });
+  }
+  res.json({ success: true, run: getChildGoalRun(id) });
+});
+
+router.post('/:id/run-children/cancel', (req, res) => {
+  const id = Number(req.params.id);
+  if (!id) {
+    return res.status(400).json({ error: 'id is required' });
+  }
+  if (!cancelChildGoalRun(id)) {
+    return res.status(409).json({ error: 'No child goal run is in progress' });
+  }
+  res.json({ success: true, run: getChildGoalRun(id) });
+});
+
 router.post('/:id/tests', async (req, res) => {
   try {
     const id = Number(req.params.id);
@@ -243,7 +373,7 @@ router.post('/plan-from-prompt', async (req, res) => {
       return res.status(400).json({ error: 'prompt is required' });
     }
 
-    const result = await planGoalFromPrompt({ projectId, prompt });
+    const result = await runWithLlmUsageContext({ projectId }, () => planGoalFromPrompt({ projectId, prompt }));
     res.status(201).json(result);
   } catch (error) {
     if (/projectId is required|prompt is required/i.test(error.message)) {
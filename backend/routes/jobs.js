@@ -4,6 +4,7 @@ import { getProject, getTestingSettings, getProjectTestingSettings } from '../da
 import { startJob, listJobsForProject, getJob, cancelJob } from '../services/jobRunner.js';
 import { describeBranchCssOnlyStatus } from '../services/branchWorkflow.js';
 import { resolveProjectLayout } from '../services/projectLayout.js';
+import { appendTestReportArgs, createTestReportFile, detectNodeTestRunner } from '../services/testReports.js';
 
 const router = express.Router({ mergeParams: true });
 
@@ -23,6 +24,29 @@ const pathExists = async (targetPath) => {
   }
 };
 
+const readPackageJson = async (manifestPath) => {
+  try {
+    const fs = await import('fs/promises');
+    return JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+  } catch {
+    return null;
+  }
+};
+
+// Ask the test runner for a machine-readable report next to its console output so the job
+// carries per-test results. Unknown runners keep the plain command.
+const withTestReport = (definition, runner) => {
+  const report = createTestReportFile(runner);
+  if (!report) {
+    return definition;
+  }
+  return {
+    ...definition,
+    args: appendTestReportArgs(definition.command, definition.args, report.args),
+    testReportFile: report.testReportFile
+  };
+};
+
 const ensureProjectPath = (project) => {
   if (!project.path) {
     const error = new Error('Project path not found. Please re-import or recreate the project.');
@@ -171,13 +195,13 @@ const buildJobDefinition = async (project, type, payload = {}) => {
       {
         const coverageTarget = resolveCoverageTargetOverride(payload)
           || await resolveTestingCoverageTarget(project.id, 'frontend');
-      return {
+      return withTestReport({
         displayName: 'Frontend tests',
         command: 'npm',
         args: ['run', 'test:coverage'],
         cwd: await ensureWorkingDir('Frontend workspace', frontendPath),
         coverageThresholds: buildCoverageThresholds(coverageTarget)
-      };
+      }, detectNodeTestRunner(await readPackageJson(layout.frontendWorkspaceManifestPath)));
       }
     case 'backend:install':
       if (hasBackendPackage) {
@@ -216,7 +240,7 @@ const buildJobDefinition = async (project, type, payload = {}) => {
       if (hasBackendPackage) {
         const coverageTarget = resolveCoverageTargetOverride(payload)
           || await resolveTestingCoverageTarget(project.id, 'backend');
-        return {
+        return withTestReport({
           displayName: 'Backend tests',
           command: 'npm',
           args: ['run', 'test:coverage'],
@@ -225,18 +249,18 @@ const buildJobDefinition = async (project, type, payload = {}) => {
             LUCIDCODER_COVERAGE_TARGET: String(coverageTarget)
           },
           coverageThresholds: buildCoverageThresholds(coverageTarget)
-        };
+        }, detectNodeTestRunner(await readPackageJson(layout.backendWorkspaceManifestPath)));
       }
       if (hasBackendRequirements) {
         const coverageTarget = resolveCoverageTargetOverride(payload)
           || await resolveTestingCoverageTarget(project.id, 'backend');
-        return {
+        return withTestReport({
           displayName: 'Backend tests',
           command: 'python',
           args: ['-m', 'pytest'],
           cwd: await ensureWorkingDir('Backend workspace', backendPath),
           coverageThresholds: buildCoverageThresholds(coverageTarget)
-        };
+        }, 'pytest');
       }
       throw Object.assign(new Error('Backend test runner not configured'), { statusCode: 400 });
     case 'frontend:add-package': {
@@ -327,6 +351,8 @@ const serializeJobResponse = (job) => {
     type: job.type,
     displayName: job.displayName,
     status: job.status,
+    priority: job.priority,
+    queuePosition: job.queuePosition ?? null,
     command: job.command,
     args: job.args,
     cwd: job.cwd,
@@ -340,6 +366,9 @@ const serializeJobResponse = (job) => {
   if (job.summary) {
     payload.summary = job.summary;
   }
+  if (job.testReport) {
+    payload.testReport = job.testReport;
+  }
   return payload;
 };
 
@@ -378,7 +407,8 @@ router.post('/', async (req, res) => {
     }
 
     const definition = await buildJobDefinition(project, type, payload);
-    const job = startJob({ projectId: project.id, type, ...definition });
+    // Jobs started from the UI are user-initiated, so they jump ahead of automated runs.
+    const job = startJob({ projectId: project.id, type, priority: 'high', ...definition });
 
     res.status(202).json({ success: true, job: serializeJobResponse(job) });
   } catch (error) {
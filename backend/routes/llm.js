@@ -5,6 +5,10 @@ import { encryptApiKey } from '../encryption.js';
 import { decryptApiKey } from '../encryption.js';
 import { llmClient, LLMClient } from '../llm-client.js';
 import { llmRequestMetrics } from '../services/llmRequestMetrics.js';
+import { LLM_ROLES, isLlmRole } from '../services/llmRouting.js';
+import { listLlmPrices } from '../services/llmPricing.js';
+import { getProjectBudgetStatus, runWithLlmUsageContext } from '../services/llmUsage.js';
+import { getGoal } from '../services/goalStore.js';
 
 const router = express.Router();
 
@@ -106,6 +110,22 @@ const summarizeSafeConfig = (config) => ({
   created_at: config.created_at
 });
 
+const summarizeProfile = (profile) => ({
+  id: profile.id,
+  name: profile.name,
+  provider: profile.provider,
+  model: profile.model,
+  api_url: profile.api_url,
+  requires_api_key: Boolean(profile.requires_api_key),
+  has_api_key: Boolean(profile.api_key_encrypted),
+  endpoint_path: profile.endpoint_path || null
+});
+
+const parseProfileId = (value) => {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
 // Report whether the server has a usable LLM configuration.
 // This is a stronger signal than GET /config because it checks for a decryptable
 // API key (when required) without ever returning the secret to the browser.
@@ -411,10 +431,286 @@ router.get('/config', async (req, res) => {
   }
 });
 
+// List model profiles together with the role routing table
+router.get('/profiles', async (req, res) => {
+  try {
+    const [profiles, routes] = await Promise.all([
+      db_operations.listLLMProfiles(),
+      db_operations.getLLMRoleRoutes()
+    ]);
+
+    res.json({
+      success: true,
+      roles: LLM_ROLES,
+      profiles: profiles.map(summarizeProfile),
+      routes
+    });
+  } catch (error) {
+    console.error('❌ Failed to get LLM profiles:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve LLM profiles'
+    });
+  }
+});
+
+const saveProfile = async (req, res, existing = null) => {
+  const { provider, apiKey, model, apiUrl } = req.body || {};
+  const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+
+  if (!name) {
+    return res.status(400).json({
+      success: false,
+      error: 'Profile name is required'
+    });
+  }
+
+  if (!provider || !model || !apiUrl) {
+    return res.status(400).json({
+      success: false,
+      error: 'Provider, model, and API URL are required'
+    });
+  }
+
+  const profiles = await db_operations.listLLMProfiles();
+  const duplicate = profiles.find(
+    (profile) => String(profile.name).toLowerCase() === name.toLowerCase() && profile.id !== existing?.id
+  );
+  if (duplicate) {
+    return res.status(409).json({
+      success: false,
+      error: `A profile named "${name}" already exists`
+    });
+  }
+
+  const providerWithoutKey = isProviderWithoutKey(provider);
+  const requiresApiKey = !providerWithoutKey;
+
+  let encryptedApiKey = null;
+  let effectiveApiKey = sanitizeApiKey(apiKey);
+
+  if (requiresApiKey) {
+    if (effectiveApiKey) {
+      encryptedApiKey = encryptApiKey(effectiveApiKey);
+      if (!encryptedApiKey) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to encrypt API key. Check server ENCRYPTION_KEY configuration.'
+        });
+      }
+    } else {
+      // Editing a profile without re-entering the key keeps the stored one.
+      const sameProvider =
+        existing &&
+        String(existing.provider || '').toLowerCase() === String(provider).toLowerCase();
+      const decrypted = sameProvider && existing.api_key_encrypted
+        ? sanitizeApiKey(decryptApiKey(existing.api_key_encrypted, { quiet: true }))
+        : '';
+
+      if (!decrypted) {
+        return res.status(400).json({
+          success: false,
+          error: 'API key is required for this provider'
+        });
+      }
+
+      encryptedApiKey = existing.api_key_encrypted;
+      effectiveApiKey = decrypted;
+    }
+  }
+
+  let probeResult;
+  try {
+    probeResult = await runRuntimeProbe({
+      provider,
+      model,
+      apiUrl,
+      apiKey: providerWithoutKey ? null : effectiveApiKey,
+      requiresApiKey
+    });
+  } catch (probeError) {
+    return res.status(400).json({
+      success: false,
+      error: probeError?.message || 'Profile test failed'
+    });
+  }
+
+  const saved = await db_operations.saveLLMProfile({
+    id: existing?.id,
+    name,
+    provider,
+    model,
+    apiUrl,
+    apiKeyEncrypted: encryptedApiKey,
+    requiresApiKey,
+    endpointPath: probeResult?.endpointPath || null
+  });
+
+  await llmClient.loadRoleRoutes();
+
+  console.log(`✅ LLM profile saved: ${name} (${provider}/${model})`);
+
+  return res.json({
+    success: true,
+    profile: summarizeProfile(saved)
+  });
+};
+
+// Create a named model profile (tested before it is stored)
+router.post('/profiles', async (req, res) => {
+  try {
+    await saveProfile(req, res);
+  } catch (error) {
+    console.error('❌ Failed to save LLM profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save profile'
+    });
+  }
+});
+
+// Update a named model profile
+router.put('/profiles/:id', async (req, res) => {
+  try {
+    const id = parseProfileId(req.params.id);
+    const existing = id ? await db_operations.getLLMProfile(id) : null;
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Profile not found'
+      });
+    }
+
+    await saveProfile(req, res, existing);
+  } catch (error) {
+    console.error('❌ Failed to save LLM profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save profile'
+    });
+  }
+});
+
+// Delete a profile; it is also removed from every role route
+router.delete('/profiles/:id', async (req, res) => {
+  try {
+    const id = parseProfileId(req.params.id);
+    const deleted = id ? await db_operations.deleteLLMProfile(id) : false;
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Profile not found'
+      });
+    }
+
+    await llmClient.loadRoleRoutes();
+
+    res.json({
+      success: true,
+      routes: await db_operations.getLLMRoleRoutes()
+    });
+  } catch (error) {
+    console.error('❌ Failed to delete LLM profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete profile'
+    });
+  }
+});
+
+// Replace the role routing table. Each role maps to an ordered list of profile
+// ids: the first is used, the rest are fallbacks when a provider errors.
+// Roles left out use the active configuration.
+router.put('/routes', async (req, res) => {
+  try {
+    const routes = req.body?.routes;
+    if (!routes || typeof routes !== 'object' || Array.isArray(routes)) {
+      return res.status(400).json({
+        success: false,
+        error: 'routes must be an object keyed by role'
+      });
+    }
+
+    const profileIds = new Set((await db_operations.listLLMProfiles()).map((profile) => profile.id));
+    const normalized = {};
+
+    for (const [role, ids] of Object.entries(routes)) {
+      if (!isLlmRole(role)) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown role: ${role}`
+        });
+      }
+
+      const list = Array.isArray(ids) ? ids.map(parseProfileId) : null;
+      if (!list || list.some((id) => !id || !profileIds.has(id))) {
+        return res.status(400).json({
+          success: false,
+          error: `Route for ${role} references an unknown profile`
+        });
+      }
+
+      normalized[role] = Array.from(new Set(list));
+    }
+
+    for (const role of LLM_ROLES) {
+      await db_operations.saveLLMRoleRoute(role, normalized[role] || []);
+    }
+
+    await llmClient.loadRoleRoutes();
+
+    res.json({
+      success: true,
+      routes: await db_operations.getLLMRoleRoutes()
+    });
+  } catch (error) {
+    console.error('❌ Failed to save LLM routes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save routes'
+    });
+  }
+});
+
 // Generate text using configured LLM
+const toPositiveId = (value) => {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+};
+
+// Optional projectId/goalId attribute UI-driven calls to a project's usage and budget.
+// A goal must belong to the given project.
+const resolveGenerateUsageContext = async ({ projectId, goalId }) => {
+  const hasGoal = goalId !== undefined && goalId !== null;
+  if ((projectId === undefined || projectId === null) && !hasGoal) {
+    return { context: {} };
+  }
+  const parsedProjectId = toPositiveId(projectId);
+  if (!parsedProjectId || !(await db_operations.getProject(parsedProjectId))) {
+    return { error: 'projectId must reference an existing project' };
+  }
+  if (!hasGoal) {
+    return { context: { projectId: parsedProjectId } };
+  }
+  const parsedGoalId = toPositiveId(goalId);
+  const goal = parsedGoalId ? await getGoal(parsedGoalId) : null;
+  if (!goal || Number(goal.projectId) !== parsedProjectId) {
+    return { error: 'goalId must reference a goal in the project' };
+  }
+  return { context: { projectId: parsedProjectId, goalId: goal.id } };
+};
+
 router.post('/generate', async (req, res) => {
   try {
-    const { messages, max_tokens, temperature, __lucidcoderDisableToolBridge } = req.body;
+    const {
+      messages,
+      max_tokens,
+      temperature,
+      projectId,
+      goalId,
+      __lucidcoderDisableToolBridge,
+      __lucidcoderPurpose
+    } = req.body;
 
     if (!messages || !Array.isArray(messages) || messages.length === 0) {
       return res.status(400).json({
@@ -423,6 +719,14 @@ router.post('/generate', async (req, res) => {
       });
     }
 
+    const usage = await resolveGenerateUsageContext({ projectId, goalId });
+    if (usage.error) {
+      return res.status(400).json({
+        success: false,
+        error: usage.error
+      });
+    }
+
     // Enforce DB-backed readiness before attempting to call the provider.
     const status = await db_operations.getActiveLLMConfig();
     if (!status) {
@@ -480,13 +784,15 @@ router.post('/generate', async (req, res) => {
       // Mock response for tests
       response = 'Test response from mocked LLM';
     } else {
-      response = await llmClient.generateResponse(messages, {
+      response = await runWithLlmUsageContext(usage.context, () => llmClient.generateResponse(messages, {
         max_tokens: max_tokens || 1000,
         temperature: temperature !== undefined ? temperature : 0.7,
         __lucidcoderDisableToolBridge: __lucidcoderDisableToolBridge !== false,
         __lucidcoderPhase: 'api_generate',
-        __lucidcoderRequestType: 'api_generate'
-      });
+        __lucidcoderRequestType: 'api_generate',
+        // The purpose tag lets the role routing table pick a profile for UI-driven calls.
+        ...(typeof __lucidcoderPurpose === 'string' ? { __lucidcoderPurpose } : {})
+      }));
     }
 
     res.json({
@@ -524,6 +830,111 @@ router.post('/request-metrics/reset', async (req, res) => {
   });
 });
 
+const parsePrice = (value) => {
+  const numeric = Number(value);
+  return value !== null && value !== '' && Number.isFinite(numeric) && numeric >= 0 ? numeric : null;
+};
+
+// Token and cost rollups. With ?projectId= the rollup (and budget status) covers one project.
+router.get('/usage', async (req, res) => {
+  try {
+    const projectId = req.query.projectId ? String(req.query.projectId) : null;
+    const usage = await db_operations.getLLMUsageRollup({ projectId });
+    res.json({
+      success: true,
+      usage,
+      budget: projectId ? await getProjectBudgetStatus(projectId) : null
+    });
+  } catch (error) {
+    console.error('❌ Failed to load LLM usage:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load LLM usage'
+    });
+  }
+});
+
+// Price table: built-in list prices merged with saved overrides (USD per million tokens).
+router.get('/prices', async (req, res) => {
+  try {
+    res.json({ success: true, prices: await listLlmPrices() });
+  } catch (error) {
+    console.error('❌ Failed to load LLM prices:', error);
+    res.status(500).json({ success: false, error: 'Failed to load LLM prices' });
+  }
+});
+
+router.put('/prices', async (req, res) => {
+  const { provider, model, input, output } = req.body || {};
+  const normalizedProvider = typeof provider === 'string' ? provider.trim().toLowerCase() : '';
+  const normalizedModel = typeof model === 'string' ? model.trim() : '';
+  const inputPerMillion = parsePrice(input);
+  const outputPerMillion = parsePrice(output);
+
+  if (!normalizedProvider || !normalizedModel) {
+    return res.status(400).json({ success: false, error: 'Provider and model are required' });
+  }
+  if (inputPerMillion === null || outputPerMillion === null) {
+    return res.status(400).json({ success: false, error: 'Input and output prices must be non-negative numbers' });
+  }
+
+  try {
+    await db_operations.saveLLMPrice({
+      provider: normalizedProvider,
+      model: normalizedModel,
+      inputPerMillion,
+      outputPerMillion
+    });
+    res.json({ success: true, prices: await listLlmPrices() });
+  } catch (error) {
+    console.error('❌ Failed to save LLM price:', error);
+    res.status(500).json({ success: false, error: 'Failed to save LLM price' });
+  }
+});
+
+// Drops a saved override so the model goes back to its built-in price (if any).
+// Model names can contain slashes, so provider/model come from the query string.
+router.delete('/prices', async (req, res) => {
+  try {
+    const deleted = await db_operations.deleteLLMPrice(
+      String(req.query.provider || '').trim().toLowerCase(),
+      String(req.query.model || '').trim()
+    );
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Price override not found' });
+    }
+    res.json({ success: true, prices: await listLlmPrices() });
+  } catch (error) {
+    console.error('❌ Failed to delete LLM price:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete LLM price' });
+  }
+});
+
+// Hard spend limit for a project. Autopilot pauses for approval once it is reached;
+// budgetUsd: null removes the limit.
+router.put('/budgets/:projectId', async (req, res) => {
+  const { projectId } = req.params;
+  const rawBudget = req.body?.budgetUsd;
+  const budgetUsd = rawBudget === null ? null : parsePrice(rawBudget);
+
+  if (rawBudget !== null && budgetUsd === null) {
+    return res.status(400).json({ success: false, error: 'budgetUsd must be a non-negative number or null' });
+  }
+
+  try {
+    const project = await db_operations.getProject(projectId);
+    if (!project) {
+      return res.status(404).json({ success: false, error: 'Project not found' });
+    }
+
+    await db_operations.saveProjectLLMBudget(projectId, budgetUsd);
+    res.json({ success: true, budget: await getProjectBudgetStatus(projectId) });
+  } catch (error) {
+    console.error('❌ Failed to save LLM budget:', error);
+    res.status(500).json({ success: false, error: 'Failed to save LLM budget' });
+  }
+});
+
 // Get API usage logs
 router.get('/logs', async (req, res) => {
   try {
@@ -33,6 +33,7 @@ const isTestEnvironment = process.env.NODE_ENV === 'test';
 const DEFAULT_FRONTEND_PORTS = {
   react: 5173,
   vue: 5173,
+  svelte: 5173,
   nextjs: 3000,
   angular: 4200
 };
@@ -510,6 +511,17 @@ const buildPreviewBridgeScript = ({ previewPrefix }) => {
           return;
         }
 
+        if (data.type === 'LUCIDCODER_PREVIEW_QUERY_SELECTOR') {
+          var nonce = data.nonce || null;
+          try {
+            var matches = document.querySelectorAll(String(data.selector || ''));
+            send('LUCIDCODER_PREVIEW_QUERY_RESULT', { nonce: nonce, count: matches.length });
+          } catch (queryError) {
+            send('LUCIDCODER_PREVIEW_QUERY_RESULT', { nonce: nonce, error: 'Invalid selector: ' + String(data.selector || '') });
+          }
+          return;
+        }
+
         if (data.type === 'LUCIDCODER_PREVIEW_NAVIGATE') {
           navigateToHref(data.href);
         }
@@ -590,6 +602,223 @@ const buildPreviewBridgeScript = ({ previewPrefix }) => {
     window.addEventListener('mousedown', emitContextMenu, true);
     window.addEventListener('mousedown', emitPointerDown, true);
 
+    // Runtime error capture: forwards console errors/warnings, uncaught
+    // exceptions, unhandled rejections and failed requests to the parent so
+    // the UI (and the autopilot) can see why a preview broke.
+    var RUNTIME_ERROR_WINDOW_MS = 5000;
+    var RUNTIME_ERROR_WINDOW_LIMIT = 25;
+    var runtimeErrorWindowStart = 0;
+    var runtimeErrorsInWindow = 0;
+
+    var stringifyRuntimeValue = function(value){
+      try {
+        if (value instanceof Error) return value.message || String(value);
+        if (typeof value === 'string') return value;
+        if (value === undefined) return 'undefined';
+        var json = JSON.stringify(value);
+        return typeof json === 'string' ? json : String(value);
+      } catch (e) {
+        try {
+          return String(value);
+        } catch (err) {
+          return '';
+        }
+      }
+    };
+
+    var readStack = function(value){
+      return value && typeof value.stack === 'string' ? value.stack : '';
+    };
+
+    var sendRuntimeError = function(details){
+      try {
+        var now = Date.now();
+        if (now - runtimeErrorWindowStart > RUNTIME_ERROR_WINDOW_MS) {
+          runtimeErrorWindowStart = now;
+          runtimeErrorsInWindow = 0;
+        }
+        runtimeErrorsInWindow += 1;
+        if (runtimeErrorsInWindow > RUNTIME_ERROR_WINDOW_LIMIT) return;
+
+        details.href = readHref();
+        details.timestamp = now;
+        send('LUCIDCODER_PREVIEW_RUNTIME_ERROR', details);
+      } catch (e) {
+        // ignore
+      }
+    };
+
+    var wrapConsole = function(level){
+      var target = window.console;
+      var original = target && target[level];
+      if (typeof original !== 'function') return;
+
+      target[level] = function(){
+        try {
+          var args = Array.prototype.slice.call(arguments);
+          var stack = '';
+          for (var i = 0; i < args.length && !stack; i += 1) {
+            stack = readStack(args[i]);
+          }
+          sendRuntimeError({
+            kind: 'console',
+            level: level,
+            message: args.map(stringifyRuntimeValue).join(' '),
+            stack: stack
+          });
+        } catch (e) {
+          // ignore
+        }
+        return original.apply(this, arguments);
+      };
+    };
+
+    var isAbortError = function(error){
+      return Boolean(error && error.name === 'AbortError');
+    };
+
+    var wrapFetch = function(){
+      var originalFetch = window.fetch;
+      if (typeof originalFetch !== 'function') return;
+
+      window.fetch = function(input, init){
+        var method = (init && init.method) || (input && typeof input === 'object' && input.method) || 'GET';
+        var url = typeof input === 'string' ? input : ((input && input.url) || String(input));
+
+        return originalFetch.apply(this, arguments).then(function(response){
+          if (response && response.ok === false && response.type !== 'opaque') {
+            sendRuntimeError({
+              kind: 'network',
+              level: 'error',
+              message: 'Request failed with status ' + response.status,
+              method: String(method),
+              url: String(url),
+              status: response.status
+            });
+          }
+          return response;
+        }, function(error){
+          if (!isAbortError(error)) {
+            sendRuntimeError({
+              kind: 'network',
+              level: 'error',
+              message: 'Request failed: ' + stringifyRuntimeValue(error),
+              method: String(method),
+              url: String(url),
+              stack: readStack(error)
+            });
+          }
+          throw error;
+        });
+      };
+    };
+
+    var wrapXhr = function(){
+      var Xhr = window.XMLHttpRequest;
+      if (!Xhr || !Xhr.prototype) return;
+
+      var originalOpen = Xhr.prototype.open;
+      var originalSend = Xhr.prototype.send;
+      if (typeof originalOpen !== 'function' || typeof originalSend !== 'function') return;
+
+      Xhr.prototype.open = function(method, url){
+        try {
+          this.__lucidcoderRequest = { method: String(method || 'GET'), url: String(url || '') };
+        } catch (e) {
+          // ignore
+        }
+        return originalOpen.apply(this, arguments);
+      };
+
+      Xhr.prototype.send = function(){
+        var xhr = this;
+        try {
+          var info = xhr.__lucidcoderRequest || { method: 'GET', url: '' };
+          xhr.addEventListener('load', function(){
+            if (xhr.status >= 400) {
+              sendRuntimeError({
+                kind: 'network',
+                level: 'error',
+                message: 'Request failed with status ' + xhr.status,
+                method: info.method,
+                url: info.url,
+                status: xhr.status
+              });
+            }
+          });
+          xhr.addEventListener('error', function(){
+            sendRuntimeError({
+              kind: 'network',
+              level: 'error',
+              message: 'Request failed: network error',
+              method: info.method,
+              url: info.url
+            });
+          });
+        } catch (e) {
+          // ignore
+        }
+        return originalSend.apply(this, arguments);
+      };
+    };
+
+    var emitWindowError = function(event){
+      try {
+        if (!event) return;
+
+        // Resource load failures (script/img/link) do not bubble, so they only
+        // reach this capture-phase listener with the element as target.
+        var target = event.target;
+        if (target && target !== window && typeof target.tagName === 'string') {
+          sendRuntimeError({
+            kind: 'network',
+            level: 'error',
+            message: 'Failed to load ' + target.tagName.toLowerCase() + ' resource',
+            url: String(target.src || target.href || '')
+          });
+          return;
+        }
+
+        sendRuntimeError({
+          kind: 'error',
+          level: 'error',
+          message: event.message || stringifyRuntimeValue(event.error),
+          stack: readStack(event.error),
+          source: event.filename || '',
+          line: event.lineno,
+          column: event.colno
+        });
+      } catch (e) {
+        // ignore
+      }
+    };
+
+    var emitUnhandledRejection = function(event){
+      try {
+        var reason = event ? event.reason : undefined;
+        if (isAbortError(reason)) return;
+        sendRuntimeError({
+          kind: 'unhandledrejection',
+          level: 'error',
+          message: 'Unhandled promise rejection: ' + stringifyRuntimeValue(reason),
+          stack: readStack(reason)
+        });
+      } catch (e) {
+        // ignore
+      }
+    };
+
+    // Only instrument the app when it is embedded in the LucidCoder preview;
+    // opening the preview in a new tab should leave the page untouched.
+    if (window.parent !== window) {
+      wrapConsole('error');
+      wrapConsole('warn');
+      wrapFetch();
+      wrapXhr();
+      window.addEventListener('error', emitWindowError, true);
+      window.addEventListener('unhandledrejection', emitUnhandledRejection);
+    }
+
     send('LUCIDCODER_PREVIEW_HELPER_READY', { href: readHref() });
 
     // Fall back: poll for safety (covers frameworks that bypass history wrappers).
@@ -981,7 +1210,9 @@ const resolvePreviewTargetHost = (req) => {
   return hostname;
 };
 
-export const createPreviewProxy = ({ logger = console } = {}) => {
+// `authorize(req, projectId)` resolves to null when the preview may be served, or to
+// `{ statusCode, error }` when it may not.
+export const createPreviewProxy = ({ logger = console, authorize = null } = {}) => {
   const proxy = httpProxy.createProxyServer({
     ws: true,
     xfwd: true,
@@ -1190,6 +1421,12 @@ export const createPreviewProxy = ({ logger = console } = {}) => {
         return;
       }
 
+      const denied = authorize ? await authorize(req, info.projectId) : null;
+      if (denied) {
+        res.status(denied.statusCode).send(denied.error);
+        return;
+      }
+
       const servedProjectUpload = await tryServeProjectUpload({
         projectId: info.projectId,
         forwardPath: info.forwardPath,
@@ -1226,7 +1463,13 @@ export const createPreviewProxy = ({ logger = console } = {}) => {
         return;
       }
 
-      Promise.resolve(resolveFrontendPortForRequest(info.projectId, req, { returnTarget: true }))
+      Promise.resolve(authorize ? authorize(req, info.projectId) : null)
+        .then((denied) => {
+          if (denied) {
+            throw new Error(denied.error);
+          }
+          return resolveFrontendPortForRequest(info.projectId, req, { returnTarget: true });
+        })
         .then((selectedTarget) => {
           if (!selectedTarget?.port) {
             return;
@@ -1271,12 +1514,12 @@ export const createPreviewProxy = ({ logger = console } = {}) => {
   };
 };
 
-export const attachPreviewProxy = ({ app, server, logger = console } = {}) => {
+export const attachPreviewProxy = ({ app, server, logger = console, authorize = null } = {}) => {
   if (!app || typeof app.use !== 'function') {
     throw new Error('attachPreviewProxy requires an express app');
   }
 
-  const instance = createPreviewProxy({ logger });
+  const instance = createPreviewProxy({ logger, authorize });
   app.use(instance.middleware);
   instance.registerUpgradeHandler(server);
   return instance.proxy;
@@ -0,0 +1,110 @@
+import express from 'express';
+import {
+  buildProjectMemoryContext,
+  createProjectMemory,
+  deleteProjectMemory,
+  getProjectMemory,
+  getProjectMemorySettings,
+  listProjectMemories,
+  updateProjectMemory,
+  updateProjectMemorySettings
+} from '../services/projectMemoryStore.js';
+
+const router = express.Router({ mergeParams: true });
+
+const isValidationError = (error) => /must be/.test(error?.message || '');
+
+// Resolves the memory for the request, answering 404 when it belongs to another project.
+const loadProjectMemory = async (req, res) => {
+  const { projectId, memoryId } = req.params;
+  const memory = await getProjectMemory(memoryId);
+  if (!memory || String(memory.projectId) !== String(projectId)) {
+    res.status(404).json({ success: false, error: 'Project memory not found' });
+    return null;
+  }
+  return memory;
+};
+
+router.get('/', async (req, res) => {
+  try {
+    const [memories, settings] = await Promise.all([
+      listProjectMemories(req.params.projectId),
+      getProjectMemorySettings(req.params.projectId)
+    ]);
+    res.status(200).json({ success: true, memories, settings });
+  } catch (error) {
+    console.error('[ProjectMemory] List failed:', error);
+    res.status(500).json({ success: false, error: 'Failed to list project memory' });
+  }
+});
+
+// Shows exactly what the agents receive, after the token budget is applied.
+router.get('/preview', async (req, res) => {
+  try {
+    const context = await buildProjectMemoryContext(req.params.projectId);
+    res.status(200).json({ success: true, context });
+  } catch (error) {
+    console.error('[ProjectMemory] Preview failed:', error);
+    res.status(500).json({ success: false, error: 'Failed to build project memory preview' });
+  }
+});
+
+router.put('/settings', async (req, res) => {
+  try {
+    const { autoCapture, tokenBudget } = req.body || {};
+    const settings = await updateProjectMemorySettings(req.params.projectId, { autoCapture, tokenBudget });
+    res.status(200).json({ success: true, settings });
+  } catch (error) {
+    if (isValidationError(error)) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('[ProjectMemory] Settings update failed:', error);
+    res.status(500).json({ success: false, error: 'Failed to update project memory settings' });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const { kind, content, priority, enabled } = req.body || {};
+    const memory = await createProjectMemory(req.params.projectId, { kind, content, priority, enabled });
+    res.status(201).json({ success: true, memory });
+  } catch (error) {
+    if (isValidationError(error)) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('[ProjectMemory] Create failed:', error);
+    res.status(500).json({ success: false, error: 'Failed to save project memory' });
+  }
+});
+
+router.put('/:memoryId', async (req, res) => {
+  try {
+    if (!(await loadProjectMemory(req, res))) {
+      return;
+    }
+    const { kind, content, priority, enabled } = req.body || {};
+    const memory = await updateProjectMemory(req.params.memoryId, { kind, content, priority, enabled });
+    res.status(200).json({ success: true, memory });
+  } catch (error) {
+    if (isValidationError(error)) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('[ProjectMemory] Update failed:', error);
+    res.status(500).json({ success: false, error: 'Failed to update project memory' });
+  }
+});
+
+router.delete('/:memoryId', async (req, res) => {
+  try {
+    if (!(await loadProjectMemory(req, res))) {
+      return;
+    }
+    await deleteProjectMemory(req.params.memoryId);
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('[ProjectMemory] Delete failed:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete project memory' });
+  }
+});
+
+export default router;
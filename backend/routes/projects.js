@@ -30,6 +30,7 @@ import {
   ensureInitialCommit
 } from '../utils/git.js';
 import { startJob } from '../services/jobRunner.js';
+import { filterProjectsForUser, resolveProjectOwnerId } from '../services/projectAccess.js';
 import { applyCompatibility, applyProjectStructure } from '../services/importCompatibility.js';
 import {
   initProgress,
@@ -57,6 +58,9 @@ import { registerProjectFileRoutes } from './projects/routes.files.js';
 import { registerProjectGitRoutes } from './projects/routes.git.js';
 import { registerProjectProcessRoutes } from './projects/routes.processes.js';
 import { registerProjectTestingRoutes } from './projects/routes.testing.js';
+import { registerProjectPreviewRoutes } from './projects/routes.preview.js';
+import { registerProjectAuditRoutes } from './projects/routes.audit.js';
+import { registerProjectConflictRoutes } from './projects/routes.conflicts.js';
 import { enqueueInstallJobs } from './projects/installJobs.js';
 import {
   copyDirectoryRecursive,
@@ -124,6 +128,9 @@ registerProjectProcessRoutes(router);
 registerProjectFileRoutes(router);
 registerProjectGitRoutes(router);
 registerProjectTestingRoutes(router);
+registerProjectPreviewRoutes(router);
+registerProjectAuditRoutes(router);
+registerProjectConflictRoutes(router);
 
 // POST /api/projects/validate-local-path - Validate local import path
 router.post('/validate-local-path', async (req, res) => {
@@ -157,10 +164,10 @@ router.post('/validate-local-path', async (req, res) => {
 // GET /api/projects - Get all projects
 router.get('/', async (req, res) => {
   try {
-    const projects = await getAllProjects();
+    const projects = filterProjectsForUser(req.user, (await getAllProjects()) || []);
     res.json({
       success: true,
-      projects: (projects || []).map(normalizeProjectDates)
+      projects: projects.map(normalizeProjectDates)
     });
   } catch (error) {
     console.error('Error fetching projects:', error);
@@ -285,7 +292,8 @@ router.post('/import', async (req, res) => {
       framework: `${frontendConfig.framework},${backendConfig.framework}`,
       path: projectPath,
       frontendPort: null,
-      backendPort: null
+      backendPort: null,
+      ownerUserId: resolveProjectOwnerId(req.user)
     };
 
     const project = await createProject(dbProjectData);
@@ -549,7 +557,8 @@ router.post('/', async (req, res) => {
         framework: `${frontend.framework},${backend.framework}`,
         path: projectPath,
         frontendPort: null,
-        backendPort: null
+        backendPort: null,
+        ownerUserId: resolveProjectOwnerId(req.user)
       };
 
       const project = await createProject(dbProjectData);
@@ -667,7 +676,8 @@ router.post('/', async (req, res) => {
       framework: `${frontend.framework},${backend.framework}`,
       path: projectPath,
       frontendPort: processPorts.frontendPort,
-      backendPort: processPorts.backendPort
+      backendPort: processPorts.backendPort,
+      ownerUserId: resolveProjectOwnerId(req.user)
     };
     
     const project = await createProject(dbProjectData);
@@ -0,0 +1,289 @@
+import path from 'path';
+import { Worker } from 'worker_threads';
+import { runGitCommand } from '../../utils/git.js';
+import { IGNORED_DIRECTORIES, IGNORED_FILES } from '../../services/codeEditAgent/ignoredPaths.js';
+import { isSensitiveRepoPath, normalizeRepoPath } from './internals.js';
+import {
+  FileSearchError,
+  SEARCH_LIMITS,
+  buildSearchPattern,
+  escapeRegExp,
+  findMatchesInContent,
+  replaceInContent
+} from './fileSearchMatching.js';
+
+const toFlag = (value) => value === true || value === 'true';
+
+// Accepts the request body (or query) shape: { query, regex, caseSensitive, wholeWord, include, exclude }.
+export const normalizeSearchOptions = (input = {}) => {
+  const query = typeof input.query === 'string' ? input.query : '';
+  if (!query) {
+    throw new FileSearchError('Search query is required');
+  }
+  if (query.length > SEARCH_LIMITS.maxQueryLength) {
+    throw new FileSearchError(`Search query must be ${SEARCH_LIMITS.maxQueryLength} characters or fewer`);
+  }
+
+  const options = {
+    query,
+    regex: toFlag(input.regex),
+    caseSensitive: toFlag(input.caseSensitive),
+    wholeWord: toFlag(input.wholeWord),
+    include: parseGlobList(input.include),
+    exclude: parseGlobList(input.exclude)
+  };
+  // Compile once here so an invalid regular expression is rejected before any results stream.
+  buildSearchPattern(options);
+  return options;
+};
+
+// Globs are comma separated. `*` and `?` stay within a path segment, `**` crosses segments and
+// `{a,b}` lists alternatives. A glob without a slash matches at any depth (`*.test.js`), and a
+// glob that names a folder matches everything below it (`src/components`).
+const globToRegExp = (glob) => {
+  let source = '';
+  let braceDepth = 0;
+  for (let index = 0; index < glob.length; index += 1) {
+    const char = glob[index];
+    if (char === '*') {
+      if (glob[index + 1] === '*') {
+        const followedBySlash = glob[index + 2] === '/';
+        source += followedBySlash ? '(?:.*/)?' : '.*';
+        index += followedBySlash ? 2 : 1;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      braceDepth += 1;
+      source += '(?:';
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth -= 1;
+      source += ')';
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`);
+};
+
+const splitGlobs = (value) => {
+  const globs = [];
+  let current = '';
+  let braceDepth = 0;
+  for (const char of value) {
+    if (char === ',' && braceDepth === 0) {
+      globs.push(current);
+      current = '';
+      continue;
+    }
+    if (char === '{') braceDepth += 1;
+    if (char === '}' && braceDepth > 0) braceDepth -= 1;
+    current += char;
+  }
+  globs.push(current);
+  return globs;
+};
+
+export const parseGlobList = (value) => {
+  const raw = Array.isArray(value) ? value.join(',') : (typeof value === 'string' ? value : '');
+  return splitGlobs(raw)
+    .map((glob) => glob.trim().replace(/\\/g, '/').replace(/^\.?\/+/, '').replace(/\/+$/, ''))
+    .filter(Boolean)
+    .map((glob) => globToRegExp(glob.includes('/') ? glob : `**/${glob}`));
+};
+
+export const matchesAnyGlob = (repoPath, globs) => {
+  const segments = repoPath.split('/');
+  for (let length = segments.length; length > 0; length -= 1) {
+    const candidate = segments.slice(0, length).join('/');
+    if (globs.some((glob) => glob.test(candidate))) {
+      return true;
+    }
+  }
+  return false;
+};
+
+const isIgnoredRepoPath = (repoPath) => {
+  const segments = repoPath.split('/');
+  return IGNORED_FILES.has(segments[segments.length - 1])
+    || segments.slice(0, -1).some((segment) => IGNORED_DIRECTORIES.has(segment))
+    || isSensitiveRepoPath(repoPath);
+};
+
+const walkProjectFiles = async (fs, projectPath, relative = '', bucket = []) => {
+  const entries = await fs.readdir(path.join(projectPath, relative), { withFileTypes: true });
+  for (const entry of entries) {
+    const repoPath = relative ? `${relative}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRECTORIES.has(entry.name)) {
+        await walkProjectFiles(fs, projectPath, repoPath, bucket);
+      }
+    } else if (entry.isFile()) {
+      bucket.push(repoPath);
+    }
+  }
+  return bucket;
+};
+
+// git already applies .gitignore (and .git/info/exclude); folders that are not repositories are
+// walked directly, skipping only the ignored directories.
+export const listSearchableFiles = async ({ fs, projectPath }) => {
+  let files;
+  try {
+    const result = await runGitCommand(projectPath, ['ls-files', '--cached', '--others', '--exclude-standard', '-z']);
+    files = result.stdout.split('\0').filter(Boolean);
+  } catch {
+    files = await walkProjectFiles(fs, projectPath);
+  }
+
+  return Array.from(new Set(files.map(normalizeRepoPath)))
+    .filter((repoPath) => repoPath && !isIgnoredRepoPath(repoPath))
+    .sort();
+};
+
+const readSearchableFile = async (fs, projectPath, repoPath) => {
+  const fullPath = path.join(projectPath, repoPath);
+  try {
+    // lstat: a tracked symlink is not followed out of the project.
+    const stats = await fs.lstat(fullPath);
+    if (!stats.isFile() || stats.size > SEARCH_LIMITS.maxFileBytes) {
+      return null;
+    }
+    const content = await fs.readFile(fullPath, 'utf-8');
+    // NUL bytes mean a binary file; skip it rather than report garbage matches.
+    return content.includes('\0') ? null : content;
+  } catch {
+    return null;
+  }
+};
+
+const selectFiles = async ({ fs, projectPath, options }) => {
+  const files = await listSearchableFiles({ fs, projectPath });
+  return files.filter((repoPath) => (
+    (!options.include.length || matchesAnyGlob(repoPath, options.include))
+    && !matchesAnyGlob(repoPath, options.exclude)
+  ));
+};
+
+const searchTimeoutError = () => new FileSearchError(
+  `Search stopped after ${SEARCH_LIMITS.maxSearchMs / 1000} seconds; narrow it with include globs or a simpler pattern`
+);
+
+// Literal searches compile to patterns that run in linear time and are matched in place. A
+// regular expression comes from the user and may backtrack for minutes on one line, so it runs
+// in a worker that is terminated once the search runs past `deadline`.
+const createContentMatcher = (options, deadline) => {
+  if (!options.regex) {
+    const pattern = buildSearchPattern(options);
+    return {
+      find: async (content, limit) => findMatchesInContent(content, pattern, limit),
+      replace: async (content, replacement) => replaceInContent(content, pattern, replacement, options),
+      close: async () => {}
+    };
+  }
+
+  const { query, caseSensitive, wholeWord } = options;
+  const worker = new Worker(new URL('./fileSearchWorker.js', import.meta.url), {
+    workerData: { options: { query, regex: true, caseSensitive, wholeWord } }
+  });
+  let pending = null;
+  worker.on('message', (result) => pending?.settle(null, result));
+  worker.on('error', (error) => pending?.settle(error));
+  const call = (message) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      worker.terminate();
+      pending?.settle(searchTimeoutError());
+    }, Math.max(0, deadline - Date.now()));
+    pending = {
+      settle: (error, result) => {
+        clearTimeout(timer);
+        pending = null;
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      }
+    };
+    worker.postMessage(message);
+  });
+  return {
+    find: (content, limit) => call({ type: 'find', content, limit }),
+    replace: (content, replacement) => call({ type: 'replace', content, replacement }),
+    close: () => worker.terminate()
+  };
+};
+
+// Calls `onFile({ path, matches })` for every file with matches, in path order, and stops once
+// `SEARCH_LIMITS.maxMatches` have been reported or `shouldCancel()` returns true. A search that
+// runs past `SEARCH_LIMITS.maxSearchMs` fails with a FileSearchError.
+export const searchProjectFiles = async ({ fs, projectPath, options, onFile, shouldCancel = () => false }) => {
+  const deadline = Date.now() + SEARCH_LIMITS.maxSearchMs;
+  const matcher = createContentMatcher(options, deadline);
+  const summary = { filesSearched: 0, fileCount: 0, matchCount: 0, truncated: false };
+
+  try {
+    const files = await selectFiles({ fs, projectPath, options });
+    for (const repoPath of files) {
+      if (shouldCancel()) {
+        break;
+      }
+      if (summary.matchCount >= SEARCH_LIMITS.maxMatches) {
+        summary.truncated = true;
+        break;
+      }
+      if (Date.now() > deadline) {
+        throw searchTimeoutError();
+      }
+      const content = await readSearchableFile(fs, projectPath, repoPath);
+      if (content === null) {
+        continue;
+      }
+      summary.filesSearched += 1;
+      const matches = await matcher.find(content, SEARCH_LIMITS.maxMatches - summary.matchCount);
+      if (matches.length) {
+        summary.fileCount += 1;
+        summary.matchCount += matches.length;
+        onFile({ path: repoPath, matches });
+      }
+    }
+  } finally {
+    await matcher.close();
+  }
+
+  return summary;
+};
+
+// Computes the replaced content for every matching file (optionally only `paths`) without writing.
+// It has the same time limit as a search.
+export const previewProjectReplace = async ({ fs, projectPath, options, replacement, paths = null }) => {
+  const deadline = Date.now() + SEARCH_LIMITS.maxSearchMs;
+  const matcher = createContentMatcher(options, deadline);
+  const allowed = Array.isArray(paths) ? new Set(paths.map(normalizeRepoPath)) : null;
+
+  const results = [];
+  try {
+    const files = (await selectFiles({ fs, projectPath, options }))
+      .filter((repoPath) => !allowed || allowed.has(repoPath));
+    for (const repoPath of files) {
+      if (Date.now() > deadline) {
+        throw searchTimeoutError();
+      }
+      const content = await readSearchableFile(fs, projectPath, repoPath);
+      if (content === null) {
+        continue;
+      }
+      const replaced = await matcher.replace(content, replacement);
+      if (replaced.count > 0) {
+        results.push({ path: repoPath, replacements: replaced.count, changes: replaced.changes, content: replaced.content });
+      }
+    }
+  } finally {
+    await matcher.close();
+  }
+  return results;
+};
@@ -0,0 +1,113 @@
+// Pattern matching for project file search. Nothing here touches the file system, so the
+// worker that runs user-supplied regular expressions can load it on its own.
+
+export const SEARCH_LIMITS = {
+  maxQueryLength: 500,
+  maxFileBytes: 1024 * 1024,
+  maxMatches: 2000,
+  maxPreviewChars: 240,
+  maxSearchMs: 10_000
+};
+
+export class FileSearchError extends Error {
+  constructor(message, { statusCode = 400 } = {}) {
+    super(message);
+    this.name = 'FileSearchError';
+    this.statusCode = statusCode;
+  }
+}
+
+export const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export const buildSearchPattern = ({ query, regex, caseSensitive, wholeWord }) => {
+  let source = regex ? query : escapeRegExp(query);
+  if (wholeWord) {
+    source = `\\b(?:${source})\\b`;
+  }
+  try {
+    return new RegExp(source, caseSensitive ? 'g' : 'gi');
+  } catch (error) {
+    throw new FileSearchError(`Invalid regular expression: ${error.message}`);
+  }
+};
+
+// Long lines (minified code) are cut to a window around the match.
+const toPreview = (line, index) => {
+  if (line.length <= SEARCH_LIMITS.maxPreviewChars) {
+    return { preview: line, previewOffset: 0 };
+  }
+  const start = Math.max(0, Math.min(index - 40, line.length - SEARCH_LIMITS.maxPreviewChars));
+  return { preview: line.slice(start, start + SEARCH_LIMITS.maxPreviewChars), previewOffset: start };
+};
+
+// Matches are found line by line, so a pattern never spans a line break.
+export const findMatchesInContent = (content, pattern, limit = Infinity) => {
+  const matches = [];
+  const lines = content.split('\n');
+  for (let lineIndex = 0; lineIndex < lines.length && matches.length < limit; lineIndex += 1) {
+    const line = lines[lineIndex].replace(/\r$/, '');
+    pattern.lastIndex = 0;
+    let match = pattern.exec(line);
+    while (match && matches.length < limit) {
+      if (match[0].length === 0) {
+        pattern.lastIndex += 1;
+      } else {
+        matches.push({
+          line: lineIndex + 1,
+          column: match.index + 1,
+          length: match[0].length,
+          ...toPreview(line, match.index)
+        });
+      }
+      match = pattern.exec(line);
+    }
+  }
+  return matches;
+};
+
+// Expands `$&`, `$1`, `$<name>`, `` $` ``, `$'` and `$$` the way String#replace does, from the
+// arguments String#replace passes to a replacer function.
+const expandReplacement = (template, [match, ...rest]) => {
+  const named = typeof rest[rest.length - 1] === 'string' ? undefined : rest.pop();
+  const input = rest.pop();
+  const offset = rest.pop();
+  const groups = rest;
+  return template.replace(/\$(\$|&|`|'|(\d{1,2})|<([^>]*)>)/g, (token, key, digits, name) => {
+    if (key === '$') return '$';
+    if (key === '&') return match;
+    if (key === '`') return input.slice(0, offset);
+    if (key === "'") return input.slice(offset + match.length);
+    if (name !== undefined) return named?.[name] ?? '';
+    const index = Number(digits);
+    if (index >= 1 && index <= groups.length) return groups[index - 1] ?? '';
+    const single = Number(digits[0]);
+    if (digits.length === 2 && single >= 1 && single <= groups.length) {
+      return `${groups[single - 1] ?? ''}${digits[1]}`;
+    }
+    return token;
+  });
+};
+
+// `$1`-style references work in regex mode; in literal mode the replacement is inserted as typed.
+// Like the search, replacement runs line by line and skips empty matches.
+export const replaceInContent = (content, pattern, replacement, { regex = false } = {}) => {
+  let count = 0;
+  const changes = [];
+  const lines = content.split('\n').map((rawLine, index) => {
+    const carriageReturn = rawLine.endsWith('\r') ? '\r' : '';
+    const line = carriageReturn ? rawLine.slice(0, -1) : rawLine;
+    pattern.lastIndex = 0;
+    const updated = line.replace(pattern, (...args) => {
+      if (args[0].length === 0) {
+        return '';
+      }
+      count += 1;
+      return regex ? expandReplacement(replacement, args) : replacement;
+    });
+    if (updated !== line) {
+      changes.push({ line: index + 1, before: line, after: updated });
+    }
+    return `${updated}${carriageReturn}`;
+  });
+  return { content: lines.join('\n'), count, changes };
+};
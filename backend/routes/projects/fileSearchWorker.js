@@ -0,0 +1,13 @@
+import { parentPort, workerData } from 'worker_threads';
+import { buildSearchPattern, findMatchesInContent, replaceInContent } from './fileSearchMatching.js';
+
+// Runs a user-supplied regular expression off the server's event loop. A pattern that
+// backtracks for too long is stopped by terminating this worker.
+const { options } = workerData;
+const pattern = buildSearchPattern(options);
+
+parentPort.on('message', ({ type, content, limit, replacement }) => {
+  parentPort.postMessage(type === 'replace'
+    ? replaceInContent(content, pattern, replacement, options)
+    : findMatchesInContent(content, pattern, limit));
+});
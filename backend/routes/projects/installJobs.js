@@ -2,6 +2,10 @@ import path from 'path';
 import { startJob } from '../../services/jobRunner.js';
 import { dirExists, fileExists } from './helpers.js';
 import { resolveProjectLayout } from '../../services/projectLayout.js';
+import {
+  readWorkspaceTemplateManifest,
+  splitTemplateCommand
+} from '../../services/projectScaffolding/templateManifest.js';
 
 const warnJobFailure = (prefix, error) => {
   console.warn(prefix, error?.message || error);
@@ -16,15 +20,22 @@ const maybeStartJob = ({ job, startJobFn, warningPrefix }) => {
   }
 };
 
-const buildFrontendInstallJob = (projectId, frontendPath) => ({
+const buildFrontendInstallJob = (projectId, frontendPath, templatePlan = null) => ({
   projectId,
   type: 'frontend:install',
   displayName: 'Install frontend dependencies',
-  command: 'npm',
-  args: ['install'],
+  command: templatePlan?.command || 'npm',
+  args: templatePlan?.args || ['install'],
   cwd: frontendPath
 });
 
+// Workspaces scaffolded from a registry template declare their own install command.
+const resolveTemplateInstallPlan = async (workspacePath) => {
+  const manifest = await readWorkspaceTemplateManifest(workspacePath);
+  const install = splitTemplateCommand(manifest?.commands.install);
+  return install ? { ...install, cwd: workspacePath } : null;
+};
+
 const buildBackendInstallJob = ({ projectId, command, args, cwd }) => ({
   projectId,
   type: 'backend:install',
@@ -166,9 +177,10 @@ export const enqueueInstallJobs = async (
 
   if (frontendPath && await dirExistsFn(frontendPath)) {
     const frontendManifest = layout.frontendWorkspaceManifestPath || path.join(frontendPath, 'package.json');
-    if (await fileExistsFn(frontendManifest)) {
+    const frontendTemplatePlan = await resolveTemplateInstallPlan(frontendPath);
+    if (frontendTemplatePlan || await fileExistsFn(frontendManifest)) {
       const frontendJob = maybeStartJob({
-        job: buildFrontendInstallJob(projectId, frontendPath),
+        job: buildFrontendInstallJob(projectId, frontendPath, frontendTemplatePlan),
         startJobFn,
         warningPrefix: 'Failed to enqueue frontend install job:'
       });
@@ -179,7 +191,8 @@ export const enqueueInstallJobs = async (
     }
   }
 
-  const backendPlan = await resolveBackendInstallPlan({ backendPath, projectPath, fileExistsFn });
+  const backendPlan = await resolveTemplateInstallPlan(backendPath)
+    || await resolveBackendInstallPlan({ backendPath, projectPath, fileExistsFn });
   if (backendPlan) {
     const frontendInstallAlreadyQueued = jobs.some((job) =>
       job?.type === 'frontend:install'
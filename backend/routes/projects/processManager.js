@@ -5,6 +5,7 @@ import {
   getProjectByName
 } from '../../database.js';
 import { sanitizeProjectName } from '../../utils/projectPaths.js';
+import { getRegisteredTemplatePort } from '../../services/projectScaffolding/templateRegistry.js';
 
 export const runningProcesses = new Map();
 
@@ -97,12 +98,14 @@ const parsePortList = (value = '') =>
 const defaultFrontendPorts = {
   react: 5173,
   vue: 5173,
+  svelte: 5173,
   nextjs: 3000,
   angular: 4200
 };
 
 const defaultBackendPorts = {
   express: 3000,
+  fastify: 3000,
   fastapi: 5000,
   flask: 5000,
   django: 8000,
@@ -228,11 +231,11 @@ export const deriveProjectPorts = (project) => {
   const storedBackend = normalizePortCandidate(project.backend_port ?? project.backendPort);
 
   if (!storedFrontend) {
-    addPort(defaultFrontendPorts[frontendFramework] || 5173);
+    addPort(defaultFrontendPorts[frontendFramework] || getRegisteredTemplatePort('frontend', frontendFramework) || 5173);
   }
 
   if (!storedBackend) {
-    addPort(defaultBackendPorts[backendFramework] || 3000);
+    addPort(defaultBackendPorts[backendFramework] || getRegisteredTemplatePort('backend', backendFramework) || 3000);
   }
 
   if (!ports.size) {
@@ -297,10 +300,12 @@ export const getProjectPortHints = (project) => {
     frontend:
       normalizePortCandidate(project?.frontend_port ?? project?.frontendPort) ||
       defaultFrontendPorts[frontendFramework] ||
+      getRegisteredTemplatePort('frontend', frontendFramework) ||
       5173,
     backend:
       normalizePortCandidate(project?.backend_port ?? project?.backendPort) ||
       defaultBackendPorts[backendFramework] ||
+      getRegisteredTemplatePort('backend', backendFramework) ||
       3000
   };
 };
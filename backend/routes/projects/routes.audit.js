@@ -0,0 +1,78 @@
+import { getProject } from '../../database.js';
+import {
+  getSecurityAudit,
+  isSecurityAuditRunning,
+  listSecurityAudits,
+  startSecurityAudit
+} from '../../services/securityAudit.js';
+import { isWithinManagedProjectsRoot } from './cleanup.js';
+
+const normalizeLimit = (value) => {
+  const numeric = Number(value);
+  return Number.isInteger(numeric) && numeric > 0 ? Math.min(numeric, 50) : undefined;
+};
+
+export const registerProjectAuditRoutes = (router) => {
+  router.get('/:id/audit/security', async (req, res) => {
+    try {
+      const project = await getProject(req.params.id);
+      if (!project) {
+        return res.status(404).json({ success: false, error: 'Project not found' });
+      }
+
+      const audits = await listSecurityAudits(project.id, { limit: normalizeLimit(req.query?.limit) });
+      return res.json({ success: true, running: isSecurityAuditRunning(project.id), audits });
+    } catch (error) {
+      console.error('Failed to list security audits:', error);
+      return res.status(500).json({ success: false, error: 'Failed to list security audits' });
+    }
+  });
+
+  router.post('/:id/audit/security', async (req, res) => {
+    try {
+      const project = await getProject(req.params.id);
+      if (!project) {
+        return res.status(404).json({ success: false, error: 'Project not found' });
+      }
+
+      if (!project.path) {
+        return res.status(400).json({
+          success: false,
+          error: 'Project path not found. Please re-import or recreate the project.'
+        });
+      }
+
+      if (!isWithinManagedProjectsRoot(project.path)) {
+        return res.status(400).json({ success: false, error: 'Invalid project path' });
+      }
+
+      const { run } = await startSecurityAudit({ projectId: project.id, projectPath: project.path });
+      return res.status(202).json({ success: true, audit: run });
+    } catch (error) {
+      if (error?.statusCode === 409) {
+        return res.status(409).json({ success: false, error: error.message });
+      }
+      console.error('Failed to start security audit:', error);
+      return res.status(500).json({ success: false, error: 'Failed to start security audit' });
+    }
+  });
+
+  router.get('/:id/audit/security/:runId', async (req, res) => {
+    try {
+      const project = await getProject(req.params.id);
+      if (!project) {
+        return res.status(404).json({ success: false, error: 'Project not found' });
+      }
+
+      const audit = await getSecurityAudit(project.id, req.params.runId);
+      if (!audit) {
+        return res.status(404).json({ success: false, error: 'Security audit not found' });
+      }
+
+      return res.json({ success: true, audit });
+    } catch (error) {
+      console.error('Failed to fetch security audit:', error);
+      return res.status(500).json({ success: false, error: 'Failed to fetch security audit' });
+    }
+  });
+};
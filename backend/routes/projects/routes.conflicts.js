@@ -0,0 +1,92 @@
+// Loaded lazily so the project router does not pull the whole branch workflow
+// (and its database/job runner dependencies) in at import time.
+const loadBranchWorkflow = () => import('../../services/branchWorkflow.js');
+
+const respondWithConflictError = (res, error, fallbackMessage) => {
+  const statusCode = error?.statusCode || 500;
+  if (statusCode === 500) {
+    console.error(`${fallbackMessage}:`, error);
+  }
+  const payload = { success: false, error: statusCode === 500 ? fallbackMessage : error.message };
+  if (error?.conflicts) {
+    payload.conflicts = error.conflicts;
+  }
+  if (error?.testRun !== undefined) {
+    payload.testRun = error.testRun;
+  }
+  return res.status(statusCode).json(payload);
+};
+
+export const registerProjectConflictRoutes = (router) => {
+  router.get('/:projectId/git/conflicts', async (req, res) => {
+    try {
+      const workflow = await loadBranchWorkflow();
+      const conflicts = await workflow.getMergeConflicts(req.params.projectId);
+      return res.json({ success: true, conflicts });
+    } catch (error) {
+      return respondWithConflictError(res, error, 'Failed to load merge conflicts');
+    }
+  });
+
+  router.get('/:projectId/git/conflicts/file', async (req, res) => {
+    try {
+      const workflow = await loadBranchWorkflow();
+      const file = await workflow.getConflictFile(req.params.projectId, req.query?.path);
+      return res.json({ success: true, file });
+    } catch (error) {
+      return respondWithConflictError(res, error, 'Failed to load conflicted file');
+    }
+  });
+
+  router.put('/:projectId/git/conflicts/file', async (req, res) => {
+    try {
+      const workflow = await loadBranchWorkflow();
+      const file = await workflow.saveConflictResolution(req.params.projectId, req.body || {});
+      const conflicts = await workflow.getMergeConflicts(req.params.projectId);
+      return res.json({ success: true, file, conflicts });
+    } catch (error) {
+      return respondWithConflictError(res, error, 'Failed to save conflict resolution');
+    }
+  });
+
+  router.post('/:projectId/git/conflicts/hunk', async (req, res) => {
+    try {
+      const workflow = await loadBranchWorkflow();
+      const file = await workflow.resolveConflictHunk(req.params.projectId, req.body || {});
+      const conflicts = await workflow.getMergeConflicts(req.params.projectId);
+      return res.json({ success: true, file, conflicts });
+    } catch (error) {
+      return respondWithConflictError(res, error, 'Failed to resolve conflict');
+    }
+  });
+
+  router.post('/:projectId/git/conflicts/agent', async (req, res) => {
+    try {
+      const workflow = await loadBranchWorkflow();
+      const result = await workflow.resolveConflictsWithAgent(req.params.projectId, req.body || {});
+      return res.json({ success: true, ...result });
+    } catch (error) {
+      return respondWithConflictError(res, error, 'Failed to resolve conflicts with the agent');
+    }
+  });
+
+  router.post('/:projectId/git/conflicts/complete', async (req, res) => {
+    try {
+      const workflow = await loadBranchWorkflow();
+      const result = await workflow.completeConflictResolution(req.params.projectId);
+      return res.json({ success: true, ...result });
+    } catch (error) {
+      return respondWithConflictError(res, error, 'Failed to complete merge');
+    }
+  });
+
+  router.post('/:projectId/git/conflicts/abort', async (req, res) => {
+    try {
+      const workflow = await loadBranchWorkflow();
+      const result = await workflow.abortConflictResolution(req.params.projectId);
+      return res.json({ success: true, ...result });
+    } catch (error) {
+      return respondWithConflictError(res, error, 'Failed to abort merge');
+    }
+  });
+};
@@ -5,7 +5,10 @@ import sharp from 'sharp';
 import { getProject } from '../../database.js';
 import { runGitCommand } from '../../utils/git.js';
 import { sendAgentUiCommand } from '../../services/agentUiCommands.js';
+import { refreshIndexedFile } from '../../services/codeIndex.js';
 import { isWithinManagedProjectsRoot } from './cleanup.js';
+import { normalizeSearchOptions, previewProjectReplace, searchProjectFiles } from './fileSearch.js';
+import { FileSearchError } from './fileSearchMatching.js';
 import {
   buildFileTree,
   assertNoSymlinkSegments,
@@ -623,6 +626,7 @@ export function registerProjectFileRoutes(router) {
       const { id } = req.params;
       const filePath = req.params[0];
       const content = extractFileContentFromRequest(req.body);
+      const openInEditor = req.body?.openInEditor !== false;
 
       if (typeof content !== 'string') {
         return res.status(400).json({
@@ -696,6 +700,7 @@ export function registerProjectFileRoutes(router) {
       }
 
       await fs.writeFile(fullPath, content, 'utf-8');
+      await refreshIndexedFile(project.path, resolved.normalized);
       await maybeRebuildLlmBundle({
         projectPath: project.path,
         repoPath: resolved.normalized,
@@ -704,7 +709,7 @@ export function registerProjectFileRoutes(router) {
       await stageUploadsPaths(id, [resolved.normalized]);
 
       const io = req.app?.get?.('io');
-      if (io) {
+      if (io && openInEditor) {
         try {
           sendAgentUiCommand({
             io,
@@ -729,6 +734,119 @@ export function registerProjectFileRoutes(router) {
     }
   });
 
+  const loadSearchProject = async (id, res) => {
+    const project = await getProject(id);
+    if (!project) {
+      res.status(404).json({ success: false, error: 'Project not found' });
+      return null;
+    }
+    if (!project.path) {
+      res.status(400).json({
+        success: false,
+        error: 'Project path not found. Please re-import or recreate the project.'
+      });
+      return null;
+    }
+    if (rejectIfProjectPathOutOfScope(project, res)) {
+      return null;
+    }
+    return project;
+  };
+
+  const writeSearchEvent = (res, event, payload) => {
+    if (res.writableEnded || res.destroyed) {
+      return;
+    }
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
+  };
+
+  // POST /api/projects/:id/files-search - Search file contents, streamed as server-sent events:
+  // one `file` event per file with matches, then `done` with totals (or `error`).
+  router.post('/:id/files-search', async (req, res) => {
+    let options;
+    let project;
+    try {
+      options = normalizeSearchOptions(req.body);
+      project = await loadSearchProject(req.params.id, res);
+    } catch (error) {
+      if (error instanceof FileSearchError) {
+        return res.status(error.statusCode).json({ success: false, error: error.message });
+      }
+      console.error('Error searching project files:', error);
+      return res.status(500).json({ success: false, error: 'Failed to search project files' });
+    }
+    if (!project) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    res.on('close', () => {
+      cancelled = true;
+    });
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
+    try {
+      const fs = await getFsModule();
+      const summary = await searchProjectFiles({
+        fs,
+        projectPath: project.path,
+        options,
+        onFile: (result) => writeSearchEvent(res, 'file', result),
+        shouldCancel: () => cancelled
+      });
+      writeSearchEvent(res, 'done', summary);
+    } catch (error) {
+      if (error instanceof FileSearchError) {
+        writeSearchEvent(res, 'error', { message: error.message });
+      } else {
+        console.error('Error searching project files:', error);
+        writeSearchEvent(res, 'error', { message: 'Failed to search project files' });
+      }
+    }
+    return res.end();
+  });
+
+  // POST /api/projects/:id/files-search/replace-preview - Compute replacements without writing.
+  // The client saves the accepted files through PUT /api/projects/:id/files/*.
+  router.post('/:id/files-search/replace-preview', async (req, res) => {
+    try {
+      const options = normalizeSearchOptions(req.body);
+      const replacement = req.body?.replacement;
+      if (typeof replacement !== 'string') {
+        return res.status(400).json({ success: false, error: 'Replacement text must be a string' });
+      }
+
+      const project = await loadSearchProject(req.params.id, res);
+      if (!project) {
+        return undefined;
+      }
+
+      const fs = await getFsModule();
+      const files = await previewProjectReplace({
+        fs,
+        projectPath: project.path,
+        options,
+        replacement,
+        paths: Array.isArray(req.body?.paths) ? req.body.paths : null
+      });
+      return res.json({
+        success: true,
+        files,
+        replacementCount: files.reduce((total, file) => total + file.replacements, 0)
+      });
+    } catch (error) {
+      if (error instanceof FileSearchError) {
+        return res.status(error.statusCode).json({ success: false, error: error.message });
+      }
+      console.error('Error previewing replacements:', error);
+      return res.status(500).json({ success: false, error: 'Failed to preview replacements' });
+    }
+  });
+
   // POST /api/projects/:id/files-ops/mkdir - Create a folder (optionally with a .gitkeep)
   router.post('/:id/files-ops/mkdir', async (req, res) => {
     try {
@@ -463,7 +463,29 @@ export function registerProjectGitRoutes(router) {
         await runGitCommand(project.path, ['merge', '--ff-only', `origin/${branchName}`]);
         strategy = 'ff-only';
       } else if (compare.behind > 0 && compare.ahead > 0) {
-        await runGitCommand(project.path, ['rebase', `origin/${branchName}`]);
+        try {
+          await runGitCommand(project.path, ['rebase', `origin/${branchName}`]);
+        } catch (error) {
+          // Leave a conflicted rebase in place for the conflict resolver; stashed changes are
+          // re-applied once it completes or is aborted.
+          const { startConflictResolution } = await import('../../services/branchWorkflow.js');
+          const conflicts = await startConflictResolution(projectId, {
+            operation: 'rebase',
+            kind: 'pull',
+            targetBranch: branchName,
+            stashBranch: stashCreated ? currentBranch || branchName : null
+          }).catch(() => null);
+          if (conflicts) {
+            return res.status(409).json({
+              success: false,
+              error: `Pulling from origin/${branchName} produced merge conflicts that must be resolved`,
+              conflicts,
+              stash: stashCreated ? { created: true, restored: false, error: null } : null
+            });
+          }
+          await runGitCommand(project.path, ['rebase', '--abort']).catch(() => null);
+          throw error;
+        }
         strategy = 'rebase';
       }
 
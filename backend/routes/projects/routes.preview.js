@@ -0,0 +1,77 @@
+import { getProject } from '../../database.js';
+import {
+  clearPreviewRuntimeErrors,
+  listPreviewRuntimeErrors,
+  recordPreviewRuntimeError
+} from '../../services/previewRuntimeErrors.js';
+
+const MAX_ENTRIES_PER_REQUEST = 50;
+
+const normalizeLimit = (value) => {
+  const numeric = Number(value);
+  return Number.isInteger(numeric) && numeric > 0 ? numeric : undefined;
+};
+
+export const registerProjectPreviewRoutes = (router) => {
+  router.get('/:id/preview/runtime-errors', async (req, res) => {
+    try {
+      const project = await getProject(req.params.id);
+      if (!project) {
+        return res.status(404).json({ success: false, error: 'Project not found' });
+      }
+
+      const errors = listPreviewRuntimeErrors(project.id, {
+        limit: normalizeLimit(req.query?.limit),
+        since: typeof req.query?.since === 'string' ? req.query.since : undefined
+      });
+
+      return res.json({ success: true, errors });
+    } catch (error) {
+      console.error('Failed to fetch preview runtime errors:', error);
+      return res.status(500).json({ success: false, error: 'Failed to fetch preview runtime errors' });
+    }
+  });
+
+  router.post('/:id/preview/runtime-errors', async (req, res) => {
+    const payload = req.body || {};
+    const incoming = Array.isArray(payload.errors)
+      ? payload.errors
+      : (payload.error && typeof payload.error === 'object' ? [payload.error] : []);
+
+    if (!incoming.length) {
+      return res.status(400).json({ success: false, error: 'errors must be a non-empty array' });
+    }
+
+    try {
+      const project = await getProject(req.params.id);
+      if (!project) {
+        return res.status(404).json({ success: false, error: 'Project not found' });
+      }
+
+      const recorded = incoming
+        .slice(0, MAX_ENTRIES_PER_REQUEST)
+        .map((entry) => recordPreviewRuntimeError(project.id, entry))
+        .filter(Boolean);
+
+      return res.status(201).json({ success: true, recorded: recorded.length });
+    } catch (error) {
+      console.error('Failed to record preview runtime errors:', error);
+      return res.status(500).json({ success: false, error: 'Failed to record preview runtime errors' });
+    }
+  });
+
+  router.delete('/:id/preview/runtime-errors', async (req, res) => {
+    try {
+      const project = await getProject(req.params.id);
+      if (!project) {
+        return res.status(404).json({ success: false, error: 'Project not found' });
+      }
+
+      const cleared = clearPreviewRuntimeErrors(project.id);
+      return res.json({ success: true, cleared });
+    } catch (error) {
+      console.error('Failed to clear preview runtime errors:', error);
+      return res.status(500).json({ success: false, error: 'Failed to clear preview runtime errors' });
+    }
+  });
+};
@@ -5,11 +5,19 @@ import {
   getPortSettings,
   savePortSettings,
   getTestingSettings,
-  saveTestingSettings
+  saveTestingSettings,
+  getAgentCommandSettings,
+  saveAgentCommandSettings
 } from '../database.js';
 import { resolveCoveragePolicy, DEFAULT_COVERAGE_THRESHOLDS } from '../constants/coveragePolicy.js';
 import { DEFAULT_CHANGE_SCOPE_POLICY } from '../constants/changeScopePolicy.js';
 import { DEFAULT_DONE_SIGNALS } from '../constants/doneSignals.js';
+import {
+  MIN_COMMAND_TIMEOUT_MS,
+  MAX_COMMAND_TIMEOUT_MS,
+  MIN_COMMAND_OUTPUT_CHARS,
+  MAX_COMMAND_OUTPUT_CHARS
+} from '../constants/agentCommandPolicy.js';
 import { testGitConnection, GitConnectionError } from '../services/gitConnectionService.js';
 
 const router = express.Router();
@@ -20,6 +28,7 @@ const MIN_PORT = 1024;
 const MAX_PORT = 65535;
 const MIN_COVERAGE_TARGET = 50;
 const MAX_COVERAGE_TARGET = 100;
+const MAX_FAILED_TEST_RETRIES = 3;
 
 const normalizeString = (value = '') => (typeof value === 'string' ? value.trim() : '');
 const normalizeDateString = (value) => (typeof value === 'string' ? value.trim() : '');
@@ -142,6 +151,45 @@ export const validateTestingSettingsPayload = (payload = {}) => {
     nextSettings.coverageTarget = coverageTarget;
   }
 
+  if (payload.failedTestRetries !== undefined) {
+    const failedTestRetries = Number(payload.failedTestRetries);
+    if (!Number.isInteger(failedTestRetries) || failedTestRetries < 0 || failedTestRetries > MAX_FAILED_TEST_RETRIES) {
+      errors.push(`failedTestRetries must be an integer between 0 and ${MAX_FAILED_TEST_RETRIES}`);
+    } else {
+      nextSettings.failedTestRetries = failedTestRetries;
+    }
+  }
+
+  return { errors, nextSettings };
+};
+
+const isIntegerInRange = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+export const validateAgentCommandSettingsPayload = (payload = {}) => {
+  const errors = [];
+  const nextSettings = {};
+
+  const { allowlist } = payload;
+  if (!Array.isArray(allowlist) || allowlist.some((entry) => typeof entry !== 'string')) {
+    errors.push('allowlist must be an array of command strings');
+  } else {
+    nextSettings.allowlist = allowlist;
+  }
+
+  const timeoutMs = Number(payload.timeoutMs);
+  if (!isIntegerInRange(timeoutMs, MIN_COMMAND_TIMEOUT_MS, MAX_COMMAND_TIMEOUT_MS)) {
+    errors.push(`timeoutMs must be an integer between ${MIN_COMMAND_TIMEOUT_MS} and ${MAX_COMMAND_TIMEOUT_MS}`);
+  } else {
+    nextSettings.timeoutMs = timeoutMs;
+  }
+
+  const maxOutputChars = Number(payload.maxOutputChars);
+  if (!isIntegerInRange(maxOutputChars, MIN_COMMAND_OUTPUT_CHARS, MAX_COMMAND_OUTPUT_CHARS)) {
+    errors.push(`maxOutputChars must be an integer between ${MIN_COMMAND_OUTPUT_CHARS} and ${MAX_COMMAND_OUTPUT_CHARS}`);
+  } else {
+    nextSettings.maxOutputChars = maxOutputChars;
+  }
+
   return { errors, nextSettings };
 };
 
@@ -248,6 +296,33 @@ export const putTestingSettingsHandler = async (req, res) => {
 
 router.put('/testing', putTestingSettingsHandler);
 
+router.get('/agent-commands', async (req, res) => {
+  try {
+    const settings = await getAgentCommandSettings();
+    res.json({ success: true, settings });
+  } catch (error) {
+    console.error('Failed to load agent command settings:', error);
+    res.status(500).json({ success: false, error: 'Failed to load agent command settings' });
+  }
+});
+
+export const putAgentCommandSettingsHandler = async (req, res) => {
+  const { errors, nextSettings } = validateAgentCommandSettingsPayload(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: errors.join(', ') });
+  }
+
+  try {
+    const saved = await saveAgentCommandSettings(nextSettings);
+    res.json({ success: true, message: 'Agent command settings updated', settings: saved });
+  } catch (error) {
+    console.error('Failed to save agent command settings:', error);
+    res.status(500).json({ success: false, error: 'Failed to save agent command settings' });
+  }
+};
+
+router.put('/agent-commands', putAgentCommandSettingsHandler);
+
 router.get('/policy', async (req, res) => {
   try {
     const testingSettings = await getTestingSettings();
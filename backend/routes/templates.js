@@ -0,0 +1,34 @@
+import express from 'express';
+import {
+  addTemplateFromGit,
+  listProjectTemplates,
+  serializeTemplate,
+  TemplateRegistryError
+} from '../services/projectScaffolding/templateRegistry.js';
+
+const router = express.Router();
+
+router.get('/', async (req, res) => {
+  try {
+    const templates = await listProjectTemplates();
+    res.status(200).json({ success: true, templates: templates.map(serializeTemplate) });
+  } catch (error) {
+    console.error('[Templates] List failed:', error);
+    res.status(500).json({ success: false, error: 'Failed to list project templates' });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const templates = await addTemplateFromGit(req.body?.gitUrl);
+    res.status(201).json({ success: true, templates: templates.map(serializeTemplate) });
+  } catch (error) {
+    if (error instanceof TemplateRegistryError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('[Templates] Add failed:', error);
+    res.status(500).json({ success: false, error: 'Failed to add project template' });
+  }
+});
+
+export default router;
@@ -1,5 +1,20 @@
 import express from 'express';
-import { runTestsForBranch, getLatestTestRun, getBranchOverview } from '../services/branchWorkflow.js';
+import {
+  runTestsForBranch,
+  getLatestTestRun,
+  getBranchOverview,
+  getCoverageTargets,
+  getCoverageSummary,
+  getFileCoverage,
+  runTargetedTests
+} from '../services/branchWorkflow.js';
+import {
+  getTestHistory,
+  listFlakyTests,
+  listQuarantinedTests,
+  quarantineTest,
+  releaseQuarantinedTest
+} from '../services/testHistory.js';
 
 const router = express.Router({ mergeParams: true });
 
@@ -55,7 +70,7 @@ export const runTestsHandler = async (req, res) => {
 
     testRunRateLimitState.set(projectId, now);
     const { branchName, forceFail, workspaceScope } = req.body || {};
-    const options = { forceFail, enforceFullCoverage: true };
+    const options = { forceFail, enforceFullCoverage: true, jobPriority: 'high' };
     if (typeof workspaceScope === 'string' && workspaceScope.trim()) {
       options.workspaceScope = workspaceScope;
     }
@@ -67,8 +82,125 @@ export const runTestsHandler = async (req, res) => {
   }
 };
 
+// Partial runs (one file or test name) never change the branch's test status, so they are not
+// rate-limited like full runs.
+export const runTargetedTestsHandler = async (req, res) => {
+  try {
+    const projectId = parseProjectId(req.params.projectId);
+    const { workspace, file, testName, exact } = req.body || {};
+    const result = await runTargetedTests(projectId, { workspace, file, testName, exact, jobPriority: 'high' });
+    res.json({ success: true, result });
+  } catch (error) {
+    respondWithError(res, error, 'Failed to run tests');
+  }
+};
+
+export const getCoverageTargetsHandler = async (req, res) => {
+  try {
+    const projectId = parseProjectId(req.params.projectId);
+    const targets = await getCoverageTargets(projectId);
+    res.json({ success: true, targets });
+  } catch (error) {
+    respondWithError(res, error, 'Failed to read coverage targets');
+  }
+};
+
+export const getCoverageSummaryHandler = async (req, res) => {
+  try {
+    const projectId = parseProjectId(req.params.projectId);
+    const files = await getCoverageSummary(projectId);
+    res.json({ success: true, files });
+  } catch (error) {
+    respondWithError(res, error, 'Failed to read coverage summary');
+  }
+};
+
+export const getFileCoverageHandler = async (req, res) => {
+  try {
+    const projectId = parseProjectId(req.params.projectId);
+    const filePath = typeof req.query?.path === 'string' ? req.query.path.trim() : '';
+    if (!filePath) {
+      res.status(400).json({ success: false, error: 'path is required' });
+      return;
+    }
+    const coverage = await getFileCoverage(projectId, filePath);
+    res.json({ success: true, coverage });
+  } catch (error) {
+    respondWithError(res, error, 'Failed to read file coverage');
+  }
+};
+
+export const getFlakyTestsHandler = async (req, res) => {
+  try {
+    const projectId = parseProjectId(req.params.projectId);
+    const tests = await listFlakyTests(projectId);
+    res.json({ success: true, tests });
+  } catch (error) {
+    respondWithError(res, error, 'Failed to load flaky tests');
+  }
+};
+
+export const getTestHistoryHandler = async (req, res) => {
+  try {
+    const projectId = parseProjectId(req.params.projectId);
+    const testKey = typeof req.query?.key === 'string' ? req.query.key.trim() : '';
+    if (!testKey) {
+      res.status(400).json({ success: false, error: 'key is required' });
+      return;
+    }
+    const history = await getTestHistory(projectId, testKey);
+    res.json({ success: true, history });
+  } catch (error) {
+    respondWithError(res, error, 'Failed to load test history');
+  }
+};
+
+export const getQuarantineHandler = async (req, res) => {
+  try {
+    const projectId = parseProjectId(req.params.projectId);
+    const tests = await listQuarantinedTests(projectId);
+    res.json({ success: true, tests });
+  } catch (error) {
+    respondWithError(res, error, 'Failed to load quarantined tests');
+  }
+};
+
+export const quarantineTestHandler = async (req, res) => {
+  try {
+    const projectId = parseProjectId(req.params.projectId);
+    const { workspace, file, name, reason } = req.body || {};
+    const entry = await quarantineTest(projectId, { workspace, file, name, reason });
+    res.json({ success: true, entry });
+  } catch (error) {
+    respondWithError(res, error, 'Failed to quarantine test');
+  }
+};
+
+export const releaseQuarantineHandler = async (req, res) => {
+  try {
+    const projectId = parseProjectId(req.params.projectId);
+    const released = await releaseQuarantinedTest(projectId, Number(req.params.quarantineId));
+    if (!released) {
+      res.status(404).json({ success: false, error: 'Quarantined test not found' });
+      return;
+    }
+    res.json({ success: true });
+  } catch (error) {
+    respondWithError(res, error, 'Failed to release quarantined test');
+  }
+};
+
 router.get('/latest', getLatestTestsHandler);
 router.post('/run', runTestsHandler);
+router.post('/run-targeted', runTargetedTestsHandler);
+router.get('/coverage-targets', getCoverageTargetsHandler);
+router.get('/coverage/summary', getCoverageSummaryHandler);
+router.get('/coverage/file', getFileCoverageHandler);
+router.get('/flaky', getFlakyTestsHandler);
+router.get('/history', getTestHistoryHandler);
+router.get('/quarantine', getQuarantineHandler);
+router.post('/quarantine', quarantineTestHandler);
+router.delete('/quarantine/:quarantineId', releaseQuarantineHandler);
 
 export const __testsRoutesInternals = {
   resetTestRunRateLimitState: () => testRunRateLimitState.clear(),
@@ -17,15 +17,22 @@ import jobRoutes from './routes/jobs.js';
 import goalsRoutes from './routes/goals.js';
 import agentRoutes from './routes/agent.js';
 import runsRoutes from './routes/runs.js';
+import chatThreadsRoutes from './routes/chatThreads.js';
+import projectMemoryRoutes from './routes/projectMemory.js';
 import fsRoutes from './routes/fs.js';
+import templatesRoutes from './routes/templates.js';
+import authRoutes from './routes/auth.js';
 import { createPreviewProxy } from './routes/previewProxy.js';
 import { attachSocketServer } from './socket/createSocketServer.js';
+import { setAgentUiSocketServer } from './services/agentUiCommands.js';
 import { auditHttpRequestsMiddleware } from './services/auditLog.js';
 import diagnosticsRoutes from './routes/diagnostics.js';
 import { requestContextMiddleware } from './middleware/requestContext.js';
+import { applyAccessControl, resolvePreviewAccessError } from './middleware/auth.js';
 import { requestLoggerMiddleware } from './middleware/requestLogger.js';
 import { errorHandlerMiddleware, notFoundHandler } from './middleware/errorHandlers.js';
 import { initializeEncryptionKey } from './services/encryptionKeyStore.js';
+import { restoreQueuedJobs } from './services/jobRunner.js';
 import http from 'http';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -110,6 +117,9 @@ app.use(auditHttpRequestsMiddleware());
 
 app.use(requestLoggerMiddleware());
 
+// Accounts, admin-only settings and project ownership (enforced once the first account exists).
+applyAccessControl(app);
+
 // Health check route
 app.get('/api/health', (req, res) => {
   res.json({ 
@@ -159,6 +169,7 @@ app.get('/api/version', (req, res) => {
 });
 
 // Routes
+app.use('/api/auth', authRoutes);
 app.use('/api/llm', llmRoutes);
 app.use('/api/diagnostics', diagnosticsRoutes);
 app.use('/api/projects', projectRoutes);
@@ -167,8 +178,11 @@ app.use('/api/projects/:projectId/commits', commitRoutes);
 app.use('/api/projects/:projectId/tests', testsRoutes);
 app.use('/api/projects/:projectId/jobs', jobRoutes);
 app.use('/api/projects/:projectId/runs', runsRoutes);
+app.use('/api/projects/:projectId/chat-threads', chatThreadsRoutes);
+app.use('/api/projects/:projectId/memory', projectMemoryRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/fs', fsRoutes);
+app.use('/api/templates', templatesRoutes);
 app.use(
   '/api/goals',
   (req, res, next) => {
@@ -198,7 +212,7 @@ app.use(
   agentRoutes
 );
 
-const previewProxy = createPreviewProxy({ logger: console });
+const previewProxy = createPreviewProxy({ logger: console, authorize: resolvePreviewAccessError });
 app.use(previewProxy.middleware);
 
 app.use(errorHandlerMiddleware());
@@ -212,9 +226,20 @@ const startServer = async () => {
 
     console.log('🔧 Initializing database...');
     await initializeDatabase();
+
+    // Jobs that were still queued when the backend stopped pick up where they left off.
+    try {
+      const restoredJobs = await restoreQueuedJobs();
+      if (restoredJobs > 0) {
+        console.log(`📋 Restored ${restoredJobs} queued job(s)`);
+      }
+    } catch (error) {
+      console.warn('⚠️ Failed to restore queued jobs:', error?.message || error);
+    }
     
     // Initialize LLM client
     await llmClient.initialize();
+    await llmClient.loadRoleRoutes();
     
     // Start server
     const port = resolvePort();
@@ -243,6 +268,7 @@ const startServer = async () => {
     if (socketIoEnabled && typeof server?.on === 'function') {
       const io = attachSocketServer(server);
       app.set('io', io);
+      setAgentUiSocketServer(io);
     }
     
     return server;
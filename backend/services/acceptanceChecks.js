@@ -0,0 +1,117 @@
+// Structured acceptance checks a goal has to pass before it is ready to merge. Unlike the
+// free-text `metadata.acceptanceCriteria`, every check names something the verifier can test.
+export const ACCEPTANCE_CHECK_TYPES = Object.freeze({
+  ROUTE_STATUS: 'route-status',
+  ELEMENT_EXISTS: 'element-exists',
+  FILE_EXPORT: 'file-export',
+  TEST_EXISTS: 'test-exists'
+});
+
+export const MAX_ACCEPTANCE_CHECKS = 20;
+
+const MAX_TEXT_CHARS = 300;
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+const readText = (value) => (typeof value === 'string' ? value.trim().slice(0, MAX_TEXT_CHARS) : '');
+
+// Routes are checked against the project's own preview, so only paths are accepted.
+const normalizeRoutePath = (value) => {
+  const text = readText(value);
+  if (!text || text.startsWith('//') || /^[a-z][a-z0-9+.-]*:/i.test(text)) {
+    return '';
+  }
+  return text.startsWith('/') ? text : `/${text}`;
+};
+
+const normalizeStatus = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return 200;
+  }
+  const status = Number(value);
+  return Number.isInteger(status) && status >= 100 && status <= 599 ? status : null;
+};
+
+// Returns the check in canonical form, or null when it lacks what its type needs.
+export const normalizeAcceptanceCheck = (entry) => {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return null;
+  }
+
+  const type = readText(entry.type).toLowerCase();
+  switch (type) {
+    case ACCEPTANCE_CHECK_TYPES.ROUTE_STATUS: {
+      const path = normalizeRoutePath(entry.path);
+      const status = normalizeStatus(entry.status);
+      return path && status ? { type, path, status } : null;
+    }
+    case ACCEPTANCE_CHECK_TYPES.ELEMENT_EXISTS: {
+      const selector = readText(entry.selector);
+      const path = entry.path === undefined || entry.path === null ? '/' : normalizeRoutePath(entry.path);
+      return selector && path ? { type, selector, path } : null;
+    }
+    case ACCEPTANCE_CHECK_TYPES.FILE_EXPORT: {
+      const file = readText(entry.file).replace(/^\/+/, '');
+      const name = readText(entry.name);
+      return file && IDENTIFIER_PATTERN.test(name) ? { type, file, name } : null;
+    }
+    case ACCEPTANCE_CHECK_TYPES.TEST_EXISTS: {
+      const name = readText(entry.name);
+      return name ? { type, name } : null;
+    }
+    default:
+      return null;
+  }
+};
+
+// Lenient form for planner output and stored rows: unusable entries and duplicates are dropped.
+export const normalizeAcceptanceChecks = (value) => {
+  const entries = Array.isArray(value) ? value : [];
+  const checks = [];
+  const seen = new Set();
+  for (const entry of entries) {
+    const check = normalizeAcceptanceCheck(entry);
+    const key = JSON.stringify(check);
+    if (check && !seen.has(key) && checks.length < MAX_ACCEPTANCE_CHECKS) {
+      seen.add(key);
+      checks.push(check);
+    }
+  }
+  return checks;
+};
+
+// Strict form for checks a user submits: any unusable entry is an error.
+export const parseAcceptanceChecks = (value) => {
+  if (!Array.isArray(value)) {
+    throw new Error('acceptanceChecks must be an array');
+  }
+  if (value.length > MAX_ACCEPTANCE_CHECKS) {
+    throw new Error(`A goal can have at most ${MAX_ACCEPTANCE_CHECKS} acceptance checks`);
+  }
+  const invalidIndex = value.findIndex((entry) => !normalizeAcceptanceCheck(entry));
+  if (invalidIndex >= 0) {
+    throw new Error(`Acceptance check ${invalidIndex + 1} is invalid`);
+  }
+  return normalizeAcceptanceChecks(value);
+};
+
+export const describeAcceptanceCheck = (check) => {
+  switch (check.type) {
+    case ACCEPTANCE_CHECK_TYPES.ROUTE_STATUS:
+      return `GET ${check.path} returns ${check.status}`;
+    case ACCEPTANCE_CHECK_TYPES.ELEMENT_EXISTS:
+      return `${check.selector} exists on ${check.path}`;
+    case ACCEPTANCE_CHECK_TYPES.FILE_EXPORT:
+      return `${check.file} exports ${check.name}`;
+    default:
+      return `Test "${check.name}" exists`;
+  }
+};
+
+export default {
+  ACCEPTANCE_CHECK_TYPES,
+  MAX_ACCEPTANCE_CHECKS,
+  normalizeAcceptanceCheck,
+  normalizeAcceptanceChecks,
+  parseAcceptanceChecks,
+  describeAcceptanceCheck
+};
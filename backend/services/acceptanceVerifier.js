@@ -0,0 +1,200 @@
+import axios from 'axios';
+import fs from 'fs/promises';
+import path from 'path';
+import { getProject } from '../database.js';
+import { getProjectRoot, isProjectRootOverridden, readProjectFile } from './projectTools.js';
+import { IGNORED_DIRECTORIES } from './codeEditAgent/ignoredPaths.js';
+import { requestPreviewElementCheck } from './previewChecks.js';
+import { ACCEPTANCE_CHECK_TYPES, describeAcceptanceCheck } from './acceptanceChecks.js';
+
+const ROUTE_TIMEOUT_MS = 10_000;
+const MAX_TEST_FILES = 2000;
+const SKIPPED_DIRECTORIES = new Set([...IGNORED_DIRECTORIES, 'venv', '.venv', '__pycache__']);
+const SCRIPT_FILE_PATTERN = /\.[cm]?[jt]sx?$/;
+const TEST_FILE_PATTERN = /(\.(test|spec)\.[cm]?[jt]sx?$)|(^test_.+\.py$)|(_test\.py$)/;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const readListedNames = (list) => list
+  .split(',')
+  .map((item) => item.trim().replace(/^type\s+/, ''))
+  .filter(Boolean)
+  .map((item) => {
+    const alias = item.match(/\sas\s+([\w$]+)$/);
+    if (alias) return alias[1];
+    return item.split(/[\s:]/)[0];
+  });
+
+const collectNames = (source, pattern) => (
+  [...source.matchAll(pattern)].flatMap((match) => readListedNames(match[1]))
+);
+
+// ES module and CommonJS exports, or Python module-level names, read from source text.
+export const sourceExportsName = (source, name, fileName = '') => {
+  const escaped = escapeRegExp(name);
+  if (fileName.endsWith('.py')) {
+    return new RegExp(`^(?:(?:async\\s+)?def\\s+|class\\s+)${escaped}\\b|^${escaped}\\s*(?::[^=\\n]+)?=(?!=)`, 'm')
+      .test(source);
+  }
+
+  if (name === 'default' && /\bexport\s+default\b|\bmodule\.exports\s*=/.test(source)) {
+    return true;
+  }
+
+  const patterns = [
+    new RegExp(
+      `\\bexport\\s+(?:declare\\s+)?(?:(?:async\\s+)?function\\s*\\*?\\s*|(?:abstract\\s+)?class\\s+|(?:const|let|var|interface|type|enum)\\s+)${escaped}(?![\\w$])`
+    ),
+    new RegExp(`\\b(?:module\\.)?exports\\.${escaped}\\s*=`)
+  ];
+  if (patterns.some((pattern) => pattern.test(source))) {
+    return true;
+  }
+
+  return [
+    ...collectNames(source, /\bexport\s*(?:type\s*)?\{([^}]*)\}/g),
+    ...collectNames(source, /\bmodule\.exports\s*=\s*\{([^}]*)\}/g)
+  ].includes(name);
+};
+
+export const sourceDefinesTest = (source, name) => {
+  const escaped = escapeRegExp(name);
+  const jsTest = new RegExp(`\\b(?:it|test)(?:\\.[\\w$]+)*\\(\\s*(['"\`])${escaped}\\1`);
+  const pythonTest = new RegExp(`^\\s*(?:async\\s+)?def\\s+${escaped}\\s*\\(`, 'm');
+  return jsTest.test(source) || pythonTest.test(source);
+};
+
+const isTestFile = (fileName, directory) => (
+  TEST_FILE_PATTERN.test(fileName)
+  || (path.basename(directory) === '__tests__' && SCRIPT_FILE_PATTERN.test(fileName))
+);
+
+const collectTestFiles = async (root) => {
+  const files = [];
+  const walk = async (directory) => {
+    let entries;
+    try {
+      entries = await fs.readdir(directory, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (files.length >= MAX_TEST_FILES) return;
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        if (!SKIPPED_DIRECTORIES.has(entry.name)) {
+          await walk(entryPath);
+        }
+      } else if (entry.isFile() && isTestFile(entry.name, directory)) {
+        files.push(entryPath);
+      }
+    }
+  };
+  await walk(root);
+  return files;
+};
+
+const checkFileExport = async (projectId, check) => {
+  let source;
+  try {
+    source = await readProjectFile(projectId, check.file);
+  } catch (error) {
+    return { passed: false, detail: error?.code === 'ENOENT' ? `${check.file} does not exist` : error.message };
+  }
+  return sourceExportsName(source, check.name, check.file)
+    ? { passed: true, detail: `${check.file} exports ${check.name}` }
+    : { passed: false, detail: `${check.file} does not export ${check.name}` };
+};
+
+const checkTestExists = async (projectId, check) => {
+  const root = await getProjectRoot(projectId);
+  for (const file of await collectTestFiles(root)) {
+    const source = await fs.readFile(file, 'utf-8').catch(() => '');
+    if (sourceDefinesTest(source, check.name)) {
+      return { passed: true, detail: `Found in ${path.relative(root, file).split(path.sep).join('/')}` };
+    }
+  }
+  return { passed: false, detail: `No test named "${check.name}" was found` };
+};
+
+// Routes are requested from the project's running frontend; its dev server proxies /api.
+const checkRouteStatus = async (projectId, check) => {
+  const project = await getProject(projectId);
+  const port = Number(project?.frontend_port);
+  if (!Number.isInteger(port) || port <= 0) {
+    return { passed: false, detail: 'The project has not been started yet, so its routes cannot be checked' };
+  }
+
+  const url = `http://localhost:${port}${check.path}`;
+  try {
+    const response = await axios.get(url, {
+      timeout: ROUTE_TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true
+    });
+    return { passed: response.status === check.status, detail: `${url} returned ${response.status}` };
+  } catch (error) {
+    return { passed: false, detail: `Could not reach ${url}: ${error.message}` };
+  }
+};
+
+const checkElementExists = async (projectId, check) => {
+  const { found, count, error } = await requestPreviewElementCheck({
+    projectId,
+    selector: check.selector,
+    path: check.path
+  });
+  if (error) {
+    return { passed: false, detail: error };
+  }
+  return found
+    ? { passed: true, detail: `${count} matching element${count === 1 ? '' : 's'}` }
+    : { passed: false, detail: `Nothing matches ${check.selector}` };
+};
+
+// These go to the project's running preview, which serves the main checkout; under an
+// overridden project root they would check code that does not include the changes yet.
+const PREVIEW_CHECK_TYPES = new Set([ACCEPTANCE_CHECK_TYPES.ROUTE_STATUS, ACCEPTANCE_CHECK_TYPES.ELEMENT_EXISTS]);
+
+const PENDING_PREVIEW_OUTCOME = {
+  passed: false,
+  pending: true,
+  detail: 'The running preview does not include these unmerged changes; verify again once merged'
+};
+
+const CHECK_RUNNERS = {
+  [ACCEPTANCE_CHECK_TYPES.ROUTE_STATUS]: checkRouteStatus,
+  [ACCEPTANCE_CHECK_TYPES.ELEMENT_EXISTS]: checkElementExists,
+  [ACCEPTANCE_CHECK_TYPES.FILE_EXPORT]: checkFileExport,
+  [ACCEPTANCE_CHECK_TYPES.TEST_EXISTS]: checkTestExists
+};
+
+// Runs every check, one at a time, and reports each outcome; any failure fails the whole run.
+// Preview checks run from a worktree are reported as pending and do not fail it.
+export const verifyAcceptanceChecks = async (projectId, checks = []) => {
+  const results = [];
+  const inWorktree = isProjectRootOverridden(projectId);
+  for (const check of checks) {
+    let outcome;
+    try {
+      outcome = inWorktree && PREVIEW_CHECK_TYPES.has(check.type)
+        ? PENDING_PREVIEW_OUTCOME
+        : await CHECK_RUNNERS[check.type](projectId, check);
+    } catch (error) {
+      outcome = { passed: false, detail: error?.message || String(error) };
+    }
+    results.push({ check, label: describeAcceptanceCheck(check), ...outcome });
+  }
+
+  return {
+    passed: results.every((result) => result.passed || result.pending),
+    checkedAt: new Date().toISOString(),
+    results
+  };
+};
+
+export default {
+  verifyAcceptanceChecks,
+  sourceExportsName,
+  sourceDefinesTest
+};
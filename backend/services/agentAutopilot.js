@@ -25,11 +25,13 @@ import {
   appendRollbackEvents,
   appendRunEvents,
   consumeUpdatesAsPrompts,
+  createBudgetExceededError,
   createCancelledError,
   drainUserUpdates,
   extractEditPatchFiles,
   extractRollbackMessage,
   formatPlanSummary,
+  formatUsd,
   isConflictError,
   normalizeEditPatchPath,
   defaultGetDiffForFiles,
@@ -37,6 +39,11 @@ import {
   updateToPrompt
 } from './agentAutopilot/helpers.js';
 import { isStyleOnlyPrompt } from './promptHeuristics.js';
+import { setLlmUsageGoal } from './llmUsage.js';
+import {
+  formatPreviewRuntimeErrorsForPrompt,
+  listPreviewRuntimeErrors
+} from './previewRuntimeErrors.js';
 
 const buildChangelogEntryFromPrompt = (prompt) => {
   const firstLine = typeof prompt === 'string' ? prompt.split(/\r?\n/)[0] : '';
@@ -187,7 +194,7 @@ export const autopilotFeatureRequest = async ({ projectId, prompt, options = {},
   }
 
   const plan = deps.plan || planGoalFromPrompt;
-  const edit = deps.edit || applyCodeChange;
+  const edit = deps.edit || ((args) => applyCodeChange({ ...args, onEvent: (event) => safeAppendEvent(appendEvent, event), onToken: deps.onToken, signal: deps.signal }));
   const createBranch = deps.createBranch || createWorkingBranch;
   const checkout = deps.checkout || checkoutBranch;
   const runTests = deps.runTests || runTestsForBranch;
@@ -202,10 +209,26 @@ export const autopilotFeatureRequest = async ({ projectId, prompt, options = {},
   const consumeUserUpdates = hasUserUpdateChannel ? deps.consumeUserUpdates : () => [];
   const shouldCancel = typeof deps.shouldCancel === 'function' ? deps.shouldCancel : () => false;
   const shouldPause = typeof deps.shouldPause === 'function' ? deps.shouldPause : () => false;
+  const requestPause = typeof deps.requestPause === 'function' ? deps.requestPause : null;
+  const checkBudget = typeof deps.checkBudget === 'function' ? deps.checkBudget : null;
   const reportStatus = typeof deps.reportStatus === 'function' ? deps.reportStatus : () => {};
   const waitForUserGuidance = deps.waitForUserGuidance === true;
   const ui = deps.ui && typeof deps.ui === 'object' ? deps.ui : null;
   const appendEvent = typeof deps.appendEvent === 'function' ? deps.appendEvent : null;
+  const getRuntimeErrors = typeof deps.getRuntimeErrors === 'function'
+    ? deps.getRuntimeErrors
+    : (targetProjectId) => listPreviewRuntimeErrors(targetProjectId, { limit: 10 });
+
+  // Preview runtime errors are evidence only; a failing lookup must never
+  // derail the run.
+  const summarizeRuntimeErrors = async () => {
+    try {
+      const entries = await getRuntimeErrors(projectId);
+      return formatPreviewRuntimeErrorsForPrompt(entries);
+    } catch {
+      return '';
+    }
+  };
 
   const thresholds = options?.coverageThresholds && typeof options.coverageThresholds === 'object'
     ? {
@@ -218,7 +241,9 @@ export const autopilotFeatureRequest = async ({ projectId, prompt, options = {},
     real: true,
     ...(thresholds ? { coverageThresholds: thresholds } : {}),
     enforceFullCoverage: true,
-    includeCoverageLineRefs: true
+    includeCoverageLineRefs: true,
+    // Autopilot verification/retry runs yield to test runs the user starts.
+    jobPriority: 'low'
   });
 
   const buildRetryRunTestsOptions = ({ latestRun, editResult }) => {
@@ -258,8 +283,100 @@ export const autopilotFeatureRequest = async ({ projectId, prompt, options = {},
     ? Math.max(0, Math.min(5, Math.floor(verificationFixRetriesRaw)))
     : 2;
 
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  const waitForResume = async (label, pausedStatus = 'Paused. Waiting for resume…') => {
+    if (!shouldPause()) {
+      return;
+    }
+
+    reportStatus(pausedStatus);
+    safeAppendEvent(appendEvent, {
+      type: 'lifecycle',
+      message: 'Paused',
+      payload: { label },
+      meta: null
+    });
+
+    while (shouldPause()) {
+      if (shouldCancel()) {
+        throw createCancelledError();
+      }
+
+      // Allow non-control user updates (plan changes) to be recorded while paused.
+      await drainUserUpdates({
+        consumeUserUpdates,
+        appendEvent,
+        label: 'while paused',
+        rollback,
+        projectId,
+        branchName
+      });
+
+      await wait(250);
+    }
+
+    reportStatus('Resuming…');
+    safeAppendEvent(appendEvent, {
+      type: 'lifecycle',
+      message: 'Resumed',
+      payload: { label },
+      meta: null
+    });
+  };
+
+  // Once the project's LLM budget is spent, stop at the next safe boundary and
+  // wait for the user to resume; resuming approves further spend for this run.
+  let budgetApproved = false;
+  const ensureWithinBudget = async (label) => {
+    if (!checkBudget || budgetApproved) {
+      return;
+    }
+
+    let status = null;
+    try {
+      status = await checkBudget(projectId);
+    } catch {
+      return;
+    }
+    if (!status?.exceeded) {
+      return;
+    }
+
+    const spent = `${formatUsd(status.spentUsd)} of ${formatUsd(status.budgetUsd)}`;
+    safeAppendEvent(appendEvent, {
+      type: 'lifecycle',
+      message: 'Budget reached',
+      payload: { label, spentUsd: status.spentUsd, budgetUsd: status.budgetUsd },
+      meta: null
+    });
+    if (!requestPause) {
+      throw createBudgetExceededError(status);
+    }
+
+    requestPause();
+    await waitForResume(label, `LLM budget reached (${spent}). Resume to keep spending.`);
+
+    budgetApproved = true;
+    safeAppendEvent(appendEvent, {
+      type: 'lifecycle',
+      message: 'Budget overrun approved',
+      payload: { label },
+      meta: null
+    });
+  };
+
+  const waitWhilePaused = async (label) => {
+    await ensureWithinBudget(label);
+    await waitForResume(label);
+  };
+
+  let branchName = null;
+
+  await ensureWithinBudget('before planning');
   reportStatus('Planning goal…');
   const { parent, children } = await plan({ projectId, prompt });
+  setLlmUsageGoal(parent?.id);
 
   safeAppendEvent(appendEvent, {
     type: 'plan',
@@ -275,7 +392,7 @@ export const autopilotFeatureRequest = async ({ projectId, prompt, options = {},
     meta: null
   });
 
-  const branchName = parent?.branchName;
+  branchName = parent?.branchName;
   if (!branchName) {
     throw new Error('Planned goal missing branch name');
   }
@@ -337,48 +454,6 @@ export const autopilotFeatureRequest = async ({ projectId, prompt, options = {},
     queue.push(...earlyUpdates);
   }
 
-  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-
-  const waitWhilePaused = async (label) => {
-    if (!shouldPause()) {
-      return;
-    }
-
-    reportStatus('Paused. Waiting for resume…');
-    safeAppendEvent(appendEvent, {
-      type: 'lifecycle',
-      message: 'Paused',
-      payload: { label },
-      meta: null
-    });
-
-    while (shouldPause()) {
-      if (shouldCancel()) {
-        throw createCancelledError();
-      }
-
-      // Allow non-control user updates (plan changes) to be recorded while paused.
-      await drainUserUpdates({
-        consumeUserUpdates,
-        appendEvent,
-        label: 'while paused',
-        rollback,
-        projectId,
-        branchName
-      });
-
-      await wait(250);
-    }
-
-    reportStatus('Resuming…');
-    safeAppendEvent(appendEvent, {
-      type: 'lifecycle',
-      message: 'Resumed',
-      payload: { label },
-      meta: null
-    });
-  };
-
   const awaitUserGuidance = async ({ reason, stepPrompt, latestRun } = {}) => {
     const guidanceHeader = 'Needs user input: tests/coverage still failing.';
 
@@ -636,7 +711,11 @@ export const autopilotFeatureRequest = async ({ projectId, prompt, options = {},
       // 2) Implement.
       const implementationEditResult = await edit({
         projectId,
-        prompt: buildImplementationPrompt(childPrompt, summarizeTestRunForPrompt(failingRun)),
+        prompt: buildImplementationPrompt(
+          childPrompt,
+          summarizeTestRunForPrompt(failingRun),
+          await summarizeRuntimeErrors()
+        ),
         ui
       });
       await appendEditPatchEvent({
@@ -723,7 +802,13 @@ export const autopilotFeatureRequest = async ({ projectId, prompt, options = {},
 
           const fixEditResult = await edit({
             projectId,
-            prompt: buildVerificationFixPrompt(childPrompt, summarizeTestRunForPrompt(latestRun), attempt, verificationFixRetries),
+            prompt: buildVerificationFixPrompt(
+              childPrompt,
+              summarizeTestRunForPrompt(latestRun),
+              attempt,
+              verificationFixRetries,
+              await summarizeRuntimeErrors()
+            ),
             ui
           });
           await appendEditPatchEvent({
@@ -832,7 +917,12 @@ export const autopilotFeatureRequest = async ({ projectId, prompt, options = {},
             reportStatus(`Applying user guidance (${guidanceAttempt}/${maxGuidanceAttempts})…`);
             const guidedEditResult = await edit({
               projectId,
-              prompt: buildUserGuidanceFixPrompt(childPrompt, summarizeTestRunForPrompt(latestRun), guidance),
+              prompt: buildUserGuidanceFixPrompt(
+                childPrompt,
+                summarizeTestRunForPrompt(latestRun),
+                guidance,
+                await summarizeRuntimeErrors()
+              ),
               ui
             });
             await appendEditPatchEvent({
@@ -1,5 +1,6 @@
 import { getProject } from '../../database.js';
 import { runGitCommand } from '../../utils/git.js';
+import { isSuccessfulPatchObservation } from '../codeEditAgent/steps.js';
 import {
   extractFailingTestsFromWorkspaceRuns,
   summarizeWorkspaceRunsForPayload
@@ -11,6 +12,8 @@ export const DEFAULT_THRESHOLDS = Object.freeze({ lines: 100, statements: 100, f
 
 export const CANCELLED_ERROR_CODE = 'AUTOPILOT_CANCELLED';
 
+export const BUDGET_EXCEEDED_ERROR_CODE = 'AUTOPILOT_BUDGET_EXCEEDED';
+
 export const isConflictError = (error) => {
   const code = error?.statusCode;
   const message = String(error?.message || '');
@@ -23,6 +26,14 @@ export const createCancelledError = () => {
   return error;
 };
 
+export const formatUsd = (value) => `$${(Number(value) || 0).toFixed(2)}`;
+
+export const createBudgetExceededError = ({ spentUsd, budgetUsd } = {}) => {
+  const error = new Error(`LLM budget reached (${formatUsd(spentUsd)} of ${formatUsd(budgetUsd)})`);
+  error.code = BUDGET_EXCEEDED_ERROR_CODE;
+  return error;
+};
+
 export const safeAppendEvent = (appendEvent, event) => {
   if (typeof appendEvent !== 'function') {
     return;
@@ -54,7 +65,8 @@ export const extractEditPatchFiles = (steps) => {
       continue;
     }
 
-    if (step.type === 'observation' && step.action === 'write_file' && typeof step.target === 'string' && step.target.trim()) {
+    const wroteFile = step.action === 'write_file' || isSuccessfulPatchObservation(step);
+    if (step.type === 'observation' && wroteFile && typeof step.target === 'string' && step.target.trim()) {
       const path = step.target.trim();
       const match = typeof step.summary === 'string' ? step.summary.match(/\bWrote\s+(\d+)\s+characters\b/i) : null;
       const chars = match ? Number(match[1]) : null;
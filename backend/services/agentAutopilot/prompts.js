@@ -15,6 +15,14 @@ const buildTestSummarySection = (testSummary) => {
   return `Latest Test Context:\n${summary}`;
 };
 
+const buildRuntimeErrorsSection = (runtimeErrors) => {
+  const text = normalize(runtimeErrors);
+  if (!text) {
+    return [];
+  }
+  return [`Preview Runtime Errors (captured from the running app):\n${text}`];
+};
+
 const buildGuidanceSection = (guidance) => {
   const text = normalize(guidance);
   if (!text) {
@@ -30,25 +38,28 @@ export const buildFailingTestsPrompt = (goalPrompt) => [
   buildGoalSection(goalPrompt)
 ].join('\n\n');
 
-export const buildImplementationPrompt = (goalPrompt, testSummary) => [
+export const buildImplementationPrompt = (goalPrompt, testSummary, runtimeErrors) => [
   buildStageHeader('Implement feature'),
   'All required failing tests have been written. Update the production code to satisfy them without weakening the assertions. Keep the edits scoped to the described goal.',
   buildTestSummarySection(testSummary),
+  ...buildRuntimeErrorsSection(runtimeErrors),
   buildGoalSection(goalPrompt)
 ].join('\n\n');
 
-export const buildVerificationFixPrompt = (goalPrompt, testSummary, attempt, maxAttempts) => [
+export const buildVerificationFixPrompt = (goalPrompt, testSummary, attempt, maxAttempts, runtimeErrors) => [
   buildStageHeader(`Stabilize verification run (${attempt}/${maxAttempts})`),
   'Tests or coverage gates are still failing. Investigate the reported issues and adjust the implementation without deleting or ignoring the failing checks.',
   buildTestSummarySection(testSummary),
+  ...buildRuntimeErrorsSection(runtimeErrors),
   buildGoalSection(goalPrompt)
 ].join('\n\n');
 
-export const buildUserGuidanceFixPrompt = (goalPrompt, testSummary, guidance) => [
+export const buildUserGuidanceFixPrompt = (goalPrompt, testSummary, guidance, runtimeErrors) => [
   buildStageHeader('Apply user guidance'),
   'Incorporate the additional instructions while keeping all earlier tests and expectations intact.',
   buildGuidanceSection(guidance),
   buildTestSummarySection(testSummary),
+  ...buildRuntimeErrorsSection(runtimeErrors),
   buildGoalSection(goalPrompt)
 ].join('\n\n');
 
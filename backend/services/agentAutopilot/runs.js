@@ -136,6 +136,7 @@ export const summarizeWorkspaceRunsForPayload = (workspaceRuns = []) => {
       exitCode: Number.isFinite(run?.exitCode) ? run.exitCode : null,
       durationMs: Number.isFinite(run?.durationMs) ? run.durationMs : null,
       coverage: run?.coverage || null,
+      testSummary: run?.testSummary || null,
       logs: trimmedLogs,
       streams: splitLogsByStream([run])[0]
     };
@@ -167,9 +168,10 @@ export const extractFailingTestsFromWorkspaceRuns = (workspaceRuns = []) => {
       }
       const status = (test.status || '').toLowerCase();
       if (status === 'failed' || status === 'fail') {
+        const name = test.name || test.title || 'unnamed test';
         pushFailure({
           workspace,
-          name: test.name || test.title || 'unnamed test',
+          name: test.file ? `${test.file} > ${name}` : name,
           message: test.error || test.message || null
         });
       }
@@ -0,0 +1,316 @@
+import { spawn } from 'child_process';
+import path from 'path';
+import { getAgentCommandSettings } from '../database.js';
+import { AGENT_COMMAND_ENV_KEYS, ALLOWLIST_DENIED_ARGUMENTS } from '../constants/agentCommandPolicy.js';
+
+// Shell commands requested by the code edit agent. Commands are split into argv and spawned
+// without a shell, so operators such as `&&` or `>` are rejected rather than interpreted.
+// Anything that does not match the allowlist needs an explicit user approval first.
+
+const SHELL_OPERATOR_CHARS = new Set([';', '&', '|', '<', '>', '`', '$', '\n', '\r']);
+
+export const parseCommandLine = (commandLine) => {
+  if (typeof commandLine !== 'string' || !commandLine.trim()) {
+    throw new Error('command is required');
+  }
+
+  const args = [];
+  let current = '';
+  let hasToken = false;
+  let quote = null;
+
+  for (let index = 0; index < commandLine.length; index += 1) {
+    const ch = commandLine[index];
+    if (quote) {
+      if (ch === quote) {
+        quote = null;
+      } else if (ch === '\\' && quote === '"' && index + 1 < commandLine.length) {
+        index += 1;
+        current += commandLine[index];
+      } else {
+        current += ch;
+      }
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      quote = ch;
+      hasToken = true;
+      continue;
+    }
+    if (SHELL_OPERATOR_CHARS.has(ch)) {
+      throw new Error('Shell operators (; & | < > ` $) are not supported; run one command at a time');
+    }
+    if (/\s/.test(ch)) {
+      if (hasToken) {
+        args.push(current);
+        current = '';
+        hasToken = false;
+      }
+      continue;
+    }
+    current += ch;
+    hasToken = true;
+  }
+
+  if (quote) {
+    throw new Error('command has an unterminated quote');
+  }
+  if (hasToken) {
+    args.push(current);
+  }
+  return args;
+};
+
+const splitAllowlistEntry = (entry) => (typeof entry === 'string' ? entry.trim().split(/\s+/).filter(Boolean) : []);
+
+const DENIED_ARGUMENTS = new Set(ALLOWLIST_DENIED_ARGUMENTS.map((arg) => arg.toLowerCase()));
+
+const isOutsidePath = (value) => (
+  path.isAbsolute(value)
+  || path.win32.isAbsolute(value)
+  || value.startsWith('~')
+  || value.split(/[\\/]/).includes('..')
+);
+
+// Arguments after the allowlisted prefix may not name a denied flag or point outside the project.
+const isUnsafeExtraArgument = (arg) => {
+  const separator = arg.startsWith('-') ? arg.indexOf('=') : -1;
+  const flag = separator > 0 ? arg.slice(0, separator) : arg;
+  const value = separator > 0 ? arg.slice(separator + 1) : arg;
+  return DENIED_ARGUMENTS.has(flag.toLowerCase()) || isOutsidePath(value);
+};
+
+// Returns the allowlist entry that covers `args`, or null.
+export const findAllowlistMatch = (args, allowlist = []) => {
+  if (!Array.isArray(args) || !args.length || !Array.isArray(allowlist)) {
+    return null;
+  }
+  for (const entry of allowlist) {
+    const prefix = splitAllowlistEntry(entry);
+    if (
+      prefix.length
+      && prefix.length <= args.length
+      && prefix.every((token, index) => token === args[index])
+      && !args.slice(prefix.length).some(isUnsafeExtraArgument)
+    ) {
+      return prefix.join(' ');
+    }
+  }
+  return null;
+};
+
+// Agent commands get the basics a build or test run needs, not the server's whole environment.
+export const buildCommandEnv = (sourceEnv = process.env) => {
+  const env = {};
+  for (const [key, value] of Object.entries(sourceEnv || {})) {
+    if (typeof value === 'string' && (AGENT_COMMAND_ENV_KEYS.includes(key) || key.startsWith('LC_'))) {
+      env[key] = value;
+    }
+  }
+  return { ...env, CI: '1', FORCE_COLOR: '0' };
+};
+
+// Keeps the head and the tail of long output; test failures usually show up at the end.
+// `omittedChars` counts output already dropped from the middle of `text`.
+export const truncateCommandOutput = (text, maxChars, omittedChars = 0) => {
+  const value = typeof text === 'string' ? text : '';
+  if (!maxChars || (value.length <= maxChars && !omittedChars)) {
+    return { output: value, truncated: false };
+  }
+  const head = Math.floor(maxChars / 4);
+  const tail = maxChars - head;
+  const omitted = Math.max(0, value.length - head - tail) + omittedChars;
+  return {
+    output: `${value.slice(0, head)}\n…${omitted} characters omitted…\n${value.slice(value.length - tail)}`,
+    truncated: true
+  };
+};
+
+// How long a stopped command gets to exit after SIGTERM before SIGKILL, and after SIGKILL
+// before it is given up on.
+const KILL_GRACE_MS = 2000;
+
+// On POSIX commands run in their own process group, so the whole group is signalled and
+// grandchildren that still hold stdout go down with the command.
+const terminateChild = (child, platform = process.platform, spawnFn = spawn, signalName = 'SIGTERM') => {
+  if (platform === 'win32' && child.pid) {
+    spawnFn('taskkill', ['/PID', String(child.pid), '/T', '/F'], { windowsHide: true });
+    return;
+  }
+  if (child.pid) {
+    try {
+      process.kill(-child.pid, signalName);
+      return;
+    } catch {
+      // The group is gone or was never created; fall back to the child itself.
+    }
+  }
+  child.kill(signalName);
+};
+
+export const executeCommand = ({
+  args,
+  cwd,
+  timeoutMs,
+  maxOutputChars,
+  signal,
+  spawnFn = spawn,
+  platform = process.platform
+} = {}) => new Promise((resolve) => {
+  if (signal?.aborted) {
+    resolve({ exitCode: null, timedOut: false, durationMs: 0, output: 'Command was cancelled before it started', truncated: false });
+    return;
+  }
+
+  const startedAt = Date.now();
+  const headChars = Math.floor((maxOutputChars || 0) / 4);
+  let output = '';
+  let omittedChars = 0;
+  let timedOut = false;
+  let stopping = false;
+  let settled = false;
+  let timer = null;
+  let killTimer = null;
+
+  const finish = (exitCode, errorMessage = null) => {
+    if (settled) {
+      return;
+    }
+    settled = true;
+    clearTimeout(timer);
+    clearTimeout(killTimer);
+    signal?.removeEventListener?.('abort', handleAbort);
+    const combined = errorMessage ? `${output}${output ? '\n' : ''}${errorMessage}` : output;
+    resolve({
+      exitCode,
+      timedOut,
+      durationMs: Date.now() - startedAt,
+      ...truncateCommandOutput(combined, maxOutputChars, omittedChars)
+    });
+  };
+
+  let child;
+  try {
+    child = spawnFn(args[0], args.slice(1), {
+      cwd,
+      env: buildCommandEnv(),
+      shell: platform === 'win32',
+      detached: platform !== 'win32',
+      windowsHide: true
+    });
+  } catch (error) {
+    resolve({
+      exitCode: null,
+      timedOut: false,
+      durationMs: 0,
+      output: error?.message || 'Command failed to start',
+      truncated: false
+    });
+    return;
+  }
+
+  // SIGTERM first, SIGKILL if that is ignored, and a result without 'close' if even that
+  // leaves something holding the output pipes open.
+  const stop = () => {
+    if (stopping || settled) {
+      return;
+    }
+    stopping = true;
+    terminateChild(child, platform, spawnFn);
+    killTimer = setTimeout(() => {
+      terminateChild(child, platform, spawnFn, 'SIGKILL');
+      killTimer = setTimeout(() => finish(null, 'Command did not exit after SIGKILL'), KILL_GRACE_MS);
+    }, KILL_GRACE_MS);
+  };
+
+  timer = setTimeout(() => {
+    timedOut = true;
+    stop();
+  }, timeoutMs);
+
+  const handleAbort = () => stop();
+  signal?.addEventListener?.('abort', handleAbort, { once: true });
+
+  // Only the head and tail are ever reported, so the middle is dropped as output arrives.
+  const append = (chunk) => {
+    output += chunk.toString();
+    if (maxOutputChars && output.length > maxOutputChars * 2) {
+      const tailChars = maxOutputChars - headChars;
+      omittedChars += output.length - headChars - tailChars;
+      output = `${output.slice(0, headChars)}${output.slice(output.length - tailChars)}`;
+    }
+  };
+  child.stdout?.on('data', append);
+  child.stderr?.on('data', append);
+  child.on('error', (error) => finish(null, error?.message || 'Command failed'));
+  child.on('close', (code) => finish(typeof code === 'number' ? code : null));
+});
+
+// Runs `command` inside `cwd`. `approve` is asked for anything off the allowlist and must
+// resolve to true for the command to run; a denied command resolves with status 'denied'.
+export const runAgentCommand = async ({
+  command,
+  cwd,
+  reason = null,
+  approve,
+  signal,
+  settings: providedSettings,
+  spawnFn,
+  platform
+} = {}) => {
+  const settings = providedSettings || await getAgentCommandSettings();
+
+  let args;
+  try {
+    args = parseCommandLine(command);
+  } catch (error) {
+    return { command: String(command || ''), status: 'rejected', error: error.message };
+  }
+
+  const normalized = args.join(' ');
+  const allowlistMatch = findAllowlistMatch(args, settings.allowlist);
+  let approval = allowlistMatch ? 'allowlist' : null;
+
+  if (!approval) {
+    const approved = typeof approve === 'function'
+      ? await approve({ command: normalized, cwd, reason })
+      : false;
+    if (!approved) {
+      return {
+        command: normalized,
+        status: 'denied',
+        approval: 'denied',
+        error: 'Command is not on the allowlist and was not approved by the user.'
+      };
+    }
+    approval = 'user';
+  }
+
+  const result = await executeCommand({
+    args,
+    cwd,
+    timeoutMs: settings.timeoutMs,
+    maxOutputChars: settings.maxOutputChars,
+    signal,
+    spawnFn,
+    platform
+  });
+
+  return {
+    command: normalized,
+    status: 'ran',
+    approval,
+    ...result
+  };
+};
+
+export default {
+  runAgentCommand,
+  parseCommandLine,
+  findAllowlistMatch,
+  buildCommandEnv
+};
+
+export const __testing = {
+  terminateChild
+};
@@ -6,16 +6,21 @@ import {
   listGoals as listStoredGoals,
   updateGoalStatus as updateStoredGoalStatus,
   updateGoalLifecycleState as updateStoredGoalLifecycleState,
+  updateGoalDependencies as updateStoredGoalDependencies,
+  updateGoalAcceptanceChecks as updateStoredGoalAcceptanceChecks,
   deleteGoal as deleteStoredGoal,
   createGoalTask,
   listGoalTasks,
   updateGoalTaskStatus
 } from './goalStore.js';
-import { startJob, waitForJobCompletion, JOB_STATUS } from './jobRunner.js';
+import { startJob, waitForJobCompletion, JOB_PRIORITY, JOB_STATUS } from './jobRunner.js';
 import { llmClient } from '../llm-client.js';
 import { ensureGitRepository, runGitCommand } from '../utils/git.js';
 import { getProject } from '../database.js';
-import { assertGoalTransition, isGoalState } from './goalLifecycle.js';
+import { GOAL_STATES, assertGoalTransition, isGoalState } from './goalLifecycle.js';
+import { findDependencyCycle, normalizeDependencyIds } from './goalGraph.js';
+import { parseAcceptanceChecks } from './acceptanceChecks.js';
+import { verifyAcceptanceChecks } from './acceptanceVerifier.js';
 import {
   extractLatestRequest,
   extractSelectedProjectAssets,
@@ -58,6 +63,7 @@ import {
   createBuildPlannerProjectSnapshot,
   createCollectProjectFileList
 } from './agentOrchestrator/projectSnapshot.js';
+import { loadProjectMemoryContext } from './projectMemoryStore.js';
 
 const PHASES = ['planning', 'testing', 'implementing', 'verifying', 'ready', 'failed'];
 
@@ -199,6 +205,7 @@ const createGoalWithTasks = async ({
   title = null,
   parentGoalId = null,
   branchName = null,
+  acceptanceChecks = [],
   extraClarifyingQuestions = [],
   metadataOverrides = null
 }) => {
@@ -234,6 +241,7 @@ const createGoalWithTasks = async ({
     status: 'planning',
     parentGoalId,
     branchName,
+    acceptanceChecks,
     metadata: mergedMetadata.metadata
   });
 
@@ -285,6 +293,7 @@ export const createChildGoal = async ({
   prompt,
   title = null,
   branchName = null,
+  acceptanceChecks = [],
   extraClarifyingQuestions = [],
   metadataOverrides = null
 }) => {
@@ -310,6 +319,7 @@ export const createChildGoal = async ({
     title,
     parentGoalId,
     branchName: branchName || parent.branchName,
+    acceptanceChecks,
     extraClarifyingQuestions,
     metadataOverrides
   });
@@ -359,6 +369,31 @@ const buildGoalTreeFromList = (goals = [], parentId = null) => {
 
 const normalizePromptKey = (value) => (typeof value === 'string' ? value.trim() : '');
 
+// Plan nodes reference the siblings they build on by 1-based position; once every sibling
+// has been created those positions become goal ids.
+const applyPlanDependencies = async (plans, goals) => {
+  const edges = goals.map((goal, index) => ({
+    id: goal.id,
+    dependsOn: normalizeDependencyIds((plans[index].dependsOn || []).map((position) => goals[position - 1]?.id))
+  }));
+  if (findDependencyCycle(edges)) {
+    console.warn('[WARN] Ignoring planned goal dependencies that form a cycle');
+    return goals;
+  }
+
+  const linked = [];
+  for (const [index, goal] of goals.entries()) {
+    const { dependsOn } = edges[index];
+    if (dependsOn.length === 0) {
+      linked.push(goal);
+      continue;
+    }
+    await updateStoredGoalDependencies(goal.id, dependsOn);
+    linked.push({ ...goal, dependsOn });
+  }
+  return linked;
+};
+
 const createGoalTreeWithChildren = async ({
   projectId,
   prompt,
@@ -437,6 +472,7 @@ const createGoalTreeWithChildren = async ({
       parentGoalId: parentId,
       prompt: plan.prompt,
       title: plan.title,
+      acceptanceChecks: plan.acceptanceChecks,
       metadataOverrides
     });
 
@@ -447,7 +483,7 @@ const createGoalTreeWithChildren = async ({
       nestedChildren.push(nested);
     }
 
-    return { ...childGoal, children: nestedChildren };
+    return { ...childGoal, children: await applyPlanDependencies(childPlans, nestedChildren) };
   };
 
   const children = [];
@@ -456,7 +492,7 @@ const createGoalTreeWithChildren = async ({
     children.push(node);
   }
 
-  return { parent, children };
+  return { parent, children: await applyPlanDependencies(normalizedChildPlans, children) };
 };
 
 export const createMetaGoalWithChildren = async ({
@@ -529,6 +565,7 @@ export const planGoalFromPrompt = async ({ projectId, prompt, goalId = null }) =
 
   const projectContext = await resolveProjectStackContext(projectId);
   const projectSnapshot = await buildPlannerProjectSnapshot(projectId);
+  const projectMemory = await loadProjectMemoryContext(projectId);
 
   const buildPlannerMessages = (strict = false) => {
     const strictInstructions = strict
@@ -557,6 +594,14 @@ export const planGoalFromPrompt = async ({ projectId, prompt, goalId = null }) =
         'For navigation requests, avoid placing links inline in page content; prefer a dedicated navigation component mounted in the layout/header. ' +
         'Assume UI code lives under frontend/ and server code under backend/ unless the project context says otherwise. ' +
         'Preferred structure: one top-level goal with 3-5 sub-goals (children) that describe concrete steps. ' +
+        'Sibling goals without dependencies may be worked on in parallel, so when a goal builds on the result of an earlier sibling, ' +
+        'list the 1-based numbers of those siblings in its "dependsOn" array; omit "dependsOn" for independent goals. ' +
+        'When a goal has a result that can be checked automatically, add "acceptanceChecks" using only these shapes: ' +
+        '{ "type": "route-status", "path": "/api/items", "status": 200 }, ' +
+        '{ "type": "element-exists", "selector": "nav .about-link", "path": "/" }, ' +
+        '{ "type": "file-export", "file": "frontend/src/utils/format.js", "name": "formatDate" }, ' +
+        '{ "type": "test-exists", "name": "renders the about link" }. ' +
+        'Only propose checks the goal itself makes true; omit "acceptanceChecks" otherwise. ' +
         'Example of good goal structure (do not copy, follow the style): ' +
         'For a nav bar request, good goals would be: ' +
         'Goal: Implement navigation bar. ' +
@@ -572,12 +617,15 @@ export const planGoalFromPrompt = async ({ projectId, prompt, goalId = null }) =
           ? `Project snapshot:\n${projectSnapshot}\n` +
             'Use the snapshot to map generic goals to concrete files/components only when it clearly improves accuracy. '
           : '') +
+        (projectMemory
+          ? `${projectMemory}\nPlan goals that respect the project memory above. `
+          : '') +
         styleOnlyInstruction +
         strictInstructions +
         ' Respond with JSON shaped like ' +
         '{ "parentTitle": "Short summary (<=10 words)", ' +
         '  "questions": ["Optional clarifying question"], ' +
-        '  "childGoals": [ { "title": "Short label (<=8 words)", "prompt": "Detailed implementation instructions", "children": [ ... ] } ] }.'
+        '  "childGoals": [ { "title": "Short label (<=8 words)", "prompt": "Detailed implementation instructions", "dependsOn": [1], "acceptanceChecks": [ ... ], "children": [ ... ] } ] }.'
     };
 
     const userMessage = {
@@ -707,12 +755,79 @@ export const deleteGoalById = async (goalId, options = undefined) => {
   return deleteStoredGoal(goalId, options);
 };
 
+// Replaces the goals a goal waits for. Edges only connect siblings (goals sharing a parent)
+// and may not form a cycle.
+export const setGoalDependencies = async (goalId, dependsOn) => {
+  if (!Array.isArray(dependsOn)) {
+    throw new Error('dependsOn must be an array');
+  }
+
+  const goal = await getStoredGoal(goalId);
+  if (!goal) {
+    throw new Error('Goal not found');
+  }
+
+  const dependencyIds = normalizeDependencyIds(dependsOn);
+  if (dependencyIds.includes(goal.id)) {
+    throw new Error('A goal cannot depend on itself');
+  }
+
+  const siblings = (await listStoredGoals(goal.projectId)).filter((candidate) => (
+    candidate.id !== goal.id && String(candidate.parentGoalId ?? '') === String(goal.parentGoalId ?? '')
+  ));
+  const siblingIds = new Set(siblings.map((sibling) => sibling.id));
+  const unknownIds = dependencyIds.filter((id) => !siblingIds.has(id));
+  if (unknownIds.length > 0) {
+    throw new Error(`Goal dependencies must be sibling goals: ${unknownIds.join(', ')}`);
+  }
+
+  const cycle = findDependencyCycle([{ ...goal, dependsOn: dependencyIds }, ...siblings]);
+  if (cycle) {
+    throw new Error(`Goal dependencies form a cycle: ${cycle.join(' -> ')}`);
+  }
+
+  return updateStoredGoalDependencies(goal.id, dependencyIds);
+};
+
+export const setGoalAcceptanceChecks = async (goalId, acceptanceChecks) => {
+  const checks = parseAcceptanceChecks(acceptanceChecks);
+  const goal = await getStoredGoal(goalId);
+  if (!goal) {
+    throw new Error('Goal not found');
+  }
+  return updateStoredGoalAcceptanceChecks(goal.id, checks);
+};
+
+// Runs the goal's acceptance checks and keeps the outcome in `metadata.acceptance`
+// without changing its lifecycle state.
+const recordAcceptanceVerification = async (goal) => {
+  const verification = await verifyAcceptanceChecks(goal.projectId, goal.acceptanceChecks);
+  const existingMeta = goal.metadata && typeof goal.metadata === 'object' ? goal.metadata : {};
+  const updated = await updateStoredGoalLifecycleState(
+    goal.id,
+    goal.lifecycleState || 'draft',
+    { ...existingMeta, acceptance: verification }
+  );
+  return { goal: updated, verification };
+};
+
+export const verifyGoalAcceptance = async (goalId) => {
+  const goal = await getStoredGoal(goalId);
+  if (!goal) {
+    throw new Error('Goal not found');
+  }
+  if (goal.acceptanceChecks.length === 0) {
+    throw new Error('Goal has no acceptance checks');
+  }
+  return recordAcceptanceVerification(goal);
+};
+
 export const advanceGoalState = async (goalId, targetState, metadataUpdates = {}) => {
   if (!isGoalState(targetState)) {
     throw new Error(`Unknown state: ${targetState}`);
   }
 
-  const goal = await getStoredGoal(goalId);
+  let goal = await getStoredGoal(goalId);
   if (!goal) {
     throw new Error('Goal not found');
   }
@@ -720,6 +835,17 @@ export const advanceGoalState = async (goalId, targetState, metadataUpdates = {}
   const fromState = goal.lifecycleState || 'draft';
   assertGoalTransition(fromState, targetState);
 
+  // Tests can pass while the requested feature is still missing, so a goal only becomes
+  // ready to merge once every acceptance check it carries passes.
+  if (targetState === GOAL_STATES.READY_TO_MERGE && goal.acceptanceChecks.length > 0) {
+    const { goal: verifiedGoal, verification } = await recordAcceptanceVerification(goal);
+    if (!verification.passed) {
+      const failed = verification.results.filter((result) => !result.passed && !result.pending).map((result) => result.label);
+      throw new Error(`Acceptance checks failed: ${failed.join('; ')}`);
+    }
+    goal = verifiedGoal;
+  }
+
   const existingMeta = goal.metadata && typeof goal.metadata === 'object' ? goal.metadata : {};
   const nextMeta = { ...existingMeta, ...metadataUpdates };
 
@@ -799,7 +925,8 @@ export const runTestsForGoal = async (goalId, { cwd, command, args = [], env = {
     command,
     args,
     cwd,
-    env
+    env,
+    priority: JOB_PRIORITY.LOW
   });
 
   const completed = await waitForJobCompletion(job.id);
@@ -864,6 +991,7 @@ export const __testExports__ = {
   normalizePlannerPrompt,
   normalizeGoalPlanTree,
   buildGoalTreeFromList,
+  applyPlanDependencies,
   buildGoalMetadataFromPrompt,
   buildHeuristicChildPlans,
   collectProjectFileList,
@@ -882,6 +1010,9 @@ export default {
   planGoalFromPrompt,
   getGoalWithTasks,
   listGoalsForProject,
+  setGoalDependencies,
+  setGoalAcceptanceChecks,
+  verifyGoalAcceptance,
   advanceGoalPhase,
   recordTestRunForGoal,
   runTestsForGoal
@@ -1,4 +1,5 @@
 import { deriveGoalTitle } from './goalTitle.js';
+import { normalizeAcceptanceChecks } from '../acceptanceChecks.js';
 
 const MAX_PLAN_DEPTH = 4;
 const MAX_PLAN_NODES = 40;
@@ -49,6 +50,40 @@ const normalizeChildPlans = (entries = []) => {
   return plans;
 };
 
+const readPlanDependencies = (entry) => {
+  if (Array.isArray(entry.dependsOn)) return entry.dependsOn;
+  if (Array.isArray(entry.depends_on)) return entry.depends_on;
+  return [];
+};
+
+// Nodes pulled up from a nested level lose their edges: those point at their old siblings.
+const withoutPlanDependencies = ({ dependsOn, ...node }) => node;
+
+// Plan entries may list the siblings they build on in `dependsOn`, either as 1-based step
+// numbers or as sibling titles. Normalized nodes carry them as 1-based positions among
+// their normalized siblings, so normalizing a normalized tree keeps the same edges.
+const resolvePlanDependencies = (nodes, pending, positionsByStep) => {
+  const resolve = (ref) => {
+    const text = String(ref ?? '').trim();
+    if (/^\d+$/.test(text)) {
+      return positionsByStep.get(Number(text));
+    }
+    const key = text.toLowerCase();
+    const match = nodes.findIndex((node) => node.title.toLowerCase() === key || node.prompt.toLowerCase() === key);
+    return match >= 0 ? match + 1 : undefined;
+  };
+
+  for (const [node, refs] of pending) {
+    const position = nodes.indexOf(node) + 1;
+    const dependsOn = [...new Set(refs.map(resolve))]
+      .filter((value) => value && value !== position)
+      .sort((a, b) => a - b);
+    if (dependsOn.length > 0) {
+      node.dependsOn = dependsOn;
+    }
+  }
+};
+
 const normalizeGoalPlanTree = (
   entries = [],
   { depth = 1, maxDepth = MAX_PLAN_DEPTH, maxNodes = MAX_PLAN_NODES, stats = { count: 0 } } = {}
@@ -58,14 +93,18 @@ const normalizeGoalPlanTree = (
   }
 
   const nodes = [];
-  const seen = new Set();
+  const seen = new Map();
+  const pendingDependencies = [];
+  const positionsByStep = new Map();
 
-  for (const entry of entries) {
+  for (const [index, entry] of entries.entries()) {
     if (stats.count >= maxNodes) break;
 
     let prompt = '';
     let title = '';
     let childEntries = [];
+    let dependencyRefs = [];
+    let acceptanceChecks = [];
 
     if (entry && typeof entry === 'object' && !Array.isArray(entry)) {
       prompt = typeof entry.prompt === 'string' ? entry.prompt.trim() : '';
@@ -75,6 +114,8 @@ const normalizeGoalPlanTree = (
       } else if (Array.isArray(entry.childGoals)) {
         childEntries = entry.childGoals;
       }
+      dependencyRefs = readPlanDependencies(entry);
+      acceptanceChecks = normalizeAcceptanceChecks(entry.acceptanceChecks);
     } else if (typeof entry === 'string') {
       prompt = entry.trim();
     }
@@ -93,34 +134,44 @@ const normalizeGoalPlanTree = (
 
     if (normalizedPrompt && isProgrammaticVerificationStep(normalizedPrompt)) {
       if (normalizedChildren.length > 0) {
-        nodes.push(...normalizedChildren);
+        nodes.push(...normalizedChildren.map(withoutPlanDependencies));
       }
       continue;
     }
 
     if (!normalizedPrompt) {
-      nodes.push(...normalizedChildren);
+      nodes.push(...normalizedChildren.map(withoutPlanDependencies));
       continue;
     }
 
     if (seen.has(normalizedPrompt)) {
+      positionsByStep.set(index + 1, seen.get(normalizedPrompt));
       if (normalizedChildren.length > 0) {
-        nodes.push(...normalizedChildren);
+        nodes.push(...normalizedChildren.map(withoutPlanDependencies));
       }
       continue;
     }
 
-    seen.add(normalizedPrompt);
+    seen.set(normalizedPrompt, nodes.length + 1);
+    positionsByStep.set(index + 1, nodes.length + 1);
     stats.count += 1;
 
     const fallbackTitle = title || `Goal ${stats.count}`;
-    nodes.push({
+    const node = {
       prompt: normalizedPrompt,
       title: title || deriveGoalTitle(normalizedPrompt, { fallback: fallbackTitle }),
       children: normalizedChildren
-    });
+    };
+    if (acceptanceChecks.length > 0) {
+      node.acceptanceChecks = acceptanceChecks;
+    }
+    nodes.push(node);
+    if (dependencyRefs.length > 0) {
+      pendingDependencies.push([node, dependencyRefs]);
+    }
   }
 
+  resolvePlanDependencies(nodes, pendingDependencies, positionsByStep);
   return nodes;
 };
 
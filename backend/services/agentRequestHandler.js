@@ -1,8 +1,10 @@
 import { llmClient } from '../llm-client.js';
 import { answerProjectQuestion } from './questionToolAgent.js';
-import { isStyleOnlyPrompt } from './promptHeuristics.js';
+import { extractLatestRequest, isStyleOnlyPrompt } from './promptHeuristics.js';
 import { planGoalFromPrompt } from './agentOrchestrator.js';
 import { isLlmPlanningError, planGoalFromPromptFallback } from './planningFallback.js';
+import { buildThreadContext, linkChatThread } from './chatThreadStore.js';
+import { captureCorrectionMemory } from './projectMemoryStore.js';
 
 const normalizeJsonLikeText = (value) => {
   if (typeof value !== 'string') {
@@ -107,6 +109,10 @@ const extractJsonObject = (raw) => {
   }
 };
 
+// llm-client tags aborted requests with this code; cancellation must not be
+// mistaken for an LLM failure and routed into the planner fallbacks.
+const isCancelledError = (error) => error?.code === 'LLM_REQUEST_CANCELLED';
+
 const normalizeClassificationResult = (parsed) => {
   if (!parsed || typeof parsed !== 'object') {
     return parsed;
@@ -131,7 +137,7 @@ const normalizeClassificationResult = (parsed) => {
   return parsed;
 };
 
-export const classifyAgentRequest = async ({ projectId, prompt }) => {
+export const classifyAgentRequest = async ({ projectId, prompt, signal }) => {
   if (!projectId) {
     throw new Error('projectId is required');
   }
@@ -161,7 +167,8 @@ export const classifyAgentRequest = async ({ projectId, prompt }) => {
     __lucidcoderDisableToolBridge: true,
     __lucidcoderForceMinimalToolBridge: true,
     __lucidcoderPhase: 'classification',
-    __lucidcoderRequestType: 'classify'
+    __lucidcoderRequestType: 'classify',
+    ...(signal ? { __lucidcoderSignal: signal } : {})
   };
 
   const raw = await llmClient.generateResponse([systemMessage, userMessage], callOptions);
@@ -203,20 +210,13 @@ export const classifyAgentRequest = async ({ projectId, prompt }) => {
   return parsed;
 };
 
-export const handleAgentRequest = async ({ projectId, prompt, maxSteps }) => {
-  if (!projectId) {
-    throw new Error('projectId is required');
-  }
-  if (!prompt || typeof prompt !== 'string') {
-    throw new Error('prompt is required');
-  }
-
+const resolveAgentRequest = async ({ projectId, prompt, maxSteps, onToken, signal }) => {
   const isClarificationWrapper = /\bOriginal request:\b/i.test(prompt)
     && /\bUser answer:\b/i.test(prompt);
 
   const safeAnswerProjectQuestion = async (meta = undefined) => {
     try {
-      const { answer, steps } = await answerProjectQuestion({ projectId, prompt, maxSteps });
+      const { answer, steps } = await answerProjectQuestion({ projectId, prompt, maxSteps, onToken, signal });
       return {
         kind: 'question',
         answer: answer || null,
@@ -224,6 +224,9 @@ export const handleAgentRequest = async ({ projectId, prompt, maxSteps }) => {
         ...(meta ? { meta } : {})
       };
     } catch (error) {
+      if (isCancelledError(error)) {
+        throw error;
+      }
       const questionError = error?.message || 'Unknown error';
       console.error('[Agent] Question agent failed:', questionError);
       return {
@@ -243,9 +246,12 @@ export const handleAgentRequest = async ({ projectId, prompt, maxSteps }) => {
     if (isClarificationWrapper) {
       classification = { kind: 'feature' };
     } else {
-      classification = await classifyAgentRequest({ projectId, prompt });
+      classification = await classifyAgentRequest({ projectId, prompt, signal });
     }
   } catch (error) {
+    if (isCancelledError(error)) {
+      throw error;
+    }
     console.warn('[Agent] Classification failed, attempting planner fallback:', error?.message || error);
     const classificationError = error?.message || 'Unknown error';
     let plannerFallbackError;
@@ -365,12 +371,69 @@ export const handleAgentRequest = async ({ projectId, prompt, maxSteps }) => {
   };
 };
 
+// Prefixes the prompt with a summarised window of the chat thread it was sent from.
+const withThreadContext = async (threadId, prompt) => {
+  const context = await buildThreadContext(threadId, { currentRequest: extractLatestRequest(prompt) });
+  if (!context) {
+    return prompt;
+  }
+  const request = /\bCurrent request:/i.test(prompt) ? prompt : `Current request: ${prompt}`;
+  return `${context}\n\n${request}`;
+};
+
+const linkPlannedGoals = async (threadId, result) => {
+  const goalIds = [result?.parent?.id, ...(Array.isArray(result?.children) ? result.children.map((child) => child?.id) : [])]
+    .filter((id) => id !== undefined && id !== null);
+  for (const goalId of goalIds) {
+    await linkChatThread(threadId, { kind: 'goal', refId: goalId });
+  }
+};
+
+// Saved before the request runs, so the agents handling it already see the new memory.
+const rememberCorrection = async (projectId, prompt) => {
+  try {
+    await captureCorrectionMemory(projectId, prompt);
+  } catch (error) {
+    console.warn('[Agent] Failed to save correction to project memory:', error?.message || error);
+  }
+};
+
+export const handleAgentRequest = async ({ projectId, prompt, maxSteps, onToken, signal, threadId }) => {
+  if (!projectId) {
+    throw new Error('projectId is required');
+  }
+  if (!prompt || typeof prompt !== 'string') {
+    throw new Error('prompt is required');
+  }
+  await rememberCorrection(projectId, prompt);
+  if (!threadId) {
+    return resolveAgentRequest({ projectId, prompt, maxSteps, onToken, signal });
+  }
+
+  const result = await resolveAgentRequest({
+    projectId,
+    prompt: await withThreadContext(threadId, prompt),
+    maxSteps,
+    onToken,
+    signal
+  });
+  if (result.kind === 'feature') {
+    try {
+      await linkPlannedGoals(threadId, result);
+    } catch (error) {
+      console.warn('[Agent] Failed to link goals to chat thread:', error?.message || error);
+    }
+  }
+  return result;
+};
+
 export const __testing = {
   normalizeJsonLikeText,
   stripCodeFences,
   extractFirstJsonObjectSubstring,
   extractJsonObject,
-  normalizeClassificationResult
+  normalizeClassificationResult,
+  isCancelledError
 };
 
 export default {
@@ -9,8 +9,15 @@ const normalizeSessionId = (sessionId) => {
   return trimmed ? trimmed : 'default';
 };
 
+// The socket server attached at startup; callers that have no `io` of their own use it.
+let defaultIo = null;
+
+export const setAgentUiSocketServer = (io) => {
+  defaultIo = io || null;
+};
+
 export const sendAgentUiCommand = (options = {}) => {
-  const { io, projectId, sessionId, command } = options;
+  const { io = defaultIo, projectId, sessionId, command } = options;
   if (!projectId) {
     throw new Error('projectId is required');
   }
@@ -92,13 +92,14 @@ export const appendAuditLog = async (event) => {
   const statusCode = Number.isInteger(event?.statusCode) ? event.statusCode : null;
   const projectId = Number.isInteger(event?.projectId) ? event.projectId : null;
   const sessionId = typeof event?.sessionId === 'string' ? event.sessionId : null;
+  const userId = Number.isInteger(event?.userId) ? event.userId : null;
 
   const payload = safeJsonStringify(redactSensitiveValues(event?.payload ?? null));
 
   const promise = dbRun(
-    `INSERT INTO audit_logs (source, event_type, method, path, status_code, project_id, session_id, payload)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-    [source, eventType, method, path, statusCode, projectId, sessionId, payload]
+    `INSERT INTO audit_logs (source, event_type, method, path, status_code, project_id, session_id, user_id, payload)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [source, eventType, method, path, statusCode, projectId, sessionId, userId, payload]
   );
 
   pendingWrites.add(promise);
@@ -155,6 +156,8 @@ export const auditHttpRequestsMiddleware = (options = {}) => {
         statusCode: res.statusCode,
         projectId,
         sessionId: null,
+        // Read at finish: the auth middleware (or a login) sets req.user after this middleware ran.
+        userId: req.user?.id ?? null,
         payload
       }).catch(() => {
         // Best-effort: never crash request handling for audit logging.
@@ -175,7 +178,7 @@ export const __auditLogTesting = {
   listLatest: async (limit = 10) => {
     const normalized = Number.isFinite(limit) ? Math.max(Math.floor(limit), 1) : 10;
     const rows = await dbAll(
-      'SELECT id, source, event_type, method, path, status_code, project_id, session_id, payload, created_at FROM audit_logs ORDER BY id DESC LIMIT ?',
+      'SELECT id, source, event_type, method, path, status_code, project_id, session_id, user_id, payload, created_at FROM audit_logs ORDER BY id DESC LIMIT ?',
       [normalized]
     );
     return rows.map((row) => ({
@@ -187,6 +190,7 @@ export const __auditLogTesting = {
       statusCode: row.status_code,
       projectId: row.project_id,
       sessionId: row.session_id,
+      userId: row.user_id,
       payload: row.payload,
       createdAt: row.created_at
     }));
@@ -0,0 +1,267 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import db from '../database.js';
+import { hasUnrestrictedAccess, isVisibleProject } from './projectAccess.js';
+
+export const USER_ROLES = ['admin', 'member'];
+export const SESSION_COOKIE_NAME = 'lucidcoder_session';
+export const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{1,63}$/;
+
+// Compared against when the username is unknown, so a failed login costs the same either way.
+const UNKNOWN_USER_HASH = bcrypt.hashSync('lucidcoder-unknown-user', BCRYPT_ROUNDS);
+
+export class AuthError extends Error {
+  constructor(message, { statusCode = 400 } = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.statusCode = statusCode;
+  }
+}
+
+const runWithMeta = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function callback(err) {
+    if (err) {
+      reject(err);
+      return;
+    }
+    resolve({ lastID: this.lastID, changes: this.changes });
+  });
+});
+
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => {
+    if (err) {
+      reject(err);
+    } else {
+      resolve(row);
+    }
+  });
+});
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) {
+      reject(err);
+    } else {
+      resolve(rows);
+    }
+  });
+});
+
+const toUser = (row) => ({
+  id: row.id,
+  username: row.username,
+  role: row.role,
+  createdAt: row.created_at
+});
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Every request asks whether accounts exist, so keep the count in memory and refresh it on changes.
+let userCount = null;
+
+const countUsers = async () => {
+  if (userCount === null) {
+    const row = await get('SELECT COUNT(*) AS count FROM users');
+    userCount = row.count;
+  }
+  return userCount;
+};
+
+export const isAuthRequired = async () => (await countUsers()) > 0;
+
+const normalizeUsername = (value) => {
+  const username = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  if (!USERNAME_PATTERN.test(username)) {
+    throw new AuthError('Username must be 2-64 characters of letters, numbers, dots, dashes or underscores');
+  }
+  return username;
+};
+
+const assertPassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+};
+
+const normalizeRole = (role) => {
+  const normalized = role || 'member';
+  if (!USER_ROLES.includes(normalized)) {
+    throw new AuthError(`Role must be one of: ${USER_ROLES.join(', ')}`);
+  }
+  return normalized;
+};
+
+const getUserRow = (userId) => get('SELECT * FROM users WHERE id = ?', [userId]);
+
+export const getUser = async (userId) => {
+  const row = await getUserRow(userId);
+  return row ? toUser(row) : null;
+};
+
+export const listUsers = async () => {
+  const rows = await all('SELECT * FROM users ORDER BY username');
+  return rows.map(toUser);
+};
+
+const countAdmins = async () => {
+  const row = await get("SELECT COUNT(*) AS count FROM users WHERE role = 'admin'");
+  return row.count;
+};
+
+const createUser = async ({ username, password, role }) => {
+  const normalizedUsername = normalizeUsername(username);
+  assertPassword(password);
+  const normalizedRole = normalizeRole(role);
+
+  const existing = await get('SELECT id FROM users WHERE username = ?', [normalizedUsername]);
+  if (existing) {
+    throw new AuthError(`An account named "${normalizedUsername}" already exists`, { statusCode: 409 });
+  }
+
+  const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+  const { lastID } = await runWithMeta(
+    'INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)',
+    [normalizedUsername, passwordHash, normalizedRole]
+  );
+  userCount = null;
+  return getUser(lastID);
+};
+
+// The first account bootstraps the install: it becomes the admin and takes over the projects
+// created while the API ran without accounts. After that only admins can add accounts.
+export const registerUser = async ({ username, password, role } = {}, { actor = null } = {}) => {
+  if (!(await isAuthRequired())) {
+    const user = await createUser({ username, password, role: 'admin' });
+    await runWithMeta('UPDATE projects SET owner_user_id = ? WHERE owner_user_id IS NULL', [user.id]);
+    return { user, bootstrap: true };
+  }
+
+  if (actor?.role !== 'admin') {
+    throw new AuthError('Only admins can create accounts', { statusCode: 403 });
+  }
+  return { user: await createUser({ username, password, role }), bootstrap: false };
+};
+
+export const authenticateUser = async (username, password) => {
+  const normalizedUsername = typeof username === 'string' ? username.trim().toLowerCase() : '';
+  const row = normalizedUsername
+    ? await get('SELECT * FROM users WHERE username = ?', [normalizedUsername])
+    : null;
+  const matches = await bcrypt.compare(String(password ?? ''), row?.password_hash || UNKNOWN_USER_HASH);
+  if (!row || !matches) {
+    throw new AuthError('Invalid username or password', { statusCode: 401 });
+  }
+  return toUser(row);
+};
+
+export const updateUser = async (userId, { role, password } = {}, { actor }) => {
+  const row = await getUserRow(userId);
+  if (!row) {
+    throw new AuthError('User not found', { statusCode: 404 });
+  }
+
+  const isAdmin = actor?.role === 'admin';
+  if (!isAdmin && actor?.id !== row.id) {
+    throw new AuthError('You can only change your own account', { statusCode: 403 });
+  }
+
+  if (role !== undefined) {
+    if (!isAdmin) {
+      throw new AuthError('Only admins can change roles', { statusCode: 403 });
+    }
+    const normalizedRole = normalizeRole(role);
+    if (row.role === 'admin' && normalizedRole !== 'admin' && (await countAdmins()) === 1) {
+      throw new AuthError('At least one admin account is required', { statusCode: 409 });
+    }
+    await runWithMeta(
+      'UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [normalizedRole, row.id]
+    );
+  }
+
+  if (password !== undefined) {
+    assertPassword(password);
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    await runWithMeta(
+      'UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [passwordHash, row.id]
+    );
+    // A new password ends every existing session for the account.
+    await runWithMeta('DELETE FROM auth_sessions WHERE user_id = ?', [row.id]);
+  }
+
+  return getUser(row.id);
+};
+
+export const deleteUser = async (userId) => {
+  const row = await getUserRow(userId);
+  if (!row) {
+    throw new AuthError('User not found', { statusCode: 404 });
+  }
+  if (row.role === 'admin' && (await countAdmins()) === 1) {
+    throw new AuthError('At least one admin account is required', { statusCode: 409 });
+  }
+
+  await runWithMeta('DELETE FROM auth_sessions WHERE user_id = ?', [row.id]);
+  await runWithMeta('UPDATE projects SET owner_user_id = NULL WHERE owner_user_id = ?', [row.id]);
+  await runWithMeta('DELETE FROM users WHERE id = ?', [row.id]);
+  userCount = null;
+  return true;
+};
+
+export const createSession = async (userId) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString();
+  await runWithMeta(
+    'INSERT INTO auth_sessions (token_hash, user_id, expires_at) VALUES (?, ?, ?)',
+    [hashToken(token), userId, expiresAt]
+  );
+  return { token, expiresAt };
+};
+
+export const resolveSessionUser = async (token) => {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+  const row = await get(
+    `SELECT users.*, auth_sessions.expires_at AS session_expires_at
+     FROM auth_sessions JOIN users ON users.id = auth_sessions.user_id
+     WHERE auth_sessions.token_hash = ?`,
+    [hashToken(token)]
+  );
+  if (!row) {
+    return null;
+  }
+  if (Date.parse(row.session_expires_at) <= Date.now()) {
+    await revokeSession(token);
+    return null;
+  }
+  return toUser(row);
+};
+
+export const revokeSession = async (token) => {
+  await runWithMeta('DELETE FROM auth_sessions WHERE token_hash = ?', [hashToken(token)]);
+};
+
+export const canAccessProject = async (user, projectId) => {
+  if (hasUnrestrictedAccess(user)) {
+    return true;
+  }
+  const project = await get('SELECT owner_user_id FROM projects WHERE id = ?', [projectId]);
+  // Unknown projects fall through so the route can answer with its usual 404.
+  return !project || isVisibleProject(user, project);
+};
+
+export const __testing = {
+  clearAll: async () => {
+    await runWithMeta('DELETE FROM auth_sessions');
+    await runWithMeta('DELETE FROM users');
+    await runWithMeta('UPDATE projects SET owner_user_id = NULL');
+    userCount = null;
+  }
+};
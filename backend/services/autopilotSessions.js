@@ -1,8 +1,10 @@
 import { randomUUID } from 'crypto';
 import { autopilotFeatureRequest } from './agentAutopilot.js';
 import { appendRunEvent, createRun, updateRun } from './runStore.js';
+import { getProjectBudgetStatus, runWithLlmUsageContext } from './llmUsage.js';
 
 const EVENT_LIMIT = 500;
+const LIVE_OUTPUT_LIMIT = 4000;
 const ACTIVE_STATUSES = new Set(['pending', 'running', 'paused']);
 const TERMINAL_STATUSES = new Set(['completed', 'failed', 'cancelled']);
 
@@ -144,6 +146,7 @@ const summarizeSession = (session, { includeEvents = true } = {}) => {
     eventCount: session.events.length,
     eventsTrimmed: session.eventsTrimmed,
     messageCount: session.messages.length,
+    liveOutput: session.liveOutput,
     events: includeEvents ? session.events.slice() : undefined
   };
 };
@@ -178,6 +181,11 @@ const buildDeps = (session) => {
 
   const appendEvent = (event) => appendSessionEvent(session, event);
 
+  // The edit agent's streamed prose; only the tail is kept, since the UI shows it while polling.
+  const appendLiveOutput = (text) => {
+    session.liveOutput = `${session.liveOutput}${text}`.slice(-LIVE_OUTPUT_LIMIT);
+  };
+
   const uiBridge = {
     navigateTab: (tab) => {
       const target = typeof tab === 'string' ? tab : String(tab ?? '');
@@ -190,12 +198,23 @@ const buildDeps = (session) => {
     }
   };
 
+  // Autopilot pauses itself when the project's LLM budget runs out; the session
+  // shows as paused so the UI offers Resume.
+  const requestPause = () => {
+    session.control.pauseRequested = true;
+    session.status = 'paused';
+  };
+
   return {
     consumeUserUpdates,
     shouldCancel: () => session.control.cancelRequested,
     shouldPause: () => session.control.pauseRequested,
+    requestPause,
+    checkBudget: () => getProjectBudgetStatus(session.projectId),
     reportStatus,
     appendEvent,
+    onToken: appendLiveOutput,
+    signal: session.control.abortController.signal,
     waitForUserGuidance: true,
     ui: uiBridge
   };
@@ -247,12 +266,15 @@ const startAutopilotWorker = (session) => {
 
     try {
       const executor = session.control.autopilot || autopilotFeatureRequest;
-      const result = await executor({
-        projectId: session.projectId,
-        prompt: session.prompt,
-        options: session.options,
-        deps: buildDeps(session)
-      });
+      const result = await runWithLlmUsageContext(
+        { projectId: session.projectId, sessionId: session.id },
+        () => executor({
+          projectId: session.projectId,
+          prompt: session.prompt,
+          options: session.options,
+          deps: buildDeps(session)
+        })
+      );
       session.result = clonePayload(result);
       session.status = 'completed';
       session.statusMessage = 'Completed successfully';
@@ -343,9 +365,11 @@ export const createAutopilotSession = async ({ projectId, prompt, options, uiSes
     events: [],
     eventsTrimmed: 0,
     nextEventId: 0,
+    liveOutput: '',
     control: {
       pendingUpdates: [],
       cancelRequested: false,
+      abortController: new AbortController(),
       pauseRequested: false,
       running: false,
       workerPromise: null,
@@ -402,6 +426,12 @@ export const getAutopilotSession = (sessionId, { includeEvents = true } = {}) =>
   return summarizeSession(session, { includeEvents });
 };
 
+// Also aborts the LLM request in flight, so cancelling does not wait for a long reply to finish.
+const requestCancel = (session) => {
+  session.control.cancelRequested = true;
+  session.control.abortController.abort();
+};
+
 const assertProjectOwnership = (session, projectId) => {
   if (projectId == null || session.projectId === projectId) {
     return;
@@ -442,8 +472,11 @@ export const enqueueAutopilotSessionMessage = ({ sessionId, projectId, message,
     session.control.pauseRequested = true;
   } else if (kind === 'resume') {
     session.control.pauseRequested = false;
+    if (session.status === 'paused') {
+      session.status = 'running';
+    }
   } else if (kind === 'cancel') {
-    session.control.cancelRequested = true;
+    requestCancel(session);
   }
 
   appendSessionEvent(session, {
@@ -468,7 +501,7 @@ export const cancelAutopilotSession = ({ sessionId, projectId, reason } = {}) =>
     return summarizeSession(session);
   }
 
-  session.control.cancelRequested = true;
+  requestCancel(session);
   appendSessionEvent(session, {
     type: 'session:cancel-requested',
     message: 'Cancellation requested',
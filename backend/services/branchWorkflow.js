@@ -14,7 +14,7 @@ import {
   interpolateCommitTemplate,
   withStatusCode
 } from './branchWorkflow/formatting.js';
-import { getTestingSettings, getProjectTestingSettings } from '../database.js';
+import { getTestingSettings, getProjectTestingSettings, getProjectGitSettingsToken } from '../database.js';
 import {
   all,
   checkoutGitBranch,
@@ -40,8 +40,12 @@ import {
 import { createBranchWorkflowTests } from './branchWorkflow/testsApi.js';
 import { createBranchWorkflowStaging } from './branchWorkflow/stagingApi.js';
 import { createBranchWorkflowCommits } from './branchWorkflow/commitsApi.js';
+import { createBranchWorkflowPullRequests, serializeStoredPullRequest } from './branchWorkflow/pullRequestsApi.js';
+import { createBranchWorkflowConflicts } from './branchWorkflow/conflictsApi.js';
+import pullRequestService from './pullRequestService.js';
 import * as git from '../utils/git.js';
 import * as jobRunner from './jobRunner.js';
+import { getQuarantinedTestKeys, recordTestCaseResults } from './testHistory.js';
 import { llmClient } from '../llm-client.js';
 
 const JOB_STATUS_FALLBACK = {
@@ -157,7 +161,8 @@ const serializeBranchRow = (row) => {
     lastTestSummary: testSummary,
     lastTestDetails: testDetails,
     lastTestCompletedAt: lastTestRunId ? (row.last_test_completed_at || null) : null,
-    stagedFiles
+    stagedFiles,
+    pullRequest: serializeStoredPullRequest(row)
   };
 };
 
@@ -206,7 +211,8 @@ const buildOverview = (rows, latestTestRun) => {
         testsRequired,
         lastTestSummary: summary,
         lastTestDetails: lastTestRunId ? parseJsonColumn(row.last_test_details, []) : [],
-        stagedFiles
+        stagedFiles,
+        pullRequest: serializeStoredPullRequest(row)
       };
     });
 
@@ -456,6 +462,8 @@ const testsApi = createBranchWorkflowTests({
   resolveCoveragePolicy,
   getTestingSettings,
   getProjectTestingSettings,
+  getQuarantinedTestKeys,
+  recordTestCaseResults,
   isStyleOnlyPath,
   runProjectGit,
   run,
@@ -472,6 +480,10 @@ const testsApi = createBranchWorkflowTests({
 });
 
 export const runTestsForBranch = testsApi.runTestsForBranch;
+export const getCoverageTargets = testsApi.getCoverageTargets;
+export const getCoverageSummary = testsApi.getCoverageSummary;
+export const getFileCoverage = testsApi.getFileCoverage;
+export const runTargetedTests = testsApi.runTargetedTests;
 const scheduleAutoTests = testsApi.scheduleAutoTests;
 const cancelScheduledAutoTests = testsApi.cancelScheduledAutoTests;
 export const recordJobProofForBranch = testsApi.recordJobProofForBranch;
@@ -522,6 +534,32 @@ export const getBranchChangedFiles = async (projectId, branchName) => {
   }
 };
 
+const splitGitLines = (result) => String(result?.stdout || '')
+  .split(/\r?\n/)
+  .map((line) => line.trim())
+  .filter(Boolean);
+
+/**
+ * Paths that differ between `sinceCommit` and the working tree, including
+ * deletions and untracked files, whether or not they were staged or committed.
+ */
+export const getWorkingTreeChangedFiles = async (projectId, { sinceCommit = 'HEAD' } = {}) => {
+  await ensureProjectExists(projectId);
+
+  const context = await getProjectContext(projectId);
+  if (!context?.gitReady) {
+    return [];
+  }
+
+  const base = typeof sinceCommit === 'string' && sinceCommit.trim() ? sinceCommit.trim() : 'HEAD';
+  const [tracked, untracked] = await Promise.all([
+    runProjectGit(context, ['diff', '--name-only', base]),
+    runProjectGit(context, ['ls-files', '--others', '--exclude-standard'])
+  ]);
+
+  return Array.from(new Set([...splitGitLines(tracked), ...splitGitLines(untracked)]));
+};
+
 const stagingApi = createBranchWorkflowStaging({
   fs,
   path,
@@ -584,6 +622,7 @@ const commitsApi = createBranchWorkflowCommits({
   run,
   get,
   setCurrentBranch,
+  startConflictResolution: (...args) => conflictsApi.startConflictResolution(...args),
   fs,
   path
 });
@@ -594,6 +633,43 @@ export const getCommitFileDiffContent = commitsApi.getCommitFileDiffContent;
 export const revertCommit = commitsApi.revertCommit;
 export const squashCommits = commitsApi.squashCommits;
 export const mergeBranch = commitsApi.mergeBranch;
+
+const pullRequestsApi = createBranchWorkflowPullRequests({
+  withStatusCode,
+  getProjectContext,
+  getBranchByName,
+  runProjectGit,
+  resolveProjectGitSettings,
+  getProjectGitSettingsToken: (projectId) => getProjectGitSettingsToken(projectId),
+  isCssOnlyBranchDiff,
+  pullRequestService,
+  get,
+  run
+});
+
+export const openPullRequest = pullRequestsApi.openPullRequest;
+export const refreshPullRequest = pullRequestsApi.refreshPullRequest;
+
+const conflictsApi = createBranchWorkflowConflicts({
+  withStatusCode,
+  getProjectContext,
+  runProjectGit,
+  llmClient,
+  runTestsForBranch: (...args) => testsApi.runTestsForBranch(...args),
+  completeBranchMerge: (...args) => commitsApi.completeBranchMerge(...args),
+  popBranchStash: (...args) => git.popBranchStash(...args),
+  fs,
+  path
+});
+
+export const startConflictResolution = conflictsApi.startConflictResolution;
+export const getMergeConflicts = conflictsApi.getMergeConflicts;
+export const getConflictFile = conflictsApi.getConflictFile;
+export const saveConflictResolution = conflictsApi.saveConflictResolution;
+export const resolveConflictHunk = conflictsApi.resolveConflictHunk;
+export const resolveConflictsWithAgent = conflictsApi.resolveConflictsWithAgent;
+export const completeConflictResolution = conflictsApi.completeConflictResolution;
+export const abortConflictResolution = conflictsApi.abortConflictResolution;
 const buildCommitFilesArgs = commitsApi.buildCommitFilesArgs;
 
 export const getLatestTestRun = async (projectId) => {
@@ -25,7 +25,8 @@ export const createBranchWorkflowCommits = (core) => {
     checkoutGitBranch,
     run,
     get,
-    setCurrentBranch
+    setCurrentBranch,
+    startConflictResolution
   } = core;
 
   const fs = core.fs;
@@ -871,6 +872,69 @@ export const createBranchWorkflowCommits = (core) => {
     };
   };
 
+  const pushMainAfterMerge = async (projectId, context, branchName) => {
+    try {
+      const gitSettings = await resolveProjectGitSettings(projectId).catch(() => null);
+      const shouldAutoPush = Boolean(
+        gitSettings
+        && gitSettings.workflow === 'cloud'
+        && String(gitSettings.remoteUrl || '').trim()
+      );
+
+      if (shouldAutoPush) {
+        await runProjectGit(context, ['push', 'origin', 'main']);
+      }
+    } catch (error) {
+      console.warn(`[BranchWorkflow] Git push failed for ${branchName}: ${error.message}`);
+    }
+  };
+
+  const recordBranchMerged = async (projectId, branch) => {
+    await run(
+      `UPDATE branches
+     SET status = 'merged',
+         ahead_commits = 0,
+         behind_commits = 0,
+         staged_files = '[]',
+         is_current = 0,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+      [branch.id]
+    );
+
+    // Archive/complete any goals tied to this branch so they don't remain active after merge.
+    await run(
+      `UPDATE agent_goals
+       SET status = 'ready',
+           lifecycle_state = 'merged',
+           updated_at = CURRENT_TIMESTAMP
+       WHERE project_id = ?
+         AND branch_name = ?`,
+      [projectId, branch.name]
+    );
+
+    const mainBranch = await ensureMainBranch(projectId);
+    await setCurrentBranch(projectId, mainBranch.id);
+
+    return { mergedBranch: branch.name, current: 'main' };
+  };
+
+  // Finishes a merge whose conflicts were resolved and committed on main: applies the
+  // version bump that mergeBranch would have made, pushes, and records the branch as merged.
+  const completeBranchMerge = async (projectId, branchName, { preMergeBumpPerformed = false } = {}) => {
+    const context = await getProjectContext(projectId);
+    const branch = await getBranchByName(projectId, branchName);
+
+    if (context.gitReady) {
+      if (!preMergeBumpPerformed) {
+        await bumpVersionAfterMerge(context, branch.name);
+      }
+      await pushMainAfterMerge(projectId, context, branch.name);
+    }
+
+    return recordBranchMerged(projectId, branch);
+  };
+
   const mergeBranch = async (projectId, branchName) => {
     const context = await getProjectContext(projectId);
     await ensureMainBranch(projectId);
@@ -1030,6 +1094,28 @@ export const createBranchWorkflowCommits = (core) => {
         try {
           await runProjectGit(context, ['merge', '--no-ff', branch.name]);
         } catch (error) {
+          // Content conflicts leave the merge in progress so they can be resolved interactively;
+          // anything else is rolled back as before.
+          const conflicts = typeof startConflictResolution === 'function'
+            ? await startConflictResolution(projectId, {
+              operation: 'merge',
+              kind: 'branch-merge',
+              branchName: branch.name,
+              targetBranch: 'main',
+              preMergeBumpPerformed,
+              preMergeSha
+            }, context).catch(() => null)
+            : null;
+
+          if (conflicts) {
+            const conflictError = withStatusCode(
+              new Error(`Merge conflicts in ${conflicts.files.length} file(s) must be resolved before ${branch.name} can be merged`),
+              409
+            );
+            conflictError.conflicts = conflicts;
+            throw conflictError;
+          }
+
           await runProjectGit(context, ['merge', '--abort']).catch(() => null);
           throw withStatusCode(
             new Error(`Git merge could not be completed automatically: ${error?.message || 'unknown merge failure'}`),
@@ -1056,49 +1142,10 @@ export const createBranchWorkflowCommits = (core) => {
         throw withStatusCode(new Error(`Git merge failed: ${error.message}`), 500);
       }
 
-      try {
-        const gitSettings = await resolveProjectGitSettings(projectId).catch(() => null);
-        const shouldAutoPush = Boolean(
-          gitSettings
-          && gitSettings.workflow === 'cloud'
-          && String(gitSettings.remoteUrl || '').trim()
-        );
-
-        if (shouldAutoPush) {
-          await runProjectGit(context, ['push', 'origin', 'main']);
-        }
-      } catch (error) {
-        console.warn(`[BranchWorkflow] Git push failed for ${branch.name}: ${error.message}`);
-      }
+      await pushMainAfterMerge(projectId, context, branch.name);
     }
 
-    await run(
-      `UPDATE branches
-     SET status = 'merged',
-         ahead_commits = 0,
-         behind_commits = 0,
-         staged_files = '[]',
-         is_current = 0,
-         updated_at = CURRENT_TIMESTAMP
-     WHERE id = ?`,
-      [branch.id]
-    );
-
-    // Archive/complete any goals tied to this branch so they don't remain active after merge.
-    await run(
-      `UPDATE agent_goals
-       SET status = 'ready',
-           lifecycle_state = 'merged',
-           updated_at = CURRENT_TIMESTAMP
-       WHERE project_id = ?
-         AND branch_name = ?`,
-      [projectId, branch.name]
-    );
-
-    const mainBranch = await ensureMainBranch(projectId);
-    await setCurrentBranch(projectId, mainBranch.id);
-
-    return { mergedBranch: branch.name, current: 'main' };
+    return recordBranchMerged(projectId, branch);
   };
 
   return {
@@ -1109,6 +1156,7 @@ export const createBranchWorkflowCommits = (core) => {
     revertCommit,
     squashCommits,
     mergeBranch,
+    completeBranchMerge,
     __testOnly: {
       parseSemver,
       incrementPatch,
@@ -0,0 +1,431 @@
+import {
+  CONFLICT_CHOICES,
+  hasConflictMarkers,
+  parseConflictHunks,
+  resolveConflictHunk as applyHunkChoice
+} from './conflictsApi/conflictMarkers.js';
+
+const MAX_AGENT_FILE_BYTES = 200 * 1024;
+
+const stripCodeFence = (raw) => {
+  const text = typeof raw === 'string' ? raw : String(raw || '');
+  const fenced = text.match(/^\s*```[^\n]*\n([\s\S]*?)\n?```\s*$/);
+  return fenced ? `${fenced[1]}\n` : text;
+};
+
+export const createBranchWorkflowConflicts = (core) => {
+  const {
+    withStatusCode,
+    getProjectContext,
+    runProjectGit,
+    llmClient,
+    runTestsForBranch,
+    completeBranchMerge,
+    popBranchStash
+  } = core;
+
+  const fs = core.fs;
+  const path = core.path;
+
+  // Details about the merge/rebase that LucidCoder started, keyed by project. Git itself
+  // remains the source of truth for whether an operation is in progress.
+  const pendingResolutions = new Map();
+  const stateKey = (projectId) => String(projectId);
+
+  const gitStdout = async (context, args) => {
+    const result = await runProjectGit(context, args);
+    return typeof result?.stdout === 'string' ? result.stdout : String(result?.stdout || '');
+  };
+
+  const pathExists = async (absolutePath) => Boolean(await fs.stat(absolutePath).catch(() => null));
+
+  const resolveGitPath = async (context, name) => {
+    const relative = (await gitStdout(context, ['rev-parse', '--git-path', name])).trim();
+    return relative ? path.resolve(context.projectPath, relative) : null;
+  };
+
+  const detectOperation = async (context) => {
+    for (const [name, operation] of [['MERGE_HEAD', 'merge'], ['rebase-merge', 'rebase'], ['rebase-apply', 'rebase']]) {
+      const gitPath = await resolveGitPath(context, name).catch(() => null);
+      if (gitPath && await pathExists(gitPath)) {
+        return operation;
+      }
+    }
+    return null;
+  };
+
+  const listConflictedPaths = async (context) => {
+    const stdout = await gitStdout(context, ['diff', '--name-only', '--diff-filter=U']).catch(() => '');
+    return Array.from(new Set(stdout.split(/\r?\n/).map((line) => line.trim()).filter(Boolean)));
+  };
+
+  const describeSides = (state) => (state.operation === 'rebase'
+    ? { ours: `origin/${state.targetBranch}`, theirs: 'Your commits', base: 'Common ancestor' }
+    : { ours: state.targetBranch, theirs: state.branchName || 'Incoming branch', base: 'Common ancestor' });
+
+  const requireContext = async (projectId) => {
+    const context = await getProjectContext(projectId);
+    if (!context?.gitReady || !context.projectPath) {
+      throw withStatusCode(new Error('Git repository is not available for this project'), 400);
+    }
+    return context;
+  };
+
+  const requireState = async (projectId, context) => {
+    const operation = await detectOperation(context);
+    if (!operation) {
+      pendingResolutions.delete(stateKey(projectId));
+      throw withStatusCode(new Error('No merge conflicts are being resolved for this project'), 409);
+    }
+
+    const existing = pendingResolutions.get(stateKey(projectId));
+    if (existing && existing.operation === operation) {
+      return existing;
+    }
+
+    // The server restarted (or git was driven outside LucidCoder); resolve against the
+    // checked-out branch without branch-merge bookkeeping.
+    const files = await listConflictedPaths(context);
+    const state = {
+      operation,
+      kind: operation === 'rebase' ? 'pull' : 'external',
+      branchName: null,
+      targetBranch: 'main',
+      preMergeBumpPerformed: false,
+      stashBranch: null,
+      files
+    };
+    pendingResolutions.set(stateKey(projectId), state);
+    return state;
+  };
+
+  const normalizeConflictPath = (context, filePath) => {
+    const raw = typeof filePath === 'string' ? filePath.trim().replace(/\\/g, '/') : '';
+    if (!raw) {
+      throw withStatusCode(new Error('path is required'), 400);
+    }
+    const absolute = path.resolve(context.projectPath, raw);
+    const relative = path.relative(context.projectPath, absolute);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw withStatusCode(new Error('path must stay inside the project'), 400);
+    }
+    return { relative: relative.split(path.sep).join('/'), absolute };
+  };
+
+  const buildSummary = async (context, state) => {
+    const unresolved = await listConflictedPaths(context);
+    const known = Array.from(new Set([...(state.files || []), ...unresolved]));
+    return {
+      inProgress: true,
+      operation: state.operation,
+      kind: state.kind,
+      branchName: state.branchName,
+      targetBranch: state.targetBranch,
+      labels: describeSides(state),
+      files: known.map((filePath) => ({ path: filePath, resolved: !unresolved.includes(filePath) })),
+      unresolvedCount: unresolved.length,
+      stashPending: Boolean(state.stashBranch)
+    };
+  };
+
+  const startConflictResolution = async (projectId, details = {}, providedContext = null) => {
+    const context = providedContext || await getProjectContext(projectId);
+    if (!context?.gitReady) {
+      return null;
+    }
+
+    const files = await listConflictedPaths(context);
+    if (!files.length) {
+      return null;
+    }
+
+    // Rewrite the markers in diff3 style so the common ancestor is visible in every hunk.
+    for (const filePath of files) {
+      await runProjectGit(context, ['checkout', '--conflict=diff3', '--', filePath]).catch(() => null);
+    }
+
+    const state = {
+      operation: details.operation || (await detectOperation(context)) || 'merge',
+      kind: details.kind || 'external',
+      branchName: details.branchName || null,
+      targetBranch: details.targetBranch || 'main',
+      preMergeBumpPerformed: Boolean(details.preMergeBumpPerformed),
+      stashBranch: details.stashBranch || null,
+      files
+    };
+    pendingResolutions.set(stateKey(projectId), state);
+
+    return buildSummary(context, state);
+  };
+
+  const getMergeConflicts = async (projectId) => {
+    const context = await getProjectContext(projectId);
+    if (!context?.gitReady || !(await detectOperation(context))) {
+      pendingResolutions.delete(stateKey(projectId));
+      return { inProgress: false, files: [] };
+    }
+    return buildSummary(context, await requireState(projectId, context));
+  };
+
+  const readStage = async (context, stage, filePath) => {
+    try {
+      return await gitStdout(context, ['show', `:${stage}:${filePath}`]);
+    } catch {
+      return null;
+    }
+  };
+
+  const describeFile = async (context, state, relative, absolute) => {
+    const [base, ours, theirs, content, unresolved] = await Promise.all([
+      readStage(context, 1, relative),
+      readStage(context, 2, relative),
+      readStage(context, 3, relative),
+      fs.readFile(absolute, 'utf8').catch(() => null),
+      listConflictedPaths(context)
+    ]);
+
+    return {
+      path: relative,
+      labels: describeSides(state),
+      base,
+      ours,
+      theirs,
+      content,
+      hunks: parseConflictHunks(content || ''),
+      resolved: !unresolved.includes(relative)
+    };
+  };
+
+  const getConflictFile = async (projectId, filePath) => {
+    const context = await requireContext(projectId);
+    const state = await requireState(projectId, context);
+    const { relative, absolute } = normalizeConflictPath(context, filePath);
+    return describeFile(context, state, relative, absolute);
+  };
+
+  // Writes the file and stages it once no conflict markers remain.
+  const writeResolution = async (context, state, relative, absolute, content) => {
+    await fs.writeFile(absolute, content, 'utf8');
+    if (!hasConflictMarkers(content)) {
+      await runProjectGit(context, ['add', '--', relative]);
+    }
+    return describeFile(context, state, relative, absolute);
+  };
+
+  const saveConflictResolution = async (projectId, { path: filePath, content } = {}) => {
+    if (typeof content !== 'string') {
+      throw withStatusCode(new Error('content must be a string'), 400);
+    }
+    const context = await requireContext(projectId);
+    const state = await requireState(projectId, context);
+    const { relative, absolute } = normalizeConflictPath(context, filePath);
+    return writeResolution(context, state, relative, absolute, content);
+  };
+
+  const resolveConflictHunk = async (projectId, { path: filePath, hunkIndex, choice } = {}) => {
+    if (!CONFLICT_CHOICES.includes(choice)) {
+      throw withStatusCode(new Error(`choice must be one of: ${CONFLICT_CHOICES.join(', ')}`), 400);
+    }
+    const context = await requireContext(projectId);
+    const state = await requireState(projectId, context);
+    const { relative, absolute } = normalizeConflictPath(context, filePath);
+
+    if (hunkIndex === undefined || hunkIndex === null) {
+      // Whole-file choice, which also covers modify/delete conflicts without markers.
+      if (choice !== 'ours' && choice !== 'theirs') {
+        throw withStatusCode(new Error('Only ours or theirs can be applied to a whole file'), 400);
+      }
+      const chosen = await readStage(context, choice === 'ours' ? 2 : 3, relative);
+      if (chosen === null) {
+        // The chosen side deleted the file.
+        await runProjectGit(context, ['rm', '--quiet', '--', relative]);
+      } else {
+        await runProjectGit(context, ['checkout', `--${choice}`, '--', relative]);
+        await runProjectGit(context, ['add', '--', relative]);
+      }
+      return describeFile(context, state, relative, absolute);
+    }
+
+    const index = Number(hunkIndex);
+    const content = await fs.readFile(absolute, 'utf8').catch(() => null);
+    if (!Number.isInteger(index) || typeof content !== 'string') {
+      throw withStatusCode(new Error('Conflict hunk not found'), 404);
+    }
+
+    let updated;
+    try {
+      updated = applyHunkChoice(content, index, choice);
+    } catch (error) {
+      throw withStatusCode(new Error(error.message), error.message.includes('not found') ? 404 : 400);
+    }
+    return writeResolution(context, state, relative, absolute, updated);
+  };
+
+  const proposeResolution = async (file) => {
+    const systemMessage = {
+      role: 'system',
+      content:
+        'You resolve git merge conflicts. The file contains diff3 conflict markers ' +
+        '(<<<<<<< ours, ||||||| base, =======, >>>>>>> theirs). ' +
+        'Combine the intent of both sides relative to the base. ' +
+        'Return ONLY the complete resolved file content with no conflict markers, no markdown fences and no commentary.'
+    };
+    const userMessage = {
+      role: 'user',
+      content:
+        `File: ${file.path}\n` +
+        `"Ours" is ${file.labels.ours}; "theirs" is ${file.labels.theirs}.\n\n` +
+        file.content
+    };
+
+    const raw = await llmClient.generateResponse([systemMessage, userMessage], {
+      temperature: 0,
+      __lucidcoderDisableToolBridge: true,
+      __lucidcoderForceMinimalToolBridge: true,
+      __lucidcoderPhase: 'merge_conflict',
+      __lucidcoderRequestType: 'merge_conflict_resolution'
+    });
+
+    const content = stripCodeFence(raw);
+    if (!content.trim()) {
+      throw new Error('The agent returned an empty file');
+    }
+    if (hasConflictMarkers(content)) {
+      throw new Error('The agent left conflict markers in the file');
+    }
+    return content;
+  };
+
+  const resolveConflictsWithAgent = async (projectId, { paths } = {}) => {
+    if (!llmClient || typeof llmClient.generateResponse !== 'function') {
+      throw withStatusCode(new Error('LLM is not configured'), 503);
+    }
+    const context = await requireContext(projectId);
+    const state = await requireState(projectId, context);
+
+    const unresolved = await listConflictedPaths(context);
+    const requested = Array.isArray(paths) && paths.length
+      ? paths.map((filePath) => normalizeConflictPath(context, filePath).relative)
+      : unresolved;
+    const targets = requested.filter((filePath) => unresolved.includes(filePath));
+
+    const proposals = [];
+    const failed = [];
+    for (const relative of targets) {
+      const { absolute } = normalizeConflictPath(context, relative);
+      const file = await describeFile(context, state, relative, absolute);
+      if (!file.hunks.length || Buffer.byteLength(file.content || '', 'utf8') > MAX_AGENT_FILE_BYTES) {
+        failed.push({ path: relative, error: 'File must be resolved manually' });
+        continue;
+      }
+      try {
+        // Proposals are only returned; the user reviews them and saves through saveConflictResolution.
+        proposals.push({ path: relative, content: await proposeResolution(file) });
+      } catch (error) {
+        failed.push({ path: relative, error: error?.message || 'Agent resolution failed' });
+      }
+    }
+
+    return { proposals, failed, conflicts: await buildSummary(context, state) };
+  };
+
+  const restoreStash = async (context, state) => {
+    if (!state.stashBranch || typeof popBranchStash !== 'function') {
+      return null;
+    }
+    try {
+      return { restored: await popBranchStash(context.projectPath, state.stashBranch), error: null };
+    } catch (error) {
+      return { restored: false, error: error?.message || 'Failed to re-apply stashed changes.' };
+    }
+  };
+
+  const completeConflictResolution = async (projectId) => {
+    const context = await requireContext(projectId);
+    const state = await requireState(projectId, context);
+
+    const unresolved = await listConflictedPaths(context);
+    if (unresolved.length) {
+      const error = withStatusCode(new Error(`Resolve all conflicted files first (${unresolved.length} remaining)`), 409);
+      error.conflicts = await buildSummary(context, state);
+      throw error;
+    }
+
+    for (const filePath of state.files || []) {
+      const content = await fs.readFile(path.join(context.projectPath, filePath), 'utf8').catch(() => null);
+      if (content && hasConflictMarkers(content)) {
+        throw withStatusCode(new Error(`${filePath} still contains conflict markers`), 409);
+      }
+    }
+
+    // Tests run against the resolved working tree before anything is committed.
+    const testRun = await runTestsForBranch(projectId, state.kind === 'branch-merge' ? state.branchName : null);
+    if (!testRun || !['passed', 'skipped'].includes(testRun.status)) {
+      const error = withStatusCode(new Error('Tests must pass before the merge can be completed'), 409);
+      error.testRun = testRun || null;
+      throw error;
+    }
+
+    if (state.operation === 'rebase') {
+      try {
+        await runProjectGit(context, ['-c', 'core.editor=true', 'rebase', '--continue']);
+      } catch (rebaseError) {
+        const conflicts = await startConflictResolution(projectId, state, context);
+        if (!conflicts) {
+          throw withStatusCode(new Error(`Failed to continue rebase: ${rebaseError?.message || 'unknown rebase failure'}`), 500);
+        }
+        const error = withStatusCode(new Error('The next commit in the rebase also has conflicts'), 409);
+        error.conflicts = conflicts;
+        error.testRun = testRun;
+        throw error;
+      }
+    } else {
+      await runProjectGit(context, ['commit', '--no-edit']);
+    }
+
+    pendingResolutions.delete(stateKey(projectId));
+
+    const merge = state.kind === 'branch-merge' && state.branchName
+      ? await completeBranchMerge(projectId, state.branchName, {
+        preMergeBumpPerformed: state.preMergeBumpPerformed
+      })
+      : null;
+
+    return {
+      completed: true,
+      operation: state.operation,
+      kind: state.kind,
+      branchName: state.branchName,
+      testRun,
+      merge,
+      stash: await restoreStash(context, state)
+    };
+  };
+
+  const abortConflictResolution = async (projectId) => {
+    const context = await requireContext(projectId);
+    const state = await requireState(projectId, context);
+
+    await runProjectGit(context, [state.operation, '--abort']);
+    pendingResolutions.delete(stateKey(projectId));
+
+    return {
+      aborted: true,
+      operation: state.operation,
+      kind: state.kind,
+      branchName: state.branchName,
+      stash: await restoreStash(context, state)
+    };
+  };
+
+  return {
+    startConflictResolution,
+    getMergeConflicts,
+    getConflictFile,
+    saveConflictResolution,
+    resolveConflictHunk,
+    resolveConflictsWithAgent,
+    completeConflictResolution,
+    abortConflictResolution
+  };
+};
@@ -0,0 +1,161 @@
+// Parses git conflict markers, including the diff3 style that adds a "|||||||" base section.
+
+const MARKER_LENGTH = 7;
+
+const markerKind = (line) => {
+  const text = line.replace(/\r?\n$/, '');
+  const prefix = text.slice(0, MARKER_LENGTH);
+  if (text.length > MARKER_LENGTH && text[MARKER_LENGTH] !== ' ') {
+    return null;
+  }
+  if (prefix === '<<<<<<<') {
+    return 'start';
+  }
+  if (prefix === '|||||||') {
+    return 'base';
+  }
+  if (prefix === '=======' && text.length === MARKER_LENGTH) {
+    return 'split';
+  }
+  if (prefix === '>>>>>>>') {
+    return 'end';
+  }
+  return null;
+};
+
+const markerLabel = (line) => line.replace(/\r?\n$/, '').slice(MARKER_LENGTH).trim();
+
+const splitLines = (content) => (typeof content === 'string' && content ? content.split(/(?<=\n)/) : []);
+
+// Returns the lines of `content` as text segments and conflict hunks. Unterminated markers
+// are left as text so a half-edited file never loses content.
+const tokenize = (content) => {
+  const lines = splitLines(content);
+  const segments = [];
+  let text = [];
+  let index = 0;
+
+  const flushText = () => {
+    if (text.length) {
+      segments.push({ type: 'text', lines: text });
+      text = [];
+    }
+  };
+
+  while (index < lines.length) {
+    if (markerKind(lines[index]) !== 'start') {
+      text.push(lines[index]);
+      index += 1;
+      continue;
+    }
+
+    const hunk = {
+      startLine: index + 1,
+      oursLabel: markerLabel(lines[index]),
+      baseLabel: '',
+      theirsLabel: '',
+      ours: [],
+      base: null,
+      theirs: []
+    };
+    let section = 'ours';
+    let cursor = index + 1;
+    let closed = false;
+
+    while (cursor < lines.length) {
+      const kind = markerKind(lines[cursor]);
+      if (kind === 'base' && section === 'ours') {
+        section = 'base';
+        hunk.base = [];
+        hunk.baseLabel = markerLabel(lines[cursor]);
+      } else if (kind === 'split' && section !== 'theirs') {
+        section = 'theirs';
+      } else if (kind === 'end' && section === 'theirs') {
+        hunk.theirsLabel = markerLabel(lines[cursor]);
+        hunk.endLine = cursor + 1;
+        closed = true;
+        break;
+      } else if (kind === 'start') {
+        break;
+      } else {
+        hunk[section].push(lines[cursor]);
+      }
+      cursor += 1;
+    }
+
+    if (!closed) {
+      text.push(lines[index]);
+      index += 1;
+      continue;
+    }
+
+    flushText();
+    segments.push({ type: 'hunk', hunk });
+    index = cursor + 1;
+  }
+
+  flushText();
+  return segments;
+};
+
+export const parseConflictHunks = (content) => tokenize(content)
+  .filter((segment) => segment.type === 'hunk')
+  .map(({ hunk }, index) => ({
+    index,
+    startLine: hunk.startLine,
+    endLine: hunk.endLine,
+    oursLabel: hunk.oursLabel,
+    baseLabel: hunk.baseLabel,
+    theirsLabel: hunk.theirsLabel,
+    ours: hunk.ours.join(''),
+    base: hunk.base ? hunk.base.join('') : null,
+    theirs: hunk.theirs.join('')
+  }));
+
+export const hasConflictMarkers = (content) => parseConflictHunks(content).length > 0;
+
+export const CONFLICT_CHOICES = Object.freeze(['ours', 'theirs', 'both', 'base']);
+
+// Replaces one hunk with the chosen side. "both" keeps ours followed by theirs.
+export const resolveConflictHunk = (content, hunkIndex, choice) => {
+  if (!CONFLICT_CHOICES.includes(choice)) {
+    throw new Error(`choice must be one of: ${CONFLICT_CHOICES.join(', ')}`);
+  }
+
+  let seen = -1;
+  let resolved = false;
+  const output = tokenize(content).map((segment) => {
+    if (segment.type === 'text') {
+      return segment.lines.join('');
+    }
+    seen += 1;
+    const { hunk } = segment;
+    const original = [
+      `<<<<<<< ${hunk.oursLabel}\n`,
+      ...hunk.ours,
+      ...(hunk.base ? [`||||||| ${hunk.baseLabel}\n`, ...hunk.base] : []),
+      '=======\n',
+      ...hunk.theirs,
+      `>>>>>>> ${hunk.theirsLabel}\n`
+    ].join('');
+    if (seen !== hunkIndex) {
+      return original;
+    }
+    resolved = true;
+    if (choice === 'base') {
+      if (!hunk.base) {
+        throw new Error('This conflict has no base version');
+      }
+      return hunk.base.join('');
+    }
+    if (choice === 'both') {
+      return [...hunk.ours, ...hunk.theirs].join('');
+    }
+    return hunk[choice].join('');
+  }).join('');
+
+  if (!resolved) {
+    throw new Error(`Conflict hunk ${hunkIndex} not found`);
+  }
+  return output;
+};
@@ -0,0 +1,220 @@
+import { extractUnreleasedEntries } from './commitsApi/changelogUtils.js';
+
+const MAX_TITLE_LENGTH = 120;
+
+const firstLine = (value) => (typeof value === 'string' ? value.trim().split(/\r?\n/)[0].trim() : '');
+
+const truncate = (value, max) => (value.length > max ? `${value.slice(0, max - 1).trimEnd()}…` : value);
+
+export const buildPullRequestTitle = ({ branch, goal } = {}) => {
+  const candidate = firstLine(goal?.title)
+    || firstLine(goal?.prompt)
+    || firstLine(branch?.description)
+    || String(branch?.name || 'LucidCoder changes');
+  return truncate(candidate, MAX_TITLE_LENGTH);
+};
+
+const describeTestRun = (testRun) => {
+  if (!testRun) {
+    return ['No test run recorded for this branch.'];
+  }
+
+  const lines = [`- Status: ${testRun.status}`];
+  const total = Number(testRun.total_tests) || 0;
+  if (total > 0) {
+    const passed = Number(testRun.passed_tests) || 0;
+    const failed = Number(testRun.failed_tests) || 0;
+    const skipped = Number(testRun.skipped_tests) || 0;
+    lines.push(`- Tests: ${passed} passed, ${failed} failed, ${skipped} skipped (${total} total)`);
+  }
+  if (Number.isFinite(Number(testRun.duration)) && testRun.duration != null) {
+    lines.push(`- Duration: ${Number(testRun.duration).toFixed(2)}s`);
+  }
+  if (testRun.completed_at) {
+    lines.push(`- Completed: ${testRun.completed_at}`);
+  }
+  return lines;
+};
+
+// Markdown body assembled from the goal that produced the branch, its latest test run
+// and the Unreleased changelog entries it adds.
+export const buildPullRequestBody = ({ branch, goal, testRun, changelogEntries = [] } = {}) => {
+  const sections = [];
+
+  const goalText = typeof goal?.prompt === 'string' && goal.prompt.trim()
+    ? goal.prompt.trim()
+    : (branch?.description || '').trim();
+  if (goalText) {
+    sections.push(['## Goal', '', goalText].join('\n'));
+  }
+
+  sections.push(['## Test proof', '', ...describeTestRun(testRun)].join('\n'));
+
+  if (changelogEntries.length) {
+    sections.push(['## Changelog', '', ...changelogEntries].join('\n'));
+  }
+
+  sections.push(`_Opened by LucidCoder from branch \`${branch?.name}\`._`);
+  return sections.join('\n\n');
+};
+
+export const serializeStoredPullRequest = (row) => (row?.pr_url
+  ? {
+    provider: row.pr_provider || null,
+    number: row.pr_number ?? null,
+    url: row.pr_url,
+    status: row.pr_status || 'open'
+  }
+  : null);
+
+export const createBranchWorkflowPullRequests = (core) => {
+  const {
+    withStatusCode,
+    getProjectContext,
+    getBranchByName,
+    runProjectGit,
+    resolveProjectGitSettings,
+    getProjectGitSettingsToken,
+    isCssOnlyBranchDiff,
+    pullRequestService,
+    get,
+    run
+  } = core;
+
+  const resolveRemoteTarget = async (projectId) => {
+    const gitSettings = await resolveProjectGitSettings(projectId).catch(() => null);
+    const remoteUrl = String(gitSettings?.remoteUrl || '').trim();
+    if (!gitSettings || gitSettings.workflow !== 'cloud' || !remoteUrl) {
+      throw withStatusCode(new Error('Connect the project to a remote repository before opening a pull request'), 400);
+    }
+
+    const token = await getProjectGitSettingsToken(projectId);
+    if (!token) {
+      throw withStatusCode(new Error('A personal access token is required to open a pull request'), 400);
+    }
+
+    return {
+      provider: gitSettings.provider || 'github',
+      remoteUrl,
+      token,
+      defaultBranch: gitSettings.defaultBranch || 'main'
+    };
+  };
+
+  const readChangelogEntries = async (context, branchName) => {
+    try {
+      const result = await runProjectGit(context, ['show', `${branchName}:CHANGELOG.md`]);
+      return extractUnreleasedEntries(String(result?.stdout || '')).entries;
+    } catch {
+      return [];
+    }
+  };
+
+  const storePullRequest = async (branchId, pullRequest) => {
+    await run(
+      `UPDATE branches
+       SET pr_provider = ?,
+           pr_number = ?,
+           pr_url = ?,
+           pr_status = ?,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [pullRequest.provider, pullRequest.number ?? null, pullRequest.url, pullRequest.status, branchId]
+    );
+  };
+
+  const openPullRequest = async (projectId, branchName) => {
+    const context = await getProjectContext(projectId);
+    const branch = await getBranchByName(projectId, branchName);
+
+    if (branch.type === 'main') {
+      throw withStatusCode(new Error('Main branch cannot be used for a pull request'), 400);
+    }
+
+    const existing = serializeStoredPullRequest(branch);
+    if (existing && existing.status === 'open') {
+      return { pullRequest: existing, created: false };
+    }
+
+    const allowCssOnly = await isCssOnlyBranchDiff(context, branch.name).catch(() => false);
+    if (branch.status !== 'ready-for-merge' && !allowCssOnly) {
+      throw withStatusCode(new Error('Branch must pass tests before opening a pull request'), 400);
+    }
+
+    const target = await resolveRemoteTarget(projectId);
+
+    if (!context.gitReady) {
+      throw withStatusCode(new Error('Git repository is not available for this project'), 400);
+    }
+
+    try {
+      await runProjectGit(context, ['push', '-u', 'origin', branch.name]);
+    } catch (error) {
+      throw withStatusCode(new Error(`Failed to push branch: ${error?.message || 'unknown push failure'}`), 502);
+    }
+
+    const goal = await get(
+      `SELECT title, prompt
+       FROM agent_goals
+       WHERE project_id = ? AND branch_name = ?
+       ORDER BY CASE WHEN parent_goal_id IS NULL THEN 0 ELSE 1 END, id ASC
+       LIMIT 1`,
+      [projectId, branch.name]
+    );
+    const testRun = await get(
+      `SELECT status, total_tests, passed_tests, failed_tests, skipped_tests, duration, completed_at
+       FROM test_runs
+       WHERE branch_id = ?
+       ORDER BY created_at DESC, id DESC
+       LIMIT 1`,
+      [branch.id]
+    );
+    const changelogEntries = await readChangelogEntries(context, branch.name);
+
+    const pullRequest = await pullRequestService.createPullRequest({
+      provider: target.provider,
+      token: target.token,
+      remoteUrl: target.remoteUrl,
+      head: branch.name,
+      base: target.defaultBranch,
+      title: buildPullRequestTitle({ branch, goal }),
+      body: buildPullRequestBody({ branch, goal, testRun, changelogEntries })
+    });
+
+    const stored = {
+      provider: pullRequest.provider,
+      number: pullRequest.number,
+      url: pullRequest.url,
+      status: pullRequest.status
+    };
+    await storePullRequest(branch.id, stored);
+
+    return { pullRequest: stored, created: pullRequest.created !== false };
+  };
+
+  // Re-reads the pull request from the provider and stores its current status.
+  const refreshPullRequest = async (projectId, branchName) => {
+    const branch = await getBranchByName(projectId, branchName);
+    const existing = serializeStoredPullRequest(branch);
+    if (!existing || existing.number == null) {
+      throw withStatusCode(new Error('Branch has no pull request'), 404);
+    }
+
+    const target = await resolveRemoteTarget(projectId);
+    const latest = await pullRequestService.getPullRequest({
+      provider: existing.provider || target.provider,
+      token: target.token,
+      remoteUrl: target.remoteUrl,
+      number: existing.number
+    });
+
+    const stored = { ...existing, url: latest.url || existing.url, status: latest.status };
+    await storePullRequest(branch.id, stored);
+    return { pullRequest: stored };
+  };
+
+  return {
+    openPullRequest,
+    refreshPullRequest
+  };
+};
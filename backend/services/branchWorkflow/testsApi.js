@@ -1,4 +1,4 @@
-import { isRelevantSourceFile, normalizePathForCompare } from './testsApi/workspacePathUtils.js';
+import { isRelevantSourceFile, normalizePathForCompare, resolveWorkspaceCoverageDir } from './testsApi/workspacePathUtils.js';
 import { buildChangedFilesGateForWorkspace } from './testsApi/changedFilesCoverageGate.js';
 import { extractUncoveredLines } from './testsApi/coverageUtils.js';
 import { readJsonIfExists as readJsonIfExistsInFs } from './testsApi/fsUtils.js';
@@ -6,6 +6,15 @@ import { discoverWorkspaces, selectWorkspacesForScope } from './testsApi/workspa
 import { resolveChangedPaths } from './testsApi/changedPaths.js';
 import { getChangedSourceFilesForWorkspace } from './testsApi/changedFilesForWorkspace.js';
 import { readNodeWorkspaceCoverage } from './testsApi/nodeCoverageReader.js';
+import { listCoverageTargets, listFileCoverageSummary, readFileCoverage, resolveWorkspaceForFile } from './testsApi/fileCoverage.js';
+import { splitTemplateCommand } from '../projectScaffolding/templateManifest.js';
+import { buildFailedTestsRetryCommand, mergeRetryReport } from './testsApi/testRetries.js';
+import { buildTargetedTestCommand } from './testsApi/targetedTests.js';
+import { appendTestReportArgs, createTestReportFile, detectNodeTestRunner } from '../testReports.js';
+import { buildTestKey } from '../testHistory.js';
+
+// Log lines kept on a targeted run's result; the full output stays on the job.
+const TARGETED_RUN_LOG_LINES = 50;
 
 export const createBranchWorkflowTests = (core) => {
   const {
@@ -22,6 +31,8 @@ export const createBranchWorkflowTests = (core) => {
     resolveCoveragePolicy,
     getTestingSettings,
     getProjectTestingSettings,
+    getQuarantinedTestKeys,
+    recordTestCaseResults,
     isStyleOnlyPath,
     runProjectGit,
     run,
@@ -168,6 +179,37 @@ export const createBranchWorkflowTests = (core) => {
     };
   };
 
+  const MAX_FAILED_TEST_RETRIES = 3;
+
+  // An explicit option wins over the global testing setting; both are capped.
+  const resolveFailedTestRetries = async (options = {}) => {
+    let requested = options?.failedTestRetries;
+    if (requested === undefined && typeof getTestingSettings === 'function') {
+      const settings = await getTestingSettings().catch(() => null);
+      requested = settings?.failedTestRetries;
+    }
+    const numeric = Number(requested);
+    return Number.isInteger(numeric) ? Math.max(0, Math.min(MAX_FAILED_TEST_RETRIES, numeric)) : 0;
+  };
+
+  // History is keyed by commit only when the working tree matches it; uncommitted changes
+  // are tracked per run instead.
+  const resolveTestedCommit = async (context) => {
+    if (!context?.gitReady) {
+      return null;
+    }
+    try {
+      const status = await runProjectGit(context, ['status', '--porcelain', '--untracked-files=no']);
+      if (String(status?.stdout || '').trim()) {
+        return null;
+      }
+      const head = await runProjectGit(context, ['rev-parse', 'HEAD']);
+      return String(head?.stdout || '').trim() || null;
+    } catch {
+      return null;
+    }
+  };
+
   const cancelScheduledAutoTests = (projectId, branchName) => {
     const key = autoTestKey(projectId, branchName);
     const timer = autoTestTimers.get(key);
@@ -280,7 +322,10 @@ export const createBranchWorkflowTests = (core) => {
     return serializeTestRun(latestRunRow);
   };
 
+  // `record: false` only runs the gate: no test run, test history or branch status is written,
+  // and the result payload is returned as is.
   const runTestsForBranch = async (projectId, branchName, options = {}) => {
+    const shouldRecord = options.record !== false;
     await ensureProjectExists(projectId);
     await ensureMainBranch(projectId);
 
@@ -298,22 +343,27 @@ export const createBranchWorkflowTests = (core) => {
       }
     }
 
-    const { context, isCssOnly: isCssOnlyBranch, indicator: cssOnlyIndicator } =
+    const { context: branchContext, isCssOnly: isCssOnlyBranch, indicator: cssOnlyIndicator } =
       await determineCssOnlyStatus(projectId, branch);
+    // `projectPath` tests another checkout of the project (e.g. a child goal's worktree), which
+    // the branch record does not describe, so its CSS-only shortcut does not apply there.
+    const context = options.projectPath ? { ...branchContext, projectPath: options.projectPath } : branchContext;
 
-    if (isCssOnlyBranch) {
+    if (isCssOnlyBranch && shouldRecord && !options.projectPath) {
       return recordCssOnlySkipRun({ projectId, branch, indicator: cssOnlyIndicator });
     }
 
-    const { lastID: testRunId } = await run(
-      `INSERT INTO test_runs (project_id, branch_id, status)
-     VALUES (?, ?, 'running')`,
-      [projectId, branch.id]
-    );
+    const { lastID: testRunId } = shouldRecord
+      ? await run(
+        `INSERT INTO test_runs (project_id, branch_id, status)
+       VALUES (?, ?, 'running')`,
+        [projectId, branch.id]
+      )
+      : { lastID: null };
 
     const shouldSimulate = Boolean(options.forceFail) || (isTestMode() && options.real !== true);
 
-    const runJob = async ({ displayName, command, args, cwd, env = {} }) => {
+    const runJob = async ({ displayName, command, args, cwd, env = {}, testReportFile = null }) => {
       const job = startJob({
         projectId,
         type: 'test-run',
@@ -321,7 +371,9 @@ export const createBranchWorkflowTests = (core) => {
         command,
         args,
         cwd,
-        env
+        env,
+        testReportFile,
+        priority: options.jobPriority
       });
       try {
         if (typeof options.onJobStarted === 'function') {
@@ -346,6 +398,45 @@ export const createBranchWorkflowTests = (core) => {
 
     const readJsonIfExists = (filePath) => readJsonIfExistsInFs(fs, filePath);
 
+    // Per-test counts come from the runners' reports; workspaces without one count as zero.
+    const sumTestCounts = (workspaceRuns) => workspaceRuns.reduce((totals, run) => ({
+      total: totals.total + (run.testSummary?.total || 0),
+      passed: totals.passed + (run.testSummary?.passed || 0),
+      failed: totals.failed + (run.testSummary?.failed || 0),
+      skipped: totals.skipped + (run.testSummary?.skipped || 0),
+      flaky: totals.flaky + (run.testSummary?.flaky || 0),
+      quarantined: totals.quarantined + (run.testSummary?.quarantined || 0)
+    }), { total: 0, passed: 0, failed: 0, skipped: 0, flaky: 0, quarantined: 0 });
+
+    // Rerun the failing, non-quarantined tests until they pass or the retries run out.
+    const retryFailedTests = async ({ workspace, runner, cases, retries, quarantinedKeys }) => {
+      let currentCases = cases;
+      for (let attempt = 2; attempt <= retries + 1; attempt += 1) {
+        const failedCases = currentCases.filter(
+          (testCase) => testCase.status === 'failed' && !quarantinedKeys.has(buildTestKey(testCase))
+        );
+        const retry = failedCases.length
+          ? buildFailedTestsRetryCommand({ kind: workspace.kind, runner, failedCases })
+          : null;
+        const report = retry ? createTestReportFile(runner) : null;
+        if (!report) {
+          break;
+        }
+        const retryJob = await runJob({
+          displayName: `${workspace.name} retry failed tests (${attempt - 1}/${retries})`,
+          command: retry.command,
+          args: [...retry.args, ...report.args],
+          cwd: workspace.cwd,
+          testReportFile: report.testReportFile
+        });
+        if (!retryJob?.testReport) {
+          break;
+        }
+        currentCases = mergeRetryReport(currentCases, retryJob.testReport, attempt);
+      }
+      return currentCases;
+    };
+
     const collectWorkspaceResults = async (projectContext) => {
       const context = projectContext || (await getProjectContext(projectId));
       if (!context.projectPath) {
@@ -381,7 +472,13 @@ export const createBranchWorkflowTests = (core) => {
         changedPaths
       });
 
+      const failedTestRetries = await resolveFailedTestRetries(options);
+      const quarantinedKeys = typeof getQuarantinedTestKeys === 'function'
+        ? await getQuarantinedTestKeys(projectId).catch(() => new Set())
+        : new Set();
+
       const workspaceRuns = [];
+      const tests = [];
       const coverageSummaries = [];
       const changedFilesGates = [];
       const uncoveredLines = [];
@@ -392,13 +489,18 @@ export const createBranchWorkflowTests = (core) => {
         const startedAt = Date.now();
         let coverageJob;
         let coverageSummary = null;
+        // Runner used to rerun failing tests; custom template commands are never retried.
+        let retryRunner = null;
+        // A registry template's manifest can replace the default coverage command.
+        const templateTest = splitTemplateCommand(workspace.template?.commands.test);
 
         if (workspace.kind === 'node') {
           if (shouldInstallNodeDependencies({ workspaceName: workspace.name, changedPaths })) {
+            const templateInstall = splitTemplateCommand(workspace.template?.commands.install);
             await runJob({
               displayName: `${workspace.name} install dependencies`,
-              command: 'npm',
-              args: ['install'],
+              command: templateInstall?.command || 'npm',
+              args: templateInstall?.args || ['install'],
               cwd: workspace.cwd
             });
           }
@@ -410,24 +512,33 @@ export const createBranchWorkflowTests = (core) => {
           const scripts = pkg?.scripts && typeof pkg.scripts === 'object' ? pkg.scripts : {};
 
           const hasTestCoverageScript = typeof scripts['test:coverage'] === 'string' && scripts['test:coverage'].trim();
-          const command = 'npm';
-          const args = hasTestCoverageScript
+          const command = templateTest?.command || 'npm';
+          const args = templateTest?.args || (hasTestCoverageScript
             ? ['run', 'test:coverage']
-            : ['test', '--', '--coverage'];
+            : ['test', '--', '--coverage']);
+          // Template commands are run as written; only the default command gets a reporter.
+          retryRunner = templateTest ? null : detectNodeTestRunner(pkg);
+          const report = retryRunner ? createTestReportFile(retryRunner) : null;
 
           coverageJob = await runJob({
             displayName: `${workspace.name} tests (coverage)` ,
             command,
-            args,
-            cwd: workspace.cwd
+            args: report ? appendTestReportArgs(command, args, report.args) : args,
+            cwd: workspace.cwd,
+            testReportFile: report?.testReportFile
           });
         } else {
           // python
+          const command = templateTest?.command || 'python';
+          const args = templateTest?.args || ['-m', 'pytest', '--cov', '--cov-report=json:coverage.json'];
+          retryRunner = templateTest ? null : 'pytest';
+          const report = retryRunner ? createTestReportFile(retryRunner) : null;
           coverageJob = await runJob({
             displayName: `${workspace.name} tests (coverage)` ,
-            command: 'python',
-            args: ['-m', 'pytest', '--cov', '--cov-report=json:coverage.json'],
-            cwd: workspace.cwd
+            command,
+            args: report ? appendTestReportArgs(command, args, report.args) : args,
+            cwd: workspace.cwd,
+            testReportFile: report?.testReportFile
           });
         }
 
@@ -459,7 +570,7 @@ export const createBranchWorkflowTests = (core) => {
             })
           );
         } else {
-          const summaryPath = path.join(workspace.cwd, 'coverage.json');
+          const summaryPath = path.join(resolveWorkspaceCoverageDir(path, workspace), 'coverage.json');
           const parsed = await readJsonIfExists(summaryPath);
           // pytest-cov JSON shape differs; keep it raw for now.
           if (parsed) {
@@ -470,15 +581,55 @@ export const createBranchWorkflowTests = (core) => {
         const durationMs = Date.now() - startedAt;
         const combinedLogs = (coverageJob?.logs || []).map((entry) => `${entry.stream}: ${entry.message}`);
 
+        const testReport = coverageJob?.testReport || null;
+        let workspaceCases = (testReport?.cases || []).map((testCase) => ({ ...testCase, workspace: workspace.name }));
+        if (failedTestRetries > 0 && coverageJob?.status !== JOB_STATUS.SUCCEEDED) {
+          workspaceCases = await retryFailedTests({
+            workspace,
+            runner: retryRunner,
+            cases: workspaceCases,
+            retries: failedTestRetries,
+            quarantinedKeys
+          });
+        }
+        const workspaceTests = workspaceCases.map((testCase) => ({
+          ...testCase,
+          ...(quarantinedKeys.has(buildTestKey(testCase)) ? { quarantined: true } : {}),
+          duration: testCase.durationMs == null ? null : Number((testCase.durationMs / 1000).toFixed(3))
+        }));
+        tests.push(...workspaceTests);
+
+        const failedTests = workspaceTests.filter((testCase) => testCase.status === 'failed');
+        const flakyCount = workspaceTests.filter((testCase) => testCase.flaky).length;
+        const quarantinedCount = failedTests.filter((testCase) => testCase.quarantined).length;
+        // A run that failed only because of tests which later passed or are quarantined does
+        // not block the branch. Truncated reports may hide failures, so they never qualify.
+        const onlyToleratedFailures = coverageJob?.status === JOB_STATUS.FAILED
+          && Boolean(testReport)
+          && !testReport.truncated
+          && testReport.summary.failed > 0
+          && failedTests.length === quarantinedCount;
+
         workspaceRuns.push({
           workspace: workspace.name,
           kind: workspace.kind,
-          status: coverageJob?.status,
+          status: onlyToleratedFailures ? JOB_STATUS.SUCCEEDED : coverageJob?.status,
           exitCode: coverageJob?.exitCode ?? null,
           durationMs,
           logs: combinedLogs,
           coverage: coverageSummary,
-          coverageThresholds: workspaceThresholds
+          coverageThresholds: workspaceThresholds,
+          testSummary: testReport
+            ? {
+                ...testReport.summary,
+                passed: testReport.summary.passed + flakyCount,
+                failed: testReport.summary.failed - flakyCount,
+                flaky: flakyCount,
+                quarantined: quarantinedCount
+              }
+            : null,
+          // Failing cases only: the full list lives in the run's top-level `tests`.
+          tests: failedTests
         });
 
         if (coverageSummary && coverageSummary.lines != null) {
@@ -576,14 +727,11 @@ export const createBranchWorkflowTests = (core) => {
       return {
         status: passed ? 'passed' : 'failed',
         summary: {
-          total: 0,
-          passed: passed ? 0 : 0,
-          failed: passed ? 0 : 0,
-          skipped: 0,
+          ...sumTestCounts(workspaceRuns),
           duration: Number((workspaceRuns.reduce((acc, run) => acc + (run.durationMs || 0), 0) / 1000).toFixed(2)),
           coverage: coverageGate
         },
-        tests: [],
+        tests,
         workspaceRuns
       };
     };
@@ -592,6 +740,24 @@ export const createBranchWorkflowTests = (core) => {
       ? buildTestResultPayload(branch.name, options.forceFail || false)
       : await collectWorkspaceResults(context);
 
+    if (!shouldRecord) {
+      return resultPayload;
+    }
+
+    if (!shouldSimulate && typeof recordTestCaseResults === 'function' && resultPayload.tests?.length) {
+      try {
+        await recordTestCaseResults({
+          projectId,
+          testRunId,
+          branchId: branch.id,
+          commitSha: await resolveTestedCommit(context),
+          cases: resultPayload.tests
+        });
+      } catch (error) {
+        console.warn('[BranchWorkflow] Failed to record test history', error.message);
+      }
+    }
+
     await run(
       `UPDATE test_runs
      SET status = ?,
@@ -697,6 +863,9 @@ export const createBranchWorkflowTests = (core) => {
       if (!job.type || (!job.type.endsWith(':test') && job.type !== 'test-run')) {
         throw withStatusCode(new Error('Only completed test jobs can prove a branch'), 400);
       }
+      if (job.partial) {
+        throw withStatusCode(new Error(`Job ${jobId} ran only part of the tests and cannot prove a branch`), 400);
+      }
       if (job.status !== JOB_STATUS.SUCCEEDED) {
         throw withStatusCode(new Error(`Job ${jobId} has not completed successfully`), 400);
       }
@@ -804,8 +973,143 @@ export const createBranchWorkflowTests = (core) => {
     return serializeTestRun(latestRunRow);
   };
 
+  const resolveProjectWorkspaces = async (projectId, projectPath = null) => {
+    const projectRoot = projectPath || (await getProjectContext(projectId)).projectPath;
+    if (!projectRoot) {
+      throw withStatusCode(new Error('Project path not found'), 400);
+    }
+    const { workspaces } = await discoverWorkspaces({ projectRoot, fs, path });
+    return { projectRoot, workspaces };
+  };
+
+  const getCoverageTargets = async (projectId, { maxFiles } = {}) => {
+    const { projectRoot, workspaces } = await resolveProjectWorkspaces(projectId);
+    return listCoverageTargets({
+      projectRoot,
+      workspaces,
+      path,
+      readJsonIfExists: (filePath) => readJsonIfExistsInFs(fs, filePath),
+      maxFiles
+    });
+  };
+
+  const getCoverageSummary = async (projectId) => {
+    const { projectRoot, workspaces } = await resolveProjectWorkspaces(projectId);
+    return listFileCoverageSummary({
+      projectRoot,
+      workspaces,
+      path,
+      readJsonIfExists: (filePath) => readJsonIfExistsInFs(fs, filePath)
+    });
+  };
+
+  const getFileCoverage = async (projectId, filePath) => {
+    const { projectRoot, workspaces } = await resolveProjectWorkspaces(projectId);
+    const resolved = resolveWorkspaceForFile({ workspaces, projectRoot, path, filePath });
+    if (!resolved) {
+      return null;
+    }
+    const coverage = await readFileCoverage({
+      path,
+      workspace: resolved.workspace,
+      relativePath: resolved.relativePath,
+      readJsonIfExists: (target) => readJsonIfExistsInFs(fs, target)
+    });
+    return coverage ? { workspace: resolved.workspace.name, kind: resolved.workspace.kind, ...coverage } : null;
+  };
+
+  const normalizeOptionalText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+  const resolveTargetedWorkspace = ({ projectRoot, workspaces, workspaceName, file }) => {
+    if (workspaceName) {
+      const workspace = workspaces.find((candidate) => candidate.name === workspaceName);
+      if (!workspace) {
+        throw withStatusCode(new Error(`Workspace ${workspaceName} not found`), 404);
+      }
+      return { workspace, relativePath: file };
+    }
+    if (file) {
+      const resolved = resolveWorkspaceForFile({ workspaces, projectRoot, path, filePath: file });
+      if (!resolved) {
+        throw withStatusCode(new Error(`No test workspace contains ${file}`), 400);
+      }
+      return resolved;
+    }
+    if (workspaces.length !== 1) {
+      throw withStatusCode(new Error('workspace is required when the project has several test workspaces'), 400);
+    }
+    return { workspace: workspaces[0], relativePath: null };
+  };
+
+  /**
+   * Run one test file and/or the tests matching a name pattern in a single workspace. Without
+   * `workspace`, `file` is relative to the project root. The job is marked `partial`, never
+   * touches the branch's test status and cannot be submitted as merge proof. `projectPath`
+   * runs it in another checkout of the project.
+   */
+  const runTargetedTests = async (projectId, options = {}) => {
+    const file = normalizeOptionalText(options.file);
+    const testName = normalizeOptionalText(options.testName);
+    if (!file && !testName) {
+      throw withStatusCode(new Error('Provide a test file or a test name pattern'), 400);
+    }
+    if (file && (path.isAbsolute(file) || file.split(/[\\/]/).includes('..'))) {
+      throw withStatusCode(new Error('Test file must be a relative path inside the project'), 400);
+    }
+
+    await ensureProjectExists(projectId);
+    const { projectRoot, workspaces } = await resolveProjectWorkspaces(projectId, options.projectPath);
+    const { workspace, relativePath } = resolveTargetedWorkspace({
+      projectRoot,
+      workspaces,
+      workspaceName: normalizeOptionalText(options.workspace),
+      file
+    });
+
+    const runner = workspace.kind === 'python'
+      ? 'pytest'
+      : detectNodeTestRunner(await readJsonIfExistsInFs(fs, path.join(workspace.cwd, 'package.json')));
+    const target = buildTargetedTestCommand({ runner, file: relativePath, testName, exact: options.exact === true });
+    if (!target) {
+      throw withStatusCode(new Error(`Targeted test runs need Vitest, Jest or pytest (workspace ${workspace.name})`), 400);
+    }
+
+    const report = createTestReportFile(runner);
+    const job = startJob({
+      projectId,
+      type: 'test-run',
+      displayName: `${workspace.name} tests: ${[relativePath, testName].filter(Boolean).join(' › ')}`,
+      command: target.command,
+      args: report ? [...target.args, ...report.args] : target.args,
+      cwd: workspace.cwd,
+      testReportFile: report?.testReportFile,
+      partial: true,
+      priority: options.jobPriority
+    });
+    const completed = await waitForJobCompletion(job.id);
+    const testReport = completed?.testReport || null;
+
+    return {
+      partial: true,
+      jobId: job.id,
+      workspace: workspace.name,
+      file: relativePath,
+      testName,
+      status: completed?.status === JOB_STATUS.SUCCEEDED ? 'passed' : 'failed',
+      exitCode: completed?.exitCode ?? null,
+      summary: testReport?.summary || null,
+      truncated: Boolean(testReport?.truncated),
+      tests: (testReport?.cases || []).map((testCase) => ({ ...testCase, workspace: workspace.name })),
+      logs: (completed?.logs || []).slice(-TARGETED_RUN_LOG_LINES).map((entry) => `${entry.stream}: ${entry.message}`)
+    };
+  };
+
   const api = {
     runTestsForBranch,
+    runTargetedTests,
+    getCoverageTargets,
+    getCoverageSummary,
+    getFileCoverage,
     scheduleAutoTests,
     cancelScheduledAutoTests,
     recordJobProofForBranch,
@@ -816,7 +1120,9 @@ export const createBranchWorkflowTests = (core) => {
     collectJobProofCandidates,
     resolveWorkspaceLabel,
     recordCssOnlySkipRun,
-    shouldInstallNodeDependencies
+    shouldInstallNodeDependencies,
+    resolveFailedTestRetries,
+    resolveTestedCommit
   };
 
   return api;
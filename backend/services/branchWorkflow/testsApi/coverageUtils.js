@@ -44,3 +44,56 @@ export const extractUncoveredLines = (coverageEntry) => {
   lines.sort((a, b) => a - b);
   return Array.from(new Set(lines));
 };
+
+const sortedLines = (lines) => Array.from(lines).sort((a, b) => a - b);
+
+const branchLine = (branch) => {
+  const line = Number(branch?.line ?? branch?.loc?.start?.line);
+  return Number.isInteger(line) && line > 0 ? line : null;
+};
+
+/**
+ * Split an istanbul coverage entry into covered, partially covered and uncovered lines.
+ * Uncovered lines match `extractUncoveredLines`; a line is partial when it ran but one of
+ * its branches never did. The three lists never overlap.
+ */
+export const extractLineCoverage = (coverageEntry) => {
+  const uncovered = new Set(extractUncoveredLines(coverageEntry));
+  const covered = new Set();
+  const partial = new Set();
+  if (!coverageEntry || typeof coverageEntry !== 'object') {
+    return { coveredLines: [], partialLines: [], uncoveredLines: [] };
+  }
+
+  const lineMap = coverageEntry.l;
+  if (lineMap && typeof lineMap === 'object') {
+    for (const [line, count] of Object.entries(lineMap)) {
+      if (Number(count) > 0) {
+        covered.add(Number(line));
+      }
+    }
+  } else {
+    const statementMap = coverageEntry.statementMap || {};
+    const statementCounts = coverageEntry.s || {};
+    for (const [key, loc] of Object.entries(statementMap)) {
+      const startLine = Number(loc?.start?.line);
+      if (Number(statementCounts[key]) > 0 && Number.isInteger(startLine)) {
+        covered.add(startLine);
+      }
+    }
+  }
+
+  const branchMap = coverageEntry.branchMap || {};
+  const branchCounts = coverageEntry.b || {};
+  for (const [key, branch] of Object.entries(branchMap)) {
+    const counts = Array.isArray(branchCounts[key]) ? branchCounts[key].map(Number) : [];
+    const line = branchLine(branch);
+    if (line && counts.some((count) => count > 0) && counts.some((count) => count === 0)) {
+      partial.add(line);
+    }
+  }
+
+  const partialLines = sortedLines(partial).filter((line) => !uncovered.has(line));
+  const coveredLines = sortedLines(covered).filter((line) => !uncovered.has(line) && !partial.has(line));
+  return { coveredLines, partialLines, uncoveredLines: sortedLines(uncovered) };
+};
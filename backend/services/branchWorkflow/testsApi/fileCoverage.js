@@ -0,0 +1,207 @@
+import { normalizePathForCompare, isRelevantSourceFile, resolveWorkspaceCoverageDir } from './workspacePathUtils.js';
+import { extractLineCoverage } from './coverageUtils.js';
+
+const COVERAGE_METRICS = ['lines', 'statements', 'functions', 'branches'];
+const TEST_FILE_REGEX = /(?:^|\/)(?:__tests__|tests?)\/|\.(?:test|spec)\.[^/]+$|(?:^|\/)test_[^/]+\.py$/i;
+
+const roundPct = (value) => Math.round(Number(value) * 100) / 100;
+
+export const toLineRanges = (lines) => {
+  const sorted = Array.from(new Set((Array.isArray(lines) ? lines : []).map(Number)))
+    .filter((line) => Number.isInteger(line) && line > 0)
+    .sort((a, b) => a - b);
+
+  const ranges = [];
+  for (const line of sorted) {
+    const last = ranges[ranges.length - 1];
+    if (last && line === last.end + 1) {
+      last.end = line;
+    } else {
+      ranges.push({ start: line, end: line });
+    }
+  }
+  return ranges;
+};
+
+const findEntry = (map, relativePath) => {
+  if (!map || typeof map !== 'object') {
+    return null;
+  }
+  const normalized = normalizePathForCompare(relativePath);
+  for (const [key, entry] of Object.entries(map)) {
+    const candidate = normalizePathForCompare(key);
+    if (candidate === normalized || candidate.endsWith(`/${normalized}`)) {
+      return entry && typeof entry === 'object' ? entry : null;
+    }
+  }
+  return null;
+};
+
+const summarizeNodeEntry = (summaryEntry) => {
+  if (!summaryEntry) {
+    return null;
+  }
+  const totals = {};
+  for (const metric of COVERAGE_METRICS) {
+    const pct = Number(summaryEntry?.[metric]?.pct);
+    totals[metric] = Number.isFinite(pct) ? pct : null;
+  }
+  return totals.lines == null ? null : totals;
+};
+
+/**
+ * Resolve which discovered workspace owns a project-relative file path.
+ * Returns the workspace plus the path relative to that workspace's cwd.
+ */
+export const resolveWorkspaceForFile = ({ workspaces, projectRoot, path, filePath }) => {
+  const normalizedFile = normalizePathForCompare(filePath).replace(/^\.\/+/, '');
+  const candidates = (Array.isArray(workspaces) ? workspaces : [])
+    .map((workspace) => ({
+      workspace,
+      prefix: normalizePathForCompare(path.relative(projectRoot, workspace.cwd))
+    }))
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+
+  for (const { workspace, prefix } of candidates) {
+    if (!prefix) {
+      return { workspace, relativePath: normalizedFile };
+    }
+    if (normalizedFile.startsWith(`${prefix}/`)) {
+      return { workspace, relativePath: normalizedFile.slice(prefix.length + 1) };
+    }
+  }
+  return null;
+};
+
+/**
+ * Read the per-file coverage written by the last coverage run of a workspace.
+ * Node workspaces use the istanbul summary/final reports; Python workspaces use
+ * the pytest-cov JSON report written by runTestsForBranch. Besides the totals, the
+ * result lists the covered, partially covered and uncovered lines for the editor.
+ */
+export const readFileCoverage = async ({ path, workspace, relativePath, readJsonIfExists }) => {
+  if (workspace.kind === 'python') {
+    const report = await readJsonIfExists(path.join(resolveWorkspaceCoverageDir(path, workspace), 'coverage.json'));
+    const entry = findEntry(report?.files, relativePath);
+    const pct = Number(entry?.summary?.percent_covered);
+    if (!entry || !Number.isFinite(pct)) {
+      return null;
+    }
+    const value = roundPct(pct);
+    const executedLines = Array.isArray(entry.executed_lines) ? entry.executed_lines : [];
+    // With branch coverage, each missing branch is a [fromLine, toLine] pair.
+    const partial = new Set((Array.isArray(entry.missing_branches) ? entry.missing_branches : [])
+      .map((branch) => (Array.isArray(branch) ? branch[0] : null))
+      .filter((line) => executedLines.includes(line)));
+    return {
+      totals: { lines: value, statements: value, functions: null, branches: null },
+      uncoveredLines: Array.isArray(entry.missing_lines) ? entry.missing_lines : [],
+      coveredLines: executedLines.filter((line) => !partial.has(line)),
+      partialLines: Array.from(partial).sort((a, b) => a - b)
+    };
+  }
+
+  const summary = await readJsonIfExists(path.join(resolveWorkspaceCoverageDir(path, workspace), 'coverage-summary.json'));
+  const totals = summarizeNodeEntry(findEntry(summary, relativePath));
+  if (!totals) {
+    return null;
+  }
+  const finalCoverage = await readJsonIfExists(path.join(resolveWorkspaceCoverageDir(path, workspace), 'coverage-final.json'));
+  return {
+    totals,
+    ...extractLineCoverage(findEntry(finalCoverage, relativePath))
+  };
+};
+
+const listWorkspaceFiles = async ({ path, workspace, readJsonIfExists }) => {
+  if (workspace.kind === 'python') {
+    const report = await readJsonIfExists(path.join(resolveWorkspaceCoverageDir(path, workspace), 'coverage.json'));
+    return Object.keys(report?.files && typeof report.files === 'object' ? report.files : {});
+  }
+  const summary = await readJsonIfExists(path.join(resolveWorkspaceCoverageDir(path, workspace), 'coverage-summary.json'));
+  return Object.keys(summary && typeof summary === 'object' ? summary : {})
+    .filter((key) => key !== 'total')
+    .map((key) => normalizePathForCompare(path.isAbsolute(key) ? path.relative(workspace.cwd, key) : key));
+};
+
+const readWorkspaceLineTotals = async ({ path, workspace, readJsonIfExists }) => {
+  if (workspace.kind === 'python') {
+    const report = await readJsonIfExists(path.join(resolveWorkspaceCoverageDir(path, workspace), 'coverage.json'));
+    const files = report?.files && typeof report.files === 'object' ? report.files : {};
+    return Object.entries(files).map(([file, entry]) => [file, Number(entry?.summary?.percent_covered)]);
+  }
+  const summary = await readJsonIfExists(path.join(resolveWorkspaceCoverageDir(path, workspace), 'coverage-summary.json'));
+  return Object.entries(summary && typeof summary === 'object' ? summary : {})
+    .filter(([key]) => key !== 'total')
+    .map(([key, entry]) => [
+      normalizePathForCompare(path.isAbsolute(key) ? path.relative(workspace.cwd, key) : key),
+      Number(entry?.lines?.pct)
+    ]);
+};
+
+/**
+ * Line coverage percent of every source file in the last coverage reports, keyed by
+ * project-relative path. Used for the file tree badges.
+ */
+export const listFileCoverageSummary = async ({ projectRoot, workspaces, path, readJsonIfExists }) => {
+  const files = [];
+
+  for (const workspace of Array.isArray(workspaces) ? workspaces : []) {
+    const prefix = normalizePathForCompare(path.relative(projectRoot, workspace.cwd));
+    const totals = await readWorkspaceLineTotals({ path, workspace, readJsonIfExists });
+
+    for (const [relativePath, pct] of totals) {
+      if (!relativePath || relativePath.startsWith('..') || !Number.isFinite(pct)) {
+        continue;
+      }
+      files.push({
+        workspace: workspace.name,
+        file: prefix ? `${prefix}/${relativePath}` : relativePath,
+        lines: roundPct(pct)
+      });
+    }
+  }
+
+  files.sort((a, b) => a.file.localeCompare(b.file));
+  return files;
+};
+
+/**
+ * List source files that still have uncovered lines, least covered first.
+ * Only reads existing coverage reports; it never runs the test suite.
+ */
+export const listCoverageTargets = async ({ projectRoot, workspaces, path, readJsonIfExists, maxFiles = 50 }) => {
+  const targets = [];
+
+  for (const workspace of Array.isArray(workspaces) ? workspaces : []) {
+    const prefix = normalizePathForCompare(path.relative(projectRoot, workspace.cwd));
+    const files = await listWorkspaceFiles({ path, workspace, readJsonIfExists });
+
+    for (const relativePath of files) {
+      if (!relativePath || relativePath.startsWith('..') || TEST_FILE_REGEX.test(relativePath)) {
+        continue;
+      }
+      if (workspace.kind === 'node' && !isRelevantSourceFile(relativePath)) {
+        continue;
+      }
+      const coverage = await readFileCoverage({ path, workspace, relativePath, readJsonIfExists });
+      if (!coverage || (!coverage.uncoveredLines.length && coverage.totals.lines >= 100)) {
+        continue;
+      }
+      targets.push({
+        workspace: workspace.name,
+        file: prefix ? `${prefix}/${relativePath}` : relativePath,
+        coverage: coverage.totals,
+        uncoveredRanges: toLineRanges(coverage.uncoveredLines)
+      });
+    }
+  }
+
+  targets.sort((a, b) => a.coverage.lines - b.coverage.lines || a.file.localeCompare(b.file));
+  return targets.slice(0, maxFiles);
+};
+
+export const __testExports__ = {
+  findEntry,
+  summarizeNodeEntry
+};
@@ -1,4 +1,4 @@
-import { normalizePathForCompare } from './workspacePathUtils.js';
+import { normalizePathForCompare, resolveWorkspaceCoverageDir } from './workspacePathUtils.js';
 import { extractUncoveredLines } from './coverageUtils.js';
 import { getChangedSourceFilesForWorkspace } from './changedFilesForWorkspace.js';
 
@@ -22,7 +22,7 @@ export const readNodeWorkspaceCoverage = async ({
   maxFiles = 20,
   maxLinesPerFile = 25
 }) => {
-  const summaryPath = path.join(workspace.cwd, 'coverage', 'coverage-summary.json');
+  const summaryPath = path.join(resolveWorkspaceCoverageDir(path, workspace), 'coverage-summary.json');
   const coverageSummaryJson = await readJsonIfExists(summaryPath);
 
   let coverageSummary = null;
@@ -56,7 +56,7 @@ export const readNodeWorkspaceCoverage = async ({
   };
 
   if (changedForWorkspace.length || includeAllFiles) {
-    const finalPath = path.join(workspace.cwd, 'coverage', 'coverage-final.json');
+    const finalPath = path.join(resolveWorkspaceCoverageDir(path, workspace), 'coverage-final.json');
     const finalCoverage = await readJsonIfExists(finalPath);
     if (finalCoverage && typeof finalCoverage === 'object') {
       const byFile = new Map();
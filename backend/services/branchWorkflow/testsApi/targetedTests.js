@@ -0,0 +1,33 @@
+const REGEX_SPECIAL_CHARS = /[.*+?^${}()|[\]\\]/g;
+// pytest parametrization suffix, e.g. `test_adds[1-2]`; `-k` only matches the bare name.
+const PYTEST_PARAM_SUFFIX = /\[[^\]]*\]$/;
+
+export const escapeTestNamePattern = (value) => value.replace(REGEX_SPECIAL_CHARS, '\\$&');
+
+/**
+ * Command that runs one test file and/or the tests matching a name pattern, without coverage.
+ * Vitest and Jest take the pattern as a regular expression (`-t`), pytest as a `-k` expression.
+ * With `exact`, the name is matched literally instead. Returns null for an unknown runner or
+ * when neither a file nor a name is given.
+ */
+export const buildTargetedTestCommand = ({ runner, file = null, testName = null, exact = false }) => {
+  if (!file && !testName) {
+    return null;
+  }
+  const files = file ? [file] : [];
+
+  if (runner === 'pytest') {
+    const expression = testName && exact ? testName.replace(PYTEST_PARAM_SUFFIX, '') : testName;
+    return { command: 'python', args: ['-m', 'pytest', ...files, ...(expression ? ['-k', expression] : [])] };
+  }
+
+  const pattern = testName && exact ? escapeTestNamePattern(testName) : testName;
+  const nameArgs = pattern ? ['-t', pattern] : [];
+  if (runner === 'vitest') {
+    return { command: 'npx', args: ['vitest', 'run', ...files, ...nameArgs] };
+  }
+  if (runner === 'jest') {
+    return { command: 'npx', args: ['jest', ...files, ...nameArgs] };
+  }
+  return null;
+};
@@ -0,0 +1,52 @@
+const caseIdentity = (testCase) => `${testCase.file}::${testCase.name}`;
+
+/**
+ * Command that reruns only the failing tests of a workspace, without coverage: Vitest and Jest
+ * get the failing test files, pytest reruns its last failures. Returns null when the failures
+ * cannot be targeted (unknown runner, a failure without a file).
+ */
+export const buildFailedTestsRetryCommand = ({ kind, runner, failedCases = [] }) => {
+  if (kind === 'python') {
+    return runner === 'pytest' ? { command: 'python', args: ['-m', 'pytest', '--lf'] } : null;
+  }
+  if (!failedCases.length || failedCases.some((testCase) => !testCase.file)) {
+    return null;
+  }
+  const files = Array.from(new Set(failedCases.map((testCase) => testCase.file)));
+  if (runner === 'vitest') {
+    return { command: 'npx', args: ['vitest', 'run', ...files] };
+  }
+  if (runner === 'jest') {
+    return { command: 'npx', args: ['jest', ...files] };
+  }
+  return null;
+};
+
+/**
+ * Fold a retry report into the workspace's cases. A failure that passes on a later attempt is
+ * marked `flaky` and counts as passed; one that keeps failing carries its latest error. Cases
+ * the retry did not run are left unchanged.
+ */
+export const mergeRetryReport = (cases, retryReport, attempt) => {
+  const retried = new Map(
+    (Array.isArray(retryReport?.cases) ? retryReport.cases : []).map((testCase) => [caseIdentity(testCase), testCase])
+  );
+
+  return cases.map((testCase) => {
+    const retry = testCase.status === 'failed' ? retried.get(caseIdentity(testCase)) : null;
+    if (!retry || retry.status === 'skipped') {
+      return testCase;
+    }
+    if (retry.status === 'passed') {
+      return {
+        ...testCase,
+        status: 'passed',
+        flaky: true,
+        attempts: attempt,
+        firstError: testCase.error,
+        error: null
+      };
+    }
+    return { ...testCase, attempts: attempt, error: retry.error || testCase.error };
+  });
+};
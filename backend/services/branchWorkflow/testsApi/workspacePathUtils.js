@@ -12,3 +12,13 @@ export const isRelevantSourceFile = (filePath) => {
     normalized.endsWith('.vue')
   );
 };
+
+// Template manifests may move the coverage output; otherwise Node workspaces write the istanbul
+// reports to coverage/ and Python workspaces write coverage.json next to the sources.
+export const resolveWorkspaceCoverageDir = (path, workspace) => {
+  const directory = workspace?.template?.coverage?.directory;
+  if (directory) {
+    return path.join(workspace.cwd, ...directory.split('/'));
+  }
+  return workspace.kind === 'python' ? workspace.cwd : path.join(workspace.cwd, 'coverage');
+};
@@ -1,5 +1,18 @@
 import { normalizePathForCompare } from './workspacePathUtils.js';
-import { pathExists } from './fsUtils.js';
+import { pathExists, readJsonIfExists } from './fsUtils.js';
+import { normalizeTemplateManifest, TEMPLATE_MANIFEST_FILENAME } from '../../projectScaffolding/templateManifest.js';
+
+const readWorkspaceTemplate = async ({ fs, path, cwd }) => {
+  const raw = await readJsonIfExists(fs, path.join(cwd, TEMPLATE_MANIFEST_FILENAME));
+  if (!raw) {
+    return null;
+  }
+  try {
+    return normalizeTemplateManifest(raw);
+  } catch {
+    return null;
+  }
+};
 
 export const discoverWorkspaces = async ({ projectRoot, fs, path }) => {
   const frontendPath = path.join(projectRoot, 'frontend');
@@ -22,6 +35,14 @@ export const discoverWorkspaces = async ({ projectRoot, fs, path }) => {
     }
   }
 
+  // Workspaces scaffolded from a registry template carry its test/install commands and coverage location.
+  for (const workspace of workspaces) {
+    const template = await readWorkspaceTemplate({ fs, path, cwd: workspace.cwd });
+    if (template) {
+      workspace.template = template;
+    }
+  }
+
   return {
     workspaces,
     nodeWorkspaceNames: workspaces
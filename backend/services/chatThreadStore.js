@@ -0,0 +1,327 @@
+import db from '../database.js';
+
+export const DEFAULT_THREAD_TITLE = 'New thread';
+export const CHAT_THREAD_LINK_KINDS = ['goal', 'autopilot'];
+
+const MAX_TITLE_LENGTH = 120;
+const MAX_MESSAGE_LENGTH = 20000;
+const MAX_MESSAGES_PER_APPEND = 200;
+
+export class ChatThreadError extends Error {
+  constructor(message, { statusCode = 400 } = {}) {
+    super(message);
+    this.name = 'ChatThreadError';
+    this.statusCode = statusCode;
+  }
+}
+
+const CONTEXT_DEFAULTS = {
+  maxMessages: 12,
+  recentMessages: 4,
+  maxChars: 2400,
+  recentMessageChars: 600,
+  summaryLineChars: 140
+};
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function callback(err) {
+    if (err) {
+      reject(err);
+    } else {
+      resolve({ lastID: this?.lastID ?? null, changes: this?.changes ?? null });
+    }
+  });
+});
+
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => {
+    if (err) {
+      reject(err);
+    } else {
+      resolve(row || null);
+    }
+  });
+});
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) {
+      reject(err);
+    } else {
+      resolve(rows || []);
+    }
+  });
+});
+
+const normalizeTitle = (value) => {
+  const title = typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+  return title.slice(0, MAX_TITLE_LENGTH);
+};
+
+const truncate = (value, max) => (value.length > max ? `${value.slice(0, max - 1).trimEnd()}…` : value);
+
+const deriveTitleFromText = (text) => {
+  const firstLine = String(text || '').split(/\r?\n/).find((line) => line.trim()) || '';
+  return truncate(normalizeTitle(firstLine), 60);
+};
+
+const normalizeThreadRow = (row, links) => {
+  const threadLinks = links.filter((link) => link.thread_id === row.id);
+  return {
+    id: row.id,
+    projectId: row.project_id,
+    title: row.title,
+    archived: Boolean(row.archived),
+    messageCount: row.message_count ?? 0,
+    createdAt: row.created_at ?? null,
+    updatedAt: row.updated_at ?? null,
+    links: {
+      goals: threadLinks.filter((link) => link.kind === 'goal').map((link) => Number(link.ref_id)),
+      autopilotSessions: threadLinks.filter((link) => link.kind === 'autopilot').map((link) => link.ref_id)
+    },
+    ...(row.match_text ? { match: truncate(row.match_text, 160) } : {})
+  };
+};
+
+const normalizeMessageRow = (row) => ({
+  id: row.client_id,
+  sender: row.sender,
+  text: row.text,
+  variant: row.variant ?? null,
+  timestamp: row.created_at ?? null
+});
+
+const listLinks = async (threadIds) => {
+  if (threadIds.length === 0) {
+    return [];
+  }
+  const placeholders = threadIds.map(() => '?').join(',');
+  return all(
+    `SELECT thread_id, kind, ref_id FROM chat_thread_links WHERE thread_id IN (${placeholders}) ORDER BY id ASC`,
+    threadIds
+  );
+};
+
+const THREAD_COLUMNS = `
+  t.*,
+  (SELECT COUNT(*) FROM chat_messages m WHERE m.thread_id = t.id) AS message_count
+`;
+
+export const getChatThread = async (threadId) => {
+  const row = await get(`SELECT ${THREAD_COLUMNS} FROM chat_threads t WHERE t.id = ?`, [threadId]);
+  if (!row) {
+    return null;
+  }
+  return normalizeThreadRow(row, await listLinks([row.id]));
+};
+
+export const createChatThread = async ({ projectId, title } = {}) => {
+  if (!projectId) {
+    throw new ChatThreadError('projectId is required');
+  }
+  const result = await run(
+    'INSERT INTO chat_threads (project_id, title) VALUES (?, ?)',
+    [projectId, normalizeTitle(title) || DEFAULT_THREAD_TITLE]
+  );
+  return getChatThread(result.lastID);
+};
+
+// Lists a project's threads, most recently active first. `query` matches thread titles and
+// message text; matching threads carry the first matching message as `match`.
+export const listChatThreads = async (projectId, { includeArchived = false, query = '' } = {}) => {
+  const where = ['t.project_id = ?'];
+  const params = [projectId];
+  let matchColumn = '';
+  const search = typeof query === 'string' ? query.trim() : '';
+
+  if (!includeArchived) {
+    where.push('t.archived = 0');
+  }
+  if (search) {
+    const pattern = `%${search.replace(/[\\%_]/g, (char) => `\\${char}`)}%`;
+    matchColumn = `, (SELECT m.text FROM chat_messages m WHERE m.thread_id = t.id AND m.text LIKE ? ESCAPE '\\'
+      ORDER BY m.id ASC LIMIT 1) AS match_text`;
+    params.unshift(pattern);
+    params.push(pattern, pattern);
+    where.push(`(t.title LIKE ? ESCAPE '\\' OR EXISTS (
+      SELECT 1 FROM chat_messages m WHERE m.thread_id = t.id AND m.text LIKE ? ESCAPE '\\'
+    ))`);
+  }
+
+  const rows = await all(
+    `SELECT ${THREAD_COLUMNS}${matchColumn} FROM chat_threads t WHERE ${where.join(' AND ')}
+     ORDER BY t.updated_at DESC, t.id DESC`,
+    params
+  );
+  const links = await listLinks(rows.map((row) => row.id));
+  return rows.map((row) => normalizeThreadRow(row, links));
+};
+
+export const updateChatThread = async (threadId, { title, archived } = {}) => {
+  const sets = [];
+  const params = [];
+
+  if (title !== undefined) {
+    const nextTitle = normalizeTitle(title);
+    if (!nextTitle) {
+      throw new ChatThreadError('title must be a non-empty string');
+    }
+    sets.push('title = ?');
+    params.push(nextTitle);
+  }
+  if (archived !== undefined) {
+    sets.push('archived = ?');
+    params.push(archived ? 1 : 0);
+  }
+  if (sets.length > 0) {
+    await run(
+      `UPDATE chat_threads SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...params, threadId]
+    );
+  }
+  return getChatThread(threadId);
+};
+
+export const listChatMessages = async (threadId, { limit } = {}) => {
+  const max = Number.isInteger(limit) && limit > 0 ? limit : null;
+  const rows = max
+    ? await all(
+      `SELECT * FROM (SELECT * FROM chat_messages WHERE thread_id = ? ORDER BY id DESC LIMIT ?) ORDER BY id ASC`,
+      [threadId, max]
+    )
+    : await all('SELECT * FROM chat_messages WHERE thread_id = ? ORDER BY id ASC', [threadId]);
+  return rows.map(normalizeMessageRow);
+};
+
+const normalizeIncomingMessage = (message, index) => {
+  if (!message || typeof message !== 'object') {
+    throw new ChatThreadError(`Message ${index + 1} must be an object`);
+  }
+  const id = message.id === undefined || message.id === null ? '' : String(message.id).trim();
+  const sender = typeof message.sender === 'string' ? message.sender.trim() : '';
+  if (!id) {
+    throw new ChatThreadError(`Message ${index + 1} is missing an id`);
+  }
+  if (!sender) {
+    throw new ChatThreadError(`Message ${index + 1} is missing a sender`);
+  }
+  const createdAt = message.timestamp ? new Date(message.timestamp) : null;
+  return {
+    id,
+    sender,
+    text: typeof message.text === 'string' ? message.text.slice(0, MAX_MESSAGE_LENGTH) : '',
+    variant: typeof message.variant === 'string' && message.variant ? message.variant : null,
+    createdAt: createdAt && !Number.isNaN(createdAt.getTime()) ? createdAt.toISOString() : null
+  };
+};
+
+// Stores messages keyed by the client's message id. Re-sending an id replaces its text, which is
+// how streamed replies are saved once they finish. A thread still carrying the default title is
+// named after its first user message.
+export const appendChatMessages = async (threadId, messages) => {
+  if (!Array.isArray(messages)) {
+    throw new ChatThreadError('messages must be an array');
+  }
+  if (messages.length > MAX_MESSAGES_PER_APPEND) {
+    throw new ChatThreadError(`At most ${MAX_MESSAGES_PER_APPEND} messages can be saved at once`);
+  }
+  const normalized = messages.map(normalizeIncomingMessage);
+
+  for (const message of normalized) {
+    await run(
+      `INSERT INTO chat_messages (thread_id, client_id, sender, text, variant, created_at)
+       VALUES (?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+       ON CONFLICT(thread_id, client_id) DO UPDATE SET text = excluded.text, variant = excluded.variant`,
+      [threadId, message.id, message.sender, message.text, message.variant, message.createdAt]
+    );
+  }
+
+  const firstUserMessage = normalized.find((message) => message.sender === 'user' && message.text.trim());
+  if (firstUserMessage) {
+    await run(
+      'UPDATE chat_threads SET title = ? WHERE id = ? AND title = ?',
+      [deriveTitleFromText(firstUserMessage.text), threadId, DEFAULT_THREAD_TITLE]
+    );
+  }
+  await run('UPDATE chat_threads SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [threadId]);
+  return getChatThread(threadId);
+};
+
+export const linkChatThread = async (threadId, { kind, refId }) => {
+  if (!CHAT_THREAD_LINK_KINDS.includes(kind)) {
+    throw new ChatThreadError(`Unknown chat thread link kind: ${kind}`);
+  }
+  if (refId === undefined || refId === null || refId === '') {
+    throw new ChatThreadError('refId is required');
+  }
+  await run(
+    'INSERT OR IGNORE INTO chat_thread_links (thread_id, kind, ref_id) VALUES (?, ?, ?)',
+    [threadId, kind, String(refId)]
+  );
+};
+
+const formatSender = (sender) => (sender === 'user' ? 'User' : 'Assistant');
+
+const flattenText = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+// Builds the "Conversation context:" block the agent sees for a thread. Only the last
+// `maxMessages` user/assistant messages are considered: the newest `recentMessages` are quoted
+// (trimmed to `recentMessageChars`), older ones are condensed to one line each, and the oldest
+// lines are dropped until the block fits `maxChars`. `currentRequest` skips a trailing user
+// message that repeats the request being answered. Returns '' for an empty thread.
+export const buildThreadContext = async (threadId, options = {}) => {
+  const settings = { ...CONTEXT_DEFAULTS, ...options };
+  const rows = await all(
+    `SELECT sender, text FROM chat_messages
+     WHERE thread_id = ? AND sender IN ('user', 'assistant') AND COALESCE(variant, '') NOT IN ('status', 'error')
+     AND TRIM(text) != ''
+     ORDER BY id DESC LIMIT ?`,
+    [threadId, settings.maxMessages + 1]
+  );
+  const messages = rows.reverse();
+
+  const latest = messages[messages.length - 1];
+  const currentRequest = flattenText(settings.currentRequest);
+  if (latest && currentRequest && latest.sender === 'user' && flattenText(latest.text) === currentRequest) {
+    messages.pop();
+  } else if (messages.length > settings.maxMessages) {
+    messages.shift();
+  }
+  if (messages.length === 0) {
+    return '';
+  }
+
+  const recentCount = Math.min(settings.recentMessages, messages.length);
+  const older = messages.slice(0, messages.length - recentCount);
+  const recent = messages.slice(messages.length - recentCount);
+
+  const recentLines = recent.map(
+    (message) => `${formatSender(message.sender)}: ${truncate(String(message.text).trim(), settings.recentMessageChars)}`
+  );
+  const summaryLines = older.map(
+    (message) => `- ${formatSender(message.sender)}: ${truncate(flattenText(message.text), settings.summaryLineChars)}`
+  );
+
+  const render = () => [
+    'Conversation context:',
+    ...(summaryLines.length > 0 ? ['Earlier in this thread (summarised):', ...summaryLines, 'Recent messages:'] : []),
+    ...recentLines
+  ].join('\n');
+
+  let block = render();
+  while (block.length > settings.maxChars && summaryLines.length > 0) {
+    summaryLines.shift();
+    block = render();
+  }
+  while (block.length > settings.maxChars && recentLines.length > 1) {
+    recentLines.shift();
+    block = render();
+  }
+  return block;
+};
+
+export const __testing = {
+  normalizeTitle,
+  deriveTitleFromText,
+  normalizeIncomingMessage
+};
@@ -1,7 +1,15 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { llmClient } from '../llm-client.js';
+import { createJsonTextStream } from '../llm-client/jsonTextStream.js';
 import { getProjectRoot, readProjectFile, writeProjectFile } from './projectTools.js';
+import { applyPatch } from './codeEditAgent/applyPatch.js';
+import { IGNORED_DIRECTORIES, IGNORED_FILES } from './codeEditAgent/ignoredPaths.js';
+import { runAgentCommand } from './agentCommands.js';
+import { requestCommandApproval } from './commandApprovals.js';
+import { runTargetedTests } from './branchWorkflow.js';
+import { loadProjectMemoryContext } from './projectMemoryStore.js';
+import { formatCodeSearchResults, searchCode } from './codeIndex.js';
 
 const SYSTEM_PROMPT = `You are an autonomous software engineer that edits a repository on behalf of the user.
 Always respond with a SINGLE JSON object describing your next action.
@@ -9,48 +17,46 @@ Always respond with a SINGLE JSON object describing your next action.
 Supported actions:
 - {"action":"read_file","path":"relative/path","reason":"why"}
 - {"action":"list_dir","path":"relative/dir","reason":"why"}
+- {"action":"search_code","query":"useAuth","type":"keyword|symbol|imports|route","reason":"why"}
+- {"action":"apply_patch","path":"relative/file","patch":"UNIFIED DIFF or SEARCH/REPLACE BLOCKS"}
+- {"action":"apply_patch","path":"relative/file","replacements":[{"search":"exact existing text","replace":"new text"}]}
 - {"action":"write_file","path":"relative/file","content":"FULL FILE CONTENT"}
+- {"action":"run_command","command":"npm test -- --run","reason":"why"}
+- {"action":"run_tests","path":"relative/test/file","testName":"optional test name pattern","reason":"why"}
 - {"action":"plan","note":"short plan"}
 - {"action":"finalize","summary":"concise status"}
 
 Rules:
 1. Paths must be relative to the repository root. Do not use absolute paths or traverse outside the workspace.
-2. For write_file you must provide the entire desired file content, not a diff.
-3. Keep interactions focused on the current goal. Avoid unrelated refactors.
-4. Finalize when the requested change is complete or blocked.`;
+2. Prefer apply_patch for changes to existing files. A patch covers one file: either a unified diff with @@ hunks
+   (context lines must match the current file) or <<<<<<< SEARCH / ======= / >>>>>>> REPLACE blocks whose search
+   text matches exactly once. Read the file first so the context is current.
+3. Use write_file for new files, or when a patch keeps failing, with the entire desired file content.
+4. run_command runs one command (no pipes, redirects or &&) from the repository root. Commands outside the
+   allowlist wait for the user's approval and may be denied; do not retry a denied command.
+5. run_tests runs one test file and/or the tests whose name matches testName, without coverage. It is much faster
+   than the whole suite, so use it to check a fix; the full suite still runs before the branch can merge.
+6. search_code queries an index of the project's JS/TS and Python code: keyword finds matching code and symbols,
+   symbol finds where a function, component or class is defined, imports lists the files importing a module, file
+   or name, and route finds where an HTTP route like /api/users is defined. Without a type it is inferred from
+   questions like "who imports X". Prefer it to listing directories, since the snapshot below is truncated.
+7. Keep interactions focused on the current goal. Avoid unrelated refactors.
+8. Finalize when the requested change is complete or blocked.`;
 
 const MAX_ACTIONS = 40;
+const STREAMED_ACTION_FIELDS = ['reason', 'note', 'summary'];
 const MAX_WRITES = 12;
+const MAX_COMMANDS = 10;
+const MAX_REPORTED_TEST_FAILURES = 10;
+const MAX_TEST_ERROR_CHARS = 1000;
 const MAX_FILE_TREE_ENTRIES = 400;
 const MAX_LIST_ENTRIES = 200;
 const MAX_OBSERVATION_CHARS = 20_000;
 const MAX_FILE_CHARS = 200_000;
 const LOOP_WINDOW = 6;
+const WRITE_ACTIONS = new Set(['write_file', 'apply_patch']);
 
 
-const IGNORED_DIRECTORIES = new Set([
-  '.git',
-  'node_modules',
-  '.next',
-  '.turbo',
-  '.gradle',
-  '.idea',
-  '.vscode',
-  'dist',
-  'build',
-  'coverage',
-  'coverage-tmp',
-  '.cache'
-]);
-
-const IGNORED_FILES = new Set([
-  'package-lock.json',
-  'pnpm-lock.yaml',
-  'yarn.lock',
-  'bun.lockb',
-  '.DS_Store'
-]);
-
 const normalizeRelativePath = (value = '') => value.replace(/\\/g, '/').replace(/^\/+/g, '').trim();
 
 
@@ -170,10 +176,11 @@ const createObservationStep = (action, target, summary) => ({
   timestamp: Date.now()
 });
 
-const buildInitialUserMessage = ({ prompt, fileTree }) => {
+const buildInitialUserMessage = ({ prompt, fileTree, projectMemory }) => {
   const parts = [
     'Repository snapshot (truncated):',
     fileTree || '(file tree unavailable)',
+    ...(projectMemory ? [projectMemory] : []),
     'User goal:',
     prompt.trim()
   ];
@@ -289,6 +296,25 @@ const readFileForAgent = async (projectId, relativePath) => {
   }
 };
 
+const searchCodeForAgent = async (projectRoot, { query, type } = {}) => {
+  try {
+    const result = await searchCode(projectRoot, { query, type });
+    return {
+      status: 'ok',
+      query: result.query,
+      type: result.type,
+      total: result.total,
+      results: formatCodeSearchResults(result)
+    };
+  } catch (error) {
+    return {
+      status: 'error',
+      query: typeof query === 'string' ? query.trim() : '',
+      error: error.message
+    };
+  }
+};
+
 const writeFileForAgent = async (projectId, relativePath, content) => {
   if (typeof content !== 'string') {
     throw new Error('write_file content must be a string');
@@ -304,6 +330,127 @@ const writeFileForAgent = async (projectId, relativePath, content) => {
   };
 };
 
+// Applies an apply_patch action against the file as it is on disk now. Patch problems come back
+// as { status: 'error' } so the model can re-read the file and retry, or fall back to write_file.
+const patchFileForAgent = async (projectId, relativePath, { patch, replacements } = {}) => {
+  const normalized = ensureSafeRelativePath(relativePath);
+
+  let original = null;
+  try {
+    original = await readProjectFile(projectId, normalized);
+  } catch {
+    original = null;
+  }
+
+  let result;
+  try {
+    result = applyPatch(original ?? '', { patch, replacements });
+  } catch (error) {
+    return { path: normalized, status: 'error', error: error.message };
+  }
+
+  if (original === null && !result.createsFile) {
+    return {
+      path: normalized,
+      status: 'error',
+      error: 'File does not exist. Use write_file to create it, or a diff from /dev/null.'
+    };
+  }
+  if (result.content === original) {
+    return { path: normalized, status: 'error', error: 'Patch applied but did not change the file.' };
+  }
+
+  const written = await writeFileForAgent(projectId, normalized, result.content);
+  return { ...written, status: 'ok', hunks: result.hunks };
+};
+
+const describeCommandResult = (result) => {
+  if (result.status !== 'ran') {
+    return `Error: ${result.error}`;
+  }
+  const seconds = (result.durationMs / 1000).toFixed(1);
+  if (result.timedOut) {
+    return `Timed out after ${seconds}s`;
+  }
+  return result.exitCode == null ? `Failed to run (${seconds}s)` : `Exit ${result.exitCode} in ${seconds}s`;
+};
+
+// Runs a run_command action from the project root. Commands off the allowlist go through
+// `approve`; rejected or denied commands come back as { status, error } for the model.
+const runCommandForAgent = async ({ projectId, projectRoot, command, reason, approve, signal, commandsRun }) => {
+  if (commandsRun >= MAX_COMMANDS) {
+    return { command, status: 'rejected', error: `Command limit of ${MAX_COMMANDS} reached for this edit session.` };
+  }
+  return runAgentCommand({
+    command,
+    cwd: projectRoot,
+    reason,
+    signal,
+    approve: (request) => approve({ ...request, projectId })
+  });
+};
+
+const buildCommandObservation = (result) => (result.status === 'ran'
+  ? {
+    action: 'run_command',
+    command: result.command,
+    status: result.exitCode === 0 && !result.timedOut ? 'ok' : 'failed',
+    exitCode: result.exitCode,
+    timedOut: result.timedOut,
+    output: result.output
+  }
+  : { action: 'run_command', command: result.command, status: result.status, error: result.error });
+
+// Runs a run_tests action as a partial test run. Shares the command budget with run_command.
+const runTestsForAgent = async ({ projectId, file, testName, runTests, commandsRun }) => {
+  if (commandsRun >= MAX_COMMANDS) {
+    return { status: 'rejected', error: `Command limit of ${MAX_COMMANDS} reached for this edit session.` };
+  }
+  if (!file && !testName) {
+    return { status: 'rejected', error: 'run_tests actions must include a "path" or a "testName".' };
+  }
+  try {
+    return { status: 'ran', run: await runTests(projectId, { file, testName }) };
+  } catch (error) {
+    return { status: 'error', error: error.message };
+  }
+};
+
+const describeTestsResult = (result) => {
+  if (result.status !== 'ran') {
+    return `Error: ${result.error}`;
+  }
+  const { status, summary } = result.run;
+  return summary
+    ? `Tests ${status}: ${summary.passed} passed, ${summary.failed} failed`
+    : `Tests ${status} (no per-test report)`;
+};
+
+const buildTestsObservation = (result) => {
+  if (result.status !== 'ran') {
+    return { action: 'run_tests', status: result.status, error: result.error };
+  }
+  const { run } = result;
+  return {
+    action: 'run_tests',
+    status: run.status,
+    workspace: run.workspace,
+    file: run.file,
+    testName: run.testName,
+    summary: run.summary,
+    failures: run.tests
+      .filter((testCase) => testCase.status === 'failed')
+      .slice(0, MAX_REPORTED_TEST_FAILURES)
+      .map((testCase) => ({
+        name: testCase.name,
+        file: testCase.file,
+        error: typeof testCase.error === 'string' ? testCase.error.slice(0, MAX_TEST_ERROR_CHARS) : null
+      })),
+    // Without a report (e.g. no test matched), the console output is all there is to go on.
+    ...(run.summary ? {} : { output: truncateForObservation(run.logs.join('\n')) })
+  };
+};
+
 class LoopDetector {
   constructor(limit = LOOP_WINDOW) {
     this.limit = limit;
@@ -326,12 +473,43 @@ class LoopDetector {
     if (uniqueActions.size === 1) {
       return true;
     }
-    const writes = this.history.filter((entry) => entry.action === 'write_file').length;
+    const writes = this.history.filter((entry) => WRITE_ACTIONS.has(entry.action)).length;
     return writes === 0;
   }
 }
 
-export const applyCodeChange = async ({ projectId, prompt, ui } = {}) => {
+// Each reply is a JSON action; callers streaming tokens get the prose in it (reasons, plan notes and the
+// final summary), one line per action, rather than the JSON or the file contents being written.
+const createActionTextStreamer = (onToken) => {
+  if (typeof onToken !== 'function') {
+    return null;
+  }
+  let streamedLine = false;
+  return {
+    next: () => {
+      let started = false;
+      return createJsonTextStream(STREAMED_ACTION_FIELDS, (text) => {
+        if (!started && streamedLine) {
+          onToken('\n');
+        }
+        started = true;
+        streamedLine = true;
+        onToken(text);
+      });
+    }
+  };
+};
+
+export const applyCodeChange = async ({
+  projectId,
+  prompt,
+  ui,
+  onToken,
+  signal,
+  onEvent,
+  approveCommand = requestCommandApproval,
+  runTests = runTargetedTests
+} = {}) => {
   if (!projectId) {
     throw new Error('projectId is required');
   }
@@ -341,22 +519,27 @@ export const applyCodeChange = async ({ projectId, prompt, ui } = {}) => {
 
   const projectRoot = await getProjectRoot(projectId);
   const fileTree = await buildFileTreeSnapshot(projectRoot);
+  const projectMemory = await loadProjectMemoryContext(projectId);
   const messages = [
     { role: 'system', content: SYSTEM_PROMPT },
-    { role: 'user', content: buildInitialUserMessage({ prompt, fileTree }) }
+    { role: 'user', content: buildInitialUserMessage({ prompt, fileTree, projectMemory }) }
   ];
 
   const steps = [];
   const loopDetector = new LoopDetector();
   let writes = 0;
+  let commandsRun = 0;
   let summary = '';
+  const streamText = createActionTextStreamer(onToken);
 
   for (let iteration = 0; iteration < MAX_ACTIONS; iteration += 1) {
     const response = await llmClient.generateResponse(messages, {
       max_tokens: 800,
       temperature: 0,
       __lucidcoderPhase: 'autopilot-edit',
-      __lucidcoderRequestType: 'code_edit'
+      __lucidcoderRequestType: 'code_edit',
+      ...(streamText ? { __lucidcoderOnToken: streamText.next() } : {}),
+      ...(signal ? { __lucidcoderSignal: signal } : {})
     });
 
     const actionPayload = parseActionResponse(response);
@@ -422,6 +605,30 @@ export const applyCodeChange = async ({ projectId, prompt, ui } = {}) => {
       continue;
     }
 
+    if (actionName === 'search_code') {
+      const result = await searchCodeForAgent(projectRoot, actionPayload);
+      steps.push(createActionStep('search_code', result.query, actionPayload.reason || null));
+      if (result.status === 'ok') {
+        steps.push(createObservationStep('search_code', result.query, `Found ${result.total} ${result.type} match(es)`));
+        messages.push({
+          role: 'user',
+          content: JSON.stringify({
+            action: 'search_code',
+            query: result.query,
+            type: result.type,
+            results: truncateForObservation(result.results)
+          })
+        });
+      } else {
+        steps.push(createObservationStep('search_code', result.query, `Error: ${result.error}`));
+        messages.push({
+          role: 'user',
+          content: JSON.stringify({ action: 'search_code', query: result.query, error: result.error })
+        });
+      }
+      continue;
+    }
+
     if (actionName === 'write_file') {
       if (writes >= MAX_WRITES) {
         throw new Error('Write limit reached while attempting to apply changes.');
@@ -447,6 +654,124 @@ export const applyCodeChange = async ({ projectId, prompt, ui } = {}) => {
       continue;
     }
 
+    if (actionName === 'apply_patch') {
+      if (writes >= MAX_WRITES) {
+        throw new Error('Write limit reached while attempting to apply changes.');
+      }
+
+      const result = await patchFileForAgent(projectId, actionPayload.path, {
+        patch: typeof actionPayload.patch === 'string' ? actionPayload.patch : actionPayload.diff,
+        replacements: actionPayload.replacements
+      });
+      steps.push(createActionStep('apply_patch', result.path, actionPayload.reason || null));
+      if (result.status === 'ok') {
+        writes += 1;
+        const summaryText = `Patched ${result.hunks} hunk(s); wrote ${result.bytesWritten} characters`;
+        steps.push(createObservationStep('apply_patch', result.path, summaryText));
+        messages.push({
+          role: 'user',
+          content: JSON.stringify({ action: 'apply_patch', path: result.path, status: 'ok', summary: summaryText })
+        });
+      } else {
+        steps.push(createObservationStep('apply_patch', result.path, `Error: ${result.error}`));
+        messages.push({
+          role: 'user',
+          content: JSON.stringify({
+            action: 'apply_patch',
+            path: result.path,
+            status: 'error',
+            error: result.error,
+            hint: 'The file was not changed. Re-read it and send a corrected patch, or use write_file with the full content.'
+          })
+        });
+      }
+      continue;
+    }
+
+    if (actionName === 'run_command') {
+      const command = typeof actionPayload.command === 'string' ? actionPayload.command.trim() : '';
+      if (!command) {
+        messages.push({
+          role: 'user',
+          content: 'run_command actions must include a "command" field.'
+        });
+        continue;
+      }
+
+      const result = await runCommandForAgent({
+        projectId,
+        projectRoot,
+        command,
+        reason: actionPayload.reason || null,
+        approve: approveCommand,
+        signal,
+        commandsRun
+      });
+      if (result.status === 'ran' || result.status === 'denied') {
+        commandsRun += 1;
+      }
+      const summaryText = describeCommandResult(result);
+      steps.push(createActionStep('run_command', result.command, actionPayload.reason || null));
+      steps.push({ ...createObservationStep('run_command', result.command, summaryText), output: result.output ?? null });
+      if (typeof onEvent === 'function') {
+        onEvent({
+          type: 'agent:command',
+          message: `${result.command}: ${summaryText}`,
+          payload: {
+            command: result.command,
+            status: result.status,
+            approval: result.approval ?? null,
+            exitCode: result.exitCode ?? null,
+            timedOut: result.timedOut ?? false,
+            durationMs: result.durationMs ?? null,
+            output: result.output ?? null,
+            truncated: result.truncated ?? false,
+            error: result.error ?? null
+          },
+          meta: null
+        });
+      }
+      messages.push({ role: 'user', content: JSON.stringify(buildCommandObservation(result)) });
+      continue;
+    }
+
+    if (actionName === 'run_tests') {
+      const file = typeof actionPayload.path === 'string' ? normalizeRelativePath(actionPayload.path) : '';
+      const testName = typeof actionPayload.testName === 'string' ? actionPayload.testName.trim() : '';
+      const target = file || testName;
+      const result = await runTestsForAgent({
+        projectId,
+        file: file || null,
+        testName: testName || null,
+        runTests,
+        commandsRun
+      });
+      if (result.status !== 'rejected') {
+        commandsRun += 1;
+      }
+      const summaryText = describeTestsResult(result);
+      steps.push(createActionStep('run_tests', target, actionPayload.reason || null));
+      steps.push(createObservationStep('run_tests', target, summaryText));
+      if (typeof onEvent === 'function' && result.status === 'ran') {
+        onEvent({
+          type: 'agent:tests',
+          message: `${target}: ${summaryText}`,
+          payload: {
+            jobId: result.run.jobId,
+            workspace: result.run.workspace,
+            file: result.run.file,
+            testName: result.run.testName,
+            status: result.run.status,
+            summary: result.run.summary,
+            partial: true
+          },
+          meta: null
+        });
+      }
+      messages.push({ role: 'user', content: JSON.stringify(buildTestsObservation(result)) });
+      continue;
+    }
+
     if (actionName === 'plan') {
       const note = typeof actionPayload.note === 'string' ? actionPayload.note.trim() : '';
       steps.push(createActionStep('plan', null, note || 'Updated plan.'));
@@ -495,6 +820,13 @@ export const __testing = {
   buildFileTreeSnapshot,
   listDirectoryForAgent,
   readFileForAgent,
+  searchCodeForAgent,
   writeFileForAgent,
+  patchFileForAgent,
+  describeCommandResult,
+  runCommandForAgent,
+  runTestsForAgent,
+  describeTestsResult,
+  buildTestsObservation,
   LoopDetector
 };
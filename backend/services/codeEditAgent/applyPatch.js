@@ -0,0 +1,274 @@
+// Applies model-authored patches to a file's current content. Two formats are accepted:
+// unified diffs (what `git diff` prints) and search/replace blocks, either as
+// [{ search, replace }] entries or as <<<<<<< SEARCH / ======= / >>>>>>> REPLACE text.
+// Every failure throws with a message meant to be shown back to the model.
+
+const HUNK_HEADER = /^@@\s*(?:-(\d+)(?:,(\d+))?\s+\+(\d+)(?:,(\d+))?)?\s*@@/;
+const SEARCH_BLOCK = /<{5,}\s*SEARCH[^\n]*\n([\s\S]*?)\n?={5,}[^\n]*\n([\s\S]*?)\n?>{5,}\s*REPLACE[^\n]*/g;
+const PREVIEW_CHARS = 160;
+
+const preview = (text) => {
+  const value = String(text || '');
+  return value.length > PREVIEW_CHARS ? `${value.slice(0, PREVIEW_CHARS)}…` : value;
+};
+
+export const isSearchReplaceText = (text) => typeof text === 'string' && /<{5,}\s*SEARCH/.test(text);
+
+export const parseSearchReplaceBlocks = (text) => {
+  const replacements = [];
+  for (const match of String(text || '').matchAll(SEARCH_BLOCK)) {
+    replacements.push({ search: match[1], replace: match[2] });
+  }
+  if (!replacements.length) {
+    throw new Error('No complete SEARCH/REPLACE blocks found');
+  }
+  return replacements;
+};
+
+export const parseUnifiedDiff = (diff) => {
+  if (typeof diff !== 'string' || !diff.trim()) {
+    throw new Error('Patch is empty');
+  }
+
+  const hunks = [];
+  let createsFile = false;
+  let current = null;
+
+  for (const line of diff.replace(/\r\n/g, '\n').split('\n')) {
+    const header = line.match(HUNK_HEADER);
+    if (header) {
+      current = {
+        oldStart: header[1] ? Number(header[1]) : null,
+        oldLines: [],
+        newLines: [],
+        ops: []
+      };
+      hunks.push(current);
+      continue;
+    }
+
+    if (!current) {
+      if (/^---\s+\/dev\/null/.test(line)) {
+        createsFile = true;
+      }
+      // diff --git, index, ---/+++ headers and any prose before the first hunk.
+      continue;
+    }
+
+    if (line.startsWith('\\')) {
+      continue; // "\ No newline at end of file"
+    }
+    if (line.startsWith('+')) {
+      current.newLines.push(line.slice(1));
+      current.ops.push('+');
+    } else if (line.startsWith('-')) {
+      current.oldLines.push(line.slice(1));
+      current.ops.push('-');
+    } else if (line.startsWith(' ') || line === '') {
+      // Models often drop the leading space on blank context lines.
+      current.oldLines.push(line.slice(1));
+      current.newLines.push(line.slice(1));
+      current.ops.push(' ');
+    } else if (/^(diff |index )/.test(line)) {
+      break; // Next file section; a patch targets a single file.
+    } else {
+      throw new Error(`Unexpected line in hunk ${hunks.length}: "${preview(line)}"`);
+    }
+  }
+
+  for (const hunk of hunks) {
+    // A trailing newline in the diff text shows up as one extra blank context line.
+    while (
+      hunk.oldLines.length && hunk.newLines.length
+      && hunk.oldLines[hunk.oldLines.length - 1] === '' && hunk.newLines[hunk.newLines.length - 1] === ''
+    ) {
+      hunk.oldLines.pop();
+      hunk.newLines.pop();
+      hunk.ops.pop();
+    }
+  }
+
+  const usable = hunks.filter((hunk) => hunk.oldLines.length || hunk.newLines.length);
+  if (!usable.length) {
+    throw new Error('Patch contains no hunks (expected lines starting with @@)');
+  }
+  return { hunks: usable, createsFile };
+};
+
+const linesMatchAt = (lines, index, expected, normalize) => {
+  for (let offset = 0; offset < expected.length; offset += 1) {
+    if (normalize(lines[index + offset]) !== normalize(expected[offset])) {
+      return false;
+    }
+  }
+  return true;
+};
+
+const findHunkPosition = (lines, hunk, from, hint) => {
+  const last = lines.length - hunk.oldLines.length;
+  // Exact lines first, then tolerate trailing-whitespace differences.
+  for (const normalize of [(line) => line, (line) => line.trimEnd()]) {
+    const matches = [];
+    for (let index = from; index <= last; index += 1) {
+      if (linesMatchAt(lines, index, hunk.oldLines, normalize)) {
+        matches.push(index);
+      }
+    }
+    if (matches.length === 1) {
+      return matches[0];
+    }
+    if (matches.length > 1) {
+      if (hint == null) {
+        throw new Error('context matches more than one location; include more surrounding lines or line numbers');
+      }
+      return matches.reduce((best, index) => (Math.abs(index - hint) < Math.abs(best - hint) ? index : best));
+    }
+  }
+  return -1;
+};
+
+// Context lines keep the file's own text, so a whitespace-tolerant match doesn't rewrite them.
+const buildReplacementLines = (lines, position, hunk) => {
+  const result = [];
+  let oldIndex = 0;
+  let newIndex = 0;
+  for (const op of hunk.ops) {
+    if (op === ' ') {
+      result.push(lines[position + oldIndex]);
+      oldIndex += 1;
+      newIndex += 1;
+    } else if (op === '-') {
+      oldIndex += 1;
+    } else {
+      result.push(hunk.newLines[newIndex]);
+      newIndex += 1;
+    }
+  }
+  return result;
+};
+
+export const applyUnifiedDiff = (original, diff) => {
+  const { hunks } = parseUnifiedDiff(diff);
+  const source = typeof original === 'string' ? original : '';
+  const eol = source.includes('\r\n') ? '\r\n' : '\n';
+  const endsWithNewline = source === '' || source.endsWith('\n');
+  const lines = source === '' ? [] : source.replace(/\r?\n$/, '').split(/\r?\n/);
+
+  let cursor = 0;
+  let drift = 0;
+  hunks.forEach((hunk, index) => {
+    const hint = hunk.oldStart == null ? null : Math.max(0, hunk.oldStart - 1 + drift);
+    const label = `Hunk ${index + 1}${hunk.oldStart == null ? '' : ` (line ${hunk.oldStart})`}`;
+
+    let position;
+    if (!hunk.oldLines.length) {
+      // Pure insertion: "@@ -N,0 +M,k @@" adds lines after line N (N = 0 means the top).
+      const target = hint == null ? lines.length : (hunk.oldStart === 0 ? 0 : hint + 1);
+      position = Math.min(Math.max(target, cursor), lines.length);
+    } else {
+      try {
+        position = findHunkPosition(lines, hunk, cursor, hint);
+      } catch (error) {
+        throw new Error(`${label} does not apply: ${error.message}`);
+      }
+      if (position < 0) {
+        throw new Error(
+          `${label} does not apply: expected lines not found in the current file. `
+          + `First expected line: "${preview(hunk.oldLines[0])}"`
+        );
+      }
+    }
+
+    lines.splice(position, hunk.oldLines.length, ...buildReplacementLines(lines, position, hunk));
+    cursor = position + hunk.newLines.length;
+    drift += hunk.newLines.length - hunk.oldLines.length;
+  });
+
+  const joined = lines.join(eol);
+  return { content: endsWithNewline && joined ? `${joined}${eol}` : joined, hunks: hunks.length };
+};
+
+const stripWhitespaceWithMap = (text) => {
+  const map = [];
+  let stripped = '';
+  for (let index = 0; index < text.length; index += 1) {
+    if (!/\s/.test(text[index])) {
+      stripped += text[index];
+      map.push(index);
+    }
+  }
+  return { stripped, map };
+};
+
+const findUniqueIndex = (haystack, needle) => {
+  const index = haystack.indexOf(needle);
+  return { index, ambiguous: index >= 0 && haystack.indexOf(needle, index + 1) >= 0 };
+};
+
+// Mirrors the frontend's applyReplacements: exact match first, then a whitespace-insensitive
+// match, and the search text must identify exactly one location.
+export const applyReplacements = (original, replacements) => {
+  if (!Array.isArray(replacements) || replacements.length === 0) {
+    throw new Error('replacements must be a non-empty array');
+  }
+
+  let updated = typeof original === 'string' ? original : '';
+  replacements.forEach((replacement, index) => {
+    const label = `Replacement ${index + 1}`;
+    const search = replacement?.search;
+    const replace = replacement?.replace;
+    if (typeof search !== 'string' || typeof replace !== 'string') {
+      throw new Error(`${label} must have string "search" and "replace" fields`);
+    }
+
+    const exact = search ? findUniqueIndex(updated, search) : { index: -1, ambiguous: false };
+    if (exact.index >= 0) {
+      if (exact.ambiguous) {
+        throw new Error(`${label}: search text matches more than once; include more surrounding lines`);
+      }
+      updated = updated.slice(0, exact.index) + replace + updated.slice(exact.index + search.length);
+      return;
+    }
+
+    const haystack = stripWhitespaceWithMap(updated);
+    const needle = stripWhitespaceWithMap(search);
+    const loose = needle.stripped ? findUniqueIndex(haystack.stripped, needle.stripped) : { index: -1 };
+    if (loose.index < 0) {
+      throw new Error(`${label}: search text not found in the current file: "${preview(search)}"`);
+    }
+    if (loose.ambiguous) {
+      throw new Error(`${label}: search text matches more than once; include more surrounding lines`);
+    }
+
+    const start = haystack.map[loose.index];
+    const end = haystack.map[loose.index + needle.stripped.length - 1] + 1;
+    updated = updated.slice(0, start) + replace + updated.slice(end);
+  });
+
+  return { content: updated, hunks: replacements.length };
+};
+
+// Entry point for the apply_patch action. `patch` may be a unified diff or SEARCH/REPLACE text;
+// `replacements` is the structured form. Returns { content, hunks, createsFile }.
+export const applyPatch = (original, { patch, replacements } = {}) => {
+  if (Array.isArray(replacements)) {
+    return { ...applyReplacements(original, replacements), createsFile: false };
+  }
+  if (typeof patch !== 'string' || !patch.trim()) {
+    throw new Error('apply_patch needs a "patch" (unified diff or SEARCH/REPLACE blocks) or "replacements"');
+  }
+  if (isSearchReplaceText(patch)) {
+    return { ...applyReplacements(original, parseSearchReplaceBlocks(patch)), createsFile: false };
+  }
+  const { createsFile } = parseUnifiedDiff(patch);
+  return { ...applyUnifiedDiff(original, patch), createsFile };
+};
+
+export default {
+  applyPatch,
+  applyUnifiedDiff,
+  applyReplacements,
+  parseUnifiedDiff,
+  parseSearchReplaceBlocks,
+  isSearchReplaceText
+};
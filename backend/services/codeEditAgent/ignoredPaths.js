@@ -0,0 +1,23 @@
+// Build output, dependencies and lockfiles the agents never list or read; project search skips them too.
+export const IGNORED_DIRECTORIES = new Set([
+  '.git',
+  'node_modules',
+  '.next',
+  '.turbo',
+  '.gradle',
+  '.idea',
+  '.vscode',
+  'dist',
+  'build',
+  'coverage',
+  'coverage-tmp',
+  '.cache'
+]);
+
+export const IGNORED_FILES = new Set([
+  'package-lock.json',
+  'pnpm-lock.yaml',
+  'yarn.lock',
+  'bun.lockb',
+  '.DS_Store'
+]);
@@ -0,0 +1,11 @@
+// Helpers for reading the step log returned by applyCodeChange.
+
+// write_file actions always write; apply_patch only writes when its observation reports success.
+export const isSuccessfulPatchObservation = (step) => step?.type === 'observation'
+  && step.action === 'apply_patch'
+  && typeof step.summary === 'string'
+  && /^Patched\b/.test(step.summary);
+
+export const countFileWrites = (steps) => (Array.isArray(steps)
+  ? steps.filter((step) => (step?.type === 'action' && step.action === 'write_file') || isSuccessfulPatchObservation(step)).length
+  : 0);
@@ -0,0 +1,678 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { IGNORED_DIRECTORIES, IGNORED_FILES } from './codeEditAgent/ignoredPaths.js';
+
+// Symbol and chunk index of a project's JS/TS and Python sources, used by the agents' search_code
+// action. Indexes live in memory per project root: built on the first search, updated file by file
+// when the agents write, and re-checked against file mtimes at most every REFRESH_INTERVAL_MS so
+// edits made elsewhere (editor saves, git checkouts) are picked up too.
+
+export const CODE_SEARCH_TYPES = ['keyword', 'symbol', 'imports', 'route'];
+
+const INDEXED_FILE_PATTERN = /\.(?:[cm]?[jt]sx?|py)$/;
+const MINIFIED_FILE_PATTERN = /\.min\.[cm]?js$/;
+const SKIPPED_DIRECTORIES = new Set([...IGNORED_DIRECTORIES, 'venv', '.venv', '__pycache__']);
+const MAX_INDEXED_FILES = 5000;
+const MAX_INDEXED_FILE_BYTES = 256 * 1024;
+const MAX_CACHED_INDEXES = 8;
+const REFRESH_INTERVAL_MS = 30_000;
+const CHUNK_LINES = 40;
+const SNIPPET_LINES = 6;
+const DEFAULT_RESULT_LIMIT = 15;
+const MAX_RESULT_LIMIT = 50;
+const MAX_QUERY_LENGTH = 200;
+const JS_RESOLVE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs'];
+
+const JS_IMPORT_FROM_PATTERN = /\b(?:import|export)\s+(?:type\s+)?([\w$*{}\s,]{0,500}?)\s*from\s*['"]([^'"\n]+)['"]/g;
+const JS_BARE_IMPORT_PATTERN = /\bimport\s*['"]([^'"\n]+)['"]/g;
+const JS_REQUIRE_PATTERN = /(?:\b(?:const|let|var)\s+(\{[^}]*\}|[\w$]+)\s*=\s*)?\b(?:require|import)\(\s*['"]([^'"\n]+)['"]\s*\)/g;
+const JS_FUNCTION_PATTERN = /^(export\s+(?:default\s+)?)?(?:async\s+)?function\s*\*?\s*([\w$]+)/gm;
+const JS_CLASS_PATTERN = /^(export\s+(?:default\s+)?)?(?:abstract\s+)?class\s+([\w$]+)(?:\s+extends\s+([\w$.]+))?/gm;
+const JS_VARIABLE_PATTERN = /^(export\s+)?(?:const|let|var)\s+([\w$]+)\s*(?::[^=\n]+)?=[ \t]*([^\n]*)/gm;
+const JS_TYPE_PATTERN = /^(export\s+)?(?:declare\s+)?(?:interface|type|enum)\s+([\w$]+)/gm;
+const JS_EXPORT_LIST_PATTERN = /\bexport\s*(?:type\s*)?\{([^}]*)\}(?!\s*from)/g;
+const JS_EXPORT_DEFAULT_NAME_PATTERN = /\bexport\s+default\s+([\w$]+)\s*;?[ \t]*$/gm;
+const CJS_EXPORTS_OBJECT_PATTERN = /\bmodule\.exports\s*=\s*\{([^}]*)\}/g;
+const CJS_EXPORT_NAME_PATTERN = /\b(?:module\.)?exports\.([\w$]+)\s*=/g;
+const CJS_EXPORT_DEFAULT_PATTERN = /\bmodule\.exports\s*=\s*([\w$]+)\s*;?[ \t]*$/gm;
+const JS_ROUTE_PATTERN = /\b([\w$]+)\.(get|post|put|patch|delete|head|options|all|use)\(\s*(['"`])(\/[^'"`\n]*)\3/g;
+const FUNCTION_VALUE_PATTERN = /^(?:async\s+)?(?:function\b|\([^)]*\)\s*(?::[^=]+)?=>|[\w$]+\s*=>|\(\s*$|(?:React\.)?(?:memo|forwardRef)\()/;
+const COMPONENT_BASE_PATTERN = /^(?:React\.)?(?:Pure)?Component$/;
+// HTTP clients call the same methods; their calls are requests, not route definitions.
+const HTTP_CLIENT_NAMES = new Set(['axios', 'http', 'https', 'client', 'api', 'apiClient', 'fetcher', 'ky', 'superagent', 'instance', 'cy', 'page']);
+
+const PY_IMPORT_PATTERN = /^[ \t]*import[ \t]+([\w.]+(?:[ \t]+as[ \t]+\w+)?(?:[ \t]*,[ \t]*[\w.]+(?:[ \t]+as[ \t]+\w+)?)*)/gm;
+const PY_FROM_IMPORT_PATTERN = /^[ \t]*from[ \t]+(\.*[\w.]*)[ \t]+import[ \t]+(\([^)]*\)|[^\n]+)/gm;
+const PY_DEF_PATTERN = /^(?:async[ \t]+)?def[ \t]+(\w+)/gm;
+const PY_CLASS_PATTERN = /^class[ \t]+(\w+)/gm;
+const PY_ROUTE_PATTERN = /^[ \t]*@[\w.]+\.(get|post|put|patch|delete|route|api_route|websocket)\(\s*['"]([^'"\n]+)['"]([^\n]*)/gm;
+
+const WHO_IMPORTS_PATTERN = /^(?:who|what|which(?:\s+files?)?)\s+(?:imports|uses|requires)\s+(.+?)\??$/i;
+const ROUTE_QUERY_PATTERN = /^(?:(?:where\s+is\s+)?(?:the\s+)?route\s+)?(?:(GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS)\s+)?(\/[^\s?]*)(?:\s+defined)?\??$/i;
+const SYMBOL_QUERY_PATTERN = /^(?:where\s+is|where's|find|definition\s+of|define)\s+(?:the\s+)?(?:(?:function|component|class|symbol|type|hook)\s+)?([\w$.]+)(?:\s+(?:defined|declared))?\??$/i;
+const ROUTE_PARAM_SEGMENT_PATTERN = /^(?::|\{|<)/;
+const KEYWORD_STOPWORDS = new Set(['the', 'an', 'is', 'of', 'in', 'to', 'for', 'and', 'or', 'where', 'what', 'how', 'does', 'do', 'with']);
+
+const indexes = new Map();
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const stripQuotes = (value) => value.trim().replace(/^[`'"]+|[`'"]+$/g, '');
+
+const toRepoPath = (value) => String(value || '').replace(/\\/g, '/').replace(/^(?:\.\/|\/)+/, '');
+
+const stripExtension = (repoPath) => repoPath.replace(/\.[^./]+$/, '');
+
+const isIndexablePath = (repoPath) => {
+  const segments = repoPath.split('/');
+  const fileName = segments[segments.length - 1];
+  return INDEXED_FILE_PATTERN.test(fileName)
+    && !MINIFIED_FILE_PATTERN.test(fileName)
+    && !IGNORED_FILES.has(fileName)
+    && !segments.slice(0, -1).some((segment) => SKIPPED_DIRECTORIES.has(segment));
+};
+
+const createLineLocator = (source) => {
+  const starts = [0];
+  for (let index = 0; index < source.length; index += 1) {
+    if (source.charCodeAt(index) === 10) {
+      starts.push(index + 1);
+    }
+  }
+  return (offset) => {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (starts[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return low + 1;
+  };
+};
+
+// `a, b as c, type D` or `{ a: b }` -> the first identifier of each item (the name in the source module).
+const readListedNames = (list) => list
+  .split(',')
+  .map((item) => item.trim().replace(/^type\s+/, ''))
+  .filter(Boolean)
+  .map((item) => item.split(/[\s:]/)[0])
+  .filter((name) => /^[\w$]+$/.test(name));
+
+const readImportClauseNames = (clause) => {
+  const braces = clause.match(/\{([^}]*)\}/);
+  const names = braces ? readListedNames(braces[1]) : [];
+  clause.replace(/\{[^}]*\}/, '')
+    .split(',')
+    .map((part) => part.trim())
+    .filter((part) => /^[\w$]+$/.test(part))
+    .forEach((part) => names.push(part));
+  return names;
+};
+
+const isReactSource = (repoPath, source) => /\.[jt]sx$/.test(repoPath) || /\bfrom\s*['"]react['"]/.test(source);
+
+const parseJavaScript = (repoPath, source, lineAt) => {
+  const imports = [];
+  const symbols = new Map();
+  const routes = [];
+  const exportedNames = new Set();
+  const react = isReactSource(repoPath, source);
+
+  const addSymbol = (name, kind, offset, exported) => {
+    if (!symbols.has(name)) {
+      symbols.set(name, { name, kind, line: lineAt(offset), exported });
+    }
+  };
+  const functionKind = (name) => (react && /^[A-Z]/.test(name) ? 'component' : 'function');
+
+  for (const match of source.matchAll(JS_IMPORT_FROM_PATTERN)) {
+    imports.push({ source: match[2], names: readImportClauseNames(match[1]), line: lineAt(match.index) });
+  }
+  for (const match of source.matchAll(JS_BARE_IMPORT_PATTERN)) {
+    imports.push({ source: match[1], names: [], line: lineAt(match.index) });
+  }
+  for (const match of source.matchAll(JS_REQUIRE_PATTERN)) {
+    const binding = match[1] || '';
+    const names = binding.startsWith('{') ? readListedNames(binding.slice(1, -1)) : (binding ? [binding] : []);
+    imports.push({ source: match[2], names, line: lineAt(match.index) });
+  }
+
+  for (const match of source.matchAll(JS_FUNCTION_PATTERN)) {
+    addSymbol(match[2], functionKind(match[2]), match.index, Boolean(match[1]));
+  }
+  for (const match of source.matchAll(JS_CLASS_PATTERN)) {
+    const kind = match[3] && COMPONENT_BASE_PATTERN.test(match[3]) ? 'component' : 'class';
+    addSymbol(match[2], kind, match.index, Boolean(match[1]));
+  }
+  for (const match of source.matchAll(JS_VARIABLE_PATTERN)) {
+    const kind = FUNCTION_VALUE_PATTERN.test(match[3].trim()) ? functionKind(match[2]) : 'variable';
+    addSymbol(match[2], kind, match.index, Boolean(match[1]));
+  }
+  for (const match of source.matchAll(JS_TYPE_PATTERN)) {
+    addSymbol(match[2], 'type', match.index, Boolean(match[1]));
+  }
+
+  [JS_EXPORT_LIST_PATTERN, CJS_EXPORTS_OBJECT_PATTERN].forEach((pattern) => {
+    for (const match of source.matchAll(pattern)) {
+      readListedNames(match[1]).forEach((name) => exportedNames.add(name));
+    }
+  });
+  [JS_EXPORT_DEFAULT_NAME_PATTERN, CJS_EXPORT_NAME_PATTERN, CJS_EXPORT_DEFAULT_PATTERN].forEach((pattern) => {
+    for (const match of source.matchAll(pattern)) {
+      exportedNames.add(match[1]);
+    }
+  });
+  exportedNames.forEach((name) => {
+    const symbol = symbols.get(name);
+    if (symbol) {
+      symbol.exported = true;
+    }
+  });
+
+  for (const match of source.matchAll(JS_ROUTE_PATTERN)) {
+    if (!HTTP_CLIENT_NAMES.has(match[1])) {
+      routes.push({ method: match[2].toUpperCase(), path: match[4], line: lineAt(match.index) });
+    }
+  }
+
+  return { imports, symbols: [...symbols.values()].sort((a, b) => a.line - b.line), routes };
+};
+
+const parsePython = (repoPath, source, lineAt) => {
+  const imports = [];
+  const symbols = [];
+  const routes = [];
+
+  for (const match of source.matchAll(PY_IMPORT_PATTERN)) {
+    match[1].split(',').forEach((item) => {
+      const [moduleName] = item.trim().split(/\s+/);
+      imports.push({ source: moduleName, names: [], line: lineAt(match.index) });
+    });
+  }
+  for (const match of source.matchAll(PY_FROM_IMPORT_PATTERN)) {
+    const list = match[2].replace(/[()]/g, '').replace(/#.*$/gm, '');
+    imports.push({ source: match[1], names: readListedNames(list), line: lineAt(match.index) });
+  }
+  for (const match of source.matchAll(PY_DEF_PATTERN)) {
+    symbols.push({ name: match[1], kind: 'function', line: lineAt(match.index), exported: !match[1].startsWith('_') });
+  }
+  for (const match of source.matchAll(PY_CLASS_PATTERN)) {
+    symbols.push({ name: match[1], kind: 'class', line: lineAt(match.index), exported: !match[1].startsWith('_') });
+  }
+  for (const match of source.matchAll(PY_ROUTE_PATTERN)) {
+    const declared = match[3].match(/methods\s*=\s*\[([^\]]*)\]/);
+    const methods = declared
+      ? declared[1].split(',').map((item) => stripQuotes(item).toUpperCase()).filter(Boolean)
+      : [match[1] === 'route' || match[1] === 'api_route' ? 'GET' : match[1].toUpperCase()];
+    routes.push({ method: methods.join(', '), path: match[2], line: lineAt(match.index) });
+  }
+
+  imports.sort((a, b) => a.line - b.line);
+  symbols.sort((a, b) => a.line - b.line);
+  return { imports, symbols, routes };
+};
+
+const buildChunks = (source) => {
+  const lines = source.split('\n');
+  const chunks = [];
+  for (let start = 0; start < lines.length; start += CHUNK_LINES) {
+    chunks.push({ startLine: start + 1, text: lines.slice(start, start + CHUNK_LINES).join('\n') });
+  }
+  return chunks;
+};
+
+// Parses one source file into the symbols, imports, routes and line chunks the index stores.
+export const parseSourceFile = (relativePath, source) => {
+  const repoPath = toRepoPath(relativePath);
+  const text = String(source ?? '');
+  const lineAt = createLineLocator(text);
+  const language = repoPath.endsWith('.py') ? 'python' : 'javascript';
+  const parsed = language === 'python'
+    ? parsePython(repoPath, text, lineAt)
+    : parseJavaScript(repoPath, text, lineAt);
+  return { language, ...parsed, chunks: buildChunks(text) };
+};
+
+const collectIndexableFiles = async (root) => {
+  const files = [];
+  const walk = async (relative) => {
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(root, relative), { withFileTypes: true });
+    } catch {
+      return;
+    }
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      if (files.length >= MAX_INDEXED_FILES) {
+        return;
+      }
+      const repoPath = relative ? `${relative}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!SKIPPED_DIRECTORIES.has(entry.name)) {
+          await walk(repoPath);
+        }
+      } else if (entry.isFile() && isIndexablePath(repoPath)) {
+        files.push(repoPath);
+      }
+    }
+  };
+  await walk('');
+  return files;
+};
+
+// Returns the previous entry when the file is unchanged, a freshly parsed one when it changed,
+// or null when it is gone, too large or unreadable.
+const loadIndexEntry = async (root, repoPath, previous) => {
+  const absolutePath = path.join(root, repoPath);
+  let stats;
+  try {
+    stats = await fs.stat(absolutePath);
+  } catch {
+    return null;
+  }
+  if (!stats.isFile() || stats.size > MAX_INDEXED_FILE_BYTES) {
+    return null;
+  }
+  if (previous && previous.mtimeMs === stats.mtimeMs && previous.size === stats.size) {
+    return previous;
+  }
+  let source;
+  try {
+    source = await fs.readFile(absolutePath, 'utf-8');
+  } catch {
+    return null;
+  }
+  return { path: repoPath, mtimeMs: stats.mtimeMs, size: stats.size, ...parseSourceFile(repoPath, source) };
+};
+
+const syncIndex = async (index) => {
+  const repoPaths = await collectIndexableFiles(index.root);
+  const files = new Map();
+  for (const repoPath of repoPaths) {
+    const entry = await loadIndexEntry(index.root, repoPath, index.files.get(repoPath));
+    if (entry) {
+      files.set(repoPath, entry);
+    }
+  }
+  index.files = files;
+  index.syncedAt = Date.now();
+};
+
+export const ensureCodeIndex = async (projectRoot) => {
+  const root = path.resolve(projectRoot);
+  let index = indexes.get(root);
+  if (index) {
+    indexes.delete(root);
+  } else {
+    index = { root, files: new Map(), syncedAt: 0, syncing: null };
+  }
+  // Most recently used last, so the oldest index is evicted first.
+  indexes.set(root, index);
+  if (indexes.size > MAX_CACHED_INDEXES) {
+    indexes.delete(indexes.keys().next().value);
+  }
+
+  if (!index.syncing && Date.now() - index.syncedAt >= REFRESH_INTERVAL_MS) {
+    index.syncing = syncIndex(index).finally(() => {
+      index.syncing = null;
+    });
+  }
+  if (index.syncing) {
+    await index.syncing;
+  }
+  return index;
+};
+
+// Re-parses one file after it was written (or removes it once deleted). A no-op until the
+// project has been searched, since the first search indexes everything anyway.
+export const refreshIndexedFile = async (projectRoot, relativePath) => {
+  const index = indexes.get(path.resolve(projectRoot));
+  if (!index) {
+    return false;
+  }
+  const repoPath = toRepoPath(relativePath);
+  const entry = isIndexablePath(repoPath) ? await loadIndexEntry(index.root, repoPath, null) : null;
+  if (entry) {
+    index.files.set(repoPath, entry);
+  } else {
+    index.files.delete(repoPath);
+  }
+  return Boolean(entry);
+};
+
+const parseRouteTerm = (text) => {
+  const match = text.match(/^(?:(GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS)\s+)?(\S+)$/i);
+  return match
+    ? { method: match[1] ? match[1].toUpperCase() : null, term: stripQuotes(match[2]) }
+    : { method: null, term: stripQuotes(text) };
+};
+
+// Accepts an explicit type, or infers one from questions like "who imports X",
+// "where is route /api/foo defined" and "where is useAuth defined".
+export const resolveCodeQuery = ({ query, type } = {}) => {
+  const text = typeof query === 'string' ? query.trim() : '';
+  if (!text) {
+    throw new Error('query must be a non-empty string');
+  }
+  if (text.length > MAX_QUERY_LENGTH) {
+    throw new Error(`query must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  if (type !== undefined && type !== null && type !== '') {
+    if (!CODE_SEARCH_TYPES.includes(type)) {
+      throw new Error(`type must be one of: ${CODE_SEARCH_TYPES.join(', ')}`);
+    }
+    return type === 'route' ? { type, ...parseRouteTerm(text) } : { type, term: stripQuotes(text) };
+  }
+
+  const importers = text.match(WHO_IMPORTS_PATTERN);
+  if (importers) {
+    return { type: 'imports', term: stripQuotes(importers[1]) };
+  }
+  const unquoted = text.replace(/[`'"]/g, '');
+  const route = unquoted.match(ROUTE_QUERY_PATTERN);
+  if (route) {
+    return { type: 'route', method: route[1] ? route[1].toUpperCase() : null, term: route[2] };
+  }
+  const symbol = unquoted.match(SYMBOL_QUERY_PATTERN);
+  if (symbol) {
+    return { type: 'symbol', term: symbol[1] };
+  }
+  return { type: 'keyword', term: text };
+};
+
+const clampLimit = (value) => {
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    return DEFAULT_RESULT_LIMIT;
+  }
+  return Math.min(limit, MAX_RESULT_LIMIT);
+};
+
+const byScoreThenLocation = (a, b) => b.score - a.score || a.path.localeCompare(b.path) || a.line - b.line;
+
+const searchSymbols = (entries, { term }) => {
+  const needle = term.split('.').pop().toLowerCase();
+  const results = [];
+  entries.forEach((entry) => {
+    entry.symbols.forEach((symbol) => {
+      const name = symbol.name.toLowerCase();
+      let score = 0;
+      if (name === needle) {
+        score = 6;
+      } else if (name.startsWith(needle)) {
+        score = 4;
+      } else if (name.includes(needle)) {
+        score = 2;
+      }
+      if (score > 0) {
+        results.push({ ...symbol, path: entry.path, score: score + (symbol.exported ? 1 : 0) });
+      }
+    });
+  });
+  return results.sort(byScoreThenLocation);
+};
+
+const pickExisting = (index, candidates) => candidates.find((candidate) => index.files.has(candidate)) || null;
+
+const resolveImportPath = (index, entry, source) => {
+  const directory = path.posix.dirname(entry.path);
+
+  if (entry.language === 'python') {
+    const dots = source.match(/^\.*/)[0].length;
+    const modulePath = source.slice(dots).replace(/\./g, '/');
+    const bases = [];
+    if (dots > 0) {
+      let base = directory;
+      for (let level = 1; level < dots; level += 1) {
+        base = path.posix.dirname(base);
+      }
+      bases.push(path.posix.join(base, modulePath));
+    } else {
+      bases.push(modulePath, `${entry.path.split('/')[0]}/${modulePath}`);
+    }
+    return pickExisting(index, bases.flatMap((base) => [`${base}.py`, `${base}/__init__.py`]));
+  }
+
+  let base;
+  if (source.startsWith('.')) {
+    base = path.posix.normalize(path.posix.join(directory, source));
+  } else if (source.startsWith('@/')) {
+    base = `src/${source.slice(2)}`;
+  } else {
+    return null;
+  }
+  const withoutScriptExtension = base.replace(/\.[cm]?jsx?$/, '');
+  return pickExisting(index, [
+    base,
+    ...JS_RESOLVE_EXTENSIONS.map((extension) => `${base}${extension}`),
+    ...JS_RESOLVE_EXTENSIONS.map((extension) => `${withoutScriptExtension}${extension}`),
+    ...JS_RESOLVE_EXTENSIONS.map((extension) => `${base}/index${extension}`)
+  ]);
+};
+
+// Files a target names: a repo path (with or without its extension) or a dotted Python module.
+const findTargetFiles = (index, target) => {
+  const files = new Set();
+  const wanted = toRepoPath(target);
+  if (wanted.includes('/') || INDEXED_FILE_PATTERN.test(wanted)) {
+    const bare = stripExtension(wanted);
+    index.files.forEach((entry, repoPath) => {
+      const stem = stripExtension(repoPath);
+      if (repoPath === wanted || stem === bare || repoPath.endsWith(`/${wanted}`) || stem.endsWith(`/${bare}`)) {
+        files.add(repoPath);
+      }
+    });
+  } else if (/^[\w]+(?:\.[\w]+)+$/.test(wanted)) {
+    const modulePath = wanted.replace(/\./g, '/');
+    index.files.forEach((entry, repoPath) => {
+      if ([`${modulePath}.py`, `${modulePath}/__init__.py`].some((suffix) => repoPath === suffix || repoPath.endsWith(`/${suffix}`))) {
+        files.add(repoPath);
+      }
+    });
+  }
+  return files;
+};
+
+const searchImports = (entries, { term }, index) => {
+  const targetFiles = findTargetFiles(index, term);
+  const results = [];
+  entries.forEach((entry) => {
+    entry.imports.forEach((imported) => {
+      const resolved = resolveImportPath(index, entry, imported.source);
+      let score = 0;
+      if (imported.source === term || (resolved && targetFiles.has(resolved))) {
+        score = 2;
+      } else if (imported.names.includes(term)) {
+        score = 1;
+      }
+      if (score > 0) {
+        results.push({ path: entry.path, line: imported.line, source: imported.source, resolved, names: imported.names, score });
+      }
+    });
+  });
+  return results.sort(byScoreThenLocation);
+};
+
+const normalizeRoutePath = (value) => {
+  const trimmed = value.trim().replace(/\/+$/, '');
+  return (trimmed.startsWith('/') ? trimmed : `/${trimmed}`).toLowerCase();
+};
+
+// Route parameters (:id, {id}, <id>) match any single segment.
+const routePathSource = (routePath) => routePath
+  .split('/')
+  .map((segment) => (ROUTE_PARAM_SEGMENT_PATTERN.test(segment) ? '[^/]+' : escapeRegExp(segment)))
+  .join('/');
+
+const hasLiteralSegment = (routePath) => routePath
+  .split('/')
+  .some((segment) => segment && !ROUTE_PARAM_SEGMENT_PATTERN.test(segment));
+
+const searchRoutes = (entries, { term, method }) => {
+  const wanted = normalizeRoutePath(term);
+  const results = [];
+  entries.forEach((entry) => {
+    entry.routes.forEach((route) => {
+      const routePath = normalizeRoutePath(route.path);
+      const source = routePathSource(routePath);
+      let score = 0;
+      if (route.method === 'USE') {
+        // Mount points: the wanted path lives somewhere under them.
+        score = routePath !== '/' && new RegExp(`^${source}(?:/|$)`).test(wanted) ? 1 : 0;
+      } else {
+        if (method && !route.method.split(', ').some((candidate) => candidate === method || candidate === 'ALL')) {
+          return;
+        }
+        // Routes made only of parameters (e.g. "/:id") would match any path, so they only match themselves.
+        const literal = hasLiteralSegment(routePath);
+        if (routePath === wanted) {
+          score = 5;
+        } else if (literal && new RegExp(`^${source}$`).test(wanted)) {
+          score = 4;
+        } else if (literal && new RegExp(`${source}$`).test(wanted)) {
+          // A router mounted under a prefix defines only the tail of the path.
+          score = 3;
+        } else if (wanted !== '/' && routePath.startsWith(wanted)) {
+          score = 2;
+        }
+      }
+      if (score > 0) {
+        results.push({ path: entry.path, line: route.line, method: route.method, route: route.path, score });
+      }
+    });
+  });
+  return results.sort(byScoreThenLocation);
+};
+
+const readKeywordTerms = (term) => {
+  const words = Array.from(new Set(term.toLowerCase().match(/[\w$]+/g) || []))
+    .filter((word) => word.length > 1 && !KEYWORD_STOPWORDS.has(word));
+  return words.length > 0 ? words : [term.toLowerCase()];
+};
+
+const buildSnippet = (chunk, patterns) => {
+  const lines = chunk.text.split('\n');
+  const hit = lines.findIndex((line) => patterns.some((pattern) => pattern.test(line)));
+  const start = Math.max(0, hit - 1);
+  return { line: chunk.startLine + start, snippet: lines.slice(start, start + SNIPPET_LINES).join('\n') };
+};
+
+const searchKeywords = (entries, { term }) => {
+  const words = readKeywordTerms(term);
+  const patterns = words.map((word) => new RegExp(escapeRegExp(word), 'i'));
+  const results = [];
+
+  entries.forEach((entry) => {
+    let score = 0;
+    const symbols = [];
+    entry.symbols.forEach((symbol) => {
+      const name = symbol.name.toLowerCase();
+      if (words.includes(name)) {
+        score += 6;
+        symbols.push(symbol);
+      } else if (words.some((word) => name.includes(word))) {
+        score += 3;
+        symbols.push(symbol);
+      }
+    });
+    const repoPath = entry.path.toLowerCase();
+    score += words.filter((word) => repoPath.includes(word)).length * 2;
+
+    let bestChunk = null;
+    let bestMatches = 0;
+    entry.chunks.forEach((chunk) => {
+      const matches = patterns.filter((pattern) => pattern.test(chunk.text)).length;
+      if (matches > bestMatches) {
+        bestChunk = chunk;
+        bestMatches = matches;
+      }
+    });
+    score += bestMatches * 2 + (bestMatches === words.length ? 2 : 0);
+
+    if (score === 0) {
+      return;
+    }
+    const location = bestChunk
+      ? buildSnippet(bestChunk, patterns)
+      : { line: symbols[0]?.line ?? 1, snippet: '' };
+    results.push({
+      path: entry.path,
+      ...location,
+      symbols: symbols.slice(0, 5).map(({ name, kind, line }) => ({ name, kind, line })),
+      score
+    });
+  });
+  return results.sort(byScoreThenLocation);
+};
+
+const SEARCHERS = {
+  keyword: searchKeywords,
+  symbol: searchSymbols,
+  imports: searchImports,
+  route: searchRoutes
+};
+
+export const searchCode = async (projectRoot, { query, type, limit } = {}) => {
+  const resolved = resolveCodeQuery({ query, type });
+  const index = await ensureCodeIndex(projectRoot);
+  const matches = SEARCHERS[resolved.type]([...index.files.values()], resolved, index);
+  return {
+    type: resolved.type,
+    query: resolved.term,
+    method: resolved.method ?? null,
+    indexedFiles: index.files.size,
+    total: matches.length,
+    results: matches.slice(0, clampLimit(limit))
+  };
+};
+
+const RESULT_FORMATTERS = {
+  keyword: (result) => {
+    const symbols = result.symbols.length
+      ? ` (${result.symbols.map((symbol) => `${symbol.kind} ${symbol.name}`).join(', ')})`
+      : '';
+    const snippet = result.snippet ? `\n${result.snippet.split('\n').map((line) => `    ${line}`).join('\n')}` : '';
+    return `${result.path}:${result.line}${symbols}${snippet}`;
+  },
+  symbol: (result) => `${result.path}:${result.line} ${result.exported ? 'exported ' : ''}${result.kind} ${result.name}`,
+  imports: (result) => `${result.path}:${result.line} imports '${result.source}'${result.names.length ? ` { ${result.names.join(', ')} }` : ''}`,
+  route: (result) => `${result.path}:${result.line} ${result.method} ${result.route}`
+};
+
+// Plain-text form of a searchCode result for agent prompts.
+export const formatCodeSearchResults = ({ type, results, total, indexedFiles }) => {
+  if (results.length === 0) {
+    return `No ${type} matches in ${indexedFiles} indexed files.`;
+  }
+  const lines = results.map(RESULT_FORMATTERS[type]);
+  if (total > results.length) {
+    lines.push(`…${total - results.length} more matches; refine the query to narrow them down.`);
+  }
+  return lines.join('\n');
+};
+
+export const __testing = {
+  indexes,
+  createLineLocator,
+  isIndexablePath,
+  resolveImportPath,
+  findTargetFiles,
+  collectIndexableFiles,
+  loadIndexEntry,
+  REFRESH_INTERVAL_MS
+};
+
+export default {
+  searchCode,
+  formatCodeSearchResults,
+  refreshIndexedFile,
+  ensureCodeIndex,
+  parseSourceFile,
+  resolveCodeQuery
+};
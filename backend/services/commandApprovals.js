@@ -0,0 +1,87 @@
+import { EventEmitter } from 'events';
+
+// Pending user approvals for agent commands that are not on the allowlist. The agent waits on
+// the returned promise; the UI lists pending entries and resolves them. Unanswered requests
+// are denied after `timeoutMs` so an unattended run cannot hang forever.
+
+export const commandApprovalEvents = new EventEmitter();
+
+const DEFAULT_APPROVAL_TIMEOUT_MS = 10 * 60 * 1000;
+
+const pending = new Map();
+let nextApprovalId = 1;
+
+const toPublicApproval = (entry) => ({
+  id: entry.id,
+  projectId: entry.projectId,
+  command: entry.command,
+  cwd: entry.cwd,
+  reason: entry.reason,
+  requestedAt: entry.requestedAt
+});
+
+const settle = (id, approved, resolution) => {
+  const entry = pending.get(id);
+  if (!entry) {
+    return null;
+  }
+  pending.delete(id);
+  clearTimeout(entry.timer);
+  entry.resolve(approved);
+  const resolved = { ...toPublicApproval(entry), approved, resolution };
+  commandApprovalEvents.emit('approval:resolved', resolved);
+  return resolved;
+};
+
+export const requestCommandApproval = ({
+  projectId,
+  command,
+  cwd = null,
+  reason = null,
+  timeoutMs = DEFAULT_APPROVAL_TIMEOUT_MS
+} = {}) => {
+  if (!projectId) {
+    throw new Error('projectId is required');
+  }
+  if (!command) {
+    throw new Error('command is required');
+  }
+
+  const id = String(nextApprovalId++);
+  return new Promise((resolve) => {
+    const entry = {
+      id,
+      projectId: String(projectId),
+      command,
+      cwd,
+      reason,
+      requestedAt: new Date().toISOString(),
+      resolve,
+      timer: setTimeout(() => settle(id, false, 'timeout'), timeoutMs)
+    };
+    pending.set(id, entry);
+    commandApprovalEvents.emit('approval:requested', toPublicApproval(entry));
+  });
+};
+
+export const listPendingCommandApprovals = (projectId) => [...pending.values()]
+  .filter((entry) => projectId == null || entry.projectId === String(projectId))
+  .map(toPublicApproval);
+
+export const getCommandApproval = (id) => {
+  const entry = pending.get(String(id));
+  return entry ? toPublicApproval(entry) : null;
+};
+
+// Returns the resolved approval, or null when it is unknown or already settled.
+export const resolveCommandApproval = (id, approved) => settle(String(id), approved === true, 'user');
+
+export const __testing = {
+  reset: () => {
+    for (const entry of pending.values()) {
+      clearTimeout(entry.timer);
+    }
+    pending.clear();
+    nextApprovalId = 1;
+  }
+};
@@ -82,7 +82,7 @@ const listRecentRunEvents = async (limit = 100) => {
 const listRecentAuditLogs = async (limit = 50) => {
   const normalizedLimit = Number.isFinite(limit) && limit > 0 ? Math.floor(limit) : 50;
   const rows = await dbAll(
-    `SELECT id, source, event_type, method, path, status_code, project_id, session_id, payload, created_at
+    `SELECT id, source, event_type, method, path, status_code, project_id, session_id, user_id, payload, created_at
      FROM audit_logs
      ORDER BY id DESC
      LIMIT ?`,
@@ -98,6 +98,7 @@ const listRecentAuditLogs = async (limit = 50) => {
     statusCode: row.status_code,
     projectId: row.project_id ?? null,
     sessionId: row.session_id ?? null,
+    userId: row.user_id ?? null,
     payload: redactSensitiveValues(parseJson(row.payload) ?? row.payload ?? null),
     createdAt: row.created_at ?? null
   }));
@@ -0,0 +1,388 @@
+import { applyCodeChange } from './codeEditAgent.js';
+import { countFileWrites } from './codeEditAgent/steps.js';
+import {
+  checkoutBranch,
+  commitBranchChanges,
+  createWorkingBranch,
+  deleteBranchByName,
+  getBranchHeadSha,
+  getFileCoverage,
+  getWorkingTreeChangedFiles,
+  resetBranchToCommit,
+  runTestsForBranch
+} from './branchWorkflow.js';
+import { isPassingTestRun, runTestsWithJobEvents } from './foregroundTestPhase.js';
+
+const noop = () => {};
+
+const COVERAGE_METRICS = ['lines', 'statements', 'functions', 'branches'];
+const COVERAGE_TOLERANCE = 0.01;
+const DEFAULT_MAX_ITERATIONS = 3;
+const MAX_ITERATIONS_LIMIT = 5;
+const MAX_FEEDBACK_LOG_LINES = 40;
+const MAX_LISTED_PATHS = 10;
+
+// Test files, test directories, snapshots/mocks and pytest fixtures; anything else is code under test.
+const TEST_PATH_PATTERN = /(?:^|\/)(?:__tests__|__snapshots__|__mocks__|tests?|e2e)\/|\.(?:test|spec)\.[cm]?[jt]sx?$|(?:^|\/)(?:test_[^/]+|[^/]+_test|conftest)\.py$/;
+
+export const isTestFilePath = (filePath) => TEST_PATH_PATTERN.test(String(filePath || '').replace(/\\/g, '/'));
+
+// The tool is about raising coverage for one file, so project-wide gates must
+// not turn a below-threshold baseline into a failed run.
+const NO_COVERAGE_GATE = Object.freeze({ lines: 0, statements: 0, functions: 0, branches: 0 });
+
+const createCancelledError = (branchName) => {
+  const error = new Error('Add tests cancelled');
+  error.code = 'ADD_TESTS_CANCELLED';
+  if (typeof branchName === 'string' && branchName.trim()) {
+    error.branchName = branchName.trim();
+  }
+  return error;
+};
+
+const createValidationError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const normalizeLineRange = (lineRange) => {
+  if (lineRange == null) {
+    return null;
+  }
+  const start = Number(lineRange?.start);
+  const end = Number(lineRange?.end ?? lineRange?.start);
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end < start) {
+    throw createValidationError('lineRange must have positive integer start/end with start <= end');
+  }
+  return { start, end };
+};
+
+export const normalizeAddTestsRequest = ({ targetFile, lineRange, maxIterations } = {}) => {
+  const rawPath = typeof targetFile === 'string' ? targetFile.trim().replace(/\\/g, '/') : '';
+  const normalizedPath = rawPath.replace(/^\.\/+/, '');
+  if (!normalizedPath) {
+    throw createValidationError('targetFile is required');
+  }
+  if (normalizedPath.startsWith('/') || /^[a-zA-Z]:/.test(normalizedPath) || normalizedPath.split('/').includes('..')) {
+    throw createValidationError('targetFile must be relative to the project root');
+  }
+
+  const iterations = Number(maxIterations);
+  return {
+    targetFile: normalizedPath,
+    lineRange: normalizeLineRange(lineRange),
+    maxIterations: Number.isInteger(iterations)
+      ? Math.min(Math.max(iterations, 1), MAX_ITERATIONS_LIMIT)
+      : DEFAULT_MAX_ITERATIONS
+  };
+};
+
+const emptyTotals = () => Object.fromEntries(COVERAGE_METRICS.map((metric) => [metric, 0]));
+
+/**
+ * Compare the target file's coverage before and after an attempt. A file that
+ * no test loaded yet has no report entry, which counts as 0% everywhere.
+ */
+export const compareFileCoverage = (baseline, current) => {
+  const before = baseline?.totals || emptyTotals();
+  const after = current?.totals || emptyTotals();
+  const delta = {};
+  let improved = false;
+  let regressed = false;
+
+  COVERAGE_METRICS.forEach((metric) => {
+    const from = before[metric] == null ? NaN : Number(before[metric]);
+    const to = after[metric] == null ? NaN : Number(after[metric]);
+    if (!Number.isFinite(from) || !Number.isFinite(to)) {
+      delta[metric] = null;
+      return;
+    }
+    delta[metric] = Math.round((to - from) * 100) / 100;
+    if (to > from + COVERAGE_TOLERANCE) improved = true;
+    if (to < from - COVERAGE_TOLERANCE) regressed = true;
+  });
+
+  return { improved: improved && !regressed, regressed, baseline: before, current: after, delta };
+};
+
+const describeTarget = (request) => (request.lineRange
+  ? `${request.targetFile} (lines ${request.lineRange.start}-${request.lineRange.end})`
+  : request.targetFile);
+
+const frameworkHint = (kind) => (kind === 'python'
+  ? '- This is a Python workspace: write pytest tests (test_*.py) next to the existing tests.'
+  : '- This is a Node workspace: use the test runner it already uses (Vitest or Jest) and follow the existing test layout.');
+
+const buildAddTestsPrompt = ({ basePrompt, request, baseline, feedback }) => {
+  const uncovered = Array.isArray(baseline?.uncoveredLines) ? baseline.uncoveredLines.slice(0, 60) : [];
+  const parts = [
+    `Task: Write focused tests for ${describeTarget(request)}.`,
+    baseline?.totals
+      ? `Current coverage for this file: lines ${baseline.totals.lines}%, branches ${baseline.totals.branches ?? 'n/a'}%.`
+      : 'No test loads this file yet, so its coverage is 0%.',
+    uncovered.length ? `Uncovered lines: ${uncovered.join(', ')}.` : null,
+    '',
+    'Rules:',
+    frameworkHint(baseline?.kind),
+    '- Only add or update test files. Do not change the code under test.',
+    '- Prefer exercising real behavior over heavy mocking; assert on observable results.',
+    '- Every new test must pass.',
+    '',
+    'After your edit we run the full test suite and re-read this file\'s coverage.',
+    'The tests are only kept once they pass and the file\'s coverage goes up.'
+  ].filter((line) => line !== null);
+
+  if (feedback) {
+    parts.push('', 'Feedback from the previous attempt:', feedback);
+  }
+
+  const extra = typeof basePrompt === 'string' ? basePrompt.trim() : '';
+  if (extra) {
+    parts.push('', 'User-provided instructions:', extra);
+  }
+
+  return parts.join('\n');
+};
+
+const buildFeedback = ({ testRun, comparison }) => {
+  if (!isPassingTestRun(testRun)) {
+    const failing = (Array.isArray(testRun?.workspaceRuns) ? testRun.workspaceRuns : [])
+      .filter((run) => run?.status !== 'succeeded');
+    const logs = failing
+      .flatMap((run) => (Array.isArray(run.logs) ? run.logs : []))
+      .slice(-MAX_FEEDBACK_LOG_LINES);
+    return [
+      `The test suite failed${failing.length ? ` in ${failing.map((run) => run.workspace).join(', ')}` : ''}. Fix the new tests.`,
+      ...logs
+    ].join('\n');
+  }
+  if (comparison.regressed) {
+    return 'Coverage for the target file went down. Make sure the tests import and exercise the real module.';
+  }
+  return 'The tests passed but the target file\'s coverage did not increase. Cover the uncovered lines listed above.';
+};
+
+const buildNonTestChangeFeedback = (paths) => [
+  'The previous attempt changed files that are not tests, so it was rolled back:',
+  ...paths.slice(0, MAX_LISTED_PATHS).map((filePath) => `- ${filePath}`),
+  'Only add or update test files. Do not change the code under test.'
+].join('\n');
+
+const countWrites = (editResult) => countFileWrites(editResult?.steps);
+
+export const runForegroundAddTests = async ({
+  projectId,
+  prompt,
+  targetFile,
+  lineRange,
+  options,
+  onEvent,
+  shouldCancel,
+  deps = {}
+} = {}) => {
+  if (!projectId) {
+    throw new Error('projectId is required');
+  }
+
+  const request = normalizeAddTestsRequest({ targetFile, lineRange, maxIterations: options?.maxIterations });
+  const emit = typeof onEvent === 'function' ? onEvent : noop;
+  const cancelled = typeof shouldCancel === 'function' ? shouldCancel : () => false;
+
+  const {
+    edit,
+    runTests,
+    readCoverage,
+    listChanges,
+    createBranch,
+    checkout,
+    commit,
+    getHeadSha,
+    resetTo,
+    deleteBranch
+  } = {
+    edit: applyCodeChange,
+    runTests: runTestsForBranch,
+    readCoverage: getFileCoverage,
+    listChanges: getWorkingTreeChangedFiles,
+    createBranch: createWorkingBranch,
+    checkout: checkoutBranch,
+    commit: commitBranchChanges,
+    getHeadSha: getBranchHeadSha,
+    resetTo: resetBranchToCommit,
+    deleteBranch: deleteBranchByName,
+    ...deps
+  };
+
+  let branchName = null;
+  let branchCreated = false;
+
+  const ensureNotCancelled = () => {
+    if (cancelled()) {
+      throw createCancelledError(branchName);
+    }
+  };
+
+  const runPhaseTests = (phase) => runTestsWithJobEvents({
+    runTests,
+    projectId,
+    branchName,
+    phase,
+    emit,
+    testOptions: {
+      real: true,
+      coverageThresholds: NO_COVERAGE_GATE,
+      enforceChangedFileCoverage: false
+    }
+  });
+
+  try {
+    emit({ event: 'status', data: { text: 'Preparing test generation…' } });
+    ensureNotCancelled();
+
+    branchName = `feature/add-tests-${Date.now()}`;
+    emit({ event: 'status', data: { text: `Creating working branch ${branchName}…` } });
+    await createBranch(projectId, {
+      name: branchName,
+      description: `Add tests for ${request.targetFile}`,
+      type: 'feature'
+    });
+    branchCreated = true;
+    await checkout(projectId, branchName);
+
+    ensureNotCancelled();
+    emit({ event: 'status', data: { text: 'Running baseline tests/coverage…' } });
+    const baselineRun = await runPhaseTests('baseline');
+
+    if (!isPassingTestRun(baselineRun)) {
+      emit({ event: 'status', data: { text: `Baseline tests failed. Cleaning up branch ${branchName}…` } });
+
+      let branchDeleted = false;
+      try {
+        await deleteBranch(projectId, branchName);
+        branchDeleted = true;
+      } catch {
+        branchDeleted = false;
+      }
+
+      return {
+        status: 'refused',
+        reason: 'baseline-failed',
+        branchName,
+        branchDeleted
+      };
+    }
+
+    const baselineCoverage = await readCoverage(projectId, request.targetFile);
+    let comparison = compareFileCoverage(baselineCoverage, baselineCoverage);
+    emit({
+      event: 'coverage',
+      data: { phase: 'baseline', iteration: 0, file: request.targetFile, ...comparison }
+    });
+
+    const baselineSha = await getHeadSha(projectId, branchName);
+    let feedback = '';
+
+    for (let iteration = 1; iteration <= request.maxIterations; iteration += 1) {
+      ensureNotCancelled();
+      emit({
+        event: 'status',
+        data: { text: `Writing tests for ${describeTarget(request)} (attempt ${iteration}/${request.maxIterations})…` }
+      });
+      const editResult = await edit({
+        projectId,
+        prompt: buildAddTestsPrompt({ basePrompt: prompt, request, baseline: baselineCoverage, feedback })
+      });
+      const writes = countWrites(editResult);
+      emit({ event: 'edit', data: { iteration, writes, summary: editResult?.summary || '' } });
+
+      if (!writes) {
+        feedback = 'The previous attempt did not write any files. Create or update a test file for the target.';
+        continue;
+      }
+
+      ensureNotCancelled();
+      emit({ event: 'status', data: { text: 'Running tests/coverage with the new tests…' } });
+      const testRun = await runPhaseTests('verify');
+      const currentCoverage = await readCoverage(projectId, request.targetFile);
+      comparison = compareFileCoverage(baselineCoverage, currentCoverage);
+      emit({
+        event: 'coverage',
+        data: { phase: 'verify', iteration, file: request.targetFile, ...comparison }
+      });
+
+      if (isPassingTestRun(testRun) && comparison.improved) {
+        ensureNotCancelled();
+        // The prompt asks for test-only edits; enforce it before anything is committed.
+        const changedPaths = await listChanges(projectId, { sinceCommit: baselineSha });
+        const nonTestPaths = (Array.isArray(changedPaths) ? changedPaths : []).filter((filePath) => !isTestFilePath(filePath));
+        if (nonTestPaths.length) {
+          if (baselineSha) {
+            await resetTo(projectId, branchName, { commitSha: baselineSha, status: 'active' });
+          }
+          feedback = buildNonTestChangeFeedback(nonTestPaths);
+          emit({ event: 'status', data: { text: feedback.split('\n')[0] } });
+          continue;
+        }
+
+        emit({ event: 'status', data: { text: 'New tests pass and coverage went up. Committing…' } });
+        await commit(projectId, branchName, {
+          message: `test: add tests for ${request.targetFile}`,
+          autoChangelog: false
+        });
+        return {
+          status: 'complete',
+          branchName,
+          committed: true,
+          iterations: iteration,
+          coverage: { file: request.targetFile, ...comparison }
+        };
+      }
+
+      feedback = buildFeedback({ testRun, comparison });
+      emit({ event: 'status', data: { text: feedback.split('\n')[0] } });
+    }
+
+    emit({ event: 'status', data: { text: 'Out of attempts. Rolling back the generated tests.' } });
+    if (baselineSha) {
+      await resetTo(projectId, branchName, { commitSha: baselineSha, status: 'active' });
+    }
+    return {
+      status: 'incomplete',
+      reason: 'max-iterations',
+      branchName,
+      committed: false,
+      iterations: request.maxIterations,
+      coverage: { file: request.targetFile, ...comparison },
+      canDeleteBranch: true
+    };
+  } catch (error) {
+    if (error?.code === 'ADD_TESTS_CANCELLED') {
+      return {
+        status: 'cancelled',
+        branchName,
+        canDeleteBranch: Boolean(branchCreated)
+      };
+    }
+
+    if (branchCreated && branchName) {
+      return {
+        status: 'failed',
+        branchName,
+        message: error?.message || 'Add tests failed',
+        canDeleteBranch: true
+      };
+    }
+
+    throw error;
+  }
+};
+
+export const __testing = {
+  buildAddTestsPrompt,
+  buildFeedback,
+  buildNonTestChangeFeedback,
+  countWrites,
+  createCancelledError,
+  describeTarget
+};
@@ -1,4 +1,5 @@
 import { applyCodeChange } from './codeEditAgent.js';
+import { countFileWrites } from './codeEditAgent/steps.js';
 import {
   checkoutBranch,
   commitBranchChanges,
@@ -241,9 +242,7 @@ export const runForegroundCleanup = async ({
     });
 
     const editResult = await edit({ projectId, prompt: iterationPrompt });
-    const writeCount = Array.isArray(editResult?.steps)
-      ? editResult.steps.filter((step) => step?.type === 'action' && step?.action === 'write_file').length
-      : 0;
+    const writeCount = countFileWrites(editResult?.steps);
 
     emit({
       event: 'edit',
@@ -0,0 +1,368 @@
+import { applyCodeChange } from './codeEditAgent.js';
+import { countFileWrites } from './codeEditAgent/steps.js';
+import {
+  checkoutBranch,
+  commitBranchChanges,
+  createWorkingBranch,
+  deleteBranchByName,
+  getBranchHeadSha,
+  resetBranchToCommit,
+  runTestsForBranch
+} from './branchWorkflow.js';
+import { isPassingTestRun, runTestsWithJobEvents } from './foregroundTestPhase.js';
+
+const noop = () => {};
+
+export const REFACTOR_TYPES = Object.freeze(['extract-module', 'rename-symbol', 'simplify']);
+export const REFACTOR_SCOPES = Object.freeze(['file', 'folder', 'repo']);
+
+// Coverage percentages are rounded by the reporters, so tiny float noise is not a regression.
+const COVERAGE_TOLERANCE = 0.01;
+const COVERAGE_METRICS = ['lines', 'statements', 'functions', 'branches'];
+
+const defaultThresholds = Object.freeze({ lines: 100, statements: 100, functions: 100, branches: 100 });
+
+const createCancelledError = (branchName) => {
+  const error = new Error('Refactor cancelled');
+  error.code = 'REFACTOR_CANCELLED';
+  if (typeof branchName === 'string' && branchName.trim()) {
+    error.branchName = branchName.trim();
+  }
+  return error;
+};
+
+const createValidationError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const normalizeScope = (scope) => {
+  const type = REFACTOR_SCOPES.includes(scope?.type) ? scope.type : null;
+  if (!type) {
+    throw createValidationError('scope.type must be one of: file, folder, repo');
+  }
+
+  if (type === 'repo') {
+    return { type, path: '' };
+  }
+
+  const rawPath = typeof scope?.path === 'string' ? scope.path.trim().replace(/\\/g, '/') : '';
+  const normalizedPath = rawPath.replace(/^\.\/+/, '').replace(/\/+$/, '');
+  if (!normalizedPath) {
+    throw createValidationError(`scope.path is required for ${type} refactors`);
+  }
+  if (normalizedPath.startsWith('/') || /^[a-zA-Z]:/.test(normalizedPath) || normalizedPath.split('/').includes('..')) {
+    throw createValidationError('scope.path must be relative to the project root');
+  }
+
+  return { type, path: normalizedPath };
+};
+
+export const normalizeRefactorRequest = ({ scope, refactorType, symbolName, newName, moduleName }) => {
+  if (!REFACTOR_TYPES.includes(refactorType)) {
+    throw createValidationError('refactorType must be one of: extract-module, rename-symbol, simplify');
+  }
+
+  const request = {
+    scope: normalizeScope(scope),
+    refactorType,
+    symbolName: typeof symbolName === 'string' ? symbolName.trim() : '',
+    newName: typeof newName === 'string' ? newName.trim() : '',
+    moduleName: typeof moduleName === 'string' ? moduleName.trim() : ''
+  };
+
+  if (refactorType === 'rename-symbol' && (!request.symbolName || !request.newName)) {
+    throw createValidationError('symbolName and newName are required to rename a symbol');
+  }
+
+  return request;
+};
+
+const describeScope = (scope) => {
+  if (scope.type === 'repo') {
+    return 'the whole repository';
+  }
+  return scope.type === 'file' ? `the file ${scope.path}` : `files under ${scope.path}/`;
+};
+
+const buildRefactorPrompt = ({ basePrompt, request }) => {
+  const scopeText = describeScope(request.scope);
+  const task = {
+    'extract-module': [
+      `Task: Extract a cohesive piece of logic from ${scopeText} into its own module${request.moduleName ? ` named ${request.moduleName}` : ''}.`,
+      '- Move the code, export it from the new module and update every import that referenced the old location.',
+      '- Leave thin re-exports only when something outside the project depends on the old path.'
+    ],
+    'rename-symbol': [
+      `Task: Rename \`${request.symbolName}\` to \`${request.newName}\` in ${scopeText} and everywhere it is referenced.`,
+      '- Update declarations, imports, exports, call sites, tests and comments that mention the symbol.',
+      '- Do not rename unrelated identifiers that merely share a prefix or suffix.'
+    ],
+    simplify: [
+      `Task: Simplify the code in ${scopeText}.`,
+      '- Reduce nesting, remove duplication and clarify naming where it helps readability.',
+      '- Prefer small, local improvements over sweeping rewrites.'
+    ]
+  }[request.refactorType];
+
+  const parts = [
+    ...task,
+    '',
+    'Strict safety rules:',
+    '- This is a structural refactor: observable behavior and public APIs must stay identical.',
+    '- Do not add features, change error messages, or alter test expectations.',
+    '- Stay within the requested scope unless a reference elsewhere must be updated.',
+    '',
+    'After your edit we will run the full test suite and coverage gates and compare them with the baseline.',
+    'The change is only kept if the test outcome and coverage are unchanged.'
+  ];
+
+  const extra = typeof basePrompt === 'string' ? basePrompt.trim() : '';
+  if (extra) {
+    parts.push('', 'User-provided instructions:', extra);
+  }
+
+  return parts.join('\n');
+};
+
+const readCoverageTotals = (testRun) => {
+  const totals = testRun?.summary?.coverage?.totals;
+  return totals && typeof totals === 'object' ? totals : null;
+};
+
+export const compareVerificationRuns = (baseline, after) => {
+  const reasons = [];
+
+  if (baseline?.status !== after?.status) {
+    reasons.push(`Test outcome changed from ${baseline?.status || 'unknown'} to ${after?.status || 'unknown'}.`);
+  }
+
+  const baselineWorkspaces = new Map(
+    (Array.isArray(baseline?.workspaceRuns) ? baseline.workspaceRuns : []).map((run) => [run.workspace, run.status])
+  );
+  (Array.isArray(after?.workspaceRuns) ? after.workspaceRuns : []).forEach((run) => {
+    if (baselineWorkspaces.has(run.workspace) && baselineWorkspaces.get(run.workspace) !== run.status) {
+      reasons.push(`${run.workspace} tests changed from ${baselineWorkspaces.get(run.workspace)} to ${run.status}.`);
+    }
+  });
+
+  const baselineGate = baseline?.summary?.coverage?.passed;
+  const afterGate = after?.summary?.coverage?.passed;
+  if (baselineGate !== undefined && baselineGate !== afterGate) {
+    reasons.push(`Coverage gate changed from ${baselineGate ? 'passing' : 'failing'} to ${afterGate ? 'passing' : 'failing'}.`);
+  }
+
+  const baselineTotals = readCoverageTotals(baseline);
+  const afterTotals = readCoverageTotals(after);
+  if (baselineTotals && afterTotals) {
+    COVERAGE_METRICS.forEach((metric) => {
+      const before = Number(baselineTotals[metric]);
+      const current = Number(afterTotals[metric]);
+      if (Number.isFinite(before) && Number.isFinite(current) && current < before - COVERAGE_TOLERANCE) {
+        reasons.push(`${metric} coverage dropped from ${before}% to ${current}%.`);
+      }
+    });
+  } else if (baselineTotals && !afterTotals) {
+    reasons.push('Coverage totals are missing after the refactor.');
+  }
+
+  return {
+    unchanged: reasons.length === 0,
+    reasons,
+    baseline: { status: baseline?.status || null, coverage: baselineTotals },
+    after: { status: after?.status || null, coverage: afterTotals }
+  };
+};
+
+export const runForegroundRefactor = async ({
+  projectId,
+  prompt,
+  scope,
+  refactorType,
+  symbolName,
+  newName,
+  moduleName,
+  options,
+  onEvent,
+  shouldCancel,
+  deps = {}
+} = {}) => {
+  if (!projectId) {
+    throw new Error('projectId is required');
+  }
+
+  const request = normalizeRefactorRequest({ scope, refactorType, symbolName, newName, moduleName });
+  const emit = typeof onEvent === 'function' ? onEvent : noop;
+  const cancelled = typeof shouldCancel === 'function' ? shouldCancel : () => false;
+
+  const {
+    edit,
+    runTests,
+    createBranch,
+    checkout,
+    commit,
+    getHeadSha,
+    resetTo,
+    deleteBranch
+  } = {
+    edit: applyCodeChange,
+    runTests: runTestsForBranch,
+    createBranch: createWorkingBranch,
+    checkout: checkoutBranch,
+    commit: commitBranchChanges,
+    getHeadSha: getBranchHeadSha,
+    resetTo: resetBranchToCommit,
+    deleteBranch: deleteBranchByName,
+    ...deps
+  };
+
+  const coverageThresholds = {
+    ...defaultThresholds,
+    ...(options?.coverageThresholds && typeof options.coverageThresholds === 'object' ? options.coverageThresholds : {})
+  };
+
+  let branchName = null;
+  let branchCreated = false;
+
+  const ensureNotCancelled = () => {
+    if (cancelled()) {
+      throw createCancelledError(branchName);
+    }
+  };
+
+  const runPhaseTests = (phase) => runTestsWithJobEvents({
+    runTests,
+    projectId,
+    branchName,
+    phase,
+    emit,
+    testOptions: { real: true, coverageThresholds }
+  });
+
+  try {
+    emit({ event: 'status', data: { text: 'Preparing refactor…' } });
+    ensureNotCancelled();
+
+    branchName = `feature/refactor-${Date.now()}`;
+    emit({ event: 'status', data: { text: `Creating working branch ${branchName}…` } });
+    await createBranch(projectId, {
+      name: branchName,
+      description: `Refactor tool run (${request.refactorType})`,
+      type: 'feature'
+    });
+    branchCreated = true;
+    await checkout(projectId, branchName);
+
+    ensureNotCancelled();
+    emit({ event: 'status', data: { text: 'Running baseline tests/coverage…' } });
+    const baselineRun = await runPhaseTests('baseline');
+
+    if (!isPassingTestRun(baselineRun)) {
+      emit({ event: 'status', data: { text: `Baseline tests/coverage failed. Cleaning up branch ${branchName}…` } });
+
+      let branchDeleted = false;
+      try {
+        await deleteBranch(projectId, branchName);
+        branchDeleted = true;
+      } catch {
+        branchDeleted = false;
+      }
+
+      return {
+        status: 'refused',
+        reason: 'baseline-failed',
+        branchName,
+        branchDeleted
+      };
+    }
+
+    const baselineSha = await getHeadSha(projectId, branchName);
+
+    ensureNotCancelled();
+    emit({ event: 'status', data: { text: `Applying ${request.refactorType} refactor to ${describeScope(request.scope)}…` } });
+    const editResult = await edit({ projectId, prompt: buildRefactorPrompt({ basePrompt: prompt, request }) });
+    const writeCount = countFileWrites(editResult?.steps);
+
+    emit({
+      event: 'edit',
+      data: {
+        writes: writeCount,
+        summary: editResult?.summary || ''
+      }
+    });
+
+    if (!writeCount) {
+      emit({ event: 'status', data: { text: 'The agent did not change any files. Nothing to verify.' } });
+      return {
+        status: 'complete',
+        branchName,
+        committed: false,
+        stoppedBecause: 'no-op'
+      };
+    }
+
+    ensureNotCancelled();
+    emit({ event: 'status', data: { text: 'Running tests/coverage after the refactor…' } });
+    const afterRun = await runPhaseTests('verify');
+    const comparison = compareVerificationRuns(baselineRun, afterRun);
+    emit({ event: 'comparison', data: comparison });
+
+    if (!comparison.unchanged) {
+      emit({ event: 'status', data: { text: 'Test outcome or coverage changed. Rolling back the refactor.' } });
+      if (baselineSha) {
+        await resetTo(projectId, branchName, { commitSha: baselineSha, status: 'active' });
+      }
+      return {
+        status: 'rejected',
+        branchName,
+        committed: false,
+        comparison,
+        canDeleteBranch: true
+      };
+    }
+
+    ensureNotCancelled();
+    emit({ event: 'status', data: { text: 'Committing verified refactor…' } });
+    await commit(projectId, branchName, {
+      message: `refactor(${request.refactorType}): ${request.refactorType === 'rename-symbol'
+        ? `rename ${request.symbolName} to ${request.newName}`
+        : describeScope(request.scope)}`,
+      autoChangelog: false
+    });
+
+    emit({ event: 'status', data: { text: 'Refactor verified and committed.' } });
+    return {
+      status: 'complete',
+      branchName,
+      committed: true,
+      comparison
+    };
+  } catch (error) {
+    if (error?.code === 'REFACTOR_CANCELLED') {
+      return {
+        status: 'cancelled',
+        branchName,
+        canDeleteBranch: Boolean(branchCreated)
+      };
+    }
+
+    if (branchCreated && branchName) {
+      return {
+        status: 'failed',
+        branchName,
+        message: error?.message || 'Refactor failed',
+        canDeleteBranch: true
+      };
+    }
+
+    throw error;
+  }
+};
+
+export const __testing = {
+  buildRefactorPrompt,
+  createCancelledError,
+  describeScope,
+  normalizeScope
+};
@@ -0,0 +1,91 @@
+import { jobEvents } from './jobRunner.js';
+
+const noop = () => {};
+
+/**
+ * Run the branch test suite for one phase of a foreground tool run and stream
+ * job lifecycle + log lines through `emit` as tests-job / tests-log /
+ * tests-job-done events, followed by a single `tests` summary event.
+ */
+export const runTestsWithJobEvents = async ({
+  runTests,
+  projectId,
+  branchName,
+  phase,
+  emit = noop,
+  testOptions = {},
+  events = jobEvents
+}) => {
+  let stopLogs = noop;
+  const subscribe = (job) => {
+    const jobId = job?.id;
+    if (!jobId) {
+      return noop;
+    }
+    const handler = (payload) => {
+      if (payload?.jobId !== jobId) {
+        return;
+      }
+      emit({
+        event: 'tests-log',
+        data: {
+          phase,
+          jobId,
+          label: job?.displayName || null,
+          stream: payload?.entry?.stream || 'stdout',
+          message: payload?.entry?.message || '',
+          timestamp: payload?.entry?.timestamp || null
+        }
+      });
+    };
+    events.on('job:log', handler);
+    return () => events.removeListener('job:log', handler);
+  };
+
+  const testRun = await runTests(projectId, branchName, {
+    ...testOptions,
+    onJobStarted: (job) => {
+      emit({
+        event: 'tests-job',
+        data: {
+          phase,
+          jobId: job?.id || null,
+          displayName: job?.displayName || null,
+          command: job?.command || null,
+          args: job?.args || null,
+          cwd: job?.cwd || null
+        }
+      });
+      stopLogs();
+      stopLogs = subscribe(job);
+    },
+    onJobCompleted: (job) => {
+      stopLogs();
+      stopLogs = noop;
+      emit({
+        event: 'tests-job-done',
+        data: {
+          phase,
+          jobId: job?.id || null,
+          status: job?.status || null,
+          exitCode: job?.exitCode ?? null
+        }
+      });
+    }
+  });
+  stopLogs();
+
+  emit({
+    event: 'tests',
+    data: {
+      phase,
+      run: testRun?.status || null,
+      summary: testRun?.summary || null,
+      workspaceRuns: testRun?.workspaceRuns || []
+    }
+  });
+
+  return testRun;
+};
+
+export const isPassingTestRun = (testRun) => testRun?.status === 'passed' || testRun?.status === 'skipped';
@@ -0,0 +1,88 @@
+// Dependency edges between goals (or tasks). Each node lists the ids it waits for in
+// `dependsOn`; edges pointing outside the given list are ignored by the graph helpers.
+
+export const normalizeDependencyIds = (value) => {
+  const entries = Array.isArray(value) ? value : [];
+  const ids = [];
+  for (const entry of entries) {
+    const id = Number(entry);
+    if (Number.isInteger(id) && id > 0 && !ids.includes(id)) {
+      ids.push(id);
+    }
+  }
+  return ids;
+};
+
+const buildEdges = (nodes) => {
+  const ids = new Set(nodes.map((node) => Number(node.id)));
+  return new Map(nodes.map((node) => [
+    Number(node.id),
+    normalizeDependencyIds(node.dependsOn).filter((id) => ids.has(id))
+  ]));
+};
+
+// Returns the ids along the first cycle found (first id repeated at the end), or null.
+export const findDependencyCycle = (nodes = []) => {
+  const edges = buildEdges(nodes);
+  const visited = new Set();
+  const stack = [];
+  const onStack = new Set();
+
+  const visit = (id) => {
+    visited.add(id);
+    stack.push(id);
+    onStack.add(id);
+    for (const dependency of edges.get(id)) {
+      if (onStack.has(dependency)) {
+        return [...stack.slice(stack.indexOf(dependency)), dependency];
+      }
+      if (!visited.has(dependency)) {
+        const cycle = visit(dependency);
+        if (cycle) {
+          return cycle;
+        }
+      }
+    }
+    stack.pop();
+    onStack.delete(id);
+    return null;
+  };
+
+  for (const id of edges.keys()) {
+    if (!visited.has(id)) {
+      const cycle = visit(id);
+      if (cycle) {
+        return cycle;
+      }
+    }
+  }
+  return null;
+};
+
+// Topological order: every node comes after the nodes it depends on. Independent nodes
+// keep their input order, so sibling goals stay in creation order.
+export const orderGoalsByDependencies = (nodes = []) => {
+  const cycle = findDependencyCycle(nodes);
+  if (cycle) {
+    throw new Error(`Goal dependencies form a cycle: ${cycle.join(' -> ')}`);
+  }
+
+  const edges = buildEdges(nodes);
+  const placed = new Set();
+  const ordered = [];
+  while (ordered.length < nodes.length) {
+    const next = nodes.find((node) => (
+      !placed.has(Number(node.id))
+      && edges.get(Number(node.id)).every((dependency) => placed.has(dependency))
+    ));
+    placed.add(Number(next.id));
+    ordered.push(next);
+  }
+  return ordered;
+};
+
+export default {
+  normalizeDependencyIds,
+  findDependencyCycle,
+  orderGoalsByDependencies
+};
@@ -31,7 +31,7 @@ export const getAllowedGoalTransitions = (currentState) => {
     case GOAL_STATES.VERIFYING:
       return [GOAL_STATES.READY_TO_MERGE, GOAL_STATES.FAILED, GOAL_STATES.CANCELLED];
     case GOAL_STATES.READY_TO_MERGE:
-      return [GOAL_STATES.MERGED, GOAL_STATES.CANCELLED];
+      return [GOAL_STATES.MERGED, GOAL_STATES.FAILED, GOAL_STATES.CANCELLED];
     case GOAL_STATES.FAILED:
       return [GOAL_STATES.EXECUTING, GOAL_STATES.CANCELLED];
     case GOAL_STATES.MERGED:
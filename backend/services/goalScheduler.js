@@ -0,0 +1,436 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { getGoal, listGoals } from './goalStore.js';
+import { advanceGoalState } from './agentOrchestrator.js';
+import { GOAL_STATES } from './goalLifecycle.js';
+import { normalizeDependencyIds, orderGoalsByDependencies } from './goalGraph.js';
+import { applyCodeChange } from './codeEditAgent.js';
+import { runTargetedTests, runTestsForBranch } from './branchWorkflow.js';
+import { getProjectRoot, runWithProjectRoot } from './projectTools.js';
+import { runWithLlmUsageContext } from './llmUsage.js';
+import {
+  commitAllChanges,
+  getCurrentBranch,
+  hasWorkingTreeChanges,
+  runGitCommand
+} from '../utils/git.js';
+
+export const DEFAULT_MAX_PARALLEL_GOALS = 2;
+export const MAX_PARALLEL_GOALS = 4;
+
+// Children that may (re)start; anything mid-flight or finished is left alone.
+const RUNNABLE_STATES = new Set([GOAL_STATES.DRAFT, GOAL_STATES.PLANNED, GOAL_STATES.FAILED]);
+const SETTLED_STATES = new Set([GOAL_STATES.MERGED, GOAL_STATES.CANCELLED]);
+
+// Tail of each child's streamed edit-agent prose kept on the run record for polling.
+const GOAL_OUTPUT_LIMIT = 4000;
+
+const activeRuns = new Map();
+const runCompletions = new Map();
+const runAbortControllers = new Map();
+
+export const clampMaxParallel = (value) => {
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed)) {
+    return DEFAULT_MAX_PARALLEL_GOALS;
+  }
+  return Math.min(MAX_PARALLEL_GOALS, Math.max(1, parsed));
+};
+
+/**
+ * Runs a set of sibling goals as a dependency graph.
+ *
+ * A goal starts once every goal it depends on has been merged, with at most `maxParallel`
+ * goals running at a time. Finished goals are merged one at a time in dependency order
+ * (creation order between independent goals), so the merge history does not depend on
+ * which goal happened to finish first. A finished goal is only merged once it reaches
+ * READY_TO_MERGE; one that cannot, or fails to merge, is handed to `discardGoal`. A goal that
+ * fails, or depends on a goal outside the graph, blocks everything that depends on it.
+ */
+export const runGoalGraph = async ({
+  goals = [],
+  maxParallel = DEFAULT_MAX_PARALLEL_GOALS,
+  runGoal,
+  mergeGoal,
+  discardGoal = async () => {},
+  onStateChange = async () => {}
+}) => {
+  const order = orderGoalsByDependencies(goals);
+  const graphIds = new Set(order.map((goal) => Number(goal.id)));
+  const dependenciesOf = new Map(order.map((goal) => [Number(goal.id), normalizeDependencyIds(goal.dependsOn)]));
+  const status = new Map(order.map((goal) => [Number(goal.id), 'pending']));
+  const errors = new Map();
+  const limit = clampMaxParallel(maxParallel);
+  let runningCount = 0;
+  let mergeIndex = 0;
+  let wake = null;
+  let dirty = false;
+
+  const signal = () => {
+    dirty = true;
+    if (wake) {
+      wake();
+      wake = null;
+    }
+  };
+
+  // Order is topological, so a single pass sees every blocked dependency first.
+  const blockDependents = () => {
+    for (const goal of order) {
+      const id = Number(goal.id);
+      if (status.get(id) !== 'pending') continue;
+      const blocked = dependenciesOf.get(id).some((dependency) => (
+        !graphIds.has(dependency) || ['failed', 'blocked'].includes(status.get(dependency))
+      ));
+      if (blocked) {
+        status.set(id, 'blocked');
+      }
+    }
+  };
+
+  const isReady = (goal) => dependenciesOf.get(Number(goal.id)).every((dependency) => status.get(dependency) === 'merged');
+
+  const fail = async (goal, error) => {
+    status.set(Number(goal.id), 'failed');
+    errors.set(Number(goal.id), error?.message || String(error));
+    await onStateChange(goal, GOAL_STATES.FAILED, { error: errors.get(Number(goal.id)) });
+  };
+
+  const start = async (goal) => {
+    status.set(Number(goal.id), 'running');
+    runningCount += 1;
+    await onStateChange(goal, GOAL_STATES.EXECUTING);
+    Promise.resolve()
+      .then(() => runGoal(goal))
+      .then(
+        async () => {
+          status.set(Number(goal.id), 'built');
+          await onStateChange(goal, GOAL_STATES.VERIFYING);
+        },
+        (error) => fail(goal, error)
+      )
+      .catch((error) => {
+        console.warn('[WARN] Failed to record goal state:', error?.message || error);
+      })
+      .finally(() => {
+        runningCount -= 1;
+        signal();
+      });
+  };
+
+  for (;;) {
+    dirty = false;
+    blockDependents();
+
+    while (mergeIndex < order.length) {
+      const goal = order[mergeIndex];
+      const current = status.get(Number(goal.id));
+      if (current === 'running' || current === 'pending') break;
+      mergeIndex += 1;
+      if (current !== 'built') continue;
+      try {
+        await onStateChange(goal, GOAL_STATES.READY_TO_MERGE);
+        await mergeGoal(goal);
+        status.set(Number(goal.id), 'merged');
+        await onStateChange(goal, GOAL_STATES.MERGED);
+      } catch (error) {
+        if (status.get(Number(goal.id)) !== 'merged') {
+          await discardGoal(goal);
+        }
+        await fail(goal, error);
+      }
+      blockDependents();
+    }
+
+    for (const goal of order) {
+      if (runningCount >= limit) break;
+      if (status.get(Number(goal.id)) === 'pending' && isReady(goal)) {
+        await start(goal);
+      }
+    }
+
+    // Nothing running means nothing left that can start or merge.
+    if (runningCount === 0) {
+      break;
+    }
+    if (!dirty) {
+      await new Promise((resolve) => {
+        wake = resolve;
+      });
+    }
+  }
+
+  const idsWith = (value) => order.map((goal) => Number(goal.id)).filter((id) => status.get(id) === value);
+  return {
+    order: order.map((goal) => Number(goal.id)),
+    merged: idsWith('merged'),
+    failed: idsWith('failed').map((id) => ({ id, error: errors.get(id) })),
+    blocked: [...idsWith('blocked'), ...idsWith('pending')]
+  };
+};
+
+// Walks a goal through the lifecycle to `state`; draft goals are planned on the way.
+const moveGoalToState = async (goalId, state, metadata = {}) => {
+  const goal = await getGoal(goalId);
+  if (goal?.lifecycleState === GOAL_STATES.DRAFT && state === GOAL_STATES.EXECUTING) {
+    await advanceGoalState(goalId, GOAL_STATES.PLANNED);
+  }
+  return advanceGoalState(goalId, state, metadata);
+};
+
+const PASSING_TEST_STATUSES = new Set(['passed', 'skipped']);
+
+// Installed dependencies are untracked, so a fresh worktree has none; the ones the parent
+// checkout already installed are linked in for each workspace the test gate discovers.
+const DEPENDENCY_DIRECTORIES = ['node_modules', 'frontend/node_modules', 'backend/node_modules'];
+
+const pathExists = async (target) => {
+  try {
+    await fs.lstat(target);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const linkDependencies = async (projectRoot, worktreePath) => {
+  const linked = [];
+  for (const relativePath of DEPENDENCY_DIRECTORIES) {
+    const source = path.join(projectRoot, relativePath);
+    const target = path.join(worktreePath, relativePath);
+    if (!(await pathExists(source)) || !(await pathExists(path.dirname(target))) || (await pathExists(target))) {
+      continue;
+    }
+    await fs.symlink(source, target, 'junction');
+    linked.push(relativePath);
+  }
+  return linked;
+};
+
+// Each child works in its own git worktree on its own branch, cut from the parent branch
+// once its dependencies are merged, with the parent checkout's installed dependencies linked
+// in. It counts as built only once the project's tests and coverage gate pass in that
+// worktree, and is merged back into the parent branch with --no-ff.
+export const createWorktreeGoalRunner = ({ projectId, projectRoot, targetBranch, worktreeRoot, onToken, signal }) => {
+  const branchFor = (goal) => `${targetBranch}--goal-${goal.id}`;
+  const worktreeFor = (goal) => path.join(worktreeRoot, `project-${projectId}-goal-${goal.id}`);
+
+  const removeWorktree = async (goal) => {
+    await runGitCommand(projectRoot, ['worktree', 'remove', '--force', worktreeFor(goal)], { allowFailure: true });
+    await fs.rm(worktreeFor(goal), { recursive: true, force: true });
+    await runGitCommand(projectRoot, ['worktree', 'prune'], { allowFailure: true });
+  };
+
+  const testGoal = async (goal) => {
+    const worktreePath = worktreeFor(goal);
+    const diff = await runGitCommand(worktreePath, ['diff', '--name-only', `${targetBranch}...HEAD`]);
+    const changedPaths = (diff.stdout || '').split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+    // The child branch has no branch record, and the run must not overwrite the test status of
+    // the branch the user has checked out, so only the gate runs.
+    const testRun = await runTestsForBranch(projectId, null, { projectPath: worktreePath, changedPaths, record: false });
+    if (!PASSING_TEST_STATUSES.has(testRun?.status)) {
+      throw new Error(`Tests failed for ${branchFor(goal)} (${testRun?.status || 'no result'})`);
+    }
+  };
+
+  const runGoal = async (goal) => {
+    const worktreePath = worktreeFor(goal);
+    await removeWorktree(goal);
+    await fs.mkdir(worktreeRoot, { recursive: true });
+    await runGitCommand(projectRoot, ['worktree', 'add', '-B', branchFor(goal), worktreePath, targetBranch]);
+    try {
+      // A `node_modules/` ignore rule does not match a symlink, so the links are kept out of the commit.
+      const linkedDependencies = await linkDependencies(projectRoot, worktreePath);
+      await runWithLlmUsageContext({ projectId, goalId: goal.id }, () => runWithProjectRoot(
+        projectId,
+        worktreePath,
+        () => applyCodeChange({
+          projectId,
+          prompt: goal.prompt,
+          runTests: (id, options = {}) => runTargetedTests(id, { ...options, projectPath: worktreePath }),
+          onToken: onToken ? (text) => onToken(goal, text) : undefined,
+          signal
+        })
+      ));
+      await commitAllChanges(worktreePath, `feat: ${goal.title || goal.prompt}`, { excludePaths: linkedDependencies });
+      await testGoal(goal);
+    } catch (error) {
+      await removeWorktree(goal);
+      throw error;
+    }
+  };
+
+  // Acceptance checks that read files resolve them through the project root, so this points
+  // them at the child's unmerged worktree.
+  const runInWorktree = (goal, fn) => runWithProjectRoot(projectId, worktreeFor(goal), fn);
+
+  const mergeGoal = async (goal) => {
+    try {
+      await runGitCommand(projectRoot, [
+        'merge',
+        '--no-ff',
+        '-m',
+        `Merge goal #${goal.id}: ${goal.title || goal.prompt}`,
+        branchFor(goal)
+      ]);
+    } catch (error) {
+      await runGitCommand(projectRoot, ['merge', '--abort'], { allowFailure: true });
+      throw new Error(`Merging ${branchFor(goal)} failed: ${error.message}`);
+    } finally {
+      await removeWorktree(goal);
+    }
+    await runGitCommand(projectRoot, ['branch', '-D', branchFor(goal)], { allowFailure: true });
+  };
+
+  return { runGoal, mergeGoal, discardGoal: removeWorktree, runInWorktree, branchFor, worktreeFor };
+};
+
+const ensureTargetBranch = async (projectRoot, targetBranch) => {
+  if (await hasWorkingTreeChanges(projectRoot)) {
+    throw new Error('Commit or discard working tree changes before running child goals in parallel');
+  }
+  if ((await getCurrentBranch(projectRoot)) === targetBranch) {
+    return;
+  }
+  const existing = await runGitCommand(projectRoot, ['rev-parse', '--verify', '--quiet', `refs/heads/${targetBranch}`], {
+    allowFailure: true
+  });
+  await runGitCommand(projectRoot, existing.code === 0 ? ['checkout', targetBranch] : ['checkout', '-b', targetBranch]);
+};
+
+export const getChildGoalRun = (goalId) => {
+  const run = activeRuns.get(Number(goalId));
+  return run ? { ...run, output: { ...run.output } } : null;
+};
+
+/**
+ * Aborts the edit-agent requests of a running child goal run. Children that were mid-edit
+ * fail with a cancellation error, which blocks their dependents. Returns false when no run
+ * for `goalId` is in progress.
+ */
+export const cancelChildGoalRun = (goalId) => {
+  const run = activeRuns.get(Number(goalId));
+  const controller = runAbortControllers.get(Number(goalId));
+  if (run?.status !== 'running' || !controller) {
+    return false;
+  }
+  run.cancelRequested = true;
+  controller.abort();
+  return true;
+};
+
+/**
+ * Starts running the child goals of `goalId` in the background and returns the run record.
+ * Progress shows up as lifecycle states on the children; the record itself is available
+ * from getChildGoalRun until the next run of the same goal.
+ */
+export const startChildGoalRun = async ({
+  goalId,
+  maxParallel = DEFAULT_MAX_PARALLEL_GOALS,
+  worktreeRoot = path.join(os.tmpdir(), 'lucidcoder-worktrees')
+}) => {
+  const parent = await getGoal(goalId);
+  if (!parent) {
+    throw new Error('Goal not found');
+  }
+  if (activeRuns.get(parent.id)?.status === 'running') {
+    throw new Error('Child goals are already running for this goal');
+  }
+
+  const siblings = (await listGoals(parent.projectId)).filter((goal) => goal.parentGoalId === parent.id);
+  const busy = siblings.filter((goal) => !RUNNABLE_STATES.has(goal.lifecycleState) && !SETTLED_STATES.has(goal.lifecycleState));
+  if (busy.length > 0) {
+    throw new Error(`Child goals are already in progress: ${busy.map((goal) => goal.id).join(', ')}`);
+  }
+
+  const mergedIds = new Set(siblings.filter((goal) => goal.lifecycleState === GOAL_STATES.MERGED).map((goal) => goal.id));
+  const goals = siblings
+    .filter((goal) => RUNNABLE_STATES.has(goal.lifecycleState))
+    .sort((a, b) => a.id - b.id)
+    .map((goal) => ({ ...goal, dependsOn: goal.dependsOn.filter((id) => !mergedIds.has(id)) }));
+  if (goals.length === 0) {
+    throw new Error('Goal has no child goals to run');
+  }
+  // Fail fast on cycles before touching the checkout.
+  orderGoalsByDependencies(goals);
+
+  const projectRoot = await getProjectRoot(parent.projectId);
+  await ensureTargetBranch(projectRoot, parent.branchName);
+
+  const limit = clampMaxParallel(maxParallel);
+  const controller = new AbortController();
+  const run = {
+    goalId: parent.id,
+    status: 'running',
+    maxParallel: limit,
+    branchName: parent.branchName,
+    goalIds: goals.map((goal) => goal.id),
+    merged: [],
+    failed: [],
+    blocked: [],
+    output: {},
+    cancelRequested: false,
+    error: null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null
+  };
+  const runner = createWorktreeGoalRunner({
+    projectId: parent.projectId,
+    projectRoot,
+    targetBranch: parent.branchName,
+    worktreeRoot,
+    onToken: (goal, text) => {
+      run.output[goal.id] = `${run.output[goal.id] || ''}${text}`.slice(-GOAL_OUTPUT_LIMIT);
+    },
+    signal: controller.signal
+  });
+  activeRuns.set(parent.id, run);
+  runAbortControllers.set(parent.id, controller);
+
+  const completion = runGoalGraph({
+    goals,
+    maxParallel: limit,
+    runGoal: runner.runGoal,
+    mergeGoal: runner.mergeGoal,
+    discardGoal: runner.discardGoal,
+    onStateChange: (goal, state, { error } = {}) => {
+      const move = () => moveGoalToState(goal.id, state, error ? { parallelRunError: error } : {});
+      return state === GOAL_STATES.READY_TO_MERGE ? runner.runInWorktree(goal, move) : move();
+    }
+  })
+    .then((result) => {
+      Object.assign(run, {
+        status: result.failed.length > 0 || result.blocked.length > 0 ? 'failed' : 'completed',
+        merged: result.merged,
+        failed: result.failed,
+        blocked: result.blocked
+      });
+    })
+    .catch((error) => {
+      Object.assign(run, { status: 'failed', error: error?.message || String(error) });
+    })
+    .finally(() => {
+      runAbortControllers.delete(parent.id);
+      run.finishedAt = new Date().toISOString();
+    });
+  runCompletions.set(parent.id, completion);
+
+  return { ...run };
+};
+
+export const __testing = {
+  activeRuns,
+  runCompletions,
+  runAbortControllers,
+  moveGoalToState,
+  ensureTargetBranch
+};
+
+export default {
+  runGoalGraph,
+  startChildGoalRun,
+  getChildGoalRun,
+  cancelChildGoalRun,
+  clampMaxParallel
+};
@@ -1,6 +1,7 @@
-import { promisify } from 'util';
 import crypto from 'crypto';
 import db from '../database.js';
+import { normalizeDependencyIds } from './goalGraph.js';
+import { normalizeAcceptanceChecks } from './acceptanceChecks.js';
 
 const runWithMeta = (sql, params = []) => new Promise((resolve, reject) => {
   db.run(sql, params, function callback(err) {
@@ -12,8 +13,47 @@ const runWithMeta = (sql, params = []) => new Promise((resolve, reject) => {
   });
 });
 
-const get = promisify(db.get.bind(db));
-const all = promisify(db.all.bind(db));
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => {
+    if (err) {
+      reject(err);
+    } else {
+      resolve(row);
+    }
+  });
+});
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) {
+      reject(err);
+    } else {
+      resolve(rows);
+    }
+  });
+});
+
+const parseDependsOn = (value) => {
+  if (!value) {
+    return [];
+  }
+  try {
+    return normalizeDependencyIds(JSON.parse(value));
+  } catch {
+    return [];
+  }
+};
+
+const parseAcceptanceChecks = (value) => {
+  if (!value) {
+    return [];
+  }
+  try {
+    return normalizeAcceptanceChecks(JSON.parse(value));
+  } catch {
+    return [];
+  }
+};
 
 const toCamel = (row = {}) => ({
   id: row.id,
@@ -26,6 +66,8 @@ const toCamel = (row = {}) => ({
   branchName: row.branch_name,
   type: row.type,
   title: row.title,
+  dependsOn: parseDependsOn(row.depends_on),
+  acceptanceChecks: parseAcceptanceChecks(row.acceptance_checks),
   payload: row.payload ? JSON.parse(row.payload) : null,
   metadata: row.metadata ? JSON.parse(row.metadata) : null,
   createdAt: row.created_at,
@@ -73,6 +115,8 @@ export const createGoal = async ({
   branchName = null,
   parentGoalId = null,
   lifecycleState = 'draft',
+  dependsOn = [],
+  acceptanceChecks = [],
   metadata = null
 }) => {
   assertId(projectId, 'projectId');
@@ -85,9 +129,19 @@ export const createGoal = async ({
     metadata && typeof metadata === 'object' ? JSON.stringify(metadata) : JSON.stringify(null);
 
   const result = await runWithMeta(
-    `INSERT INTO agent_goals (project_id, prompt, title, status, lifecycle_state, branch_name, parent_goal_id, metadata)
-     VALUES (?, ?, ?, 'planning', ?, ?, ?, ?)`,
-    [projectId, prompt.trim(), normalizedTitle, lifecycleState, normalizedBranch, parentGoalId, metadataJson]
+    `INSERT INTO agent_goals (project_id, prompt, title, status, lifecycle_state, branch_name, parent_goal_id, depends_on, acceptance_checks, metadata)
+     VALUES (?, ?, ?, 'planning', ?, ?, ?, ?, ?, ?)`,
+    [
+      projectId,
+      prompt.trim(),
+      normalizedTitle,
+      lifecycleState,
+      normalizedBranch,
+      parentGoalId,
+      JSON.stringify(normalizeDependencyIds(dependsOn)),
+      JSON.stringify(normalizeAcceptanceChecks(acceptanceChecks)),
+      metadataJson
+    ]
   );
 
   return getGoal(result.lastID);
@@ -149,7 +203,29 @@ export const updateGoalLifecycleState = async (goalId, lifecycleState, metadata
   return getGoal(goalId);
 };
 
-export const createGoalTask = async (goalId, { type, title, payload = null }) => {
+export const updateGoalDependencies = async (goalId, dependsOn = []) => {
+  assertId(goalId, 'goalId');
+  await runWithMeta(
+    `UPDATE agent_goals
+     SET depends_on = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [JSON.stringify(normalizeDependencyIds(dependsOn)), goalId]
+  );
+  return getGoal(goalId);
+};
+
+export const updateGoalAcceptanceChecks = async (goalId, acceptanceChecks = []) => {
+  assertId(goalId, 'goalId');
+  await runWithMeta(
+    `UPDATE agent_goals
+     SET acceptance_checks = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [JSON.stringify(normalizeAcceptanceChecks(acceptanceChecks)), goalId]
+  );
+  return getGoal(goalId);
+};
+
+export const createGoalTask = async (goalId, { type, title, payload = null, dependsOn = [] }) => {
   assertId(goalId, 'goalId');
   if (!type) {
     throw new Error('type is required');
@@ -159,9 +235,16 @@ export const createGoalTask = async (goalId, { type, title, payload = null }) =>
   }
 
   const result = await runWithMeta(
-    `INSERT INTO agent_tasks (goal_id, type, title, status, payload, metadata)
-     VALUES (?, ?, ?, 'pending', ?, ?)`,
-    [goalId, type, title, payload ? JSON.stringify(payload) : JSON.stringify(null), JSON.stringify(null)]
+    `INSERT INTO agent_tasks (goal_id, type, title, status, payload, depends_on, metadata)
+     VALUES (?, ?, ?, 'pending', ?, ?, ?)`,
+    [
+      goalId,
+      type,
+      title,
+      payload ? JSON.stringify(payload) : JSON.stringify(null),
+      JSON.stringify(normalizeDependencyIds(dependsOn)),
+      JSON.stringify(null)
+    ]
   );
 
   return getGoalTask(result.lastID);
@@ -247,7 +330,9 @@ export const deleteGoal = async (goalId, { includeChildren = true } = {}) => {
 
 export const __testing = {
   listChildGoalIds,
-  buildBranchName
+  buildBranchName,
+  parseDependsOn,
+  parseAcceptanceChecks
 };
 
 export default {
@@ -256,6 +341,8 @@ export default {
   listGoals,
   updateGoalStatus,
   updateGoalLifecycleState,
+  updateGoalDependencies,
+  updateGoalAcceptanceChecks,
   createGoalTask,
   getGoalTask,
   listGoalTasks,
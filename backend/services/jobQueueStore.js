@@ -0,0 +1,122 @@
+import db from '../database.js';
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function callback(err) {
+    if (err) {
+      reject(err);
+    } else {
+      resolve({ changes: this?.changes ?? null });
+    }
+  });
+});
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) {
+      reject(err);
+    } else {
+      resolve(rows || []);
+    }
+  });
+});
+
+const parseJson = (value, fallback) => {
+  if (typeof value !== 'string' || !value) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+};
+
+const normalizeQueuedRow = (row) => ({
+  id: row.id,
+  projectId: row.project_id,
+  type: row.type,
+  displayName: row.display_name ?? row.type,
+  command: row.command,
+  args: parseJson(row.args, []),
+  cwd: row.cwd,
+  env: parseJson(row.env, {}),
+  coverageThresholds: parseJson(row.coverage_thresholds, null),
+  testReportFile: parseJson(row.test_report_file, null),
+  partial: Boolean(row.partial),
+  priority: row.priority,
+  createdAt: row.created_at ?? null
+});
+
+const SECRET_ENV_KEY_PATTERN = /TOKEN|SECRET|PASS|KEY|CREDENTIAL|AUTH|COOKIE|SESSION|DSN/i;
+const URL_CREDENTIALS_PATTERN = /:\/\/[^/\s:@]+:[^/\s@]+@/;
+
+// Job env overrides are written to disk with the queued job, so anything that
+// looks like a credential is left out; a restored job runs without it.
+const filterPersistedEnv = (env) => {
+  if (!env || typeof env !== 'object') {
+    return {};
+  }
+  return Object.fromEntries(Object.entries(env).filter(([key, value]) => (
+    !SECRET_ENV_KEY_PATTERN.test(key) && !URL_CREDENTIALS_PATTERN.test(String(value ?? ''))
+  )));
+};
+
+// Only jobs that are still waiting for a slot are stored. A job's row is removed
+// as soon as it starts, is cancelled, or otherwise leaves the queue.
+export const saveQueuedJob = async (job) => {
+  if (!job?.id) {
+    throw new Error('job id is required');
+  }
+
+  await run(
+    `INSERT OR REPLACE INTO job_queue (
+      id,
+      project_id,
+      type,
+      display_name,
+      command,
+      args,
+      cwd,
+      env,
+      coverage_thresholds,
+      test_report_file,
+      partial,
+      priority,
+      created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      job.id,
+      job.projectId,
+      job.type,
+      job.displayName ?? null,
+      job.command,
+      JSON.stringify(Array.isArray(job.args) ? job.args : []),
+      job.cwd,
+      JSON.stringify(filterPersistedEnv(job.env)),
+      job.coverageThresholds ? JSON.stringify(job.coverageThresholds) : null,
+      job.testReportFile ? JSON.stringify(job.testReportFile) : null,
+      job.partial ? 1 : 0,
+      job.priority,
+      job.createdAt ?? new Date().toISOString()
+    ]
+  );
+};
+
+export const deleteQueuedJob = async (jobId) => {
+  if (!jobId) {
+    return false;
+  }
+  const result = await run('DELETE FROM job_queue WHERE id = ?', [jobId]);
+  return Boolean(result.changes);
+};
+
+export const listQueuedJobs = async () => {
+  const rows = await all('SELECT * FROM job_queue ORDER BY created_at ASC, rowid ASC');
+  return rows.map(normalizeQueuedRow);
+};
+
+export const __testing = {
+  filterPersistedEnv,
+  normalizeQueuedRow,
+  parseJson
+};
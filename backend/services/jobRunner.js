@@ -4,10 +4,18 @@ import { EventEmitter } from 'events';
 import fs from 'fs/promises';
 import path from 'path';
 import { appendRunEvent, createRun, updateRun } from './runStore.js';
+import * as queueStore from './jobQueueStore.js';
+import { readTestReport } from './testReports.js';
 
 const MAX_LOG_ENTRIES = 500;
 const jobs = new Map();
 
+const DEFAULT_GLOBAL_CONCURRENCY = 4;
+const DEFAULT_PROJECT_CONCURRENCY = 2;
+const queuedJobIds = [];
+const activeJobIds = new Set();
+let queueSequence = 0;
+
 const DEFAULT_COVERAGE_THRESHOLDS = Object.freeze({
   lines: 100,
   statements: 100,
@@ -297,6 +305,23 @@ const parseCoverageTotalsFromLogs = (logs = []) => {
   return null;
 };
 
+// Attach the per-test results written by the runner's JSON/JUnit reporter, when the job asked for one.
+const collectTestReport = async (job) => {
+  if (!job.testReportFile?.path) {
+    return;
+  }
+  const report = await readTestReport({ ...job.testReportFile, cwd: job.cwd });
+  if (!report) {
+    return;
+  }
+  job.testReport = report;
+  const existingSummary = job.summary && typeof job.summary === 'object' ? job.summary : {};
+  job.summary = {
+    ...existingSummary,
+    tests: report.summary
+  };
+};
+
 const evaluateCoverageGate = async (job, { assumeSucceeded = false } = {}) => {
   if (!job || !isTestJobType(job.type)) {
     return;
@@ -375,6 +400,19 @@ export const JOB_STATUS = {
   CANCELLED: 'cancelled'
 };
 
+// User-initiated work uses HIGH so it overtakes automated retries (LOW) in the queue.
+export const JOB_PRIORITY = {
+  HIGH: 'high',
+  NORMAL: 'normal',
+  LOW: 'low'
+};
+
+const PRIORITY_WEIGHT = {
+  [JOB_PRIORITY.HIGH]: 2,
+  [JOB_PRIORITY.NORMAL]: 1,
+  [JOB_PRIORITY.LOW]: 0
+};
+
 const isTerminalStatus = (status) =>
   status === JOB_STATUS.SUCCEEDED ||
   status === JOB_STATUS.FAILED ||
@@ -490,7 +528,7 @@ const sanitizeJob = (job) => {
   if (!job) {
     return null;
   }
-  const { process, ...rest } = job;
+  const { process, announced, queueSequence: sequence, ...rest } = job;
   return {
     ...rest,
     logs: [...rest.logs]
@@ -551,6 +589,11 @@ export const listJobsForProject = (projectId) => {
 
 export const getJob = (jobId) => sanitizeJob(jobs.get(jobId));
 
+/**
+ * Resolve once the job reaches a terminal status. The timeout only covers the
+ * time the job spends running: a job still waiting in the queue has not used
+ * any of its budget yet, so the clock starts when it leaves the queue.
+ */
 export const waitForJobCompletion = (jobId, { timeoutMs = 10 * 60 * 1000 } = {}) => {
   if (!jobId) {
     return Promise.reject(new Error('jobId is required'));
@@ -569,6 +612,7 @@ export const waitForJobCompletion = (jobId, { timeoutMs = 10 * 60 * 1000 } = {})
 
   return new Promise((resolve, reject) => {
     let settled = false;
+    let timeoutHandle = null;
 
     const cleanup = () => {
       jobEvents.removeListener('job:updated', onUpdate);
@@ -588,81 +632,145 @@ export const waitForJobCompletion = (jobId, { timeoutMs = 10 * 60 * 1000 } = {})
       }
     };
 
+    const startTimeout = () => {
+      if (timeoutHandle) {
+        return;
+      }
+      timeoutHandle = setTimeout(() => {
+        const latest = getJob(jobId);
+        if (latest && isTerminalStatus(latest.status)) {
+          finish(latest);
+          return;
+        }
+        finish(null, Object.assign(new Error('Timed out waiting for job completion'), { jobId }));
+      }, Math.max(normalizedTimeout, 0));
+    };
+
     const onUpdate = (updatedJob) => {
       if (!updatedJob || updatedJob.id !== jobId) {
         return;
       }
       if (isTerminalStatus(updatedJob.status)) {
         finish(updatedJob);
+      } else if (updatedJob.status !== JOB_STATUS.PENDING) {
+        startTimeout();
       }
     };
 
     jobEvents.on('job:updated', onUpdate);
 
-    const timeoutHandle = setTimeout(() => {
-      const latest = getJob(jobId);
-      if (latest && isTerminalStatus(latest.status)) {
-        finish(latest);
-        return;
-      }
-      finish(null, Object.assign(new Error('Timed out waiting for job completion'), { jobId }));
-    }, Math.max(normalizedTimeout, 0));
+    if (existing.status !== JOB_STATUS.PENDING) {
+      startTimeout();
+    }
   });
 };
 
-export const startJob = (config) => {
-  const {
-    projectId,
-    type,
-    displayName,
-    command,
-    args = [],
-    cwd,
-    env = {},
-    coverageThresholds
-  } = config;
+const readQueueLimit = (value, fallback) => {
+  const numeric = Number(value);
+  return Number.isInteger(numeric) && numeric > 0 ? numeric : fallback;
+};
 
-  if (!projectId || !type || !command || !cwd) {
-    throw new Error('Missing required job configuration');
-  }
+const queueLimits = {
+  global: readQueueLimit(process.env.JOB_QUEUE_GLOBAL_LIMIT, DEFAULT_GLOBAL_CONCURRENCY),
+  perProject: readQueueLimit(process.env.JOB_QUEUE_PROJECT_LIMIT, DEFAULT_PROJECT_CONCURRENCY)
+};
 
-  const id = randomUUID();
-  const job = {
-    id,
-    projectId: Number(projectId),
-    type,
-    displayName: displayName || type,
-    command,
-    args,
-    cwd,
-    env,
-    coverageThresholds: normalizeCoverageThresholds(coverageThresholds),
-    status: JOB_STATUS.PENDING,
-    createdAt: now(),
-    startedAt: null,
-    completedAt: null,
-    exitCode: null,
-    signal: null,
-    logs: [],
-    runId: null,
-    pendingRunEvents: [],
-    pendingRunUpdates: null
-  };
+const normalizePriority = (priority) => (
+  Object.prototype.hasOwnProperty.call(PRIORITY_WEIGHT, priority) ? priority : JOB_PRIORITY.NORMAL
+);
 
-  jobs.set(id, job);
+const persistQueuedJob = (job) => {
+  queueStore.saveQueuedJob(job).catch(() => {});
+};
+
+const forgetQueuedJob = (jobId) => {
+  queueStore.deleteQueuedJob(jobId).catch(() => {});
+};
+
+// Higher priority first, then first-come first-served within a priority.
+const orderedQueue = () => queuedJobIds
+  .map((id) => jobs.get(id))
+  .filter(Boolean)
+  .sort((a, b) => (PRIORITY_WEIGHT[b.priority] - PRIORITY_WEIGHT[a.priority]) || (a.queueSequence - b.queueSequence));
+
+const countActiveJobsForProject = (projectId) => {
+  let count = 0;
+  for (const id of activeJobIds) {
+    if (jobs.get(id)?.projectId === projectId) {
+      count += 1;
+    }
+  }
+  return count;
+};
 
-  const child = spawn(command, args, {
-    cwd,
-    env: { ...process.env, ...env },
-    shell: process.platform === 'win32',
-    windowsHide: true
+const refreshQueuePositions = () => {
+  orderedQueue().forEach((job, index) => {
+    const position = index + 1;
+    if (job.queuePosition === position) {
+      return;
+    }
+    job.queuePosition = position;
+    if (job.announced) {
+      emitJobUpdated(job);
+    }
   });
+};
+
+const removeFromQueue = (jobId) => {
+  const index = queuedJobIds.indexOf(jobId);
+  if (index === -1) {
+    return false;
+  }
+  queuedJobIds.splice(index, 1);
+  return true;
+};
+
+const releaseJobSlot = (job) => {
+  if (!job || !activeJobIds.delete(job.id)) {
+    return;
+  }
+  drainQueue();
+};
+
+const launchJob = (job) => {
+  const { command, args, cwd, env } = job;
+
+  activeJobIds.add(job.id);
+  job.queuePosition = null;
+  forgetQueuedJob(job.id);
+
+  let child;
+  try {
+    child = spawn(command, args, {
+      cwd,
+      env: { ...process.env, ...env },
+      shell: process.platform === 'win32',
+      windowsHide: true
+    });
+  } catch (error) {
+    pushLog(job, 'stderr', Buffer.from(error?.message || 'Job failed to start'));
+    job.status = JOB_STATUS.FAILED;
+    job.completedAt = now();
+    activeJobIds.delete(job.id);
+    if (job.announced) {
+      emitJobUpdated(job);
+    } else {
+      job.announced = true;
+      emitJobCreated(job);
+    }
+    return;
+  }
 
   job.process = child;
   job.status = JOB_STATUS.RUNNING;
   job.startedAt = now();
 
-  emitJobCreated(job);
+  if (job.announced) {
+    emitJobUpdated(job);
+  } else {
+    job.announced = true;
+    emitJobCreated(job);
+  }
 
   enqueueRunEvent(job, {
     type: 'job:created',
@@ -737,6 +845,7 @@ export const startJob = (config) => {
     });
 
     emitJobUpdated(job);
+    releaseJobSlot(job);
   });
 
   child.on('exit', (code, signal) => {
@@ -754,6 +863,9 @@ export const startJob = (config) => {
     delete job.process;
 
     const finalize = async () => {
+      // Collected even for cancelled jobs so the report file is always cleaned up.
+      await collectTestReport(job);
+
       if (job.status === JOB_STATUS.CANCELLED) {
         return;
       }
@@ -784,12 +896,136 @@ export const startJob = (config) => {
         });
 
         emitJobUpdated(job);
+        releaseJobSlot(job);
       });
   });
+};
+
+/**
+ * Start every queued job that fits under the global and per-project limits.
+ * Jobs blocked only by their project's limit are skipped so other projects can
+ * still use the free global slots.
+ */
+const drainQueue = () => {
+  for (const job of orderedQueue()) {
+    if (activeJobIds.size >= queueLimits.global) {
+      break;
+    }
+    if (countActiveJobsForProject(job.projectId) >= queueLimits.perProject) {
+      continue;
+    }
+    removeFromQueue(job.id);
+    launchJob(job);
+  }
+
+  refreshQueuePositions();
+};
+
+const enqueueJob = (job) => {
+  queueSequence += 1;
+  job.queueSequence = queueSequence;
+  queuedJobIds.push(job.id);
+  drainQueue();
+
+  if (job.status === JOB_STATUS.PENDING) {
+    job.announced = true;
+    persistQueuedJob(job);
+    emitJobCreated(job);
+  }
+};
+
+const createJobRecord = ({
+  id = randomUUID(),
+  projectId,
+  type,
+  displayName,
+  command,
+  args = [],
+  cwd,
+  env = {},
+  coverageThresholds,
+  testReportFile = null,
+  partial = false,
+  priority,
+  createdAt
+}) => ({
+  id,
+  projectId: Number(projectId),
+  type,
+  displayName: displayName || type,
+  command,
+  args,
+  cwd,
+  env,
+  coverageThresholds: normalizeCoverageThresholds(coverageThresholds),
+  testReportFile: testReportFile?.path ? testReportFile : null,
+  testReport: null,
+  // Runs a subset of a workspace's tests; such jobs never prove a branch.
+  partial: Boolean(partial),
+  priority: normalizePriority(priority),
+  status: JOB_STATUS.PENDING,
+  queuePosition: null,
+  createdAt: createdAt || now(),
+  startedAt: null,
+  completedAt: null,
+  exitCode: null,
+  signal: null,
+  logs: [],
+  runId: null,
+  pendingRunEvents: [],
+  pendingRunUpdates: null
+});
+
+/**
+ * Queue a job and start it right away when a slot is free. Jobs that have to
+ * wait stay PENDING (with a `queuePosition`) and are persisted until they start.
+ */
+export const startJob = (config) => {
+  const { projectId, type, command, cwd } = config;
+
+  if (!projectId || !type || !command || !cwd) {
+    throw new Error('Missing required job configuration');
+  }
+
+  const job = createJobRecord(config);
+  jobs.set(job.id, job);
+  enqueueJob(job);
 
   return sanitizeJob(job);
 };
 
+/**
+ * Re-queue jobs that were still waiting when the backend last stopped.
+ */
+export const restoreQueuedJobs = async () => {
+  const rows = await queueStore.listQueuedJobs();
+  let restored = 0;
+
+  for (const row of rows) {
+    if (!row?.id || jobs.has(row.id) || !row.projectId || !row.type || !row.command || !row.cwd) {
+      continue;
+    }
+    const job = createJobRecord(row);
+    jobs.set(job.id, job);
+    enqueueJob(job);
+    restored += 1;
+  }
+
+  return restored;
+};
+
+export const configureJobQueue = ({ globalLimit, perProjectLimit } = {}) => {
+  queueLimits.global = readQueueLimit(globalLimit, queueLimits.global);
+  queueLimits.perProject = readQueueLimit(perProjectLimit, queueLimits.perProject);
+  drainQueue();
+  return getJobQueueLimits();
+};
+
+export const getJobQueueLimits = () => ({
+  globalLimit: queueLimits.global,
+  perProjectLimit: queueLimits.perProject
+});
+
 export const cancelJob = (jobId) => {
   const job = jobs.get(jobId);
   if (!job) {
@@ -800,6 +1036,16 @@ export const cancelJob = (jobId) => {
     return sanitizeJob(job);
   }
 
+  if (removeFromQueue(job.id)) {
+    job.status = JOB_STATUS.CANCELLED;
+    job.completedAt = now();
+    job.queuePosition = null;
+    forgetQueuedJob(job.id);
+    emitJobUpdated(job);
+    refreshQueuePositions();
+    return sanitizeJob(job);
+  }
+
   if (job.process && job.process.pid) {
     try {
       const pid = job.process.pid;
@@ -833,6 +1079,7 @@ export const cancelJob = (jobId) => {
   });
 
   emitJobUpdated(job);
+  releaseJobSlot(job);
 
   return sanitizeJob(job);
 };
@@ -841,7 +1088,14 @@ export const getAllJobs = () => [...jobs.values()].map(sanitizeJob);
 
 // Exposed for testing to ensure isolated job state between runs.
 export const __testing = {
-  clearJobs: () => jobs.clear(),
+  clearJobs: () => {
+    jobs.clear();
+    queuedJobIds.splice(0);
+    activeJobIds.clear();
+    queueSequence = 0;
+  },
+  drainQueue,
+  getQueuedJobIds: () => orderedQueue().map((job) => job.id),
   resetJobEvents: () => jobEvents.removeAllListeners(),
   getRawJob: (jobId) => jobs.get(jobId),
   terminatePid,
@@ -850,6 +1104,7 @@ export const __testing = {
   parseCoverageTotalsFromLogs,
   readCoverageTotals,
   evaluateCoverageGate,
+  collectTestReport,
   enqueueRunEvent,
   enqueueRunUpdate,
   flushPendingRunWork
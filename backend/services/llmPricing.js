@@ -0,0 +1,128 @@
+import { db_operations } from '../database.js';
+
+// Built-in list prices in USD per million tokens. Keys are model-name prefixes, so dated
+// snapshots (claude-3-5-sonnet-20241022) share the family price. Rows in llm_prices
+// override these, and '*' covers every model for providers that run locally.
+export const DEFAULT_LLM_PRICES = Object.freeze({
+  openai: {
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-4': { input: 30, output: 60 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'o4-mini': { input: 1.1, output: 4.4 },
+    o3: { input: 2, output: 8 }
+  },
+  anthropic: {
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-7-sonnet': { input: 3, output: 15 },
+    'claude-sonnet-4': { input: 3, output: 15 },
+    'claude-3-sonnet': { input: 3, output: 15 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-3-haiku': { input: 0.25, output: 1.25 },
+    'claude-3-opus': { input: 15, output: 75 },
+    'claude-opus-4': { input: 15, output: 75 }
+  },
+  google: {
+    'gemini-2.5-pro': { input: 1.25, output: 10 },
+    'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+    'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+    'gemini-1.5-pro': { input: 1.25, output: 5 },
+    'gemini-1.5-flash-8b': { input: 0.0375, output: 0.15 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.3 }
+  },
+  groq: {
+    'llama-3.1-8b-instant': { input: 0.05, output: 0.08 },
+    'llama-3.1-70b-versatile': { input: 0.59, output: 0.79 },
+    'llama-3.3-70b-versatile': { input: 0.59, output: 0.79 },
+    'gemma2-9b-it': { input: 0.2, output: 0.2 },
+    'openai/gpt-oss-120b': { input: 0.15, output: 0.75 }
+  },
+  mistral: {
+    'mistral-large': { input: 2, output: 6 },
+    'mistral-medium': { input: 0.4, output: 2 },
+    'mistral-small': { input: 0.2, output: 0.6 },
+    'open-mistral-7b': { input: 0.25, output: 0.25 }
+  },
+  cohere: {
+    'command-r-plus': { input: 2.5, output: 10 },
+    'command-r': { input: 0.15, output: 0.6 },
+    'command-light': { input: 0.3, output: 0.6 }
+  },
+  ollama: { '*': { input: 0, output: 0 } },
+  lmstudio: { '*': { input: 0, output: 0 } },
+  textgen: { '*': { input: 0, output: 0 } }
+});
+
+const normalizeKey = (value) => String(value || '').trim().toLowerCase();
+
+const findDefaultPrice = (provider, model) => {
+  const table = DEFAULT_LLM_PRICES[provider];
+  if (!table) {
+    return null;
+  }
+
+  // Longest prefix wins so gpt-4o-mini is not priced as gpt-4o (or gpt-4).
+  const match = Object.keys(table)
+    .filter((key) => key !== '*' && model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return table[match] || table['*'] || null;
+};
+
+// Resolves { input, output, source } for a provider/model, or null when the model
+// has no known price. overrides are llm_prices rows.
+export const resolveLlmPrice = (provider, model, overrides = []) => {
+  const providerKey = normalizeKey(provider);
+  const modelKey = normalizeKey(model);
+
+  const override = overrides.find(
+    (row) => normalizeKey(row.provider) === providerKey && normalizeKey(row.model) === modelKey
+  );
+  if (override) {
+    return { input: override.input_per_million, output: override.output_per_million, source: 'custom' };
+  }
+
+  const builtIn = findDefaultPrice(providerKey, modelKey);
+  return builtIn ? { ...builtIn, source: 'default' } : null;
+};
+
+export const calculateLlmCost = ({ promptTokens = 0, completionTokens = 0 } = {}, price) => {
+  if (!price) {
+    return 0;
+  }
+  return (promptTokens * price.input + completionTokens * price.output) / 1_000_000;
+};
+
+// Flattens the built-in table with the stored overrides for the settings UI.
+export const listLlmPrices = async () => {
+  const overrides = await db_operations.listLLMPrices();
+  const prices = [];
+
+  for (const [provider, models] of Object.entries(DEFAULT_LLM_PRICES)) {
+    for (const [model, price] of Object.entries(models)) {
+      prices.push({ provider, model, input: price.input, output: price.output, source: 'default' });
+    }
+  }
+
+  for (const row of overrides) {
+    const existing = prices.find((entry) => entry.provider === row.provider && entry.model === row.model);
+    const entry = {
+      provider: row.provider,
+      model: row.model,
+      input: row.input_per_million,
+      output: row.output_per_million,
+      source: 'custom'
+    };
+    if (existing) {
+      Object.assign(existing, entry);
+    } else {
+      prices.push(entry);
+    }
+  }
+
+  return prices;
+};
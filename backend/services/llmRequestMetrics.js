@@ -33,13 +33,14 @@ class LlmRequestMetrics {
     this._counters.clear();
   }
 
-  record(kind, { phase, requestType, provider, model } = {}) {
+  record(kind, { phase, requestType, provider, model, role } = {}) {
     const normalized = {
       kind: safeKeyPart(kind),
       phase: safeKeyPart(phase),
       requestType: safeKeyPart(requestType),
       provider: safeKeyPart(provider),
-      model: safeKeyPart(model)
+      model: safeKeyPart(model),
+      role: safeKeyPart(role)
     };
 
     bump(this._counters, `kind:${normalized.kind}`);
@@ -47,8 +48,11 @@ class LlmRequestMetrics {
     bump(this._counters, `type:${normalized.requestType}`);
     bump(this._counters, `provider:${normalized.provider}`);
     bump(this._counters, `model:${normalized.model}`);
+    bump(this._counters, `role:${normalized.role}`);
     bump(this._counters, `phase_type:${normalized.phase}::${normalized.requestType}`);
     bump(this._counters, `kind_phase_type:${normalized.kind}::${normalized.phase}::${normalized.requestType}`);
+    bump(this._counters, `kind_role:${normalized.kind}::${normalized.role}`);
+    bump(this._counters, `role_model:${normalized.role}::${normalized.provider}/${normalized.model}`);
 
     trimMap(this._counters, MAX_KEYS);
   }
@@ -0,0 +1,87 @@
+import { db_operations } from '../database.js';
+import { decryptApiKey } from '../encryption.js';
+
+// Roles the routing table can assign a model profile to. Requests for a role
+// without a route keep using the active llm_config row.
+export const LLM_ROLES = Object.freeze([
+  'classification',
+  'planning',
+  'code_edit',
+  'question',
+  'commit_message',
+  'reflection'
+]);
+
+const PHASE_ROLES = Object.freeze({
+  classification: 'classification',
+  question: 'question',
+  'autopilot-edit': 'code_edit',
+  meta_goal_planning: 'planning',
+  meta_goal_clarification: 'planning',
+  changelog: 'commit_message',
+  merge_conflict: 'code_edit'
+});
+
+// Frontend automation calls /api/llm/generate and tags each request with a purpose.
+const PURPOSE_ROLES = Object.freeze([
+  ['goal-edits', 'code_edit'],
+  ['goal-scope-reflection', 'reflection'],
+  ['goal-branch-name', 'classification'],
+  ['commit-message', 'commit_message']
+]);
+
+export const isLlmRole = (value) => LLM_ROLES.includes(value);
+
+export const resolveLlmRole = (options = {}) => {
+  if (isLlmRole(options?.__lucidcoderRole)) {
+    return options.__lucidcoderRole;
+  }
+
+  const phaseRole = PHASE_ROLES[options?.__lucidcoderPhase];
+  if (phaseRole) {
+    return phaseRole;
+  }
+
+  const purpose = typeof options?.__lucidcoderPurpose === 'string' ? options.__lucidcoderPurpose : '';
+  const match = PURPOSE_ROLES.find(([prefix]) => purpose === prefix || purpose.startsWith(`${prefix}:`));
+  return match ? match[1] : null;
+};
+
+const toRouteTarget = (profile) => {
+  const apiKey = profile.api_key_encrypted
+    ? decryptApiKey(profile.api_key_encrypted, { quiet: true })
+    : null;
+
+  if (profile.requires_api_key && !apiKey) {
+    console.warn(`⚠️  LLM profile "${profile.name}" has no usable API key and will be skipped.`);
+    return null;
+  }
+
+  const { api_key_encrypted: _omit, ...config } = profile;
+  return { name: profile.name, config, apiKey };
+};
+
+// Resolves the stored routing table into { role: [{ name, config, apiKey }, ...] },
+// ordered primary first. Roles whose profiles are all unusable are left out.
+export const loadLlmRouting = async () => {
+  const [profiles, routes] = await Promise.all([
+    db_operations.listLLMProfiles(),
+    db_operations.getLLMRoleRoutes()
+  ]);
+
+  const targets = new Map();
+  for (const profile of profiles) {
+    const target = toRouteTarget(profile);
+    if (target) {
+      targets.set(profile.id, target);
+    }
+  }
+
+  return LLM_ROLES.reduce((routing, role) => {
+    const chain = (routes[role] || []).map((profileId) => targets.get(profileId)).filter(Boolean);
+    if (chain.length > 0) {
+      routing[role] = chain;
+    }
+    return routing;
+  }, {});
+};
@@ -0,0 +1,85 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { db_operations } from '../database.js';
+import { calculateLlmCost, resolveLlmPrice } from './llmPricing.js';
+
+// Attribution for LLM spend. Entry points that know which project, goal or autopilot
+// session they work for wrap their work in runWithLlmUsageContext; every LLM request
+// made underneath (planner, code edit agent, ...) is recorded against it.
+const usageContext = new AsyncLocalStorage();
+
+export const runWithLlmUsageContext = (context, fn) => {
+  const parent = usageContext.getStore() || {};
+  return usageContext.run({ ...parent, ...context }, fn);
+};
+
+export const getLlmUsageContext = () => usageContext.getStore() || null;
+
+// Attaches the goal once it is known, e.g. after autopilot has planned it.
+export const setLlmUsageGoal = (goalId) => {
+  const store = usageContext.getStore();
+  if (store && goalId) {
+    store.goalId = goalId;
+  }
+};
+
+// Rough token estimate (~4 characters per token) for providers that report no usage.
+const estimateTokens = (value) => {
+  if (!value) {
+    return 0;
+  }
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return Math.ceil(text.length / 4);
+};
+
+export const recordLlmUsage = async ({
+  provider,
+  model,
+  role = null,
+  requestType = null,
+  phase = null,
+  usage = null,
+  messages = null,
+  text = ''
+} = {}) => {
+  const estimated = !usage;
+  const tokens = usage || {
+    promptTokens: estimateTokens(messages),
+    completionTokens: estimateTokens(text)
+  };
+
+  const price = resolveLlmPrice(provider, model, await db_operations.listLLMPrices());
+  const context = getLlmUsageContext() || {};
+  const entry = {
+    provider,
+    model,
+    role,
+    requestType,
+    phase,
+    projectId: context.projectId ?? null,
+    goalId: context.goalId ?? null,
+    sessionId: context.sessionId ?? null,
+    promptTokens: tokens.promptTokens,
+    completionTokens: tokens.completionTokens,
+    costUsd: calculateLlmCost(tokens, price),
+    estimated,
+    priced: Boolean(price)
+  };
+
+  await db_operations.recordLLMUsage(entry);
+  return entry;
+};
+
+export const getProjectBudgetStatus = async (projectId) => {
+  const [budgetUsd, spentUsd] = await Promise.all([
+    db_operations.getProjectLLMBudget(projectId),
+    db_operations.getProjectLLMSpend(projectId)
+  ]);
+
+  const hasBudget = typeof budgetUsd === 'number';
+  return {
+    budgetUsd: hasBudget ? budgetUsd : null,
+    spentUsd,
+    remainingUsd: hasBudget ? Math.max(0, budgetUsd - spentUsd) : null,
+    exceeded: hasBudget && spentUsd >= budgetUsd
+  };
+};
@@ -0,0 +1,69 @@
+import { sendAgentUiCommand } from './agentUiCommands.js';
+
+export const PREVIEW_CHECK_TIMEOUT_MS = 20_000;
+
+const MAX_ERROR_CHARS = 500;
+
+const pendingChecks = new Map();
+let nextCheckId = 1;
+
+// Element checks need a real DOM, so they run in the browser: an open LucidCoder window loads
+// the preview page in a hidden frame, asks the preview bridge to query the selector and posts
+// the count back. The first window to answer settles the check.
+export const requestPreviewElementCheck = ({
+  projectId,
+  selector,
+  path = '/',
+  timeoutMs = PREVIEW_CHECK_TIMEOUT_MS
+}) => new Promise((resolve) => {
+  const checkId = String(nextCheckId);
+  nextCheckId += 1;
+
+  const timer = setTimeout(() => {
+    pendingChecks.delete(checkId);
+    resolve({
+      found: false,
+      count: 0,
+      error: 'No open LucidCoder window answered; keep the project open in a browser to check elements'
+    });
+  }, timeoutMs);
+
+  pendingChecks.set(checkId, {
+    projectId: String(projectId),
+    resolve: (result) => {
+      clearTimeout(timer);
+      resolve(result);
+    }
+  });
+
+  sendAgentUiCommand({
+    projectId,
+    command: { type: 'PREVIEW_CHECK_ELEMENT', payload: { checkId, selector, path } }
+  });
+});
+
+// Returns false when the check is unknown, already settled or belongs to another project.
+export const completePreviewElementCheck = (checkId, projectId, result = {}) => {
+  const key = String(checkId);
+  const pending = pendingChecks.get(key);
+  if (!pending || pending.projectId !== String(projectId)) {
+    return false;
+  }
+
+  pendingChecks.delete(key);
+  const count = Number.isInteger(result?.count) && result.count > 0 ? result.count : 0;
+  const error = typeof result?.error === 'string' && result.error.trim()
+    ? result.error.trim().slice(0, MAX_ERROR_CHARS)
+    : null;
+  pending.resolve({ found: count > 0, count, error });
+  return true;
+};
+
+export const __testing = {
+  pendingChecks
+};
+
+export default {
+  requestPreviewElementCheck,
+  completePreviewElementCheck
+};
@@ -0,0 +1,206 @@
+const DEFAULT_MAX_ENTRIES_PER_PROJECT = 100;
+const MAX_MESSAGE_CHARS = 2000;
+const MAX_STACK_CHARS = 4000;
+const MAX_URL_CHARS = 1000;
+
+const RUNTIME_ERROR_KINDS = new Set(['console', 'error', 'unhandledrejection', 'network']);
+const RUNTIME_ERROR_LEVELS = new Set(['error', 'warn']);
+
+const entriesByProject = new Map();
+let nextEntryId = 1;
+
+const normalizeProjectKey = (projectId) => {
+  if (projectId === null || projectId === undefined) {
+    return '';
+  }
+  return String(projectId).trim();
+};
+
+const clampText = (value, maxChars) => {
+  if (typeof value !== 'string') {
+    return '';
+  }
+  const trimmed = value.trim();
+  return trimmed.length > maxChars ? `${trimmed.slice(0, maxChars)}…` : trimmed;
+};
+
+const normalizeOptionalInteger = (value) => {
+  const numeric = Number(value);
+  return Number.isInteger(numeric) && numeric >= 0 ? numeric : null;
+};
+
+const normalizeTimestamp = (value, now) => {
+  const usable = (typeof value === 'string' && value.trim()) || typeof value === 'number';
+  const date = usable ? new Date(value) : null;
+  // Numbers past the Date range (e.g. 1e20) parse to an invalid date and toISOString() would throw.
+  return date && Number.isFinite(date.getTime()) ? date.toISOString() : now();
+};
+
+export const normalizePreviewRuntimeError = (entry = {}, { now = () => new Date().toISOString() } = {}) => {
+  const source = entry && typeof entry === 'object' ? entry : { message: String(entry ?? '') };
+  const kind = RUNTIME_ERROR_KINDS.has(source.kind) ? source.kind : 'error';
+  const level = RUNTIME_ERROR_LEVELS.has(source.level) ? source.level : 'error';
+  const message = clampText(source.message, MAX_MESSAGE_CHARS);
+
+  if (!message) {
+    return null;
+  }
+
+  return {
+    kind,
+    level,
+    message,
+    stack: clampText(source.stack, MAX_STACK_CHARS) || null,
+    source: clampText(source.source, MAX_URL_CHARS) || null,
+    line: normalizeOptionalInteger(source.line),
+    column: normalizeOptionalInteger(source.column),
+    method: clampText(source.method, 16).toUpperCase() || null,
+    url: clampText(source.url, MAX_URL_CHARS) || null,
+    status: normalizeOptionalInteger(source.status),
+    href: clampText(source.href, MAX_URL_CHARS) || null,
+    timestamp: normalizeTimestamp(source.timestamp, now)
+  };
+};
+
+const buildFingerprint = (entry) => [
+  entry.kind,
+  entry.level,
+  entry.message,
+  entry.source || '',
+  entry.line ?? '',
+  entry.url || '',
+  entry.status ?? ''
+].join('|');
+
+export const recordPreviewRuntimeError = (projectId, entry, {
+  maxEntries = DEFAULT_MAX_ENTRIES_PER_PROJECT,
+  now
+} = {}) => {
+  const projectKey = normalizeProjectKey(projectId);
+  if (!projectKey) {
+    return null;
+  }
+
+  const normalized = normalizePreviewRuntimeError(entry, now ? { now } : undefined);
+  if (!normalized) {
+    return null;
+  }
+
+  let entries = entriesByProject.get(projectKey);
+  if (!entries) {
+    entries = [];
+    entriesByProject.set(projectKey, entries);
+  }
+
+  // Render loops tend to emit the same error many times per second; fold
+  // consecutive duplicates into a counter instead of flooding the buffer.
+  const fingerprint = buildFingerprint(normalized);
+  const previous = entries[entries.length - 1];
+  if (previous && previous.fingerprint === fingerprint) {
+    previous.count += 1;
+    previous.lastSeenAt = normalized.timestamp;
+    return previous;
+  }
+
+  const stored = {
+    id: nextEntryId,
+    ...normalized,
+    count: 1,
+    lastSeenAt: normalized.timestamp,
+    fingerprint
+  };
+  nextEntryId += 1;
+
+  entries.push(stored);
+  const cap = Number.isFinite(maxEntries) && maxEntries > 0 ? Math.floor(maxEntries) : DEFAULT_MAX_ENTRIES_PER_PROJECT;
+  while (entries.length > cap) {
+    entries.shift();
+  }
+
+  return stored;
+};
+
+const toPublicEntry = ({ fingerprint, ...rest }) => ({ ...rest });
+
+export const listPreviewRuntimeErrors = (projectId, { limit, since } = {}) => {
+  const projectKey = normalizeProjectKey(projectId);
+  const entries = projectKey ? entriesByProject.get(projectKey) : null;
+  if (!entries || entries.length === 0) {
+    return [];
+  }
+
+  const sinceMs = typeof since === 'string' && since ? Date.parse(since) : Number(since);
+  const filtered = Number.isFinite(sinceMs)
+    ? entries.filter((entry) => Date.parse(entry.lastSeenAt) >= sinceMs)
+    : entries;
+
+  const normalizedLimit = Number.isFinite(limit) && limit > 0 ? Math.floor(limit) : filtered.length;
+  return filtered.slice(-normalizedLimit).map(toPublicEntry);
+};
+
+export const clearPreviewRuntimeErrors = (projectId) => {
+  const projectKey = normalizeProjectKey(projectId);
+  if (!projectKey) {
+    return 0;
+  }
+  const removed = entriesByProject.get(projectKey)?.length || 0;
+  entriesByProject.delete(projectKey);
+  return removed;
+};
+
+const describeLocation = (entry) => {
+  if (entry.kind === 'network') {
+    const target = [entry.method, entry.url].filter(Boolean).join(' ');
+    const status = entry.status ? ` -> ${entry.status}` : '';
+    return target ? ` (${target}${status})` : '';
+  }
+  if (entry.source) {
+    const position = [entry.line, entry.column].filter((value) => value !== null && value !== undefined).join(':');
+    return ` (${entry.source}${position ? `:${position}` : ''})`;
+  }
+  return '';
+};
+
+export const formatPreviewRuntimeErrorsForPrompt = (entries, { limit = 10, maxStackLines = 6 } = {}) => {
+  const list = Array.isArray(entries) ? entries.filter(Boolean) : [];
+  if (!list.length) {
+    return '';
+  }
+
+  const recent = list.slice(-limit);
+  const lines = [];
+  for (const entry of recent) {
+    const label = entry.kind === 'console' ? `console.${entry.level}` : entry.kind;
+    const repeat = entry.count > 1 ? ` (x${entry.count})` : '';
+    lines.push(`- [${label}]${repeat} ${entry.message}${describeLocation(entry)}`);
+    if (entry.stack) {
+      const stackLines = entry.stack
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter(Boolean)
+        .filter((line) => line !== entry.message)
+        .slice(0, maxStackLines);
+      for (const stackLine of stackLines) {
+        lines.push(`    ${stackLine}`);
+      }
+    }
+  }
+
+  const omitted = list.length - recent.length;
+  if (omitted > 0) {
+    lines.push(`- …${omitted} earlier runtime error(s) omitted`);
+  }
+
+  return lines.join('\n');
+};
+
+export const __testing = {
+  reset: () => {
+    entriesByProject.clear();
+    nextEntryId = 1;
+  },
+  clampText,
+  normalizeTimestamp,
+  buildFingerprint,
+  describeLocation
+};
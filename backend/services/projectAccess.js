@@ -0,0 +1,11 @@
+// Project visibility rules, kept free of database access so route modules can apply them to rows
+// they already loaded. Requests made without accounts (no user) and admins see every project.
+export const hasUnrestrictedAccess = (user) => !user || user.role === 'admin';
+
+export const isVisibleProject = (user, project) => (
+  hasUnrestrictedAccess(user) || project?.owner_user_id === user.id
+);
+
+export const filterProjectsForUser = (user, projects) => projects.filter((project) => isVisibleProject(user, project));
+
+export const resolveProjectOwnerId = (user) => user?.id ?? null;
@@ -0,0 +1,262 @@
+import db from '../database.js';
+import { extractCorrectionNote } from './promptHeuristics.js';
+
+// Prompt order within the same priority: rules to avoid first, then decisions, then plain facts.
+export const PROJECT_MEMORY_KINDS = ['avoid', 'decision', 'fact'];
+export const PROJECT_MEMORY_SOURCES = ['user', 'correction'];
+
+export const MIN_MEMORY_PRIORITY = 1;
+export const MAX_MEMORY_PRIORITY = 5;
+export const DEFAULT_MEMORY_PRIORITY = 3;
+
+export const DEFAULT_MEMORY_TOKEN_BUDGET = 600;
+export const MIN_MEMORY_TOKEN_BUDGET = 50;
+export const MAX_MEMORY_TOKEN_BUDGET = 4000;
+
+const MAX_CONTENT_LENGTH = 2000;
+
+const KIND_LABELS = {
+  avoid: 'Avoid',
+  decision: 'Decision',
+  fact: 'Fact'
+};
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function callback(err) {
+    if (err) {
+      reject(err);
+    } else {
+      resolve({ lastID: this?.lastID ?? null, changes: this?.changes ?? null });
+    }
+  });
+});
+
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => {
+    if (err) {
+      reject(err);
+    } else {
+      resolve(row || null);
+    }
+  });
+});
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) {
+      reject(err);
+    } else {
+      resolve(rows || []);
+    }
+  });
+});
+
+// Same ~4 characters per token estimate the usage tracker falls back to.
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+const normalizeContent = (value) => {
+  const content = typeof value === 'string' ? value.trim() : '';
+  if (!content) {
+    throw new Error('content must be a non-empty string');
+  }
+  if (content.length > MAX_CONTENT_LENGTH) {
+    throw new Error(`content must be at most ${MAX_CONTENT_LENGTH} characters`);
+  }
+  return content;
+};
+
+const normalizeKind = (value) => {
+  if (!PROJECT_MEMORY_KINDS.includes(value)) {
+    throw new Error(`kind must be one of: ${PROJECT_MEMORY_KINDS.join(', ')}`);
+  }
+  return value;
+};
+
+const normalizePriority = (value) => {
+  const priority = Number(value);
+  if (!Number.isInteger(priority) || priority < MIN_MEMORY_PRIORITY || priority > MAX_MEMORY_PRIORITY) {
+    throw new Error(`priority must be an integer from ${MIN_MEMORY_PRIORITY} to ${MAX_MEMORY_PRIORITY}`);
+  }
+  return priority;
+};
+
+const normalizeTokenBudget = (value) => {
+  const budget = Number(value);
+  if (!Number.isInteger(budget) || budget < MIN_MEMORY_TOKEN_BUDGET || budget > MAX_MEMORY_TOKEN_BUDGET) {
+    throw new Error(`tokenBudget must be an integer from ${MIN_MEMORY_TOKEN_BUDGET} to ${MAX_MEMORY_TOKEN_BUDGET}`);
+  }
+  return budget;
+};
+
+const normalizeMemoryRow = (row) => ({
+  id: row.id,
+  projectId: row.project_id,
+  kind: row.kind,
+  content: row.content,
+  priority: row.priority,
+  enabled: Boolean(row.enabled),
+  source: row.source,
+  createdAt: row.created_at ?? null,
+  updatedAt: row.updated_at ?? null
+});
+
+const KIND_ORDER_SQL = `CASE kind ${PROJECT_MEMORY_KINDS.map((kind, index) => `WHEN '${kind}' THEN ${index}`).join(' ')} ELSE ${PROJECT_MEMORY_KINDS.length} END`;
+
+export const getProjectMemory = async (memoryId) => {
+  const row = await get('SELECT * FROM project_memories WHERE id = ?', [memoryId]);
+  return row ? normalizeMemoryRow(row) : null;
+};
+
+// Lists memories in the order they are injected into prompts.
+export const listProjectMemories = async (projectId, { enabledOnly = false } = {}) => {
+  const rows = await all(
+    `SELECT * FROM project_memories
+      WHERE project_id = ?${enabledOnly ? ' AND enabled = 1' : ''}
+      ORDER BY priority DESC, ${KIND_ORDER_SQL}, updated_at DESC, id DESC`,
+    [projectId]
+  );
+  return rows.map(normalizeMemoryRow);
+};
+
+export const createProjectMemory = async (projectId, {
+  kind = 'fact',
+  content,
+  priority = DEFAULT_MEMORY_PRIORITY,
+  enabled = true,
+  source = 'user'
+} = {}) => {
+  if (!projectId) {
+    throw new Error('projectId is required');
+  }
+  if (!PROJECT_MEMORY_SOURCES.includes(source)) {
+    throw new Error(`source must be one of: ${PROJECT_MEMORY_SOURCES.join(', ')}`);
+  }
+  const { lastID } = await run(
+    `INSERT INTO project_memories (project_id, kind, content, priority, enabled, source)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [projectId, normalizeKind(kind), normalizeContent(content), normalizePriority(priority), enabled ? 1 : 0, source]
+  );
+  return getProjectMemory(lastID);
+};
+
+export const updateProjectMemory = async (memoryId, { kind, content, priority, enabled } = {}) => {
+  const assignments = [];
+  const params = [];
+  if (kind !== undefined) {
+    assignments.push('kind = ?');
+    params.push(normalizeKind(kind));
+  }
+  if (content !== undefined) {
+    assignments.push('content = ?');
+    params.push(normalizeContent(content));
+  }
+  if (priority !== undefined) {
+    assignments.push('priority = ?');
+    params.push(normalizePriority(priority));
+  }
+  if (enabled !== undefined) {
+    assignments.push('enabled = ?');
+    params.push(enabled ? 1 : 0);
+  }
+  if (assignments.length > 0) {
+    await run(
+      `UPDATE project_memories SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...params, memoryId]
+    );
+  }
+  return getProjectMemory(memoryId);
+};
+
+export const deleteProjectMemory = async (memoryId) => {
+  const { changes } = await run('DELETE FROM project_memories WHERE id = ?', [memoryId]);
+  return changes > 0;
+};
+
+export const getProjectMemorySettings = async (projectId) => {
+  const row = await get('SELECT * FROM project_memory_settings WHERE project_id = ?', [projectId]);
+  return {
+    autoCapture: Boolean(row?.auto_capture),
+    tokenBudget: row?.token_budget ?? DEFAULT_MEMORY_TOKEN_BUDGET
+  };
+};
+
+export const updateProjectMemorySettings = async (projectId, { autoCapture, tokenBudget } = {}) => {
+  const current = await getProjectMemorySettings(projectId);
+  const next = {
+    autoCapture: autoCapture === undefined ? current.autoCapture : Boolean(autoCapture),
+    tokenBudget: tokenBudget === undefined ? current.tokenBudget : normalizeTokenBudget(tokenBudget)
+  };
+  await run(
+    `INSERT INTO project_memory_settings (project_id, auto_capture, token_budget, updated_at)
+     VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+     ON CONFLICT(project_id) DO UPDATE SET
+       auto_capture = excluded.auto_capture,
+       token_budget = excluded.token_budget,
+       updated_at = CURRENT_TIMESTAMP`,
+    [projectId, next.autoCapture ? 1 : 0, next.tokenBudget]
+  );
+  return next;
+};
+
+// Builds the prompt section for a project's enabled memories. Entries are added in priority
+// order; one that does not fit the remaining token budget is skipped so shorter, lower-priority
+// entries can still be included.
+export const buildProjectMemoryContext = async (projectId, { tokenBudget } = {}) => {
+  const memories = await listProjectMemories(projectId, { enabledOnly: true });
+  if (memories.length === 0) {
+    return '';
+  }
+  const budget = tokenBudget ?? (await getProjectMemorySettings(projectId)).tokenBudget;
+  const header = 'Project memory (conventions and past decisions for this project; follow them unless the request says otherwise):';
+
+  let remaining = budget - estimateTokens(header);
+  const lines = [];
+  memories.forEach((memory) => {
+    const line = `- ${KIND_LABELS[memory.kind]}: ${memory.content.replace(/\s+/g, ' ')}`;
+    const cost = estimateTokens(line) + 1;
+    if (cost <= remaining) {
+      lines.push(line);
+      remaining -= cost;
+    }
+  });
+
+  return lines.length > 0 ? [header, ...lines].join('\n') : '';
+};
+
+// Prompt builders call this so a memory lookup failure never blocks an agent run.
+export const loadProjectMemoryContext = async (projectId) => {
+  try {
+    return await buildProjectMemoryContext(projectId);
+  } catch (error) {
+    console.warn('[ProjectMemory] Failed to load project memory:', error?.message || error);
+    return '';
+  }
+};
+
+// Saves a user's correction of the agent as a memory when the project has auto-capture on.
+// Returns the new memory, or null when nothing was saved.
+export const captureCorrectionMemory = async (projectId, prompt) => {
+  const note = extractCorrectionNote(prompt);
+  if (!note) {
+    return null;
+  }
+  const { autoCapture } = await getProjectMemorySettings(projectId);
+  if (!autoCapture) {
+    return null;
+  }
+  const duplicate = await get(
+    'SELECT id FROM project_memories WHERE project_id = ? AND LOWER(content) = LOWER(?)',
+    [projectId, note.content]
+  );
+  if (duplicate) {
+    return null;
+  }
+  return createProjectMemory(projectId, { ...note, source: 'correction' });
+};
+
+export const __testing = {
+  estimateTokens,
+  normalizeContent,
+  normalizePriority,
+  normalizeTokenBudget
+};
@@ -25,6 +25,8 @@ import {
   templates
 } from './projectScaffolding/generate.js';
 import { initializeGitRepository } from './projectScaffolding/git.js';
+import { copyProjectTemplate, findProjectTemplate } from './projectScaffolding/templateRegistry.js';
+import { readWorkspaceTemplateManifest } from './projectScaffolding/templateManifest.js';
 import { buildCloneUrl } from '../utils/gitUrl.js';
 import {
   runGitCommand,
@@ -141,6 +143,14 @@ const resolveBackendScriptName = (scripts = {}) => {
   return '';
 };
 
+// Template manifests carry a full shell command line for starting the workspace.
+const spawnTemplateStartCommand = (command, { cwd, env }) => spawn(command, {
+  cwd,
+  stdio: 'pipe',
+  shell: true,
+  env: { ...process.env, ...env }
+});
+
 const resolveWindowsShell = async () => {
   if (process.platform !== 'win32') {
     return null;
@@ -252,6 +262,11 @@ const buildPreInstallGitIgnoreSuggestion = async (projectPath) => {
     repoRoot
   };
 };
+
+const describeUserTemplate = (template) => (template?.directory
+  ? { label: template.name, devPort: template.ports.dev, commands: template.commands }
+  : {});
+
 // Main scaffolding functions
 export const generateProjectFiles = async (projectConfig) => {
   const { name, description, frontend, backend, path: projectPath } = projectConfig;
@@ -272,14 +287,30 @@ export const generateProjectFiles = async (projectConfig) => {
   await ensureDirectory(frontendPath);
   await ensureDirectory(backendPath);
 
+  const frontendTemplate = await findProjectTemplate('frontend', frontend);
+  const backendTemplate = await findProjectTemplate('backend', backend);
+
   // Generate main project files
-  await generateMainProjectFiles(projectPath, { name, description, frontend, backend });
+  await generateMainProjectFiles(projectPath, {
+    name,
+    description,
+    frontend: { ...frontend, ...describeUserTemplate(frontendTemplate) },
+    backend: { ...backend, ...describeUserTemplate(backendTemplate) }
+  });
   
   // Generate frontend files
-  await generateFrontendFiles(frontendPath, { name: sanitizedName, ...frontend });
+  if (frontendTemplate?.directory) {
+    await copyProjectTemplate(frontendTemplate, frontendPath, { name: sanitizedName });
+  } else {
+    await generateFrontendFiles(frontendPath, { name: sanitizedName, ...frontend });
+  }
   
   // Generate backend files
-  await generateBackendFiles(backendPath, { name: sanitizedName, ...backend });
+  if (backendTemplate?.directory) {
+    await copyProjectTemplate(backendTemplate, backendPath, { name: sanitizedName });
+  } else {
+    await generateBackendFiles(backendPath, { name: sanitizedName, ...backend });
+  }
 };
 
 export const installDependencies = async (projectPath) => {
@@ -322,12 +353,19 @@ export const installDependencies = async (projectPath) => {
     return;
   }
 
+  const frontendManifest = await readWorkspaceTemplateManifest(frontendPath);
+  const backendManifest = await readWorkspaceTemplateManifest(backendPath);
+
   console.log('📦 Installing frontend dependencies...');
   try {
-    // If a previous create attempt partially installed deps, start from a clean slate.
-    await removePathIfPresent(path.join(frontendPath, 'node_modules'));
-    await removePathIfPresent(path.join(frontendPath, 'package-lock.json'));
-    await execWithRetry(execAsync, 'npm install', { cwd: frontendPath, ...npmInstallShellOptions }, { maxBuffer });
+    if (frontendManifest?.commands.install) {
+      await execWithRetry(execAsync, frontendManifest.commands.install, { cwd: frontendPath, ...npmInstallShellOptions }, { maxBuffer });
+    } else {
+      // If a previous create attempt partially installed deps, start from a clean slate.
+      await removePathIfPresent(path.join(frontendPath, 'node_modules'));
+      await removePathIfPresent(path.join(frontendPath, 'package-lock.json'));
+      await execWithRetry(execAsync, 'npm install', { cwd: frontendPath, ...npmInstallShellOptions }, { maxBuffer });
+    }
     console.log('✅ Frontend dependencies installed');
   } catch (error) {
     console.error('❌ Frontend dependency installation failed:', error.message);
@@ -342,8 +380,14 @@ export const installDependencies = async (projectPath) => {
     
     const packageJsonExists = await fs.access(packageJsonPath).then(() => true).catch(() => false);
     const requirementsExists = await fs.access(requirementsPath).then(() => true).catch(() => false);
-    const hasNodeBackend = packageJsonExists;
-    const hasPythonBackend = !packageJsonExists && requirementsExists;
+    const hasTemplateInstall = Boolean(backendManifest?.commands.install);
+    const hasNodeBackend = !hasTemplateInstall && packageJsonExists;
+    const hasPythonBackend = !hasTemplateInstall && !packageJsonExists && requirementsExists;
+
+    if (hasTemplateInstall) {
+      await execWithRetry(execAsync, backendManifest.commands.install, { cwd: backendPath, ...npmInstallShellOptions }, { maxBuffer });
+      console.log('✅ Backend dependencies installed');
+    }
 
     if (hasNodeBackend) {
       // Node.js backend
@@ -399,10 +443,14 @@ export const startProject = async (projectPath, options = {}) => {
   const rootPackageJsonExists = await fs.access(rootPackageJsonPath).then(() => true).catch(() => false);
   const packageJsonExists = await fs.access(backendPackageJsonPath).then(() => true).catch(() => false);
   const appPyExists = await fs.access(appPyPath).then(() => true).catch(() => false);
-  const resolvedFrontendPath = frontendPackageJsonExists
+  const frontendManifest = await readWorkspaceTemplateManifest(frontendPath);
+  const backendManifest = await readWorkspaceTemplateManifest(backendPath);
+  const frontendStartCommand = frontendManifest?.commands.start || '';
+  const backendStartCommand = backendManifest?.commands.start || '';
+  const resolvedFrontendPath = frontendPackageJsonExists || frontendStartCommand
     ? frontendPath
     : (rootPackageJsonExists ? projectPath : frontendPath);
-  const hasFrontendEntrypoint = frontendPackageJsonExists || rootPackageJsonExists;
+  const hasFrontendEntrypoint = frontendPackageJsonExists || rootPackageJsonExists || Boolean(frontendStartCommand);
   const rootScripts = rootPackageJsonExists ? await readPackageScripts(rootPackageJsonPath) : {};
   const rootBackendScriptName = resolveBackendScriptName(rootScripts);
 
@@ -416,7 +464,7 @@ export const startProject = async (projectPath, options = {}) => {
   let preferredBackendPort = normalizePortCandidate(options.backendPort);
   const hasExplicitBackendBase = Object.prototype.hasOwnProperty.call(options, 'backendPortBase');
   const resolvedBackendPortBase = normalizePortBase(options.backendPortBase, DEFAULT_BACKEND_PORT_BASE);
-  const backendDefaultPort = (packageJsonExists || rootBackendScriptName) ? 3000 : 5000;
+  const backendDefaultPort = backendManifest?.ports.dev || ((packageJsonExists || rootBackendScriptName) ? 3000 : 5000);
   if (preferredBackendPort && preferredBackendPort < resolvedBackendPortBase && hasExplicitBackendBase) {
     preferredBackendPort = null;
   }
@@ -460,8 +508,16 @@ export const startProject = async (projectPath, options = {}) => {
     if (shouldStartBackend) {
       // Start backend first
       console.log('🚀 Starting backend server...');
+
+      if (backendStartCommand) {
+        const backendProcess = spawnTemplateStartCommand(backendStartCommand, {
+          cwd: backendPath,
+          env: { PORT: String(backendPort) }
+        });
+        processes.backend = createProcessInfo('backend', backendProcess, backendPort);
+      }
       
-      if (packageJsonExists) {
+      if (!backendStartCommand && packageJsonExists) {
         // Node.js backend
         const backendProcess = spawn('npm', ['run', 'dev'], {
           cwd: backendPath,
@@ -472,7 +528,7 @@ export const startProject = async (projectPath, options = {}) => {
         processes.backend = createProcessInfo('backend', backendProcess, backendPort);
       }
 
-      if (!packageJsonExists && appPyExists) {
+      if (!backendStartCommand && !packageJsonExists && appPyExists) {
         // Python backend - cross-platform virtual environment handling
         let backendProcess;
         
@@ -527,7 +583,7 @@ export const startProject = async (projectPath, options = {}) => {
         processes.backend = createProcessInfo('backend', backendProcess, backendPort);
       }
 
-      if (!packageJsonExists && !appPyExists && rootBackendScriptName) {
+      if (!backendStartCommand && !packageJsonExists && !appPyExists && rootBackendScriptName) {
         const backendProcess = spawn('npm', ['run', rootBackendScriptName], {
           cwd: projectPath,
           stdio: 'pipe',
@@ -547,17 +603,22 @@ export const startProject = async (projectPath, options = {}) => {
       await ensureFrontendLanHostBinding(projectPath, { logger: console });
 
       console.log('🚀 Starting frontend development server...');
-      const frontendProcess = spawn('npm', ['run', 'dev', '--', '--host', '0.0.0.0', '--port', String(frontendPort)], {
-        cwd: resolvedFrontendPath,
-        stdio: 'pipe',
-        shell: true,
-        env: {
-          ...process.env,
-          PORT: String(frontendPort),
-          HOST: '0.0.0.0',
-          HOSTNAME: '0.0.0.0'
-        }
-      });
+      const frontendProcess = frontendStartCommand
+        ? spawnTemplateStartCommand(frontendStartCommand, {
+          cwd: frontendPath,
+          env: { PORT: String(frontendPort), HOST: '0.0.0.0', HOSTNAME: '0.0.0.0' }
+        })
+        : spawn('npm', ['run', 'dev', '--', '--host', '0.0.0.0', '--port', String(frontendPort)], {
+          cwd: resolvedFrontendPath,
+          stdio: 'pipe',
+          shell: true,
+          env: {
+            ...process.env,
+            PORT: String(frontendPort),
+            HOST: '0.0.0.0',
+            HOSTNAME: '0.0.0.0'
+          }
+        });
       processes.frontend = createProcessInfo('frontend', frontendProcess, frontendPort);
     }
 
@@ -896,12 +957,16 @@ export const startProjectTarget = async (projectPath, target, options = {}) => {
   const rootPackageJsonExists = await fs.access(rootPackageJsonPath).then(() => true).catch(() => false);
   const packageJsonExists = await fs.access(backendPackageJsonPath).then(() => true).catch(() => false);
   const appPyExists = await fs.access(appPyPath).then(() => true).catch(() => false);
-  const resolvedFrontendPath = frontendPackageJsonExists
+  const frontendManifest = await readWorkspaceTemplateManifest(frontendPath);
+  const backendManifest = await readWorkspaceTemplateManifest(backendPath);
+  const frontendStartCommand = frontendManifest?.commands.start || '';
+  const backendStartCommand = backendManifest?.commands.start || '';
+  const resolvedFrontendPath = frontendPackageJsonExists || frontendStartCommand
     ? frontendPath
     : (rootPackageJsonExists ? projectPath : frontendPath);
   const rootScripts = rootPackageJsonExists ? await readPackageScripts(rootPackageJsonPath) : {};
   const rootBackendScriptName = resolveBackendScriptName(rootScripts);
-  const hasBackendEntrypoint = packageJsonExists || appPyExists || Boolean(rootBackendScriptName);
+  const hasBackendEntrypoint = Boolean(backendStartCommand) || packageJsonExists || appPyExists || Boolean(rootBackendScriptName);
 
   const hasExplicitFrontendBase = Object.prototype.hasOwnProperty.call(options, 'frontendPortBase');
   const hasExplicitBackendBase = Object.prototype.hasOwnProperty.call(options, 'backendPortBase');
@@ -926,7 +991,7 @@ export const startProjectTarget = async (projectPath, target, options = {}) => {
   if (normalizedTarget === 'backend') {
     let preferredBackendPort = normalizePortCandidate(options.backendPort);
     const resolvedBackendPortBase = normalizePortBase(options.backendPortBase, DEFAULT_BACKEND_PORT_BASE);
-    const backendDefaultPort = (packageJsonExists || rootBackendScriptName) ? 3000 : 5000;
+    const backendDefaultPort = backendManifest?.ports.dev || ((packageJsonExists || rootBackendScriptName) ? 3000 : 5000);
     if (preferredBackendPort && preferredBackendPort < resolvedBackendPortBase && hasExplicitBackendBase) {
       preferredBackendPort = null;
     }
@@ -954,23 +1019,37 @@ export const startProjectTarget = async (projectPath, target, options = {}) => {
   if (normalizedTarget === 'frontend') {
     await ensureFrontendLanHostBinding(projectPath, { logger: console });
 
-    const proc = spawn('npm', ['run', 'dev', '--', '--host', '0.0.0.0', '--port', String(frontendPort)], {
-      cwd: resolvedFrontendPath,
-      stdio: 'pipe',
-      shell: true,
-      env: {
-        ...process.env,
-        PORT: String(frontendPort),
-        HOST: '0.0.0.0',
-        HOSTNAME: '0.0.0.0'
-      }
-    });
+    const proc = frontendStartCommand
+      ? spawnTemplateStartCommand(frontendStartCommand, {
+        cwd: frontendPath,
+        env: { PORT: String(frontendPort), HOST: '0.0.0.0', HOSTNAME: '0.0.0.0' }
+      })
+      : spawn('npm', ['run', 'dev', '--', '--host', '0.0.0.0', '--port', String(frontendPort)], {
+        cwd: resolvedFrontendPath,
+        stdio: 'pipe',
+        shell: true,
+        env: {
+          ...process.env,
+          PORT: String(frontendPort),
+          HOST: '0.0.0.0',
+          HOSTNAME: '0.0.0.0'
+        }
+      });
 
     const processInfo = createProcessInfo('frontend', proc, frontendPort);
     return { success: true, process: processInfo, port: frontendPort };
   }
 
   // backend
+  if (backendStartCommand) {
+    const backendProcess = spawnTemplateStartCommand(backendStartCommand, {
+      cwd: backendPath,
+      env: { PORT: String(backendPort) }
+    });
+    const processInfo = createProcessInfo('backend', backendProcess, backendPort);
+    return { success: true, process: processInfo, port: backendPort };
+  }
+
   if (packageJsonExists) {
     const backendProcess = spawn('npm', ['run', 'dev'], {
       cwd: backendPath,
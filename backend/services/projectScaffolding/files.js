@@ -41,3 +41,9 @@ export const pathExists = async (targetPath) => {
     return false;
   }
 };
+
+export const writeTemplateFiles = async (rootPath, files) => {
+  for (const [relativePath, content] of Object.entries(files)) {
+    await writeFile(path.join(rootPath, ...relativePath.split('/')), content);
+  }
+};
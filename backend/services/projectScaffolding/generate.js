@@ -1,9 +1,23 @@
 import path from 'path';
 import { templates } from './templates.js';
-import { ensureDirectory, sanitizeProjectName, writeFile } from './files.js';
+import { ensureDirectory, sanitizeProjectName, writeFile, writeTemplateFiles } from './files.js';
 
 const DEFAULT_PROJECT_VERSION = '0.1.0';
 
+const FRAMEWORK_LABELS = {
+  react: 'React',
+  vue: 'Vue',
+  svelte: 'Svelte',
+  nextjs: 'Next.js',
+  express: 'Express',
+  flask: 'Flask',
+  fastify: 'Fastify',
+  nestjs: 'NestJS',
+  fastapi: 'FastAPI'
+};
+
+export const describeFramework = (framework) => FRAMEWORK_LABELS[framework] || framework;
+
 export const generateMainProjectFiles = async (projectPath, config) => {
   const { name, description, frontend, backend } = config;
 
@@ -17,6 +31,16 @@ export const generateMainProjectFiles = async (projectPath, config) => {
   const hasFrontendPlaywright = Boolean(frontendPackageJson?.devDependencies?.['@playwright/test']);
   const hasBackendE2E = Boolean(backendPackageJson?.scripts?.['test:e2e']);
 
+  const isPythonBackend = backend.language === 'python';
+  // Registry templates loaded from disk pass their manifest label, port and commands alongside the stack.
+  const frontendLabel = frontend.label || describeFramework(frontend.framework);
+  const backendLabel = backend.label || describeFramework(backend.framework);
+  const frontendPort = frontend.devPort || frontendTemplate?.devPort || 5173;
+  const defaultBackendPort = backend.devPort || backendTemplate?.devPort || (isPythonBackend ? 5000 : 3000);
+  // Next.js and the Node backends both default to 3000, so move the backend out of the way.
+  const backendPort = defaultBackendPort === frontendPort ? 5000 : defaultBackendPort;
+  const backendPortPrefix = backendPort === defaultBackendPort ? '' : `PORT=${backendPort} `;
+
   // README.md
   const readmeContent = `# ${name}
 
@@ -26,28 +50,28 @@ Version: ${DEFAULT_PROJECT_VERSION}
 
 ## Project Structure
 
-- \`frontend/\` - ${frontend.framework} (${frontend.language}) frontend application
-- \`backend/\` - ${backend.framework} (${backend.language}) backend API
+- \`frontend/\` - ${frontendLabel} (${frontend.language}) frontend application
+- \`backend/\` - ${backendLabel} (${backend.language}) backend API
 
 ## Getting Started
 
 ### Prerequisites
 
 - Node.js (v18 or higher)
-${backend.language === 'python' ? '- Python (v3.8 or higher)' : ''}
+${isPythonBackend ? '- Python (v3.8 or higher)' : ''}
 
 ### Installation
 
 1. Install frontend dependencies:
    \`\`\`bash
    cd frontend
-   npm install
+   ${frontend.commands?.install || 'npm install'}
    \`\`\`
 
 2. Install backend dependencies:
    \`\`\`bash
    cd backend
-   ${backend.language === 'python' ? 'pip install -r requirements.txt' : 'npm install'}
+   ${backend.commands?.install || (isPythonBackend ? 'pip install -r requirements.txt' : 'npm install')}
    \`\`\`
 
 ### Development
@@ -55,17 +79,17 @@ ${backend.language === 'python' ? '- Python (v3.8 or higher)' : ''}
 1. Start the backend server:
    \`\`\`bash
    cd backend
-   ${backend.language === 'python' ? 'python app.py' : 'npm run dev'}
+   ${backendPortPrefix}${backend.commands?.start || (isPythonBackend ? 'python app.py' : 'npm run dev')}
    \`\`\`
 
 2. Start the frontend development server:
    \`\`\`bash
    cd frontend
-   npm run dev
+   ${frontend.commands?.start || 'npm run dev'}
    \`\`\`
 
-The frontend will be available at http://localhost:5173 and the backend at http://localhost:${backend.language === 'python' ? '5000' : '3000'}.
-
+The frontend will be available at http://localhost:${frontendPort} and the backend at http://localhost:${backendPort}.
+${frontendTemplate?.readmeNote ? `\n${frontendTemplate.readmeNote}\n` : ''}
 ## Testing
 
 ### Frontend
@@ -94,7 +118,7 @@ ${hasFrontendPlaywright ? `- One-time Playwright browser install (required befor
   npx playwright install
   \`\`\`
 ` : ''}` : ''}
-${hasBackendE2E ? `### Backend (Express)
+${hasBackendE2E ? `### Backend (${backendLabel})
 
 - Run unit tests:
   \`\`\`bash
@@ -108,7 +132,7 @@ ${hasBackendE2E ? `### Backend (Express)
   npm run test:e2e
   \`\`\`
 ` : ''}
-${backend.language === 'python' ? `### Backend (Flask)
+${isPythonBackend ? `### Backend (${backendLabel})
 
 - Run unit tests:
   \`\`\`bash
@@ -138,8 +162,8 @@ ${backend.language === 'python' ? `### Backend (Flask)
 
 ## Features
 
-- Modern ${frontend.framework} frontend
-- ${backend.framework} backend API
+- Modern ${frontendLabel} frontend
+- ${backendLabel} backend API
 - CORS enabled for development
 - Hot reload for both frontend and backend
 - Environment configuration
@@ -331,6 +355,14 @@ export const generateFrontendFiles = async (frontendPath, config) => {
   }
 
   const template = templates.frontend[framework][language];
+
+  // Newer templates describe their whole file tree instead of the named fields below.
+  if (typeof template.files === 'function') {
+    await writeFile(path.join(frontendPath, 'package.json'), template.packageJson(name));
+    await writeTemplateFiles(frontendPath, template.files(name));
+    return;
+  }
+
   const isReact = framework === 'react';
   const isVue = framework === 'vue';
 
@@ -438,6 +470,15 @@ export const generateBackendFiles = async (backendPath, config) => {
   }
 
   const template = templates.backend[framework][language];
+
+  if (typeof template.files === 'function') {
+    if (template.packageJson) {
+      await writeFile(path.join(backendPath, 'package.json'), template.packageJson(name));
+    }
+    await writeTemplateFiles(backendPath, template.files(name));
+    return;
+  }
+
   const isExpress = framework === 'express';
   const isFlask = framework === 'flask';
 
@@ -0,0 +1,122 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+export const TEMPLATE_MANIFEST_FILENAME = 'lucidcoder-template.json';
+
+const TEMPLATE_SIDES = new Set(['frontend', 'backend']);
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9._-]*$/;
+const COMMAND_NAMES = ['install', 'start', 'test'];
+
+export class TemplateManifestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateManifestError';
+  }
+}
+
+const trimString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const normalizeSlug = (value, field) => {
+  const slug = trimString(value).toLowerCase();
+  if (!SLUG_PATTERN.test(slug)) {
+    throw new TemplateManifestError(`Template manifest "${field}" must be a lowercase slug`);
+  }
+  return slug;
+};
+
+const normalizeCommands = (commands) => {
+  const normalized = {};
+  if (!commands || typeof commands !== 'object') {
+    return normalized;
+  }
+  for (const name of COMMAND_NAMES) {
+    const command = trimString(commands[name]);
+    if (command) {
+      normalized[name] = command;
+    }
+  }
+  return normalized;
+};
+
+const normalizeDevPort = (ports) => {
+  if (ports?.dev == null) {
+    return null;
+  }
+  const port = Number(ports.dev);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new TemplateManifestError('Template manifest "ports.dev" must be a valid TCP port');
+  }
+  return port;
+};
+
+const normalizeCoverageDirectory = (coverage) => {
+  const directory = trimString(coverage?.directory).replace(/\\/g, '/').replace(/\/+$/, '');
+  if (!directory) {
+    return null;
+  }
+  if (path.posix.isAbsolute(directory) || directory.split('/').includes('..')) {
+    throw new TemplateManifestError('Template manifest "coverage.directory" must stay inside the template');
+  }
+  return directory;
+};
+
+export const normalizeTemplateManifest = (raw) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new TemplateManifestError('Template manifest must be a JSON object');
+  }
+
+  const side = trimString(raw.side).toLowerCase();
+  if (!TEMPLATE_SIDES.has(side)) {
+    throw new TemplateManifestError('Template manifest "side" must be "frontend" or "backend"');
+  }
+
+  const language = normalizeSlug(raw.language, 'language');
+  const framework = normalizeSlug(raw.framework, 'framework');
+
+  return {
+    side,
+    language,
+    framework,
+    name: trimString(raw.name) || framework,
+    description: trimString(raw.description),
+    commands: normalizeCommands(raw.commands),
+    ports: { dev: normalizeDevPort(raw.ports) },
+    coverage: { directory: normalizeCoverageDirectory(raw.coverage) }
+  };
+};
+
+export const readTemplateManifest = async (directory) => {
+  const manifestPath = path.join(directory, TEMPLATE_MANIFEST_FILENAME);
+  let raw;
+  try {
+    raw = await fs.readFile(manifestPath, 'utf8');
+  } catch (error) {
+    if (error?.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    throw new TemplateManifestError(`${TEMPLATE_MANIFEST_FILENAME} is not valid JSON`);
+  }
+  return normalizeTemplateManifest(parsed);
+};
+
+// Generated workspaces keep their manifest so installs, starts and test runs can honour it later.
+// A broken manifest there should never block those flows, so fall back to the defaults instead.
+export const readWorkspaceTemplateManifest = async (directory) => {
+  try {
+    return await readTemplateManifest(directory);
+  } catch {
+    return null;
+  }
+};
+
+export const splitTemplateCommand = (commandLine) => {
+  const [command, ...args] = trimString(commandLine).split(/\s+/).filter(Boolean);
+  return command ? { command, args } : null;
+};
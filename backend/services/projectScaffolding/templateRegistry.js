@@ -0,0 +1,230 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { templates } from './templates.js';
+import { describeFramework } from './generate.js';
+import { ensureDirectory, pathExists, sanitizeProjectName } from './files.js';
+import { readTemplateManifest, TEMPLATE_MANIFEST_FILENAME } from './templateManifest.js';
+import { getTemplatesDir } from '../../utils/projectPaths.js';
+import { runGitCommand } from '../../utils/git.js';
+
+const SKIPPED_TEMPLATE_ENTRIES = new Set(['.git', 'node_modules']);
+const PROJECT_NAME_PLACEHOLDER = /\{\{\s*projectName\s*\}\}/g;
+const GIT_URL_PATTERN = /^(?:https?:\/\/|ssh:\/\/|file:\/\/|git@[^:\s]+:)\S+$/i;
+
+export class TemplateRegistryError extends Error {
+  constructor(message, { statusCode = 400 } = {}) {
+    super(message);
+    this.name = 'TemplateRegistryError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Ports of user templates seen by the last scan, so synchronous callers (process port hints)
+// can resolve frameworks that are not built in.
+const userTemplatePorts = new Map();
+
+const templateKey = (side, framework, language) => `${side}:${framework}:${language}`;
+
+const defaultBuiltinPort = (side, language) => {
+  if (side === 'frontend') {
+    return 5173;
+  }
+  return language === 'python' ? 5000 : 3000;
+};
+
+const listBuiltinTemplates = () => {
+  const entries = [];
+  for (const side of ['frontend', 'backend']) {
+    for (const [framework, languages] of Object.entries(templates[side])) {
+      for (const [language, template] of Object.entries(languages)) {
+        entries.push({
+          id: `builtin:${templateKey(side, framework, language)}`,
+          source: 'builtin',
+          side,
+          language,
+          framework,
+          name: describeFramework(framework),
+          description: '',
+          commands: {},
+          ports: { dev: template.devPort || defaultBuiltinPort(side, language) },
+          coverage: { directory: language === 'python' ? null : 'coverage' }
+        });
+      }
+    }
+  }
+  return entries;
+};
+
+const listChildDirectories = async (directory) => {
+  const entries = await fs.readdir(directory, { withFileTypes: true });
+  return entries
+    .filter((entry) => entry.isDirectory() && !entry.name.startsWith('.') && !SKIPPED_TEMPLATE_ENTRIES.has(entry.name))
+    .map((entry) => entry.name)
+    .sort();
+};
+
+const readTemplateAt = async ({ directory, templatesDir, source }) => {
+  try {
+    const manifest = await readTemplateManifest(directory);
+    if (!manifest) {
+      return null;
+    }
+    const relativePath = path.relative(templatesDir, directory).split(path.sep).join('/');
+    return { id: `${source}:${relativePath}`, source, ...manifest, directory };
+  } catch (error) {
+    console.warn(`[Templates] Skipping ${directory}: ${error.message}`);
+    return null;
+  }
+};
+
+// A template folder either holds a manifest itself or groups several templates one level down
+// (for example a starter repo with separate frontend/ and backend/ folders).
+const scanTemplateFolder = async ({ folder, templatesDir }) => {
+  const source = await pathExists(path.join(folder, '.git')) ? 'git' : 'local';
+  const rootTemplate = await readTemplateAt({ directory: folder, templatesDir, source });
+  if (rootTemplate) {
+    return [rootTemplate];
+  }
+
+  const found = [];
+  for (const child of await listChildDirectories(folder)) {
+    const template = await readTemplateAt({ directory: path.join(folder, child), templatesDir, source });
+    if (template) {
+      found.push(template);
+    }
+  }
+  return found;
+};
+
+const scanUserTemplates = async (templatesDir) => {
+  let folders;
+  try {
+    folders = await listChildDirectories(templatesDir);
+  } catch (error) {
+    if (error?.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const found = [];
+  for (const folder of folders) {
+    found.push(...await scanTemplateFolder({ folder: path.join(templatesDir, folder), templatesDir }));
+  }
+  return found;
+};
+
+export const listProjectTemplates = async ({ templatesDir = getTemplatesDir() } = {}) => {
+  const userTemplates = [];
+  const seen = new Set();
+  for (const template of await scanUserTemplates(templatesDir)) {
+    const key = templateKey(template.side, template.framework, template.language);
+    if (seen.has(key)) {
+      console.warn(`[Templates] Ignoring duplicate ${key} template at ${template.directory}`);
+      continue;
+    }
+    seen.add(key);
+    userTemplates.push(template);
+  }
+
+  userTemplatePorts.clear();
+  for (const template of userTemplates) {
+    if (template.ports.dev) {
+      userTemplatePorts.set(`${template.side}:${template.framework}`, template.ports.dev);
+    }
+  }
+
+  // User templates shadow the built-in template for the same stack so a company starter can replace it.
+  const builtinTemplates = listBuiltinTemplates()
+    .filter((template) => !seen.has(templateKey(template.side, template.framework, template.language)));
+
+  return [...builtinTemplates, ...userTemplates];
+};
+
+export const findProjectTemplate = async (side, { framework, language } = {}, options = {}) => {
+  const registry = await listProjectTemplates(options);
+  return registry.find((template) =>
+    template.side === side
+    && template.framework === framework
+    && template.language === language
+  ) || null;
+};
+
+export const getRegisteredTemplatePort = (side, framework) =>
+  userTemplatePorts.get(`${side}:${framework}`) || null;
+
+const isTextBuffer = (buffer) => !buffer.includes(0);
+
+const copyTemplateDirectory = async (sourceDir, targetDir, projectName) => {
+  await ensureDirectory(targetDir);
+  const entries = await fs.readdir(sourceDir, { withFileTypes: true });
+  for (const entry of entries) {
+    if (SKIPPED_TEMPLATE_ENTRIES.has(entry.name)) {
+      continue;
+    }
+    const sourcePath = path.join(sourceDir, entry.name);
+    const targetPath = path.join(targetDir, entry.name);
+    if (entry.isDirectory()) {
+      await copyTemplateDirectory(sourcePath, targetPath, projectName);
+      continue;
+    }
+    if (!entry.isFile()) {
+      continue;
+    }
+    const content = await fs.readFile(sourcePath);
+    await fs.writeFile(
+      targetPath,
+      isTextBuffer(content) ? content.toString('utf8').replace(PROJECT_NAME_PLACEHOLDER, projectName) : content
+    );
+  }
+};
+
+// Copies a user template into a project workspace. The manifest travels with the files so
+// installs, starts and test runs keep using the template's commands.
+export const copyProjectTemplate = async (template, targetDir, { name }) => {
+  if (!template?.directory) {
+    throw new TemplateRegistryError('Only user templates can be copied from disk');
+  }
+  await copyTemplateDirectory(template.directory, targetDir, name);
+};
+
+const deriveTemplateFolderName = (gitUrl) => {
+  const lastSegment = gitUrl.replace(/[\\/]+$/, '').split(/[\\/:]/).pop();
+  const folderName = sanitizeProjectName(lastSegment.replace(/\.git$/i, '')).replace(/^-+|-+$/g, '');
+  return folderName || 'template';
+};
+
+export const addTemplateFromGit = async (
+  gitUrl,
+  { templatesDir = getTemplatesDir(), runGit = runGitCommand } = {}
+) => {
+  const url = typeof gitUrl === 'string' ? gitUrl.trim() : '';
+  if (!GIT_URL_PATTERN.test(url)) {
+    throw new TemplateRegistryError('A git URL (https, ssh or file) is required');
+  }
+
+  const folderName = deriveTemplateFolderName(url);
+  const folder = path.join(templatesDir, folderName);
+  if (await pathExists(folder)) {
+    throw new TemplateRegistryError(`A template folder named "${folderName}" already exists`, { statusCode: 409 });
+  }
+
+  await ensureDirectory(templatesDir);
+  try {
+    await runGit(templatesDir, ['clone', '--depth', '1', '--', url, folderName]);
+  } catch (error) {
+    await fs.rm(folder, { recursive: true, force: true });
+    throw new TemplateRegistryError(`Failed to clone template repository: ${error.message}`, { statusCode: 502 });
+  }
+
+  const added = await scanTemplateFolder({ folder, templatesDir });
+  if (!added.length) {
+    await fs.rm(folder, { recursive: true, force: true });
+    throw new TemplateRegistryError(`The repository does not contain a ${TEMPLATE_MANIFEST_FILENAME} manifest`);
+  }
+
+  await listProjectTemplates({ templatesDir });
+  return added;
+};
+
+export const serializeTemplate = ({ directory, ...template }) => template;
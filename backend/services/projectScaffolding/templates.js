@@ -1,16 +1,26 @@
 // Template generators for different frameworks
 import react from './templates/frontend/react.js';
 import vue from './templates/frontend/vue.js';
+import svelte from './templates/frontend/svelte.js';
+import nextjs from './templates/frontend/nextjs.js';
 import express from './templates/backend/express.js';
 import flask from './templates/backend/flask.js';
+import fastify from './templates/backend/fastify.js';
+import nestjs from './templates/backend/nestjs.js';
+import fastapi from './templates/backend/fastapi.js';
 
 export const templates = {
   frontend: {
     react,
-    vue
+    vue,
+    svelte,
+    nextjs
   },
   backend: {
     express,
-    flask
+    flask,
+    fastify,
+    nestjs,
+    fastapi
   }
 };
@@ -0,0 +1,101 @@
+// FastAPI template generators
+export default {
+  python: {
+    devPort: 5000,
+    files: (name) => ({
+      'requirements.txt': `fastapi==0.110.0
+uvicorn[standard]==0.29.0
+python-dotenv==1.0.0
+
+# Testing & coverage
+httpx==0.27.0
+pytest==8.2.2
+pytest-cov==5.0.0
+`,
+      'app.py': `from datetime import datetime
+import os
+
+from dotenv import load_dotenv
+from fastapi import FastAPI
+from fastapi.middleware.cors import CORSMiddleware
+import uvicorn
+
+load_dotenv()
+
+app = FastAPI(title='${name}')
+app.add_middleware(
+    CORSMiddleware,
+    allow_origins=['*'],
+    allow_methods=['*'],
+    allow_headers=['*'],
+)
+
+
+@app.get('/api/health')
+def health():
+    return {
+        'message': 'Backend is running successfully!',
+        'project': '${name}',
+        'timestamp': datetime.now().isoformat(),
+    }
+
+
+@app.get('/api')
+def api():
+    return {'message': 'Welcome to ${name} API'}
+
+
+if __name__ == '__main__':
+    port = int(os.environ.get('PORT', 5000))
+    uvicorn.run('app:app', host='0.0.0.0', port=port, reload=True)
+`,
+      'pytest.ini': `[pytest]
+markers =
+  e2e: end-to-end tests
+pythonpath = .
+testpaths = tests
+addopts = -q
+`,
+      '.coveragerc': `[run]
+omit =
+    tests/*
+    venv/*
+    .venv/*
+
+[report]
+exclude_lines =
+    pragma: no cover
+    if __name__ == .__main__.:
+`,
+      'tests/test_app.py': `from fastapi.testclient import TestClient
+import pytest
+
+from app import app
+
+
+@pytest.fixture()
+def client():
+    return TestClient(app)
+
+
+def test_health_endpoint(client):
+    response = client.get('/api/health')
+    assert response.status_code == 200
+    data = response.json()
+    assert data['message'] == 'Backend is running successfully!'
+    assert data['project'] == '${name}'
+
+
+@pytest.mark.e2e
+def test_e2e_api_root(client):
+    response = client.get('/api')
+    assert response.status_code == 200
+    assert 'message' in response.json()
+`,
+      '.env.example': `PORT=5000
+ENVIRONMENT=development`,
+      '.env': `PORT=5000
+ENVIRONMENT=development`
+    })
+  }
+}
@@ -0,0 +1,141 @@
+// Fastify template generators
+export default {
+  javascript: {
+    devPort: 3000,
+    packageJson: (name) => ({
+      name: `${name}-backend`,
+      version: "0.1.0",
+      type: "module",
+      main: "server.js",
+      scripts: {
+        start: "node server.js",
+        dev: "node --watch server.js",
+        test: "jest",
+        "test:watch": "jest --watch",
+        "test:coverage": "jest --coverage"
+      },
+      dependencies: {
+        fastify: "^4.26.2",
+        "@fastify/cors": "^9.0.1",
+        dotenv: "^16.3.1"
+      },
+      devDependencies: {
+        jest: "^29.7.0",
+        "@babel/preset-env": "^7.23.6",
+        "babel-jest": "^29.7.0"
+      }
+    }),
+    files: (name) => ({
+      'app.js': `import Fastify from 'fastify';
+import cors from '@fastify/cors';
+
+export const buildApp = (options) => {
+  const app = Fastify(options);
+
+  app.register(cors);
+
+  app.get('/api/health', async () => ({
+    message: 'Backend is running successfully!',
+    project: '${name}',
+    timestamp: new Date().toISOString()
+  }));
+
+  app.get('/api', async () => ({ message: 'Welcome to ${name} API' }));
+
+  app.post('/api/echo', async (request, reply) => {
+    reply.code(201);
+    return { received: request.body || {} };
+  });
+
+  app.setNotFoundHandler((request, reply) => {
+    reply.code(404).send({ error: 'Route not found' });
+  });
+
+  return app;
+};
+
+export default buildApp;
+`,
+      'server.js': `import dotenv from 'dotenv';
+import { buildApp } from './app.js';
+
+dotenv.config();
+
+const PORT = Number(process.env.PORT) || 3000;
+const app = buildApp({ logger: true });
+
+app.listen({ port: PORT, host: '0.0.0.0' }).catch((error) => {
+  app.log.error(error);
+  process.exit(1);
+});
+`,
+      '.env.example': `PORT=3000
+NODE_ENV=development`,
+      '.env': `PORT=3000
+NODE_ENV=development`,
+      'babel.config.cjs': `module.exports = {
+  presets: [['@babel/preset-env', { targets: { node: 'current' } }]]
+};`,
+      'jest.config.js': `export default {
+  testEnvironment: 'node',
+  collectCoverageFrom: ['app.js'],
+  coverageDirectory: 'coverage',
+  coverageReporters: ['text', 'json', 'json-summary', 'lcov'],
+  testMatch: ['**/__tests__/**/*.test.js'],
+  transform: {
+    '^.+\\\\.js$': 'babel-jest'
+  }
+}`,
+      '__tests__/app.test.js': `import { describe, test, expect, beforeEach, afterEach } from '@jest/globals'
+import { buildApp } from '../app.js'
+
+describe('${name} API', () => {
+  let app
+
+  beforeEach(async () => {
+    app = buildApp()
+    await app.ready()
+  })
+
+  afterEach(async () => {
+    await app.close()
+  })
+
+  test('responds to the health check endpoint', async () => {
+    const response = await app.inject({ method: 'GET', url: '/api/health' })
+
+    expect(response.statusCode).toBe(200)
+    expect(response.json()).toMatchObject({
+      message: 'Backend is running successfully!',
+      project: '${name}'
+    })
+  })
+
+  test('serves the API root', async () => {
+    const response = await app.inject({ method: 'GET', url: '/api' })
+    expect(response.json()).toEqual({ message: 'Welcome to ${name} API' })
+  })
+
+  test('echoes JSON payloads', async () => {
+    const response = await app.inject({ method: 'POST', url: '/api/echo', payload: { hello: 'world' } })
+
+    expect(response.statusCode).toBe(201)
+    expect(response.json()).toEqual({ received: { hello: 'world' } })
+  })
+
+  test('echoes an empty object when no payload is sent', async () => {
+    const response = await app.inject({ method: 'POST', url: '/api/echo' })
+    expect(response.json()).toEqual({ received: {} })
+  })
+
+  test('returns a JSON 404 for unknown routes', async () => {
+    const response = await app.inject({ method: 'GET', url: '/nonexistent-route' })
+
+    expect(response.statusCode).toBe(404)
+    expect(response.json()).toEqual({ error: 'Route not found' })
+  })
+})
+`
+    })
+  }
+}
@@ -0,0 +1,183 @@
+// NestJS template generators
+export default {
+  typescript: {
+    devPort: 3000,
+    packageJson: (name) => ({
+      name: `${name}-backend`,
+      version: "0.1.0",
+      private: true,
+      scripts: {
+        build: "nest build",
+        start: "node dist/main.js",
+        dev: "nest start --watch",
+        test: "jest",
+        "test:watch": "jest --watch",
+        "test:coverage": "jest --coverage"
+      },
+      dependencies: {
+        "@nestjs/common": "^10.3.0",
+        "@nestjs/core": "^10.3.0",
+        "@nestjs/platform-express": "^10.3.0",
+        "reflect-metadata": "^0.2.1",
+        rxjs: "^7.8.1"
+      },
+      devDependencies: {
+        "@nestjs/cli": "^10.3.0",
+        "@nestjs/testing": "^10.3.0",
+        "@types/jest": "^29.5.11",
+        "@types/node": "^20.10.5",
+        "@types/supertest": "^6.0.2",
+        jest: "^29.7.0",
+        supertest: "^6.3.3",
+        "ts-jest": "^29.1.1",
+        typescript: "^5.3.3"
+      }
+    }),
+    files: (name) => ({
+      'nest-cli.json': {
+        sourceRoot: 'src'
+      },
+      'tsconfig.json': {
+        compilerOptions: {
+          module: 'commonjs',
+          target: 'ES2021',
+          declaration: false,
+          emitDecoratorMetadata: true,
+          experimentalDecorators: true,
+          esModuleInterop: true,
+          skipLibCheck: true,
+          sourceMap: true,
+          outDir: './dist',
+          baseUrl: './'
+        },
+        include: ['src/**/*']
+      },
+      'tsconfig.build.json': {
+        extends: './tsconfig.json',
+        exclude: ['node_modules', 'dist', 'src/**/*.spec.ts']
+      },
+      'jest.config.js': `module.exports = {
+  rootDir: 'src',
+  testEnvironment: 'node',
+  moduleFileExtensions: ['js', 'json', 'ts'],
+  testRegex: '.*\\\\.spec\\\\.ts$',
+  transform: {
+    '^.+\\\\.ts$': 'ts-jest'
+  },
+  collectCoverageFrom: ['**/*.ts', '!main.ts', '!**/*.spec.ts'],
+  coverageDirectory: '../coverage',
+  coverageReporters: ['text', 'json', 'json-summary', 'lcov']
+};
+`,
+      'src/main.ts': `import { NestFactory } from '@nestjs/core';
+import { AppModule } from './app.module';
+
+async function bootstrap() {
+  const app = await NestFactory.create(AppModule);
+  app.enableCors();
+  app.setGlobalPrefix('api');
+  const port = Number(process.env.PORT) || 3000;
+  await app.listen(port, '0.0.0.0');
+  console.log('🚀 ${name} backend server running on http://0.0.0.0:' + port);
+}
+
+bootstrap();
+`,
+      'src/app.module.ts': `import { Module } from '@nestjs/common';
+import { AppController } from './app.controller';
+import { AppService } from './app.service';
+
+@Module({
+  controllers: [AppController],
+  providers: [AppService]
+})
+export class AppModule {}
+`,
+      'src/app.service.ts': `import { Injectable } from '@nestjs/common';
+
+@Injectable()
+export class AppService {
+  getHealth() {
+    return {
+      message: 'Backend is running successfully!',
+      project: '${name}',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  getWelcome() {
+    return { message: 'Welcome to ${name} API' };
+  }
+}
+`,
+      'src/app.controller.ts': `import { Body, Controller, Get, HttpCode, Post } from '@nestjs/common';
+import { AppService } from './app.service';
+
+@Controller()
+export class AppController {
+  constructor(private readonly appService: AppService) {}
+
+  @Get()
+  getWelcome() {
+    return this.appService.getWelcome();
+  }
+
+  @Get('health')
+  getHealth() {
+    return this.appService.getHealth();
+  }
+
+  @Post('echo')
+  @HttpCode(201)
+  echo(@Body() body: Record<string, unknown>) {
+    return { received: body };
+  }
+}
+`,
+      'src/app.controller.spec.ts': `import { INestApplication } from '@nestjs/common';
+import { Test } from '@nestjs/testing';
+import request from 'supertest';
+import { AppModule } from './app.module';
+
+describe('${name} API', () => {
+  let app: INestApplication;
+
+  beforeEach(async () => {
+    const moduleRef = await Test.createTestingModule({ imports: [AppModule] }).compile();
+    app = moduleRef.createNestApplication();
+    app.setGlobalPrefix('api');
+    await app.init();
+  });
+
+  afterEach(async () => {
+    await app.close();
+  });
+
+  it('responds to the health check endpoint', async () => {
+    const response = await request(app.getHttpServer()).get('/api/health').expect(200);
+
+    expect(response.body).toMatchObject({
+      message: 'Backend is running successfully!',
+      project: '${name}'
+    });
+  });
+
+  it('serves the API root', async () => {
+    await request(app.getHttpServer()).get('/api').expect(200, { message: 'Welcome to ${name} API' });
+  });
+
+  it('echoes JSON payloads', async () => {
+    await request(app.getHttpServer())
+      .post('/api/echo')
+      .send({ hello: 'world' })
+      .expect(201, { received: { hello: 'world' } });
+  });
+});
+`,
+      '.env.example': `PORT=3000
+NODE_ENV=development`,
+      '.env': `PORT=3000
+NODE_ENV=development`
+    })
+  }
+}
@@ -0,0 +1,231 @@
+// Next.js template generators
+export default {
+  javascript: {
+    devPort: 3000,
+    readmeNote: 'The Next.js dev server forwards `/api` requests to `BACKEND_URL` (default http://localhost:5000).',
+    packageJson: (name) => ({
+      name: `${name}-frontend`,
+      private: true,
+      version: "0.1.0",
+      scripts: {
+        dev: "node scripts/dev.mjs",
+        build: "next build",
+        start: "next start",
+        test: "vitest run",
+        "test:watch": "vitest",
+        "test:coverage": "vitest run --coverage",
+        "test:e2e": "playwright test"
+      },
+      dependencies: {
+        next: "^14.2.3",
+        react: "^18.2.0",
+        "react-dom": "^18.2.0"
+      },
+      devDependencies: {
+        "@testing-library/jest-dom": "^6.1.4",
+        "@testing-library/react": "^14.1.2",
+        "@vitejs/plugin-react": "^4.2.1",
+        "@vitest/coverage-v8": "^1.0.4",
+        jsdom: "^23.0.1",
+        "@playwright/test": "^1.49.1",
+        vitest: "^1.0.4"
+      }
+    }),
+    files: (name) => ({
+      // The workspace starts every frontend with Vite-style "--host/--port" flags; next dev expects -H/-p.
+      'scripts/dev.mjs': `import { spawn } from 'node:child_process'
+import { createRequire } from 'node:module'
+
+const args = process.argv.slice(2)
+const readFlag = (flag) => {
+  const index = args.indexOf(flag)
+  return index === -1 ? undefined : args[index + 1]
+}
+
+const port = readFlag('--port') || process.env.PORT || '3000'
+const host = readFlag('--host') || '0.0.0.0'
+const nextBin = createRequire(import.meta.url).resolve('next/dist/bin/next')
+
+const child = spawn(process.execPath, [nextBin, 'dev', '-H', host, '-p', port], {
+  stdio: 'inherit',
+  env: { ...process.env, PORT: port }
+})
+
+child.on('exit', (code) => process.exit(code ?? 0))
+`,
+      'next.config.mjs': `const backendUrl = process.env.BACKEND_URL || 'http://localhost:5000'
+
+/** @type {import('next').NextConfig} */
+const nextConfig = {
+  async rewrites() {
+    return [
+      {
+        source: '/api/:path*',
+        destination: \`\${backendUrl}/api/:path*\`
+      }
+    ]
+  }
+}
+
+export default nextConfig
+`,
+      'vitest.config.mjs': `import { defineConfig } from 'vitest/config'
+import react from '@vitejs/plugin-react'
+
+export default defineConfig({
+  plugins: [react()],
+  test: {
+    globals: true,
+    environment: 'jsdom',
+    setupFiles: ['./test/setup.js'],
+    include: ['**/__tests__/**/*.test.{js,jsx}'],
+    exclude: ['node_modules/**', '.next/**'],
+    coverage: {
+      provider: 'v8',
+      reporter: ['text', 'json', 'json-summary', 'html'],
+      include: ['app/**/*.{js,jsx}'],
+      exclude: ['app/layout.jsx']
+    }
+  }
+})
+`,
+      'playwright.config.mjs': `import { defineConfig, devices } from '@playwright/test'
+
+export default defineConfig({
+  testDir: './e2e',
+  timeout: 30_000,
+  use: {
+    baseURL: 'http://127.0.0.1:3000',
+    trace: 'retain-on-failure'
+  },
+  webServer: {
+    command: 'npm run dev -- --host 127.0.0.1 --port 3000',
+    url: 'http://127.0.0.1:3000',
+    reuseExistingServer: true,
+    timeout: 60_000
+  },
+  projects: [
+    {
+      name: 'chromium',
+      use: { ...devices['Desktop Chrome'] }
+    }
+  ]
+})
+`,
+      'e2e/app.spec.js': `import { test, expect } from '@playwright/test'
+
+test('${name} loads', async ({ page }) => {
+  await page.goto('/')
+  await expect(page.getByRole('heading', { level: 1, name: '${name}' })).toBeVisible()
+})
+`,
+      'app/layout.jsx': `import './globals.css'
+
+export const metadata = {
+  title: '${name}'
+}
+
+export default function RootLayout({ children }) {
+  return (
+    <html lang="en">
+      <body>{children}</body>
+    </html>
+  )
+}
+`,
+      'app/page.jsx': `'use client'
+
+import { useEffect, useState } from 'react'
+
+export default function Home() {
+  const [message, setMessage] = useState('')
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    fetch('/api/health')
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error('Backend responded with ' + response.status)
+        }
+        return response.json()
+      })
+      .then((data) => setMessage(data.message))
+      .catch(() => setMessage('Failed to connect to backend'))
+      .finally(() => setLoading(false))
+  }, [])
+
+  return (
+    <main className="app">
+      <header className="app-header">
+        <h1>${name}</h1>
+        <p>{loading ? 'Connecting to backend...' : message}</p>
+        <p>
+          Edit <code>app/page.jsx</code> and save to reload.
+        </p>
+      </header>
+    </main>
+  )
+}
+`,
+      'app/globals.css': `body {
+  margin: 0;
+  font-family: Inter, system-ui, Avenir, Helvetica, Arial, sans-serif;
+  background-color: #f0f0f0;
+}
+
+.app {
+  max-width: 960px;
+  margin: 60px auto;
+}
+
+.app-header {
+  background-color: #282c34;
+  padding: 20px;
+  color: white;
+  border-radius: 8px;
+  text-align: center;
+}
+
+.app-header code {
+  background-color: #444;
+  padding: 2px 4px;
+  border-radius: 4px;
+}
+`,
+      'test/setup.js': `import '@testing-library/jest-dom/vitest'
+
+process.env.NODE_ENV = 'test'
+`,
+      '__tests__/page.test.jsx': `import { render, screen } from '@testing-library/react'
+import { describe, test, expect, vi, afterEach } from 'vitest'
+import Home from '../app/page'
+
+describe('${name} home page', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  test('renders the backend health message', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ message: 'Backend is running successfully!' })
+    }))
+
+    render(<Home />)
+
+    expect(screen.getByRole('heading', { level: 1, name: '${name}' })).toBeInTheDocument()
+    expect(await screen.findByText('Backend is running successfully!')).toBeInTheDocument()
+  })
+
+  test('reports when the backend is unreachable', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: false, status: 502 }))
+
+    render(<Home />)
+
+    expect(await screen.findByText('Failed to connect to backend')).toBeInTheDocument()
+  })
+})
+`
+    })
+  }
+}
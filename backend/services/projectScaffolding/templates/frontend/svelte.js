@@ -0,0 +1,229 @@
+// Svelte template generators
+export default {
+  javascript: {
+    devPort: 5173,
+    packageJson: (name) => ({
+      name: `${name}-frontend`,
+      private: true,
+      version: "0.1.0",
+      type: "module",
+      scripts: {
+        dev: "vite",
+        build: "vite build",
+        preview: "vite preview",
+        test: "vitest run",
+        "test:watch": "vitest",
+        "test:coverage": "vitest run --coverage",
+        "test:e2e": "playwright test"
+      },
+      dependencies: {
+        axios: "^1.6.0"
+      },
+      devDependencies: {
+        "@sveltejs/vite-plugin-svelte": "^3.0.1",
+        "@testing-library/jest-dom": "^6.1.4",
+        "@testing-library/svelte": "^4.0.5",
+        "@vitest/coverage-v8": "^1.0.4",
+        jsdom: "^23.0.1",
+        "@playwright/test": "^1.49.1",
+        svelte: "^4.2.8",
+        vite: "^5.0.8",
+        vitest: "^1.0.4"
+      }
+    }),
+    files: (name) => ({
+      'vite.config.js': `import { defineConfig } from 'vite'
+import { svelte } from '@sveltejs/vite-plugin-svelte'
+
+export default defineConfig({
+  plugins: [svelte()],
+  server: {
+    host: '0.0.0.0',
+    port: 5173,
+    proxy: {
+      '/api': {
+        target: 'http://localhost:3000',
+        changeOrigin: true
+      }
+    }
+  }
+})
+`,
+      'vitest.config.js': `import { defineConfig } from 'vitest/config'
+import { svelte } from '@sveltejs/vite-plugin-svelte'
+
+export default defineConfig({
+  plugins: [svelte({ hot: false })],
+  // Resolve Svelte's browser build so lifecycle hooks such as onMount run under jsdom.
+  resolve: {
+    conditions: ['browser']
+  },
+  test: {
+    globals: true,
+    environment: 'jsdom',
+    setupFiles: ['./src/test/setup.js'],
+    include: ['src/**/*.{test,spec}.js'],
+    coverage: {
+      provider: 'v8',
+      reporter: ['text', 'json', 'json-summary', 'html'],
+      include: ['src/**/*.{js,svelte}'],
+      exclude: [
+        'src/test/**',
+        'src/**/__tests__/**',
+        'src/main.js'
+      ]
+    }
+  }
+})
+`,
+      'playwright.config.js': `import { defineConfig, devices } from '@playwright/test'
+
+export default defineConfig({
+  testDir: './e2e',
+  timeout: 30_000,
+  use: {
+    baseURL: 'http://127.0.0.1:5173',
+    trace: 'retain-on-failure'
+  },
+  webServer: {
+    command: 'npm run dev -- --host 127.0.0.1 --port 5173',
+    url: 'http://127.0.0.1:5173',
+    reuseExistingServer: true,
+    timeout: 60_000
+  },
+  projects: [
+    {
+      name: 'chromium',
+      use: { ...devices['Desktop Chrome'] }
+    }
+  ]
+})
+`,
+      'e2e/app.spec.js': `import { test, expect } from '@playwright/test'
+
+test('${name} loads', async ({ page }) => {
+  await page.goto('/')
+  await expect(page.getByRole('heading', { level: 1, name: '${name}' })).toBeVisible()
+})
+`,
+      'index.html': `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <link rel="icon" type="image/svg+xml" href="/favicon.svg" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${name}</title>
+  </head>
+  <body>
+    <div id="app"></div>
+    <script type="module" src="/src/main.js"></script>
+  </body>
+</html>
+`,
+      'public/favicon.svg': '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 32 32"><title>svelte</title><circle cx="16" cy="16" r="14" fill="#ff3e00"/></svg>',
+      'src/main.js': `import './app.css'
+import App from './App.svelte'
+
+const app = new App({
+  target: document.getElementById('app')
+})
+
+export default app
+`,
+      'src/App.svelte': `<script>
+  import { onMount } from 'svelte'
+  import axios from 'axios'
+
+  let message = ''
+  let loading = true
+
+  onMount(async () => {
+    try {
+      const response = await axios.get('/api/health')
+      message = response.data.message
+    } catch (error) {
+      message = 'Failed to connect to backend'
+    } finally {
+      loading = false
+    }
+  })
+</script>
+
+<main>
+  <header class="app-header">
+    <h1>${name}</h1>
+    {#if loading}
+      <p>Connecting to backend...</p>
+    {:else}
+      <p>{message}</p>
+    {/if}
+    <p>
+      Edit <code>src/App.svelte</code> and save to test HMR
+    </p>
+  </header>
+</main>
+
+<style>
+  .app-header {
+    background-color: #282c34;
+    padding: 20px;
+    color: white;
+    border-radius: 8px;
+    text-align: center;
+  }
+
+  .app-header code {
+    background-color: #444;
+    padding: 2px 4px;
+    border-radius: 4px;
+  }
+</style>
+`,
+      'src/app.css': `body {
+  margin: 0;
+  font-family: Inter, system-ui, Avenir, Helvetica, Arial, sans-serif;
+  background-color: #f0f0f0;
+}
+
+#app {
+  max-width: 960px;
+  margin: 60px auto;
+}
+`,
+      'src/test/setup.js': `import '@testing-library/jest-dom/vitest'
+
+process.env.NODE_ENV = 'test'
+`,
+      'src/__tests__/App.test.js': `import { render, screen } from '@testing-library/svelte'
+import { describe, test, expect, vi, afterEach } from 'vitest'
+import axios from 'axios'
+import App from '../App.svelte'
+
+vi.mock('axios')
+
+describe('${name} App', () => {
+  afterEach(() => {
+    vi.resetAllMocks()
+  })
+
+  test('renders the backend health message', async () => {
+    axios.get.mockResolvedValue({ data: { message: 'Backend is running successfully!' } })
+
+    render(App)
+
+    expect(screen.getByRole('heading', { level: 1, name: '${name}' })).toBeInTheDocument()
+    expect(await screen.findByText('Backend is running successfully!')).toBeInTheDocument()
+  })
+
+  test('reports when the backend is unreachable', async () => {
+    axios.get.mockRejectedValue(new Error('offline'))
+
+    render(App)
+
+    expect(await screen.findByText('Failed to connect to backend')).toBeInTheDocument()
+  })
+})
+`
+    })
+  }
+}
@@ -1,15 +1,35 @@
+import { AsyncLocalStorage } from 'async_hooks';
 import fs from 'fs/promises';
 import path from 'path';
 import { getProject } from '../database.js';
 import { resolveProjectPath } from '../utils/projectPaths.js';
+import { refreshIndexedFile, searchCode } from './codeIndex.js';
 
 const normalizeRelativePath = (value = '') => value.replace(/^\/+/, '').trim();
 
+// Lets work running against a separate checkout of a project (e.g. a git worktree used by
+// a parallel child goal) resolve that checkout instead of the project's own path.
+const projectRootOverrides = new AsyncLocalStorage();
+
+export const runWithProjectRoot = (projectId, projectRoot, fn) => (
+  projectRootOverrides.run({ projectId: String(projectId), projectRoot: path.resolve(projectRoot) }, fn)
+);
+
+// True while `fn` of a runWithProjectRoot call for this project is running.
+export const isProjectRootOverridden = (projectId) => (
+  projectRootOverrides.getStore()?.projectId === String(projectId)
+);
+
 export const getProjectRoot = async (projectId) => {
   if (!projectId) {
     throw new Error('projectId is required');
   }
 
+  const override = projectRootOverrides.getStore();
+  if (override && override.projectId === String(projectId)) {
+    return override.projectRoot;
+  }
+
   const project = await getProject(projectId);
   if (!project) {
     throw new Error(`Project ${projectId} not found`);
@@ -67,16 +87,22 @@ export const readProjectFile = async (projectId, relativePath) => {
 };
 
 export const writeProjectFile = async (projectId, relativePath, content) => {
-  const { absolutePath } = await resolveProjectRelativePath(projectId, relativePath);
+  const { projectRoot, absolutePath } = await resolveProjectRelativePath(projectId, relativePath);
   const dir = path.dirname(absolutePath);
   await fs.mkdir(dir, { recursive: true });
   await fs.writeFile(absolutePath, content ?? '', 'utf-8');
+  await refreshIndexedFile(projectRoot, path.relative(projectRoot, absolutePath));
   return absolutePath;
 };
 
+export const searchProjectCode = async (projectId, options) => searchCode(await ensureProjectRoot(projectId), options);
+
 export default {
   readProjectFile,
   writeProjectFile,
   getProjectRoot,
-  listProjectDirectory
+  runWithProjectRoot,
+  isProjectRootOverridden,
+  listProjectDirectory,
+  searchProjectCode
 };
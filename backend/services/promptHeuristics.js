@@ -203,6 +203,28 @@ export const extractLatestRequest = (prompt = '') => {
   return unwrapNestedLabel(raw);
 };
 
+const CORRECTION_OPENER_REGEX = /^(?:no|nope|wrong|not like that|that'?s (?:not|wrong)|that is (?:not|wrong)|you (?:shouldn'?t|should not))\b[\s,.!:;-]*/i;
+const STANDING_RULE_REGEX = /^(?:please\s+)?(?:don'?t|do not|never|avoid|always|from now on|going forward)\b/i;
+const AVOID_RULE_REGEX = /\b(?:don'?t|do not|never|stop|avoid)\b/i;
+const MAX_CORRECTION_NOTE_CHARS = 280;
+
+// Recognises a user correcting the agent ("No, don't use inline styles", "Always use pnpm") and
+// returns it as a project memory note. Ordinary requests return null.
+export const extractCorrectionNote = (prompt = '') => {
+  const request = extractLatestRequest(prompt).replace(/\s+/g, ' ').trim();
+  const opener = request.match(CORRECTION_OPENER_REGEX);
+  const body = opener ? request.slice(opener[0].length).trim() : request;
+  if (!body || (!opener && !STANDING_RULE_REGEX.test(body))) {
+    return null;
+  }
+
+  const sentence = `${body.charAt(0).toUpperCase()}${body.slice(1)}`;
+  const content = sentence.length > MAX_CORRECTION_NOTE_CHARS
+    ? `${sentence.slice(0, MAX_CORRECTION_NOTE_CHARS - 1).trimEnd()}…`
+    : sentence;
+  return { kind: AVOID_RULE_REGEX.test(body) ? 'avoid' : 'decision', content };
+};
+
 export const isStyleOnlyPrompt = (prompt = '') => {
   const text = normalizePrompt(extractLatestRequest(prompt));
   if (!text) return false;
@@ -313,6 +335,7 @@ export default {
   isStyleOnlyPrompt,
   extractStyleColor,
   extractLatestRequest,
+  extractCorrectionNote,
   extractSelectedProjectAssets,
   hasResolvedClarificationAnswers
 };
@@ -0,0 +1,228 @@
+import axios from 'axios';
+
+const SUPPORTED_PROVIDERS = new Set(['github', 'gitlab']);
+
+export class PullRequestError extends Error {
+  constructor(message, { statusCode = 400, provider = 'github', details = null } = {}) {
+    super(message);
+    this.name = 'PullRequestError';
+    this.statusCode = statusCode;
+    this.provider = provider;
+    this.details = details;
+  }
+}
+
+const normalizeProvider = (provider) => (provider || 'github').toLowerCase();
+
+const mapAxiosError = (error, fallback) => {
+  if (!error || typeof error !== 'object') {
+    return { message: fallback, statusCode: 500, details: null };
+  }
+
+  if (error.response) {
+    const details = error.response.data || null;
+    const providerMessage = details && (
+      details.errors?.[0]?.message
+      || (Array.isArray(details.message) ? details.message[0] : details.message)
+      || details.error
+    );
+    return {
+      message: providerMessage || fallback,
+      statusCode: error.response.status || 400,
+      details
+    };
+  }
+
+  if (error.request) {
+    return {
+      message: 'No response from provider API',
+      statusCode: 504,
+      details: null
+    };
+  }
+
+  return {
+    message: error.message || fallback,
+    statusCode: 500,
+    details: null
+  };
+};
+
+// Accepts https, http and scp-style ssh remotes and returns the web origin plus the
+// "owner/repo" path (GitLab paths may include nested groups).
+export const parseRemoteRepository = (remoteUrl) => {
+  const raw = typeof remoteUrl === 'string' ? remoteUrl.trim() : '';
+  if (!raw) {
+    return null;
+  }
+
+  let host = '';
+  let origin = '';
+  let repoPath = '';
+
+  const scpMatch = raw.match(/^(?:[^@/\s]+@)?([^:/\s]+):(?!\/)(.+)$/);
+  if (scpMatch) {
+    host = scpMatch[1];
+    origin = `https://${host}`;
+    repoPath = scpMatch[2];
+  } else {
+    let parsed;
+    try {
+      parsed = new URL(raw);
+    } catch {
+      return null;
+    }
+    host = parsed.hostname;
+    origin = parsed.protocol === 'http:' || parsed.protocol === 'https:'
+      ? `${parsed.protocol}//${parsed.host}`
+      : `https://${parsed.hostname}`;
+    repoPath = parsed.pathname;
+  }
+
+  const normalizedPath = repoPath
+    .replace(/^\/+|\/+$/g, '')
+    .replace(/\.git$/i, '');
+  const segments = normalizedPath.split('/').filter(Boolean);
+  if (!host || segments.length < 2) {
+    return null;
+  }
+
+  return {
+    host: host.toLowerCase(),
+    origin,
+    path: segments.join('/'),
+    owner: segments.slice(0, -1).join('/'),
+    repo: segments[segments.length - 1]
+  };
+};
+
+// github.com uses its dedicated API host; self-hosted GitHub Enterprise and GitLab serve
+// the API from the same origin as the web UI.
+export const resolveApiBaseUrl = (provider, repository) => {
+  if (provider === 'gitlab') {
+    return `${repository.origin}/api/v4`;
+  }
+  if (repository.host === 'github.com') {
+    return 'https://api.github.com';
+  }
+  return `${repository.origin}/api/v3`;
+};
+
+const normalizePullRequestStatus = (provider, data = {}) => {
+  if (provider === 'gitlab') {
+    if (data.state === 'merged') {
+      return 'merged';
+    }
+    return data.state === 'closed' ? 'closed' : 'open';
+  }
+  if (data.merged || data.merged_at) {
+    return 'merged';
+  }
+  return data.state === 'closed' ? 'closed' : 'open';
+};
+
+const toPullRequest = (provider, data = {}) => ({
+  provider,
+  number: provider === 'gitlab' ? data.iid : data.number,
+  url: provider === 'gitlab' ? data.web_url : data.html_url,
+  status: normalizePullRequestStatus(provider, data),
+  title: data.title || ''
+});
+
+const resolveTarget = ({ provider: requestedProvider, token, remoteUrl }) => {
+  const provider = normalizeProvider(requestedProvider);
+  if (!SUPPORTED_PROVIDERS.has(provider)) {
+    throw new PullRequestError(`Unsupported git provider: ${requestedProvider}`, { provider });
+  }
+  if (!token?.trim()) {
+    throw new PullRequestError('A personal access token is required to open a pull request', { provider });
+  }
+  const repository = parseRemoteRepository(remoteUrl);
+  if (!repository) {
+    throw new PullRequestError('Remote URL does not point to a repository', { provider });
+  }
+
+  const headers = provider === 'gitlab'
+    ? { 'Private-Token': token.trim() }
+    : {
+      Authorization: `Bearer ${token.trim()}`,
+      Accept: 'application/vnd.github+json',
+      'User-Agent': 'LucidCoder'
+    };
+
+  const apiBaseUrl = resolveApiBaseUrl(provider, repository);
+  const repoUrl = provider === 'gitlab'
+    ? `${apiBaseUrl}/projects/${encodeURIComponent(repository.path)}/merge_requests`
+    : `${apiBaseUrl}/repos/${repository.owner}/${repository.repo}/pulls`;
+
+  return { provider, repository, headers, repoUrl };
+};
+
+const findOpenPullRequest = async ({ provider, repository, headers, repoUrl }, { head, base }) => {
+  const params = provider === 'gitlab'
+    ? { source_branch: head, target_branch: base, state: 'opened' }
+    : { head: `${repository.owner}:${head}`, base, state: 'open' };
+  const { data } = await axios.get(repoUrl, { headers, params });
+  return Array.isArray(data) && data.length ? toPullRequest(provider, data[0]) : null;
+};
+
+// Opens a pull request (GitHub) or merge request (GitLab) from `head` into `base`. When the
+// provider reports one already exists for the branch pair, the existing request is returned.
+export const createPullRequest = async ({
+  provider: requestedProvider,
+  token,
+  remoteUrl,
+  head,
+  base = 'main',
+  title,
+  body = ''
+} = {}) => {
+  const target = resolveTarget({ provider: requestedProvider, token, remoteUrl });
+  const { provider, headers, repoUrl } = target;
+
+  if (!head) {
+    throw new PullRequestError('Source branch is required', { provider });
+  }
+
+  const payload = provider === 'gitlab'
+    ? { source_branch: head, target_branch: base, title, description: body }
+    : { head, base, title, body };
+
+  try {
+    const { data } = await axios.post(repoUrl, payload, { headers });
+    return { ...toPullRequest(provider, data), created: true };
+  } catch (error) {
+    const status = error?.response?.status;
+    if (status === 409 || status === 422) {
+      const existing = await findOpenPullRequest(target, { head, base }).catch(() => null);
+      if (existing) {
+        return { ...existing, created: false };
+      }
+    }
+    const { message, statusCode, details } = mapAxiosError(error, 'Failed to open pull request');
+    throw new PullRequestError(message, { statusCode, provider, details });
+  }
+};
+
+export const getPullRequest = async ({ provider: requestedProvider, token, remoteUrl, number } = {}) => {
+  const { provider, headers, repoUrl } = resolveTarget({ provider: requestedProvider, token, remoteUrl });
+  try {
+    const { data } = await axios.get(`${repoUrl}/${encodeURIComponent(number)}`, { headers });
+    return toPullRequest(provider, data);
+  } catch (error) {
+    const { message, statusCode, details } = mapAxiosError(error, 'Failed to fetch pull request');
+    throw new PullRequestError(message, { statusCode, provider, details });
+  }
+};
+
+export const __testUtils = {
+  mapAxiosError,
+  normalizePullRequestStatus
+};
+
+export default {
+  createPullRequest,
+  getPullRequest,
+  parseRemoteRepository,
+  PullRequestError
+};
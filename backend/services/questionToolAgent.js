@@ -1,12 +1,16 @@
 import { llmClient } from '../llm-client.js';
-import { listProjectDirectory, readProjectFile } from './projectTools.js';
+import { createJsonTextStream } from '../llm-client/jsonTextStream.js';
+import { listProjectDirectory, readProjectFile, searchProjectCode } from './projectTools.js';
+import { formatCodeSearchResults } from './codeIndex.js';
 import { listGoals as listStoredGoals } from './goalStore.js';
+import { loadProjectMemoryContext } from './projectMemoryStore.js';
 import JSON5 from 'json5';
 
 const DEFAULT_MAX_AGENT_STEPS = 8;
 const MIN_AGENT_STEPS = 2;
 const MAX_AGENT_STEPS = 40;
 const CONTENT_SNIPPET_LIMIT = 1200;
+const SEARCH_RESULTS_SNIPPET_LIMIT = 4000;
 
 const clampStepLimit = (value) => {
   if (!Number.isFinite(value)) {
@@ -51,13 +55,18 @@ IMPORTANT:
 TOOLS AVAILABLE:
 - read_file(path): returns the contents of the project file at the given relative path.
 - list_dir(path?): lists files and folders at a relative path (root if omitted).
+- search_code(query, type?): searches an index of the project's code. type is "keyword" (matching code and symbols),
+  "symbol" (where a function, component or class is defined), "imports" (files importing a module, file or name)
+  or "route" (where an HTTP route like /api/users is defined); it is inferred from questions like "who imports X" when omitted.
 - list_goals(): returns the persisted goals for the current project (from the DB).
 
 RESPONSE FORMAT:
 Always respond with a strict JSON object containing:
 {
-  "action": "read_file" | "list_dir" | "list_goals" | "answer" | "unable",
+  "action": "read_file" | "list_dir" | "search_code" | "list_goals" | "answer" | "unable",
   "path"?: string,
+  "query"?: string,
+  "type"?: string,
   "reason"?: string,
   "answer"?: string,
   "explanation"?: string
@@ -65,6 +74,7 @@ Always respond with a strict JSON object containing:
 
 Rules:
 - Plan carefully. If you need information, call read_file with a relative path like README.md or frontend/package.json.
+- To find where something lives in a large project, call search_code before reading files one at a time.
 - If the user asks about "goals" (e.g. list/show/continue goals), prefer list_goals() over trying to read GOALS.md files.
 - When you have enough evidence, respond with {"action":"answer","answer":"..."}.
 - The "answer" field MAY include Markdown for formatting.
@@ -409,11 +419,11 @@ const preloadGoalsContext = async ({ projectId, prompt, steps }) => {
   }
 };
 
-const buildMessages = (prompt, steps) => [
+const buildMessages = (prompt, steps, projectMemory = '') => [
   { role: 'system', content: SYSTEM_PROMPT },
   {
     role: 'user',
-    content: `QUESTION:\n${prompt}\n\nPREVIOUS STEPS:\n${formatStepsForPrompt(steps)}\n\nReminder: UI code is often under frontend/ and backend code under backend/. Respond with the next JSON action. If you already have enough information, use the answer action.`
+    content: `${projectMemory ? `${projectMemory}\n\n` : ''}QUESTION:\n${prompt}\n\nPREVIOUS STEPS:\n${formatStepsForPrompt(steps)}\n\nReminder: UI code is often under frontend/ and backend code under backend/. Respond with the next JSON action. If you already have enough information, use the answer action.`
   }
 ];
 
@@ -501,7 +511,15 @@ const unwrapAnswerEnvelope = (answer) => {
 };
 
 
-const tryRepairPlannerJson = async ({ messages, rawDecision }) => {
+// Only set the llm-client control flags when a caller asked for streaming or
+// cancellation, so plain calls keep their original option shape. The model's
+// tokens are the JSON decision, so only the answer text is passed on.
+const buildStreamOptions = ({ onToken, signal } = {}) => ({
+  ...(typeof onToken === 'function' ? { __lucidcoderOnToken: createJsonTextStream(['answer'], onToken) } : {}),
+  ...(signal ? { __lucidcoderSignal: signal } : {})
+});
+
+const tryRepairPlannerJson = async ({ messages, rawDecision, signal }) => {
   // Keep unit tests strict: only attempt self-repair outside test runs.
   if (process.env.NODE_ENV === 'test') {
     return null;
@@ -523,7 +541,7 @@ const tryRepairPlannerJson = async ({ messages, rawDecision }) => {
     role: 'user',
     content:
       'Rewrite your previous response as EXACTLY one JSON object matching this schema: ' +
-      '{"action":"read_file"|"list_dir"|"list_goals"|"answer"|"unable","path"?:string,"reason"?:string,"answer"?:string,"explanation"?:string}.'
+      '{"action":"read_file"|"list_dir"|"search_code"|"list_goals"|"answer"|"unable","path"?:string,"query"?:string,"type"?:string,"reason"?:string,"answer"?:string,"explanation"?:string}.'
   };
 
   const repaired = await llmClient.generateResponse(
@@ -533,7 +551,8 @@ const tryRepairPlannerJson = async ({ messages, rawDecision }) => {
       temperature: 0,
       __lucidcoderDisableToolBridge: false,
       __lucidcoderPhase: 'question',
-      __lucidcoderRequestType: 'question_decision_repair'
+      __lucidcoderRequestType: 'question_decision_repair',
+      ...buildStreamOptions({ signal })
     }
   );
 
@@ -547,7 +566,7 @@ const tryRepairPlannerJson = async ({ messages, rawDecision }) => {
 const createAgentError = (message) => Object.assign(new Error(message), { statusCode: 502 });
 
 
-export const answerProjectQuestion = async ({ projectId, prompt, maxSteps }) => {
+export const answerProjectQuestion = async ({ projectId, prompt, maxSteps, onToken, signal }) => {
   if (!projectId) {
     throw new Error('projectId is required');
   }
@@ -568,22 +587,24 @@ export const answerProjectQuestion = async ({ projectId, prompt, maxSteps }) =>
   }
 
   await preloadGoalsContext({ projectId, prompt, steps });
+  const projectMemory = await loadProjectMemoryContext(projectId);
 
   for (let iteration = 0; iteration < stepLimit; iteration += 1) {
-    const messages = buildMessages(prompt, steps);
+    const messages = buildMessages(prompt, steps, projectMemory);
     const rawDecision = await llmClient.generateResponse(messages, {
       max_tokens: 600,
       temperature: 0,
       __lucidcoderDisableToolBridge: false,
       __lucidcoderPhase: 'question',
-      __lucidcoderRequestType: 'question_decision'
+      __lucidcoderRequestType: 'question_decision',
+      ...buildStreamOptions({ onToken, signal })
     });
 
     let decision;
     try {
       decision = parseAgentJson(rawDecision);
     } catch (error) {
-      const repaired = await tryRepairPlannerJson({ messages, rawDecision });
+      const repaired = await tryRepairPlannerJson({ messages, rawDecision, signal });
       if (repaired) {
         decision = repaired;
       } else {
@@ -653,6 +674,38 @@ export const answerProjectQuestion = async ({ projectId, prompt, maxSteps }) =>
       continue;
     }
 
+    if (action === 'search_code') {
+      const query = typeof decision.query === 'string' ? decision.query.trim() : '';
+      if (!query) {
+        throw createAgentError('search_code action missing query');
+      }
+      steps.push({
+        type: 'action',
+        action: 'search_code',
+        target: query,
+        reason: decision.reason || 'Search the code index'
+      });
+
+      try {
+        const result = await searchProjectCode(projectId, { query, type: decision.type });
+        steps.push({
+          type: 'observation',
+          action: 'search_code',
+          target: query,
+          summary: summarizeContent(formatCodeSearchResults(result), SEARCH_RESULTS_SNIPPET_LIMIT)
+        });
+      } catch (error) {
+        steps.push({
+          type: 'observation',
+          action: 'search_code',
+          target: query,
+          error: error.message || 'Failed to search code'
+        });
+      }
+
+      continue;
+    }
+
     if (action === 'list_goals') {
       steps.push({
         type: 'action',
@@ -712,7 +765,8 @@ export const __testUtils = {
   parseJsonObject,
   readOptionalProjectFile,
   formatFrameworkName,
-  unwrapAnswerEnvelope
+  unwrapAnswerEnvelope,
+  buildStreamOptions
 };
 
 export default {
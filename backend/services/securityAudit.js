@@ -0,0 +1,667 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { startJob, waitForJobCompletion } from './jobRunner.js';
+import { appendRunEvent, createRun, getRun, listRunsForProject, updateRun } from './runStore.js';
+import { discoverWorkspaces } from './branchWorkflow/testsApi/workspaceSelection.js';
+import { runGitCommand } from '../utils/git.js';
+
+export const SECURITY_AUDIT_RUN_KIND = 'security-audit';
+
+export const AUDIT_SEVERITIES = Object.freeze(['critical', 'high', 'moderate', 'low', 'info']);
+
+const AUDIT_JOB_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_SCANNED_FILE_BYTES = 512 * 1024;
+const MAX_FINDINGS_PER_FILE = 20;
+const MAX_FINDINGS = 500;
+
+const activeAudits = new Map();
+
+const SKIPPED_SCAN_PATHS = /(?:^|\/)(?:node_modules|dist|build|coverage|\.git)\//;
+const SKIPPED_SCAN_FILES = /(?:^|\/)(?:package-lock\.json|yarn\.lock|pnpm-lock\.yaml|poetry\.lock)$|\.(?:png|jpe?g|gif|webp|ico|svg|woff2?|ttf|eot|mp[34]|zip|gz|pdf|lock)$/i;
+const CONFIG_SCAN_FILES = /\.(?:[cm]?[jt]sx?|py)$/i;
+const TEST_FILE_PATTERN = /(?:\.(?:test|spec)\.[cm]?[jt]sx?$|(?:^|\/)(?:__tests__|tests?)\/|(?:^|\/)test_[^/]+\.py$)/i;
+const TRACKED_ENV_FILE_PATTERN = /(?:^|\/)\.env(?:\.[^/]+)?$/;
+const ENV_TEMPLATE_PATTERN = /\.(?:example|sample|template|defaults?)$/i;
+const PLACEHOLDER_VALUE_PATTERN = /^(?:x+|\*+|changeme|change-me|password|secret|example|placeholder|test|dummy|your[-_].*|<.*>|\$\{.*\}|process\.env.*)$/i;
+
+const SECRET_RULES = [
+  {
+    id: 'aws-access-key',
+    severity: 'critical',
+    title: 'AWS access key ID committed to the repository',
+    pattern: /\bAKIA[0-9A-Z]{16}\b/
+  },
+  {
+    id: 'private-key',
+    severity: 'critical',
+    title: 'Private key committed to the repository',
+    pattern: /-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP )?PRIVATE KEY-----/
+  },
+  {
+    id: 'github-token',
+    severity: 'high',
+    title: 'GitHub token committed to the repository',
+    pattern: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/
+  },
+  {
+    id: 'slack-token',
+    severity: 'high',
+    title: 'Slack token committed to the repository',
+    pattern: /\bxox[baprs]-[A-Za-z0-9-]{10,}\b/
+  },
+  {
+    id: 'llm-api-key',
+    severity: 'high',
+    title: 'API key committed to the repository',
+    pattern: /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}\b/
+  },
+  {
+    id: 'hardcoded-credential',
+    severity: 'moderate',
+    title: 'Hard-coded credential',
+    pattern: /\b(?:api[_-]?key|secret(?:[_-]?key)?|password|passwd|auth[_-]?token|access[_-]?token|client[_-]?secret)\b['"]?\s*[:=]\s*['"]([^'"\s]{8,})['"]/i,
+    skipTests: true,
+    valueGroup: 1
+  }
+];
+
+const CONFIG_RULES = [
+  {
+    id: 'cors-any-origin',
+    severity: 'moderate',
+    title: 'Permissive CORS: cors() without options allows every origin',
+    pattern: /\bcors\(\s*\)/,
+    recommendation: 'Pass an explicit origin allowlist, e.g. cors({ origin: [process.env.FRONTEND_ORIGIN] }).'
+  },
+  {
+    id: 'cors-wildcard-origin',
+    severity: 'moderate',
+    title: 'Permissive CORS: wildcard origin',
+    pattern: /\borigin\s*:\s*(?:['"]\*['"]|true\b)|Access-Control-Allow-Origin['"]\s*,\s*['"]\*['"]/,
+    recommendation: 'Restrict allowed origins to the hosts that actually serve the frontend.'
+  },
+  {
+    id: 'flask-cors-any-origin',
+    severity: 'moderate',
+    title: 'Permissive CORS: CORS(app) without options allows every origin',
+    pattern: /\bCORS\(\s*app\s*\)/,
+    recommendation: 'Pass origins=[...] to CORS() so only known frontends can call the API.'
+  },
+  {
+    id: 'tls-verification-disabled',
+    severity: 'high',
+    title: 'TLS certificate verification disabled',
+    pattern: /NODE_TLS_REJECT_UNAUTHORIZED['"]?\s*[:=]\s*['"]?0|\brejectUnauthorized\s*:\s*false\b|\bverify\s*=\s*False\b/,
+    recommendation: 'Keep certificate verification enabled; trust a custom CA instead of disabling checks.'
+  },
+  {
+    id: 'flask-debug',
+    severity: 'low',
+    title: 'Flask debug mode enabled',
+    pattern: /\bapp\.run\([^)]*debug\s*=\s*True/,
+    recommendation: 'Read the debug flag from the environment so production never exposes the debugger.'
+  }
+];
+
+const normalizeSeverity = (value) => {
+  const normalized = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  if (normalized === 'medium') {
+    return 'moderate';
+  }
+  return AUDIT_SEVERITIES.includes(normalized) ? normalized : 'info';
+};
+
+const severityRank = (severity) => {
+  const index = AUDIT_SEVERITIES.indexOf(severity);
+  return index === -1 ? AUDIT_SEVERITIES.length : index;
+};
+
+const buildFingerprint = (finding) => [
+  finding.category,
+  finding.workspace || '',
+  finding.package || '',
+  finding.ruleId || '',
+  finding.file || '',
+  finding.title
+].join('|');
+
+const createFinding = (fields) => {
+  const finding = {
+    category: fields.category,
+    severity: normalizeSeverity(fields.severity),
+    title: fields.title,
+    detail: fields.detail || null,
+    workspace: fields.workspace || null,
+    package: fields.package || null,
+    ruleId: fields.ruleId || null,
+    file: fields.file || null,
+    line: Number.isInteger(fields.line) ? fields.line : null,
+    fixAvailable: fields.fixAvailable ?? null,
+    recommendation: fields.recommendation || null,
+    url: fields.url || null
+  };
+  return { ...finding, fingerprint: buildFingerprint(finding) };
+};
+
+const parseJsonOutput = (text) => {
+  const raw = typeof text === 'string' ? text.trim() : '';
+  if (!raw) {
+    return null;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch {
+    // Tools occasionally print warnings before the JSON payload.
+    const start = raw.search(/[[{]/);
+    if (start > 0) {
+      try {
+        return JSON.parse(raw.slice(start));
+      } catch {
+        return null;
+      }
+    }
+    return null;
+  }
+};
+
+const describeNpmFix = (fixAvailable) => {
+  if (fixAvailable === true) {
+    return 'Run `npm audit fix`.';
+  }
+  if (fixAvailable && typeof fixAvailable === 'object' && fixAvailable.name) {
+    const major = fixAvailable.isSemVerMajor ? ' (semver-major upgrade)' : '';
+    return `Upgrade ${fixAvailable.name} to ${fixAvailable.version}${major}.`;
+  }
+  return 'No fix is published yet; consider replacing or isolating the dependency.';
+};
+
+export const parseNpmAuditReport = (output, { workspace = null } = {}) => {
+  const report = parseJsonOutput(output);
+  if (!report || typeof report !== 'object') {
+    return { findings: [], error: 'Could not parse npm audit output' };
+  }
+
+  if (report.error) {
+    const summary = report.error.summary || report.error.code || 'npm audit failed';
+    return { findings: [], error: String(summary) };
+  }
+
+  const findings = [];
+
+  if (report.vulnerabilities && typeof report.vulnerabilities === 'object') {
+    for (const [name, vulnerability] of Object.entries(report.vulnerabilities)) {
+      const via = Array.isArray(vulnerability?.via) ? vulnerability.via : [];
+      const advisory = via.find((entry) => entry && typeof entry === 'object');
+      const transitive = via.filter((entry) => typeof entry === 'string');
+      const title = advisory?.title
+        ? `${name}: ${advisory.title}`
+        : `${name} is vulnerable through ${transitive.join(', ') || 'a dependency'}`;
+
+      findings.push(createFinding({
+        category: 'dependency',
+        severity: vulnerability?.severity,
+        title,
+        detail: vulnerability?.range ? `Affected versions: ${vulnerability.range}` : null,
+        workspace,
+        package: name,
+        fixAvailable: Boolean(vulnerability?.fixAvailable),
+        recommendation: describeNpmFix(vulnerability?.fixAvailable),
+        url: advisory?.url
+      }));
+    }
+    return { findings, error: null };
+  }
+
+  // npm 6 reports advisories keyed by id instead of vulnerabilities keyed by package.
+  if (report.advisories && typeof report.advisories === 'object') {
+    for (const advisory of Object.values(report.advisories)) {
+      findings.push(createFinding({
+        category: 'dependency',
+        severity: advisory?.severity,
+        title: `${advisory?.module_name}: ${advisory?.title}`,
+        detail: advisory?.vulnerable_versions ? `Affected versions: ${advisory.vulnerable_versions}` : null,
+        workspace,
+        package: advisory?.module_name,
+        fixAvailable: Boolean(advisory?.patched_versions && advisory.patched_versions !== '<0.0.0'),
+        recommendation: advisory?.recommendation,
+        url: advisory?.url
+      }));
+    }
+  }
+
+  return { findings, error: null };
+};
+
+export const parsePipAuditReport = (output, { workspace = null } = {}) => {
+  const report = parseJsonOutput(output);
+  const dependencies = Array.isArray(report)
+    ? report
+    : (Array.isArray(report?.dependencies) ? report.dependencies : null);
+
+  if (!dependencies) {
+    return { findings: [], error: 'Could not parse pip-audit output' };
+  }
+
+  const findings = [];
+  for (const dependency of dependencies) {
+    const vulns = Array.isArray(dependency?.vulns) ? dependency.vulns : [];
+    for (const vuln of vulns) {
+      const fixVersions = Array.isArray(vuln?.fix_versions) ? vuln.fix_versions : [];
+      findings.push(createFinding({
+        category: 'dependency',
+        // pip-audit does not rate advisories; treat known vulnerabilities as high so they are not buried.
+        severity: 'high',
+        title: `${dependency.name} ${dependency.version}: ${vuln.id}`,
+        detail: typeof vuln?.description === 'string' ? vuln.description.slice(0, 500) : null,
+        workspace,
+        package: dependency.name,
+        fixAvailable: fixVersions.length > 0,
+        recommendation: fixVersions.length
+          ? `Upgrade ${dependency.name} to ${fixVersions[0]}.`
+          : 'No fixed release is available yet.'
+      }));
+    }
+  }
+
+  return { findings, error: null };
+};
+
+const redact = (value) => {
+  const text = String(value || '');
+  if (text.length <= 8) {
+    return `${text.slice(0, 2)}…`;
+  }
+  return `${text.slice(0, 4)}…${text.slice(-2)}`;
+};
+
+export const scanFileForIssues = (relativePath, content) => {
+  const file = String(relativePath || '').replace(/\\/g, '/');
+  const findings = [];
+
+  if (TRACKED_ENV_FILE_PATTERN.test(file) && !ENV_TEMPLATE_PATTERN.test(file)) {
+    findings.push(createFinding({
+      category: 'secret',
+      severity: 'high',
+      title: 'Environment file is tracked by git',
+      file,
+      ruleId: 'tracked-env-file',
+      recommendation: 'Remove the file from git, add it to .gitignore and commit a .env.example instead.'
+    }));
+  }
+
+  const text = typeof content === 'string' ? content : '';
+  if (!text) {
+    return findings;
+  }
+
+  const isTestFile = TEST_FILE_PATTERN.test(file);
+  const checkConfig = CONFIG_SCAN_FILES.test(file) && !isTestFile;
+  const lines = text.split(/\r?\n/);
+
+  for (let index = 0; index < lines.length && findings.length < MAX_FINDINGS_PER_FILE; index += 1) {
+    const line = lines[index];
+
+    for (const rule of SECRET_RULES) {
+      if (rule.skipTests && isTestFile) {
+        continue;
+      }
+      const match = line.match(rule.pattern);
+      if (!match) {
+        continue;
+      }
+      const value = rule.valueGroup ? match[rule.valueGroup] : match[0];
+      if (rule.valueGroup && PLACEHOLDER_VALUE_PATTERN.test(value)) {
+        continue;
+      }
+      findings.push(createFinding({
+        category: 'secret',
+        severity: rule.severity,
+        title: rule.title,
+        detail: `Matched ${redact(value)}`,
+        file,
+        line: index + 1,
+        ruleId: rule.id,
+        recommendation: 'Move the value into an environment variable and rotate the exposed credential.'
+      }));
+      break;
+    }
+
+    if (!checkConfig) {
+      continue;
+    }
+
+    for (const rule of CONFIG_RULES) {
+      if (!rule.pattern.test(line)) {
+        continue;
+      }
+      findings.push(createFinding({
+        category: 'config',
+        severity: rule.severity,
+        title: rule.title,
+        detail: line.trim().slice(0, 200),
+        file,
+        line: index + 1,
+        ruleId: rule.id,
+        recommendation: rule.recommendation
+      }));
+    }
+  }
+
+  return findings;
+};
+
+const listTrackedFiles = async (projectPath) => {
+  const { stdout } = await runGitCommand(projectPath, ['ls-files', '-z']);
+  return String(stdout || '')
+    .split('\0')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+};
+
+export const scanTrackedFiles = async (projectPath, { listFiles = listTrackedFiles, fsImpl = fs } = {}) => {
+  const files = await listFiles(projectPath);
+  const findings = [];
+  let scanned = 0;
+
+  for (const file of files) {
+    const normalized = file.replace(/\\/g, '/');
+    if (SKIPPED_SCAN_PATHS.test(normalized) || SKIPPED_SCAN_FILES.test(normalized)) {
+      continue;
+    }
+
+    let content = '';
+    try {
+      const absolutePath = path.join(projectPath, normalized);
+      const stats = await fsImpl.stat(absolutePath);
+      if (!stats.isFile() || stats.size > MAX_SCANNED_FILE_BYTES) {
+        continue;
+      }
+      content = await fsImpl.readFile(absolutePath, 'utf8');
+    } catch {
+      continue;
+    }
+
+    scanned += 1;
+    findings.push(...scanFileForIssues(normalized, content));
+  }
+
+  return { findings, scannedFiles: scanned };
+};
+
+const collectJobOutput = (job) => {
+  const logs = Array.isArray(job?.logs) ? job.logs : [];
+  const stdout = logs.filter((entry) => entry?.stream === 'stdout').map((entry) => entry.message).join('');
+  const stderr = logs.filter((entry) => entry?.stream === 'stderr').map((entry) => entry.message).join('\n');
+  return { stdout, stderr };
+};
+
+const fileExists = async (fsImpl, filePath) => {
+  try {
+    await fsImpl.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// pip-audit reads requirements.txt when there is one; pyproject-only projects (e.g. the FastAPI
+// template) are audited as a local project directory instead.
+const resolvePipAuditTarget = async (workspace, fsImpl) => {
+  if (await fileExists(fsImpl, path.join(workspace.cwd, 'requirements.txt'))) {
+    return ['-r', 'requirements.txt'];
+  }
+  if (await fileExists(fsImpl, path.join(workspace.cwd, 'pyproject.toml'))) {
+    return ['.'];
+  }
+  return ['-r', 'requirements.txt'];
+};
+
+const buildWorkspaceAuditJob = async (projectId, workspace, { fsImpl = fs } = {}) => {
+  if (workspace.kind === 'python') {
+    const target = await resolvePipAuditTarget(workspace, fsImpl);
+    return {
+      tool: 'pip-audit',
+      parse: parsePipAuditReport,
+      config: {
+        projectId,
+        type: `${workspace.name}:audit`,
+        displayName: `${workspace.name} pip-audit`,
+        command: 'python',
+        args: ['-m', 'pip_audit', ...target, '-f', 'json'],
+        cwd: workspace.cwd
+      }
+    };
+  }
+
+  return {
+    tool: 'npm audit',
+    parse: parseNpmAuditReport,
+    config: {
+      projectId,
+      type: `${workspace.name}:audit`,
+      displayName: `${workspace.name} npm audit`,
+      command: 'npm',
+      args: ['audit', '--json'],
+      cwd: workspace.cwd
+    }
+  };
+};
+
+export const summarizeFindings = (findings = []) => {
+  const summary = { total: 0 };
+  for (const severity of AUDIT_SEVERITIES) {
+    summary[severity] = 0;
+  }
+  for (const finding of findings) {
+    summary[finding.severity] = (summary[finding.severity] || 0) + 1;
+    summary.total += 1;
+  }
+  return summary;
+};
+
+export const compareAuditFindings = (currentFindings = [], previousFindings = []) => {
+  const previous = new Set(previousFindings.map((finding) => finding?.fingerprint).filter(Boolean));
+  const current = new Set(currentFindings.map((finding) => finding?.fingerprint).filter(Boolean));
+  let added = 0;
+  let resolved = 0;
+  current.forEach((fingerprint) => {
+    if (!previous.has(fingerprint)) added += 1;
+  });
+  previous.forEach((fingerprint) => {
+    if (!current.has(fingerprint)) resolved += 1;
+  });
+  return { added, resolved, unchanged: current.size - added };
+};
+
+const isAuditRun = (run) => run?.kind === SECURITY_AUDIT_RUN_KIND;
+
+const summarizeAuditRun = (run) => ({
+  id: run.id,
+  status: run.status,
+  statusMessage: run.statusMessage,
+  error: run.error,
+  startedAt: run.startedAt,
+  finishedAt: run.finishedAt,
+  summary: run.metadata?.summary || null,
+  comparison: run.metadata?.comparison || null
+});
+
+export const listSecurityAudits = async (projectId, { limit = 10 } = {}) => {
+  const runs = await listRunsForProject(projectId, { limit: 200 });
+  return runs.filter(isAuditRun).slice(0, limit).map(summarizeAuditRun);
+};
+
+export const getSecurityAudit = async (projectId, runId) => {
+  if (!Number.isFinite(Number(runId))) {
+    return null;
+  }
+  const run = await getRun(runId);
+  if (!isAuditRun(run) || String(run.projectId) !== String(projectId)) {
+    return null;
+  }
+  return run;
+};
+
+const findPreviousAudit = async (projectId, runId) => {
+  const runs = await listRunsForProject(projectId, { limit: 200 });
+  const previous = runs.find((run) => isAuditRun(run) && run.id !== runId && run.status === 'completed');
+  return previous ? getRun(previous.id) : null;
+};
+
+const recordEvent = (runId, event) => appendRunEvent(runId, event).catch(() => {});
+
+const executeSecurityAudit = async ({ projectId, projectPath, runId, deps }) => {
+  const { workspaces } = await deps.discoverWorkspaces({ projectRoot: projectPath, fs: deps.fs, path });
+  const findings = [];
+  const workspaceResults = [];
+
+  for (const workspace of workspaces) {
+    const { tool, parse, config } = await buildWorkspaceAuditJob(projectId, workspace, { fsImpl: deps.fs });
+    const result = { name: workspace.name, kind: workspace.kind, tool, jobId: null, status: 'skipped', findings: 0, error: null };
+
+    try {
+      const job = deps.startJob(config);
+      result.jobId = job.id;
+      const completed = await deps.waitForJobCompletion(job.id, { timeoutMs: AUDIT_JOB_TIMEOUT_MS });
+      const { stdout, stderr } = collectJobOutput(completed);
+      const parsed = parse(stdout, { workspace: workspace.name });
+
+      if (parsed.error) {
+        // npm audit exits non-zero whenever it finds vulnerabilities, so only a parse failure means the tool broke.
+        result.status = 'failed';
+        result.error = stderr.trim().split('\n').pop() || parsed.error;
+      } else {
+        result.status = 'completed';
+        result.findings = parsed.findings.length;
+        findings.push(...parsed.findings);
+      }
+    } catch (error) {
+      result.status = 'failed';
+      result.error = error?.message || `${tool} failed`;
+    }
+
+    if (result.error) {
+      findings.push(createFinding({
+        category: 'tool',
+        severity: 'info',
+        title: `${tool} could not run for ${workspace.name}`,
+        detail: result.error,
+        workspace: workspace.name,
+        recommendation: workspace.kind === 'python'
+          ? 'Install pip-audit (pip install pip-audit) in the backend environment.'
+          : 'Make sure dependencies are installed and the npm registry is reachable.'
+      }));
+    }
+
+    workspaceResults.push(result);
+    await recordEvent(runId, {
+      type: 'audit:workspace',
+      message: `${tool} ${result.status} for ${workspace.name}`,
+      payload: result
+    });
+  }
+
+  let scannedFiles = 0;
+  try {
+    const scan = await deps.scanTrackedFiles(projectPath);
+    scannedFiles = scan.scannedFiles;
+    findings.push(...scan.findings);
+  } catch (error) {
+    findings.push(createFinding({
+      category: 'tool',
+      severity: 'info',
+      title: 'Secrets scan could not list tracked files',
+      detail: error?.message || null,
+      recommendation: 'Initialize a git repository for the project so tracked files can be scanned.'
+    }));
+  }
+
+  await recordEvent(runId, {
+    type: 'audit:scan',
+    message: `Scanned ${scannedFiles} tracked file(s) for secrets and risky config`,
+    payload: { scannedFiles }
+  });
+
+  findings.sort((a, b) => severityRank(a.severity) - severityRank(b.severity));
+  const limitedFindings = findings.slice(0, MAX_FINDINGS);
+  const summary = summarizeFindings(limitedFindings);
+
+  const previous = await findPreviousAudit(projectId, runId).catch(() => null);
+  const comparison = previous
+    ? {
+      previousRunId: previous.id,
+      ...compareAuditFindings(limitedFindings, previous.metadata?.findings || [])
+    }
+    : null;
+
+  return updateRun(runId, {
+    status: 'completed',
+    statusMessage: `${summary.total} finding(s)`,
+    metadata: {
+      workspaces: workspaceResults,
+      scannedFiles,
+      summary,
+      comparison,
+      truncated: findings.length > limitedFindings.length,
+      findings: limitedFindings
+    },
+    finishedAt: new Date().toISOString()
+  });
+};
+
+export const isSecurityAuditRunning = (projectId) => activeAudits.has(String(projectId));
+
+export const startSecurityAudit = async ({ projectId, projectPath }, overrides = {}) => {
+  if (!projectId || !projectPath) {
+    throw new Error('projectId and projectPath are required');
+  }
+
+  const key = String(projectId);
+  if (activeAudits.has(key)) {
+    const error = new Error('A security audit is already running for this project');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const deps = {
+    discoverWorkspaces,
+    startJob,
+    waitForJobCompletion,
+    scanTrackedFiles,
+    fs,
+    ...overrides
+  };
+
+  const run = await createRun({
+    projectId: Number(projectId),
+    kind: SECURITY_AUDIT_RUN_KIND,
+    status: 'running',
+    statusMessage: 'Security audit running',
+    startedAt: new Date().toISOString()
+  });
+
+  const completion = executeSecurityAudit({ projectId: Number(projectId), projectPath, runId: run.id, deps })
+    .catch((error) => updateRun(run.id, {
+      status: 'failed',
+      statusMessage: 'Security audit failed',
+      error: error?.message || 'Security audit failed',
+      finishedAt: new Date().toISOString()
+    }).catch(() => null))
+    .finally(() => {
+      activeAudits.delete(key);
+    });
+
+  activeAudits.set(key, completion);
+
+  return { run, completion };
+};
+
+export const __testing = {
+  reset: () => activeAudits.clear(),
+  normalizeSeverity,
+  parseJsonOutput,
+  redact,
+  collectJobOutput,
+  buildWorkspaceAuditJob,
+  listTrackedFiles
+};
@@ -0,0 +1,246 @@
+import db from '../database.js';
+
+// Per-test history for branch test runs. A test is flaky when it both passed and failed on the
+// same code: the same commit (clean working tree) or, for uncommitted changes, the same run
+// (a failure that passed on retry). Quarantined tests keep running but cannot fail a run.
+
+// Only the most recent runs of a project are kept; older outcomes stop counting towards scores.
+const HISTORY_RUN_LIMIT = 50;
+// Rows per multi-row INSERT, kept well below SQLite's bound parameter limit.
+const INSERT_CHUNK_SIZE = 80;
+const MAX_STORED_ERROR_CHARS = 500;
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function callback(err) {
+    if (err) {
+      reject(err);
+    } else {
+      resolve({ lastID: this?.lastID ?? null, changes: this?.changes ?? null });
+    }
+  });
+});
+
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => {
+    if (err) {
+      reject(err);
+    } else {
+      resolve(row);
+    }
+  });
+});
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) {
+      reject(err);
+    } else {
+      resolve(rows);
+    }
+  });
+});
+
+const withStatusCode = (error, statusCode) => {
+  error.statusCode = statusCode;
+  return error;
+};
+
+const normalizeText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+/** Stable identity of a test across runs: workspace, file and full name. */
+export const buildTestKey = ({ workspace, file, name } = {}) => [workspace, file, name]
+  .map(normalizeText)
+  .filter(Boolean)
+  .join(' > ');
+
+// A case that passed on retry contributes its failed first attempt as well, so the flip is kept.
+const expandCaseAttempts = (testCase) => {
+  const attempts = Number.isInteger(testCase.attempts) && testCase.attempts > 1 ? testCase.attempts : 1;
+  const final = { status: testCase.status, attempt: attempts, error: testCase.error };
+  return testCase.flaky
+    ? [{ status: 'failed', attempt: 1, error: testCase.firstError || null }, final]
+    : [final];
+};
+
+/**
+ * Store the passed/failed outcomes of one test run. Skipped tests carry no signal and are
+ * left out. Returns the number of rows written.
+ */
+export const recordTestCaseResults = async ({ projectId, testRunId, branchId = null, commitSha = null, cases = [] }) => {
+  const rows = [];
+  for (const testCase of Array.isArray(cases) ? cases : []) {
+    const name = normalizeText(testCase?.name);
+    if (!name || (testCase.status !== 'passed' && testCase.status !== 'failed')) {
+      continue;
+    }
+    const testKey = buildTestKey({ ...testCase, name });
+    for (const attempt of expandCaseAttempts(testCase)) {
+      rows.push([
+        projectId,
+        testRunId,
+        branchId,
+        commitSha,
+        testKey,
+        normalizeText(testCase.workspace),
+        normalizeText(testCase.file),
+        name,
+        attempt.status,
+        attempt.attempt,
+        Number.isFinite(testCase.durationMs) ? Math.round(testCase.durationMs) : null,
+        attempt.error ? String(attempt.error).slice(0, MAX_STORED_ERROR_CHARS) : null
+      ]);
+    }
+  }
+
+  for (let index = 0; index < rows.length; index += INSERT_CHUNK_SIZE) {
+    const chunk = rows.slice(index, index + INSERT_CHUNK_SIZE);
+    await run(
+      `INSERT INTO test_case_results (
+         project_id, test_run_id, branch_id, commit_sha, test_key, workspace, file, name,
+         status, attempt, duration_ms, error
+       ) VALUES ${chunk.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}`,
+      chunk.flat()
+    );
+  }
+
+  await run(
+    `DELETE FROM test_case_results
+     WHERE project_id = ?
+       AND test_run_id NOT IN (
+         SELECT DISTINCT test_run_id FROM test_case_results
+         WHERE project_id = ?
+         ORDER BY test_run_id DESC
+         LIMIT ?
+       )`,
+    [projectId, projectId, HISTORY_RUN_LIMIT]
+  );
+
+  return rows.length;
+};
+
+/** Most recent outcomes of one test, newest first. */
+export const getTestHistory = async (projectId, testKey, { limit = 20 } = {}) => {
+  const rows = await all(
+    `SELECT r.*, b.name AS branch_name
+     FROM test_case_results r
+     LEFT JOIN branches b ON b.id = r.branch_id
+     WHERE r.project_id = ? AND r.test_key = ?
+     ORDER BY r.id DESC
+     LIMIT ?`,
+    [projectId, testKey, limit]
+  );
+  return rows.map((row) => ({
+    testRunId: row.test_run_id,
+    branchName: row.branch_name || null,
+    commitSha: row.commit_sha || null,
+    status: row.status,
+    attempt: row.attempt,
+    durationMs: row.duration_ms,
+    error: row.error || null,
+    createdAt: row.created_at
+  }));
+};
+
+const toQuarantineEntry = (row) => ({
+  id: row.id,
+  testKey: row.test_key,
+  workspace: row.workspace || null,
+  file: row.file || null,
+  name: row.name,
+  reason: row.reason || null,
+  createdAt: row.created_at
+});
+
+export const listQuarantinedTests = async (projectId) => {
+  const rows = await all(
+    'SELECT * FROM test_quarantine WHERE project_id = ? ORDER BY created_at DESC, id DESC',
+    [projectId]
+  );
+  return rows.map(toQuarantineEntry);
+};
+
+export const getQuarantinedTestKeys = async (projectId) => {
+  const rows = await all('SELECT test_key FROM test_quarantine WHERE project_id = ?', [projectId]);
+  return new Set(rows.map((row) => row.test_key));
+};
+
+export const quarantineTest = async (projectId, { workspace, file, name, reason } = {}) => {
+  const normalizedName = normalizeText(name);
+  if (!normalizedName) {
+    throw withStatusCode(new Error('Test name is required'), 400);
+  }
+  const testKey = buildTestKey({ workspace, file, name: normalizedName });
+  await run(
+    `INSERT INTO test_quarantine (project_id, test_key, workspace, file, name, reason)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT(project_id, test_key) DO UPDATE SET reason = excluded.reason`,
+    [projectId, testKey, normalizeText(workspace), normalizeText(file), normalizedName, normalizeText(reason)]
+  );
+  const row = await get('SELECT * FROM test_quarantine WHERE project_id = ? AND test_key = ?', [projectId, testKey]);
+  return toQuarantineEntry(row);
+};
+
+export const releaseQuarantinedTest = async (projectId, quarantineId) => {
+  const { changes } = await run('DELETE FROM test_quarantine WHERE project_id = ? AND id = ?', [projectId, quarantineId]);
+  return changes > 0;
+};
+
+/**
+ * Tests that flipped between passing and failing on the same code, most flaky first. The score
+ * is the share of observed code states (commits, or single runs for uncommitted changes) in
+ * which the test did both.
+ */
+export const listFlakyTests = async (projectId, { limit = 50 } = {}) => {
+  const rows = await all(
+    `SELECT test_key, workspace, file, name,
+       COALESCE(commit_sha, 'run:' || test_run_id) AS code_state,
+       SUM(CASE WHEN status = 'passed' THEN 1 ELSE 0 END) AS passed,
+       SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) AS failed,
+       MAX(created_at) AS last_seen
+     FROM test_case_results
+     WHERE project_id = ?
+     GROUP BY test_key, code_state
+     ORDER BY last_seen, MAX(id)`,
+    [projectId]
+  );
+  const quarantined = await getQuarantinedTestKeys(projectId);
+
+  const byTest = new Map();
+  for (const row of rows) {
+    const entry = byTest.get(row.test_key) || {
+      testKey: row.test_key,
+      workspace: row.workspace,
+      file: row.file,
+      name: row.name,
+      observed: 0,
+      flips: 0,
+      passed: 0,
+      failed: 0,
+      lastFlipAt: null
+    };
+    entry.observed += 1;
+    entry.passed += row.passed;
+    entry.failed += row.failed;
+    if (row.passed > 0 && row.failed > 0) {
+      entry.flips += 1;
+      // Rows arrive oldest first, so the last flip seen is the most recent one.
+      entry.lastFlipAt = row.last_seen;
+    }
+    byTest.set(row.test_key, entry);
+  }
+
+  return [...byTest.values()]
+    .filter((entry) => entry.flips > 0)
+    .map((entry) => ({
+      ...entry,
+      score: Number((entry.flips / entry.observed).toFixed(2)),
+      quarantined: quarantined.has(entry.testKey)
+    }))
+    .sort((a, b) => b.score - a.score || b.flips - a.flips || a.testKey.localeCompare(b.testKey))
+    .slice(0, limit);
+};
+
+export const __testing = {
+  HISTORY_RUN_LIMIT,
+  expandCaseAttempts
+};
@@ -0,0 +1,246 @@
+import { mkdirSync } from 'fs';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+// Test jobs write a machine-readable report next to their console output: Vitest and Jest use
+// the Jest-compatible JSON reporter, pytest writes JUnit XML. The parsed cases replace log
+// scraping wherever per-test results are needed (Test tab, autopilot fix prompts).
+export const TEST_REPORT_FORMATS = Object.freeze({
+  JEST_JSON: 'jest-json',
+  JUNIT_XML: 'junit-xml'
+});
+
+const MAX_REPORT_CASES = 2000;
+const MAX_ERROR_CHARS = 2000;
+const ANSI_REGEX = /\x1b\[[0-9;]*m/g;
+
+const REPORT_DIR = path.join(os.tmpdir(), 'lucidcoder-test-reports');
+
+const RUNNER_REPORT_ARGS = {
+  vitest: (reportPath) => ['--reporter=default', '--reporter=json', `--outputFile.json=${reportPath}`],
+  jest: (reportPath) => ['--json', `--outputFile=${reportPath}`],
+  pytest: (reportPath) => [`--junitxml=${reportPath}`]
+};
+
+const RUNNER_FORMATS = {
+  vitest: TEST_REPORT_FORMATS.JEST_JSON,
+  jest: TEST_REPORT_FORMATS.JEST_JSON,
+  pytest: TEST_REPORT_FORMATS.JUNIT_XML
+};
+
+/**
+ * Guess the Node test runner from package.json: its dependencies first, then the test scripts.
+ * Returns 'vitest', 'jest' or null.
+ */
+export const detectNodeTestRunner = (pkg) => {
+  if (!pkg || typeof pkg !== 'object') {
+    return null;
+  }
+  const dependencies = { ...pkg.dependencies, ...pkg.devDependencies };
+  if (dependencies.vitest) return 'vitest';
+  if (dependencies.jest) return 'jest';
+
+  const scripts = pkg.scripts && typeof pkg.scripts === 'object' ? pkg.scripts : {};
+  const scriptText = [scripts['test:coverage'], scripts.test].filter((value) => typeof value === 'string').join(' ');
+  if (/\bvitest\b/.test(scriptText)) return 'vitest';
+  if (/\bjest\b/.test(scriptText)) return 'jest';
+  return null;
+};
+
+/**
+ * Reserve a report file for one run. Returns `testReportFile` (`{ format, path }`, stored on the
+ * job) and the reporter `args` to add to the test command, or null for an unknown runner.
+ * The folder is created up front because not every runner creates it.
+ */
+export const createTestReportFile = (runner, deps = { mkdirSync }) => {
+  const buildArgs = RUNNER_REPORT_ARGS[runner];
+  if (!buildArgs) {
+    return null;
+  }
+  try {
+    deps.mkdirSync(REPORT_DIR, { recursive: true });
+  } catch {
+    return null;
+  }
+  const extension = RUNNER_FORMATS[runner] === TEST_REPORT_FORMATS.JUNIT_XML ? 'xml' : 'json';
+  const reportPath = path.join(REPORT_DIR, `${randomUUID()}.${extension}`);
+  return {
+    testReportFile: { format: RUNNER_FORMATS[runner], path: reportPath },
+    args: buildArgs(reportPath)
+  };
+};
+
+// npm forwards arguments after `--` to the script; other commands take them directly.
+export const appendTestReportArgs = (command, args = [], reportArgs = []) => {
+  if (command !== 'npm' || args.includes('--')) {
+    return [...args, ...reportArgs];
+  }
+  return [...args, '--', ...reportArgs];
+};
+
+const normalizeStatus = (status) => {
+  const value = String(status || '').toLowerCase();
+  if (value === 'passed' || value === 'pass') return 'passed';
+  if (value === 'failed' || value === 'fail' || value === 'error') return 'failed';
+  return 'skipped';
+};
+
+const toRelativeFile = (file, cwd) => {
+  if (!file) {
+    return null;
+  }
+  const normalized = String(file);
+  const relative = cwd && path.isAbsolute(normalized) ? path.relative(cwd, normalized) : normalized;
+  return relative.split(path.sep).join('/');
+};
+
+const truncateError = (value) => {
+  const text = String(value || '').replace(ANSI_REGEX, '').trim();
+  if (!text) {
+    return null;
+  }
+  return text.length > MAX_ERROR_CHARS ? `${text.slice(0, MAX_ERROR_CHARS)}…` : text;
+};
+
+const toDuration = (value) => {
+  if (value == null || value === '') {
+    return null;
+  }
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric >= 0 ? Math.round(numeric) : null;
+};
+
+const buildCase = ({ title, suite = [], file, status, durationMs, error }) => {
+  const normalizedSuite = suite.filter(Boolean);
+  return {
+    name: [...normalizedSuite, title].join(' > '),
+    title,
+    suite: normalizedSuite,
+    file,
+    status: normalizeStatus(status),
+    durationMs: toDuration(durationMs),
+    error: normalizeStatus(status) === 'failed' ? truncateError(error) : null
+  };
+};
+
+const buildReport = (format, cases) => {
+  const summary = { total: cases.length, passed: 0, failed: 0, skipped: 0, durationMs: 0 };
+  for (const testCase of cases) {
+    summary[testCase.status] += 1;
+    summary.durationMs += testCase.durationMs || 0;
+  }
+  return {
+    format,
+    summary,
+    cases: cases.slice(0, MAX_REPORT_CASES),
+    truncated: cases.length > MAX_REPORT_CASES
+  };
+};
+
+/**
+ * Parse the JSON written by `vitest --reporter=json` or `jest --json`. A test file that failed
+ * before any test ran (syntax error, missing import) becomes one failed case for that file.
+ */
+export const parseJestJsonReport = (report, { cwd } = {}) => {
+  const testResults = Array.isArray(report?.testResults) ? report.testResults : [];
+  const cases = [];
+
+  for (const fileResult of testResults) {
+    const file = toRelativeFile(fileResult?.name, cwd);
+    const assertions = Array.isArray(fileResult?.assertionResults) ? fileResult.assertionResults : [];
+
+    for (const assertion of assertions) {
+      cases.push(buildCase({
+        title: assertion?.title || assertion?.fullName || 'unnamed test',
+        suite: Array.isArray(assertion?.ancestorTitles) ? assertion.ancestorTitles : [],
+        file,
+        status: assertion?.status,
+        durationMs: assertion?.duration,
+        error: Array.isArray(assertion?.failureMessages) ? assertion.failureMessages.join('\n\n') : null
+      }));
+    }
+
+    if (!assertions.length && normalizeStatus(fileResult?.status) === 'failed') {
+      cases.push(buildCase({
+        title: '(test file failed to run)',
+        file,
+        status: 'failed',
+        error: fileResult.message || 'Test file failed to run'
+      }));
+    }
+  }
+
+  return buildReport(TEST_REPORT_FORMATS.JEST_JSON, cases);
+};
+
+const decodeXmlEntities = (value) => String(value || '')
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const parseXmlAttributes = (source) => {
+  const attributes = {};
+  for (const match of String(source || '').matchAll(/([\w:.-]+)\s*=\s*"([^"]*)"/g)) {
+    attributes[match[1]] = decodeXmlEntities(match[2]);
+  }
+  return attributes;
+};
+
+const TESTCASE_REGEX = /<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g;
+const OUTCOME_REGEX = /<(failure|error|skipped)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/;
+
+/**
+ * Parse pytest's `--junitxml` output. Only the elements pytest writes are read, so a regular
+ * expression pass is enough and no XML dependency is needed.
+ */
+export const parseJunitXmlReport = (xml, { cwd } = {}) => {
+  const cases = [];
+
+  for (const match of String(xml || '').matchAll(TESTCASE_REGEX)) {
+    const attributes = parseXmlAttributes(match[1]);
+    const outcome = (match[2] || '').match(OUTCOME_REGEX);
+    const kind = outcome?.[1];
+    const outcomeAttributes = parseXmlAttributes(outcome?.[2]);
+    const details = decodeXmlEntities(outcome?.[3]).trim();
+    const classname = attributes.classname || '';
+    const seconds = Number(attributes.time);
+
+    cases.push(buildCase({
+      title: attributes.name || 'unnamed test',
+      suite: classname ? classname.split('.') : [],
+      file: toRelativeFile(attributes.file, cwd),
+      status: kind === 'skipped' ? 'skipped' : kind ? 'failed' : 'passed',
+      durationMs: Number.isFinite(seconds) ? seconds * 1000 : null,
+      error: [outcomeAttributes.message, details].filter(Boolean).join('\n\n')
+    }));
+  }
+
+  return buildReport(TEST_REPORT_FORMATS.JUNIT_XML, cases);
+};
+
+/**
+ * Read and parse a finished job's report, then delete the file. Returns null when the runner
+ * did not write one (crashed early, custom command) or it could not be parsed.
+ */
+export const readTestReport = async ({ format, path: reportPath, cwd } = {}, deps = { fs }) => {
+  if (!reportPath) {
+    return null;
+  }
+  try {
+    const raw = await deps.fs.readFile(reportPath, 'utf8');
+    return format === TEST_REPORT_FORMATS.JUNIT_XML
+      ? parseJunitXmlReport(raw, { cwd })
+      : parseJestJsonReport(JSON.parse(raw), { cwd });
+  } catch {
+    return null;
+  } finally {
+    await deps.fs.rm(reportPath, { force: true }).catch(() => {});
+  }
+};
@@ -2,6 +2,9 @@ import { Server as SocketIOServer } from 'socket.io';
 import { acknowledgeUiCommands, getUiSnapshot, listUiCommands, upsertUiSnapshot } from '../services/agentUiState.js';
 import { jobEvents, listJobsForProject } from '../services/jobRunner.js';
 import { getProgressSnapshot, progressEvents } from '../services/progressTracker.js';
+import { canAccessProject } from '../services/authService.js';
+import { hasUnrestrictedAccess } from '../services/projectAccess.js';
+import { authenticateSocket } from '../middleware/auth.js';
 
 const normalizeSessionId = (sessionId) => {
   if (typeof sessionId !== 'string') {
@@ -34,6 +37,29 @@ export const attachSocketServer = (httpServer, options = {}) => {
     }
   });
 
+  io.use(authenticateSocket);
+
+  // Members signed in through the handshake only join rooms of their own projects. Everyone else
+  // takes the synchronous path, exactly as before accounts existed.
+  const withProjectAccess = (socket, projectId, ack, onAllowed) => {
+    const user = socket.data?.user;
+    if (hasUnrestrictedAccess(user)) {
+      onAllowed();
+      return;
+    }
+    canAccessProject(user, projectId)
+      .then((allowed) => {
+        if (allowed) {
+          onAllowed();
+          return;
+        }
+        if (typeof ack === 'function') ack({ ok: false, error: 'You do not have access to this project' });
+      })
+      .catch((error) => {
+        if (typeof ack === 'function') ack({ ok: false, error: error?.message || 'Failed to check project access' });
+      });
+  };
+
   const emitJobsSync = (socket, projectId, ack) => {
     const jobs = listJobsForProject(projectId);
     const response = { ok: true, projectId: String(projectId), jobs };
@@ -79,9 +105,10 @@ export const attachSocketServer = (httpServer, options = {}) => {
           if (typeof ack === 'function') ack(error);
           return;
         }
-        const room = buildJobsRoom(projectId);
-        socket.join(room);
-        emitJobsSync(socket, projectId, ack);
+        withProjectAccess(socket, projectId, ack, () => {
+          socket.join(buildJobsRoom(projectId));
+          emitJobsSync(socket, projectId, ack);
+        });
       } catch (error) {
         const response = { ok: false, error: error?.message || 'Failed to join jobs room' };
         if (typeof ack === 'function') ack(response);
@@ -115,14 +142,15 @@ export const attachSocketServer = (httpServer, options = {}) => {
           return;
         }
         const sessionId = normalizeSessionId(rawSessionId);
-        socket.data = { projectId, sessionId };
-        const room = buildAgentUiRoom(projectId, sessionId);
-        socket.join(room);
-        const snapshot = getUiSnapshot(projectId, sessionId);
-        const commands = listUiCommands(projectId, 0, sessionId);
-        const response = { ok: true, projectId: String(projectId), sessionId, snapshot, commands };
-        if (typeof ack === 'function') ack(response);
-        socket.emit('agentUi:sync', response);
+        withProjectAccess(socket, projectId, ack, () => {
+          socket.data = { ...socket.data, projectId, sessionId };
+          socket.join(buildAgentUiRoom(projectId, sessionId));
+          const snapshot = getUiSnapshot(projectId, sessionId);
+          const commands = listUiCommands(projectId, 0, sessionId);
+          const response = { ok: true, projectId: String(projectId), sessionId, snapshot, commands };
+          if (typeof ack === 'function') ack(response);
+          socket.emit('agentUi:sync', response);
+        });
       } catch (error) {
         const response = { ok: false, error: error?.message || 'Failed to join agent UI room' };
         if (typeof ack === 'function') ack(response);
@@ -136,10 +164,12 @@ export const attachSocketServer = (httpServer, options = {}) => {
           return;
         }
         const normalizedSessionId = normalizeSessionId(sessionId);
-        upsertUiSnapshot(projectId, snapshot, normalizedSessionId);
-        const room = buildAgentUiRoom(projectId, normalizedSessionId);
-        io.to(room).emit('agentUi:snapshot', { projectId: String(projectId), sessionId: normalizedSessionId, snapshot });
-        if (typeof ack === 'function') ack({ ok: true });
+        withProjectAccess(socket, projectId, ack, () => {
+          upsertUiSnapshot(projectId, snapshot, normalizedSessionId);
+          const room = buildAgentUiRoom(projectId, normalizedSessionId);
+          io.to(room).emit('agentUi:snapshot', { projectId: String(projectId), sessionId: normalizedSessionId, snapshot });
+          if (typeof ack === 'function') ack({ ok: true });
+        });
       } catch (error) {
         console.error('[Socket] agentUi:snapshot error:', error);
       }
@@ -179,8 +209,10 @@ export const attachSocketServer = (httpServer, options = {}) => {
           return;
         }
 
-        const pruned = acknowledgeUiCommands(projectId, upToId, normalizedSessionId);
-        if (typeof ack === 'function') ack({ ok: true, pruned });
+        withProjectAccess(socket, projectId, ack, () => {
+          const pruned = acknowledgeUiCommands(projectId, upToId, normalizedSessionId);
+          if (typeof ack === 'function') ack({ ok: true, pruned });
+        });
       } catch (error) {
         console.error('[Socket] agentUi:ack error:', error);
       }
@@ -234,6 +234,19 @@ describe('agentAutopilot helpers', () => {
     expect(files).toEqual([{ path: 'src/app.js', chars: 12 }]);
   });
 
+  test('extractEditPatchFiles includes successful patches only', () => {
+    const { extractEditPatchFiles } = __testing;
+
+    const files = extractEditPatchFiles([
+      { type: 'action', action: 'apply_patch', target: 'src/app.js' },
+      { type: 'observation', action: 'apply_patch', target: 'src/app.js', summary: 'Patched 2 hunk(s); wrote 40 characters' },
+      { type: 'action', action: 'apply_patch', target: 'src/other.js' },
+      { type: 'observation', action: 'apply_patch', target: 'src/other.js', summary: 'Error: Hunk 1 does not apply' }
+    ]);
+
+    expect(files).toEqual([{ path: 'src/app.js', chars: 40 }]);
+  });
+
   test('extractEditPatchFiles handles non-string summaries', () => {
     const { extractEditPatchFiles } = __testing;
 
@@ -705,6 +718,95 @@ describe('autopilotFeatureRequest', () => {
     expect(result.merge).toEqual({ mergedBranch: 'main', current: 'main' });
   });
 
+  describe('LLM budget', () => {
+    const createBudgetDeps = (overrides = {}) => {
+      const runQueue = [runResult('failed'), runResult('passed')];
+      return {
+        plan: vi.fn().mockResolvedValue(defaultPlan()),
+        edit: vi.fn().mockResolvedValue(createEditResult()),
+        createBranch: vi.fn(),
+        checkout: vi.fn(),
+        runTests: vi.fn(() => Promise.resolve(runQueue.shift())),
+        commit: vi.fn().mockResolvedValue({ commit: { sha: 'budget' } }),
+        merge: vi.fn().mockResolvedValue({ mergedBranch: 'main', current: 'main' }),
+        rollback: vi.fn(),
+        consumeUserUpdates: vi.fn(() => []),
+        shouldCancel: vi.fn(() => false),
+        shouldPause: vi.fn(() => false),
+        reportStatus: vi.fn(),
+        getDiffForFiles: vi.fn().mockResolvedValue('diff ok'),
+        appendEvent: createAppendEvent(),
+        ...overrides
+      };
+    };
+
+    test('pauses once the budget is spent and continues after the user resumes', async () => {
+      vi.useFakeTimers();
+      let paused = false;
+      const deps = createBudgetDeps({
+        checkBudget: vi.fn().mockResolvedValue({ exceeded: true, spentUsd: 5.1, budgetUsd: 5 }),
+        requestPause: vi.fn(() => {
+          paused = true;
+        }),
+        shouldPause: vi.fn(() => paused)
+      });
+
+      try {
+        const autopilotPromise = autopilotFeatureRequest({ projectId: 8, prompt: 'Over budget', deps });
+        await vi.advanceTimersByTimeAsync(0);
+        expect(deps.plan).not.toHaveBeenCalled();
+        expect(deps.reportStatus).toHaveBeenCalledWith('LLM budget reached ($5.10 of $5.00). Resume to keep spending.');
+
+        paused = false;
+        await vi.advanceTimersByTimeAsync(250);
+        const result = await autopilotPromise;
+
+        expect(result.merge).toEqual({ mergedBranch: 'main', current: 'main' });
+      } finally {
+        vi.useRealTimers();
+      }
+
+      // Resuming approves further spend, so the budget is not checked again.
+      expect(deps.checkBudget).toHaveBeenCalledTimes(1);
+      expect(deps.checkBudget).toHaveBeenCalledWith(8);
+      const messages = deps.appendEvent.events.map((event) => event.message);
+      expect(messages).toEqual(expect.arrayContaining(['Budget reached', 'Paused', 'Resumed', 'Budget overrun approved']));
+      expect(deps.appendEvent.events.find((event) => event.message === 'Budget reached').payload).toEqual({
+        label: 'before planning',
+        spentUsd: 5.1,
+        budgetUsd: 5
+      });
+    });
+
+    test('checks the budget at every step boundary and tolerates lookup failures', async () => {
+      const deps = createBudgetDeps({
+        checkBudget: vi.fn()
+          .mockResolvedValueOnce({ exceeded: false, spentUsd: 1, budgetUsd: 5 })
+          .mockRejectedValueOnce(new Error('db locked'))
+          .mockResolvedValue(null)
+      });
+
+      const result = await autopilotFeatureRequest({ projectId: 9, prompt: 'Within budget', deps });
+
+      expect(result.merge).toEqual({ mergedBranch: 'main', current: 'main' });
+      expect(deps.checkBudget.mock.calls.length).toBeGreaterThan(2);
+      expect(deps.appendEvent.events.some((event) => event.message === 'Budget reached')).toBe(false);
+    });
+
+    test('stops with a budget error when the caller cannot pause', async () => {
+      const deps = createBudgetDeps({
+        checkBudget: vi.fn().mockResolvedValue({ exceeded: true, spentUsd: 12, budgetUsd: 10 })
+      });
+
+      await expect(autopilotFeatureRequest({ projectId: 10, prompt: 'No pause channel', deps }))
+        .rejects.toMatchObject({
+          code: 'AUTOPILOT_BUDGET_EXCEEDED',
+          message: 'LLM budget reached ($12.00 of $10.00)'
+        });
+      expect(deps.plan).not.toHaveBeenCalled();
+    });
+  });
+
   test('executes happy path and merges branch', async () => {
     vi.useFakeTimers();
     const appendEvent = createAppendEvent();
@@ -1729,7 +1831,7 @@ describe('autopilotFeatureRequest', () => {
       merge: vi.fn().mockResolvedValue({ mergedBranch: 'main', current: 'main' }),
       rollback: vi.fn(),
       consumeUserUpdates: vi.fn(() => []),
-      shouldCancel: createStackTargetedShouldCancel(685),
+      shouldCancel: createStackTargetedShouldCancel(740),
       shouldPause: vi.fn(() => false),
       reportStatus: vi.fn(),
       getDiffForFiles: vi.fn().mockResolvedValue('diff ok'),
@@ -1767,7 +1869,7 @@ describe('autopilotFeatureRequest', () => {
           merge: vi.fn(),
           rollback: vi.fn(),
           consumeUserUpdates: vi.fn(() => []),
-          shouldCancel: createStackTargetedShouldCancel(704),
+          shouldCancel: createStackTargetedShouldCancel(759),
           shouldPause: vi.fn(() => false),
           reportStatus: vi.fn(),
           getDiffForFiles: vi.fn().mockResolvedValue('diff ok'),
@@ -1798,7 +1900,7 @@ describe('autopilotFeatureRequest', () => {
           merge: vi.fn(),
           rollback: vi.fn(),
           consumeUserUpdates,
-          shouldCancel: createStackTargetedShouldCancel(850, 12),
+          shouldCancel: createStackTargetedShouldCancel(905, 12),
           shouldPause: vi.fn(() => false),
           reportStatus: vi.fn(),
           getDiffForFiles: vi.fn().mockResolvedValue('diff ok'),
@@ -2683,7 +2785,7 @@ describe('autopilotFeatureRequest', () => {
       merge: vi.fn(),
       rollback: vi.fn(),
       consumeUserUpdates: vi.fn(() => []),
-      shouldCancel: createStackTargetedShouldCancel(573),
+      shouldCancel: createStackTargetedShouldCancel(628),
       shouldPause: vi.fn(() => false),
       reportStatus: vi.fn(),
       getDiffForFiles: vi.fn().mockResolvedValue('diff ok'),
@@ -2711,7 +2813,7 @@ describe('autopilotFeatureRequest', () => {
       merge: vi.fn(),
       rollback: vi.fn(),
       consumeUserUpdates: vi.fn(() => []),
-      shouldCancel: createStackTargetedShouldCancel(621),
+      shouldCancel: createStackTargetedShouldCancel(676),
       shouldPause: vi.fn(() => false),
       reportStatus: vi.fn(),
       getDiffForFiles: vi.fn().mockResolvedValue('diff ok'),
@@ -2811,7 +2913,7 @@ describe('autopilotFeatureRequest', () => {
       merge: vi.fn(),
       rollback: vi.fn(),
       consumeUserUpdates: vi.fn(() => []),
-      shouldCancel: createStackTargetedShouldCancel(275),
+      shouldCancel: createStackTargetedShouldCancel(323),
       shouldPause: vi.fn(() => false),
       reportStatus: vi.fn(() => {}),
       getDiffForFiles: vi.fn().mockResolvedValue('diff ok'),
@@ -2856,7 +2958,7 @@ describe('autopilotFeatureRequest', () => {
       merge: vi.fn(),
       rollback: vi.fn(),
       consumeUserUpdates,
-      shouldCancel: createStackTargetedShouldCancel(719),
+      shouldCancel: createStackTargetedShouldCancel(774),
       shouldPause: vi.fn(() => false),
       reportStatus,
       getDiffForFiles: vi.fn().mockResolvedValue('diff ok'),
@@ -2989,7 +3091,7 @@ describe('autopilotFeatureRequest', () => {
       merge: vi.fn(),
       rollback: vi.fn(),
       consumeUserUpdates: vi.fn(() => []),
-      shouldCancel: createStackTargetedShouldCancel(343),
+      shouldCancel: createStackTargetedShouldCancel(440),
       shouldPause: vi.fn(() => false),
       reportStatus: vi.fn(),
       getDiffForFiles: vi.fn().mockResolvedValue('diff ok'),
@@ -3097,7 +3199,7 @@ describe('autopilotFeatureRequest', () => {
           merge: vi.fn(),
           rollback: vi.fn(),
           consumeUserUpdates: vi.fn(() => []),
-          shouldCancel: createStackTargetedShouldCancel(256),
+          shouldCancel: createStackTargetedShouldCancel(304),
           shouldPause: vi.fn(() => false),
           reportStatus: vi.fn(),
           getDiffForFiles: vi.fn().mockResolvedValue('diff ok'),
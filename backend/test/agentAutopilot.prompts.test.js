@@ -44,4 +44,16 @@ describe('agentAutopilot prompts', () => {
     expect(prompt).toContain('User Guidance:\nPlease prioritize safety');
     expect(prompt).toContain('Latest Test Context:\n(No additional test output was provided.)');
   });
+
+  test('prompts include preview runtime errors only when provided', () => {
+    const errors = '- [error] TypeError: x is undefined';
+
+    expect(buildImplementationPrompt('Ship it', 'Tests failing', errors))
+      .toContain('Preview Runtime Errors (captured from the running app):\n- [error] TypeError: x is undefined');
+    expect(buildVerificationFixPrompt('Fix', 'Jest timeout', 1, 2, errors)).toContain('Preview Runtime Errors');
+    expect(buildUserGuidanceFixPrompt('Do work', 'None', 'Hurry', errors)).toContain('Preview Runtime Errors');
+
+    expect(buildImplementationPrompt('Ship it', 'Tests failing', '   ')).not.toContain('Preview Runtime Errors');
+    expect(buildVerificationFixPrompt('Fix', 'Jest timeout', 1, 2)).not.toContain('Preview Runtime Errors');
+  });
 });
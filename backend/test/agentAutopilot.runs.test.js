@@ -66,6 +66,7 @@ describe('agentAutopilot runs helpers', () => {
         exitCode: 0,
         durationMs: 1234,
         coverage: { totals: { lines: 90 } },
+        testSummary: { total: 4, passed: 4, failed: 0, skipped: 0 },
         logs
       },
       {
@@ -83,6 +84,8 @@ describe('agentAutopilot runs helpers', () => {
     expect(payload[0].logs[0]).toBe('line-6');
     expect(payload[0].exitCode).toBe(0);
     expect(payload[0].durationMs).toBe(1234);
+    expect(payload[0].testSummary).toEqual({ total: 4, passed: 4, failed: 0, skipped: 0 });
+    expect(payload[1].testSummary).toBeNull();
     expect(payload[0].streams.stdout).toEqual([]);
     expect(payload[0].streams.other).toEqual(logs);
 
@@ -106,6 +109,7 @@ describe('agentAutopilot runs helpers', () => {
       exitCode: null,
       durationMs: null,
       coverage: null,
+      testSummary: null,
       logs: [],
       streams: { workspace: null, stdout: [], stderr: [], other: [] }
     });
@@ -159,6 +163,19 @@ describe('agentAutopilot runs helpers', () => {
     expect(failures[1].message).toContain('Error:');
   });
 
+  test('extractFailingTestsFromWorkspaceRuns prefixes reported cases with their test file', () => {
+    const failures = extractFailingTestsFromWorkspaceRuns([
+      {
+        workspace: 'frontend',
+        tests: [{ status: 'failed', name: 'App > saves', file: 'src/App.test.jsx', error: 'expected 1 to be 2' }]
+      }
+    ]);
+
+    expect(failures).toEqual([
+      { workspace: 'frontend', name: 'src/App.test.jsx > App > saves', message: 'expected 1 to be 2' }
+    ]);
+  });
+
   test('extractFailingTestsFromWorkspaceRuns defaults missing status and message', () => {
     const failures = extractFailingTestsFromWorkspaceRuns([
       {
@@ -0,0 +1,382 @@
+import { EventEmitter } from 'events';
+import { afterEach, describe, expect, test, vi } from 'vitest';
+
+vi.mock('../database.js', () => ({
+  getAgentCommandSettings: vi.fn()
+}));
+
+import { getAgentCommandSettings } from '../database.js';
+import {
+  __testing,
+  buildCommandEnv,
+  executeCommand,
+  findAllowlistMatch,
+  parseCommandLine,
+  runAgentCommand,
+  truncateCommandOutput
+} from '../services/agentCommands.js';
+import {
+  __testing as approvalsTesting,
+  commandApprovalEvents,
+  getCommandApproval,
+  listPendingCommandApprovals,
+  requestCommandApproval,
+  resolveCommandApproval
+} from '../services/commandApprovals.js';
+
+const settings = { allowlist: ['node', 'npm test'], timeoutMs: 5000, maxOutputChars: 1000 };
+
+const createFakeChild = () => {
+  const child = new EventEmitter();
+  child.pid = 4321;
+  child.stdout = new EventEmitter();
+  child.stderr = new EventEmitter();
+  child.kill = vi.fn(() => child.emit('close', null));
+  return child;
+};
+
+describe('agentCommands', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.clearAllMocks();
+    vi.restoreAllMocks();
+  });
+
+  test('parses commands into argv and rejects shell operators', () => {
+    expect(parseCommandLine('  npx vitest run  "src/a b.test.js" \'-t\' "say \\"hi\\""')).toEqual([
+      'npx',
+      'vitest',
+      'run',
+      'src/a b.test.js',
+      '-t',
+      'say "hi"'
+    ]);
+    expect(parseCommandLine('echo ""')).toEqual(['echo', '']);
+    expect(parseCommandLine('ls -la ')).toEqual(['ls', '-la']);
+
+    expect(() => parseCommandLine('')).toThrow('command is required');
+    expect(() => parseCommandLine(null)).toThrow('command is required');
+    expect(() => parseCommandLine('npm test && rm -rf /')).toThrow('Shell operators');
+    expect(() => parseCommandLine('cat $HOME')).toThrow('Shell operators');
+    expect(() => parseCommandLine('echo "open')).toThrow('unterminated quote');
+  });
+
+  test('matches allowlist entries on leading arguments', () => {
+    const allowlist = ['npm test', '  npx   vitest run ', '', 7];
+    expect(findAllowlistMatch(['npm', 'test', '--', '--run'], allowlist)).toBe('npm test');
+    expect(findAllowlistMatch(['npx', 'vitest', 'run', 'a.test.js'], allowlist)).toBe('npx vitest run');
+    expect(findAllowlistMatch(['npm', 'install'], allowlist)).toBeNull();
+    expect(findAllowlistMatch(['npm'], allowlist)).toBeNull();
+    expect(findAllowlistMatch([], allowlist)).toBeNull();
+    expect(findAllowlistMatch(['npm', 'test'], null)).toBeNull();
+    expect(findAllowlistMatch(['npm', 'test'])).toBeNull();
+  });
+
+  test('leaves commands with outside paths or output flags to an approval', () => {
+    const allowlist = ['git diff', 'npx eslint', 'ls'];
+    expect(findAllowlistMatch(['git', 'diff', '--stat', 'src/app.js'], allowlist)).toBe('git diff');
+    expect(findAllowlistMatch(['git', 'diff', '--word-diff=color', 'HEAD~1'], allowlist)).toBe('git diff');
+
+    expect(findAllowlistMatch(['git', 'diff', '--no-index', 'a', 'b'], allowlist)).toBeNull();
+    expect(findAllowlistMatch(['git', 'diff', '--output=diff.txt'], allowlist)).toBeNull();
+    expect(findAllowlistMatch(['npx', 'eslint', '-o', 'report.txt', 'src'], allowlist)).toBeNull();
+    expect(findAllowlistMatch(['npx', 'eslint', '--Output-File', 'report.txt'], allowlist)).toBeNull();
+    expect(findAllowlistMatch(['ls', '/etc'], allowlist)).toBeNull();
+    expect(findAllowlistMatch(['ls', 'C:\\Users'], allowlist)).toBeNull();
+    expect(findAllowlistMatch(['ls', '~/.ssh'], allowlist)).toBeNull();
+    expect(findAllowlistMatch(['ls', 'src/../../secrets'], allowlist)).toBeNull();
+    expect(findAllowlistMatch(['ls', '..\\other'], allowlist)).toBeNull();
+    expect(findAllowlistMatch(['npx', 'eslint', '--config=/tmp/rules.js'], allowlist)).toBeNull();
+  });
+
+  test('passes commands only the basic environment variables', () => {
+    expect(buildCommandEnv({
+      PATH: '/usr/bin',
+      HOME: '/home/dev',
+      LC_ALL: 'C',
+      ENCRYPTION_KEY: 'secret',
+      DATABASE_PATH: '/data/app.db',
+      GITHUB_TOKEN: 'ghp_x',
+      TMPDIR: undefined
+    })).toEqual({ PATH: '/usr/bin', HOME: '/home/dev', LC_ALL: 'C', CI: '1', FORCE_COLOR: '0' });
+    expect(buildCommandEnv(null)).toEqual({ CI: '1', FORCE_COLOR: '0' });
+    expect(buildCommandEnv().PATH).toBe(process.env.PATH);
+  });
+
+  test('keeps the head and tail of long output', () => {
+    expect(truncateCommandOutput('short', 100)).toEqual({ output: 'short', truncated: false });
+    expect(truncateCommandOutput(undefined, 100)).toEqual({ output: '', truncated: false });
+
+    const { output, truncated } = truncateCommandOutput(`${'a'.repeat(50)}${'z'.repeat(50)}`, 40);
+    expect(truncated).toBe(true);
+    expect(output).toBe(`${'a'.repeat(10)}\n…60 characters omitted…\n${'z'.repeat(30)}`);
+  });
+
+  test('runs a real process and captures exit code and output', async () => {
+    const result = await executeCommand({
+      args: [process.execPath, '-e', 'console.log("out"); console.error("err"); process.exit(3)'],
+      cwd: process.cwd(),
+      timeoutMs: 10000,
+      maxOutputChars: 1000
+    });
+
+    expect(result.exitCode).toBe(3);
+    expect(result.timedOut).toBe(false);
+    expect(result.output).toContain('out');
+    expect(result.output).toContain('err');
+  });
+
+  test('kills the command\'s process group when it runs past the timeout or is aborted', async () => {
+    vi.useFakeTimers();
+    const child = createFakeChild();
+    const spawnFn = vi.fn(() => child);
+    const kill = vi.spyOn(process, 'kill').mockImplementation(() => child.emit('close', null));
+
+    const pending = executeCommand({ args: ['sleep', '100'], cwd: '/tmp', timeoutMs: 50, spawnFn, platform: 'linux' });
+    child.stdout.emit('data', Buffer.from('partial'));
+    vi.advanceTimersByTime(50);
+
+    await expect(pending).resolves.toEqual(expect.objectContaining({
+      exitCode: null,
+      timedOut: true,
+      output: 'partial'
+    }));
+    expect(kill).toHaveBeenCalledWith(-4321, 'SIGTERM');
+    expect(child.kill).not.toHaveBeenCalled();
+    expect(spawnFn).toHaveBeenCalledWith('sleep', ['100'], expect.objectContaining({ cwd: '/tmp', shell: false, detached: true }));
+    expect(spawnFn.mock.calls[0][2].env).toEqual(buildCommandEnv());
+
+    const controller = new AbortController();
+    const second = createFakeChild();
+    kill.mockImplementation(() => second.emit('close', null));
+    const aborted = executeCommand({
+      args: ['sleep'],
+      timeoutMs: 1000,
+      signal: controller.signal,
+      spawnFn: () => second,
+      platform: 'linux'
+    });
+    controller.abort();
+    await expect(aborted).resolves.toEqual(expect.objectContaining({ timedOut: false, exitCode: null }));
+  });
+
+  test('escalates to SIGKILL and gives up on commands that never close', async () => {
+    vi.useFakeTimers();
+    const child = createFakeChild();
+    child.kill = vi.fn();
+    const kill = vi.spyOn(process, 'kill').mockImplementation(() => true);
+
+    const pending = executeCommand({ args: ['stubborn'], timeoutMs: 50, spawnFn: () => child, platform: 'linux' });
+    vi.advanceTimersByTime(50);
+    expect(kill.mock.calls).toEqual([[-4321, 'SIGTERM']]);
+
+    vi.advanceTimersByTime(2000);
+    expect(kill.mock.calls).toEqual([[-4321, 'SIGTERM'], [-4321, 'SIGKILL']]);
+
+    vi.advanceTimersByTime(2000);
+    await expect(pending).resolves.toEqual(expect.objectContaining({
+      exitCode: null,
+      timedOut: true,
+      output: 'Command did not exit after SIGKILL'
+    }));
+  });
+
+  test('signals the child itself when its process group cannot be signalled', () => {
+    const child = createFakeChild();
+    vi.spyOn(process, 'kill').mockImplementation(() => {
+      throw Object.assign(new Error('kill ESRCH'), { code: 'ESRCH' });
+    });
+
+    __testing.terminateChild(child, 'linux', vi.fn(), 'SIGKILL');
+    expect(child.kill).toHaveBeenCalledWith('SIGKILL');
+
+    child.pid = undefined;
+    __testing.terminateChild(child, 'linux', vi.fn());
+    expect(child.kill).toHaveBeenLastCalledWith('SIGTERM');
+    expect(process.kill).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not start commands whose signal is already aborted', async () => {
+    const spawnFn = vi.fn();
+    const controller = new AbortController();
+    controller.abort();
+
+    const result = await executeCommand({ args: ['node'], timeoutMs: 1000, signal: controller.signal, spawnFn });
+
+    expect(spawnFn).not.toHaveBeenCalled();
+    expect(result).toEqual({
+      exitCode: null,
+      timedOut: false,
+      durationMs: 0,
+      output: 'Command was cancelled before it started',
+      truncated: false
+    });
+  });
+
+  test('keeps only the head and tail of output while the command runs', async () => {
+    const child = createFakeChild();
+    const pending = executeCommand({ args: ['noisy'], timeoutMs: 1000, maxOutputChars: 40, spawnFn: () => child });
+
+    child.stdout.emit('data', 'a'.repeat(50));
+    for (let index = 0; index < 100; index += 1) {
+      child.stdout.emit('data', 'm'.repeat(50));
+    }
+    child.stderr.emit('data', 'z'.repeat(50));
+    child.emit('close', 1);
+
+    const result = await pending;
+    expect(result.truncated).toBe(true);
+    expect(result.output).toBe(`${'a'.repeat(10)}\n…5060 characters omitted…\n${'z'.repeat(30)}`);
+  });
+
+  test('stops grandchildren that hold the output open', async () => {
+    const script = "require('child_process').spawn('sleep', ['30'], { stdio: 'inherit' }); setInterval(() => {}, 1000);";
+    const startedAt = Date.now();
+
+    const result = await executeCommand({
+      args: [process.execPath, '-e', script],
+      cwd: process.cwd(),
+      timeoutMs: 300,
+      maxOutputChars: 1000
+    });
+
+    expect(result.timedOut).toBe(true);
+    expect(Date.now() - startedAt).toBeLessThan(1500);
+  });
+
+  test('reports spawn failures', async () => {
+    const thrown = await executeCommand({
+      args: ['missing'],
+      spawnFn: () => {
+        throw new Error('spawn EACCES');
+      }
+    });
+    expect(thrown).toEqual({ exitCode: null, timedOut: false, durationMs: 0, output: 'spawn EACCES', truncated: false });
+
+    expect((await executeCommand({ args: ['x'], spawnFn: () => { throw {}; } })).output).toBe('Command failed to start');
+
+    const child = createFakeChild();
+    const pending = executeCommand({ args: ['missing'], timeoutMs: 1000, spawnFn: () => child });
+    child.stderr.emit('data', 'warn');
+    child.emit('error', new Error('spawn missing ENOENT'));
+    child.emit('close', 1);
+    expect((await pending).output).toBe('warn\nspawn missing ENOENT');
+
+    const bare = createFakeChild();
+    const bareResult = executeCommand({ args: ['missing'], timeoutMs: 1000, spawnFn: () => bare });
+    bare.emit('error', {});
+    expect((await bareResult).output).toBe('Command failed');
+  });
+
+  test('uses taskkill on Windows', () => {
+    const spawnFn = vi.fn();
+    const child = createFakeChild();
+    __testing.terminateChild(child, 'win32', spawnFn);
+    expect(spawnFn).toHaveBeenCalledWith('taskkill', ['/PID', '4321', '/T', '/F'], { windowsHide: true });
+    expect(child.kill).not.toHaveBeenCalled();
+
+    child.pid = undefined;
+    __testing.terminateChild(child, 'win32', spawnFn);
+    expect(child.kill).toHaveBeenCalledWith('SIGTERM');
+  });
+
+  test('runs allowlisted commands without asking', async () => {
+    getAgentCommandSettings.mockResolvedValue(settings);
+    const approve = vi.fn();
+
+    const result = await runAgentCommand({
+      command: `node -e "console.log(1 + 1)"`,
+      cwd: process.cwd(),
+      approve
+    });
+
+    expect(approve).not.toHaveBeenCalled();
+    expect(result).toEqual(expect.objectContaining({
+      command: 'node -e console.log(1 + 1)',
+      status: 'ran',
+      approval: 'allowlist',
+      exitCode: 0
+    }));
+    expect(result.output.trim()).toBe('2');
+  });
+
+  test('asks for approval outside the allowlist', async () => {
+    const child = createFakeChild();
+    const spawnFn = vi.fn(() => child);
+    const approve = vi.fn().mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+
+    const denied = await runAgentCommand({ command: 'make build', cwd: '/repo', reason: 'compile', approve, settings, spawnFn });
+    expect(approve).toHaveBeenCalledWith({ command: 'make build', cwd: '/repo', reason: 'compile' });
+    expect(denied).toEqual({
+      command: 'make build',
+      status: 'denied',
+      approval: 'denied',
+      error: 'Command is not on the allowlist and was not approved by the user.'
+    });
+    expect(spawnFn).not.toHaveBeenCalled();
+
+    const approved = runAgentCommand({ command: 'make build', cwd: '/repo', approve, settings, spawnFn });
+    await vi.waitFor(() => expect(spawnFn).toHaveBeenCalled());
+    child.emit('close', 0);
+    expect(await approved).toEqual(expect.objectContaining({ status: 'ran', approval: 'user', exitCode: 0 }));
+
+    expect((await runAgentCommand({ command: 'make', settings })).status).toBe('denied');
+  });
+
+  test('rejects commands that cannot be parsed', async () => {
+    expect(await runAgentCommand({ command: 'ls | wc', settings })).toEqual({
+      command: 'ls | wc',
+      status: 'rejected',
+      error: 'Shell operators (; & | < > ` $) are not supported; run one command at a time'
+    });
+    expect((await runAgentCommand({ settings })).command).toBe('');
+  });
+});
+
+describe('commandApprovals', () => {
+  afterEach(() => {
+    approvalsTesting.reset();
+    commandApprovalEvents.removeAllListeners();
+    vi.useRealTimers();
+  });
+
+  test('queues approvals per project and resolves them once', async () => {
+    const requested = vi.fn();
+    const resolved = vi.fn();
+    commandApprovalEvents.on('approval:requested', requested);
+    commandApprovalEvents.on('approval:resolved', resolved);
+
+    const first = requestCommandApproval({ projectId: 7, command: 'make', cwd: '/repo', reason: 'build' });
+    const second = requestCommandApproval({ projectId: 8, command: 'cargo build' });
+
+    expect(requested).toHaveBeenCalledWith(expect.objectContaining({ id: '1', projectId: '7', command: 'make' }));
+    expect(listPendingCommandApprovals(7)).toEqual([
+      expect.objectContaining({ id: '1', cwd: '/repo', reason: 'build', requestedAt: expect.any(String) })
+    ]);
+    expect(listPendingCommandApprovals()).toHaveLength(2);
+    expect(getCommandApproval(2)).toEqual(expect.objectContaining({ id: '2', projectId: '8', command: 'cargo build' }));
+    expect(getCommandApproval('9')).toBeNull();
+
+    expect(resolveCommandApproval('1', true)).toEqual(expect.objectContaining({ approved: true, resolution: 'user' }));
+    expect(resolveCommandApproval('1', true)).toBeNull();
+    expect(resolveCommandApproval(2, 'yes')).toEqual(expect.objectContaining({ approved: false }));
+
+    await expect(first).resolves.toBe(true);
+    await expect(second).resolves.toBe(false);
+    expect(resolved).toHaveBeenCalledTimes(2);
+    expect(listPendingCommandApprovals()).toEqual([]);
+  });
+
+  test('denies approvals nobody answers', async () => {
+    vi.useFakeTimers();
+    const pending = requestCommandApproval({ projectId: 1, command: 'make', timeoutMs: 100 });
+    vi.advanceTimersByTime(100);
+    await expect(pending).resolves.toBe(false);
+    expect(listPendingCommandApprovals(1)).toEqual([]);
+  });
+
+  test('requires a project and a command', () => {
+    expect(() => requestCommandApproval()).toThrow('projectId is required');
+    expect(() => requestCommandApproval({ projectId: 1 })).toThrow('command is required');
+  });
+});
@@ -5,6 +5,14 @@ vi.mock('../services/agentAutopilot.js', () => {
   return { autopilotFeatureRequest };
 });
 
+vi.mock('../services/llmUsage.js', async () => {
+  const actual = await vi.importActual('../services/llmUsage.js');
+  return {
+    ...actual,
+    getProjectBudgetStatus: vi.fn(async () => ({ exceeded: true, spentUsd: 3, budgetUsd: 2 }))
+  };
+});
+
 import {
   cancelAutopilotSession,
   createAutopilotSession,
@@ -14,6 +22,7 @@ import {
   __testing
 } from '../services/autopilotSessions.js';
 import { autopilotFeatureRequest } from '../services/agentAutopilot.js';
+import { getLlmUsageContext, getProjectBudgetStatus } from '../services/llmUsage.js';
 
 const wait = (ms = 5) => new Promise((resolve) => setTimeout(resolve, ms));
 
@@ -120,6 +129,29 @@ describe('autopilotSessions service', () => {
     expect(navigateEvent.payload.tab).toBeNull();
   });
 
+  test('createAutopilotSession keeps the tail of the streamed edit output', async () => {
+    const autopilot = vi.fn(async ({ deps }) => {
+      expect(deps.signal.aborted).toBe(false);
+      deps.onToken('Planning. ');
+      deps.onToken('x'.repeat(4000));
+      deps.onToken('Done.');
+      return {};
+    });
+
+    const session = await createAutopilotSession({
+      projectId: 42,
+      prompt: 'Stream output',
+      deps: { autopilot, generateId: () => 'session-live-output' }
+    });
+    expect(session.liveOutput).toBe('');
+
+    await __testing.waitForSessionInternal(session.id);
+
+    const stored = getAutopilotSession(session.id);
+    expect(stored.liveOutput).toHaveLength(4000);
+    expect(stored.liveOutput.endsWith('xDone.')).toBe(true);
+  });
+
   test('createAutopilotSession trims event backlog and reports status changes once', async () => {
     const autopilot = vi.fn(async ({ deps }) => {
       deps.reportStatus(123);
@@ -282,11 +314,43 @@ describe('autopilotSessions service', () => {
 
     enqueueAutopilotSessionMessage({ sessionId: session.id, projectId: 12, message: 'Cancel', kind: 'cancel' });
     expect(internal.control.cancelRequested).toBe(true);
+    expect(internal.control.abortController.signal.aborted).toBe(true);
 
     cancelAutopilotSession({ sessionId: session.id, projectId: 12 });
     await __testing.waitForSessionInternal(session.id);
   });
 
+  test('budget pauses show the session as paused until the user resumes', async () => {
+    let seen = null;
+    const autopilot = vi.fn(async ({ deps }) => {
+      seen = { context: getLlmUsageContext(), budget: await deps.checkBudget() };
+      deps.requestPause();
+      while (deps.shouldPause()) {
+        await wait();
+      }
+      return { ok: true };
+    });
+
+    const session = await createAutopilotSession({
+      projectId: 14,
+      prompt: 'Spend carefully',
+      deps: { autopilot, generateId: () => 'session-budget' }
+    });
+
+    await vi.waitFor(() => expect(getAutopilotSession(session.id).status).toBe('paused'));
+    expect(getProjectBudgetStatus).toHaveBeenCalledWith(14);
+    expect(seen).toEqual({
+      context: { projectId: 14, sessionId: 'session-budget' },
+      budget: { exceeded: true, spentUsd: 3, budgetUsd: 2 }
+    });
+
+    enqueueAutopilotSessionMessage({ sessionId: session.id, projectId: 14, message: 'resume', kind: 'resume' });
+    expect(getAutopilotSession(session.id).status).toBe('running');
+
+    await __testing.waitForSessionInternal(session.id);
+    expect(getAutopilotSession(session.id).status).toBe('completed');
+  });
+
   test('autopilot cancellation uses default message when missing', async () => {
     const autopilot = vi.fn(async () => {
       throw { code: 'AUTOPILOT_CANCELLED' };
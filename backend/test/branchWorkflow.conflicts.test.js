@@ -0,0 +1,250 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { runGitCommand } from '../utils/git.js';
+import { createBranchWorkflowConflicts } from '../services/branchWorkflow/conflictsApi.js';
+import {
+  hasConflictMarkers,
+  parseConflictHunks,
+  resolveConflictHunk
+} from '../services/branchWorkflow/conflictsApi/conflictMarkers.js';
+import { withStatusCode } from '../services/branchWorkflow/formatting.js';
+
+const DIFF3 = [
+  'header\n',
+  '<<<<<<< HEAD\n',
+  'main line\n',
+  '||||||| merged common ancestors\n',
+  'base line\n',
+  '=======\n',
+  'feature line\n',
+  '>>>>>>> feature/x\n',
+  'middle\n',
+  '<<<<<<< HEAD\n',
+  'main tail\n',
+  '=======\n',
+  'feature tail\n',
+  '>>>>>>> feature/x\n'
+].join('');
+
+describe('conflict markers', () => {
+  test('parses diff3 and two-way hunks', () => {
+    const hunks = parseConflictHunks(DIFF3);
+    expect(hunks).toEqual([
+      {
+        index: 0,
+        startLine: 2,
+        endLine: 8,
+        oursLabel: 'HEAD',
+        baseLabel: 'merged common ancestors',
+        theirsLabel: 'feature/x',
+        ours: 'main line\n',
+        base: 'base line\n',
+        theirs: 'feature line\n'
+      },
+      expect.objectContaining({ index: 1, startLine: 10, base: null, ours: 'main tail\n', theirs: 'feature tail\n' })
+    ]);
+    expect(hasConflictMarkers(DIFF3)).toBe(true);
+    expect(hasConflictMarkers('plain\n======= not a marker\n')).toBe(false);
+    expect(parseConflictHunks('<<<<<<< HEAD\nunterminated\n')).toEqual([]);
+    expect(parseConflictHunks(null)).toEqual([]);
+  });
+
+  test('resolves one hunk at a time and keeps the rest intact', () => {
+    const oursFirst = resolveConflictHunk(DIFF3, 0, 'ours');
+    expect(oursFirst.startsWith('header\nmain line\nmiddle\n<<<<<<< HEAD\n')).toBe(true);
+    expect(parseConflictHunks(oursFirst)).toHaveLength(1);
+
+    expect(resolveConflictHunk(oursFirst, 0, 'both')).toBe('header\nmain line\nmiddle\nmain tail\nfeature tail\n');
+    expect(resolveConflictHunk(DIFF3, 0, 'base')).toContain('header\nbase line\nmiddle\n');
+    expect(resolveConflictHunk(DIFF3, 1, 'theirs').endsWith('middle\nfeature tail\n')).toBe(true);
+
+    expect(() => resolveConflictHunk(DIFF3, 1, 'base')).toThrow('This conflict has no base version');
+    expect(() => resolveConflictHunk(DIFF3, 5, 'ours')).toThrow('Conflict hunk 5 not found');
+    expect(() => resolveConflictHunk(DIFF3, 0, 'mine')).toThrow('choice must be one of');
+  });
+});
+
+describe('branchWorkflow conflicts', () => {
+  let repo;
+  let core;
+  let api;
+
+  const git = (...args) => runGitCommand(repo, args);
+
+  beforeEach(async () => {
+    repo = await fs.mkdtemp(path.join(os.tmpdir(), 'lucid-conflicts-'));
+    await git('init', '-b', 'main');
+    await git('config', 'user.email', 'test@example.com');
+    await git('config', 'user.name', 'Test');
+    await fs.writeFile(path.join(repo, 'app.js'), 'const a = 1;\nconst b = 2;\n');
+    await fs.writeFile(path.join(repo, 'notes.md'), 'notes\n');
+    await git('add', '-A');
+    await git('commit', '-m', 'initial');
+    await git('checkout', '-b', 'feature/x');
+    await fs.writeFile(path.join(repo, 'app.js'), 'const a = 10;\nconst b = 2;\n');
+    await fs.writeFile(path.join(repo, 'notes.md'), 'feature notes\n');
+    await git('commit', '-am', 'feature');
+    await git('checkout', 'main');
+    await fs.writeFile(path.join(repo, 'app.js'), 'const a = 100;\nconst b = 2;\n');
+    await fs.writeFile(path.join(repo, 'notes.md'), 'main notes\n');
+    await git('commit', '-am', 'main');
+    await git('merge', '--no-ff', 'feature/x').catch(() => null);
+
+    core = {
+      withStatusCode,
+      getProjectContext: vi.fn(async () => ({ gitReady: true, projectPath: repo })),
+      runProjectGit: (context, args, options) => runGitCommand(context.projectPath, args, options),
+      llmClient: { generateResponse: vi.fn(async () => '```js\nconst a = 110;\nconst b = 2;\n```') },
+      runTestsForBranch: vi.fn(async () => ({ status: 'passed' })),
+      completeBranchMerge: vi.fn(async (projectId, branchName) => ({ mergedBranch: branchName, current: 'main' })),
+      popBranchStash: vi.fn(async () => true),
+      fs,
+      path
+    };
+    api = createBranchWorkflowConflicts(core);
+  });
+
+  afterEach(async () => {
+    await fs.rm(repo, { recursive: true, force: true });
+  });
+
+  const start = () => api.startConflictResolution(1, {
+    operation: 'merge',
+    kind: 'branch-merge',
+    branchName: 'feature/x'
+  });
+
+  test('lists conflicted files with ours, base and theirs versions', async () => {
+    const summary = await start();
+    expect(summary).toEqual(expect.objectContaining({
+      inProgress: true,
+      operation: 'merge',
+      kind: 'branch-merge',
+      labels: { ours: 'main', theirs: 'feature/x', base: 'Common ancestor' },
+      files: [{ path: 'app.js', resolved: false }, { path: 'notes.md', resolved: false }],
+      unresolvedCount: 2
+    }));
+
+    const file = await api.getConflictFile(1, 'app.js');
+    expect(file).toEqual(expect.objectContaining({
+      path: 'app.js',
+      base: 'const a = 1;\nconst b = 2;\n',
+      ours: 'const a = 100;\nconst b = 2;\n',
+      theirs: 'const a = 10;\nconst b = 2;\n',
+      resolved: false
+    }));
+    expect(file.hunks).toEqual([expect.objectContaining({ ours: 'const a = 100;\n', base: 'const a = 1;\n', theirs: 'const a = 10;\n' })]);
+
+    await expect(api.getConflictFile(1, '../outside.js')).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('accepts hunks, saves edits and stages resolved files', async () => {
+    await start();
+
+    const file = await api.resolveConflictHunk(1, { path: 'app.js', hunkIndex: 0, choice: 'theirs' });
+    expect(file.content).toBe('const a = 10;\nconst b = 2;\n');
+    expect(file.resolved).toBe(true);
+
+    await api.resolveConflictHunk(1, { path: 'notes.md', choice: 'ours' });
+    await expect(api.getMergeConflicts(1)).resolves.toEqual(expect.objectContaining({
+      files: [{ path: 'app.js', resolved: true }, { path: 'notes.md', resolved: true }],
+      unresolvedCount: 0
+    }));
+    await expect(fs.readFile(path.join(repo, 'notes.md'), 'utf8')).resolves.toBe('main notes\n');
+
+    const partial = await api.saveConflictResolution(1, { path: 'app.js', content: '<<<<<<< HEAD\nx\n=======\ny\n>>>>>>> b\n' });
+    expect(partial.hunks).toHaveLength(1);
+
+    await expect(api.resolveConflictHunk(1, { path: 'app.js', hunkIndex: 3, choice: 'ours' })).rejects.toMatchObject({ statusCode: 404 });
+    await expect(api.resolveConflictHunk(1, { path: 'app.js', choice: 'both' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(api.resolveConflictHunk(1, { path: 'app.js', choice: 'nope' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(api.saveConflictResolution(1, { path: 'app.js' })).rejects.toThrow('content must be a string');
+  });
+
+  test('asks the agent for resolutions without writing or staging them', async () => {
+    await start();
+    core.llmClient.generateResponse
+      .mockResolvedValueOnce('const a = 110;\nconst b = 2;\n')
+      .mockResolvedValueOnce('<<<<<<< HEAD\nstill\n=======\nbroken\n>>>>>>> x\n');
+
+    const result = await api.resolveConflictsWithAgent(1);
+
+    expect(result.proposals).toEqual([{ path: 'app.js', content: 'const a = 110;\nconst b = 2;\n' }]);
+    expect(result.failed).toEqual([{ path: 'notes.md', error: 'The agent left conflict markers in the file' }]);
+    expect(result.conflicts.unresolvedCount).toBe(2);
+    await expect(fs.readFile(path.join(repo, 'app.js'), 'utf8')).resolves.toContain('<<<<<<<');
+
+    await api.saveConflictResolution(1, { path: 'app.js', content: result.proposals[0].content });
+    await expect(api.getMergeConflicts(1)).resolves.toEqual(expect.objectContaining({ unresolvedCount: 1 }));
+
+    const [messages, options] = core.llmClient.generateResponse.mock.calls[0];
+    expect(messages[1].content).toContain('"Ours" is main; "theirs" is feature/x.');
+    expect(messages[1].content).toContain('||||||| ');
+    expect(options).toEqual(expect.objectContaining({ __lucidcoderPhase: 'merge_conflict' }));
+
+    const noLlm = createBranchWorkflowConflicts({ ...core, llmClient: null });
+    await expect(noLlm.resolveConflictsWithAgent(1)).rejects.toMatchObject({ statusCode: 503 });
+  });
+
+  test('runs tests before committing the merge and completing the branch', async () => {
+    await start();
+    await expect(api.completeConflictResolution(1)).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Resolve all conflicted files first (2 remaining)'
+    });
+
+    await api.resolveConflictHunk(1, { path: 'app.js', hunkIndex: 0, choice: 'ours' });
+    await api.resolveConflictHunk(1, { path: 'notes.md', hunkIndex: 0, choice: 'theirs' });
+
+    core.runTestsForBranch.mockResolvedValueOnce({ status: 'failed' });
+    await expect(api.completeConflictResolution(1)).rejects.toMatchObject({
+      statusCode: 409,
+      testRun: { status: 'failed' }
+    });
+    expect(core.runTestsForBranch).toHaveBeenCalledWith(1, 'feature/x');
+
+    const result = await api.completeConflictResolution(1);
+    expect(result).toEqual(expect.objectContaining({
+      completed: true,
+      operation: 'merge',
+      merge: { mergedBranch: 'feature/x', current: 'main' },
+      stash: null
+    }));
+    expect(core.completeBranchMerge).toHaveBeenCalledWith(1, 'feature/x', { preMergeBumpPerformed: false });
+
+    const { stdout } = await git('log', '-1', '--pretty=%P');
+    expect(stdout.trim().split(' ')).toHaveLength(2);
+    await expect(api.getMergeConflicts(1)).resolves.toEqual({ inProgress: false, files: [] });
+  });
+
+  test('aborts the merge and restores stashed changes', async () => {
+    await api.startConflictResolution(1, { operation: 'merge', kind: 'pull', stashBranch: 'main' });
+
+    await expect(api.abortConflictResolution(1)).resolves.toEqual({
+      aborted: true,
+      operation: 'merge',
+      kind: 'pull',
+      branchName: null,
+      stash: { restored: true, error: null }
+    });
+    expect(core.popBranchStash).toHaveBeenCalledWith(repo, 'main');
+    await expect(fs.readFile(path.join(repo, 'app.js'), 'utf8')).resolves.toBe('const a = 100;\nconst b = 2;\n');
+    await expect(api.abortConflictResolution(1)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('recovers the in-progress merge after a restart', async () => {
+    const summary = await api.getMergeConflicts(1);
+    expect(summary).toEqual(expect.objectContaining({ inProgress: true, kind: 'external', branchName: null }));
+    expect(summary.labels.theirs).toBe('Incoming branch');
+
+    await git('merge', '--abort');
+    await expect(api.startConflictResolution(1)).resolves.toBeNull();
+
+    core.getProjectContext.mockResolvedValueOnce({ gitReady: false });
+    await expect(api.startConflictResolution(1)).resolves.toBeNull();
+    core.getProjectContext.mockResolvedValueOnce({ gitReady: false });
+    await expect(api.getConflictFile(1, 'app.js')).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,219 @@
+import { describe, expect, test, vi } from 'vitest';
+import {
+  buildPullRequestBody,
+  buildPullRequestTitle,
+  createBranchWorkflowPullRequests,
+  serializeStoredPullRequest
+} from '../services/branchWorkflow/pullRequestsApi.js';
+import { withStatusCode } from '../services/branchWorkflow/formatting.js';
+
+const CHANGELOG = '# Changelog\n\n## Unreleased\n\n- Add login form\n- Validate passwords\n\n## 0.1.0\n\n- Initial\n';
+
+const createCore = (overrides = {}) => {
+  const branch = {
+    id: 5,
+    name: 'feature/login',
+    description: 'Login work',
+    type: 'feature',
+    status: 'ready-for-merge',
+    ...overrides.branch
+  };
+  const core = {
+    withStatusCode,
+    getProjectContext: vi.fn(async () => ({ projectPath: '/repo', gitReady: true, ...overrides.context })),
+    getBranchByName: vi.fn(async () => branch),
+    runProjectGit: vi.fn(async (context, args) => (args[0] === 'show' ? { stdout: CHANGELOG } : { stdout: '' })),
+    resolveProjectGitSettings: vi.fn(async () => ({
+      workflow: 'cloud',
+      provider: 'github',
+      remoteUrl: 'https://github.com/octo/app.git',
+      defaultBranch: 'main',
+      ...overrides.gitSettings
+    })),
+    getProjectGitSettingsToken: vi.fn(async () => ('token' in overrides ? overrides.token : 'ghp_secret')),
+    isCssOnlyBranchDiff: vi.fn(async () => false),
+    pullRequestService: {
+      createPullRequest: vi.fn(async () => ({
+        provider: 'github',
+        number: 12,
+        url: 'https://github.com/octo/app/pull/12',
+        status: 'open',
+        created: true
+      })),
+      getPullRequest: vi.fn(async () => ({ provider: 'github', number: 12, url: '', status: 'merged' }))
+    },
+    get: vi.fn(async (sql) => {
+      if (sql.includes('FROM agent_goals')) {
+        return { title: 'Add login', prompt: 'Add a login form with password validation' };
+      }
+      return { status: 'passed', total_tests: 4, passed_tests: 4, failed_tests: 0, skipped_tests: 0, duration: 1.5, completed_at: '2024-05-01T10:00:00Z' };
+    }),
+    run: vi.fn(async () => ({})),
+    ...overrides.core
+  };
+  return { core, branch, api: createBranchWorkflowPullRequests(core) };
+};
+
+describe('branchWorkflow pull requests', () => {
+  test('pushes the branch, opens the pull request and stores it on the branch', async () => {
+    const { core, api } = createCore();
+
+    const result = await api.openPullRequest(1, 'feature/login');
+
+    expect(result).toEqual({
+      pullRequest: { provider: 'github', number: 12, url: 'https://github.com/octo/app/pull/12', status: 'open' },
+      created: true
+    });
+    expect(core.runProjectGit).toHaveBeenCalledWith(expect.anything(), ['push', '-u', 'origin', 'feature/login']);
+    expect(core.getProjectGitSettingsToken).toHaveBeenCalledWith(1);
+
+    const request = core.pullRequestService.createPullRequest.mock.calls[0][0];
+    expect(request).toEqual(expect.objectContaining({
+      provider: 'github',
+      token: 'ghp_secret',
+      remoteUrl: 'https://github.com/octo/app.git',
+      head: 'feature/login',
+      base: 'main',
+      title: 'Add login'
+    }));
+    expect(request.body).toContain('## Goal\n\nAdd a login form with password validation');
+    expect(request.body).toContain('- Tests: 4 passed, 0 failed, 0 skipped (4 total)');
+    expect(request.body).toContain('## Changelog\n\n- Add login form\n- Validate passwords');
+
+    const [sql, params] = core.run.mock.calls[0];
+    expect(sql).toContain('SET pr_provider = ?');
+    expect(params).toEqual(['github', 12, 'https://github.com/octo/app/pull/12', 'open', 5]);
+  });
+
+  test('returns an already-open pull request without calling the provider', async () => {
+    const { core, api } = createCore({
+      branch: { pr_provider: 'github', pr_number: 3, pr_url: 'https://github.com/octo/app/pull/3', pr_status: 'open' }
+    });
+
+    await expect(api.openPullRequest(1, 'feature/login')).resolves.toEqual({
+      pullRequest: { provider: 'github', number: 3, url: 'https://github.com/octo/app/pull/3', status: 'open' },
+      created: false
+    });
+    expect(core.runProjectGit).not.toHaveBeenCalled();
+    expect(core.pullRequestService.createPullRequest).not.toHaveBeenCalled();
+  });
+
+  test('reports when the provider already had a pull request for the branch', async () => {
+    const { core, api } = createCore({
+      branch: { pr_url: 'https://github.com/octo/app/pull/2', pr_status: 'closed' }
+    });
+    core.pullRequestService.createPullRequest.mockResolvedValueOnce({
+      provider: 'github',
+      number: 9,
+      url: 'https://github.com/octo/app/pull/9',
+      status: 'open',
+      created: false
+    });
+    core.runProjectGit.mockImplementation(async (context, args) => {
+      if (args[0] === 'show') {
+        throw new Error('missing CHANGELOG.md');
+      }
+      return { stdout: '' };
+    });
+
+    const result = await api.openPullRequest(1, 'feature/login');
+    expect(result.created).toBe(false);
+    expect(core.pullRequestService.createPullRequest.mock.calls[0][0].body).not.toContain('## Changelog');
+  });
+
+  test('enforces the same gates as merging', async () => {
+    await expect(createCore({ branch: { type: 'main', name: 'main' } }).api.openPullRequest(1, 'main'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Main branch cannot be used for a pull request' });
+
+    await expect(createCore({ branch: { status: 'active' } }).api.openPullRequest(1, 'feature/login'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Branch must pass tests before opening a pull request' });
+
+    const cssOnly = createCore({ branch: { status: 'active' } });
+    cssOnly.core.isCssOnlyBranchDiff.mockResolvedValueOnce(true);
+    await expect(cssOnly.api.openPullRequest(1, 'feature/login')).resolves.toEqual(expect.objectContaining({ created: true }));
+
+    const failingCheck = createCore({ branch: { status: 'active' } });
+    failingCheck.core.isCssOnlyBranchDiff.mockRejectedValueOnce(new Error('git failed'));
+    await expect(failingCheck.api.openPullRequest(1, 'feature/login')).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('requires a connected remote, a token and a git repository', async () => {
+    await expect(createCore({ gitSettings: { workflow: 'local' } }).api.openPullRequest(1, 'feature/login'))
+      .rejects.toThrow('Connect the project to a remote repository before opening a pull request');
+
+    await expect(createCore({ gitSettings: { remoteUrl: '  ' } }).api.openPullRequest(1, 'feature/login'))
+      .rejects.toThrow('Connect the project to a remote repository');
+
+    const unreadable = createCore();
+    unreadable.core.resolveProjectGitSettings.mockRejectedValueOnce(new Error('db down'));
+    await expect(unreadable.api.openPullRequest(1, 'feature/login')).rejects.toMatchObject({ statusCode: 400 });
+
+    await expect(createCore({ token: null }).api.openPullRequest(1, 'feature/login'))
+      .rejects.toThrow('A personal access token is required to open a pull request');
+
+    await expect(createCore({ context: { gitReady: false } }).api.openPullRequest(1, 'feature/login'))
+      .rejects.toThrow('Git repository is not available for this project');
+  });
+
+  test('surfaces push failures without contacting the provider', async () => {
+    const { core, api } = createCore();
+    core.runProjectGit.mockRejectedValueOnce(new Error('Authentication failed'));
+
+    await expect(api.openPullRequest(1, 'feature/login'))
+      .rejects.toMatchObject({ statusCode: 502, message: 'Failed to push branch: Authentication failed' });
+    expect(core.pullRequestService.createPullRequest).not.toHaveBeenCalled();
+
+    const bare = createCore();
+    bare.core.runProjectGit.mockRejectedValueOnce({});
+    await expect(bare.api.openPullRequest(1, 'feature/login')).rejects.toThrow('Failed to push branch: unknown push failure');
+  });
+
+  test('refreshes the stored pull request status from the provider', async () => {
+    const { core, api } = createCore({
+      branch: { pr_provider: 'gitlab', pr_number: 4, pr_url: 'https://gitlab.com/octo/app/-/merge_requests/4', pr_status: 'open' }
+    });
+
+    await expect(api.refreshPullRequest(1, 'feature/login')).resolves.toEqual({
+      pullRequest: { provider: 'gitlab', number: 4, url: 'https://gitlab.com/octo/app/-/merge_requests/4', status: 'merged' }
+    });
+    expect(core.pullRequestService.getPullRequest).toHaveBeenCalledWith(expect.objectContaining({ provider: 'gitlab', number: 4 }));
+    expect(core.run.mock.calls[0][1]).toEqual(['gitlab', 4, 'https://gitlab.com/octo/app/-/merge_requests/4', 'merged', 5]);
+
+    const legacy = createCore({ branch: { pr_number: 8, pr_url: 'https://github.com/octo/app/pull/8' } });
+    legacy.core.pullRequestService.getPullRequest.mockResolvedValueOnce({ url: 'https://github.com/octo/app/pull/8#new', status: 'closed' });
+    await expect(legacy.api.refreshPullRequest(1, 'feature/login')).resolves.toEqual({
+      pullRequest: { provider: null, number: 8, url: 'https://github.com/octo/app/pull/8#new', status: 'closed' }
+    });
+    expect(legacy.core.pullRequestService.getPullRequest).toHaveBeenCalledWith(expect.objectContaining({ provider: 'github' }));
+
+    await expect(createCore().api.refreshPullRequest(1, 'feature/login'))
+      .rejects.toMatchObject({ statusCode: 404, message: 'Branch has no pull request' });
+  });
+
+  test('builds titles and bodies from whatever context exists', () => {
+    expect(buildPullRequestTitle({ goal: { prompt: 'First line\nSecond' } })).toBe('First line');
+    expect(buildPullRequestTitle({ branch: { name: 'feature/x', description: '' } })).toBe('feature/x');
+    expect(buildPullRequestTitle()).toBe('LucidCoder changes');
+    expect(buildPullRequestTitle({ goal: { title: 'x'.repeat(200) } })).toHaveLength(120);
+
+    expect(buildPullRequestBody({ branch: { name: 'feature/x', description: 'Tweak styles' } })).toBe([
+      '## Goal\n\nTweak styles',
+      '## Test proof\n\nNo test run recorded for this branch.',
+      '_Opened by LucidCoder from branch `feature/x`._'
+    ].join('\n\n'));
+    expect(buildPullRequestBody({
+      branch: { name: 'b' },
+      testRun: { status: 'skipped', total_tests: 0, duration: null }
+    })).toContain('## Test proof\n\n- Status: skipped\n\n_Opened');
+    expect(buildPullRequestBody({
+      branch: { name: 'b' },
+      testRun: { status: 'passed', total_tests: 2, passed_tests: 2 }
+    })).toContain('- Tests: 2 passed, 0 failed, 0 skipped (2 total)');
+  });
+
+  test('serializes stored pull request columns', () => {
+    expect(serializeStoredPullRequest({ pr_url: 'u' })).toEqual({ provider: null, number: null, url: 'u', status: 'open' });
+    expect(serializeStoredPullRequest({})).toBeNull();
+    expect(serializeStoredPullRequest(null)).toBeNull();
+  });
+});
@@ -0,0 +1,180 @@
+import { describe, expect, test } from 'vitest';
+import {
+  applyPatch,
+  applyReplacements,
+  applyUnifiedDiff,
+  isSearchReplaceText,
+  parseSearchReplaceBlocks,
+  parseUnifiedDiff
+} from '../services/codeEditAgent/applyPatch.js';
+import { countFileWrites, isSuccessfulPatchObservation } from '../services/codeEditAgent/steps.js';
+
+const source = [
+  'import React from "react";',
+  '',
+  'export const Title = () => <h1>Hello</h1>;',
+  '',
+  'export const Footer = () => <footer>Bye</footer>;',
+  ''
+].join('\n');
+
+describe('codeEditAgent applyPatch', () => {
+  test('applies a git-style unified diff', () => {
+    const diff = [
+      'diff --git a/src/App.jsx b/src/App.jsx',
+      'index 123..456 100644',
+      '--- a/src/App.jsx',
+      '+++ b/src/App.jsx',
+      '@@ -1,3 +1,3 @@',
+      ' import React from "react";',
+      ' ',
+      '-export const Title = () => <h1>Hello</h1>;',
+      '+export const Title = () => <h1>Hi there</h1>;',
+      '@@ -5 +5,2 @@',
+      ' export const Footer = () => <footer>Bye</footer>;',
+      '+export const Spacer = () => <hr />;',
+      '\\ No newline at end of file',
+      ''
+    ].join('\n');
+
+    expect(applyUnifiedDiff(source, diff)).toEqual({
+      content: source
+        .replace('Hello', 'Hi there')
+        .replace('<footer>Bye</footer>;\n', '<footer>Bye</footer>;\nexport const Spacer = () => <hr />;\n'),
+      hunks: 2
+    });
+  });
+
+  test('finds hunks whose line numbers drifted and tolerates trailing whitespace and bare blank lines', () => {
+    const original = `${'// filler\n'.repeat(10)}const a = 1;   \n\nconst b = 2;\n`;
+    const diff = ['@@ -3,3 +3,3 @@', ' const a = 1;', '', '-const b = 2;', '+const b = 3;'].join('\n');
+
+    expect(applyUnifiedDiff(original, diff).content).toBe(original.replace('const b = 2;', 'const b = 3;'));
+  });
+
+  test('uses line numbers to pick between repeated context and requires them otherwise', () => {
+    const original = 'x\nvalue = 1\ny\nvalue = 1\nz\n';
+    const numbered = ['@@ -4 +4 @@', '-value = 1', '+value = 2'].join('\n');
+    expect(applyUnifiedDiff(original, numbered).content).toBe('x\nvalue = 1\ny\nvalue = 2\nz\n');
+    expect(applyUnifiedDiff(original, numbered.replace('-4 +4', '-2 +2')).content).toBe('x\nvalue = 2\ny\nvalue = 1\nz\n');
+
+    const bare = ['@@ @@', '-value = 1', '+value = 2'].join('\n');
+    expect(() => applyUnifiedDiff(original, bare)).toThrow(
+      'Hunk 1 does not apply: context matches more than one location'
+    );
+  });
+
+  test('reports hunks whose context is missing from the current file', () => {
+    const diff = ['@@ -3 +3 @@', '-export const Title = () => <h1>Goodbye</h1>;', '+nope'].join('\n');
+    expect(() => applyUnifiedDiff(source, diff)).toThrow(
+      'Hunk 1 (line 3) does not apply: expected lines not found in the current file. '
+      + 'First expected line: "export const Title = () => <h1>Goodbye</h1>;"'
+    );
+  });
+
+  test('handles pure insertions, new files and CRLF files', () => {
+    expect(applyUnifiedDiff('b\nc\n', '@@ -0,0 +1 @@\n+a').content).toBe('a\nb\nc\n');
+    expect(applyUnifiedDiff('a\nc\n', '@@ -1,0 +2 @@\n+b').content).toBe('a\nb\nc\n');
+    expect(applyUnifiedDiff('a', '@@ @@\n+b').content).toBe('a\nb');
+    expect(applyUnifiedDiff(null, '--- /dev/null\n+++ b/new.txt\n@@ -0,0 +1,2 @@\n+one\n+two\n').content).toBe('one\ntwo\n');
+    expect(applyUnifiedDiff('a\r\nb\r\n', '@@ -2 +2 @@\n-b\n+c').content).toBe('a\r\nc\r\n');
+    expect(applyUnifiedDiff('a\n', '@@ -1 +0,0 @@\n-a').content).toBe('');
+  });
+
+  test('parses diff headers and rejects malformed patches', () => {
+    expect(parseUnifiedDiff('--- /dev/null\n+++ b/x\n@@ -0,0 +1 @@\n+x').createsFile).toBe(true);
+    expect(parseUnifiedDiff('@@ -1 +1 @@\n-a\n+b\ndiff --git a/y b/y\n@@ -1 +1 @@\n-c\n+d').hunks).toHaveLength(1);
+
+    expect(() => parseUnifiedDiff('')).toThrow('Patch is empty');
+    expect(() => parseUnifiedDiff(42)).toThrow('Patch is empty');
+    expect(() => parseUnifiedDiff('just some prose')).toThrow('Patch contains no hunks');
+    expect(() => parseUnifiedDiff('@@ -1 +1 @@\n\n')).toThrow('Patch contains no hunks');
+    expect(() => parseUnifiedDiff('@@ -1 +1 @@\n-a\n+b\nstray line')).toThrow('Unexpected line in hunk 1: "stray line"');
+  });
+
+  test('applies search/replace entries exactly or ignoring whitespace', () => {
+    expect(applyReplacements(source, [{ search: '<h1>Hello</h1>', replace: '<h1>Hi</h1>' }])).toEqual({
+      content: source.replace('Hello', 'Hi'),
+      hunks: 1
+    });
+    expect(applyReplacements('if (a) {\n    run();\n}', [{ search: 'if (a) { run(); }', replace: 'run();' }]).content)
+      .toBe('run();');
+    expect(applyReplacements('a-b', [{ search: 'a', replace: 'A' }, { search: 'b', replace: 'B' }])).toEqual({
+      content: 'A-B',
+      hunks: 2
+    });
+  });
+
+  test('reports invalid, missing and ambiguous search text', () => {
+    expect(() => applyReplacements('a', [])).toThrow('replacements must be a non-empty array');
+    expect(() => applyReplacements('a', [{ search: 'a' }])).toThrow('Replacement 1 must have string "search" and "replace" fields');
+    expect(() => applyReplacements('a', [null])).toThrow('Replacement 1 must have string');
+    expect(() => applyReplacements('abc', [{ search: 'zzz', replace: '' }])).toThrow(
+      'Replacement 1: search text not found in the current file: "zzz"'
+    );
+    expect(() => applyReplacements(null, [{ search: '', replace: 'x' }])).toThrow('search text not found');
+    expect(() => applyReplacements('x x', [{ search: 'x', replace: 'y' }])).toThrow('matches more than once');
+    expect(() => applyReplacements('a b\na  b', [{ search: 'a\tb ', replace: 'c' }])).toThrow('matches more than once');
+    expect(() => applyReplacements('long', [{ search: 'n'.repeat(200), replace: '' }])).toThrow(`"${'n'.repeat(160)}…"`);
+  });
+
+  test('parses SEARCH/REPLACE blocks', () => {
+    const text = [
+      'Some explanation',
+      '<<<<<<< SEARCH',
+      'export const Title = () => <h1>Hello</h1>;',
+      '=======',
+      'export const Title = () => <h1>Welcome</h1>;',
+      '>>>>>>> REPLACE',
+      '<<<<<<< SEARCH',
+      'Bye',
+      '=======',
+      'See you',
+      '>>>>>>> REPLACE'
+    ].join('\n');
+
+    expect(isSearchReplaceText(text)).toBe(true);
+    expect(isSearchReplaceText('@@ -1 +1 @@')).toBe(false);
+    expect(parseSearchReplaceBlocks(text)).toEqual([
+      { search: 'export const Title = () => <h1>Hello</h1>;', replace: 'export const Title = () => <h1>Welcome</h1>;' },
+      { search: 'Bye', replace: 'See you' }
+    ]);
+    expect(() => parseSearchReplaceBlocks('<<<<<<< SEARCH\nabc')).toThrow('No complete SEARCH/REPLACE blocks found');
+    expect(() => parseSearchReplaceBlocks()).toThrow('No complete SEARCH/REPLACE blocks found');
+  });
+
+  test('applyPatch picks the format from the payload', () => {
+    expect(applyPatch(source, { replacements: [{ search: 'Bye', replace: 'Later' }] })).toEqual({
+      content: source.replace('Bye', 'Later'),
+      hunks: 1,
+      createsFile: false
+    });
+    expect(applyPatch(source, { patch: '<<<<<<< SEARCH\nHello\n=======\nHey\n>>>>>>> REPLACE' }).content)
+      .toBe(source.replace('Hello', 'Hey'));
+    expect(applyPatch('', { patch: '--- /dev/null\n+++ b/a.txt\n@@ -0,0 +1 @@\n+a\n' })).toEqual({
+      content: 'a\n',
+      hunks: 1,
+      createsFile: true
+    });
+    expect(() => applyPatch(source, { patch: '  ' })).toThrow('apply_patch needs a "patch"');
+    expect(() => applyPatch(source)).toThrow('apply_patch needs a "patch"');
+  });
+
+  test('counts file writes from agent steps', () => {
+    const steps = [
+      { type: 'action', action: 'write_file', target: 'a.js' },
+      { type: 'observation', action: 'write_file', target: 'a.js', summary: 'Wrote 3 characters' },
+      { type: 'action', action: 'apply_patch', target: 'b.js' },
+      { type: 'observation', action: 'apply_patch', target: 'b.js', summary: 'Patched 1 hunk(s); wrote 9 characters' },
+      { type: 'action', action: 'apply_patch', target: 'c.js' },
+      { type: 'observation', action: 'apply_patch', target: 'c.js', summary: 'Error: Hunk 1 does not apply' },
+      { type: 'observation', action: 'apply_patch', target: 'd.js' },
+      null
+    ];
+
+    expect(countFileWrites(steps)).toBe(2);
+    expect(countFileWrites(undefined)).toBe(0);
+    expect(isSuccessfulPatchObservation(steps[3])).toBe(true);
+    expect(isSuccessfulPatchObservation(steps[6])).toBe(false);
+  });
+});
@@ -12,6 +12,19 @@ vi.mock('../services/projectTools.js', () => ({
   writeProjectFile: vi.fn()
 }));
 
+vi.mock('../services/agentCommands.js', () => ({
+  runAgentCommand: vi.fn()
+}));
+
+vi.mock('../services/branchWorkflow.js', () => ({
+  runTargetedTests: vi.fn()
+}));
+
+vi.mock('../services/codeIndex.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  searchCode: vi.fn()
+}));
+
 vi.mock('fs/promises', () => ({
   default: {
     readdir: vi.fn()
@@ -21,6 +34,10 @@ vi.mock('fs/promises', () => ({
 import fs from 'fs/promises';
 import { llmClient } from '../llm-client.js';
 import { getProjectRoot, readProjectFile, writeProjectFile } from '../services/projectTools.js';
+import { runAgentCommand } from '../services/agentCommands.js';
+import { runTargetedTests } from '../services/branchWorkflow.js';
+import { searchCode } from '../services/codeIndex.js';
+import { listPendingCommandApprovals, resolveCommandApproval } from '../services/commandApprovals.js';
 import { applyCodeChange, __testing } from '../services/codeEditAgent.js';
 
 const queueResponses = (responses) => {
@@ -130,6 +147,36 @@ describe('codeEditAgent', () => {
     await expect(applyCodeChange({ projectId: 5, prompt: '' })).rejects.toThrow('prompt is required');
   });
 
+  test('streams the prose of each action and forwards the abort signal for each turn', async () => {
+    const responses = [
+      JSON.stringify({ action: 'read_file', path: 'src/app.js', reason: 'Check the app' }),
+      JSON.stringify({ action: 'write_file', path: 'src/app.js', content: 'const secret = "code";' }),
+      JSON.stringify({ action: 'finalize', summary: 'Streamed' })
+    ];
+    llmClient.generateResponse.mockImplementation(async (messages, options) => {
+      const response = responses.shift() || JSON.stringify({ action: 'finalize', summary: 'done' });
+      options.__lucidcoderOnToken?.(response.slice(0, 20));
+      options.__lucidcoderOnToken?.(response.slice(20));
+      return response;
+    });
+    const controller = new AbortController();
+    const onToken = vi.fn();
+
+    await applyCodeChange({ projectId: 3, prompt: 'Stream edits', onToken, signal: controller.signal });
+
+    expect(llmClient.generateResponse).toHaveBeenCalledWith(
+      expect.any(Array),
+      expect.objectContaining({ __lucidcoderOnToken: expect.any(Function), __lucidcoderSignal: controller.signal })
+    );
+    expect(onToken.mock.calls.map(([text]) => text).join('')).toBe('Check the app\nStreamed');
+
+    llmClient.generateResponse.mockClear();
+    await applyCodeChange({ projectId: 3, prompt: 'Plain edits' });
+    const options = llmClient.generateResponse.mock.calls[0][1];
+    expect(options).not.toHaveProperty('__lucidcoderOnToken');
+    expect(options).not.toHaveProperty('__lucidcoderSignal');
+  });
+
   test('handles non-string LLM responses', async () => {
     llmClient.generateResponse.mockResolvedValueOnce({ action: 'finalize', summary: 'ignored' });
     llmClient.generateResponse.mockResolvedValueOnce(JSON.stringify({ action: 'finalize', summary: 'ok' }));
@@ -183,6 +230,65 @@ describe('codeEditAgent', () => {
     expect(writeProjectFile).toHaveBeenCalledWith(7, 'src/new.js', 'console.log(1);');
   });
 
+  test('search_code queries the code index from the project root and reports results to the model', async () => {
+    searchCode
+      .mockResolvedValueOnce({
+        type: 'symbol',
+        query: 'useAuth',
+        indexedFiles: 40,
+        total: 1,
+        results: [{ path: 'src/hooks/useAuth.js', line: 3, kind: 'function', name: 'useAuth', exported: true }]
+      })
+      .mockRejectedValueOnce(new Error('type must be one of: keyword, symbol, imports, route'));
+    queueResponses([
+      JSON.stringify({ action: 'search_code', query: 'where is useAuth defined', reason: 'find hook' }),
+      JSON.stringify({ action: 'search_code', query: ' useAuth ', type: 'regex' }),
+      JSON.stringify({ action: 'finalize', summary: 'found' })
+    ]);
+
+    const result = await applyCodeChange({ projectId: 12, prompt: 'Find the auth hook' });
+
+    expect(searchCode).toHaveBeenNthCalledWith(1, '/project', { query: 'where is useAuth defined', type: undefined });
+    expect(searchCode).toHaveBeenNthCalledWith(2, '/project', { query: ' useAuth ', type: 'regex' });
+    expect(result.steps.filter((step) => step.action === 'search_code').map((step) => [step.type, step.target, step.summary ?? step.meta]))
+      .toEqual([
+        ['action', 'useAuth', 'find hook'],
+        ['observation', 'useAuth', 'Found 1 symbol match(es)'],
+        ['action', 'useAuth', null],
+        ['observation', 'useAuth', 'Error: type must be one of: keyword, symbol, imports, route']
+      ]);
+    const observations = llmClient.generateResponse.mock.calls[2][0]
+      .filter((message) => message.role === 'user' && message.content.includes('"search_code"'))
+      .map((message) => JSON.parse(message.content));
+    expect(observations).toEqual([
+      {
+        action: 'search_code',
+        query: 'useAuth',
+        type: 'symbol',
+        results: 'src/hooks/useAuth.js:3 exported function useAuth'
+      },
+      { action: 'search_code', query: 'useAuth', error: 'type must be one of: keyword, symbol, imports, route' }
+    ]);
+  });
+
+  test('puts the project memory between the snapshot and the goal', () => {
+    expect(__testing.buildInitialUserMessage({
+      prompt: ' Add login ',
+      fileTree: '- src/',
+      projectMemory: 'Project memory:\n- Avoid: inline styles'
+    })).toBe('Repository snapshot (truncated):\n\n- src/\n\nProject memory:\n- Avoid: inline styles\n\nUser goal:\n\nAdd login');
+  });
+
+  test('searchCodeForAgent tolerates a missing query in error reports', async () => {
+    searchCode.mockRejectedValueOnce(new Error('query must be a non-empty string'));
+
+    await expect(__testing.searchCodeForAgent('/project')).resolves.toEqual({
+      status: 'error',
+      query: '',
+      error: 'query must be a non-empty string'
+    });
+  });
+
   test('supports list_dir success and filters ignored entries', async () => {
     const entries = [
       { name: 'node_modules', isDirectory: () => true },
@@ -386,6 +492,304 @@ describe('codeEditAgent', () => {
     expect(writeProjectFile).toHaveBeenCalledWith(21, 'frontend/src/index.css', '.navbar { background: #000; color: #fff; }');
   });
 
+  test('apply_patch edits the current file and reports hunks that do not apply', async () => {
+    readProjectFile.mockResolvedValue('const a = 1;\nconst b = 2;\n');
+    queueResponses([
+      JSON.stringify({ action: 'apply_patch', path: 'src/app.js', patch: '@@ -2 +2 @@\n-const b = 2;\n+const b = 3;\n' }),
+      JSON.stringify({ action: 'apply_patch', path: 'src/app.js', diff: '@@ -1 +1 @@\n-const z = 1;\n+const z = 2;' }),
+      JSON.stringify({ action: 'apply_patch', path: 'src/app.js', replacements: [{ search: 'const a = 1;', replace: 'const a = 1;' }] }),
+      JSON.stringify({ action: 'finalize', summary: 'done' })
+    ]);
+
+    const result = await applyCodeChange({ projectId: 23, prompt: 'Bump b' });
+
+    expect(writeProjectFile).toHaveBeenCalledTimes(1);
+    expect(writeProjectFile).toHaveBeenCalledWith(23, 'src/app.js', 'const a = 1;\nconst b = 3;\n');
+    const observations = result.steps
+      .filter((step) => step.type === 'observation' && step.action === 'apply_patch')
+      .map((step) => step.summary);
+    expect(observations).toEqual([
+      'Patched 1 hunk(s); wrote 26 characters',
+      'Error: Hunk 1 (line 1) does not apply: expected lines not found in the current file. First expected line: "const z = 1;"',
+      'Error: Patch applied but did not change the file.'
+    ]);
+
+    const feedback = llmClient.generateResponse.mock.calls[0][0]
+      .find((message) => message.role === 'user' && message.content.includes('"status":"error"'));
+    expect(JSON.parse(feedback.content)).toMatchObject({
+      action: 'apply_patch',
+      status: 'error',
+      hint: expect.stringContaining('use write_file')
+    });
+  });
+
+  test('apply_patch only creates missing files from /dev/null diffs', async () => {
+    readProjectFile.mockRejectedValue(new Error('ENOENT'));
+    queueResponses([
+      JSON.stringify({ action: 'apply_patch', path: 'src/new.js', patch: '<<<<<<< SEARCH\nx\n=======\ny\n>>>>>>> REPLACE' }),
+      JSON.stringify({ action: 'apply_patch', path: 'src/new.js', patch: '@@ -0,0 +1 @@\n+export {};' }),
+      JSON.stringify({ action: 'apply_patch', path: 'src/new.js', patch: '--- /dev/null\n+++ b/src/new.js\n@@ -0,0 +1 @@\n+export {};' }),
+      JSON.stringify({ action: 'finalize', summary: 'done' })
+    ]);
+
+    const result = await applyCodeChange({ projectId: 24, prompt: 'Create module' });
+
+    expect(writeProjectFile).toHaveBeenCalledTimes(1);
+    expect(writeProjectFile).toHaveBeenCalledWith(24, 'src/new.js', 'export {};\n');
+    expect(result.steps.filter((step) => step.type === 'observation').map((step) => step.summary)).toEqual([
+      'Error: Replacement 1: search text not found in the current file: "x"',
+      'Error: File does not exist. Use write_file to create it, or a diff from /dev/null.',
+      'Patched 1 hunk(s); wrote 11 characters'
+    ]);
+  });
+
+  test('apply_patch counts toward the write limit', async () => {
+    readProjectFile.mockResolvedValue('a');
+    const responses = [];
+    for (let i = 0; i < 13; i += 1) {
+      responses.push(JSON.stringify({ action: 'apply_patch', path: `src/file-${i}.js`, replacements: [{ search: 'a', replace: 'b' }] }));
+      responses.push(JSON.stringify({ action: 'read_file', path: 'src/app.js' }));
+    }
+    queueResponses(responses);
+
+    await expect(applyCodeChange({ projectId: 25, prompt: 'Patch limit' })).rejects.toThrow(
+      'Write limit reached while attempting to apply changes.'
+    );
+    expect(writeProjectFile).toHaveBeenCalledTimes(12);
+  });
+
+  test('run_command runs in the project root and records output as steps and events', async () => {
+    runAgentCommand
+      .mockResolvedValueOnce({
+        command: 'npm test',
+        status: 'ran',
+        approval: 'allowlist',
+        exitCode: 1,
+        timedOut: false,
+        durationMs: 2400,
+        output: '1 failed',
+        truncated: false
+      })
+      .mockResolvedValueOnce({ command: 'make', status: 'denied', approval: 'denied', error: 'not approved' })
+      .mockResolvedValueOnce({ command: 'npm run slow', status: 'ran', approval: 'user', exitCode: null, timedOut: true, durationMs: 60000, output: '' })
+      .mockResolvedValueOnce({ command: 'nope', status: 'ran', approval: 'user', exitCode: null, timedOut: false, durationMs: 5, output: 'ENOENT' });
+    queueResponses([
+      JSON.stringify({ action: 'run_command', command: ' npm test ', reason: 'check failures' }),
+      JSON.stringify({ action: 'run_command' }),
+      JSON.stringify({ action: 'write_file', path: 'src/a.js', content: 'fixed' }),
+      JSON.stringify({ action: 'run_command', command: 'make' }),
+      JSON.stringify({ action: 'run_command', command: 'npm run slow' }),
+      JSON.stringify({ action: 'run_command', command: 'nope' }),
+      JSON.stringify({ action: 'finalize', summary: 'done' })
+    ]);
+    const onEvent = vi.fn();
+    const approveCommand = vi.fn().mockResolvedValue(true);
+
+    const result = await applyCodeChange({ projectId: 30, prompt: 'Fix tests', onEvent, approveCommand });
+
+    expect(runAgentCommand).toHaveBeenCalledWith(expect.objectContaining({
+      command: 'npm test',
+      cwd: '/project',
+      reason: 'check failures'
+    }));
+    await runAgentCommand.mock.calls[0][0].approve({ command: 'npm test', cwd: '/project', reason: null });
+    expect(approveCommand).toHaveBeenCalledWith({ command: 'npm test', cwd: '/project', reason: null, projectId: 30 });
+
+    const observations = result.steps.filter((step) => step.type === 'observation' && step.action === 'run_command');
+    expect(observations.map((step) => step.summary)).toEqual([
+      'Exit 1 in 2.4s',
+      'Error: not approved',
+      'Timed out after 60.0s',
+      'Failed to run (0.0s)'
+    ]);
+    expect(observations[0]).toEqual(expect.objectContaining({ target: 'npm test', output: '1 failed' }));
+    expect(observations[1].output).toBeNull();
+    expect(result.steps.find((step) => step.type === 'action' && step.action === 'run_command').meta).toBe('check failures');
+
+    expect(onEvent).toHaveBeenCalledTimes(4);
+    expect(onEvent).toHaveBeenNthCalledWith(1, {
+      type: 'agent:command',
+      message: 'npm test: Exit 1 in 2.4s',
+      payload: {
+        command: 'npm test',
+        status: 'ran',
+        approval: 'allowlist',
+        exitCode: 1,
+        timedOut: false,
+        durationMs: 2400,
+        output: '1 failed',
+        truncated: false,
+        error: null
+      },
+      meta: null
+    });
+    expect(onEvent.mock.calls[1][0].payload).toEqual(expect.objectContaining({
+      status: 'denied',
+      exitCode: null,
+      durationMs: null,
+      output: null,
+      error: 'not approved'
+    }));
+
+    const modelMessages = llmClient.generateResponse.mock.calls.at(-1)[0].map((message) => message.content);
+    expect(modelMessages).toContain('run_command actions must include a "command" field.');
+    expect(modelMessages).toContain(JSON.stringify({
+      action: 'run_command',
+      command: 'npm test',
+      status: 'failed',
+      exitCode: 1,
+      timedOut: false,
+      output: '1 failed'
+    }));
+    expect(modelMessages).toContain(JSON.stringify({ action: 'run_command', command: 'make', status: 'denied', error: 'not approved' }));
+  });
+
+  test('run_tests runs a partial test run and reports failures to the model', async () => {
+    runTargetedTests
+      .mockResolvedValueOnce({
+        jobId: 'job-1',
+        workspace: 'frontend',
+        file: 'src/a.test.js',
+        testName: 'adds',
+        status: 'failed',
+        summary: { total: 3, passed: 1, failed: 2, skipped: 0 },
+        tests: [
+          { name: 'math adds', file: 'src/a.test.js', status: 'failed', error: 'x'.repeat(1200) },
+          { name: 'math adds twice', file: 'src/a.test.js', status: 'failed', error: null },
+          { name: 'math subtracts', file: 'src/a.test.js', status: 'passed' }
+        ],
+        logs: []
+      })
+      .mockResolvedValueOnce({
+        jobId: 'job-2',
+        workspace: 'backend',
+        file: null,
+        testName: 'nothing',
+        status: 'failed',
+        summary: null,
+        tests: [],
+        logs: ['stderr: No tests found', 'stdout: exit 1']
+      })
+      .mockRejectedValueOnce(new Error('Workspace mobile not found'));
+    queueResponses([
+      JSON.stringify({ action: 'run_tests', path: '/src/a.test.js', testName: ' adds ', reason: 'check fix' }),
+      JSON.stringify({ action: 'run_tests' }),
+      JSON.stringify({ action: 'write_file', path: 'src/a.js', content: 'fixed' }),
+      JSON.stringify({ action: 'run_tests', testName: 'nothing' }),
+      JSON.stringify({ action: 'run_tests', path: 'mobile/a.test.js' }),
+      JSON.stringify({ action: 'finalize', summary: 'done' })
+    ]);
+    const onEvent = vi.fn();
+
+    const result = await applyCodeChange({ projectId: 33, prompt: 'Fix adds', onEvent });
+
+    expect(runTargetedTests).toHaveBeenNthCalledWith(1, 33, { file: 'src/a.test.js', testName: 'adds' });
+    expect(runTargetedTests).toHaveBeenNthCalledWith(2, 33, { file: null, testName: 'nothing' });
+    const observations = result.steps.filter((step) => step.type === 'observation' && step.action === 'run_tests');
+    expect(observations.map((step) => [step.target, step.summary])).toEqual([
+      ['src/a.test.js', 'Tests failed: 1 passed, 2 failed'],
+      [null, 'Error: run_tests actions must include a "path" or a "testName".'],
+      ['nothing', 'Tests failed (no per-test report)'],
+      ['mobile/a.test.js', 'Error: Workspace mobile not found']
+    ]);
+    expect(result.steps.find((step) => step.type === 'action' && step.action === 'run_tests').meta).toBe('check fix');
+
+    expect(onEvent).toHaveBeenCalledTimes(2);
+    expect(onEvent).toHaveBeenNthCalledWith(1, {
+      type: 'agent:tests',
+      message: 'src/a.test.js: Tests failed: 1 passed, 2 failed',
+      payload: {
+        jobId: 'job-1',
+        workspace: 'frontend',
+        file: 'src/a.test.js',
+        testName: 'adds',
+        status: 'failed',
+        summary: { total: 3, passed: 1, failed: 2, skipped: 0 },
+        partial: true
+      },
+      meta: null
+    });
+
+    const modelMessages = llmClient.generateResponse.mock.calls.at(-1)[0].map((message) => message.content);
+    const firstObservation = JSON.parse(modelMessages.find((content) => content.includes('"workspace":"frontend"')));
+    expect(firstObservation.failures).toEqual([
+      { name: 'math adds', file: 'src/a.test.js', error: 'x'.repeat(1000) },
+      { name: 'math adds twice', file: 'src/a.test.js', error: null }
+    ]);
+    expect(firstObservation).not.toHaveProperty('output');
+    expect(modelMessages).toContain(JSON.stringify({
+      action: 'run_tests',
+      status: 'failed',
+      workspace: 'backend',
+      file: null,
+      testName: 'nothing',
+      summary: null,
+      failures: [],
+      output: 'stderr: No tests found\nstdout: exit 1'
+    }));
+    expect(modelMessages).toContain(JSON.stringify({ action: 'run_tests', status: 'error', error: 'Workspace mobile not found' }));
+  });
+
+  test('run_tests works without an event listener and respects the command limit', async () => {
+    runTargetedTests.mockResolvedValue({
+      workspace: 'frontend',
+      file: 'src/a.test.js',
+      testName: null,
+      status: 'passed',
+      summary: { total: 1, passed: 1, failed: 0, skipped: 0 },
+      tests: [],
+      logs: []
+    });
+    queueResponses([
+      JSON.stringify({ action: 'run_tests', path: 'src/a.test.js' }),
+      JSON.stringify({ action: 'finalize', summary: 'done' })
+    ]);
+
+    const result = await applyCodeChange({ projectId: 34, prompt: 'Check' });
+
+    expect(result.steps.find((step) => step.type === 'observation').summary).toBe('Tests passed: 1 passed, 0 failed');
+    expect(await __testing.runTestsForAgent({ projectId: 34, file: 'a.test.js', runTests: runTargetedTests, commandsRun: 10 }))
+      .toEqual({ status: 'rejected', error: 'Command limit of 10 reached for this edit session.' });
+  });
+
+  test('run_command asks for approval through the pending approval queue by default', async () => {
+    runAgentCommand.mockImplementation(async ({ approve }) => {
+      const approved = await approve({ command: 'make', cwd: '/project', reason: 'build' });
+      return { command: 'make', status: 'ran', approval: approved ? 'user' : 'denied', exitCode: 0, timedOut: false, durationMs: 10, output: '' };
+    });
+    queueResponses([
+      JSON.stringify({ action: 'run_command', command: 'make', reason: 'build' }),
+      JSON.stringify({ action: 'finalize', summary: 'done' })
+    ]);
+
+    const pending = applyCodeChange({ projectId: 31, prompt: 'Build' });
+    await vi.waitFor(() => expect(listPendingCommandApprovals(31)).toHaveLength(1));
+    const [approval] = listPendingCommandApprovals(31);
+    expect(approval).toEqual(expect.objectContaining({ command: 'make', cwd: '/project', reason: 'build' }));
+    resolveCommandApproval(approval.id, true);
+
+    const result = await pending;
+    expect(result.steps.find((step) => step.type === 'observation').summary).toBe('Exit 0 in 0.0s');
+  });
+
+  test('run_command stops running commands after the per-session limit', async () => {
+    runAgentCommand.mockResolvedValue({ command: 'npm test', status: 'ran', exitCode: 0, timedOut: false, durationMs: 100, output: 'ok' });
+    const responses = [];
+    for (let i = 0; i < 11; i += 1) {
+      responses.push(JSON.stringify({ action: 'run_command', command: 'npm test' }));
+      responses.push(JSON.stringify({ action: 'write_file', path: `src/file-${i}.js`, content: 'x' }));
+    }
+    queueResponses(responses);
+
+    const onEvent = vi.fn();
+    const result = await applyCodeChange({ projectId: 32, prompt: 'Iterate', onEvent });
+
+    expect(runAgentCommand).toHaveBeenCalledTimes(10);
+    expect(onEvent.mock.calls.at(-1)[0].payload).toEqual(expect.objectContaining({ status: 'rejected', approval: null }));
+    expect(result.steps.filter((step) => step.type === 'observation' && step.action === 'run_command').at(-1).summary)
+      .toBe('Error: Command limit of 10 reached for this edit session.');
+  });
+
   test('write_file with missing path throws path validation error', async () => {
     queueResponses([
       JSON.stringify({
@@ -536,4 +536,71 @@ describe('commitsApi.mergeBranch error-path coverage', () => {
       message: expect.stringContaining('Untracked files would be overwritten by merge: uploads/a.webp, uploads/b.webp, uploads/c.webp …')
     });
   });
+
+  it('keeps a conflicted merge in progress for interactive resolution', async () => {
+    const conflicts = { inProgress: true, files: [{ path: 'src/app.js', resolved: false }] };
+    core.startConflictResolution = vi.fn().mockResolvedValue(conflicts);
+    runProjectGit.mockImplementation(async (_ctx, args) => {
+      const cmd = args.join(' ');
+      if (cmd === `show ${branchName}:CHANGELOG.md`) throw new Error('missing');
+      if (cmd === 'rev-parse --abbrev-ref HEAD') return { stdout: 'main\n' };
+      if (cmd === 'rev-parse HEAD') return { stdout: 'preSha\n' };
+      if (cmd === `merge --no-ff ${branchName}`) throw new Error('CONFLICT (content)');
+
+      return { stdout: '' };
+    });
+
+    const { mergeBranch } = api();
+    await expect(mergeBranch(projectId, branchName)).rejects.toMatchObject({
+      statusCode: 409,
+      message: `Merge conflicts in 1 file(s) must be resolved before ${branchName} can be merged`,
+      conflicts
+    });
+
+    expect(core.startConflictResolution).toHaveBeenCalledWith(projectId, expect.objectContaining({
+      operation: 'merge',
+      kind: 'branch-merge',
+      branchName,
+      preMergeBumpPerformed: true,
+      preMergeSha: 'preSha'
+    }), expect.objectContaining({ gitReady: true }));
+    const cmds = runProjectGit.mock.calls.map((call) => call[1].join(' '));
+    expect(cmds).not.toContain('merge --abort');
+    expect(core.run).not.toHaveBeenCalled();
+  });
+
+  it('aborts as before when the failed merge has no conflicted files', async () => {
+    core.startConflictResolution = vi.fn().mockResolvedValue(null);
+    runProjectGit.mockImplementation(async (_ctx, args) => {
+      const cmd = args.join(' ');
+      if (cmd === `show ${branchName}:CHANGELOG.md`) throw new Error('missing');
+      if (cmd === `merge --no-ff ${branchName}`) throw new Error('fatal: refusing to merge');
+
+      return { stdout: '' };
+    });
+
+    const { mergeBranch } = api();
+    await expect(mergeBranch(projectId, branchName)).rejects.toMatchObject({
+      statusCode: 409,
+      message: expect.stringMatching(/Git merge could not be completed automatically/i)
+    });
+    expect(runProjectGit.mock.calls.map((call) => call[1].join(' '))).toContain('merge --abort');
+  });
+
+  it('completes a resolved merge by bumping, pushing and recording the branch', async () => {
+    core.resolveProjectGitSettings = vi.fn().mockResolvedValue({ workflow: 'cloud', remoteUrl: 'https://github.com/o/r.git' });
+
+    const { completeBranchMerge } = api();
+    await expect(completeBranchMerge(projectId, branchName)).resolves.toEqual({ mergedBranch: branchName, current: 'main' });
+
+    expect(runProjectGit.mock.calls.map((call) => call[1].join(' '))).toContain('push origin main');
+    expect(core.run.mock.calls[0][0]).toContain("SET status = 'merged'");
+    expect(core.run.mock.calls[1][1]).toEqual([projectId, branchName]);
+    expect(core.setCurrentBranch).toHaveBeenCalledWith(projectId, 1);
+
+    getProjectContext.mockResolvedValueOnce({ gitReady: false });
+    runProjectGit.mockClear();
+    await completeBranchMerge(projectId, branchName, { preMergeBumpPerformed: true });
+    expect(runProjectGit).not.toHaveBeenCalled();
+  });
 });
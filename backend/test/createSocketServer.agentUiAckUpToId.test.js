@@ -15,6 +15,8 @@ vi.mock('socket.io', () => {
       this._handlers[event] = handler;
     }
 
+    use() {}
+
     to() {
       return { emit: vi.fn() };
     }
@@ -230,4 +230,61 @@ describe('LLMClient.extractResponse tool-call argument fallbacks', () => {
     const extracted = client.extractResponse('openai', responseData);
     expect(extracted).toBe('fallback for non-object args');
   });
+
+  it('translates apply_patch tool calls into JSON actions', () => {
+    const client = new LLMClient();
+    const toolCall = (args) => ({
+      choices: [{ tool_calls: [{ function: { name: 'apply_patch', arguments: JSON.stringify(args) } }] }]
+    });
+
+    const diff = JSON.parse(client.extractResponse('openai', toolCall({ path: 'src/a.js', diff: '@@ -1 +1 @@\n-a\n+b' })));
+    expect(diff).toEqual({ action: 'apply_patch', path: 'src/a.js', patch: '@@ -1 +1 @@\n-a\n+b' });
+
+    const blocks = JSON.parse(client.extractResponse('openai', toolCall({
+      path: 'src/a.js',
+      replacements: [{ search: 'a', replace: 'b' }],
+      reason: 'rename'
+    })));
+    expect(blocks).toEqual({
+      action: 'apply_patch',
+      path: 'src/a.js',
+      replacements: [{ search: 'a', replace: 'b' }],
+      reason: 'rename'
+    });
+  });
+
+  it('translates search_code tool calls into JSON actions', () => {
+    const client = new LLMClient();
+    const toolCall = (args) => ({
+      choices: [{ tool_calls: [{ function: { name: 'search_code', arguments: JSON.stringify(args) } }] }]
+    });
+
+    expect(JSON.parse(client.extractResponse('openai', toolCall({ query: '/api/users', type: 'route', reason: 'find' })))).toEqual({
+      action: 'search_code',
+      query: '/api/users',
+      type: 'route',
+      reason: 'find'
+    });
+    expect(JSON.parse(client.extractResponse('openai', toolCall({ query: 'who imports api' })))).toEqual({
+      action: 'search_code',
+      query: 'who imports api'
+    });
+  });
+
+  it('translates run_command tool calls into JSON actions', () => {
+    const client = new LLMClient();
+    const toolCall = (args) => ({
+      choices: [{ tool_calls: [{ function: { name: 'run_command', arguments: JSON.stringify(args) } }] }]
+    });
+
+    expect(JSON.parse(client.extractResponse('openai', toolCall({ command: 'npm test', reason: 'verify' })))).toEqual({
+      action: 'run_command',
+      command: 'npm test',
+      reason: 'verify'
+    });
+    expect(JSON.parse(client.extractResponse('openai', toolCall({ cmd: 'pytest -q' })))).toEqual({
+      action: 'run_command',
+      command: 'pytest -q'
+    });
+  });
 });
@@ -1,6 +1,6 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import axios from 'axios';
-import { extractResponse, getErrorMessage } from '../llm-client/response.js';
+import { extractResponse, extractUsage, getErrorMessage } from '../llm-client/response.js';
 import { LLMClient, __testing } from '../llm-client.js';
 
 vi.mock('axios', () => ({
@@ -379,6 +379,30 @@ describe('LLMClient payload helpers', () => {
   });
 });
 
+describe('LLMClient usage extraction', () => {
+  it.each([
+    ['openai', { usage: { prompt_tokens: 10, completion_tokens: 4 } }, { promptTokens: 10, completionTokens: 4 }],
+    ['openai', { usage: { input_tokens: 7, output_tokens: 2 } }, { promptTokens: 7, completionTokens: 2 }],
+    ['anthropic', { type: 'message_start', message: { usage: { input_tokens: 30 } } }, { promptTokens: 30, completionTokens: 0 }],
+    ['google', { usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 9 } }, { promptTokens: 5, completionTokens: 9 }],
+    ['ollama', { prompt_eval_count: 12.4, eval_count: 3 }, { promptTokens: 12, completionTokens: 3 }],
+    ['cohere', { meta: { billed_units: { input_tokens: 8, output_tokens: 6 } } }, { promptTokens: 8, completionTokens: 6 }],
+    ['cohere', { type: 'message-end', delta: { usage: { billed_units: { input_tokens: 1, output_tokens: 2 } } } }, { promptTokens: 1, completionTokens: 2 }]
+  ])('reads %s usage', (provider, data, expected) => {
+    expect(extractUsage(provider, data)).toEqual(expected);
+  });
+
+  it('returns null when no usable counts are reported', () => {
+    expect(extractUsage('openai', { choices: [] })).toBeNull();
+    expect(extractUsage('openai', { usage: { prompt_tokens: -1, completion_tokens: 'n/a' } })).toBeNull();
+    expect(extractUsage('google', { candidates: [] })).toBeNull();
+    expect(extractUsage('cohere', { text: 'hi' })).toBeNull();
+    expect(extractUsage('ollama', { done: false })).toBeNull();
+    expect(extractUsage('openai', null)).toBeNull();
+    expect(extractUsage(undefined, { usage: { completion_tokens: 2 } })).toEqual({ promptTokens: 0, completionTokens: 2 });
+  });
+});
+
 describe('LLMClient request helper branches', () => {
   it('defaults api_url to an empty base url for custom endpoints', async () => {
     axios.mockResolvedValue({ data: { ok: true } });
@@ -110,6 +110,18 @@ describe('Project file routes emit OPEN_FILE commands', () => {
     });
   });
 
+  it('PUT /api/projects/:id/files/* skips OPEN_FILE when openInEditor is false', async () => {
+    const { sendAgentUiCommand } = await import('../services/agentUiCommands.js');
+
+    await request(app)
+      .put('/api/projects/123/files/src/hello.js')
+      .send({ content: 'console.log("hi")', openInEditor: false })
+      .expect(200);
+
+    expect(fsMock.writeFile).toHaveBeenCalled();
+    expect(sendAgentUiCommand).not.toHaveBeenCalled();
+  });
+
   it('POST /api/projects/:id/files-ops/create-file sends OPEN_FILE when io is present', async () => {
     const { sendAgentUiCommand } = await import('../services/agentUiCommands.js');
     const { stageWorkspaceChange } = await import('../services/branchWorkflow.js');
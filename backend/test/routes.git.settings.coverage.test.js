@@ -34,6 +34,12 @@ vi.mock('../utils/git.js', () => ({
   ...gitUtils
 }));
 
+const workflowMocks = vi.hoisted(() => ({
+  startConflictResolution: vi.fn()
+}));
+
+vi.mock('../services/branchWorkflow.js', () => workflowMocks);
+
 const loadApp = async () => {
   const { registerProjectGitRoutes } = await import('../routes/projects/routes.git.js');
   const router = express.Router();
@@ -271,6 +277,66 @@ describe('routes.git settings recovery coverage', () => {
     expect(response.body.error).toBe('add failed');
   });
 
+  it('returns conflicts when the pull rebase stops on conflicting changes', async () => {
+    const remoteUrl = 'https://github.com/octo/recovered.git';
+    const conflicts = { inProgress: true, operation: 'rebase', files: [{ path: 'a.js', resolved: false }] };
+
+    dbMocks.getProject.mockResolvedValue({ id: '105', path: '/tmp/pull-conflict' });
+    dbMocks.getProjectGitSettings.mockResolvedValue(null);
+    dbMocks.getGitSettings.mockResolvedValue({ workflow: 'cloud', remoteUrl, defaultBranch: 'main' });
+    gitUtils.hasWorkingTreeChanges.mockResolvedValueOnce(true);
+    gitUtils.stashWorkingTree.mockResolvedValueOnce('lucidcoder-auto/main');
+    gitUtils.getAheadBehind.mockResolvedValueOnce({ ahead: 1, behind: 2 });
+    gitUtils.runGitCommand.mockImplementation(async (_path, args) => {
+      if (args[0] === 'rebase') {
+        throw new Error('CONFLICT (content): Merge conflict in a.js');
+      }
+      return { stdout: '', stderr: '', code: 0 };
+    });
+    workflowMocks.startConflictResolution.mockResolvedValueOnce(conflicts);
+
+    const response = await request(app)
+      .post('/api/projects/105/git/pull')
+      .send({ mode: 'stash' })
+      .expect(409);
+
+    expect(response.body).toEqual({
+      success: false,
+      error: 'Pulling from origin/main produced merge conflicts that must be resolved',
+      conflicts,
+      stash: { created: true, restored: false, error: null }
+    });
+    expect(workflowMocks.startConflictResolution).toHaveBeenCalledWith('105', {
+      operation: 'rebase',
+      kind: 'pull',
+      targetBranch: 'main',
+      stashBranch: 'main'
+    });
+    expect(gitUtils.popBranchStash).not.toHaveBeenCalled();
+  });
+
+  it('aborts a failed pull rebase that left no conflicts', async () => {
+    dbMocks.getProject.mockResolvedValue({ id: '106', path: '/tmp/pull-rebase-failed' });
+    dbMocks.getProjectGitSettings.mockResolvedValue(null);
+    dbMocks.getGitSettings.mockResolvedValue({ workflow: 'cloud', remoteUrl: 'https://github.com/octo/recovered.git', defaultBranch: 'main' });
+    gitUtils.getAheadBehind.mockResolvedValueOnce({ ahead: 1, behind: 1 });
+    gitUtils.runGitCommand.mockImplementation(async (_path, args) => {
+      if (args.join(' ') === 'rebase origin/main') {
+        throw new Error('could not apply');
+      }
+      return { stdout: '', stderr: '', code: 0 };
+    });
+    workflowMocks.startConflictResolution.mockRejectedValueOnce(new Error('git unavailable'));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const response = await request(app)
+      .post('/api/projects/106/git/pull')
+      .expect(500);
+
+    expect(response.body.error).toBe('could not apply');
+    expect(gitUtils.runGitCommand).toHaveBeenCalledWith('/tmp/pull-rebase-failed', ['rebase', '--abort']);
+  });
+
   it('blocks pull when working tree is dirty', async () => {
     const projectId = '101';
     const projectPath = '/tmp/pull-dirty';
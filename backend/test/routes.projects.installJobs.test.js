@@ -1,4 +1,6 @@
 import { describe, expect, test, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
 import path from 'path';
 import { enqueueInstallJobs } from '../routes/projects/installJobs.js';
 
@@ -133,4 +135,46 @@ describe('enqueueInstallJobs', () => {
       cwd: path.join('/repo/focus', 'frontend')
     }));
   });
+
+  test('uses install commands declared by template manifests', async () => {
+    const projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'install-jobs-template-'));
+    const writeManifest = async (side, install) => {
+      await fs.mkdir(path.join(projectPath, side), { recursive: true });
+      await fs.writeFile(
+        path.join(projectPath, side, 'lucidcoder-template.json'),
+        JSON.stringify({ side, language: 'javascript', framework: `acme-${side}`, commands: { install } })
+      );
+    };
+    await writeManifest('frontend', 'pnpm install --frozen-lockfile');
+    await writeManifest('backend', 'uv sync');
+
+    try {
+      const jobs = await enqueueInstallJobs(
+        { projectId: 11, projectPath },
+        {
+          startJobFn: vi.fn((job) => job),
+          dirExistsFn: async () => true,
+          fileExistsFn: async () => false,
+          resolveLayoutFn: async (root) => buildClassicLayout(root)
+        }
+      );
+
+      expect(jobs).toEqual([
+        expect.objectContaining({
+          type: 'frontend:install',
+          command: 'pnpm',
+          args: ['install', '--frozen-lockfile'],
+          cwd: path.join(projectPath, 'frontend')
+        }),
+        expect.objectContaining({
+          type: 'backend:install',
+          command: 'uv',
+          args: ['sync'],
+          cwd: path.join(projectPath, 'backend')
+        })
+      ]);
+    } finally {
+      await fs.rm(projectPath, { recursive: true, force: true });
+    }
+  });
 });
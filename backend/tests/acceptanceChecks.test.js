@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ACCEPTANCE_CHECK_TYPES,
+  MAX_ACCEPTANCE_CHECKS,
+  normalizeAcceptanceCheck,
+  normalizeAcceptanceChecks,
+  parseAcceptanceChecks,
+  describeAcceptanceCheck
+} from '../services/acceptanceChecks.js';
+
+describe('normalizeAcceptanceCheck', () => {
+  it('normalizes route checks to project paths with a status', () => {
+    expect(normalizeAcceptanceCheck({ type: ' Route-Status ', path: 'api/health' })).toEqual({
+      type: ACCEPTANCE_CHECK_TYPES.ROUTE_STATUS,
+      path: '/api/health',
+      status: 200
+    });
+    expect(normalizeAcceptanceCheck({ type: 'route-status', path: '/about', status: '404' })).toEqual({
+      type: 'route-status',
+      path: '/about',
+      status: 404
+    });
+    expect(normalizeAcceptanceCheck({ type: 'route-status', path: '/x', status: null })).toMatchObject({ status: 200 });
+  });
+
+  it('rejects route checks with absolute URLs or impossible statuses', () => {
+    expect(normalizeAcceptanceCheck({ type: 'route-status', path: 'https://example.com/' })).toBeNull();
+    expect(normalizeAcceptanceCheck({ type: 'route-status', path: '//example.com/' })).toBeNull();
+    expect(normalizeAcceptanceCheck({ type: 'route-status', path: '   ' })).toBeNull();
+    expect(normalizeAcceptanceCheck({ type: 'route-status', path: '/', status: 99 })).toBeNull();
+    expect(normalizeAcceptanceCheck({ type: 'route-status', path: '/', status: 'ok' })).toBeNull();
+  });
+
+  it('normalizes element, export and test checks', () => {
+    expect(normalizeAcceptanceCheck({ type: 'element-exists', selector: ' nav .about-link ' })).toEqual({
+      type: 'element-exists',
+      selector: 'nav .about-link',
+      path: '/'
+    });
+    expect(normalizeAcceptanceCheck({ type: 'element-exists', selector: 'h1', path: 'about' })).toMatchObject({ path: '/about' });
+    expect(normalizeAcceptanceCheck({ type: 'element-exists', selector: 'h1', path: 'mailto:x' })).toBeNull();
+    expect(normalizeAcceptanceCheck({ type: 'element-exists', selector: '' })).toBeNull();
+
+    expect(normalizeAcceptanceCheck({ type: 'file-export', file: '/src/api.js', name: 'fetchUser' })).toEqual({
+      type: 'file-export',
+      file: 'src/api.js',
+      name: 'fetchUser'
+    });
+    expect(normalizeAcceptanceCheck({ type: 'file-export', file: 'src/api.js', name: 'not valid' })).toBeNull();
+    expect(normalizeAcceptanceCheck({ type: 'file-export', file: '', name: 'x' })).toBeNull();
+
+    expect(normalizeAcceptanceCheck({ type: 'test-exists', name: ' renders the about link ' })).toEqual({
+      type: 'test-exists',
+      name: 'renders the about link'
+    });
+    expect(normalizeAcceptanceCheck({ type: 'test-exists', name: 42 })).toBeNull();
+  });
+
+  it('rejects entries that are not check objects', () => {
+    expect(normalizeAcceptanceCheck(null)).toBeNull();
+    expect(normalizeAcceptanceCheck('route-status')).toBeNull();
+    expect(normalizeAcceptanceCheck([])).toBeNull();
+    expect(normalizeAcceptanceCheck({ type: 'screenshot-matches' })).toBeNull();
+  });
+});
+
+describe('normalizeAcceptanceChecks', () => {
+  it('drops unusable entries and duplicates', () => {
+    expect(normalizeAcceptanceChecks([
+      { type: 'test-exists', name: 'works' },
+      { type: 'test-exists', name: ' works ' },
+      { type: 'nope' },
+      { type: 'route-status', path: '/' }
+    ])).toEqual([
+      { type: 'test-exists', name: 'works' },
+      { type: 'route-status', path: '/', status: 200 }
+    ]);
+    expect(normalizeAcceptanceChecks('not a list')).toEqual([]);
+  });
+
+  it('caps the number of checks', () => {
+    const entries = Array.from({ length: MAX_ACCEPTANCE_CHECKS + 5 }, (_, index) => ({
+      type: 'test-exists',
+      name: `test ${index}`
+    }));
+    expect(normalizeAcceptanceChecks(entries)).toHaveLength(MAX_ACCEPTANCE_CHECKS);
+  });
+});
+
+describe('parseAcceptanceChecks', () => {
+  it('returns normalized checks', () => {
+    expect(parseAcceptanceChecks([{ type: 'route-status', path: 'about' }])).toEqual([
+      { type: 'route-status', path: '/about', status: 200 }
+    ]);
+    expect(parseAcceptanceChecks([])).toEqual([]);
+  });
+
+  it('rejects anything it cannot use', () => {
+    expect(() => parseAcceptanceChecks(undefined)).toThrow('acceptanceChecks must be an array');
+    expect(() => parseAcceptanceChecks(
+      Array.from({ length: MAX_ACCEPTANCE_CHECKS + 1 }, () => ({ type: 'test-exists', name: 'x' }))
+    )).toThrow(`A goal can have at most ${MAX_ACCEPTANCE_CHECKS} acceptance checks`);
+    expect(() => parseAcceptanceChecks([
+      { type: 'test-exists', name: 'x' },
+      { type: 'file-export', file: 'a.js' }
+    ])).toThrow('Acceptance check 2 is invalid');
+  });
+});
+
+describe('describeAcceptanceCheck', () => {
+  it('labels each check type', () => {
+    expect(describeAcceptanceCheck({ type: 'route-status', path: '/about', status: 200 })).toBe('GET /about returns 200');
+    expect(describeAcceptanceCheck({ type: 'element-exists', selector: 'nav a', path: '/' })).toBe('nav a exists on /');
+    expect(describeAcceptanceCheck({ type: 'file-export', file: 'src/api.js', name: 'fetchUser' })).toBe('src/api.js exports fetchUser');
+    expect(describeAcceptanceCheck({ type: 'test-exists', name: 'works' })).toBe('Test "works" exists');
+  });
+});
@@ -0,0 +1,248 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { getProject } from '../database.js';
+import { requestPreviewElementCheck } from '../services/previewChecks.js';
+import { runWithProjectRoot } from '../services/projectTools.js';
+import {
+  verifyAcceptanceChecks,
+  sourceExportsName,
+  sourceDefinesTest
+} from '../services/acceptanceVerifier.js';
+
+vi.mock('../database.js', () => ({
+  getProject: vi.fn()
+}));
+
+vi.mock('../services/previewChecks.js', () => ({
+  requestPreviewElementCheck: vi.fn()
+}));
+
+const writeFiles = async (root, files) => {
+  for (const [relativePath, content] of Object.entries(files)) {
+    const absolutePath = path.join(root, relativePath);
+    await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+    await fs.writeFile(absolutePath, content, 'utf-8');
+  }
+};
+
+describe('sourceExportsName', () => {
+  it('finds ES module declarations and export lists', () => {
+    expect(sourceExportsName('export async function loadUser() {}', 'loadUser')).toBe(true);
+    expect(sourceExportsName('export function* ids() {}', 'ids')).toBe(true);
+    expect(sourceExportsName('export abstract class Store {}', 'Store')).toBe(true);
+    expect(sourceExportsName('export declare const API: string;', 'API')).toBe(true);
+    expect(sourceExportsName('export interface Props {}', 'Props')).toBe(true);
+    expect(sourceExportsName('const a = 1; const b = 2;\nexport { a, b as renamed };', 'renamed')).toBe(true);
+    expect(sourceExportsName('export type { Shape } from "./shape";', 'Shape')).toBe(true);
+    expect(sourceExportsName('export default function App() {}', 'default')).toBe(true);
+    expect(sourceExportsName('export const loadUsers = 1;', 'loadUser')).toBe(false);
+    expect(sourceExportsName('const b = 2;\nexport { b as renamed };', 'b')).toBe(false);
+    expect(sourceExportsName('export const a = 1;', 'default')).toBe(false);
+  });
+
+  it('finds CommonJS exports', () => {
+    expect(sourceExportsName('exports.helper = () => {};', 'helper')).toBe(true);
+    expect(sourceExportsName('module.exports.helper = () => {};', 'helper')).toBe(true);
+    expect(sourceExportsName('module.exports = { start, stop: halt };', 'stop')).toBe(true);
+    expect(sourceExportsName('module.exports = createApp;', 'default')).toBe(true);
+  });
+
+  it('finds module-level Python names', () => {
+    expect(sourceExportsName('def create_app():\n    pass', 'create_app', 'app.py')).toBe(true);
+    expect(sourceExportsName('async def fetch():\n    pass', 'fetch', 'app.py')).toBe(true);
+    expect(sourceExportsName('class User:\n    pass', 'User', 'models.py')).toBe(true);
+    expect(sourceExportsName('VERSION: str = "1"', 'VERSION', 'app.py')).toBe(true);
+    expect(sourceExportsName('class User:\n    def save(self):\n        pass', 'save', 'models.py')).toBe(false);
+    expect(sourceExportsName('if VERSION == "1":\n    pass', 'VERSION', 'app.py')).toBe(false);
+  });
+});
+
+describe('sourceDefinesTest', () => {
+  it('matches JavaScript and Python test names', () => {
+    expect(sourceDefinesTest("it('renders the about link', () => {});", 'renders the about link')).toBe(true);
+    expect(sourceDefinesTest('test.only(`adds (two) numbers`, () => {});', 'adds (two) numbers')).toBe(true);
+    expect(sourceDefinesTest('def test_login(client):\n    pass', 'test_login')).toBe(true);
+    expect(sourceDefinesTest("describe('renders the about link', () => {});", 'renders the about link')).toBe(false);
+  });
+});
+
+describe('verifyAcceptanceChecks', () => {
+  let root;
+  let server;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'lucidcoder-acceptance-'));
+    getProject.mockResolvedValue({ id: 7, path: root, frontend_port: null });
+  });
+
+  afterEach(async () => {
+    if (server) {
+      await new Promise((resolve) => server.close(resolve));
+      server = null;
+    }
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('checks exports and tests against the project files', async () => {
+    await writeFiles(root, {
+      'src/api.js': 'export const fetchUser = async () => null;\n',
+      'src/__tests__/api.js': "test('fetches the user', () => {});\n",
+      'node_modules/pkg/a.test.js': "test('ignored dependency test', () => {});\n",
+      'tests/test_app.py': 'def test_health():\n    pass\n'
+    });
+
+    const verification = await verifyAcceptanceChecks(7, [
+      { type: 'file-export', file: 'src/api.js', name: 'fetchUser' },
+      { type: 'file-export', file: 'src/api.js', name: 'saveUser' },
+      { type: 'file-export', file: 'src/missing.js', name: 'x' },
+      { type: 'test-exists', name: 'fetches the user' },
+      { type: 'test-exists', name: 'test_health' },
+      { type: 'test-exists', name: 'ignored dependency test' }
+    ]);
+
+    expect(verification.passed).toBe(false);
+    expect(typeof verification.checkedAt).toBe('string');
+    expect(verification.results.map(({ label, passed, detail }) => ({ label, passed, detail }))).toEqual([
+      { label: 'src/api.js exports fetchUser', passed: true, detail: 'src/api.js exports fetchUser' },
+      { label: 'src/api.js exports saveUser', passed: false, detail: 'src/api.js does not export saveUser' },
+      { label: 'src/missing.js exports x', passed: false, detail: 'src/missing.js does not exist' },
+      { label: 'Test "fetches the user" exists', passed: true, detail: 'Found in src/__tests__/api.js' },
+      { label: 'Test "test_health" exists', passed: true, detail: 'Found in tests/test_app.py' },
+      {
+        label: 'Test "ignored dependency test" exists',
+        passed: false,
+        detail: 'No test named "ignored dependency test" was found'
+      }
+    ]);
+  });
+
+  it('finds no tests when the project folder is missing', async () => {
+    getProject.mockResolvedValue({ id: 7, path: path.join(root, 'gone') });
+
+    const verification = await verifyAcceptanceChecks(7, [{ type: 'test-exists', name: 'works' }]);
+
+    expect(verification.results[0]).toMatchObject({ passed: false, detail: 'No test named "works" was found' });
+  });
+
+  it('passes when every check passes', async () => {
+    await writeFiles(root, { 'index.js': 'module.exports = { start };\n' });
+
+    const verification = await verifyAcceptanceChecks(7, [
+      { type: 'file-export', file: 'index.js', name: 'start' }
+    ]);
+
+    expect(verification.passed).toBe(true);
+    expect(verification.results[0].check).toEqual({ type: 'file-export', file: 'index.js', name: 'start' });
+  });
+
+  it('reports file read errors other than missing files', async () => {
+    await fs.mkdir(path.join(root, 'src'));
+
+    const verification = await verifyAcceptanceChecks(7, [{ type: 'file-export', file: 'src', name: 'x' }]);
+
+    expect(verification.results[0].passed).toBe(false);
+    expect(verification.results[0].detail).toMatch(/EISDIR/);
+  });
+
+  it('requests routes from the running project and compares the status', async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/old') {
+        res.writeHead(302, { Location: '/new' });
+      } else {
+        res.writeHead(req.url === '/about' ? 200 : 404);
+      }
+      res.end();
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    getProject.mockResolvedValue({ id: 7, path: root, frontend_port: port });
+
+    const verification = await verifyAcceptanceChecks(7, [
+      { type: 'route-status', path: '/about', status: 200 },
+      { type: 'route-status', path: '/missing', status: 200 },
+      { type: 'route-status', path: '/old', status: 302 }
+    ]);
+
+    expect(verification.results.map((result) => result.passed)).toEqual([true, false, true]);
+    expect(verification.results[1].detail).toBe(`http://localhost:${port}/missing returned 404`);
+  });
+
+  it('fails route checks when the project is not running or unreachable', async () => {
+    const notStarted = await verifyAcceptanceChecks(7, [{ type: 'route-status', path: '/', status: 200 }]);
+    expect(notStarted.results[0].detail).toBe('The project has not been started yet, so its routes cannot be checked');
+
+    server = http.createServer();
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    await new Promise((resolve) => server.close(resolve));
+    server = null;
+    getProject.mockResolvedValue({ id: 7, path: root, frontend_port: port });
+
+    const unreachable = await verifyAcceptanceChecks(7, [{ type: 'route-status', path: '/', status: 200 }]);
+    expect(unreachable.results[0].passed).toBe(false);
+    expect(unreachable.results[0].detail).toMatch(new RegExp(`^Could not reach http://localhost:${port}/: `));
+  });
+
+  it('checks elements through the preview', async () => {
+    requestPreviewElementCheck
+      .mockResolvedValueOnce({ found: true, count: 1, error: null })
+      .mockResolvedValueOnce({ found: true, count: 2, error: null })
+      .mockResolvedValueOnce({ found: false, count: 0, error: null })
+      .mockResolvedValueOnce({ found: false, count: 0, error: 'Invalid selector: [' })
+      .mockRejectedValueOnce(new Error('socket closed'));
+    const check = { type: 'element-exists', selector: 'nav a', path: '/about' };
+
+    const verification = await verifyAcceptanceChecks(7, [check, check, check, check, check]);
+
+    expect(requestPreviewElementCheck).toHaveBeenCalledWith({ projectId: 7, selector: 'nav a', path: '/about' });
+    expect(verification.results.map((result) => result.detail)).toEqual([
+      '1 matching element',
+      '2 matching elements',
+      'Nothing matches nav a',
+      'Invalid selector: [',
+      'socket closed'
+    ]);
+    expect(verification.results.map((result) => result.passed)).toEqual([true, true, false, false, false]);
+  });
+
+  it('leaves preview checks pending while checking a worktree', async () => {
+    const worktree = await fs.mkdtemp(path.join(os.tmpdir(), 'lucidcoder-acceptance-worktree-'));
+    try {
+      await writeFiles(worktree, { 'src/api.js': 'export const fetchUser = async () => null;\n' });
+      getProject.mockResolvedValue({ id: 7, path: root, frontend_port: 5173 });
+
+      const verification = await runWithProjectRoot(7, worktree, () => verifyAcceptanceChecks(7, [
+        { type: 'route-status', path: '/about', status: 200 },
+        { type: 'element-exists', selector: 'nav a', path: '/' },
+        { type: 'file-export', file: 'src/api.js', name: 'fetchUser' }
+      ]));
+
+      expect(verification.passed).toBe(true);
+      expect(verification.results.map(({ passed, pending }) => ({ passed, pending }))).toEqual([
+        { passed: false, pending: true },
+        { passed: false, pending: true },
+        { passed: true, pending: undefined }
+      ]);
+      expect(verification.results[0].detail).toBe(
+        'The running preview does not include these unmerged changes; verify again once merged'
+      );
+      expect(requestPreviewElementCheck).not.toHaveBeenCalled();
+
+      const failing = await runWithProjectRoot(7, worktree, () => verifyAcceptanceChecks(7, [
+        { type: 'route-status', path: '/about', status: 200 },
+        { type: 'file-export', file: 'src/api.js', name: 'saveUser' }
+      ]));
+      expect(failing.passed).toBe(false);
+    } finally {
+      await fs.rm(worktree, { recursive: true, force: true });
+    }
+  });
+
+  it('returns a passing, empty verification when there is nothing to check', async () => {
+    expect(await verifyAcceptanceChecks(7)).toMatchObject({ passed: true, results: [] });
+  });
+});
@@ -0,0 +1,144 @@
+import { beforeEach, describe, expect, test, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+
+vi.mock('../services/foregroundAddTestsRunner.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    runForegroundAddTests: vi.fn()
+  };
+});
+
+import agentRoutes from '../routes/agent.js';
+import { runForegroundAddTests } from '../services/foregroundAddTestsRunner.js';
+
+describe('Agent add-tests stream routes', () => {
+  let app;
+
+  const findRouteHandler = (path, method) => {
+    const layer = agentRoutes.stack.find((entry) => entry.route?.path === path && entry.route?.methods?.[method]);
+    if (!layer) {
+      throw new Error(`Route handler not found for ${method.toUpperCase()} ${path}`);
+    }
+    return layer.route.stack[0].handle;
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    app = express();
+    app.use(express.json());
+    app.use('/api/agent', agentRoutes);
+  });
+
+  test('rejects missing projectId and invalid targets', async () => {
+    const missing = await request(app).post('/api/agent/add-tests/stream').send({});
+    expect(missing.status).toBe(400);
+    expect(missing.body).toEqual({ error: 'projectId is required' });
+
+    const noTarget = await request(app).post('/api/agent/add-tests/stream').send({ projectId: 1 });
+    expect(noTarget.status).toBe(400);
+    expect(noTarget.body.error).toBe('targetFile is required');
+
+    const badRange = await request(app)
+      .post('/api/agent/add-tests/stream')
+      .send({ projectId: 1, targetFile: 'src/a.js', lineRange: { start: 5, end: 2 } });
+    expect(badRange.status).toBe(400);
+    expect(badRange.body.error).toMatch(/lineRange/);
+
+    expect(runForegroundAddTests).not.toHaveBeenCalled();
+  });
+
+  test('streams SSE events and ends with done', async () => {
+    runForegroundAddTests.mockImplementation(async ({ onEvent }) => {
+      onEvent({ event: 'coverage', data: { file: 'src/a.js', delta: { lines: 20 } } });
+      onEvent({ event: '', data: null });
+      return { status: 'complete', branchName: 'feature/add-tests-test', committed: true };
+    });
+
+    const response = await request(app)
+      .post('/api/agent/add-tests/stream')
+      .send({ projectId: 5, prompt: 7, targetFile: 'src/a.js', lineRange: { start: 3, end: 9 } });
+
+    expect(runForegroundAddTests).toHaveBeenCalledWith(expect.objectContaining({
+      projectId: 5,
+      prompt: '',
+      targetFile: 'src/a.js',
+      lineRange: { start: 3, end: 9 }
+    }));
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('text/event-stream');
+    expect(response.text).toContain('event: coverage');
+    expect(response.text).toContain('event: message');
+    expect(response.text).toContain('feature/add-tests-test');
+  });
+
+  test('wires client disconnects into shouldCancel', async () => {
+    const handler = findRouteHandler('/add-tests/stream', 'post');
+    const callbacks = {};
+    const req = {
+      body: { projectId: 1, targetFile: 'src/a.js' },
+      on: (event, cb) => {
+        callbacks[event] = cb;
+      }
+    };
+    const writes = [];
+    const res = {
+      setHeader: vi.fn(),
+      flushHeaders: vi.fn(),
+      on: (event, cb) => {
+        callbacks[`res:${event}`] = cb;
+      },
+      write: vi.fn((chunk) => writes.push(String(chunk))),
+      end: vi.fn()
+    };
+
+    runForegroundAddTests.mockImplementation(async ({ shouldCancel }) => {
+      expect(shouldCancel()).toBe(false);
+      callbacks['res:close']();
+      expect(shouldCancel()).toBe(true);
+      callbacks.aborted();
+      const error = new Error('Add tests cancelled');
+      error.code = 'ADD_TESTS_CANCELLED';
+      throw error;
+    });
+
+    await handler(req, res);
+
+    expect(res.flushHeaders).toHaveBeenCalledTimes(1);
+    expect(writes.join('')).toContain('"cancelled":true');
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  test('reports runner errors as SSE error events', async () => {
+    runForegroundAddTests.mockRejectedValueOnce(new Error('LLM offline'));
+    const failed = await request(app)
+      .post('/api/agent/add-tests/stream')
+      .send({ projectId: 1, targetFile: 'src/a.js' });
+    expect(failed.text).toContain('event: error');
+    expect(failed.text).toContain('LLM offline');
+
+    runForegroundAddTests.mockRejectedValueOnce({});
+    const unknown = await request(app)
+      .post('/api/agent/add-tests/stream')
+      .send({ projectId: 1, targetFile: 'src/a.js' });
+    expect(unknown.text).toContain('Add tests failed');
+  });
+
+  test('ends the response when the retry preamble cannot be written', async () => {
+    const handler = findRouteHandler('/add-tests/stream', 'post');
+    const res = {
+      setHeader: vi.fn(),
+      on: vi.fn(),
+      write: vi.fn(() => {
+        throw new Error('socket closed');
+      }),
+      end: vi.fn()
+    };
+
+    await handler({ body: { projectId: 1, targetFile: 'src/a.js' }, on: vi.fn() }, res);
+
+    expect(res.end).toHaveBeenCalled();
+    expect(runForegroundAddTests).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,156 @@
+import { beforeEach, describe, expect, test, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+
+vi.mock('../services/foregroundRefactorRunner.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    runForegroundRefactor: vi.fn()
+  };
+});
+
+import agentRoutes from '../routes/agent.js';
+import { runForegroundRefactor } from '../services/foregroundRefactorRunner.js';
+
+describe('Agent refactor stream routes', () => {
+  let app;
+
+  const findRouteHandler = (path, method) => {
+    const layer = agentRoutes.stack.find((entry) => entry.route?.path === path && entry.route?.methods?.[method]);
+    if (!layer) {
+      throw new Error(`Route handler not found for ${method.toUpperCase()} ${path}`);
+    }
+    return layer.route.stack[0].handle;
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    app = express();
+    app.use(express.json());
+    app.use('/api/agent', agentRoutes);
+  });
+
+  test('rejects missing projectId and invalid refactor requests', async () => {
+    const missing = await request(app).post('/api/agent/refactor/stream').send({});
+    expect(missing.status).toBe(400);
+    expect(missing.body).toEqual({ error: 'projectId is required' });
+
+    const invalidType = await request(app)
+      .post('/api/agent/refactor/stream')
+      .send({ projectId: 1, refactorType: 'rewrite', scope: { type: 'repo' } });
+    expect(invalidType.status).toBe(400);
+    expect(invalidType.body.error).toMatch(/refactorType must be one of/);
+
+    const escapingPath = await request(app)
+      .post('/api/agent/refactor/stream')
+      .send({ projectId: 1, refactorType: 'simplify', scope: { type: 'folder', path: '../outside' } });
+    expect(escapingPath.status).toBe(400);
+    expect(escapingPath.body.error).toBe('scope.path must be relative to the project root');
+
+    expect(runForegroundRefactor).not.toHaveBeenCalled();
+  });
+
+  test('streams SSE events and ends with done', async () => {
+    runForegroundRefactor.mockImplementation(async ({ onEvent }) => {
+      onEvent({ event: 'status', data: { text: 'Preparing refactor…' } });
+      onEvent({ event: '', data: null });
+      return { status: 'complete', branchName: 'feature/refactor-test', committed: true };
+    });
+
+    const response = await request(app)
+      .post('/api/agent/refactor/stream')
+      .set('Accept', 'text/event-stream')
+      .send({
+        projectId: 5,
+        prompt: 42,
+        refactorType: 'rename-symbol',
+        scope: { type: 'file', path: 'src/utils.js' },
+        symbolName: 'oldName',
+        newName: 'newName'
+      });
+
+    expect(runForegroundRefactor).toHaveBeenCalledWith(expect.objectContaining({
+      projectId: 5,
+      prompt: '',
+      refactorType: 'rename-symbol',
+      scope: { type: 'file', path: 'src/utils.js' },
+      symbolName: 'oldName',
+      newName: 'newName'
+    }));
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('text/event-stream');
+    expect(response.text).toContain('Preparing refactor');
+    expect(response.text).toContain('event: message');
+    expect(response.text).toContain('feature/refactor-test');
+  });
+
+  test('wires client disconnects into shouldCancel', async () => {
+    const handler = findRouteHandler('/refactor/stream', 'post');
+    const callbacks = {};
+    const req = {
+      body: { projectId: 1, refactorType: 'simplify', scope: { type: 'repo' } },
+      on: (event, cb) => {
+        callbacks[event] = cb;
+      }
+    };
+    const writes = [];
+    const res = {
+      setHeader: vi.fn(),
+      flushHeaders: vi.fn(),
+      on: (event, cb) => {
+        callbacks[`res:${event}`] = cb;
+      },
+      write: vi.fn((chunk) => writes.push(String(chunk))),
+      end: vi.fn()
+    };
+
+    runForegroundRefactor.mockImplementation(async ({ shouldCancel }) => {
+      expect(shouldCancel()).toBe(false);
+      callbacks['res:close']();
+      expect(shouldCancel()).toBe(true);
+      callbacks.aborted();
+      const error = new Error('Refactor cancelled');
+      error.code = 'REFACTOR_CANCELLED';
+      throw error;
+    });
+
+    await handler(req, res);
+
+    expect(res.flushHeaders).toHaveBeenCalledTimes(1);
+    expect(writes.join('')).toContain('"cancelled":true');
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  test('reports runner errors as SSE error events', async () => {
+    runForegroundRefactor.mockRejectedValueOnce(new Error('LLM offline'));
+    const failed = await request(app)
+      .post('/api/agent/refactor/stream')
+      .send({ projectId: 1, refactorType: 'simplify', scope: { type: 'repo' } });
+    expect(failed.text).toContain('event: error');
+    expect(failed.text).toContain('LLM offline');
+
+    runForegroundRefactor.mockRejectedValueOnce({});
+    const unknown = await request(app)
+      .post('/api/agent/refactor/stream')
+      .send({ projectId: 1, refactorType: 'simplify', scope: { type: 'repo' } });
+    expect(unknown.text).toContain('Refactor failed');
+  });
+
+  test('ends the response when the retry preamble cannot be written', async () => {
+    const handler = findRouteHandler('/refactor/stream', 'post');
+    const res = {
+      setHeader: vi.fn(),
+      on: vi.fn(),
+      write: vi.fn(() => {
+        throw new Error('socket closed');
+      }),
+      end: vi.fn()
+    };
+
+    await handler({ body: { projectId: 1, refactorType: 'simplify', scope: { type: 'repo' } }, on: vi.fn() }, res);
+
+    expect(res.end).toHaveBeenCalled();
+    expect(runForegroundRefactor).not.toHaveBeenCalled();
+  });
+});
@@ -1,5 +1,6 @@
 import { beforeEach, describe, expect, test, vi } from 'vitest';
 import express from 'express';
+import { EventEmitter } from 'events';
 import request from 'supertest';
 
 vi.mock('../services/agentRequestHandler.js', () => ({
@@ -36,8 +37,16 @@ vi.mock('../services/foregroundCleanupRunner.js', () => ({
   runForegroundCleanup: vi.fn()
 }));
 
+vi.mock('../services/chatThreadStore.js', () => ({
+  getChatThread: vi.fn(),
+  linkChatThread: vi.fn()
+}));
+
 import agentRoutes from '../routes/agent.js';
 import { handleAgentRequest } from '../services/agentRequestHandler.js';
+import { getChatThread, linkChatThread } from '../services/chatThreadStore.js';
+import { getLlmUsageContext } from '../services/llmUsage.js';
+import { __testing as commandApprovalsTesting, requestCommandApproval } from '../services/commandApprovals.js';
 import {
   acknowledgeUiCommands,
   enqueueUiCommand,
@@ -134,6 +143,47 @@ describe('Agent routes', () => {
       expect(handleAgentRequest).toHaveBeenCalledWith({ projectId: 123, prompt: 'Do something' });
     });
 
+    test('passes the chat thread to the handler', async () => {
+      getChatThread.mockResolvedValue({ id: 9, projectId: 123 });
+      handleAgentRequest.mockResolvedValue({ kind: 'question' });
+
+      await request(app)
+        .post('/api/agent/request')
+        .send({ projectId: 123, prompt: 'Do something', threadId: 9 })
+        .expect(200);
+
+      expect(getChatThread).toHaveBeenCalledWith(9);
+      expect(handleAgentRequest).toHaveBeenCalledWith({ projectId: 123, prompt: 'Do something', threadId: 9 });
+    });
+
+    test('rejects chat threads from other projects', async () => {
+      getChatThread.mockResolvedValueOnce({ id: 9, projectId: 456 });
+      getChatThread.mockResolvedValueOnce(null);
+
+      const foreign = await request(app)
+        .post('/api/agent/request')
+        .send({ projectId: 123, prompt: 'Do something', threadId: 9 });
+      const missing = await request(app)
+        .post('/api/agent/request')
+        .send({ projectId: 123, prompt: 'Do something', threadId: 10 });
+
+      expect(foreign.status).toBe(404);
+      expect(foreign.body).toEqual({ error: 'Chat thread not found' });
+      expect(missing.status).toBe(404);
+      expect(handleAgentRequest).not.toHaveBeenCalled();
+    });
+
+    test('attributes LLM usage made by the handler to the project', async () => {
+      handleAgentRequest.mockImplementation(async () => ({ context: getLlmUsageContext() }));
+
+      const response = await request(app)
+        .post('/api/agent/request')
+        .send({ projectId: 321, prompt: 'Count the cost' });
+
+      expect(response.body).toEqual({ context: { projectId: 321 } });
+      expect(getLlmUsageContext()).toBeNull();
+    });
+
     test('returns 500 with error.message details on failure', async () => {
       const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
       handleAgentRequest.mockRejectedValue(new Error('boom'));
@@ -207,6 +257,30 @@ describe('Agent routes', () => {
       expect(response.body).toEqual({ error: 'prompt is required' });
     });
 
+    test('rejects chat threads from other projects before streaming', async () => {
+      getChatThread.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/agent/request/stream')
+        .send({ projectId: 123, prompt: 'Do something', threadId: 9 });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Chat thread not found' });
+    });
+
+    test('passes the chat thread to the streaming handler', async () => {
+      getChatThread.mockResolvedValue({ id: 9, projectId: 123 });
+      handleAgentRequest.mockResolvedValue({ kind: 'feature' });
+
+      await readStreamResponse(
+        request(app)
+          .post('/api/agent/request/stream')
+          .send({ projectId: 123, prompt: 'Do something', threadId: 9 })
+      );
+
+      expect(handleAgentRequest.mock.calls[0][0].threadId).toBe(9);
+    });
+
     test('streams chunks for question answers and sends done event', async () => {
       handleAgentRequest.mockResolvedValue({
         kind: 'question',
@@ -224,7 +298,70 @@ describe('Agent routes', () => {
       expect(response.status).toBe(200);
       expect(payload).toContain('event: chunk');
       expect(payload).toContain('event: done');
-      expect(handleAgentRequest).toHaveBeenCalledWith({ projectId: 123, prompt: 'Do something' });
+      expect(handleAgentRequest).toHaveBeenCalledWith(expect.objectContaining({ projectId: 123, prompt: 'Do something' }));
+      expect(handleAgentRequest.mock.calls[0][0].signal).toBeInstanceOf(AbortSignal);
+    });
+
+    test('forwards answer tokens as token events and does not replay the answer as chunks', async () => {
+      handleAgentRequest.mockImplementation(async ({ onToken }) => {
+        onToken('Thinking');
+        onToken(' aloud');
+        return { kind: 'question', answer: 'Thinking aloud' };
+      });
+
+      const response = await readStreamResponse(
+        request(app)
+          .post('/api/agent/request/stream')
+          .send({ projectId: 123, prompt: 'Do something' })
+      );
+
+      const payload = String(response.text || response.body || '');
+      expect(payload).toContain('event: token\ndata: {"text":"Thinking"}');
+      expect(payload).toContain('event: token\ndata: {"text":" aloud"}');
+      expect(payload.indexOf('event: token')).toBeLessThan(payload.indexOf('event: done'));
+      expect(payload).not.toContain('event: chunk');
+    });
+
+    test('aborts the agent request when the client disconnects', async () => {
+      const handler = findRouteHandler('/request/stream', 'post');
+      const res = new EventEmitter();
+      Object.assign(res, { setHeader: vi.fn(), write: vi.fn(), end: vi.fn(), writableEnded: false });
+      const req = new EventEmitter();
+      req.body = { projectId: 1, prompt: 'Ping' };
+
+      handleAgentRequest.mockImplementation(({ signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(Object.assign(new Error('LLM request cancelled'), {
+          code: 'LLM_REQUEST_CANCELLED'
+        })));
+        res.emit('close');
+      }));
+
+      await handler(req, res);
+
+      expect(handleAgentRequest.mock.calls[0][0].signal.aborted).toBe(true);
+      expect(res.write).not.toHaveBeenCalledWith(expect.stringContaining('event: error'));
+      expect(res.end).toHaveBeenCalled();
+    });
+
+    test('aborts when the request is aborted and ignores close after the response ends', async () => {
+      const handler = findRouteHandler('/request/stream', 'post');
+      const res = new EventEmitter();
+      Object.assign(res, { setHeader: vi.fn(), write: vi.fn(), end: vi.fn(), writableEnded: true });
+      const req = new EventEmitter();
+      req.body = { projectId: 1, prompt: 'Ping' };
+      let signal;
+
+      handleAgentRequest.mockImplementation(async (args) => {
+        signal = args.signal;
+        res.emit('close');
+        expect(signal.aborted).toBe(false);
+        req.emit('aborted');
+        return { kind: 'feature' };
+      });
+
+      await handler(req, res);
+
+      expect(signal.aborted).toBe(true);
     });
 
     test('streams error event when handler throws', async () => {
@@ -527,6 +664,43 @@ describe('Agent routes', () => {
     });
   });
 
+  describe('Command approval routes', () => {
+    beforeEach(() => {
+      commandApprovalsTesting.reset();
+    });
+
+    test('lists pending approvals for a project', async () => {
+      requestCommandApproval({ projectId: 1, command: 'make build', reason: 'compile' });
+      requestCommandApproval({ projectId: 2, command: 'make docs' });
+
+      const missing = await request(createApp(false)).get('/api/agent/command-approvals');
+      expect(missing.status).toBe(400);
+
+      const response = await request(app).get('/api/agent/command-approvals').query({ projectId: 1 });
+      expect(response.status).toBe(200);
+      expect(response.body.approvals).toEqual([
+        expect.objectContaining({ id: '1', projectId: '1', command: 'make build', reason: 'compile' })
+      ]);
+    });
+
+    test('resolves a pending approval', async () => {
+      const decision = requestCommandApproval({ projectId: 1, command: 'make build' });
+
+      const invalid = await request(createApp(false)).post('/api/agent/command-approvals/1');
+      expect(invalid.status).toBe(400);
+      expect(invalid.body).toEqual({ error: 'approved must be a boolean' });
+
+      const response = await request(app).post('/api/agent/command-approvals/1').send({ approved: true });
+      expect(response.status).toBe(200);
+      expect(response.body.approval).toEqual(expect.objectContaining({ id: '1', approved: true, resolution: 'user' }));
+      await expect(decision).resolves.toBe(true);
+
+      const again = await request(app).post('/api/agent/command-approvals/1').send({ approved: false });
+      expect(again.status).toBe(404);
+      expect(again.body).toEqual({ error: 'Command approval not found' });
+    });
+  });
+
   describe('Autopilot route validation', () => {
     test('POST /api/agent/autopilot rejects missing projectId', async () => {
       const response = await request(app)
@@ -662,6 +836,50 @@ describe('Agent routes', () => {
       });
     });
 
+    test('POST /api/agent/autopilot links the session to the chat thread', async () => {
+      getChatThread.mockResolvedValue({ id: 9, projectId: 'proj-1' });
+      createAutopilotSession.mockResolvedValue({ id: 'session-123', projectId: 'proj-1' });
+      linkChatThread.mockResolvedValue(undefined);
+
+      const response = await request(app)
+        .post('/api/agent/autopilot')
+        .send({ projectId: 'proj-1', prompt: 'Ship it', threadId: 9 });
+
+      expect(response.status).toBe(202);
+      expect(linkChatThread).toHaveBeenCalledWith(9, { kind: 'autopilot', refId: 'session-123' });
+    });
+
+    test('POST /api/agent/autopilot still starts when linking the thread fails', async () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      getChatThread.mockResolvedValue({ id: 9, projectId: 'proj-1' });
+      createAutopilotSession.mockResolvedValue({ id: 'session-123', projectId: 'proj-1' });
+      linkChatThread.mockRejectedValueOnce(new Error('db down')).mockRejectedValueOnce({});
+
+      const first = await request(app)
+        .post('/api/agent/autopilot')
+        .send({ projectId: 'proj-1', prompt: 'Ship it', threadId: 9 });
+      const second = await request(app)
+        .post('/api/agent/autopilot')
+        .send({ projectId: 'proj-1', prompt: 'Ship it', threadId: 9 });
+
+      expect(first.status).toBe(202);
+      expect(second.status).toBe(202);
+      expect(warnSpy).toHaveBeenCalledWith('[Agent Autopilot] Failed to link session to chat thread:', 'db down');
+      warnSpy.mockRestore();
+    });
+
+    test('POST /api/agent/autopilot rejects chat threads from other projects', async () => {
+      getChatThread.mockResolvedValue({ id: 9, projectId: 'proj-2' });
+
+      const response = await request(app)
+        .post('/api/agent/autopilot')
+        .send({ projectId: 'proj-1', prompt: 'Ship it', threadId: 9 });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Chat thread not found' });
+      expect(createAutopilotSession).not.toHaveBeenCalled();
+    });
+
     test('GET /api/agent/autopilot/sessions/:sessionId returns session when project matches', async () => {
       const session = { id: 'session-1', projectId: 'proj-1', state: 'running' };
       getAutopilotSession.mockReturnValue(session);
@@ -231,4 +231,68 @@ describe('agent autopilot coverage gates', () => {
     expect(runTests).toHaveBeenCalledTimes(4);
     expect(rollback).toHaveBeenCalledTimes(1);
   });
+
+  test('autopilot passes preview runtime errors to implementation and fix prompts', async () => {
+    const plan = vi.fn().mockResolvedValue({
+      parent: { branchName: 'feature/runtime-errors' },
+      children: [{ prompt: 'Fix the blank page' }]
+    });
+    const edit = vi.fn().mockResolvedValue({ steps: [], summary: 'ok' });
+    const createBranch = vi.fn().mockResolvedValue({});
+    const commit = vi.fn().mockResolvedValue({ commit: 'abc123' });
+    const merge = vi.fn().mockResolvedValue({ mergedBranch: 'feature/runtime-errors', current: 'main' });
+    const runTests = vi
+      .fn()
+      .mockResolvedValueOnce({ status: 'failed', summary: { failed: 1 }, workspaceRuns: [] })
+      .mockResolvedValueOnce({ status: 'failed', summary: { failed: 1 }, workspaceRuns: [] })
+      .mockResolvedValueOnce({ status: 'passed', summary: { failed: 0 }, workspaceRuns: [] });
+    const getRuntimeErrors = vi.fn().mockResolvedValue([
+      { kind: 'error', level: 'error', message: 'TypeError: items.map is not a function', count: 2 }
+    ]);
+
+    await autopilotFeatureRequest({
+      projectId: 11,
+      prompt: 'Fix the blank page',
+      options: { verificationFixRetries: 1 },
+      deps: { plan, edit, createBranch, runTests, commit, merge, getRuntimeErrors }
+    });
+
+    expect(getRuntimeErrors).toHaveBeenCalledWith(11);
+    const prompts = edit.mock.calls.map(([args]) => args.prompt);
+    const implementationPrompt = prompts.find((prompt) => prompt.includes('Stage: Implement feature'));
+    const fixPrompt = prompts.find((prompt) => prompt.includes('Stage: Stabilize verification run'));
+    expect(implementationPrompt).toContain('- [error] (x2) TypeError: items.map is not a function');
+    expect(fixPrompt).toContain('Preview Runtime Errors');
+  });
+
+  test('autopilot ignores runtime error lookup failures', async () => {
+    const plan = vi.fn().mockResolvedValue({
+      parent: { branchName: 'feature/runtime-errors-fail' },
+      children: [{ prompt: 'Add feature' }]
+    });
+    const edit = vi.fn().mockResolvedValue({ steps: [], summary: 'ok' });
+    const runTests = vi
+      .fn()
+      .mockResolvedValueOnce({ status: 'failed', summary: { failed: 1 }, workspaceRuns: [] })
+      .mockResolvedValueOnce({ status: 'passed', summary: { failed: 0 }, workspaceRuns: [] });
+
+    await autopilotFeatureRequest({
+      projectId: 12,
+      prompt: 'Add feature',
+      deps: {
+        plan,
+        edit,
+        createBranch: vi.fn().mockResolvedValue({}),
+        runTests,
+        commit: vi.fn().mockResolvedValue({}),
+        merge: vi.fn().mockResolvedValue({}),
+        getRuntimeErrors: vi.fn().mockRejectedValue(new Error('store offline'))
+      }
+    });
+
+    const implementationPrompt = edit.mock.calls.map(([args]) => args.prompt)
+      .find((prompt) => prompt.includes('Stage: Implement feature'));
+    expect(implementationPrompt).not.toContain('Preview Runtime Errors');
+  });
 });
+
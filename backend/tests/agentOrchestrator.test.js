@@ -11,6 +11,9 @@ import {
   deleteGoalById,
   advanceGoalState,
   advanceGoalPhase,
+  setGoalDependencies,
+  setGoalAcceptanceChecks,
+  verifyGoalAcceptance,
   recordTestRunForGoal,
   planGoalFromPrompt,
   ensureGoalBranch,
@@ -19,6 +22,12 @@ import {
 import { llmClient } from '../llm-client.js';
 import * as goalStore from '../services/goalStore.js';
 import * as gitUtils from '../utils/git.js';
+import { verifyAcceptanceChecks } from '../services/acceptanceVerifier.js';
+import { createProjectMemory, deleteProjectMemory } from '../services/projectMemoryStore.js';
+
+vi.mock('../services/acceptanceVerifier.js', () => ({
+  verifyAcceptanceChecks: vi.fn()
+}));
 
 vi.mock('../llm-client.js', () => {
   const originalModule = vi.importActual('../llm-client.js');
@@ -396,6 +405,152 @@ describe('agentOrchestrator', () => {
     expect(children[0].children[0].prompt).toBe('Ship nested leaf');
   });
 
+  it('stores planned dependencies between sibling goals, including nested ones', async () => {
+    const { children } = await createMetaGoalWithChildren({
+      projectId: 13,
+      prompt: 'Dependent plan',
+      childPrompts: [
+        { title: 'Create API', prompt: 'Create the items API' },
+        {
+          title: 'Build UI',
+          prompt: 'Build the items UI',
+          dependsOn: [1],
+          children: [
+            { title: 'List view', prompt: 'Add the list view' },
+            { title: 'Detail view', prompt: 'Add the detail view', dependsOn: ['List view'] }
+          ]
+        },
+        { title: 'Write docs', prompt: 'Document the items feature' }
+      ]
+    });
+
+    expect(children.map((child) => child.dependsOn)).toEqual([[], [children[0].id], []]);
+    const [listView, detailView] = children[1].children;
+    expect(detailView.dependsOn).toEqual([listView.id]);
+
+    const { goal } = await getGoalWithTasks(children[1].id);
+    expect(goal.dependsOn).toEqual([children[0].id]);
+  });
+
+  it('ignores planned dependencies that form a cycle', async () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const { children } = await createMetaGoalWithChildren({
+      projectId: 14,
+      prompt: 'Cyclic plan',
+      childPrompts: [
+        { prompt: 'First step', dependsOn: [2] },
+        { prompt: 'Second step', dependsOn: [1] }
+      ]
+    });
+
+    expect(children.map((child) => child.dependsOn)).toEqual([[], []]);
+    expect(warnSpy).toHaveBeenCalledWith('[WARN] Ignoring planned goal dependencies that form a cycle');
+    warnSpy.mockRestore();
+  });
+
+  it('sets dependencies between sibling goals', async () => {
+    const { parent, children } = await createMetaGoalWithChildren({
+      projectId: 15,
+      prompt: 'Sibling edges',
+      childPrompts: ['First step', 'Second step', 'Third step']
+    });
+    const [first, second, third] = children;
+    const other = await createMetaGoalWithChildren({ projectId: 15, prompt: 'Other', childPrompts: ['Elsewhere'] });
+
+    const updated = await setGoalDependencies(third.id, [first.id, String(second.id)]);
+    expect(updated.dependsOn).toEqual([first.id, second.id]);
+
+    await expect(setGoalDependencies(first.id, 'nope')).rejects.toThrow('dependsOn must be an array');
+    await expect(setGoalDependencies(999999, [])).rejects.toThrow('Goal not found');
+    await expect(setGoalDependencies(first.id, [first.id])).rejects.toThrow('A goal cannot depend on itself');
+    await expect(setGoalDependencies(first.id, [other.children[0].id, parent.id])).rejects.toThrow(
+      `Goal dependencies must be sibling goals: ${other.children[0].id}, ${parent.id}`
+    );
+    await expect(setGoalDependencies(first.id, [third.id])).rejects.toThrow(
+      `Goal dependencies form a cycle: ${first.id} -> ${third.id} -> ${first.id}`
+    );
+
+    // Top-level goals are siblings of each other.
+    await expect(setGoalDependencies(other.parent.id, [parent.id])).resolves.toMatchObject({ dependsOn: [parent.id] });
+    await expect(setGoalDependencies(third.id, [])).resolves.toMatchObject({ dependsOn: [] });
+  });
+
+  it('keeps usable acceptance checks from planned child goals', async () => {
+    const { children } = await createMetaGoalWithChildren({
+      projectId: 16,
+      prompt: 'Checked plan',
+      childPrompts: [
+        {
+          prompt: 'Add the about page',
+          acceptanceChecks: [
+            { type: 'route-status', path: '/about' },
+            { type: 'element-exists', selector: 'nav .about-link' },
+            { type: 'made-up' }
+          ]
+        },
+        { prompt: 'Polish styles', acceptanceChecks: [{ type: 'made-up' }] }
+      ]
+    });
+
+    expect(children[0].acceptanceChecks).toEqual([
+      { type: 'route-status', path: '/about', status: 200 },
+      { type: 'element-exists', selector: 'nav .about-link', path: '/' }
+    ]);
+    expect(children[1].acceptanceChecks).toEqual([]);
+  });
+
+  it('sets and verifies acceptance checks on a goal', async () => {
+    const { goal } = await createGoalFromPrompt({ projectId: 17, prompt: 'Add about page' });
+
+    await expect(setGoalAcceptanceChecks(goal.id, 'nope')).rejects.toThrow('acceptanceChecks must be an array');
+    await expect(setGoalAcceptanceChecks(999999, [])).rejects.toThrow('Goal not found');
+    await expect(verifyGoalAcceptance(999999)).rejects.toThrow('Goal not found');
+    await expect(verifyGoalAcceptance(goal.id)).rejects.toThrow('Goal has no acceptance checks');
+
+    const updated = await setGoalAcceptanceChecks(goal.id, [{ type: 'test-exists', name: 'renders about' }]);
+    expect(updated.acceptanceChecks).toEqual([{ type: 'test-exists', name: 'renders about' }]);
+
+    const verification = { passed: false, checkedAt: 'now', results: [] };
+    verifyAcceptanceChecks.mockResolvedValueOnce(verification);
+    const result = await verifyGoalAcceptance(goal.id);
+
+    expect(verifyAcceptanceChecks).toHaveBeenCalledWith(17, [{ type: 'test-exists', name: 'renders about' }]);
+    expect(result.verification).toBe(verification);
+    expect(result.goal.lifecycleState).toBe('draft');
+    expect(result.goal.metadata.acceptance).toEqual(verification);
+  });
+
+  it('only lets goals become ready to merge once their acceptance checks pass', async () => {
+    const { goal } = await createGoalFromPrompt({ projectId: 18, prompt: 'Add about page' });
+    await setGoalAcceptanceChecks(goal.id, [
+      { type: 'route-status', path: '/about' },
+      { type: 'test-exists', name: 'renders about' },
+      { type: 'element-exists', selector: 'nav a', path: '/' }
+    ]);
+    await goalStore.updateGoalLifecycleState(goal.id, 'verifying', { existing: true });
+
+    verifyAcceptanceChecks.mockResolvedValueOnce({
+      passed: false,
+      checkedAt: 'first',
+      results: [
+        { label: 'GET /about returns 200', passed: false },
+        { label: 'Test "renders about" exists', passed: true },
+        { label: 'nav a exists on /', passed: false, pending: true }
+      ]
+    });
+    await expect(advanceGoalState(goal.id, 'ready-to-merge')).rejects.toThrow(
+      /^Acceptance checks failed: GET \/about returns 200$/
+    );
+    const { goal: blocked } = await getGoalWithTasks(goal.id);
+    expect(blocked.lifecycleState).toBe('verifying');
+    expect(blocked.metadata).toMatchObject({ existing: true, acceptance: { checkedAt: 'first' } });
+
+    verifyAcceptanceChecks.mockResolvedValueOnce({ passed: true, checkedAt: 'second', results: [] });
+    const ready = await advanceGoalState(goal.id, 'ready-to-merge', { note: 'verified' });
+    expect(ready.lifecycleState).toBe('ready-to-merge');
+    expect(ready.metadata).toMatchObject({ existing: true, note: 'verified', acceptance: { checkedAt: 'second' } });
+  });
+
   it('requires childPrompts to be an array when creating meta goals', async () => {
     await expect(
       createMetaGoalWithChildren({ projectId: 8, prompt: 'Invalid children', childPrompts: 'oops' })
@@ -1043,6 +1198,21 @@ describe('agentOrchestrator', () => {
       expect(systemMessage?.content).toContain('Project snapshot:');
     });
 
+    it('includes project memory in planner prompts', async () => {
+      const memory = await createProjectMemory(4310, { kind: 'avoid', content: 'Never add jQuery' });
+      llmClient.generateResponse.mockResolvedValue(JSON.stringify({ childPrompts: ['Add a carousel component'] }));
+
+      try {
+        await planGoalFromPrompt({ projectId: 4310, prompt: 'Add an image carousel' });
+      } finally {
+        await deleteProjectMemory(memory.id);
+      }
+
+      const systemMessage = llmClient.generateResponse.mock.calls[0][0].find((message) => message.role === 'system');
+      expect(systemMessage.content).toContain('Project memory');
+      expect(systemMessage.content).toContain('- Avoid: Never add jQuery');
+    });
+
     it('rejects responses that trim to zero usable prompts', async () => {
       llmClient.generateResponse.mockResolvedValue(
         JSON.stringify({ childPrompts: ['   ', 99, ''] })
@@ -1711,6 +1881,31 @@ describe('agentOrchestrator', () => {
       expect(tree.map((node) => node.id)).toEqual([null, 3]);
     });
 
+    it('resolves plan dependencies to positions among normalized siblings', () => {
+      const { normalizeGoalPlanTree } = __testExports__;
+
+      const plans = [
+        { prompt: 'Run tests', children: [{ prompt: 'Promoted step', dependsOn: [2] }] },
+        { title: 'Models', prompt: 'Add models' },
+        { prompt: 'Add models' },
+        { title: 'Routes', prompt: 'Add routes', depends_on: ['3', 'models', 'Add routes', 'missing', null, 99] },
+        { title: 'Views', prompt: 'Add views', dependsOn: [4, 2] },
+        { title: 'Docs', prompt: 'Write docs', dependsOn: 'Views' }
+      ];
+
+      const result = normalizeGoalPlanTree(plans);
+      expect(result.map((node) => [node.title, node.dependsOn])).toEqual([
+        ['Promoted Step', undefined],
+        ['Models', undefined],
+        ['Routes', [2]],
+        ['Views', [2, 3]],
+        ['Docs', undefined]
+      ]);
+
+      // Normalizing a normalized tree keeps the same edges.
+      expect(normalizeGoalPlanTree(result).map((node) => node.dependsOn)).toEqual(result.map((node) => node.dependsOn));
+    });
+
     it('honors maxNodes when normalizing plans', () => {
       const { normalizeGoalPlanTree } = __testExports__;
 
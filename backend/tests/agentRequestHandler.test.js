@@ -5,6 +5,8 @@ import { llmClient } from '../llm-client.js';
 import * as orchestrator from '../services/agentOrchestrator.js';
 import * as questionAgent from '../services/questionToolAgent.js';
 import * as planningFallback from '../services/planningFallback.js';
+import * as chatThreadStore from '../services/chatThreadStore.js';
+import * as projectMemoryStore from '../services/projectMemoryStore.js';
 
 vi.mock('../llm-client.js', () => ({
   llmClient: {
@@ -20,6 +22,14 @@ vi.mock('../services/planningFallback.js', () => ({
   isLlmPlanningError: vi.fn(() => false),
   planGoalFromPromptFallback: vi.fn()
 }));
+vi.mock('../services/chatThreadStore.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, linkChatThread: vi.fn(actual.linkChatThread) };
+});
+vi.mock('../services/projectMemoryStore.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, captureCorrectionMemory: vi.fn(actual.captureCorrectionMemory) };
+});
 
 describe('agentRequestHandler', () => {
   beforeEach(async () => {
@@ -326,6 +336,44 @@ describe('agentRequestHandler', () => {
     expect(result).toEqual({ kind: 'question', answer: null, steps: [] });
   });
 
+  it('passes the stream callback and abort signal through to the question agent', async () => {
+    const controller = new AbortController();
+    const onToken = vi.fn();
+    llmClient.generateResponse.mockResolvedValue(JSON.stringify({ kind: 'question' }));
+    questionAgent.answerProjectQuestion.mockResolvedValue({ answer: 'Streamed.', steps: [] });
+
+    await handleAgentRequest({ projectId: 12, prompt: 'Explain', onToken, signal: controller.signal });
+
+    expect(llmClient.generateResponse).toHaveBeenCalledWith(
+      expect.any(Array),
+      expect.objectContaining({ __lucidcoderSignal: controller.signal })
+    );
+    expect(llmClient.generateResponse.mock.calls[0][1]).not.toHaveProperty('__lucidcoderOnToken');
+    expect(questionAgent.answerProjectQuestion).toHaveBeenCalledWith(
+      expect.objectContaining({ onToken, signal: controller.signal })
+    );
+  });
+
+  it('rethrows cancellation instead of falling back when classification is aborted', async () => {
+    const cancelled = Object.assign(new Error('LLM request cancelled'), { code: 'LLM_REQUEST_CANCELLED' });
+    llmClient.generateResponse.mockRejectedValue(cancelled);
+
+    await expect(handleAgentRequest({ projectId: 12, prompt: 'Explain' })).rejects.toBe(cancelled);
+
+    expect(orchestrator.planGoalFromPrompt).not.toHaveBeenCalled();
+    expect(questionAgent.answerProjectQuestion).not.toHaveBeenCalled();
+  });
+
+  it('rethrows cancellation from the question agent instead of apologising', async () => {
+    const cancelled = Object.assign(new Error('LLM request cancelled'), { code: 'LLM_REQUEST_CANCELLED' });
+    llmClient.generateResponse.mockResolvedValue(JSON.stringify({ kind: 'question' }));
+    questionAgent.answerProjectQuestion.mockRejectedValue(cancelled);
+
+    await expect(handleAgentRequest({ projectId: 12, prompt: 'Explain' })).rejects.toBe(cancelled);
+    expect(__testing.isCancelledError(cancelled)).toBe(true);
+    expect(__testing.isCancelledError(new Error('boom'))).toBe(false);
+  });
+
   it('rejects non-string prompts in handleAgentRequest (covers normalization guard)', async () => {
     await expect(handleAgentRequest({ projectId: 11, prompt: null })).rejects.toThrow(/prompt is required/i);
     expect(questionAgent.answerProjectQuestion).not.toHaveBeenCalled();
@@ -602,4 +650,110 @@ describe('agentRequestHandler', () => {
     );
   });
 
+  describe('chat threads', () => {
+    const seedThread = async () => {
+      const thread = await chatThreadStore.createChatThread({ projectId: 17 });
+      await chatThreadStore.appendChatMessages(thread.id, [
+        { id: 'm1', sender: 'user', text: 'Add a todo list' },
+        { id: 'm2', sender: 'assistant', text: 'Created goals for the todo list.' },
+        { id: 'm3', sender: 'user', text: 'Make completed items grey' }
+      ]);
+      return thread;
+    };
+
+    it('prefixes the prompt with the thread context', async () => {
+      const thread = await seedThread();
+      llmClient.generateResponse.mockResolvedValue(JSON.stringify({ kind: 'question' }));
+      questionAgent.answerProjectQuestion.mockResolvedValue({ answer: 'Done', steps: [] });
+
+      await handleAgentRequest({ projectId: 17, prompt: 'Make completed items grey', threadId: thread.id });
+
+      expect(questionAgent.answerProjectQuestion.mock.calls[0][0].prompt).toBe([
+        'Conversation context:',
+        'User: Add a todo list',
+        'Assistant: Created goals for the todo list.',
+        '',
+        'Current request: Make completed items grey'
+      ].join('\n'));
+
+      await handleAgentRequest({
+        projectId: 17,
+        prompt: 'Selected project assets:\n- logo.png\n\nCurrent request: Use the logo',
+        threadId: thread.id
+      });
+      expect(questionAgent.answerProjectQuestion.mock.calls[1][0].prompt).toMatch(
+        /^Conversation context:\n[\s\S]*User: Make completed items grey\n\nSelected project assets:/
+      );
+    });
+
+    it('leaves the prompt alone for empty threads', async () => {
+      const thread = await chatThreadStore.createChatThread({ projectId: 17 });
+      llmClient.generateResponse.mockResolvedValue(JSON.stringify({ kind: 'question' }));
+      questionAgent.answerProjectQuestion.mockResolvedValue({ answer: 'Hi', steps: [] });
+
+      await handleAgentRequest({ projectId: 17, prompt: 'Hello', threadId: thread.id });
+
+      expect(questionAgent.answerProjectQuestion.mock.calls[0][0].prompt).toBe('Hello');
+    });
+
+    it('links planned goals to the thread', async () => {
+      const thread = await seedThread();
+      llmClient.generateResponse.mockResolvedValue(JSON.stringify({ kind: 'feature' }));
+      orchestrator.planGoalFromPrompt.mockResolvedValue({ parent: { id: 31 }, children: [{ id: 32 }, {}] });
+
+      const result = await handleAgentRequest({ projectId: 17, prompt: 'Add due dates', threadId: thread.id });
+
+      expect(result.kind).toBe('feature');
+      expect(orchestrator.planGoalFromPrompt.mock.calls[0][0].prompt).toContain('Current request: Add due dates');
+      expect((await chatThreadStore.getChatThread(thread.id)).links.goals).toEqual([31, 32]);
+
+      orchestrator.planGoalFromPrompt.mockResolvedValue({ parent: null, children: null });
+      await handleAgentRequest({ projectId: 17, prompt: 'Add tags', threadId: thread.id });
+      expect((await chatThreadStore.getChatThread(thread.id)).links.goals).toEqual([31, 32]);
+    });
+
+    it('keeps the plan when linking goals fails', async () => {
+      const thread = await seedThread();
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      chatThreadStore.linkChatThread.mockRejectedValueOnce(new Error('db down')).mockRejectedValueOnce({});
+      llmClient.generateResponse.mockResolvedValue(JSON.stringify({ kind: 'feature' }));
+      orchestrator.planGoalFromPrompt.mockResolvedValue({ parent: { id: 41 }, children: [] });
+
+      const first = await handleAgentRequest({ projectId: 17, prompt: 'Add due dates', threadId: thread.id });
+      const second = await handleAgentRequest({ projectId: 17, prompt: 'Add tags', threadId: thread.id });
+
+      expect(first).toEqual(expect.objectContaining({ kind: 'feature', parent: { id: 41 } }));
+      expect(second.kind).toBe('feature');
+      expect(warnSpy).toHaveBeenCalledWith('[Agent] Failed to link goals to chat thread:', 'db down');
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('project memory', () => {
+    it('saves corrections before handling the request when auto-capture is on', async () => {
+      await projectMemoryStore.updateProjectMemorySettings(18, { autoCapture: true });
+      llmClient.generateResponse.mockResolvedValue(JSON.stringify({ kind: 'question' }));
+      questionAgent.answerProjectQuestion.mockResolvedValue({ answer: 'Noted', steps: [] });
+
+      await handleAgentRequest({ projectId: 18, prompt: 'Current request: No, never use default exports' });
+
+      const memories = await projectMemoryStore.listProjectMemories(18);
+      expect(memories).toEqual([expect.objectContaining({ kind: 'avoid', content: 'Never use default exports', source: 'correction' })]);
+      await projectMemoryStore.deleteProjectMemory(memories[0].id);
+      await projectMemoryStore.updateProjectMemorySettings(18, { autoCapture: false });
+    });
+
+    it('still handles the request when saving the correction fails', async () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      projectMemoryStore.captureCorrectionMemory.mockRejectedValueOnce(new Error('db down'));
+      llmClient.generateResponse.mockResolvedValue(JSON.stringify({ kind: 'question' }));
+      questionAgent.answerProjectQuestion.mockResolvedValue({ answer: 'Hi', steps: [] });
+
+      const result = await handleAgentRequest({ projectId: 18, prompt: 'Never use var' });
+
+      expect(result).toEqual(expect.objectContaining({ kind: 'question', answer: 'Hi' }));
+      expect(warnSpy).toHaveBeenCalledWith('[Agent] Failed to save correction to project memory:', 'db down');
+      warnSpy.mockRestore();
+    });
+  });
 });
@@ -92,6 +92,19 @@ describe('agentUiCommands.js coverage', () => {
     ).not.toThrow();
   });
 
+  it('falls back to the socket server attached at startup', async () => {
+    const { sendAgentUiCommand, setAgentUiSocketServer } = await import('../services/agentUiCommands.js');
+
+    const emit = vi.fn();
+    setAgentUiSocketServer({ to: vi.fn(() => ({ emit })) });
+    const created = sendAgentUiCommand({ projectId: 'p1', sessionId: 's1', command: { type: 'PING' } });
+    expect(emit).toHaveBeenCalledWith('agentUi:command', created);
+
+    setAgentUiSocketServer(undefined);
+    sendAgentUiCommand({ projectId: 'p1', sessionId: 's1', command: { type: 'PING' } });
+    expect(emit).toHaveBeenCalledTimes(1);
+  });
+
   it('buildAgentUiHelpers returns helpers that send the expected commands', async () => {
     const { buildAgentUiHelpers } = await import('../services/agentUiCommands.js');
     const { enqueueUiCommand } = await import('../services/agentUiState.js');
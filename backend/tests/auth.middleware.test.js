@@ -0,0 +1,220 @@
+import express from 'express';
+import request from 'supertest';
+import { beforeEach, describe, expect, test, vi } from 'vitest';
+
+const authServiceMock = vi.hoisted(() => {
+  class AuthError extends Error {
+    constructor(message, { statusCode = 400 } = {}) {
+      super(message);
+      this.statusCode = statusCode;
+    }
+  }
+  return {
+    AuthError,
+    SESSION_COOKIE_NAME: 'lucidcoder_session',
+    SESSION_TTL_MS: 1000,
+    authenticateUser: vi.fn(),
+    canAccessProject: vi.fn(),
+    createSession: vi.fn(),
+    deleteUser: vi.fn(),
+    isAuthRequired: vi.fn(),
+    listUsers: vi.fn(),
+    registerUser: vi.fn(),
+    resolveSessionUser: vi.fn(),
+    revokeSession: vi.fn(),
+    updateUser: vi.fn()
+  };
+});
+
+vi.mock('../services/authService.js', () => authServiceMock);
+vi.mock('../services/goalStore.js', () => ({ getGoal: vi.fn() }));
+
+import authRoutes from '../routes/auth.js';
+import {
+  __authMiddlewareTesting,
+  authenticateRequest,
+  authenticateSocket,
+  readRequestToken,
+  requireAdmin,
+  requireProjectAccess,
+  resolvePreviewAccessError
+} from '../middleware/auth.js';
+
+const member = { id: 2, username: 'bob', role: 'member' };
+
+const buildApp = (...middlewares) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    if (req.headers['x-test-user']) {
+      req.user = JSON.parse(req.headers['x-test-user']);
+      req.sessionToken = 'session-token';
+    }
+    next();
+  });
+  app.use('/api/auth', authRoutes);
+  app.get('/api/projects/:projectId', ...middlewares, (req, res) => res.json({ ok: true }));
+  app.use((error, req, res, next) => res.status(500).json({ error: error.message }));
+  return app;
+};
+
+describe('auth middleware', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    authServiceMock.isAuthRequired.mockResolvedValue(true);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('reads the session token from a bearer header or the session cookie', () => {
+    expect(readRequestToken({ authorization: 'bearer abc' })).toBe('abc');
+    expect(readRequestToken({ authorization: 'Basic xyz', cookie: 'lucidcoder_session=a%20b' })).toBe('a b');
+    expect(readRequestToken({ cookie: 'other=1; =broken' })).toBeNull();
+    expect(readRequestToken()).toBeNull();
+    expect(__authMiddlewareTesting.readCookie(undefined, 'x')).toBeNull();
+  });
+
+  test('passes authentication failures to the error handler', async () => {
+    authServiceMock.isAuthRequired.mockRejectedValue(new Error('db down'));
+    await request(buildApp(authenticateRequest())).get('/api/projects/1').expect(500, { error: 'db down' });
+  });
+
+  test('checks admin access only when accounts exist', async () => {
+    const app = buildApp(requireAdmin());
+    await request(app).get('/api/projects/1').expect(401);
+
+    authServiceMock.isAuthRequired.mockResolvedValue(false);
+    await request(app).get('/api/projects/1').expect(200);
+
+    authServiceMock.isAuthRequired.mockRejectedValue(new Error('db down'));
+    await request(app).get('/api/projects/1').expect(500, { error: 'db down' });
+  });
+
+  test('passes project access failures to the error handler', async () => {
+    authServiceMock.canAccessProject.mockRejectedValue(new Error('lookup failed'));
+    await request(buildApp(requireProjectAccess()))
+      .get('/api/projects/4')
+      .set('x-test-user', JSON.stringify(member))
+      .expect(500, { error: 'lookup failed' });
+    expect(authServiceMock.canAccessProject).toHaveBeenCalledWith(member, 4);
+  });
+
+  test('lets members through when the request names no project', async () => {
+    const resolveProjectId = vi.fn().mockResolvedValue(null);
+    await request(buildApp(requireProjectAccess({ resolveProjectId })))
+      .get('/api/projects/abc')
+      .set('x-test-user', JSON.stringify(member))
+      .expect(200);
+    expect(authServiceMock.canAccessProject).not.toHaveBeenCalled();
+  });
+
+  test('serves previews only to users who can access the project', async () => {
+    const previewRequest = (cookie) => ({ headers: { cookie, authorization: 'Bearer app-token' } });
+
+    authServiceMock.isAuthRequired.mockResolvedValueOnce(false);
+    await expect(resolvePreviewAccessError(previewRequest(), '3')).resolves.toBeNull();
+
+    authServiceMock.resolveSessionUser.mockResolvedValueOnce(null);
+    await expect(resolvePreviewAccessError({}, '3')).resolves.toEqual({ statusCode: 401, error: 'Authentication required' });
+    expect(authServiceMock.resolveSessionUser).toHaveBeenLastCalledWith(null);
+
+    authServiceMock.resolveSessionUser.mockResolvedValue(member);
+    authServiceMock.canAccessProject.mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+    await expect(resolvePreviewAccessError(previewRequest('lucidcoder_session=tok'), '3'))
+      .resolves.toEqual({ statusCode: 403, error: 'You do not have access to this project' });
+    await expect(resolvePreviewAccessError(previewRequest('lucidcoder_session=tok'), '3')).resolves.toBeNull();
+    expect(authServiceMock.resolveSessionUser).toHaveBeenLastCalledWith('tok');
+    expect(authServiceMock.canAccessProject).toHaveBeenLastCalledWith(member, '3');
+  });
+
+  describe('authenticateSocket', () => {
+    const run = async (socket) => {
+      const next = vi.fn();
+      await authenticateSocket(socket, next);
+      return next;
+    };
+
+    test('accepts every socket until accounts exist', async () => {
+      authServiceMock.isAuthRequired.mockResolvedValue(false);
+      const next = await run({ handshake: {} });
+      expect(next).toHaveBeenCalledWith();
+      expect(authServiceMock.resolveSessionUser).not.toHaveBeenCalled();
+    });
+
+    test('attaches the session user from the handshake token or cookie', async () => {
+      authServiceMock.resolveSessionUser.mockResolvedValue(member);
+      const socket = { handshake: { auth: { token: 'tok' } }, data: { existing: true } };
+      expect(await run(socket)).toHaveBeenCalledWith();
+      expect(socket.data).toEqual({ existing: true, user: member });
+      expect(authServiceMock.resolveSessionUser).toHaveBeenCalledWith('tok');
+
+      await run({ handshake: { headers: { cookie: 'lucidcoder_session=cookie-token' } } });
+      expect(authServiceMock.resolveSessionUser).toHaveBeenLastCalledWith('cookie-token');
+    });
+
+    test('rejects sockets without a valid session', async () => {
+      authServiceMock.resolveSessionUser.mockResolvedValue(null);
+      const next = await run({});
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: 'Authentication required' }));
+    });
+
+    test('reports lookup failures to socket.io', async () => {
+      const failure = new Error('db down');
+      authServiceMock.resolveSessionUser.mockRejectedValue(failure);
+      expect(await run({ handshake: {} })).toHaveBeenCalledWith(failure);
+    });
+  });
+});
+
+describe('auth routes error handling', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test.each([
+    ['get', '/api/auth/status', 'isAuthRequired', 'Failed to read authentication status'],
+    ['post', '/api/auth/register', 'registerUser', 'Failed to create account'],
+    ['post', '/api/auth/login', 'authenticateUser', 'Failed to sign in'],
+    ['post', '/api/auth/logout', 'revokeSession', 'Failed to sign out'],
+    ['get', '/api/auth/users', 'listUsers', 'Failed to list accounts'],
+    ['put', '/api/auth/users/3', 'updateUser', 'Failed to update account'],
+    ['delete', '/api/auth/users/3', 'deleteUser', 'Failed to delete account']
+  ])('%s %s answers 500 when %s fails unexpectedly', async (method, url, fn, message) => {
+    authServiceMock[fn].mockRejectedValue(new Error('boom'));
+    const admin = { id: 1, username: 'alice', role: 'admin' };
+    const response = await request(buildApp())[method](url).set('x-test-user', JSON.stringify(admin));
+
+    expect(response.status).toBe(500);
+    expect(response.body).toEqual({ success: false, error: message });
+    expect(console.error).toHaveBeenCalledWith(expect.stringMatching(/^\[Auth\] .+ failed:$/), expect.any(Error));
+  });
+
+  test('requires a signed-in user to update an account', async () => {
+    await request(buildApp()).put('/api/auth/users/3').send({ password: 'correct-horse' })
+      .expect(401, { success: false, error: 'Authentication required' });
+    expect(authServiceMock.updateUser).not.toHaveBeenCalled();
+  });
+
+  test('treats a missing request body or session token as empty', async () => {
+    const admin = { id: 1, username: 'alice', role: 'admin' };
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = admin;
+      next();
+    });
+    app.use('/api/auth', authRoutes);
+    authServiceMock.registerUser.mockResolvedValue({ user: member, bootstrap: false });
+    authServiceMock.authenticateUser.mockRejectedValue(new authServiceMock.AuthError('Invalid username or password', { statusCode: 401 }));
+    authServiceMock.updateUser.mockResolvedValue(admin);
+
+    await request(app).post('/api/auth/register').expect(201, { success: true, user: member });
+    await request(app).post('/api/auth/login').expect(401);
+    await request(app).put('/api/auth/users/1').expect(200, { success: true, user: admin });
+    await request(app).post('/api/auth/logout').expect(200, { success: true });
+
+    expect(authServiceMock.registerUser).toHaveBeenCalledWith({}, { actor: admin });
+    expect(authServiceMock.authenticateUser).toHaveBeenCalledWith(undefined, undefined);
+    expect(authServiceMock.updateUser).toHaveBeenCalledWith(1, {}, { actor: admin });
+    expect(authServiceMock.revokeSession).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,358 @@
+import express from 'express';
+import request from 'supertest';
+import { afterEach, beforeAll, beforeEach, describe, expect, test, vi } from 'vitest';
+import { initializeDatabase, createProject, deleteProject } from '../database.js';
+import authRoutes from '../routes/auth.js';
+import { applyAccessControl } from '../middleware/auth.js';
+import { auditHttpRequestsMiddleware, __auditLogTesting } from '../services/auditLog.js';
+import { SESSION_COOKIE_NAME, __testing as authTesting } from '../services/authService.js';
+
+const ok = (req, res) => res.json({ ok: true, user: req.user || null });
+
+const buildApp = ({
+  getGoal = vi.fn().mockResolvedValue(null),
+  getCommandApproval = vi.fn().mockReturnValue(null),
+  getAutopilotSessionProjectId
+} = {}) => {
+  const app = express();
+  app.use(express.json());
+  app.use(auditHttpRequestsMiddleware());
+  applyAccessControl(app, { getGoal, getCommandApproval, getAutopilotSessionProjectId });
+  app.use('/api/auth', authRoutes);
+  app.get('/api/health', ok);
+  app.get('/api/llm/config', ok);
+  app.post('/api/llm/configure', ok);
+  app.put('/api/llm/profiles/:id', ok);
+  app.post('/api/llm/generate', ok);
+  app.put('/api/settings/git', ok);
+  app.put('/api/settings/ports', ok);
+  app.get('/api/settings/ports', ok);
+  app.get('/api/fs/list', ok);
+  app.get('/api/templates', ok);
+  app.post('/api/templates', ok);
+  app.get('/api/projects/:projectId/files', ok);
+  app.get('/api/projects/:projectId/git-settings', ok);
+  app.put('/api/projects/:projectId/git-settings', ok);
+  app.get('/api/goals/:id', ok);
+  app.post('/api/goals/plan', ok);
+  app.post('/api/agent/request', ok);
+  app.post('/api/agent/command-approvals/:approvalId', ok);
+  app.get('/api/agent/autopilot/sessions/:sessionId', ok);
+  return app;
+};
+
+const register = (app, body, agent = request(app)) => agent.post('/api/auth/register').send(body);
+
+const login = async (app, username, password = 'correct-horse') => {
+  const response = await request(app).post('/api/auth/login').send({ username, password }).expect(200);
+  return response.body.token;
+};
+
+describe('auth routes and access control', () => {
+  const createdProjectIds = [];
+
+  const createTestProject = async (name, ownerUserId = null) => {
+    const project = await createProject({
+      name: `${name}-${Date.now()}-${Math.random().toString(16).slice(2)}`,
+      description: '',
+      path: null,
+      ownerUserId
+    });
+    createdProjectIds.push(project.id);
+    return project;
+  };
+
+  beforeAll(async () => {
+    await initializeDatabase();
+  });
+
+  beforeEach(async () => {
+    await authTesting.clearAll();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    for (const id of createdProjectIds.splice(0)) {
+      await deleteProject(id);
+    }
+    await authTesting.clearAll();
+    vi.restoreAllMocks();
+  });
+
+  test('keeps the API open until the first account exists', async () => {
+    const app = buildApp();
+
+    const status = await request(app).get('/api/auth/status').expect(200);
+    expect(status.body).toEqual({ success: true, authRequired: false, user: null });
+
+    await request(app).post('/api/llm/configure').expect(200);
+    await request(app).get('/api/projects/1/files').expect(200);
+    await request(app).get('/api/auth/users').expect(200, { success: true, users: [] });
+  });
+
+  test('makes the first account an admin, signs it in and hands it the existing projects', async () => {
+    const app = buildApp();
+    const legacyProject = await createTestProject('legacy');
+
+    const response = await register(app, { username: ' Alice ', password: 'correct-horse', role: 'member' }).expect(201);
+
+    expect(response.body.user).toEqual(expect.objectContaining({ username: 'alice', role: 'admin' }));
+    expect(response.body.token).toEqual(expect.any(String));
+    expect(response.headers['set-cookie'][0]).toMatch(new RegExp(`^${SESSION_COOKIE_NAME}=${response.body.token};.*HttpOnly`));
+
+    const status = await request(app)
+      .get('/api/auth/status')
+      .set('Authorization', `Bearer ${response.body.token}`)
+      .expect(200);
+    expect(status.body).toEqual({ success: true, authRequired: true, user: response.body.user });
+
+    const { getProject } = await import('../database.js');
+    expect((await getProject(legacyProject.id)).owner_user_id).toBe(response.body.user.id);
+  });
+
+  test('requires a session for the API once accounts exist, except for the public probes', async () => {
+    const app = buildApp();
+    await register(app, { username: 'alice', password: 'correct-horse' }).expect(201);
+
+    await request(app).get('/api/projects/1/files').expect(401, { success: false, error: 'Authentication required' });
+    await request(app).get('/api/health').expect(200);
+    await request(app).get('/api/auth/status').expect(200);
+    await request(app).get('/api/projects/1/files').set('Authorization', 'Bearer not-a-session').expect(401);
+
+    const token = await login(app, 'ALICE');
+    const response = await request(app)
+      .get('/api/projects/1/files')
+      .set('Cookie', `theme=dark; ${SESSION_COOKIE_NAME}=${token}`)
+      .expect(200);
+    expect(response.body.user).toEqual(expect.objectContaining({ username: 'alice' }));
+  });
+
+  test('rejects bad credentials and invalid accounts', async () => {
+    const app = buildApp();
+
+    await register(app, { username: 'a', password: 'correct-horse' }).expect(400);
+    await register(app, { username: 'alice', password: 'short' }).expect(400);
+    await register(app).expect(400);
+    await register(app, { username: 'alice', password: 'correct-horse' }).expect(201);
+
+    await request(app).post('/api/auth/login').send({ username: 'alice', password: 'wrong-password' })
+      .expect(401, { success: false, error: 'Invalid username or password' });
+    await request(app).post('/api/auth/login').send({ username: 'nobody', password: 'correct-horse' }).expect(401);
+    await request(app).post('/api/auth/login').send({}).expect(401);
+  });
+
+  test('lets only admins create accounts and manage roles', async () => {
+    const app = buildApp();
+    const adminToken = (await register(app, { username: 'alice', password: 'correct-horse' })).body.token;
+
+    await register(app, { username: 'bob', password: 'correct-horse' }).expect(403);
+
+    const bob = await request(app)
+      .post('/api/auth/register')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ username: 'bob', password: 'correct-horse' })
+      .expect(201);
+    expect(bob.body).toEqual({ success: true, user: expect.objectContaining({ username: 'bob', role: 'member' }) });
+
+    await request(app)
+      .post('/api/auth/register')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ username: 'bob', password: 'correct-horse' })
+      .expect(409);
+    await request(app)
+      .post('/api/auth/register')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ username: 'carol', password: 'correct-horse', role: 'owner' })
+      .expect(400);
+
+    const bobToken = await login(app, 'bob');
+    await request(app).get('/api/auth/users').set('Authorization', `Bearer ${bobToken}`)
+      .expect(403, { success: false, error: 'Admin access required' });
+    await request(app)
+      .post('/api/auth/register')
+      .set('Authorization', `Bearer ${bobToken}`)
+      .send({ username: 'carol', password: 'correct-horse' })
+      .expect(403);
+
+    const users = await request(app).get('/api/auth/users').set('Authorization', `Bearer ${adminToken}`).expect(200);
+    expect(users.body.users.map((user) => user.username)).toEqual(['alice', 'bob']);
+  });
+
+  test('updates roles and passwords with the right permissions', async () => {
+    const app = buildApp();
+    const admin = (await register(app, { username: 'alice', password: 'correct-horse' })).body;
+    const bob = (await request(app)
+      .post('/api/auth/register')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ username: 'bob', password: 'correct-horse' })).body.user;
+    const bobToken = await login(app, 'bob');
+    const asBob = (method, url) => request(app)[method](url).set('Authorization', `Bearer ${bobToken}`);
+    const asAdmin = (method, url) => request(app)[method](url).set('Authorization', `Bearer ${admin.token}`);
+
+    await asBob('put', `/api/auth/users/${admin.user.id}`).send({ password: 'new-password' }).expect(403);
+    await asBob('put', `/api/auth/users/${bob.id}`).send({ role: 'admin' })
+      .expect(403, { success: false, error: 'Only admins can change roles' });
+    await asBob('put', `/api/auth/users/${bob.id}`).send({ password: 'short' }).expect(400);
+    await asAdmin('put', '/api/auth/users/999999').send({ role: 'member' }).expect(404);
+    await asAdmin('put', `/api/auth/users/${admin.user.id}`).send({ role: 'member' })
+      .expect(409, { success: false, error: 'At least one admin account is required' });
+
+    await asBob('put', `/api/auth/users/${bob.id}`).send({ password: 'another-horse' }).expect(200);
+    // Changing the password ends the existing sessions.
+    await asBob('get', '/api/projects/1/files').expect(401);
+    await login(app, 'bob', 'another-horse');
+
+    const promoted = await asAdmin('put', `/api/auth/users/${bob.id}`).send({ role: 'admin' }).expect(200);
+    expect(promoted.body.user.role).toBe('admin');
+    const demoted = await asAdmin('put', `/api/auth/users/${admin.user.id}`).send({ role: 'member' }).expect(200);
+    expect(demoted.body.user.role).toBe('member');
+    await request(app).put(`/api/auth/users/${bob.id}`).send({ password: 'another-horse' }).expect(401);
+  });
+
+  test('deletes accounts but keeps the last admin and releases their projects', async () => {
+    const app = buildApp();
+    const admin = (await register(app, { username: 'alice', password: 'correct-horse' })).body;
+    const bob = (await request(app)
+      .post('/api/auth/register')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ username: 'bob', password: 'correct-horse' })).body.user;
+    const bobProject = await createTestProject('bob-project', bob.id);
+    const bobToken = await login(app, 'bob');
+
+    await request(app).delete(`/api/auth/users/${bob.id}`).set('Authorization', `Bearer ${bobToken}`).expect(403);
+    await request(app).delete(`/api/auth/users/${admin.user.id}`).set('Authorization', `Bearer ${admin.token}`).expect(409);
+    await request(app).delete('/api/auth/users/999999').set('Authorization', `Bearer ${admin.token}`).expect(404);
+    await request(app).delete(`/api/auth/users/${bob.id}`).set('Authorization', `Bearer ${admin.token}`)
+      .expect(200, { success: true });
+
+    await request(app).get('/api/projects/1/files').set('Authorization', `Bearer ${bobToken}`).expect(401);
+    const { getProject } = await import('../database.js');
+    expect((await getProject(bobProject.id)).owner_user_id).toBeNull();
+  });
+
+  test('logs out by revoking the session and clearing the cookie', async () => {
+    const app = buildApp();
+    await register(app, { username: 'alice', password: 'correct-horse' }).expect(201);
+    const token = await login(app, 'alice');
+
+    const response = await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${token}`).expect(200);
+    expect(response.headers['set-cookie'][0]).toMatch(new RegExp(`^${SESSION_COOKIE_NAME}=;`));
+    await request(app).get('/api/projects/1/files').set('Authorization', `Bearer ${token}`).expect(401);
+
+    await request(app).post('/api/auth/logout').expect(401);
+  });
+
+  test('limits LLM configuration, settings, filesystem browsing and templates to admins', async () => {
+    const app = buildApp();
+    const admin = (await register(app, { username: 'alice', password: 'correct-horse' })).body;
+    await request(app)
+      .post('/api/auth/register')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ username: 'bob', password: 'correct-horse' })
+      .expect(201);
+    const bobToken = await login(app, 'bob');
+    const project = await createTestProject('shared-git', admin.user.id);
+
+    const asBob = (method, url) => request(app)[method](url).set('Authorization', `Bearer ${bobToken}`);
+    const asAdmin = (method, url) => request(app)[method](url).set('Authorization', `Bearer ${admin.token}`);
+
+    await asBob('get', '/api/llm/config').expect(200);
+    await asBob('post', '/api/llm/configure').expect(403);
+    await asBob('put', '/api/llm/profiles/3').expect(403);
+    await asBob('get', '/api/settings/ports').expect(200);
+    await asBob('put', '/api/settings/ports').expect(403);
+    await asBob('put', '/api/settings/git').expect(403);
+    await asBob('get', '/api/fs/list').expect(403);
+    await asBob('get', '/api/templates').expect(200);
+    await asBob('post', '/api/templates').expect(403);
+
+    await asBob('put', `/api/projects/${project.id}/git-settings`).expect(403);
+    await asAdmin('post', '/api/llm/configure').expect(200);
+    await asAdmin('put', '/api/settings/git').expect(200);
+    await asAdmin('put', '/api/settings/ports').expect(200);
+    await asAdmin('get', '/api/fs/list').expect(200);
+    await asAdmin('post', '/api/templates').expect(200);
+    await asAdmin('put', `/api/projects/${project.id}/git-settings`).expect(200);
+    await asAdmin('get', `/api/projects/${project.id}/git-settings`).expect(200);
+  });
+
+  test('keeps members to their own projects and goals', async () => {
+    const getGoal = vi.fn(async (goalId) => (goalId === 7 ? { id: 7, projectId: ownProject.id } : null));
+    const getCommandApproval = vi.fn((approvalId) => (approvalId === '2' ? { id: '2', projectId: String(otherProject.id) } : null));
+    const getAutopilotSessionProjectId = vi.fn(async (sessionId) => (sessionId === 'run-1' ? String(otherProject.id) : null));
+    let ownProject;
+    let otherProject;
+    const app = buildApp({ getGoal, getCommandApproval, getAutopilotSessionProjectId });
+    const admin = (await register(app, { username: 'alice', password: 'correct-horse' })).body;
+    const bob = (await request(app)
+      .post('/api/auth/register')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ username: 'bob', password: 'correct-horse' })).body.user;
+    const bobToken = await login(app, 'bob');
+    ownProject = await createTestProject('bob-own', bob.id);
+    otherProject = await createTestProject('alice-own', admin.user.id);
+
+    const asBob = (method, url) => request(app)[method](url).set('Authorization', `Bearer ${bobToken}`);
+
+    await asBob('get', `/api/projects/${ownProject.id}/files`).expect(200);
+    await asBob('get', `/api/projects/${otherProject.id}/files`)
+      .expect(403, { success: false, error: 'You do not have access to this project' });
+    await asBob('get', `/api/projects/${otherProject.id}/git-settings`).expect(403);
+    await asBob('get', '/api/projects/999999/files').expect(200);
+
+    await asBob('get', '/api/goals/7').expect(200);
+    await asBob('get', '/api/goals/8').expect(200);
+    await asBob('post', '/api/goals/plan').send({ projectId: otherProject.id }).expect(403);
+    await asBob('post', '/api/agent/request').send({ projectId: String(ownProject.id) }).expect(200);
+    await asBob('post', '/api/agent/request').query({ projectId: otherProject.id }).expect(403);
+    await asBob('post', '/api/llm/generate').send({ projectId: ownProject.id }).expect(200);
+    await asBob('post', '/api/llm/generate').send({ projectId: otherProject.id }).expect(403);
+    expect(getGoal).toHaveBeenCalledWith(7);
+
+    await asBob('post', '/api/agent/command-approvals/2').send({ projectId: ownProject.id, approved: true }).expect(403);
+    await asBob('post', '/api/agent/command-approvals/3').send({ approved: true }).expect(200);
+    await request(app)
+      .post('/api/agent/command-approvals/2')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ approved: true })
+      .expect(200);
+
+    await asBob('get', '/api/agent/autopilot/sessions/run-1').query({ projectId: ownProject.id }).expect(403);
+    await asBob('get', '/api/agent/autopilot/sessions/run-2').query({ projectId: ownProject.id }).expect(200);
+
+    await request(app).get(`/api/projects/${otherProject.id}/files`).set('Authorization', `Bearer ${admin.token}`).expect(200);
+  });
+
+  test('lets unknown autopilot sessions through to the route', async () => {
+    const app = buildApp();
+    const admin = (await register(app, { username: 'alice', password: 'correct-horse' })).body;
+    await request(app)
+      .post('/api/auth/register')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ username: 'bob', password: 'correct-horse' })
+      .expect(201);
+    const bobToken = await login(app, 'bob');
+
+    await request(app)
+      .get('/api/agent/autopilot/sessions/missing')
+      .set('Authorization', `Bearer ${bobToken}`)
+      .expect(200);
+  });
+
+  test('records the signed-in user on audit log entries', async () => {
+    const app = buildApp();
+    await __auditLogTesting.clearAll();
+    const admin = (await register(app, { username: 'alice', password: 'correct-horse' })).body;
+    await request(app).post('/api/llm/configure').set('Authorization', `Bearer ${admin.token}`).expect(200);
+    await request(app).post('/api/llm/configure').expect(401);
+    await __auditLogTesting.waitForIdle();
+
+    const rows = await __auditLogTesting.listLatest(5);
+    expect(rows.map((row) => [row.path, row.userId])).toEqual([
+      ['/api/llm/configure', null],
+      ['/api/llm/configure', admin.user.id],
+      ['/api/auth/register', admin.user.id]
+    ]);
+    expect(JSON.parse(rows[2].payload).body.password).toBe('[redacted]');
+  });
+});
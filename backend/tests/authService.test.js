@@ -0,0 +1,72 @@
+import { afterEach, beforeAll, beforeEach, describe, expect, test, vi } from 'vitest';
+import db, { initializeDatabase } from '../database.js';
+import {
+  __testing,
+  canAccessProject,
+  createSession,
+  getUser,
+  registerUser,
+  resolveSessionUser
+} from '../services/authService.js';
+import {
+  filterProjectsForUser,
+  hasUnrestrictedAccess,
+  isVisibleProject,
+  resolveProjectOwnerId
+} from '../services/projectAccess.js';
+
+describe('authService', () => {
+  beforeAll(async () => {
+    await initializeDatabase();
+  });
+
+  beforeEach(async () => {
+    await __testing.clearAll();
+  });
+
+  afterEach(async () => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    await __testing.clearAll();
+  });
+
+  test('resolves sessions until they expire, then revokes them', async () => {
+    const { user } = await registerUser({ username: 'alice', password: 'correct-horse' });
+    const { token, expiresAt } = await createSession(user.id);
+
+    expect(await resolveSessionUser(token)).toEqual(user);
+    expect(await resolveSessionUser('')).toBeNull();
+    expect(await resolveSessionUser(undefined)).toBeNull();
+
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(Date.parse(expiresAt) + 1);
+    expect(await resolveSessionUser(token)).toBeNull();
+
+    vi.useRealTimers();
+    expect(await resolveSessionUser(token)).toBeNull();
+  });
+
+  test('lets admins and single-user installs into every project', async () => {
+    expect(await canAccessProject(null, 1)).toBe(true);
+    expect(await canAccessProject({ id: 1, role: 'admin' }, 1)).toBe(true);
+    expect(await canAccessProject({ id: 2, role: 'member' }, 999999)).toBe(true);
+  });
+
+  test('reports database failures', async () => {
+    vi.spyOn(db, 'run').mockImplementation((sql, params, callback) => callback(new Error('disk full')));
+    await expect(createSession(1)).rejects.toThrow('disk full');
+    expect(await getUser(999999)).toBeNull();
+  });
+
+  test('filters projects by owner for members only', () => {
+    const member = { id: 2, role: 'member' };
+    const projects = [{ id: 1, owner_user_id: 2 }, { id: 2, owner_user_id: 3 }, { id: 3, owner_user_id: null }];
+
+    expect(hasUnrestrictedAccess(undefined)).toBe(true);
+    expect(filterProjectsForUser(member, projects)).toEqual([projects[0]]);
+    expect(filterProjectsForUser({ id: 1, role: 'admin' }, projects)).toEqual(projects);
+    expect(isVisibleProject(member, null)).toBe(false);
+    expect(resolveProjectOwnerId(member)).toBe(2);
+    expect(resolveProjectOwnerId(undefined)).toBeNull();
+  });
+});
@@ -1377,6 +1377,60 @@ describe('branchWorkflow.js coverage (runTestsForBranch workspace collection)',
     });
   });
 
+  it('runs the install and test commands declared by a template manifest', async () => {
+    const projectRoot = `C:/tmp/branchworkflow-template-commands-${Date.now()}`;
+    const frontendPkg = `${projectRoot}/frontend/package.json`;
+    const frontendManifest = `${projectRoot}/frontend/lucidcoder-template.json`;
+    const frontendSummary = `${projectRoot}/frontend/reports/coverage/coverage-summary.json`;
+
+    const fsMock = makeFsMock({
+      accessible: [frontendPkg],
+      files: {
+        [frontendPkg]: JSON.stringify({ scripts: { 'test:coverage': 'echo ok' } }),
+        [frontendManifest]: JSON.stringify({
+          side: 'frontend',
+          language: 'javascript',
+          framework: 'acme-web',
+          commands: { install: 'npm ci', test: 'npm run test:ci' },
+          coverage: { directory: 'reports/coverage' }
+        }),
+        [frontendSummary]: coverageSummaryJson(100)
+      }
+    });
+
+    const jobRunnerMock = makeJobRunnerMock();
+
+    await runScenario({
+      fsMock,
+      jobRunnerMock,
+      testBody: async ({ branchWorkflow, createProject }) => {
+        const project = await createProject({
+          name: `BranchWorkflow Template Commands ${Date.now()}`,
+          description: 'Uses template manifest commands and coverage output',
+          language: 'javascript',
+          framework: 'acme-web',
+          path: projectRoot
+        });
+
+        branchWorkflow.__testing.setGitContextOverride(project.id, projectRoot);
+
+        const result = await branchWorkflow.runTestsForBranch(project.id, null, {
+          real: true,
+          changedFiles: ['frontend/package.json']
+        });
+
+        expect(result.status).toBe('passed');
+        expect(result.workspaceRuns[0].coverage).toMatchObject({ lines: 100 });
+        expect(jobRunnerMock.startJob.mock.calls.map(([job]) => [job.command, job.args])).toEqual([
+          ['npm', ['ci']],
+          ['npm', ['run', 'test:ci']]
+        ]);
+
+        branchWorkflow.__testing.setGitContextOverride(project.id, null);
+      }
+    });
+  });
+
   it('filters changed files per workspace when multiple node workspaces exist', async () => {
     const projectRoot = `C:/tmp/branchworkflow-changed-files-multi-${Date.now()}`;
     const frontendPkg = `${projectRoot}/frontend/package.json`;
@@ -2204,7 +2258,10 @@ describe('branchWorkflow.js coverage (runTestsForBranch workspace collection)',
 
         const startedArgs = jobRunnerMock.startJob.mock.calls[0]?.[0]?.args;
         expect(Array.isArray(startedArgs)).toBe(true);
-        expect(startedArgs).toEqual(['test', '--', '--coverage']);
+        // The vitest script also gets the JSON reporter after the existing `--`.
+        expect(startedArgs.slice(0, 3)).toEqual(['test', '--', '--coverage']);
+        expect(startedArgs.slice(3, 5)).toEqual(['--reporter=default', '--reporter=json']);
+        expect(jobRunnerMock.startJob.mock.calls[0][0].testReportFile).toMatchObject({ format: 'jest-json' });
 
         expect(result.workspaceRuns[0]?.workspace).toBe('root');
 
@@ -2213,6 +2270,73 @@ describe('branchWorkflow.js coverage (runTestsForBranch workspace collection)',
     });
   });
 
+  it('records per-test results and counts from the job test report', async () => {
+    const projectRoot = `C:/tmp/branchworkflow-report-${Date.now()}`;
+    const rootPkg = `${projectRoot}/package.json`;
+    const rootSummary = `${projectRoot}/coverage/coverage-summary.json`;
+
+    const fsMock = makeFsMock({
+      accessible: [rootPkg],
+      files: {
+        [rootPkg]: JSON.stringify({ scripts: { 'test:coverage': 'jest --coverage' } }),
+        [rootSummary]: coverageSummaryJson(100)
+      }
+    });
+
+    const jobRunnerMock = makeJobRunnerMock();
+    jobRunnerMock.waitForJobCompletion.mockImplementationOnce(async (jobId) => ({
+      id: jobId,
+      status: jobRunnerMock.JOB_STATUS.FAILED,
+      exitCode: 1,
+      logs: [],
+      testReport: {
+        format: 'jest-json',
+        summary: { total: 3, passed: 1, failed: 1, skipped: 1, durationMs: 7 },
+        cases: [
+          { name: 'a > works', title: 'works', suite: ['a'], file: 'a.test.js', status: 'passed', durationMs: 5, error: null },
+          { name: 'a > breaks', title: 'breaks', suite: ['a'], file: 'a.test.js', status: 'failed', durationMs: 2, error: 'boom' },
+          { name: 'a > later', title: 'later', suite: ['a'], file: 'a.test.js', status: 'skipped', durationMs: null, error: null }
+        ],
+        truncated: false
+      }
+    }));
+
+    await runScenario({
+      fsMock,
+      jobRunnerMock,
+      testBody: async ({ branchWorkflow, createProject }) => {
+        const project = await createProject({
+          name: `BranchWorkflow Report ${Date.now()}`,
+          description: 'Covers test report aggregation',
+          language: 'javascript',
+          framework: 'react',
+          path: projectRoot
+        });
+
+        branchWorkflow.__testing.setGitContextOverride(project.id, projectRoot);
+
+        const result = await branchWorkflow.runTestsForBranch(project.id, null, { real: true });
+
+        expect(jobRunnerMock.startJob.mock.calls[0][0].args).toEqual([
+          'run',
+          'test:coverage',
+          '--',
+          '--json',
+          expect.stringMatching(/^--outputFile=/)
+        ]);
+        expect(result.status).toBe('failed');
+        expect(result.summary).toMatchObject({ total: 3, passed: 1, failed: 1, skipped: 1 });
+        expect(result.tests).toHaveLength(3);
+        expect(result.tests[0]).toMatchObject({ workspace: 'root', duration: 0.005 });
+        expect(result.tests[2].duration).toBeNull();
+        expect(result.workspaceRuns[0].testSummary).toMatchObject({ total: 3 });
+        expect(result.workspaceRuns[0].tests.map((testCase) => testCase.name)).toEqual(['a > breaks']);
+
+        branchWorkflow.__testing.setGitContextOverride(project.id, null);
+      }
+    });
+  });
+
   it('treats non-object scripts in package.json as missing test:coverage', async () => {
     const projectRoot = `C:/tmp/branchworkflow-scripts-nonobject-${Date.now()}`;
     const rootPkg = `${projectRoot}/package.json`;
@@ -2332,6 +2456,54 @@ describe('branchWorkflow.js coverage (runTestsForBranch workspace collection)',
     });
   });
 
+  it('runs python template test commands and reads their coverage report', async () => {
+    const projectRoot = `C:/tmp/branchworkflow-python-template-${Date.now()}`;
+    const backendReq = `${projectRoot}/backend/requirements.txt`;
+
+    const fsMock = makeFsMock({
+      accessible: [backendReq],
+      files: {
+        [backendReq]: 'pytest\npytest-cov\n',
+        [`${projectRoot}/backend/lucidcoder-template.json`]: JSON.stringify({
+          side: 'backend',
+          language: 'python',
+          framework: 'acme-api',
+          commands: { test: 'uv run pytest --cov --cov-report=json:reports/coverage.json' },
+          coverage: { directory: 'reports' }
+        }),
+        [`${projectRoot}/backend/reports/coverage.json`]: JSON.stringify({ totals: { percent_covered: 100 } })
+      }
+    });
+
+    const jobRunnerMock = makeJobRunnerMock();
+
+    await runScenario({
+      fsMock,
+      jobRunnerMock,
+      testBody: async ({ branchWorkflow, createProject }) => {
+        const project = await createProject({
+          name: `BranchWorkflow Python Template ${Date.now()}`,
+          description: 'Uses template manifest commands for python workspaces',
+          language: 'python',
+          framework: 'acme-api',
+          path: projectRoot
+        });
+
+        branchWorkflow.__testing.setGitContextOverride(project.id, projectRoot);
+        const result = await branchWorkflow.runTestsForBranch(project.id, null, { real: true });
+
+        expect(result.status).toBe('passed');
+        expect(jobRunnerMock.startJob.mock.calls[0]?.[0]).toMatchObject({
+          command: 'uv',
+          args: ['run', 'pytest', '--cov', '--cov-report=json:reports/coverage.json']
+        });
+        expect(result.workspaceRuns[0].coverage).toEqual({ raw: { totals: { percent_covered: 100 } } });
+
+        branchWorkflow.__testing.setGitContextOverride(project.id, null);
+      }
+    });
+  });
+
   it('throws 400 when no conventional workspaces exist', async () => {
     const projectRoot = `C:/tmp/branchworkflow-none-${Date.now()}`;
 
@@ -214,6 +214,45 @@ describe('createBranchWorkflowTests css-only helpers', () => {
     expect(core.startJob).not.toHaveBeenCalled();
   });
 
+  it('tests another checkout in place of the project path without the css-only shortcut', async () => {
+    const run = vi.fn()
+      .mockResolvedValueOnce({ lastID: 12 })
+      .mockResolvedValue({});
+    const parseStagedFiles = vi.fn(() => [{ path: 'frontend/App.css' }]);
+    const getProjectContext = vi.fn(async () => ({ gitReady: false, projectPath: '/projects/demo' }));
+    const worktreePath = path.join(path.sep, 'tmp', 'worktrees', 'goal-3');
+
+    const { api, core } = makeTestsApi({ run, parseStagedFiles, getProjectContext });
+
+    await api.runTestsForBranch(1, 'feature/css', { projectPath: worktreePath, changedPaths: ['src/App.jsx'] });
+
+    expect(core.startJob).toHaveBeenCalled();
+    for (const [job] of core.startJob.mock.calls) {
+      expect(job.cwd.startsWith(worktreePath)).toBe(true);
+    }
+  });
+
+  it('only runs the gate when record is false', async () => {
+    const run = vi.fn(async () => ({ lastID: 13 }));
+    const parseStagedFiles = vi.fn(() => [{ path: 'frontend/App.css' }]);
+    const recordTestCaseResults = vi.fn();
+
+    const { api, core } = makeTestsApi({
+      run,
+      parseStagedFiles,
+      recordTestCaseResults,
+      isTestMode: () => true
+    });
+
+    const result = await api.runTestsForBranch(1, 'feature/css', { record: false });
+
+    expect(result).toMatchObject({ status: 'passed', summary: { failed: 0 } });
+    expect(core.buildTestResultPayload).toHaveBeenCalledWith('feature/css', false);
+    expect(run).not.toHaveBeenCalled();
+    expect(recordTestCaseResults).not.toHaveBeenCalled();
+    expect(core.serializeTestRun).not.toHaveBeenCalled();
+  });
+
   it('propagates project-path errors from collectWorkspaceResults (covers guard)', async () => {
     const run = vi.fn().mockResolvedValueOnce({ lastID: 11 });
     const getProjectContext = vi.fn(async () => ({ gitReady: true, projectPath: null }));
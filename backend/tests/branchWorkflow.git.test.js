@@ -2931,6 +2931,34 @@ describe('branchWorkflow git-ready operations', () => {
     }
   });
 
+  it('lists tracked and untracked working tree changes since a commit', async () => {
+    const targetPath = `C:/tmp/git-working-changes-${Date.now()}`;
+
+    await runGitScenario(async ({ branchWorkflow, createProject, forceGitContext, gitSpies }) => {
+      const project = await createProject({ ...createProjectPayload('-working-changes'), path: targetPath });
+
+      expect(await branchWorkflow.getWorkingTreeChangedFiles(project.id)).toEqual([]);
+
+      forceGitContext(project.id, targetPath);
+      gitSpies.runGitCommand.mockImplementation(async (cwd, args) => {
+        if (args[0] === 'diff') {
+          return { stdout: 'src/a.js\nsrc/a.test.js\n' };
+        }
+        if (args[0] === 'ls-files') {
+          return { stdout: 'src/a.test.js\r\nsrc/b.test.js\n' };
+        }
+        return { stdout: '' };
+      });
+
+      await expect(branchWorkflow.getWorkingTreeChangedFiles(project.id, { sinceCommit: ' abc123 ' }))
+        .resolves.toEqual(['src/a.js', 'src/a.test.js', 'src/b.test.js']);
+      expectGitCommand(gitSpies, ([cwd, args]) => cwd === targetPath && args.join(' ') === 'diff --name-only abc123');
+
+      await branchWorkflow.getWorkingTreeChangedFiles(project.id, { sinceCommit: null });
+      expectGitCommand(gitSpies, ([, args]) => args.join(' ') === 'diff --name-only HEAD');
+    });
+  });
+
   it('exposes scheduled auto test handles via the testing helpers', async () => {
     await runGitScenario(async ({ branchWorkflow, createProject }) => {
       const project = await createProject(createProjectPayload('-auto-handle'));
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import path from 'path';
+import { createBranchWorkflowTests } from '../services/branchWorkflow/testsApi.js';
+
+const createInMemoryFs = (files) => ({
+  async access(filePath) {
+    if (!files.has(filePath)) {
+      const error = new Error(`ENOENT: no such file or directory, access '${filePath}'`);
+      error.code = 'ENOENT';
+      throw error;
+    }
+  },
+  async readFile(filePath) {
+    if (!files.has(filePath)) {
+      const error = new Error(`ENOENT: no such file or directory, open '${filePath}'`);
+      error.code = 'ENOENT';
+      throw error;
+    }
+    return files.get(filePath);
+  }
+});
+
+const pctEntry = (value) => ({
+  lines: { pct: value },
+  statements: { pct: value },
+  functions: { pct: value },
+  branches: { pct: value }
+});
+
+const buildApi = ({ projectPath, files }) => createBranchWorkflowTests({
+  getProjectContext: async () => ({ projectPath }),
+  withStatusCode: (error, statusCode) => Object.assign(error, { statusCode }),
+  fs: createInMemoryFs(files),
+  path
+});
+
+describe('branchWorkflow testsApi: file coverage', () => {
+  const projectRoot = path.join(path.sep, 'tmp', 'project-file-coverage');
+  const frontendPath = path.join(projectRoot, 'frontend');
+  const appPath = path.join(frontendPath, 'src', 'App.jsx');
+  const files = new Map([
+    [path.join(frontendPath, 'package.json'), '{}'],
+    [path.join(frontendPath, 'coverage', 'coverage-summary.json'), JSON.stringify({ total: pctEntry(60), [appPath]: pctEntry(60) })],
+    [path.join(frontendPath, 'coverage', 'coverage-final.json'), JSON.stringify({ [appPath]: { l: { 3: 0, 4: 0, 9: 1 } } })]
+  ]);
+
+  it('lists coverage targets from the last coverage reports', async () => {
+    const api = buildApi({ projectPath: projectRoot, files });
+
+    await expect(api.getCoverageTargets(1)).resolves.toEqual([
+      {
+        workspace: 'frontend',
+        file: 'frontend/src/App.jsx',
+        coverage: { lines: 60, statements: 60, functions: 60, branches: 60 },
+        uncoveredRanges: [{ start: 3, end: 4 }]
+      }
+    ]);
+  });
+
+  it('lists the line coverage of every reported file', async () => {
+    const api = buildApi({ projectPath: projectRoot, files });
+
+    await expect(api.getCoverageSummary(1)).resolves.toEqual([
+      { workspace: 'frontend', file: 'frontend/src/App.jsx', lines: 60 }
+    ]);
+  });
+
+  it('reads coverage for a single project-relative file', async () => {
+    const api = buildApi({ projectPath: projectRoot, files });
+
+    await expect(api.getFileCoverage(1, 'frontend/src/App.jsx')).resolves.toEqual({
+      workspace: 'frontend',
+      kind: 'node',
+      totals: { lines: 60, statements: 60, functions: 60, branches: 60 },
+      uncoveredLines: [3, 4],
+      coveredLines: [9],
+      partialLines: []
+    });
+    await expect(api.getFileCoverage(1, 'frontend/src/Missing.jsx')).resolves.toBeNull();
+    await expect(api.getFileCoverage(1, 'backend/app.js')).resolves.toBeNull();
+  });
+
+  it('requires a project path', async () => {
+    const api = buildApi({ projectPath: null, files });
+
+    await expect(api.getCoverageTargets(1)).rejects.toMatchObject({ message: 'Project path not found', statusCode: 400 });
+  });
+});
@@ -0,0 +1,392 @@
+import { describe, it, expect, vi } from 'vitest';
+import path from 'path';
+import { createBranchWorkflowTests } from '../services/branchWorkflow/testsApi.js';
+import { buildFailedTestsRetryCommand, mergeRetryReport } from '../services/branchWorkflow/testsApi/testRetries.js';
+
+const projectRoot = path.join(path.sep, 'tmp', 'project-flaky');
+const frontendPath = path.join(projectRoot, 'frontend');
+const backendPath = path.join(projectRoot, 'backend');
+
+const fullCoverage = {
+  total: {
+    lines: { pct: 100 },
+    statements: { pct: 100 },
+    functions: { pct: 100 },
+    branches: { pct: 100 }
+  }
+};
+
+const createInMemoryFs = (entries) => {
+  const files = new Map(entries);
+  const missing = (filePath) => Object.assign(new Error(`ENOENT: ${filePath}`), { code: 'ENOENT' });
+  return {
+    async access(filePath) {
+      if (!files.has(filePath)) throw missing(filePath);
+    },
+    async readFile(filePath) {
+      if (!files.has(filePath)) throw missing(filePath);
+      return files.get(filePath);
+    }
+  };
+};
+
+const nodeProjectFs = (pkg = { devDependencies: { vitest: '^1.0.0' }, scripts: { 'test:coverage': 'vitest run --coverage' } }) => createInMemoryFs([
+  [path.join(frontendPath, 'package.json'), JSON.stringify(pkg)],
+  [path.join(frontendPath, 'coverage', 'coverage-summary.json'), JSON.stringify(fullCoverage)]
+]);
+
+const pythonProjectFs = () => createInMemoryFs([
+  [path.join(backendPath, 'requirements.txt'), 'pytest\n']
+]);
+
+const testCase = (name, status, extra = {}) => ({
+  name,
+  title: name,
+  suite: [],
+  file: 'src/app.test.js',
+  status,
+  durationMs: 5,
+  error: status === 'failed' ? `${name} failed` : null,
+  ...extra
+});
+
+const report = (cases, extra = {}) => ({
+  format: 'jest-json',
+  summary: {
+    total: cases.length,
+    passed: cases.filter((entry) => entry.status === 'passed').length,
+    failed: cases.filter((entry) => entry.status === 'failed').length,
+    skipped: cases.filter((entry) => entry.status === 'skipped').length,
+    durationMs: 5 * cases.length
+  },
+  cases,
+  truncated: false,
+  ...extra
+});
+
+const createHarness = ({
+  fs,
+  completeJob,
+  gitReady = false,
+  runProjectGit = async () => ({ stdout: '' }),
+  extraCore = {}
+}) => {
+  const startedJobs = [];
+  const statements = [];
+  const recordTestCaseResults = vi.fn().mockResolvedValue(0);
+
+  const testsApi = createBranchWorkflowTests({
+    AUTO_TEST_DEBOUNCE_MS: 0,
+    autoTestTimers: new Map(),
+    autoTestKey: () => 'key',
+    isTestMode: () => false,
+    ensureProjectExists: async () => {},
+    ensureMainBranch: async () => ({ id: 1, name: 'main', staged_files: '[]', ahead_commits: 0 }),
+    getBranchByName: async (_projectId, name) => ({ id: 2, name, staged_files: '[]', ahead_commits: 1 }),
+    getProjectContext: async () => ({ projectPath: projectRoot, gitReady }),
+    listBranchChangedPaths: async () => [],
+    parseStagedFiles: () => [],
+    resolveCoveragePolicy: () => ({
+      globalThresholds: { lines: 100, statements: 100, functions: 100, branches: 100 },
+      changedFileThresholds: { lines: 100, statements: 100, functions: 100, branches: 100 },
+      enforceChangedFileCoverage: true
+    }),
+    getTestingSettings: async () => ({ coverageTarget: 100, failedTestRetries: 0 }),
+    getQuarantinedTestKeys: async () => new Set(),
+    recordTestCaseResults,
+    runProjectGit,
+    run: async (sql, params) => {
+      statements.push({ sql: String(sql), params });
+      return { lastID: String(sql).includes('INSERT INTO test_runs') ? 77 : 0 };
+    },
+    get: async () => ({ id: 77, branch_name: 'feature/flaky' }),
+    serializeTestRun: (row) => row,
+    buildTestResultPayload: () => null,
+    withStatusCode: (error, statusCode) => Object.assign(error, { statusCode }),
+    startJob: (job) => {
+      startedJobs.push(job);
+      return { id: startedJobs.length };
+    },
+    waitForJobCompletion: async (jobId) => completeJob(startedJobs[jobId - 1], jobId),
+    JOB_STATUS: { SUCCEEDED: 'succeeded', FAILED: 'failed' },
+    fs,
+    path,
+    ...extraCore
+  });
+
+  const readRunUpdate = () => {
+    const update = statements.find((entry) => entry.sql.includes('UPDATE test_runs'));
+    return {
+      status: update.params[0],
+      summary: JSON.parse(update.params[1]),
+      details: JSON.parse(update.params[2])
+    };
+  };
+
+  return { testsApi, startedJobs, recordTestCaseResults, readRunUpdate };
+};
+
+describe('testRetries helpers', () => {
+  it('builds retry commands for the failing tests of each runner', () => {
+    const failedCases = [testCase('a', 'failed'), testCase('b', 'failed'), testCase('c', 'failed', { file: 'src/b.test.js' })];
+
+    expect(buildFailedTestsRetryCommand({ kind: 'node', runner: 'vitest', failedCases })).toEqual({
+      command: 'npx',
+      args: ['vitest', 'run', 'src/app.test.js', 'src/b.test.js']
+    });
+    expect(buildFailedTestsRetryCommand({ kind: 'node', runner: 'jest', failedCases })).toEqual({
+      command: 'npx',
+      args: ['jest', 'src/app.test.js', 'src/b.test.js']
+    });
+    expect(buildFailedTestsRetryCommand({ kind: 'python', runner: 'pytest' })).toEqual({
+      command: 'python',
+      args: ['-m', 'pytest', '--lf']
+    });
+    expect(buildFailedTestsRetryCommand({ kind: 'python', runner: null })).toBeNull();
+    expect(buildFailedTestsRetryCommand({ kind: 'node', runner: null, failedCases })).toBeNull();
+    expect(buildFailedTestsRetryCommand({ kind: 'node', runner: 'vitest' })).toBeNull();
+    expect(buildFailedTestsRetryCommand({
+      kind: 'node',
+      runner: 'vitest',
+      failedCases: [testCase('a', 'failed', { file: null })]
+    })).toBeNull();
+  });
+
+  it('marks failures that pass on retry as flaky and keeps the latest error otherwise', () => {
+    const cases = [
+      testCase('recovers', 'failed'),
+      testCase('keeps failing', 'failed'),
+      testCase('skipped on retry', 'failed'),
+      testCase('not retried', 'failed'),
+      testCase('passing', 'passed')
+    ];
+    const merged = mergeRetryReport(cases, report([
+      testCase('recovers', 'passed'),
+      testCase('keeps failing', 'failed', { error: 'new error' }),
+      testCase('skipped on retry', 'skipped'),
+      testCase('passing', 'failed')
+    ]), 2);
+
+    expect(merged[0]).toMatchObject({
+      status: 'passed',
+      flaky: true,
+      attempts: 2,
+      firstError: 'recovers failed',
+      error: null
+    });
+    expect(merged[1]).toMatchObject({ status: 'failed', attempts: 2, error: 'new error' });
+    expect(merged[2]).toBe(cases[2]);
+    expect(merged[3]).toBe(cases[3]);
+    expect(merged[4]).toBe(cases[4]);
+
+    const keepsError = mergeRetryReport([cases[1]], report([testCase('keeps failing', 'failed', { error: null })]), 3);
+    expect(keepsError[0]).toMatchObject({ attempts: 3, error: 'keeps failing failed' });
+    expect(mergeRetryReport(cases, null, 2)).toEqual(cases);
+  });
+});
+
+describe('branchWorkflow testsApi: flaky tests', () => {
+  it('reruns failing tests and passes the run when every failure recovers', async () => {
+    const harness = createHarness({
+      fs: nodeProjectFs(),
+      gitReady: true,
+      runProjectGit: async (_context, args) => ({ stdout: args[0] === 'rev-parse' ? 'abc123\n' : '' }),
+      completeJob: (job) => {
+        if (job.displayName.includes('retry')) {
+          return { status: 'succeeded', logs: [], testReport: report([testCase('flaky', 'passed')]) };
+        }
+        return {
+          status: 'failed',
+          exitCode: 1,
+          logs: [],
+          testReport: report([testCase('flaky', 'failed'), testCase('stable', 'passed')])
+        };
+      }
+    });
+
+    const result = await harness.testsApi.runTestsForBranch(1, 'feature/flaky', { failedTestRetries: 2 });
+
+    expect(result).toMatchObject({ id: 77 });
+    expect(harness.startedJobs).toHaveLength(2);
+    expect(harness.startedJobs[1]).toMatchObject({
+      displayName: 'frontend retry failed tests (1/2)',
+      command: 'npx',
+      cwd: frontendPath
+    });
+    expect(harness.startedJobs[1].args.slice(0, 3)).toEqual(['vitest', 'run', 'src/app.test.js']);
+    expect(harness.startedJobs[1].args).toContain('--reporter=json');
+    expect(harness.startedJobs[1].testReportFile).toMatchObject({ format: 'jest-json' });
+
+    const { status, summary, details } = harness.readRunUpdate();
+    expect(status).toBe('passed');
+    expect(summary).toMatchObject({ total: 2, passed: 2, failed: 0, flaky: 1, quarantined: 0 });
+    expect(details.workspaceRuns[0]).toMatchObject({ status: 'succeeded', tests: [] });
+    expect(details.tests[0]).toMatchObject({ name: 'flaky', status: 'passed', flaky: true, attempts: 2, workspace: 'frontend' });
+
+    expect(harness.recordTestCaseResults).toHaveBeenCalledWith({
+      projectId: 1,
+      testRunId: 77,
+      branchId: 2,
+      commitSha: 'abc123',
+      cases: details.tests
+    });
+  });
+
+  it('keeps failing after the retries run out and passes quarantined failures', async () => {
+    const quarantined = testCase('quarantined', 'failed');
+    const harness = createHarness({
+      fs: pythonProjectFs(),
+      completeJob: () => ({
+        status: 'failed',
+        exitCode: 1,
+        logs: [],
+        testReport: report([testCase('broken', 'failed'), quarantined], { format: 'junit-xml' })
+      }),
+      extraCore: {
+        getTestingSettings: async () => ({ failedTestRetries: 2 }),
+        getQuarantinedTestKeys: async () => new Set(['backend > src/app.test.js > quarantined'])
+      }
+    });
+
+    await harness.testsApi.runTestsForBranch(1, 'feature/flaky');
+
+    expect(harness.startedJobs.map((job) => job.displayName)).toEqual([
+      'backend tests (coverage)',
+      'backend retry failed tests (1/2)',
+      'backend retry failed tests (2/2)'
+    ]);
+    expect(harness.startedJobs[1].args.slice(0, 3)).toEqual(['-m', 'pytest', '--lf']);
+
+    const { status, summary, details } = harness.readRunUpdate();
+    expect(status).toBe('failed');
+    expect(summary).toMatchObject({ failed: 2, flaky: 0, quarantined: 1 });
+    expect(details.workspaceRuns[0].status).toBe('failed');
+    expect(details.workspaceRuns[0].tests.map((entry) => [entry.name, entry.attempts, entry.quarantined])).toEqual([
+      ['broken', 3, undefined],
+      ['quarantined', 3, true]
+    ]);
+    expect(harness.recordTestCaseResults.mock.calls[0][0].commitSha).toBeNull();
+  });
+
+  it('does not block the run when only quarantined tests fail', async () => {
+    const harness = createHarness({
+      fs: pythonProjectFs(),
+      completeJob: () => ({
+        status: 'failed',
+        exitCode: 1,
+        logs: [],
+        testReport: report([testCase('quarantined', 'failed'), testCase('ok', 'passed')])
+      }),
+      extraCore: {
+        getQuarantinedTestKeys: async () => new Set(['backend > src/app.test.js > quarantined'])
+      }
+    });
+
+    await harness.testsApi.runTestsForBranch(1, 'feature/flaky');
+
+    const { status, summary, details } = harness.readRunUpdate();
+    expect(harness.startedJobs).toHaveLength(1);
+    expect(status).toBe('passed');
+    expect(summary).toMatchObject({ failed: 1, quarantined: 1 });
+    expect(details.workspaceRuns[0]).toMatchObject({ status: 'succeeded', exitCode: 1 });
+  });
+
+  it('keeps failures that cannot be retried or trusted', async () => {
+    const failingReport = report([testCase('broken', 'failed')]);
+    const scenarios = [
+      // The runner crashed without failing tests (for example a coverage threshold).
+      { job: { status: 'failed', testReport: report([testCase('ok', 'passed')]) }, jobs: 1 },
+      // Truncated reports may hide failures.
+      { job: { status: 'failed', testReport: { ...report([testCase('ok', 'passed')]), summary: { ...failingReport.summary }, truncated: true } }, jobs: 1 },
+      // The retry wrote no report.
+      { job: { status: 'failed', testReport: failingReport }, retry: { status: 'failed' }, jobs: 2 },
+      // No runner could be detected, so there is nothing to retry with.
+      { job: { status: 'failed', testReport: failingReport }, pkg: { scripts: { test: 'mocha' } }, jobs: 1 }
+    ];
+
+    for (const scenario of scenarios) {
+      const harness = createHarness({
+        fs: nodeProjectFs(scenario.pkg),
+        completeJob: (job) => (job.displayName.includes('retry') ? scenario.retry : { logs: [], ...scenario.job })
+      });
+      await harness.testsApi.runTestsForBranch(1, 'feature/flaky', { failedTestRetries: 1 });
+      expect(harness.startedJobs).toHaveLength(scenario.jobs);
+      expect(harness.readRunUpdate().status).toBe('failed');
+    }
+  });
+
+  it('runs template commands as written and tolerates a missing history store', async () => {
+    const fs = createInMemoryFs([
+      [path.join(backendPath, 'requirements.txt'), 'pytest\n'],
+      [path.join(backendPath, 'lucidcoder-template.json'), JSON.stringify({
+        side: 'backend',
+        language: 'python',
+        framework: 'custom',
+        commands: { test: 'make test' }
+      })]
+    ]);
+    const harness = createHarness({
+      fs,
+      completeJob: () => ({ status: 'failed', logs: [] }),
+      extraCore: {
+        getQuarantinedTestKeys: undefined,
+        recordTestCaseResults: undefined,
+        getTestingSettings: undefined
+      }
+    });
+
+    await harness.testsApi.runTestsForBranch(1, 'feature/flaky', { failedTestRetries: 3 });
+
+    expect(harness.startedJobs).toHaveLength(1);
+    expect(harness.readRunUpdate().status).toBe('failed');
+  });
+
+  it('logs history write failures without failing the run', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const harness = createHarness({
+      fs: pythonProjectFs(),
+      completeJob: () => ({ status: 'succeeded', logs: [], testReport: report([testCase('ok', 'passed')]) }),
+      extraCore: {
+        getQuarantinedTestKeys: async () => {
+          throw new Error('db offline');
+        }
+      }
+    });
+    harness.recordTestCaseResults.mockRejectedValueOnce(new Error('disk full'));
+
+    await harness.testsApi.runTestsForBranch(1, 'feature/flaky');
+
+    expect(harness.readRunUpdate().status).toBe('passed');
+    expect(warn).toHaveBeenCalledWith('[BranchWorkflow] Failed to record test history', 'disk full');
+    warn.mockRestore();
+  });
+
+  it('resolves the retry count and the tested commit', async () => {
+    const { testsApi } = createHarness({ fs: pythonProjectFs(), completeJob: () => ({}) });
+    const { resolveFailedTestRetries, resolveTestedCommit } = testsApi.__testHooks;
+
+    expect(await resolveFailedTestRetries({ failedTestRetries: 2 })).toBe(2);
+    expect(await resolveFailedTestRetries({ failedTestRetries: 9 })).toBe(3);
+    expect(await resolveFailedTestRetries({ failedTestRetries: -1 })).toBe(0);
+    expect(await resolveFailedTestRetries({ failedTestRetries: 'often' })).toBe(0);
+    expect(await resolveFailedTestRetries()).toBe(0);
+
+    const failingSettings = createHarness({
+      fs: pythonProjectFs(),
+      completeJob: () => ({}),
+      extraCore: { getTestingSettings: async () => { throw new Error('db offline'); } }
+    });
+    expect(await failingSettings.testsApi.__testHooks.resolveFailedTestRetries({})).toBe(0);
+
+    expect(await resolveTestedCommit(null)).toBeNull();
+    expect(await resolveTestedCommit({ gitReady: false })).toBeNull();
+
+    const gitHarness = (runProjectGit) => createHarness({ fs: pythonProjectFs(), completeJob: () => ({}), runProjectGit })
+      .testsApi.__testHooks.resolveTestedCommit({ gitReady: true });
+    expect(await gitHarness(async () => ({ stdout: ' M src/app.js\n' }))).toBeNull();
+    expect(await gitHarness(async () => ({}))).toBeNull();
+    expect(await gitHarness(async () => {
+      throw new Error('not a repo');
+    })).toBeNull();
+  });
+});
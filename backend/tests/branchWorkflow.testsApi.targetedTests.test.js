@@ -0,0 +1,237 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import path from 'path';
+import { createBranchWorkflowTests } from '../services/branchWorkflow/testsApi.js';
+import { buildTargetedTestCommand, escapeTestNamePattern } from '../services/branchWorkflow/testsApi/targetedTests.js';
+import { createTestReportFile } from '../services/testReports.js';
+
+vi.mock('../services/testReports.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    createTestReportFile: vi.fn((...args) => actual.createTestReportFile(...args))
+  };
+});
+
+const projectRoot = path.join(path.sep, 'tmp', 'project-targeted');
+const frontendPath = path.join(projectRoot, 'frontend');
+const backendPath = path.join(projectRoot, 'backend');
+
+const createInMemoryFs = (entries) => {
+  const files = new Map(entries);
+  const missing = (filePath) => Object.assign(new Error(`ENOENT: ${filePath}`), { code: 'ENOENT' });
+  return {
+    async access(filePath) {
+      if (!files.has(filePath)) throw missing(filePath);
+    },
+    async readFile(filePath) {
+      if (!files.has(filePath)) throw missing(filePath);
+      return files.get(filePath);
+    }
+  };
+};
+
+const vitestPackage = JSON.stringify({ devDependencies: { vitest: '^1.0.0' } });
+
+const createHarness = ({ files, completeJob = () => null }) => {
+  const startedJobs = [];
+  const testsApi = createBranchWorkflowTests({
+    AUTO_TEST_DEBOUNCE_MS: 0,
+    autoTestTimers: new Map(),
+    autoTestKey: () => 'key',
+    isTestMode: () => false,
+    ensureProjectExists: async () => {},
+    getProjectContext: async () => ({ projectPath: projectRoot }),
+    withStatusCode: (error, statusCode) => Object.assign(error, { statusCode }),
+    startJob: (job) => {
+      startedJobs.push(job);
+      return { id: `job-${startedJobs.length}` };
+    },
+    waitForJobCompletion: async () => completeJob(),
+    JOB_STATUS: { SUCCEEDED: 'succeeded', FAILED: 'failed' },
+    fs: createInMemoryFs(files),
+    path
+  });
+  return { testsApi, startedJobs };
+};
+
+describe('targetedTests helpers', () => {
+  it('builds file and name filtered commands per runner', () => {
+    expect(buildTargetedTestCommand({ runner: 'vitest', file: 'src/a.test.js', testName: 'adds' })).toEqual({
+      command: 'npx',
+      args: ['vitest', 'run', 'src/a.test.js', '-t', 'adds']
+    });
+    expect(buildTargetedTestCommand({ runner: 'jest', testName: 'adds (1+1)', exact: true })).toEqual({
+      command: 'npx',
+      args: ['jest', '-t', 'adds \\(1\\+1\\)']
+    });
+    expect(buildTargetedTestCommand({ runner: 'jest', file: 'src/a.test.js' })).toEqual({
+      command: 'npx',
+      args: ['jest', 'src/a.test.js']
+    });
+    expect(buildTargetedTestCommand({ runner: 'pytest', file: 'tests/test_api.py', testName: 'test_sum[1-2]', exact: true })).toEqual({
+      command: 'python',
+      args: ['-m', 'pytest', 'tests/test_api.py', '-k', 'test_sum']
+    });
+    expect(buildTargetedTestCommand({ runner: 'pytest', testName: 'sum and not slow' })).toEqual({
+      command: 'python',
+      args: ['-m', 'pytest', '-k', 'sum and not slow']
+    });
+    expect(buildTargetedTestCommand({ runner: 'pytest', file: 'tests/test_api.py' })).toEqual({
+      command: 'python',
+      args: ['-m', 'pytest', 'tests/test_api.py']
+    });
+    expect(buildTargetedTestCommand({ runner: 'mocha', file: 'test/a.js' })).toBeNull();
+    expect(buildTargetedTestCommand({ runner: 'vitest' })).toBeNull();
+    expect(escapeTestNamePattern('a.b*[c]')).toBe('a\\.b\\*\\[c\\]');
+  });
+});
+
+describe('branchWorkflow testsApi: runTargetedTests', () => {
+  beforeEach(() => {
+    vi.mocked(createTestReportFile).mockClear();
+  });
+
+  it('runs a project-relative test file as a partial job and returns its report', async () => {
+    const cases = [{ name: 'math adds', title: 'adds', file: 'src/a.test.js', status: 'passed', durationMs: 3 }];
+    const { testsApi, startedJobs } = createHarness({
+      files: [
+        [path.join(frontendPath, 'package.json'), vitestPackage],
+        [path.join(backendPath, 'requirements.txt'), 'pytest\n']
+      ],
+      completeJob: () => ({
+        status: 'succeeded',
+        exitCode: 0,
+        logs: [{ stream: 'stdout', message: '1 passed' }],
+        testReport: { summary: { total: 1, passed: 1, failed: 0, skipped: 0 }, cases, truncated: false }
+      })
+    });
+
+    const result = await testsApi.runTargetedTests(4, {
+      file: 'frontend/src/a.test.js',
+      testName: ' adds (sum) ',
+      exact: true,
+      jobPriority: 'high'
+    });
+
+    expect(startedJobs).toHaveLength(1);
+    expect(startedJobs[0]).toMatchObject({
+      projectId: 4,
+      type: 'test-run',
+      displayName: 'frontend tests: src/a.test.js › adds (sum)',
+      command: 'npx',
+      cwd: frontendPath,
+      partial: true,
+      priority: 'high',
+      testReportFile: expect.objectContaining({ format: 'jest-json' })
+    });
+    expect(startedJobs[0].args.slice(0, 5)).toEqual(['vitest', 'run', 'src/a.test.js', '-t', 'adds \\(sum\\)']);
+    expect(startedJobs[0].args).toContain('--reporter=json');
+    expect(result).toEqual({
+      partial: true,
+      jobId: 'job-1',
+      workspace: 'frontend',
+      file: 'src/a.test.js',
+      testName: 'adds (sum)',
+      status: 'passed',
+      exitCode: 0,
+      summary: { total: 1, passed: 1, failed: 0, skipped: 0 },
+      truncated: false,
+      tests: [{ ...cases[0], workspace: 'frontend' }],
+      logs: ['stdout: 1 passed']
+    });
+  });
+
+  it('runs a name pattern in the only workspace and reports jobs without a report as failed', async () => {
+    vi.mocked(createTestReportFile).mockReturnValueOnce(null);
+    const { testsApi, startedJobs } = createHarness({
+      files: [[path.join(backendPath, 'requirements.txt'), 'pytest\n']]
+    });
+
+    const result = await testsApi.runTargetedTests(4, { testName: 'sum and not slow', file: '   ' });
+
+    expect(createTestReportFile).toHaveBeenCalledWith('pytest');
+    expect(startedJobs[0]).toMatchObject({
+      command: 'python',
+      args: ['-m', 'pytest', '-k', 'sum and not slow'],
+      cwd: backendPath,
+      displayName: 'backend tests: sum and not slow',
+      testReportFile: undefined
+    });
+    expect(result).toMatchObject({
+      workspace: 'backend',
+      file: null,
+      status: 'failed',
+      exitCode: null,
+      summary: null,
+      truncated: false,
+      tests: [],
+      logs: []
+    });
+  });
+
+  it('takes the file relative to an explicitly named workspace', async () => {
+    const { testsApi, startedJobs } = createHarness({
+      files: [
+        [path.join(frontendPath, 'package.json'), vitestPackage],
+        [path.join(backendPath, 'package.json'), JSON.stringify({ devDependencies: { jest: '^29.0.0' } })]
+      ],
+      completeJob: () => ({ status: 'failed', exitCode: 1, logs: [] })
+    });
+
+    const result = await testsApi.runTargetedTests(4, { workspace: 'backend', file: 'tests/api.test.js' });
+
+    expect(startedJobs[0].args.slice(0, 2)).toEqual(['jest', 'tests/api.test.js']);
+    expect(result).toMatchObject({ workspace: 'backend', file: 'tests/api.test.js', status: 'failed', exitCode: 1 });
+  });
+
+  it('runs in another checkout of the project when given its path', async () => {
+    const worktreePath = path.join(path.sep, 'tmp', 'worktrees', 'goal-3');
+    const { testsApi, startedJobs } = createHarness({
+      files: [[path.join(worktreePath, 'package.json'), vitestPackage]]
+    });
+
+    const result = await testsApi.runTargetedTests(4, { file: 'src/a.test.js', projectPath: worktreePath });
+
+    expect(startedJobs[0]).toMatchObject({ cwd: worktreePath, args: expect.arrayContaining(['src/a.test.js']) });
+    expect(result).toMatchObject({ file: 'src/a.test.js', status: 'failed' });
+  });
+
+  it('rejects requests it cannot target', async () => {
+    const { testsApi, startedJobs } = createHarness({
+      files: [
+        [path.join(frontendPath, 'package.json'), JSON.stringify({ scripts: { test: 'mocha' } })],
+        [path.join(backendPath, 'requirements.txt'), 'pytest\n']
+      ]
+    });
+
+    await expect(testsApi.runTargetedTests(4, {})).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Provide a test file or a test name pattern'
+    });
+    await expect(testsApi.runTargetedTests(4, { file: '/etc/passwd' })).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Test file must be a relative path inside the project'
+    });
+    await expect(testsApi.runTargetedTests(4, { file: 'frontend/../../secret.test.js' })).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Test file must be a relative path inside the project'
+    });
+    await expect(testsApi.runTargetedTests(4, { workspace: 'mobile', testName: 'adds' })).rejects.toMatchObject({
+      statusCode: 404,
+      message: 'Workspace mobile not found'
+    });
+    await expect(testsApi.runTargetedTests(4, { file: 'docs/a.test.js' })).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'No test workspace contains docs/a.test.js'
+    });
+    await expect(testsApi.runTargetedTests(4, { testName: 'adds' })).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'workspace is required when the project has several test workspaces'
+    });
+    await expect(testsApi.runTargetedTests(4, { file: 'frontend/src/a.test.js' })).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Targeted test runs need Vitest, Jest or pytest (workspace frontend)'
+    });
+    expect(startedJobs).toHaveLength(0);
+  });
+});
@@ -612,6 +612,27 @@ describe('branchWorkflow testsApi: recordJobProofForBranch', () => {
     ).rejects.toThrow('Job job-running has not completed successfully');
   });
 
+  it('rejects partial test runs as proof', async () => {
+    const jobMap = new Map([
+      ['job-partial', {
+        id: 'job-partial',
+        projectId: 1,
+        type: 'test-run',
+        partial: true,
+        status: 'succeeded',
+        command: 'npx',
+        args: ['vitest', 'run', 'src/a.test.js'],
+        cwd: '/tmp/project/frontend'
+      }]
+    ]);
+
+    const { testsApi } = buildTestsApi({ jobMap });
+
+    await expect(
+      testsApi.recordJobProofForBranch(1, 'feature/proof', { jobIds: ['job-partial'] })
+    ).rejects.toThrow('Job job-partial ran only part of the tests and cannot prove a branch');
+  });
+
   it('deduplicates job ids from multiple option fields', async () => {
     const jobMap = new Map([
       ['job-one', {
@@ -1,6 +1,7 @@
-import { describe, expect, it } from 'vitest';
+import path from 'path';
+import { describe, expect, it, vi } from 'vitest';
 
-import { selectWorkspacesForScope } from '../services/branchWorkflow/testsApi/workspaceSelection.js';
+import { discoverWorkspaces, selectWorkspacesForScope } from '../services/branchWorkflow/testsApi/workspaceSelection.js';
 
 describe('branchWorkflow testsApi: workspaceSelection (coverage)', () => {
   it('treats non-array workspaces as empty', () => {
@@ -39,4 +40,40 @@ describe('branchWorkflow testsApi: workspaceSelection (coverage)', () => {
 
     expect(selected).toEqual(workspaces);
   });
+
+  it('attaches valid template manifests to discovered workspaces', async () => {
+    const projectRoot = path.join(path.sep, 'repo', 'project');
+    const files = {
+      [path.join(projectRoot, 'frontend', 'lucidcoder-template.json')]: JSON.stringify({
+        side: 'frontend',
+        language: 'javascript',
+        framework: 'acme-web',
+        commands: { test: 'npm run test:ci' }
+      }),
+      [path.join(projectRoot, 'backend', 'lucidcoder-template.json')]: JSON.stringify({ side: 'sideways' })
+    };
+    const fs = {
+      access: vi.fn(async (targetPath) => {
+        if (!targetPath.endsWith('package.json')) {
+          throw Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+        }
+      }),
+      readFile: vi.fn(async (targetPath) => {
+        if (!files[targetPath]) {
+          throw Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+        }
+        return files[targetPath];
+      })
+    };
+
+    const { workspaces } = await discoverWorkspaces({ projectRoot, fs, path });
+
+    expect(workspaces).toEqual([
+      expect.objectContaining({
+        name: 'frontend',
+        template: expect.objectContaining({ framework: 'acme-web', commands: { test: 'npm run test:ci' } })
+      }),
+      { name: 'backend', cwd: path.join(projectRoot, 'backend'), kind: 'node' }
+    ]);
+  });
 });
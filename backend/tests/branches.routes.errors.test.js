@@ -8,6 +8,8 @@ vi.mock('../services/branchWorkflow.js', () => ({
   runTestsForBranch: vi.fn(),
   recordJobProofForBranch: vi.fn(),
   mergeBranch: vi.fn(),
+  openPullRequest: vi.fn(),
+  refreshPullRequest: vi.fn(),
   stageWorkspaceChange: vi.fn(),
   clearStagedChanges: vi.fn(),
   checkoutBranch: vi.fn(),
@@ -30,6 +32,8 @@ import {
   runTestsForBranch,
   recordJobProofForBranch,
   mergeBranch,
+  openPullRequest,
+  refreshPullRequest,
   checkoutBranch,
   deleteBranchByName
 } from '../services/branchWorkflow.js';
@@ -346,7 +350,8 @@ describe('branch route error handling', () => {
     expect(runTestsForBranch).toHaveBeenCalledWith(1, 'feature-tests', {
       force: true,
       enforceFullCoverage: true,
-      includeCoverageLineRefs: true
+      includeCoverageLineRefs: true,
+      jobPriority: 'high'
     });
     expect(response.body).toEqual({ success: true, testRun });
   });
@@ -361,7 +366,8 @@ describe('branch route error handling', () => {
     expect(response.status).toBe(200);
     expect(runTestsForBranch).toHaveBeenCalledWith(1, 'feature-tests', {
       enforceFullCoverage: true,
-      includeCoverageLineRefs: true
+      includeCoverageLineRefs: true,
+      jobPriority: 'high'
     });
     expect(response.body).toEqual({ success: true, testRun });
   });
@@ -441,6 +447,68 @@ describe('branch route error handling', () => {
     expect(response.body.error).toBe('Failed to merge branch');
   });
 
+  test('POST /branches/:branch/merge returns conflicts for interactive resolution', async () => {
+    const conflicts = { inProgress: true, files: [{ path: 'src/app.js', resolved: false }] };
+    const error = Object.assign(new Error('Merge conflicts in 1 file(s) must be resolved'), { statusCode: 409, conflicts });
+    mergeBranch.mockRejectedValueOnce(error);
+
+    const response = await request(app)
+      .post('/api/projects/1/branches/feature-merge/merge')
+      .send();
+
+    expect(response.status).toBe(409);
+    expect(response.body).toEqual({ success: false, error: 'Merge conflicts in 1 file(s) must be resolved', conflicts });
+  });
+
+  test('POST /branches/:branch/pull-request returns the pull request and overview', async () => {
+    const pullRequest = { provider: 'github', number: 7, url: 'https://github.com/o/r/pull/7', status: 'open' };
+    const overview = { current: 'main', branches: [], workingBranches: [] };
+    openPullRequest.mockResolvedValueOnce({ pullRequest, created: true });
+    getBranchOverview.mockResolvedValueOnce(overview);
+
+    const response = await request(app)
+      .post('/api/projects/1/branches/feature%2Fpr/pull-request')
+      .send();
+
+    expect(response.status).toBe(201);
+    expect(openPullRequest).toHaveBeenCalledWith(1, 'feature/pr');
+    expect(response.body).toEqual({ success: true, pullRequest, created: true, overview });
+
+    openPullRequest.mockResolvedValueOnce({ pullRequest, created: false });
+    getBranchOverview.mockResolvedValueOnce(overview);
+    const existing = await request(app).post('/api/projects/1/branches/feature-pr/pull-request').send();
+    expect(existing.status).toBe(200);
+  });
+
+  test('POST /branches/:branch/pull-request surfaces validation and provider failures', async () => {
+    openPullRequest.mockRejectedValueOnce(Object.assign(new Error('Branch must pass tests before opening a pull request'), { statusCode: 400 }));
+    const blocked = await request(app).post('/api/projects/1/branches/feature-pr/pull-request').send();
+    expect(blocked.status).toBe(400);
+    expect(blocked.body.error).toBe('Branch must pass tests before opening a pull request');
+
+    openPullRequest.mockRejectedValueOnce(new Error('boom'));
+    const failed = await request(app).post('/api/projects/1/branches/feature-pr/pull-request').send();
+    expect(failed.status).toBe(500);
+    expect(failed.body.error).toBe('Failed to open pull request');
+  });
+
+  test('POST /branches/:branch/pull-request/refresh returns the stored status', async () => {
+    const pullRequest = { provider: 'gitlab', number: 3, url: 'https://gitlab.com/o/r/-/merge_requests/3', status: 'merged' };
+    const overview = { current: 'main', branches: [], workingBranches: [] };
+    refreshPullRequest.mockResolvedValueOnce({ pullRequest });
+    getBranchOverview.mockResolvedValueOnce(overview);
+
+    const response = await request(app).post('/api/projects/1/branches/feature-pr/pull-request/refresh').send();
+    expect(response.status).toBe(200);
+    expect(refreshPullRequest).toHaveBeenCalledWith(1, 'feature-pr');
+    expect(response.body).toEqual({ success: true, pullRequest, overview });
+
+    refreshPullRequest.mockRejectedValueOnce(new Error('boom'));
+    const failed = await request(app).post('/api/projects/1/branches/feature-pr/pull-request/refresh').send();
+    expect(failed.status).toBe(500);
+    expect(failed.body.error).toBe('Failed to refresh pull request');
+  });
+
   test('POST /branches/:branch/checkout returns branch and overview on success', async () => {
     const branch = { name: 'feature-checkout' };
     const overview = { current: 'feature-checkout', branches: [], workingBranches: [] };
@@ -0,0 +1,226 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import db, { initializeDatabase } from '../database.js';
+import {
+  ChatThreadError,
+  DEFAULT_THREAD_TITLE,
+  appendChatMessages,
+  buildThreadContext,
+  createChatThread,
+  getChatThread,
+  linkChatThread,
+  listChatMessages,
+  listChatThreads,
+  updateChatThread,
+  __testing
+} from '../services/chatThreadStore.js';
+
+const runRaw = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+
+const resetTables = async () => {
+  for (const table of ['chat_thread_links', 'chat_messages', 'chat_threads']) {
+    await runRaw(`DELETE FROM ${table}`);
+  }
+};
+
+const message = (id, sender, text, extra = {}) => ({ id, sender, text, ...extra });
+
+describe('chatThreadStore', () => {
+  beforeEach(async () => {
+    await initializeDatabase();
+    await resetTables();
+  });
+
+  afterEach(async () => {
+    await resetTables();
+  });
+
+  test('creates threads with a default title and empty links', async () => {
+    const thread = await createChatThread({ projectId: 7 });
+
+    expect(thread).toMatchObject({
+      projectId: 7,
+      title: DEFAULT_THREAD_TITLE,
+      archived: false,
+      messageCount: 0,
+      links: { goals: [], autopilotSessions: [] }
+    });
+    expect((await createChatThread({ projectId: 7, title: '  Auth   work ' })).title).toBe('Auth work');
+    await expect(createChatThread({})).rejects.toThrow('projectId is required');
+    await expect(createChatThread({})).rejects.toBeInstanceOf(ChatThreadError);
+    expect(await getChatThread(999999)).toBeNull();
+  });
+
+  test('stores messages, upserts by client id and names the thread after the first request', async () => {
+    const thread = await createChatThread({ projectId: 7 });
+
+    const updated = await appendChatMessages(thread.id, [
+      message('m1', 'user', '\n  Add a login page\nwith OAuth', { timestamp: '2026-01-02T03:04:05.000Z' }),
+      message('m2', 'assistant', '', { timestamp: 'not a date' })
+    ]);
+    expect(updated.title).toBe('Add a login page');
+    expect(updated.messageCount).toBe(2);
+
+    await appendChatMessages(thread.id, [message('m2', 'assistant', 'Planned 3 goals.', { variant: 'status' })]);
+    await appendChatMessages(thread.id, [message(3, 'user', 'And a logout button')]);
+
+    const messages = await listChatMessages(thread.id);
+    expect(messages).toEqual([
+      { id: 'm1', sender: 'user', text: '\n  Add a login page\nwith OAuth', variant: null, timestamp: '2026-01-02T03:04:05.000Z' },
+      { id: 'm2', sender: 'assistant', text: 'Planned 3 goals.', variant: 'status', timestamp: expect.any(String) },
+      { id: '3', sender: 'user', text: 'And a logout button', variant: null, timestamp: expect.any(String) }
+    ]);
+    expect((await getChatThread(thread.id)).title).toBe('Add a login page');
+    expect((await listChatMessages(thread.id, { limit: 2 })).map((item) => item.id)).toEqual(['m2', '3']);
+  });
+
+  test('rejects malformed messages', async () => {
+    const thread = await createChatThread({ projectId: 7 });
+
+    await expect(appendChatMessages(thread.id, 'nope')).rejects.toMatchObject({
+      name: 'ChatThreadError',
+      statusCode: 400,
+      message: 'messages must be an array'
+    });
+    await expect(appendChatMessages(thread.id, new Array(201).fill(message('a', 'user', 'x'))))
+      .rejects.toThrow('At most 200 messages');
+    await expect(appendChatMessages(thread.id, [null])).rejects.toThrow('Message 1 must be an object');
+    await expect(appendChatMessages(thread.id, [message('a', 'user', 'x'), { sender: 'user' }]))
+      .rejects.toThrow('Message 2 is missing an id');
+    await expect(appendChatMessages(thread.id, [{ id: 'a', sender: ' ' }])).rejects.toThrow('Message 1 is missing a sender');
+    expect(await listChatMessages(thread.id)).toEqual([]);
+  });
+
+  test('renames and archives threads', async () => {
+    const thread = await createChatThread({ projectId: 7 });
+
+    expect((await updateChatThread(thread.id, { title: 'Billing' })).title).toBe('Billing');
+    expect((await updateChatThread(thread.id, { archived: true })).archived).toBe(true);
+    expect((await updateChatThread(thread.id, {})).archived).toBe(true);
+    await expect(updateChatThread(thread.id, { title: '   ' })).rejects.toThrow('title must be a non-empty string');
+
+    expect(await listChatThreads(7)).toEqual([]);
+    expect((await listChatThreads(7, { includeArchived: true })).map((item) => item.id)).toEqual([thread.id]);
+  });
+
+  test('searches titles and message text within a project', async () => {
+    const billing = await createChatThread({ projectId: 7, title: 'Billing' });
+    const auth = await createChatThread({ projectId: 7, title: 'Auth' });
+    const other = await createChatThread({ projectId: 8, title: 'Billing elsewhere' });
+    await appendChatMessages(auth.id, [
+      message('a1', 'user', 'Stripe webhooks for billing events'),
+      message('a2', 'user', 'billing retries')
+    ]);
+    await appendChatMessages(billing.id, [message('b1', 'user', '100% off coupon')]);
+
+    const results = await listChatThreads(7, { query: ' billing ' });
+    expect(results.map((item) => item.id).sort()).toEqual([billing.id, auth.id].sort());
+    expect(results.find((item) => item.id === auth.id).match).toBe('Stripe webhooks for billing events');
+    expect(results.find((item) => item.id === billing.id).match).toBeUndefined();
+    expect(results.some((item) => item.id === other.id)).toBe(false);
+
+    expect((await listChatThreads(7, { query: '100%' })).map((item) => item.id)).toEqual([billing.id]);
+    expect(await listChatThreads(7, { query: '_' })).toEqual([]);
+  });
+
+  test('links goals and autopilot sessions once each', async () => {
+    const thread = await createChatThread({ projectId: 7 });
+
+    await linkChatThread(thread.id, { kind: 'goal', refId: 12 });
+    await linkChatThread(thread.id, { kind: 'goal', refId: 12 });
+    await linkChatThread(thread.id, { kind: 'autopilot', refId: 'session-1' });
+
+    expect((await getChatThread(thread.id)).links).toEqual({ goals: [12], autopilotSessions: ['session-1'] });
+    expect((await listChatThreads(7))[0].links).toEqual({ goals: [12], autopilotSessions: ['session-1'] });
+    await expect(linkChatThread(thread.id, { kind: 'run', refId: 1 })).rejects.toThrow('Unknown chat thread link kind: run');
+    await expect(linkChatThread(thread.id, { kind: 'goal', refId: '' })).rejects.toThrow('refId is required');
+  });
+
+  describe('buildThreadContext', () => {
+    test('returns an empty string for threads without conversation', async () => {
+      const thread = await createChatThread({ projectId: 7 });
+      await appendChatMessages(thread.id, [
+        message('s1', 'assistant', 'Running tests…', { variant: 'status' }),
+        message('e1', 'assistant', 'Failed', { variant: 'error' }),
+        message('b1', 'assistant', '   ')
+      ]);
+
+      expect(await buildThreadContext(thread.id)).toBe('');
+    });
+
+    test('quotes recent messages and summarises older ones', async () => {
+      const thread = await createChatThread({ projectId: 7 });
+      await appendChatMessages(thread.id, [
+        message('1', 'user', 'Add a todo list\nwith   filters'),
+        message('2', 'assistant', 'Created goals for the todo list.'),
+        message('3', 'assistant', 'Done'),
+        message('4', 'user', 'Make completed items grey')
+      ]);
+
+      expect(await buildThreadContext(thread.id, { recentMessages: 2 })).toBe([
+        'Conversation context:',
+        'Earlier in this thread (summarised):',
+        '- User: Add a todo list with filters',
+        '- Assistant: Created goals for the todo list.',
+        'Recent messages:',
+        'Assistant: Done',
+        'User: Make completed items grey'
+      ].join('\n'));
+
+      expect(await buildThreadContext(thread.id, { recentMessages: 4 })).toBe([
+        'Conversation context:',
+        'User: Add a todo list\nwith   filters',
+        'Assistant: Created goals for the todo list.',
+        'Assistant: Done',
+        'User: Make completed items grey'
+      ].join('\n'));
+    });
+
+    test('skips a trailing copy of the current request and stays within the window', async () => {
+      const thread = await createChatThread({ projectId: 7 });
+      await appendChatMessages(thread.id, [
+        message('1', 'user', 'first'),
+        message('2', 'user', 'second'),
+        message('3', 'user', 'third')
+      ]);
+
+      expect(await buildThreadContext(thread.id, { maxMessages: 2, currentRequest: ' third ' }))
+        .toBe('Conversation context:\nUser: first\nUser: second');
+      expect(await buildThreadContext(thread.id, { maxMessages: 2, currentRequest: 'something new' }))
+        .toBe('Conversation context:\nUser: second\nUser: third');
+      expect(await buildThreadContext(thread.id, { maxMessages: 2 }))
+        .toBe('Conversation context:\nUser: second\nUser: third');
+
+      const single = await createChatThread({ projectId: 7 });
+      await appendChatMessages(single.id, [message('1', 'user', 'only')]);
+      expect(await buildThreadContext(single.id, { currentRequest: 'only' })).toBe('');
+    });
+
+    test('drops summary lines, then older quotes, to fit the character budget', async () => {
+      const thread = await createChatThread({ projectId: 7 });
+      await appendChatMessages(thread.id, [
+        message('1', 'user', 'a'.repeat(50)),
+        message('2', 'user', 'b'.repeat(50)),
+        message('3', 'user', 'c'.repeat(50)),
+        message('4', 'user', 'd'.repeat(700))
+      ]);
+
+      const trimmed = await buildThreadContext(thread.id, { recentMessages: 2, maxChars: 780, summaryLineChars: 20 });
+      expect(trimmed).toContain(`- User: ${'b'.repeat(19)}…`);
+      expect(trimmed).not.toContain('aaa');
+      expect(trimmed).toContain(`User: ${'d'.repeat(599)}…`);
+      expect(trimmed.length).toBeLessThanOrEqual(780);
+
+      const tight = await buildThreadContext(thread.id, { recentMessages: 2, maxChars: 100 });
+      expect(tight).toBe(`Conversation context:\nUser: ${'d'.repeat(599)}…`);
+    });
+  });
+
+  test('helpers normalise titles', () => {
+    expect(__testing.normalizeTitle(null)).toBe('');
+    expect(__testing.normalizeTitle('x'.repeat(200))).toHaveLength(120);
+    expect(__testing.deriveTitleFromText('')).toBe('');
+    expect(__testing.deriveTitleFromText('y'.repeat(80))).toBe(`${'y'.repeat(59)}…`);
+  });
+});
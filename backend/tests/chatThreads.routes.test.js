@@ -0,0 +1,165 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import chatThreadsRoutes from '../routes/chatThreads.js';
+import * as chatThreadStore from '../services/chatThreadStore.js';
+
+vi.mock('../services/chatThreadStore.js', async (importOriginal) => ({
+  ChatThreadError: (await importOriginal()).ChatThreadError,
+  appendChatMessages: vi.fn(),
+  createChatThread: vi.fn(),
+  getChatThread: vi.fn(),
+  listChatMessages: vi.fn(),
+  listChatThreads: vi.fn(),
+  updateChatThread: vi.fn()
+}));
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/projects/:projectId/chat-threads', chatThreadsRoutes);
+  return app;
+};
+
+const thread = { id: 3, projectId: 42, title: 'Auth' };
+
+describe('Chat thread routes', () => {
+  let app;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    app = buildApp();
+    chatThreadStore.getChatThread.mockResolvedValue(thread);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  describe('GET /', () => {
+    test('lists threads with search and archive filters', async () => {
+      chatThreadStore.listChatThreads.mockResolvedValue([thread]);
+
+      const response = await request(app).get('/api/projects/42/chat-threads?q=auth&includeArchived=1').expect(200);
+
+      expect(response.body).toEqual({ success: true, threads: [thread] });
+      expect(chatThreadStore.listChatThreads).toHaveBeenCalledWith('42', { includeArchived: true, query: 'auth' });
+
+      await request(app).get('/api/projects/42/chat-threads').expect(200);
+      expect(chatThreadStore.listChatThreads).toHaveBeenLastCalledWith('42', { includeArchived: false, query: '' });
+    });
+
+    test('returns 500 when listing fails', async () => {
+      chatThreadStore.listChatThreads.mockRejectedValue(new Error('db'));
+
+      const response = await request(app).get('/api/projects/42/chat-threads').expect(500);
+      expect(response.body).toEqual({ success: false, error: 'Failed to list chat threads' });
+    });
+  });
+
+  describe('POST /', () => {
+    test('creates a thread and imports initial messages', async () => {
+      chatThreadStore.createChatThread.mockResolvedValue(thread);
+      chatThreadStore.appendChatMessages.mockResolvedValue({ ...thread, messageCount: 1 });
+      const messages = [{ id: 'm1', sender: 'user', text: 'hi' }];
+
+      const response = await request(app).post('/api/projects/42/chat-threads').send({ title: 'Auth', messages }).expect(201);
+
+      expect(response.body).toEqual({ success: true, thread: { ...thread, messageCount: 1 } });
+      expect(chatThreadStore.createChatThread).toHaveBeenCalledWith({ projectId: '42', title: 'Auth' });
+      expect(chatThreadStore.appendChatMessages).toHaveBeenCalledWith(3, messages);
+
+      await request(app).post('/api/projects/42/chat-threads').expect(201);
+      expect(chatThreadStore.appendChatMessages).toHaveBeenCalledTimes(1);
+    });
+
+    test('maps invalid messages to 400 and other failures to 500', async () => {
+      chatThreadStore.createChatThread.mockResolvedValue(thread);
+      chatThreadStore.appendChatMessages.mockRejectedValueOnce(new chatThreadStore.ChatThreadError('Message 1 is missing an id'));
+
+      const invalid = await request(app).post('/api/projects/42/chat-threads').send({ messages: [{}] }).expect(400);
+      expect(invalid.body).toEqual({ success: false, error: 'Message 1 is missing an id' });
+
+      chatThreadStore.createChatThread.mockRejectedValueOnce(new Error('db'));
+      const failed = await request(app).post('/api/projects/42/chat-threads').send({}).expect(500);
+      expect(failed.body).toEqual({ success: false, error: 'Failed to create chat thread' });
+    });
+  });
+
+  describe('PUT /:threadId', () => {
+    test('renames or archives a thread', async () => {
+      chatThreadStore.updateChatThread.mockResolvedValue({ ...thread, archived: true });
+
+      const response = await request(app).put('/api/projects/42/chat-threads/3').send({ archived: true }).expect(200);
+
+      expect(response.body).toEqual({ success: true, thread: { ...thread, archived: true } });
+      expect(chatThreadStore.updateChatThread).toHaveBeenCalledWith('3', { title: undefined, archived: true });
+    });
+
+    test('returns 404 for threads of other projects', async () => {
+      chatThreadStore.getChatThread.mockResolvedValueOnce({ ...thread, projectId: 7 });
+      chatThreadStore.getChatThread.mockResolvedValueOnce(null);
+
+      const foreign = await request(app).put('/api/projects/42/chat-threads/3').send({ title: 'x' }).expect(404);
+      expect(foreign.body).toEqual({ success: false, error: 'Chat thread not found' });
+      await request(app).put('/api/projects/42/chat-threads/99').expect(404);
+      expect(chatThreadStore.updateChatThread).not.toHaveBeenCalled();
+    });
+
+    test('maps invalid titles to 400 and other failures to 500', async () => {
+      chatThreadStore.updateChatThread.mockRejectedValueOnce(new chatThreadStore.ChatThreadError('title must be a non-empty string'));
+      const invalid = await request(app).put('/api/projects/42/chat-threads/3').send({ title: ' ' }).expect(400);
+      expect(invalid.body).toEqual({ success: false, error: 'title must be a non-empty string' });
+
+      chatThreadStore.updateChatThread.mockRejectedValueOnce(new Error('db'));
+      const failed = await request(app).put('/api/projects/42/chat-threads/3').send({ title: 'x' }).expect(500);
+      expect(failed.body).toEqual({ success: false, error: 'Failed to update chat thread' });
+    });
+  });
+
+  describe('GET /:threadId/messages', () => {
+    test('returns the thread with its messages', async () => {
+      chatThreadStore.listChatMessages.mockResolvedValue([{ id: 'm1' }]);
+
+      const response = await request(app).get('/api/projects/42/chat-threads/3/messages?limit=50').expect(200);
+
+      expect(response.body).toEqual({ success: true, thread, messages: [{ id: 'm1' }] });
+      expect(chatThreadStore.listChatMessages).toHaveBeenCalledWith(3, { limit: 50 });
+
+      await request(app).get('/api/projects/42/chat-threads/3/messages').expect(200);
+      expect(chatThreadStore.listChatMessages).toHaveBeenLastCalledWith(3, { limit: undefined });
+    });
+
+    test('returns 404 for unknown threads and 500 on failure', async () => {
+      chatThreadStore.getChatThread.mockResolvedValueOnce(null);
+      await request(app).get('/api/projects/42/chat-threads/3/messages').expect(404);
+
+      chatThreadStore.listChatMessages.mockRejectedValue(new Error('db'));
+      const failed = await request(app).get('/api/projects/42/chat-threads/3/messages').expect(500);
+      expect(failed.body).toEqual({ success: false, error: 'Failed to fetch chat messages' });
+    });
+  });
+
+  describe('POST /:threadId/messages', () => {
+    test('saves messages and returns the updated thread', async () => {
+      chatThreadStore.appendChatMessages.mockResolvedValue({ ...thread, messageCount: 2 });
+      const messages = [{ id: 'm1', sender: 'user', text: 'hi' }];
+
+      const response = await request(app).post('/api/projects/42/chat-threads/3/messages').send({ messages }).expect(200);
+
+      expect(response.body).toEqual({ success: true, thread: { ...thread, messageCount: 2 } });
+      expect(chatThreadStore.appendChatMessages).toHaveBeenCalledWith(3, messages);
+    });
+
+    test('returns 404, 400 and 500 for unknown threads, bad payloads and failures', async () => {
+      chatThreadStore.getChatThread.mockResolvedValueOnce(null);
+      await request(app).post('/api/projects/42/chat-threads/3/messages').send({ messages: [] }).expect(404);
+
+      chatThreadStore.appendChatMessages.mockRejectedValueOnce(new chatThreadStore.ChatThreadError('messages must be an array'));
+      const invalid = await request(app).post('/api/projects/42/chat-threads/3/messages').expect(400);
+      expect(invalid.body).toEqual({ success: false, error: 'messages must be an array' });
+      expect(chatThreadStore.appendChatMessages).toHaveBeenCalledWith(3, undefined);
+
+      chatThreadStore.appendChatMessages.mockRejectedValueOnce(new Error('db'));
+      const failed = await request(app).post('/api/projects/42/chat-threads/3/messages').send({ messages: [] }).expect(500);
+      expect(failed.body).toEqual({ success: false, error: 'Failed to save chat messages' });
+    });
+  });
+});
@@ -0,0 +1,292 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import {
+  ensureCodeIndex,
+  formatCodeSearchResults,
+  parseSourceFile,
+  refreshIndexedFile,
+  resolveCodeQuery,
+  searchCode,
+  __testing
+} from '../services/codeIndex.js';
+
+const FILES = {
+  'frontend/src/hooks/useAuth.js': [
+    "import { useState } from 'react';",
+    "import api from '../api.js';",
+    '',
+    'export function useAuth() {',
+    '  const [user, setUser] = useState(null);',
+    '  return { user, login: (credentials) => api.post(\'/api/login\', credentials) };',
+    '}'
+  ].join('\n'),
+  'frontend/src/api.js': "import axios from 'axios';\nconst api = axios.create();\nexport default api;\n",
+  'frontend/src/components/Navbar.jsx': [
+    "import React from 'react';",
+    "import { useAuth } from '../hooks/useAuth';",
+    '',
+    'const Navbar = () => {',
+    '  const { user } = useAuth();',
+    '  return <nav>{user ? user.name : \'Sign in\'}</nav>;',
+    '};',
+    '',
+    'export default Navbar;'
+  ].join('\n'),
+  'backend/server.js': [
+    "const express = require('express');",
+    "const usersRouter = require('./routes/users');",
+    'const app = express();',
+    "app.use('/api/users', usersRouter);",
+    "app.get('/health', (req, res) => res.send('ok'));",
+    'module.exports = { app };'
+  ].join('\n'),
+  'backend/routes/users.js': [
+    "const { Router } = require('express');",
+    'const router = Router();',
+    "router.get('/:id', async (req, res) => res.json({ id: req.params.id }));",
+    "router.post('/', async (req, res) => res.status(201).end());",
+    'module.exports = router;'
+  ].join('\n'),
+  'api/app/main.py': [
+    'from fastapi import FastAPI',
+    'from .models import Item',
+    '',
+    'app = FastAPI()',
+    '',
+    '@app.get("/items/{item_id}")',
+    'async def read_item(item_id: int):',
+    '    return Item(id=item_id)'
+  ].join('\n'),
+  'api/app/models.py': 'class Item:\n    def __init__(self, id):\n        self.id = id\n',
+  'api/app/__init__.py': '',
+  'node_modules/left-pad/index.js': 'export function leftPad() {}\n',
+  'README.md': '# Demo\n'
+};
+
+const writeFiles = async (root, files) => {
+  for (const [relativePath, content] of Object.entries(files)) {
+    const absolutePath = path.join(root, relativePath);
+    await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+    await fs.writeFile(absolutePath, content, 'utf-8');
+  }
+};
+
+describe('codeIndex', () => {
+  let projectRoot;
+
+  beforeEach(async () => {
+    projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'code-index-'));
+    await writeFiles(projectRoot, FILES);
+  });
+
+  afterEach(async () => {
+    __testing.indexes.clear();
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  });
+
+  test('parses JS exports, components, imports and routes', () => {
+    const parsed = parseSourceFile('src/App.jsx', [
+      "import React, { useState as useLocalState } from 'react';",
+      "import './App.css';",
+      "const { readFile: read } = require('fs');",
+      'export const App = () => null;',
+      'function Helper() {}',
+      'export default Helper;',
+      'export class Panel extends React.Component {}',
+      'class Store {}',
+      'export interface Props {}',
+      'const LIMIT = 3;',
+      'export { LIMIT };',
+      "router.delete('/items/:id', remove);",
+      "axios.get('/api/items');"
+    ].join('\n'));
+
+    expect(parsed.language).toBe('javascript');
+    expect(parsed.imports).toEqual([
+      { source: 'react', names: ['useState', 'React'], line: 1 },
+      { source: './App.css', names: [], line: 2 },
+      { source: 'fs', names: ['readFile'], line: 3 }
+    ]);
+    expect(parsed.symbols).toEqual([
+      { name: 'App', kind: 'component', line: 4, exported: true },
+      { name: 'Helper', kind: 'component', line: 5, exported: true },
+      { name: 'Panel', kind: 'component', line: 7, exported: true },
+      { name: 'Store', kind: 'class', line: 8, exported: false },
+      { name: 'Props', kind: 'type', line: 9, exported: true },
+      { name: 'LIMIT', kind: 'variable', line: 10, exported: true }
+    ]);
+    expect(parsed.routes).toEqual([{ method: 'DELETE', path: '/items/:id', line: 12 }]);
+    expect(parsed.chunks).toEqual([expect.objectContaining({ startLine: 1 })]);
+  });
+
+  test('parses Python imports, definitions and decorated routes', () => {
+    const parsed = parseSourceFile('app/views.py', [
+      'import os, sys as system',
+      'from .models import (User,',
+      '    Post)  # models',
+      '@bp.route("/posts", methods=["GET", "POST"])',
+      'def list_posts():',
+      '    pass',
+      '@bp.route("/about")',
+      'def _about():',
+      '    pass',
+      'class PostView:',
+      '    pass'
+    ].join('\n'));
+
+    expect(parsed.language).toBe('python');
+    expect(parsed.imports).toEqual([
+      { source: 'os', names: [], line: 1 },
+      { source: 'sys', names: [], line: 1 },
+      { source: '.models', names: ['User', 'Post'], line: 2 }
+    ]);
+    expect(parsed.symbols).toEqual([
+      { name: 'list_posts', kind: 'function', line: 5, exported: true },
+      { name: '_about', kind: 'function', line: 8, exported: false },
+      { name: 'PostView', kind: 'class', line: 10, exported: true }
+    ]);
+    expect(parsed.routes).toEqual([
+      { method: 'GET, POST', path: '/posts', line: 4 },
+      { method: 'GET', path: '/about', line: 7 }
+    ]);
+  });
+
+  test('infers the query type from the question', () => {
+    expect(resolveCodeQuery({ query: 'who imports useAuth?' })).toEqual({ type: 'imports', term: 'useAuth' });
+    expect(resolveCodeQuery({ query: 'where is route POST /api/foo defined' }))
+      .toEqual({ type: 'route', method: 'POST', term: '/api/foo' });
+    expect(resolveCodeQuery({ query: '`/api/foo`' })).toEqual({ type: 'route', method: null, term: '/api/foo' });
+    expect(resolveCodeQuery({ query: 'where is the component Navbar defined?' })).toEqual({ type: 'symbol', term: 'Navbar' });
+    expect(resolveCodeQuery({ query: 'login form validation' })).toEqual({ type: 'keyword', term: 'login form validation' });
+    expect(resolveCodeQuery({ query: 'get /x', type: 'route' })).toEqual({ type: 'route', method: 'GET', term: '/x' });
+    expect(resolveCodeQuery({ query: '"./api"', type: 'imports' })).toEqual({ type: 'imports', term: './api' });
+
+    expect(() => resolveCodeQuery({ query: '  ' })).toThrow('query must be a non-empty string');
+    expect(() => resolveCodeQuery({ query: 'x'.repeat(201) })).toThrow('query must be at most 200 characters');
+    expect(() => resolveCodeQuery({ query: 'x', type: 'regex' })).toThrow('type must be one of');
+  });
+
+  test('finds symbol definitions, exact names first', async () => {
+    const result = await searchCode(projectRoot, { query: 'where is useAuth defined' });
+
+    expect(result).toMatchObject({ type: 'symbol', query: 'useAuth', total: 1 });
+    expect(result.results[0]).toMatchObject({ path: 'frontend/src/hooks/useAuth.js', line: 4, kind: 'function', exported: true });
+    expect(result.indexedFiles).toBe(8);
+
+    const partial = await searchCode(projectRoot, { query: 'item', type: 'symbol' });
+    expect(partial.results.map((entry) => entry.name)).toEqual(['Item', 'read_item']);
+  });
+
+  test('lists the files that import a module, a file or a name', async () => {
+    const byFile = await searchCode(projectRoot, { query: 'who imports frontend/src/hooks/useAuth.js' });
+    expect(byFile.results.map((entry) => `${entry.path}:${entry.line}`)).toEqual(['frontend/src/components/Navbar.jsx:2']);
+
+    const byName = await searchCode(projectRoot, { query: 'useState', type: 'imports' });
+    expect(byName.results.map((entry) => entry.path)).toEqual(['frontend/src/hooks/useAuth.js']);
+
+    const byPackage = await searchCode(projectRoot, { query: 'who imports express' });
+    expect(byPackage.results.map((entry) => entry.path)).toEqual(['backend/routes/users.js', 'backend/server.js']);
+
+    const byModule = await searchCode(projectRoot, { query: 'who imports app.models' });
+    expect(byModule.results).toEqual([expect.objectContaining({ path: 'api/app/main.py', resolved: 'api/app/models.py' })]);
+  });
+
+  test('finds route definitions, including routers mounted under a prefix', async () => {
+    const result = await searchCode(projectRoot, { query: 'where is route GET /api/users/42 defined' });
+
+    expect(result.method).toBe('GET');
+    expect(result.results.map((entry) => `${entry.path} ${entry.method} ${entry.route}`)).toEqual([
+      'backend/server.js USE /api/users'
+    ]);
+
+    const mounted = await searchCode(projectRoot, { query: 'POST /api/users' });
+    expect(mounted.results.map((entry) => `${entry.path} ${entry.method} ${entry.route}`)).toEqual([
+      'backend/server.js USE /api/users'
+    ]);
+
+    const python = await searchCode(projectRoot, { query: '/items/7' });
+    expect(python.results).toEqual([expect.objectContaining({ path: 'api/app/main.py', method: 'GET', line: 6 })]);
+
+    const health = await searchCode(projectRoot, { query: '/health' });
+    expect(health.results).toEqual([expect.objectContaining({ path: 'backend/server.js', method: 'GET', score: 5 })]);
+  });
+
+  test('ranks keyword matches and returns a snippet around the first hit', async () => {
+    const result = await searchCode(projectRoot, { query: 'user sign in' });
+
+    expect(result.type).toBe('keyword');
+    expect(result.results[0]).toMatchObject({ path: 'frontend/src/components/Navbar.jsx' });
+    expect(result.results[0].snippet).toContain("user ? user.name : 'Sign in'");
+    expect(result.results.some((entry) => entry.path.startsWith('node_modules/'))).toBe(false);
+
+    const symbolOnly = await searchCode(projectRoot, { query: 'Navbar', limit: 1 });
+    expect(symbolOnly.results).toHaveLength(1);
+    expect(symbolOnly.results[0].symbols).toEqual([{ name: 'Navbar', kind: 'component', line: 4 }]);
+  });
+
+  test('updates single files on write and picks up outside edits on the next refresh', async () => {
+    expect(await refreshIndexedFile(projectRoot, 'frontend/src/late.js')).toBe(false);
+    await ensureCodeIndex(projectRoot);
+
+    await writeFiles(projectRoot, { 'frontend/src/late.js': 'export const lateHelper = () => 1;\n' });
+    expect((await searchCode(projectRoot, { query: 'lateHelper', type: 'symbol' })).total).toBe(0);
+    expect(await refreshIndexedFile(projectRoot, './frontend/src/late.js')).toBe(true);
+    expect((await searchCode(projectRoot, { query: 'lateHelper', type: 'symbol' })).total).toBe(1);
+
+    await fs.rm(path.join(projectRoot, 'frontend/src/late.js'));
+    expect(await refreshIndexedFile(projectRoot, 'frontend/src/late.js')).toBe(false);
+    expect((await searchCode(projectRoot, { query: 'lateHelper', type: 'symbol' })).total).toBe(0);
+    expect(await refreshIndexedFile(projectRoot, 'README.md')).toBe(false);
+
+    await writeFiles(projectRoot, { 'backend/routes/orders.js': "router.get('/orders', list);\n" });
+    __testing.indexes.get(path.resolve(projectRoot)).syncedAt = 0;
+    expect((await searchCode(projectRoot, { query: '/orders' })).total).toBe(1);
+  });
+
+  test('shares one sync between concurrent searches and evicts the least recently used index', async () => {
+    const [first, second] = await Promise.all([ensureCodeIndex(projectRoot), ensureCodeIndex(projectRoot)]);
+    expect(first).toBe(second);
+
+    for (let index = 0; index < 8; index += 1) {
+      await ensureCodeIndex(path.join(projectRoot, `missing-${index}`));
+    }
+    expect(__testing.indexes.has(path.resolve(projectRoot))).toBe(false);
+    expect(__testing.indexes.size).toBe(8);
+  });
+
+  test('skips ignored, minified and oversized files', async () => {
+    await writeFiles(projectRoot, {
+      'dist/bundle.js': 'export const built = 1;\n',
+      'public/vendor.min.js': 'export const vendor = 1;\n',
+      'src/huge.js': `export const huge = '${'x'.repeat(300 * 1024)}';\n`
+    });
+
+    expect(__testing.isIndexablePath('src/lib.py')).toBe(true);
+    expect(__testing.isIndexablePath('venv/lib.py')).toBe(false);
+    expect(__testing.isIndexablePath('package-lock.json')).toBe(false);
+    const files = await __testing.collectIndexableFiles(projectRoot);
+    expect(files).toContain('src/huge.js');
+    expect(files).not.toContain('dist/bundle.js');
+    expect(files).not.toContain('public/vendor.min.js');
+    expect(await __testing.loadIndexEntry(projectRoot, 'src/huge.js', null)).toBeNull();
+    expect(await __testing.loadIndexEntry(projectRoot, 'src/missing.js', null)).toBeNull();
+    expect(await __testing.collectIndexableFiles(path.join(projectRoot, 'missing'))).toEqual([]);
+  });
+
+  test('formats results as plain text for agent prompts', async () => {
+    const keyword = await searchCode(projectRoot, { query: 'useAuth', limit: 1 });
+    expect(formatCodeSearchResults(keyword)).toMatch(
+      /^frontend\/src\/hooks\/useAuth\.js:\d+ \(function useAuth\)\n {4}.+\n…\d+ more matches; refine the query to narrow them down\.$/s
+    );
+    expect(formatCodeSearchResults(await searchCode(projectRoot, { query: 'useAuth', type: 'symbol' })))
+      .toBe('frontend/src/hooks/useAuth.js:4 exported function useAuth');
+    expect(formatCodeSearchResults(await searchCode(projectRoot, { query: 'who imports axios' })))
+      .toBe("frontend/src/api.js:1 imports 'axios' { axios }");
+    expect(formatCodeSearchResults(await searchCode(projectRoot, { query: '/health' })))
+      .toBe('backend/server.js:5 GET /health');
+    expect(formatCodeSearchResults(await searchCode(projectRoot, { query: 'who imports lodash' })))
+      .toBe('No imports matches in 8 indexed files.');
+  });
+});
@@ -39,6 +39,7 @@ class FakeSocketIOServer {
     this.options = options;
 
     this.handlers = new Map();
+    this.middlewares = [];
     this.toCalls = [];
     this.roomEmits = [];
 
@@ -49,6 +50,10 @@ class FakeSocketIOServer {
     this.handlers.set(event, handler);
   }
 
+  use(middleware) {
+    this.middlewares.push(middleware);
+  }
+
   to(room) {
     this.toCalls.push(room);
     return {
@@ -91,6 +96,17 @@ vi.mock('../services/agentUiState.js', () => ({
   upsertUiSnapshot: vi.fn(() => ({ projectId: 'p1', sessionId: 's1', snapshot: { ok: true } }))
 }));
 
+vi.mock('../services/authService.js', () => ({
+  SESSION_COOKIE_NAME: 'lucidcoder_session',
+  canAccessProject: vi.fn(),
+  isAuthRequired: vi.fn(async () => false),
+  resolveSessionUser: vi.fn()
+}));
+
+vi.mock('../services/goalStore.js', () => ({
+  getGoal: vi.fn()
+}));
+
 describe('createSocketServer', () => {
   beforeEach(() => {
     FakeSocketIOServer.instances.length = 0;
@@ -550,4 +566,81 @@ describe('createSocketServer', () => {
     expect(agentUiState.acknowledgeUiCommands).not.toHaveBeenCalled();
     expect(ack).not.toHaveBeenCalled();
   });
+
+  it('registers the handshake authentication middleware', async () => {
+    const { attachSocketServer } = await import('../socket/createSocketServer.js');
+    const { authenticateSocket } = await import('../middleware/auth.js');
+
+    attachSocketServer({});
+
+    expect(FakeSocketIOServer.instances[0].middlewares).toEqual([authenticateSocket]);
+  });
+
+  it('lets signed-in members join and update only the projects they can access', async () => {
+    const { attachSocketServer } = await import('../socket/createSocketServer.js');
+    const { canAccessProject } = await import('../services/authService.js');
+    const agentUiState = await import('../services/agentUiState.js');
+    const member = { id: 2, role: 'member' };
+    canAccessProject.mockImplementation(async (user, projectId) => projectId === 'own');
+
+    attachSocketServer({});
+    const io = FakeSocketIOServer.instances[0];
+    const socket = new FakeSocket();
+    socket.data = { user: member };
+    io.connect(socket);
+
+    const denied = { ok: false, error: 'You do not have access to this project' };
+    const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+    const jobsAck = vi.fn();
+    socket.trigger('jobs:join', { projectId: 'other' }, jobsAck);
+    socket.trigger('jobs:join', { projectId: 'other' });
+    socket.trigger('jobs:join', { projectId: 'own' }, jobsAck);
+    await flush();
+    expect(jobsAck).toHaveBeenNthCalledWith(1, denied);
+    expect(jobsAck).toHaveBeenNthCalledWith(2, { ok: true, projectId: 'own', jobs: [{ id: 'job-1' }] });
+    expect(socket.joinedRooms).toEqual(['jobs:own']);
+
+    const joinAck = vi.fn();
+    socket.trigger('agentUi:join', { projectId: 'own', sessionId: 's1' }, joinAck);
+    await flush();
+    expect(socket.data).toEqual({ user: member, projectId: 'own', sessionId: 's1' });
+    expect(joinAck).toHaveBeenCalledWith(expect.objectContaining({ ok: true, projectId: 'own' }));
+
+    const snapshotAck = vi.fn();
+    socket.trigger('agentUi:snapshot', { projectId: 'other', sessionId: 's1', snapshot: { ok: true } }, snapshotAck);
+    const ackAck = vi.fn();
+    socket.trigger('agentUi:ack', { projectId: 'other', sessionId: 's1', commandIds: [1] }, ackAck);
+    await flush();
+    expect(snapshotAck).toHaveBeenCalledWith(denied);
+    expect(ackAck).toHaveBeenCalledWith(denied);
+    expect(agentUiState.upsertUiSnapshot).not.toHaveBeenCalled();
+    expect(agentUiState.acknowledgeUiCommands).not.toHaveBeenCalled();
+    expect(canAccessProject).toHaveBeenCalledWith(member, 'other');
+  });
+
+  it('acks an error when the project access check fails', async () => {
+    const { attachSocketServer } = await import('../socket/createSocketServer.js');
+    const { canAccessProject } = await import('../services/authService.js');
+    canAccessProject
+      .mockRejectedValueOnce(new Error('lookup failed'))
+      .mockRejectedValueOnce({})
+      .mockRejectedValueOnce(new Error('ignored'));
+
+    attachSocketServer({});
+    const io = FakeSocketIOServer.instances[0];
+    const socket = new FakeSocket();
+    socket.data = { user: { id: 2, role: 'member' } };
+    io.connect(socket);
+
+    const ack = vi.fn();
+    socket.trigger('jobs:join', { projectId: 'p1' }, ack);
+    socket.trigger('jobs:join', { projectId: 'p1' }, ack);
+    socket.trigger('jobs:join', { projectId: 'p1' });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(ack).toHaveBeenNthCalledWith(1, { ok: false, error: 'lookup failed' });
+    expect(ack).toHaveBeenNthCalledWith(2, { ok: false, error: 'Failed to check project access' });
+    expect(socket.joinedRooms).toEqual([]);
+  });
 });
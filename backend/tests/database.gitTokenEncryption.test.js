@@ -83,4 +83,29 @@ describe('Git token encryption failures', () => {
       module.default.close((err) => (err ? reject(err) : resolve()));
     });
   });
+
+  it('prefers the project git token and falls back to the global one', async () => {
+    decryptApiKeyMock.mockImplementation((value) => `plain:${value}`);
+    const module = await import('../database.js?project-git-token');
+    await module.initializeDatabase();
+
+    const exec = (sql, params) => new Promise((resolve, reject) => {
+      module.default.run(sql, params, (err) => (err ? reject(err) : resolve()));
+    });
+    await exec('INSERT INTO git_settings (id, token_encrypted) VALUES (1, ?)', ['global-token']);
+    await exec(
+      "INSERT INTO projects (id, name, path) VALUES (7, 'token-project', '/tmp/token-project')",
+      []
+    );
+    await exec("INSERT INTO project_git_settings (project_id, workflow, token_encrypted) VALUES (7, 'cloud', ?)", ['project-token']);
+
+    await expect(module.getProjectGitSettingsToken(7)).resolves.toBe('plain:project-token');
+    await expect(module.getProjectGitSettingsToken(8)).resolves.toBe('plain:global-token');
+    await expect(module.getProjectGitSettingsToken(null)).resolves.toBe('plain:global-token');
+
+    decryptApiKeyMock.mockReset();
+    await new Promise((resolve, reject) => {
+      module.default.close((err) => (err ? reject(err) : resolve()));
+    });
+  });
 });
@@ -23,6 +23,8 @@ import {
   getPortSettings,
   saveTestingSettings,
   getTestingSettings,
+  saveAgentCommandSettings,
+  getAgentCommandSettings,
   saveProjectTestingSettings,
   getProjectTestingSettings,
   saveProjectGitSettings,
@@ -81,10 +83,18 @@ describe('Database Tests', () => {
     'git_settings',
     'port_settings',
     'testing_settings',
+    'agent_command_settings',
     'project_testing_settings',
+    'test_case_results',
+    'test_quarantine',
     'test_runs',
     'branches',
     'api_logs',
+    'llm_usage',
+    'llm_prices',
+    'project_llm_budgets',
+    'llm_role_routes',
+    'llm_profiles',
     'llm_config',
     'projects'
   ];
@@ -171,6 +181,142 @@ describe('Database Tests', () => {
     });
   });
 
+  describe('LLM profiles and role routes', () => {
+    const profile = {
+      name: 'Fast',
+      provider: 'groq',
+      model: 'llama-3.1-8b-instant',
+      apiUrl: 'https://api.groq.com/openai/v1',
+      apiKeyEncrypted: 'enc-key',
+      requiresApiKey: true
+    };
+
+    test('creates, updates and lists profiles by name', async () => {
+      const created = await db_operations.saveLLMProfile(profile);
+      expect(created).toMatchObject({ name: 'Fast', provider: 'groq', requires_api_key: 1, endpoint_path: null });
+
+      await db_operations.saveLLMProfile({
+        name: 'local',
+        provider: 'ollama',
+        model: 'llama3.2',
+        apiUrl: 'http://localhost:11434',
+        requiresApiKey: false
+      });
+
+      const updated = await db_operations.saveLLMProfile({
+        ...profile,
+        id: created.id,
+        model: 'llama-3.3-70b-versatile',
+        endpointPath: '/responses'
+      });
+      expect(updated).toMatchObject({ id: created.id, model: 'llama-3.3-70b-versatile', endpoint_path: '/responses' });
+
+      const profiles = await db_operations.listLLMProfiles();
+      expect(profiles.map((row) => row.name)).toEqual(['Fast', 'local']);
+      expect(profiles[1]).toMatchObject({ api_key_encrypted: null, requires_api_key: 0 });
+      expect(await db_operations.getLLMProfile(9999)).toBeNull();
+    });
+
+    test('stores ordered routes per role and clears empty ones', async () => {
+      const fast = await db_operations.saveLLMProfile(profile);
+      const strong = await db_operations.saveLLMProfile({ ...profile, name: 'Strong', provider: 'anthropic' });
+
+      await db_operations.saveLLMRoleRoute('code_edit', [strong.id, fast.id]);
+      await db_operations.saveLLMRoleRoute('classification', [fast.id]);
+      expect(await db_operations.getLLMRoleRoutes()).toEqual({
+        classification: [fast.id],
+        code_edit: [strong.id, fast.id]
+      });
+
+      expect(await db_operations.saveLLMRoleRoute('classification', [])).toEqual([]);
+      expect(await db_operations.getLLMRoleRoutes()).toEqual({ code_edit: [strong.id, fast.id] });
+
+      await runSql("INSERT INTO llm_role_routes (role, profile_ids) VALUES ('question', 'not-json'), ('planning', '{\"a\":1}')");
+      expect(await db_operations.getLLMRoleRoutes()).toMatchObject({ question: [], planning: [] });
+    });
+
+    test('deleting a profile removes it from every route', async () => {
+      const fast = await db_operations.saveLLMProfile(profile);
+      const strong = await db_operations.saveLLMProfile({ ...profile, name: 'Strong' });
+      await db_operations.saveLLMRoleRoute('code_edit', [strong.id, fast.id]);
+      await db_operations.saveLLMRoleRoute('reflection', [strong.id]);
+
+      expect(await db_operations.deleteLLMProfile(strong.id)).toBe(true);
+      expect(await db_operations.deleteLLMProfile(strong.id)).toBe(false);
+      expect(await db_operations.getLLMRoleRoutes()).toEqual({ code_edit: [fast.id] });
+    });
+  });
+
+  describe('LLM usage, prices and budgets', () => {
+    const usage = (overrides = {}) => ({
+      provider: 'openai',
+      model: 'gpt-4o',
+      role: 'code_edit',
+      requestType: 'code_edit',
+      phase: 'autopilot-edit',
+      projectId: 1,
+      goalId: 10,
+      sessionId: 'session-a',
+      promptTokens: 100,
+      completionTokens: 20,
+      costUsd: 0.5,
+      ...overrides
+    });
+
+    test('rolls usage up per project, goal, session and model', async () => {
+      await db_operations.recordLLMUsage(usage());
+      await db_operations.recordLLMUsage(usage({ goalId: 11, costUsd: 1.25, estimated: true }));
+      await db_operations.recordLLMUsage(usage({ sessionId: null, goalId: null, model: 'gpt-4o-mini', costUsd: 0.25, priced: false }));
+      await db_operations.recordLLMUsage(usage({ projectId: 2, goalId: 20, sessionId: 'session-b', costUsd: 3 }));
+      expect(await db_operations.recordLLMUsage({ provider: 'groq', model: 'llama' })).toBe(true);
+
+      const project = await db_operations.getLLMUsageRollup({ projectId: 1 });
+      expect(project.totals).toEqual({
+        requests: 3,
+        prompt_tokens: 300,
+        completion_tokens: 60,
+        cost_usd: 2,
+        estimated_requests: 1,
+        unpriced_requests: 1
+      });
+      expect(project.byGoal.map((row) => [row.goal_id, row.cost_usd])).toEqual([[11, 1.25], [10, 0.5]]);
+      expect(project.bySession).toEqual([expect.objectContaining({ session_id: 'session-a', requests: 2, cost_usd: 1.75 })]);
+      expect(project.byModel.map((row) => row.model)).toEqual(['gpt-4o', 'gpt-4o-mini']);
+      expect(project.byProject).toBeUndefined();
+
+      const global = await db_operations.getLLMUsageRollup();
+      expect(global.totals.requests).toBe(5);
+      expect(global.byProject.map((row) => [row.project_id, row.cost_usd])).toEqual([[2, 3], [1, 2]]);
+
+      expect(await db_operations.getProjectLLMSpend(1)).toBe(2);
+      expect(await db_operations.getProjectLLMSpend(99)).toBe(0);
+    });
+
+    test('saves, lists and deletes price overrides', async () => {
+      const saved = await db_operations.saveLLMPrice({ provider: 'openai', model: 'gpt-4o', inputPerMillion: 2, outputPerMillion: 8 });
+      expect(saved).toMatchObject({ provider: 'openai', model: 'gpt-4o', input_per_million: 2, output_per_million: 8 });
+
+      await db_operations.saveLLMPrice({ provider: 'openai', model: 'gpt-4o', inputPerMillion: 3, outputPerMillion: 9 });
+      await db_operations.saveLLMPrice({ provider: 'anthropic', model: 'claude', inputPerMillion: 1, outputPerMillion: 5 });
+      const prices = await db_operations.listLLMPrices();
+      expect(prices.map((row) => [row.provider, row.input_per_million])).toEqual([['anthropic', 1], ['openai', 3]]);
+
+      expect(await db_operations.deleteLLMPrice('openai', 'gpt-4o')).toBe(true);
+      expect(await db_operations.deleteLLMPrice('openai', 'gpt-4o')).toBe(false);
+    });
+
+    test('stores and clears project budgets', async () => {
+      const project = await createProject({ name: 'Budgeted', description: '', language: 'javascript', framework: 'react' });
+
+      expect(await db_operations.getProjectLLMBudget(project.id)).toBeNull();
+      expect(await db_operations.saveProjectLLMBudget(project.id, 20)).toBe(20);
+      expect(await db_operations.saveProjectLLMBudget(project.id, 12.5)).toBe(12.5);
+      expect(await db_operations.getProjectLLMBudget(project.id)).toBe(12.5);
+      expect(await db_operations.saveProjectLLMBudget(project.id, null)).toBeNull();
+      expect(await db_operations.getProjectLLMBudget(project.id)).toBeNull();
+    });
+  });
+
   describe('Module bootstrap edge cases', () => {
     test('should fall back to default database path when DATABASE_PATH is unset', async () => {
       const originalDatabasePath = process.env.DATABASE_PATH;
@@ -1038,6 +1184,45 @@ describe('Database Tests', () => {
     });
   });
 
+  describe('Agent Command Settings', () => {
+    test('should return the default allowlist when nothing is saved', async () => {
+      const settings = await getAgentCommandSettings();
+
+      expect(settings.allowlist).toContain('npm test');
+      expect(settings.timeoutMs).toBe(120000);
+      expect(settings.maxOutputChars).toBe(12000);
+      expect(settings.isCustomized).toBe(false);
+    });
+
+    test('should normalize, clamp and persist command settings', async () => {
+      const saved = await saveAgentCommandSettings({
+        allowlist: ['  make   check ', 'make check', '', 42, 'cargo test'],
+        timeoutMs: 10,
+        maxOutputChars: 'lots'
+      });
+      expect(saved).toEqual({
+        allowlist: ['make check', 'cargo test'],
+        timeoutMs: 1000,
+        maxOutputChars: 12000,
+        isCustomized: true
+      });
+
+      expect(await getAgentCommandSettings()).toEqual(saved);
+    });
+
+    test('should fall back to the default allowlist when the stored value is unreadable', async () => {
+      await runSql(`
+        INSERT INTO agent_command_settings (id, allowlist, timeout_ms, max_output_chars)
+        VALUES (1, 'not json', 999999999, 500)
+      `);
+
+      const settings = await getAgentCommandSettings();
+      expect(settings.allowlist).toContain('pytest');
+      expect(settings.timeoutMs).toBe(1800000);
+      expect(settings.maxOutputChars).toBe(1000);
+    });
+  });
+
   describe('Testing Settings', () => {
     test('should return defaults when no testing settings exist', async () => {
       const settings = await getTestingSettings();
@@ -1053,6 +1238,20 @@ describe('Database Tests', () => {
       expect(stored.coverageTarget).toBe(70);
     });
 
+    test('should persist the failed test retry count and keep it when only the target changes', async () => {
+      expect((await getTestingSettings()).failedTestRetries).toBe(0);
+
+      const saved = await saveTestingSettings({ coverageTarget: 80, failedTestRetries: 2 });
+      expect(saved).toEqual({ coverageTarget: 80, failedTestRetries: 2 });
+
+      const kept = await saveTestingSettings({ coverageTarget: 90 });
+      expect(kept).toEqual({ coverageTarget: 90, failedTestRetries: 2 });
+      expect(await getTestingSettings()).toEqual({ coverageTarget: 90, failedTestRetries: 2 });
+
+      expect((await saveTestingSettings({ coverageTarget: 90, failedTestRetries: 12 })).failedTestRetries).toBe(3);
+      expect((await saveTestingSettings({ coverageTarget: 90, failedTestRetries: 'x' })).failedTestRetries).toBe(0);
+    });
+
     test('should normalize invalid testing coverage target to default', async () => {
       const saved = await saveTestingSettings({ coverageTarget: 5 });
       expect(saved.coverageTarget).toBe(50);
@@ -0,0 +1,218 @@
+import path from 'node:path';
+import { describe, expect, test } from 'vitest';
+import {
+  __testExports__,
+  listCoverageTargets,
+  listFileCoverageSummary,
+  readFileCoverage,
+  resolveWorkspaceForFile,
+  toLineRanges
+} from '../services/branchWorkflow/testsApi/fileCoverage.js';
+import { extractLineCoverage } from '../services/branchWorkflow/testsApi/coverageUtils.js';
+
+const projectRoot = '/repo/project';
+const frontend = { name: 'frontend', cwd: '/repo/project/frontend', kind: 'node' };
+const backend = { name: 'backend', cwd: '/repo/project/backend', kind: 'python' };
+const root = { name: 'root', cwd: projectRoot, kind: 'node' };
+
+const pctEntry = (value) => ({
+  lines: { pct: value },
+  statements: { pct: value },
+  functions: { pct: value },
+  branches: { pct: value }
+});
+
+const makeReadJsonIfExists = (files) => async (filePath) => files[filePath] ?? null;
+
+const reports = {
+  '/repo/project/frontend/coverage/coverage-summary.json': {
+    total: pctEntry(70),
+    '/repo/project/frontend/src/full.js': pctEntry(100),
+    '/repo/project/frontend/src/half.js': pctEntry(50),
+    '/repo/project/frontend/src/half.test.js': pctEntry(10),
+    '/repo/project/frontend/src/styles.css': pctEntry(0),
+    '/repo/project/frontend/src/broken.js': { lines: {} }
+  },
+  '/repo/project/frontend/coverage/coverage-final.json': {
+    '/repo/project/frontend/src/half.js': { l: { 1: 1, 2: 0, 3: 0, 7: 0 } }
+  },
+  '/repo/project/backend/coverage.json': {
+    files: {
+      'app/main.py': {
+        summary: { percent_covered: 33.3333 },
+        executed_lines: [1, 2, 3],
+        missing_lines: [10, 11],
+        missing_branches: [[2, 10], [2, 11], [1, 5], [10, 12], 'bad']
+      },
+      'tests/test_main.py': { summary: { percent_covered: 100 } },
+      'app/bad.py': { summary: {} },
+      'app/none.py': { summary: { percent_covered: 90 } }
+    }
+  }
+};
+
+describe('fileCoverage', () => {
+  test('toLineRanges collapses consecutive lines', () => {
+    expect(toLineRanges([7, 2, 3, 3, 4, 'x', 0, 10])).toEqual([
+      { start: 2, end: 4 },
+      { start: 7, end: 7 },
+      { start: 10, end: 10 }
+    ]);
+    expect(toLineRanges(null)).toEqual([]);
+  });
+
+  test('resolveWorkspaceForFile picks the most specific workspace', () => {
+    expect(resolveWorkspaceForFile({ workspaces: [root, frontend], projectRoot, path, filePath: './frontend/src/a.js' }))
+      .toEqual({ workspace: frontend, relativePath: 'src/a.js' });
+    expect(resolveWorkspaceForFile({ workspaces: [root, frontend], projectRoot, path, filePath: 'lib/a.js' }))
+      .toEqual({ workspace: root, relativePath: 'lib/a.js' });
+    expect(resolveWorkspaceForFile({ workspaces: [frontend], projectRoot, path, filePath: 'backend/a.js' })).toBeNull();
+    expect(resolveWorkspaceForFile({ workspaces: null, projectRoot, path, filePath: 'a.js' })).toBeNull();
+  });
+
+  test('readFileCoverage reads node and python reports', async () => {
+    const readJsonIfExists = makeReadJsonIfExists(reports);
+
+    expect(await readFileCoverage({ path, workspace: frontend, relativePath: 'src/half.js', readJsonIfExists })).toEqual({
+      totals: { lines: 50, statements: 50, functions: 50, branches: 50 },
+      uncoveredLines: [2, 3, 7],
+      coveredLines: [1],
+      partialLines: []
+    });
+    expect(await readFileCoverage({ path, workspace: frontend, relativePath: 'src/missing.js', readJsonIfExists })).toBeNull();
+    expect(await readFileCoverage({ path, workspace: backend, relativePath: 'app/main.py', readJsonIfExists })).toEqual({
+      totals: { lines: 33.33, statements: 33.33, functions: null, branches: null },
+      uncoveredLines: [10, 11],
+      coveredLines: [3],
+      partialLines: [1, 2]
+    });
+    expect((await readFileCoverage({ path, workspace: backend, relativePath: 'app/none.py', readJsonIfExists })).uncoveredLines)
+      .toEqual([]);
+    expect(await readFileCoverage({ path, workspace: backend, relativePath: 'app/bad.py', readJsonIfExists })).toBeNull();
+    expect(await readFileCoverage({ path, workspace: backend, relativePath: 'app/main.py', readJsonIfExists: async () => null }))
+      .toBeNull();
+  });
+
+  test('listCoverageTargets returns uncovered source files, least covered first', async () => {
+    const targets = await listCoverageTargets({
+      projectRoot,
+      workspaces: [frontend, backend],
+      path,
+      readJsonIfExists: makeReadJsonIfExists(reports)
+    });
+
+    expect(targets).toEqual([
+      {
+        workspace: 'backend',
+        file: 'backend/app/main.py',
+        coverage: { lines: 33.33, statements: 33.33, functions: null, branches: null },
+        uncoveredRanges: [{ start: 10, end: 11 }]
+      },
+      {
+        workspace: 'frontend',
+        file: 'frontend/src/half.js',
+        coverage: { lines: 50, statements: 50, functions: 50, branches: 50 },
+        uncoveredRanges: [{ start: 2, end: 3 }, { start: 7, end: 7 }]
+      },
+      {
+        workspace: 'backend',
+        file: 'backend/app/none.py',
+        coverage: { lines: 90, statements: 90, functions: null, branches: null },
+        uncoveredRanges: []
+      }
+    ]);
+
+    const limited = await listCoverageTargets({
+      projectRoot,
+      workspaces: [frontend],
+      path,
+      readJsonIfExists: makeReadJsonIfExists(reports),
+      maxFiles: 0
+    });
+    expect(limited).toEqual([]);
+  });
+
+  test('listCoverageTargets handles root workspaces, relative keys and missing reports', async () => {
+    const targets = await listCoverageTargets({
+      projectRoot,
+      workspaces: [root, backend],
+      path,
+      readJsonIfExists: makeReadJsonIfExists({
+        '/repo/project/coverage/coverage-summary.json': { 'lib/a.js': pctEntry(20), '../outside.js': pctEntry(0) },
+        '/repo/project/coverage/coverage-final.json': { 'lib/a.js': { l: { 4: 0, 5: 1 } } }
+      })
+    });
+
+    expect(targets).toEqual([
+      {
+        workspace: 'root',
+        file: 'lib/a.js',
+        coverage: { lines: 20, statements: 20, functions: 20, branches: 20 },
+        uncoveredRanges: [{ start: 4, end: 4 }]
+      }
+    ]);
+    expect(await listCoverageTargets({ projectRoot, workspaces: null, path, readJsonIfExists: async () => null })).toEqual([]);
+  });
+
+  test('listFileCoverageSummary lists the line coverage of every reported file', async () => {
+    const files = await listFileCoverageSummary({
+      projectRoot,
+      workspaces: [frontend, backend],
+      path,
+      readJsonIfExists: makeReadJsonIfExists(reports)
+    });
+
+    expect(files).toEqual([
+      { workspace: 'backend', file: 'backend/app/main.py', lines: 33.33 },
+      { workspace: 'backend', file: 'backend/app/none.py', lines: 90 },
+      { workspace: 'backend', file: 'backend/tests/test_main.py', lines: 100 },
+      { workspace: 'frontend', file: 'frontend/src/full.js', lines: 100 },
+      { workspace: 'frontend', file: 'frontend/src/half.js', lines: 50 },
+      { workspace: 'frontend', file: 'frontend/src/half.test.js', lines: 10 },
+      { workspace: 'frontend', file: 'frontend/src/styles.css', lines: 0 }
+    ]);
+
+    const rootFiles = await listFileCoverageSummary({
+      projectRoot,
+      workspaces: [root, backend],
+      path,
+      readJsonIfExists: makeReadJsonIfExists({
+        '/repo/project/coverage/coverage-summary.json': { 'lib/a.js': pctEntry(20), '../outside.js': pctEntry(0), '': pctEntry(5) }
+      })
+    });
+    expect(rootFiles).toEqual([{ workspace: 'root', file: 'lib/a.js', lines: 20 }]);
+    expect(await listFileCoverageSummary({ projectRoot, workspaces: null, path, readJsonIfExists: async () => null })).toEqual([]);
+  });
+
+  test('extractLineCoverage splits statement and branch counts into line states', () => {
+    const entry = {
+      statementMap: {
+        0: { start: { line: 1 }, end: { line: 1 } },
+        1: { start: { line: 2 }, end: { line: 2 } },
+        2: { start: { line: 3 }, end: { line: 3 } },
+        3: { start: { line: 5 }, end: { line: 5 } },
+        4: { start: {}, end: {} }
+      },
+      s: { 0: 2, 1: 1, 2: 0, 3: 1, 4: 1 },
+      branchMap: {
+        0: { loc: { start: { line: 2 } } },
+        1: { line: 5 },
+        2: { line: 3 },
+        3: { loc: {} },
+        4: { line: 1 }
+      },
+      b: { 0: [1, 0], 1: [2, 3], 2: [1, 0], 3: [0, 1], 4: 'bad' }
+    };
+
+    expect(extractLineCoverage(entry)).toEqual({ coveredLines: [1, 5], partialLines: [2], uncoveredLines: [3] });
+    expect(extractLineCoverage({ l: { 1: 1, 2: 0 } })).toEqual({ coveredLines: [1], partialLines: [], uncoveredLines: [2] });
+    expect(extractLineCoverage({})).toEqual({ coveredLines: [], partialLines: [], uncoveredLines: [] });
+    expect(extractLineCoverage(null)).toEqual({ coveredLines: [], partialLines: [], uncoveredLines: [] });
+  });
+
+  test('internal helpers tolerate malformed entries', () => {
+    expect(__testExports__.findEntry(null, 'a.js')).toBeNull();
+    expect(__testExports__.findEntry({ 'a.js': 'nope' }, 'a.js')).toBeNull();
+    expect(__testExports__.summarizeNodeEntry(null)).toBeNull();
+  });
+});
@@ -0,0 +1,333 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { execFileSync } from 'child_process';
+import {
+  listSearchableFiles,
+  matchesAnyGlob,
+  normalizeSearchOptions,
+  parseGlobList,
+  previewProjectReplace,
+  searchProjectFiles
+} from '../routes/projects/fileSearch.js';
+import {
+  FileSearchError,
+  SEARCH_LIMITS,
+  buildSearchPattern,
+  findMatchesInContent,
+  replaceInContent
+} from '../routes/projects/fileSearchMatching.js';
+
+const writeFiles = async (root, files) => {
+  for (const [relativePath, content] of Object.entries(files)) {
+    const fullPath = path.join(root, relativePath);
+    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.writeFile(fullPath, content);
+  }
+};
+
+const pattern = (query, flags = {}) => buildSearchPattern({ query, ...flags });
+
+describe('fileSearch helpers', () => {
+  test('normalizes search options from JSON or query-string values', () => {
+    const options = normalizeSearchOptions({
+      query: 'foo',
+      regex: 'true',
+      caseSensitive: true,
+      wholeWord: 'false',
+      include: 'src, *.js',
+      exclude: ['dist', 'tests']
+    });
+
+    expect(options).toEqual(expect.objectContaining({ query: 'foo', regex: true, caseSensitive: true, wholeWord: false }));
+    expect(options.include).toHaveLength(2);
+    expect(options.exclude).toHaveLength(2);
+    expect(normalizeSearchOptions({ query: 'x' })).toEqual(expect.objectContaining({ include: [], exclude: [] }));
+  });
+
+  test('rejects empty, oversized and invalid queries', () => {
+    expect(() => normalizeSearchOptions()).toThrow('Search query is required');
+    expect(() => normalizeSearchOptions({ query: 42 })).toThrow(FileSearchError);
+    expect(() => normalizeSearchOptions({ query: 'x'.repeat(SEARCH_LIMITS.maxQueryLength + 1) }))
+      .toThrow(`Search query must be ${SEARCH_LIMITS.maxQueryLength} characters or fewer`);
+    expect(() => pattern('(', { regex: true })).toThrow(/^Invalid regular expression:/);
+  });
+
+  test('builds literal, regex, case-sensitive and whole-word patterns', () => {
+    expect('a.b axb'.match(pattern('a.b'))).toEqual(['a.b']);
+    expect('a.b axb'.match(pattern('a.b', { regex: true }))).toEqual(['a.b', 'axb']);
+    expect('Foo foo'.match(pattern('foo'))).toEqual(['Foo', 'foo']);
+    expect('Foo foo'.match(pattern('foo', { caseSensitive: true }))).toEqual(['foo']);
+    expect('food foo'.match(pattern('foo', { wholeWord: true }))).toEqual(['foo']);
+  });
+
+  test('matches globs by path, file name and folder', () => {
+    const matches = (glob, repoPath) => matchesAnyGlob(repoPath, parseGlobList(glob));
+
+    expect(matches('*.js', 'src/deep/file.js')).toBe(true);
+    expect(matches('*.js', 'src/file.jsx')).toBe(false);
+    expect(matches('src/*.js', 'src/file.js')).toBe(true);
+    expect(matches('src/*.js', 'src/deep/file.js')).toBe(false);
+    expect(matches('src/**/*.js', 'src/file.js')).toBe(true);
+    expect(matches('src/**/*.js', 'src/a/b/file.js')).toBe(true);
+    expect(matches('src/**', 'src/a/b/file.js')).toBe(true);
+    expect(matches('./src/', 'src/a/file.js')).toBe(true);
+    expect(matches('components', 'src/components/Button.jsx')).toBe(true);
+    expect(matches('*.{js,ts}', 'lib/index.ts')).toBe(true);
+    expect(matches('*.{js,ts}, *.md', 'README.md')).toBe(true);
+    expect(matches('file?.txt', 'file1.txt')).toBe(true);
+    expect(matches('file?.txt', 'file10.txt')).toBe(false);
+    expect(matches('a}b', 'a}b')).toBe(true);
+    expect(matches('src\\utils', 'src/utils/x.js')).toBe(true);
+    expect(parseGlobList(undefined)).toEqual([]);
+    expect(parseGlobList(' , ')).toEqual([]);
+  });
+
+  test('finds matches line by line with columns and previews', () => {
+    const content = 'const foo = 1;\r\nfoo(foo);\n\nbar';
+
+    expect(findMatchesInContent(content, pattern('foo'))).toEqual([
+      { line: 1, column: 7, length: 3, preview: 'const foo = 1;', previewOffset: 0 },
+      { line: 2, column: 1, length: 3, preview: 'foo(foo);', previewOffset: 0 },
+      { line: 2, column: 5, length: 3, preview: 'foo(foo);', previewOffset: 0 }
+    ]);
+    expect(findMatchesInContent(content, pattern('foo'), 2)).toHaveLength(2);
+    expect(findMatchesInContent(content, pattern('^', { regex: true }))).toEqual([]);
+    expect(findMatchesInContent(content, pattern('o*', { regex: true })).map((match) => match.length)).toEqual([1, 2, 2, 2]);
+  });
+
+  test('cuts long lines to a window around the match', () => {
+    const line = `${'a'.repeat(500)}needle${'b'.repeat(500)}`;
+    const [match] = findMatchesInContent(line, pattern('needle'));
+
+    expect(match.column).toBe(501);
+    expect(match.previewOffset).toBe(460);
+    expect(match.preview).toHaveLength(SEARCH_LIMITS.maxPreviewChars);
+    expect(match.preview.slice(match.column - 1 - match.previewOffset, 46)).toBe('needle');
+
+    const [atEnd] = findMatchesInContent(`${'a'.repeat(500)}needle`, pattern('needle'));
+    expect(atEnd.previewOffset).toBe(506 - SEARCH_LIMITS.maxPreviewChars);
+  });
+
+  test('replaces literal text as typed and keeps line endings', () => {
+    const result = replaceInContent('foo $1\r\nbar foo\nfoo', pattern('foo'), '$&x', { regex: false });
+
+    expect(result.content).toBe('$&x $1\r\nbar $&x\n$&x');
+    expect(result.count).toBe(3);
+    expect(result.changes).toEqual([
+      { line: 1, before: 'foo $1', after: '$&x $1' },
+      { line: 2, before: 'bar foo', after: 'bar $&x' },
+      { line: 3, before: 'foo', after: '$&x' }
+    ]);
+  });
+
+  test('expands replacement references in regex mode', () => {
+    const replace = (content, query, replacement) => (
+      replaceInContent(content, pattern(query, { regex: true, caseSensitive: true }), replacement, { regex: true }).content
+    );
+
+    expect(replace('ab-cd', '(\\w)(\\w)', '$2$1')).toBe('ba-dc');
+    expect(replace('ab', '(?<first>a)', '[$<first>|$<missing>]')).toBe('[a|]b');
+    expect(replace('xay', 'a', '$`|$\'|$&|$$')).toBe('xx|y|a|$y');
+    expect(replace('ab', '(a)', '$10')).toBe('a0b');
+    expect(replace('ab', '(a)', '$2 $0')).toBe('$2 $0b');
+    expect(replace('ab', '(x)?b', '[$1]')).toBe('a[]');
+    expect(replace('ab', '(x)?b', '$10')).toBe('a0');
+    expect(replace('ab', '(x)?(a)', '[$1$2]')).toBe('[a]b');
+    expect(replace('abc', '(?<=a)b', 'B')).toBe('aBc');
+    expect(replace('abc', 'x*', '-')).toBe('abc');
+  });
+});
+
+describe('project file search', () => {
+  let projectPath;
+
+  beforeEach(async () => {
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'lucidcoder-file-search-'));
+    await writeFiles(projectPath, {
+      '.gitignore': 'generated/\n*.log\n',
+      'src/app.js': 'const greeting = "hello";\nexport default greeting;\n',
+      'src/util.ts': 'export const hello = () => "Hello";\n',
+      'generated/out.js': 'hello from build output\n',
+      'debug.log': 'hello log\n',
+      'node_modules/pkg/index.js': 'hello dependency\n',
+      'package-lock.json': '{"hello": true}\n',
+      '.env': 'SECRET=hello\n',
+      'docs/readme.md': 'Say hello.\n',
+      'assets/blob.bin': 'hello\0binary'
+    });
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await fs.rm(projectPath, { recursive: true, force: true });
+  });
+
+  const initGitRepo = () => {
+    execFileSync('git', ['init', '-q'], { cwd: projectPath });
+  };
+
+  test('lists files git does not ignore, minus the agents\' ignored paths', async () => {
+    initGitRepo();
+
+    expect(await listSearchableFiles({ fs, projectPath })).toEqual([
+      '.gitignore',
+      'assets/blob.bin',
+      'docs/readme.md',
+      'src/app.js',
+      'src/util.ts'
+    ]);
+  });
+
+  test('walks folders that are not git repositories', async () => {
+    const outside = await fs.mkdtemp(path.join(os.tmpdir(), 'lucidcoder-file-search-plain-'));
+    try {
+      await writeFiles(outside, { 'a.txt': 'hello', 'node_modules/x.js': 'hello', 'b/c.txt': 'hello' });
+      await fs.symlink(path.join(outside, 'a.txt'), path.join(outside, 'link.txt'));
+
+      const files = await listSearchableFiles({ fs, projectPath: outside });
+
+      expect(files).toEqual(['a.txt', 'b/c.txt']);
+    } finally {
+      await fs.rm(outside, { recursive: true, force: true });
+    }
+  });
+
+  test('streams file results and skips binary and ignored files', async () => {
+    initGitRepo();
+    const onFile = vi.fn();
+
+    const summary = await searchProjectFiles({
+      fs,
+      projectPath,
+      options: normalizeSearchOptions({ query: 'hello' }),
+      onFile
+    });
+
+    expect(onFile.mock.calls.map(([result]) => result.path)).toEqual(['docs/readme.md', 'src/app.js', 'src/util.ts']);
+    expect(onFile.mock.calls[2][0].matches).toEqual([
+      expect.objectContaining({ line: 1, column: 14 }),
+      expect.objectContaining({ line: 1, column: 29 })
+    ]);
+    expect(summary).toEqual({ filesSearched: 4, fileCount: 3, matchCount: 4, truncated: false });
+  });
+
+  test('applies include and exclude globs', async () => {
+    initGitRepo();
+    const onFile = vi.fn();
+
+    await searchProjectFiles({
+      fs,
+      projectPath,
+      options: normalizeSearchOptions({ query: 'hello', include: 'src', exclude: '*.ts' }),
+      onFile
+    });
+
+    expect(onFile.mock.calls.map(([result]) => result.path)).toEqual(['src/app.js']);
+  });
+
+  test('stops at the match limit or when cancelled', async () => {
+    initGitRepo();
+    await writeFiles(projectPath, { 'src/many.txt': 'hello\n'.repeat(SEARCH_LIMITS.maxMatches) });
+
+    const limited = await searchProjectFiles({
+      fs,
+      projectPath,
+      options: normalizeSearchOptions({ query: 'hello' }),
+      onFile: vi.fn()
+    });
+    expect(limited.matchCount).toBe(SEARCH_LIMITS.maxMatches);
+    expect(limited.truncated).toBe(true);
+
+    const onFile = vi.fn();
+    const cancelled = await searchProjectFiles({
+      fs,
+      projectPath,
+      options: normalizeSearchOptions({ query: 'hello' }),
+      onFile,
+      shouldCancel: () => onFile.mock.calls.length > 0
+    });
+    expect(onFile).toHaveBeenCalledTimes(1);
+    expect(cancelled.truncated).toBe(false);
+  });
+
+  test('skips files that are too large or disappear while searching', async () => {
+    initGitRepo();
+    await writeFiles(projectPath, { 'src/huge.txt': `hello${'x'.repeat(SEARCH_LIMITS.maxFileBytes)}` });
+    const realLstat = fs.lstat.bind(fs);
+    const flakyFs = {
+      ...fs,
+      lstat: vi.fn((fullPath) => (fullPath.endsWith('app.js')
+        ? Promise.reject(Object.assign(new Error('gone'), { code: 'ENOENT' }))
+        : realLstat(fullPath)))
+    };
+    const onFile = vi.fn();
+
+    await searchProjectFiles({ fs: flakyFs, projectPath, options: normalizeSearchOptions({ query: 'hello' }), onFile });
+
+    expect(onFile.mock.calls.map(([result]) => result.path)).toEqual(['docs/readme.md', 'src/util.ts']);
+  });
+
+  test('matches regular expressions off the main thread', async () => {
+    initGitRepo();
+    const options = normalizeSearchOptions({ query: 'h(el)lo', regex: true, include: 'src' });
+    const onFile = vi.fn();
+
+    const summary = await searchProjectFiles({ fs, projectPath, options, onFile });
+    const files = await previewProjectReplace({ fs, projectPath, options, replacement: '<$1>' });
+
+    expect(onFile.mock.calls.map(([result]) => result.path)).toEqual(['src/app.js', 'src/util.ts']);
+    expect(onFile.mock.calls[0][0].matches).toEqual([expect.objectContaining({ line: 1, column: 19, length: 5 })]);
+    expect(summary).toEqual({ filesSearched: 2, fileCount: 2, matchCount: 3, truncated: false });
+    expect(files.map((file) => file.content)).toEqual([
+      'const greeting = "<el>";\nexport default greeting;\n',
+      'export const <el> = () => "<el>";\n'
+    ]);
+  });
+
+  test('stops searches and replacements that run past the time limit', async () => {
+    initGitRepo();
+    await writeFiles(projectPath, { 'src/slow.txt': `${'a'.repeat(40)}!\n` });
+    const { maxSearchMs } = SEARCH_LIMITS;
+    SEARCH_LIMITS.maxSearchMs = 200;
+    try {
+      const startedAt = Date.now();
+      const backtracking = normalizeSearchOptions({ query: '(a+)+$', regex: true });
+      await expect(searchProjectFiles({ fs, projectPath, options: backtracking, onFile: vi.fn() }))
+        .rejects.toThrow(FileSearchError);
+      await expect(previewProjectReplace({ fs, projectPath, options: backtracking, replacement: 'b' }))
+        .rejects.toThrow('Search stopped after 0.2 seconds; narrow it with include globs or a simpler pattern');
+      expect(Date.now() - startedAt).toBeLessThan(5000);
+
+      SEARCH_LIMITS.maxSearchMs = -1;
+      const literal = normalizeSearchOptions({ query: 'hello' });
+      await expect(searchProjectFiles({ fs, projectPath, options: literal, onFile: vi.fn() })).rejects.toThrow(FileSearchError);
+      await expect(previewProjectReplace({ fs, projectPath, options: literal, replacement: 'hi' })).rejects.toThrow(FileSearchError);
+    } finally {
+      SEARCH_LIMITS.maxSearchMs = maxSearchMs;
+    }
+  });
+
+  test('previews replacements for matching files, optionally limited to some paths', async () => {
+    initGitRepo();
+    const options = normalizeSearchOptions({ query: 'hello', caseSensitive: true });
+
+    const files = await previewProjectReplace({ fs, projectPath, options, replacement: 'hi' });
+    expect(files).toEqual([
+      {
+        path: 'docs/readme.md',
+        replacements: 1,
+        changes: [{ line: 1, before: 'Say hello.', after: 'Say hi.' }],
+        content: 'Say hi.\n'
+      },
+      expect.objectContaining({ path: 'src/app.js', replacements: 1, content: 'const greeting = "hi";\nexport default greeting;\n' }),
+      expect.objectContaining({ path: 'src/util.ts', replacements: 1, content: 'export const hi = () => "Hello";\n' })
+    ]);
+
+    const limited = await previewProjectReplace({ fs, projectPath, options, replacement: 'hi', paths: ['./src/app.js'] });
+    expect(limited.map((file) => file.path)).toEqual(['src/app.js']);
+
+    expect(await fs.readFile(path.join(projectPath, 'src/app.js'), 'utf-8')).toContain('hello');
+  });
+});
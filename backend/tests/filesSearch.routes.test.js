@@ -0,0 +1,295 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+vi.mock('../database.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, getProject: vi.fn(actual.getProject) };
+});
+
+import projectRoutes from '../routes/projects.js';
+import { initializeDatabase, closeDatabase, createProject, getProject } from '../database.js';
+import { setFsModuleOverride, resetFsModuleOverride } from '../routes/projects/internals.js';
+import { SEARCH_LIMITS } from '../routes/projects/fileSearchMatching.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/projects', projectRoutes);
+
+const parseEvents = (text) => text
+  .split('\n\n')
+  .filter(Boolean)
+  .map((block) => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+  });
+
+describe('Projects files-search routes', () => {
+  let project;
+  let projectPath;
+  let originalProjectsDir;
+  let managedProjectsDir;
+
+  beforeAll(async () => {
+    originalProjectsDir = process.env.PROJECTS_DIR;
+    managedProjectsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lucidcoder-managed-projects-'));
+    process.env.PROJECTS_DIR = managedProjectsDir;
+    await initializeDatabase();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+
+    process.env.PROJECTS_DIR = originalProjectsDir;
+    await fs.rm(managedProjectsDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    projectPath = await fs.mkdtemp(path.join(managedProjectsDir, 'lucidcoder-test-project-files-search-'));
+    await fs.mkdir(path.join(projectPath, 'src'), { recursive: true });
+    await fs.writeFile(path.join(projectPath, 'src', 'App.jsx'), 'const title = "Hello";\nexport default title;\n');
+    await fs.writeFile(path.join(projectPath, 'src', 'util.js'), 'export const hello = () => "hello";\n');
+    await fs.writeFile(path.join(projectPath, 'README.md'), '# Nothing to see\n');
+
+    project = await createProject({
+      name: `files-search-${Date.now()}`,
+      description: 'Files search route test',
+      language: 'javascript',
+      framework: 'react',
+      path: projectPath
+    });
+  });
+
+  afterEach(async () => {
+    resetFsModuleOverride();
+    vi.restoreAllMocks();
+    await fs.rm(projectPath, { recursive: true, force: true });
+  });
+
+  test('streams matching files and a summary', async () => {
+    const response = await request(app)
+      .post(`/api/projects/${project.id}/files-search`)
+      .send({ query: 'hello' })
+      .expect(200);
+
+    expect(response.headers['content-type']).toContain('text/event-stream');
+    const events = parseEvents(response.text);
+    expect(events.map((entry) => entry.event)).toEqual(['file', 'file', 'done']);
+    expect(events[0].data).toEqual({
+      path: 'src/App.jsx',
+      matches: [{ line: 1, column: 16, length: 5, preview: 'const title = "Hello";', previewOffset: 0 }]
+    });
+    expect(events[1].data.path).toBe('src/util.js');
+    expect(events[1].data.matches).toHaveLength(2);
+    expect(events[2].data).toEqual({ filesSearched: 3, fileCount: 2, matchCount: 3, truncated: false });
+  });
+
+  test('applies the search toggles and globs', async () => {
+    const response = await request(app)
+      .post(`/api/projects/${project.id}/files-search`)
+      .send({ query: 'hel+o', regex: true, caseSensitive: true, include: 'src/**', exclude: '*.jsx' })
+      .expect(200);
+
+    const events = parseEvents(response.text);
+    expect(events.map((entry) => entry.data.path ?? entry.event)).toEqual(['src/util.js', 'done']);
+    expect(events[1].data.filesSearched).toBe(1);
+  });
+
+  test('rejects invalid search options before streaming', async () => {
+    const missing = await request(app)
+      .post(`/api/projects/${project.id}/files-search`)
+      .send({})
+      .expect(400);
+    expect(missing.body).toEqual({ success: false, error: 'Search query is required' });
+
+    const invalid = await request(app)
+      .post(`/api/projects/${project.id}/files-search`)
+      .send({ query: '(', regex: true })
+      .expect(400);
+    expect(invalid.body.error).toMatch(/^Invalid regular expression/);
+  });
+
+  test('returns 404 for unknown projects and 400 for unusable project paths', async () => {
+    await request(app)
+      .post('/api/projects/999999/files-search')
+      .send({ query: 'hello' })
+      .expect(404);
+
+    getProject.mockResolvedValueOnce({ id: project.id, path: null });
+    const noPath = await request(app)
+      .post(`/api/projects/${project.id}/files-search`)
+      .send({ query: 'hello' })
+      .expect(400);
+    expect(noPath.body.error).toBe('Project path not found. Please re-import or recreate the project.');
+
+    getProject.mockResolvedValueOnce({ id: project.id, path: os.tmpdir() });
+    const outside = await request(app)
+      .post(`/api/projects/${project.id}/files-search`)
+      .send({ query: 'hello' })
+      .expect(400);
+    expect(outside.body.error).toBe('Invalid project path');
+  });
+
+  test('returns 500 when the project lookup fails', async () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    getProject.mockRejectedValueOnce(new Error('db down'));
+
+    const response = await request(app)
+      .post(`/api/projects/${project.id}/files-search`)
+      .send({ query: 'hello' })
+      .expect(500);
+
+    expect(response.body).toEqual({ success: false, error: 'Failed to search project files' });
+    expect(consoleError).toHaveBeenCalledWith('Error searching project files:', expect.any(Error));
+  });
+
+  test('reports failures after streaming starts as an error event', async () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    setFsModuleOverride({
+      ...fs,
+      readdir: async () => {
+        throw new Error('disk gone');
+      }
+    });
+
+    const response = await request(app)
+      .post(`/api/projects/${project.id}/files-search`)
+      .send({ query: 'hello' })
+      .expect(200);
+
+    expect(parseEvents(response.text)).toEqual([
+      { event: 'error', data: { message: 'Failed to search project files' } }
+    ]);
+    expect(consoleError).toHaveBeenCalledWith('Error searching project files:', expect.any(Error));
+  });
+
+  test('reports searches that run past the time limit as an error event', async () => {
+    await fs.writeFile(path.join(projectPath, 'src', 'slow.txt'), `${'a'.repeat(40)}!\n`);
+    const { maxSearchMs } = SEARCH_LIMITS;
+    SEARCH_LIMITS.maxSearchMs = 200;
+    try {
+      const response = await request(app)
+        .post(`/api/projects/${project.id}/files-search`)
+        .send({ query: '(a+)+$', regex: true })
+        .expect(200);
+
+      expect(parseEvents(response.text)).toEqual([
+        {
+          event: 'error',
+          data: { message: 'Search stopped after 0.2 seconds; narrow it with include globs or a simpler pattern' }
+        }
+      ]);
+    } finally {
+      SEARCH_LIMITS.maxSearchMs = maxSearchMs;
+    }
+  });
+
+  test('stops searching once the client disconnects', async () => {
+    let releaseListing;
+    const listingGate = new Promise((resolve) => {
+      releaseListing = resolve;
+    });
+    const readdir = vi.fn(async (...args) => {
+      await listingGate;
+      return fs.readdir(...args);
+    });
+    const lstat = vi.fn(fs.lstat);
+    setFsModuleOverride({ ...fs, readdir, lstat });
+
+    const server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    try {
+      await new Promise((resolve) => {
+        const req = http.request({
+          host: '127.0.0.1',
+          port: server.address().port,
+          method: 'POST',
+          path: `/api/projects/${project.id}/files-search`,
+          headers: { 'Content-Type': 'application/json' }
+        }, () => {
+          req.destroy();
+          resolve();
+        });
+        req.on('error', () => {});
+        req.end(JSON.stringify({ query: 'hello' }));
+      });
+      await vi.waitFor(() => expect(readdir).toHaveBeenCalled());
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      releaseListing();
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      expect(readdir).toHaveBeenCalledTimes(2);
+      expect(lstat).not.toHaveBeenCalled();
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  test('previews replacements without touching the files', async () => {
+    const response = await request(app)
+      .post(`/api/projects/${project.id}/files-search/replace-preview`)
+      .send({ query: 'hello', replacement: 'bye' })
+      .expect(200);
+
+    expect(response.body.success).toBe(true);
+    expect(response.body.replacementCount).toBe(3);
+    expect(response.body.files.map((file) => file.path)).toEqual(['src/App.jsx', 'src/util.js']);
+    expect(response.body.files[0]).toEqual({
+      path: 'src/App.jsx',
+      replacements: 1,
+      changes: [{ line: 1, before: 'const title = "Hello";', after: 'const title = "bye";' }],
+      content: 'const title = "bye";\nexport default title;\n'
+    });
+    await expect(fs.readFile(path.join(projectPath, 'src', 'App.jsx'), 'utf-8'))
+      .resolves.toContain('"Hello"');
+  });
+
+  test('limits the preview to the requested paths', async () => {
+    const response = await request(app)
+      .post(`/api/projects/${project.id}/files-search/replace-preview`)
+      .send({ query: '(h)ello', regex: true, replacement: '$1i', paths: ['src/util.js'] })
+      .expect(200);
+
+    expect(response.body.replacementCount).toBe(2);
+    expect(response.body.files).toEqual([
+      expect.objectContaining({ path: 'src/util.js', content: 'export const hi = () => "hi";\n' })
+    ]);
+  });
+
+  test('validates replace preview requests', async () => {
+    const missing = await request(app)
+      .post(`/api/projects/${project.id}/files-search/replace-preview`)
+      .send({ query: 'hello' })
+      .expect(400);
+    expect(missing.body).toEqual({ success: false, error: 'Replacement text must be a string' });
+
+    const noQuery = await request(app)
+      .post(`/api/projects/${project.id}/files-search/replace-preview`)
+      .send({ replacement: 'bye' })
+      .expect(400);
+    expect(noQuery.body.error).toBe('Search query is required');
+
+    await request(app)
+      .post('/api/projects/999999/files-search/replace-preview')
+      .send({ query: 'hello', replacement: 'bye' })
+      .expect(404);
+  });
+
+  test('returns 500 when the replace preview fails', async () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    getProject.mockRejectedValueOnce(new Error('db down'));
+
+    const response = await request(app)
+      .post(`/api/projects/${project.id}/files-search/replace-preview`)
+      .send({ query: 'hello', replacement: 'bye' })
+      .expect(500);
+
+    expect(response.body).toEqual({ success: false, error: 'Failed to preview replacements' });
+    expect(consoleError).toHaveBeenCalledWith('Error previewing replacements:', expect.any(Error));
+  });
+});
@@ -0,0 +1,323 @@
+import { describe, expect, test, vi } from 'vitest';
+
+import {
+  __testing,
+  compareFileCoverage,
+  isTestFilePath,
+  normalizeAddTestsRequest,
+  runForegroundAddTests
+} from '../services/foregroundAddTestsRunner.js';
+
+const passingRun = () => ({
+  status: 'passed',
+  summary: { coverage: { passed: true } },
+  workspaceRuns: [{ workspace: 'frontend', status: 'succeeded', logs: [] }]
+});
+
+const failingRun = () => ({
+  status: 'failed',
+  workspaceRuns: [
+    { workspace: 'frontend', status: 'failed', logs: ['stdout: FAIL src/a.test.js', 'stderr: expected 1 to be 2'] },
+    { workspace: 'backend', status: 'succeeded', logs: ['stdout: ok'] }
+  ]
+});
+
+const coverage = (lines, extra = {}) => ({
+  workspace: 'frontend',
+  kind: 'node',
+  totals: { lines, statements: lines, functions: lines, branches: lines },
+  uncoveredLines: [4, 5],
+  ...extra
+});
+
+const makeDeps = (overrides = {}) => ({
+  edit: vi.fn(async () => ({ steps: [{ type: 'action', action: 'write_file' }], summary: 'Added tests' })),
+  runTests: vi.fn(async () => passingRun()),
+  readCoverage: vi.fn()
+    .mockResolvedValueOnce(coverage(40))
+    .mockResolvedValue(coverage(80)),
+  listChanges: vi.fn(async () => ['frontend/src/a.test.js']),
+  createBranch: vi.fn(async () => {}),
+  checkout: vi.fn(async () => {}),
+  commit: vi.fn(async () => {}),
+  getHeadSha: vi.fn(async () => 'sha-base'),
+  resetTo: vi.fn(async () => {}),
+  deleteBranch: vi.fn(async () => {}),
+  ...overrides
+});
+
+describe('foregroundAddTestsRunner', () => {
+  test('normalizeAddTestsRequest validates the target, range and iteration budget', () => {
+    expect(normalizeAddTestsRequest({ targetFile: ' ./src\\a.js ', lineRange: { start: 3 } })).toEqual({
+      targetFile: 'src/a.js',
+      lineRange: { start: 3, end: 3 },
+      maxIterations: 3
+    });
+    expect(normalizeAddTestsRequest({ targetFile: 'a.py', maxIterations: 99 }).maxIterations).toBe(5);
+    expect(normalizeAddTestsRequest({ targetFile: 'a.py', maxIterations: 0 }).maxIterations).toBe(1);
+
+    expect(() => normalizeAddTestsRequest()).toThrow('targetFile is required');
+    expect(() => normalizeAddTestsRequest({ targetFile: '../x.js' })).toThrow(/relative/);
+    expect(() => normalizeAddTestsRequest({ targetFile: 'C:/x.js' })).toThrow(/relative/);
+    expect(() => normalizeAddTestsRequest({ targetFile: 'x.js', lineRange: { start: 0 } })).toThrow(/lineRange/);
+    expect(() => normalizeAddTestsRequest({ targetFile: 'x.js', lineRange: { start: 4, end: 2 } })).toThrow(/lineRange/);
+  });
+
+  test('compareFileCoverage reports deltas and treats missing coverage as 0%', () => {
+    const fromNothing = compareFileCoverage(null, coverage(50));
+    expect(fromNothing).toMatchObject({ improved: true, regressed: false, delta: { lines: 50, branches: 50 } });
+
+    const mixed = compareFileCoverage(coverage(50), coverage(60, { totals: { lines: 60, statements: 60, functions: 40, branches: 50 } }));
+    expect(mixed).toMatchObject({ improved: false, regressed: true });
+
+    const python = compareFileCoverage(
+      { totals: { lines: 10, statements: 10, functions: null, branches: null } },
+      { totals: { lines: 30, statements: 30, functions: null, branches: null } }
+    );
+    expect(python.delta).toEqual({ lines: 20, statements: 20, functions: null, branches: null });
+    expect(python.improved).toBe(true);
+
+    expect(compareFileCoverage(coverage(50), coverage(50)).improved).toBe(false);
+  });
+
+  test('__testing helpers build prompts and feedback', () => {
+    const request = { targetFile: 'backend/app.py', lineRange: { start: 2, end: 9 } };
+    const prompt = __testing.buildAddTestsPrompt({
+      basePrompt: ' focus on errors ',
+      request,
+      baseline: coverage(40, { kind: 'python' }),
+      feedback: 'The suite failed.'
+    });
+    expect(prompt).toContain('backend/app.py (lines 2-9)');
+    expect(prompt).toContain('pytest');
+    expect(prompt).toContain('Uncovered lines: 4, 5.');
+    expect(prompt).toContain('Feedback from the previous attempt:\nThe suite failed.');
+    expect(prompt).toContain('User-provided instructions:\nfocus on errors');
+
+    const fresh = __testing.buildAddTestsPrompt({ request: { targetFile: 'src/a.js', lineRange: null }, baseline: null });
+    expect(fresh).toContain('coverage is 0%');
+    expect(fresh).toContain('Vitest or Jest');
+    expect(__testing.buildAddTestsPrompt({ request, baseline: { totals: { lines: 5 } } })).toContain('branches n/a%');
+
+    expect(__testing.buildFeedback({ testRun: failingRun(), comparison: {} })).toContain('failed in frontend. Fix the new tests.\nstdout: FAIL');
+    expect(__testing.buildFeedback({ testRun: { status: 'failed' }, comparison: {} })).toBe('The test suite failed. Fix the new tests.');
+    expect(__testing.buildFeedback({ testRun: { status: 'failed', workspaceRuns: [{ workspace: 'x', status: 'failed' }] }, comparison: {} }))
+      .toBe('The test suite failed in x. Fix the new tests.');
+    expect(__testing.buildFeedback({ testRun: passingRun(), comparison: { regressed: true } })).toMatch(/went down/);
+    expect(__testing.buildFeedback({ testRun: passingRun(), comparison: { regressed: false } })).toMatch(/did not increase/);
+    expect(__testing.countWrites(null)).toBe(0);
+    expect(__testing.createCancelledError(' ').branchName).toBeUndefined();
+    expect(__testing.createCancelledError('feature/x').branchName).toBe('feature/x');
+  });
+
+  test('requires projectId and a valid request', async () => {
+    await expect(runForegroundAddTests()).rejects.toThrow('projectId is required');
+    await expect(runForegroundAddTests({ projectId: 1 })).rejects.toThrow('targetFile is required');
+  });
+
+  test('commits once the new tests pass and the file coverage goes up', async () => {
+    const deps = makeDeps();
+    const events = [];
+
+    const result = await runForegroundAddTests({
+      projectId: 1,
+      targetFile: 'frontend/src/a.js',
+      lineRange: { start: 4, end: 5 },
+      onEvent: (event) => events.push(event),
+      deps
+    });
+
+    expect(result).toMatchObject({
+      status: 'complete',
+      committed: true,
+      iterations: 1,
+      coverage: { file: 'frontend/src/a.js', improved: true, delta: { lines: 40 } }
+    });
+    expect(result.branchName).toMatch(/^feature\/add-tests-/);
+    expect(deps.runTests).toHaveBeenCalledWith(1, result.branchName, expect.objectContaining({
+      real: true,
+      coverageThresholds: { lines: 0, statements: 0, functions: 0, branches: 0 },
+      enforceChangedFileCoverage: false
+    }));
+    expect(deps.edit.mock.calls[0][0].prompt).toContain('frontend/src/a.js (lines 4-5)');
+    expect(deps.commit).toHaveBeenCalledWith(1, result.branchName, {
+      message: 'test: add tests for frontend/src/a.js',
+      autoChangelog: false
+    });
+
+    const coverageEvents = events.filter((entry) => entry.event === 'coverage').map((entry) => entry.data);
+    expect(coverageEvents.map((entry) => [entry.phase, entry.current.lines])).toEqual([['baseline', 40], ['verify', 80]]);
+  });
+
+  test('retries with feedback until the tests pass and coverage rises', async () => {
+    const deps = makeDeps({
+      edit: vi.fn()
+        .mockResolvedValueOnce({ steps: [] })
+        .mockResolvedValue({ steps: [{ type: 'action', action: 'write_file' }] }),
+      runTests: vi.fn()
+        .mockResolvedValueOnce(passingRun())
+        .mockResolvedValueOnce(failingRun())
+        .mockResolvedValue(passingRun()),
+      readCoverage: vi.fn()
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(null)
+        .mockResolvedValue(coverage(25))
+    });
+
+    const result = await runForegroundAddTests({
+      projectId: 2,
+      targetFile: 'src/a.js',
+      options: { maxIterations: 3 },
+      deps
+    });
+
+    expect(result).toMatchObject({ status: 'complete', iterations: 3 });
+    expect(deps.edit.mock.calls[1][0].prompt).toContain('did not write any files');
+    expect(deps.edit.mock.calls[2][0].prompt).toContain('expected 1 to be 2');
+  });
+
+  test('isTestFilePath accepts test files and rejects code under test', () => {
+    expect(isTestFilePath('frontend/src/a.test.jsx')).toBe(true);
+    expect(isTestFilePath('frontend/src/__tests__/App.js')).toBe(true);
+    expect(isTestFilePath('backend\\tests\\test_app.py')).toBe(true);
+    expect(isTestFilePath('backend/app/conftest.py')).toBe(true);
+    expect(isTestFilePath('frontend/src/a.js')).toBe(false);
+    expect(isTestFilePath('backend/app/contest.py')).toBe(false);
+    expect(isTestFilePath(null)).toBe(false);
+  });
+
+  test('rolls back attempts that change non-test files instead of committing them', async () => {
+    const deps = makeDeps({
+      listChanges: vi.fn()
+        .mockResolvedValueOnce(['frontend/src/a.test.js', 'frontend/src/a.js'])
+        .mockResolvedValue(['frontend/src/a.test.js'])
+    });
+    const events = [];
+
+    const result = await runForegroundAddTests({
+      projectId: 5,
+      targetFile: 'frontend/src/a.js',
+      onEvent: (event) => events.push(event),
+      deps
+    });
+
+    expect(result).toMatchObject({ status: 'complete', iterations: 2 });
+    expect(deps.listChanges).toHaveBeenCalledWith(5, { sinceCommit: 'sha-base' });
+    expect(deps.resetTo).toHaveBeenCalledTimes(1);
+    expect(deps.resetTo).toHaveBeenCalledWith(5, result.branchName, { commitSha: 'sha-base', status: 'active' });
+    expect(deps.commit).toHaveBeenCalledTimes(1);
+    expect(deps.edit.mock.calls[1][0].prompt).toContain('changed files that are not tests, so it was rolled back:\n- frontend/src/a.js');
+    expect(events.some((entry) => entry.data?.text?.startsWith('The previous attempt changed files that are not tests'))).toBe(true);
+
+    const noSha = makeDeps({
+      getHeadSha: vi.fn(async () => null),
+      listChanges: vi.fn(async () => null)
+    });
+    expect(await runForegroundAddTests({ projectId: 5, targetFile: 'src/a.js', deps: noSha }))
+      .toMatchObject({ status: 'complete' });
+
+    const stubborn = makeDeps({
+      getHeadSha: vi.fn(async () => null),
+      listChanges: vi.fn(async () => ['src/a.js'])
+    });
+    expect(await runForegroundAddTests({ projectId: 5, targetFile: 'src/a.js', options: { maxIterations: 1 }, deps: stubborn }))
+      .toMatchObject({ status: 'incomplete', committed: false });
+    expect(stubborn.resetTo).not.toHaveBeenCalled();
+    expect(stubborn.commit).not.toHaveBeenCalled();
+  });
+
+  test('rolls back when attempts run out', async () => {
+    const deps = makeDeps({ readCoverage: vi.fn(async () => coverage(40)) });
+
+    const result = await runForegroundAddTests({
+      projectId: 3,
+      targetFile: 'src/a.js',
+      options: { maxIterations: 2 },
+      deps
+    });
+
+    expect(result).toMatchObject({
+      status: 'incomplete',
+      reason: 'max-iterations',
+      committed: false,
+      iterations: 2,
+      canDeleteBranch: true,
+      coverage: { improved: false }
+    });
+    expect(deps.edit.mock.calls[1][0].prompt).toContain('did not increase');
+    expect(deps.resetTo).toHaveBeenCalledWith(3, result.branchName, { commitSha: 'sha-base', status: 'active' });
+    expect(deps.commit).not.toHaveBeenCalled();
+
+    const noSha = makeDeps({ readCoverage: vi.fn(async () => null), getHeadSha: vi.fn(async () => null) });
+    await runForegroundAddTests({ projectId: 3, targetFile: 'src/a.js', options: { maxIterations: 1 }, deps: noSha });
+    expect(noSha.resetTo).not.toHaveBeenCalled();
+  });
+
+  test('refuses to start when the baseline fails and deletes the branch', async () => {
+    const deps = makeDeps({ runTests: vi.fn(async () => failingRun()) });
+    const result = await runForegroundAddTests({ projectId: 4, targetFile: 'src/a.js', deps });
+    expect(result).toMatchObject({ status: 'refused', reason: 'baseline-failed', branchDeleted: true });
+    expect(deps.edit).not.toHaveBeenCalled();
+
+    const stuck = makeDeps({
+      runTests: vi.fn(async () => failingRun()),
+      deleteBranch: vi.fn(async () => {
+        throw new Error('locked');
+      })
+    });
+    expect(await runForegroundAddTests({ projectId: 4, targetFile: 'src/a.js', deps: stuck }))
+      .toMatchObject({ status: 'refused', branchDeleted: false });
+  });
+
+  test('returns cancelled when the caller cancels', async () => {
+    const early = await runForegroundAddTests({
+      projectId: 5,
+      targetFile: 'src/a.js',
+      shouldCancel: () => true,
+      deps: makeDeps()
+    });
+    expect(early).toEqual({ status: 'cancelled', branchName: null, canDeleteBranch: false });
+
+    let checks = 0;
+    const late = await runForegroundAddTests({
+      projectId: 5,
+      targetFile: 'src/a.js',
+      shouldCancel: () => {
+        checks += 1;
+        return checks > 2;
+      },
+      deps: makeDeps()
+    });
+    expect(late).toMatchObject({ status: 'cancelled', canDeleteBranch: true });
+  });
+
+  test('reports failures after the branch exists and rethrows earlier ones', async () => {
+    const failed = await runForegroundAddTests({
+      projectId: 6,
+      targetFile: 'src/a.js',
+      deps: makeDeps({
+        edit: vi.fn(async () => {
+          throw new Error('LLM offline');
+        })
+      })
+    });
+    expect(failed).toMatchObject({ status: 'failed', message: 'LLM offline', canDeleteBranch: true });
+
+    const blank = await runForegroundAddTests({
+      projectId: 6,
+      targetFile: 'src/a.js',
+      deps: makeDeps({ edit: vi.fn().mockRejectedValue({}) })
+    });
+    expect(blank.message).toBe('Add tests failed');
+
+    await expect(runForegroundAddTests({
+      projectId: 6,
+      targetFile: 'src/a.js',
+      deps: makeDeps({
+        createBranch: vi.fn(async () => {
+          throw new Error('git unavailable');
+        })
+      })
+    })).rejects.toThrow('git unavailable');
+  });
+});
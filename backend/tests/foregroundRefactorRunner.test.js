@@ -0,0 +1,263 @@
+import { describe, expect, test, vi } from 'vitest';
+
+import {
+  __testing,
+  compareVerificationRuns,
+  normalizeRefactorRequest,
+  runForegroundRefactor
+} from '../services/foregroundRefactorRunner.js';
+import { jobEvents } from '../services/jobRunner.js';
+
+const passingRun = (totals = { lines: 100, statements: 100, functions: 100, branches: 100 }) => ({
+  status: 'passed',
+  summary: { coverage: { passed: true, totals } },
+  workspaceRuns: [{ workspace: 'frontend', status: 'succeeded' }]
+});
+
+const makeDeps = (overrides = {}) => ({
+  edit: vi.fn(async () => ({ steps: [{ type: 'action', action: 'write_file' }], summary: 'Renamed helper' })),
+  runTests: vi.fn(async () => passingRun()),
+  createBranch: vi.fn(async () => {}),
+  checkout: vi.fn(async () => {}),
+  commit: vi.fn(async () => {}),
+  getHeadSha: vi.fn(async () => 'sha-base'),
+  resetTo: vi.fn(async () => {}),
+  deleteBranch: vi.fn(async () => {}),
+  ...overrides
+});
+
+const baseRequest = {
+  projectId: 1,
+  refactorType: 'rename-symbol',
+  scope: { type: 'folder', path: './src/utils/' },
+  symbolName: 'formatDate',
+  newName: 'formatIsoDate'
+};
+
+describe('foregroundRefactorRunner', () => {
+  test('normalizeRefactorRequest validates scope and type', () => {
+    expect(normalizeRefactorRequest(baseRequest)).toEqual({
+      scope: { type: 'folder', path: 'src/utils' },
+      refactorType: 'rename-symbol',
+      symbolName: 'formatDate',
+      newName: 'formatIsoDate',
+      moduleName: ''
+    });
+    expect(normalizeRefactorRequest({ refactorType: 'simplify', scope: { type: 'repo', path: 'ignored' } }).scope)
+      .toEqual({ type: 'repo', path: '' });
+
+    expect(() => normalizeRefactorRequest({ refactorType: 'rewrite', scope: { type: 'repo' } })).toThrow(/refactorType/);
+    expect(() => normalizeRefactorRequest({ refactorType: 'simplify', scope: { type: 'module' } })).toThrow(/scope.type/);
+    expect(() => normalizeRefactorRequest({ refactorType: 'simplify', scope: { type: 'file' } })).toThrow('scope.path is required for file refactors');
+    expect(() => normalizeRefactorRequest({ refactorType: 'simplify', scope: { type: 'file', path: 'C:\\x.js' } })).toThrow(/relative/);
+    expect(() => normalizeRefactorRequest({ refactorType: 'simplify', scope: { type: 'file', path: '/etc/passwd' } })).toThrow(/relative/);
+    expect(() => normalizeRefactorRequest({ ...baseRequest, newName: ' ' })).toThrow(/symbolName and newName/);
+
+    try {
+      normalizeRefactorRequest({ refactorType: 'simplify', scope: null });
+    } catch (error) {
+      expect(error.statusCode).toBe(400);
+    }
+  });
+
+  test('__testing.buildRefactorPrompt describes each refactor type', () => {
+    const rename = __testing.buildRefactorPrompt({ basePrompt: ' keep exports ', request: normalizeRefactorRequest(baseRequest) });
+    expect(rename).toContain('Rename `formatDate` to `formatIsoDate` in files under src/utils/');
+    expect(rename).toContain('User-provided instructions:\nkeep exports');
+
+    const extract = __testing.buildRefactorPrompt({
+      basePrompt: '',
+      request: normalizeRefactorRequest({ refactorType: 'extract-module', scope: { type: 'file', path: 'src/App.jsx' }, moduleName: 'useCart' })
+    });
+    expect(extract).toContain('from the file src/App.jsx into its own module named useCart.');
+    expect(extract).not.toContain('User-provided instructions');
+
+    const simplify = __testing.buildRefactorPrompt({
+      request: normalizeRefactorRequest({ refactorType: 'simplify', scope: { type: 'repo' } })
+    });
+    expect(simplify).toContain('Simplify the code in the whole repository.');
+    expect(__testing.buildRefactorPrompt({
+      request: normalizeRefactorRequest({ refactorType: 'extract-module', scope: { type: 'repo' } })
+    })).toContain('into its own module.');
+  });
+
+  test('compareVerificationRuns flags outcome, workspace, gate and coverage regressions', () => {
+    expect(compareVerificationRuns(passingRun(), passingRun()).unchanged).toBe(true);
+    expect(compareVerificationRuns(passingRun(), passingRun({ lines: 99.995, statements: 100, functions: 100, branches: 100 })).unchanged).toBe(true);
+
+    const regressed = compareVerificationRuns(passingRun(), {
+      status: 'failed',
+      summary: { coverage: { passed: false, totals: { lines: 98, statements: 100, functions: 100, branches: 97 } } },
+      workspaceRuns: [{ workspace: 'frontend', status: 'failed' }, { workspace: 'backend', status: 'failed' }]
+    });
+    expect(regressed.unchanged).toBe(false);
+    expect(regressed.reasons).toEqual([
+      'Test outcome changed from passed to failed.',
+      'frontend tests changed from succeeded to failed.',
+      'Coverage gate changed from passing to failing.',
+      'lines coverage dropped from 100% to 98%.',
+      'branches coverage dropped from 100% to 97%.'
+    ]);
+
+    const missingTotals = compareVerificationRuns(passingRun(), { status: 'passed', summary: { coverage: { passed: true } } });
+    expect(missingTotals.reasons).toEqual(['Coverage totals are missing after the refactor.']);
+
+    const failingGateRecovered = compareVerificationRuns(
+      { status: 'passed', summary: { coverage: { passed: false } } },
+      { status: 'passed', summary: { coverage: { passed: true } } }
+    );
+    expect(failingGateRecovered.reasons).toEqual(['Coverage gate changed from failing to passing.']);
+
+    expect(compareVerificationRuns(null, undefined)).toEqual({
+      unchanged: true,
+      reasons: [],
+      baseline: { status: null, coverage: null },
+      after: { status: null, coverage: null }
+    });
+    expect(compareVerificationRuns({ status: 'passed' }, null).reasons).toEqual(['Test outcome changed from passed to unknown.']);
+    expect(compareVerificationRuns(null, { status: 'passed' }).reasons).toEqual(['Test outcome changed from unknown to passed.']);
+  });
+
+  test('requires projectId and a valid request', async () => {
+    await expect(runForegroundRefactor()).rejects.toThrow('projectId is required');
+    await expect(runForegroundRefactor({ projectId: 1, refactorType: 'nope' })).rejects.toThrow(/refactorType/);
+  });
+
+  test('commits the refactor when tests and coverage are unchanged', async () => {
+    const deps = makeDeps();
+    const events = [];
+
+    const result = await runForegroundRefactor({
+      ...baseRequest,
+      options: { coverageThresholds: { lines: 90 } },
+      onEvent: (evt) => events.push(evt),
+      deps
+    });
+
+    expect(result).toEqual(expect.objectContaining({ status: 'complete', committed: true }));
+    expect(result.branchName).toMatch(/^feature\/refactor-\d+$/);
+    expect(deps.createBranch).toHaveBeenCalledWith(1, expect.objectContaining({ description: 'Refactor tool run (rename-symbol)' }));
+    expect(deps.runTests).toHaveBeenCalledTimes(2);
+    expect(deps.runTests.mock.calls[0][2].coverageThresholds).toEqual({ lines: 90, statements: 100, functions: 100, branches: 100 });
+    expect(deps.commit).toHaveBeenCalledWith(1, result.branchName, {
+      message: 'refactor(rename-symbol): rename formatDate to formatIsoDate',
+      autoChangelog: false
+    });
+    expect(events.map((evt) => evt.event)).toEqual(expect.arrayContaining(['status', 'tests', 'edit', 'comparison']));
+  });
+
+  test('uses the scope in commit messages for non-rename refactors', async () => {
+    const deps = makeDeps();
+    const result = await runForegroundRefactor({ projectId: 1, refactorType: 'simplify', scope: { type: 'file', path: 'src/a.js' }, deps });
+
+    expect(result.committed).toBe(true);
+    expect(deps.commit.mock.calls[0][2].message).toBe('refactor(simplify): the file src/a.js');
+  });
+
+  test('streams job lifecycle and log events for each phase', async () => {
+    const events = [];
+    const deps = makeDeps({
+      runTests: vi.fn(async (_projectId, _branch, { onJobStarted, onJobCompleted }) => {
+        onJobStarted({ id: 'job-1', displayName: 'frontend tests', command: 'npm', args: ['test'], cwd: '/p' });
+        jobEvents.emit('job:log', { jobId: 'other', entry: { message: 'ignored' } });
+        jobEvents.emit('job:log', { jobId: 'job-1', entry: { stream: 'stderr', message: 'hello', timestamp: 't' } });
+        jobEvents.emit('job:log', { jobId: 'job-1' });
+        onJobCompleted({ id: 'job-1', status: 'succeeded', exitCode: 0 });
+        jobEvents.emit('job:log', { jobId: 'job-1', entry: { message: 'after completion' } });
+        onJobStarted({});
+        onJobCompleted();
+        return passingRun();
+      })
+    });
+
+    await runForegroundRefactor({ ...baseRequest, onEvent: (evt) => events.push(evt), deps });
+
+    const logs = events.filter((evt) => evt.event === 'tests-log');
+    expect(logs).toEqual([
+      { event: 'tests-log', data: expect.objectContaining({ phase: 'baseline', stream: 'stderr', message: 'hello', label: 'frontend tests' }) },
+      { event: 'tests-log', data: expect.objectContaining({ phase: 'baseline', stream: 'stdout', message: '', timestamp: null }) },
+      { event: 'tests-log', data: expect.objectContaining({ phase: 'verify', message: 'hello' }) },
+      { event: 'tests-log', data: expect.objectContaining({ phase: 'verify', message: '' }) }
+    ]);
+    expect(events.filter((evt) => evt.event === 'tests-job')).toHaveLength(4);
+    expect(events.filter((evt) => evt.event === 'tests-job-done')[1].data).toEqual({ phase: 'baseline', jobId: null, status: null, exitCode: null });
+  });
+
+  test('refuses to start when the baseline fails and deletes the branch', async () => {
+    const deps = makeDeps({ runTests: vi.fn(async () => ({ status: 'failed' })) });
+    const result = await runForegroundRefactor({ ...baseRequest, deps });
+
+    expect(result).toEqual(expect.objectContaining({ status: 'refused', reason: 'baseline-failed', branchDeleted: true }));
+    expect(deps.edit).not.toHaveBeenCalled();
+
+    const stuck = makeDeps({
+      runTests: vi.fn(async () => null),
+      deleteBranch: vi.fn(async () => { throw new Error('locked'); })
+    });
+    expect(await runForegroundRefactor({ ...baseRequest, deps: stuck })).toEqual(expect.objectContaining({ branchDeleted: false }));
+  });
+
+  test('stops without testing again when the agent makes no edits', async () => {
+    const deps = makeDeps({ edit: vi.fn(async () => ({ steps: [{ type: 'action', action: 'read_file' }] })) });
+    const result = await runForegroundRefactor({ ...baseRequest, deps });
+
+    expect(result).toEqual(expect.objectContaining({ status: 'complete', committed: false, stoppedBecause: 'no-op' }));
+    expect(deps.runTests).toHaveBeenCalledTimes(1);
+
+    const empty = makeDeps({ edit: vi.fn(async () => null) });
+    expect((await runForegroundRefactor({ ...baseRequest, deps: empty })).stoppedBecause).toBe('no-op');
+  });
+
+  test('rolls back instead of committing when coverage drops', async () => {
+    const deps = makeDeps({
+      runTests: vi.fn()
+        .mockResolvedValueOnce(passingRun())
+        .mockResolvedValueOnce(passingRun({ lines: 95, statements: 100, functions: 100, branches: 100 }))
+    });
+
+    const result = await runForegroundRefactor({ ...baseRequest, deps });
+
+    expect(result.status).toBe('rejected');
+    expect(result.comparison.reasons).toEqual(['lines coverage dropped from 100% to 95%.']);
+    expect(deps.resetTo).toHaveBeenCalledWith(1, result.branchName, { commitSha: 'sha-base', status: 'active' });
+    expect(deps.commit).not.toHaveBeenCalled();
+
+    const noSha = makeDeps({
+      getHeadSha: vi.fn(async () => null),
+      runTests: vi.fn().mockResolvedValueOnce(passingRun()).mockResolvedValueOnce({ status: 'failed' })
+    });
+    expect((await runForegroundRefactor({ ...baseRequest, deps: noSha })).status).toBe('rejected');
+    expect(noSha.resetTo).not.toHaveBeenCalled();
+  });
+
+  test('returns cancelled when the caller cancels', async () => {
+    let calls = 0;
+    const deps = makeDeps();
+    const result = await runForegroundRefactor({
+      ...baseRequest,
+      shouldCancel: () => {
+        calls += 1;
+        return calls > 1;
+      },
+      deps
+    });
+    expect(result).toEqual(expect.objectContaining({ status: 'cancelled', canDeleteBranch: true }));
+
+    const early = await runForegroundRefactor({ ...baseRequest, shouldCancel: () => true, deps: makeDeps() });
+    expect(early).toEqual({ status: 'cancelled', branchName: null, canDeleteBranch: false });
+    expect(__testing.createCancelledError('feature/x').branchName).toBe('feature/x');
+  });
+
+  test('reports failures after the branch exists and rethrows earlier ones', async () => {
+    const deps = makeDeps({ edit: vi.fn(async () => { throw new Error('LLM offline'); }) });
+    expect(await runForegroundRefactor({ ...baseRequest, deps })).toEqual(
+      expect.objectContaining({ status: 'failed', message: 'LLM offline', canDeleteBranch: true })
+    );
+
+    const silent = makeDeps({ edit: vi.fn(async () => { throw {}; }) });
+    expect((await runForegroundRefactor({ ...baseRequest, deps: silent })).message).toBe('Refactor failed');
+
+    const noBranch = makeDeps({ createBranch: vi.fn(async () => { throw new Error('git missing'); }) });
+    await expect(runForegroundRefactor({ ...baseRequest, deps: noBranch })).rejects.toThrow('git missing');
+  });
+});
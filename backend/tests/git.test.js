@@ -363,6 +363,13 @@ describe('git helpers', () => {
     expect(expectSpawnArgs(1)).toEqual(['commit', '-m', 'feat: add UI']);
   });
 
+  test('commitAllChanges leaves excluded paths unstaged', async () => {
+    queueSpawnResult({ code: 0 });
+    queueSpawnResult({ code: 0 });
+    expect(await git.commitAllChanges('/repo', 'feat: add UI', { excludePaths: ['node_modules'] })).toBe(true);
+    expect(expectSpawnArgs(0)).toEqual(['add', '--all', '--', '.', ':(exclude)node_modules']);
+  });
+
   test('commitAllChanges returns false for empty commits', async () => {
     queueSpawnResult({ code: 0 });
     queueSpawnResult({ stderr: 'nothing to commit, working tree clean', code: 1 });
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+
+import {
+  normalizeDependencyIds,
+  findDependencyCycle,
+  orderGoalsByDependencies
+} from '../services/goalGraph.js';
+
+describe('goalGraph', () => {
+  it('normalizes dependency ids to unique positive integers', () => {
+    expect(normalizeDependencyIds([3, '4', 3, 0, -2, 1.5, 'x', null])).toEqual([3, 4]);
+    expect(normalizeDependencyIds(null)).toEqual([]);
+  });
+
+  it('finds cycles, including self edges, and ignores edges outside the list', () => {
+    expect(findDependencyCycle([
+      { id: 1, dependsOn: [] },
+      { id: 2, dependsOn: [1, 99] },
+      { id: 3, dependsOn: [2, 1] }
+    ])).toBeNull();
+
+    expect(findDependencyCycle([
+      { id: 1, dependsOn: [3] },
+      { id: 2, dependsOn: [1] },
+      { id: 3, dependsOn: [2] }
+    ])).toEqual([1, 3, 2, 1]);
+
+    expect(findDependencyCycle([{ id: 5, dependsOn: [5] }])).toEqual([5, 5]);
+  });
+
+  it('orders goals after their dependencies and keeps input order between independent goals', () => {
+    const ordered = orderGoalsByDependencies([
+      { id: 1, dependsOn: [3] },
+      { id: 2 },
+      { id: 3, dependsOn: [] },
+      { id: 4, dependsOn: [1, 2] }
+    ]);
+
+    expect(ordered.map((goal) => goal.id)).toEqual([2, 3, 1, 4]);
+    expect(orderGoalsByDependencies()).toEqual([]);
+  });
+
+  it('rejects cyclic dependencies', () => {
+    expect(() => orderGoalsByDependencies([
+      { id: 1, dependsOn: [2] },
+      { id: 2, dependsOn: [1] }
+    ])).toThrow('Goal dependencies form a cycle: 1 -> 2 -> 1');
+  });
+});
@@ -35,7 +35,7 @@ describe('goalLifecycle', () => {
     expect(getAllowedGoalTransitions('executing')).toEqual(['verifying', 'needs-user-input', 'failed', 'cancelled']);
     expect(getAllowedGoalTransitions('needs-user-input')).toEqual(['executing', 'failed', 'cancelled']);
     expect(getAllowedGoalTransitions('verifying')).toEqual(['ready-to-merge', 'failed', 'cancelled']);
-    expect(getAllowedGoalTransitions('ready-to-merge')).toEqual(['merged', 'cancelled']);
+    expect(getAllowedGoalTransitions('ready-to-merge')).toEqual(['merged', 'failed', 'cancelled']);
     expect(getAllowedGoalTransitions('failed')).toEqual(['executing', 'cancelled']);
     expect(getAllowedGoalTransitions('merged')).toEqual([]);
     expect(getAllowedGoalTransitions('cancelled')).toEqual([]);
@@ -0,0 +1,606 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { initializeDatabase, createProject, updateProjectPorts } from '../database.js';
+import {
+  createGoal,
+  getGoal,
+  updateGoalLifecycleState
+} from '../services/goalStore.js';
+import {
+  runGoalGraph,
+  startChildGoalRun,
+  getChildGoalRun,
+  cancelChildGoalRun,
+  clampMaxParallel,
+  __testing as schedulerTesting
+} from '../services/goalScheduler.js';
+import { verifyGoalAcceptance } from '../services/agentOrchestrator.js';
+import { applyCodeChange } from '../services/codeEditAgent.js';
+import { runTargetedTests, runTestsForBranch } from '../services/branchWorkflow.js';
+import { writeProjectFile } from '../services/projectTools.js';
+import { configureGitUser, ensureInitialCommit, getCurrentBranch, runGitCommand } from '../utils/git.js';
+
+vi.mock('../services/codeEditAgent.js', () => ({
+  applyCodeChange: vi.fn()
+}));
+
+vi.mock('../services/branchWorkflow.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  runTargetedTests: vi.fn(),
+  runTestsForBranch: vi.fn()
+}));
+
+const resetAgentTables = async () => {
+  const { default: db } = await import('../database.js');
+  await new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run('DELETE FROM agent_tasks', (err) => {
+        if (err) return reject(err);
+        db.run('DELETE FROM agent_goals', (err2) => (err2 ? reject(err2) : resolve()));
+      });
+    });
+  });
+};
+
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('runGoalGraph', () => {
+  it('runs independent goals up to the limit and merges in dependency order', async () => {
+    const runs = new Map();
+    const events = [];
+    const goals = [
+      { id: 1, dependsOn: [] },
+      { id: 2, dependsOn: [] },
+      { id: 3, dependsOn: [] },
+      { id: 4, dependsOn: [1, 3] }
+    ];
+
+    const resultPromise = runGoalGraph({
+      goals,
+      maxParallel: 2,
+      runGoal: (goal) => {
+        events.push(`run:${goal.id}`);
+        const run = deferred();
+        runs.set(goal.id, run);
+        return run.promise;
+      },
+      mergeGoal: async (goal) => {
+        events.push(`merge:${goal.id}`);
+      },
+      onStateChange: async (goal, state) => {
+        events.push(`${goal.id}:${state}`);
+      }
+    });
+
+    await flush();
+    expect([...runs.keys()]).toEqual([1, 2]);
+
+    // Goal 2 finishing first still waits for goal 1 to merge.
+    runs.get(2).resolve();
+    await flush();
+    expect(events).not.toContain('merge:2');
+    expect([...runs.keys()]).toEqual([1, 2, 3]);
+
+    runs.get(1).resolve();
+    await flush();
+    expect(events.filter((event) => event.startsWith('merge:'))).toEqual(['merge:1', 'merge:2']);
+    expect(runs.has(4)).toBe(false);
+
+    runs.get(3).resolve();
+    await flush();
+    expect(runs.has(4)).toBe(true);
+    runs.get(4).resolve();
+
+    const result = await resultPromise;
+    expect(result).toEqual({ order: [1, 2, 3, 4], merged: [1, 2, 3, 4], failed: [], blocked: [] });
+    expect(events.filter((event) => event.startsWith('1:') || event === 'merge:1')).toEqual([
+      '1:executing',
+      '1:verifying',
+      '1:ready-to-merge',
+      'merge:1',
+      '1:merged'
+    ]);
+  });
+
+  it('discards goals that do not reach ready-to-merge without merging them', async () => {
+    const mergeGoal = vi.fn();
+    const discardGoal = vi.fn();
+
+    const result = await runGoalGraph({
+      goals: [{ id: 1 }, { id: 2, dependsOn: [1] }, { id: 3 }],
+      runGoal: async () => {},
+      mergeGoal,
+      discardGoal,
+      onStateChange: async (goal, state) => {
+        if (goal.id === 1 && state === 'ready-to-merge') {
+          throw new Error('Acceptance checks failed: exports App');
+        }
+      }
+    });
+
+    expect(result).toMatchObject({
+      merged: [3],
+      failed: [{ id: 1, error: 'Acceptance checks failed: exports App' }],
+      blocked: [2]
+    });
+    expect(mergeGoal).toHaveBeenCalledTimes(1);
+    expect(mergeGoal).toHaveBeenCalledWith({ id: 3 });
+    expect(discardGoal).toHaveBeenCalledTimes(1);
+    expect(discardGoal).toHaveBeenCalledWith({ id: 1 });
+  });
+
+  it('blocks dependents of failed goals and goals that wait on goals outside the graph', async () => {
+    const states = [];
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const result = await runGoalGraph({
+      goals: [
+        { id: 1 },
+        { id: 2, dependsOn: [1] },
+        { id: 3, dependsOn: [2] },
+        { id: 4, dependsOn: [99] },
+        { id: 5 },
+        { id: 6, dependsOn: [5] },
+        { id: 7 }
+      ],
+      maxParallel: 'many',
+      runGoal: async (goal) => {
+        if (goal.id === 1) {
+          throw new Error('edit failed');
+        }
+        if (goal.id === 7) {
+          throw 'plain failure';
+        }
+      },
+      mergeGoal: async (goal) => {
+        if (goal.id === 5) {
+          throw new Error('conflict');
+        }
+      },
+      onStateChange: async (goal, state, details) => {
+        states.push([goal.id, state, details?.error]);
+        if (goal.id === 7 && state === 'failed') {
+          throw new Error('store offline');
+        }
+      }
+    });
+
+    expect(result).toEqual({
+      order: [1, 2, 3, 4, 5, 6, 7],
+      merged: [],
+      failed: [
+        { id: 1, error: 'edit failed' },
+        { id: 5, error: 'conflict' },
+        { id: 7, error: 'plain failure' }
+      ],
+      blocked: [2, 3, 4, 6]
+    });
+    expect(states).toContainEqual([1, 'failed', 'edit failed']);
+    expect(states.some(([id]) => [2, 3, 4, 6].includes(id))).toBe(false);
+    expect(warn).toHaveBeenCalledWith('[WARN] Failed to record goal state:', 'store offline');
+    warn.mockRestore();
+  });
+
+  it('returns an empty result for an empty graph and rejects cycles', async () => {
+    await expect(runGoalGraph({ runGoal: vi.fn(), mergeGoal: vi.fn() })).resolves.toEqual({
+      order: [],
+      merged: [],
+      failed: [],
+      blocked: []
+    });
+    const mergeGoal = vi.fn();
+    await expect(runGoalGraph({ goals: [{ id: 3 }], runGoal: vi.fn(), mergeGoal })).resolves.toMatchObject({ merged: [3] });
+    expect(mergeGoal).toHaveBeenCalledWith({ id: 3 });
+    await expect(runGoalGraph({
+      goals: [{ id: 1, dependsOn: [2] }, { id: 2, dependsOn: [1] }],
+      runGoal: vi.fn(),
+      mergeGoal: vi.fn()
+    })).rejects.toThrow(/form a cycle/);
+  });
+
+  it('clamps the parallel limit', () => {
+    expect(clampMaxParallel(undefined)).toBe(2);
+    expect(clampMaxParallel('3')).toBe(3);
+    expect(clampMaxParallel(0)).toBe(1);
+    expect(clampMaxParallel(12)).toBe(4);
+  });
+});
+
+describe('startChildGoalRun', () => {
+  let repoPath;
+  let worktreeRoot;
+  let project;
+
+  const git = async (args) => (await runGitCommand(repoPath, args)).stdout.trim();
+
+  const createChildren = async (parent, specs) => {
+    const children = [];
+    for (const spec of specs) {
+      children.push(await createGoal({
+        projectId: project.id,
+        prompt: spec.prompt,
+        title: spec.prompt,
+        parentGoalId: parent.id,
+        branchName: parent.branchName,
+        dependsOn: (spec.dependsOn || []).map((index) => children[index].id)
+      }));
+    }
+    return children;
+  };
+
+  const waitForRun = async (goalId) => {
+    await schedulerTesting.runCompletions.get(goalId);
+    return getChildGoalRun(goalId);
+  };
+
+  beforeEach(async () => {
+    await initializeDatabase();
+    await resetAgentTables();
+    schedulerTesting.activeRuns.clear();
+    schedulerTesting.runCompletions.clear();
+    vi.mocked(applyCodeChange).mockReset();
+    vi.mocked(runTargetedTests).mockReset();
+    vi.mocked(runTestsForBranch).mockReset().mockResolvedValue({ status: 'passed' });
+
+    repoPath = await fs.mkdtemp(path.join(os.tmpdir(), 'lucidcoder-scheduler-'));
+    worktreeRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'lucidcoder-scheduler-worktrees-'));
+    await runGitCommand(repoPath, ['init', '-b', 'main']);
+    await configureGitUser(repoPath, {});
+    await fs.writeFile(path.join(repoPath, 'README.md'), '# Demo\n');
+    await ensureInitialCommit(repoPath);
+
+    project = await createProject({
+      name: `Scheduler Project ${Date.now()}`,
+      description: 'scheduler test',
+      path: repoPath
+    });
+  });
+
+  afterEach(async () => {
+    await fs.rm(repoPath, { recursive: true, force: true });
+    await fs.rm(worktreeRoot, { recursive: true, force: true });
+  });
+
+  it('runs children in worktrees and merges them into the parent branch in dependency order', async () => {
+    const parent = await createGoal({ projectId: project.id, prompt: 'Parent goal', branchName: 'agent/parent' });
+    const [styles, header, footer] = await createChildren(parent, [
+      { prompt: 'Add styles' },
+      { prompt: 'Add header', dependsOn: [0] },
+      { prompt: 'Add footer' }
+    ]);
+    runTargetedTests.mockResolvedValue({ partial: true, status: 'passed' });
+    applyCodeChange.mockImplementation(async ({ projectId, prompt, runTests }) => {
+      await expect(runTests(projectId, { file: 'app.test.js' })).resolves.toMatchObject({ status: 'passed' });
+      await writeProjectFile(projectId, `${prompt.replace(/\s+/g, '-').toLowerCase()}.txt`, prompt);
+      return { steps: [], summary: 'done' };
+    });
+
+    const run = await startChildGoalRun({ goalId: parent.id, maxParallel: 5, worktreeRoot });
+    expect(run).toMatchObject({
+      goalId: parent.id,
+      status: 'running',
+      maxParallel: 4,
+      branchName: 'agent/parent',
+      goalIds: [styles.id, header.id, footer.id]
+    });
+    await expect(startChildGoalRun({ goalId: parent.id, worktreeRoot })).rejects.toThrow(/already running/);
+
+    const finished = await waitForRun(parent.id);
+    expect(finished).toMatchObject({
+      status: 'completed',
+      merged: [styles.id, header.id, footer.id],
+      failed: [],
+      blocked: []
+    });
+    expect(finished.finishedAt).toEqual(expect.any(String));
+
+    expect(await getCurrentBranch(repoPath)).toBe('agent/parent');
+    const merges = (await git(['log', '--merges', '--format=%s'])).split('\n').reverse();
+    expect(merges).toEqual([
+      `Merge goal #${styles.id}: Add styles`,
+      `Merge goal #${header.id}: Add header`,
+      `Merge goal #${footer.id}: Add footer`
+    ]);
+    await expect(fs.readFile(path.join(repoPath, 'add-header.txt'), 'utf-8')).resolves.toBe('Add header');
+    expect(await git(['branch', '--list', 'agent/parent--goal-*'])).toBe('');
+    expect(await git(['worktree', 'list'])).not.toContain(worktreeRoot);
+
+    for (const child of [styles, header, footer]) {
+      expect((await getGoal(child.id)).lifecycleState).toBe('merged');
+    }
+    const headerWorktree = path.join(worktreeRoot, `project-${project.id}-goal-${header.id}`);
+    expect(runTargetedTests).toHaveBeenCalledWith(project.id, { file: 'app.test.js', projectPath: headerWorktree });
+    expect(runTestsForBranch).toHaveBeenCalledWith(project.id, null, {
+      projectPath: headerWorktree,
+      changedPaths: ['add-header.txt'],
+      record: false
+    });
+    await expect(startChildGoalRun({ goalId: parent.id, worktreeRoot })).rejects.toThrow('Goal has no child goals to run');
+  });
+
+  it('fails goals whose edit fails and blocks their dependents', async () => {
+    await runGitCommand(repoPath, ['branch', 'agent/parent']);
+    const parent = await createGoal({ projectId: project.id, prompt: 'Parent goal', branchName: 'agent/parent' });
+    const [broken, dependent] = await createChildren(parent, [
+      { prompt: 'Broken step' },
+      { prompt: 'Dependent step', dependsOn: [0] }
+    ]);
+    applyCodeChange.mockRejectedValue(new Error('Model unavailable'));
+
+    await startChildGoalRun({ goalId: parent.id, maxParallel: 1, worktreeRoot });
+    const finished = await waitForRun(parent.id);
+
+    expect(finished).toMatchObject({
+      status: 'failed',
+      merged: [],
+      failed: [{ id: broken.id, error: 'Model unavailable' }],
+      blocked: [dependent.id]
+    });
+    expect(await getCurrentBranch(repoPath)).toBe('agent/parent');
+    const failedGoal = await getGoal(broken.id);
+    expect(failedGoal.lifecycleState).toBe('failed');
+    expect(failedGoal.metadata).toMatchObject({ parallelRunError: 'Model unavailable' });
+    expect((await getGoal(dependent.id)).lifecycleState).toBe('draft');
+    await expect(fs.readdir(worktreeRoot)).resolves.toEqual([]);
+  });
+
+  it('fails goals whose tests fail in their worktree without merging them', async () => {
+    const parent = await createGoal({ projectId: project.id, prompt: 'Parent goal', branchName: 'main' });
+    const [passing, failing] = await createChildren(parent, [{ prompt: 'Add list' }, { prompt: 'Add form' }]);
+    applyCodeChange.mockImplementation(async ({ projectId, prompt }) => {
+      await writeProjectFile(projectId, `${prompt.replace(/\s+/g, '-').toLowerCase()}.txt`, prompt);
+    });
+    runTestsForBranch.mockImplementation(async (projectId, branchName, { changedPaths }) => ({
+      status: changedPaths.includes('add-form.txt') ? 'failed' : 'passed'
+    }));
+
+    await startChildGoalRun({ goalId: parent.id, maxParallel: 1, worktreeRoot });
+    const finished = await waitForRun(parent.id);
+
+    expect(finished.merged).toEqual([passing.id]);
+    expect(finished.failed).toEqual([{ id: failing.id, error: `Tests failed for main--goal-${failing.id} (failed)` }]);
+    expect((await getGoal(failing.id)).lifecycleState).toBe('failed');
+    await expect(fs.access(path.join(repoPath, 'add-form.txt'))).rejects.toThrow();
+    await expect(fs.readdir(worktreeRoot)).resolves.toEqual([]);
+  });
+
+  it('leaves the checked-out branch\'s test runs and status alone when gating children', async () => {
+    const actual = await vi.importActual('../services/branchWorkflow.js');
+    runTestsForBranch.mockImplementation(actual.runTestsForBranch);
+    const { default: db } = await import('../database.js');
+    const query = (sql, params) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+    const parent = await createGoal({ projectId: project.id, prompt: 'Parent goal', branchName: 'main' });
+    const [child] = await createChildren(parent, [{ prompt: 'Add list' }]);
+    applyCodeChange.mockImplementation(async ({ projectId }) => {
+      await writeProjectFile(projectId, 'list.txt', 'list');
+    });
+
+    await startChildGoalRun({ goalId: parent.id, worktreeRoot });
+    const finished = await waitForRun(parent.id);
+
+    expect(finished.merged).toEqual([child.id]);
+    await expect(query('SELECT id FROM test_runs WHERE project_id = ?', [project.id])).resolves.toEqual([]);
+    await expect(query('SELECT name, status, last_test_run_id FROM branches WHERE project_id = ?', [project.id]))
+      .resolves.toEqual([{ name: 'main', status: 'protected', last_test_run_id: null }]);
+  });
+
+  it('runs the real test gate in a worktree against the parent checkout\'s installed dependencies', async () => {
+    const actual = await vi.importActual('../services/branchWorkflow.js');
+    runTestsForBranch.mockImplementation((projectId, branchName, options) => (
+      actual.runTestsForBranch(projectId, branchName, { ...options, real: true })
+    ));
+    await fs.writeFile(path.join(repoPath, '.gitignore'), 'node_modules/\ncoverage/\n');
+    await fs.writeFile(path.join(repoPath, 'package.json'), JSON.stringify({
+      name: 'scheduler-demo',
+      private: true,
+      scripts: { 'test:coverage': 'node run-tests.js' }
+    }));
+    const totals = { total: 1, covered: 1, skipped: 0, pct: 100 };
+    await fs.writeFile(path.join(repoPath, 'run-tests.js'), [
+      "const fs = require('fs');",
+      "if (require('greeting') !== 'hello') process.exit(1);",
+      "fs.mkdirSync('coverage', { recursive: true });",
+      `fs.writeFileSync('coverage/coverage-summary.json', JSON.stringify({ total: ${JSON.stringify({
+        lines: totals,
+        statements: totals,
+        functions: totals,
+        branches: totals
+      })} }));`
+    ].join('\n'));
+    await ensureInitialCommit(repoPath, 'Add tests');
+    await fs.mkdir(path.join(repoPath, 'node_modules', 'greeting'), { recursive: true });
+    await fs.writeFile(path.join(repoPath, 'node_modules', 'greeting', 'index.js'), "module.exports = 'hello';\n");
+
+    const parent = await createGoal({ projectId: project.id, prompt: 'Parent goal', branchName: 'main' });
+    const [child] = await createChildren(parent, [{ prompt: 'Add notes' }]);
+    applyCodeChange.mockImplementation(async ({ projectId }) => {
+      await writeProjectFile(projectId, 'NOTES.md', '# Notes\n');
+    });
+
+    await startChildGoalRun({ goalId: parent.id, worktreeRoot });
+    const finished = await waitForRun(parent.id);
+
+    expect(finished).toMatchObject({ status: 'completed', merged: [child.id], failed: [] });
+    await expect(runTestsForBranch.mock.results[0].value).resolves.toMatchObject({ status: 'passed' });
+    expect((await git(['ls-files'])).split('\n')).toEqual(['.gitignore', 'NOTES.md', 'README.md', 'package.json', 'run-tests.js']);
+    await expect(fs.readFile(path.join(repoPath, 'node_modules', 'greeting', 'index.js'), 'utf-8')).resolves.toContain('hello');
+  });
+
+  it('checks acceptance in the worktree before merging and leaves failing goals unmerged', async () => {
+    const parent = await createGoal({ projectId: project.id, prompt: 'Parent goal', branchName: 'main' });
+    const checks = [{ type: 'file-export', file: 'src/widget.js', name: 'Widget' }];
+    const [exported, missing] = [
+      await createGoal({ projectId: project.id, prompt: 'Export widget', parentGoalId: parent.id, branchName: 'main', acceptanceChecks: checks }),
+      await createGoal({ projectId: project.id, prompt: 'Stub widget', parentGoalId: parent.id, branchName: 'main', acceptanceChecks: checks })
+    ];
+    applyCodeChange.mockImplementation(async ({ projectId, prompt }) => {
+      const source = prompt === 'Export widget' ? 'export const Widget = () => null;\n' : 'const Widget = () => null;\n';
+      await writeProjectFile(projectId, 'src/widget.js', source);
+    });
+
+    await startChildGoalRun({ goalId: parent.id, maxParallel: 2, worktreeRoot });
+    const finished = await waitForRun(parent.id);
+
+    expect(finished.merged).toEqual([exported.id]);
+    expect(finished.failed).toEqual([
+      { id: missing.id, error: 'Acceptance checks failed: src/widget.js exports Widget' }
+    ]);
+    expect(await git(['log', '--merges', '--format=%s'])).toBe(`Merge goal #${exported.id}: Export widget`);
+    expect((await getGoal(missing.id)).metadata.acceptance).toMatchObject({ passed: false });
+    await expect(fs.readdir(worktreeRoot)).resolves.toEqual([]);
+  });
+
+  it('leaves route checks pending in the worktree instead of checking the unmerged preview', async () => {
+    const requested = [];
+    const server = http.createServer((req, res) => {
+      requested.push(req.url);
+      res.writeHead(404);
+      res.end();
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    try {
+      await updateProjectPorts(project.id, { frontendPort: server.address().port });
+      const parent = await createGoal({ projectId: project.id, prompt: 'Parent goal', branchName: 'main' });
+      const child = await createGoal({
+        projectId: project.id,
+        prompt: 'Add about page',
+        parentGoalId: parent.id,
+        branchName: 'main',
+        acceptanceChecks: [{ type: 'route-status', path: '/about', status: 200 }]
+      });
+      applyCodeChange.mockImplementation(async ({ projectId }) => {
+        await writeProjectFile(projectId, 'src/about.js', 'export const About = () => null;\n');
+      });
+
+      await startChildGoalRun({ goalId: parent.id, worktreeRoot });
+      const finished = await waitForRun(parent.id);
+
+      expect(finished.merged).toEqual([child.id]);
+      expect(requested).toEqual([]);
+      const merged = await getGoal(child.id);
+      expect(merged.lifecycleState).toBe('merged');
+      expect(merged.metadata.acceptance).toMatchObject({
+        passed: true,
+        results: [{ label: 'GET /about returns 200', passed: false, pending: true }]
+      });
+
+      // Once merged, verifying again goes to the running preview.
+      const { verification } = await verifyGoalAcceptance(child.id);
+      expect(requested).toEqual(['/about']);
+      expect(verification.results[0]).toMatchObject({ passed: false, detail: expect.stringMatching(/returned 404$/) });
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('fails goals whose branch does not merge cleanly', async () => {
+    const parent = await createGoal({ projectId: project.id, prompt: 'Parent goal', branchName: 'main' });
+    const [first, second] = await createChildren(parent, [{ prompt: 'Rewrite readme' }, { prompt: 'Retitle readme' }]);
+    applyCodeChange.mockImplementation(async ({ projectId, prompt }) => {
+      await writeProjectFile(projectId, 'README.md', `# ${prompt}\n`);
+    });
+
+    await startChildGoalRun({ goalId: parent.id, maxParallel: 2, worktreeRoot });
+    const finished = await waitForRun(parent.id);
+
+    expect(finished.merged).toEqual([first.id]);
+    expect(finished.failed).toEqual([{ id: second.id, error: expect.stringMatching(/^Merging main--goal-\d+ failed/) }]);
+    expect(await git(['status', '--porcelain'])).toBe('');
+    await expect(fs.readFile(path.join(repoPath, 'README.md'), 'utf-8')).resolves.toBe('# Rewrite readme\n');
+  });
+
+  it('keeps each child\'s streamed output and aborts its edit when the run is cancelled', async () => {
+    const parent = await createGoal({ projectId: project.id, prompt: 'Parent goal', branchName: 'main' });
+    const [child] = await createChildren(parent, [{ prompt: 'Slow step' }]);
+    let editStarted;
+    const started = new Promise((resolve) => { editStarted = resolve; });
+    applyCodeChange.mockImplementation(({ onToken, signal }) => new Promise((resolve, reject) => {
+      onToken('Reading ');
+      onToken('the app');
+      signal.addEventListener('abort', () => reject(new Error('LLM request cancelled')));
+      editStarted();
+    }));
+
+    expect(cancelChildGoalRun(parent.id)).toBe(false);
+    await startChildGoalRun({ goalId: parent.id, worktreeRoot });
+    await started;
+    expect(getChildGoalRun(parent.id).output).toEqual({ [child.id]: 'Reading the app' });
+
+    expect(cancelChildGoalRun(parent.id)).toBe(true);
+    const finished = await waitForRun(parent.id);
+
+    expect(finished).toMatchObject({
+      status: 'failed',
+      cancelRequested: true,
+      failed: [{ id: child.id, error: 'LLM request cancelled' }]
+    });
+    expect(cancelChildGoalRun(parent.id)).toBe(false);
+    expect(schedulerTesting.runAbortControllers.has(parent.id)).toBe(false);
+  });
+
+  it('records unexpected scheduler errors on the run', async () => {
+    const parent = await createGoal({ projectId: project.id, prompt: 'Parent goal', branchName: 'main' });
+    const [child] = await createChildren(parent, [{ prompt: 'Vanishing step' }]);
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    // Deleting the goal mid-run makes every later lifecycle update fail.
+    applyCodeChange.mockImplementation(async () => {
+      const { default: db } = await import('../database.js');
+      await new Promise((resolve) => db.run('DELETE FROM agent_goals WHERE id = ?', [child.id], resolve));
+    });
+
+    await startChildGoalRun({ goalId: parent.id, worktreeRoot });
+    const finished = await waitForRun(parent.id);
+
+    expect(finished).toMatchObject({ status: 'failed', error: 'Goal not found' });
+    expect(warn).toHaveBeenCalledWith('[WARN] Failed to record goal state:', 'Goal not found');
+    warn.mockRestore();
+  });
+
+  it('validates the goal, its children and the checkout before starting', async () => {
+    await expect(startChildGoalRun({ goalId: 999999, worktreeRoot })).rejects.toThrow('Goal not found');
+
+    const parent = await createGoal({ projectId: project.id, prompt: 'Parent goal', branchName: 'main' });
+    await expect(startChildGoalRun({ goalId: parent.id, worktreeRoot })).rejects.toThrow('Goal has no child goals to run');
+
+    const [first, second] = await createChildren(parent, [{ prompt: 'First' }, { prompt: 'Second' }]);
+    const { default: db } = await import('../database.js');
+    await new Promise((resolve) => db.run(
+      'UPDATE agent_goals SET depends_on = ? WHERE id = ?',
+      [JSON.stringify([second.id]), first.id],
+      resolve
+    ));
+    await new Promise((resolve) => db.run(
+      'UPDATE agent_goals SET depends_on = ? WHERE id = ?',
+      [JSON.stringify([first.id]), second.id],
+      resolve
+    ));
+    await expect(startChildGoalRun({ goalId: parent.id, worktreeRoot })).rejects.toThrow(/form a cycle/);
+
+    await new Promise((resolve) => db.run('UPDATE agent_goals SET depends_on = NULL', resolve));
+    await fs.writeFile(path.join(repoPath, 'dirty.txt'), 'dirty');
+    await expect(startChildGoalRun({ goalId: parent.id, worktreeRoot })).rejects.toThrow(/working tree changes/);
+    await fs.rm(path.join(repoPath, 'dirty.txt'));
+
+    await updateGoalLifecycleState(first.id, 'executing');
+    await expect(startChildGoalRun({ goalId: parent.id, worktreeRoot })).rejects.toThrow(
+      `Child goals are already in progress: ${first.id}`
+    );
+    expect(applyCodeChange).not.toHaveBeenCalled();
+    expect(getChildGoalRun(parent.id)).toBeNull();
+  });
+});
@@ -9,6 +9,8 @@ import {
   listGoals,
   updateGoalStatus,
   updateGoalLifecycleState,
+  updateGoalDependencies,
+  updateGoalAcceptanceChecks,
   createGoalTask,
   getGoalTask,
   listGoalTasks,
@@ -336,4 +338,51 @@ describe('goalStore', () => {
     await expect(goalStoreTesting.listChildGoalIds(null)).resolves.toEqual([]);
     await expect(goalStoreTesting.listChildGoalIds('nope')).resolves.toEqual([]);
   });
+
+  test('stores dependency edges for goals and tasks', async () => {
+    const first = await createGoal({ projectId: 25, prompt: 'First step' });
+    const second = await createGoal({ projectId: 25, prompt: 'Second step', dependsOn: [first.id, first.id, 'x'] });
+
+    expect(first.dependsOn).toEqual([]);
+    expect(second.dependsOn).toEqual([first.id]);
+
+    const updated = await updateGoalDependencies(first.id, [second.id, -1]);
+    expect(updated.dependsOn).toEqual([second.id]);
+    await expect(updateGoalDependencies(first.id)).resolves.toMatchObject({ dependsOn: [] });
+
+    const taskA = await createGoalTask(first.id, { type: 'analysis', title: 'Task A' });
+    const taskB = await createGoalTask(first.id, { type: 'analysis', title: 'Task B', dependsOn: [taskA.id] });
+    expect(taskA.dependsOn).toEqual([]);
+    expect(taskB.dependsOn).toEqual([taskA.id]);
+  });
+
+  test('stores structured acceptance checks on goals', async () => {
+    const goal = await createGoal({
+      projectId: 25,
+      prompt: 'Add about page',
+      acceptanceChecks: [{ type: 'route-status', path: 'about' }, { type: 'unknown' }]
+    });
+    expect(goal.acceptanceChecks).toEqual([{ type: 'route-status', path: '/about', status: 200 }]);
+
+    const updated = await updateGoalAcceptanceChecks(goal.id, [{ type: 'test-exists', name: 'renders about' }]);
+    expect(updated.acceptanceChecks).toEqual([{ type: 'test-exists', name: 'renders about' }]);
+    await expect(updateGoalAcceptanceChecks(goal.id)).resolves.toMatchObject({ acceptanceChecks: [] });
+
+    const plain = await createGoal({ projectId: 25, prompt: 'No checks' });
+    expect(plain.acceptanceChecks).toEqual([]);
+  });
+
+  test('parseAcceptanceChecks tolerates missing and malformed values', () => {
+    expect(goalStoreTesting.parseAcceptanceChecks(null)).toEqual([]);
+    expect(goalStoreTesting.parseAcceptanceChecks('not json')).toEqual([]);
+    expect(goalStoreTesting.parseAcceptanceChecks('[{"type":"test-exists","name":"x"},{}]')).toEqual([
+      { type: 'test-exists', name: 'x' }
+    ]);
+  });
+
+  test('parseDependsOn tolerates missing and malformed values', () => {
+    expect(goalStoreTesting.parseDependsOn(null)).toEqual([]);
+    expect(goalStoreTesting.parseDependsOn('not json')).toEqual([]);
+    expect(goalStoreTesting.parseDependsOn('[3, 3, "4"]')).toEqual([3, 4]);
+  });
 });
@@ -9,11 +9,22 @@ vi.mock('../services/agentOrchestrator.js', () => ({
   deleteGoalById: vi.fn(),
   advanceGoalPhase: vi.fn(),
   advanceGoalState: vi.fn(),
+  setGoalDependencies: vi.fn(),
+  setGoalAcceptanceChecks: vi.fn(),
+  verifyGoalAcceptance: vi.fn(),
   recordTestRunForGoal: vi.fn(),
   runTestsForGoal: vi.fn(),
   createMetaGoalWithChildren: vi.fn(),
   planGoalFromPrompt: vi.fn()
 }));
+vi.mock('../services/goalScheduler.js', () => ({
+  startChildGoalRun: vi.fn(),
+  getChildGoalRun: vi.fn(),
+  cancelChildGoalRun: vi.fn()
+}));
+vi.mock('../services/previewChecks.js', () => ({
+  completePreviewElementCheck: vi.fn()
+}));
 vi.mock('../services/planningFallback.js', () => ({
   isLlmPlanningError: vi.fn(() => false),
   planGoalFromPromptFallback: vi.fn()
@@ -27,11 +38,16 @@ import {
   deleteGoalById,
   advanceGoalPhase,
   advanceGoalState,
+  setGoalDependencies,
+  setGoalAcceptanceChecks,
+  verifyGoalAcceptance,
   recordTestRunForGoal,
   runTestsForGoal,
   createMetaGoalWithChildren,
   planGoalFromPrompt
 } from '../services/agentOrchestrator.js';
+import { cancelChildGoalRun, getChildGoalRun, startChildGoalRun } from '../services/goalScheduler.js';
+import { completePreviewElementCheck } from '../services/previewChecks.js';
 import { isLlmPlanningError, planGoalFromPromptFallback } from '../services/planningFallback.js';
 
 describe('Goals routes', () => {
@@ -415,6 +431,17 @@ describe('Goals routes', () => {
       expect(res.body.error).toMatch(/Invalid goal transition/i);
     });
 
+    test('maps failed acceptance checks to 400', async () => {
+      advanceGoalState.mockRejectedValue(new Error('Acceptance checks failed: GET /about returns 200'));
+
+      const res = await request(createApp())
+        .post('/api/goals/1/state')
+        .send({ state: 'ready-to-merge' });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({ error: 'Acceptance checks failed: GET /about returns 200' });
+    });
+
     test('returns 500 on unexpected error', async () => {
       const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
       advanceGoalState.mockRejectedValue(new Error('boom'));
@@ -438,6 +465,217 @@ describe('Goals routes', () => {
     });
   });
 
+  describe('PUT /api/goals/:id/dependencies', () => {
+    test('requires id', async () => {
+      const res = await request(createApp()).put('/api/goals/0/dependencies').send({ dependsOn: [] });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({ error: 'id is required' });
+    });
+
+    test('stores the dependencies', async () => {
+      setGoalDependencies.mockResolvedValue({ id: 3, dependsOn: [2] });
+
+      const res = await request(createApp()).put('/api/goals/3/dependencies').send({ dependsOn: [2] });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ goal: { id: 3, dependsOn: [2] } });
+      expect(setGoalDependencies).toHaveBeenCalledWith(3, [2]);
+    });
+
+    test('maps not found and validation errors', async () => {
+      setGoalDependencies.mockRejectedValueOnce(new Error('Goal not found'));
+      const missing = await request(createApp(false)).put('/api/goals/3/dependencies');
+      expect(missing.status).toBe(404);
+      expect(setGoalDependencies).toHaveBeenCalledWith(3, undefined);
+
+      setGoalDependencies.mockRejectedValueOnce(new Error('Goal dependencies form a cycle: 3 -> 2 -> 3'));
+      const cycle = await request(createApp()).put('/api/goals/3/dependencies').send({ dependsOn: [2] });
+      expect(cycle.status).toBe(400);
+      expect(cycle.body).toEqual({ error: 'Goal dependencies form a cycle: 3 -> 2 -> 3' });
+    });
+
+    test('returns 500 on unexpected error', async () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      setGoalDependencies.mockRejectedValue(new Error('boom'));
+
+      const res = await request(createApp()).put('/api/goals/3/dependencies').send({ dependsOn: [] });
+
+      expect(res.status).toBe(500);
+      expect(res.body).toEqual({ error: 'Failed to update goal dependencies' });
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('/api/goals/:id/acceptance-checks', () => {
+    test('requires id', async () => {
+      const updated = await request(createApp()).put('/api/goals/0/acceptance-checks').send({ acceptanceChecks: [] });
+      expect(updated.status).toBe(400);
+      expect(updated.body).toEqual({ error: 'id is required' });
+
+      const verified = await request(createApp()).post('/api/goals/0/acceptance-checks/verify');
+      expect(verified.status).toBe(400);
+      expect(verified.body).toEqual({ error: 'id is required' });
+    });
+
+    test('stores the checks', async () => {
+      const checks = [{ type: 'test-exists', name: 'renders about' }];
+      setGoalAcceptanceChecks.mockResolvedValue({ id: 3, acceptanceChecks: checks });
+
+      const res = await request(createApp()).put('/api/goals/3/acceptance-checks').send({ acceptanceChecks: checks });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ goal: { id: 3, acceptanceChecks: checks } });
+      expect(setGoalAcceptanceChecks).toHaveBeenCalledWith(3, checks);
+    });
+
+    test('maps not found and validation errors when storing checks', async () => {
+      setGoalAcceptanceChecks.mockRejectedValueOnce(new Error('Goal not found'));
+      const missing = await request(createApp(false)).put('/api/goals/3/acceptance-checks');
+      expect(missing.status).toBe(404);
+      expect(setGoalAcceptanceChecks).toHaveBeenCalledWith(3, undefined);
+
+      for (const message of [
+        'acceptanceChecks must be an array',
+        'A goal can have at most 20 acceptance checks',
+        'Acceptance check 2 is invalid'
+      ]) {
+        setGoalAcceptanceChecks.mockRejectedValueOnce(new Error(message));
+        const invalid = await request(createApp()).put('/api/goals/3/acceptance-checks').send({ acceptanceChecks: [] });
+        expect(invalid.status).toBe(400);
+        expect(invalid.body).toEqual({ error: message });
+      }
+    });
+
+    test('runs the checks and returns the verification', async () => {
+      const verification = { passed: true, checkedAt: 'now', results: [] };
+      verifyGoalAcceptance.mockResolvedValue({ goal: { id: 3 }, verification });
+
+      const res = await request(createApp()).post('/api/goals/3/acceptance-checks/verify');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ goal: { id: 3 }, verification });
+      expect(verifyGoalAcceptance).toHaveBeenCalledWith(3);
+    });
+
+    test('maps verification errors', async () => {
+      verifyGoalAcceptance.mockRejectedValueOnce(new Error('Goal not found'));
+      const missing = await request(createApp()).post('/api/goals/3/acceptance-checks/verify');
+      expect(missing.status).toBe(404);
+
+      verifyGoalAcceptance.mockRejectedValueOnce(new Error('Goal has no acceptance checks'));
+      const empty = await request(createApp()).post('/api/goals/3/acceptance-checks/verify');
+      expect(empty.status).toBe(400);
+      expect(empty.body).toEqual({ error: 'Goal has no acceptance checks' });
+    });
+
+    test('returns 500 on unexpected errors', async () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      setGoalAcceptanceChecks.mockRejectedValue(new Error('boom'));
+      verifyGoalAcceptance.mockRejectedValue(new Error('boom'));
+
+      const updated = await request(createApp()).put('/api/goals/3/acceptance-checks').send({ acceptanceChecks: [] });
+      expect(updated.status).toBe(500);
+      expect(updated.body).toEqual({ error: 'Failed to update acceptance checks' });
+
+      const verified = await request(createApp()).post('/api/goals/3/acceptance-checks/verify');
+      expect(verified.status).toBe(500);
+      expect(verified.body).toEqual({ error: 'Failed to verify acceptance checks' });
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('POST /api/goals/preview-checks/:checkId', () => {
+    test('requires projectId', async () => {
+      const res = await request(createApp(false)).post('/api/goals/preview-checks/4');
+
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({ error: 'projectId is required' });
+      expect(completePreviewElementCheck).not.toHaveBeenCalled();
+    });
+
+    test('settles the pending check', async () => {
+      completePreviewElementCheck.mockReturnValue(true);
+
+      const res = await request(createApp())
+        .post('/api/goals/preview-checks/4')
+        .send({ projectId: 7, count: 2, error: null });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ success: true });
+      expect(completePreviewElementCheck).toHaveBeenCalledWith('4', 7, { count: 2, error: null });
+    });
+
+    test('returns 404 for unknown checks', async () => {
+      completePreviewElementCheck.mockReturnValue(false);
+
+      const res = await request(createApp()).post('/api/goals/preview-checks/4').send({ projectId: 7 });
+
+      expect(res.status).toBe(404);
+      expect(res.body).toEqual({ error: 'Preview check not found' });
+    });
+  });
+
+  describe('/api/goals/:id/run-children', () => {
+    test('requires id', async () => {
+      const started = await request(createApp()).post('/api/goals/0/run-children').send({});
+      expect(started.status).toBe(400);
+
+      const status = await request(createApp()).get('/api/goals/0/run-children');
+      expect(status.status).toBe(400);
+      expect(status.body).toEqual({ error: 'id is required' });
+    });
+
+    test('starts a parallel run and reports its status', async () => {
+      startChildGoalRun.mockResolvedValue({ goalId: 5, status: 'running', maxParallel: 3 });
+      getChildGoalRun.mockReturnValue({ goalId: 5, status: 'completed' });
+
+      const started = await request(createApp()).post('/api/goals/5/run-children').send({ maxParallel: 3 });
+      expect(started.status).toBe(202);
+      expect(started.body).toEqual({ success: true, run: { goalId: 5, status: 'running', maxParallel: 3 } });
+      expect(startChildGoalRun).toHaveBeenCalledWith({ goalId: 5, maxParallel: 3 });
+
+      const status = await request(createApp()).get('/api/goals/5/run-children');
+      expect(status.body).toEqual({ success: true, run: { goalId: 5, status: 'completed' } });
+      expect(getChildGoalRun).toHaveBeenCalledWith(5);
+    });
+
+    test('cancels a running child goal run', async () => {
+      expect((await request(createApp()).post('/api/goals/0/run-children/cancel')).status).toBe(400);
+
+      cancelChildGoalRun.mockReturnValueOnce(false);
+      const idle = await request(createApp()).post('/api/goals/5/run-children/cancel');
+      expect(idle.status).toBe(409);
+      expect(idle.body).toEqual({ error: 'No child goal run is in progress' });
+
+      cancelChildGoalRun.mockReturnValueOnce(true);
+      getChildGoalRun.mockReturnValue({ goalId: 5, status: 'running', cancelRequested: true });
+      const res = await request(createApp()).post('/api/goals/5/run-children/cancel');
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ success: true, run: { goalId: 5, status: 'running', cancelRequested: true } });
+      expect(cancelChildGoalRun).toHaveBeenLastCalledWith(5);
+    });
+
+    test('maps scheduler errors to status codes', async () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const cases = [
+        ['Goal not found', 404],
+        ['Child goals are already running for this goal', 409],
+        ['Commit or discard working tree changes before running child goals in parallel', 409],
+        ['Goal has no child goals to run', 400],
+        ['boom', 500]
+      ];
+      for (const [message, status] of cases) {
+        startChildGoalRun.mockRejectedValueOnce(new Error(message));
+        const res = await request(createApp(false)).post('/api/goals/5/run-children');
+        expect(res.status).toBe(status);
+      }
+      expect(startChildGoalRun).toHaveBeenLastCalledWith({ goalId: 5, maxParallel: undefined });
+      expect(consoleSpy).toHaveBeenCalledWith('Error running child goals:', expect.any(Error));
+      consoleSpy.mockRestore();
+    });
+  });
+
   describe('POST /api/goals/:id/tests', () => {
     test('requires id', async () => {
       const res = await request(createApp())
@@ -0,0 +1,268 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventEmitter } from 'events';
+
+vi.mock('child_process', () => ({
+  spawn: vi.fn()
+}));
+
+vi.mock('../services/runStore.js', () => ({
+  appendRunEvent: vi.fn(async () => {}),
+  createRun: vi.fn(async () => null),
+  updateRun: vi.fn(async () => {})
+}));
+
+vi.mock('../services/jobQueueStore.js', () => ({
+  saveQueuedJob: vi.fn(async () => {}),
+  deleteQueuedJob: vi.fn(async () => true),
+  listQueuedJobs: vi.fn(async () => [])
+}));
+
+import { spawn } from 'child_process';
+import * as queueStore from '../services/jobQueueStore.js';
+import {
+  JOB_PRIORITY,
+  JOB_STATUS,
+  cancelJob,
+  configureJobQueue,
+  getJob,
+  getJobQueueLimits,
+  jobEvents,
+  restoreQueuedJobs,
+  startJob,
+  waitForJobCompletion,
+  __testing
+} from '../services/jobRunner.js';
+
+class MockChildProcess extends EventEmitter {
+  constructor() {
+    super();
+    this.pid = Math.floor(Math.random() * 10000) + 1000;
+    this.stdout = new EventEmitter();
+    this.stderr = new EventEmitter();
+  }
+}
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const baseJob = (overrides = {}) => ({
+  projectId: 1,
+  type: 'build',
+  command: 'npm',
+  args: ['run', 'build'],
+  cwd: '/project',
+  ...overrides
+});
+
+describe('jobRunner queue', () => {
+  let children;
+  let defaultLimits;
+
+  beforeEach(() => {
+    children = [];
+    spawn.mockImplementation(() => {
+      const child = new MockChildProcess();
+      children.push(child);
+      return child;
+    });
+    __testing.clearJobs();
+    __testing.resetJobEvents();
+    defaultLimits = getJobQueueLimits();
+    configureJobQueue({ globalLimit: 2, perProjectLimit: 1 });
+  });
+
+  afterEach(() => {
+    configureJobQueue(defaultLimits);
+    vi.clearAllMocks();
+  });
+
+  it('keeps jobs pending with a queue position once the project limit is reached', async () => {
+    const created = [];
+    jobEvents.on('job:created', (job) => created.push(job));
+
+    const first = startJob(baseJob());
+    const second = startJob(baseJob({ displayName: 'Second' }));
+
+    expect(first.status).toBe(JOB_STATUS.RUNNING);
+    expect(first.queuePosition).toBeNull();
+    expect(second).toMatchObject({ status: JOB_STATUS.PENDING, queuePosition: 1, startedAt: null, priority: 'normal' });
+    expect(spawn).toHaveBeenCalledTimes(1);
+    expect(created.map((job) => job.status)).toEqual([JOB_STATUS.RUNNING, JOB_STATUS.PENDING]);
+    expect(queueStore.saveQueuedJob).toHaveBeenCalledWith(expect.objectContaining({ id: second.id }));
+
+    children[0].emit('exit', 0, null);
+    await flush();
+
+    expect(getJob(first.id).status).toBe(JOB_STATUS.SUCCEEDED);
+    expect(getJob(second.id)).toMatchObject({ status: JOB_STATUS.RUNNING, queuePosition: null });
+    expect(queueStore.deleteQueuedJob).toHaveBeenCalledWith(second.id);
+  });
+
+  it('lets other projects use free global slots while one project waits', () => {
+    startJob(baseJob());
+    const blocked = startJob(baseJob());
+    const otherProject = startJob(baseJob({ projectId: 2 }));
+    const overGlobal = startJob(baseJob({ projectId: 3 }));
+
+    expect(blocked.status).toBe(JOB_STATUS.PENDING);
+    expect(otherProject.status).toBe(JOB_STATUS.RUNNING);
+    expect(overGlobal).toMatchObject({ status: JOB_STATUS.PENDING, queuePosition: 2 });
+  });
+
+  it('starts higher priority jobs first and announces position changes', async () => {
+    const updates = [];
+    jobEvents.on('job:updated', (job) => updates.push(job));
+
+    startJob(baseJob());
+    const retry = startJob(baseJob({ priority: JOB_PRIORITY.LOW }));
+    const unknown = startJob(baseJob({ priority: 'urgent' }));
+    const user = startJob(baseJob({ priority: JOB_PRIORITY.HIGH }));
+
+    expect(unknown.priority).toBe(JOB_PRIORITY.NORMAL);
+    expect(__testing.getQueuedJobIds()).toEqual([user.id, unknown.id, retry.id]);
+    expect(getJob(retry.id).queuePosition).toBe(3);
+    expect(updates.some((job) => job.id === retry.id && job.queuePosition === 3)).toBe(true);
+
+    children[0].emit('exit', 0, null);
+    await flush();
+
+    expect(getJob(user.id).status).toBe(JOB_STATUS.RUNNING);
+    expect(getJob(unknown.id).queuePosition).toBe(1);
+    expect(getJob(retry.id).queuePosition).toBe(2);
+  });
+
+  it('starts the wait timeout only once a queued job is running', async () => {
+    vi.useFakeTimers();
+    try {
+      startJob(baseJob());
+      const queued = startJob(baseJob());
+      const outcome = waitForJobCompletion(queued.id, { timeoutMs: 100 }).catch((error) => error);
+
+      jobEvents.emit('job:updated', { id: 'other-job', status: JOB_STATUS.RUNNING });
+      jobEvents.emit('job:updated', getJob(queued.id));
+      await vi.advanceTimersByTimeAsync(500);
+      expect(getJob(queued.id).status).toBe(JOB_STATUS.PENDING);
+
+      children[0].emit('exit', 0, null);
+      await vi.advanceTimersByTimeAsync(0);
+      expect(getJob(queued.id).status).toBe(JOB_STATUS.RUNNING);
+      await vi.advanceTimersByTimeAsync(90);
+      children[1].emit('exit', 0, null);
+
+      expect(await outcome).toMatchObject({ id: queued.id, status: JOB_STATUS.SUCCEEDED });
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('times out queued jobs only after they have run for the full budget', async () => {
+    vi.useFakeTimers();
+    try {
+      startJob(baseJob());
+      const queued = startJob(baseJob());
+      const outcome = waitForJobCompletion(queued.id, { timeoutMs: 100 }).catch((error) => error);
+
+      await vi.advanceTimersByTimeAsync(250);
+      children[0].emit('exit', 0, null);
+      await vi.advanceTimersByTimeAsync(100);
+
+      expect(await outcome).toMatchObject({ message: 'Timed out waiting for job completion', jobId: queued.id });
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('cancels queued jobs without spawning them', () => {
+    const running = startJob(baseJob());
+    const first = startJob(baseJob());
+    const second = startJob(baseJob());
+
+    const cancelled = cancelJob(first.id);
+
+    expect(cancelled).toMatchObject({ status: JOB_STATUS.CANCELLED, queuePosition: null });
+    expect(cancelled.completedAt).toBeTruthy();
+    expect(getJob(second.id).queuePosition).toBe(1);
+    expect(queueStore.deleteQueuedJob).toHaveBeenCalledWith(first.id);
+    expect(spawn).toHaveBeenCalledTimes(1);
+
+    cancelJob(running.id);
+    expect(getJob(second.id).status).toBe(JOB_STATUS.RUNNING);
+  });
+
+  it('frees the slot when a job fails to spawn or errors', () => {
+    spawn.mockImplementationOnce(() => {
+      throw new Error('spawn EACCES');
+    });
+    const broken = startJob(baseJob());
+    expect(broken.status).toBe(JOB_STATUS.FAILED);
+    expect(broken.logs[0].message).toBe('spawn EACCES');
+
+    const errored = startJob(baseJob());
+    const waiting = startJob(baseJob());
+    expect(waiting.status).toBe(JOB_STATUS.PENDING);
+
+    children[0].emit('error', new Error('ENOENT'));
+    expect(getJob(errored.id).status).toBe(JOB_STATUS.FAILED);
+    expect(getJob(waiting.id).status).toBe(JOB_STATUS.RUNNING);
+  });
+
+  it('reports spawn failures of previously queued jobs as updates', () => {
+    const updates = [];
+    jobEvents.on('job:updated', (job) => updates.push(job));
+
+    startJob(baseJob());
+    const queued = startJob(baseJob());
+    spawn.mockImplementationOnce(() => {
+      throw {};
+    });
+
+    children[0].emit('error', {});
+
+    expect(getJob(queued.id).status).toBe(JOB_STATUS.FAILED);
+    expect(getJob(queued.id).logs[0].message).toBe('Job failed to start');
+    expect(updates.at(-1)).toMatchObject({ id: queued.id, status: JOB_STATUS.FAILED });
+  });
+
+  it('restores persisted queued jobs and skips invalid or known rows', async () => {
+    const running = startJob(baseJob());
+    queueStore.listQueuedJobs.mockResolvedValueOnce([
+      { id: 'restored-1', projectId: 1, type: 'build', command: 'npm', cwd: '/project', priority: 'high', createdAt: '2024-01-01T00:00:00.000Z' },
+      { id: running.id, projectId: 1, type: 'build', command: 'npm', cwd: '/project' },
+      { id: 'broken', projectId: 1, type: 'build' },
+      null
+    ]);
+
+    const restored = await restoreQueuedJobs();
+
+    expect(restored).toBe(1);
+    expect(getJob('restored-1')).toMatchObject({
+      status: JOB_STATUS.PENDING,
+      priority: 'high',
+      queuePosition: 1,
+      createdAt: '2024-01-01T00:00:00.000Z',
+      args: []
+    });
+  });
+
+  it('ignores invalid limits and drains when limits are raised', () => {
+    startJob(baseJob());
+    const waiting = startJob(baseJob());
+
+    expect(configureJobQueue({ globalLimit: 0, perProjectLimit: 'x' })).toEqual({ globalLimit: 2, perProjectLimit: 1 });
+    expect(getJob(waiting.id).status).toBe(JOB_STATUS.PENDING);
+
+    configureJobQueue({ perProjectLimit: 2 });
+    expect(getJob(waiting.id).status).toBe(JOB_STATUS.RUNNING);
+  });
+
+  it('swallows persistence failures', async () => {
+    queueStore.saveQueuedJob.mockRejectedValueOnce(new Error('db locked'));
+    queueStore.deleteQueuedJob.mockRejectedValueOnce(new Error('db locked'));
+
+    startJob(baseJob());
+    const queued = startJob(baseJob());
+    cancelJob(queued.id);
+    await flush();
+
+    expect(getJob(queued.id).status).toBe(JOB_STATUS.CANCELLED);
+  });
+});
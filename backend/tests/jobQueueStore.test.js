@@ -0,0 +1,121 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import sqlite3 from 'sqlite3';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { initializeDatabase } from '../database.js';
+import {
+  __testing,
+  deleteQueuedJob,
+  listQueuedJobs,
+  saveQueuedJob
+} from '../services/jobQueueStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const dbEnvPath = process.env.DATABASE_PATH || 'test-lucidcoder.db';
+const dbPath = path.isAbsolute(dbEnvPath)
+  ? dbEnvPath
+  : path.join(__dirname, '..', dbEnvPath);
+
+const resetTable = () => {
+  const client = new sqlite3.Database(dbPath);
+  return new Promise((resolve, reject) => {
+    client.run('DELETE FROM job_queue', (err) => {
+      client.close(() => {
+        if (err && !/no such table/i.test(err.message)) {
+          reject(err);
+          return;
+        }
+        resolve();
+      });
+    });
+  });
+};
+
+describe('jobQueueStore', () => {
+  beforeEach(async () => {
+    await initializeDatabase();
+    await resetTable();
+  });
+
+  afterEach(async () => {
+    await resetTable();
+  });
+
+  test('saves, lists and deletes queued jobs in creation order', async () => {
+    await saveQueuedJob({
+      id: 'job-b',
+      projectId: 3,
+      type: 'frontend:test',
+      displayName: 'Frontend tests',
+      command: 'npm',
+      args: ['run', 'test:coverage'],
+      cwd: '/p/frontend',
+      env: { CI: '1', GITHUB_TOKEN: 'ghp_secret', DATABASE_URL: 'postgres://app:hunter2@db/app' },
+      coverageThresholds: { lines: 90 },
+      testReportFile: { format: 'jest-json', path: '/tmp/report.json' },
+      partial: true,
+      priority: 'high',
+      createdAt: '2024-01-02T00:00:00.000Z'
+    });
+    await saveQueuedJob({
+      id: 'job-a',
+      projectId: 3,
+      type: 'git:status',
+      command: 'git',
+      args: 'not-an-array',
+      cwd: '/p',
+      env: null,
+      priority: 'low',
+      createdAt: '2024-01-01T00:00:00.000Z'
+    });
+
+    const rows = await listQueuedJobs();
+    expect(rows.map((row) => row.id)).toEqual(['job-a', 'job-b']);
+    expect(rows[0]).toMatchObject({
+      displayName: 'git:status',
+      args: [],
+      env: {},
+      coverageThresholds: null,
+      testReportFile: null,
+      partial: false,
+      priority: 'low'
+    });
+    expect(rows[1]).toMatchObject({
+      projectId: 3,
+      displayName: 'Frontend tests',
+      args: ['run', 'test:coverage'],
+      env: { CI: '1' },
+      coverageThresholds: { lines: 90 },
+      testReportFile: { format: 'jest-json', path: '/tmp/report.json' },
+      partial: true
+    });
+
+    await saveQueuedJob({ id: 'job-c', projectId: 3, type: 'build', command: 'npm', cwd: '/p', priority: 'normal' });
+    expect(await listQueuedJobs()).toHaveLength(3);
+
+    expect(await deleteQueuedJob('job-a')).toBe(true);
+    expect(await deleteQueuedJob('job-a')).toBe(false);
+    expect(await deleteQueuedJob(null)).toBe(false);
+    expect((await listQueuedJobs()).map((row) => row.id)).toEqual(['job-b', 'job-c']);
+  });
+
+  test('rejects jobs without an id and tolerates malformed JSON columns', async () => {
+    await expect(saveQueuedJob({})).rejects.toThrow('job id is required');
+    expect(__testing.parseJson('{oops', [])).toEqual([]);
+    expect(__testing.parseJson(null, {})).toEqual({});
+  });
+
+  test('leaves credential-like env entries out of the stored row', () => {
+    expect(__testing.filterPersistedEnv({
+      CI: '1',
+      LUCIDCODER_COVERAGE_TARGET: '90',
+      OPENAI_API_KEY: 'sk-1',
+      npm_config__auth: 'x',
+      SESSION_SECRET: 'y',
+      PROXY: 'http://user:pw@proxy:8080',
+      HOMEPAGE: 'https://example.com/a:b@c'
+    })).toEqual({ CI: '1', LUCIDCODER_COVERAGE_TARGET: '90', HOMEPAGE: 'https://example.com/a:b@c' });
+    expect(__testing.filterPersistedEnv(null)).toEqual({});
+  });
+});
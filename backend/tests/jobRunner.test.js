@@ -1,6 +1,9 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { spawn } from 'child_process';
 import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
 import {
   startJob,
   cancelJob,
@@ -357,6 +360,69 @@ describe('jobRunner', () => {
       });
     });
 
+    it('attaches the per-test report written by the runner and removes the file', async () => {
+      const reportPath = path.join(os.tmpdir(), `jobRunner-report-${Date.now()}.json`);
+      await fs.writeFile(reportPath, JSON.stringify({
+        testResults: [{
+          name: '/path/src/app.test.js',
+          assertionResults: [
+            { ancestorTitles: ['app'], title: 'renders', status: 'passed', duration: 4 },
+            { ancestorTitles: ['app'], title: 'saves', status: 'failed', duration: 2, failureMessages: ['expected 1 to be 2'] }
+          ]
+        }]
+      }));
+      const job = startJob({
+        projectId: 1,
+        type: 'frontend:test',
+        command: 'npm',
+        cwd: '/path',
+        testReportFile: { format: 'jest-json', path: reportPath }
+      });
+
+      mockChild.emit('exit', 1, null);
+
+      await waitFor(() => {
+        const updatedJob = getJob(job.id);
+        expect(updatedJob.status).toBe(JOB_STATUS.FAILED);
+        expect(updatedJob.summary.tests).toEqual({ total: 2, passed: 1, failed: 1, skipped: 0, durationMs: 6 });
+        expect(updatedJob.testReport.cases[1]).toMatchObject({
+          name: 'app > saves',
+          file: 'src/app.test.js',
+          error: 'expected 1 to be 2'
+        });
+      });
+      await expect(fs.access(reportPath)).rejects.toThrow();
+    });
+
+    it('cleans up the report file of cancelled jobs and ignores missing reports', async () => {
+      const reportPath = path.join(os.tmpdir(), `jobRunner-cancelled-${Date.now()}.json`);
+      await fs.writeFile(reportPath, '{}');
+      const job = startJob({
+        projectId: 1,
+        type: 'frontend:test',
+        command: 'npm',
+        cwd: '/path',
+        testReportFile: { format: 'jest-json', path: reportPath }
+      });
+      cancelJob(job.id);
+      mockChild.emit('exit', null, 'SIGTERM');
+
+      await waitFor(() => {
+        expect(getJob(job.id).status).toBe(JOB_STATUS.CANCELLED);
+      });
+      await expect(fs.access(reportPath)).rejects.toThrow();
+
+      const missing = { testReportFile: { format: 'jest-json', path: `${reportPath}.missing` }, cwd: '/path' };
+      await __testing.collectTestReport(missing);
+      expect(missing.testReport).toBeUndefined();
+      expect(startJob({ projectId: 1, type: 'build', command: 'npm', cwd: '/path', testReportFile: {} }).testReportFile).toBeNull();
+    });
+
+    it('marks jobs that run only part of the tests as partial', () => {
+      expect(startJob({ projectId: 1, type: 'test-run', command: 'npx', cwd: '/path', partial: 'yes' }).partial).toBe(true);
+      expect(startJob({ projectId: 1, type: 'test-run', command: 'npx', cwd: '/path' }).partial).toBe(false);
+    });
+
     it('does not include process object in returned job', () => {
       const job = startJob({
         projectId: 1,
@@ -2,6 +2,8 @@ import { describe, it, expect, beforeEach, vi } from 'vitest';
 import express from 'express';
 import request from 'supertest';
 import path from 'path';
+import os from 'os';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
 import jobsRoutes, { __testables } from '../routes/jobs.js';
 import { getProject, getTestingSettings, getProjectTestingSettings } from '../database.js';
 import { startJob, listJobsForProject, getJob, cancelJob } from '../services/jobRunner.js';
@@ -185,6 +187,19 @@ describe('Jobs Routes', () => {
     expect(response.body.job.command).toBe('python');
   });
 
+  it('queues UI-started jobs at high priority and reports their queue position', async () => {
+    configureFsState({ projectRoot: true });
+    startJob.mockImplementationOnce((job) => ({ id: 'job-queued', status: 'pending', queuePosition: 2, ...job }));
+
+    const response = await request(app)
+      .post('/api/projects/42/jobs')
+      .send({ type: 'git:status' });
+
+    expect(response.status).toBe(202);
+    expect(startJob).toHaveBeenCalledWith(expect.objectContaining({ priority: 'high' }));
+    expect(response.body.job).toMatchObject({ status: 'pending', priority: 'high', queuePosition: 2 });
+  });
+
   it('adds frontend packages with normalized versions and dev flags', async () => {
     configureFsState({ projectRoot: true, frontendDir: true, frontendPackage: true });
 
@@ -720,6 +735,38 @@ describe('Jobs Routes', () => {
     expect(response.body.job.summary).toEqual({ ok: true });
   });
 
+  it('includes the parsed test report in job details', async () => {
+    const testReport = { format: 'jest-json', summary: { total: 1 }, cases: [], truncated: false };
+    getJob.mockReturnValueOnce({ id: 'job-13', projectId: 42, type: 'frontend:test', logs: [], testReport });
+
+    const response = await request(app).get('/api/projects/42/jobs/job-13');
+
+    expect(response.body.job.testReport).toEqual(testReport);
+  });
+
+  it('asks detected Node test runners for a JSON report', async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'jobs-routes-'));
+    const manifestPath = path.join(dir, 'package.json');
+    await writeFile(manifestPath, JSON.stringify({ devDependencies: { vitest: '^1.0.0' } }));
+    configureFsState({ projectRoot: true, frontendDir: true, frontendPackage: true, backendDir: true });
+    resolveProjectLayout.mockResolvedValue({
+      frontendWorkspacePath: FRONTEND_DIR,
+      backendWorkspacePath: BACKEND_DIR,
+      frontendWorkspaceManifestPath: manifestPath,
+      backendWorkspaceManifestPath: manifestPath
+    });
+
+    await request(app).post('/api/projects/42/jobs').send({ type: 'frontend:test' }).expect(202);
+    await request(app).post('/api/projects/42/jobs').send({ type: 'backend:test' }).expect(202);
+
+    for (const [config] of startJob.mock.calls) {
+      expect(config.args.slice(0, 5)).toEqual(['run', 'test:coverage', '--', '--reporter=default', '--reporter=json']);
+      expect(config.args[5]).toBe(`--outputFile.json=${config.testReportFile.path}`);
+      expect(config.testReportFile.format).toBe('jest-json');
+    }
+    await rm(dir, { recursive: true, force: true });
+  });
+
   it('returns 404 when fetching job for a missing project', async () => {
     getProject.mockResolvedValueOnce(null);
 
@@ -747,6 +794,8 @@ describe('Jobs Routes', () => {
       type: 'git:pull',
       displayName: 'Pull',
       status: 'succeeded',
+      priority: 'high',
+      queuePosition: null,
       command: 'git',
       args: ['pull'],
       cwd: PROJECT_ROOT,
@@ -929,8 +978,9 @@ describe('Jobs Routes', () => {
 
     expect(startJob).toHaveBeenCalledWith(expect.objectContaining({
       command: 'python',
-      args: ['-m', 'pytest'],
-      cwd: BACKEND_DIR
+      args: ['-m', 'pytest', expect.stringMatching(/^--junitxml=.+\.xml$/)],
+      cwd: BACKEND_DIR,
+      testReportFile: expect.objectContaining({ format: 'junit-xml' })
     }));
   });
 
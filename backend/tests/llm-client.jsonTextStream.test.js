@@ -0,0 +1,44 @@
+import { describe, expect, test } from 'vitest';
+import { createJsonTextStream } from '../llm-client/jsonTextStream.js';
+
+const collect = (fields, chunks) => {
+  const texts = [];
+  const push = createJsonTextStream(fields, (text) => texts.push(text));
+  chunks.forEach((chunk) => push(chunk));
+  return texts;
+};
+
+describe('createJsonTextStream', () => {
+  test('passes on only the named top-level string fields as they arrive', () => {
+    const json = JSON.stringify({
+      action: 'answer',
+      meta: { answer: 'nested', list: ['answer', { answer: 'deep' }] },
+      steps: [1, 2],
+      answer: 'Line one\nsaid "hi" \\ done'
+    });
+    const chunks = json.match(/.{1,7}/gs);
+
+    const texts = collect(['answer'], chunks);
+
+    expect(texts.join('')).toBe('Line one\nsaid "hi" \\ done');
+    expect(texts.length).toBeGreaterThan(1);
+  });
+
+  test('decodes escapes split across chunks, including surrogate pairs', () => {
+    expect(collect(['reason'], ['{"reason":"tab\\', 't \\u00', 'e9 \\ud83d', '\\ude00 \\/ \\b\\f\\r\\q"}']).join(''))
+      .toBe('tab\t é 😀 / \b\f\rq');
+    expect(collect(['reason'], ['{"reason":"😀 \\uzzzz!"}']).join('')).toBe('😀 !');
+  });
+
+  test('ignores prose outside the object, non-string chunks and unknown fields', () => {
+    const texts = [];
+    const push = createJsonTextStream(['summary'], (text) => texts.push(text));
+    push('Here you go: "quoted" ');
+    push(null);
+    push('');
+    push('{"action":"finalize","summary":"All done","extra":"skip"}');
+    push(' trailing "text"');
+
+    expect(texts).toEqual(['All done']);
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, test, expect, vi } from 'vitest';
+import { Readable } from 'stream';
+import {
+  extractStreamDelta,
+  formatStreamPayload,
+  getStreamEndpointURL,
+  hydrateStreamError,
+  isAbortError,
+  parseStreamLine,
+  readTokenStream
+} from '../llm-client/stream.js';
+
+const streamOf = (chunks) => Readable.from(chunks.map((chunk) => Buffer.from(chunk)));
+
+describe('llm-client stream helpers', () => {
+  test('uses the Gemini streaming method and the regular endpoint elsewhere', () => {
+    expect(getStreamEndpointURL({ provider: 'google', api_url: 'https://g.test/v1beta', model: 'gemini-2.0-flash' }))
+      .toBe('https://g.test/v1beta/models/gemini-2.0-flash:streamGenerateContent?alt=sse');
+    expect(getStreamEndpointURL({ provider: 'anthropic', api_url: 'https://a.test/v1' }))
+      .toBe('https://a.test/v1/messages');
+    expect(getStreamEndpointURL({ provider: 'ollama', api_url: 'http://localhost:11434' }))
+      .toBe('http://localhost:11434/api/chat');
+  });
+
+  test('turns streaming on in the payload except for Gemini', () => {
+    expect(formatStreamPayload('openai', { model: 'gpt' })).toEqual({ model: 'gpt', stream: true });
+    expect(formatStreamPayload('ollama', { model: 'llama', stream: false })).toEqual({ model: 'llama', stream: true });
+    const googlePayload = { contents: [] };
+    expect(formatStreamPayload('google', googlePayload)).toBe(googlePayload);
+    expect(formatStreamPayload('openai', null)).toBeNull();
+  });
+
+  test('parses SSE frames and NDJSON lines while skipping bookkeeping lines', () => {
+    expect(parseStreamLine('data: {"a":1}')).toEqual({ a: 1 });
+    expect(parseStreamLine('{"b":2}')).toEqual({ b: 2 });
+    expect(parseStreamLine('data: [DONE]')).toBeNull();
+    expect(parseStreamLine('event: content_block_delta')).toBeNull();
+    expect(parseStreamLine(': keep-alive')).toBeNull();
+    expect(parseStreamLine('id: 4')).toBeNull();
+    expect(parseStreamLine('data:')).toBeNull();
+    expect(parseStreamLine('data: {oops')).toBeNull();
+    expect(parseStreamLine('')).toBeNull();
+    expect(parseStreamLine(undefined)).toBeNull();
+  });
+
+  test.each([
+    ['openai', { choices: [{ delta: { content: 'Hi' } }] }, 'Hi'],
+    ['groq', { choices: [{ text: 'legacy' }] }, 'legacy'],
+    ['custom', { choices: [{ delta: { role: 'assistant' } }] }, ''],
+    ['anthropic', { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Hel' } }, 'Hel'],
+    ['anthropic', { type: 'message_start', message: {} }, ''],
+    ['anthropic', { type: 'error' }, ''],
+    ['google', { candidates: [{ content: { parts: [{ text: 'a' }, { inlineData: {} }, { text: 'b' }] } }] }, 'ab'],
+    ['google', { candidates: [] }, ''],
+    ['cohere', { event_type: 'text-generation', text: 'co' }, 'co'],
+    ['cohere', { type: 'content-delta', delta: { message: { content: { text: 'v2' } } } }, 'v2'],
+    ['cohere', { event_type: 'stream-end' }, ''],
+    ['ollama', { message: { content: 'llama' }, done: false }, 'llama'],
+    ['ollama', { done: true }, ''],
+    ['openai', null, '']
+  ])('extracts %s deltas', (provider, event, expected) => {
+    expect(extractStreamDelta(provider, event)).toBe(expected);
+  });
+
+  test('raises provider errors sent inside the stream', () => {
+    expect(() => extractStreamDelta('anthropic', { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }))
+      .toThrow('Overloaded');
+    expect(() => extractStreamDelta('openai', { error: 'quota exceeded' })).toThrow('quota exceeded');
+    expect(() => extractStreamDelta('openai', { error: { code: 500 } })).toThrow('{"code":500}');
+  });
+
+  test('reads tokens across chunk boundaries and reports each delta', async () => {
+    const onToken = vi.fn();
+    const stream = streamOf([
+      'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"text":"Hel"}}\n\n',
+      'data: {"type":"content_block_delta","del',
+      'ta":{"text":"lo"}}\n\ndata: {"type":"message_stop"}'
+    ]);
+
+    const text = await readTokenStream('anthropic', stream, onToken);
+
+    expect(text).toBe('Hello');
+    expect(onToken.mock.calls.map(([token]) => token)).toEqual(['Hel', 'lo']);
+  });
+
+  test('reports the largest usage counts seen across events once the stream ends', async () => {
+    const onUsage = vi.fn();
+    const stream = streamOf([
+      'data: {"type":"message_start","message":{"usage":{"input_tokens":25,"output_tokens":1}}}\n\n',
+      'data: {"type":"content_block_delta","delta":{"text":"ok"}}\n\n',
+      'data: {"type":"message_delta","usage":{"output_tokens":9}}\n\n'
+    ]);
+
+    await expect(readTokenStream('anthropic', stream, undefined, onUsage)).resolves.toBe('ok');
+    expect(onUsage).toHaveBeenCalledTimes(1);
+    expect(onUsage).toHaveBeenCalledWith({ promptTokens: 25, completionTokens: 9 });
+
+    const silent = vi.fn();
+    await readTokenStream('anthropic', streamOf(['data: {"type":"content_block_delta","delta":{"text":"x"}}\n']), undefined, silent);
+    expect(silent).not.toHaveBeenCalled();
+  });
+
+  test('handles a final NDJSON line without a trailing newline and string chunks', async () => {
+    const stream = Readable.from(['{"message":{"content":"a"}}\n', '{"message":{"content":"b"},"done":true}'], { objectMode: true });
+
+    await expect(readTokenStream('ollama', stream)).resolves.toBe('ab');
+  });
+
+  test('reads streamed error bodies back into JSON or text', async () => {
+    const jsonError = { response: { status: 401, data: streamOf(['{"error":{"message":"bad key"}}']) } };
+    await hydrateStreamError(jsonError);
+    expect(jsonError.response.data).toEqual({ error: { message: 'bad key' } });
+
+    const textError = { response: { data: Readable.from(['plain failure'], { objectMode: true }) } };
+    await hydrateStreamError(textError);
+    expect(textError.response.data).toBe('plain failure');
+
+    const broken = new Readable({
+      read() {
+        this.destroy(new Error('socket hang up'));
+      }
+    });
+    const brokenError = { response: { data: broken } };
+    await hydrateStreamError(brokenError);
+    expect(brokenError.response.data).toBe('');
+
+    const plain = { response: { data: { error: 'already parsed' } } };
+    expect(await hydrateStreamError(plain)).toBe(plain);
+    expect(await hydrateStreamError(undefined)).toBeUndefined();
+  });
+
+  test('recognises axios and fetch abort errors', () => {
+    expect(isAbortError({ code: 'ERR_CANCELED' })).toBe(true);
+    expect(isAbortError({ name: 'AbortError' })).toBe(true);
+    expect(isAbortError({ name: 'CanceledError' })).toBe(true);
+    expect(isAbortError(new Error('boom'))).toBe(false);
+    expect(isAbortError(null)).toBe(false);
+  });
+});
@@ -1,5 +1,6 @@
-import { describe, test, expect, beforeEach, beforeAll, vi } from 'vitest';
+import { describe, test, expect, beforeEach, beforeAll, afterEach, vi } from 'vitest';
 import axios from 'axios';
+import { Readable } from 'stream';
 
 const axiosRequestMock = vi.hoisted(() => vi.fn());
 const axiosPostMock = vi.hoisted(() => vi.fn());
@@ -325,7 +326,7 @@ describe('LLM Client Tests', () => {
 
       expect(fn).toHaveBeenCalledTimes(1);
       expect(first).toEqual({ data: { answer: 'ok' } });
-      expect(second).toEqual({ data: { answer: 'ok' } });
+      expect(second).toEqual({ data: { answer: 'ok' }, cached: true });
 
       nowSpy.mockRestore();
     });
@@ -497,6 +498,7 @@ describe('LLM Client Tests', () => {
       expect(payload).toEqual({
         contents: [
           {
+            role: 'user',
             parts: [
               { text: 'Hello world' }
             ]
@@ -545,6 +547,41 @@ describe('LLM Client Tests', () => {
       });
     });
 
+    test('anthropic formatting moves system prompts to the top-level system field', () => {
+      const formatted = client.formatPayloadInternal('anthropic', {
+        messages: [
+          { role: 'system', content: 'Be terse.' },
+          { role: 'user', content: 'Ping' },
+          { role: 'system', content: '  ' },
+          { role: 'assistant', content: 'Pong' },
+          { role: 'system', content: 'Answer in JSON.' }
+        ]
+      }, { model: 'claude-3' });
+
+      expect(formatted.system).toBe('Be terse.\n\nAnswer in JSON.');
+      expect(formatted.messages).toEqual([
+        { role: 'user', content: 'Ping' },
+        { role: 'assistant', content: 'Pong' }
+      ]);
+      expect(client.formatPayloadInternal('anthropic', {}, { model: 'claude-3' }).messages).toEqual([]);
+    });
+
+    test('google formatting maps roles and sends system prompts as systemInstruction', () => {
+      const formatted = client.formatPayloadInternal('google', {
+        messages: [
+          { role: 'system', content: 'Be terse.' },
+          { role: 'user', content: 'Ping' },
+          { role: 'assistant', content: 'Pong' }
+        ]
+      }, { model: 'gemini' });
+
+      expect(formatted.systemInstruction).toEqual({ parts: [{ text: 'Be terse.' }] });
+      expect(formatted.contents).toEqual([
+        { role: 'user', parts: [{ text: 'Ping' }] },
+        { role: 'model', parts: [{ text: 'Pong' }] }
+      ]);
+    });
+
     test('google formatting fills generation defaults', () => {
       const payload = basePayload();
       const formatted = client.formatPayloadInternal('google', payload, { model: 'gemini' });
@@ -1451,10 +1488,10 @@ describe('LLM Client Tests', () => {
       ['groq', 'secret', { 'Content-Type': 'application/json', Authorization: 'Bearer secret' }],
       ['anthropic', 'key', {
         'Content-Type': 'application/json',
-        Authorization: 'Bearer key',
+        'x-api-key': 'key',
         'anthropic-version': '2023-06-01'
       }],
-      ['google', 'g-key', { 'Content-Type': 'application/json', Authorization: 'Bearer g-key' }],
+      ['google', 'g-key', { 'Content-Type': 'application/json', 'x-goog-api-key': 'g-key' }],
       ['cohere', 'c-key', { 'Content-Type': 'application/json', Authorization: 'Bearer c-key' }],
       ['mistral', 'm-key', { 'Content-Type': 'application/json', Authorization: 'Bearer m-key' }],
       ['custom', null, { 'Content-Type': 'application/json' }],
@@ -1759,7 +1796,7 @@ describe('LLM Client Tests', () => {
         timeout: 30000,
         headers: {
           'Content-Type': 'application/json',
-          Authorization: 'Bearer secret',
+          'x-api-key': 'secret',
           'anthropic-version': '2023-06-01'
         }
       });
@@ -1812,6 +1849,79 @@ describe('LLM Client Tests', () => {
     });
   });
 
+  describe('makeStreamingAPIRequest', () => {
+    const sse = (events) => Readable.from(events.map((event) => Buffer.from(`data: ${JSON.stringify(event)}\n\n`)));
+
+    test('streams Gemini tokens from the SSE endpoint with an abort signal', async () => {
+      const controller = new AbortController();
+      const onToken = vi.fn();
+      axiosRequestMock.mockResolvedValueOnce({
+        data: sse([
+          { candidates: [{ content: { parts: [{ text: 'Hel' }] } }] },
+          { candidates: [{ content: { parts: [{ text: 'lo' }] } }] }
+        ])
+      });
+
+      const text = await client.makeStreamingAPIRequest(
+        { provider: 'google', api_url: 'https://g.test/v1beta', model: 'gemini' },
+        'g-key',
+        { messages: [{ role: 'system', content: 'sys' }, { role: 'user', content: 'hi' }], __lucidcoderSignal: controller.signal },
+        { onToken, signal: controller.signal }
+      );
+
+      expect(text).toBe('Hello');
+      expect(onToken.mock.calls.map(([token]) => token)).toEqual(['Hel', 'lo']);
+      const request = axiosRequestMock.mock.calls[0][0];
+      expect(request).toMatchObject({
+        url: 'https://g.test/v1beta/models/gemini:streamGenerateContent?alt=sse',
+        responseType: 'stream',
+        signal: controller.signal,
+        headers: { 'x-goog-api-key': 'g-key' }
+      });
+      expect(request.data.stream).toBeUndefined();
+      expect(request.data.systemInstruction).toEqual({ parts: [{ text: 'sys' }] });
+      expect(request.data.__lucidcoderSignal).toBeUndefined();
+    });
+
+    test('requests stream:true for Anthropic and logs the payload in debug mode', async () => {
+      const previous = process.env.LUCIDCODER_LLM_DEBUG;
+      process.env.LUCIDCODER_LLM_DEBUG = '1';
+      const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+      axiosRequestMock.mockResolvedValueOnce({
+        data: sse([{ type: 'content_block_delta', delta: { type: 'text_delta', text: 'ok' } }])
+      });
+
+      const text = await client.makeStreamingAPIRequest(
+        { provider: 'anthropic', api_url: 'https://a.test/v1', model: 'claude' },
+        'a-key',
+        { messages: [{ role: 'user', content: 'hi' }] }
+      );
+
+      expect(text).toBe('ok');
+      const request = axiosRequestMock.mock.calls[0][0];
+      expect(request.data).toMatchObject({ stream: true, messages: [{ role: 'user', content: 'hi' }] });
+      expect(request).not.toHaveProperty('signal');
+      expect(logSpy).toHaveBeenCalledWith(expect.stringContaining('Request payload:'), expect.any(String));
+
+      logSpy.mockRestore();
+      process.env.LUCIDCODER_LLM_DEBUG = previous;
+    });
+
+    test('reads streamed error bodies before rethrowing', async () => {
+      const error = Object.assign(new Error('Request failed'), {
+        response: { status: 401, data: Readable.from([Buffer.from('{"error":{"message":"invalid x-api-key"}}')]) }
+      });
+      axiosRequestMock.mockRejectedValueOnce(error);
+
+      await expect(client.makeStreamingAPIRequest(
+        { provider: 'anthropic', api_url: 'https://a.test/v1', model: 'claude' },
+        'bad',
+        { messages: [{ role: 'user', content: 'hi' }] }
+      )).rejects.toBe(error);
+      expect(client.getErrorMessage(error)).toBe('invalid x-api-key');
+    });
+  });
+
   describe('API Communication', () => {
     const testConfig = {
       provider: 'groq',
@@ -2904,6 +3014,305 @@ describe('LLM Client Tests', () => {
     });
   });
 
+  describe('generateResponse streaming', () => {
+    const messages = [{ role: 'user', content: 'Ping?' }];
+
+    beforeEach(() => {
+      client.config = { provider: 'anthropic', model: 'claude', api_url: 'https://a.test/v1' };
+      client.apiKey = 'a-key';
+    });
+
+    test('returns streamed text and forwards each token', async () => {
+      const onToken = vi.fn();
+      const streamSpy = vi.spyOn(client, 'makeStreamingAPIRequest').mockImplementation(async (config, key, payload, opts) => {
+        opts.onToken('Po');
+        opts.onToken('ng ');
+        return 'Pong ';
+      });
+      const makeSpy = vi.spyOn(client, 'makeAPIRequest');
+
+      const result = await client.generateResponse(messages, { temperature: 0, __lucidcoderOnToken: onToken });
+
+      expect(result).toBe('Pong');
+      expect(onToken).toHaveBeenCalledTimes(2);
+      expect(streamSpy.mock.calls[0][2]).toMatchObject({ messages, temperature: 0 });
+      expect(makeSpy).not.toHaveBeenCalled();
+      expect(dbOperationsMock.logAPIRequest).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+
+    test('falls back to a buffered request when the stream is empty or fails', async () => {
+      const previous = process.env.LUCIDCODER_LLM_DEBUG;
+      process.env.LUCIDCODER_LLM_DEBUG = '1';
+      const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+      const streamSpy = vi.spyOn(client, 'makeStreamingAPIRequest')
+        .mockResolvedValueOnce('   ')
+        .mockRejectedValueOnce(new Error('stream unsupported'));
+      const makeSpy = vi.spyOn(client, 'makeAPIRequest')
+        .mockResolvedValue({ data: { content: [{ text: 'Buffered' }] } });
+
+      await expect(client.generateResponse(messages, { __lucidcoderOnToken: vi.fn() })).resolves.toBe('Buffered');
+      await expect(client.generateResponse(messages, { __lucidcoderOnToken: vi.fn() })).resolves.toBe('Buffered');
+
+      expect(streamSpy).toHaveBeenCalledTimes(2);
+      expect(makeSpy).toHaveBeenCalledTimes(2);
+      expect(logSpy).toHaveBeenCalledWith(expect.stringContaining('stream unsupported'));
+
+      logSpy.mockRestore();
+      process.env.LUCIDCODER_LLM_DEBUG = previous;
+    });
+
+    test('rejects with a cancellation error when the signal aborts mid-stream', async () => {
+      const controller = new AbortController();
+      vi.spyOn(client, 'makeStreamingAPIRequest').mockImplementation(async () => {
+        controller.abort();
+        throw Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' });
+      });
+      const makeSpy = vi.spyOn(client, 'makeAPIRequest');
+
+      await expect(client.generateResponse(messages, {
+        __lucidcoderOnToken: vi.fn(),
+        __lucidcoderSignal: controller.signal
+      })).rejects.toMatchObject({ code: 'LLM_REQUEST_CANCELLED' });
+      expect(makeSpy).not.toHaveBeenCalled();
+      expect(dbOperationsMock.logAPIRequest).not.toHaveBeenCalled();
+    });
+
+    test('rejects immediately when the signal is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      const makeSpy = vi.spyOn(client, 'makeAPIRequest');
+
+      await expect(client.generateResponse(messages, { __lucidcoderSignal: controller.signal }))
+        .rejects.toThrow('LLM request cancelled');
+      expect(makeSpy).not.toHaveBeenCalled();
+    });
+
+    test('passes the signal to buffered requests and skips de-duplication', async () => {
+      const controller = new AbortController();
+      axiosRequestMock.mockResolvedValue({ data: { content: [{ text: 'Pong' }] } });
+
+      await client.generateResponse(messages, { temperature: 0, __lucidcoderSignal: controller.signal });
+      await client.generateResponse(messages, { temperature: 0, __lucidcoderSignal: controller.signal });
+
+      expect(axiosRequestMock).toHaveBeenCalledTimes(2);
+      expect(axiosRequestMock.mock.calls[0][0].signal).toBe(controller.signal);
+    });
+
+    test('stops retrying the stored endpoint once the request is cancelled', async () => {
+      const controller = new AbortController();
+      client.config = { provider: 'openai', model: 'o3', api_url: 'https://o.test/v1', endpoint_path: '/responses' };
+      const directSpy = vi.spyOn(client, 'makeAPIRequestWithEndpoint').mockImplementation(async () => {
+        controller.abort();
+        throw new Error('Unsupported parameter: temperature');
+      });
+
+      await expect(client.generateResponse(messages, { __lucidcoderSignal: controller.signal }))
+        .rejects.toMatchObject({ code: 'LLM_REQUEST_CANCELLED' });
+      expect(directSpy).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('generateResponse role routing', () => {
+    const messages = [{ role: 'user', content: 'Classify me' }];
+    const target = (name, provider, model) => ({
+      name,
+      config: { provider, model, api_url: `https://${provider}.test/v1` },
+      apiKey: `${name}-key`
+    });
+
+    beforeEach(() => {
+      client.config = { provider: 'openai', model: 'gpt-4o', api_url: 'https://api.openai.com/v1' };
+      client.apiKey = 'default-key';
+    });
+
+    test('uses the active config when the role has no route', async () => {
+      const makeSpy = vi.spyOn(client, 'makeAPIRequest')
+        .mockResolvedValue({ data: { choices: [{ message: { content: 'default' } }] } });
+
+      await expect(client.generateResponse(messages, { __lucidcoderPhase: 'classification' })).resolves.toBe('default');
+      expect(makeSpy.mock.calls[0][0]).toBe(client.config);
+    });
+
+    test('sends routed roles to the primary profile', async () => {
+      client.roleRoutes = { classification: [target('fast', 'groq', 'llama-3.1-8b-instant')] };
+      const makeSpy = vi.spyOn(client, 'makeAPIRequest')
+        .mockResolvedValue({ data: { choices: [{ message: { content: 'routed' } }] } });
+
+      await expect(client.generateResponse(messages, { __lucidcoderPhase: 'classification' })).resolves.toBe('routed');
+      expect(makeSpy.mock.calls[0][0]).toMatchObject({ provider: 'groq', model: 'llama-3.1-8b-instant' });
+      expect(makeSpy.mock.calls[0][1]).toBe('fast-key');
+      expect(client.config.provider).toBe('openai');
+    });
+
+    test('falls back to the next profile when a provider errors', async () => {
+      const previous = process.env.LUCIDCODER_LLM_DEBUG;
+      process.env.LUCIDCODER_LLM_DEBUG = '1';
+      const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+      client.roleRoutes = {
+        code_edit: [target('strong', 'anthropic', 'claude'), target('backup', 'openai', 'gpt-4o-mini')]
+      };
+      const makeSpy = vi.spyOn(client, 'makeAPIRequest').mockImplementation(async (config) => {
+        if (config.provider === 'anthropic') {
+          throw { response: { status: 529, data: { error: { message: 'Overloaded' } } } };
+        }
+        return { data: { choices: [{ message: { content: 'from backup' } }] } };
+      });
+
+      await expect(client.generateResponse(messages, { __lucidcoderRole: 'code_edit' })).resolves.toBe('from backup');
+      expect(makeSpy.mock.calls.map(([config]) => config.provider)).toEqual(['anthropic', 'openai']);
+      expect(logSpy).toHaveBeenCalledWith(expect.stringContaining('LLM profile "strong" failed for role code_edit'));
+
+      logSpy.mockRestore();
+      process.env.LUCIDCODER_LLM_DEBUG = previous;
+    });
+
+    test('throws the last error once every profile has failed', async () => {
+      client.roleRoutes = { question: [target('local', 'ollama', 'llama3.2'), target('cloud', 'groq', 'mixtral')] };
+      vi.spyOn(client, 'makeAPIRequest').mockImplementation(async (config) => {
+        throw new Error(`${config.provider} down`);
+      });
+
+      await expect(client.generateResponse(messages, { __lucidcoderPhase: 'question' }))
+        .rejects.toThrow('LLM API Error: groq down');
+    });
+
+    test('does not fall back when the request is cancelled', async () => {
+      const controller = new AbortController();
+      client.roleRoutes = { planning: [target('a', 'openai', 'o3'), target('b', 'groq', 'mixtral')] };
+      const makeSpy = vi.spyOn(client, 'makeAPIRequest').mockImplementation(async () => {
+        controller.abort();
+        throw Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' });
+      });
+
+      await expect(client.generateResponse(messages, {
+        __lucidcoderPhase: 'meta_goal_planning',
+        __lucidcoderSignal: controller.signal
+      })).rejects.toMatchObject({ code: 'LLM_REQUEST_CANCELLED' });
+      expect(makeSpy).toHaveBeenCalledTimes(1);
+    });
+
+    test('loads role routes from the routing table', async () => {
+      dbOperationsMock.listLLMProfiles = vi.fn().mockResolvedValue([
+        { id: 1, name: 'fast', provider: 'groq', model: 'llama', api_url: 'https://g.test', api_key_encrypted: 'enc', requires_api_key: 1 }
+      ]);
+      dbOperationsMock.getLLMRoleRoutes = vi.fn().mockResolvedValue({ classification: [1] });
+      decryptApiKeyMock.mockReturnValue('plain');
+      const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+      try {
+        await expect(client.loadRoleRoutes()).resolves.toBe(true);
+        expect(client.roleRoutes.classification[0]).toMatchObject({ name: 'fast', apiKey: 'plain' });
+        expect(logSpy).toHaveBeenCalledWith('✅ LLM role routes loaded: classification');
+
+        dbOperationsMock.getLLMRoleRoutes.mockRejectedValueOnce(new Error('no such table'));
+        const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        await expect(client.loadRoleRoutes()).resolves.toBe(false);
+        expect(client.roleRoutes).toEqual({});
+        expect(warnSpy).toHaveBeenCalledWith('⚠️  Failed to load LLM role routes:', 'no such table');
+        warnSpy.mockRestore();
+      } finally {
+        logSpy.mockRestore();
+        delete dbOperationsMock.listLLMProfiles;
+        delete dbOperationsMock.getLLMRoleRoutes;
+      }
+    });
+  });
+
+  describe('usage accounting', () => {
+    const messages = [{ role: 'user', content: 'Count my tokens please' }];
+
+    beforeEach(() => {
+      client.config = { provider: 'openai', model: 'gpt-4o', api_url: 'https://api.openai.com/v1' };
+      client.apiKey = 'key';
+      dbOperationsMock.listLLMPrices = vi.fn().mockResolvedValue([]);
+      dbOperationsMock.recordLLMUsage = vi.fn().mockResolvedValue(true);
+    });
+
+    afterEach(() => {
+      delete dbOperationsMock.listLLMPrices;
+      delete dbOperationsMock.recordLLMUsage;
+    });
+
+    test('records reported tokens and their cost', async () => {
+      vi.spyOn(client, 'makeAPIRequest').mockResolvedValue({
+        data: {
+          choices: [{ message: { content: 'done' } }],
+          usage: { prompt_tokens: 1000, completion_tokens: 500 }
+        }
+      });
+
+      await expect(client.generateResponse(messages, {
+        __lucidcoderPhase: 'autopilot-edit',
+        __lucidcoderRequestType: 'code_edit',
+        __lucidcoderDisableDedup: true
+      })).resolves.toBe('done');
+
+      const entry = dbOperationsMock.recordLLMUsage.mock.calls[0][0];
+      expect(entry).toMatchObject({
+        provider: 'openai',
+        model: 'gpt-4o',
+        role: 'code_edit',
+        requestType: 'code_edit',
+        phase: 'autopilot-edit',
+        promptTokens: 1000,
+        completionTokens: 500,
+        estimated: false,
+        priced: true
+      });
+      expect(entry.costUsd).toBeCloseTo(0.0075, 10);
+    });
+
+    test('records streamed usage and skips recent-cache hits', async () => {
+      client.config = { provider: 'anthropic', model: 'claude-3-5-haiku-20241022', api_url: 'https://a.test/v1' };
+      axiosRequestMock.mockResolvedValueOnce({
+        data: Readable.from([
+          'data: {"type":"message_start","message":{"usage":{"input_tokens":40,"output_tokens":1}}}\n\n',
+          'data: {"type":"content_block_delta","delta":{"text":"hi"}}\n\n',
+          'data: {"type":"message_delta","usage":{"output_tokens":12}}\n\n'
+        ].map((line) => Buffer.from(line)))
+      });
+
+      await expect(client.generateResponse(messages, { __lucidcoderOnToken: vi.fn() })).resolves.toBe('hi');
+      expect(dbOperationsMock.recordLLMUsage.mock.calls[0][0]).toMatchObject({
+        promptTokens: 40,
+        completionTokens: 12,
+        estimated: false
+      });
+
+      vi.spyOn(client, '_makeDedupedRequest').mockResolvedValue({
+        data: { content: [{ type: 'text', text: 'cached' }] },
+        cached: true
+      });
+      await expect(client.generateResponse(messages, {})).resolves.toBe('cached');
+      expect(dbOperationsMock.recordLLMUsage).toHaveBeenCalledTimes(1);
+    });
+
+    test('estimates unreported usage and never fails the request when recording fails', async () => {
+      const previous = process.env.LUCIDCODER_LLM_DEBUG;
+      process.env.LUCIDCODER_LLM_DEBUG = '1';
+      const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+      client.config = { provider: 'custom', model: 'house-model', api_url: 'https://c.test/v1' };
+      vi.spyOn(client, 'makeAPIRequest').mockResolvedValue({
+        data: { choices: [{ message: { content: 'twelve chars' } }] }
+      });
+
+      await expect(client.generateResponse(messages, { __lucidcoderDisableDedup: true })).resolves.toBe('twelve chars');
+      expect(dbOperationsMock.recordLLMUsage.mock.calls[0][0]).toMatchObject({
+        completionTokens: 3,
+        costUsd: 0,
+        estimated: true,
+        priced: false
+      });
+
+      dbOperationsMock.recordLLMUsage.mockRejectedValueOnce(new Error('disk full'));
+      await expect(client.generateResponse(messages, { __lucidcoderDisableDedup: true })).resolves.toBe('twelve chars');
+      expect(logSpy).toHaveBeenCalledWith('⚠️  Failed to record LLM usage: disk full');
+
+      logSpy.mockRestore();
+      process.env.LUCIDCODER_LLM_DEBUG = previous;
+    });
+  });
+
   describe('Configuration Validation', () => {
     test('should validate required configuration fields', async () => {
       const invalidConfigs = [
@@ -6,17 +6,37 @@ import axios from 'axios';
 import { db_operations } from '../database.js';
 import { encryptApiKey, decryptApiKey } from '../encryption.js';
 import { llmClient } from '../llm-client.js';
+import { getGoal } from '../services/goalStore.js';
+import { getLlmUsageContext } from '../services/llmUsage.js';
 
 vi.mock('../database.js', () => ({
   db_operations: {
     saveLLMConfig: vi.fn(),
     getActiveLLMConfig: vi.fn(),
+    listLLMProfiles: vi.fn(),
+    getLLMProfile: vi.fn(),
+    saveLLMProfile: vi.fn(),
+    deleteLLMProfile: vi.fn(),
+    getLLMRoleRoutes: vi.fn(),
+    saveLLMRoleRoute: vi.fn(),
+    getLLMUsageRollup: vi.fn(),
+    getProjectLLMSpend: vi.fn(),
+    getProjectLLMBudget: vi.fn(),
+    saveProjectLLMBudget: vi.fn(),
+    listLLMPrices: vi.fn(),
+    saveLLMPrice: vi.fn(),
+    deleteLLMPrice: vi.fn(),
+    getProject: vi.fn(),
     db: {
       all: vi.fn()
     }
   }
 }));
 
+vi.mock('../services/goalStore.js', () => ({
+  getGoal: vi.fn()
+}));
+
 vi.mock('../encryption.js', () => ({
   encryptApiKey: vi.fn((key) => `encrypted_${key}`),
   decryptApiKey: vi.fn((value) => (value ? 'decrypted' : null))
@@ -37,6 +57,7 @@ vi.mock('../llm-client.js', () => {
     llmClient: {
       testConnection: vi.fn(),
       initialize: vi.fn(),
+      loadRoleRoutes: vi.fn(),
       generateResponse: vi.fn(),
       config: { model: 'gpt-4', provider: 'openai' }
     },
@@ -749,6 +770,401 @@ describe('LLM Routes', () => {
     });
   });
 
+  describe('LLM usage, prices and budgets', () => {
+    const rollup = {
+      totals: { requests: 2, prompt_tokens: 300, completion_tokens: 40, cost_usd: 0.002 },
+      byGoal: [],
+      bySession: [],
+      byModel: []
+    };
+
+    beforeEach(() => {
+      db_operations.listLLMPrices.mockResolvedValue([]);
+      db_operations.getLLMUsageRollup.mockResolvedValue(rollup);
+      db_operations.getProjectLLMBudget.mockResolvedValue(1.5);
+      db_operations.getProjectLLMSpend.mockResolvedValue(2);
+    });
+
+    it('returns global usage without a budget', async () => {
+      const response = await request(app).get('/api/llm/usage');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ success: true, usage: rollup, budget: null });
+      expect(db_operations.getLLMUsageRollup).toHaveBeenCalledWith({ projectId: null });
+    });
+
+    it('returns project usage with its budget status', async () => {
+      const response = await request(app).get('/api/llm/usage?projectId=7');
+
+      expect(db_operations.getLLMUsageRollup).toHaveBeenCalledWith({ projectId: '7' });
+      expect(response.body.budget).toEqual({ budgetUsd: 1.5, spentUsd: 2, remainingUsd: 0, exceeded: true });
+    });
+
+    it('reports usage lookup failures', async () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      db_operations.getLLMUsageRollup.mockRejectedValueOnce(new Error('locked'));
+
+      const response = await request(app).get('/api/llm/usage');
+
+      expect(response.status).toBe(500);
+      expect(response.body.error).toBe('Failed to load LLM usage');
+      errorSpy.mockRestore();
+    });
+
+    it('lists built-in prices merged with saved overrides', async () => {
+      db_operations.listLLMPrices.mockResolvedValue([
+        { provider: 'openai', model: 'gpt-4o', input_per_million: 2, output_per_million: 8 },
+        { provider: 'custom', model: 'house', input_per_million: 1, output_per_million: 1 }
+      ]);
+
+      const response = await request(app).get('/api/llm/prices');
+
+      expect(response.body.prices).toContainEqual({ provider: 'openai', model: 'gpt-4o', input: 2, output: 8, source: 'custom' });
+      expect(response.body.prices).toContainEqual({ provider: 'custom', model: 'house', input: 1, output: 1, source: 'custom' });
+      expect(response.body.prices).toContainEqual({ provider: 'ollama', model: '*', input: 0, output: 0, source: 'default' });
+    });
+
+    it('reports price lookup failures', async () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      db_operations.listLLMPrices.mockRejectedValueOnce(new Error('locked'));
+
+      const response = await request(app).get('/api/llm/prices');
+
+      expect(response.status).toBe(500);
+      errorSpy.mockRestore();
+    });
+
+    it('saves price overrides after validating them', async () => {
+      const missing = await request(app).put('/api/llm/prices').send({ provider: 'openai', input: 1, output: 1 });
+      expect(missing.status).toBe(400);
+      expect(missing.body.error).toBe('Provider and model are required');
+
+      const negative = await request(app).put('/api/llm/prices').send({ provider: 'openai', model: 'gpt-4o', input: -1, output: '' });
+      expect(negative.status).toBe(400);
+      expect(negative.body.error).toBe('Input and output prices must be non-negative numbers');
+
+      const response = await request(app).put('/api/llm/prices').send({ provider: ' OpenAI ', model: ' gpt-4o ', input: '2', output: 8 });
+      expect(response.status).toBe(200);
+      expect(db_operations.saveLLMPrice).toHaveBeenCalledWith({
+        provider: 'openai',
+        model: 'gpt-4o',
+        inputPerMillion: 2,
+        outputPerMillion: 8
+      });
+
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      db_operations.saveLLMPrice.mockRejectedValueOnce(new Error('readonly'));
+      const failed = await request(app).put('/api/llm/prices').send({ provider: 'openai', model: 'gpt-4o', input: 0, output: 0 });
+      expect(failed.status).toBe(500);
+      errorSpy.mockRestore();
+
+      expect((await request(app).put('/api/llm/prices')).status).toBe(400);
+    });
+
+    it('deletes price overrides by provider and model', async () => {
+      db_operations.deleteLLMPrice.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+      const response = await request(app).delete('/api/llm/prices?provider=Groq&model=openai/gpt-oss-120b');
+      expect(response.status).toBe(200);
+      expect(db_operations.deleteLLMPrice).toHaveBeenCalledWith('groq', 'openai/gpt-oss-120b');
+
+      const missing = await request(app).delete('/api/llm/prices');
+      expect(missing.status).toBe(404);
+      expect(db_operations.deleteLLMPrice).toHaveBeenLastCalledWith('', '');
+
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      db_operations.deleteLLMPrice.mockRejectedValueOnce(new Error('readonly'));
+      expect((await request(app).delete('/api/llm/prices?provider=a&model=b')).status).toBe(500);
+      errorSpy.mockRestore();
+    });
+
+    it('sets and clears project budgets', async () => {
+      db_operations.getProject.mockResolvedValue({ id: 7 });
+
+      const invalid = await request(app).put('/api/llm/budgets/7').send({ budgetUsd: 'lots' });
+      expect(invalid.status).toBe(400);
+      expect((await request(app).put('/api/llm/budgets/7')).status).toBe(400);
+
+      const saved = await request(app).put('/api/llm/budgets/7').send({ budgetUsd: 25 });
+      expect(saved.status).toBe(200);
+      expect(db_operations.saveProjectLLMBudget).toHaveBeenCalledWith('7', 25);
+      expect(saved.body.budget).toMatchObject({ spentUsd: 2 });
+
+      db_operations.getProjectLLMBudget.mockResolvedValue(null);
+      const cleared = await request(app).put('/api/llm/budgets/7').send({ budgetUsd: null });
+      expect(db_operations.saveProjectLLMBudget).toHaveBeenLastCalledWith('7', null);
+      expect(cleared.body.budget).toEqual({ budgetUsd: null, spentUsd: 2, remainingUsd: null, exceeded: false });
+    });
+
+    it('rejects budgets for unknown projects and reports save failures', async () => {
+      db_operations.getProject.mockResolvedValueOnce(null);
+      const missing = await request(app).put('/api/llm/budgets/404').send({ budgetUsd: 1 });
+      expect(missing.status).toBe(404);
+
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      db_operations.getProject.mockRejectedValueOnce(new Error('locked'));
+      const failed = await request(app).put('/api/llm/budgets/1').send({ budgetUsd: 1 });
+      expect(failed.status).toBe(500);
+      expect(failed.body.error).toBe('Failed to save LLM budget');
+      errorSpy.mockRestore();
+    });
+  });
+
+  describe('LLM profiles and role routes', () => {
+    const storedProfile = {
+      id: 1,
+      name: 'Fast',
+      provider: 'groq',
+      model: 'llama-3.1-8b-instant',
+      api_url: 'https://api.groq.com/openai/v1',
+      api_key_encrypted: 'encrypted_old',
+      requires_api_key: 1,
+      endpoint_path: null
+    };
+    const profileBody = {
+      name: ' Fast ',
+      provider: 'groq',
+      model: 'llama-3.1-8b-instant',
+      apiUrl: 'https://api.groq.com/openai/v1',
+      apiKey: 'gsk-new'
+    };
+
+    beforeEach(() => {
+      db_operations.listLLMProfiles.mockResolvedValue([]);
+      db_operations.getLLMRoleRoutes.mockResolvedValue({});
+      db_operations.saveLLMProfile.mockImplementation(async (profile) => ({
+        id: profile.id || 7,
+        name: profile.name,
+        provider: profile.provider,
+        model: profile.model,
+        api_url: profile.apiUrl,
+        api_key_encrypted: profile.apiKeyEncrypted,
+        requires_api_key: profile.requiresApiKey ? 1 : 0,
+        endpoint_path: profile.endpointPath
+      }));
+    });
+
+    it('lists roles, profiles without secrets and the routing table', async () => {
+      db_operations.listLLMProfiles.mockResolvedValue([storedProfile]);
+      db_operations.getLLMRoleRoutes.mockResolvedValue({ classification: [1] });
+
+      const response = await request(app).get('/api/llm/profiles').expect(200);
+
+      expect(response.body).toEqual({
+        success: true,
+        roles: ['classification', 'planning', 'code_edit', 'question', 'commit_message', 'reflection'],
+        profiles: [{
+          id: 1,
+          name: 'Fast',
+          provider: 'groq',
+          model: 'llama-3.1-8b-instant',
+          api_url: 'https://api.groq.com/openai/v1',
+          requires_api_key: true,
+          has_api_key: true,
+          endpoint_path: null
+        }],
+        routes: { classification: [1] }
+      });
+    });
+
+    it('reports listing failures', async () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      db_operations.listLLMProfiles.mockRejectedValueOnce(new Error('db down'));
+
+      const response = await request(app).get('/api/llm/profiles').expect(500);
+
+      expect(response.body).toEqual({ success: false, error: 'Failed to retrieve LLM profiles' });
+      errorSpy.mockRestore();
+    });
+
+    it('probes, encrypts and stores a new profile', async () => {
+      const response = await request(app).post('/api/llm/profiles').send(profileBody).expect(200);
+
+      expect(mockGenerateResponse).toHaveBeenCalledWith(
+        expect.any(Array),
+        expect.objectContaining({ __lucidcoderPhase: 'llm-config-test' })
+      );
+      expect(db_operations.saveLLMProfile).toHaveBeenCalledWith({
+        id: undefined,
+        name: 'Fast',
+        provider: 'groq',
+        model: 'llama-3.1-8b-instant',
+        apiUrl: 'https://api.groq.com/openai/v1',
+        apiKeyEncrypted: 'encrypted_gsk-new',
+        requiresApiKey: true,
+        endpointPath: null
+      });
+      expect(llmClient.loadRoleRoutes).toHaveBeenCalled();
+      expect(response.body).toEqual({
+        success: true,
+        profile: expect.objectContaining({ id: 7, name: 'Fast', has_api_key: true })
+      });
+    });
+
+    it('stores local profiles without an API key', async () => {
+      await request(app)
+        .post('/api/llm/profiles')
+        .send({ name: 'Local', provider: 'ollama', model: 'llama3.2', apiUrl: 'http://localhost:11434' })
+        .expect(200);
+
+      expect(db_operations.saveLLMProfile).toHaveBeenCalledWith(expect.objectContaining({
+        apiKeyEncrypted: null,
+        requiresApiKey: false
+      }));
+    });
+
+    it.each([
+      [{ ...profileBody, name: '  ' }, 'Profile name is required'],
+      [{ ...profileBody, model: '' }, 'Provider, model, and API URL are required'],
+      [{ ...profileBody, apiKey: '' }, 'API key is required for this provider']
+    ])('rejects invalid profiles (%#)', async (body, error) => {
+      const response = await request(app).post('/api/llm/profiles').send(body).expect(400);
+
+      expect(response.body).toEqual({ success: false, error });
+      expect(db_operations.saveLLMProfile).not.toHaveBeenCalled();
+    });
+
+    it('rejects duplicate profile names', async () => {
+      db_operations.listLLMProfiles.mockResolvedValue([storedProfile]);
+
+      const response = await request(app).post('/api/llm/profiles').send({ ...profileBody, name: 'fast' }).expect(409);
+
+      expect(response.body.error).toBe('A profile named "fast" already exists');
+    });
+
+    it('reports probe and encryption failures', async () => {
+      mockGenerateResponse.mockRejectedValueOnce(new Error('LLM API Error: invalid key'));
+      const probeFailure = await request(app).post('/api/llm/profiles').send(profileBody).expect(400);
+      expect(probeFailure.body).toEqual({ success: false, error: 'LLM API Error: invalid key' });
+
+      mockGenerateResponse.mockRejectedValueOnce({});
+      const emptyFailure = await request(app).post('/api/llm/profiles').send(profileBody).expect(400);
+      expect(emptyFailure.body.error).toBe('Profile test failed');
+
+      encryptApiKey.mockReturnValueOnce(null);
+      const encryptFailure = await request(app).post('/api/llm/profiles').send(profileBody).expect(500);
+      expect(encryptFailure.body.error).toMatch(/Failed to encrypt API key/);
+      expect(db_operations.saveLLMProfile).not.toHaveBeenCalled();
+    });
+
+    it('reports unexpected save failures', async () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      db_operations.saveLLMProfile.mockRejectedValue(new Error('disk full'));
+
+      const created = await request(app).post('/api/llm/profiles').send(profileBody).expect(500);
+      expect(created.body).toEqual({ success: false, error: 'Failed to save profile' });
+
+      db_operations.getLLMProfile.mockResolvedValue(storedProfile);
+      const updated = await request(app).put('/api/llm/profiles/1').send(profileBody).expect(500);
+      expect(updated.body).toEqual({ success: false, error: 'Failed to save profile' });
+      errorSpy.mockRestore();
+    });
+
+    it('keeps the stored key when updating a profile for the same provider', async () => {
+      db_operations.getLLMProfile.mockResolvedValue(storedProfile);
+      db_operations.listLLMProfiles.mockResolvedValue([storedProfile]);
+
+      await request(app)
+        .put('/api/llm/profiles/1')
+        .send({ ...profileBody, apiKey: '', model: 'llama-3.3-70b-versatile' })
+        .expect(200);
+
+      expect(decryptApiKey).toHaveBeenCalledWith('encrypted_old', { quiet: true });
+      expect(db_operations.saveLLMProfile).toHaveBeenCalledWith(expect.objectContaining({
+        id: 1,
+        model: 'llama-3.3-70b-versatile',
+        apiKeyEncrypted: 'encrypted_old'
+      }));
+    });
+
+    it('requires a new key when an update switches provider', async () => {
+      db_operations.getLLMProfile.mockResolvedValue(storedProfile);
+
+      const response = await request(app)
+        .put('/api/llm/profiles/1')
+        .send({ ...profileBody, provider: 'openai', apiKey: '' })
+        .expect(400);
+
+      expect(response.body.error).toBe('API key is required for this provider');
+    });
+
+    it('returns 404 when updating or deleting a missing profile', async () => {
+      db_operations.getLLMProfile.mockResolvedValue(null);
+      db_operations.deleteLLMProfile.mockResolvedValue(false);
+
+      await request(app).put('/api/llm/profiles/5').send(profileBody).expect(404);
+      await request(app).put('/api/llm/profiles/abc').send(profileBody).expect(404);
+      await request(app).delete('/api/llm/profiles/5').expect(404);
+      await request(app).delete('/api/llm/profiles/0').expect(404);
+
+      expect(db_operations.getLLMProfile).toHaveBeenCalledTimes(1);
+      expect(db_operations.deleteLLMProfile).toHaveBeenCalledTimes(1);
+    });
+
+    it('deletes profiles and returns the remaining routes', async () => {
+      db_operations.deleteLLMProfile.mockResolvedValue(true);
+      db_operations.getLLMRoleRoutes.mockResolvedValue({ code_edit: [2] });
+
+      const response = await request(app).delete('/api/llm/profiles/1').expect(200);
+
+      expect(db_operations.deleteLLMProfile).toHaveBeenCalledWith(1);
+      expect(llmClient.loadRoleRoutes).toHaveBeenCalled();
+      expect(response.body).toEqual({ success: true, routes: { code_edit: [2] } });
+    });
+
+    it('reports delete failures', async () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      db_operations.deleteLLMProfile.mockRejectedValueOnce(new Error('locked'));
+
+      const response = await request(app).delete('/api/llm/profiles/1').expect(500);
+
+      expect(response.body).toEqual({ success: false, error: 'Failed to delete profile' });
+      errorSpy.mockRestore();
+    });
+
+    it('replaces the routing table and clears omitted roles', async () => {
+      db_operations.listLLMProfiles.mockResolvedValue([storedProfile, { ...storedProfile, id: 2, name: 'Strong' }]);
+      db_operations.getLLMRoleRoutes.mockResolvedValue({ code_edit: [2, 1] });
+
+      const response = await request(app)
+        .put('/api/llm/routes')
+        .send({ routes: { code_edit: [2, '1', 2] } })
+        .expect(200);
+
+      expect(db_operations.saveLLMRoleRoute).toHaveBeenCalledTimes(6);
+      expect(db_operations.saveLLMRoleRoute).toHaveBeenCalledWith('code_edit', [2, 1]);
+      expect(db_operations.saveLLMRoleRoute).toHaveBeenCalledWith('classification', []);
+      expect(llmClient.loadRoleRoutes).toHaveBeenCalled();
+      expect(response.body).toEqual({ success: true, routes: { code_edit: [2, 1] } });
+    });
+
+    it.each([
+      [{}, 'routes must be an object keyed by role'],
+      [{ routes: [] }, 'routes must be an object keyed by role'],
+      [{ routes: { api_generate: [1] } }, 'Unknown role: api_generate'],
+      [{ routes: { question: [3] } }, 'Route for question references an unknown profile'],
+      [{ routes: { question: 'x' } }, 'Route for question references an unknown profile']
+    ])('rejects invalid routing tables (%#)', async (body, error) => {
+      db_operations.listLLMProfiles.mockResolvedValue([storedProfile]);
+
+      const response = await request(app).put('/api/llm/routes').send(body).expect(400);
+
+      expect(response.body).toEqual({ success: false, error });
+      expect(db_operations.saveLLMRoleRoute).not.toHaveBeenCalled();
+    });
+
+    it('reports routing table save failures', async () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      db_operations.listLLMProfiles.mockResolvedValue([storedProfile]);
+      db_operations.saveLLMRoleRoute.mockRejectedValueOnce(new Error('locked'));
+
+      const response = await request(app).put('/api/llm/routes').send({ routes: { question: [1] } }).expect(500);
+
+      expect(response.body).toEqual({ success: false, error: 'Failed to save routes' });
+      errorSpy.mockRestore();
+    });
+  });
+
   describe('GET /api/llm/request-metrics', () => {
     it('returns in-memory request metrics snapshot', async () => {
       const response = await request(app)
@@ -1360,6 +1776,51 @@ describe('LLM Routes', () => {
       process.env.NODE_ENV = originalEnv;
     });
 
+    it('attributes usage to the requested project and goal', async () => {
+      const originalEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+      let context = null;
+      llmClient.generateResponse.mockImplementation(async () => {
+        context = getLlmUsageContext();
+        return 'Attributed response';
+      });
+      db_operations.getProject.mockResolvedValue({ id: 7 });
+      getGoal.mockResolvedValue({ id: 12, projectId: 7 });
+
+      await request(app)
+        .post('/api/llm/generate')
+        .send({ messages: [{ role: 'user', content: 'Hi' }], projectId: '7', goalId: 12 })
+        .expect(200);
+      expect(context).toEqual({ projectId: 7, goalId: 12 });
+
+      await request(app)
+        .post('/api/llm/generate')
+        .send({ messages: [{ role: 'user', content: 'Hi' }], projectId: 7 })
+        .expect(200);
+      expect(context).toEqual({ projectId: 7 });
+      expect(getGoal).toHaveBeenCalledTimes(1);
+
+      process.env.NODE_ENV = originalEnv;
+    });
+
+    it('rejects unknown projects and goals from other projects', async () => {
+      const send = (body) => request(app)
+        .post('/api/llm/generate')
+        .send({ messages: [{ role: 'user', content: 'Hi' }], ...body });
+      db_operations.getProject.mockImplementation(async (id) => (id === 7 ? { id: 7 } : null));
+      getGoal.mockImplementation(async (id) => (id === 12 ? { id: 12, projectId: 8 } : null));
+
+      for (const body of [{ projectId: 'abc' }, { projectId: 9 }, { goalId: 12 }]) {
+        const response = await send(body).expect(400);
+        expect(response.body).toEqual({ success: false, error: 'projectId must reference an existing project' });
+      }
+      for (const goalId of [12, 13, 'x']) {
+        const response = await send({ projectId: 7, goalId }).expect(400);
+        expect(response.body).toEqual({ success: false, error: 'goalId must reference a goal in the project' });
+      }
+      expect(db_operations.getActiveLLMConfig).not.toHaveBeenCalled();
+    });
+
     it('handles LLM generation errors', async () => {
       const originalEnv = process.env.NODE_ENV;
       process.env.NODE_ENV = 'production';
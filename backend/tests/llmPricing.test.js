@@ -0,0 +1,61 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+
+const dbOperationsMock = vi.hoisted(() => ({
+  listLLMPrices: vi.fn()
+}));
+vi.mock('../database.js', () => ({
+  db_operations: dbOperationsMock
+}));
+
+import { DEFAULT_LLM_PRICES, calculateLlmCost, listLlmPrices, resolveLlmPrice } from '../services/llmPricing.js';
+
+describe('llmPricing', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  test.each([
+    ['openai', 'gpt-4o-mini-2024-07-18', { input: 0.15, output: 0.6 }],
+    ['openai', 'gpt-4o', { input: 2.5, output: 10 }],
+    ['OpenAI', 'GPT-4-turbo', { input: 10, output: 30 }],
+    ['anthropic', 'claude-3-5-sonnet-20241022', { input: 3, output: 15 }],
+    ['google', 'gemini-1.5-flash-8b', { input: 0.0375, output: 0.15 }],
+    ['ollama', 'llama3.2', { input: 0, output: 0 }]
+  ])('prices %s %s by the longest matching prefix', (provider, model, expected) => {
+    expect(resolveLlmPrice(provider, model)).toEqual({ ...expected, source: 'default' });
+  });
+
+  test('returns null for unknown models and providers', () => {
+    expect(resolveLlmPrice('openai', 'davinci-002')).toBeNull();
+    expect(resolveLlmPrice('custom', 'house-model')).toBeNull();
+    expect(resolveLlmPrice(undefined, undefined)).toBeNull();
+  });
+
+  test('prefers saved overrides over built-in prices', () => {
+    const overrides = [{ provider: 'OpenAI', model: 'gpt-4o', input_per_million: 1, output_per_million: 2 }];
+    expect(resolveLlmPrice('openai', 'GPT-4o', overrides)).toEqual({ input: 1, output: 2, source: 'custom' });
+    expect(resolveLlmPrice('openai', 'gpt-4o-mini', overrides).source).toBe('default');
+  });
+
+  test('calculates cost in USD from token counts', () => {
+    expect(calculateLlmCost({ promptTokens: 2_000_000, completionTokens: 500_000 }, { input: 3, output: 15 })).toBe(13.5);
+    expect(calculateLlmCost({ completionTokens: 10 }, null)).toBe(0);
+    expect(calculateLlmCost(undefined, { input: 1, output: 1 })).toBe(0);
+  });
+
+  test('lists built-in prices with overrides replacing or extending them', async () => {
+    dbOperationsMock.listLLMPrices.mockResolvedValue([
+      { provider: 'anthropic', model: 'claude-3-haiku', input_per_million: 0.2, output_per_million: 1 },
+      { provider: 'custom', model: 'house-model', input_per_million: 4, output_per_million: 4 }
+    ]);
+
+    const prices = await listLlmPrices();
+
+    const builtInCount = Object.values(DEFAULT_LLM_PRICES).reduce((sum, models) => sum + Object.keys(models).length, 0);
+    expect(prices).toHaveLength(builtInCount + 1);
+    expect(prices.filter((entry) => entry.model === 'claude-3-haiku')).toEqual([
+      { provider: 'anthropic', model: 'claude-3-haiku', input: 0.2, output: 1, source: 'custom' }
+    ]);
+    expect(prices[prices.length - 1]).toEqual({ provider: 'custom', model: 'house-model', input: 4, output: 4, source: 'custom' });
+  });
+});
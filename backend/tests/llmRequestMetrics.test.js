@@ -24,6 +24,20 @@ describe('llmRequestMetrics', () => {
     });
   });
 
+  it('breaks usage down per role', () => {
+    llmRequestMetrics.record('requested', { phase: 'classification', requestType: 'classify', provider: 'groq', model: 'llama', role: 'classification' });
+    llmRequestMetrics.record('outbound', { phase: 'classification', requestType: 'classify', provider: 'groq', model: 'llama', role: 'classification' });
+    llmRequestMetrics.record('requested', { phase: 'api_generate', requestType: 'api_generate', provider: 'openai', model: 'gpt-4o' });
+
+    expect(llmRequestMetrics.snapshot().counters).toMatchObject({
+      'role:classification': 2,
+      'role:unknown': 1,
+      'kind_role:requested::classification': 1,
+      'kind_role:outbound::classification': 1,
+      'role_model:classification::groq/llama': 2
+    });
+  });
+
   it('trims counter keys once the maximum is exceeded', () => {
     // Each record call adds at most one new key when only `model` changes.
     // After enough unique models, the internal map must be trimmed.
@@ -0,0 +1,75 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+
+const dbOperationsMock = vi.hoisted(() => ({
+  listLLMProfiles: vi.fn(),
+  getLLMRoleRoutes: vi.fn()
+}));
+vi.mock('../database.js', () => ({
+  db_operations: dbOperationsMock
+}));
+
+const decryptApiKeyMock = vi.hoisted(() => vi.fn());
+vi.mock('../encryption.js', () => ({
+  decryptApiKey: decryptApiKeyMock
+}));
+
+import { LLM_ROLES, isLlmRole, loadLlmRouting, resolveLlmRole } from '../services/llmRouting.js';
+
+describe('llmRouting', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    decryptApiKeyMock.mockImplementation((value) => (value === 'broken' ? null : `plain-${value}`));
+  });
+
+  test('exposes the routable roles', () => {
+    expect(LLM_ROLES).toEqual(['classification', 'planning', 'code_edit', 'question', 'commit_message', 'reflection']);
+    expect(isLlmRole('code_edit')).toBe(true);
+    expect(isLlmRole('api_generate')).toBe(false);
+  });
+
+  test.each([
+    [{ __lucidcoderRole: 'question', __lucidcoderPhase: 'classification' }, 'question'],
+    [{ __lucidcoderRole: 'bogus', __lucidcoderPhase: 'classification' }, 'classification'],
+    [{ __lucidcoderPhase: 'autopilot-edit' }, 'code_edit'],
+    [{ __lucidcoderPhase: 'meta_goal_clarification' }, 'planning'],
+    [{ __lucidcoderPhase: 'changelog' }, 'commit_message'],
+    [{ __lucidcoderPhase: 'api_generate', __lucidcoderPurpose: 'goal-edits:tests' }, 'code_edit'],
+    [{ __lucidcoderPurpose: 'goal-scope-reflection' }, 'reflection'],
+    [{ __lucidcoderPurpose: 'goal-branch-name' }, 'classification'],
+    [{ __lucidcoderPurpose: 'goal-edits-extra' }, null],
+    [{ __lucidcoderPurpose: 42 }, null],
+    [{}, null],
+    [undefined, null]
+  ])('resolves %j to role %s', (options, expected) => {
+    expect(resolveLlmRole(options)).toBe(expected);
+  });
+
+  test('builds ordered fallback chains and skips unusable profiles', async () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    dbOperationsMock.listLLMProfiles.mockResolvedValue([
+      { id: 1, name: 'fast', provider: 'groq', model: 'llama-3.1-8b-instant', api_url: 'https://g.test', api_key_encrypted: 'k1', requires_api_key: 1 },
+      { id: 2, name: 'strong', provider: 'anthropic', model: 'claude', api_url: 'https://a.test', api_key_encrypted: 'broken', requires_api_key: 1 },
+      { id: 3, name: 'local', provider: 'ollama', model: 'llama3.2', api_url: 'http://localhost:11434', api_key_encrypted: null, requires_api_key: 0 }
+    ]);
+    dbOperationsMock.getLLMRoleRoutes.mockResolvedValue({
+      classification: [1],
+      code_edit: [2, 1],
+      question: [3, 99],
+      planning: [2]
+    });
+
+    const routing = await loadLlmRouting();
+
+    expect(Object.keys(routing)).toEqual(['classification', 'code_edit', 'question']);
+    expect(routing.code_edit.map((target) => target.name)).toEqual(['fast']);
+    expect(routing.classification[0]).toEqual({
+      name: 'fast',
+      apiKey: 'plain-k1',
+      config: { id: 1, name: 'fast', provider: 'groq', model: 'llama-3.1-8b-instant', api_url: 'https://g.test', requires_api_key: 1 }
+    });
+    expect(routing.question[0]).toMatchObject({ name: 'local', apiKey: null });
+    expect(warnSpy).toHaveBeenCalledWith('⚠️  LLM profile "strong" has no usable API key and will be skipped.');
+
+    warnSpy.mockRestore();
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+
+const dbOperationsMock = vi.hoisted(() => ({
+  listLLMPrices: vi.fn(),
+  recordLLMUsage: vi.fn(),
+  getProjectLLMBudget: vi.fn(),
+  getProjectLLMSpend: vi.fn()
+}));
+vi.mock('../database.js', () => ({
+  db_operations: dbOperationsMock
+}));
+
+import {
+  getLlmUsageContext,
+  getProjectBudgetStatus,
+  recordLlmUsage,
+  runWithLlmUsageContext,
+  setLlmUsageGoal
+} from '../services/llmUsage.js';
+
+describe('llmUsage', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    dbOperationsMock.listLLMPrices.mockResolvedValue([]);
+    dbOperationsMock.recordLLMUsage.mockResolvedValue(true);
+  });
+
+  test('scopes attribution to the wrapped work and merges nested contexts', async () => {
+    expect(getLlmUsageContext()).toBeNull();
+
+    await runWithLlmUsageContext({ projectId: 1, sessionId: 's-1' }, async () => {
+      await Promise.resolve();
+      setLlmUsageGoal(42);
+      await runWithLlmUsageContext({ goalId: 43 }, async () => {
+        expect(getLlmUsageContext()).toEqual({ projectId: 1, sessionId: 's-1', goalId: 43 });
+      });
+      expect(getLlmUsageContext()).toEqual({ projectId: 1, sessionId: 's-1', goalId: 42 });
+      setLlmUsageGoal(null);
+      expect(getLlmUsageContext().goalId).toBe(42);
+    });
+
+    setLlmUsageGoal(7);
+    expect(getLlmUsageContext()).toBeNull();
+  });
+
+  test('records reported usage against the current context with its cost', async () => {
+    const entry = await runWithLlmUsageContext({ projectId: 3, goalId: 9, sessionId: 'abc' }, () => recordLlmUsage({
+      provider: 'anthropic',
+      model: 'claude-3-5-haiku-20241022',
+      role: 'code_edit',
+      requestType: 'code_edit',
+      phase: 'autopilot-edit',
+      usage: { promptTokens: 1_000_000, completionTokens: 100_000 }
+    }));
+
+    expect(entry).toEqual({
+      provider: 'anthropic',
+      model: 'claude-3-5-haiku-20241022',
+      role: 'code_edit',
+      requestType: 'code_edit',
+      phase: 'autopilot-edit',
+      projectId: 3,
+      goalId: 9,
+      sessionId: 'abc',
+      promptTokens: 1_000_000,
+      completionTokens: 100_000,
+      costUsd: 1.2,
+      estimated: false,
+      priced: true
+    });
+    expect(dbOperationsMock.recordLLMUsage).toHaveBeenCalledWith(entry);
+  });
+
+  test('estimates tokens when the provider reports none', async () => {
+    const entry = await recordLlmUsage({
+      provider: 'custom',
+      model: 'house',
+      messages: [{ role: 'user', content: 'abc' }],
+      text: 'abcdefghi'
+    });
+
+    expect(entry).toMatchObject({
+      projectId: null,
+      goalId: null,
+      sessionId: null,
+      role: null,
+      promptTokens: Math.ceil(JSON.stringify([{ role: 'user', content: 'abc' }]).length / 4),
+      completionTokens: 3,
+      costUsd: 0,
+      estimated: true,
+      priced: false
+    });
+
+    await expect(recordLlmUsage()).resolves.toMatchObject({ promptTokens: 0, completionTokens: 0 });
+  });
+
+  test('reports budget status for projects with and without a limit', async () => {
+    dbOperationsMock.getProjectLLMBudget.mockResolvedValueOnce(10).mockResolvedValueOnce(null).mockResolvedValueOnce(2);
+    dbOperationsMock.getProjectLLMSpend.mockResolvedValueOnce(4).mockResolvedValueOnce(4).mockResolvedValueOnce(2);
+
+    await expect(getProjectBudgetStatus(1)).resolves.toEqual({ budgetUsd: 10, spentUsd: 4, remainingUsd: 6, exceeded: false });
+    await expect(getProjectBudgetStatus(1)).resolves.toEqual({ budgetUsd: null, spentUsd: 4, remainingUsd: null, exceeded: false });
+    await expect(getProjectBudgetStatus(1)).resolves.toEqual({ budgetUsd: 2, spentUsd: 2, remainingUsd: 0, exceeded: true });
+  });
+});
@@ -38,6 +38,29 @@ describe('readNodeWorkspaceCoverage', () => {
     expect(result.uncoveredLines).toEqual([]);
   });
 
+  test('reads reports from the coverage directory declared by a template manifest', async () => {
+    const summary = { total: { lines: { pct: 75 }, statements: { pct: 80 }, functions: { pct: 85 }, branches: { pct: 90 } } };
+    const readPaths = [];
+
+    const result = await readNodeWorkspaceCoverage({
+      path,
+      workspace: { ...workspace, template: { coverage: { directory: 'reports/coverage' } } },
+      changedPaths: [],
+      nodeWorkspaceNames: ['frontend'],
+      readJsonIfExists: async (filePath) => {
+        readPaths.push(filePath);
+        return makeReadJsonIfExists(summary, {})(filePath);
+      },
+      includeAllFiles: true
+    });
+
+    expect(result.coverageSummary).toEqual({ lines: 75, statements: 80, functions: 85, branches: 90 });
+    expect(readPaths).toEqual([
+      path.join('C:/repo/project', 'reports', 'coverage', 'coverage-summary.json'),
+      path.join('C:/repo/project', 'reports', 'coverage', 'coverage-final.json')
+    ]);
+  });
+
   test('respects maxFiles when includeAllFiles is enabled', async () => {
     const summary = { total: { lines: { pct: 90 }, statements: { pct: 90 }, functions: { pct: 90 }, branches: { pct: 90 } } };
     const finalCoverage = {
@@ -0,0 +1,80 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { sendAgentUiCommand } from '../services/agentUiCommands.js';
+import {
+  requestPreviewElementCheck,
+  completePreviewElementCheck,
+  PREVIEW_CHECK_TIMEOUT_MS,
+  __testing
+} from '../services/previewChecks.js';
+
+vi.mock('../services/agentUiCommands.js', () => ({
+  sendAgentUiCommand: vi.fn()
+}));
+
+const lastCheckId = () => sendAgentUiCommand.mock.calls.at(-1)[0].command.payload.checkId;
+
+describe('previewChecks', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    __testing.pendingChecks.clear();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('asks open windows to check the element and resolves with their answer', async () => {
+    const pending = requestPreviewElementCheck({ projectId: 7, selector: 'nav a', path: '/about' });
+
+    expect(sendAgentUiCommand).toHaveBeenCalledWith({
+      projectId: 7,
+      command: {
+        type: 'PREVIEW_CHECK_ELEMENT',
+        payload: { checkId: expect.any(String), selector: 'nav a', path: '/about' }
+      }
+    });
+
+    expect(completePreviewElementCheck(lastCheckId(), '7', { count: 3 })).toBe(true);
+    await expect(pending).resolves.toEqual({ found: true, count: 3, error: null });
+    expect(__testing.pendingChecks.size).toBe(0);
+  });
+
+  it('defaults to the root path and normalizes reported results', async () => {
+    const pending = requestPreviewElementCheck({ projectId: 7, selector: '[' });
+    expect(sendAgentUiCommand.mock.calls[0][0].command.payload.path).toBe('/');
+
+    completePreviewElementCheck(lastCheckId(), 7, { count: 1.5, error: `  ${'x'.repeat(600)}  ` });
+    const result = await pending;
+    expect(result).toMatchObject({ found: false, count: 0 });
+    expect(result.error).toHaveLength(500);
+
+    const second = requestPreviewElementCheck({ projectId: 7, selector: 'h1' });
+    completePreviewElementCheck(lastCheckId(), 7);
+    await expect(second).resolves.toEqual({ found: false, count: 0, error: null });
+  });
+
+  it('ignores answers for unknown checks or other projects', async () => {
+    const pending = requestPreviewElementCheck({ projectId: 7, selector: 'h1' });
+    const checkId = lastCheckId();
+
+    expect(completePreviewElementCheck('missing', 7, { count: 1 })).toBe(false);
+    expect(completePreviewElementCheck(checkId, 8, { count: 1 })).toBe(false);
+    expect(completePreviewElementCheck(checkId, 7, { count: 1 })).toBe(true);
+    expect(completePreviewElementCheck(checkId, 7, { count: 1 })).toBe(false);
+    await expect(pending).resolves.toMatchObject({ found: true });
+  });
+
+  it('gives up when no window answers in time', async () => {
+    vi.useFakeTimers();
+    const pending = requestPreviewElementCheck({ projectId: 7, selector: 'h1' });
+
+    await vi.advanceTimersByTimeAsync(PREVIEW_CHECK_TIMEOUT_MS);
+
+    await expect(pending).resolves.toEqual({
+      found: false,
+      count: 0,
+      error: 'No open LucidCoder window answered; keep the project open in a browser to check elements'
+    });
+    expect(__testing.pendingChecks.size).toBe(0);
+  });
+});
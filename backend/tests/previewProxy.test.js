@@ -651,6 +651,122 @@ describe('previewProxy', () => {
     expect(script).toContain('parentWindow === window');
   });
 
+  test('buildPreviewBridgeScript forwards runtime errors and failed requests to the parent', async () => {
+    const { __testOnly } = await import('../routes/previewProxy.js');
+    const script = __testOnly.buildPreviewBridgeScript({ previewPrefix: '/preview/123' });
+    const body = script.replace(/^\s*<script>/, '').replace(/<\/script>\s*$/, '');
+
+    const listeners = {};
+    const posted = [];
+    const originalConsoleError = vi.fn();
+    const originalFetch = vi.fn()
+      .mockResolvedValueOnce({ ok: false, status: 500, type: 'basic' })
+      .mockRejectedValueOnce(new Error('offline'));
+    const fakeWindow = {
+      parent: { postMessage: (payload) => posted.push(payload) },
+      location: { href: 'http://localhost/preview/123/' },
+      history: {},
+      console: { error: originalConsoleError, warn: vi.fn() },
+      fetch: originalFetch,
+      addEventListener: (type, handler) => {
+        listeners[type] = listeners[type] || [];
+        listeners[type].push(handler);
+      },
+      setInterval: () => 0
+    };
+
+    new Function('window', 'document', body)(fakeWindow, { title: 'Demo' });
+
+    const runtimeErrors = () => posted.filter((payload) => payload.type === 'LUCIDCODER_PREVIEW_RUNTIME_ERROR');
+
+    fakeWindow.console.error('Render failed', new Error('boom'));
+    expect(originalConsoleError).toHaveBeenCalledWith('Render failed', expect.any(Error));
+    expect(runtimeErrors()[0]).toMatchObject({ kind: 'console', level: 'error', message: 'Render failed boom' });
+    expect(runtimeErrors()[0].stack).toContain('boom');
+
+    listeners.error.forEach((handler) => handler({
+      target: fakeWindow,
+      message: 'Uncaught TypeError: x is undefined',
+      filename: 'http://localhost/src/App.jsx',
+      lineno: 3,
+      colno: 7
+    }));
+    expect(runtimeErrors()[1]).toMatchObject({ kind: 'error', source: 'http://localhost/src/App.jsx', line: 3, column: 7 });
+
+    listeners.unhandledrejection.forEach((handler) => handler({ reason: 'nope' }));
+    expect(runtimeErrors()[2]).toMatchObject({ kind: 'unhandledrejection', message: 'Unhandled promise rejection: nope' });
+
+    await fakeWindow.fetch('/api/items', { method: 'POST' });
+    expect(runtimeErrors()[3]).toMatchObject({ kind: 'network', method: 'POST', url: '/api/items', status: 500 });
+
+    await expect(fakeWindow.fetch('/api/other')).rejects.toThrow('offline');
+    expect(runtimeErrors()[4]).toMatchObject({ kind: 'network', method: 'GET', url: '/api/other', message: 'Request failed: offline' });
+    expect(runtimeErrors()[4].href).toBe('http://localhost/preview/123/');
+  });
+
+  test('buildPreviewBridgeScript answers selector queries from the parent', async () => {
+    const { __testOnly } = await import('../routes/previewProxy.js');
+    const script = __testOnly.buildPreviewBridgeScript({ previewPrefix: '/preview/123' });
+    const body = script.replace(/^\s*<script>/, '').replace(/<\/script>\s*$/, '');
+
+    const listeners = {};
+    const posted = [];
+    const fakeWindow = {
+      parent: { postMessage: (payload) => posted.push(payload) },
+      location: { href: 'http://localhost/preview/123/' },
+      history: {},
+      console: { error: vi.fn(), warn: vi.fn() },
+      fetch: vi.fn(),
+      addEventListener: (type, handler) => {
+        listeners[type] = listeners[type] || [];
+        listeners[type].push(handler);
+      },
+      setInterval: () => 0
+    };
+    const fakeDocument = {
+      title: 'Demo',
+      querySelectorAll: (selector) => {
+        if (selector === '[') throw new Error('bad selector');
+        return selector === 'nav a' ? [{}, {}] : [];
+      }
+    };
+
+    new Function('window', 'document', body)(fakeWindow, fakeDocument);
+
+    const dispatch = (data) => listeners.message.forEach((handler) => handler({ data }));
+    const results = () => posted.filter((payload) => payload.type === 'LUCIDCODER_PREVIEW_QUERY_RESULT');
+
+    dispatch({ type: 'LUCIDCODER_PREVIEW_QUERY_SELECTOR', nonce: 'a', selector: 'nav a' });
+    dispatch({ type: 'LUCIDCODER_PREVIEW_QUERY_SELECTOR', selector: '[' });
+
+    expect(results()[0]).toMatchObject({ nonce: 'a', count: 2 });
+    expect(results()[1]).toMatchObject({ nonce: null, error: 'Invalid selector: [' });
+  });
+
+  test('buildPreviewBridgeScript leaves the page uninstrumented when opened top-level', async () => {
+    const { __testOnly } = await import('../routes/previewProxy.js');
+    const script = __testOnly.buildPreviewBridgeScript({ previewPrefix: '/preview/123' });
+    const body = script.replace(/^\s*<script>/, '').replace(/<\/script>\s*$/, '');
+
+    const originalConsoleError = vi.fn();
+    const originalFetch = vi.fn();
+    const fakeWindow = {
+      location: { href: 'http://localhost/' },
+      history: {},
+      console: { error: originalConsoleError },
+      fetch: originalFetch,
+      addEventListener: vi.fn(),
+      setInterval: () => 0
+    };
+    fakeWindow.parent = fakeWindow;
+
+    new Function('window', 'document', body)(fakeWindow, { title: '' });
+
+    expect(fakeWindow.console.error).toBe(originalConsoleError);
+    expect(fakeWindow.fetch).toBe(originalFetch);
+    expect(fakeWindow.addEventListener).not.toHaveBeenCalledWith('unhandledrejection', expect.any(Function));
+  });
+
   test('shouldBypassPreviewProxy tolerates non-string inputs', async () => {
     const { __testOnly } = await import('../routes/previewProxy.js');
     expect(__testOnly.shouldBypassPreviewProxy(null)).toBe(false);
@@ -1344,6 +1460,56 @@ describe('previewProxy', () => {
     expect(proxyStub.web).not.toHaveBeenCalled();
   });
 
+  test('middleware refuses previews the authorize hook denies', async () => {
+    getRunningProcessEntryMock.mockReturnValue({
+      processes: { frontend: { port: 5173 } },
+      state: 'running'
+    });
+    const authorize = vi.fn()
+      .mockResolvedValueOnce({ statusCode: 403, error: 'You do not have access to this project' })
+      .mockResolvedValueOnce(null);
+
+    const { createPreviewProxy } = await import('../routes/previewProxy.js');
+    const instance = createPreviewProxy({ logger: null, authorize });
+
+    const req = createReq('/preview/12/');
+    const res = createRes();
+    const next = vi.fn();
+
+    await instance.middleware(req, res, next);
+
+    expect(authorize).toHaveBeenCalledWith(req, '12');
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.send).toHaveBeenCalledWith('You do not have access to this project');
+    expect(proxyStub.web).not.toHaveBeenCalled();
+
+    await instance.middleware(createReq('/preview/12/'), createRes(), next);
+    expect(proxyStub.web).toHaveBeenCalledTimes(1);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('upgrade handler closes websockets the authorize hook denies', async () => {
+    getRunningProcessEntryMock.mockReturnValue({
+      processes: { frontend: { port: 5173 } },
+      state: 'running'
+    });
+    const authorize = vi.fn().mockResolvedValue({ statusCode: 401, error: 'Authentication required' });
+
+    const { createPreviewProxy } = await import('../routes/previewProxy.js');
+    const instance = createPreviewProxy({ logger: null, authorize });
+    const server = { on: vi.fn() };
+    instance.registerUpgradeHandler(server);
+    const upgradeHandler = server.on.mock.calls.find(([event]) => event === 'upgrade')?.[1];
+
+    const socket = { destroy: vi.fn() };
+    upgradeHandler(createReq('/preview/12/ws'), socket, Buffer.from(''));
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(authorize).toHaveBeenCalledWith(expect.objectContaining({ url: '/preview/12/ws' }), '12');
+    expect(socket.destroy).toHaveBeenCalledTimes(1);
+    expect(proxyStub.ws).not.toHaveBeenCalled();
+  });
+
   test('middleware proxies /preview/:id and sets cookie', async () => {
     getRunningProcessEntryMock.mockReturnValue({
       processes: { frontend: { port: 5173 } },
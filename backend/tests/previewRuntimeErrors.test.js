@@ -0,0 +1,151 @@
+import { describe, test, expect, beforeEach } from 'vitest';
+import {
+  __testing,
+  clearPreviewRuntimeErrors,
+  formatPreviewRuntimeErrorsForPrompt,
+  listPreviewRuntimeErrors,
+  normalizePreviewRuntimeError,
+  recordPreviewRuntimeError
+} from '../services/previewRuntimeErrors.js';
+
+const fixedNow = () => '2026-01-01T00:00:00.000Z';
+
+beforeEach(() => {
+  __testing.reset();
+});
+
+describe('previewRuntimeErrors', () => {
+  test('normalizePreviewRuntimeError drops empty messages and coerces fields', () => {
+    expect(normalizePreviewRuntimeError({ message: '   ' })).toBeNull();
+    expect(normalizePreviewRuntimeError(null)).toBeNull();
+
+    const normalized = normalizePreviewRuntimeError({
+      kind: 'bogus',
+      level: 'info',
+      message: '  boom  ',
+      line: '12',
+      column: -1,
+      method: 'post',
+      status: 'nope',
+      timestamp: 'not-a-date'
+    }, { now: fixedNow });
+
+    expect(normalized).toEqual({
+      kind: 'error',
+      level: 'error',
+      message: 'boom',
+      stack: null,
+      source: null,
+      line: 12,
+      column: null,
+      method: 'POST',
+      url: null,
+      status: null,
+      href: null,
+      timestamp: '2026-01-01T00:00:00.000Z'
+    });
+  });
+
+  test('normalizePreviewRuntimeError accepts epoch timestamps and clamps long text', () => {
+    const normalized = normalizePreviewRuntimeError({
+      kind: 'console',
+      level: 'warn',
+      message: 'x'.repeat(2500),
+      timestamp: Date.parse('2026-02-02T00:00:00.000Z')
+    });
+
+    expect(normalized.kind).toBe('console');
+    expect(normalized.level).toBe('warn');
+    expect(normalized.message).toHaveLength(2001);
+    expect(normalized.message.endsWith('…')).toBe(true);
+    expect(normalized.timestamp).toBe('2026-02-02T00:00:00.000Z');
+  });
+
+  test('normalizePreviewRuntimeError falls back to now for out-of-range epoch timestamps', () => {
+    expect(normalizePreviewRuntimeError({ message: 'a', timestamp: 1e20 }, { now: fixedNow }).timestamp)
+      .toBe('2026-01-01T00:00:00.000Z');
+    expect(normalizePreviewRuntimeError({ message: 'b', timestamp: Number.NaN }, { now: fixedNow }).timestamp)
+      .toBe('2026-01-01T00:00:00.000Z');
+  });
+
+  test('recordPreviewRuntimeError folds consecutive duplicates into a counter', () => {
+    recordPreviewRuntimeError(1, { message: 'same', timestamp: '2026-01-01T00:00:00.000Z' });
+    const second = recordPreviewRuntimeError(1, { message: 'same', timestamp: '2026-01-01T00:00:05.000Z' });
+    recordPreviewRuntimeError(1, { message: 'different' });
+
+    expect(second.count).toBe(2);
+    expect(second.lastSeenAt).toBe('2026-01-01T00:00:05.000Z');
+
+    const listed = listPreviewRuntimeErrors(1);
+    expect(listed.map((entry) => entry.message)).toEqual(['same', 'different']);
+    expect(listed[0]).not.toHaveProperty('fingerprint');
+  });
+
+  test('recordPreviewRuntimeError enforces the per-project cap and ignores invalid input', () => {
+    expect(recordPreviewRuntimeError(null, { message: 'x' })).toBeNull();
+    expect(recordPreviewRuntimeError(1, { message: '' })).toBeNull();
+
+    for (let i = 0; i < 5; i += 1) {
+      recordPreviewRuntimeError('p', { message: `error ${i}` }, { maxEntries: 3 });
+    }
+
+    expect(listPreviewRuntimeErrors('p').map((entry) => entry.message)).toEqual(['error 2', 'error 3', 'error 4']);
+  });
+
+  test('listPreviewRuntimeErrors supports limit and since filters', () => {
+    recordPreviewRuntimeError(2, { message: 'old', timestamp: '2026-01-01T00:00:00.000Z' });
+    recordPreviewRuntimeError(2, { message: 'new', timestamp: '2026-01-02T00:00:00.000Z' });
+
+    expect(listPreviewRuntimeErrors(2, { limit: 1 }).map((entry) => entry.message)).toEqual(['new']);
+    expect(listPreviewRuntimeErrors(2, { since: '2026-01-01T12:00:00.000Z' }).map((entry) => entry.message)).toEqual(['new']);
+    expect(listPreviewRuntimeErrors(3)).toEqual([]);
+    expect(listPreviewRuntimeErrors(undefined)).toEqual([]);
+  });
+
+  test('clearPreviewRuntimeErrors removes stored entries for a project', () => {
+    recordPreviewRuntimeError(4, { message: 'one' });
+    recordPreviewRuntimeError(4, { message: 'two' });
+
+    expect(clearPreviewRuntimeErrors(4)).toBe(2);
+    expect(clearPreviewRuntimeErrors(4)).toBe(0);
+    expect(clearPreviewRuntimeErrors('')).toBe(0);
+    expect(listPreviewRuntimeErrors(4)).toEqual([]);
+  });
+
+  test('formatPreviewRuntimeErrorsForPrompt renders kinds, locations and stack excerpts', () => {
+    expect(formatPreviewRuntimeErrorsForPrompt([])).toBe('');
+    expect(formatPreviewRuntimeErrorsForPrompt(null)).toBe('');
+
+    const text = formatPreviewRuntimeErrorsForPrompt([
+      { kind: 'console', level: 'warn', message: 'deprecated', count: 1 },
+      {
+        kind: 'error',
+        level: 'error',
+        message: 'TypeError: x is undefined',
+        source: 'http://localhost/src/App.jsx',
+        line: 10,
+        column: 4,
+        stack: 'TypeError: x is undefined\n    at App (App.jsx:10:4)\n    at render',
+        count: 3
+      },
+      { kind: 'network', level: 'error', message: 'Request failed with status 500', method: 'GET', url: '/api/items', status: 500, count: 1 },
+      { kind: 'network', level: 'error', message: 'Request failed', count: 1 }
+    ]);
+
+    expect(text).toContain('- [console.warn] deprecated');
+    expect(text).toContain('- [error] (x3) TypeError: x is undefined (http://localhost/src/App.jsx:10:4)');
+    expect(text).toContain('    at App (App.jsx:10:4)');
+    expect(text).not.toContain('    TypeError: x is undefined');
+    expect(text).toContain('- [network] Request failed with status 500 (GET /api/items -> 500)');
+    expect(text).toContain('- [network] Request failed');
+  });
+
+  test('formatPreviewRuntimeErrorsForPrompt notes omitted entries beyond the limit', () => {
+    const entries = Array.from({ length: 4 }, (_, index) => ({ kind: 'error', level: 'error', message: `e${index}`, count: 1 }));
+    const text = formatPreviewRuntimeErrorsForPrompt(entries, { limit: 2 });
+
+    expect(text).not.toContain('e0');
+    expect(text).toContain('e3');
+    expect(text).toContain('…2 earlier runtime error(s) omitted');
+  });
+});
@@ -0,0 +1,181 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import projectMemoryRoutes from '../routes/projectMemory.js';
+import * as projectMemoryStore from '../services/projectMemoryStore.js';
+
+vi.mock('../services/projectMemoryStore.js', () => ({
+  buildProjectMemoryContext: vi.fn(),
+  createProjectMemory: vi.fn(),
+  deleteProjectMemory: vi.fn(),
+  getProjectMemory: vi.fn(),
+  getProjectMemorySettings: vi.fn(),
+  listProjectMemories: vi.fn(),
+  updateProjectMemory: vi.fn(),
+  updateProjectMemorySettings: vi.fn()
+}));
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/projects/:projectId/memory', projectMemoryRoutes);
+  return app;
+};
+
+const memory = { id: 5, projectId: 42, kind: 'avoid', content: 'Never use inline styles', priority: 4 };
+const settings = { autoCapture: false, tokenBudget: 600 };
+
+describe('Project memory routes', () => {
+  let app;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    app = buildApp();
+    projectMemoryStore.getProjectMemory.mockResolvedValue(memory);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  describe('GET /', () => {
+    test('lists memories with the project settings', async () => {
+      projectMemoryStore.listProjectMemories.mockResolvedValue([memory]);
+      projectMemoryStore.getProjectMemorySettings.mockResolvedValue(settings);
+
+      const response = await request(app).get('/api/projects/42/memory').expect(200);
+
+      expect(response.body).toEqual({ success: true, memories: [memory], settings });
+      expect(projectMemoryStore.listProjectMemories).toHaveBeenCalledWith('42');
+    });
+
+    test('returns 500 when listing fails', async () => {
+      projectMemoryStore.listProjectMemories.mockRejectedValue(new Error('db'));
+
+      const response = await request(app).get('/api/projects/42/memory').expect(500);
+
+      expect(response.body).toEqual({ success: false, error: 'Failed to list project memory' });
+    });
+  });
+
+  describe('GET /preview', () => {
+    test('returns the prompt section agents receive', async () => {
+      projectMemoryStore.buildProjectMemoryContext.mockResolvedValue('Project memory:\n- Avoid: x');
+
+      const response = await request(app).get('/api/projects/42/memory/preview').expect(200);
+
+      expect(response.body).toEqual({ success: true, context: 'Project memory:\n- Avoid: x' });
+      expect(projectMemoryStore.buildProjectMemoryContext).toHaveBeenCalledWith('42');
+    });
+
+    test('returns 500 when the preview fails', async () => {
+      projectMemoryStore.buildProjectMemoryContext.mockRejectedValue(new Error('db'));
+
+      await request(app).get('/api/projects/42/memory/preview').expect(500);
+    });
+  });
+
+  describe('PUT /settings', () => {
+    test('updates the settings', async () => {
+      projectMemoryStore.updateProjectMemorySettings.mockResolvedValue({ autoCapture: true, tokenBudget: 300 });
+
+      const response = await request(app)
+        .put('/api/projects/42/memory/settings')
+        .send({ autoCapture: true, tokenBudget: 300, extra: 1 })
+        .expect(200);
+
+      expect(response.body).toEqual({ success: true, settings: { autoCapture: true, tokenBudget: 300 } });
+      expect(projectMemoryStore.updateProjectMemorySettings).toHaveBeenCalledWith('42', { autoCapture: true, tokenBudget: 300 });
+    });
+
+    test('maps validation errors to 400 and other failures to 500', async () => {
+      projectMemoryStore.updateProjectMemorySettings.mockRejectedValueOnce(new Error('tokenBudget must be an integer from 50 to 4000'));
+      const invalid = await request(app).put('/api/projects/42/memory/settings').send({ tokenBudget: 1 }).expect(400);
+      expect(invalid.body.error).toMatch(/tokenBudget must be/);
+
+      projectMemoryStore.updateProjectMemorySettings.mockRejectedValueOnce(new Error('db'));
+      const failed = await request(app).put('/api/projects/42/memory/settings').expect(500);
+      expect(failed.body.error).toBe('Failed to update project memory settings');
+    });
+  });
+
+  describe('POST /', () => {
+    test('creates a memory', async () => {
+      projectMemoryStore.createProjectMemory.mockResolvedValue(memory);
+
+      const response = await request(app)
+        .post('/api/projects/42/memory')
+        .send({ kind: 'avoid', content: 'Never use inline styles', priority: 4, source: 'correction' })
+        .expect(201);
+
+      expect(response.body).toEqual({ success: true, memory });
+      expect(projectMemoryStore.createProjectMemory).toHaveBeenCalledWith('42', {
+        kind: 'avoid',
+        content: 'Never use inline styles',
+        priority: 4,
+        enabled: undefined
+      });
+    });
+
+    test('maps validation errors to 400 and other failures to 500', async () => {
+      projectMemoryStore.createProjectMemory.mockRejectedValueOnce(new Error('content must be a non-empty string'));
+      await request(app).post('/api/projects/42/memory').expect(400);
+
+      projectMemoryStore.createProjectMemory.mockRejectedValueOnce(new Error('db'));
+      const failed = await request(app).post('/api/projects/42/memory').send({ content: 'x' }).expect(500);
+      expect(failed.body.error).toBe('Failed to save project memory');
+    });
+  });
+
+  describe('PUT /:memoryId', () => {
+    test('updates a memory of the project', async () => {
+      projectMemoryStore.updateProjectMemory.mockResolvedValue({ ...memory, enabled: false });
+
+      const response = await request(app).put('/api/projects/42/memory/5').send({ enabled: false }).expect(200);
+
+      expect(response.body.memory.enabled).toBe(false);
+      expect(projectMemoryStore.updateProjectMemory).toHaveBeenCalledWith('5', {
+        kind: undefined,
+        content: undefined,
+        priority: undefined,
+        enabled: false
+      });
+    });
+
+    test('returns 404 for memories of another project', async () => {
+      projectMemoryStore.getProjectMemory.mockResolvedValueOnce({ ...memory, projectId: 7 });
+      const response = await request(app).put('/api/projects/42/memory/5').send({}).expect(404);
+      expect(response.body).toEqual({ success: false, error: 'Project memory not found' });
+
+      projectMemoryStore.getProjectMemory.mockResolvedValueOnce(null);
+      await request(app).put('/api/projects/42/memory/5').expect(404);
+      expect(projectMemoryStore.updateProjectMemory).not.toHaveBeenCalled();
+    });
+
+    test('maps validation errors to 400 and other failures to 500', async () => {
+      projectMemoryStore.updateProjectMemory.mockRejectedValueOnce(new Error('priority must be an integer from 1 to 5'));
+      await request(app).put('/api/projects/42/memory/5').send({ priority: 0 }).expect(400);
+
+      projectMemoryStore.updateProjectMemory.mockRejectedValueOnce(new Error('db'));
+      const failed = await request(app).put('/api/projects/42/memory/5').expect(500);
+      expect(failed.body.error).toBe('Failed to update project memory');
+    });
+  });
+
+  describe('DELETE /:memoryId', () => {
+    test('deletes a memory of the project', async () => {
+      projectMemoryStore.deleteProjectMemory.mockResolvedValue(true);
+
+      const response = await request(app).delete('/api/projects/42/memory/5').expect(200);
+
+      expect(response.body).toEqual({ success: true });
+      expect(projectMemoryStore.deleteProjectMemory).toHaveBeenCalledWith('5');
+    });
+
+    test('returns 404 for unknown memories and 500 when deleting fails', async () => {
+      projectMemoryStore.getProjectMemory.mockResolvedValueOnce(null);
+      await request(app).delete('/api/projects/42/memory/5').expect(404);
+
+      projectMemoryStore.deleteProjectMemory.mockRejectedValueOnce(new Error('db'));
+      const failed = await request(app).delete('/api/projects/42/memory/5').expect(500);
+      expect(failed.body.error).toBe('Failed to delete project memory');
+    });
+  });
+});
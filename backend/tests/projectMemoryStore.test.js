@@ -0,0 +1,157 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import db, { initializeDatabase } from '../database.js';
+import {
+  DEFAULT_MEMORY_TOKEN_BUDGET,
+  buildProjectMemoryContext,
+  captureCorrectionMemory,
+  createProjectMemory,
+  deleteProjectMemory,
+  getProjectMemory,
+  getProjectMemorySettings,
+  listProjectMemories,
+  loadProjectMemoryContext,
+  updateProjectMemory,
+  updateProjectMemorySettings,
+  __testing
+} from '../services/projectMemoryStore.js';
+
+const runRaw = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+
+const resetTables = async () => {
+  for (const table of ['project_memories', 'project_memory_settings']) {
+    await runRaw(`DELETE FROM ${table}`);
+  }
+};
+
+describe('projectMemoryStore', () => {
+  beforeEach(async () => {
+    await initializeDatabase();
+    await resetTables();
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await resetTables();
+  });
+
+  test('creates memories with defaults and validates input', async () => {
+    const memory = await createProjectMemory(7, { content: '  Uses pnpm workspaces ' });
+
+    expect(memory).toMatchObject({
+      projectId: 7,
+      kind: 'fact',
+      content: 'Uses pnpm workspaces',
+      priority: 3,
+      enabled: true,
+      source: 'user'
+    });
+    expect(await getProjectMemory(memory.id)).toEqual(memory);
+    expect(await getProjectMemory(999999)).toBeNull();
+
+    await expect(createProjectMemory(null, { content: 'x' })).rejects.toThrow('projectId is required');
+    await expect(createProjectMemory(7, { content: '  ' })).rejects.toThrow('content must be a non-empty string');
+    await expect(createProjectMemory(7, { content: 'x'.repeat(2001) })).rejects.toThrow('at most 2000 characters');
+    await expect(createProjectMemory(7, { content: 'x', kind: 'rule' })).rejects.toThrow('kind must be one of');
+    await expect(createProjectMemory(7, { content: 'x', priority: 9 })).rejects.toThrow('priority must be an integer');
+    await expect(createProjectMemory(7, { content: 'x', source: 'robot' })).rejects.toThrow('source must be one of');
+  });
+
+  test('lists memories in prompt order and filters disabled ones', async () => {
+    const fact = await createProjectMemory(7, { kind: 'fact', content: 'API lives in backend/', priority: 3 });
+    const avoid = await createProjectMemory(7, { kind: 'avoid', content: 'Never use inline styles', priority: 3 });
+    const high = await createProjectMemory(7, { kind: 'fact', content: 'Node 20 only', priority: 5 });
+    const off = await createProjectMemory(7, { kind: 'decision', content: 'Old rule', enabled: false });
+    await createProjectMemory(8, { content: 'Other project' });
+
+    expect((await listProjectMemories(7)).map((memory) => memory.id)).toEqual([high.id, avoid.id, off.id, fact.id]);
+    expect((await listProjectMemories(7, { enabledOnly: true })).map((memory) => memory.id))
+      .toEqual([high.id, avoid.id, fact.id]);
+  });
+
+  test('updates and deletes memories', async () => {
+    const memory = await createProjectMemory(7, { content: 'Uses Jest' });
+
+    const updated = await updateProjectMemory(memory.id, {
+      kind: 'decision',
+      content: 'Uses Vitest',
+      priority: 4,
+      enabled: false
+    });
+    expect(updated).toMatchObject({ kind: 'decision', content: 'Uses Vitest', priority: 4, enabled: false });
+    expect(await updateProjectMemory(memory.id)).toMatchObject({ content: 'Uses Vitest' });
+    await expect(updateProjectMemory(memory.id, { priority: 0 })).rejects.toThrow('priority must be an integer');
+
+    expect(await deleteProjectMemory(memory.id)).toBe(true);
+    expect(await deleteProjectMemory(memory.id)).toBe(false);
+  });
+
+  test('stores per-project settings', async () => {
+    expect(await getProjectMemorySettings(7)).toEqual({ autoCapture: false, tokenBudget: DEFAULT_MEMORY_TOKEN_BUDGET });
+
+    expect(await updateProjectMemorySettings(7, { autoCapture: true })).toEqual({ autoCapture: true, tokenBudget: 600 });
+    expect(await updateProjectMemorySettings(7, { tokenBudget: 200 })).toEqual({ autoCapture: true, tokenBudget: 200 });
+    expect(await updateProjectMemorySettings(7)).toEqual({ autoCapture: true, tokenBudget: 200 });
+    expect(await getProjectMemorySettings(8)).toEqual({ autoCapture: false, tokenBudget: 600 });
+    await expect(updateProjectMemorySettings(7, { tokenBudget: 10 })).rejects.toThrow('tokenBudget must be an integer');
+  });
+
+  test('builds prompt context in priority order within the token budget', async () => {
+    expect(await buildProjectMemoryContext(7)).toBe('');
+
+    await createProjectMemory(7, { kind: 'fact', content: 'Short fact', priority: 1 });
+    await createProjectMemory(7, { kind: 'decision', content: `Long decision ${'x'.repeat(400)}`, priority: 4 });
+    await createProjectMemory(7, { kind: 'avoid', content: 'Never edit\n  generated files', priority: 5 });
+    await createProjectMemory(7, { kind: 'fact', content: 'Disabled', enabled: false });
+
+    const full = await buildProjectMemoryContext(7);
+    expect(full.split('\n')).toEqual([
+      expect.stringMatching(/^Project memory/),
+      '- Avoid: Never edit generated files',
+      expect.stringMatching(/^- Decision: Long decision x+$/),
+      '- Fact: Short fact'
+    ]);
+
+    await updateProjectMemorySettings(7, { tokenBudget: 60 });
+    const trimmed = await buildProjectMemoryContext(7);
+    expect(trimmed).toContain('- Avoid: Never edit generated files');
+    expect(trimmed).toContain('- Fact: Short fact');
+    expect(trimmed).not.toContain('Long decision');
+
+    expect(await buildProjectMemoryContext(7, { tokenBudget: 20 })).toBe('');
+  });
+
+  test('loadProjectMemoryContext falls back to an empty string on failure', async () => {
+    await createProjectMemory(7, { content: 'Uses pnpm' });
+    expect(await loadProjectMemoryContext(7)).toContain('- Fact: Uses pnpm');
+
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(db, 'all').mockImplementation((sql, params, callback) => callback(new Error('db down')));
+
+    expect(await loadProjectMemoryContext(7)).toBe('');
+    expect(warnSpy).toHaveBeenCalledWith('[ProjectMemory] Failed to load project memory:', 'db down');
+  });
+
+  test('captures corrections only when auto-capture is on, without duplicates', async () => {
+    const prompt = 'Conversation context:\nUser: add a header\n\nCurrent request: No, don\'t use inline styles';
+
+    expect(await captureCorrectionMemory(7, prompt)).toBeNull();
+
+    await updateProjectMemorySettings(7, { autoCapture: true });
+    expect(await captureCorrectionMemory(7, 'Add a footer')).toBeNull();
+
+    const memory = await captureCorrectionMemory(7, prompt);
+    expect(memory).toMatchObject({ kind: 'avoid', content: 'Don\'t use inline styles', source: 'correction' });
+    expect(await captureCorrectionMemory(7, 'no, DON\'T use inline styles')).toBeNull();
+    expect(await listProjectMemories(7)).toHaveLength(1);
+  });
+
+  test('exposes validation helpers', () => {
+    expect(__testing.estimateTokens('abcdefgh')).toBe(2);
+    expect(__testing.estimateTokens(null)).toBe(0);
+    expect(__testing.normalizePriority('5')).toBe(5);
+    expect(__testing.normalizeTokenBudget(4000)).toBe(4000);
+    expect(() => __testing.normalizeContent(42)).toThrow('content must be a non-empty string');
+  });
+});
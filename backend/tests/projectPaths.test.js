@@ -3,6 +3,7 @@ import path from 'path';
 import {
   sanitizeProjectName,
   getProjectsDir,
+  getTemplatesDir,
   resolveProjectPath
 } from '../utils/projectPaths.js';
 
@@ -58,6 +59,36 @@ describe('projectPaths', () => {
     });
   });
 
+  describe('getTemplatesDir', () => {
+    let originalTemplatesDir;
+
+    beforeEach(() => {
+      originalTemplatesDir = process.env.PROJECT_TEMPLATES_DIR;
+      delete process.env.PROJECT_TEMPLATES_DIR;
+    });
+
+    afterEach(() => {
+      if (originalTemplatesDir === undefined) {
+        delete process.env.PROJECT_TEMPLATES_DIR;
+      } else {
+        process.env.PROJECT_TEMPLATES_DIR = originalTemplatesDir;
+      }
+    });
+
+    it('falls back to ../project-templates when no override provided', () => {
+      expect(getTemplatesDir()).toBe(path.join(process.cwd(), '..', 'project-templates'));
+    });
+
+    it('resolves relative overrides and keeps absolute ones', () => {
+      process.env.PROJECT_TEMPLATES_DIR = 'starters';
+      expect(getTemplatesDir()).toBe(path.join(process.cwd(), 'starters'));
+
+      const absoluteOverride = path.join(path.sep, 'srv', 'starters');
+      process.env.PROJECT_TEMPLATES_DIR = absoluteOverride;
+      expect(getTemplatesDir()).toBe(absoluteOverride);
+    });
+  });
+
   describe('resolveProjectPath', () => {
     it('joins the sanitized project name with the projects directory', () => {
       setProjectsDir('workspace/projects');
@@ -76,6 +76,9 @@ const writeTextFile = async (targetPath, content = '') => {
   await fs.writeFile(targetPath, content);
 };
 
+const writeTemplateManifest = (directory, manifest) =>
+  writeTextFile(path.join(directory, 'lucidcoder-template.json'), JSON.stringify(manifest));
+
 const createChildProcessStub = () => {
   const child = new EventEmitter();
   child.pid = Math.floor(Math.random() * 10000) + 2000;
@@ -190,6 +193,56 @@ describe('generateProjectFiles', () => {
     expect(readme).toContain('A full-stack web application');
   });
 
+  test('copies registry templates from the user templates directory', async () => {
+    const templatesDir = path.join(tempDir, 'templates');
+    const previousTemplatesDir = process.env.PROJECT_TEMPLATES_DIR;
+    process.env.PROJECT_TEMPLATES_DIR = templatesDir;
+    await writeTemplateManifest(path.join(templatesDir, 'acme-web'), {
+      name: 'Acme Web',
+      side: 'frontend',
+      language: 'javascript',
+      framework: 'acme-web',
+      commands: { install: 'npm ci', start: 'npm run serve' },
+      ports: { dev: 4200 }
+    });
+    await writeTextFile(path.join(templatesDir, 'acme-web', 'package.json'), '{ "name": "{{projectName}}-web" }');
+    await writeTemplateManifest(path.join(templatesDir, 'acme-api'), {
+      name: 'Acme API',
+      side: 'backend',
+      language: 'javascript',
+      framework: 'acme-api'
+    });
+    await writeTextFile(path.join(templatesDir, 'acme-api', 'server.js'), '// {{projectName}} api');
+
+    try {
+      const config = makeProjectConfig(tempDir, {
+        name: 'Acme Portal',
+        frontend: { language: 'javascript', framework: 'acme-web' },
+        backend: { language: 'javascript', framework: 'acme-api' }
+      });
+
+      await projectScaffolding.generateProjectFiles(config);
+
+      expect(JSON.parse(await fs.readFile(path.join(config.path, 'frontend', 'package.json'), 'utf8')))
+        .toEqual({ name: 'acme-portal-web' });
+      expect(await fs.readFile(path.join(config.path, 'backend', 'server.js'), 'utf8')).toBe('// acme-portal api');
+      await expect(fs.access(path.join(config.path, 'frontend', 'lucidcoder-template.json'))).resolves.toBeUndefined();
+
+      const readme = await fs.readFile(path.join(config.path, 'README.md'), 'utf8');
+      expect(readme).toContain('- `frontend/` - Acme Web (javascript) frontend application');
+      expect(readme).toContain('- `backend/` - Acme API (javascript) backend API');
+      expect(readme).toContain('npm ci');
+      expect(readme).toContain('npm run serve');
+      expect(readme).toContain('The frontend will be available at http://localhost:4200 and the backend at http://localhost:3000.');
+    } finally {
+      if (previousTemplatesDir === undefined) {
+        delete process.env.PROJECT_TEMPLATES_DIR;
+      } else {
+        process.env.PROJECT_TEMPLATES_DIR = previousTemplatesDir;
+      }
+    }
+  });
+
   test('validates project name input', async () => {
     const config = makeProjectConfig(tempDir, { name: '   ' });
     await expect(projectScaffolding.generateProjectFiles(config)).rejects.toThrow('Project name is required');
@@ -226,11 +279,58 @@ describe('generateProjectFiles', () => {
 
   test('throws when frontend template is unavailable', async () => {
     const config = makeProjectConfig(tempDir, {
-      frontend: { language: 'javascript', framework: 'svelte' }
+      frontend: { language: 'javascript', framework: 'angular' }
     });
 
     await expect(projectScaffolding.generateProjectFiles(config))
-      .rejects.toThrow('Unsupported frontend combination: svelte with javascript');
+      .rejects.toThrow('Unsupported frontend combination: angular with javascript');
+  });
+
+  test('creates svelte frontend scaffolding with readable coverage output', async () => {
+    const config = makeProjectConfig(tempDir, {
+      name: 'Svelte Frontend',
+      frontend: { language: 'javascript', framework: 'svelte' }
+    });
+
+    await projectScaffolding.generateProjectFiles(config);
+
+    const frontendPath = path.join(config.path, 'frontend');
+    const packageJson = JSON.parse(await fs.readFile(path.join(frontendPath, 'package.json'), 'utf8'));
+    expect(packageJson.scripts['test:coverage']).toBe('vitest run --coverage');
+    expect(packageJson.devDependencies).toHaveProperty('svelte');
+
+    const appSvelte = await fs.readFile(path.join(frontendPath, 'src', 'App.svelte'), 'utf8');
+    expect(appSvelte).toContain('<h1>svelte-frontend</h1>');
+    const vitestConfig = await fs.readFile(path.join(frontendPath, 'vitest.config.js'), 'utf8');
+    expect(vitestConfig).toContain("'json-summary'");
+    await expect(fs.access(path.join(frontendPath, 'src', '__tests__', 'App.test.js'))).resolves.toBeUndefined();
+  });
+
+  test('creates next.js frontend scaffolding that accepts workspace port flags', async () => {
+    const config = makeProjectConfig(tempDir, {
+      name: 'Next Frontend',
+      frontend: { language: 'javascript', framework: 'nextjs' }
+    });
+
+    await projectScaffolding.generateProjectFiles(config);
+
+    const frontendPath = path.join(config.path, 'frontend');
+    const packageJson = JSON.parse(await fs.readFile(path.join(frontendPath, 'package.json'), 'utf8'));
+    expect(packageJson.scripts.dev).toBe('node scripts/dev.mjs');
+
+    const devScript = await fs.readFile(path.join(frontendPath, 'scripts', 'dev.mjs'), 'utf8');
+    expect(devScript).toContain("readFlag('--port') || process.env.PORT || '3000'");
+    const nextConfig = await fs.readFile(path.join(frontendPath, 'next.config.mjs'), 'utf8');
+    expect(nextConfig).toContain('destination: `${backendUrl}/api/:path*`');
+    const vitestConfig = await fs.readFile(path.join(frontendPath, 'vitest.config.mjs'), 'utf8');
+    expect(vitestConfig).toContain("'json-summary'");
+    await expect(fs.access(path.join(frontendPath, '__tests__', 'page.test.jsx'))).resolves.toBeUndefined();
+
+    const readme = await fs.readFile(path.join(config.path, 'README.md'), 'utf8');
+    expect(readme).toContain('`frontend/` - Next.js (javascript) frontend application');
+    expect(readme).toContain('PORT=5000 npm run dev');
+    expect(readme).toContain('available at http://localhost:3000 and the backend at http://localhost:5000');
+    expect(readme).toContain('forwards `/api` requests to `BACKEND_URL`');
   });
 
   test('creates flask backend scaffolding', async () => {
@@ -247,6 +347,74 @@ describe('generateProjectFiles', () => {
     expect(requirements).toContain('Flask');
   });
 
+  test('creates fastify backend scaffolding with a json-summary coverage reporter', async () => {
+    const config = makeProjectConfig(tempDir, {
+      name: 'Fastify API',
+      backend: { language: 'javascript', framework: 'fastify' }
+    });
+
+    await projectScaffolding.generateProjectFiles(config);
+
+    const backendPath = path.join(config.path, 'backend');
+    const packageJson = JSON.parse(await fs.readFile(path.join(backendPath, 'package.json'), 'utf8'));
+    expect(packageJson.dependencies).toHaveProperty('fastify');
+    expect(packageJson.scripts['test:coverage']).toBe('jest --coverage');
+
+    const server = await fs.readFile(path.join(backendPath, 'server.js'), 'utf8');
+    expect(server).toContain('process.env.PORT');
+    const jestConfig = await fs.readFile(path.join(backendPath, 'jest.config.js'), 'utf8');
+    expect(jestConfig).toContain("'json-summary'");
+    const appTest = await fs.readFile(path.join(backendPath, '__tests__', 'app.test.js'), 'utf8');
+    expect(appTest).toContain("project: 'fastify-api'");
+    await expect(fs.readFile(path.join(backendPath, '.env'), 'utf8')).resolves.toContain('PORT=3000');
+  });
+
+  test('creates nestjs backend scaffolding', async () => {
+    const config = makeProjectConfig(tempDir, {
+      name: 'Nest API',
+      backend: { language: 'typescript', framework: 'nestjs' }
+    });
+
+    await projectScaffolding.generateProjectFiles(config);
+
+    const backendPath = path.join(config.path, 'backend');
+    const mainTs = await fs.readFile(path.join(backendPath, 'src', 'main.ts'), 'utf8');
+    expect(mainTs).toContain('NestFactory.create(AppModule)');
+    expect(mainTs).toContain('process.env.PORT');
+    const tsConfig = JSON.parse(await fs.readFile(path.join(backendPath, 'tsconfig.json'), 'utf8'));
+    expect(tsConfig.compilerOptions.experimentalDecorators).toBe(true);
+    const jestConfig = await fs.readFile(path.join(backendPath, 'jest.config.js'), 'utf8');
+    expect(jestConfig).toContain("coverageDirectory: '../coverage'");
+    await expect(fs.access(path.join(backendPath, 'src', 'app.controller.spec.ts'))).resolves.toBeUndefined();
+
+    const readme = await fs.readFile(path.join(config.path, 'README.md'), 'utf8');
+    expect(readme).toContain('`backend/` - NestJS (typescript) backend API');
+  });
+
+  test('creates fastapi backend scaffolding with pytest coverage settings', async () => {
+    const config = makeProjectConfig(tempDir, {
+      name: 'FastAPI Service',
+      backend: { language: 'python', framework: 'fastapi' }
+    });
+
+    await projectScaffolding.generateProjectFiles(config);
+
+    const backendPath = path.join(config.path, 'backend');
+    const appPy = await fs.readFile(path.join(backendPath, 'app.py'), 'utf8');
+    expect(appPy).toContain('FastAPI(');
+    expect(appPy).toContain("os.environ.get('PORT', 5000)");
+    const requirements = await fs.readFile(path.join(backendPath, 'requirements.txt'), 'utf8');
+    expect(requirements).toContain('pytest-cov');
+    const coveragerc = await fs.readFile(path.join(backendPath, '.coveragerc'), 'utf8');
+    expect(coveragerc).toContain('tests/*');
+    await expect(fs.access(path.join(backendPath, 'tests', 'test_app.py'))).resolves.toBeUndefined();
+    await expect(fs.access(path.join(backendPath, 'package.json'))).rejects.toThrow();
+
+    const readme = await fs.readFile(path.join(config.path, 'README.md'), 'utf8');
+    expect(readme).toContain('### Backend (FastAPI)');
+    expect(readme).toContain('the backend at http://localhost:5000');
+  });
+
   test('creates express typescript backend scaffolding', async () => {
     const config = makeProjectConfig(tempDir, {
       name: 'TS API',
@@ -748,6 +916,41 @@ describe('startProjectTarget', () => {
     });
   });
 
+  test('uses template manifest start commands in real mode', async () => {
+    const projectPath = path.join(tempDir, 'target-template-commands');
+    await ensureDirs(projectPath);
+    await ensurePkg(path.join(projectPath, 'backend', 'package.json'), { name: 'backend', scripts: { dev: 'node index.js' } });
+    await writeTemplateManifest(path.join(projectPath, 'frontend'), {
+      side: 'frontend',
+      language: 'javascript',
+      framework: 'acme-web',
+      commands: { start: 'pnpm dev' }
+    });
+    await writeTemplateManifest(path.join(projectPath, 'backend'), {
+      side: 'backend',
+      language: 'javascript',
+      framework: 'acme-api',
+      commands: { start: 'node --watch api.js' }
+    });
+
+    await runWithRealModeProjectScaffolding(async ({ startProjectTarget }) => {
+      const frontend = await startProjectTarget(projectPath, 'frontend', { frontendPort: 61650, frontendPortBase: 61650 });
+      expect(frontend.process).toEqual(expect.objectContaining({ type: 'frontend', status: 'running' }));
+      expect(getSpawnCall()).toEqual(['pnpm dev', expect.objectContaining({
+        cwd: path.join(projectPath, 'frontend'),
+        env: expect.objectContaining({ PORT: String(frontend.port), HOSTNAME: '0.0.0.0' })
+      })]);
+
+      const backend = await startProjectTarget(projectPath, 'backend', { backendPort: 61655, backendPortBase: 61655 });
+      expect(backend.process).toEqual(expect.objectContaining({ type: 'backend', status: 'running' }));
+      expect(getSpawnCall()).toEqual(['node --watch api.js', expect.objectContaining({
+        cwd: path.join(projectPath, 'backend'),
+        shell: true,
+        env: expect.objectContaining({ PORT: String(backend.port) })
+      })]);
+    });
+  });
+
   test('starts backend via root script in real mode when backend package is missing', async () => {
     const projectPath = path.join(tempDir, 'target-backend-root-script');
     await fs.mkdir(projectPath, { recursive: true });
@@ -982,6 +1185,31 @@ describe('installDependencies', () => {
       .rejects.toThrow('Frontend dependency installation failed: frontend boom');
   });
 
+  test('runs install commands declared by template manifests', async () => {
+    const projectPath = path.join(tempDir, 'template-install');
+    await ensurePkg(path.join(projectPath, 'frontend', 'package.json'), { name: 'frontend-app' });
+    await writeTemplateManifest(path.join(projectPath, 'frontend'), {
+      side: 'frontend',
+      language: 'javascript',
+      framework: 'acme-web',
+      commands: { install: 'npm ci' }
+    });
+    await writeTextFile(path.join(projectPath, 'backend', 'requirements.txt'), 'fastapi');
+    await writeTemplateManifest(path.join(projectPath, 'backend'), {
+      side: 'backend',
+      language: 'python',
+      framework: 'acme-api',
+      commands: { install: 'uv sync' }
+    });
+
+    await projectScaffolding.installDependencies(projectPath);
+
+    expect(execMock.mock.calls.map(([command, options]) => [command, options.cwd])).toEqual([
+      ['npm ci', path.join(projectPath, 'frontend')],
+      ['uv sync', path.join(projectPath, 'backend')]
+    ]);
+  });
+
   test('completes when backend type cannot be detected', async () => {
     const projectPath = path.join(tempDir, 'unknown-backend');
     await ensurePkg(path.join(projectPath, 'frontend', 'package.json'), { name: 'frontend-app' });
@@ -1230,6 +1458,41 @@ describe('startProject', () => {
     });
   });
 
+  test('starts workspaces with the start commands declared by template manifests', async () => {
+    const projectPath = path.join(tempDir, 'start-template-commands');
+    await writeTemplateManifest(path.join(projectPath, 'frontend'), {
+      side: 'frontend',
+      language: 'javascript',
+      framework: 'acme-web',
+      commands: { start: 'pnpm dev' }
+    });
+    await writeTemplateManifest(path.join(projectPath, 'backend'), {
+      side: 'backend',
+      language: 'go',
+      framework: 'acme-go',
+      commands: { start: 'go run .' },
+      ports: { dev: 61600 }
+    });
+
+    await runRealStart(projectPath, 'linux', async (realModule) => {
+      const result = await realModule.startProject(projectPath, { backendPortBase: 61600 });
+      expect(result.processes.frontend).toEqual(expect.objectContaining({ type: 'frontend', status: 'running' }));
+      expect(result.processes.backend).toEqual(expect.objectContaining({ type: 'backend', port: 61600 }));
+    });
+
+    expect(spawnMock).toHaveBeenCalledTimes(2);
+    expect(spawnMock).toHaveBeenCalledWith('go run .', expect.objectContaining({
+      cwd: path.join(projectPath, 'backend'),
+      shell: true,
+      env: expect.objectContaining({ PORT: '61600' })
+    }));
+    expect(spawnMock).toHaveBeenCalledWith('pnpm dev', expect.objectContaining({
+      cwd: path.join(projectPath, 'frontend'),
+      shell: true,
+      env: expect.objectContaining({ HOST: '0.0.0.0', PORT: expect.any(String) })
+    }));
+  });
+
   test('starts backend via root script when targeting backend in real mode', async () => {
     const projectPath = path.join(tempDir, 'start-root-backend-script');
     await fs.mkdir(projectPath, { recursive: true });
@@ -2,7 +2,16 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import os from 'os';
 import path from 'path';
 import fs from 'fs/promises';
-import { readProjectFile, writeProjectFile, listProjectDirectory } from '../services/projectTools.js';
+import {
+  readProjectFile,
+  writeProjectFile,
+  listProjectDirectory,
+  getProjectRoot,
+  runWithProjectRoot,
+  isProjectRootOverridden,
+  searchProjectCode
+} from '../services/projectTools.js';
+import { __testing as codeIndexTesting } from '../services/codeIndex.js';
 import { getProject } from '../database.js';
 import { resolveProjectPath } from '../utils/projectPaths.js';
 
@@ -40,6 +49,40 @@ describe('projectTools', () => {
     expect(readBack).toBe('console.log("hi")');
   });
 
+  it('searchProjectCode sees files written through writeProjectFile right away', async () => {
+    await writeProjectFile(1, 'src/auth.js', 'export function login() {}\n');
+    try {
+      expect((await searchProjectCode(1, { query: 'login', type: 'symbol' })).results)
+        .toEqual([expect.objectContaining({ path: 'src/auth.js', name: 'login' })]);
+
+      await writeProjectFile(1, 'src/session.js', 'export const logout = () => {};\n');
+
+      expect((await searchProjectCode(1, { query: 'logout', type: 'symbol' })).results)
+        .toEqual([expect.objectContaining({ path: 'src/session.js', kind: 'function' })]);
+    } finally {
+      codeIndexTesting.indexes.clear();
+    }
+  });
+
+  it('resolves an overridden root for the same project inside runWithProjectRoot', async () => {
+    const checkout = await fs.mkdtemp(path.join(os.tmpdir(), 'project-tools-checkout-'));
+    try {
+      await runWithProjectRoot(1, checkout, async () => {
+        await writeProjectFile(1, 'notes.txt', 'from checkout');
+        expect(await getProjectRoot(2)).toBe(path.resolve(projectRoot));
+        expect(isProjectRootOverridden(1)).toBe(true);
+        expect(isProjectRootOverridden(2)).toBe(false);
+      });
+      expect(isProjectRootOverridden(1)).toBe(false);
+
+      await expect(fs.readFile(path.join(checkout, 'notes.txt'), 'utf-8')).resolves.toBe('from checkout');
+      await expect(fs.access(path.join(projectRoot, 'notes.txt'))).rejects.toThrow();
+      expect(await getProjectRoot(1)).toBe(path.resolve(projectRoot));
+    } finally {
+      await fs.rm(checkout, { recursive: true, force: true });
+    }
+  });
+
   it('defaults to an empty string when content is undefined', async () => {
     const relativePath = 'src/empty.txt';
     const absolutePath = path.join(projectRoot, relativePath);
@@ -0,0 +1,103 @@
+import { describe, test, expect, afterEach, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+
+vi.mock('../services/branchWorkflow.js', () => ({
+  abortConflictResolution: vi.fn(),
+  completeConflictResolution: vi.fn(),
+  getConflictFile: vi.fn(),
+  getMergeConflicts: vi.fn(),
+  resolveConflictHunk: vi.fn(),
+  resolveConflictsWithAgent: vi.fn(),
+  saveConflictResolution: vi.fn()
+}));
+
+const buildTestApp = async () => {
+  const { registerProjectConflictRoutes } = await import('../routes/projects/routes.conflicts.js');
+  const app = express();
+  app.use(express.json());
+  const router = express.Router();
+  registerProjectConflictRoutes(router);
+  app.use('/api/projects', router);
+  return app;
+};
+
+const withStatus = (message, statusCode, extra = {}) => Object.assign(new Error(message), { statusCode, ...extra });
+
+afterEach(() => {
+  vi.clearAllMocks();
+  vi.resetModules();
+});
+
+describe('project merge conflict routes', () => {
+  test('lists conflicts and loads a conflicted file', async () => {
+    const workflow = await import('../services/branchWorkflow.js');
+    const conflicts = { inProgress: true, files: [{ path: 'a.js', resolved: false }] };
+    workflow.getMergeConflicts.mockResolvedValue(conflicts);
+    workflow.getConflictFile.mockResolvedValue({ path: 'a.js', hunks: [] });
+    const app = await buildTestApp();
+
+    await request(app).get('/api/projects/3/git/conflicts').expect(200, { success: true, conflicts });
+    const response = await request(app).get('/api/projects/3/git/conflicts/file').query({ path: 'a.js' }).expect(200);
+    expect(response.body.file).toEqual({ path: 'a.js', hunks: [] });
+    expect(workflow.getConflictFile).toHaveBeenCalledWith('3', 'a.js');
+  });
+
+  test('saves edits and hunk choices and returns the refreshed summary', async () => {
+    const workflow = await import('../services/branchWorkflow.js');
+    workflow.saveConflictResolution.mockResolvedValue({ path: 'a.js', resolved: true });
+    workflow.resolveConflictHunk.mockResolvedValue({ path: 'a.js', resolved: false });
+    workflow.getMergeConflicts.mockResolvedValue({ inProgress: true, files: [] });
+    const app = await buildTestApp();
+
+    await request(app).put('/api/projects/3/git/conflicts/file').send({ path: 'a.js', content: 'x' }).expect(200);
+    expect(workflow.saveConflictResolution).toHaveBeenCalledWith('3', { path: 'a.js', content: 'x' });
+
+    const response = await request(app)
+      .post('/api/projects/3/git/conflicts/hunk')
+      .send({ path: 'a.js', hunkIndex: 0, choice: 'ours' })
+      .expect(200);
+    expect(response.body).toEqual({
+      success: true,
+      file: { path: 'a.js', resolved: false },
+      conflicts: { inProgress: true, files: [] }
+    });
+  });
+
+  test('runs agent resolution, completion and abort', async () => {
+    const workflow = await import('../services/branchWorkflow.js');
+    workflow.resolveConflictsWithAgent.mockResolvedValue({ proposals: [], failed: [] });
+    workflow.completeConflictResolution.mockResolvedValue({ completed: true, merge: null });
+    workflow.abortConflictResolution.mockResolvedValue({ aborted: true });
+    const app = await buildTestApp();
+
+    await request(app).post('/api/projects/3/git/conflicts/agent').send({ paths: ['a.js'] })
+      .expect(200, { success: true, proposals: [], failed: [] });
+    expect(workflow.resolveConflictsWithAgent).toHaveBeenCalledWith('3', { paths: ['a.js'] });
+    await request(app).post('/api/projects/3/git/conflicts/complete').expect(200, { success: true, completed: true, merge: null });
+    await request(app).post('/api/projects/3/git/conflicts/abort').expect(200, { success: true, aborted: true });
+  });
+
+  test('surfaces failed test runs and hides unexpected errors', async () => {
+    const workflow = await import('../services/branchWorkflow.js');
+    workflow.completeConflictResolution.mockRejectedValue(
+      withStatus('Tests must pass before the merge can be completed', 409, { testRun: { status: 'failed' } })
+    );
+    workflow.abortConflictResolution.mockRejectedValue(new Error('disk exploded'));
+    workflow.resolveConflictHunk.mockRejectedValue(withStatus('Resolve all conflicted files first', 409, { conflicts: { files: [] } }));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const app = await buildTestApp();
+
+    await request(app).post('/api/projects/3/git/conflicts/complete').expect(409, {
+      success: false,
+      error: 'Tests must pass before the merge can be completed',
+      testRun: { status: 'failed' }
+    });
+    await request(app).post('/api/projects/3/git/conflicts/abort').expect(500, { success: false, error: 'Failed to abort merge' });
+    await request(app).post('/api/projects/3/git/conflicts/hunk').send({}).expect(409, {
+      success: false,
+      error: 'Resolve all conflicted files first',
+      conflicts: { files: [] }
+    });
+  });
+});
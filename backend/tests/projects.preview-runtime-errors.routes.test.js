@@ -0,0 +1,87 @@
+import { describe, test, expect, afterEach, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+
+vi.mock('../database.js', () => ({
+  getProject: vi.fn()
+}));
+
+const buildTestApp = async () => {
+  const { registerProjectPreviewRoutes } = await import('../routes/projects/routes.preview.js');
+  const app = express();
+  app.use(express.json());
+  const router = express.Router();
+  registerProjectPreviewRoutes(router);
+  app.use('/api/projects', router);
+  return app;
+};
+
+afterEach(async () => {
+  const { __testing } = await import('../services/previewRuntimeErrors.js');
+  __testing.reset();
+  vi.clearAllMocks();
+  vi.restoreAllMocks();
+  vi.resetModules();
+});
+
+describe('project preview runtime error routes', () => {
+  test('returns 404 for unknown projects', async () => {
+    const { getProject } = await import('../database.js');
+    getProject.mockResolvedValue(null);
+    const app = await buildTestApp();
+
+    await request(app).get('/api/projects/9/preview/runtime-errors').expect(404);
+    await request(app).post('/api/projects/9/preview/runtime-errors').send({ errors: [{ message: 'x' }] }).expect(404);
+    await request(app).delete('/api/projects/9/preview/runtime-errors').expect(404);
+  });
+
+  test('POST rejects payloads without errors', async () => {
+    const app = await buildTestApp();
+
+    const response = await request(app).post('/api/projects/9/preview/runtime-errors').send({}).expect(400);
+    expect(response.body.error).toBe('errors must be a non-empty array');
+  });
+
+  test('records, lists and clears runtime errors', async () => {
+    const { getProject } = await import('../database.js');
+    getProject.mockResolvedValue({ id: 9, name: 'Demo' });
+    const app = await buildTestApp();
+
+    const created = await request(app)
+      .post('/api/projects/9/preview/runtime-errors')
+      .send({ errors: [{ kind: 'console', level: 'error', message: 'boom' }, { message: '' }] })
+      .expect(201);
+    expect(created.body).toEqual({ success: true, recorded: 1 });
+
+    await request(app)
+      .post('/api/projects/9/preview/runtime-errors')
+      .send({ error: { kind: 'network', message: 'Request failed with status 500', status: 500 } })
+      .expect(201);
+
+    const listed = await request(app).get('/api/projects/9/preview/runtime-errors?limit=1').expect(200);
+    expect(listed.body.errors).toHaveLength(1);
+    expect(listed.body.errors[0]).toMatchObject({ kind: 'network', status: 500 });
+
+    const cleared = await request(app).delete('/api/projects/9/preview/runtime-errors').expect(200);
+    expect(cleared.body).toEqual({ success: true, cleared: 2 });
+
+    const empty = await request(app).get('/api/projects/9/preview/runtime-errors').expect(200);
+    expect(empty.body.errors).toEqual([]);
+  });
+
+  test('returns 500 when the project lookup fails', async () => {
+    const { getProject } = await import('../database.js');
+    getProject.mockRejectedValue(new Error('db offline'));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const app = await buildTestApp();
+
+    const listed = await request(app).get('/api/projects/9/preview/runtime-errors').expect(500);
+    expect(listed.body.error).toBe('Failed to fetch preview runtime errors');
+
+    const created = await request(app).post('/api/projects/9/preview/runtime-errors').send({ errors: [{ message: 'x' }] }).expect(500);
+    expect(created.body.error).toBe('Failed to record preview runtime errors');
+
+    const cleared = await request(app).delete('/api/projects/9/preview/runtime-errors').expect(500);
+    expect(cleared.body.error).toBe('Failed to clear preview runtime errors');
+  });
+});
@@ -3738,6 +3738,39 @@ describe('Projects API with Scaffolding', () => {
       expect(baseHints).toEqual({ frontend: 5173, backend: 3000 });
     });
 
+    test('deriveProjectPorts knows the dev ports of every scaffolding template', async () => {
+      const projectRoutesModule = await import('../routes/projects.js');
+      const { deriveProjectPorts } = projectRoutesModule.__projectRoutesInternals;
+
+      expect(deriveProjectPorts({ frontend_framework: 'svelte', backend_framework: 'fastify' }).sort()).toEqual([3000, 5173]);
+      expect(deriveProjectPorts({ frontend_framework: 'nextjs', backend_framework: 'fastapi' }).sort()).toEqual([3000, 5000]);
+      expect(deriveProjectPorts({ frontend_framework: 'react', backend_framework: 'nestjs' }).sort()).toEqual([3000, 5173]);
+    });
+
+    test('port hints fall back to the dev ports declared by user templates', async () => {
+      const projectRoutesModule = await import('../routes/projects.js');
+      const { deriveProjectPorts, getProjectPortHints } = projectRoutesModule.__projectRoutesInternals;
+      const { listProjectTemplates } = await import('../services/projectScaffolding/templateRegistry.js');
+      const templatesDir = await fs.mkdtemp(path.join(getProjectsDir(), '..', 'template-ports-'));
+      const writeManifest = async (folder, manifest) => {
+        await fs.mkdir(path.join(templatesDir, folder), { recursive: true });
+        await fs.writeFile(path.join(templatesDir, folder, 'lucidcoder-template.json'), JSON.stringify(manifest));
+      };
+
+      try {
+        await writeManifest('web', { side: 'frontend', language: 'javascript', framework: 'acme-web', ports: { dev: 4200 } });
+        await writeManifest('api', { side: 'backend', language: 'go', framework: 'acme-go', ports: { dev: 8080 } });
+        await listProjectTemplates({ templatesDir });
+
+        const project = { frontend_framework: 'acme-web', backend_framework: 'acme-go' };
+        expect(getProjectPortHints(project)).toEqual({ frontend: 4200, backend: 8080 });
+        expect(deriveProjectPorts(project).sort()).toEqual([4200, 8080]);
+      } finally {
+        await fs.rm(templatesDir, { recursive: true, force: true });
+        await listProjectTemplates({ templatesDir });
+      }
+    });
+
     test('hasLiveProcess returns false when entry is missing', async () => {
       const projectRoutesModule = await import('../routes/projects.js');
       const { hasLiveProcess } = projectRoutesModule.__projectRoutesInternals;
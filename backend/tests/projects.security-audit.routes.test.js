@@ -0,0 +1,110 @@
+import { describe, test, expect, afterEach, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+
+vi.mock('../database.js', () => ({
+  getProject: vi.fn()
+}));
+
+vi.mock('../services/securityAudit.js', () => ({
+  getSecurityAudit: vi.fn(),
+  isSecurityAuditRunning: vi.fn(() => false),
+  listSecurityAudits: vi.fn(),
+  startSecurityAudit: vi.fn()
+}));
+
+vi.mock('../routes/projects/cleanup.js', () => ({
+  isWithinManagedProjectsRoot: vi.fn(() => true)
+}));
+
+const buildTestApp = async () => {
+  const { registerProjectAuditRoutes } = await import('../routes/projects/routes.audit.js');
+  const app = express();
+  app.use(express.json());
+  const router = express.Router();
+  registerProjectAuditRoutes(router);
+  app.use('/api/projects', router);
+  return app;
+};
+
+afterEach(() => {
+  vi.clearAllMocks();
+  vi.restoreAllMocks();
+  vi.resetModules();
+});
+
+describe('project security audit routes', () => {
+  test('returns 404 for unknown projects', async () => {
+    const { getProject } = await import('../database.js');
+    getProject.mockResolvedValue(null);
+    const app = await buildTestApp();
+
+    await request(app).get('/api/projects/1/audit/security').expect(404);
+    await request(app).post('/api/projects/1/audit/security').expect(404);
+    await request(app).get('/api/projects/1/audit/security/3').expect(404);
+  });
+
+  test('starts an audit for managed projects', async () => {
+    const { getProject } = await import('../database.js');
+    const { startSecurityAudit } = await import('../services/securityAudit.js');
+    getProject.mockResolvedValue({ id: 1, path: '/managed/demo' });
+    startSecurityAudit.mockResolvedValue({ run: { id: 4, status: 'running' }, completion: Promise.resolve() });
+    const app = await buildTestApp();
+
+    const response = await request(app).post('/api/projects/1/audit/security').expect(202);
+    expect(response.body).toEqual({ success: true, audit: { id: 4, status: 'running' } });
+    expect(startSecurityAudit).toHaveBeenCalledWith({ projectId: 1, projectPath: '/managed/demo' });
+  });
+
+  test('rejects projects without a usable path and concurrent audits', async () => {
+    const { getProject } = await import('../database.js');
+    const { startSecurityAudit } = await import('../services/securityAudit.js');
+    const { isWithinManagedProjectsRoot } = await import('../routes/projects/cleanup.js');
+    const app = await buildTestApp();
+
+    getProject.mockResolvedValueOnce({ id: 1, path: '' });
+    await request(app).post('/api/projects/1/audit/security').expect(400);
+
+    getProject.mockResolvedValueOnce({ id: 1, path: '/elsewhere' });
+    isWithinManagedProjectsRoot.mockReturnValueOnce(false);
+    const invalid = await request(app).post('/api/projects/1/audit/security').expect(400);
+    expect(invalid.body.error).toBe('Invalid project path');
+
+    getProject.mockResolvedValueOnce({ id: 1, path: '/managed/demo' });
+    startSecurityAudit.mockRejectedValueOnce(Object.assign(new Error('A security audit is already running for this project'), { statusCode: 409 }));
+    const conflict = await request(app).post('/api/projects/1/audit/security').expect(409);
+    expect(conflict.body.error).toMatch(/already running/);
+  });
+
+  test('lists audits and fetches a single audit', async () => {
+    const { getProject } = await import('../database.js');
+    const { getSecurityAudit, isSecurityAuditRunning, listSecurityAudits } = await import('../services/securityAudit.js');
+    getProject.mockResolvedValue({ id: 1, path: '/managed/demo' });
+    listSecurityAudits.mockResolvedValue([{ id: 4, summary: { total: 2 } }]);
+    isSecurityAuditRunning.mockReturnValue(true);
+    const app = await buildTestApp();
+
+    const listed = await request(app).get('/api/projects/1/audit/security?limit=5').expect(200);
+    expect(listed.body).toEqual({ success: true, running: true, audits: [{ id: 4, summary: { total: 2 } }] });
+    expect(listSecurityAudits).toHaveBeenCalledWith(1, { limit: 5 });
+
+    getSecurityAudit.mockResolvedValueOnce({ id: 4, metadata: { findings: [] } });
+    const fetched = await request(app).get('/api/projects/1/audit/security/4').expect(200);
+    expect(fetched.body.audit.id).toBe(4);
+
+    getSecurityAudit.mockResolvedValueOnce(null);
+    const missing = await request(app).get('/api/projects/1/audit/security/5').expect(404);
+    expect(missing.body.error).toBe('Security audit not found');
+  });
+
+  test('returns 500 when lookups fail', async () => {
+    const { getProject } = await import('../database.js');
+    getProject.mockRejectedValue(new Error('db offline'));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const app = await buildTestApp();
+
+    expect((await request(app).get('/api/projects/1/audit/security').expect(500)).body.error).toBe('Failed to list security audits');
+    expect((await request(app).post('/api/projects/1/audit/security').expect(500)).body.error).toBe('Failed to start security audit');
+    expect((await request(app).get('/api/projects/1/audit/security/4').expect(500)).body.error).toBe('Failed to fetch security audit');
+  });
+});
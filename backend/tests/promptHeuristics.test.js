@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { extractLatestRequest, hasResolvedClarificationAnswers } from '../services/promptHeuristics.js';
+import { extractCorrectionNote, extractLatestRequest, hasResolvedClarificationAnswers } from '../services/promptHeuristics.js';
 
 describe('promptHeuristics.extractLatestRequest', () => {
   it('preserves resolved multiline clarification answers for planning', () => {
@@ -63,3 +63,38 @@ describe('promptHeuristics.extractLatestRequest', () => {
     expect(hasResolvedClarificationAnswers(unresolved)).toBe(false);
   });
 });
+
+describe('promptHeuristics.extractCorrectionNote', () => {
+  it('turns corrections of the agent into memory notes', () => {
+    expect(extractCorrectionNote('Current request: No, don\'t use inline styles')).toEqual({
+      kind: 'avoid',
+      content: 'Don\'t use inline styles'
+    });
+    expect(extractCorrectionNote('that\'s wrong - the API lives under /api/v2')).toEqual({
+      kind: 'decision',
+      content: 'The API lives under /api/v2'
+    });
+    expect(extractCorrectionNote('Always use pnpm for installs')).toEqual({
+      kind: 'decision',
+      content: 'Always use pnpm for installs'
+    });
+    expect(extractCorrectionNote('Please never edit the generated files')).toEqual({
+      kind: 'avoid',
+      content: 'Please never edit the generated files'
+    });
+  });
+
+  it('ignores ordinary requests and bare rejections', () => {
+    expect(extractCorrectionNote('Add a footer that does not scroll')).toBeNull();
+    expect(extractCorrectionNote('Now add a login page')).toBeNull();
+    expect(extractCorrectionNote('Stop the dev server')).toBeNull();
+    expect(extractCorrectionNote('No.')).toBeNull();
+    expect(extractCorrectionNote('')).toBeNull();
+  });
+
+  it('truncates long notes', () => {
+    const note = extractCorrectionNote(`Never ${'touch '.repeat(80)}`);
+    expect(note.content).toHaveLength(280);
+    expect(note.content.endsWith('…')).toBe(true);
+  });
+});
@@ -0,0 +1,254 @@
+import { afterEach, beforeEach, describe, expect, test } from 'vitest';
+import http from 'http';
+import {
+  PullRequestError,
+  __testUtils,
+  createPullRequest,
+  getPullRequest,
+  parseRemoteRepository,
+  resolveApiBaseUrl
+} from '../services/pullRequestService.js';
+
+// Minimal stand-in for the GitHub/GitLab REST APIs. Each handler receives the parsed request
+// and returns [status, body].
+const startProviderStub = async (handlers) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const entry = {
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body: raw ? JSON.parse(raw) : null
+      };
+      requests.push(entry);
+      const handler = handlers[`${req.method} ${url.pathname}`];
+      const [status, body] = handler ? handler(entry) : [404, { message: 'Not Found' }];
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  return {
+    origin: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+};
+
+describe('pullRequestService', () => {
+  let stub;
+
+  afterEach(async () => {
+    await stub?.close();
+    stub = null;
+  });
+
+  test('parses https, ssh and scp-style remotes', () => {
+    expect(parseRemoteRepository('https://github.com/octo/app.git')).toEqual({
+      host: 'github.com',
+      origin: 'https://github.com',
+      path: 'octo/app',
+      owner: 'octo',
+      repo: 'app'
+    });
+    expect(parseRemoteRepository('git@gitlab.com:group/sub/app.git')).toEqual(expect.objectContaining({
+      origin: 'https://gitlab.com',
+      path: 'group/sub/app',
+      owner: 'group/sub'
+    }));
+    expect(parseRemoteRepository('ssh://git@git.example.com:2222/team/app')).toEqual(expect.objectContaining({
+      origin: 'https://git.example.com',
+      path: 'team/app'
+    }));
+    expect(parseRemoteRepository('http://127.0.0.1:8080/o/r/')).toEqual(expect.objectContaining({
+      origin: 'http://127.0.0.1:8080',
+      path: 'o/r'
+    }));
+    expect(parseRemoteRepository('https://github.com/only-owner')).toBeNull();
+    expect(parseRemoteRepository('not a url')).toBeNull();
+    expect(parseRemoteRepository('')).toBeNull();
+    expect(parseRemoteRepository(null)).toBeNull();
+  });
+
+  test('resolves API hosts for hosted and self-hosted providers', () => {
+    expect(resolveApiBaseUrl('github', parseRemoteRepository('https://github.com/o/r'))).toBe('https://api.github.com');
+    expect(resolveApiBaseUrl('github', parseRemoteRepository('https://ghe.example.com/o/r'))).toBe('https://ghe.example.com/api/v3');
+    expect(resolveApiBaseUrl('gitlab', parseRemoteRepository('https://gitlab.com/o/r'))).toBe('https://gitlab.com/api/v4');
+  });
+
+  describe('GitHub', () => {
+    beforeEach(async () => {
+      stub = await startProviderStub({
+        'POST /api/v3/repos/octo/app/pulls': ({ body }) => (body.head === 'feature/dup'
+          ? [422, { message: 'Validation Failed', errors: [{ message: 'A pull request already exists for octo:feature/dup.' }] }]
+          : [201, { number: 12, html_url: 'https://ghe.test/octo/app/pull/12', state: 'open', title: body.title }]),
+        'GET /api/v3/repos/octo/app/pulls': ({ query }) => [200, query.head === 'octo:feature/dup'
+          ? [{ number: 9, html_url: 'https://ghe.test/octo/app/pull/9', state: 'open', title: 'Existing' }]
+          : []],
+        'GET /api/v3/repos/octo/app/pulls/12': () => [200, {
+          number: 12,
+          html_url: 'https://ghe.test/octo/app/pull/12',
+          state: 'closed',
+          merged: true
+        }]
+      });
+    });
+
+    test('creates a pull request with the token and branch pair', async () => {
+      const result = await createPullRequest({
+        provider: 'GitHub',
+        token: ' ghp_secret ',
+        remoteUrl: `${stub.origin}/octo/app.git`,
+        head: 'feature/login',
+        base: 'main',
+        title: 'Add login',
+        body: '## Goal'
+      });
+
+      expect(result).toEqual({
+        provider: 'github',
+        number: 12,
+        url: 'https://ghe.test/octo/app/pull/12',
+        status: 'open',
+        title: 'Add login',
+        created: true
+      });
+      expect(stub.requests[0].headers.authorization).toBe('Bearer ghp_secret');
+      expect(stub.requests[0].body).toEqual({ head: 'feature/login', base: 'main', title: 'Add login', body: '## Goal' });
+    });
+
+    test('returns the open pull request when one already exists', async () => {
+      const result = await createPullRequest({
+        token: 'ghp',
+        remoteUrl: `${stub.origin}/octo/app`,
+        head: 'feature/dup',
+        title: 'Dup'
+      });
+
+      expect(result).toEqual(expect.objectContaining({ number: 9, created: false }));
+      expect(stub.requests[1].query).toEqual({ head: 'octo:feature/dup', base: 'main', state: 'open' });
+    });
+
+    test('reports provider validation errors', async () => {
+      stub.requests.length = 0;
+      await stub.close();
+      stub = await startProviderStub({
+        'POST /api/v3/repos/octo/app/pulls': () => [422, { message: 'Validation Failed', errors: [{ message: 'No commits between main and feature' }] }],
+        'GET /api/v3/repos/octo/app/pulls': () => [200, []]
+      });
+
+      const error = await createPullRequest({ token: 'ghp', remoteUrl: `${stub.origin}/octo/app`, head: 'feature', title: 'x' })
+        .catch((err) => err);
+      expect(error).toBeInstanceOf(PullRequestError);
+      expect(error).toEqual(expect.objectContaining({
+        message: 'No commits between main and feature',
+        statusCode: 422,
+        provider: 'github'
+      }));
+    });
+
+    test('reads merged status', async () => {
+      await expect(getPullRequest({ token: 'ghp', remoteUrl: `${stub.origin}/octo/app`, number: 12 }))
+        .resolves.toEqual(expect.objectContaining({ number: 12, status: 'merged' }));
+
+      await expect(getPullRequest({ token: 'ghp', remoteUrl: `${stub.origin}/octo/app`, number: 99 }))
+        .rejects.toMatchObject({ message: 'Not Found', statusCode: 404 });
+    });
+  });
+
+  describe('GitLab', () => {
+    beforeEach(async () => {
+      stub = await startProviderStub({
+        'POST /api/v4/projects/group%2Fapp/merge_requests': ({ body }) => (body.source_branch === 'feature/dup'
+          ? [409, { message: ['Another open merge request already exists for this source branch'] }]
+          : [201, { iid: 4, web_url: 'https://gitlab.test/group/app/-/merge_requests/4', state: 'opened', title: body.title }]),
+        'GET /api/v4/projects/group%2Fapp/merge_requests': () => [200, [
+          { iid: 2, web_url: 'https://gitlab.test/group/app/-/merge_requests/2', state: 'opened' }
+        ]],
+        'GET /api/v4/projects/group%2Fapp/merge_requests/4': () => [200, { iid: 4, web_url: 'u', state: 'merged' }]
+      });
+    });
+
+    test('creates a merge request and maps its state', async () => {
+      const result = await createPullRequest({
+        provider: 'gitlab',
+        token: 'glpat',
+        remoteUrl: `${stub.origin}/group/app.git`,
+        head: 'feature/login',
+        base: 'develop',
+        title: 'Add login',
+        body: 'Body'
+      });
+
+      expect(result).toEqual(expect.objectContaining({ provider: 'gitlab', number: 4, status: 'open', created: true }));
+      expect(stub.requests[0].headers['private-token']).toBe('glpat');
+      expect(stub.requests[0].body).toEqual({
+        source_branch: 'feature/login',
+        target_branch: 'develop',
+        title: 'Add login',
+        description: 'Body'
+      });
+
+      await expect(getPullRequest({ provider: 'gitlab', token: 'glpat', remoteUrl: `${stub.origin}/group/app`, number: 4 }))
+        .resolves.toEqual(expect.objectContaining({ status: 'merged' }));
+    });
+
+    test('falls back to the existing merge request on conflict', async () => {
+      const result = await createPullRequest({
+        provider: 'gitlab',
+        token: 'glpat',
+        remoteUrl: `${stub.origin}/group/app`,
+        head: 'feature/dup',
+        title: 'Dup'
+      });
+
+      expect(result).toEqual(expect.objectContaining({ number: 2, created: false }));
+      expect(stub.requests[1].query).toEqual({ source_branch: 'feature/dup', target_branch: 'main', state: 'opened' });
+    });
+  });
+
+  test('validates provider, token, remote and branch before calling the API', async () => {
+    await expect(createPullRequest({ provider: 'bitbucket', token: 't' })).rejects.toThrow('Unsupported git provider: bitbucket');
+    await expect(createPullRequest({ token: ' ', remoteUrl: 'https://github.com/o/r' })).rejects.toThrow('personal access token is required');
+    await expect(createPullRequest({ token: 't', remoteUrl: 'nope' })).rejects.toThrow('Remote URL does not point to a repository');
+    await expect(createPullRequest({ token: 't', remoteUrl: 'https://github.com/o/r' })).rejects.toThrow('Source branch is required');
+  });
+
+  test('reports unreachable providers', async () => {
+    stub = await startProviderStub({});
+    const { origin } = stub;
+    await stub.close();
+    stub = null;
+
+    await expect(createPullRequest({ token: 't', remoteUrl: `${origin}/o/r`, head: 'f', title: 't' }))
+      .rejects.toMatchObject({ statusCode: 504, message: 'No response from provider API' });
+  });
+
+  test('maps error shapes and statuses', () => {
+    const { mapAxiosError, normalizePullRequestStatus } = __testUtils;
+    expect(mapAxiosError(null, 'fallback')).toEqual({ message: 'fallback', statusCode: 500, details: null });
+    expect(mapAxiosError({ response: { status: 401, data: { error: 'invalid_token' } } }, 'f')).toEqual({
+      message: 'invalid_token',
+      statusCode: 401,
+      details: { error: 'invalid_token' }
+    });
+    expect(mapAxiosError({ response: {} }, 'f')).toEqual({ message: 'f', statusCode: 400, details: null });
+    expect(mapAxiosError({ message: 'socket hang up' }, 'f').message).toBe('socket hang up');
+    expect(mapAxiosError({}, 'f').message).toBe('f');
+
+    expect(normalizePullRequestStatus('github', { state: 'open' })).toBe('open');
+    expect(normalizePullRequestStatus('github', { state: 'closed' })).toBe('closed');
+    expect(normalizePullRequestStatus('github', { merged_at: '2024-01-01' })).toBe('merged');
+    expect(normalizePullRequestStatus('gitlab', { state: 'closed' })).toBe('closed');
+    expect(normalizePullRequestStatus('gitlab', { state: 'locked' })).toBe('open');
+    expect(normalizePullRequestStatus('gitlab')).toBe('open');
+  });
+});
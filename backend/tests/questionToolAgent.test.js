@@ -3,6 +3,7 @@ import { answerProjectQuestion, __testUtils } from '../services/questionToolAgen
 import { llmClient } from '../llm-client.js';
 import * as projectTools from '../services/projectTools.js';
 import * as goalStore from '../services/goalStore.js';
+import * as projectMemoryStore from '../services/projectMemoryStore.js';
 
 vi.mock('../llm-client.js', () => ({
   llmClient: {
@@ -12,13 +13,18 @@ vi.mock('../llm-client.js', () => ({
 
 vi.mock('../services/projectTools.js', () => ({
   readProjectFile: vi.fn(),
-  listProjectDirectory: vi.fn()
+  listProjectDirectory: vi.fn(),
+  searchProjectCode: vi.fn()
 }));
 
 vi.mock('../services/goalStore.js', () => ({
   listGoals: vi.fn()
 }));
 
+vi.mock('../services/projectMemoryStore.js', () => ({
+  loadProjectMemoryContext: vi.fn()
+}));
+
 const mockSteps = (responses = []) => {
   llmClient.generateResponse.mockReset();
   responses.forEach((value) => {
@@ -32,6 +38,18 @@ describe('questionToolAgent', () => {
   beforeEach(() => {
     vi.clearAllMocks();
     goalStore.listGoals.mockResolvedValue([]);
+    projectMemoryStore.loadProjectMemoryContext.mockResolvedValue('');
+  });
+
+  it('puts the project memory ahead of the question', async () => {
+    projectMemoryStore.loadProjectMemoryContext.mockResolvedValue('Project memory:\n- Fact: Uses pnpm');
+    mockSteps([{ action: 'answer', answer: 'Run pnpm install.' }]);
+
+    await answerProjectQuestion({ projectId: 5, prompt: 'How do I install dependencies?' });
+
+    expect(projectMemoryStore.loadProjectMemoryContext).toHaveBeenCalledWith(5);
+    const userMessage = llmClient.generateResponse.mock.calls[0][0][1];
+    expect(userMessage.content.startsWith('Project memory:\n- Fact: Uses pnpm\n\nQUESTION:\nHow do I install')).toBe(true);
   });
 
   it('requires a projectId', async () => {
@@ -66,6 +84,28 @@ describe('questionToolAgent', () => {
     );
   });
 
+  it('streams only the answer text and forwards the abort signal to the LLM client', async () => {
+    mockSteps([{ action: 'answer', answer: 'Streaming works.' }]);
+    const controller = new AbortController();
+    const onToken = vi.fn();
+
+    const result = await answerProjectQuestion({
+      projectId: 99,
+      prompt: 'Does streaming work?',
+      onToken,
+      signal: controller.signal
+    });
+
+    expect(result.answer).toBe('Streaming works.');
+    expect(llmClient.generateResponse).toHaveBeenCalledWith(
+      expect.any(Array),
+      expect.objectContaining({ __lucidcoderOnToken: expect.any(Function), __lucidcoderSignal: controller.signal })
+    );
+
+    const streamToken = llmClient.generateResponse.mock.calls[0][1].__lucidcoderOnToken;
+    ['{"action":"ans', 'wer","answer":"Stream', 'ing\\nworks."}'].forEach((token) => streamToken(token));
+    expect(onToken.mock.calls.map(([text]) => text)).toEqual(['Stream', 'ing\nworks.']);
+  });
 
   it('preloads stored goals for goal-related prompts', async () => {
     mockSteps([{ action: 'answer', answer: 'Here are your current goals.' }]);
@@ -552,6 +592,69 @@ describe('questionToolAgent', () => {
     expect(observation?.summary).toBe('Directory is empty.');
   });
 
+  it('runs search_code actions against the code index and records the results', async () => {
+    mockSteps([
+      { action: 'search_code', query: 'who imports useAuth', reason: 'Find callers' },
+      { action: 'search_code', query: 'useAuth', type: 'regex' },
+      { action: 'answer', answer: 'Navbar uses it.' }
+    ]);
+
+    projectTools.searchProjectCode
+      .mockResolvedValueOnce({
+        type: 'imports',
+        query: 'useAuth',
+        indexedFiles: 12,
+        total: 1,
+        results: [{ path: 'src/Navbar.jsx', line: 2, source: './useAuth', names: ['useAuth'] }]
+      })
+      .mockRejectedValueOnce(new Error('type must be one of: keyword, symbol, imports, route'));
+
+    const result = await answerProjectQuestion({ projectId: 23, prompt: 'Who uses useAuth?' });
+
+    expect(result.answer).toBe('Navbar uses it.');
+    expect(projectTools.searchProjectCode).toHaveBeenNthCalledWith(1, 23, { query: 'who imports useAuth', type: undefined });
+    expect(projectTools.searchProjectCode).toHaveBeenNthCalledWith(2, 23, { query: 'useAuth', type: 'regex' });
+    expect(result.steps).toEqual([
+      { type: 'action', action: 'search_code', target: 'who imports useAuth', reason: 'Find callers' },
+      {
+        type: 'observation',
+        action: 'search_code',
+        target: 'who imports useAuth',
+        summary: "src/Navbar.jsx:2 imports './useAuth' { useAuth }"
+      },
+      { type: 'action', action: 'search_code', target: 'useAuth', reason: 'Search the code index' },
+      {
+        type: 'observation',
+        action: 'search_code',
+        target: 'useAuth',
+        error: 'type must be one of: keyword, symbol, imports, route'
+      },
+      { type: 'answer', content: 'Navbar uses it.' }
+    ]);
+    const secondPrompt = llmClient.generateResponse.mock.calls[1][0][1].content;
+    expect(secondPrompt).toContain("OBSERVATION: search_code who imports useAuth -> src/Navbar.jsx:2 imports './useAuth'");
+  });
+
+  it('rejects search_code actions without a query', async () => {
+    mockSteps([{ action: 'search_code' }]);
+
+    await expect(answerProjectQuestion({ projectId: 24, prompt: 'Where is login?' }))
+      .rejects.toThrow('search_code action missing query');
+    expect(projectTools.searchProjectCode).not.toHaveBeenCalled();
+  });
+
+  it('falls back to a generic message when search_code fails without one', async () => {
+    mockSteps([
+      { action: 'search_code', query: 'login' },
+      { action: 'answer', answer: 'Unknown.' }
+    ]);
+    projectTools.searchProjectCode.mockRejectedValueOnce({});
+
+    const result = await answerProjectQuestion({ projectId: 25, prompt: 'Where is login?' });
+
+    expect(result.steps[1]).toMatchObject({ action: 'search_code', error: 'Failed to search code' });
+  });
+
   it('captures list_dir errors as observations and continues planning', async () => {
     mockSteps([
       { action: 'list_dir', path: 'src', reason: 'Check src' },
@@ -886,6 +989,17 @@ describe('questionToolAgent helpers', () => {
     resolveAgentStepLimit
   } = __testUtils;
 
+  it('only adds stream control flags that were provided', () => {
+    const onToken = () => {};
+    const { signal } = new AbortController();
+    expect(__testUtils.buildStreamOptions()).toEqual({});
+    expect(__testUtils.buildStreamOptions({ onToken: 'nope' })).toEqual({});
+    expect(__testUtils.buildStreamOptions({ onToken, signal })).toEqual({
+      __lucidcoderOnToken: expect.any(Function),
+      __lucidcoderSignal: signal
+    });
+  });
+
   it.skip('formats action, observation, answer, and fallback entries', () => {
     const steps = [
       { type: 'action', action: 'read_file', target: 'README.md', reason: 'Need overview' },
@@ -33,8 +33,19 @@ vi.mock('../routes/jobs.js', () => ({ __esModule: true, default: routerStub }));
 vi.mock('../routes/goals.js', () => ({ __esModule: true, default: routerStub }));
 vi.mock('../routes/agent.js', () => ({ __esModule: true, default: routerStub }));
 vi.mock('../routes/runs.js', () => ({ __esModule: true, default: routerStub }));
+vi.mock('../routes/chatThreads.js', () => ({ __esModule: true, default: routerStub }));
+vi.mock('../routes/projectMemory.js', () => ({ __esModule: true, default: routerStub }));
 vi.mock('../routes/diagnostics.js', () => ({ __esModule: true, default: routerStub }));
 vi.mock('../routes/fs.js', () => ({ __esModule: true, default: routerStub }));
+vi.mock('../routes/templates.js', () => ({ __esModule: true, default: routerStub }));
+vi.mock('../routes/auth.js', () => ({ __esModule: true, default: routerStub }));
+
+const applyAccessControlMock = vi.hoisted(() => vi.fn());
+const resolvePreviewAccessErrorMock = vi.hoisted(() => vi.fn());
+vi.mock('../middleware/auth.js', () => ({
+  applyAccessControl: applyAccessControlMock,
+  resolvePreviewAccessError: resolvePreviewAccessErrorMock
+}));
 
 const attachSocketServerMock = vi.hoisted(() => vi.fn(() => ({ connected: true })));
 vi.mock('../socket/createSocketServer.js', () => ({
@@ -64,6 +75,7 @@ vi.mock('../database.js', () => ({
 
 const llmClientStub = vi.hoisted(() => ({
   initialize: vi.fn(),
+  loadRoleRoutes: vi.fn(),
   config: null,
   apiKey: null
 }));
@@ -136,6 +148,7 @@ describe('server bootstrap and middleware', () => {
     attachSocketServerMock.mockReset();
     readFileSyncMock.mockReset();
     routerStub.mockImplementation((req, res, next) => next());
+    applyAccessControlMock.mockReset();
     createServerMock.mockClear();
     httpServerStub.close.mockReset();
     httpServerStub.on.mockReset();
@@ -151,6 +164,10 @@ describe('server bootstrap and middleware', () => {
     cleanupSignalHandlers();
   });
 
+  test('applies access control to the app', () => {
+    expect(applyAccessControlMock).toHaveBeenCalledWith(app);
+  });
+
   test('health endpoint reports status and llm flag', async () => {
     llmClientStub.config = { provider: 'groq' };
 
@@ -473,6 +490,7 @@ describe('server bootstrap and middleware', () => {
     expect(initializeEncryptionKeyMock).toHaveBeenCalledTimes(1);
     expect(initializeDatabaseMock).toHaveBeenCalledTimes(1);
     expect(llmClientStub.initialize).toHaveBeenCalledTimes(1);
+    expect(llmClientStub.loadRoleRoutes).toHaveBeenCalledTimes(1);
     expect(createServerMock).toHaveBeenCalledTimes(1);
     expect(httpServerStub.listen).toHaveBeenCalledWith('5050', expect.any(Function));
     expect(serverInstance).toBe(httpServerStub);
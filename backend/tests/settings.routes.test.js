@@ -8,7 +8,9 @@ vi.mock('../database.js', () => ({
   getPortSettings: vi.fn(),
   savePortSettings: vi.fn(),
   getTestingSettings: vi.fn(),
-  saveTestingSettings: vi.fn()
+  saveTestingSettings: vi.fn(),
+  getAgentCommandSettings: vi.fn(),
+  saveAgentCommandSettings: vi.fn()
 }));
 
 vi.mock('../services/gitConnectionService.js', () => ({
@@ -190,6 +192,21 @@ describe('settings routes', () => {
     expect(tooHigh.errors).toContain('coverageTarget must be one of 50, 60, 70, 80, 90, 100');
   });
 
+  test('validateTestingSettingsPayload accepts an optional failed test retry count', async () => {
+    const { validateTestingSettingsPayload } = await import('../routes/settings.js');
+
+    expect(validateTestingSettingsPayload({ coverageTarget: 90, failedTestRetries: '2' })).toEqual({
+      errors: [],
+      nextSettings: { coverageTarget: 90, failedTestRetries: 2 }
+    });
+
+    for (const failedTestRetries of [-1, 4, 1.5, 'often']) {
+      expect(validateTestingSettingsPayload({ coverageTarget: 90, failedTestRetries }).errors).toEqual([
+        'failedTestRetries must be an integer between 0 and 3'
+      ]);
+    }
+  });
+
   test('GET /api/settings/git returns saved settings', async () => {
     const { getGitSettings } = await import('../database.js');
     getGitSettings.mockResolvedValueOnce({ workflow: 'local' });
@@ -568,6 +585,93 @@ describe('settings routes', () => {
     expect(response.body).toEqual({ success: false, error: 'Failed to save testing settings' });
   });
 
+  test('GET /api/settings/agent-commands returns saved settings', async () => {
+    const { getAgentCommandSettings } = await import('../database.js');
+    const settings = { allowlist: ['npm test'], timeoutMs: 60000, maxOutputChars: 5000, isCustomized: true };
+    getAgentCommandSettings.mockResolvedValueOnce(settings);
+
+    const app = await buildTestApp();
+
+    const response = await request(app)
+      .get('/api/settings/agent-commands')
+      .expect(200);
+
+    expect(response.body).toEqual({ success: true, settings });
+  });
+
+  test('GET /api/settings/agent-commands returns 500 when loading fails', async () => {
+    const { getAgentCommandSettings } = await import('../database.js');
+    getAgentCommandSettings.mockRejectedValueOnce(new Error('boom'));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const app = await buildTestApp();
+
+    const response = await request(app)
+      .get('/api/settings/agent-commands')
+      .expect(500);
+
+    expect(response.body).toEqual({ success: false, error: 'Failed to load agent command settings' });
+  });
+
+  test('PUT /api/settings/agent-commands validates the payload', async () => {
+    const app = await buildTestApp({ withJson: false });
+
+    const response = await request(app)
+      .put('/api/settings/agent-commands')
+      .expect(400);
+
+    expect(response.body.error).toBe([
+      'allowlist must be an array of command strings',
+      'timeoutMs must be an integer between 1000 and 1800000',
+      'maxOutputChars must be an integer between 1000 and 200000'
+    ].join(', '));
+
+    const jsonApp = await buildTestApp();
+    const mixed = await request(jsonApp)
+      .put('/api/settings/agent-commands')
+      .send({ allowlist: ['npm test', 5], timeoutMs: 500, maxOutputChars: 2000 })
+      .expect(400);
+
+    expect(mixed.body.error).toContain('allowlist must be an array of command strings');
+    expect(mixed.body.error).toContain('timeoutMs must be an integer');
+    expect(mixed.body.error).not.toContain('maxOutputChars');
+  });
+
+  test('PUT /api/settings/agent-commands saves valid settings', async () => {
+    const { saveAgentCommandSettings } = await import('../database.js');
+    const payload = { allowlist: ['npm test', 'make check'], timeoutMs: 30000, maxOutputChars: 8000 };
+    saveAgentCommandSettings.mockResolvedValueOnce({ ...payload, isCustomized: true });
+
+    const app = await buildTestApp();
+
+    const response = await request(app)
+      .put('/api/settings/agent-commands')
+      .send(payload)
+      .expect(200);
+
+    expect(saveAgentCommandSettings).toHaveBeenCalledWith(payload);
+    expect(response.body).toEqual({
+      success: true,
+      message: 'Agent command settings updated',
+      settings: { ...payload, isCustomized: true }
+    });
+  });
+
+  test('PUT /api/settings/agent-commands returns 500 when save fails', async () => {
+    const { saveAgentCommandSettings } = await import('../database.js');
+    saveAgentCommandSettings.mockRejectedValueOnce(new Error('boom'));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const app = await buildTestApp();
+
+    const response = await request(app)
+      .put('/api/settings/agent-commands')
+      .send({ allowlist: [], timeoutMs: 1000, maxOutputChars: 1000 })
+      .expect(500);
+
+    expect(response.body).toEqual({ success: false, error: 'Failed to save agent command settings' });
+  });
+
   test('GET /api/settings/policy includes coverage target from testing settings', async () => {
     const { getTestingSettings } = await import('../database.js');
     getTestingSettings.mockResolvedValueOnce({ coverageTarget: 70 });
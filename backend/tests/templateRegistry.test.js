@@ -0,0 +1,318 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import {
+  addTemplateFromGit,
+  copyProjectTemplate,
+  findProjectTemplate,
+  getRegisteredTemplatePort,
+  listProjectTemplates,
+  serializeTemplate,
+  TemplateRegistryError
+} from '../services/projectScaffolding/templateRegistry.js';
+import {
+  normalizeTemplateManifest,
+  readTemplateManifest,
+  readWorkspaceTemplateManifest,
+  splitTemplateCommand,
+  TEMPLATE_MANIFEST_FILENAME
+} from '../services/projectScaffolding/templateManifest.js';
+
+const acmeManifest = {
+  name: 'Acme React',
+  description: 'Company starter with lint config and auth middleware',
+  side: 'frontend',
+  language: 'javascript',
+  framework: 'acme-react',
+  commands: { install: 'npm ci', start: 'npm run start:dev', test: 'npm run test:ci' },
+  ports: { dev: 4200 },
+  coverage: { directory: 'reports/coverage' }
+};
+
+const writeTemplate = async (directory, manifest, files = {}) => {
+  await fs.mkdir(directory, { recursive: true });
+  await fs.writeFile(path.join(directory, TEMPLATE_MANIFEST_FILENAME), JSON.stringify(manifest));
+  for (const [relativePath, content] of Object.entries(files)) {
+    const target = path.join(directory, relativePath);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, content);
+  }
+};
+
+let templatesDir;
+
+beforeEach(async () => {
+  templatesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'template-registry-'));
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  vi.restoreAllMocks();
+  await fs.rm(templatesDir, { recursive: true, force: true });
+});
+
+describe('template manifests', () => {
+  test('normalizes a complete manifest', () => {
+    expect(normalizeTemplateManifest({ ...acmeManifest, side: 'Frontend', framework: 'Acme-React' })).toEqual({
+      side: 'frontend',
+      language: 'javascript',
+      framework: 'acme-react',
+      name: 'Acme React',
+      description: 'Company starter with lint config and auth middleware',
+      commands: { install: 'npm ci', start: 'npm run start:dev', test: 'npm run test:ci' },
+      ports: { dev: 4200 },
+      coverage: { directory: 'reports/coverage' }
+    });
+  });
+
+  test('fills optional fields with defaults', () => {
+    expect(normalizeTemplateManifest({ side: 'backend', language: 'python', framework: 'django', commands: { test: ' ' } }))
+      .toEqual(expect.objectContaining({
+        name: 'django',
+        description: '',
+        commands: {},
+        ports: { dev: null },
+        coverage: { directory: null }
+      }));
+  });
+
+  test.each([
+    [null, 'must be a JSON object'],
+    [[], 'must be a JSON object'],
+    [{ ...acmeManifest, side: 'mobile' }, '"side"'],
+    [{ ...acmeManifest, language: '' }, '"language"'],
+    [{ ...acmeManifest, framework: '../react' }, '"framework"'],
+    [{ ...acmeManifest, ports: { dev: 70000 } }, '"ports.dev"'],
+    [{ ...acmeManifest, coverage: { directory: '../coverage' } }, '"coverage.directory"'],
+    [{ ...acmeManifest, coverage: { directory: '/tmp/coverage' } }, '"coverage.directory"']
+  ])('rejects invalid manifest %#', (raw, message) => {
+    expect(() => normalizeTemplateManifest(raw)).toThrow(message);
+  });
+
+  test('reads manifests from disk and reports malformed JSON', async () => {
+    expect(await readTemplateManifest(templatesDir)).toBeNull();
+
+    await fs.writeFile(path.join(templatesDir, TEMPLATE_MANIFEST_FILENAME), '{ nope');
+    await expect(readTemplateManifest(templatesDir)).rejects.toThrow('is not valid JSON');
+    expect(await readWorkspaceTemplateManifest(templatesDir)).toBeNull();
+
+    await writeTemplate(templatesDir, acmeManifest);
+    expect(await readWorkspaceTemplateManifest(templatesDir)).toEqual(expect.objectContaining({ framework: 'acme-react' }));
+  });
+
+  test('propagates unexpected read errors', async () => {
+    await fs.mkdir(path.join(templatesDir, TEMPLATE_MANIFEST_FILENAME));
+    await expect(readTemplateManifest(templatesDir)).rejects.toMatchObject({ code: 'EISDIR' });
+  });
+
+  test('splits command lines for job runners', () => {
+    expect(splitTemplateCommand('npm  run test:ci')).toEqual({ command: 'npm', args: ['run', 'test:ci'] });
+    expect(splitTemplateCommand('  ')).toBeNull();
+    expect(splitTemplateCommand(undefined)).toBeNull();
+  });
+});
+
+describe('listProjectTemplates', () => {
+  test('lists the built-in templates when the templates directory is missing', async () => {
+    const templates = await listProjectTemplates({ templatesDir: path.join(templatesDir, 'missing') });
+
+    expect(templates).toContainEqual({
+      id: 'builtin:frontend:react:typescript',
+      source: 'builtin',
+      side: 'frontend',
+      language: 'typescript',
+      framework: 'react',
+      name: 'React',
+      description: '',
+      commands: {},
+      ports: { dev: 5173 },
+      coverage: { directory: 'coverage' }
+    });
+    expect(templates).toContainEqual(expect.objectContaining({
+      id: 'builtin:frontend:nextjs:javascript',
+      ports: { dev: 3000 }
+    }));
+    expect(templates).toContainEqual(expect.objectContaining({
+      id: 'builtin:backend:flask:python',
+      ports: { dev: 5000 },
+      coverage: { directory: null }
+    }));
+    expect(templates).toContainEqual(expect.objectContaining({
+      id: 'builtin:backend:express:javascript',
+      ports: { dev: 3000 }
+    }));
+    expect(templates.every((template) => template.source === 'builtin')).toBe(true);
+  });
+
+  test('loads single and grouped templates and lets them shadow built-ins', async () => {
+    await writeTemplate(path.join(templatesDir, 'acme-react'), acmeManifest);
+    await writeTemplate(path.join(templatesDir, 'acme-stack', 'backend'), {
+      side: 'backend',
+      language: 'javascript',
+      framework: 'express',
+      name: 'Acme Express'
+    });
+    await fs.mkdir(path.join(templatesDir, 'acme-stack', '.git'));
+    await fs.mkdir(path.join(templatesDir, 'acme-stack', 'docs'));
+    await writeTemplate(path.join(templatesDir, 'acme-stack', 'node_modules', 'pkg'), acmeManifest);
+
+    const templates = await listProjectTemplates({ templatesDir });
+
+    expect(templates).toContainEqual(expect.objectContaining({
+      id: 'local:acme-react',
+      source: 'local',
+      framework: 'acme-react',
+      directory: path.join(templatesDir, 'acme-react')
+    }));
+    const expressTemplates = templates.filter((template) =>
+      template.side === 'backend' && template.framework === 'express' && template.language === 'javascript'
+    );
+    expect(expressTemplates).toEqual([
+      expect.objectContaining({ id: 'git:acme-stack/backend', source: 'git', name: 'Acme Express' })
+    ]);
+    expect(getRegisteredTemplatePort('frontend', 'acme-react')).toBe(4200);
+    expect(getRegisteredTemplatePort('backend', 'express')).toBeNull();
+  });
+
+  test('skips invalid manifests and duplicate stacks', async () => {
+    await writeTemplate(path.join(templatesDir, 'a-first'), acmeManifest);
+    await writeTemplate(path.join(templatesDir, 'b-duplicate'), { ...acmeManifest, name: 'Duplicate' });
+    await writeTemplate(path.join(templatesDir, 'c-broken'), { side: 'sideways' });
+    await fs.writeFile(path.join(templatesDir, 'README.md'), 'not a template');
+
+    const userTemplates = (await listProjectTemplates({ templatesDir }))
+      .filter((template) => template.source !== 'builtin');
+
+    expect(userTemplates.map((template) => template.id)).toEqual(['local:a-first']);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Ignoring duplicate frontend:acme-react:javascript'));
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('c-broken'));
+  });
+
+  test('propagates errors other than a missing templates directory', async () => {
+    const filePath = path.join(templatesDir, 'not-a-directory');
+    await fs.writeFile(filePath, '');
+
+    await expect(listProjectTemplates({ templatesDir: filePath })).rejects.toMatchObject({ code: 'ENOTDIR' });
+  });
+
+  test('finds templates by side, framework and language', async () => {
+    await writeTemplate(path.join(templatesDir, 'acme-react'), acmeManifest);
+
+    await expect(findProjectTemplate('frontend', { framework: 'acme-react', language: 'javascript' }, { templatesDir }))
+      .resolves.toEqual(expect.objectContaining({ id: 'local:acme-react' }));
+    await expect(findProjectTemplate('backend', { framework: 'flask', language: 'python' }, { templatesDir }))
+      .resolves.toEqual(expect.objectContaining({ id: 'builtin:backend:flask:python' }));
+    await expect(findProjectTemplate('backend', { framework: 'acme-react', language: 'javascript' }, { templatesDir }))
+      .resolves.toBeNull();
+    await expect(findProjectTemplate('frontend', undefined, { templatesDir })).resolves.toBeNull();
+  });
+
+  test('serializes templates without their local directory', () => {
+    expect(serializeTemplate({ id: 'local:a', directory: '/srv/templates/a' })).toEqual({ id: 'local:a' });
+  });
+});
+
+describe('copyProjectTemplate', () => {
+  test('copies template files, fills the project name and skips git metadata', async () => {
+    const sourceDir = path.join(templatesDir, 'acme-react');
+    await writeTemplate(sourceDir, acmeManifest, {
+      'package.json': JSON.stringify({ name: '{{projectName}}-frontend' }),
+      'src/App.jsx': 'export const title = "{{ projectName }}";\n',
+      '.git/HEAD': 'ref: refs/heads/main',
+      'node_modules/left-pad/index.js': 'module.exports = {}'
+    });
+    await fs.writeFile(path.join(sourceDir, 'logo.png'), Buffer.from([0x89, 0x00, 0x7b, 0x7b]));
+    await fs.symlink(path.join(sourceDir, 'package.json'), path.join(sourceDir, 'linked.json'));
+    const [template] = (await listProjectTemplates({ templatesDir })).filter((entry) => entry.source !== 'builtin');
+    const targetDir = path.join(templatesDir, 'out', 'frontend');
+
+    await copyProjectTemplate(template, targetDir, { name: 'my-app' });
+
+    expect(JSON.parse(await fs.readFile(path.join(targetDir, 'package.json'), 'utf8'))).toEqual({ name: 'my-app-frontend' });
+    expect(await fs.readFile(path.join(targetDir, 'src', 'App.jsx'), 'utf8')).toBe('export const title = "my-app";\n');
+    expect(await fs.readFile(path.join(targetDir, 'logo.png'))).toEqual(Buffer.from([0x89, 0x00, 0x7b, 0x7b]));
+    expect(await readTemplateManifest(targetDir)).toEqual(expect.objectContaining({ framework: 'acme-react' }));
+    await expect(fs.access(path.join(targetDir, '.git'))).rejects.toThrow();
+    await expect(fs.access(path.join(targetDir, 'node_modules'))).rejects.toThrow();
+    await expect(fs.access(path.join(targetDir, 'linked.json'))).rejects.toThrow();
+  });
+
+  test('refuses to copy built-in templates', async () => {
+    await expect(copyProjectTemplate({ id: 'builtin:frontend:react:javascript' }, templatesDir, { name: 'x' }))
+      .rejects.toBeInstanceOf(TemplateRegistryError);
+  });
+});
+
+describe('addTemplateFromGit', () => {
+  const cloneWith = (files) => vi.fn(async (cwd, args) => {
+    const folder = path.join(cwd, args.at(-1));
+    await fs.mkdir(path.join(folder, '.git'), { recursive: true });
+    for (const [relativePath, manifest] of Object.entries(files)) {
+      await writeTemplate(path.join(folder, relativePath), manifest);
+    }
+  });
+
+  test('clones the repository into the templates directory and returns its templates', async () => {
+    const runGit = cloneWith({ '.': acmeManifest });
+    const targetDir = path.join(templatesDir, 'nested');
+
+    const added = await addTemplateFromGit(' https://git.example.com/acme/starter.git ', { templatesDir: targetDir, runGit });
+
+    expect(runGit).toHaveBeenCalledWith(targetDir, [
+      'clone', '--depth', '1', '--', 'https://git.example.com/acme/starter.git', 'starter'
+    ]);
+    expect(added).toEqual([expect.objectContaining({ id: 'git:starter', source: 'git', framework: 'acme-react' })]);
+    expect(getRegisteredTemplatePort('frontend', 'acme-react')).toBe(4200);
+  });
+
+  test('derives folder names from ssh urls', async () => {
+    const runGit = cloneWith({ frontend: acmeManifest });
+
+    const added = await addTemplateFromGit('git@github.com:Acme/Web_Starter.git/', { templatesDir, runGit });
+
+    expect(runGit.mock.calls[0][1].at(-1)).toBe('web-starter');
+    expect(added.map((template) => template.id)).toEqual(['git:web-starter/frontend']);
+  });
+
+  test('falls back to a generic folder name', async () => {
+    const runGit = cloneWith({ '.': acmeManifest });
+
+    await addTemplateFromGit('file:///srv/.git', { templatesDir, runGit });
+
+    expect(runGit.mock.calls[0][1].at(-1)).toBe('template');
+  });
+
+  test.each([undefined, '', '--upload-pack=touch /tmp/x', 'starter'])('rejects %j as a git url', async (gitUrl) => {
+    await expect(addTemplateFromGit(gitUrl, { templatesDir, runGit: vi.fn() }))
+      .rejects.toMatchObject({ name: 'TemplateRegistryError', statusCode: 400 });
+  });
+
+  test('refuses to overwrite an existing template folder', async () => {
+    await fs.mkdir(path.join(templatesDir, 'starter'));
+    const runGit = vi.fn();
+
+    await expect(addTemplateFromGit('https://example.com/starter.git', { templatesDir, runGit }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(runGit).not.toHaveBeenCalled();
+  });
+
+  test('cleans up when the clone fails', async () => {
+    const runGit = vi.fn(async (cwd, args) => {
+      await fs.mkdir(path.join(cwd, args.at(-1)));
+      throw new Error('repository not found');
+    });
+
+    await expect(addTemplateFromGit('https://example.com/starter.git', { templatesDir, runGit }))
+      .rejects.toMatchObject({ statusCode: 502, message: 'Failed to clone template repository: repository not found' });
+    await expect(fs.access(path.join(templatesDir, 'starter'))).rejects.toThrow();
+  });
+
+  test('removes repositories without a manifest', async () => {
+    const runGit = cloneWith({});
+
+    await expect(addTemplateFromGit('https://example.com/starter.git', { templatesDir, runGit }))
+      .rejects.toThrow(`The repository does not contain a ${TEMPLATE_MANIFEST_FILENAME} manifest`);
+    await expect(fs.access(path.join(templatesDir, 'starter'))).rejects.toThrow();
+  });
+});
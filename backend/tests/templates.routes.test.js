@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import templatesRoutes from '../routes/templates.js';
+import * as templateRegistry from '../services/projectScaffolding/templateRegistry.js';
+
+vi.mock('../services/projectScaffolding/templateRegistry.js', async () => {
+  const actual = await vi.importActual('../services/projectScaffolding/templateRegistry.js');
+  return {
+    ...actual,
+    addTemplateFromGit: vi.fn(),
+    listProjectTemplates: vi.fn()
+  };
+});
+
+describe('Templates Routes', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/templates', templatesRoutes);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.clearAllMocks();
+  });
+
+  describe('GET /api/templates', () => {
+    it('lists registry templates without their local directories', async () => {
+      templateRegistry.listProjectTemplates.mockResolvedValue([
+        { id: 'builtin:frontend:react:javascript', source: 'builtin' },
+        { id: 'local:acme', source: 'local', directory: '/srv/templates/acme' }
+      ]);
+
+      const response = await request(app).get('/api/templates').expect(200);
+
+      expect(response.body).toEqual({
+        success: true,
+        templates: [
+          { id: 'builtin:frontend:react:javascript', source: 'builtin' },
+          { id: 'local:acme', source: 'local' }
+        ]
+      });
+    });
+
+    it('returns 500 when the registry cannot be read', async () => {
+      templateRegistry.listProjectTemplates.mockRejectedValue(new Error('EACCES'));
+
+      const response = await request(app).get('/api/templates').expect(500);
+
+      expect(response.body).toEqual({ success: false, error: 'Failed to list project templates' });
+    });
+  });
+
+  describe('POST /api/templates', () => {
+    it('adds templates from a git url', async () => {
+      templateRegistry.addTemplateFromGit.mockResolvedValue([
+        { id: 'git:starter', source: 'git', directory: '/srv/templates/starter' }
+      ]);
+
+      const response = await request(app)
+        .post('/api/templates')
+        .send({ gitUrl: 'https://example.com/starter.git' })
+        .expect(201);
+
+      expect(templateRegistry.addTemplateFromGit).toHaveBeenCalledWith('https://example.com/starter.git');
+      expect(response.body).toEqual({ success: true, templates: [{ id: 'git:starter', source: 'git' }] });
+    });
+
+    it('maps registry errors to their status codes', async () => {
+      templateRegistry.addTemplateFromGit.mockRejectedValue(
+        new templateRegistry.TemplateRegistryError('A template folder named "starter" already exists', { statusCode: 409 })
+      );
+
+      const response = await request(app).post('/api/templates').send({ gitUrl: 'https://example.com/starter.git' }).expect(409);
+
+      expect(response.body).toEqual({ success: false, error: 'A template folder named "starter" already exists' });
+    });
+
+    it('returns 500 for unexpected failures', async () => {
+      templateRegistry.addTemplateFromGit.mockRejectedValue(new Error('disk full'));
+
+      const response = await request(app).post('/api/templates').expect(500);
+
+      expect(templateRegistry.addTemplateFromGit).toHaveBeenCalledWith(undefined);
+      expect(response.body).toEqual({ success: false, error: 'Failed to add project template' });
+    });
+  });
+});
@@ -0,0 +1,188 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import db, { initializeDatabase } from '../database.js';
+import {
+  __testing,
+  buildTestKey,
+  getQuarantinedTestKeys,
+  getTestHistory,
+  listFlakyTests,
+  listQuarantinedTests,
+  quarantineTest,
+  recordTestCaseResults,
+  releaseQuarantinedTest
+} from '../services/testHistory.js';
+
+const PROJECT_ID = 41;
+
+const runSql = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+
+const resetTables = async () => {
+  await runSql('DELETE FROM test_case_results');
+  await runSql('DELETE FROM test_quarantine');
+};
+
+const passing = { workspace: 'frontend', file: 'src/app.test.js', name: 'App > renders', status: 'passed', durationMs: 12.4 };
+const failing = { ...passing, status: 'failed', error: 'expected true' };
+
+describe('testHistory', () => {
+  beforeEach(async () => {
+    await initializeDatabase();
+    await resetTables();
+  });
+
+  afterEach(async () => {
+    await resetTables();
+  });
+
+  test('buildTestKey joins the non-empty identity parts', () => {
+    expect(buildTestKey(passing)).toBe('frontend > src/app.test.js > App > renders');
+    expect(buildTestKey({ workspace: ' root ', file: null, name: 'test_ok' })).toBe('root > test_ok');
+    expect(buildTestKey()).toBe('');
+  });
+
+  test('records outcomes per attempt and returns the history newest first', async () => {
+    const written = await recordTestCaseResults({
+      projectId: PROJECT_ID,
+      testRunId: 1,
+      commitSha: 'abc123',
+      cases: [
+        { ...passing, flaky: true, attempts: 2, firstError: 'x'.repeat(600) },
+        { ...passing, name: 'App > skipped', status: 'skipped' },
+        { ...passing, name: '  ' },
+        null
+      ]
+    });
+    expect(written).toBe(2);
+
+    await recordTestCaseResults({ projectId: PROJECT_ID, testRunId: 2, cases: [{ ...failing, durationMs: 'slow' }] });
+
+    const history = await getTestHistory(PROJECT_ID, buildTestKey(passing));
+    expect(history).toHaveLength(3);
+    expect(history[0]).toMatchObject({
+      testRunId: 2,
+      branchName: null,
+      commitSha: null,
+      status: 'failed',
+      attempt: 1,
+      durationMs: null,
+      error: 'expected true'
+    });
+    expect(history[1]).toMatchObject({ testRunId: 1, commitSha: 'abc123', status: 'passed', attempt: 2, durationMs: 12, error: null });
+    expect(history[2]).toMatchObject({ status: 'failed', attempt: 1 });
+    expect(history[2].error).toHaveLength(500);
+
+    expect(await recordTestCaseResults({ projectId: PROJECT_ID, testRunId: 3 })).toBe(0);
+    expect(await recordTestCaseResults({ projectId: PROJECT_ID, testRunId: 3, cases: 'nope' })).toBe(0);
+  });
+
+  test('expandCaseAttempts keeps the failed first attempt of a flaky case', () => {
+    expect(__testing.expandCaseAttempts({ status: 'failed', attempts: 3, error: 'boom' })).toEqual([
+      { status: 'failed', attempt: 3, error: 'boom' }
+    ]);
+    expect(__testing.expandCaseAttempts({ status: 'passed', flaky: true, attempts: 2 })).toEqual([
+      { status: 'failed', attempt: 1, error: null },
+      { status: 'passed', attempt: 2, error: undefined }
+    ]);
+  });
+
+  test('keeps only the most recent runs of a project', async () => {
+    const { HISTORY_RUN_LIMIT } = __testing;
+    for (let runId = 1; runId <= HISTORY_RUN_LIMIT + 2; runId += 1) {
+      await recordTestCaseResults({ projectId: PROJECT_ID, testRunId: runId, cases: [passing] });
+    }
+    await recordTestCaseResults({ projectId: PROJECT_ID + 1, testRunId: 1000, cases: [passing] });
+
+    const history = await getTestHistory(PROJECT_ID, buildTestKey(passing), { limit: 100 });
+    expect(history).toHaveLength(HISTORY_RUN_LIMIT);
+    expect(history.at(-1).testRunId).toBe(3);
+    expect(await getTestHistory(PROJECT_ID + 1, buildTestKey(passing))).toHaveLength(1);
+  });
+
+  test('scores tests that flip on the same commit or within a retried run', async () => {
+    const other = { ...passing, name: 'App > stable' };
+    const sometimes = { ...passing, file: 'src/b.test.js', name: 'B > sometimes' };
+    const always = { ...passing, name: 'App > always', flaky: true, attempts: 2 };
+    const twin = { ...always, name: 'App > twin' };
+
+    await recordTestCaseResults({ projectId: PROJECT_ID, testRunId: 1, commitSha: 'c1', cases: [passing, other, sometimes] });
+    await recordTestCaseResults({ projectId: PROJECT_ID, testRunId: 2, commitSha: 'c1', cases: [failing, other, sometimes] });
+    await recordTestCaseResults({ projectId: PROJECT_ID, testRunId: 3, commitSha: 'c2', cases: [passing, other] });
+    await recordTestCaseResults({
+      projectId: PROJECT_ID,
+      testRunId: 4,
+      cases: [{ ...sometimes, flaky: true, attempts: 2 }, { ...other, status: 'failed' }, twin]
+    });
+    await recordTestCaseResults({ projectId: PROJECT_ID, testRunId: 5, cases: [{ ...passing, flaky: true, attempts: 3 }, always] });
+    await recordTestCaseResults({ projectId: PROJECT_ID, testRunId: 6, cases: [passing] });
+    await quarantineTest(PROJECT_ID, { ...sometimes, reason: 'network' });
+
+    const flaky = await listFlakyTests(PROJECT_ID);
+    expect(flaky.map((entry) => entry.name)).toEqual(['App > always', 'App > twin', 'App > renders', 'B > sometimes']);
+    expect(flaky[0]).toMatchObject({ observed: 1, flips: 1, score: 1 });
+    expect(flaky[2]).toMatchObject({
+      testKey: buildTestKey(passing),
+      workspace: 'frontend',
+      file: 'src/app.test.js',
+      observed: 4,
+      flips: 2,
+      passed: 4,
+      failed: 2,
+      score: 0.5,
+      quarantined: false
+    });
+    expect(flaky[3]).toMatchObject({ observed: 2, flips: 1, score: 0.5, quarantined: true });
+    expect(flaky[3].lastFlipAt).toBeTruthy();
+    expect(await listFlakyTests(PROJECT_ID, { limit: 1 })).toHaveLength(1);
+    expect(await listFlakyTests(PROJECT_ID + 1)).toEqual([]);
+  });
+
+  test('quarantines tests, updates the reason and releases them', async () => {
+    await expect(quarantineTest(PROJECT_ID, { name: '   ' })).rejects.toMatchObject({
+      message: 'Test name is required',
+      statusCode: 400
+    });
+    await expect(quarantineTest(PROJECT_ID)).rejects.toMatchObject({ statusCode: 400 });
+
+    const entry = await quarantineTest(PROJECT_ID, { ...passing, reason: ' timing ' });
+    expect(entry).toMatchObject({
+      testKey: buildTestKey(passing),
+      workspace: 'frontend',
+      file: 'src/app.test.js',
+      name: 'App > renders',
+      reason: 'timing'
+    });
+
+    const updated = await quarantineTest(PROJECT_ID, { ...passing, reason: '' });
+    expect(updated).toMatchObject({ id: entry.id, reason: null });
+
+    const bare = await quarantineTest(PROJECT_ID, { name: 'test_ok' });
+    expect(bare).toMatchObject({ workspace: null, file: null, testKey: 'test_ok' });
+
+    expect((await listQuarantinedTests(PROJECT_ID)).map((item) => item.name)).toEqual(['test_ok', 'App > renders']);
+    expect(await getQuarantinedTestKeys(PROJECT_ID)).toEqual(new Set([buildTestKey(passing), 'test_ok']));
+
+    expect(await releaseQuarantinedTest(PROJECT_ID, entry.id)).toBe(true);
+    expect(await releaseQuarantinedTest(PROJECT_ID, entry.id)).toBe(false);
+    expect(await releaseQuarantinedTest(PROJECT_ID + 1, bare.id)).toBe(false);
+    expect(await listQuarantinedTests(PROJECT_ID)).toHaveLength(1);
+  });
+
+  test('rejects when the database reports an error', async () => {
+    const errors = [
+      vi.spyOn(db, 'run').mockImplementationOnce((sql, params, callback) => callback(new Error('run failed'))),
+      vi.spyOn(db, 'get').mockImplementationOnce((sql, params, callback) => callback(new Error('get failed'))),
+      vi.spyOn(db, 'all').mockImplementationOnce((sql, params, callback) => callback(new Error('all failed')))
+    ];
+
+    await expect(releaseQuarantinedTest(PROJECT_ID, 1)).rejects.toThrow('run failed');
+    await expect(listQuarantinedTests(PROJECT_ID)).rejects.toThrow('all failed');
+    db.run.mockImplementationOnce(function runOk(sql, params, callback) {
+      callback.call({}, null);
+    });
+    await expect(quarantineTest(PROJECT_ID, { name: 'x' })).rejects.toThrow('get failed');
+
+    errors.forEach((spy) => spy.mockRestore());
+  });
+});
@@ -0,0 +1,198 @@
+import { describe, test, expect, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  TEST_REPORT_FORMATS,
+  appendTestReportArgs,
+  createTestReportFile,
+  detectNodeTestRunner,
+  parseJestJsonReport,
+  parseJunitXmlReport,
+  readTestReport
+} from '../services/testReports.js';
+
+const cwd = path.join(os.tmpdir(), 'project');
+
+describe('testReports', () => {
+  test('detectNodeTestRunner prefers dependencies and falls back to scripts', () => {
+    expect(detectNodeTestRunner(null)).toBeNull();
+    expect(detectNodeTestRunner('nope')).toBeNull();
+    expect(detectNodeTestRunner({ devDependencies: { vitest: '^1.0.0', jest: '^29.0.0' } })).toBe('vitest');
+    expect(detectNodeTestRunner({ dependencies: { jest: '^29.0.0' } })).toBe('jest');
+    expect(detectNodeTestRunner({ scripts: { 'test:coverage': 'vitest run --coverage' } })).toBe('vitest');
+    expect(detectNodeTestRunner({ scripts: { test: 'jest --ci' } })).toBe('jest');
+    expect(detectNodeTestRunner({ scripts: { test: 'mocha', lint: 'vitest' } })).toBeNull();
+    expect(detectNodeTestRunner({ scripts: 'vitest' })).toBeNull();
+  });
+
+  test('createTestReportFile reserves a report path and the reporter arguments', () => {
+    const vitest = createTestReportFile('vitest');
+    expect(vitest.testReportFile.format).toBe(TEST_REPORT_FORMATS.JEST_JSON);
+    expect(vitest.testReportFile.path).toMatch(/lucidcoder-test-reports.+\.json$/);
+    expect(vitest.args).toEqual(['--reporter=default', '--reporter=json', `--outputFile.json=${vitest.testReportFile.path}`]);
+
+    const jest = createTestReportFile('jest');
+    expect(jest.args).toEqual(['--json', `--outputFile=${jest.testReportFile.path}`]);
+
+    const pytest = createTestReportFile('pytest');
+    expect(pytest.testReportFile).toMatchObject({ format: TEST_REPORT_FORMATS.JUNIT_XML });
+    expect(pytest.args).toEqual([`--junitxml=${pytest.testReportFile.path}`]);
+
+    expect(createTestReportFile(null)).toBeNull();
+    expect(createTestReportFile('vitest', { mkdirSync: () => { throw new Error('EACCES'); } })).toBeNull();
+  });
+
+  test('appendTestReportArgs forwards npm arguments after a single separator', () => {
+    expect(appendTestReportArgs('npm', ['run', 'test:coverage'], ['--json'])).toEqual(['run', 'test:coverage', '--', '--json']);
+    expect(appendTestReportArgs('npm', ['test', '--', '--coverage'], ['--json'])).toEqual(['test', '--', '--coverage', '--json']);
+    expect(appendTestReportArgs('python', ['-m', 'pytest'], ['--junitxml=r.xml'])).toEqual(['-m', 'pytest', '--junitxml=r.xml']);
+    expect(appendTestReportArgs('npm')).toEqual(['--']);
+  });
+
+  test('parseJestJsonReport normalizes vitest and jest results', () => {
+    const report = parseJestJsonReport({
+      testResults: [
+        {
+          name: path.join(cwd, 'src', 'app.test.js'),
+          status: 'failed',
+          assertionResults: [
+            { ancestorTitles: ['App', 'form'], title: 'submits', status: 'passed', duration: 12.4 },
+            {
+              ancestorTitles: ['App', ''],
+              title: 'validates',
+              status: 'failed',
+              duration: 3,
+              failureMessages: ['\u001b[31mAssertionError\u001b[39m: expected 1 to be 2', '    at app.test.js:9:3']
+            },
+            { fullName: 'App skipped', status: 'pending', duration: null },
+            { title: 'todo', status: 'todo', duration: -1, failureMessages: ['ignored for skipped tests'] },
+            null
+          ]
+        },
+        { name: 'src/broken.test.js', status: 'failed', message: 'SyntaxError: Unexpected token', assertionResults: [] },
+        { name: 'src/crashed.test.js', status: 'failed' },
+        { name: 'src/empty.test.js', status: 'passed', assertionResults: [] },
+        {}
+      ]
+    }, { cwd });
+
+    expect(report.format).toBe(TEST_REPORT_FORMATS.JEST_JSON);
+    expect(report.summary).toEqual({ total: 7, passed: 1, failed: 3, skipped: 3, durationMs: 15 });
+    expect(report.truncated).toBe(false);
+    expect(report.cases[0]).toEqual({
+      name: 'App > form > submits',
+      title: 'submits',
+      suite: ['App', 'form'],
+      file: 'src/app.test.js',
+      status: 'passed',
+      durationMs: 12,
+      error: null
+    });
+    expect(report.cases[1]).toMatchObject({
+      name: 'App > validates',
+      status: 'failed',
+      error: 'AssertionError: expected 1 to be 2\n\n    at app.test.js:9:3'
+    });
+    expect(report.cases[2]).toMatchObject({ name: 'App skipped', status: 'skipped', durationMs: null });
+    expect(report.cases[3]).toMatchObject({ status: 'skipped', durationMs: null, error: null });
+    expect(report.cases[4]).toMatchObject({ name: 'unnamed test', file: 'src/app.test.js', status: 'skipped', suite: [] });
+    expect(report.cases[5]).toMatchObject({
+      title: '(test file failed to run)',
+      file: 'src/broken.test.js',
+      error: 'SyntaxError: Unexpected token'
+    });
+    expect(report.cases[6]).toMatchObject({ file: 'src/crashed.test.js', error: 'Test file failed to run' });
+
+    expect(parseJestJsonReport(null).summary.total).toBe(0);
+  });
+
+  test('parseJestJsonReport caps cases and failure messages', () => {
+    const assertionResults = Array.from({ length: 2001 }, (_, index) => ({
+      title: `case ${index}`,
+      status: index === 0 ? 'failed' : 'passed',
+      failureMessages: index === 0 ? ['x'.repeat(2500), ''] : []
+    }));
+
+    const report = parseJestJsonReport({ testResults: [{ name: 'a.test.js', assertionResults }] });
+
+    expect(report.summary.total).toBe(2001);
+    expect(report.cases).toHaveLength(2000);
+    expect(report.truncated).toBe(true);
+    expect(report.cases[0].error).toHaveLength(2001);
+    expect(report.cases[0].error.endsWith('…')).toBe(true);
+
+    const failedWithoutMessage = parseJestJsonReport({
+      testResults: [{ assertionResults: [{ title: 'bare', status: 'failed' }] }]
+    });
+    expect(failedWithoutMessage.cases[0]).toMatchObject({ file: null, error: null });
+  });
+
+  test('parseJunitXmlReport reads pytest outcomes, durations and messages', () => {
+    const xml = `<?xml version="1.0" encoding="utf-8"?>
+<testsuites><testsuite name="pytest" tests="5">
+  <testcase classname="tests.test_app.TestApi" name="test_ok" time="0.012" />
+  <testcase classname="tests.test_app" name="test_fails" file="${path.join(cwd, 'tests', 'test_app.py')}" time="0.5">
+    <failure message="assert 1 == 2">def test_fails():
+&gt;       assert 1 == 2 &amp;&amp; &quot;x&quot; &apos;y&apos; &#65;&#x42;</failure>
+  </testcase>
+  <testcase classname="tests.test_app" name="test_errors" time="oops"><error message="fixture &lt;db&gt; missing"/></testcase>
+  <testcase classname="" name="test_skipped" time="0"><skipped message="not ready" /></testcase>
+  <testcase time="0.1"><system-out><![CDATA[plain output]]></system-out></testcase>
+</testsuite></testsuites>`;
+
+    const report = parseJunitXmlReport(xml, { cwd });
+
+    expect(report.format).toBe(TEST_REPORT_FORMATS.JUNIT_XML);
+    expect(report.summary).toEqual({ total: 5, passed: 2, failed: 2, skipped: 1, durationMs: 612 });
+    expect(report.cases[0]).toMatchObject({
+      name: 'tests > test_app > TestApi > test_ok',
+      suite: ['tests', 'test_app', 'TestApi'],
+      file: null,
+      status: 'passed',
+      durationMs: 12
+    });
+    expect(report.cases[1]).toMatchObject({
+      file: 'tests/test_app.py',
+      status: 'failed',
+      durationMs: 500,
+      error: 'assert 1 == 2\n\ndef test_fails():\n>       assert 1 == 2 && "x" \'y\' AB'
+    });
+    expect(report.cases[2]).toMatchObject({ status: 'failed', durationMs: null, error: 'fixture <db> missing' });
+    expect(report.cases[3]).toMatchObject({ name: 'test_skipped', status: 'skipped', error: null });
+    expect(report.cases[4]).toMatchObject({ title: 'unnamed test', status: 'passed' });
+
+    expect(parseJunitXmlReport(undefined).cases).toEqual([]);
+  });
+
+  test('readTestReport parses the report file and removes it', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'test-reports-'));
+    const jsonPath = path.join(dir, 'report.json');
+    const xmlPath = path.join(dir, 'report.xml');
+    await fs.writeFile(jsonPath, JSON.stringify({
+      testResults: [{ name: path.join(dir, 'a.test.js'), assertionResults: [{ title: 'a', status: 'passed' }] }]
+    }));
+    await fs.writeFile(xmlPath, '<testcase classname="t" name="b" time="1"/>');
+
+    const jsonReport = await readTestReport({ format: TEST_REPORT_FORMATS.JEST_JSON, path: jsonPath, cwd: dir });
+    expect(jsonReport.cases[0]).toMatchObject({ file: 'a.test.js', status: 'passed' });
+    await expect(fs.access(jsonPath)).rejects.toThrow();
+
+    const xmlReport = await readTestReport({ format: TEST_REPORT_FORMATS.JUNIT_XML, path: xmlPath });
+    expect(xmlReport.summary).toMatchObject({ total: 1, durationMs: 1000 });
+
+    await fs.writeFile(jsonPath, '{not json');
+    await expect(readTestReport({ format: TEST_REPORT_FORMATS.JEST_JSON, path: jsonPath })).resolves.toBeNull();
+    await expect(fs.access(jsonPath)).rejects.toThrow();
+
+    await expect(readTestReport()).resolves.toBeNull();
+    const failingFs = {
+      readFile: vi.fn().mockRejectedValue(new Error('ENOENT')),
+      rm: vi.fn().mockRejectedValue(new Error('EPERM'))
+    };
+    await expect(readTestReport({ path: '/missing.json' }, { fs: failingFs })).resolves.toBeNull();
+    expect(failingFs.rm).toHaveBeenCalledWith('/missing.json', { force: true });
+
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+});
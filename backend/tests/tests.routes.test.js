@@ -1,15 +1,33 @@
 import express from 'express';
 import request from 'supertest';
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import testsRoutes, { runTestsHandler, __testsRoutesInternals } from '../routes/tests.js';
+import testsRoutes, {
+  quarantineTestHandler,
+  runTargetedTestsHandler,
+  runTestsHandler,
+  __testsRoutesInternals
+} from '../routes/tests.js';
 
 const workflowMocks = vi.hoisted(() => ({
   runTestsForBranch: vi.fn(),
   getLatestTestRun: vi.fn(),
-  getBranchOverview: vi.fn()
+  getBranchOverview: vi.fn(),
+  getCoverageTargets: vi.fn(),
+  getCoverageSummary: vi.fn(),
+  getFileCoverage: vi.fn(),
+  runTargetedTests: vi.fn()
+}));
+
+const historyMocks = vi.hoisted(() => ({
+  getTestHistory: vi.fn(),
+  listFlakyTests: vi.fn(),
+  listQuarantinedTests: vi.fn(),
+  quarantineTest: vi.fn(),
+  releaseQuarantinedTest: vi.fn()
 }));
 
 vi.mock('../services/branchWorkflow.js', () => workflowMocks);
+vi.mock('../services/testHistory.js', () => historyMocks);
 
 const buildApp = () => {
   const app = express();
@@ -24,6 +42,7 @@ describe('tests routes', () => {
   beforeEach(() => {
     vi.clearAllMocks();
     Object.values(workflowMocks).forEach((mockFn) => mockFn.mockReset());
+    Object.values(historyMocks).forEach((mockFn) => mockFn.mockReset());
     __testsRoutesInternals.resetTestRunRateLimitState();
     __testsRoutesInternals.setMinTestRunIntervalMs(10_000);
     __testsRoutesInternals.setNowProvider(() => Date.now());
@@ -82,7 +101,8 @@ describe('tests routes', () => {
 
     expect(workflowMocks.runTestsForBranch).toHaveBeenCalledWith(5, 'feature/login', {
       forceFail: false,
-      enforceFullCoverage: true
+      enforceFullCoverage: true,
+      jobPriority: 'high'
     });
     expect(workflowMocks.getBranchOverview).toHaveBeenCalledWith(5);
     expect(res.body).toEqual({ success: true, testRun, overview });
@@ -102,6 +122,7 @@ describe('tests routes', () => {
     expect(workflowMocks.runTestsForBranch).toHaveBeenCalledWith(5, 'feature/login', {
       forceFail: false,
       enforceFullCoverage: true,
+      jobPriority: 'high',
       workspaceScope: 'changed'
     });
   });
@@ -247,12 +268,154 @@ describe('tests routes', () => {
     expect(blocked.body.retryAfterMs).toBe(9000);
     expect(blocked.headers['retry-after']).toBe('9');
   });
+  it('runs a targeted test file or name without rate limiting', async () => {
+    const result = { partial: true, status: 'passed', workspace: 'frontend', file: 'src/a.test.js' };
+    workflowMocks.runTargetedTests.mockResolvedValue(result);
+
+    const payload = { workspace: 'frontend', file: 'src/a.test.js', testName: 'adds', exact: true };
+    const first = await request(app).post('/api/projects/5/tests/run-targeted').send(payload).expect(200);
+    await request(app).post('/api/projects/5/tests/run-targeted').send(payload).expect(200);
+
+    expect(first.body).toEqual({ success: true, result });
+    expect(workflowMocks.runTargetedTests).toHaveBeenCalledTimes(2);
+    expect(workflowMocks.runTargetedTests).toHaveBeenCalledWith(5, { ...payload, jobPriority: 'high' });
+    expect(workflowMocks.runTestsForBranch).not.toHaveBeenCalled();
+
+    workflowMocks.runTargetedTests.mockRejectedValueOnce(Object.assign(new Error('Provide a test file or a test name pattern'), { statusCode: 400 }));
+    const invalid = await request(app).post('/api/projects/5/tests/run-targeted').send({}).expect(400);
+    expect(invalid.body).toEqual({ success: false, error: 'Provide a test file or a test name pattern' });
+
+    workflowMocks.runTargetedTests.mockRejectedValueOnce(new Error('spawn failed'));
+    const failed = await request(app).post('/api/projects/5/tests/run-targeted').send(payload).expect(500);
+    expect(failed.body).toEqual({ success: false, error: 'Failed to run tests' });
+  });
+
+  it('lists coverage targets from existing reports', async () => {
+    const targets = [{ workspace: 'frontend', file: 'frontend/src/a.js', coverage: { lines: 50 }, uncoveredRanges: [] }];
+    workflowMocks.getCoverageTargets.mockResolvedValue(targets);
+
+    const res = await request(app)
+      .get('/api/projects/5/tests/coverage-targets')
+      .expect(200);
+
+    expect(workflowMocks.getCoverageTargets).toHaveBeenCalledWith(5);
+    expect(res.body).toEqual({ success: true, targets });
+
+    workflowMocks.getCoverageTargets.mockRejectedValue(new Error('boom'));
+    const failed = await request(app).get('/api/projects/5/tests/coverage-targets').expect(500);
+    expect(failed.body).toEqual({ success: false, error: 'Failed to read coverage targets' });
+  });
+
+  it('lists the line coverage of every reported file', async () => {
+    const files = [{ workspace: 'frontend', file: 'frontend/src/a.js', lines: 75 }];
+    workflowMocks.getCoverageSummary.mockResolvedValue(files);
+
+    const res = await request(app)
+      .get('/api/projects/5/tests/coverage/summary')
+      .expect(200);
+
+    expect(workflowMocks.getCoverageSummary).toHaveBeenCalledWith(5);
+    expect(res.body).toEqual({ success: true, files });
+
+    workflowMocks.getCoverageSummary.mockRejectedValue(new Error('boom'));
+    const failed = await request(app).get('/api/projects/5/tests/coverage/summary').expect(500);
+    expect(failed.body).toEqual({ success: false, error: 'Failed to read coverage summary' });
+  });
+
+  it('reads coverage for a single file', async () => {
+    workflowMocks.getFileCoverage.mockResolvedValue({ workspace: 'backend', totals: { lines: 80 }, uncoveredLines: [3] });
+
+    const res = await request(app)
+      .get('/api/projects/5/tests/coverage/file')
+      .query({ path: ' backend/app.js ' })
+      .expect(200);
+
+    expect(workflowMocks.getFileCoverage).toHaveBeenCalledWith(5, 'backend/app.js');
+    expect(res.body.coverage.totals).toEqual({ lines: 80 });
+
+    const missing = await request(app).get('/api/projects/5/tests/coverage/file').expect(400);
+    expect(missing.body).toEqual({ success: false, error: 'path is required' });
+
+    const pathError = new Error('Project path not found');
+    pathError.statusCode = 400;
+    workflowMocks.getFileCoverage.mockRejectedValue(pathError);
+    const failed = await request(app).get('/api/projects/5/tests/coverage/file?path=a.js').expect(400);
+    expect(failed.body).toEqual({ success: false, error: 'Project path not found' });
+  });
+
+  it('lists flaky tests and the history of one test', async () => {
+    const flaky = [{ testKey: 'frontend > a.test.js > renders', score: 0.5 }];
+    historyMocks.listFlakyTests.mockResolvedValue(flaky);
+    historyMocks.getTestHistory.mockResolvedValue([{ testRunId: 3, status: 'failed' }]);
+
+    const res = await request(app).get('/api/projects/5/tests/flaky').expect(200);
+    expect(historyMocks.listFlakyTests).toHaveBeenCalledWith(5);
+    expect(res.body).toEqual({ success: true, tests: flaky });
+
+    const history = await request(app)
+      .get('/api/projects/5/tests/history')
+      .query({ key: ' frontend > a.test.js > renders ' })
+      .expect(200);
+    expect(historyMocks.getTestHistory).toHaveBeenCalledWith(5, 'frontend > a.test.js > renders');
+    expect(history.body).toEqual({ success: true, history: [{ testRunId: 3, status: 'failed' }] });
+
+    const missing = await request(app).get('/api/projects/5/tests/history').expect(400);
+    expect(missing.body).toEqual({ success: false, error: 'key is required' });
+
+    historyMocks.listFlakyTests.mockRejectedValue(new Error('boom'));
+    historyMocks.getTestHistory.mockRejectedValue(new Error('boom'));
+    const failed = await request(app).get('/api/projects/5/tests/flaky').expect(500);
+    expect(failed.body).toEqual({ success: false, error: 'Failed to load flaky tests' });
+    const failedHistory = await request(app).get('/api/projects/5/tests/history?key=a').expect(500);
+    expect(failedHistory.body).toEqual({ success: false, error: 'Failed to load test history' });
+  });
+
+  it('manages quarantined tests', async () => {
+    const entry = { id: 4, testKey: 'backend > test_ok', name: 'test_ok' };
+    historyMocks.listQuarantinedTests.mockResolvedValue([entry]);
+    historyMocks.quarantineTest.mockResolvedValue(entry);
+    historyMocks.releaseQuarantinedTest.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+    const list = await request(app).get('/api/projects/5/tests/quarantine').expect(200);
+    expect(list.body).toEqual({ success: true, tests: [entry] });
+
+    const created = await request(app)
+      .post('/api/projects/5/tests/quarantine')
+      .send({ workspace: 'backend', name: 'test_ok', reason: 'timing', extra: true })
+      .expect(200);
+    expect(historyMocks.quarantineTest).toHaveBeenCalledWith(5, {
+      workspace: 'backend',
+      file: undefined,
+      name: 'test_ok',
+      reason: 'timing'
+    });
+    expect(created.body).toEqual({ success: true, entry });
+
+    await request(app).delete('/api/projects/5/tests/quarantine/4').expect(200, { success: true });
+    expect(historyMocks.releaseQuarantinedTest).toHaveBeenCalledWith(5, 4);
+    const notFound = await request(app).delete('/api/projects/5/tests/quarantine/4').expect(404);
+    expect(notFound.body).toEqual({ success: false, error: 'Quarantined test not found' });
+
+    const invalid = new Error('Test name is required');
+    invalid.statusCode = 400;
+    historyMocks.quarantineTest.mockRejectedValue(invalid);
+    const rejected = await request(app).post('/api/projects/5/tests/quarantine').expect(400);
+    expect(rejected.body).toEqual({ success: false, error: 'Test name is required' });
+
+    historyMocks.listQuarantinedTests.mockRejectedValue(new Error('boom'));
+    historyMocks.releaseQuarantinedTest.mockRejectedValue(new Error('boom'));
+    const failedList = await request(app).get('/api/projects/5/tests/quarantine').expect(500);
+    expect(failedList.body).toEqual({ success: false, error: 'Failed to load quarantined tests' });
+    const failedRelease = await request(app).delete('/api/projects/5/tests/quarantine/4').expect(500);
+    expect(failedRelease.body).toEqual({ success: false, error: 'Failed to release quarantined test' });
+  });
 });
 
 describe('tests route internals', () => {
   beforeEach(() => {
     vi.clearAllMocks();
     Object.values(workflowMocks).forEach((mockFn) => mockFn.mockReset());
+    Object.values(historyMocks).forEach((mockFn) => mockFn.mockReset());
   });
 
   it('run handler treats undefined body as empty payload', async () => {
@@ -271,9 +434,41 @@ describe('tests route internals', () => {
 
     expect(workflowMocks.runTestsForBranch).toHaveBeenCalledWith(11, undefined, {
       forceFail: undefined,
-      enforceFullCoverage: true
+      enforceFullCoverage: true,
+      jobPriority: 'high'
     });
     expect(workflowMocks.getBranchOverview).toHaveBeenCalledWith(11);
     expect(res.json).toHaveBeenCalledWith({ success: true, testRun, overview });
   });
+
+  it('targeted run handler treats undefined body as empty payload', async () => {
+    workflowMocks.runTargetedTests.mockResolvedValue({ partial: true });
+    const res = { status: vi.fn().mockReturnThis(), json: vi.fn().mockReturnThis() };
+
+    await runTargetedTestsHandler({ params: { projectId: '11' }, body: undefined }, res);
+
+    expect(workflowMocks.runTargetedTests).toHaveBeenCalledWith(11, {
+      workspace: undefined,
+      file: undefined,
+      testName: undefined,
+      exact: undefined,
+      jobPriority: 'high'
+    });
+    expect(res.json).toHaveBeenCalledWith({ success: true, result: { partial: true } });
+  });
+
+  it('quarantine handler treats undefined body as empty payload', async () => {
+    historyMocks.quarantineTest.mockResolvedValue({ id: 1 });
+    const res = { status: vi.fn().mockReturnThis(), json: vi.fn().mockReturnThis() };
+
+    await quarantineTestHandler({ params: { projectId: '11' }, body: undefined }, res);
+
+    expect(historyMocks.quarantineTest).toHaveBeenCalledWith(11, {
+      workspace: undefined,
+      file: undefined,
+      name: undefined,
+      reason: undefined
+    });
+    expect(res.json).toHaveBeenCalledWith({ success: true, entry: { id: 1 } });
+  });
 });
@@ -211,8 +211,11 @@ export const discardWorkingTree = async (projectPath) => {
   await runGitCommand(projectPath, ['clean', '-fd']);
 };
 
-export const commitAllChanges = async (projectPath, message) => {
-  await runGitCommand(projectPath, ['add', '--all']);
+export const commitAllChanges = async (projectPath, message, { excludePaths = [] } = {}) => {
+  const addArgs = excludePaths.length
+    ? ['add', '--all', '--', '.', ...excludePaths.map((entry) => `:(exclude)${entry}`)]
+    : ['add', '--all'];
+  await runGitCommand(projectPath, addArgs);
   try {
     await runGitCommand(projectPath, ['commit', '-m', message]);
     return true;
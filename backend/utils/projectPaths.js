@@ -17,3 +17,13 @@ export const resolveProjectPath = (name) => {
   const sanitizedName = sanitizeProjectName(name || '');
   return path.join(getProjectsDir(), sanitizedName);
 };
+
+export const getTemplatesDir = () => {
+  const overrideDir = process.env.PROJECT_TEMPLATES_DIR;
+  if (overrideDir && overrideDir.trim().length > 0) {
+    return path.isAbsolute(overrideDir)
+      ? overrideDir
+      : path.join(process.cwd(), overrideDir);
+  }
+  return path.join(process.cwd(), '..', 'project-templates');
+};
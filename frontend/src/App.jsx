@@ -1,8 +1,10 @@
 import React, { useCallback, useEffect, useRef, useState } from 'react'
 import { AppStateProvider, useAppState } from './context/AppStateContext'
+import { AuthProvider } from './context/AuthContext'
 import Navigation from './components/Navigation'
 import ApprovalModal from './components/ApprovalPanel'
 import CleanupResumeCoordinator from './components/CleanupResumeCoordinator.jsx'
+import CommandApprovalCoordinator from './components/CommandApprovalCoordinator.jsx'
 import GettingStarted from './components/StatusPanel' // This file contains GettingStarted component now
 import ProjectSelector from './components/ProjectSelector'
 import CreateProject from './components/CreateProject'
@@ -336,6 +338,7 @@ function AppContent() {
         />
       )}
       <CleanupResumeCoordinator />
+      <CommandApprovalCoordinator />
       {showBackendOfflineBanner && (
         <div className="backend-offline-overlay" role="alert" aria-live="assertive" data-testid="backend-offline-overlay">
           <div className="backend-offline-overlay-panel">
@@ -363,9 +366,11 @@ function AppContent() {
 
 function App() {
   return (
-    <AppStateProvider>
-      <AppContent />
-    </AppStateProvider>
+    <AuthProvider>
+      <AppStateProvider>
+        <AppContent />
+      </AppStateProvider>
+    </AuthProvider>
   )
 }
 
@@ -1,7 +1,260 @@
-import React from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import axios from 'axios';
 import ToolModal from './ToolModal';
+import { useAppState } from '../context/AppStateContext';
+import { agentAddTestsStream } from '../utils/goalsApi';
+import { formatLogMessage } from './test-tab/helpers.jsx';
+
+const COVERAGE_METRICS = ['lines', 'statements', 'functions', 'branches'];
+const SOURCE_FILE_REGEX = /\.(?:[cm]?js|jsx|tsx?|vue|py)$/i;
+const TEST_FILE_REGEX = /(?:^|\/)(?:__tests__|tests?)\/|\.(?:test|spec)\.[^/]+$|(?:^|\/)test_[^/]+\.py$/i;
+const MAX_PROGRESS_LINES = 160;
+const MAX_TARGETS_SHOWN = 12;
+
+export const collectSourceFiles = (nodes, acc = []) => {
+  (Array.isArray(nodes) ? nodes : []).forEach((node) => {
+    if (node?.type === 'folder') {
+      collectSourceFiles(node.children, acc);
+      return;
+    }
+    if (node?.type === 'file' && SOURCE_FILE_REGEX.test(node.path) && !TEST_FILE_REGEX.test(node.path)) {
+      acc.push(node.path);
+    }
+  });
+  return acc;
+};
+
+export const formatRange = (range) => (range.start === range.end ? `L${range.start}` : `L${range.start}–${range.end}`);
+
+export const formatDelta = (value) => {
+  if (typeof value !== 'number') {
+    return 'n/a';
+  }
+  return `${value > 0 ? '+' : ''}${value}`;
+};
+
+const describeResult = (result) => {
+  if (result?.status === 'complete') {
+    return `New tests pass and coverage went up after ${result.iterations} attempt(s). Committed on the working branch.`;
+  }
+  if (result?.status === 'incomplete') {
+    return 'Ran out of attempts before the tests passed with higher coverage, so the generated tests were rolled back.';
+  }
+  if (result?.status === 'refused') {
+    return 'Baseline tests failed. Fix them before adding new tests.';
+  }
+  if (result?.status === 'cancelled') {
+    return 'Test generation cancelled.';
+  }
+  return result?.message || 'Add tests failed.';
+};
 
 const AddTestsToolModal = ({ isOpen, onClose }) => {
+  const { currentProject, isLLMConfigured } = useAppState();
+  const projectId = currentProject?.id;
+
+  const [sourceFiles, setSourceFiles] = useState([]);
+  const [targets, setTargets] = useState([]);
+  const [loadError, setLoadError] = useState('');
+  const [targetFile, setTargetFile] = useState('');
+  const [lineRange, setLineRange] = useState(null);
+  const [maxIterations, setMaxIterations] = useState(3);
+  const [notes, setNotes] = useState('');
+
+  const [view, setView] = useState('form');
+  const [progressLines, setProgressLines] = useState([]);
+  const [coverage, setCoverage] = useState(null);
+  const [runResult, setRunResult] = useState(null);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [branchActionInFlight, setBranchActionInFlight] = useState(false);
+
+  const abortRef = useRef(null);
+  const activeRunIdRef = useRef(0);
+  const branchNameRef = useRef('');
+
+  useEffect(() => {
+    setSourceFiles([]);
+    setTargets([]);
+    setLoadError('');
+
+    if (!isOpen) {
+      activeRunIdRef.current += 1;
+      abortRef.current?.abort();
+      abortRef.current = null;
+      setView('form');
+      setProgressLines([]);
+      setCoverage(null);
+      setRunResult(null);
+      setErrorMessage('');
+      setBranchActionInFlight(false);
+      return undefined;
+    }
+    if (!projectId) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    const load = async () => {
+      const [filesResult, targetsResult] = await Promise.allSettled([
+        axios.get(`/api/projects/${projectId}/files`),
+        axios.get(`/api/projects/${projectId}/tests/coverage-targets`)
+      ]);
+      /* c8 ignore next */
+      if (cancelled) return;
+      if (filesResult.status === 'fulfilled') {
+        setSourceFiles(collectSourceFiles(filesResult.value?.data?.files));
+      }
+      if (targetsResult.status === 'fulfilled') {
+        const list = targetsResult.value?.data?.targets;
+        setTargets(Array.isArray(list) ? list : []);
+      } else {
+        setLoadError(targetsResult.reason?.response?.data?.error || 'Coverage data is unavailable. Run the tests with coverage first.');
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, projectId]);
+
+  const pushLine = useCallback((line) => {
+    const text = String(line ?? '');
+    if (!text.trim()) {
+      return;
+    }
+    setProgressLines((prev) => [...prev, text].slice(-MAX_PROGRESS_LINES));
+  }, []);
+
+  const selectTarget = useCallback((file, range = null) => {
+    setTargetFile(file);
+    setLineRange(range);
+  }, []);
+
+  const handleEvent = useCallback((eventName, payload) => {
+    if (eventName === 'status') {
+      const match = String(payload?.text || '').match(/Creating working branch\s+(\S+?)…?$/);
+      if (match) {
+        branchNameRef.current = match[1];
+      }
+      pushLine(payload?.text);
+      return;
+    }
+    if (eventName === 'edit') {
+      pushLine(`Attempt ${payload?.iteration ?? '?'}: wrote ${payload?.writes ?? 0} file(s)${payload?.summary ? ` (${payload.summary})` : ''}`);
+      return;
+    }
+    if (eventName === 'tests-job') {
+      pushLine(`Starting: ${payload?.displayName || 'tests job'}${payload?.cwd ? ` (${payload.cwd})` : ''}`);
+      return;
+    }
+    if (eventName === 'tests-log') {
+      String(payload?.message || '')
+        .split(/\r?\n/)
+        .forEach((line) => pushLine(line.replace(/^(stdout|stderr)\s*\|\s*/i, '')));
+      return;
+    }
+    if (eventName === 'tests') {
+      pushLine(`Tests: ${payload?.phase || 'run'} → ${payload?.run || 'unknown'}`);
+      return;
+    }
+    if (eventName === 'coverage') {
+      setCoverage(payload);
+    }
+  }, [pushLine]);
+
+  const handleStart = useCallback(async () => {
+    activeRunIdRef.current += 1;
+    const runId = activeRunIdRef.current;
+    const controller = new AbortController();
+    abortRef.current = controller;
+    branchNameRef.current = '';
+
+    setView('progress');
+    setProgressLines([]);
+    setCoverage(null);
+    setRunResult(null);
+    setErrorMessage('');
+
+    const isActive = () => activeRunIdRef.current === runId;
+
+    try {
+      await agentAddTestsStream({
+        projectId,
+        prompt: notes.trim(),
+        targetFile: targetFile.trim(),
+        lineRange,
+        options: { maxIterations },
+        signal: controller.signal,
+        onEvent: (eventName, payload) => {
+          if (isActive()) {
+            handleEvent(eventName, payload);
+          }
+        },
+        onDone: (result) => {
+          if (!isActive()) return;
+          setRunResult({ branchName: branchNameRef.current, ...(result || { status: 'failed' }) });
+          if (result?.coverage) {
+            setCoverage(result.coverage);
+          }
+          setView('result');
+        },
+        onError: (message) => {
+          if (!isActive()) return;
+          setErrorMessage(message);
+          setRunResult({ status: 'failed', message, branchName: branchNameRef.current, canDeleteBranch: Boolean(branchNameRef.current) });
+          setView('result');
+        }
+      });
+    } catch (error) {
+      if (!isActive() || error?.name === 'AbortError') {
+        return;
+      }
+      setErrorMessage(error?.message || 'Failed to start test generation.');
+      setView('form');
+    }
+  }, [handleEvent, lineRange, maxIterations, notes, projectId, targetFile]);
+
+  const handleCancel = useCallback(() => {
+    activeRunIdRef.current += 1;
+    abortRef.current?.abort();
+    abortRef.current = null;
+    setRunResult({ status: 'cancelled', branchName: branchNameRef.current, canDeleteBranch: Boolean(branchNameRef.current) });
+    setView('result');
+  }, []);
+
+  const branchName = runResult?.branchName || '';
+  const canDeleteBranch = Boolean(branchName && runResult?.canDeleteBranch && !runResult?.branchDeleted);
+
+  const handleDeleteBranch = useCallback(async () => {
+    setBranchActionInFlight(true);
+    setErrorMessage('');
+    try {
+      await axios.delete(`/api/projects/${projectId}/branches/${encodeURIComponent(branchName)}`, {
+        headers: { 'x-confirm-destructive': 'true' }
+      });
+      setRunResult((prev) => ({ ...prev, branchDeleted: true }));
+    } catch (error) {
+      setErrorMessage(error?.response?.data?.error || error?.message || 'Failed to delete branch');
+    } finally {
+      setBranchActionInFlight(false);
+    }
+  }, [branchName, projectId]);
+
+  const handleStartOver = useCallback(() => {
+    setView('form');
+    setErrorMessage('');
+  }, []);
+
+  const startHint = !projectId
+    ? 'Select a project to add tests.'
+    : !isLLMConfigured
+      ? 'Configure an LLM provider in Settings to add tests.'
+      : !targetFile.trim()
+        ? 'Pick a file or an uncovered range.'
+        : '';
+  const canStart = !startHint;
+
   return (
     <ToolModal
       isOpen={isOpen}
@@ -13,16 +266,210 @@ const AddTestsToolModal = ({ isOpen, onClose }) => {
       titleId="tool-add-tests-title"
     >
       <div className="tools-modal-placeholder">
-        <h3>Coming soon</h3>
-        <p>
-          This tool will help you pick a target area and generate a focused test plan (unit/integration)
-          with minimal mocking.
-        </p>
-        <ul>
-          <li>Pick a module or failing scenario</li>
-          <li>Choose Vitest / Playwright scope</li>
-          <li>Generate a starter test and iterate</li>
-        </ul>
+        {view === 'form' ? (
+          <>
+            <h3>Generate focused tests</h3>
+            <p>
+              The agent writes Vitest/Jest or pytest tests for one file on a new branch, then reruns the suite until the new
+              tests pass and the file&apos;s coverage goes up.
+            </p>
+
+            <fieldset className="tools-modal-fieldset" data-testid="tool-add-tests-target">
+              <legend>Target</legend>
+              <label className="tools-modal-field">
+                <span>File</span>
+                <input
+                  type="text"
+                  list="tool-add-tests-files"
+                  value={targetFile}
+                  placeholder="frontend/src/utils/format.js"
+                  onChange={(event) => selectTarget(event.target.value)}
+                  data-testid="tool-add-tests-file"
+                />
+                <datalist id="tool-add-tests-files">
+                  {sourceFiles.map((file) => <option key={file} value={file} />)}
+                </datalist>
+              </label>
+              {lineRange ? (
+                <div className="tools-modal-subtext" data-testid="tool-add-tests-range">
+                  Focus on lines {lineRange.start}–{lineRange.end}{' '}
+                  <button
+                    type="button"
+                    className="git-settings-button secondary"
+                    onClick={() => setLineRange(null)}
+                    data-testid="tool-add-tests-clear-range"
+                  >
+                    Whole file
+                  </button>
+                </div>
+              ) : null}
+
+              {targets.length ? (
+                <div className="tools-add-tests-targets" data-testid="tool-add-tests-targets">
+                  <div className="tools-modal-subtext">Least covered files from the last coverage run:</div>
+                  <ul>
+                    {targets.slice(0, MAX_TARGETS_SHOWN).map((target) => (
+                      <li key={target.file} className={target.file === targetFile ? 'is-selected' : undefined}>
+                        <button
+                          type="button"
+                          className="tools-add-tests-target"
+                          onClick={() => selectTarget(target.file)}
+                          data-testid="tool-add-tests-target-file"
+                        >
+                          {target.file} <span className="tools-modal-subtext">({target.coverage?.lines}% lines)</span>
+                        </button>
+                        {(target.uncoveredRanges || []).slice(0, 6).map((range) => (
+                          <button
+                            key={`${range.start}-${range.end}`}
+                            type="button"
+                            className="tools-add-tests-range"
+                            onClick={() => selectTarget(target.file, range)}
+                            data-testid="tool-add-tests-target-range"
+                          >
+                            {formatRange(range)}
+                          </button>
+                        ))}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ) : null}
+              {loadError ? (
+                <div className="tools-modal-hint" data-testid="tool-add-tests-load-error">{loadError}</div>
+              ) : null}
+            </fieldset>
+
+            <fieldset className="tools-modal-fieldset">
+              <legend>Options</legend>
+              <label className="tools-modal-field">
+                <span>Attempts</span>
+                <select
+                  value={maxIterations}
+                  onChange={(event) => setMaxIterations(Number(event.target.value))}
+                  data-testid="tool-add-tests-iterations"
+                >
+                  {[1, 2, 3, 4, 5].map((value) => <option key={value} value={value}>{value}</option>)}
+                </select>
+              </label>
+              <label className="tools-modal-field">
+                <span>Notes for the agent (optional)</span>
+                <textarea
+                  rows={3}
+                  value={notes}
+                  onChange={(event) => setNotes(event.target.value)}
+                  data-testid="tool-add-tests-notes"
+                />
+              </label>
+            </fieldset>
+
+            {errorMessage ? (
+              <div className="tools-modal-error" role="alert" data-testid="tool-add-tests-error">{errorMessage}</div>
+            ) : null}
+
+            <div className="tools-modal-actions">
+              <button
+                type="button"
+                className="git-settings-button primary"
+                onClick={handleStart}
+                disabled={!canStart}
+                data-testid="tool-add-tests-start"
+              >
+                Generate tests
+              </button>
+              {startHint ? (
+                <div className="tools-modal-hint" data-testid="tool-add-tests-hint">{startHint}</div>
+              ) : null}
+            </div>
+          </>
+        ) : (
+          <div data-testid="tool-add-tests-progress">
+            <h3>{view === 'result' ? 'Test generation finished' : 'Generating tests…'}</h3>
+
+            {runResult ? (
+              <div
+                className={runResult.status === 'complete' ? 'tools-modal-success' : 'tools-modal-warning'}
+                role="status"
+                data-testid="tool-add-tests-result"
+              >
+                {describeResult(runResult)}
+              </div>
+            ) : null}
+
+            {coverage ? (
+              <div className="tools-modal-meta" data-testid="tool-add-tests-coverage">
+                <div className="tools-modal-meta-row">
+                  <span className="tools-modal-meta-label">File</span>
+                  <span className="tools-modal-meta-value">{coverage.file}</span>
+                </div>
+                {COVERAGE_METRICS.map((metric) => (
+                  <div className="tools-modal-meta-row" key={metric}>
+                    <span className="tools-modal-meta-label">{metric}</span>
+                    <span className="tools-modal-meta-value" data-testid={`tool-add-tests-coverage-${metric}`}>
+                      {coverage.baseline?.[metric] ?? 'n/a'}% → {coverage.current?.[metric] ?? 'n/a'}%
+                      {' '}({formatDelta(coverage.delta?.[metric])})
+                    </span>
+                  </div>
+                ))}
+              </div>
+            ) : null}
+
+            <pre className="tools-modal-prompt" data-testid="tool-add-tests-progress-log">
+              {progressLines.length
+                ? progressLines.map((line, index) => (
+                    <React.Fragment key={`add-tests-log-${index}`}>
+                      {formatLogMessage(line)}
+                      {'\n'}
+                    </React.Fragment>
+                  ))
+                : 'Waiting for updates…'}
+            </pre>
+
+            {branchName ? (
+              <div className="tools-modal-subtext" data-testid="tool-add-tests-branch">
+                Branch: {branchName}{runResult?.branchDeleted ? ' (deleted)' : ''}
+              </div>
+            ) : null}
+
+            {errorMessage ? (
+              <div className="tools-modal-error" role="alert" data-testid="tool-add-tests-error">{errorMessage}</div>
+            ) : null}
+
+            <div className="tools-modal-actions">
+              {view === 'progress' ? (
+                <button
+                  type="button"
+                  className="git-settings-button secondary"
+                  onClick={handleCancel}
+                  data-testid="tool-add-tests-cancel"
+                >
+                  Cancel
+                </button>
+              ) : (
+                <>
+                  {canDeleteBranch ? (
+                    <button
+                      type="button"
+                      className="git-settings-button"
+                      onClick={handleDeleteBranch}
+                      disabled={branchActionInFlight}
+                      data-testid="tool-add-tests-delete-branch"
+                    >
+                      {branchActionInFlight ? 'Deleting…' : 'Delete branch'}
+                    </button>
+                  ) : null}
+                  <button
+                    type="button"
+                    className="git-settings-button secondary"
+                    onClick={handleStartOver}
+                    data-testid="tool-add-tests-again"
+                  >
+                    Pick another target
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+        )}
       </div>
     </ToolModal>
   );
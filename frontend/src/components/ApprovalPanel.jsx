@@ -78,3 +78,51 @@ export default function ApprovalModal({ decision, onClose }) {
     </>
   );
 }
+
+export function CommandApprovalModal({ approval, onDecision, isSubmitting = false, error = '' }) {
+  if (!approval) {
+    return null;
+  }
+
+  return (
+    <>
+      <div className="approval-modal__backdrop" aria-hidden="true" />
+      <div
+        className="approval-modal"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Command approval"
+        data-testid="command-approval-modal"
+      >
+        <div className="approval-modal__content">
+          <h2 className="approval-modal__title">Run this command?</h2>
+          <p className="approval-modal__message">
+            The agent wants to run a command that is not on the allowlist.
+          </p>
+          <pre className="approval-modal__command" data-testid="command-approval-command">{approval.command}</pre>
+          {approval.reason && <p className="approval-modal__rationale">{approval.reason}</p>}
+          {approval.cwd && <p className="approval-modal__rationale">In {approval.cwd}</p>}
+          {error && <p className="approval-modal__error" role="alert">{error}</p>}
+          <div className="approval-modal__actions">
+            <button
+              className="approval-modal__btn approval-modal__btn--primary"
+              onClick={() => onDecision(true)}
+              disabled={isSubmitting}
+              data-testid="approve-command"
+            >
+              Run command
+            </button>
+            <button
+              className="approval-modal__btn"
+              onClick={() => onDecision(false)}
+              disabled={isSubmitting}
+              data-testid="deny-command"
+            >
+              Deny
+            </button>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
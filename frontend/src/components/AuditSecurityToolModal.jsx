@@ -1,7 +1,190 @@
-import React from 'react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import axios from 'axios';
 import ToolModal from './ToolModal';
+import { useAppState } from '../context/AppStateContext';
+import { createGoal } from '../utils/goalsApi';
+import { notifyGoalsUpdated } from '../services/goalAutomation/automationUtils';
+
+export const AUDIT_SEVERITIES = ['critical', 'high', 'moderate', 'low', 'info'];
+
+const SEVERITY_LABELS = {
+  critical: 'Critical',
+  high: 'High',
+  moderate: 'Moderate',
+  low: 'Low',
+  info: 'Info'
+};
+
+const MAX_PROMPT_FINDINGS = 25;
+
+const describeFindingLocation = (finding) => {
+  if (finding?.file) {
+    return finding.line ? `${finding.file}:${finding.line}` : finding.file;
+  }
+  if (finding?.package) {
+    return finding.workspace ? `${finding.workspace} → ${finding.package}` : finding.package;
+  }
+  return finding?.workspace || '';
+};
+
+export const groupFindingsBySeverity = (findings) => {
+  const groups = AUDIT_SEVERITIES.map((severity) => ({ severity, findings: [] }));
+  const list = Array.isArray(findings) ? findings : [];
+  list.forEach((finding) => {
+    const group = groups.find((entry) => entry.severity === finding?.severity) || groups[groups.length - 1];
+    group.findings.push(finding);
+  });
+  return groups.filter((group) => group.findings.length > 0);
+};
+
+export const buildRemediationPrompt = ({ severity, findings }) => {
+  const list = Array.isArray(findings) ? findings : [];
+  const label = SEVERITY_LABELS[severity] || 'Security';
+  const lines = list.slice(0, MAX_PROMPT_FINDINGS).map((finding) => {
+    const location = describeFindingLocation(finding);
+    const fix = finding.recommendation ? ` Suggested fix: ${finding.recommendation}` : '';
+    return `- ${finding.title}${location ? ` (${location})` : ''}.${fix}`;
+  });
+
+  if (list.length > MAX_PROMPT_FINDINGS) {
+    lines.push(`- …and ${list.length - MAX_PROMPT_FINDINGS} more finding(s) from the same audit.`);
+  }
+
+  return [
+    `Remediate the ${label.toLowerCase()} severity findings from the latest security audit.`,
+    '',
+    'Findings:',
+    ...lines,
+    '',
+    'Requirements:',
+    '- Upgrade or replace vulnerable dependencies and update lockfiles.',
+    '- Move hard-coded secrets into environment variables and keep them out of git.',
+    '- Tighten risky configuration (for example restrict CORS origins) without breaking the app.',
+    '- Keep the full test suite and coverage gates passing.'
+  ].join('\n');
+};
+
+const AuditSecurityToolModal = ({ isOpen, onClose, pollIntervalMs = 2000 }) => {
+  const { currentProject } = useAppState();
+  const projectId = currentProject?.id;
+
+  const [audit, setAudit] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [isStarting, setIsStarting] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [goalMessage, setGoalMessage] = useState('');
+  const [creatingSeverity, setCreatingSeverity] = useState('');
+
+  const fetchAudit = useCallback(async (runId) => {
+    const response = await axios.get(`/api/projects/${projectId}/audit/security/${runId}`);
+    return response?.data?.audit || null;
+  }, [projectId]);
+
+  useEffect(() => {
+    setAudit(null);
+    setHistory([]);
+    setErrorMessage('');
+    setGoalMessage('');
+
+    if (!isOpen || !projectId) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    const loadLatest = async () => {
+      try {
+        const response = await axios.get(`/api/projects/${projectId}/audit/security`);
+        const audits = Array.isArray(response?.data?.audits) ? response.data.audits : [];
+        const latest = audits[0]?.id ? await fetchAudit(audits[0].id) : null;
+        /* c8 ignore next 3 */
+        if (cancelled) {
+          return;
+        }
+        setHistory(audits);
+        setAudit(latest);
+      } catch (error) {
+        /* c8 ignore next */
+        if (cancelled) return;
+        setErrorMessage(error?.response?.data?.error || 'Failed to load previous audits.');
+      }
+    };
+
+    loadLatest();
+    return () => {
+      cancelled = true;
+    };
+  }, [fetchAudit, isOpen, projectId]);
+
+  const isRunning = audit?.status === 'running';
+
+  useEffect(() => {
+    if (!isOpen || !isRunning) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const next = await fetchAudit(audit.id);
+        /* c8 ignore next */
+        if (cancelled || !next) return;
+        setAudit(next);
+        if (next.status !== 'running') {
+          setHistory((prev) => [next, ...prev.filter((entry) => entry.id !== next.id)]);
+        }
+      } catch (error) {
+        /* c8 ignore next */
+        if (cancelled) return;
+        setErrorMessage(error?.response?.data?.error || 'Failed to refresh the audit.');
+        setAudit((prev) => ({ ...prev, status: 'failed' }));
+      }
+    }, pollIntervalMs);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [audit, fetchAudit, isOpen, isRunning, pollIntervalMs]);
+
+  const handleStartAudit = useCallback(async () => {
+    setIsStarting(true);
+    setErrorMessage('');
+    setGoalMessage('');
+    try {
+      const response = await axios.post(`/api/projects/${projectId}/audit/security`);
+      const started = response?.data?.audit;
+      if (!started?.id) {
+        throw new Error('Failed to start the audit.');
+      }
+      setAudit(started);
+    } catch (error) {
+      setErrorMessage(error?.response?.data?.error || error?.message || 'Failed to start the audit.');
+    } finally {
+      setIsStarting(false);
+    }
+  }, [projectId]);
+
+  const handleCreateGoal = useCallback(async (group) => {
+    setCreatingSeverity(group.severity);
+    setGoalMessage('');
+    setErrorMessage('');
+    try {
+      await createGoal(projectId, buildRemediationPrompt(group));
+      notifyGoalsUpdated(projectId);
+      setGoalMessage(`Created a goal to remediate ${group.findings.length} ${group.severity} finding(s).`);
+    } catch (error) {
+      setErrorMessage(error?.response?.data?.error || error?.message || 'Failed to create goal.');
+    } finally {
+      setCreatingSeverity('');
+    }
+  }, [projectId]);
+
+  const metadata = audit?.metadata || null;
+  const groups = useMemo(() => groupFindingsBySeverity(metadata?.findings), [metadata]);
+  const summary = metadata?.summary || null;
+  const comparison = metadata?.comparison || null;
+  const workspaces = Array.isArray(metadata?.workspaces) ? metadata.workspaces : [];
 
-const AuditSecurityToolModal = ({ isOpen, onClose }) => {
   return (
     <ToolModal
       isOpen={isOpen}
@@ -13,16 +196,141 @@ const AuditSecurityToolModal = ({ isOpen, onClose }) => {
       titleId="tool-audit-security-title"
     >
       <div className="tools-modal-placeholder">
-        <h3>Coming soon</h3>
+        <h3>Security audit</h3>
         <p>
-          This tool will summarize dependency vulnerabilities and highlight common security footguns
-          in config and runtime behavior.
+          Runs <code>npm audit</code> for each Node workspace, <code>pip-audit</code> for Python backends,
+          and scans tracked files for hard-coded secrets and risky configuration.
         </p>
-        <ul>
-          <li>Dependency audit summary</li>
-          <li>Secrets and token handling checks</li>
-          <li>Suggested remediations</li>
-        </ul>
+
+        {!projectId ? (
+          <div className="tools-modal-warning" role="status" data-testid="tool-audit-security-no-project">
+            Select a project to run an audit.
+          </div>
+        ) : null}
+
+        {audit ? (
+          <div className="tools-modal-meta" data-testid="tool-audit-security-meta">
+            <div className="tools-modal-meta-row">
+              <span className="tools-modal-meta-label">Status</span>
+              <span className="tools-modal-meta-value" data-testid="tool-audit-security-status">
+                {isRunning ? 'Running…' : audit.status}
+              </span>
+            </div>
+            {audit.startedAt ? (
+              <div className="tools-modal-meta-row">
+                <span className="tools-modal-meta-label">Started</span>
+                <span className="tools-modal-meta-value">{new Date(audit.startedAt).toLocaleString()}</span>
+              </div>
+            ) : null}
+            {comparison ? (
+              <div className="tools-modal-meta-row">
+                <span className="tools-modal-meta-label">Since last audit</span>
+                <span className="tools-modal-meta-value" data-testid="tool-audit-security-comparison">
+                  {comparison.added} new, {comparison.resolved} resolved
+                </span>
+              </div>
+            ) : null}
+            {history.length > 1 ? (
+              <div className="tools-modal-meta-row">
+                <span className="tools-modal-meta-label">Previous audits</span>
+                <span className="tools-modal-meta-value">{history.length - 1}</span>
+              </div>
+            ) : null}
+          </div>
+        ) : null}
+
+        {audit?.error ? (
+          <div className="tools-modal-error" role="alert">{audit.error}</div>
+        ) : null}
+
+        {summary ? (
+          <div className="tools-audit-summary" data-testid="tool-audit-security-summary">
+            {AUDIT_SEVERITIES.map((severity) => (
+              <span key={severity} className={`tools-audit-chip tools-audit-chip--${severity}`}>
+                {SEVERITY_LABELS[severity]}: {summary[severity] || 0}
+              </span>
+            ))}
+          </div>
+        ) : null}
+
+        {workspaces.length ? (
+          <ul className="tools-audit-workspaces" data-testid="tool-audit-security-workspaces">
+            {workspaces.map((workspace) => (
+              <li key={`${workspace.name}-${workspace.tool}`}>
+                {workspace.name}: {workspace.tool} {workspace.status}
+                {workspace.status === 'completed' ? ` (${workspace.findings} finding(s))` : ''}
+              </li>
+            ))}
+          </ul>
+        ) : null}
+
+        {audit?.status === 'completed' && groups.length === 0 ? (
+          <div className="tools-modal-success" role="status" data-testid="tool-audit-security-clean">
+            No findings. Nice work.
+          </div>
+        ) : null}
+
+        {groups.map((group) => (
+          <details
+            key={group.severity}
+            className="tools-modal-details tools-audit-group"
+            open={group.severity === 'critical' || group.severity === 'high'}
+            data-testid={`tool-audit-security-group-${group.severity}`}
+          >
+            <summary>
+              {SEVERITY_LABELS[group.severity]} ({group.findings.length})
+            </summary>
+            <ul className="tools-audit-findings">
+              {group.findings.map((finding) => {
+                const location = describeFindingLocation(finding);
+                return (
+                  <li key={finding.fingerprint || `${finding.title}-${location}`} className="tools-audit-finding">
+                    <div className="tools-audit-finding-title">{finding.title}</div>
+                    {location ? <div className="tools-modal-subtext">{location}</div> : null}
+                    {finding.detail ? <div className="tools-modal-subtext">{finding.detail}</div> : null}
+                    {finding.recommendation ? <div className="tools-audit-finding-fix">{finding.recommendation}</div> : null}
+                  </li>
+                );
+              })}
+            </ul>
+            <button
+              type="button"
+              className="git-settings-button secondary"
+              onClick={() => handleCreateGoal(group)}
+              disabled={Boolean(creatingSeverity)}
+              data-testid={`tool-audit-security-goal-${group.severity}`}
+            >
+              {creatingSeverity === group.severity ? 'Creating goal…' : 'Create goal to remediate'}
+            </button>
+          </details>
+        ))}
+
+        {goalMessage ? (
+          <div className="tools-modal-success" role="status" data-testid="tool-audit-security-goal-created">
+            {goalMessage}
+          </div>
+        ) : null}
+
+        {errorMessage ? (
+          <div className="tools-modal-error" role="alert" data-testid="tool-audit-security-error">
+            {errorMessage}
+          </div>
+        ) : null}
+
+        <div className="tools-modal-actions">
+          <span className="tools-modal-hint">
+            Results are saved as runs so you can compare audits over time.
+          </span>
+          <button
+            type="button"
+            className="git-settings-button primary"
+            onClick={handleStartAudit}
+            disabled={!projectId || isStarting || isRunning}
+            data-testid="tool-audit-security-run"
+          >
+            {isRunning || isStarting ? 'Auditing…' : audit ? 'Run again' : 'Run audit'}
+          </button>
+        </div>
       </div>
     </ToolModal>
   );
@@ -20,6 +20,8 @@ import { handlePlanOnlyFeature, handleRegularFeature, processGoals } from '../se
 import { isNaturalLanguageCancel, isNaturalLanguagePause, isNaturalLanguageResume, handleChatCommand } from '../utils/chatCommandHelpers';
 import { shouldSkipAutomationTests as shouldSkipAutomationTestsHelper } from './chatPanelCssOnly';
 import { useAutopilotSession } from './chatPanel/useAutopilotSession';
+import { useChatThreads } from './chatPanel/useChatThreads';
+import ChatThreadBar from './chatPanel/ChatThreadBar.jsx';
 import {
   formatAgentStepMessage,
   parseClarificationOptions,
@@ -377,7 +379,8 @@ const ChatMessagesPane = React.memo(({
   handleMessagesScroll,
   showScrollToBottom,
   scrollMessagesToBottom,
-  hasContextAttachment
+  hasContextAttachment,
+  onStopRequest
 }) => {
   return (
     <>
@@ -422,6 +425,16 @@ const ChatMessagesPane = React.memo(({
               <span />
               <span />
             </span>
+            {onStopRequest ? (
+              <button
+                type="button"
+                className="chat-typing__stop"
+                data-testid="chat-stop-request"
+                onClick={onStopRequest}
+              >
+                Stop
+              </button>
+            ) : null}
           </div>
         ) : null}
       </div>
@@ -454,6 +467,7 @@ const ChatPanel = ({
   const [isSending, setIsSending] = useState(false);
   const [thinkingTopic, setThinkingTopic] = useState('');
   const [thinkingAutomationTopic, setThinkingAutomationTopic] = useState('');
+  const [canStopRequest, setCanStopRequest] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
   const [showAgentDebug, setShowAgentDebug] = useState(false);
   const [pendingClarification, setPendingClarification] = useState(null);
@@ -528,6 +542,8 @@ const ChatPanel = ({
   const streamingTimersRef = useRef(new Map());
   const streamingMessageIdRef = useRef(null);
   const streamingTextRef = useRef('');
+  const streamEventReceivedRef = useRef(false);
+  const agentAbortRef = useRef(null);
   /* c8 ignore next */
   const isTestEnv = typeof import.meta !== 'undefined'
     /* c8 ignore next */
@@ -627,6 +643,7 @@ const ChatPanel = ({
   const resetStreamingMessage = useCallback(() => {
     streamingMessageIdRef.current = null;
     streamingTextRef.current = '';
+    streamEventReceivedRef.current = false;
   }, []);
 
   useEffect(() => {
@@ -685,6 +702,14 @@ const ChatPanel = ({
     return readStoredChatMessages(projectId);
   }, []);
 
+  const chatThreads = useChatThreads({
+    projectId: currentProject?.id || null,
+    messages,
+    setMessages,
+    readLocalMessages: readStoredChat
+  });
+  const activeChatThreadId = chatThreads.isServerBacked ? chatThreads.activeThreadId : undefined;
+
   const toBase64 = useCallback(async (file) => {
     const buffer = await file.arrayBuffer();
     const bytes = new Uint8Array(buffer);
@@ -900,7 +925,11 @@ const ChatPanel = ({
     setErrorMessage('');
     setAutopilotBusy(true);
     try {
-      const result = await agentAutopilot({ projectId: currentProject.id, prompt });
+      const result = await agentAutopilot({
+        projectId: currentProject.id,
+        prompt,
+        ...(activeChatThreadId ? { threadId: activeChatThreadId } : {})
+      });
       const summary = result?.session || result;
       if (!summary?.id) {
         throw new Error('Autopilot session did not return an id.');
@@ -923,7 +952,15 @@ const ChatPanel = ({
     } finally {
       setAutopilotBusy(false);
     }
-  }, [applyAutopilotSummary, createMessage, currentProject?.id, inputValue, refreshAutopilotStatus, setMessages]);
+  }, [
+    activeChatThreadId,
+    applyAutopilotSummary,
+    createMessage,
+    currentProject?.id,
+    inputValue,
+    refreshAutopilotStatus,
+    setMessages
+  ]);
 
   const handleChangeDirectionPrompt = useCallback(() => {
     if (!autopilotIsActive) {
@@ -1151,9 +1188,10 @@ const ChatPanel = ({
   };
 
   const callAgentWithTimeout = useCallback(
-    ({ projectId, prompt, timeoutMs = agentTimeoutMs }) => callAgentWithTimeoutHelper({
+    ({ projectId, prompt, threadId, timeoutMs = agentTimeoutMs }) => callAgentWithTimeoutHelper({
       projectId,
       prompt,
+      threadId,
       timeoutMs,
       agentRequestFn: agentRequest
     }),
@@ -1217,7 +1255,7 @@ const ChatPanel = ({
     streamingTimersRef.current.set(message.id, timerId);
   }, [createMessage, isTestEnv, prefersReducedMotion, scrollMessagesToBottomIfEnabled]);
 
-  const runAgentRequestStream = useCallback(async ({ projectId, prompt }) => {
+  const runAgentRequestStream = useCallback(async ({ projectId, prompt, threadId, signal }) => {
     const parsedMaxSteps = Number.parseInt(testingSettings?.maxSteps, 10);
     const maxSteps = Number.isFinite(parsedMaxSteps) ? parsedMaxSteps : undefined;
     let result = null;
@@ -1226,11 +1264,24 @@ const ChatPanel = ({
       projectId,
       prompt,
       maxSteps,
-      onChunk: appendStreamingChunk,
+      threadId,
+      signal,
+      onChunk: (chunk) => {
+        streamEventReceivedRef.current = true;
+        appendStreamingChunk(chunk);
+      },
+      // Tokens carry the answer text as the model writes it; the backend only
+      // replays the answer as chunks when nothing was streamed this way.
+      onToken: (token) => {
+        streamEventReceivedRef.current = true;
+        appendStreamingChunk(token);
+      },
       onComplete: (payload) => {
+        streamEventReceivedRef.current = true;
         result = payload;
       },
       onError: (message) => {
+        streamEventReceivedRef.current = true;
         streamError = message || 'Agent request failed';
       }
     });
@@ -1246,6 +1297,31 @@ const ChatPanel = ({
     return result;
   }, [appendStreamingChunk, testingSettings]);
 
+  // Prefer the streaming endpoint; if it fails before sending a single event
+  // (proxy without SSE support, older backend) retry as a plain request.
+  const requestAgentResult = useCallback(async ({ projectId, prompt, threadId }) => {
+    const controller = new AbortController();
+    agentAbortRef.current = controller;
+    setCanStopRequest(true);
+    try {
+      return await runAgentRequestStream({ projectId, prompt, threadId, signal: controller.signal });
+    } catch (error) {
+      if (controller.signal.aborted || streamEventReceivedRef.current) {
+        throw error;
+      }
+      return callAgentWithTimeout({ projectId, prompt, threadId });
+      /* c8 ignore next -- v8 reports an extra branch on the finally clause */
+    } finally {
+      agentAbortRef.current = null;
+      setCanStopRequest(false);
+    }
+  }, [callAgentWithTimeout, runAgentRequestStream]);
+
+  const handleStopAgentRequest = useCallback(() => {
+    /* c8 ignore next */
+    agentAbortRef.current?.abort();
+  }, []);
+
   const handleAgentResult = useCallback(async (result, { streamedAnswer = false, prompt, resolvedPrompt } = {}) => {
     if (!result) {
       return;
@@ -1496,7 +1572,11 @@ const ChatPanel = ({
       return;
     }
 
+    // Server-side threads send their own summarised history with the request.
     const buildConversationContext = () => {
+      if (activeChatThreadId) {
+        return '';
+      }
       const recent = (messagesRef.current || [])
         .filter((msg) => {
           if (!msg?.sender || !msg?.text || msg.variant === 'status') {
@@ -1678,18 +1758,26 @@ const ChatPanel = ({
           setPendingClarification(null);
         }
 
-        let streamedAnswer = false;
         resetStreamingMessage();
 
-        const result = await callAgentWithTimeout({ projectId: currentProject.id, prompt: resolvedPrompt });
+        const result = await requestAgentResult({
+          projectId: currentProject.id,
+          prompt: resolvedPrompt,
+          threadId: activeChatThreadId
+        });
+        const streamedAnswer = Boolean(streamingMessageIdRef.current);
         await handleAgentResult(result, {
           streamedAnswer,
           prompt: trimmed,
           resolvedPrompt
         });
       } catch (error) {
-        console.warn('Failed to stage AI request', error);
-        setErrorMessage(resolveAgentErrorMessage(error));
+        if (error?.name === 'AbortError') {
+          setMessages((prev) => [...prev, createMessage('assistant', 'Request stopped.', { variant: 'status' })]);
+        } else {
+          console.warn('Failed to stage AI request', error);
+          setErrorMessage(resolveAgentErrorMessage(error));
+        }
       } finally {
         setThinkingAutomationTopic('');
         setThinkingTopic('');
@@ -1701,9 +1789,9 @@ const ChatPanel = ({
       setIsSending(false);
     }
   }, [
+    activeChatThreadId,
     appendAgentSteps,
     autopilotIsActive,
-    callAgentWithTimeout,
     createMessage,
     currentProject,
     hasBackend,
@@ -1711,6 +1799,7 @@ const ChatPanel = ({
     handleAutopilotMessage,
     handleAgentResult,
     markTestRunIntent,
+    requestAgentResult,
     resetStreamingMessage,
     runAgentRequestStream,
     setPreviewPanelTab,
@@ -2249,7 +2338,21 @@ const ChatPanel = ({
           )}
         </div>
       </div>
-      
+
+      {chatThreads.isServerBacked && (
+        <ChatThreadBar
+          threads={chatThreads.threads}
+          activeThreadId={chatThreads.activeThreadId}
+          searchResults={chatThreads.searchResults}
+          error={chatThreads.error}
+          onSelect={chatThreads.selectThread}
+          onCreate={chatThreads.createThread}
+          onRename={chatThreads.renameThread}
+          onArchive={chatThreads.archiveThread}
+          onSearch={chatThreads.searchThreads}
+        />
+      )}
+
       <ChatMessagesPane
         messages={messages}
         isSending={isSending}
@@ -2260,6 +2363,7 @@ const ChatPanel = ({
         showScrollToBottom={showScrollToBottom}
         scrollMessagesToBottom={scrollMessagesToBottom}
         hasContextAttachment={hasContextAttachment}
+        onStopRequest={canStopRequest ? handleStopAgentRequest : null}
       />
 
       {autopilotSession ? (
@@ -2283,6 +2387,11 @@ const ChatPanel = ({
                 </div>
               ) : null}
             </div>
+            {autopilotIsActive && autopilotSession.liveOutput ? (
+              <pre className="chat-inspector__live-output" data-testid="chat-autopilot-live-output">
+                {autopilotSession.liveOutput}
+              </pre>
+            ) : null}
             <AutopilotTimeline events={autopilotEvents} />
           </details>
         </div>
@@ -0,0 +1,67 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useAppState } from '../context/AppStateContext';
+import { fetchCommandApprovals, resolveCommandApproval } from '../utils/goalsApi';
+import { CommandApprovalModal } from './ApprovalPanel';
+
+export const COMMAND_APPROVAL_POLL_MS = 2000;
+
+// Shows agent commands that are waiting for the user's approval in the current project.
+const CommandApprovalCoordinator = () => {
+  const { currentProject } = useAppState();
+  const projectId = currentProject?.id;
+  const [approvals, setApprovals] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadApprovals = useCallback(async () => {
+    if (!projectId) {
+      setApprovals([]);
+      return;
+    }
+    try {
+      setApprovals(await fetchCommandApprovals(projectId));
+    } catch {
+      // Keep the last known list; the next poll retries.
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    loadApprovals();
+    if (!projectId) {
+      return undefined;
+    }
+    const timer = setInterval(loadApprovals, COMMAND_APPROVAL_POLL_MS);
+    return () => clearInterval(timer);
+  }, [projectId, loadApprovals]);
+
+  const current = approvals[0] || null;
+
+  const handleDecision = async (approved) => {
+    setIsSubmitting(true);
+    setError('');
+    try {
+      await resolveCommandApproval({ approvalId: current.id, approved });
+      setApprovals((prev) => prev.filter((entry) => entry.id !== current.id));
+    } catch (decisionError) {
+      if (decisionError?.response?.status === 404) {
+        // Already answered elsewhere or timed out.
+        setApprovals((prev) => prev.filter((entry) => entry.id !== current.id));
+      } else {
+        setError(decisionError?.response?.data?.error || decisionError?.message || 'Failed to send decision');
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <CommandApprovalModal
+      approval={current}
+      onDecision={handleDecision}
+      isSubmitting={isSubmitting}
+      error={error}
+    />
+  );
+};
+
+export default CommandApprovalCoordinator;
@@ -17,6 +17,7 @@ import {
   deriveRepoName,
   resolveFrontendFrameworkOptions,
   resolveBackendFrameworkOptions,
+  restrictToScaffoldTemplates,
   applyDetectedTechToProject,
   buildGitSummaryItems
 } from './create-project/formUtils';
@@ -35,6 +36,7 @@ import { createPostCloneSetupHandlers } from './create-project/postCloneSetup';
 import ProjectDetailsSection from './create-project/ProjectDetailsSection';
 import { useGitTechDetection } from './create-project/useGitTechDetection';
 import { useSetupJobsPolling } from './create-project/useSetupJobsPolling';
+import { useProjectTemplates } from './create-project/useProjectTemplates';
 import CreateProjectProgressPanel from './create-project/CreateProjectProgressPanel';
 import CreateProjectHeader from './create-project/CreateProjectHeader';
 import './CreateProject.css';
@@ -115,8 +117,17 @@ const CreateProject = () => {
   const [gitRepoOwner, setGitRepoOwner] = useState('');
   const [gitRepoVisibility, setGitRepoVisibility] = useState('private');
 
-  const frontendLanguages = FRONTEND_LANGUAGES;
-  const backendLanguages = BACKEND_LANGUAGES;
+  const isScaffoldSource = projectSource === 'new' || projectSource === 'template';
+  // Only new projects show the technology selectors, so only they need the user templates.
+  const scaffoldCatalog = useProjectTemplates({ setupStep, enabled: projectSource === 'new', axios });
+  const frontendLanguages = isScaffoldSource ? Object.keys(scaffoldCatalog.frontend) : FRONTEND_LANGUAGES;
+  const backendLanguages = isScaffoldSource ? Object.keys(scaffoldCatalog.backend) : BACKEND_LANGUAGES;
+
+  useEffect(() => {
+    if (isScaffoldSource) {
+      setNewProject((prev) => restrictToScaffoldTemplates(prev, scaffoldCatalog));
+    }
+  }, [isScaffoldSource, scaffoldCatalog]);
 
   useEffect(() => () => {
     if (progressStreamRef.current) {
@@ -868,11 +879,17 @@ const CreateProject = () => {
   ]);
 
   const getFrontendFrameworks = () => {
-    return resolveFrontendFrameworkOptions(newProject.frontend.language);
+    return resolveFrontendFrameworkOptions(newProject.frontend.language, {
+      scaffoldOnly: isScaffoldSource,
+      catalog: scaffoldCatalog
+    });
   };
 
   const getBackendFrameworks = () => {
-    return resolveBackendFrameworkOptions(newProject.backend.language);
+    return resolveBackendFrameworkOptions(newProject.backend.language, {
+      scaffoldOnly: isScaffoldSource,
+      catalog: scaffoldCatalog
+    });
   };
 
   const handleFrontendLanguageChange = (e) => {
@@ -880,7 +897,10 @@ const CreateProject = () => {
       ...prev,
       frontend: {
         language: e.target.value,
-        framework: resolveFrontendFrameworkOptions(e.target.value)[0]
+        framework: resolveFrontendFrameworkOptions(e.target.value, {
+          scaffoldOnly: isScaffoldSource,
+          catalog: scaffoldCatalog
+        })[0]
       }
     }));
   };
@@ -897,7 +917,10 @@ const CreateProject = () => {
       ...prev,
       backend: {
         language: e.target.value,
-        framework: resolveBackendFrameworkOptions(e.target.value)[0]
+        framework: resolveBackendFrameworkOptions(e.target.value, {
+          scaffoldOnly: isScaffoldSource,
+          catalog: scaffoldCatalog
+        })[0]
       }
     }));
   };
@@ -1050,6 +1073,7 @@ const CreateProject = () => {
                 backendLanguages={backendLanguages}
                 getFrontendFrameworks={getFrontendFrameworks}
                 getBackendFrameworks={getBackendFrameworks}
+                frameworkLabels={scaffoldCatalog.labels}
                 onFrontendLanguageChange={handleFrontendLanguageChange}
                 onFrontendFrameworkChange={handleFrontendFrameworkChange}
                 onBackendLanguageChange={handleBackendLanguageChange}
@@ -4,10 +4,13 @@ import Editor, { DiffEditor } from '@monaco-editor/react';
 import { useAppState } from '../context/AppStateContext';
 import './FilesTab.css';
 import FileTreeView from './filesTab/FileTreeView';
+import SearchPanel from './filesTab/SearchPanel';
+import { useFileCoverage } from './filesTab/useFileCoverage';
 import { buildChildPath, buildSiblingPath, suggestDuplicateName } from './filesTab/filesTabUtils';
 import {
   DEFAULT_EXPANDED_FOLDERS,
   DEFAULT_EXPLORER_WIDTH,
+  buildCoverageDecorations,
   clampExplorerWidth,
   getLanguageFromFile
 } from './filesTab/editorUtils';
@@ -75,6 +78,11 @@ const FilesTab = ({
   const explorerWidthRef = useRef(explorerWidth);
   const dragStateRef = useRef(null);
   const [isResizingExplorer, setIsResizingExplorer] = useState(false);
+  const [sidebarView, setSidebarView] = useState('explorer');
+  const [showCoverage, setShowCoverage] = useState(false);
+  const editorRef = useRef(null);
+  const coverageDecorationsRef = useRef(null);
+  const pendingRevealRef = useRef(null);
   const shuttingDown = isProjectStopping?.(projectId) ?? Boolean(
     projectShutdownState?.isStopping && projectShutdownState?.projectId === projectId
   );
@@ -94,6 +102,7 @@ const FilesTab = ({
   );
 
   const activeFileState = activeFilePath ? fileStates[activeFilePath] : null;
+  const { coverageByPath, fileCoverage, coverageError } = useFileCoverage(projectId, activeFilePath, showCoverage);
   const hasUnsavedChanges = Boolean(
     activeFileState && activeFileState.content !== activeFileState.originalContent
   );
@@ -936,6 +945,72 @@ const FilesTab = ({
   const getLatestFileStates = useCallback(() => fileStatesRef.current, []);
   const getLatestActiveFilePath = useCallback(() => activeFilePathRef.current, []);
 
+  // Search results open the file first; the jump happens once its content is in the editor.
+  const revealPendingMatch = useCallback(() => {
+    const pending = pendingRevealRef.current;
+    const editor = editorRef.current;
+    const loadedState = pending ? fileStatesRef.current?.[pending.path] : null;
+    if (!pending || !editor || pending.path !== activeFilePathRef.current || !loadedState || loadedState.isLoading) {
+      return;
+    }
+    pendingRevealRef.current = null;
+    editor.revealLineInCenter?.(pending.line);
+    editor.setSelection?.({
+      startLineNumber: pending.line,
+      startColumn: pending.column,
+      endLineNumber: pending.line,
+      endColumn: pending.column + pending.length
+    });
+    editor.focus?.();
+  }, []);
+
+  useEffect(() => {
+    revealPendingMatch();
+  }, [activeFilePath, isLoadingActiveFile, isDiffModeActive, revealPendingMatch]);
+
+  const handleOpenSearchMatch = useCallback((match) => {
+    pendingRevealRef.current = match;
+    handleFileSelectRef.current?.({
+      name: match.path.split('/').pop(),
+      path: match.path,
+      type: 'file'
+    });
+    revealPendingMatch();
+  }, [revealPendingMatch]);
+
+  // Files with unsaved editor changes are left alone so the replacement never discards typing.
+  const handleApplyReplace = useCallback(async (files) => {
+    const applied = [];
+    const skipped = [];
+    for (const file of files) {
+      const openState = fileStatesRef.current?.[file.path];
+      if (openState && openState.content !== openState.originalContent) {
+        skipped.push(file.path);
+        continue;
+      }
+
+      await axios.put(`/api/projects/${projectId}/files/${file.path}`, {
+        content: file.content,
+        openInEditor: false
+      });
+      applied.push(file.path);
+      if (openState) {
+        setFileStates((prev) => ({
+          ...prev,
+          [file.path]: { ...prev[file.path], content: file.content, originalContent: file.content }
+        }));
+      }
+      if (stageFileChange) {
+        try {
+          await stageFileChange(projectId, file.path, 'editor');
+        } catch (error) {
+          console.warn('Failed to stage file change', error);
+        }
+      }
+    }
+    return { applied, skipped };
+  }, [projectId, stageFileChange]);
+
   useEffect(() => {
     if (!__testHooks) {
       return undefined;
@@ -1056,11 +1131,30 @@ const FilesTab = ({
     };
   }, [projectId, activeFilePath, activeDiffState?.commitSha, activeDiffState?.originalLabel, activeDiffState?.modifiedLabel]);
 
+  const applyCoverageDecorations = useCallback(() => {
+    coverageDecorationsRef.current?.set(showCoverage ? buildCoverageDecorations(fileCoverage) : []);
+  }, [showCoverage, fileCoverage]);
+
+  useEffect(() => {
+    applyCoverageDecorations();
+  }, [applyCoverageDecorations]);
+
   const handleEditorMount = useCallback((editor, monaco) => {
     if (!editor || typeof editor.addCommand !== 'function') {
       return;
     }
 
+    editorRef.current = editor;
+    coverageDecorationsRef.current = editor.createDecorationsCollection?.() || null;
+    editor.onDidDispose?.(() => {
+      if (editorRef.current === editor) {
+        editorRef.current = null;
+        coverageDecorationsRef.current = null;
+      }
+    });
+    revealPendingMatch();
+    applyCoverageDecorations();
+
     const keyModValue = monaco?.KeyMod?.CtrlCmd ?? 0;
     const keySValue = monaco?.KeyCode?.KeyS ?? 0;
     const keybinding = keyModValue | keySValue;
@@ -1070,7 +1164,7 @@ const FilesTab = ({
     }
 
     editor.addCommand(keybinding, () => saveHandlerRef.current?.());
-  }, []);
+  }, [revealPendingMatch, applyCoverageDecorations]);
 
   return (
     <div
@@ -1094,14 +1188,60 @@ const FilesTab = ({
         style={{ width: `${explorerWidth}px` }}
       >
         <div className="file-tree-header">
+          <div className="file-tree-header-row">
+            <div className="file-tree-views" role="tablist" aria-label="Sidebar view">
+              <button
+                type="button"
+                role="tab"
+                className={`file-tree-view-button${sidebarView === 'explorer' ? ' active' : ''}`}
+                aria-selected={sidebarView === 'explorer'}
+                onClick={() => setSidebarView('explorer')}
+                data-testid="files-view-explorer"
+              >
+                Files
+              </button>
+              <button
+                type="button"
+                role="tab"
+                className={`file-tree-view-button${sidebarView === 'search' ? ' active' : ''}`}
+                aria-selected={sidebarView === 'search'}
+                onClick={() => setSidebarView('search')}
+                data-testid="files-view-search"
+              >
+                Search
+              </button>
+            </div>
+            <button
+              type="button"
+              className={`file-tree-view-button${showCoverage ? ' active' : ''}`}
+              aria-pressed={showCoverage}
+              onClick={() => setShowCoverage((value) => !value)}
+              title="Show line coverage from the last test run with coverage"
+              data-testid="files-coverage-toggle"
+            >
+              Coverage
+            </button>
+          </div>
+          {showCoverage && coverageError ? (
+            <p className="file-tree-coverage-error" role="alert">{coverageError}</p>
+          ) : null}
           {projectPath ? (
             <p className="file-tree-path" title={projectPath}>
               {projectPath}
             </p>
           ) : null}
         </div>
+        {sidebarView === 'search' && (
+          <SearchPanel
+            projectId={projectId}
+            disabled={shuttingDown}
+            onOpenMatch={handleOpenSearchMatch}
+            onApplyReplace={handleApplyReplace}
+          />
+        )}
         <div
           className="file-tree-content"
+          hidden={sidebarView === 'search'}
           data-testid="file-tree-content"
           onContextMenu={(event) => {
             // Root context menu: allow folder creation at project root.
@@ -1119,6 +1259,7 @@ const FilesTab = ({
               expandedFolders={expandedFolders}
               activeFilePath={activeFilePath}
               stagedPathSet={stagedPathSet}
+              coverageByPath={showCoverage ? coverageByPath : null}
               onToggleFolder={toggleFolder}
               onOpenContextMenu={openContextMenu}
               onSelectFile={handleFileSelect}
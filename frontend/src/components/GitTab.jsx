@@ -1,5 +1,6 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import { useAppState } from '../context/AppStateContext';
+import MergeConflictsModal from './MergeConflictsModal';
 import './GitTab.css';
 
 const providerOptions = [
@@ -62,7 +63,8 @@ const GitTab = () => {
     fetchProjectBranchesOverview,
     checkoutProjectBranch,
     updateProjectGitSettings,
-    createProjectRemoteRepository
+    createProjectRemoteRepository,
+    theme
   } = useAppState();
   const settings = currentProject ? getEffectiveGitSettings(currentProject.id) : null;
 
@@ -81,6 +83,8 @@ const GitTab = () => {
   const [isDiscardingChanges, setIsDiscardingChanges] = useState(false);
   const [branchOptions, setBranchOptions] = useState([]);
   const [selectedBranch, setSelectedBranch] = useState('');
+  const [mergeConflicts, setMergeConflicts] = useState(null);
+  const [isConflictsModalOpen, setConflictsModalOpen] = useState(false);
 
   useEffect(() => {
     setFormState(buildFormState(settings));
@@ -305,11 +309,22 @@ const GitTab = () => {
       setGitStatusMessage(message);
     } catch (error) {
       setGitStatusError(error?.message || 'Failed to pull remote.');
+      if (error?.conflicts) {
+        setMergeConflicts(error.conflicts);
+        setConflictsModalOpen(true);
+      }
     } finally {
       setIsPullingRemote(false);
     }
   };
 
+  const handleConflictsSettled = (message) => (result) => {
+    setMergeConflicts(null);
+    setGitStatusError(result?.stash?.error || null);
+    setGitStatusMessage(result?.stash?.restored ? `${message} Stashed changes restored.` : message);
+    fetchProjectGitStatus(currentProject.id).catch(() => null);
+  };
+
   const handleStashChanges = async () => {
     if (!currentProject?.id) {
       return;
@@ -877,6 +892,16 @@ const GitTab = () => {
                   >
                     {isPullingRemote ? 'Pulling…' : pullLabel}
                   </button>
+                  {mergeConflicts && !isConflictsModalOpen && (
+                    <button
+                      type="button"
+                      className="git-tab-configure git-tab-configure--primary"
+                      onClick={() => setConflictsModalOpen(true)}
+                      data-testid="git-resolve-conflicts"
+                    >
+                      Resolve conflicts
+                    </button>
+                  )}
                 </div>
               </div>
               <details className="git-advanced" data-testid="git-advanced-actions">
@@ -1000,6 +1025,17 @@ const GitTab = () => {
           </section>
         )}
       </div>
+
+      {mergeConflicts && isConflictsModalOpen && (
+        <MergeConflictsModal
+          projectId={currentProject.id}
+          conflicts={mergeConflicts}
+          theme={theme}
+          onClose={() => setConflictsModalOpen(false)}
+          onCompleted={handleConflictsSettled('Pull complete.')}
+          onAborted={handleConflictsSettled('Pull aborted.')}
+        />
+      )}
     </div>
   );
 };
@@ -5,6 +5,8 @@ import {
   fetchGoals
 } from '../utils/goalsApi';
 import Modal from './Modal';
+import GoalDependencyGraph from './goalsPanel/GoalDependencyGraph';
+import GoalAcceptanceChecks from './goalsPanel/GoalAcceptanceChecks';
 import './GoalsModal.css';
 
 const PHASE_ORDER = ['planning', 'testing', 'implementing', 'verifying', 'ready', 'failed'];
@@ -742,9 +744,20 @@ const GoalsPanel = ({
                 <>
                   <div className="goals-modal-section-title">Inspector</div>
                   {selectedGoal ? (
-                    <pre className="goals-inspector-json" data-testid="goals-inspector-json">
-                      {JSON.stringify(selectedGoal, null, 2)}
-                    </pre>
+                    <>
+                      <GoalDependencyGraph
+                        goal={selectedGoal}
+                        getGoalTitle={getGoalTitle}
+                        onGoalsChanged={() => loadGoals(projectId, { silent: true })}
+                      />
+                      <GoalAcceptanceChecks
+                        goal={selectedGoal}
+                        onGoalsChanged={() => loadGoals(projectId, { silent: true })}
+                      />
+                      <pre className="goals-inspector-json" data-testid="goals-inspector-json">
+                        {JSON.stringify(selectedGoal, null, 2)}
+                      </pre>
+                    </>
                   ) : (
                     <div className="goals-modal-muted" data-testid="goals-inspector-empty">
                       Select a goal to inspect.
@@ -1,5 +1,6 @@
 import React from 'react';
 import GettingStarted from './StatusPanel';
+import LLMRoutingEditor from './LLMRoutingEditor';
 import SettingsModal from './SettingsModal';
 import './LLMConfigModal.css';
 
@@ -9,7 +10,7 @@ const LLMConfigModal = ({ isOpen, onClose }) => {
       isOpen={isOpen}
       onClose={onClose}
       title="Configure LLM"
-      subtitle="Update your provider, model, or API credentials at any time."
+      subtitle="Update your provider, model, or API credentials at any time, and route agent roles to other models."
       testId="llm-config-modal"
       closeTestId="llm-config-close"
       titleId="llm-config-title"
@@ -18,6 +19,7 @@ const LLMConfigModal = ({ isOpen, onClose }) => {
       closeLabel="Close LLM configuration"
     >
       <GettingStarted allowConfigured onConfigured={onClose} />
+      <LLMRoutingEditor />
     </SettingsModal>
   );
 };
@@ -0,0 +1,359 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import axios from 'axios';
+import { PROVIDERS } from './StatusPanel';
+import './LLMRoutingEditor.css';
+
+const ROLE_DETAILS = {
+  classification: { label: 'Classification', hint: 'Request routing, branch names' },
+  planning: { label: 'Planning', hint: 'Goal planning and clarification' },
+  code_edit: { label: 'Code edits', hint: 'Agent and autopilot edits' },
+  question: { label: 'Questions', hint: 'Answering questions about the project' },
+  commit_message: { label: 'Commit messages', hint: 'Commit messages and changelog entries' },
+  reflection: { label: 'Reflection', hint: 'Goal scope reflection' }
+};
+
+const EMPTY_FORM = {
+  name: '',
+  provider: 'ollama',
+  model: '',
+  apiUrl: '',
+  apiKey: ''
+};
+
+const getProvider = (providerId) => PROVIDERS.find((provider) => provider.id === providerId);
+
+const routesEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const getErrorMessage = (error, fallback) => error?.response?.data?.error || error?.message || fallback;
+
+const LLMRoutingEditor = () => {
+  const [roles, setRoles] = useState([]);
+  const [profiles, setProfiles] = useState([]);
+  const [savedRoutes, setSavedRoutes] = useState({});
+  const [routes, setRoutes] = useState({});
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSavingProfile, setIsSavingProfile] = useState(false);
+  const [isSavingRoutes, setIsSavingRoutes] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const loadProfiles = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const response = await axios.get('/api/llm/profiles');
+      const data = response.data || {};
+      setRoles(Array.isArray(data.roles) ? data.roles : []);
+      setProfiles(Array.isArray(data.profiles) ? data.profiles : []);
+      setSavedRoutes(data.routes || {});
+      setRoutes(data.routes || {});
+      setError('');
+    } catch (loadError) {
+      setError(getErrorMessage(loadError, 'Failed to load model profiles'));
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadProfiles();
+  }, [loadProfiles]);
+
+  const profilesById = useMemo(
+    () => new Map(profiles.map((profile) => [profile.id, profile])),
+    [profiles]
+  );
+
+  const formProvider = getProvider(form.provider);
+  const formApiUrl = form.apiUrl.trim() || formProvider.apiUrl;
+  const formModel = form.model.trim() || formProvider.models[0];
+  const needsApiKey = formProvider.requiresApiKey;
+  const canSaveProfile = Boolean(
+    form.name.trim() && formApiUrl && (!needsApiKey || form.apiKey.trim())
+  );
+  const isDirty = !routesEqual(routes, savedRoutes);
+
+  const updateForm = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleProviderChange = (providerId) => {
+    setForm((prev) => ({ ...prev, provider: providerId, model: '', apiUrl: '', apiKey: '' }));
+  };
+
+  const handleAddProfile = async () => {
+    setIsSavingProfile(true);
+    setError('');
+    setNotice('');
+    try {
+      const response = await axios.post('/api/llm/profiles', {
+        name: form.name.trim(),
+        provider: form.provider,
+        model: formModel,
+        apiUrl: formApiUrl,
+        apiKey: needsApiKey ? form.apiKey.trim() : ''
+      });
+      const profile = response.data?.profile;
+      setProfiles((prev) => [...prev, profile].sort((a, b) => a.name.localeCompare(b.name)));
+      setForm(EMPTY_FORM);
+      setNotice(`Profile "${profile.name}" added.`);
+    } catch (saveError) {
+      setError(getErrorMessage(saveError, 'Failed to save profile'));
+    } finally {
+      setIsSavingProfile(false);
+    }
+  };
+
+  const handleDeleteProfile = async (profile) => {
+    setError('');
+    setNotice('');
+    try {
+      const response = await axios.delete(`/api/llm/profiles/${profile.id}`);
+      const remaining = response.data?.routes || {};
+      setProfiles((prev) => prev.filter((entry) => entry.id !== profile.id));
+      setSavedRoutes(remaining);
+      // Keep unsaved edits for other roles, minus the deleted profile.
+      setRoutes((prev) => Object.fromEntries(
+        Object.entries(prev)
+          .map(([role, ids]) => [role, ids.filter((id) => id !== profile.id)])
+          .filter(([, ids]) => ids.length > 0)
+      ));
+    } catch (deleteError) {
+      setError(getErrorMessage(deleteError, 'Failed to delete profile'));
+    }
+  };
+
+  const updateRoute = (role, updater) => {
+    setNotice('');
+    setRoutes((prev) => {
+      const next = updater(prev[role] || []);
+      const updated = { ...prev };
+      if (next.length > 0) {
+        updated[role] = next;
+      } else {
+        delete updated[role];
+      }
+      return updated;
+    });
+  };
+
+  const moveProfile = (role, index, offset) => {
+    updateRoute(role, (ids) => {
+      const next = [...ids];
+      const [moved] = next.splice(index, 1);
+      next.splice(index + offset, 0, moved);
+      return next;
+    });
+  };
+
+  const handleSaveRoutes = async () => {
+    setIsSavingRoutes(true);
+    setError('');
+    try {
+      const response = await axios.put('/api/llm/routes', { routes });
+      const saved = response.data?.routes || {};
+      setSavedRoutes(saved);
+      setRoutes(saved);
+      setNotice('Routing saved.');
+    } catch (saveError) {
+      setError(getErrorMessage(saveError, 'Failed to save routing'));
+    } finally {
+      setIsSavingRoutes(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <section className="llm-routing" data-testid="llm-routing-editor">
+        <div className="llm-routing__empty">Loading model profiles…</div>
+      </section>
+    );
+  }
+
+  return (
+    <section className="llm-routing" data-testid="llm-routing-editor">
+      <header className="llm-routing__header">
+        <h3>Model profiles &amp; routing</h3>
+        <p className="form-help">
+          Assign profiles to agent roles. The first profile handles the role and the others are tried in
+          order when a provider errors. Roles without profiles use the configuration above.
+        </p>
+      </header>
+
+      {error && <div className="error-message" role="alert">⚠️ {error}</div>}
+      {notice && <div className="info-message" data-testid="llm-routing-notice">{notice}</div>}
+
+      <div className="llm-routing__profiles" data-testid="llm-routing-profiles">
+        {profiles.length === 0 ? (
+          <div className="llm-routing__empty">No profiles yet. Add one below.</div>
+        ) : (
+          profiles.map((profile) => (
+            <div key={profile.id} className="llm-routing__profile">
+              <span className="llm-routing__profile-name">{profile.name}</span>
+              <span className="llm-routing__profile-model">{profile.provider} / {profile.model}</span>
+              <button
+                type="button"
+                className="llm-routing__icon-button"
+                onClick={() => handleDeleteProfile(profile)}
+                aria-label={`Delete profile ${profile.name}`}
+              >
+                ×
+              </button>
+            </div>
+          ))
+        )}
+      </div>
+
+      <div className="llm-routing__form" data-testid="llm-routing-profile-form">
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="llm-profile-name">Profile name</label>
+            <input
+              id="llm-profile-name"
+              type="text"
+              className="form-input"
+              placeholder="e.g. Fast, Strong, Local"
+              value={form.name}
+              onChange={(event) => updateForm('name', event.target.value)}
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="llm-profile-provider">Provider</label>
+            <select
+              id="llm-profile-provider"
+              className="form-select"
+              value={form.provider}
+              onChange={(event) => handleProviderChange(event.target.value)}
+            >
+              {PROVIDERS.map((provider) => (
+                <option key={provider.id} value={provider.id}>{provider.name}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="llm-profile-model">Model</label>
+            <input
+              id="llm-profile-model"
+              type="text"
+              className="form-input"
+              list="llm-profile-models"
+              placeholder={formProvider.models[0]}
+              value={form.model}
+              onChange={(event) => updateForm('model', event.target.value)}
+            />
+            <datalist id="llm-profile-models">
+              {formProvider.models.map((model) => <option key={model} value={model} />)}
+            </datalist>
+          </div>
+          <div className="form-group">
+            <label htmlFor="llm-profile-url">API URL</label>
+            <input
+              id="llm-profile-url"
+              type="text"
+              className="form-input"
+              placeholder={formProvider.apiUrl || 'https://your-api-endpoint.com/v1'}
+              value={form.apiUrl}
+              onChange={(event) => updateForm('apiUrl', event.target.value)}
+            />
+          </div>
+        </div>
+        {needsApiKey && (
+          <div className="form-group">
+            <label htmlFor="llm-profile-key">API Key</label>
+            <input
+              id="llm-profile-key"
+              type="password"
+              className="form-input"
+              autoComplete="new-password"
+              value={form.apiKey}
+              onChange={(event) => updateForm('apiKey', event.target.value)}
+            />
+          </div>
+        )}
+        <div className="action-buttons">
+          <button
+            type="button"
+            className="git-settings-button secondary"
+            onClick={handleAddProfile}
+            disabled={!canSaveProfile || isSavingProfile}
+          >
+            {isSavingProfile ? 'Testing…' : 'Test & add profile'}
+          </button>
+        </div>
+      </div>
+
+      <div className="llm-routing__table" data-testid="llm-routing-table">
+        {roles.map((role) => {
+          const chain = routes[role] || [];
+          const available = profiles.filter((profile) => !chain.includes(profile.id));
+          const details = ROLE_DETAILS[role] || { label: role, hint: '' };
+          return (
+            <div key={role} className="llm-routing__row" data-testid={`llm-route-${role}`}>
+              <div className="llm-routing__role">
+                <span className="llm-routing__role-label">{details.label}</span>
+                <span className="form-help">{details.hint}</span>
+              </div>
+              <div className="llm-routing__chain">
+                {chain.length === 0 && <span className="llm-routing__default">Default configuration</span>}
+                {chain.map((profileId, index) => (
+                  <span key={profileId} className="llm-routing__chip">
+                    <span className="llm-routing__chip-order">{index + 1}</span>
+                    {profilesById.get(profileId)?.name || `#${profileId}`}
+                    <button
+                      type="button"
+                      className="llm-routing__icon-button"
+                      onClick={() => moveProfile(role, index, -1)}
+                      disabled={index === 0}
+                      aria-label={`Move ${role} profile ${index + 1} up`}
+                    >
+                      ↑
+                    </button>
+                    <button
+                      type="button"
+                      className="llm-routing__icon-button"
+                      onClick={() => updateRoute(role, (ids) => ids.filter((id) => id !== profileId))}
+                      aria-label={`Remove ${role} profile ${index + 1}`}
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+                {available.length > 0 && (
+                  <select
+                    className="form-select llm-routing__add"
+                    value=""
+                    aria-label={`Add profile to ${details.label}`}
+                    onChange={(event) => {
+                      const profileId = Number(event.target.value);
+                      updateRoute(role, (ids) => [...ids, profileId]);
+                    }}
+                  >
+                    <option value="">{chain.length ? '+ Fallback…' : '+ Profile…'}</option>
+                    {available.map((profile) => (
+                      <option key={profile.id} value={profile.id}>{profile.name}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="action-buttons">
+        <button
+          type="button"
+          className="git-settings-button primary"
+          onClick={handleSaveRoutes}
+          disabled={!isDirty || isSavingRoutes}
+        >
+          {isSavingRoutes ? 'Saving…' : 'Save routing'}
+        </button>
+      </div>
+    </section>
+  );
+};
+
+export default LLMRoutingEditor;
@@ -0,0 +1,303 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+
+const EMPTY_PRICE_FORM = { provider: '', model: '', input: '', output: '' };
+
+const toNumber = (value) => {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : 0;
+};
+
+export const formatUsd = (value) => {
+  const amount = toNumber(value);
+  // Sub-cent spend is common for cheap models; keep it visible instead of showing $0.00.
+  return amount > 0 && amount < 0.01 ? `$${amount.toFixed(4)}` : `$${amount.toFixed(2)}`;
+};
+
+export const formatTokens = (value) => toNumber(value).toLocaleString('en-US');
+
+const getErrorMessage = (error, fallback) => error?.response?.data?.error || error?.message || fallback;
+
+const SpendTable = ({ title, rows, getLabel, testId }) => (
+  <div className="llm-usage-table llm-spend-table">
+    <div className="llm-usage-table-header">
+      <span>{title}</span>
+      <span className="numeric">Requests</span>
+      <span className="numeric">Prompt</span>
+      <span className="numeric">Completion</span>
+      <span className="numeric">Cost</span>
+    </div>
+    {rows.length ? (
+      <div className="llm-usage-table-body" data-testid={testId}>
+        {rows.map((row) => (
+          <div key={getLabel(row)} className="llm-usage-table-row">
+            <span className="mono">{getLabel(row)}</span>
+            <span className="numeric">{toNumber(row.requests)}</span>
+            <span className="numeric">{formatTokens(row.prompt_tokens)}</span>
+            <span className="numeric">{formatTokens(row.completion_tokens)}</span>
+            <span className="numeric">{formatUsd(row.cost_usd)}</span>
+          </div>
+        ))}
+      </div>
+    ) : (
+      <div className="llm-usage-table-empty">No spend recorded yet.</div>
+    )}
+  </div>
+);
+
+const LLMSpendPanel = ({ projectId }) => {
+  const [usage, setUsage] = useState(null);
+  const [budget, setBudget] = useState(null);
+  const [budgetInput, setBudgetInput] = useState('');
+  const [prices, setPrices] = useState([]);
+  const [priceForm, setPriceForm] = useState(EMPTY_PRICE_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const applyBudget = (nextBudget) => {
+    setBudget(nextBudget || null);
+    setBudgetInput(nextBudget?.budgetUsd != null ? String(nextBudget.budgetUsd) : '');
+  };
+
+  const loadSpend = useCallback(async () => {
+    try {
+      const [usageResponse, pricesResponse] = await Promise.all([
+        axios.get('/api/llm/usage', { params: { projectId } }),
+        axios.get('/api/llm/prices')
+      ]);
+      setUsage(usageResponse.data?.usage || null);
+      applyBudget(usageResponse.data?.budget);
+      setPrices(Array.isArray(pricesResponse.data?.prices) ? pricesResponse.data.prices : []);
+      setError('');
+    } catch (loadError) {
+      setError(getErrorMessage(loadError, 'Failed to load LLM spend'));
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    loadSpend();
+  }, [loadSpend]);
+
+  const saveBudget = async (budgetUsd) => {
+    setIsSaving(true);
+    setError('');
+    try {
+      const response = await axios.put(`/api/llm/budgets/${projectId}`, { budgetUsd });
+      applyBudget(response.data?.budget);
+    } catch (saveError) {
+      setError(getErrorMessage(saveError, 'Failed to save LLM budget'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSaveBudget = (event) => {
+    event.preventDefault();
+    const trimmed = budgetInput.trim();
+    saveBudget(trimmed ? Number(trimmed) : null);
+  };
+
+  const handleSavePrice = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    setError('');
+    try {
+      const response = await axios.put('/api/llm/prices', {
+        provider: priceForm.provider.trim(),
+        model: priceForm.model.trim(),
+        input: Number(priceForm.input),
+        output: Number(priceForm.output)
+      });
+      setPrices(response.data?.prices || []);
+      setPriceForm(EMPTY_PRICE_FORM);
+    } catch (saveError) {
+      setError(getErrorMessage(saveError, 'Failed to save LLM price'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDeletePrice = async (price) => {
+    setError('');
+    try {
+      const response = await axios.delete('/api/llm/prices', {
+        params: { provider: price.provider, model: price.model }
+      });
+      setPrices(response.data?.prices || []);
+    } catch (deleteError) {
+      setError(getErrorMessage(deleteError, 'Failed to delete LLM price'));
+    }
+  };
+
+  const updatePriceForm = (field, value) => {
+    setPriceForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const totals = usage?.totals || {};
+  const customPrices = prices.filter((price) => price.source === 'custom');
+  const canSavePrice = Boolean(
+    priceForm.provider.trim() && priceForm.model.trim() && priceForm.input !== '' && priceForm.output !== ''
+  );
+
+  return (
+    <section className="llm-spend" data-testid="llm-spend-panel">
+      <div className="llm-usage-header">
+        <div>
+          <h2>Spend</h2>
+          <div className="llm-usage-subtitle">
+            Tokens and estimated cost for this project, using the price table below.
+          </div>
+        </div>
+        <div className="llm-usage-controls">
+          <button type="button" className="llm-usage-btn" onClick={loadSpend} data-testid="llm-spend-refresh">
+            Refresh spend
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="llm-usage-error" role="alert">{error}</div>}
+
+      {budget?.exceeded && (
+        <div className="llm-usage-error" data-testid="llm-spend-exceeded">
+          Budget reached. Autopilot pauses and asks before spending more.
+        </div>
+      )}
+
+      <div className="llm-usage-summary llm-spend-summary">
+        <div className="llm-usage-card">
+          <div className="llm-usage-card-title">Spent</div>
+          <div className="llm-usage-card-value" data-testid="llm-spend-cost">{formatUsd(totals.cost_usd)}</div>
+          <div className="llm-usage-card-note">
+            {toNumber(totals.estimated_requests)} estimated, {toNumber(totals.unpriced_requests)} unpriced
+          </div>
+        </div>
+        <div className="llm-usage-card">
+          <div className="llm-usage-card-title">Tokens</div>
+          <div className="llm-usage-card-value" data-testid="llm-spend-tokens">
+            {formatTokens(toNumber(totals.prompt_tokens) + toNumber(totals.completion_tokens))}
+          </div>
+          <div className="llm-usage-card-note">
+            {formatTokens(totals.prompt_tokens)} prompt / {formatTokens(totals.completion_tokens)} completion
+          </div>
+        </div>
+        <div className="llm-usage-card">
+          <div className="llm-usage-card-title">Budget</div>
+          <div className="llm-usage-card-value" data-testid="llm-spend-budget">
+            {budget?.budgetUsd != null ? formatUsd(budget.budgetUsd) : 'None'}
+          </div>
+          <div className="llm-usage-card-note">
+            {budget?.budgetUsd != null ? `${formatUsd(budget.remainingUsd)} remaining` : 'No hard limit'}
+          </div>
+        </div>
+      </div>
+
+      <form className="llm-spend-form" onSubmit={handleSaveBudget} data-testid="llm-spend-budget-form">
+        <label htmlFor="llm-spend-budget-input">Project budget (USD)</label>
+        <input
+          id="llm-spend-budget-input"
+          className="llm-usage-filter"
+          type="number"
+          min="0"
+          step="0.01"
+          placeholder="No limit"
+          value={budgetInput}
+          onChange={(event) => setBudgetInput(event.target.value)}
+        />
+        <button type="submit" className="llm-usage-btn" disabled={isSaving}>Save budget</button>
+        {budget?.budgetUsd != null && (
+          <button type="button" className="llm-usage-btn destructive" onClick={() => saveBudget(null)} disabled={isSaving}>
+            Remove limit
+          </button>
+        )}
+      </form>
+
+      <SpendTable
+        title="Goal"
+        rows={usage?.byGoal || []}
+        getLabel={(row) => `#${row.goal_id}`}
+        testId="llm-spend-goals"
+      />
+      <SpendTable
+        title="Autopilot session"
+        rows={usage?.bySession || []}
+        getLabel={(row) => row.session_id}
+        testId="llm-spend-sessions"
+      />
+      <SpendTable
+        title="Model"
+        rows={usage?.byModel || []}
+        getLabel={(row) => `${row.provider} / ${row.model}`}
+        testId="llm-spend-models"
+      />
+
+      <div className="llm-usage-table llm-spend-prices" data-testid="llm-spend-prices">
+        <div className="llm-usage-table-header">
+          <span>Price override</span>
+          <span className="numeric">Input / 1M</span>
+          <span className="numeric">Output / 1M</span>
+          <span />
+        </div>
+        {customPrices.map((price) => (
+          <div key={`${price.provider}/${price.model}`} className="llm-usage-table-row">
+            <span className="mono">{price.provider} / {price.model}</span>
+            <span className="numeric">{formatUsd(price.input)}</span>
+            <span className="numeric">{formatUsd(price.output)}</span>
+            <button
+              type="button"
+              className="llm-usage-btn"
+              onClick={() => handleDeletePrice(price)}
+              aria-label={`Remove price override ${price.provider} / ${price.model}`}
+            >
+              ×
+            </button>
+          </div>
+        ))}
+        <form
+          className="llm-usage-table-row llm-spend-price-form"
+          onSubmit={handleSavePrice}
+          data-testid="llm-spend-price-form"
+        >
+          <span className="llm-spend-price-model">
+            <input
+              className="llm-usage-filter"
+              aria-label="Price provider"
+              placeholder="provider"
+              value={priceForm.provider}
+              onChange={(event) => updatePriceForm('provider', event.target.value)}
+            />
+            <input
+              className="llm-usage-filter"
+              aria-label="Price model"
+              placeholder="model"
+              value={priceForm.model}
+              onChange={(event) => updatePriceForm('model', event.target.value)}
+            />
+          </span>
+          <input
+            className="llm-usage-filter"
+            type="number"
+            min="0"
+            step="0.01"
+            aria-label="Input price per million tokens"
+            value={priceForm.input}
+            onChange={(event) => updatePriceForm('input', event.target.value)}
+          />
+          <input
+            className="llm-usage-filter"
+            type="number"
+            min="0"
+            step="0.01"
+            aria-label="Output price per million tokens"
+            value={priceForm.output}
+            onChange={(event) => updatePriceForm('output', event.target.value)}
+          />
+          <button type="submit" className="llm-usage-btn" disabled={!canSavePrice || isSaving}>
+            Save price
+          </button>
+        </form>
+      </div>
+    </section>
+  );
+};
+
+export default LLMSpendPanel;
@@ -1,5 +1,6 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import RunsTab from './RunsTab';
+import LLMSpendPanel from './LLMSpendPanel';
 import './LLMUsageTab.css';
 
 const DEFAULT_REFRESH_MS = 2000;
@@ -30,6 +31,37 @@ const parsePhaseTypeCounters = (counters) => {
     .sort((a, b) => b.count - a.count);
 };
 
+const ROLE_KIND_COLUMNS = {
+  requested: 'requested',
+  outbound: 'outbound',
+  profile_error: 'profileErrors'
+};
+
+// Collapses `kind_role:<kind>::<role>` counters into one row per role.
+const parseRoleCounters = (counters) => {
+  if (!counters || typeof counters !== 'object') {
+    return [];
+  }
+
+  const rows = new Map();
+  Object.entries(counters).forEach(([key, count]) => {
+    if (!key.startsWith('kind_role:')) {
+      return;
+    }
+    const [kind, role] = key.slice('kind_role:'.length).split('::');
+    const column = ROLE_KIND_COLUMNS[kind];
+    if (!column) {
+      return;
+    }
+    const roleName = role || 'unknown';
+    const row = rows.get(roleName) || { role: roleName, requested: 0, outbound: 0, profileErrors: 0 };
+    row[column] += toNumber(count);
+    rows.set(roleName, row);
+  });
+
+  return Array.from(rows.values()).sort((a, b) => b.requested - a.requested);
+};
+
 const getKindCount = (counters, kind) => toNumber(counters?.[`kind:${kind}`]);
 
 const LLMUsageTab = ({ project }) => {
@@ -174,6 +206,8 @@ const LLMUsageTab = ({ project }) => {
     );
   }, [counters, filterText]);
 
+  const roleRows = useMemo(() => parseRoleCounters(counters), [counters]);
+
   const startedAt = metrics?.startedAt;
   const now = metrics?.now;
 
@@ -324,6 +358,33 @@ const LLMUsageTab = ({ project }) => {
               </div>
             )}
           </div>
+
+          <div className="llm-usage-table llm-usage-role-table">
+            <div className="llm-usage-table-header">
+              <span>Role</span>
+              <span className="numeric">Requested</span>
+              <span className="numeric">Outbound</span>
+              <span className="numeric">Profile errors</span>
+            </div>
+            {roleRows.length ? (
+              <div className="llm-usage-table-body" data-testid="llm-usage-role-table">
+                {roleRows.map((row) => (
+                  <div key={row.role} className="llm-usage-table-row">
+                    <span className="mono">{row.role}</span>
+                    <span className="numeric">{row.requested}</span>
+                    <span className="numeric">{row.outbound}</span>
+                    <span className="numeric">{row.profileErrors}</span>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="llm-usage-table-empty" data-testid="llm-usage-role-empty">
+                No role metrics yet.
+              </div>
+            )}
+          </div>
+
+          {project?.id && <LLMSpendPanel projectId={project.id} />}
         </div>
       ) : (
         <div className="llm-usage-panel llm-usage-panel-runs">
@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import './LoginScreen.css';
+
+const MODES = {
+  signIn: {
+    intro: 'Sign in with the account an admin created for you.',
+    submit: 'Sign in',
+    pending: 'Signing in…',
+    passwordAutoComplete: 'current-password'
+  },
+  bootstrap: {
+    intro: 'Create the first account. It becomes the admin, owns every existing project, and from then on everyone signs in.',
+    submit: 'Create admin account',
+    pending: 'Creating account…',
+    passwordAutoComplete: 'new-password'
+  }
+};
+
+const LoginScreen = ({ mode = 'signIn', onSubmit, onCancel }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const copy = MODES[mode];
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError(null);
+    setIsSubmitting(true);
+    try {
+      await onSubmit({ username: username.trim(), password });
+    } catch (submitError) {
+      setError(submitError.message);
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="login-screen" data-testid="login-screen" data-mode={mode}>
+      <form className="login-panel" onSubmit={handleSubmit}>
+        <h1 className="login-title">Lucid Coder</h1>
+        <p className="login-intro">{copy.intro}</p>
+
+        <label className="login-field">
+          <span>Username</span>
+          <input
+            type="text"
+            value={username}
+            onChange={(event) => setUsername(event.target.value)}
+            autoComplete="username"
+            autoFocus
+            required
+            data-testid="login-username"
+          />
+        </label>
+
+        <label className="login-field">
+          <span>Password</span>
+          <input
+            type="password"
+            value={password}
+            onChange={(event) => setPassword(event.target.value)}
+            autoComplete={copy.passwordAutoComplete}
+            required
+            data-testid="login-password"
+          />
+        </label>
+
+        {error && (
+          <div className="login-error" role="alert" data-testid="login-error">
+            {error}
+          </div>
+        )}
+
+        <button type="submit" className="login-submit" disabled={isSubmitting} data-testid="login-submit">
+          {isSubmitting ? copy.pending : copy.submit}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            className="login-cancel"
+            onClick={onCancel}
+            disabled={isSubmitting}
+            data-testid="login-cancel"
+          >
+            Cancel
+          </button>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default LoginScreen;
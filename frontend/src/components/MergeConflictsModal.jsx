@@ -0,0 +1,406 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import Editor from '@monaco-editor/react';
+import SettingsModal from './SettingsModal';
+import { getLanguageFromFile } from './filesTab/editorUtils';
+import './MergeConflictsModal.css';
+
+const SIDES = [
+  { key: 'ours', label: 'Ours' },
+  { key: 'base', label: 'Base' },
+  { key: 'theirs', label: 'Theirs' }
+];
+
+const HUNK_CHOICES = [
+  { choice: 'ours', label: 'Accept ours' },
+  { choice: 'theirs', label: 'Accept theirs' },
+  { choice: 'both', label: 'Keep both' }
+];
+
+const SIDE_OPTIONS = {
+  readOnly: true,
+  minimap: { enabled: false },
+  fontSize: 12,
+  lineNumbers: 'on',
+  scrollBeyondLastLine: false,
+  automaticLayout: true,
+  wordWrap: 'on'
+};
+
+const RESULT_OPTIONS = { ...SIDE_OPTIONS, readOnly: false, fontSize: 13 };
+
+const firstUnresolvedPath = (conflicts) => {
+  const files = Array.isArray(conflicts?.files) ? conflicts.files : [];
+  return (files.find((file) => !file.resolved) || files[0])?.path || null;
+};
+
+const describeOperation = (conflicts) => {
+  const labels = conflicts?.labels || {};
+  if (conflicts?.operation === 'rebase') {
+    return `Pulling ${labels.ours || 'the remote branch'} stopped on conflicting changes. Closing keeps the pull in progress.`;
+  }
+  return `Merging ${labels.theirs || 'the branch'} into ${labels.ours || 'main'} stopped on conflicting changes. Closing keeps the merge in progress.`;
+};
+
+const conflictsUrl = (projectId, suffix = '') => `/api/projects/${projectId}/git/conflicts${suffix}`;
+
+const MergeConflictsModal = ({
+  projectId,
+  conflicts: initialConflicts,
+  theme = 'dark',
+  onClose,
+  onCompleted,
+  onAborted
+}) => {
+  const [summary, setSummary] = useState(initialConflicts);
+  const [selectedPath, setSelectedPath] = useState(() => firstUnresolvedPath(initialConflicts));
+  const [file, setFile] = useState(null);
+  const [draft, setDraft] = useState('');
+  const [proposals, setProposals] = useState({});
+  const [busyAction, setBusyAction] = useState(null);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const files = Array.isArray(summary?.files) ? summary.files : [];
+  const unresolvedCount = files.filter((entry) => !entry.resolved).length;
+  const labels = summary?.labels || {};
+  const isBusy = Boolean(busyAction);
+  const editorTheme = theme === 'light' ? 'vs-light' : 'vs-dark';
+  const language = getLanguageFromFile(selectedPath ? { name: selectedPath.split('/').pop() } : null);
+  const operationNoun = summary?.operation === 'rebase' ? 'pull' : 'merge';
+  const proposal = selectedPath ? proposals[selectedPath] : undefined;
+
+  useEffect(() => {
+    let cancelled = false;
+    // The summary passed in may be stale when the modal is reopened.
+    axios.get(conflictsUrl(projectId))
+      .then((response) => {
+        if (!cancelled && response.data.conflicts?.inProgress) {
+          setSummary(response.data.conflicts);
+        }
+      })
+      .catch(() => null);
+
+    return () => {
+      cancelled = true;
+    };
+  }, [projectId]);
+
+  useEffect(() => {
+    if (!selectedPath) {
+      setFile(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    axios.get(conflictsUrl(projectId, '/file'), { params: { path: selectedPath } })
+      .then((response) => {
+        if (!cancelled) {
+          setFile(response.data.file);
+          setDraft(response.data.file?.content || '');
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setError(err?.response?.data?.error || 'Failed to load conflicted file');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [projectId, selectedPath]);
+
+  const runAction = async (action, request, fallbackMessage) => {
+    setBusyAction(action);
+    setError(null);
+    setNotice(null);
+    let result = null;
+    try {
+      const response = await request();
+      result = response.data;
+    } catch (err) {
+      const data = err?.response?.data;
+      setError(data?.error || fallbackMessage);
+      if (data?.conflicts) {
+        setSummary(data.conflicts);
+      }
+    }
+    setBusyAction(null);
+    return result;
+  };
+
+  const applyFileResult = (data) => {
+    if (!data) {
+      return;
+    }
+    setFile(data.file);
+    setDraft(data.file?.content || '');
+    if (data.conflicts) {
+      setSummary(data.conflicts);
+    }
+  };
+
+  const handleChoice = async (hunkIndex, choice) => {
+    const data = await runAction(
+      `hunk-${hunkIndex}-${choice}`,
+      () => axios.post(conflictsUrl(projectId, '/hunk'), { path: selectedPath, hunkIndex, choice }),
+      'Failed to resolve conflict'
+    );
+    applyFileResult(data);
+  };
+
+  const handleSave = async () => {
+    const data = await runAction(
+      'save',
+      () => axios.put(conflictsUrl(projectId, '/file'), { path: selectedPath, content: draft }),
+      'Failed to save conflict resolution'
+    );
+    applyFileResult(data);
+  };
+
+  const handleAskAgent = async () => {
+    const data = await runAction(
+      'agent',
+      () => axios.post(conflictsUrl(projectId, '/agent')),
+      'Failed to resolve conflicts with the agent'
+    );
+    if (!data) {
+      return;
+    }
+    setSummary(data.conflicts);
+    setProposals((current) => data.proposals.reduce(
+      (next, entry) => ({ ...next, [entry.path]: entry.content }),
+      current
+    ));
+    setNotice(`The agent proposed resolutions for ${data.proposals.length} file(s). Review and accept them before completing.`);
+    if (data.failed.length) {
+      setError(data.failed.map((entry) => `${entry.path}: ${entry.error}`).join('\n'));
+    }
+  };
+
+  const dropProposal = (filePath) => {
+    setProposals((current) => {
+      const { [filePath]: _dropped, ...rest } = current;
+      return rest;
+    });
+  };
+
+  // Proposals are only written and staged once the user accepts them.
+  const handleAcceptProposal = async () => {
+    const data = await runAction(
+      'accept-proposal',
+      () => axios.put(conflictsUrl(projectId, '/file'), { path: selectedPath, content: proposal }),
+      'Failed to save the proposed resolution'
+    );
+    if (data) {
+      dropProposal(selectedPath);
+      applyFileResult(data);
+    }
+  };
+
+  const handleComplete = async () => {
+    const data = await runAction(
+      'complete',
+      () => axios.post(conflictsUrl(projectId, '/complete')),
+      `Failed to complete ${operationNoun}`
+    );
+    if (data) {
+      onCompleted?.(data);
+    }
+  };
+
+  const handleAbort = async () => {
+    const data = await runAction(
+      'abort',
+      () => axios.post(conflictsUrl(projectId, '/abort')),
+      `Failed to abort ${operationNoun}`
+    );
+    if (data) {
+      onAborted?.(data);
+    }
+  };
+
+  return (
+    <SettingsModal
+      isOpen
+      onClose={onClose}
+      title="Resolve merge conflicts"
+      subtitle={describeOperation(summary)}
+      testId="merge-conflicts-modal"
+      closeTestId="merge-conflicts-close"
+      titleId="merge-conflicts-title"
+      panelClassName="merge-conflicts-panel"
+      bodyClassName="merge-conflicts-body"
+      closeLabel="Close merge conflicts"
+    >
+      <div className="merge-conflicts-layout">
+        <ul className="merge-conflicts-files" data-testid="merge-conflicts-files">
+          {files.map((entry) => (
+            <li key={entry.path}>
+              <button
+                type="button"
+                className={`merge-conflicts-file${entry.path === selectedPath ? ' is-selected' : ''}`}
+                onClick={() => setSelectedPath(entry.path)}
+                data-testid={`merge-conflicts-file-${entry.path}`}
+              >
+                <span className="merge-conflicts-file-path">{entry.path}</span>
+                <span className={`merge-conflicts-badge${entry.resolved ? ' is-resolved' : ''}`}>
+                  {entry.resolved ? 'Resolved' : 'Conflicted'}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        <div className="merge-conflicts-main">
+          {file ? (
+            <>
+              <div className="merge-conflicts-sides">
+                {SIDES.map(({ key, label }) => (
+                  <div className="merge-conflicts-side" key={key} data-testid={`merge-conflicts-side-${key}`}>
+                    <p className="merge-conflicts-label">{label}: {labels[key]}</p>
+                    {typeof file[key] === 'string' ? (
+                      <Editor
+                        height="200px"
+                        language={language}
+                        value={file[key]}
+                        theme={editorTheme}
+                        options={SIDE_OPTIONS}
+                      />
+                    ) : (
+                      <div className="merge-conflicts-missing">Not present on this side</div>
+                    )}
+                  </div>
+                ))}
+              </div>
+
+              <div className="merge-conflicts-hunks">
+                {file.hunks.map((hunk) => (
+                  <div className="merge-conflicts-hunk" key={hunk.index} data-testid={`merge-conflicts-hunk-${hunk.index}`}>
+                    <span>Conflict {hunk.index + 1} (line {hunk.startLine})</span>
+                    {HUNK_CHOICES.map(({ choice, label }) => (
+                      <button
+                        type="button"
+                        key={choice}
+                        className="merge-conflicts-button"
+                        onClick={() => handleChoice(hunk.index, choice)}
+                        disabled={isBusy}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                ))}
+                {!file.hunks.length && !file.resolved && (
+                  <div className="merge-conflicts-hunk" data-testid="merge-conflicts-whole-file">
+                    <span>This file has no conflict markers; keep one side.</span>
+                    <button type="button" className="merge-conflicts-button" onClick={() => handleChoice(null, 'ours')} disabled={isBusy}>
+                      Use ours
+                    </button>
+                    <button type="button" className="merge-conflicts-button" onClick={() => handleChoice(null, 'theirs')} disabled={isBusy}>
+                      Use theirs
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              {typeof proposal === 'string' && (
+                <div className="merge-conflicts-result" data-testid="merge-conflicts-proposal">
+                  <p className="merge-conflicts-label">Agent proposal</p>
+                  <Editor
+                    height="260px"
+                    language={language}
+                    value={proposal}
+                    theme={editorTheme}
+                    options={SIDE_OPTIONS}
+                  />
+                  <div className="merge-conflicts-actions">
+                    <button
+                      type="button"
+                      className="merge-conflicts-button"
+                      onClick={() => dropProposal(selectedPath)}
+                      disabled={isBusy}
+                      data-testid="merge-conflicts-proposal-discard"
+                    >
+                      Discard proposal
+                    </button>
+                    <button
+                      type="button"
+                      className="merge-conflicts-button merge-conflicts-button--primary"
+                      onClick={handleAcceptProposal}
+                      disabled={isBusy}
+                      data-testid="merge-conflicts-proposal-accept"
+                    >
+                      {busyAction === 'accept-proposal' ? 'Saving…' : 'Accept proposal'}
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              <div className="merge-conflicts-result" data-testid="merge-conflicts-result">
+                <p className="merge-conflicts-label">Result</p>
+                <Editor
+                  height="260px"
+                  language={language}
+                  value={draft}
+                  onChange={(value) => setDraft(value ?? '')}
+                  theme={editorTheme}
+                  options={RESULT_OPTIONS}
+                />
+                <div className="merge-conflicts-actions">
+                  <button
+                    type="button"
+                    className="merge-conflicts-button"
+                    onClick={handleSave}
+                    disabled={isBusy}
+                    data-testid="merge-conflicts-save"
+                  >
+                    {busyAction === 'save' ? 'Saving…' : 'Save result'}
+                  </button>
+                </div>
+              </div>
+            </>
+          ) : (
+            <div className="merge-conflicts-placeholder">Select a file to resolve.</div>
+          )}
+        </div>
+      </div>
+
+      {error && <div className="merge-conflicts-error" role="alert" data-testid="merge-conflicts-error">{error}</div>}
+      {notice && <div className="merge-conflicts-notice" data-testid="merge-conflicts-notice">{notice}</div>}
+
+      <div className="merge-conflicts-actions">
+        <button
+          type="button"
+          className="merge-conflicts-button"
+          onClick={handleAbort}
+          disabled={isBusy}
+          data-testid="merge-conflicts-abort"
+        >
+          {busyAction === 'abort' ? 'Aborting…' : `Abort ${operationNoun}`}
+        </button>
+        <button
+          type="button"
+          className="merge-conflicts-button"
+          onClick={handleAskAgent}
+          disabled={isBusy || unresolvedCount === 0}
+          data-testid="merge-conflicts-agent"
+        >
+          {busyAction === 'agent' ? 'Asking agent…' : 'Ask agent to resolve'}
+        </button>
+        <button
+          type="button"
+          className="merge-conflicts-button merge-conflicts-button--primary"
+          onClick={handleComplete}
+          disabled={isBusy || unresolvedCount > 0}
+          data-testid="merge-conflicts-complete"
+        >
+          {busyAction === 'complete' ? 'Running tests…' : `Run tests & complete ${operationNoun}`}
+        </button>
+      </div>
+    </SettingsModal>
+  );
+};
+
+export default MergeConflictsModal;
@@ -1,5 +1,6 @@
 import React, { useEffect, useState } from 'react';
 import { useAppState } from '../context/AppStateContext';
+import { useAuth } from '../context/AuthContext';
 import Dropdown, { DropdownItem, DropdownDivider, DropdownLabel } from './Dropdown';
 import sunIcon from '../assets/icon-theme-sun.svg';
 import moonIcon from '../assets/icon-theme-moon.svg';
@@ -39,6 +40,7 @@ const Navigation = ({ versionLabel = null }) => {
     updateTestingSettings,
     projectShutdownState
   } = useAppState();
+  const { authRequired, user, signOut, startBootstrap } = useAuth();
   const [isGitSettingsOpen, setGitSettingsOpen] = useState(false);
   const [isPortSettingsOpen, setPortSettingsOpen] = useState(false);
   const [isTestingSettingsOpen, setTestingSettingsOpen] = useState(false);
@@ -315,6 +317,28 @@ const Navigation = ({ versionLabel = null }) => {
             className="theme-toggle-icon"
           />
         </button>
+        {user && (
+          <button
+            type="button"
+            className="logout-btn"
+            onClick={signOut}
+            title={`Signed in as ${user.username}`}
+            data-testid="nav-sign-out"
+          >
+            Sign out
+          </button>
+        )}
+        {!authRequired && (
+          <button
+            type="button"
+            className="logout-btn"
+            onClick={startBootstrap}
+            title="Create the first account; afterwards everyone signs in"
+            data-testid="nav-create-admin"
+          >
+            Create admin account
+          </button>
+        )}
       </div>
 
       <GitSettingsModal
@@ -1,6 +1,8 @@
 import React, { useRef, useState, useCallback, useEffect } from 'react';
 import { useAppState } from '../context/AppStateContext';
 import { startAgentUiBridge } from '../utils/agentUiBridge';
+import { buildPreviewCheckUrl, runPreviewElementCheck } from '../utils/previewElementCheck';
+import { reportPreviewElementCheck } from '../utils/goalsApi';
 import PreviewTab from './PreviewTab';
 import GoalsTab from './GoalsTab';
 import FilesTab from './FilesTab';
@@ -11,6 +13,7 @@ import GitTab from './GitTab';
 import ProcessesTab from './ProcessesTab';
 import PackageTab from './PackageTab';
 import LLMUsageTab from './LLMUsageTab';
+import ProjectMemoryTab from './ProjectMemoryTab';
 import AssetsTab from './AssetsTab';
 import './PreviewPanel.css';
 
@@ -73,7 +76,8 @@ const PreviewPanel = () => {
     'git',
     'processes',
     'packages',
-    'llm-usage'
+    'llm-usage',
+    'memory'
   ]));
   const safeActiveTab = validTabsRef.current.has(activeTab) ? activeTab : 'preview';
   const followAutomation =
@@ -306,6 +310,24 @@ const PreviewPanel = () => {
     previewRef.current.reloadPreview();
   }, [isPreviewActive]);
 
+  const checkPreviewElement = async (projectId, payload) => {
+    const { checkId, selector, path } = payload || {};
+    if (!checkId || typeof selector !== 'string' || !selector) {
+      return;
+    }
+
+    const url = buildPreviewCheckUrl(previewRef.current.getPreviewUrl(), path);
+    const result = url
+      ? await runPreviewElementCheck({ url, selector })
+      : { error: 'The preview is not available in this window' };
+
+    try {
+      await reportPreviewElementCheck(checkId, { projectId, ...result });
+    } catch {
+      // Another open window may have answered first.
+    }
+  };
+
   useEffect(() => {
     const projectId = currentProject?.id;
     if (!projectId || typeof window === 'undefined') {
@@ -342,6 +364,13 @@ const PreviewPanel = () => {
         };
       },
       executeCommand: (command) => {
+        // Acceptance checks run in a hidden frame, so they do not depend on the user following
+        // automation.
+        if (command?.type === 'PREVIEW_CHECK_ELEMENT') {
+          checkPreviewElement(projectId, command.payload);
+          return;
+        }
+
         if (!followAutomationRef.current) {
           return;
         }
@@ -363,7 +392,8 @@ const PreviewPanel = () => {
             tests: 'test',
             branches: 'branch',
             'llm usage': 'llm-usage',
-            llmusage: 'llm-usage'
+            llmusage: 'llm-usage',
+            'project memory': 'memory'
           };
 
           return tabAliases[lower] || lower;
@@ -638,6 +668,8 @@ const PreviewPanel = () => {
         );
       case 'llm-usage':
         return <LLMUsageTab project={currentProject} />;
+      case 'memory':
+        return <ProjectMemoryTab project={currentProject} />;
     }
   };
 
@@ -736,6 +768,13 @@ const PreviewPanel = () => {
           >
             Processes
           </button>
+          <button
+            data-testid="memory-tab"
+            className={`tab ${activeTab === 'memory' ? 'active' : ''}`}
+            onClick={() => setActiveTab('memory', { source: 'user' })}
+          >
+            Memory
+          </button>
         </div>
 
         <div className="preview-actions">
@@ -7,6 +7,16 @@ import {
 } from './preview-tab/originUtils';
 import PreviewErrorView from './preview-tab/PreviewErrorView';
 import PreviewLoadingOverlay from './preview-tab/PreviewLoadingOverlay';
+import PreviewRuntimeErrorsDrawer from './preview-tab/PreviewRuntimeErrorsDrawer';
+import {
+  PREVIEW_RUNTIME_ERROR_MESSAGE_TYPE,
+  appendPreviewRuntimeError,
+  buildRuntimeErrorsFixPrompt,
+  clearReportedPreviewRuntimeErrors,
+  describePreviewRuntimeErrorKind,
+  normalizePreviewRuntimeError,
+  reportPreviewRuntimeError
+} from './preview-tab/runtimeErrors';
 import { setAssistantElementContextPath } from '../utils/assistantElementContext';
 import './PreviewTab.css';
 
@@ -70,6 +80,8 @@ const PreviewTab = forwardRef(
   const [previewUrlOverride, setPreviewUrlOverride] = useState(null);
   const [isLoadingOverlayVisible, setIsLoadingOverlayVisible] = useState(true);
   const [isLoadingOverlayFading, setIsLoadingOverlayFading] = useState(false);
+  const [runtimeErrors, setRuntimeErrors] = useState([]);
+  const [isRuntimeErrorsOpen, setIsRuntimeErrorsOpen] = useState(false);
 
   // ── Timers ───────────────────────────────────────────────────────────
   const loadTimeoutRef = useRef(null);           // 8 s from iframe mount
@@ -385,6 +397,8 @@ const PreviewTab = forwardRef(
       autoRecoverAttemptRef.current = 0;
       setAutoRecoverState({ attempt: 0, mode: 'idle' });
       setAutoRecoverDisabled(false);
+      setRuntimeErrors([]);
+      setIsRuntimeErrorsOpen(false);
     }
   }, [project?.id]);
 
@@ -685,6 +699,18 @@ const PreviewTab = forwardRef(
         return;
       }
 
+      if (payload.type === PREVIEW_RUNTIME_ERROR_MESSAGE_TYPE) {
+        const entry = normalizePreviewRuntimeError(payload);
+        if (!entry) {
+          return;
+        }
+        setRuntimeErrors((prev) => appendPreviewRuntimeError(prev, entry));
+        if (project?.id) {
+          reportPreviewRuntimeError(project.id, entry);
+        }
+        return;
+      }
+
       if (payload.type === 'LUCIDCODER_PREVIEW_BRIDGE_POINTER') {
         setPreviewContextMenu(null);
         window.dispatchEvent(new Event('lucidcoder:close-dropdowns'));
@@ -749,7 +775,7 @@ const PreviewTab = forwardRef(
     return () => {
       window.removeEventListener('message', handleMessage);
     };
-  }, [getExpectedPreviewOrigin, onPreviewNavigated, scheduleReadyReveal]);
+  }, [getExpectedPreviewOrigin, onPreviewNavigated, project?.id, scheduleReadyReveal]);
 
   const renderContextMenu = () => {
     if (!previewContextMenu) {
@@ -1175,6 +1201,11 @@ const PreviewTab = forwardRef(
         .join('\n');
     };
 
+    const formatRuntimeErrors = () => runtimeErrors
+      .slice(-10)
+      .map((entry) => `- [${describePreviewRuntimeErrorKind(entry)}] ${entry.message}`)
+      .join('\n');
+
     const detailsTitle = previewFailureDetails?.title || (previewPhase === 'error' ? 'Failed to load preview' : 'Preview issue');
     const detailsMessage = previewFailureDetails?.message || '';
     const expected = previewUrlRef.current || previewUrl;
@@ -1198,6 +1229,9 @@ const PreviewTab = forwardRef(
       `Backend logs (tail):`,
       formatLogs(backend) || '(no logs)',
       '',
+      `Runtime errors captured from the preview:`,
+      formatRuntimeErrors() || '(none)',
+      '',
       `Please diagnose why the preview proxy returns 502/Bad Gateway (or why the dev server is unreachable), and suggest a fix.`
     ].join('\n');
   };
@@ -1214,6 +1248,25 @@ const PreviewTab = forwardRef(
     }
   };
 
+  const dispatchRuntimeErrorsFixGoal = () => {
+    if (typeof window === 'undefined' || typeof window.dispatchEvent !== 'function' || runtimeErrors.length === 0) {
+      return;
+    }
+    const prompt = buildRuntimeErrorsFixPrompt({ project, entries: runtimeErrors });
+    try {
+      window.dispatchEvent(new CustomEvent('lucidcoder:run-prompt', { detail: { prompt } }));
+    } catch {
+      // ignore
+    }
+  };
+
+  const clearRuntimeErrors = () => {
+    setRuntimeErrors([]);
+    if (project?.id) {
+      clearReportedPreviewRuntimeErrors(project.id);
+    }
+  };
+
   const applyHostnameOverride = (value) => {
     setHostnameOverride(value);
     reloadIframe();
@@ -1313,6 +1366,7 @@ const PreviewTab = forwardRef(
       resolveFrontendPort: chooseFrontendPort,
       applyHostnameOverride,
       getIframeKey: () => iframeKey,
+      getRuntimeErrorsForTests: () => runtimeErrors,
       setDisplayedUrlForTests: (url) => setDisplayedUrl(url),
       getDisplayedUrl: () => displayedUrlRef.current,
       setPreviewUrlOverride: (value) => setPreviewUrlOverride(value),
@@ -1715,6 +1769,23 @@ const PreviewTab = forwardRef(
         onBlur={handleUrlInputBlur}
       />
       <div className="preview-url-actions preview-url-actions-right">
+        <button
+          type="button"
+          className={`preview-nav-btn preview-nav-errors${runtimeErrors.length > 0 ? ' preview-nav-errors--active' : ''}`}
+          aria-label="Runtime errors"
+          aria-pressed={isRuntimeErrorsOpen}
+          onClick={() => setIsRuntimeErrorsOpen((open) => !open)}
+          disabled={!project}
+          tabIndex={!project ? -1 : 0}
+          data-testid="preview-runtime-errors-toggle"
+        >
+          <span className="preview-nav-icon preview-nav-icon--lowered">!</span>
+          {runtimeErrors.length > 0 ? (
+            <span className="preview-nav-badge" data-testid="preview-runtime-errors-count">
+              {runtimeErrors.length > 99 ? '99+' : runtimeErrors.length}
+            </span>
+          ) : null}
+        </button>
         <button
           type="button"
           className="preview-nav-btn preview-nav-refresh"
@@ -1759,6 +1830,14 @@ const PreviewTab = forwardRef(
       <div className="preview-canvas" ref={canvasRef}>
         {renderLoadingOverlay()}
         {renderContextMenu()}
+        {isRuntimeErrorsOpen ? (
+          <PreviewRuntimeErrorsDrawer
+            entries={runtimeErrors}
+            onClose={() => setIsRuntimeErrorsOpen(false)}
+            onClear={clearRuntimeErrors}
+            onAskAgent={dispatchRuntimeErrorsFixGoal}
+          />
+        ) : null}
         <iframe
           ref={iframeRef}
           data-testid="preview-iframe"
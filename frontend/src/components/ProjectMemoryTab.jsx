@@ -0,0 +1,314 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import './ProjectMemoryTab.css';
+
+export const MEMORY_KIND_LABELS = {
+  avoid: 'Avoid',
+  decision: 'Decision',
+  fact: 'Fact'
+};
+
+const PRIORITY_OPTIONS = [5, 4, 3, 2, 1];
+const EMPTY_FORM = { kind: 'fact', priority: 3, content: '' };
+
+const getErrorMessage = (error, fallback) => error?.response?.data?.error || error?.message || fallback;
+
+const KindAndPriorityFields = ({ values, onChange, idPrefix }) => (
+  <>
+    <select
+      className="project-memory-input"
+      value={values.kind}
+      onChange={(event) => onChange('kind', event.target.value)}
+      aria-label="Kind"
+      data-testid={`${idPrefix}-kind`}
+    >
+      {Object.entries(MEMORY_KIND_LABELS).map(([value, label]) => (
+        <option key={value} value={value}>{label}</option>
+      ))}
+    </select>
+    <select
+      className="project-memory-input"
+      value={values.priority}
+      onChange={(event) => onChange('priority', Number(event.target.value))}
+      aria-label="Priority"
+      data-testid={`${idPrefix}-priority`}
+    >
+      {PRIORITY_OPTIONS.map((priority) => (
+        <option key={priority} value={priority}>Priority {priority}</option>
+      ))}
+    </select>
+  </>
+);
+
+const ProjectMemoryTab = ({ project }) => {
+  const projectId = project?.id;
+  const baseUrl = `/api/projects/${projectId}/memory`;
+  const [memories, setMemories] = useState([]);
+  const [settings, setSettings] = useState({ autoCapture: false, tokenBudget: 600 });
+  const [budgetInput, setBudgetInput] = useState('600');
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editing, setEditing] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const applySettings = (nextSettings) => {
+    setSettings(nextSettings);
+    setBudgetInput(String(nextSettings.tokenBudget));
+  };
+
+  const loadMemories = useCallback(async () => {
+    try {
+      const response = await axios.get(baseUrl);
+      setMemories(Array.isArray(response.data?.memories) ? response.data.memories : []);
+      if (response.data?.settings) {
+        applySettings(response.data.settings);
+      }
+      setError('');
+    } catch (loadError) {
+      setError(getErrorMessage(loadError, 'Failed to load project memory'));
+    }
+  }, [baseUrl]);
+
+  useEffect(() => {
+    setPreview(null);
+    setEditing(null);
+    if (projectId) {
+      loadMemories();
+    }
+  }, [loadMemories, projectId]);
+
+  // Runs a change, then reloads the list so it stays in prompt order.
+  const runChange = async (change, fallback) => {
+    setIsSaving(true);
+    setError('');
+    try {
+      await change();
+      setPreview(null);
+      await loadMemories();
+    } catch (changeError) {
+      setError(getErrorMessage(changeError, fallback));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAdd = (event) => {
+    event.preventDefault();
+    runChange(async () => {
+      await axios.post(baseUrl, { ...form, content: form.content.trim() });
+      setForm(EMPTY_FORM);
+    }, 'Failed to save project memory');
+  };
+
+  const handleSaveEdit = (event) => {
+    event.preventDefault();
+    const { id, ...changes } = editing;
+    runChange(async () => {
+      await axios.put(`${baseUrl}/${id}`, { ...changes, content: changes.content.trim() });
+      setEditing(null);
+    }, 'Failed to update project memory');
+  };
+
+  const handleToggle = (memory) => runChange(
+    () => axios.put(`${baseUrl}/${memory.id}`, { enabled: !memory.enabled }),
+    'Failed to update project memory'
+  );
+
+  const handleDelete = (memory) => runChange(
+    () => axios.delete(`${baseUrl}/${memory.id}`),
+    'Failed to delete project memory'
+  );
+
+  const saveSettings = (changes) => runChange(async () => {
+    const response = await axios.put(`${baseUrl}/settings`, changes);
+    applySettings(response.data.settings);
+  }, 'Failed to save project memory settings');
+
+  const handleSaveBudget = (event) => {
+    event.preventDefault();
+    saveSettings({ tokenBudget: Number(budgetInput) });
+  };
+
+  const handleShowPreview = async () => {
+    setError('');
+    try {
+      const response = await axios.get(`${baseUrl}/preview`);
+      setPreview(response.data?.context || '');
+    } catch (previewError) {
+      setError(getErrorMessage(previewError, 'Failed to build project memory preview'));
+    }
+  };
+
+  if (!projectId) {
+    return <div className="project-memory-empty">Select a project to manage its memory.</div>;
+  }
+
+  return (
+    <section className="project-memory-tab" data-testid="project-memory-tab">
+      <div className="project-memory-header">
+        <div>
+          <h2>Project memory</h2>
+          <div className="project-memory-subtitle">
+            Facts, decisions and things to avoid. Agents receive them with every request, highest priority first,
+            up to the token budget.
+          </div>
+        </div>
+        <button
+          type="button"
+          className="project-memory-btn"
+          onClick={handleShowPreview}
+          data-testid="project-memory-preview-button"
+        >
+          Show what agents see
+        </button>
+      </div>
+
+      {error && <div className="project-memory-error" role="alert">{error}</div>}
+
+      <div className="project-memory-settings">
+        <label className="project-memory-toggle">
+          <input
+            type="checkbox"
+            checked={settings.autoCapture}
+            onChange={(event) => saveSettings({ autoCapture: event.target.checked })}
+            disabled={isSaving}
+            data-testid="project-memory-auto-capture"
+          />
+          Save my corrections of the agent automatically
+        </label>
+        <form className="project-memory-budget" onSubmit={handleSaveBudget}>
+          <label htmlFor="project-memory-budget-input">Token budget</label>
+          <input
+            id="project-memory-budget-input"
+            className="project-memory-input"
+            type="number"
+            min="50"
+            max="4000"
+            value={budgetInput}
+            onChange={(event) => setBudgetInput(event.target.value)}
+            data-testid="project-memory-budget-input"
+          />
+          <button type="submit" className="project-memory-btn" disabled={isSaving}>Save budget</button>
+        </form>
+      </div>
+
+      {preview !== null && (
+        <pre className="project-memory-preview" data-testid="project-memory-preview">
+          {preview || 'No enabled memories fit the budget yet.'}
+        </pre>
+      )}
+
+      <form className="project-memory-form" onSubmit={handleAdd} data-testid="project-memory-add-form">
+        <div className="project-memory-row">
+          <KindAndPriorityFields
+            values={form}
+            onChange={(field, value) => setForm((prev) => ({ ...prev, [field]: value }))}
+            idPrefix="project-memory-new"
+          />
+        </div>
+        <textarea
+          className="project-memory-input"
+          value={form.content}
+          onChange={(event) => setForm((prev) => ({ ...prev, content: event.target.value }))}
+          placeholder="e.g. Never edit files under src/generated"
+          aria-label="Memory"
+          rows={2}
+          data-testid="project-memory-new-content"
+        />
+        <button type="submit" className="project-memory-btn" disabled={isSaving || !form.content.trim()}>
+          Add memory
+        </button>
+      </form>
+
+      {memories.length === 0 ? (
+        <div className="project-memory-empty">No memories yet.</div>
+      ) : (
+        <ul className="project-memory-list" data-testid="project-memory-list">
+          {memories.map((memory) => (
+            <li
+              key={memory.id}
+              className={`project-memory-item${memory.enabled ? '' : ' is-disabled'}`}
+              data-testid={`project-memory-item-${memory.id}`}
+            >
+              {editing?.id === memory.id ? (
+                <form className="project-memory-form" onSubmit={handleSaveEdit}>
+                  <div className="project-memory-row">
+                    <KindAndPriorityFields
+                      values={editing}
+                      onChange={(field, value) => setEditing((prev) => ({ ...prev, [field]: value }))}
+                      idPrefix="project-memory-edit"
+                    />
+                  </div>
+                  <textarea
+                    className="project-memory-input"
+                    value={editing.content}
+                    onChange={(event) => setEditing((prev) => ({ ...prev, content: event.target.value }))}
+                    aria-label="Memory"
+                    rows={2}
+                    data-testid="project-memory-edit-content"
+                  />
+                  <div className="project-memory-row">
+                    <button
+                      type="submit"
+                      className="project-memory-btn"
+                      disabled={isSaving || !editing.content.trim()}
+                    >
+                      Save
+                    </button>
+                    <button type="button" className="project-memory-btn" onClick={() => setEditing(null)}>
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <>
+                  <div className="project-memory-meta">
+                    <span className={`project-memory-kind kind-${memory.kind}`}>{MEMORY_KIND_LABELS[memory.kind]}</span>
+                    <span>Priority {memory.priority}</span>
+                    {memory.source === 'correction' && <span>From a correction</span>}
+                  </div>
+                  <div className="project-memory-content">{memory.content}</div>
+                  <div className="project-memory-row">
+                    <label className="project-memory-toggle">
+                      <input
+                        type="checkbox"
+                        checked={memory.enabled}
+                        onChange={() => handleToggle(memory)}
+                        disabled={isSaving}
+                        aria-label="Enabled"
+                      />
+                      Enabled
+                    </label>
+                    <button
+                      type="button"
+                      className="project-memory-btn"
+                      onClick={() => setEditing({
+                        id: memory.id,
+                        kind: memory.kind,
+                        priority: memory.priority,
+                        content: memory.content
+                      })}
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      className="project-memory-btn"
+                      onClick={() => handleDelete(memory)}
+                      disabled={isSaving}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default ProjectMemoryTab;
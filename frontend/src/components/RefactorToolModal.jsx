@@ -1,7 +1,237 @@
-import React from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import axios from 'axios';
 import ToolModal from './ToolModal';
+import { useAppState } from '../context/AppStateContext';
+import { agentRefactorStream } from '../utils/goalsApi';
+import { formatLogMessage } from './test-tab/helpers.jsx';
+
+export const REFACTOR_SCOPE_OPTIONS = [
+  { value: 'file', label: 'File' },
+  { value: 'folder', label: 'Folder' },
+  { value: 'repo', label: 'Whole repository' }
+];
+
+export const REFACTOR_TYPE_OPTIONS = [
+  { value: 'rename-symbol', label: 'Rename symbol', hint: 'Rename a function, class, or variable and update every reference.' },
+  { value: 'extract-module', label: 'Extract module', hint: 'Move cohesive logic into its own module and import it back.' },
+  { value: 'simplify', label: 'Simplify', hint: 'Reduce nesting, duplication, and dead branches without changing behavior.' }
+];
+
+const COVERAGE_METRICS = ['lines', 'statements', 'functions', 'branches'];
+const MAX_PROGRESS_LINES = 160;
+
+export const validateRefactorForm = ({ scopeType, scopePath, refactorType, symbolName, newName }) => {
+  if (scopeType !== 'repo' && !scopePath.trim()) {
+    return `Enter the ${scopeType} path to refactor.`;
+  }
+  if (refactorType === 'rename-symbol' && (!symbolName.trim() || !newName.trim())) {
+    return 'Enter both the current and the new symbol name.';
+  }
+  return '';
+};
+
+export const formatCoverageTotals = (coverage) => {
+  const totals = coverage?.totals;
+  if (!totals) {
+    return 'n/a';
+  }
+  return COVERAGE_METRICS
+    .filter((metric) => typeof totals[metric] === 'number')
+    .map((metric) => `${metric} ${totals[metric]}%`)
+    .join(', ');
+};
+
+const describeResult = (result) => {
+  if (result?.status === 'complete') {
+    return result.committed
+      ? 'Refactor verified and committed. Tests and coverage are unchanged.'
+      : 'The agent did not change any files.';
+  }
+  if (result?.status === 'rejected') {
+    return 'Tests or coverage changed after the refactor, so the edits were rolled back.';
+  }
+  if (result?.status === 'refused') {
+    return 'Baseline tests/coverage failed. Fix them before refactoring.';
+  }
+  if (result?.status === 'cancelled') {
+    return 'Refactor cancelled.';
+  }
+  return result?.message || 'Refactor failed.';
+};
 
 const RefactorToolModal = ({ isOpen, onClose }) => {
+  const { currentProject, isLLMConfigured } = useAppState();
+  const projectId = currentProject?.id;
+
+  const [scopeType, setScopeType] = useState('file');
+  const [scopePath, setScopePath] = useState('');
+  const [refactorType, setRefactorType] = useState('rename-symbol');
+  const [symbolName, setSymbolName] = useState('');
+  const [newName, setNewName] = useState('');
+  const [moduleName, setModuleName] = useState('');
+  const [notes, setNotes] = useState('');
+
+  const [view, setView] = useState('form');
+  const [progressLines, setProgressLines] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [runResult, setRunResult] = useState(null);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [branchActionInFlight, setBranchActionInFlight] = useState(false);
+
+  const abortRef = useRef(null);
+  const activeRunIdRef = useRef(0);
+  const branchNameRef = useRef('');
+
+  useEffect(() => {
+    if (!isOpen) {
+      activeRunIdRef.current += 1;
+      abortRef.current?.abort();
+      abortRef.current = null;
+      setView('form');
+      setProgressLines([]);
+      setComparison(null);
+      setRunResult(null);
+      setErrorMessage('');
+      setBranchActionInFlight(false);
+    }
+  }, [isOpen]);
+
+  const pushLine = useCallback((line) => {
+    const text = String(line ?? '');
+    if (!text.trim()) {
+      return;
+    }
+    setProgressLines((prev) => [...prev, text].slice(-MAX_PROGRESS_LINES));
+  }, []);
+
+  const validationMessage = validateRefactorForm({ scopeType, scopePath, refactorType, symbolName, newName });
+
+  const startHint = !projectId
+    ? 'Select a project to run a refactor.'
+    : !isLLMConfigured
+      ? 'Configure an LLM provider in Settings to run a refactor.'
+      : validationMessage;
+
+  const handleEvent = useCallback((eventName, payload) => {
+    if (eventName === 'status') {
+      const match = String(payload?.text || '').match(/Creating working branch\s+(\S+?)…?$/);
+      if (match) {
+        branchNameRef.current = match[1];
+      }
+      pushLine(payload?.text);
+      return;
+    }
+    if (eventName === 'edit') {
+      pushLine(`Edit: wrote ${payload?.writes ?? 0} file(s)${payload?.summary ? ` (${payload.summary})` : ''}`);
+      return;
+    }
+    if (eventName === 'tests-job') {
+      pushLine(`Starting: ${payload?.displayName || 'tests job'}${payload?.cwd ? ` (${payload.cwd})` : ''}`);
+      return;
+    }
+    if (eventName === 'tests-log') {
+      String(payload?.message || '')
+        .split(/\r?\n/)
+        .forEach((line) => pushLine(line.replace(/^(stdout|stderr)\s*\|\s*/i, '')));
+      return;
+    }
+    if (eventName === 'tests') {
+      pushLine(`Tests: ${payload?.phase || 'run'} → ${payload?.run || 'unknown'}`);
+      return;
+    }
+    if (eventName === 'comparison') {
+      setComparison(payload);
+    }
+  }, [pushLine]);
+
+  const handleStart = useCallback(async () => {
+    activeRunIdRef.current += 1;
+    const runId = activeRunIdRef.current;
+    const controller = new AbortController();
+    abortRef.current = controller;
+    branchNameRef.current = '';
+
+    setView('progress');
+    setProgressLines([]);
+    setComparison(null);
+    setRunResult(null);
+    setErrorMessage('');
+
+    const isActive = () => activeRunIdRef.current === runId;
+
+    try {
+      await agentRefactorStream({
+        projectId,
+        prompt: notes.trim(),
+        scope: { type: scopeType, path: scopeType === 'repo' ? '' : scopePath.trim() },
+        refactorType,
+        symbolName: symbolName.trim(),
+        newName: newName.trim(),
+        moduleName: moduleName.trim(),
+        signal: controller.signal,
+        onEvent: (eventName, payload) => {
+          if (isActive()) {
+            handleEvent(eventName, payload);
+          }
+        },
+        onDone: (result) => {
+          if (!isActive()) return;
+          setRunResult({ branchName: branchNameRef.current, ...(result || { status: 'failed' }) });
+          if (result?.comparison) {
+            setComparison(result.comparison);
+          }
+          setView('result');
+        },
+        onError: (message) => {
+          if (!isActive()) return;
+          setErrorMessage(message);
+          setRunResult({ status: 'failed', message, branchName: branchNameRef.current, canDeleteBranch: Boolean(branchNameRef.current) });
+          setView('result');
+        }
+      });
+    } catch (error) {
+      if (!isActive() || error?.name === 'AbortError') {
+        return;
+      }
+      setErrorMessage(error?.message || 'Failed to start the refactor.');
+      setView('form');
+    }
+  }, [handleEvent, moduleName, newName, notes, projectId, refactorType, scopePath, scopeType, symbolName]);
+
+  const handleCancel = useCallback(() => {
+    activeRunIdRef.current += 1;
+    abortRef.current?.abort();
+    abortRef.current = null;
+    setRunResult({ status: 'cancelled', branchName: branchNameRef.current, canDeleteBranch: Boolean(branchNameRef.current) });
+    setView('result');
+  }, []);
+
+  const branchName = runResult?.branchName || '';
+  const canDeleteBranch = Boolean(branchName && runResult?.canDeleteBranch && !runResult?.branchDeleted);
+
+  const handleDeleteBranch = useCallback(async () => {
+    setBranchActionInFlight(true);
+    setErrorMessage('');
+    try {
+      await axios.delete(`/api/projects/${projectId}/branches/${encodeURIComponent(branchName)}`, {
+        headers: { 'x-confirm-destructive': 'true' }
+      });
+      setRunResult((prev) => ({ ...prev, branchDeleted: true }));
+    } catch (error) {
+      setErrorMessage(error?.response?.data?.error || error?.message || 'Failed to delete branch');
+    } finally {
+      setBranchActionInFlight(false);
+    }
+  }, [branchName, projectId]);
+
+  const handleStartOver = useCallback(() => {
+    setView('form');
+    setErrorMessage('');
+  }, []);
+
+  const selectedType = REFACTOR_TYPE_OPTIONS.find((option) => option.value === refactorType);
+  const canStart = Boolean(projectId && isLLMConfigured && !validationMessage);
+
   return (
     <ToolModal
       isOpen={isOpen}
@@ -13,16 +243,223 @@ const RefactorToolModal = ({ isOpen, onClose }) => {
       titleId="tool-refactor-title"
     >
       <div className="tools-modal-placeholder">
-        <h3>Coming soon</h3>
-        <p>
-          This tool will guide safe refactors: renames, extractions, and small structure improvements
-          with test verification.
-        </p>
-        <ul>
-          <li>Select scope (file / folder / repo)</li>
-          <li>Choose refactor type (rename, extract, simplify)</li>
-          <li>Run tests before/after</li>
-        </ul>
+        {view === 'form' ? (
+          <>
+            <h3>Guided refactor</h3>
+            <p>
+              Runs the full test suite before and after the agent edits your code on a new branch. The refactor is only
+              committed when test outcomes and coverage are unchanged.
+            </p>
+
+            <fieldset className="tools-modal-fieldset" data-testid="tool-refactor-scope">
+              <legend>Scope</legend>
+              <label className="tools-modal-field">
+                <span>Target</span>
+                <select
+                  value={scopeType}
+                  onChange={(event) => setScopeType(event.target.value)}
+                  data-testid="tool-refactor-scope-type"
+                >
+                  {REFACTOR_SCOPE_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </label>
+              {scopeType !== 'repo' ? (
+                <label className="tools-modal-field">
+                  <span>{scopeType === 'file' ? 'File path' : 'Folder path'}</span>
+                  <input
+                    type="text"
+                    value={scopePath}
+                    placeholder={scopeType === 'file' ? 'frontend/src/utils/format.js' : 'backend/services'}
+                    onChange={(event) => setScopePath(event.target.value)}
+                    data-testid="tool-refactor-scope-path"
+                  />
+                </label>
+              ) : null}
+            </fieldset>
+
+            <fieldset className="tools-modal-fieldset" data-testid="tool-refactor-type">
+              <legend>Refactor type</legend>
+              <div className="tools-modal-controls">
+                {REFACTOR_TYPE_OPTIONS.map((option) => (
+                  <label key={option.value} className="tools-modal-checkbox">
+                    <input
+                      type="radio"
+                      name="tool-refactor-type"
+                      value={option.value}
+                      checked={refactorType === option.value}
+                      onChange={() => setRefactorType(option.value)}
+                      data-testid={`tool-refactor-type-${option.value}`}
+                    />
+                    <span><strong>{option.label}</strong></span>
+                  </label>
+                ))}
+              </div>
+              <div className="tools-modal-subtext">{selectedType.hint}</div>
+
+              {refactorType === 'rename-symbol' ? (
+                <div className="tools-modal-controls">
+                  <label className="tools-modal-field">
+                    <span>Current name</span>
+                    <input
+                      type="text"
+                      value={symbolName}
+                      onChange={(event) => setSymbolName(event.target.value)}
+                      data-testid="tool-refactor-symbol"
+                    />
+                  </label>
+                  <label className="tools-modal-field">
+                    <span>New name</span>
+                    <input
+                      type="text"
+                      value={newName}
+                      onChange={(event) => setNewName(event.target.value)}
+                      data-testid="tool-refactor-new-name"
+                    />
+                  </label>
+                </div>
+              ) : null}
+
+              {refactorType === 'extract-module' ? (
+                <label className="tools-modal-field">
+                  <span>New module path (optional)</span>
+                  <input
+                    type="text"
+                    value={moduleName}
+                    onChange={(event) => setModuleName(event.target.value)}
+                    data-testid="tool-refactor-module"
+                  />
+                </label>
+              ) : null}
+
+              <label className="tools-modal-field">
+                <span>Notes for the agent (optional)</span>
+                <textarea
+                  rows={3}
+                  value={notes}
+                  onChange={(event) => setNotes(event.target.value)}
+                  data-testid="tool-refactor-notes"
+                />
+              </label>
+            </fieldset>
+
+            {errorMessage ? (
+              <div className="tools-modal-error" role="alert" data-testid="tool-refactor-error">
+                {errorMessage}
+              </div>
+            ) : null}
+
+            <div className="tools-modal-actions">
+              <button
+                type="button"
+                className="git-settings-button primary"
+                onClick={handleStart}
+                disabled={!canStart}
+                data-testid="tool-refactor-start"
+              >
+                Start refactor
+              </button>
+              {startHint ? (
+                <div className="tools-modal-hint" data-testid="tool-refactor-hint">{startHint}</div>
+              ) : null}
+            </div>
+          </>
+        ) : (
+          <div data-testid="tool-refactor-progress">
+            <h3>{view === 'result' ? 'Refactor finished' : 'Refactor in progress'}</h3>
+
+            {runResult ? (
+              <div
+                className={runResult.status === 'complete' ? 'tools-modal-success' : 'tools-modal-warning'}
+                role="status"
+                data-testid="tool-refactor-result"
+              >
+                {describeResult(runResult)}
+              </div>
+            ) : null}
+
+            <pre className="tools-modal-prompt" data-testid="tool-refactor-progress-log">
+              {progressLines.length
+                ? progressLines.map((line, index) => (
+                    <React.Fragment key={`refactor-log-${index}`}>
+                      {formatLogMessage(line)}
+                      {'\n'}
+                    </React.Fragment>
+                  ))
+                : 'Waiting for refactor updates…'}
+            </pre>
+
+            {comparison ? (
+              <div className="tools-modal-meta" data-testid="tool-refactor-comparison">
+                <div className="tools-modal-meta-row">
+                  <span className="tools-modal-meta-label">Before</span>
+                  <span className="tools-modal-meta-value">
+                    {comparison.baseline?.status || 'unknown'} · {formatCoverageTotals(comparison.baseline?.coverage)}
+                  </span>
+                </div>
+                <div className="tools-modal-meta-row">
+                  <span className="tools-modal-meta-label">After</span>
+                  <span className="tools-modal-meta-value">
+                    {comparison.after?.status || 'unknown'} · {formatCoverageTotals(comparison.after?.coverage)}
+                  </span>
+                </div>
+                {Array.isArray(comparison.reasons) && comparison.reasons.length ? (
+                  <ul data-testid="tool-refactor-comparison-reasons">
+                    {comparison.reasons.map((reason) => <li key={reason}>{reason}</li>)}
+                  </ul>
+                ) : null}
+              </div>
+            ) : null}
+
+            {branchName ? (
+              <div className="tools-modal-subtext" data-testid="tool-refactor-branch">
+                Branch: {branchName}{runResult?.branchDeleted ? ' (deleted)' : ''}
+              </div>
+            ) : null}
+
+            {errorMessage ? (
+              <div className="tools-modal-error" role="alert" data-testid="tool-refactor-error">
+                {errorMessage}
+              </div>
+            ) : null}
+
+            <div className="tools-modal-actions">
+              {view === 'progress' ? (
+                <button
+                  type="button"
+                  className="git-settings-button secondary"
+                  onClick={handleCancel}
+                  data-testid="tool-refactor-cancel"
+                >
+                  Cancel
+                </button>
+              ) : (
+                <>
+                  {canDeleteBranch ? (
+                    <button
+                      type="button"
+                      className="git-settings-button"
+                      onClick={handleDeleteBranch}
+                      disabled={branchActionInFlight}
+                      data-testid="tool-refactor-delete-branch"
+                    >
+                      {branchActionInFlight ? 'Deleting…' : 'Delete branch'}
+                    </button>
+                  ) : null}
+                  <button
+                    type="button"
+                    className="git-settings-button secondary"
+                    onClick={handleStartOver}
+                    data-testid="tool-refactor-again"
+                  >
+                    New refactor
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+        )}
       </div>
     </ToolModal>
   );
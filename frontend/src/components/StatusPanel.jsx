@@ -3,7 +3,7 @@ import { useAppState } from '../context/AppStateContext';
 import axios from 'axios';
 import './GettingStarted.css';
 
-const PROVIDERS = [
+export const PROVIDERS = [
   {
     id: 'groq',
     name: 'Groq',
@@ -3,9 +3,13 @@ import axios from 'axios';
 import { useAppState } from '../context/AppStateContext';
 import Modal from './Modal';
 import TestSuiteCard from './test-tab/TestSuiteCard';
+import TestResultsTree from './test-tab/TestResultsTree';
+import FlakyTestsPanel from './test-tab/FlakyTestsPanel';
+import TargetedTestRun from './test-tab/TargetedTestRun';
 import {
   TEST_JOB_TYPES,
   statusLabel,
+  jobStatusLabel,
   isJobActive,
   isJobFinal,
   extractFailingTestIdsFromJob,
@@ -27,6 +31,7 @@ import {
   isCoverageGateFailed
 } from './test-tab/helpers.jsx';
 import { useSubmitProof } from './test-tab/useSubmitProof';
+import { useTargetedTestRuns } from './test-tab/useTargetedTestRuns';
 import './TestTab.css';
 
 const MIN_COVERAGE_TARGET = 50;
@@ -141,6 +146,7 @@ const TestTab = ({ project, registerTestActions, onRequestCommitsTab }) => {
   const [resultModalRequiresExplicitDismiss, setResultModalRequiresExplicitDismiss] = useState(false);
   const [showJobLogCatchup, setShowJobLogCatchup] = useState({});
   const projectId = project?.id;
+  const { targetedRuns, runTargetedTests, dismissTargetedRun } = useTargetedTestRuns(projectId);
   const jobs = useMemo(() => getJobsForProject(projectId), [getJobsForProject, projectId]);
   const jobsLastFetchedAt = useMemo(() => {
     if (!projectId) {
@@ -1580,7 +1586,7 @@ const TestTab = ({ project, registerTestActions, onRequestCommitsTab }) => {
                   <p>{config.description}</p>
                 </div>
                 <span className={`job-status ${job?.status || 'idle'}`} data-testid={`job-status-${config.type}`}>
-                  {statusLabel(job?.status)}
+                  {jobStatusLabel(job)}
                 </span>
               </div>
 
@@ -1640,6 +1646,22 @@ const TestTab = ({ project, registerTestActions, onRequestCommitsTab }) => {
                         </button>
                       </div>
                     </div>
+                    <TestResultsTree
+                      report={job.testReport}
+                      testId={`test-results-${config.type}`}
+                      onRunTests={active ? null : (target) => runTargetedTests(config.type, {
+                        ...target,
+                        workspace: config.type.startsWith('backend') ? 'backend' : 'frontend'
+                      })}
+                      runDisabled={Boolean(targetedRuns[config.type]?.running)}
+                    />
+                    {targetedRuns[config.type] && (
+                      <TargetedTestRun
+                        run={targetedRuns[config.type]}
+                        testId={`targeted-run-${config.type}`}
+                        onDismiss={() => dismissTargetedRun(config.type)}
+                      />
+                    )}
                     <div className="job-logs-wrapper">
                       <div
                         className="job-logs"
@@ -1678,7 +1700,7 @@ const TestTab = ({ project, registerTestActions, onRequestCommitsTab }) => {
                   disabled={!project || active}
                   data-testid={`run-${config.type}`}
                 >
-                  {active ? 'Running…' : `Run ${config.label}`}
+                  {active ? (job?.status === 'pending' ? 'Queued…' : 'Running…') : `Run ${config.label}`}
                 </button>
                 {hasFailedJob(job) && (
                   <button
@@ -1706,6 +1728,7 @@ const TestTab = ({ project, registerTestActions, onRequestCommitsTab }) => {
         })}
       </div>
 
+      <FlakyTestsPanel projectId={projectId} />
     </div>
   );
 };
@@ -1715,6 +1738,7 @@ export default TestTab;
 TestTab.__testHooks = TestTab.__testHooks || {};
 Object.assign(TestTab.__testHooks, {
   statusLabel,
+  jobStatusLabel,
   isJobActive,
   extractFailingTestIdsFromJob,
   buildTestFixPlan,
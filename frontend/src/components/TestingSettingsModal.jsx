@@ -4,7 +4,8 @@ import './TestingSettingsModal.css';
 
 const defaultSettings = {
   coverageTarget: 100,
-  maxSteps: 8
+  maxSteps: 8,
+  failedTestRetries: 0
 };
 
 const MIN_COVERAGE_TARGET = 50;
@@ -12,6 +13,7 @@ const MAX_COVERAGE_TARGET = 100;
 const COVERAGE_STEP = 10;
 const MIN_MAX_STEPS = 2;
 const MAX_MAX_STEPS = 40;
+const MAX_FAILED_TEST_RETRIES = 3;
 
 const normalizeMaxSteps = (value) => {
   const numeric = Number.parseInt(value, 10);
@@ -21,14 +23,24 @@ const normalizeMaxSteps = (value) => {
   return Math.min(Math.max(numeric, MIN_MAX_STEPS), MAX_MAX_STEPS);
 };
 
+const normalizeFailedTestRetries = (value) => {
+  const numeric = Number.parseInt(value, 10);
+  if (!Number.isFinite(numeric)) {
+    return defaultSettings.failedTestRetries;
+  }
+  return Math.min(Math.max(numeric, 0), MAX_FAILED_TEST_RETRIES);
+};
+
 const TestingSettingsModal = ({ isOpen, onClose, settings = defaultSettings, onSave }) => {
   const [coverageTarget, setCoverageTarget] = useState(defaultSettings.coverageTarget);
   const [maxSteps, setMaxSteps] = useState(defaultSettings.maxSteps);
+  const [failedTestRetries, setFailedTestRetries] = useState(defaultSettings.failedTestRetries);
 
   useLayoutEffect(() => {
     if (isOpen) {
       setCoverageTarget(Number(settings.coverageTarget) || defaultSettings.coverageTarget);
       setMaxSteps(normalizeMaxSteps(settings.maxSteps));
+      setFailedTestRetries(normalizeFailedTestRetries(settings.failedTestRetries));
     }
   }, [isOpen, settings]);
 
@@ -38,7 +50,7 @@ const TestingSettingsModal = ({ isOpen, onClose, settings = defaultSettings, onS
 
   const handleSubmit = (event) => {
     event.preventDefault();
-    onSave({ coverageTarget, maxSteps: normalizeMaxSteps(maxSteps) });
+    onSave({ coverageTarget, maxSteps: normalizeMaxSteps(maxSteps), failedTestRetries });
   };
 
   return (
@@ -97,6 +109,27 @@ const TestingSettingsModal = ({ isOpen, onClose, settings = defaultSettings, onS
           Limits the number of tool steps per agent answer. Lower values are faster; higher values let the agent reason longer.
         </p>
 
+        <label className="testing-settings-label" htmlFor="testing-failed-test-retries">
+          Failed test retries
+        </label>
+        <div className="testing-settings-slider-row">
+          <input
+            id="testing-failed-test-retries"
+            type="number"
+            min={0}
+            max={MAX_FAILED_TEST_RETRIES}
+            step={1}
+            value={failedTestRetries}
+            onChange={(event) => setFailedTestRetries(normalizeFailedTestRetries(event.target.value))}
+            data-testid="testing-failed-test-retries-input"
+          />
+          <span className="testing-settings-value" data-testid="testing-failed-test-retries-value">{failedTestRetries}</span>
+        </div>
+
+        <p className="testing-settings-hint" data-testid="testing-failed-test-retries-hint">
+          Reruns failing tests before a branch test run fails. Tests that pass on a retry are reported as flaky.
+        </p>
+
         <div className="testing-settings-footer">
           <button
             type="button"
@@ -1,6 +1,7 @@
 import React from 'react';
 import StagedFilesCard from './StagedFilesCard';
 import CommittedFilesCard from './CommittedFilesCard';
+import PullRequestCard from './PullRequestCard';
 
 const BranchDetails = ({
   warningMessage,
@@ -30,6 +31,9 @@ const BranchDetails = ({
   onMerge,
   canMerge,
   isMerging,
+  pullRequest,
+  onOpenPullRequest,
+  isOpeningPullRequest,
   committedFiles,
   isLoadingCommittedFiles,
   committedFilesBranchName
@@ -149,6 +153,15 @@ const BranchDetails = ({
             </div>
           </div>
         )}
+
+        {(readyForMerge || pullRequest) && (
+          <PullRequestCard
+            pullRequest={pullRequest}
+            onOpenPullRequest={readyForMerge && !hasSelectedFiles ? onOpenPullRequest : null}
+            isOpening={isOpeningPullRequest}
+            isStoppingProject={isStoppingProject}
+          />
+        )}
       </>
     ) : (
       <div className="branch-files-card" data-testid="branch-main-info">
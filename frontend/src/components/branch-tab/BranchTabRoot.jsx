@@ -6,10 +6,11 @@ import BranchSidebar from './BranchSidebar';
 import BranchDetails from './BranchDetails';
 import { canBranchMerge, deriveDisplayStatus } from './utils';
 import NewBranchModal from './NewBranchModal';
+import MergeConflictsModal from '../MergeConflictsModal';
 import { useAppState } from '../../context/AppStateContext';
 
 const BranchTabRoot = ({ project, onRequestFileOpen, onRequestTestsTab, onRequestCommitsTab, registerBranchActions }) => {
-  const { syncBranchOverview } = useAppState();
+  const { syncBranchOverview, getEffectiveGitSettings, theme } = useAppState();
   const projectId = project?.id;
 
   const branchState = useBranchTabState({
@@ -44,11 +45,13 @@ const BranchTabRoot = ({ project, onRequestFileOpen, onRequestTestsTab, onReques
     branchTestValidity,
     testInFlight,
     mergeInFlight,
+    pullRequestInFlight,
     testMergeInFlight,
     skipMergeInFlight,
     deleteInFlight,
     handleRunTests,
     handleMergeBranch,
+    handleOpenPullRequest,
     handleTestAndMerge,
     handleDeleteBranch,
     handleCheckoutBranch,
@@ -57,7 +60,10 @@ const BranchTabRoot = ({ project, onRequestFileOpen, onRequestTestsTab, onReques
     handleOpenFile,
     handleCreateBranch,
     selectedBranchRef,
-    createBranchInFlight
+    createBranchInFlight,
+    mergeConflicts,
+    setMergeConflicts,
+    fetchBranches
   } = branchState;
 
   const [isCreateModalOpen, setCreateModalOpen] = useState(false);
@@ -126,6 +132,10 @@ const BranchTabRoot = ({ project, onRequestFileOpen, onRequestTestsTab, onReques
   const warningMessage = mergeWarning
     || invalidationWarning
     || (testsFailed ? selectedWorkingBranch?.mergeBlockedReason : null);
+  const gitSettings = typeof getEffectiveGitSettings === 'function' && projectId
+    ? getEffectiveGitSettings(projectId)
+    : null;
+  const hasRemoteRepository = gitSettings?.workflow === 'cloud' && Boolean(gitSettings?.remoteUrl?.trim());
   const isBeginningTesting = testInFlight === selectedBranchName;
   const canBeginTesting = hasSelectedWorkingBranch
     && hasStagedChanges
@@ -194,6 +204,17 @@ const BranchTabRoot = ({ project, onRequestFileOpen, onRequestTestsTab, onReques
     };
   }, [projectId, selectedBranchName, readyForMerge, hasSelectedFiles]);
 
+  const [isConflictsModalOpen, setConflictsModalOpen] = useState(false);
+
+  useEffect(() => {
+    setConflictsModalOpen(Boolean(mergeConflicts));
+  }, [mergeConflicts]);
+
+  const handleMergeConflictsSettled = useCallback(() => {
+    setMergeConflicts(null);
+    void Promise.resolve(fetchBranches()).catch(() => null);
+  }, [setMergeConflicts, fetchBranches]);
+
   const syncOverviewIfAvailable = useCallback((overview) => {
     if (!overview || !project?.id) {
       return;
@@ -294,6 +315,13 @@ const BranchTabRoot = ({ project, onRequestFileOpen, onRequestTestsTab, onReques
           : null}
         canMerge={readyForMerge && !isStoppingProject && mergeInFlight !== selectedBranchName}
         isMerging={mergeInFlight === selectedBranchName}
+        pullRequest={selectedWorkingBranch?.pullRequest || null}
+        onOpenPullRequest={hasRemoteRepository && handleOpenPullRequest
+          ? () => {
+            void Promise.resolve(handleOpenPullRequest(selectedBranchName)).catch(() => null);
+          }
+          : null}
+        isOpeningPullRequest={pullRequestInFlight === selectedBranchName}
         committedFiles={committedFiles}
         isLoadingCommittedFiles={isLoadingCommittedFiles}
         committedFilesBranchName={lastCommittedFilesBranchRef.current}
@@ -329,6 +357,10 @@ const BranchTabRoot = ({ project, onRequestFileOpen, onRequestTestsTab, onReques
     readyForMerge,
     handleMergeBranch,
     mergeInFlight,
+    selectedWorkingBranch,
+    hasRemoteRepository,
+    handleOpenPullRequest,
+    pullRequestInFlight,
     committedFiles,
     isLoadingCommittedFiles,
     isStoppingProject
@@ -354,6 +386,20 @@ const BranchTabRoot = ({ project, onRequestFileOpen, onRequestTestsTab, onReques
         </div>
       )}
 
+      {mergeConflicts && !isConflictsModalOpen && (
+        <div className="branch-conflicts-banner" role="status" data-testid="branch-merge-conflicts-banner">
+          <span>A merge is waiting for its conflicts to be resolved.</span>
+          <button
+            type="button"
+            className="branch-action secondary"
+            onClick={() => setConflictsModalOpen(true)}
+            data-testid="branch-resolve-conflicts"
+          >
+            Resolve conflicts
+          </button>
+        </div>
+      )}
+
       {loading && <div className="loading">Loading branches...</div>}
       {error && <div className="error">{error}</div>}
 
@@ -366,6 +412,17 @@ const BranchTabRoot = ({ project, onRequestFileOpen, onRequestTestsTab, onReques
         onClose={handleDismissCreateModal}
         onSubmit={handleConfirmCreateBranch}
       />
+
+      {mergeConflicts && isConflictsModalOpen && (
+        <MergeConflictsModal
+          projectId={projectId}
+          conflicts={mergeConflicts}
+          theme={theme}
+          onClose={() => setConflictsModalOpen(false)}
+          onCompleted={handleMergeConflictsSettled}
+          onAborted={handleMergeConflictsSettled}
+        />
+      )}
     </div>
   );
 };
@@ -4,11 +4,13 @@ import { render, screen, waitFor, act } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 
 const syncBranchOverviewSpy = vi.fn();
+const getEffectiveGitSettingsSpy = vi.fn(() => null);
 
 vi.mock('../../context/AppStateContext', () => ({
   __esModule: true,
   useAppState: () => ({
-    syncBranchOverview: syncBranchOverviewSpy
+    syncBranchOverview: syncBranchOverviewSpy,
+    getEffectiveGitSettings: getEffectiveGitSettingsSpy
   })
 }));
 
@@ -75,6 +77,16 @@ vi.mock('./NewBranchModal', () => ({
   }
 }));
 
+vi.mock('../MergeConflictsModal', () => ({
+  __esModule: true,
+  default: (props) => (
+    <div data-testid="merge-conflicts-modal" data-project={props.projectId}>
+      <button type="button" data-testid="mock-conflicts-close" onClick={() => props.onClose()}>Close</button>
+      <button type="button" data-testid="mock-conflicts-complete" onClick={() => props.onCompleted({ completed: true })}>Complete</button>
+    </div>
+  )
+}));
+
 import BranchTabRoot from './BranchTabRoot';
 import useBranchTabState from './useBranchTabState';
 import useToolbarActions from './useToolbarActions';
@@ -130,6 +142,8 @@ describe('BranchTabRoot', () => {
   beforeEach(() => {
     vi.clearAllMocks();
     syncBranchOverviewSpy.mockReset();
+    getEffectiveGitSettingsSpy.mockReset();
+    getEffectiveGitSettingsSpy.mockReturnValue(null);
     latestToolbarState = undefined;
     useBranchTabState.mockReturnValue(buildBranchState());
     useToolbarActions.mockImplementation((state) => {
@@ -286,6 +300,45 @@ describe('BranchTabRoot', () => {
     });
   });
 
+  test('offers pull requests only when the project has a remote repository', async () => {
+    const handleOpenPullRequest = vi.fn().mockRejectedValue(new Error('push failed'));
+    const pullRequest = { provider: 'github', number: 3, url: 'https://github.com/o/r/pull/3', status: 'open' };
+    useBranchTabState.mockReturnValue(buildBranchState({
+      handleOpenPullRequest,
+      pullRequestInFlight: 'feature/login',
+      selectedWorkingBranch: {
+        name: 'feature/login',
+        status: 'ready-for-merge',
+        lastTestStatus: 'passed',
+        stagedFiles: [],
+        pullRequest
+      }
+    }));
+
+    const { unmount } = renderComponent();
+    let detailsProps = branchDetailsSpy.mock.calls.at(-1)[0];
+    expect(detailsProps.onOpenPullRequest).toBeNull();
+    expect(detailsProps.pullRequest).toEqual(pullRequest);
+    expect(detailsProps.isOpeningPullRequest).toBe(true);
+    unmount();
+
+    getEffectiveGitSettingsSpy.mockReturnValue({ workflow: 'cloud', remoteUrl: ' ' });
+    const blank = renderComponent();
+    expect(branchDetailsSpy.mock.calls.at(-1)[0].onOpenPullRequest).toBeNull();
+    blank.unmount();
+
+    getEffectiveGitSettingsSpy.mockReturnValue({ workflow: 'cloud', remoteUrl: 'https://github.com/o/r.git' });
+    renderComponent();
+    expect(getEffectiveGitSettingsSpy).toHaveBeenCalledWith('p1');
+    detailsProps = branchDetailsSpy.mock.calls.at(-1)[0];
+
+    await act(async () => {
+      detailsProps.onOpenPullRequest();
+      await Promise.resolve();
+    });
+    expect(handleOpenPullRequest).toHaveBeenCalledWith('feature/login');
+  });
+
   test('wires skip testing callback when staged files are CSS only', async () => {
     const onRequestCommitsTab = vi.fn();
 
@@ -471,4 +524,29 @@ describe('BranchTabRoot', () => {
     expect(banner).toHaveTextContent('Stop failed: boom');
   });
 
+  test('opens the conflict resolver for merge conflicts and refreshes branches once settled', async () => {
+    const setMergeConflicts = vi.fn();
+    const fetchBranches = vi.fn().mockRejectedValue(new Error('offline'));
+    useBranchTabState.mockReturnValue(buildBranchState({
+      mergeConflicts: { inProgress: true, files: [] },
+      setMergeConflicts,
+      fetchBranches
+    }));
+
+    const user = userEvent.setup();
+    renderComponent();
+
+    expect(screen.getByTestId('merge-conflicts-modal')).toHaveAttribute('data-project', 'p1');
+    await user.click(screen.getByTestId('mock-conflicts-close'));
+    expect(screen.queryByTestId('merge-conflicts-modal')).not.toBeInTheDocument();
+    expect(setMergeConflicts).not.toHaveBeenCalled();
+
+    await user.click(screen.getByTestId('branch-resolve-conflicts'));
+    expect(screen.queryByTestId('branch-merge-conflicts-banner')).not.toBeInTheDocument();
+
+    await user.click(screen.getByTestId('mock-conflicts-complete'));
+    expect(setMergeConflicts).toHaveBeenCalledWith(null);
+    expect(fetchBranches).toHaveBeenCalledTimes(1);
+  });
+
 });
@@ -0,0 +1,73 @@
+import React from 'react';
+
+const STATUS_LABELS = {
+  open: 'Open',
+  merged: 'Merged',
+  closed: 'Closed'
+};
+
+const describePullRequest = (pullRequest) => {
+  const noun = pullRequest.provider === 'gitlab' ? 'Merge request' : 'Pull request';
+  const number = pullRequest.number != null
+    ? `${pullRequest.provider === 'gitlab' ? '!' : '#'}${pullRequest.number}`
+    : '';
+  return [noun, number].filter(Boolean).join(' ');
+};
+
+const PullRequestCard = ({
+  pullRequest,
+  onOpenPullRequest,
+  isOpening = false,
+  isStoppingProject = false
+}) => {
+  const hasPullRequest = Boolean(pullRequest?.url);
+  const canReopen = !hasPullRequest || pullRequest.status === 'closed';
+
+  if (!hasPullRequest && !onOpenPullRequest) {
+    return null;
+  }
+
+  return (
+    <div className="branch-commit-card" data-testid="branch-pull-request-card">
+      <div className="panel-header">
+        <div>
+          <p className="panel-eyebrow">Pull request</p>
+          {hasPullRequest ? (
+            <>
+              <h4>
+                <a
+                  href={pullRequest.url}
+                  target="_blank"
+                  rel="noreferrer"
+                  data-testid="branch-pull-request-link"
+                >
+                  {describePullRequest(pullRequest)}
+                </a>
+              </h4>
+              <p className="panel-count" data-testid="branch-pull-request-status">
+                {STATUS_LABELS[pullRequest.status] || pullRequest.status}
+              </p>
+            </>
+          ) : (
+            <h4>Review on the remote host instead of merging locally</h4>
+          )}
+        </div>
+        {onOpenPullRequest && canReopen && (
+          <div className="branch-actions-row">
+            <button
+              type="button"
+              className="branch-action secondary"
+              onClick={onOpenPullRequest}
+              disabled={isOpening || isStoppingProject}
+              data-testid="branch-open-pull-request"
+            >
+              {isOpening ? 'Opening…' : 'Open pull request'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PullRequestCard;
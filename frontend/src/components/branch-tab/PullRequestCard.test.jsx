@@ -0,0 +1,60 @@
+import React from 'react';
+import { describe, test, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import PullRequestCard from './PullRequestCard';
+
+describe('PullRequestCard', () => {
+  test('renders nothing without a pull request or an open action', () => {
+    const { container } = render(<PullRequestCard pullRequest={null} onOpenPullRequest={null} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test('offers to open a pull request', () => {
+    const onOpen = vi.fn();
+    const { rerender } = render(<PullRequestCard onOpenPullRequest={onOpen} />);
+
+    fireEvent.click(screen.getByTestId('branch-open-pull-request'));
+    expect(onOpen).toHaveBeenCalledTimes(1);
+    expect(screen.queryByTestId('branch-pull-request-link')).toBeNull();
+
+    rerender(<PullRequestCard onOpenPullRequest={onOpen} isOpening />);
+    expect(screen.getByTestId('branch-open-pull-request')).toHaveTextContent('Opening…');
+    expect(screen.getByTestId('branch-open-pull-request')).toBeDisabled();
+
+    rerender(<PullRequestCard onOpenPullRequest={onOpen} isStoppingProject />);
+    expect(screen.getByTestId('branch-open-pull-request')).toBeDisabled();
+  });
+
+  test('links to an open GitHub pull request without offering another', () => {
+    render(
+      <PullRequestCard
+        pullRequest={{ provider: 'github', number: 12, url: 'https://github.com/o/r/pull/12', status: 'open' }}
+        onOpenPullRequest={vi.fn()}
+      />
+    );
+
+    const link = screen.getByTestId('branch-pull-request-link');
+    expect(link).toHaveTextContent('Pull request #12');
+    expect(link).toHaveAttribute('href', 'https://github.com/o/r/pull/12');
+    expect(link).toHaveAttribute('target', '_blank');
+    expect(screen.getByTestId('branch-pull-request-status')).toHaveTextContent('Open');
+    expect(screen.queryByTestId('branch-open-pull-request')).toBeNull();
+  });
+
+  test('labels GitLab merge requests and lets closed ones be reopened', () => {
+    const { rerender } = render(
+      <PullRequestCard
+        pullRequest={{ provider: 'gitlab', number: 4, url: 'https://gitlab.com/o/r/-/merge_requests/4', status: 'closed' }}
+        onOpenPullRequest={vi.fn()}
+      />
+    );
+
+    expect(screen.getByTestId('branch-pull-request-link')).toHaveTextContent('Merge request !4');
+    expect(screen.getByTestId('branch-pull-request-status')).toHaveTextContent('Closed');
+    expect(screen.getByTestId('branch-open-pull-request')).toBeInTheDocument();
+
+    rerender(<PullRequestCard pullRequest={{ url: 'https://example.test/pr', number: null, status: 'draft' }} />);
+    expect(screen.getByTestId('branch-pull-request-link')).toHaveTextContent(/^Pull request$/);
+    expect(screen.getByTestId('branch-pull-request-status')).toHaveTextContent('draft');
+  });
+});
@@ -40,12 +40,14 @@ const useBranchTabState = ({
   const [workingBranches, setWorkingBranches] = useState([]);
   const [testInFlight, setTestInFlight] = useState(null);
   const [mergeInFlight, setMergeInFlight] = useState(null);
+  const [pullRequestInFlight, setPullRequestInFlight] = useState(null);
   const [commitInFlight, setCommitInFlight] = useState(null);
   const [testMergeInFlight, setTestMergeInFlight] = useState(null);
   const [skipMergeInFlight, setSkipMergeInFlight] = useState(null);
   const [deleteInFlight, setDeleteInFlight] = useState(null);
   const [createBranchInFlight, setCreateBranchInFlight] = useState(false);
   const [mergeWarning, setMergeWarning] = useState(null);
+  const [mergeConflicts, setMergeConflicts] = useState(null);
   const [branchTestValidity, setBranchTestValidity] = useState({});
   const stagedSignatureMapRef = useRef(new Map());
   const selectedBranchRef = useRef('');
@@ -523,12 +525,43 @@ const useBranchTabState = ({
       }
     } catch (err) {
       console.error('Error merging branch:', err);
-      setError(err.response?.data?.error || 'Failed to merge branch');
+      if (err.response?.data?.conflicts) {
+        setMergeConflicts(err.response.data.conflicts);
+      } else {
+        setError(err.response?.data?.error || 'Failed to merge branch');
+      }
     } finally {
       setMergeInFlight(null);
     }
   }, [projectId, applyOverview, fetchBranches, isStoppingProject]);
 
+  const handleOpenPullRequest = useCallback(async (branchName) => {
+    if (!projectId || !branchName || isStoppingProject) {
+      return null;
+    }
+
+    try {
+      setPullRequestInFlight(branchName);
+      const response = await axios.post(
+        `/api/projects/${projectId}/branches/${encodeURIComponent(branchName)}/pull-request`
+      );
+
+      if (response.data.overview) {
+        applyOverview(response.data.overview);
+      } else {
+        await fetchBranches();
+      }
+      return response.data.pullRequest || null;
+    } catch (err) {
+      console.error('Error opening pull request:', err);
+      setError(err.response?.data?.error || 'Failed to open pull request');
+      return null;
+      /* c8 ignore next -- v8 reports an extra branch on the finally clause */
+    } finally {
+      setPullRequestInFlight(null);
+    }
+  }, [projectId, applyOverview, fetchBranches, isStoppingProject]);
+
   const handleTestAndMerge = useCallback(async (branchName) => {
     if (!projectId || !branchName || isStoppingProject) {
       return;
@@ -651,7 +684,11 @@ const useBranchTabState = ({
         }
       } catch (mergeError) {
         console.error('Error merging branch:', mergeError);
-        setError(mergeError.response?.data?.error || 'Failed to merge branch');
+        if (mergeError.response?.data?.conflicts) {
+          setMergeConflicts(mergeError.response.data.conflicts);
+        } else {
+          setError(mergeError.response?.data?.error || 'Failed to merge branch');
+        }
       }
     } finally {
       setSkipMergeInFlight(null);
@@ -949,17 +986,21 @@ const useBranchTabState = ({
     hasSelectedFiles,
     mergeWarning,
     setMergeWarning,
+    mergeConflicts,
+    setMergeConflicts,
     branchTestValidity,
     markBranchInvalidated,
     markBranchValidated,
     testInFlight,
     mergeInFlight,
+    pullRequestInFlight,
     commitInFlight,
     testMergeInFlight,
     skipMergeInFlight,
     deleteInFlight,
     handleRunTests,
     handleMergeBranch,
+    handleOpenPullRequest,
     handleTestAndMerge,
     handleSkipTestsAndMerge,
     handleCommitBranch,
@@ -506,6 +506,34 @@ describe('useBranchTabState', () => {
     });
   });
 
+  test('merge conflicts open the resolver instead of surfacing an error', async () => {
+    mockedAxios.get.mockResolvedValue({ data: createOverview() });
+    const conflicts = { inProgress: true, files: [{ path: 'src/app.js', resolved: false }] };
+    const rejection = new Error('conflicts');
+    rejection.response = { status: 409, data: { error: 'Merge conflicts in 1 file(s)', conflicts } };
+    mockedAxios.post.mockRejectedValueOnce(rejection).mockRejectedValueOnce(rejection);
+
+    const { result } = renderHook(() => useBranchTabState(defaultProps));
+    await waitFor(() => {
+      expect(result.current.branchSummaries.length).toBeGreaterThan(0);
+    });
+
+    await act(async () => {
+      await result.current.handleSkipTestsAndMerge('feature/login');
+    });
+    expect(result.current.mergeConflicts).toEqual(conflicts);
+    expect(result.current.error).toBeNull();
+
+    act(() => {
+      result.current.setMergeConflicts(null);
+    });
+    await act(async () => {
+      await result.current.handleMergeBranch('feature/login');
+    });
+    expect(result.current.mergeConflicts).toEqual(conflicts);
+    expect(result.current.error).toBeNull();
+  });
+
   test('handleSkipTestsAndMerge falls back to default merge error copy when server response is missing', async () => {
     mockedAxios.get.mockResolvedValue({ data: createOverview() });
     mockedAxios.post.mockRejectedValueOnce(new Error('merge down'));
@@ -1227,4 +1255,70 @@ describe('useBranchTabState', () => {
     });
     expect(onRequestFileOpen).not.toHaveBeenCalled();
   });
+
+  test('handleOpenPullRequest posts to the branch and applies the returned overview', async () => {
+    const pullRequest = { provider: 'github', number: 7, url: 'https://github.com/o/r/pull/7', status: 'open' };
+    const withPullRequest = createOverview({
+      workingBranches: [
+        { name: 'feature/login', status: 'ready-for-merge', lastTestStatus: 'passed', stagedFiles: [], pullRequest }
+      ]
+    });
+    mockedAxios.get.mockResolvedValue({ data: createOverview() });
+    mockedAxios.post
+      .mockResolvedValueOnce({ data: { success: true, pullRequest, overview: withPullRequest } })
+      .mockResolvedValueOnce({ data: { success: true } });
+
+    const { result } = renderHook(() => useBranchTabState(defaultProps));
+    await waitFor(() => {
+      expect(result.current.branchSummaries.length).toBeGreaterThan(0);
+    });
+
+    let returned;
+    await act(async () => {
+      returned = await result.current.handleOpenPullRequest('feature/login');
+    });
+
+    expect(mockedAxios.post).toHaveBeenCalledWith('/api/projects/proj-1/branches/feature%2Flogin/pull-request');
+    expect(returned).toEqual(pullRequest);
+    expect(result.current.workingBranches[0].pullRequest).toEqual(pullRequest);
+    expect(result.current.pullRequestInFlight).toBe(null);
+
+    const getCalls = mockedAxios.get.mock.calls.length;
+    await act(async () => {
+      returned = await result.current.handleOpenPullRequest('feature/login');
+    });
+    expect(returned).toBe(null);
+    expect(mockedAxios.get.mock.calls.length).toBeGreaterThan(getCalls);
+
+    await act(async () => {
+      returned = await result.current.handleOpenPullRequest('');
+    });
+    expect(returned).toBe(null);
+    expect(mockedAxios.post).toHaveBeenCalledTimes(2);
+  });
+
+  test('handleOpenPullRequest surfaces server errors', async () => {
+    mockedAxios.get.mockResolvedValue({ data: createOverview() });
+    const rejection = new Error('push failed');
+    rejection.response = { data: { error: 'A personal access token is required to open a pull request' } };
+    mockedAxios.post
+      .mockRejectedValueOnce(rejection)
+      .mockRejectedValueOnce(new Error('network down'));
+
+    const { result } = renderHook(() => useBranchTabState(defaultProps));
+    await waitFor(() => {
+      expect(result.current.branchSummaries.length).toBeGreaterThan(0);
+    });
+
+    await act(async () => {
+      await result.current.handleOpenPullRequest('feature/login');
+    });
+    expect(result.current.error).toBe('A personal access token is required to open a pull request');
+    expect(result.current.pullRequestInFlight).toBe(null);
+
+    await act(async () => {
+      await result.current.handleOpenPullRequest('feature/login');
+    });
+    expect(result.current.error).toBe('Failed to open pull request');
+  });
 });
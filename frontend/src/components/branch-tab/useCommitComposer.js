@@ -360,7 +360,8 @@ export const useCommitComposer = ({ project }) => {
             { role: 'user', content: summaryPrompt }
           ],
           max_tokens: 220,
-          temperature: 0.2
+          temperature: 0.2,
+          __lucidcoderPurpose: 'commit-message'
         };
         console.log('[CommitComposer] Sending LLM summary payload', {
           attempt,
@@ -101,7 +101,10 @@ describe('useCommitComposer', () => {
       await result.current.handleCommitMessageAutofill('feature/login', [{ path: 'src/App.jsx' }]);
     });
 
-    expect(mockedAxios.post).toHaveBeenCalledWith('/api/llm/generate', expect.any(Object));
+    expect(mockedAxios.post).toHaveBeenCalledWith(
+      '/api/llm/generate',
+      expect.objectContaining({ __lucidcoderPurpose: 'commit-message' })
+    );
     await waitFor(() => {
       expect(result.current.getCommitSubjectForBranch('feature/login')).toBe('Implement login guard');
       expect(result.current.getCommitBodyForBranch('feature/login')).toBe('Add routing checks');
@@ -0,0 +1,157 @@
+import React, { useEffect, useState } from 'react';
+
+const pluralize = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+export const describeThreadLinks = (thread) => {
+  const goals = thread?.links?.goals?.length || 0;
+  const sessions = thread?.links?.autopilotSessions?.length || 0;
+  const parts = [];
+  if (goals) {
+    parts.push(pluralize(goals, 'goal'));
+  }
+  if (sessions) {
+    parts.push(pluralize(sessions, 'autopilot run'));
+  }
+  return parts.join(' · ');
+};
+
+const ChatThreadBar = ({
+  threads,
+  activeThreadId,
+  searchResults,
+  error,
+  onSelect,
+  onCreate,
+  onRename,
+  onArchive,
+  onSearch
+}) => {
+  const [renameDraft, setRenameDraft] = useState(null);
+  const [query, setQuery] = useState('');
+  const activeThread = threads.find((thread) => thread.id === activeThreadId) || null;
+  const linkSummary = describeThreadLinks(activeThread);
+
+  useEffect(() => {
+    setRenameDraft(null);
+  }, [activeThreadId]);
+
+  const handleRename = (event) => {
+    event.preventDefault();
+    const title = renameDraft.trim();
+    if (title && title !== activeThread.title) {
+      onRename(activeThread.id, title);
+    }
+    setRenameDraft(null);
+  };
+
+  const handleSearch = (event) => {
+    event.preventDefault();
+    onSearch(query);
+  };
+
+  const handleOpenResult = (thread) => {
+    setQuery('');
+    onSearch('');
+    onSelect(thread);
+  };
+
+  return (
+    <div className="chat-threads" data-testid="chat-threads">
+      <div className="chat-threads__row">
+        {renameDraft === null ? (
+          <select
+            className="chat-threads__select"
+            value={activeThreadId ?? ''}
+            onChange={(event) => {
+              const thread = threads.find((item) => String(item.id) === event.target.value);
+              if (thread) {
+                onSelect(thread);
+              }
+            }}
+            aria-label="Chat thread"
+            data-testid="chat-thread-select"
+          >
+            {threads.map((thread) => (
+              <option key={thread.id} value={thread.id}>
+                {thread.archived ? `${thread.title} (archived)` : thread.title}
+              </option>
+            ))}
+          </select>
+        ) : (
+          <form className="chat-threads__rename" onSubmit={handleRename}>
+            <input
+              type="text"
+              value={renameDraft}
+              onChange={(event) => setRenameDraft(event.target.value)}
+              aria-label="Thread title"
+              data-testid="chat-thread-title-input"
+              autoFocus
+            />
+            <button type="submit" data-testid="chat-thread-rename-save">Save</button>
+            <button type="button" onClick={() => setRenameDraft(null)}>Cancel</button>
+          </form>
+        )}
+        <button type="button" onClick={onCreate} data-testid="chat-thread-new">New</button>
+        <button
+          type="button"
+          onClick={() => setRenameDraft(activeThread.title)}
+          disabled={!activeThread || renameDraft !== null}
+          data-testid="chat-thread-rename"
+        >
+          Rename
+        </button>
+        <button
+          type="button"
+          onClick={() => onArchive(activeThread.id)}
+          disabled={!activeThread || activeThread.archived}
+          data-testid="chat-thread-archive"
+        >
+          Archive
+        </button>
+      </div>
+
+      <form className="chat-threads__search" onSubmit={handleSearch}>
+        <input
+          type="search"
+          value={query}
+          onChange={(event) => {
+            setQuery(event.target.value);
+            if (!event.target.value.trim()) {
+              onSearch('');
+            }
+          }}
+          placeholder="Search threads"
+          aria-label="Search threads"
+          data-testid="chat-thread-search"
+        />
+      </form>
+
+      {linkSummary && (
+        <div className="chat-threads__links" data-testid="chat-thread-links">{linkSummary}</div>
+      )}
+      {error && (
+        <div className="chat-threads__error" role="alert">{error}</div>
+      )}
+
+      {searchResults && (
+        <ul className="chat-threads__results" data-testid="chat-thread-results">
+          {searchResults.length === 0 && (
+            <li className="chat-threads__empty">No threads match.</li>
+          )}
+          {searchResults.map((thread) => (
+            <li key={thread.id}>
+              <button type="button" onClick={() => handleOpenResult(thread)}>
+                <span className="chat-threads__result-title">
+                  {thread.archived ? `${thread.title} (archived)` : thread.title}
+                </span>
+                {thread.match && <span className="chat-threads__result-match">{thread.match}</span>}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ChatThreadBar;
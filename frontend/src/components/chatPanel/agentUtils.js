@@ -9,6 +9,7 @@ export const createChatMessage = (sender, text, options = {}) => ({
 export const callAgentWithTimeout = async ({
   projectId,
   prompt,
+  threadId,
   timeoutMs,
   agentRequestFn
 }) => {
@@ -21,7 +22,7 @@ export const callAgentWithTimeout = async ({
 
   try {
     const result = await Promise.race([
-      agentRequestFn({ projectId, prompt }),
+      agentRequestFn(threadId ? { projectId, prompt, threadId } : { projectId, prompt }),
       timeoutPromise
     ]);
     return result;
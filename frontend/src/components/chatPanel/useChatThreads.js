@@ -0,0 +1,215 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  createChatThread,
+  fetchChatThreadMessages,
+  fetchChatThreads,
+  saveChatThreadMessages,
+  updateChatThread
+} from '../../utils/chatThreadsApi';
+
+const ACTIVE_THREAD_STORAGE_PREFIX = 'lucidcoder.chatThread.';
+export const CHAT_THREAD_SYNC_DELAY_MS = 400;
+
+const readRememberedThreadId = (projectId) => {
+  try {
+    const value = Number(window.localStorage?.getItem?.(`${ACTIVE_THREAD_STORAGE_PREFIX}${projectId}`));
+    return Number.isInteger(value) && value > 0 ? value : null;
+  } catch {
+    return null;
+  }
+};
+
+const rememberThreadId = (projectId, threadId) => {
+  try {
+    window.localStorage?.setItem?.(`${ACTIVE_THREAD_STORAGE_PREFIX}${projectId}`, String(threadId));
+  } catch {
+    // Ignore storage failures
+  }
+};
+
+const signatureOf = (message) => `${message.variant || ''}\u0000${message.text}`;
+
+const replaceThread = (threads, thread) => threads.map((item) => (item.id === thread.id ? thread : item));
+
+// Keeps the chat transcript in server-side threads. Until the first thread list loads (or when
+// the backend cannot serve threads) `isServerBacked` stays false and the panel keeps using its
+// local history; the first load of a project without threads imports that local history.
+// Message edits are saved in batches after `CHAT_THREAD_SYNC_DELAY_MS`; empty messages (a reply
+// that has not streamed any text yet) wait until they have content.
+export const useChatThreads = ({ projectId, messages, setMessages, readLocalMessages }) => {
+  const [threads, setThreads] = useState([]);
+  const [activeThreadId, setActiveThreadId] = useState(null);
+  const [isServerBacked, setIsServerBacked] = useState(false);
+  const [searchResults, setSearchResults] = useState(null);
+  const [error, setError] = useState('');
+
+  const activeRef = useRef({ projectId: null, threadId: null });
+  const syncedRef = useRef(new Map());
+  const messagesRef = useRef(messages);
+
+  useEffect(() => {
+    messagesRef.current = messages;
+  }, [messages]);
+
+  const openThread = useCallback(async (targetProjectId, threadId) => {
+    const loaded = await fetchChatThreadMessages(targetProjectId, threadId);
+    if (activeRef.current.projectId !== targetProjectId) {
+      return false;
+    }
+    activeRef.current = { projectId: targetProjectId, threadId };
+    syncedRef.current = new Map(loaded.map((message) => [String(message.id), signatureOf(message)]));
+    rememberThreadId(targetProjectId, threadId);
+    setActiveThreadId(threadId);
+    setMessages(loaded);
+    return true;
+  }, [setMessages]);
+
+  const flush = useCallback(async () => {
+    const { projectId: targetProjectId, threadId } = activeRef.current;
+    const pending = messagesRef.current.filter((message) => (
+      message?.id && message.sender && typeof message.text === 'string' && message.text
+      && syncedRef.current.get(String(message.id)) !== signatureOf(message)
+    ));
+    if (!threadId || pending.length === 0) {
+      return;
+    }
+    try {
+      const thread = await saveChatThreadMessages(targetProjectId, threadId, pending);
+      if (activeRef.current.threadId !== threadId) {
+        return;
+      }
+      pending.forEach((message) => syncedRef.current.set(String(message.id), signatureOf(message)));
+      setThreads((prev) => replaceThread(prev, thread));
+    } catch {
+      // Unsaved messages are retried with the next change.
+    }
+  }, []);
+
+  useEffect(() => {
+    activeRef.current = { projectId, threadId: null };
+    syncedRef.current = new Map();
+    setThreads([]);
+    setActiveThreadId(null);
+    setIsServerBacked(false);
+    setSearchResults(null);
+    setError('');
+    if (!projectId) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    const load = async () => {
+      try {
+        let list = await fetchChatThreads(projectId);
+        if (cancelled) {
+          return;
+        }
+        const remembered = readRememberedThreadId(projectId);
+        let threadId = list.some((thread) => thread.id === remembered) ? remembered : list[0]?.id;
+        if (!threadId) {
+          const imported = await createChatThread(projectId, { messages: readLocalMessages(projectId) });
+          list = [imported];
+          threadId = imported.id;
+        }
+        if (cancelled) {
+          return;
+        }
+        setThreads(list);
+        if (await openThread(projectId, threadId)) {
+          setIsServerBacked(true);
+        }
+      } catch {
+        // Stay on the local history when threads are unavailable.
+      }
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [projectId, openThread, readLocalMessages]);
+
+  useEffect(() => {
+    if (!isServerBacked || !activeThreadId) {
+      return undefined;
+    }
+    const timer = setTimeout(flush, CHAT_THREAD_SYNC_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [activeThreadId, flush, isServerBacked, messages]);
+
+  const runAction = useCallback(async (action, failureMessage) => {
+    setError('');
+    try {
+      await action();
+    } catch (actionError) {
+      setError(actionError?.response?.data?.error || failureMessage);
+    }
+  }, []);
+
+  const selectThread = useCallback((thread) => runAction(async () => {
+    if (thread.id === activeRef.current.threadId) {
+      return;
+    }
+    await flush();
+    setThreads((prev) => (prev.some((item) => item.id === thread.id) ? prev : [thread, ...prev]));
+    await openThread(projectId, thread.id);
+  }, 'Failed to open the chat thread'), [flush, openThread, projectId, runAction]);
+
+  const startThread = useCallback(async () => {
+    const thread = await createChatThread(projectId);
+    setThreads((prev) => [thread, ...prev]);
+    activeRef.current = { projectId, threadId: thread.id };
+    syncedRef.current = new Map();
+    rememberThreadId(projectId, thread.id);
+    setActiveThreadId(thread.id);
+    setMessages([]);
+  }, [projectId, setMessages]);
+
+  const createThread = useCallback(() => runAction(async () => {
+    await flush();
+    await startThread();
+  }, 'Failed to create a chat thread'), [flush, runAction, startThread]);
+
+  const renameThread = useCallback((threadId, title) => runAction(async () => {
+    const thread = await updateChatThread(projectId, threadId, { title });
+    setThreads((prev) => replaceThread(prev, thread));
+  }, 'Failed to rename the chat thread'), [projectId, runAction]);
+
+  const archiveThread = useCallback((threadId) => runAction(async () => {
+    await updateChatThread(projectId, threadId, { archived: true });
+    const remaining = threads.filter((thread) => thread.id !== threadId);
+    setThreads(remaining);
+    if (threadId !== activeRef.current.threadId) {
+      return;
+    }
+    if (remaining.length > 0) {
+      await openThread(projectId, remaining[0].id);
+    } else {
+      await startThread();
+    }
+  }, 'Failed to archive the chat thread'), [openThread, projectId, runAction, startThread, threads]);
+
+  const searchThreads = useCallback((query) => runAction(async () => {
+    const trimmed = typeof query === 'string' ? query.trim() : '';
+    if (!trimmed) {
+      setSearchResults(null);
+      return;
+    }
+    setSearchResults(await fetchChatThreads(projectId, { query: trimmed, includeArchived: true }));
+  }, 'Failed to search chat threads'), [projectId, runAction]);
+
+  return {
+    threads,
+    activeThreadId,
+    isServerBacked,
+    searchResults,
+    error,
+    selectThread,
+    createThread,
+    renameThread,
+    archiveThread,
+    searchThreads
+  };
+};
+
+export default useChatThreads;
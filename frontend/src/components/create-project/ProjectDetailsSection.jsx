@@ -12,6 +12,7 @@ const ProjectDetailsSection = ({
   backendLanguages,
   getFrontendFrameworks,
   getBackendFrameworks,
+  frameworkLabels,
   onFrontendLanguageChange,
   onFrontendFrameworkChange,
   onBackendLanguageChange,
@@ -65,6 +66,7 @@ const ProjectDetailsSection = ({
           backendLanguages={backendLanguages}
           getFrontendFrameworks={getFrontendFrameworks}
           getBackendFrameworks={getBackendFrameworks}
+          frameworkLabels={frameworkLabels}
           onFrontendLanguageChange={onFrontendLanguageChange}
           onFrontendFrameworkChange={onFrontendFrameworkChange}
           onBackendLanguageChange={onBackendLanguageChange}
@@ -8,6 +8,7 @@ const TechnologySelectors = ({
   backendLanguages,
   getFrontendFrameworks,
   getBackendFrameworks,
+  frameworkLabels,
   onFrontendLanguageChange,
   onFrontendFrameworkChange,
   onBackendLanguageChange,
@@ -46,7 +47,7 @@ const TechnologySelectors = ({
             >
               {getFrontendFrameworks().map((framework) => (
                 <option key={framework} value={framework}>
-                  {framework.charAt(0).toUpperCase() + framework.slice(1)}
+                  {frameworkLabels?.[framework] || framework.charAt(0).toUpperCase() + framework.slice(1)}
                 </option>
               ))}
             </select>
@@ -85,7 +86,7 @@ const TechnologySelectors = ({
             >
               {getBackendFrameworks().map((framework) => (
                 <option key={framework} value={framework}>
-                  {framework.charAt(0).toUpperCase() + framework.slice(1)}
+                  {frameworkLabels?.[framework] || framework.charAt(0).toUpperCase() + framework.slice(1)}
                 </option>
               ))}
             </select>
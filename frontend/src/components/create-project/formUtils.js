@@ -20,6 +20,48 @@ export const BACKEND_FRAMEWORKS = {
   swift: ['vapor', 'perfect', 'kitura']
 };
 
+// New and template projects are generated from the backend template registry, so only offer the
+// combinations it can scaffold. These are the built-in templates, used until /api/templates answers.
+export const SCAFFOLD_FRONTEND_FRAMEWORKS = {
+  javascript: ['react', 'vue', 'svelte', 'nextjs'],
+  typescript: ['react']
+};
+
+export const SCAFFOLD_BACKEND_FRAMEWORKS = {
+  javascript: ['express', 'fastify'],
+  typescript: ['express', 'nestjs'],
+  python: ['flask', 'fastapi']
+};
+
+export const SCAFFOLD_BACKEND_LANGUAGES = Object.keys(SCAFFOLD_BACKEND_FRAMEWORKS);
+
+export const DEFAULT_SCAFFOLD_CATALOG = {
+  frontend: SCAFFOLD_FRONTEND_FRAMEWORKS,
+  backend: SCAFFOLD_BACKEND_FRAMEWORKS,
+  labels: {}
+};
+
+export const buildScaffoldCatalog = (templates) => {
+  const catalog = { frontend: {}, backend: {}, labels: {} };
+  for (const template of Array.isArray(templates) ? templates : []) {
+    const byLanguage = catalog[template?.side];
+    if (!byLanguage || !template.language || !template.framework) {
+      continue;
+    }
+    const frameworks = byLanguage[template.language] || (byLanguage[template.language] = []);
+    if (!frameworks.includes(template.framework)) {
+      frameworks.push(template.framework);
+    }
+    // Built-in frameworks keep their usual option text; user templates show their manifest name.
+    if (template.source !== 'builtin' && template.name) {
+      catalog.labels[template.framework] = template.name;
+    }
+  }
+
+  const hasBothSides = Object.keys(catalog.frontend).length > 0 && Object.keys(catalog.backend).length > 0;
+  return hasBothSides ? catalog : DEFAULT_SCAFFOLD_CATALOG;
+};
+
 export const deriveRepoName = (value) => {
   const raw = typeof value === 'string' ? value.trim() : '';
   if (!raw) {
@@ -31,9 +73,36 @@ export const deriveRepoName = (value) => {
   return candidate.trim();
 };
 
-export const resolveFrontendFrameworkOptions = (language) => FRONTEND_FRAMEWORKS[language] || ['react'];
+export const resolveFrontendFrameworkOptions = (
+  language,
+  { scaffoldOnly = false, catalog = DEFAULT_SCAFFOLD_CATALOG } = {}
+) => (scaffoldOnly ? catalog.frontend : FRONTEND_FRAMEWORKS)[language] || ['react'];
+
+export const resolveBackendFrameworkOptions = (
+  language,
+  { scaffoldOnly = false, catalog = DEFAULT_SCAFFOLD_CATALOG } = {}
+) => (scaffoldOnly ? catalog.backend : BACKEND_FRAMEWORKS)[language] || ['express'];
+
+const restrictTech = (tech, frameworksByLanguage) => {
+  const fallbackLanguage = frameworksByLanguage.javascript ? 'javascript' : Object.keys(frameworksByLanguage)[0];
+  const language = frameworksByLanguage[tech.language] ? tech.language : fallbackLanguage;
+  const options = frameworksByLanguage[language];
+  const framework = options.includes(tech.framework) ? tech.framework : options[0];
+  return { language, framework };
+};
+
+export const restrictToScaffoldTemplates = (project, catalog = DEFAULT_SCAFFOLD_CATALOG) => {
+  const frontend = restrictTech(project.frontend, catalog.frontend);
+  const backend = restrictTech(project.backend, catalog.backend);
 
-export const resolveBackendFrameworkOptions = (language) => BACKEND_FRAMEWORKS[language] || ['express'];
+  const unchanged =
+    frontend.language === project.frontend.language &&
+    frontend.framework === project.frontend.framework &&
+    backend.language === project.backend.language &&
+    backend.framework === project.backend.framework;
+
+  return unchanged ? project : { ...project, frontend, backend };
+};
 
 export const applyDetectedTechToProject = (prevProject, detected) => {
   if (!detected || typeof detected !== 'object') {
@@ -0,0 +1,30 @@
+import { useEffect, useRef, useState } from 'react';
+import { buildScaffoldCatalog, DEFAULT_SCAFFOLD_CATALOG } from './formUtils';
+
+export function useProjectTemplates({ setupStep, enabled, axios }) {
+  const [catalog, setCatalog] = useState(DEFAULT_SCAFFOLD_CATALOG);
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    if (setupStep !== 'details' || !enabled || requestedRef.current) {
+      return;
+    }
+    requestedRef.current = true;
+
+    Promise.resolve()
+      .then(() => axios.get('/api/templates'))
+      .then((response) => {
+        const data = response?.data;
+        if (!data?.success) {
+          throw new Error(data?.error || 'Failed to load project templates');
+        }
+        setCatalog(buildScaffoldCatalog(data.templates));
+      })
+      .catch((error) => {
+        // The built-in catalog still describes everything the backend can scaffold without user templates.
+        console.warn('Failed to load project templates:', error.message);
+      });
+  }, [setupStep, enabled, axios]);
+
+  return catalog;
+}
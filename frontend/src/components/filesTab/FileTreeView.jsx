@@ -1,4 +1,5 @@
 import React, { useCallback } from 'react';
+import { getCoverageLevel } from './editorUtils';
 
 const renderTreeConnector = (level, isLastChild) => {
   if (level === 0) {
@@ -17,6 +18,7 @@ const FileTreeView = ({
   expandedFolders = new Set(),
   activeFilePath,
   stagedPathSet = new Set(),
+  coverageByPath = null,
   selectedFolderPath = null,
   onToggleFolder,
   onOpenContextMenu,
@@ -31,6 +33,7 @@ const FileTreeView = ({
       const fragmentKey = `${item.path}-${level}-${index}`;
       const isStaged = item.type !== 'folder' && stagedPathSet.has(item.path);
       const isFolderSelected = item.type === 'folder' && selectedFolderPath === item.path;
+      const coveragePct = item.type !== 'folder' ? coverageByPath?.[item.path] : undefined;
 
       if (item.type === 'folder') {
         return (
@@ -90,6 +93,15 @@ const FileTreeView = ({
             {renderTreeConnector(level, isLastChild)}
             <span className="file-icon">📄</span>
             <span className="file-name">{item.name}</span>
+            {Number.isFinite(coveragePct) && (
+              <span
+                className={`file-coverage-badge ${getCoverageLevel(coveragePct)}`}
+                data-testid={`file-coverage-${item.path}`}
+                title={`${coveragePct}% of lines covered in the last coverage run`}
+              >
+                {Math.floor(coveragePct)}%
+              </span>
+            )}
             {isStaged && (
               <button
                 type="button"
@@ -120,7 +132,7 @@ const FileTreeView = ({
         </React.Fragment>
       );
     }),
-    [activeFilePath, expandedFolders, onOpenContextMenu, onSelectFile, onToggleFolder, stagedPathSet]
+    [activeFilePath, coverageByPath, expandedFolders, onOpenContextMenu, onSelectFile, onToggleFolder, stagedPathSet]
   );
 
   if (!Array.isArray(items) || items.length === 0) {
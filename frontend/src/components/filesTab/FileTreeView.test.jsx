@@ -80,4 +80,26 @@ describe('FileTreeView', () => {
 
     expect(screen.getByText('Loading…')).toBeInTheDocument();
   });
+
+  it('shows the line coverage of files with a coverage report', () => {
+    render(
+      <FileTreeView
+        items={[
+          { name: 'src', path: 'src', type: 'folder', children: [] },
+          { name: 'full.js', path: 'full.js', type: 'file' },
+          { name: 'low.js', path: 'low.js', type: 'file' },
+          { name: 'none.js', path: 'none.js', type: 'file' }
+        ]}
+        coverageByPath={{ src: 40, 'full.js': 100, 'low.js': 12.5 }}
+        onSelectFile={() => {}}
+      />
+    );
+
+    expect(screen.getByTestId('file-coverage-full.js')).toHaveTextContent('100%');
+    expect(screen.getByTestId('file-coverage-full.js')).toHaveClass('full');
+    expect(screen.getByTestId('file-coverage-low.js')).toHaveTextContent('12%');
+    expect(screen.getByTestId('file-coverage-low.js')).toHaveAttribute('title', '12.5% of lines covered in the last coverage run');
+    expect(screen.queryByTestId('file-coverage-none.js')).not.toBeInTheDocument();
+    expect(screen.queryByTestId('file-coverage-src')).not.toBeInTheDocument();
+  });
 });
@@ -0,0 +1,327 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { previewProjectReplace, searchProjectFiles } from '../../utils/fileSearchApi';
+
+const pluralize = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+const renderMatchPreview = (match) => {
+  const start = Math.max(0, match.column - 1 - match.previewOffset);
+  const end = start + match.length;
+  return (
+    <>
+      <span>{match.preview.slice(0, start)}</span>
+      <mark className="files-search-highlight">{match.preview.slice(start, end)}</mark>
+      <span>{match.preview.slice(end)}</span>
+    </>
+  );
+};
+
+const SearchToggle = ({ label, title, pressed, onToggle, testId }) => (
+  <button
+    type="button"
+    className={`files-search-toggle${pressed ? ' active' : ''}`}
+    aria-pressed={pressed}
+    title={title}
+    onClick={onToggle}
+    data-testid={testId}
+  >
+    {label}
+  </button>
+);
+
+const SearchPanel = ({ projectId, disabled = false, onOpenMatch, onApplyReplace }) => {
+  const [query, setQuery] = useState('');
+  const [replacement, setReplacement] = useState('');
+  const [regex, setRegex] = useState(false);
+  const [caseSensitive, setCaseSensitive] = useState(false);
+  const [wholeWord, setWholeWord] = useState(false);
+  const [include, setInclude] = useState('');
+  const [exclude, setExclude] = useState('');
+  const [results, setResults] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [selectedPaths, setSelectedPaths] = useState(() => new Set());
+  const [isApplying, setIsApplying] = useState(false);
+  const searchControllerRef = useRef(null);
+
+  const options = { query, regex, caseSensitive, wholeWord, include, exclude };
+
+  const cancelSearch = useCallback(() => {
+    searchControllerRef.current?.abort();
+    searchControllerRef.current = null;
+  }, []);
+
+  useEffect(() => {
+    cancelSearch();
+    setResults([]);
+    setSummary(null);
+    setError(null);
+    setNotice('');
+    setPreview(null);
+    setIsSearching(false);
+  }, [projectId, cancelSearch]);
+
+  useEffect(() => cancelSearch, [cancelSearch]);
+
+  const runSearch = async (searchOptions) => {
+    cancelSearch();
+    const controller = new AbortController();
+    searchControllerRef.current = controller;
+    setResults([]);
+    setSummary(null);
+    setError(null);
+    setIsSearching(true);
+
+    try {
+      const result = await searchProjectFiles({
+        projectId,
+        options: searchOptions,
+        signal: controller.signal,
+        onFile: (file) => setResults((prev) => [...prev, file])
+      });
+      setSummary(result);
+    } catch (searchError) {
+      if (controller.signal.aborted) {
+        return;
+      }
+      setError(searchError.message);
+    }
+    if (searchControllerRef.current === controller) {
+      searchControllerRef.current = null;
+      setIsSearching(false);
+    }
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!query || disabled) {
+      return;
+    }
+    setNotice('');
+    setPreview(null);
+    runSearch(options);
+  };
+
+  const handlePreviewReplace = async () => {
+    setError(null);
+    setNotice('');
+    try {
+      const data = await previewProjectReplace({ projectId, options, replacement });
+      setPreview(data);
+      setSelectedPaths(new Set(data.files.map((file) => file.path)));
+    } catch (previewError) {
+      setError(previewError.response?.data?.error || previewError.message);
+    }
+  };
+
+  const togglePreviewFile = (filePath) => {
+    setSelectedPaths((prev) => {
+      const next = new Set(prev);
+      if (next.has(filePath)) {
+        next.delete(filePath);
+      } else {
+        next.add(filePath);
+      }
+      return next;
+    });
+  };
+
+  const handleApplyReplace = async () => {
+    const files = preview.files.filter((file) => selectedPaths.has(file.path));
+    setIsApplying(true);
+    setError(null);
+    try {
+      const { applied, skipped } = await onApplyReplace(files);
+      const messages = [`Replaced text in ${pluralize(applied.length, 'file')}.`];
+      if (skipped.length) {
+        messages.push(`Skipped ${pluralize(skipped.length, 'file')} with unsaved changes: ${skipped.join(', ')}.`);
+      }
+      setNotice(messages.join(' '));
+      setPreview(null);
+      runSearch(options);
+    } catch (applyError) {
+      setError(applyError.response?.data?.error || applyError.message);
+    }
+    setIsApplying(false);
+  };
+
+  const selectedCount = preview ? preview.files.filter((file) => selectedPaths.has(file.path)).length : 0;
+
+  return (
+    <div className="files-search-panel" data-testid="files-search-panel">
+      <form className="files-search-form" onSubmit={handleSubmit}>
+        <div className="files-search-row">
+          <input
+            type="text"
+            className="files-search-input"
+            placeholder="Search"
+            aria-label="Search"
+            value={query}
+            onChange={(event) => setQuery(event.target.value)}
+            data-testid="files-search-input"
+          />
+          <SearchToggle
+            label="Aa"
+            title="Match case"
+            pressed={caseSensitive}
+            onToggle={() => setCaseSensitive((value) => !value)}
+            testId="files-search-case"
+          />
+          <SearchToggle
+            label="ab"
+            title="Match whole word"
+            pressed={wholeWord}
+            onToggle={() => setWholeWord((value) => !value)}
+            testId="files-search-word"
+          />
+          <SearchToggle
+            label=".*"
+            title="Use regular expression"
+            pressed={regex}
+            onToggle={() => setRegex((value) => !value)}
+            testId="files-search-regex"
+          />
+        </div>
+        <div className="files-search-row">
+          <input
+            type="text"
+            className="files-search-input"
+            placeholder={regex ? 'Replace ($1 for groups)' : 'Replace'}
+            aria-label="Replace"
+            value={replacement}
+            onChange={(event) => setReplacement(event.target.value)}
+            data-testid="files-replace-input"
+          />
+          <button
+            type="button"
+            className="files-search-action"
+            onClick={handlePreviewReplace}
+            disabled={disabled || !query}
+            data-testid="files-replace-preview"
+          >
+            Preview
+          </button>
+        </div>
+        <input
+          type="text"
+          className="files-search-input"
+          placeholder="Files to include (e.g. src/**, *.jsx)"
+          aria-label="Files to include"
+          value={include}
+          onChange={(event) => setInclude(event.target.value)}
+          data-testid="files-search-include"
+        />
+        <input
+          type="text"
+          className="files-search-input"
+          placeholder="Files to exclude"
+          aria-label="Files to exclude"
+          value={exclude}
+          onChange={(event) => setExclude(event.target.value)}
+          data-testid="files-search-exclude"
+        />
+        <button
+          type="submit"
+          className="files-search-action primary"
+          disabled={disabled || !query}
+          data-testid="files-search-submit"
+        >
+          Search
+        </button>
+      </form>
+
+      {error && <div className="error" role="alert" data-testid="files-search-error">{error}</div>}
+      {notice && <div className="files-search-status" data-testid="files-search-notice">{notice}</div>}
+
+      {preview ? (
+        <div className="files-search-results" data-testid="files-replace-preview-list">
+          <div className="files-search-status">
+            {preview.files.length
+              ? `${pluralize(preview.replacementCount, 'replacement')} in ${pluralize(preview.files.length, 'file')}`
+              : 'Nothing to replace'}
+          </div>
+          {preview.files.map((file) => (
+            <div key={file.path} className="files-search-file">
+              <label className="files-search-file-header">
+                <input
+                  type="checkbox"
+                  checked={selectedPaths.has(file.path)}
+                  onChange={() => togglePreviewFile(file.path)}
+                  data-testid={`files-replace-select-${file.path}`}
+                />
+                <span className="files-search-file-path">{file.path}</span>
+                <span className="files-search-count">{file.replacements}</span>
+              </label>
+              {file.changes.map((change) => (
+                <div key={change.line} className="files-replace-change">
+                  <span className="files-search-line">{change.line}</span>
+                  <div>
+                    <div className="files-replace-before">{change.before}</div>
+                    <div className="files-replace-after">{change.after}</div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          ))}
+          <div className="files-search-row">
+            <button
+              type="button"
+              className="files-search-action primary"
+              onClick={handleApplyReplace}
+              disabled={disabled || isApplying || selectedCount === 0}
+              data-testid="files-replace-apply"
+            >
+              {isApplying ? 'Replacing…' : `Replace in ${pluralize(selectedCount, 'file')}`}
+            </button>
+            <button
+              type="button"
+              className="files-search-action"
+              onClick={() => setPreview(null)}
+              disabled={isApplying}
+              data-testid="files-replace-cancel"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="files-search-results" data-testid="files-search-results">
+          {isSearching && <div className="files-search-status">Searching…</div>}
+          {summary && (
+            <div className="files-search-status" data-testid="files-search-summary">
+              {summary.matchCount
+                ? `${pluralize(summary.matchCount, 'result')} in ${pluralize(summary.fileCount, 'file')}`
+                : 'No results found'}
+              {summary.truncated ? ' (showing the first results only)' : ''}
+            </div>
+          )}
+          {results.map((file) => (
+            <div key={file.path} className="files-search-file">
+              <div className="files-search-file-header">
+                <span className="files-search-file-path" title={file.path}>{file.path}</span>
+                <span className="files-search-count">{file.matches.length}</span>
+              </div>
+              {file.matches.map((match) => (
+                <button
+                  key={`${match.line}:${match.column}`}
+                  type="button"
+                  className="files-search-match"
+                  onClick={() => onOpenMatch({ path: file.path, ...match })}
+                  disabled={disabled}
+                  data-testid={`files-search-match-${file.path}-${match.line}-${match.column}`}
+                >
+                  <span className="files-search-line">{match.line}</span>
+                  <span className="files-search-preview">{renderMatchPreview(match)}</span>
+                </button>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchPanel;
@@ -0,0 +1,218 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import SearchPanel from './SearchPanel';
+import { previewProjectReplace, searchProjectFiles } from '../../utils/fileSearchApi';
+
+vi.mock('../../utils/fileSearchApi', () => ({
+  searchProjectFiles: vi.fn(),
+  previewProjectReplace: vi.fn()
+}));
+
+const appFile = {
+  path: 'src/App.jsx',
+  matches: [
+    { line: 3, column: 10, length: 5, preview: '  return hello;', previewOffset: 0 },
+    { line: 9, column: 43, length: 5, preview: 'xx hello yy', previewOffset: 39 }
+  ]
+};
+
+const mockSearch = (files, summary) => {
+  searchProjectFiles.mockImplementationOnce(async ({ onFile }) => {
+    files.forEach((file) => onFile(file));
+    return summary;
+  });
+};
+
+const renderPanel = (props = {}) => {
+  const handlers = {
+    onOpenMatch: vi.fn(),
+    onApplyReplace: vi.fn(),
+    ...props
+  };
+  const utils = render(<SearchPanel projectId="p1" {...handlers} />);
+  return { ...utils, ...handlers, user: userEvent.setup() };
+};
+
+const search = async (user, query = 'hello') => {
+  await user.type(screen.getByTestId('files-search-input'), query);
+  await user.click(screen.getByTestId('files-search-submit'));
+};
+
+describe('SearchPanel', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('streams results with the chosen options and opens a match', async () => {
+    mockSearch([appFile], { filesSearched: 3, fileCount: 1, matchCount: 2, truncated: false });
+    const { user, onOpenMatch } = renderPanel();
+
+    await user.click(screen.getByTestId('files-search-case'));
+    await user.click(screen.getByTestId('files-search-word'));
+    await user.click(screen.getByTestId('files-search-regex'));
+    await user.type(screen.getByTestId('files-search-include'), 'src/**');
+    await user.type(screen.getByTestId('files-search-exclude'), '*.md');
+    await search(user);
+
+    expect(await screen.findByTestId('files-search-summary')).toHaveTextContent('2 results in 1 file');
+    expect(searchProjectFiles).toHaveBeenCalledWith(expect.objectContaining({
+      projectId: 'p1',
+      options: {
+        query: 'hello',
+        regex: true,
+        caseSensitive: true,
+        wholeWord: true,
+        include: 'src/**',
+        exclude: '*.md'
+      },
+      signal: expect.any(AbortSignal)
+    }));
+    expect(screen.getByTestId('files-search-case')).toHaveAttribute('aria-pressed', 'true');
+
+    const longLineMatch = screen.getByTestId('files-search-match-src/App.jsx-9-43');
+    expect(longLineMatch.querySelector('mark')).toHaveTextContent('hello');
+    await user.click(longLineMatch);
+    expect(onOpenMatch).toHaveBeenCalledWith({ path: 'src/App.jsx', ...appFile.matches[1] });
+  });
+
+  it('reports empty, truncated and failed searches', async () => {
+    const { user } = renderPanel();
+
+    mockSearch([], { fileCount: 0, matchCount: 0, truncated: false });
+    await search(user, 'nothing');
+    expect(await screen.findByTestId('files-search-summary')).toHaveTextContent('No results found');
+
+    mockSearch([appFile, { ...appFile, path: 'src/b.js' }], { fileCount: 2, matchCount: 1, truncated: true });
+    await user.click(screen.getByTestId('files-search-submit'));
+    expect(await screen.findByText(/1 result in 2 files \(showing the first results only\)/)).toBeInTheDocument();
+
+    searchProjectFiles.mockRejectedValueOnce(new Error('Invalid regular expression'));
+    await user.click(screen.getByTestId('files-search-submit'));
+    expect(await screen.findByTestId('files-search-error')).toHaveTextContent('Invalid regular expression');
+  });
+
+  it('ignores submits without a query', async () => {
+    renderPanel();
+
+    fireEvent.submit(screen.getByTestId('files-search-submit').closest('form'));
+    expect(searchProjectFiles).not.toHaveBeenCalled();
+    expect(screen.getByTestId('files-search-submit')).toBeDisabled();
+  });
+
+  it('aborts a running search when a new one starts or the project changes', async () => {
+    const signals = [];
+    searchProjectFiles.mockImplementation(({ signal }) => new Promise((resolve, reject) => {
+      signals.push(signal);
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+    }));
+    const { user, rerender } = renderPanel();
+
+    await search(user);
+    expect(screen.getByText('Searching…')).toBeInTheDocument();
+    await user.click(screen.getByTestId('files-search-submit'));
+    expect(signals[0].aborted).toBe(true);
+    expect(screen.queryByTestId('files-search-error')).not.toBeInTheDocument();
+
+    rerender(<SearchPanel projectId="p2" onOpenMatch={vi.fn()} onApplyReplace={vi.fn()} />);
+    await waitFor(() => expect(signals[1].aborted).toBe(true));
+    expect(screen.queryByText('Searching…')).not.toBeInTheDocument();
+    searchProjectFiles.mockReset();
+  });
+
+  it('previews replacements and applies the selected files', async () => {
+    const files = [
+      { path: 'src/App.jsx', replacements: 2, content: 'x', changes: [{ line: 3, before: 'hello', after: 'bye' }] },
+      { path: 'src/b.js', replacements: 1, content: 'y', changes: [{ line: 1, before: 'hello', after: 'bye' }] }
+    ];
+    previewProjectReplace.mockResolvedValueOnce({ success: true, files, replacementCount: 3 });
+    const onApplyReplace = vi.fn().mockResolvedValue({ applied: ['src/App.jsx'], skipped: [] });
+    const { user } = renderPanel({ onApplyReplace });
+
+    await user.type(screen.getByTestId('files-search-input'), 'hello');
+    await user.type(screen.getByTestId('files-replace-input'), 'bye');
+    await user.click(screen.getByTestId('files-replace-preview'));
+
+    expect(await screen.findByText('3 replacements in 2 files')).toBeInTheDocument();
+    expect(previewProjectReplace).toHaveBeenCalledWith({
+      projectId: 'p1',
+      options: expect.objectContaining({ query: 'hello' }),
+      replacement: 'bye'
+    });
+
+    await user.click(screen.getByTestId('files-replace-select-src/b.js'));
+    expect(screen.getByTestId('files-replace-apply')).toHaveTextContent('Replace in 1 file');
+    await user.click(screen.getByTestId('files-replace-select-src/b.js'));
+    await user.click(screen.getByTestId('files-replace-select-src/b.js'));
+
+    mockSearch([], { fileCount: 0, matchCount: 0 });
+    await user.click(screen.getByTestId('files-replace-apply'));
+
+    expect(onApplyReplace).toHaveBeenCalledWith([files[0]]);
+    expect(await screen.findByTestId('files-search-notice')).toHaveTextContent('Replaced text in 1 file.');
+    expect(screen.queryByTestId('files-replace-preview-list')).not.toBeInTheDocument();
+    await waitFor(() => expect(searchProjectFiles).toHaveBeenCalledTimes(1));
+  });
+
+  it('reports skipped files and apply failures', async () => {
+    const files = [{ path: 'a.js', replacements: 1, content: 'x', changes: [] }];
+    previewProjectReplace.mockResolvedValue({ success: true, files, replacementCount: 1 });
+    const onApplyReplace = vi.fn()
+      .mockResolvedValueOnce({ applied: [], skipped: ['a.js'] })
+      .mockRejectedValueOnce({ response: { data: { error: 'Permission denied' } } })
+      .mockRejectedValueOnce(new Error('Network Error'));
+    searchProjectFiles.mockResolvedValue({ fileCount: 0, matchCount: 0 });
+    const { user } = renderPanel({ onApplyReplace });
+
+    await user.type(screen.getByTestId('files-search-input'), 'x');
+    await user.click(screen.getByTestId('files-replace-preview'));
+    await user.click(await screen.findByTestId('files-replace-apply'));
+    expect(await screen.findByTestId('files-search-notice'))
+      .toHaveTextContent('Replaced text in 0 files. Skipped 1 file with unsaved changes: a.js.');
+
+    await user.click(screen.getByTestId('files-replace-preview'));
+    await user.click(await screen.findByTestId('files-replace-apply'));
+    expect(await screen.findByTestId('files-search-error')).toHaveTextContent('Permission denied');
+    expect(screen.getByTestId('files-replace-apply')).not.toBeDisabled();
+
+    await user.click(screen.getByTestId('files-replace-apply'));
+    expect(await screen.findByText('Network Error')).toBeInTheDocument();
+    searchProjectFiles.mockReset();
+  });
+
+  it('shows preview errors, empty previews and lets the preview be dismissed', async () => {
+    const { user } = renderPanel();
+    await user.type(screen.getByTestId('files-search-input'), 'x');
+
+    previewProjectReplace.mockRejectedValueOnce({ response: { data: { error: 'Replacement text must be a string' } } });
+    await user.click(screen.getByTestId('files-replace-preview'));
+    expect(await screen.findByTestId('files-search-error')).toHaveTextContent('Replacement text must be a string');
+
+    previewProjectReplace.mockRejectedValueOnce(new Error('Network Error'));
+    await user.click(screen.getByTestId('files-replace-preview'));
+    expect(await screen.findByText('Network Error')).toBeInTheDocument();
+
+    previewProjectReplace.mockResolvedValueOnce({ success: true, files: [], replacementCount: 0 });
+    await user.click(screen.getByTestId('files-replace-preview'));
+    expect(await screen.findByText('Nothing to replace')).toBeInTheDocument();
+    expect(screen.getByTestId('files-replace-apply')).toBeDisabled();
+
+    await user.click(screen.getByTestId('files-replace-cancel'));
+    expect(screen.getByTestId('files-search-results')).toBeInTheDocument();
+  });
+
+  it('uses a group hint for regex replacements and disables actions while the project stops', async () => {
+    render(<SearchPanel projectId="p1" disabled onOpenMatch={vi.fn()} onApplyReplace={vi.fn()} />);
+    const user = userEvent.setup();
+
+    expect(screen.getByTestId('files-replace-input')).toHaveAttribute('placeholder', 'Replace');
+    await user.click(screen.getByTestId('files-search-regex'));
+    expect(screen.getByTestId('files-replace-input')).toHaveAttribute('placeholder', 'Replace ($1 for groups)');
+
+    await user.type(screen.getByTestId('files-search-input'), 'x');
+    expect(screen.getByTestId('files-search-submit')).toBeDisabled();
+    fireEvent.submit(screen.getByTestId('files-search-submit').closest('form'));
+    expect(searchProjectFiles).not.toHaveBeenCalled();
+  });
+});
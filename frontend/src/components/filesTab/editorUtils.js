@@ -44,3 +44,27 @@ export const getLanguageFromFile = (file) => {
   const ext = file.name.split('.').pop()?.toLowerCase();
   return LANGUAGE_MAP[ext] || 'plaintext';
 };
+
+const COVERAGE_LINE_CLASSES = {
+  coveredLines: 'coverage-line-covered',
+  partialLines: 'coverage-line-partial',
+  uncoveredLines: 'coverage-line-uncovered'
+};
+
+// Monaco gutter decorations for a file coverage report (see GET /tests/coverage/file).
+export const buildCoverageDecorations = (coverage) => {
+  if (!coverage) return [];
+
+  return Object.entries(COVERAGE_LINE_CLASSES).flatMap(([key, className]) => (
+    (Array.isArray(coverage[key]) ? coverage[key] : []).map((line) => ({
+      range: { startLineNumber: line, startColumn: 1, endLineNumber: line, endColumn: 1 },
+      options: { isWholeLine: true, linesDecorationsClassName: className }
+    }))
+  ));
+};
+
+export const getCoverageLevel = (pct) => {
+  if (pct >= 100) return 'full';
+  if (pct >= 50) return 'partial';
+  return 'low';
+};
@@ -0,0 +1,60 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+
+// Coverage from the last coverage run of each workspace: line percent per file for the tree
+// badges, and the covered/partial/uncovered lines of the open file for the editor gutter.
+// Nothing is requested while coverage is hidden; showing it again reloads the reports.
+export const useFileCoverage = (projectId, filePath, enabled) => {
+  const [coverageByPath, setCoverageByPath] = useState({});
+  const [fileCoverage, setFileCoverage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!enabled || !projectId) {
+      setCoverageByPath({});
+      setError(null);
+      return undefined;
+    }
+    let cancelled = false;
+    axios.get(`/api/projects/${projectId}/tests/coverage/summary`)
+      .then((response) => {
+        if (cancelled) {
+          return;
+        }
+        const files = Array.isArray(response?.data?.files) ? response.data.files : [];
+        setCoverageByPath(Object.fromEntries(files.map((entry) => [entry.file, entry.lines])));
+        setError(null);
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setCoverageByPath({});
+          setError(err?.response?.data?.error || 'Failed to load coverage');
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled, projectId]);
+
+  useEffect(() => {
+    setFileCoverage(null);
+    if (!enabled || !projectId || !filePath) {
+      return undefined;
+    }
+    let cancelled = false;
+    axios.get(`/api/projects/${projectId}/tests/coverage/file`, { params: { path: filePath } })
+      .then((response) => {
+        if (!cancelled) {
+          setFileCoverage(response?.data?.coverage || null);
+        }
+      })
+      .catch(() => {
+        // The tree badges already surface coverage errors; the gutter just stays empty.
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled, projectId, filePath]);
+
+  return { coverageByPath, fileCoverage, coverageError: error };
+};
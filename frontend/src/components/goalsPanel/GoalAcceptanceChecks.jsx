@@ -0,0 +1,227 @@
+import React, { useEffect, useState } from 'react';
+import { updateGoalAcceptanceChecks, verifyGoalAcceptance } from '../../utils/goalsApi';
+
+// Mirrors ACCEPTANCE_CHECK_TYPES in backend/services/acceptanceChecks.js.
+const CHECK_FIELDS = {
+  'route-status': [
+    { key: 'path', label: 'Path', placeholder: '/about' },
+    { key: 'status', label: 'Status', placeholder: '200' }
+  ],
+  'element-exists': [
+    { key: 'selector', label: 'Selector', placeholder: 'nav .about-link' },
+    { key: 'path', label: 'Page', placeholder: '/' }
+  ],
+  'file-export': [
+    { key: 'file', label: 'File', placeholder: 'src/api.js' },
+    { key: 'name', label: 'Export', placeholder: 'fetchUser' }
+  ],
+  'test-exists': [
+    { key: 'name', label: 'Test name', placeholder: 'renders the about link' }
+  ]
+};
+
+const CHECK_TYPE_LABELS = {
+  'route-status': 'Route status',
+  'element-exists': 'Element exists',
+  'file-export': 'File export',
+  'test-exists': 'Test exists'
+};
+
+export const describeAcceptanceCheck = (check) => {
+  switch (check.type) {
+    case 'route-status':
+      return `GET ${check.path} returns ${check.status}`;
+    case 'element-exists':
+      return `${check.selector} exists on ${check.path}`;
+    case 'file-export':
+      return `${check.file} exports ${check.name}`;
+    default:
+      return `Test "${check.name}" exists`;
+  }
+};
+
+const buildCheck = (type, values) => {
+  const check = { type };
+  CHECK_FIELDS[type].forEach(({ key }) => {
+    const value = (values[key] || '').trim();
+    if (value) {
+      check[key] = key === 'status' ? Number(value) : value;
+    }
+  });
+  return check;
+};
+
+// Route and element checks come back pending when run from an unmerged worktree.
+const statusFor = (result) => {
+  if (result.passed) return 'passed';
+  return result.pending ? 'pending' : 'failed';
+};
+
+const readError = (error, fallback) => error?.response?.data?.error || fallback;
+
+const GoalAcceptanceChecks = ({ goal, onGoalsChanged }) => {
+  const goalId = goal?.id;
+  const checks = Array.isArray(goal?.acceptanceChecks) ? goal.acceptanceChecks : [];
+  const storedVerification = goal?.metadata?.acceptance || null;
+  const [verification, setVerification] = useState(storedVerification);
+  const [draftType, setDraftType] = useState('route-status');
+  const [draftValues, setDraftValues] = useState({});
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isVerifying, setIsVerifying] = useState(false);
+
+  useEffect(() => {
+    setVerification(storedVerification);
+  }, [goalId, storedVerification?.checkedAt]);
+
+  useEffect(() => {
+    setError(null);
+    setDraftValues({});
+  }, [goalId]);
+
+  const resultFor = (check) => (verification?.results || []).find(
+    (result) => JSON.stringify(result.check) === JSON.stringify(check)
+  );
+
+  const saveChecks = async (nextChecks) => {
+    setIsSaving(true);
+    setError(null);
+    let saved = false;
+    try {
+      await updateGoalAcceptanceChecks(goalId, nextChecks);
+      saved = true;
+      onGoalsChanged?.();
+    } catch (saveError) {
+      setError(readError(saveError, 'Failed to update acceptance checks'));
+    }
+    setIsSaving(false);
+    return saved;
+  };
+
+  const handleAdd = async (event) => {
+    event.preventDefault();
+    if (await saveChecks([...checks, buildCheck(draftType, draftValues)])) {
+      setDraftValues({});
+    }
+  };
+
+  const handleVerify = async () => {
+    setIsVerifying(true);
+    setError(null);
+    try {
+      const result = await verifyGoalAcceptance(goalId);
+      setVerification(result.verification);
+      onGoalsChanged?.();
+    } catch (verifyError) {
+      setError(readError(verifyError, 'Failed to verify acceptance checks'));
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  const fields = CHECK_FIELDS[draftType];
+  const isBusy = isSaving || isVerifying;
+  const hasPendingChecks = checks.some((check) => resultFor(check)?.pending);
+
+  return (
+    <div className="goals-acceptance" data-testid="goals-acceptance">
+      <div className="goals-graph-header">
+        <div className="goals-modal-section-title">Acceptance checks</div>
+        <button
+          type="button"
+          className="git-settings-button"
+          onClick={handleVerify}
+          disabled={checks.length === 0 || isBusy}
+          data-testid="goals-acceptance-verify"
+        >
+          {isVerifying ? 'Verifying…' : 'Verify'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="goals-modal-error" role="alert">{error}</div>
+      )}
+      {verification && checks.length > 0 && (
+        <div
+          className={`goals-graph-run-summary ${verification.passed ? 'completed' : 'failed'}`}
+          data-testid="goals-acceptance-summary"
+        >
+          {!verification.passed
+            ? 'Some checks failed'
+            : (hasPendingChecks ? 'Some checks are pending until merged' : 'All checks passed')}
+        </div>
+      )}
+
+      {checks.length === 0 ? (
+        <div className="goals-modal-muted" data-testid="goals-acceptance-empty">
+          No acceptance checks yet. Checks must pass before this goal is ready to merge.
+        </div>
+      ) : (
+        <ul className="goals-acceptance-list">
+          {checks.map((check, index) => {
+            const result = resultFor(check);
+            const status = result ? statusFor(result) : 'unchecked';
+            return (
+              <li
+                key={JSON.stringify(check)}
+                className={`goals-acceptance-item ${status}`}
+                data-testid={`goals-acceptance-check-${index}`}
+              >
+                <div className="goals-acceptance-label">
+                  <span>{describeAcceptanceCheck(check)}</span>
+                  {result?.detail && <span className="goals-acceptance-detail">{result.detail}</span>}
+                </div>
+                <button
+                  type="button"
+                  className="git-settings-button"
+                  onClick={() => saveChecks(checks.filter((_, checkIndex) => checkIndex !== index))}
+                  disabled={isBusy}
+                  aria-label={`Remove ${describeAcceptanceCheck(check)}`}
+                >
+                  Remove
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <form className="goals-acceptance-form" onSubmit={handleAdd}>
+        <select
+          value={draftType}
+          onChange={(event) => {
+            setDraftType(event.target.value);
+            setDraftValues({});
+          }}
+          aria-label="Check type"
+          data-testid="goals-acceptance-type"
+        >
+          {Object.keys(CHECK_FIELDS).map((type) => (
+            <option key={type} value={type}>{CHECK_TYPE_LABELS[type]}</option>
+          ))}
+        </select>
+        {fields.map(({ key, label, placeholder }) => (
+          <input
+            key={key}
+            type="text"
+            value={draftValues[key] || ''}
+            onChange={(event) => setDraftValues((prev) => ({ ...prev, [key]: event.target.value }))}
+            placeholder={placeholder}
+            aria-label={label}
+            data-testid={`goals-acceptance-${key}`}
+          />
+        ))}
+        <button
+          type="submit"
+          className="git-settings-button"
+          disabled={isBusy || !(draftValues[fields[0].key] || '').trim()}
+          data-testid="goals-acceptance-add"
+        >
+          Add check
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default GoalAcceptanceChecks;
@@ -0,0 +1,198 @@
+import React from 'react';
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import GoalAcceptanceChecks, { describeAcceptanceCheck } from './GoalAcceptanceChecks';
+import { updateGoalAcceptanceChecks, verifyGoalAcceptance } from '../../utils/goalsApi';
+
+vi.mock('../../utils/goalsApi', () => ({
+  updateGoalAcceptanceChecks: vi.fn(),
+  verifyGoalAcceptance: vi.fn()
+}));
+
+const routeCheck = { type: 'route-status', path: '/about', status: 200 };
+const elementCheck = { type: 'element-exists', selector: 'nav .about-link', path: '/' };
+const exportCheck = { type: 'file-export', file: 'src/api.js', name: 'fetchUser' };
+
+const flush = () => act(async () => {});
+
+describe('describeAcceptanceCheck', () => {
+  test('labels each check type', () => {
+    expect(describeAcceptanceCheck(routeCheck)).toBe('GET /about returns 200');
+    expect(describeAcceptanceCheck(elementCheck)).toBe('nav .about-link exists on /');
+    expect(describeAcceptanceCheck(exportCheck)).toBe('src/api.js exports fetchUser');
+    expect(describeAcceptanceCheck({ type: 'test-exists', name: 'works' })).toBe('Test "works" exists');
+  });
+});
+
+describe('GoalAcceptanceChecks', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    updateGoalAcceptanceChecks.mockResolvedValue({});
+  });
+
+  test('explains the gate when a goal has no checks', () => {
+    render(<GoalAcceptanceChecks goal={{ id: 5 }} />);
+
+    expect(screen.getByTestId('goals-acceptance-empty')).toHaveTextContent('ready to merge');
+    expect(screen.getByTestId('goals-acceptance-verify')).toBeDisabled();
+    expect(screen.queryByTestId('goals-acceptance-summary')).not.toBeInTheDocument();
+  });
+
+  test('shows the stored outcome of the last verification', () => {
+    const goal = {
+      id: 5,
+      acceptanceChecks: [routeCheck, elementCheck, exportCheck],
+      metadata: {
+        acceptance: {
+          passed: false,
+          checkedAt: 'then',
+          results: [
+            { check: routeCheck, passed: true, detail: 'http://localhost:5173/about returned 200' },
+            { check: elementCheck, passed: false, detail: 'Nothing matches nav .about-link' },
+            { check: { type: 'test-exists', name: 'removed' }, passed: true }
+          ]
+        }
+      }
+    };
+
+    render(<GoalAcceptanceChecks goal={goal} />);
+
+    expect(screen.getByTestId('goals-acceptance-summary')).toHaveTextContent('Some checks failed');
+    expect(screen.getByTestId('goals-acceptance-check-0')).toHaveClass('passed');
+    expect(screen.getByTestId('goals-acceptance-check-0')).toHaveTextContent('returned 200');
+    expect(screen.getByTestId('goals-acceptance-check-1')).toHaveClass('failed');
+    expect(screen.getByTestId('goals-acceptance-check-1')).toHaveTextContent('Nothing matches nav .about-link');
+    expect(screen.getByTestId('goals-acceptance-check-2')).toHaveClass('unchecked');
+  });
+
+  test('marks preview checks from an unmerged worktree as pending', () => {
+    const goal = {
+      id: 5,
+      acceptanceChecks: [routeCheck, exportCheck],
+      metadata: {
+        acceptance: {
+          passed: true,
+          checkedAt: 'then',
+          results: [
+            {
+              check: routeCheck,
+              passed: false,
+              pending: true,
+              detail: 'The running preview does not include these unmerged changes; verify again once merged'
+            },
+            { check: exportCheck, passed: true }
+          ]
+        }
+      }
+    };
+
+    render(<GoalAcceptanceChecks goal={goal} />);
+
+    expect(screen.getByTestId('goals-acceptance-summary')).toHaveTextContent('Some checks are pending until merged');
+    expect(screen.getByTestId('goals-acceptance-summary')).toHaveClass('completed');
+    expect(screen.getByTestId('goals-acceptance-check-0')).toHaveClass('pending');
+    expect(screen.getByTestId('goals-acceptance-check-0')).toHaveTextContent('verify again once merged');
+    expect(screen.getByTestId('goals-acceptance-check-1')).toHaveClass('passed');
+  });
+
+  test('adds checks built from the form for the chosen type', async () => {
+    const onGoalsChanged = vi.fn();
+    render(<GoalAcceptanceChecks goal={{ id: 5, acceptanceChecks: [exportCheck] }} onGoalsChanged={onGoalsChanged} />);
+
+    expect(screen.getByTestId('goals-acceptance-add')).toBeDisabled();
+    fireEvent.change(screen.getByTestId('goals-acceptance-path'), { target: { value: ' /about ' } });
+    fireEvent.change(screen.getByTestId('goals-acceptance-status'), { target: { value: '404' } });
+    fireEvent.click(screen.getByTestId('goals-acceptance-add'));
+    await flush();
+
+    expect(updateGoalAcceptanceChecks).toHaveBeenCalledWith(5, [
+      exportCheck,
+      { type: 'route-status', path: '/about', status: 404 }
+    ]);
+    expect(onGoalsChanged).toHaveBeenCalledTimes(1);
+    expect(screen.getByTestId('goals-acceptance-path')).toHaveValue('');
+
+    fireEvent.change(screen.getByTestId('goals-acceptance-type'), { target: { value: 'element-exists' } });
+    fireEvent.change(screen.getByTestId('goals-acceptance-selector'), { target: { value: 'h1' } });
+    fireEvent.click(screen.getByTestId('goals-acceptance-add'));
+    await flush();
+
+    expect(updateGoalAcceptanceChecks).toHaveBeenLastCalledWith(5, [exportCheck, { type: 'element-exists', selector: 'h1' }]);
+  });
+
+  test('keeps the draft and reports errors when saving fails', async () => {
+    updateGoalAcceptanceChecks.mockRejectedValueOnce({ response: { data: { error: 'Acceptance check 2 is invalid' } } });
+    updateGoalAcceptanceChecks.mockRejectedValueOnce(new Error('network'));
+    render(<GoalAcceptanceChecks goal={{ id: 5, acceptanceChecks: [exportCheck] }} />);
+
+    fireEvent.change(screen.getByTestId('goals-acceptance-type'), { target: { value: 'test-exists' } });
+    fireEvent.change(screen.getByTestId('goals-acceptance-name'), { target: { value: 'works' } });
+    fireEvent.click(screen.getByTestId('goals-acceptance-add'));
+    expect(await screen.findByRole('alert')).toHaveTextContent('Acceptance check 2 is invalid');
+    expect(screen.getByTestId('goals-acceptance-name')).toHaveValue('works');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Remove src/api.js exports fetchUser' }));
+    await flush();
+    expect(updateGoalAcceptanceChecks).toHaveBeenLastCalledWith(5, []);
+    expect(screen.getByRole('alert')).toHaveTextContent('Failed to update acceptance checks');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Remove src/api.js exports fetchUser' }));
+    await flush();
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  });
+
+  test('verifies the checks and shows the new outcome', async () => {
+    const onGoalsChanged = vi.fn();
+    let resolveVerify;
+    verifyGoalAcceptance.mockImplementationOnce(() => new Promise((resolve) => {
+      resolveVerify = resolve;
+    }));
+    render(<GoalAcceptanceChecks goal={{ id: 5, acceptanceChecks: [routeCheck] }} onGoalsChanged={onGoalsChanged} />);
+
+    fireEvent.click(screen.getByTestId('goals-acceptance-verify'));
+    expect(screen.getByTestId('goals-acceptance-verify')).toHaveTextContent('Verifying…');
+    expect(screen.getByTestId('goals-acceptance-verify')).toBeDisabled();
+
+    await act(async () => {
+      resolveVerify({
+        goal: { id: 5 },
+        verification: { passed: true, checkedAt: 'now', results: [{ check: routeCheck, passed: true, detail: 'ok' }] }
+      });
+    });
+
+    expect(verifyGoalAcceptance).toHaveBeenCalledWith(5);
+    expect(onGoalsChanged).toHaveBeenCalledTimes(1);
+    expect(screen.getByTestId('goals-acceptance-summary')).toHaveTextContent('All checks passed');
+    expect(screen.getByTestId('goals-acceptance-check-0')).toHaveClass('passed');
+    expect(screen.getByTestId('goals-acceptance-verify')).toHaveTextContent('Verify');
+  });
+
+  test('reports verification failures', async () => {
+    verifyGoalAcceptance.mockRejectedValueOnce({ response: { data: { error: 'Goal has no acceptance checks' } } });
+    verifyGoalAcceptance.mockRejectedValueOnce(new Error('network'));
+    render(<GoalAcceptanceChecks goal={{ id: 5, acceptanceChecks: [routeCheck] }} />);
+
+    fireEvent.click(screen.getByTestId('goals-acceptance-verify'));
+    expect(await screen.findByRole('alert')).toHaveTextContent('Goal has no acceptance checks');
+
+    fireEvent.click(screen.getByTestId('goals-acceptance-verify'));
+    await flush();
+    expect(screen.getByRole('alert')).toHaveTextContent('Failed to verify acceptance checks');
+  });
+
+  test('resets results and errors when another goal is selected', async () => {
+    verifyGoalAcceptance.mockRejectedValueOnce(new Error('network'));
+    const { rerender } = render(
+      <GoalAcceptanceChecks
+        goal={{ id: 5, acceptanceChecks: [routeCheck], metadata: { acceptance: { passed: true, checkedAt: 'a', results: [] } } }}
+      />
+    );
+    fireEvent.click(screen.getByTestId('goals-acceptance-verify'));
+    await screen.findByRole('alert');
+
+    rerender(<GoalAcceptanceChecks goal={{ id: 6, acceptanceChecks: [routeCheck] }} />);
+
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+    expect(screen.queryByTestId('goals-acceptance-summary')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,204 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { fetchChildGoalRun, runChildGoals } from '../../utils/goalsApi';
+
+// Mirrors GOAL_STATES in backend/services/goalLifecycle.js.
+export const GOAL_LIFECYCLE_STATES = [
+  'draft',
+  'planned',
+  'executing',
+  'needs-user-input',
+  'verifying',
+  'ready-to-merge',
+  'merged',
+  'failed',
+  'cancelled'
+];
+
+const PARALLEL_OPTIONS = [1, 2, 3, 4];
+const DEFAULT_MAX_PARALLEL = 2;
+const RUN_POLL_MS = 1000;
+
+const normalizeLifecycleState = (value) => (
+  GOAL_LIFECYCLE_STATES.includes(value) ? value : 'draft'
+);
+
+const formatLifecycleState = (state) => state.split('-').join(' ');
+
+// Groups goals into columns: a goal sits one column to the right of the
+// furthest goal it waits for, so goals in the same column can run together.
+export const layoutGoalGraph = (goals = []) => {
+  const byId = new Map(goals.map((goal) => [Number(goal.id), goal]));
+  const levels = new Map();
+
+  const levelOf = (goal, visiting = new Set()) => {
+    const id = Number(goal.id);
+    if (levels.has(id)) return levels.get(id);
+    if (visiting.has(id)) return 0;
+    visiting.add(id);
+    const dependencies = (Array.isArray(goal.dependsOn) ? goal.dependsOn : [])
+      .map(Number)
+      .filter((dependencyId) => dependencyId !== id && byId.has(dependencyId));
+    const level = dependencies.length === 0
+      ? 0
+      : Math.max(...dependencies.map((dependencyId) => levelOf(byId.get(dependencyId), visiting))) + 1;
+    levels.set(id, level);
+    return level;
+  };
+
+  const columns = [];
+  goals.forEach((goal) => {
+    const level = levelOf(goal);
+    columns[level] = [...(columns[level] || []), goal];
+  });
+  return columns.filter(Boolean);
+};
+
+const formatRunSummary = (run) => {
+  if (run.error) return run.error;
+  return `Merged ${run.merged.length} · Failed ${run.failed.length} · Blocked ${run.blocked.length}`;
+};
+
+const GoalDependencyGraph = ({ goal, getGoalTitle, onGoalsChanged }) => {
+  const goalId = goal?.id;
+  const children = useMemo(() => (Array.isArray(goal?.children) ? goal.children : []), [goal]);
+  const columns = useMemo(() => layoutGoalGraph(children), [children]);
+  const titlesById = useMemo(
+    () => new Map(children.map((child) => [Number(child.id), getGoalTitle(child)])),
+    [children, getGoalTitle]
+  );
+  const [maxParallel, setMaxParallel] = useState(DEFAULT_MAX_PARALLEL);
+  const [run, setRun] = useState(null);
+  const [runError, setRunError] = useState(null);
+  const [isStarting, setIsStarting] = useState(false);
+  const isRunning = run?.status === 'running';
+  const hasChildren = children.length > 0;
+
+  useEffect(() => {
+    setRun(null);
+    setRunError(null);
+    if (!hasChildren) return undefined;
+
+    let cancelled = false;
+    const loadRun = async () => {
+      try {
+        const existing = await fetchChildGoalRun(goalId);
+        if (!cancelled) {
+          setRun(existing || null);
+        }
+      } catch {
+        // No run recorded for this goal yet.
+      }
+    };
+    loadRun();
+    return () => {
+      cancelled = true;
+    };
+  }, [goalId, hasChildren]);
+
+  useEffect(() => {
+    if (!isRunning) return undefined;
+
+    let cancelled = false;
+    const intervalId = window.setInterval(async () => {
+      try {
+        const next = await fetchChildGoalRun(goalId);
+        if (cancelled) return;
+        setRun(next);
+        onGoalsChanged?.();
+      } catch {
+        // Keep polling; the next tick retries.
+      }
+    }, RUN_POLL_MS);
+
+    return () => {
+      cancelled = true;
+      window.clearInterval(intervalId);
+    };
+  }, [goalId, isRunning]);
+
+  if (!hasChildren) {
+    return null;
+  }
+
+  const handleRun = async () => {
+    setIsStarting(true);
+    setRunError(null);
+    try {
+      setRun(await runChildGoals(goalId, { maxParallel }));
+      onGoalsChanged?.();
+    } catch (error) {
+      setRunError(error?.response?.data?.error || 'Failed to run child goals');
+    } finally {
+      setIsStarting(false);
+    }
+  };
+
+  return (
+    <div className="goals-graph" data-testid="goals-graph">
+      <div className="goals-graph-header">
+        <div className="goals-modal-section-title">Dependencies</div>
+        <div className="goals-graph-actions">
+          <label className="goals-graph-limit">
+            Parallel
+            <select
+              value={maxParallel}
+              onChange={(event) => setMaxParallel(Number(event.target.value))}
+              disabled={isRunning}
+              data-testid="goals-graph-max-parallel"
+            >
+              {PARALLEL_OPTIONS.map((option) => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+          </label>
+          <button
+            type="button"
+            className="git-settings-button"
+            onClick={handleRun}
+            disabled={isRunning || isStarting}
+            data-testid="goals-graph-run"
+          >
+            {isRunning ? 'Running…' : 'Run children'}
+          </button>
+        </div>
+      </div>
+
+      {runError && (
+        <div className="goals-modal-error" role="alert">{runError}</div>
+      )}
+      {run && !isRunning && (
+        <div className={`goals-graph-run-summary ${run.status}`} data-testid="goals-graph-run-summary">
+          {formatRunSummary(run)}
+        </div>
+      )}
+
+      <div className="goals-graph-columns">
+        {columns.map((column, index) => (
+          <div key={index} className="goals-graph-column" data-testid={`goals-graph-column-${index}`}>
+            {column.map((node) => {
+              const state = normalizeLifecycleState(node.lifecycleState);
+              const dependencyTitles = (Array.isArray(node.dependsOn) ? node.dependsOn : [])
+                .map((dependencyId) => titlesById.get(Number(dependencyId)))
+                .filter(Boolean);
+              return (
+                <div
+                  key={node.id}
+                  className={`goals-graph-node state-${state}`}
+                  data-testid={`goals-graph-node-${node.id}`}
+                >
+                  <div className="goals-graph-node-title">{getGoalTitle(node)}</div>
+                  <span className="goals-graph-node-state">{formatLifecycleState(state)}</span>
+                  {dependencyTitles.length > 0 && (
+                    <div className="goals-graph-node-after">After {dependencyTitles.join(', ')}</div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default GoalDependencyGraph;
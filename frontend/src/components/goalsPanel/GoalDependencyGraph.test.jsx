@@ -0,0 +1,186 @@
+import React from 'react';
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import GoalDependencyGraph, { layoutGoalGraph } from './GoalDependencyGraph';
+import { fetchChildGoalRun, runChildGoals } from '../../utils/goalsApi';
+
+vi.mock('../../utils/goalsApi', () => ({
+  fetchChildGoalRun: vi.fn(),
+  runChildGoals: vi.fn()
+}));
+
+const getGoalTitle = (goal) => goal.title || 'Goal';
+
+const parentGoal = {
+  id: 10,
+  title: 'Landing page',
+  children: [
+    { id: 11, title: 'Styles', lifecycleState: 'merged', dependsOn: [] },
+    { id: 12, title: 'Header', lifecycleState: 'executing', dependsOn: [11] },
+    { id: 13, title: 'Footer', lifecycleState: 'mystery', dependsOn: [11, 12, 99] },
+    { id: 14, title: 'Copy' }
+  ]
+};
+
+const flush = () => act(async () => {});
+
+describe('layoutGoalGraph', () => {
+  test('places goals one column after their furthest dependency', () => {
+    const columns = layoutGoalGraph(parentGoal.children);
+
+    expect(columns.map((column) => column.map((goal) => goal.id))).toEqual([[11, 14], [12], [13]]);
+    expect(layoutGoalGraph()).toEqual([]);
+  });
+
+  test('tolerates cyclic and self edges', () => {
+    const columns = layoutGoalGraph([
+      { id: 1, dependsOn: [2] },
+      { id: 2, dependsOn: [1] },
+      { id: 3, dependsOn: [3] }
+    ]);
+
+    expect(columns.map((column) => column.map((goal) => goal.id))).toEqual([[3], [2], [1]]);
+  });
+});
+
+describe('GoalDependencyGraph', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetchChildGoalRun.mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  test('renders nothing for goals without children', () => {
+    const { container } = render(<GoalDependencyGraph goal={{ id: 5 }} getGoalTitle={getGoalTitle} />);
+
+    expect(container).toBeEmptyDOMElement();
+    expect(fetchChildGoalRun).not.toHaveBeenCalled();
+  });
+
+  test('shows lifecycle states, dependency edges and the last run', async () => {
+    fetchChildGoalRun.mockResolvedValue({
+      goalId: 10,
+      status: 'failed',
+      merged: [11],
+      failed: [{ id: 12, error: 'boom' }],
+      blocked: [13],
+      error: null
+    });
+
+    render(<GoalDependencyGraph goal={parentGoal} getGoalTitle={getGoalTitle} />);
+    await flush();
+
+    expect(fetchChildGoalRun).toHaveBeenCalledWith(10);
+    expect(screen.getByTestId('goals-graph-column-0')).toHaveTextContent('Styles');
+    expect(screen.getByTestId('goals-graph-node-11')).toHaveClass('state-merged');
+    expect(screen.getByTestId('goals-graph-node-12')).toHaveTextContent('executing');
+    expect(screen.getByTestId('goals-graph-node-12')).toHaveTextContent('After Styles');
+    expect(screen.getByTestId('goals-graph-node-13')).toHaveClass('state-draft');
+    expect(screen.getByTestId('goals-graph-node-13')).toHaveTextContent('After Styles, Header');
+    expect(screen.getByTestId('goals-graph-node-14')).not.toHaveTextContent('After');
+    expect(screen.getByTestId('goals-graph-run-summary')).toHaveTextContent('Merged 1 · Failed 1 · Blocked 1');
+    expect(screen.getByTestId('goals-graph-run-summary')).toHaveClass('failed');
+  });
+
+  test('shows run errors recorded by the backend and ignores lookup failures', async () => {
+    fetchChildGoalRun.mockResolvedValueOnce({ goalId: 10, status: 'failed', error: 'Goal not found' });
+    const { rerender } = render(<GoalDependencyGraph goal={parentGoal} getGoalTitle={getGoalTitle} />);
+    await flush();
+    expect(screen.getByTestId('goals-graph-run-summary')).toHaveTextContent('Goal not found');
+
+    fetchChildGoalRun.mockRejectedValueOnce(new Error('offline'));
+    rerender(<GoalDependencyGraph goal={{ ...parentGoal, id: 20 }} getGoalTitle={getGoalTitle} />);
+    await flush();
+    expect(screen.queryByTestId('goals-graph-run-summary')).not.toBeInTheDocument();
+  });
+
+  test('ignores run lookups that finish after the goal changes', async () => {
+    let resolveLookup;
+    fetchChildGoalRun.mockImplementationOnce(() => new Promise((resolve) => {
+      resolveLookup = resolve;
+    }));
+    const { rerender } = render(<GoalDependencyGraph goal={parentGoal} getGoalTitle={getGoalTitle} />);
+
+    rerender(<GoalDependencyGraph goal={{ id: 30, children: [] }} getGoalTitle={getGoalTitle} />);
+    await act(async () => {
+      resolveLookup({ goalId: 10, status: 'completed', merged: [], failed: [], blocked: [] });
+    });
+
+    rerender(<GoalDependencyGraph goal={parentGoal} getGoalTitle={getGoalTitle} />);
+    expect(screen.queryByTestId('goals-graph-run-summary')).not.toBeInTheDocument();
+  });
+
+  test('starts a run with the chosen limit and polls until it settles', async () => {
+    vi.useFakeTimers();
+    const onGoalsChanged = vi.fn();
+    runChildGoals.mockResolvedValue({ goalId: 10, status: 'running', merged: [], failed: [], blocked: [] });
+    render(<GoalDependencyGraph goal={parentGoal} getGoalTitle={getGoalTitle} onGoalsChanged={onGoalsChanged} />);
+    await flush();
+
+    fireEvent.change(screen.getByTestId('goals-graph-max-parallel'), { target: { value: '3' } });
+    fireEvent.click(screen.getByTestId('goals-graph-run'));
+    await flush();
+
+    expect(runChildGoals).toHaveBeenCalledWith(10, { maxParallel: 3 });
+    expect(onGoalsChanged).toHaveBeenCalledTimes(1);
+    expect(screen.getByTestId('goals-graph-run')).toHaveTextContent('Running…');
+    expect(screen.getByTestId('goals-graph-run')).toBeDisabled();
+    expect(screen.getByTestId('goals-graph-max-parallel')).toBeDisabled();
+
+    fetchChildGoalRun.mockRejectedValueOnce(new Error('offline'));
+    await act(async () => {
+      await vi.advanceTimersByTimeAsync(1000);
+    });
+    expect(onGoalsChanged).toHaveBeenCalledTimes(1);
+
+    fetchChildGoalRun.mockResolvedValueOnce({ goalId: 10, status: 'completed', merged: [11, 12, 13, 14], failed: [], blocked: [] });
+    await act(async () => {
+      await vi.advanceTimersByTimeAsync(1000);
+    });
+    expect(onGoalsChanged).toHaveBeenCalledTimes(2);
+    expect(screen.getByTestId('goals-graph-run-summary')).toHaveTextContent('Merged 4 · Failed 0 · Blocked 0');
+    expect(screen.getByTestId('goals-graph-run')).toHaveTextContent('Run children');
+  });
+
+  test('stops polling when unmounted mid-request', async () => {
+    vi.useFakeTimers();
+    const onGoalsChanged = vi.fn();
+    fetchChildGoalRun.mockResolvedValueOnce({ goalId: 10, status: 'running' });
+    const { unmount } = render(
+      <GoalDependencyGraph goal={parentGoal} getGoalTitle={getGoalTitle} onGoalsChanged={onGoalsChanged} />
+    );
+    await flush();
+
+    let resolvePoll;
+    fetchChildGoalRun.mockImplementationOnce(() => new Promise((resolve) => {
+      resolvePoll = resolve;
+    }));
+    await act(async () => {
+      await vi.advanceTimersByTimeAsync(1000);
+    });
+    unmount();
+    await act(async () => {
+      resolvePoll({ goalId: 10, status: 'completed' });
+    });
+
+    expect(onGoalsChanged).not.toHaveBeenCalled();
+  });
+
+  test('reports runs that fail to start', async () => {
+    runChildGoals.mockRejectedValueOnce({ response: { data: { error: 'Goal has no child goals to run' } } });
+    runChildGoals.mockRejectedValueOnce(new Error('network'));
+    render(<GoalDependencyGraph goal={parentGoal} getGoalTitle={getGoalTitle} />);
+    await flush();
+
+    fireEvent.click(screen.getByTestId('goals-graph-run'));
+    expect(await screen.findByRole('alert')).toHaveTextContent('Goal has no child goals to run');
+
+    fireEvent.click(screen.getByTestId('goals-graph-run'));
+    await flush();
+    expect(screen.getByRole('alert')).toHaveTextContent('Failed to run child goals');
+    expect(screen.getByTestId('goals-graph-run')).not.toBeDisabled();
+  });
+});
@@ -0,0 +1,90 @@
+import React from 'react';
+import {
+  describePreviewRuntimeErrorKind,
+  describePreviewRuntimeErrorLocation
+} from './runtimeErrors';
+
+const formatTime = (timestamp) => {
+  try {
+    return new Date(timestamp).toLocaleTimeString();
+  } catch {
+    return '';
+  }
+};
+
+const PreviewRuntimeErrorsDrawer = ({ entries, onClose, onClear, onAskAgent }) => {
+  const list = Array.isArray(entries) ? entries : [];
+  const hasEntries = list.length > 0;
+
+  return (
+    <div className="preview-runtime-errors" data-testid="preview-runtime-errors" role="region" aria-label="Runtime errors">
+      <div className="preview-runtime-errors__header">
+        <h4>Runtime errors</h4>
+        <div className="preview-runtime-errors__actions">
+          <button
+            type="button"
+            className="preview-runtime-errors__button"
+            onClick={onAskAgent}
+            disabled={!hasEntries}
+            data-testid="preview-runtime-errors-fix"
+          >
+            Fix with AI
+          </button>
+          <button
+            type="button"
+            className="preview-runtime-errors__button"
+            onClick={onClear}
+            disabled={!hasEntries}
+            data-testid="preview-runtime-errors-clear"
+          >
+            Clear
+          </button>
+          <button
+            type="button"
+            className="preview-runtime-errors__button"
+            onClick={onClose}
+            aria-label="Close runtime errors"
+            data-testid="preview-runtime-errors-close"
+          >
+            ×
+          </button>
+        </div>
+      </div>
+
+      {hasEntries ? (
+        <ul className="preview-runtime-errors__list">
+          {list.slice().reverse().map((entry, index) => {
+            const location = describePreviewRuntimeErrorLocation(entry);
+            return (
+              <li
+                key={`${entry.timestamp}-${index}`}
+                className={`preview-runtime-errors__item preview-runtime-errors__item--${entry.level}`}
+                data-testid="preview-runtime-error"
+              >
+                <div className="preview-runtime-errors__meta">
+                  <span className="preview-runtime-errors__kind">{describePreviewRuntimeErrorKind(entry)}</span>
+                  {entry.count > 1 ? (
+                    <span className="preview-runtime-errors__count">×{entry.count}</span>
+                  ) : null}
+                  <span className="preview-runtime-errors__time">{formatTime(entry.timestamp)}</span>
+                </div>
+                <div className="preview-runtime-errors__message">{entry.message}</div>
+                {location ? <div className="preview-runtime-errors__location">{location}</div> : null}
+                {entry.stack ? (
+                  <details className="preview-runtime-errors__stack">
+                    <summary>Stack trace</summary>
+                    <pre>{entry.stack}</pre>
+                  </details>
+                ) : null}
+              </li>
+            );
+          })}
+        </ul>
+      ) : (
+        <p className="preview-runtime-errors__empty">No runtime errors captured from the preview.</p>
+      )}
+    </div>
+  );
+};
+
+export default PreviewRuntimeErrorsDrawer;
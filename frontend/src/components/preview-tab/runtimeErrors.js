@@ -0,0 +1,138 @@
+import axios from 'axios';
+
+export const PREVIEW_RUNTIME_ERROR_MESSAGE_TYPE = 'LUCIDCODER_PREVIEW_RUNTIME_ERROR';
+export const MAX_PREVIEW_RUNTIME_ERRORS = 100;
+
+const KINDS = new Set(['console', 'error', 'unhandledrejection', 'network']);
+
+const readString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const readInteger = (value) => (Number.isInteger(value) && value >= 0 ? value : null);
+
+export const normalizePreviewRuntimeError = (payload) => {
+  if (!payload || typeof payload !== 'object') {
+    return null;
+  }
+
+  const message = readString(payload.message);
+  if (!message) {
+    return null;
+  }
+
+  return {
+    kind: KINDS.has(payload.kind) ? payload.kind : 'error',
+    level: payload.level === 'warn' ? 'warn' : 'error',
+    message,
+    stack: readString(payload.stack),
+    source: readString(payload.source),
+    line: readInteger(payload.line),
+    column: readInteger(payload.column),
+    method: readString(payload.method).toUpperCase(),
+    url: readString(payload.url),
+    status: readInteger(payload.status),
+    href: readString(payload.href),
+    timestamp: Number.isFinite(payload.timestamp) ? payload.timestamp : Date.now()
+  };
+};
+
+const isSameRuntimeError = (a, b) => Boolean(
+  a && b &&
+  a.kind === b.kind &&
+  a.level === b.level &&
+  a.message === b.message &&
+  a.source === b.source &&
+  a.line === b.line &&
+  a.url === b.url &&
+  a.status === b.status
+);
+
+export const appendPreviewRuntimeError = (entries, entry, maxEntries = MAX_PREVIEW_RUNTIME_ERRORS) => {
+  const list = Array.isArray(entries) ? entries : [];
+  const last = list[list.length - 1];
+
+  if (isSameRuntimeError(last, entry)) {
+    return [
+      ...list.slice(0, -1),
+      { ...last, count: (last.count || 1) + 1, timestamp: entry.timestamp }
+    ];
+  }
+
+  return [...list, { ...entry, count: 1 }].slice(-maxEntries);
+};
+
+export const describePreviewRuntimeErrorKind = (entry) => {
+  if (entry?.kind === 'console') {
+    return entry.level === 'warn' ? 'console.warn' : 'console.error';
+  }
+  if (entry?.kind === 'unhandledrejection') {
+    return 'unhandled rejection';
+  }
+  if (entry?.kind === 'network') {
+    return 'network';
+  }
+  return 'uncaught error';
+};
+
+export const describePreviewRuntimeErrorLocation = (entry) => {
+  if (!entry) {
+    return '';
+  }
+  if (entry.kind === 'network') {
+    const target = [entry.method, entry.url].filter(Boolean).join(' ');
+    return entry.status ? `${target} → ${entry.status}` : target;
+  }
+  if (entry.source) {
+    const position = [entry.line, entry.column].filter((value) => value !== null).join(':');
+    return position ? `${entry.source}:${position}` : entry.source;
+  }
+  return '';
+};
+
+export const buildRuntimeErrorsFixPrompt = ({ project, entries, limit = 10 }) => {
+  const projectLabel = project?.name ? `${project.name} (${project.id})` : String(project?.id || 'unknown');
+  const recent = (Array.isArray(entries) ? entries : []).slice(-limit);
+
+  const lines = recent.map((entry) => {
+    const repeat = entry.count > 1 ? ` (x${entry.count})` : '';
+    const location = describePreviewRuntimeErrorLocation(entry);
+    const stack = entry.stack
+      ? `\n${entry.stack.split('\n').slice(0, 6).map((line) => `    ${line.trim()}`).join('\n')}`
+      : '';
+    return `- [${describePreviewRuntimeErrorKind(entry)}]${repeat} ${entry.message}${location ? ` (${location})` : ''}${stack}`;
+  });
+
+  return [
+    `The running preview of project ${projectLabel} is reporting runtime errors.`,
+    '',
+    'Runtime errors captured from the preview (oldest first):',
+    ...lines,
+    '',
+    'Please find the root cause of these errors in the project code and fix it.'
+  ].join('\n');
+};
+
+export const reportPreviewRuntimeError = async (projectId, entry) => {
+  if (!projectId || !entry) {
+    return false;
+  }
+  try {
+    await axios.post(`/api/projects/${encodeURIComponent(projectId)}/preview/runtime-errors`, {
+      errors: [entry]
+    });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const clearReportedPreviewRuntimeErrors = async (projectId) => {
+  if (!projectId) {
+    return false;
+  }
+  try {
+    await axios.delete(`/api/projects/${encodeURIComponent(projectId)}/preview/runtime-errors`);
+    return true;
+  } catch {
+    return false;
+  }
+};
@@ -0,0 +1,159 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+
+const getErrorMessage = (error, fallback) => error?.response?.data?.error || error?.message || fallback;
+
+const formatScore = (score) => `${Math.round((Number(score) || 0) * 100)}%`;
+
+const TestIdentity = ({ test }) => (
+  <div className="test-flaky-identity">
+    <span className="test-flaky-name" title={test.name}>{test.name}</span>
+    <span className="test-flaky-location">{[test.workspace, test.file].filter(Boolean).join(' · ')}</span>
+  </div>
+);
+
+// Quarantined tests still run, but their failures no longer fail branch test runs or block merges.
+const FlakyTestsPanel = ({ projectId }) => {
+  const [flakyTests, setFlakyTests] = useState([]);
+  const [quarantinedTests, setQuarantinedTests] = useState([]);
+  const [pendingKey, setPendingKey] = useState(null);
+  const [error, setError] = useState('');
+
+  const basePath = `/api/projects/${projectId}/tests`;
+
+  const loadTests = useCallback(async () => {
+    try {
+      const [flakyResponse, quarantineResponse] = await Promise.all([
+        axios.get(`${basePath}/flaky`),
+        axios.get(`${basePath}/quarantine`)
+      ]);
+      setFlakyTests(Array.isArray(flakyResponse.data?.tests) ? flakyResponse.data.tests : []);
+      setQuarantinedTests(Array.isArray(quarantineResponse.data?.tests) ? quarantineResponse.data.tests : []);
+      setError('');
+    } catch (loadError) {
+      setError(getErrorMessage(loadError, 'Failed to load flaky tests'));
+    }
+  }, [basePath]);
+
+  useEffect(() => {
+    if (projectId) {
+      loadTests();
+    }
+  }, [projectId, loadTests]);
+
+  const updateQuarantine = async (testKey, request, fallbackMessage) => {
+    setPendingKey(testKey);
+    setError('');
+    try {
+      await request();
+      await loadTests();
+    } catch (updateError) {
+      setError(getErrorMessage(updateError, fallbackMessage));
+    } finally {
+      setPendingKey(null);
+    }
+  };
+
+  const handleQuarantine = (test) => updateQuarantine(
+    test.testKey,
+    () => axios.post(`${basePath}/quarantine`, {
+      workspace: test.workspace,
+      file: test.file,
+      name: test.name,
+      reason: `Flipped on the same code in ${test.flips} of ${test.observed} observed runs`
+    }),
+    'Failed to quarantine test'
+  );
+
+  const handleRelease = (entry) => updateQuarantine(
+    entry.testKey,
+    () => axios.delete(`${basePath}/quarantine/${entry.id}`),
+    'Failed to release quarantined test'
+  );
+
+  if (!projectId) {
+    return null;
+  }
+
+  return (
+    <details className="test-flaky-panel" data-testid="flaky-tests-panel" open={quarantinedTests.length > 0}>
+      <summary>
+        <span>Flaky &amp; quarantined tests</span>
+        <span className="test-results-count failed" data-testid="flaky-tests-count">{flakyTests.length} flaky</span>
+        <span className="test-results-count skipped" data-testid="quarantined-tests-count">
+          {quarantinedTests.length} quarantined
+        </span>
+      </summary>
+
+      {error && (
+        <div className="test-flaky-error" role="alert" data-testid="flaky-tests-error">{error}</div>
+      )}
+
+      <div className="test-flaky-section">
+        <div className="test-flaky-section-header">
+          <h4>Quarantined</h4>
+          <button type="button" className="secondary" onClick={loadTests} data-testid="flaky-tests-refresh">
+            Refresh
+          </button>
+        </div>
+        {quarantinedTests.length ? (
+          <ul className="test-flaky-list" data-testid="quarantined-tests-list">
+            {quarantinedTests.map((entry) => (
+              <li key={entry.id} className="test-flaky-row" data-testid={`quarantined-test-${entry.testKey}`}>
+                <TestIdentity test={entry} />
+                {entry.reason && <span className="test-flaky-reason">{entry.reason}</span>}
+                <button
+                  type="button"
+                  className="secondary"
+                  onClick={() => handleRelease(entry)}
+                  disabled={pendingKey === entry.testKey}
+                  data-testid={`release-quarantine-${entry.testKey}`}
+                >
+                  Release
+                </button>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="test-flaky-empty">No quarantined tests. Their failures would still be reported without blocking merges.</p>
+        )}
+      </div>
+
+      <div className="test-flaky-section">
+        <h4>Flaky</h4>
+        {flakyTests.length ? (
+          <ul className="test-flaky-list" data-testid="flaky-tests-list">
+            {flakyTests.map((test) => (
+              <li key={test.testKey} className="test-flaky-row" data-testid={`flaky-test-${test.testKey}`}>
+                <TestIdentity test={test} />
+                <span
+                  className="test-flaky-score"
+                  title={`Passed and failed on the same code in ${test.flips} of ${test.observed} observed runs`}
+                >
+                  {formatScore(test.score)}
+                </span>
+                {test.quarantined ? (
+                  <span className="test-results-count skipped">quarantined</span>
+                ) : (
+                  <button
+                    type="button"
+                    className="secondary"
+                    onClick={() => handleQuarantine(test)}
+                    disabled={pendingKey === test.testKey}
+                    data-testid={`quarantine-${test.testKey}`}
+                  >
+                    Quarantine
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="test-flaky-empty">No flaky tests detected in recent branch test runs.</p>
+        )}
+      </div>
+    </details>
+  );
+};
+
+export default FlakyTestsPanel;
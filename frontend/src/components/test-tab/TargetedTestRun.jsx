@@ -0,0 +1,37 @@
+import React from 'react';
+import TestResultsTree from './TestResultsTree.jsx';
+
+const TargetedTestRun = ({ run, testId, onDismiss }) => {
+  const { label, running, result, error } = run;
+  const status = running ? 'running' : (result?.status || 'failed');
+
+  return (
+    <div className={`test-targeted-run ${status}`} data-testid={testId}>
+      <div className="test-targeted-run-header">
+        <span className="test-targeted-run-label" title={label}>Partial run · {label}</span>
+        <span className={`test-results-count ${status}`} data-testid={`${testId}-status`}>
+          {running ? 'running…' : status}
+        </span>
+        {!running && (
+          <button type="button" className="test-results-run" onClick={onDismiss} data-testid={`${testId}-dismiss`}>
+            Dismiss
+          </button>
+        )}
+      </div>
+      <p className="test-targeted-run-note">Partial runs do not count as merge proof.</p>
+      {error && <pre className="test-results-error">{error}</pre>}
+      {result && (result.tests.length ? (
+        <TestResultsTree
+          report={{ summary: result.summary, cases: result.tests, truncated: result.truncated }}
+          testId={`${testId}-results`}
+        />
+      ) : (
+        <pre className="test-targeted-run-logs" data-testid={`${testId}-logs`}>
+          {result.logs.join('\n') || 'No tests matched.'}
+        </pre>
+      ))}
+    </div>
+  );
+};
+
+export default TargetedTestRun;
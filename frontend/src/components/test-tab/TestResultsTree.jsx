@@ -0,0 +1,181 @@
+import React from 'react';
+
+const STATUS_ICONS = {
+  passed: '✓',
+  failed: '✗',
+  skipped: '○'
+};
+
+const createNode = (label, key, file = null) => ({
+  label,
+  key,
+  file,
+  children: new Map(),
+  tests: [],
+  counts: { passed: 0, failed: 0, skipped: 0 }
+});
+
+const countCase = (node, status) => {
+  if (status in node.counts) {
+    node.counts[status] += 1;
+  }
+};
+
+// Group report cases by test file, then by their describe blocks.
+export const buildTestResultsTree = (cases = []) => {
+  const root = createNode(null, '');
+  for (const testCase of cases) {
+    countCase(root, testCase.status);
+    let node = root;
+    const labels = [testCase.file || 'Other tests', ...(testCase.suite || [])];
+    for (const label of labels) {
+      if (!node.children.has(label)) {
+        // Only file nodes carry the file, so they can be run on their own.
+        const file = node === root ? testCase.file || null : null;
+        node.children.set(label, createNode(label, node.key ? `${node.key} > ${label}` : label, file));
+      }
+      node = node.children.get(label);
+      countCase(node, testCase.status);
+    }
+    node.tests.push(testCase);
+  }
+  return root;
+};
+
+const formatCaseDuration = (durationMs) => {
+  if (!Number.isFinite(durationMs)) {
+    return null;
+  }
+  return durationMs >= 1000 ? `${(durationMs / 1000).toFixed(1)}s` : `${durationMs}ms`;
+};
+
+const CountBadges = ({ counts }) => (
+  <span className="test-results-counts">
+    {Object.entries(counts)
+      .filter(([, count]) => count > 0)
+      .map(([status, count]) => (
+        <span key={status} className={`test-results-count ${status}`}>
+          {count} {status}
+        </span>
+      ))}
+  </span>
+);
+
+// Run buttons start a partial run through `onRunTests({ file, testName })`; the tree hides them
+// when no handler is given.
+const RunButton = ({ label, title, onRun, disabled, testId }) => (
+  <button
+    type="button"
+    className="test-results-run"
+    title={title}
+    disabled={disabled}
+    onClick={(event) => {
+      // Keep a click inside <summary> from toggling the node.
+      event.preventDefault();
+      onRun();
+    }}
+    data-testid={testId}
+  >
+    {label}
+  </button>
+);
+
+const TestCaseRow = ({ testCase, testId, onRunTests, runDisabled }) => {
+  const duration = formatCaseDuration(testCase.durationMs);
+  return (
+    <div className={`test-results-case ${testCase.status}`} data-testid={testId}>
+      <div className="test-results-case-title">
+        <span className="test-results-icon" aria-label={testCase.status}>{STATUS_ICONS[testCase.status]}</span>
+        <span>{testCase.title}</span>
+        {duration && <span className="test-results-duration">{duration}</span>}
+        {onRunTests && (
+          <RunButton
+            label="Run"
+            title="Run only this test"
+            onRun={() => onRunTests({ file: testCase.file || null, testName: testCase.title })}
+            disabled={runDisabled}
+            testId={`${testId}-run`}
+          />
+        )}
+      </div>
+      {testCase.error && <pre className="test-results-error">{testCase.error}</pre>}
+    </div>
+  );
+};
+
+// Branches with failures start expanded so the failing assertions are visible right away.
+const TestResultsNode = ({ node, testIdPrefix, onRunTests, runDisabled }) => (
+  <details
+    className="test-results-node"
+    open={node.counts.failed > 0}
+    data-testid={`${testIdPrefix}-node-${node.key}`}
+  >
+    <summary>
+      <span className="test-results-label" title={node.label}>{node.label}</span>
+      <CountBadges counts={node.counts} />
+      {onRunTests && node.file && (
+        <RunButton
+          label="Run file"
+          title="Run only this test file"
+          onRun={() => onRunTests({ file: node.file, testName: null })}
+          disabled={runDisabled}
+          testId={`${testIdPrefix}-node-${node.key}-run`}
+        />
+      )}
+    </summary>
+    <div className="test-results-children">
+      {[...node.children.values()].map((child) => (
+        <TestResultsNode
+          key={child.key}
+          node={child}
+          testIdPrefix={testIdPrefix}
+          onRunTests={onRunTests}
+          runDisabled={runDisabled}
+        />
+      ))}
+      {node.tests.map((testCase, index) => (
+        <TestCaseRow
+          // Parameterized tests can share a title, so the index keeps keys unique.
+          key={`${testCase.title}-${index}`}
+          testCase={testCase}
+          testId={`${testIdPrefix}-case-${node.key} > ${testCase.title}`}
+          onRunTests={onRunTests}
+          runDisabled={runDisabled}
+        />
+      ))}
+    </div>
+  </details>
+);
+
+const TestResultsTree = ({ report, testId = 'test-results', onRunTests = null, runDisabled = false }) => {
+  const cases = Array.isArray(report?.cases) ? report.cases : [];
+  if (cases.length === 0) {
+    return null;
+  }
+
+  const tree = buildTestResultsTree(cases);
+  const summary = report.summary || {};
+
+  return (
+    <div className="test-results" data-testid={testId}>
+      <div className="test-results-summary">
+        <span>{summary.total ?? cases.length} tests</span>
+        <CountBadges counts={tree.counts} />
+        {report.truncated && (
+          <span className="test-results-truncated">Showing the first {cases.length} results</span>
+        )}
+      </div>
+      {[...tree.children.values()].map((node) => (
+        <TestResultsNode
+          key={node.key}
+          node={node}
+          testIdPrefix={testId}
+          onRunTests={onRunTests}
+          runDisabled={runDisabled}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default TestResultsTree;
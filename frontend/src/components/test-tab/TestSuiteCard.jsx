@@ -2,9 +2,10 @@ import React from 'react';
 import {
   formatDurationSeconds,
   renderLogLines,
-  statusLabel,
+  jobStatusLabel,
   isJobActive
 } from './helpers.jsx';
+import TestResultsTree from './TestResultsTree.jsx';
 
 const TestSuiteCard = ({ config, job, project, onRun, onCancel }) => {
   const active = isJobActive(job);
@@ -18,7 +19,7 @@ const TestSuiteCard = ({ config, job, project, onRun, onCancel }) => {
           <p>{config.description}</p>
         </div>
         <span className={`job-status ${job?.status || 'idle'}`} data-testid={`job-status-${config.type}`}>
-          {statusLabel(job?.status)}
+          {jobStatusLabel(job)}
         </span>
       </div>
 
@@ -34,6 +35,7 @@ const TestSuiteCard = ({ config, job, project, onRun, onCancel }) => {
                 <span className="job-duration">{durationLabel}</span>
               )}
             </div>
+            <TestResultsTree report={job.testReport} testId={`test-results-${config.type}`} />
             <div className="job-logs" data-testid={`job-logs-${config.type}`}>
               {renderLogLines(job)}
             </div>
@@ -52,7 +54,7 @@ const TestSuiteCard = ({ config, job, project, onRun, onCancel }) => {
           disabled={!project || active}
           data-testid={`run-${config.type}`}
         >
-          {active ? 'Running…' : `Run ${config.label}`}
+          {active ? (job?.status === 'pending' ? 'Queued…' : 'Running…') : `Run ${config.label}`}
         </button>
         {active && (
           <button
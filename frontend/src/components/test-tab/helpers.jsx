@@ -54,6 +54,15 @@ export const statusLabel = (status) => {
   }[status] || status;
 };
 
+// Pending jobs are waiting in the backend job queue; show where they are in line.
+export const jobStatusLabel = (job) => {
+  const position = Number(job?.queuePosition);
+  if (job?.status === 'pending' && Number.isInteger(position) && position > 0) {
+    return `Queued #${position}`;
+  }
+  return statusLabel(job?.status);
+};
+
 export const isJobActive = (job) => job && (job.status === 'queued' || job.status === 'starting' || job.status === 'pending' || job.status === 'running');
 export const isJobFinal = (job) => job && (job.status === 'succeeded' || job.status === 'failed' || job.status === 'cancelled');
 export const isCoverageGateFailed = (job) => {
@@ -616,6 +625,10 @@ export const buildJobFailureContext = ({ label, job, kind }) => {
       : null;
 
   const testFailures = extractFailingTestIdsFromJob(job);
+  const failedTestDetails = getFailedTestCases(job)
+    .filter((testCase) => testCase.error)
+    .slice(0, 10)
+    .map((testCase) => ({ id: formatTestCaseId(testCase), error: testCase.error }));
 
   return {
     label,
@@ -635,6 +648,7 @@ export const buildJobFailureContext = ({ label, job, kind }) => {
     coverage: job?.summary?.coverage || null,
     uncoveredLines: job?.summary?.coverage?.uncoveredLines || null,
     testFailures,
+    failedTestDetails,
     failureReport: failureReport || null,
     recentLogs: logBundle.lines,
     logsTruncated: logBundle.truncated,
@@ -661,7 +675,19 @@ export const buildTestFailureContext = (entries) => {
   };
 };
 
+// Failed cases from the runner's JSON/JUnit report, when the job produced one.
+export const getFailedTestCases = (job) => {
+  const cases = Array.isArray(job?.testReport?.cases) ? job.testReport.cases : [];
+  return cases.filter((testCase) => testCase?.status === 'failed');
+};
+
+const formatTestCaseId = (testCase) => (testCase.file ? `${testCase.file} > ${testCase.name}` : testCase.name);
+
 export const extractFailingTestIdsFromJob = (job) => {
+  if (Array.isArray(job?.testReport?.cases)) {
+    return Array.from(new Set(getFailedTestCases(job).map(formatTestCaseId)));
+  }
+
   const logs = Array.isArray(job?.logs) ? job.logs : [];
   const ids = new Set();
   const slice = logs.slice(-200);
@@ -0,0 +1,44 @@
+import { useCallback, useState } from 'react';
+import axios from 'axios';
+
+// Partial runs of one test file or test, keyed by test card type. They never update the branch's
+// test status, so they live only in this component state.
+export const useTargetedTestRuns = (projectId) => {
+  const [targetedRuns, setTargetedRuns] = useState({});
+
+  const setRun = useCallback((key, run) => {
+    setTargetedRuns((prev) => ({ ...prev, [key]: run }));
+  }, []);
+
+  const runTargetedTests = useCallback(async (key, { workspace, file = null, testName = null }) => {
+    const label = [file, testName].filter(Boolean).join(' › ');
+    setRun(key, { label, running: true, result: null, error: null });
+    try {
+      const response = await axios.post(`/api/projects/${projectId}/tests/run-targeted`, {
+        workspace,
+        file,
+        testName,
+        // Names come from the results tree, so they are matched literally rather than as patterns.
+        exact: Boolean(testName)
+      });
+      setRun(key, { label, running: false, result: response.data.result, error: null });
+    } catch (error) {
+      setRun(key, {
+        label,
+        running: false,
+        result: null,
+        error: error?.response?.data?.error || error?.message || 'Failed to run tests'
+      });
+    }
+  }, [projectId, setRun]);
+
+  const dismissTargetedRun = useCallback((key) => {
+    setTargetedRuns((prev) => {
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+  }, []);
+
+  return { targetedRuns, runTargetedTests, dismissTargetedRun };
+};
@@ -77,6 +77,7 @@ import {
   computeNextFollowAutomation
 } from './appState/previewPanel.js';
 import { isBackendUnreachableResponse } from './appState/backendConnectivity.js';
+import { useAuth } from './AuthContext';
 import {
   buildTestRunIntentState,
   withStoppedProject,
@@ -303,6 +304,8 @@ export const AppStateProvider = ({ children }) => {
     });
   }, []);
 
+  const { expireSession } = useAuth();
+
   const reportBackendConnectivity = useCallback((status, error) => {
     if (status !== 'online' && status !== 'offline') {
       return;
@@ -321,6 +324,9 @@ export const AppStateProvider = ({ children }) => {
     try {
       const requestUrl = args?.[0];
       const response = await fetch(...args);
+      if (response?.status === 401) {
+        expireSession();
+      }
       if (isBackendUnreachableResponse(response, requestUrl)) {
         reportBackendConnectivity('offline', `Backend unreachable (${response.status})`);
       } else {
@@ -331,7 +337,7 @@ export const AppStateProvider = ({ children }) => {
       reportBackendConnectivity('offline', error);
       throw error;
     }
-  }, [reportBackendConnectivity]);
+  }, [reportBackendConnectivity, expireSession]);
 
   if (isTestEnv) {
     __appStateTestHelpers.trackedFetch = trackedFetch;
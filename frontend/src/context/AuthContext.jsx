@@ -0,0 +1,119 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import axios from 'axios';
+import LoginScreen from '../components/LoginScreen';
+
+const AuthContext = createContext({
+  authRequired: false,
+  user: null,
+  signOut: async () => {},
+  startBootstrap: () => {},
+  expireSession: () => {}
+});
+
+export const useAuth = () => useContext(AuthContext);
+
+const postCredentials = async (url, { username, password }, fallbackMessage) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+  const data = await response.json().catch(() => null);
+  if (!response.ok || !data?.success) {
+    throw new Error(data?.error || fallbackMessage);
+  }
+  return data;
+};
+
+// Reads /api/auth/status once on mount. Until the backend reports that accounts exist (or if it
+// cannot be reached, which the app reports on its own) the app renders exactly as before; the
+// first account can be created from the navigation bar meanwhile.
+export function AuthProvider({ children }) {
+  const [status, setStatus] = useState({ authRequired: false, user: null });
+  const [isBootstrapping, setIsBootstrapping] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadStatus = async () => {
+      try {
+        const response = await fetch('/api/auth/status');
+        const data = await response.json();
+        if (!cancelled) {
+          setStatus({ authRequired: data?.authRequired === true, user: data?.user || null });
+        }
+      } catch {
+        // Leave the app open; its backend connectivity check explains what is wrong.
+      }
+    };
+
+    loadStatus();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // A 401 means the session expired or was revoked (or another tab created the first account).
+  const expireSession = useCallback(() => {
+    setStatus((prev) => (prev.authRequired && !prev.user ? prev : { authRequired: true, user: null }));
+  }, []);
+
+  useEffect(() => {
+    const interceptorId = axios.interceptors.response.use(
+      (response) => response,
+      (error) => {
+        if (error?.response?.status === 401) {
+          expireSession();
+        }
+        return Promise.reject(error);
+      }
+    );
+    return () => {
+      axios.interceptors.response.eject(interceptorId);
+    };
+  }, [expireSession]);
+
+  const signIn = useCallback(async (credentials) => {
+    const data = await postCredentials('/api/auth/login', credentials, 'Failed to sign in');
+    setStatus({ authRequired: true, user: data.user });
+  }, []);
+
+  // The backend signs in whoever creates the first account, so the app continues as that admin.
+  const createFirstAccount = useCallback(async (credentials) => {
+    const data = await postCredentials('/api/auth/register', credentials, 'Failed to create account');
+    setIsBootstrapping(false);
+    setStatus({ authRequired: true, user: data.user });
+  }, []);
+
+  const signOut = useCallback(async () => {
+    try {
+      await fetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.warn('Failed to sign out cleanly:', error);
+    }
+    setStatus((prev) => ({ ...prev, user: null }));
+  }, []);
+
+  const startBootstrap = useCallback(() => setIsBootstrapping(true), []);
+
+  const value = useMemo(
+    () => ({ ...status, signOut, startBootstrap, expireSession }),
+    [status, signOut, startBootstrap, expireSession]
+  );
+
+  if (status.authRequired && !status.user) {
+    return <LoginScreen onSubmit={signIn} />;
+  }
+
+  if (isBootstrapping && !status.authRequired) {
+    return (
+      <LoginScreen
+        mode="bootstrap"
+        onSubmit={createFirstAccount}
+        onCancel={() => setIsBootstrapping(false)}
+      />
+    );
+  }
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
@@ -16,7 +16,8 @@ const defaultPortSettings = {
 
 const defaultTestingSettings = {
   coverageTarget: 100,
-  maxSteps: 8
+  maxSteps: 8,
+  failedTestRetries: 0
 };
 
 const defaultProjectTestingSettings = {};
@@ -317,8 +317,10 @@ export const updateTestingSettings = async ({
 }) => {
   const requestedMaxSteps = Number.parseInt(updates.maxSteps ?? testingSettings.maxSteps, 10);
   const hasMaxSteps = Number.isFinite(requestedMaxSteps);
+  const requestedRetries = Number.parseInt(updates.failedTestRetries ?? testingSettings.failedTestRetries, 10);
   const payload = {
-    coverageTarget: Number.parseInt(updates.coverageTarget ?? testingSettings.coverageTarget, 10)
+    coverageTarget: Number.parseInt(updates.coverageTarget ?? testingSettings.coverageTarget, 10),
+    ...(Number.isFinite(requestedRetries) ? { failedTestRetries: requestedRetries } : {})
   };
 
   let response;
@@ -473,7 +475,11 @@ export const pullProjectGitRemote = async ({ trackedFetch, projectId, mode, conf
 
   if (!response.ok || !data.success) {
     const message = data?.error || 'Failed to pull git remote';
-    throw new Error(message);
+    const error = new Error(message);
+    if (data?.conflicts) {
+      error.conflicts = data.conflicts;
+    }
+    throw error;
   }
 
   return {
@@ -136,7 +136,15 @@ export const parseTextFromLLMResponse = (response) => {
   return '';
 };
 
-export const requestBranchNameFromLLM = async ({ prompt, fallbackName }) => {
+// Adds the project and goal a /api/llm/generate call is made for, so its usage counts
+// toward that project's budget.
+export const withLlmUsageContext = (payload, { projectId, goalId } = {}) => ({
+  ...payload,
+  ...(projectId ? { projectId } : {}),
+  ...(projectId && goalId ? { goalId } : {})
+});
+
+export const requestBranchNameFromLLM = async ({ prompt, fallbackName, projectId }) => {
   const buildMessages = (attempt) => {
     if (attempt === 2) {
       return [
@@ -179,13 +187,13 @@ export const requestBranchNameFromLLM = async ({ prompt, fallbackName }) => {
 
   for (const attempt of DEFAULT_ATTEMPT_SEQUENCE) {
     try {
-      const response = await axios.post('/api/llm/generate', {
+      const response = await axios.post('/api/llm/generate', withLlmUsageContext({
         messages: buildMessages(attempt),
         max_tokens: 80,
         temperature: 0,
         __lucidcoderDisableToolBridge: true,
         __lucidcoderPurpose: 'goal-branch-name'
-      });
+      }, { projectId }));
 
       const rawText = parseTextFromLLMResponse(response);
       const normalizedRawText = typeof rawText === 'string' ? rawText : '';
@@ -424,7 +432,7 @@ export const pickRepairEditForPath = ({ edits, filePath }) => {
   return null;
 };
 
-export const tryRepairModifyEdit = async ({ projectId, goalPrompt, stage, filePath, originalContent, failedEdit, error }) => {
+export const tryRepairModifyEdit = async ({ projectId, goalId, goalPrompt, stage, filePath, originalContent, failedEdit, error }) => {
   automationLog('applyEdits:modify:repair:start', {
     path: filePath,
     stage,
@@ -435,7 +443,7 @@ export const tryRepairModifyEdit = async ({ projectId, goalPrompt, stage, filePa
     try {
       const response = await axios.post(
         '/api/llm/generate',
-        buildModifyRepairPrompt({
+        withLlmUsageContext(buildModifyRepairPrompt({
           goalPrompt,
           stage,
           filePath,
@@ -443,7 +451,7 @@ export const tryRepairModifyEdit = async ({ projectId, goalPrompt, stage, filePa
           failedEdit,
           errorMessage: error?.message,
           attempt
-        })
+        }), { projectId, goalId })
       );
 
       const edits = parseEditsFromLLM(response);
@@ -480,7 +488,7 @@ export const tryRepairModifyEdit = async ({ projectId, goalPrompt, stage, filePa
   return null;
 };
 
-export const tryRewriteFileWithLLM = async ({ goalPrompt, stage, filePath, originalContent, errorMessage }) => {
+export const tryRewriteFileWithLLM = async ({ projectId, goalId, goalPrompt, stage, filePath, originalContent, errorMessage }) => {
   automationLog('applyEdits:modify:rewrite:start', {
     path: filePath,
     stage,
@@ -493,14 +501,14 @@ export const tryRewriteFileWithLLM = async ({ goalPrompt, stage, filePath, origi
     try {
       const response = await axios.post(
         '/api/llm/generate',
-        buildRewriteFilePrompt({
+        withLlmUsageContext(buildRewriteFilePrompt({
           goalPrompt,
           stage,
           filePath,
           fileContent: originalContent,
           errorMessage,
           attempt
-        })
+        }), { projectId, goalId })
       );
 
       const edits = parseEditsFromLLM(response);
@@ -757,6 +765,12 @@ const formatTestFailureJobSection = (job, index) => {
   if (Array.isArray(job?.testFailures) && job.testFailures.length > 0) {
     details.push(`Failing tests:\n- ${job.testFailures.join('\n- ')}`);
   }
+  if (Array.isArray(job?.failedTestDetails) && job.failedTestDetails.length > 0) {
+    const failureDetails = job.failedTestDetails
+      .map((entry) => `- ${entry.id}\n${String(entry.error).replace(/^/gm, '    ')}`)
+      .join('\n');
+    details.push(`Assertion failures:\n${failureDetails}`);
+  }
   if (job?.error) {
     details.push(`Error: ${job.error}`);
   }
@@ -62,6 +62,7 @@ export const createApplyEditsModule = ({
 
   const applyEdits = async ({
     projectId,
+    goalId,
     edits,
     source = 'ai',
     knownPathsSet,
@@ -177,6 +178,7 @@ export const createApplyEditsModule = ({
           ) {
             const repaired = await applyEditsDeps.tryRepairModifyEdit({
               projectId,
+              goalId,
               goalPrompt,
               stage,
               filePath,
@@ -200,6 +202,8 @@ export const createApplyEditsModule = ({
               updated = repaired.content;
             } else {
               const rewriteEdit = await applyEditsDeps.tryRewriteFileWithLLM({
+                projectId,
+                goalId,
                 goalPrompt,
                 stage,
                 filePath,
@@ -27,7 +27,7 @@ export async function ensureBranch(projectId, prompt, setPreviewPanelTab, create
     if (!existingBranch) {
       const timeFallback = `feature-${Date.now()}`;
       const fallbackName = buildFallbackBranchNameFromPrompt(branchPrompt, timeFallback);
-      const generatedNameRaw = await requestBranchNameFromLLM({ prompt: branchPrompt, fallbackName });
+      const generatedNameRaw = await requestBranchNameFromLLM({ prompt: branchPrompt, fallbackName, projectId });
       const generatedName = (generatedNameRaw && isBranchNameRelevantToPrompt(generatedNameRaw, branchPrompt))
         ? generatedNameRaw
         : fallbackName;
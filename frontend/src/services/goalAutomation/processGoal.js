@@ -17,7 +17,8 @@ import {
   parseScopeReflectionResponse,
   validateExecutionContractGate,
   validateEditsAgainstReflection,
-  scoreEditPlanConfidence
+  scoreEditPlanConfidence,
+  withLlmUsageContext
 } from './automationUtils';
 
 const buildScopeViolationError = (violation) => {
@@ -969,7 +970,10 @@ export async function processGoal(
       try {
         const reflectionResponse = await axios.post(
           '/api/llm/generate',
-          buildScopeReflectionPrompt({ projectInfo, goalPrompt: goal?.prompt })
+          withLlmUsageContext(
+            buildScopeReflectionPrompt({ projectInfo, goalPrompt: goal?.prompt }),
+            { projectId, goalId: goal?.id }
+          )
         );
         scopeReflection = cloneScopeReflection(parseScopeReflectionResponse(reflectionResponse));
         const selectedAssetPaths = Array.from(new Set([
@@ -1134,7 +1138,7 @@ export async function processGoal(
         }
         const llmTestsResponse = await axios.post(
           '/api/llm/generate',
-          buildEditsPrompt({
+          withLlmUsageContext(buildEditsPrompt({
             projectInfo,
             fileTreeContext: `${fileTreeContext}${relevantFilesContext}`,
             goalPrompt: buildLaneScopedGoalPrompt(goal.prompt),
@@ -1149,7 +1153,7 @@ export async function processGoal(
             frameworkSafeguards: frameworkAnalysis?.success 
               ? orchestrator.validateGenerationSafety(frameworkAnalysis.profile, frameworkAnalysis.decision)
               : null
-          })
+          }), { projectId, goalId: goal?.id })
         );
         automationLog('processGoal:llm:tests:response', {
           attempt,
@@ -1207,6 +1211,7 @@ export async function processGoal(
           }
           const appliedSummary = await applyEdits({
             projectId,
+            goalId: goal?.id,
             edits,
             source: 'ai',
             knownPathsSet,
@@ -1363,7 +1368,7 @@ export async function processGoal(
       }
       const llmImplResponse = await axios.post(
         '/api/llm/generate',
-        buildEditsPrompt({
+        withLlmUsageContext(buildEditsPrompt({
           projectInfo,
           fileTreeContext: `${fileTreeContext}${relevantFilesContext}`,
           goalPrompt: buildLaneScopedGoalPrompt(goal.prompt),
@@ -1378,7 +1383,7 @@ export async function processGoal(
           frameworkSafeguards: frameworkAnalysis?.success 
             ? orchestrator.validateGenerationSafety(frameworkAnalysis.profile, frameworkAnalysis.decision)
             : null
-        })
+        }), { projectId, goalId: goal?.id })
       );
       automationLog('processGoal:llm:impl:response', {
         attempt,
@@ -1477,6 +1482,7 @@ export async function processGoal(
         }
         const appliedSummary = await applyEdits({
           projectId,
+          goalId: goal?.id,
           edits,
           source: 'ai',
           knownPathsSet,
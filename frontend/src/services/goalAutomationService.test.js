@@ -1109,6 +1109,8 @@ describe('goalAutomationService', () => {
       axios.post.mockImplementation(() => responses.shift()());
 
       const result = await __testOnly.tryRewriteFileWithLLM({
+        projectId: 7,
+        goalId: 3,
         goalPrompt: 'Fix file content',
         stage: 'tests',
         filePath: 'frontend/src/app.js',
@@ -1122,6 +1124,10 @@ describe('goalAutomationService', () => {
         content: 'rewritten body'
       });
       expect(axios.post).toHaveBeenCalledTimes(2);
+      expect(axios.post).toHaveBeenLastCalledWith(
+        '/api/llm/generate',
+        expect.objectContaining({ projectId: 7, goalId: 3 })
+      );
     });
 
     test('tryRewriteFileWithLLM returns null when rewrite request fails with non-Syntax error', async () => {
@@ -0,0 +1,320 @@
+import React from 'react';
+import { describe, expect, it, vi, beforeEach } from 'vitest';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+
+import AddTestsToolModal, {
+  collectSourceFiles,
+  formatDelta,
+  formatRange
+} from '../components/AddTestsToolModal.jsx';
+
+vi.mock('../utils/goalsApi', () => ({
+  agentAddTestsStream: vi.fn()
+}));
+
+vi.mock('../context/AppStateContext', () => ({
+  useAppState: vi.fn()
+}));
+
+import axios from 'axios';
+import { agentAddTestsStream } from '../utils/goalsApi';
+import { useAppState } from '../context/AppStateContext';
+
+const fileTree = [
+  {
+    type: 'folder',
+    path: 'frontend',
+    children: [
+      { type: 'file', path: 'frontend/src/format.js' },
+      { type: 'file', path: 'frontend/src/format.test.js' },
+      { type: 'file', path: 'frontend/src/styles.css' }
+    ]
+  },
+  { type: 'file', path: 'backend/app.py' },
+  { type: 'file', path: 'backend/tests/test_app.py' },
+  null
+];
+
+const targets = [
+  {
+    workspace: 'frontend',
+    file: 'frontend/src/format.js',
+    coverage: { lines: 40, statements: 40, functions: 50, branches: 25 },
+    uncoveredRanges: [{ start: 4, end: 9 }, { start: 12, end: 12 }]
+  },
+  { workspace: 'backend', file: 'backend/app.py', coverage: { lines: 80 } }
+];
+
+const coverageEvent = (phase, lines) => ({
+  phase,
+  file: 'frontend/src/format.js',
+  baseline: { lines: 40, statements: 40, functions: 50, branches: null },
+  current: { lines, statements: lines, functions: 50, branches: null },
+  delta: { lines: lines - 40, statements: lines - 40, functions: 0, branches: null }
+});
+
+const mockLoad = ({ files = fileTree, targetList = targets, targetsError = null } = {}) => {
+  axios.get.mockImplementation(async (url) => {
+    if (url.endsWith('/files')) {
+      return { data: { files } };
+    }
+    if (targetsError) {
+      throw targetsError;
+    }
+    return { data: { targets: targetList } };
+  });
+};
+
+describe('AddTestsToolModal helpers', () => {
+  it('collects non-test source files from the tree', () => {
+    expect(collectSourceFiles(fileTree)).toEqual(['frontend/src/format.js', 'backend/app.py']);
+    expect(collectSourceFiles(null)).toEqual([]);
+  });
+
+  it('formats ranges and deltas', () => {
+    expect(formatRange({ start: 3, end: 3 })).toBe('L3');
+    expect(formatRange({ start: 3, end: 8 })).toBe('L3–8');
+    expect(formatDelta(2.5)).toBe('+2.5');
+    expect(formatDelta(-1)).toBe('-1');
+    expect(formatDelta(0)).toBe('0');
+    expect(formatDelta(null)).toBe('n/a');
+  });
+});
+
+describe('AddTestsToolModal', () => {
+  beforeEach(() => {
+    agentAddTestsStream.mockReset();
+    axios.get.mockReset();
+    axios.delete.mockReset();
+    useAppState.mockReturnValue({ currentProject: { id: 7, name: 'Demo' }, isLLMConfigured: true });
+  });
+
+  it('targets an uncovered range and shows the live coverage delta', async () => {
+    const user = userEvent.setup();
+    mockLoad();
+    agentAddTestsStream.mockImplementation(async ({ onEvent, onDone }) => {
+      onEvent('status', { text: 'Creating working branch feature/add-tests-1…' });
+      onEvent('coverage', coverageEvent('baseline', 40));
+      onEvent('tests-job', { displayName: 'frontend tests', cwd: '/p/frontend' });
+      onEvent('tests-job', {});
+      onEvent('tests-log', { message: 'stdout | ✓ 4 passed\n\n' });
+      onEvent('tests-log', {});
+      onEvent('tests', { phase: 'verify', run: 'passed' });
+      onEvent('tests', {});
+      onEvent('edit', { iteration: 1, writes: 1, summary: 'added format.test.js' });
+      onEvent('edit', {});
+      onEvent('status', {});
+      onEvent('unknown', {});
+      onDone({ status: 'complete', iterations: 1, coverage: coverageEvent('verify', 90) });
+    });
+
+    render(<AddTestsToolModal isOpen={true} onClose={() => {}} />);
+    expect(screen.getByTestId('tool-add-tests-hint')).toHaveTextContent('Pick a file');
+
+    const rangeButtons = await screen.findAllByTestId('tool-add-tests-target-range');
+    expect(rangeButtons.map((button) => button.textContent)).toEqual(['L4–9', 'L12']);
+    expect(document.querySelectorAll('#tool-add-tests-files option')).toHaveLength(2);
+
+    await user.click(rangeButtons[0]);
+    expect(screen.getByTestId('tool-add-tests-file')).toHaveValue('frontend/src/format.js');
+    expect(screen.getByTestId('tool-add-tests-range')).toHaveTextContent('Focus on lines 4–9');
+
+    fireEvent.change(screen.getByTestId('tool-add-tests-iterations'), { target: { value: '5' } });
+    await user.type(screen.getByTestId('tool-add-tests-notes'), ' cover the error path ');
+    await user.click(screen.getByTestId('tool-add-tests-start'));
+
+    expect(agentAddTestsStream).toHaveBeenCalledWith(expect.objectContaining({
+      projectId: 7,
+      prompt: 'cover the error path',
+      targetFile: 'frontend/src/format.js',
+      lineRange: { start: 4, end: 9 },
+      options: { maxIterations: 5 }
+    }));
+
+    expect(await screen.findByTestId('tool-add-tests-result')).toHaveTextContent('coverage went up after 1 attempt(s)');
+    expect(screen.getByTestId('tool-add-tests-coverage-lines')).toHaveTextContent('40% → 90% (+50)');
+    expect(screen.getByTestId('tool-add-tests-coverage-branches')).toHaveTextContent('n/a% → n/a% (n/a)');
+    const log = screen.getByTestId('tool-add-tests-progress-log');
+    expect(log).toHaveTextContent('Starting: frontend tests (/p/frontend)');
+    expect(log).toHaveTextContent('Starting: tests job');
+    expect(log).toHaveTextContent('✓ 4 passed');
+    expect(log).toHaveTextContent('Tests: verify → passed');
+    expect(log).toHaveTextContent('Tests: run → unknown');
+    expect(log).toHaveTextContent('Attempt 1: wrote 1 file(s) (added format.test.js)');
+    expect(log).toHaveTextContent('Attempt ?: wrote 0 file(s)');
+    expect(screen.getByTestId('tool-add-tests-branch')).toHaveTextContent('feature/add-tests-1');
+    expect(screen.queryByTestId('tool-add-tests-delete-branch')).not.toBeInTheDocument();
+
+    await user.click(screen.getByTestId('tool-add-tests-again'));
+    await user.click(screen.getByTestId('tool-add-tests-clear-range'));
+    expect(screen.queryByTestId('tool-add-tests-range')).not.toBeInTheDocument();
+    await user.click(screen.getAllByTestId('tool-add-tests-target-file')[1]);
+    expect(screen.getByTestId('tool-add-tests-file')).toHaveValue('backend/app.py');
+  });
+
+  it('explains incomplete runs and deletes the branch on request', async () => {
+    const user = userEvent.setup();
+    mockLoad({ targetList: null });
+    agentAddTestsStream.mockImplementation(async ({ onDone }) => {
+      onDone({ status: 'incomplete', branchName: 'feature/add-tests-2', canDeleteBranch: true });
+    });
+    axios.delete.mockRejectedValueOnce({ response: { data: { error: 'Branch is busy' } } }).mockResolvedValueOnce({});
+
+    render(<AddTestsToolModal isOpen={true} onClose={() => {}} />);
+    await waitFor(() => expect(axios.get).toHaveBeenCalledTimes(2));
+    expect(screen.queryByTestId('tool-add-tests-targets')).not.toBeInTheDocument();
+    await user.type(screen.getByTestId('tool-add-tests-file'), 'src/a.js');
+    await user.click(screen.getByTestId('tool-add-tests-start'));
+
+    expect(agentAddTestsStream.mock.calls[0][0].lineRange).toBeNull();
+    expect(await screen.findByTestId('tool-add-tests-result')).toHaveTextContent('rolled back');
+    expect(screen.queryByTestId('tool-add-tests-coverage')).not.toBeInTheDocument();
+
+    await user.click(screen.getByTestId('tool-add-tests-delete-branch'));
+    expect(axios.delete).toHaveBeenCalledWith('/api/projects/7/branches/feature%2Fadd-tests-2', {
+      headers: { 'x-confirm-destructive': 'true' }
+    });
+    expect(await screen.findByTestId('tool-add-tests-error')).toHaveTextContent('Branch is busy');
+
+    await user.click(screen.getByTestId('tool-add-tests-delete-branch'));
+    await waitFor(() => expect(screen.getByTestId('tool-add-tests-branch')).toHaveTextContent('(deleted)'));
+    expect(screen.queryByTestId('tool-add-tests-delete-branch')).not.toBeInTheDocument();
+  });
+
+  it('describes refused, failed and empty results', async () => {
+    const user = userEvent.setup();
+    mockLoad();
+    const results = [
+      { status: 'refused', reason: 'baseline-failed' },
+      { status: 'failed', message: 'Agent crashed' },
+      null
+    ];
+    const expected = ['Baseline tests failed', 'Agent crashed', 'Add tests failed.'];
+
+    render(<AddTestsToolModal isOpen={true} onClose={() => {}} />);
+    await user.type(screen.getByTestId('tool-add-tests-file'), 'src/a.js');
+
+    for (let index = 0; index < results.length; index += 1) {
+      agentAddTestsStream.mockImplementationOnce(async ({ onDone }) => onDone(results[index]));
+      await user.click(screen.getByTestId('tool-add-tests-start'));
+      expect(await screen.findByTestId('tool-add-tests-result')).toHaveTextContent(expected[index]);
+      await user.click(screen.getByTestId('tool-add-tests-again'));
+    }
+  });
+
+  it('reports stream errors with a deletable branch', async () => {
+    const user = userEvent.setup();
+    mockLoad();
+    agentAddTestsStream.mockImplementation(async ({ onEvent, onError }) => {
+      onEvent('status', { text: 'Creating working branch feature/add-tests-4…' });
+      onError('Add tests failed');
+    });
+    axios.delete.mockRejectedValueOnce(new Error('offline')).mockRejectedValueOnce({});
+
+    render(<AddTestsToolModal isOpen={true} onClose={() => {}} />);
+    await user.type(screen.getByTestId('tool-add-tests-file'), 'src/a.js');
+    await user.click(screen.getByTestId('tool-add-tests-start'));
+
+    expect(await screen.findByTestId('tool-add-tests-error')).toHaveTextContent('Add tests failed');
+    await user.click(screen.getByTestId('tool-add-tests-delete-branch'));
+    expect(await screen.findByText('offline')).toBeInTheDocument();
+    await user.click(screen.getByTestId('tool-add-tests-delete-branch'));
+    expect(await screen.findByText('Failed to delete branch')).toBeInTheDocument();
+  });
+
+  it('returns to the form when the stream cannot start', async () => {
+    const user = userEvent.setup();
+    mockLoad();
+    agentAddTestsStream.mockRejectedValueOnce(new Error('Add tests stream failed (500)')).mockRejectedValueOnce({});
+
+    render(<AddTestsToolModal isOpen={true} onClose={() => {}} />);
+    await user.type(screen.getByTestId('tool-add-tests-file'), 'src/a.js');
+    await user.click(screen.getByTestId('tool-add-tests-start'));
+    expect(await screen.findByTestId('tool-add-tests-error')).toHaveTextContent('Add tests stream failed (500)');
+
+    await user.click(screen.getByTestId('tool-add-tests-start'));
+    expect(await screen.findByTestId('tool-add-tests-error')).toHaveTextContent('Failed to start test generation.');
+  });
+
+  it('surfaces missing coverage data and still lists files', async () => {
+    mockLoad({ targetsError: { response: { data: { error: 'No coverage report' } } } });
+    const { unmount } = render(<AddTestsToolModal isOpen={true} onClose={() => {}} />);
+    expect(await screen.findByTestId('tool-add-tests-load-error')).toHaveTextContent('No coverage report');
+    unmount();
+
+    axios.get.mockRejectedValue(new Error('offline'));
+    render(<AddTestsToolModal isOpen={true} onClose={() => {}} />);
+    expect(await screen.findByTestId('tool-add-tests-load-error')).toHaveTextContent('Run the tests with coverage first');
+    expect(document.querySelectorAll('#tool-add-tests-files option')).toHaveLength(0);
+  });
+
+  it('cancels an in-flight run and ignores late events', async () => {
+    const user = userEvent.setup();
+    mockLoad();
+    let callbacks;
+    agentAddTestsStream.mockImplementation((args) => {
+      callbacks = args;
+      args.onEvent('status', { text: 'Creating working branch feature/add-tests-5…' });
+      return new Promise((resolve, reject) => {
+        args.signal.addEventListener('abort', () => {
+          const error = new Error('aborted');
+          error.name = 'AbortError';
+          reject(error);
+        });
+      });
+    });
+
+    const { rerender } = render(<AddTestsToolModal isOpen={true} onClose={() => {}} />);
+    await user.type(screen.getByTestId('tool-add-tests-file'), 'src/a.js');
+    await user.click(screen.getByTestId('tool-add-tests-start'));
+    expect(screen.getByTestId('tool-add-tests-progress-log')).toHaveTextContent('feature/add-tests-5');
+
+    await user.click(screen.getByTestId('tool-add-tests-cancel'));
+    expect(callbacks.signal.aborted).toBe(true);
+    expect(screen.getByTestId('tool-add-tests-result')).toHaveTextContent('Test generation cancelled.');
+    expect(screen.getByTestId('tool-add-tests-delete-branch')).toBeInTheDocument();
+
+    callbacks.onEvent('status', { text: 'late' });
+    callbacks.onDone({ status: 'complete', iterations: 1 });
+    callbacks.onError('late error');
+    expect(screen.getByTestId('tool-add-tests-progress-log')).not.toHaveTextContent('late');
+    expect(screen.getByTestId('tool-add-tests-result')).toHaveTextContent('Test generation cancelled.');
+
+    rerender(<AddTestsToolModal isOpen={false} onClose={() => {}} />);
+    rerender(<AddTestsToolModal isOpen={true} onClose={() => {}} />);
+    expect(screen.getByTestId('tool-add-tests-start')).toBeInTheDocument();
+  });
+
+  it('aborts the stream when the modal closes mid-run', async () => {
+    const user = userEvent.setup();
+    mockLoad();
+    let signal;
+    agentAddTestsStream.mockImplementation((args) => {
+      signal = args.signal;
+      args.onEvent('coverage', { file: 'src/a.js' });
+      return new Promise(() => {});
+    });
+
+    const { rerender } = render(<AddTestsToolModal isOpen={true} onClose={() => {}} />);
+    await user.type(screen.getByTestId('tool-add-tests-file'), 'src/a.js');
+    await user.click(screen.getByTestId('tool-add-tests-start'));
+    expect(screen.getByTestId('tool-add-tests-coverage-lines')).toHaveTextContent('n/a% → n/a% (n/a)');
+
+    rerender(<AddTestsToolModal isOpen={false} onClose={() => {}} />);
+    expect(signal.aborted).toBe(true);
+  });
+
+  it('explains why a run cannot start', () => {
+    useAppState.mockReturnValue({ currentProject: null, isLLMConfigured: true });
+    const { rerender } = render(<AddTestsToolModal isOpen={true} onClose={() => {}} />);
+    expect(screen.getByTestId('tool-add-tests-hint')).toHaveTextContent('Select a project');
+    expect(axios.get).not.toHaveBeenCalled();
+
+    mockLoad();
+    useAppState.mockReturnValue({ currentProject: { id: 7 }, isLLMConfigured: false });
+    rerender(<AddTestsToolModal isOpen={true} onClose={() => {}} />);
+    expect(screen.getByTestId('tool-add-tests-hint')).toHaveTextContent('Configure an LLM provider');
+    expect(screen.getByTestId('tool-add-tests-start')).toBeDisabled();
+  });
+});
@@ -1,7 +1,8 @@
 import React from 'react'
 import { describe, test, expect, beforeEach, vi } from 'vitest'
-import { renderHook, act, waitFor } from '@testing-library/react'
+import { renderHook, act, waitFor, screen } from '@testing-library/react'
 import { AppStateProvider, useAppState, __appStateTestHelpers } from '../context/AppStateContext'
+import { AuthProvider } from '../context/AuthContext'
 import { mockApiResponse } from './setup'
 
 const defaultGitSettingsPayload = {
@@ -262,6 +263,28 @@ describe('AppStateContext', () => {
     })
   })
 
+  test('trackedFetch returns to the login screen when the session is rejected', async () => {
+    fetch.mockImplementation((url) => Promise.resolve(mockApiResponse(url === '/api/auth/status'
+      ? { success: true, authRequired: true, user: { id: 1, username: 'alice', role: 'admin' } }
+      : { success: true })))
+
+    const { result } = renderHook(() => useAppState(), {
+      wrapper: ({ children }) => (
+        <AuthProvider>
+          <AppStateProvider>{children}</AppStateProvider>
+        </AuthProvider>
+      )
+    })
+    await waitFor(() => expect(result.current).toBeTruthy())
+
+    fetch.mockImplementation(() => Promise.resolve(mockApiResponse({ success: false }, false, 401)))
+    await act(async () => {
+      await __appStateTestHelpers.trackedFetch('/api/projects')
+    })
+
+    expect(await screen.findByTestId('login-screen')).toBeInTheDocument()
+  })
+
   test('trackedFetch does not treat non-string request URLs as connectivity probes', async () => {
     fetch.mockImplementation(() => Promise.resolve(mockApiResponse({ success: true })))
 
@@ -2,7 +2,7 @@ import React from 'react'
 import { describe, test, expect, vi, beforeEach } from 'vitest'
 import { render, screen, waitFor } from '@testing-library/react'
 import userEvent from '@testing-library/user-event'
-import ApprovalPanel from '../components/ApprovalPanel'
+import ApprovalPanel, { CommandApprovalModal } from '../components/ApprovalPanel'
 
 describe('ApprovalPanel', () => {
   beforeEach(() => {
@@ -123,4 +123,39 @@ describe('ApprovalPanel', () => {
 
     expect(screen.queryByTestId('approval-modal')).not.toBeInTheDocument()
   })
+
+  describe('CommandApprovalModal', () => {
+    test('renders nothing without a pending approval', () => {
+      render(<CommandApprovalModal approval={null} onDecision={vi.fn()} />)
+      expect(screen.queryByTestId('command-approval-modal')).not.toBeInTheDocument()
+    })
+
+    test('shows the command with its reason and reports the decision', async () => {
+      const onDecision = vi.fn()
+      render(
+        <CommandApprovalModal
+          approval={{ id: '1', command: 'make build', reason: 'compile assets', cwd: '/work/app' }}
+          onDecision={onDecision}
+          error="Failed to send decision"
+        />
+      )
+
+      expect(screen.getByTestId('command-approval-command')).toHaveTextContent('make build')
+      expect(screen.getByText('compile assets')).toBeInTheDocument()
+      expect(screen.getByText('In /work/app')).toBeInTheDocument()
+      expect(screen.getByRole('alert')).toHaveTextContent('Failed to send decision')
+
+      await userEvent.click(screen.getByTestId('approve-command'))
+      await userEvent.click(screen.getByTestId('deny-command'))
+      expect(onDecision.mock.calls).toEqual([[true], [false]])
+    })
+
+    test('disables the buttons while a decision is being sent', () => {
+      render(<CommandApprovalModal approval={{ id: '1', command: 'make' }} onDecision={vi.fn()} isSubmitting />)
+
+      expect(screen.getByTestId('approve-command')).toBeDisabled()
+      expect(screen.getByTestId('deny-command')).toBeDisabled()
+      expect(screen.queryByRole('alert')).not.toBeInTheDocument()
+    })
+  })
 })
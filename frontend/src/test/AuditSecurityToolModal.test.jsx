@@ -0,0 +1,230 @@
+import React from 'react';
+import { describe, expect, it, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+
+import AuditSecurityToolModal, {
+  buildRemediationPrompt,
+  groupFindingsBySeverity
+} from '../components/AuditSecurityToolModal.jsx';
+
+vi.mock('../utils/goalsApi', () => ({
+  createGoal: vi.fn()
+}));
+
+vi.mock('../context/AppStateContext', () => ({
+  useAppState: vi.fn()
+}));
+
+import axios from 'axios';
+import { createGoal } from '../utils/goalsApi';
+import { useAppState } from '../context/AppStateContext';
+
+const completedAudit = {
+  id: 7,
+  status: 'completed',
+  startedAt: '2026-01-01T00:00:00.000Z',
+  metadata: {
+    summary: { total: 3, critical: 1, high: 0, moderate: 2, low: 0, info: 0 },
+    comparison: { previousRunId: 6, added: 1, resolved: 2, unchanged: 2 },
+    workspaces: [
+      { name: 'frontend', tool: 'npm audit', status: 'completed', findings: 1 },
+      { name: 'backend', tool: 'pip-audit', status: 'failed', findings: 0 }
+    ],
+    findings: [
+      { fingerprint: 'a', severity: 'critical', title: 'Private key committed to the repository', file: 'backend/key.pem', line: 1, recommendation: 'Rotate it.' },
+      { fingerprint: 'b', severity: 'moderate', title: 'lodash: Prototype Pollution', workspace: 'frontend', package: 'lodash', detail: 'Affected versions: <4.17.21' },
+      { fingerprint: 'c', severity: 'moderate', title: 'Permissive CORS', file: 'backend/server.js' }
+    ]
+  }
+};
+
+const mockGetResponses = ({ audits = [], audit = null } = {}) => {
+  axios.get.mockImplementation(async (url) => {
+    if (url.endsWith('/audit/security')) {
+      return { data: { success: true, audits } };
+    }
+    return { data: { success: true, audit } };
+  });
+};
+
+describe('AuditSecurityToolModal helpers', () => {
+  it('groups findings by severity and drops empty groups', () => {
+    const groups = groupFindingsBySeverity([
+      { severity: 'low', title: 'a' },
+      { severity: 'bogus', title: 'b' },
+      { severity: 'critical', title: 'c' }
+    ]);
+
+    expect(groups.map((group) => group.severity)).toEqual(['critical', 'low', 'info']);
+    expect(groupFindingsBySeverity(null)).toEqual([]);
+  });
+
+  it('builds a remediation prompt with locations and a cap', () => {
+    const findings = Array.from({ length: 27 }, (_, index) => ({ title: `Issue ${index}`, package: 'pkg', workspace: index ? null : 'frontend' }));
+    findings[1] = { title: 'Secret', file: 'a.js', line: 3, recommendation: 'Use env vars.' };
+    findings[2] = { title: 'Bare' };
+
+    const prompt = buildRemediationPrompt({ severity: 'high', findings });
+    expect(prompt).toContain('Remediate the high severity findings');
+    expect(prompt).toContain('- Issue 0 (frontend → pkg).');
+    expect(prompt).toContain('- Secret (a.js:3). Suggested fix: Use env vars.');
+    expect(prompt).toContain('- Bare.');
+    expect(prompt).toContain('- Issue 3 (pkg).');
+    expect(prompt).toContain('…and 2 more finding(s)');
+    expect(buildRemediationPrompt({ severity: 'unknown', findings: null })).toContain('Remediate the security severity findings');
+  });
+});
+
+describe('AuditSecurityToolModal', () => {
+  beforeEach(() => {
+    createGoal.mockReset();
+    axios.get.mockReset();
+    axios.post.mockReset();
+    useAppState.mockReturnValue({ currentProject: { id: 42, name: 'Demo' } });
+  });
+
+  it('loads the latest audit and shows findings grouped by severity', async () => {
+    mockGetResponses({ audits: [{ id: 7 }, { id: 6 }], audit: completedAudit });
+
+    render(<AuditSecurityToolModal isOpen={true} onClose={() => {}} />);
+
+    expect(await screen.findByTestId('tool-audit-security-summary')).toHaveTextContent('Critical: 1');
+    expect(screen.getByTestId('tool-audit-security-comparison')).toHaveTextContent('1 new, 2 resolved');
+    expect(screen.getByTestId('tool-audit-security-workspaces')).toHaveTextContent('frontend: npm audit completed (1 finding(s))');
+    expect(screen.getByTestId('tool-audit-security-group-critical')).toHaveTextContent('backend/key.pem:1');
+    expect(screen.getByTestId('tool-audit-security-group-moderate')).toHaveTextContent('frontend → lodash');
+    expect(screen.getByTestId('tool-audit-security-run')).toHaveTextContent('Run again');
+    expect(axios.get).toHaveBeenCalledWith('/api/projects/42/audit/security/7');
+  });
+
+  it('starts an audit and polls until it completes', async () => {
+    const user = userEvent.setup();
+    axios.get.mockResolvedValueOnce({ data: { success: true } });
+    axios.post.mockResolvedValue({ data: { success: true, audit: { id: 8, status: 'running' } } });
+
+    render(<AuditSecurityToolModal isOpen={true} onClose={() => {}} pollIntervalMs={5} />);
+
+    await waitFor(() => expect(axios.get).toHaveBeenCalledWith('/api/projects/42/audit/security'));
+    expect(screen.getByTestId('tool-audit-security-run')).toHaveTextContent('Run audit');
+
+    mockGetResponses({ audit: { id: 8, status: 'completed', metadata: { summary: { total: 0 }, findings: [] } } });
+    await user.click(screen.getByTestId('tool-audit-security-run'));
+
+    expect(axios.post).toHaveBeenCalledWith('/api/projects/42/audit/security');
+    expect(await screen.findByTestId('tool-audit-security-clean')).toBeInTheDocument();
+    expect(screen.getByTestId('tool-audit-security-status')).toHaveTextContent('completed');
+  });
+
+  it('marks the audit failed when polling fails', async () => {
+    const user = userEvent.setup();
+    mockGetResponses({ audits: [] });
+    axios.post.mockResolvedValue({ data: { audit: { id: 9, status: 'running' } } });
+
+    render(<AuditSecurityToolModal isOpen={true} onClose={() => {}} pollIntervalMs={5} />);
+    await waitFor(() => expect(axios.get).toHaveBeenCalled());
+
+    axios.get.mockRejectedValue({ response: { data: { error: 'Audit lookup failed' } } });
+    await user.click(screen.getByTestId('tool-audit-security-run'));
+
+    expect(await screen.findByTestId('tool-audit-security-error')).toHaveTextContent('Audit lookup failed');
+    expect(screen.getByTestId('tool-audit-security-status')).toHaveTextContent('failed');
+  });
+
+  it('surfaces start failures and history load failures', async () => {
+    const user = userEvent.setup();
+    axios.get.mockRejectedValueOnce({ response: { data: { error: 'History unavailable' } } });
+    axios.post.mockRejectedValueOnce({ response: { data: { error: 'A security audit is already running for this project' } } });
+
+    render(<AuditSecurityToolModal isOpen={true} onClose={() => {}} />);
+    expect(await screen.findByTestId('tool-audit-security-error')).toHaveTextContent('History unavailable');
+
+    await user.click(screen.getByTestId('tool-audit-security-run'));
+    expect(await screen.findByTestId('tool-audit-security-error')).toHaveTextContent('already running');
+
+    axios.post.mockResolvedValueOnce({ data: { success: false } });
+    await user.click(screen.getByTestId('tool-audit-security-run'));
+    expect(await screen.findByTestId('tool-audit-security-error')).toHaveTextContent('Failed to start the audit.');
+  });
+
+  it('creates a remediation goal for a severity group', async () => {
+    const user = userEvent.setup();
+    mockGetResponses({ audits: [{ id: 7 }], audit: completedAudit });
+    createGoal.mockResolvedValueOnce({ goal: { id: 1 } });
+    const goalsUpdated = vi.fn();
+    window.addEventListener('lucidcoder:goals-updated', goalsUpdated);
+
+    render(<AuditSecurityToolModal isOpen={true} onClose={() => {}} />);
+    await user.click(await screen.findByTestId('tool-audit-security-goal-moderate'));
+
+    expect(createGoal).toHaveBeenCalledWith(42, expect.stringContaining('lodash: Prototype Pollution'));
+    expect(await screen.findByTestId('tool-audit-security-goal-created')).toHaveTextContent('2 moderate finding(s)');
+    expect(goalsUpdated).toHaveBeenCalled();
+    window.removeEventListener('lucidcoder:goals-updated', goalsUpdated);
+
+    createGoal.mockRejectedValueOnce({ response: { data: { error: 'Goal service down' } } });
+    await user.click(screen.getByTestId('tool-audit-security-goal-critical'));
+    expect(await screen.findByTestId('tool-audit-security-error')).toHaveTextContent('Goal service down');
+  });
+
+  it('shows failed audits and resets when closed', async () => {
+    mockGetResponses({
+      audits: [{ id: 5 }],
+      audit: { id: 5, status: 'failed', error: 'Security audit failed', metadata: { summary: { total: 1 }, findings: [{ title: 'Loose', package: 'pkg' }, { title: 'Nowhere' }] } }
+    });
+
+    const { rerender } = render(<AuditSecurityToolModal isOpen={true} onClose={() => {}} />);
+
+    expect(await screen.findByText('Security audit failed')).toBeInTheDocument();
+    expect(screen.getByTestId('tool-audit-security-summary')).toHaveTextContent('Info: 0');
+    expect(screen.getByTestId('tool-audit-security-group-info')).toHaveTextContent('pkg');
+
+    rerender(<AuditSecurityToolModal isOpen={false} onClose={() => {}} />);
+    rerender(<AuditSecurityToolModal isOpen={true} onClose={() => {}} />);
+    expect(screen.queryByText('Security audit failed')).not.toBeInTheDocument();
+    expect(await screen.findByText('Security audit failed')).toBeInTheDocument();
+  });
+
+  it('falls back to default error messages', async () => {
+    const user = userEvent.setup();
+    axios.get.mockRejectedValueOnce({});
+    render(<AuditSecurityToolModal isOpen={true} onClose={() => {}} pollIntervalMs={5} />);
+    expect(await screen.findByTestId('tool-audit-security-error')).toHaveTextContent('Failed to load previous audits.');
+
+    axios.post.mockRejectedValueOnce({});
+    await user.click(screen.getByTestId('tool-audit-security-run'));
+    expect(await screen.findByTestId('tool-audit-security-error')).toHaveTextContent('Failed to start the audit.');
+
+    axios.get.mockRejectedValue({});
+    axios.post.mockResolvedValueOnce({ data: { audit: { id: 3, status: 'running' } } });
+    await user.click(screen.getByTestId('tool-audit-security-run'));
+    expect(await screen.findByText('Failed to refresh the audit.')).toBeInTheDocument();
+  });
+
+  it('falls back to a default goal error and tolerates empty responses', async () => {
+    const user = userEvent.setup();
+    mockGetResponses({ audits: [{ id: 7 }], audit: completedAudit });
+    createGoal.mockRejectedValueOnce({});
+
+    render(<AuditSecurityToolModal isOpen={true} onClose={() => {}} />);
+    await user.click(await screen.findByTestId('tool-audit-security-goal-critical'));
+    expect(await screen.findByTestId('tool-audit-security-error')).toHaveTextContent('Failed to create goal.');
+  });
+
+  it('treats empty API responses as no previous audits', async () => {
+    axios.get.mockResolvedValueOnce({ data: { audits: [{ id: 2 }] } }).mockResolvedValueOnce(undefined);
+    render(<AuditSecurityToolModal isOpen={true} onClose={() => {}} />);
+    await waitFor(() => expect(axios.get).toHaveBeenCalledWith('/api/projects/42/audit/security/2'));
+    expect(screen.queryByTestId('tool-audit-security-meta')).not.toBeInTheDocument();
+  });
+
+  it('requires a project before running', () => {
+    useAppState.mockReturnValue({ currentProject: null });
+
+    render(<AuditSecurityToolModal isOpen={true} onClose={() => {}} />);
+
+    expect(screen.getByTestId('tool-audit-security-no-project')).toBeInTheDocument();
+    expect(screen.getByTestId('tool-audit-security-run')).toBeDisabled();
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,248 @@
+import React from 'react';
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { act, render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import axios from 'axios';
+import { AuthProvider, useAuth } from '../context/AuthContext';
+
+const jsonResponse = (data, ok = true) => ({ ok, json: () => Promise.resolve(data) });
+
+const alice = { id: 1, username: 'alice', role: 'admin' };
+
+const Probe = () => {
+  const { authRequired, user } = useAuth();
+  return (
+    <div data-testid="app-content">
+      {authRequired ? 'required' : 'open'}:{user ? user.username : 'anonymous'}
+    </div>
+  );
+};
+
+const renderWithStatus = (status) => {
+  fetch.mockImplementation((url) => {
+    if (url === '/api/auth/status') {
+      return typeof status === 'function' ? status() : Promise.resolve(jsonResponse(status));
+    }
+    return Promise.resolve(jsonResponse({ success: true }));
+  });
+  return render(
+    <AuthProvider>
+      <Probe />
+    </AuthProvider>
+  );
+};
+
+describe('AuthProvider', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  test('renders the app while no accounts exist', async () => {
+    renderWithStatus({ success: true, authRequired: false, user: null });
+
+    await waitFor(() => expect(fetch).toHaveBeenCalledWith('/api/auth/status'));
+    expect(screen.getByTestId('app-content')).toHaveTextContent('open:anonymous');
+  });
+
+  test('keeps the app open when the status check fails', async () => {
+    renderWithStatus(() => Promise.reject(new Error('offline')));
+
+    await waitFor(() => expect(fetch).toHaveBeenCalledWith('/api/auth/status'));
+    expect(screen.getByTestId('app-content')).toHaveTextContent('open:anonymous');
+  });
+
+  test('ignores a status response that arrives after unmount', async () => {
+    let resolveStatus;
+    const { unmount } = renderWithStatus(() => new Promise((resolve) => {
+      resolveStatus = resolve;
+    }));
+    unmount();
+
+    resolveStatus(jsonResponse({ success: true, authRequired: true, user: null }));
+    await Promise.resolve();
+    expect(screen.queryByTestId('login-screen')).not.toBeInTheDocument();
+  });
+
+  test('exposes the signed-in user', async () => {
+    renderWithStatus({ success: true, authRequired: true, user: alice });
+
+    expect(await screen.findByText('required:alice')).toBeInTheDocument();
+  });
+
+  test('shows the login screen until the user signs in', async () => {
+    renderWithStatus({ success: true, authRequired: true });
+    const user = userEvent.setup();
+
+    expect(await screen.findByTestId('login-screen')).toBeInTheDocument();
+    expect(screen.queryByTestId('app-content')).not.toBeInTheDocument();
+
+    fetch.mockImplementationOnce(() => Promise.resolve(jsonResponse({ success: true, user: alice, token: 't' })));
+    await user.type(screen.getByTestId('login-username'), '  alice ');
+    await user.type(screen.getByTestId('login-password'), 'correct-horse');
+    await user.click(screen.getByTestId('login-submit'));
+
+    expect(await screen.findByText('required:alice')).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith('/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: 'alice', password: 'correct-horse' })
+    });
+  });
+
+  test('shows sign-in errors and lets the user retry', async () => {
+    renderWithStatus({ success: true, authRequired: true, user: null });
+    const user = userEvent.setup();
+
+    await user.type(await screen.findByTestId('login-username'), 'alice');
+    await user.type(screen.getByTestId('login-password'), 'wrong-password');
+
+    fetch.mockImplementationOnce(() => Promise.resolve(
+      jsonResponse({ success: false, error: 'Invalid username or password' }, false)
+    ));
+    await user.click(screen.getByTestId('login-submit'));
+    expect(await screen.findByTestId('login-error')).toHaveTextContent('Invalid username or password');
+    expect(screen.getByTestId('login-submit')).not.toBeDisabled();
+
+    fetch.mockImplementationOnce(() => Promise.resolve({ ok: false, json: () => Promise.reject(new Error('not json')) }));
+    await user.click(screen.getByTestId('login-submit'));
+    expect(await screen.findByText('Failed to sign in')).toBeInTheDocument();
+
+    fetch.mockImplementationOnce(() => Promise.resolve(jsonResponse({ success: false })));
+    await user.click(screen.getByTestId('login-submit'));
+    expect(await screen.findByText('Failed to sign in')).toBeInTheDocument();
+  });
+
+  test('disables the sign in button while the request is pending', async () => {
+    renderWithStatus({ success: true, authRequired: true, user: null });
+    const user = userEvent.setup();
+    let resolveLogin;
+
+    await user.type(await screen.findByTestId('login-username'), 'alice');
+    await user.type(screen.getByTestId('login-password'), 'correct-horse');
+    fetch.mockImplementationOnce(() => new Promise((resolve) => {
+      resolveLogin = resolve;
+    }));
+    await user.click(screen.getByTestId('login-submit'));
+
+    expect(screen.getByTestId('login-submit')).toBeDisabled();
+    expect(screen.getByTestId('login-submit')).toHaveTextContent('Signing in…');
+
+    resolveLogin(jsonResponse({ success: true, user: alice }));
+    expect(await screen.findByText('required:alice')).toBeInTheDocument();
+  });
+
+  test('returns to the login screen after signing out, even if the request fails', async () => {
+    let signOut;
+    const Capture = () => {
+      signOut = useAuth().signOut;
+      return <Probe />;
+    };
+    fetch.mockImplementation((url) => (url === '/api/auth/status'
+      ? Promise.resolve(jsonResponse({ success: true, authRequired: true, user: alice }))
+      : Promise.reject(new Error('offline'))));
+    render(
+      <AuthProvider>
+        <Capture />
+      </AuthProvider>
+    );
+
+    expect(await screen.findByText('required:alice')).toBeInTheDocument();
+    await signOut();
+
+    expect(await screen.findByTestId('login-screen')).toBeInTheDocument();
+    expect(console.warn).toHaveBeenCalledWith('Failed to sign out cleanly:', expect.any(Error));
+  });
+
+  test('creates the first account from the bootstrap screen and continues signed in', async () => {
+    let auth;
+    const Capture = () => {
+      auth = useAuth();
+      return <Probe />;
+    };
+    fetch.mockImplementation(() => Promise.resolve(jsonResponse({ success: true, authRequired: false, user: null })));
+    render(
+      <AuthProvider>
+        <Capture />
+      </AuthProvider>
+    );
+    const user = userEvent.setup();
+    await waitFor(() => expect(fetch).toHaveBeenCalledWith('/api/auth/status'));
+
+    act(() => auth.startBootstrap());
+    expect(screen.getByTestId('login-screen')).toHaveAttribute('data-mode', 'bootstrap');
+    expect(screen.getByTestId('login-submit')).toHaveTextContent('Create admin account');
+    await user.click(screen.getByTestId('login-cancel'));
+    expect(screen.getByTestId('app-content')).toHaveTextContent('open:anonymous');
+
+    act(() => auth.startBootstrap());
+    await user.type(screen.getByTestId('login-username'), 'alice');
+    await user.type(screen.getByTestId('login-password'), 'correct-horse');
+
+    fetch.mockImplementationOnce(() => Promise.resolve(jsonResponse({ success: false }, false)));
+    await user.click(screen.getByTestId('login-submit'));
+    expect(await screen.findByTestId('login-error')).toHaveTextContent('Failed to create account');
+
+    let resolveRegister;
+    fetch.mockImplementationOnce(() => new Promise((resolve) => {
+      resolveRegister = resolve;
+    }));
+    await user.click(screen.getByTestId('login-submit'));
+    expect(screen.getByTestId('login-submit')).toHaveTextContent('Creating account…');
+    expect(screen.getByTestId('login-cancel')).toBeDisabled();
+
+    resolveRegister(jsonResponse({ success: true, user: alice, token: 't' }));
+    expect(await screen.findByText('required:alice')).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith('/api/auth/register', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: 'alice', password: 'correct-horse' })
+    });
+  });
+
+  test('returns to the login screen when an axios request is rejected with 401', async () => {
+    const { unmount } = renderWithStatus({ success: true, authRequired: true, user: alice });
+    expect(await screen.findByText('required:alice')).toBeInTheDocument();
+
+    const [onFulfilled, onRejected] = axios.interceptors.response.use.mock.calls.at(-1);
+    const response = { data: {} };
+    expect(onFulfilled(response)).toBe(response);
+
+    const serverError = { response: { status: 500 } };
+    await expect(onRejected(serverError)).rejects.toBe(serverError);
+    expect(screen.getByText('required:alice')).toBeInTheDocument();
+
+    const unauthorized = { response: { status: 401 } };
+    await act(async () => {
+      await expect(onRejected(unauthorized)).rejects.toBe(unauthorized);
+    });
+    expect(screen.getByTestId('login-screen')).toBeInTheDocument();
+
+    await act(async () => {
+      await expect(onRejected(unauthorized)).rejects.toBe(unauthorized);
+    });
+    expect(screen.getByTestId('login-screen')).toBeInTheDocument();
+
+    unmount();
+    expect(axios.interceptors.response.eject).toHaveBeenCalled();
+  });
+
+  test('provides a signed-out default outside the provider', async () => {
+    let value;
+    const Capture = () => {
+      value = useAuth();
+      return null;
+    };
+    render(<Capture />);
+
+    expect(value).toEqual({
+      authRequired: false,
+      user: null,
+      signOut: expect.any(Function),
+      startBootstrap: expect.any(Function),
+      expireSession: expect.any(Function)
+    });
+    await expect(value.signOut()).resolves.toBeUndefined();
+    expect(value.startBootstrap()).toBeUndefined();
+    expect(value.expireSession()).toBeUndefined();
+  });
+});
@@ -1,6 +1,6 @@
 import React from 'react';
-import { describe, test, expect } from 'vitest';
-import { render, screen, within } from '@testing-library/react';
+import { describe, test, expect, vi } from 'vitest';
+import { render, screen, within, fireEvent } from '@testing-library/react';
 import BranchDetails from '../components/branch-tab/BranchDetails';
 
 describe('BranchDetails', () => {
@@ -170,4 +170,59 @@ describe('BranchDetails', () => {
     expect(screen.getByTestId('branch-merge-card')).toBeInTheDocument();
     expect(screen.getByTestId('branch-merge')).toHaveTextContent('Merging…');
   });
+
+  test('offers a pull request once the branch is ready and keeps showing an existing one', () => {
+    const baseProps = {
+      warningMessage: null,
+      canCheckout: false,
+      onCheckout: null,
+      checkoutTestId: 'branch-checkout',
+      checkoutLabel: 'Switch',
+      canDelete: false,
+      onDeleteBranch: null,
+      deleteLabel: 'Delete',
+      isDeleting: false,
+      isStoppingProject: false,
+      selectedFiles: [],
+      hasSelectedFiles: false,
+      onClearAll: null,
+      onOpenFile: null,
+      onClearFile: null,
+      isCurrentBranch: false,
+      showWorkingPanels: true,
+      onBeginTesting: null,
+      canBeginTesting: false,
+      isBeginningTesting: false,
+      onSkipTesting: null,
+      canSkipTesting: false,
+      showCssOnlySkipHint: false,
+      onMerge: () => {},
+      canMerge: true,
+      isMerging: false,
+      committedFiles: [],
+      isLoadingCommittedFiles: false,
+      committedFilesBranchName: 'feature/pr'
+    };
+    const onOpenPullRequest = vi.fn();
+
+    const { rerender } = render(
+      <BranchDetails {...baseProps} readyForMerge={true} onOpenPullRequest={onOpenPullRequest} isOpeningPullRequest={false} />
+    );
+    fireEvent.click(screen.getByTestId('branch-open-pull-request'));
+    expect(onOpenPullRequest).toHaveBeenCalledTimes(1);
+
+    rerender(
+      <BranchDetails
+        {...baseProps}
+        readyForMerge={false}
+        onOpenPullRequest={onOpenPullRequest}
+        pullRequest={{ provider: 'github', number: 5, url: 'https://github.com/o/r/pull/5', status: 'closed' }}
+      />
+    );
+    expect(screen.getByTestId('branch-pull-request-link')).toHaveTextContent('Pull request #5');
+    expect(screen.queryByTestId('branch-open-pull-request')).toBeNull();
+
+    rerender(<BranchDetails {...baseProps} readyForMerge={false} onOpenPullRequest={onOpenPullRequest} />);
+    expect(screen.queryByTestId('branch-pull-request-card')).toBeNull();
+  });
 });
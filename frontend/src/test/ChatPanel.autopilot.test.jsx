@@ -206,6 +206,23 @@ describe('ChatPanel - Autopilot Features', () => {
       expect(within(inspector).getByText('Next step: Third')).toBeInTheDocument();
     });
 
+    it('shows the streamed edit output while the session is active', async () => {
+      const session = {
+        id: 'session-live-output',
+        status: 'running',
+        statusMessage: 'Editing',
+        liveOutput: 'Adding the settings form',
+        events: []
+      };
+      goalsApi.agentAutopilotResume.mockResolvedValueOnce({ success: true, resumed: [session] });
+      goalsApi.agentAutopilotStatus.mockResolvedValue({ session });
+
+      renderWithAppState();
+
+      const inspector = await screen.findByTestId('chat-inspector');
+      expect(within(inspector).getByTestId('chat-autopilot-live-output')).toHaveTextContent('Adding the settings form');
+    });
+
     it('ignores non-object events when building the step snapshot', async () => {
       const noisyEvents = [
         null,
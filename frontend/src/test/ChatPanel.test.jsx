@@ -1720,7 +1720,7 @@ describe('ChatPanel', () => {
 
     it('skips test reruns after a successful fix goal when changes are css-only', async () => {
       goalAutomationService.processGoals.mockResolvedValueOnce({ success: true, processed: 1 });
-      axios.get.mockResolvedValueOnce({ data: { isCssOnly: true } });
+      axios.get.mockImplementation(async (url) => ({ data: url.endsWith('/css-only') ? { isCssOnly: true } : {} }));
 
       useAppState.mockReturnValue({
         currentProject: { id: 123, name: 'Test Project' },
@@ -3841,7 +3841,7 @@ describe('ChatPanel', () => {
     });
 
     it('skips automated tests when the change is css-only', async () => {
-      axios.get.mockResolvedValueOnce({ data: { isCssOnly: true } });
+      axios.get.mockImplementation(async (url) => ({ data: url.endsWith('/css-only') ? { isCssOnly: true } : {} }));
       goalsApi.agentRequest.mockResolvedValue({ kind: 'feature', planOnly: false });
       goalAutomationService.handleRegularFeature.mockResolvedValue({ success: true });
 
@@ -3891,9 +3891,12 @@ describe('ChatPanel', () => {
       };
 
       axios.get.mockReset();
-      axios.get
-        .mockResolvedValueOnce({ data: branchOverview })
-        .mockResolvedValueOnce({ data: { isCssOnly: true } });
+      axios.get.mockImplementation(async (url) => {
+        if (url === '/api/projects/123/branches') {
+          return { data: branchOverview };
+        }
+        return { data: url.endsWith('/css-only') ? { isCssOnly: true } : {} };
+      });
 
       const syncBranchOverview = vi.fn();
       const localStartAutomationJob = vi.fn();
@@ -5442,6 +5445,148 @@ describe('ChatPanel', () => {
     });
   });
 
+  describe('Streaming Requests', () => {
+    const sendPrompt = async (text) => {
+      await userEvent.type(screen.getByTestId('chat-input'), text);
+      await userEvent.click(screen.getByTestId('chat-send-button'));
+    };
+
+    it('shows streamed answer tokens while the request runs and keeps the streamed answer', async () => {
+      const gate = createDeferred();
+      goalsApi.agentRequestStream.mockImplementation(async ({ onToken, onComplete }) => {
+        onToken('Streamed ');
+        onToken('');
+        await gate.promise;
+        onToken('answer');
+        onComplete({ kind: 'question', answer: 'Streamed answer', steps: [] });
+      });
+
+      render(<ChatPanel width={320} side="left" />);
+      await sendPrompt('Explain streaming');
+
+      expect(await screen.findByText('Streamed')).toBeInTheDocument();
+      expect(screen.getByTestId('chat-stop-request')).toBeInTheDocument();
+
+      await act(async () => {
+        gate.resolve();
+      });
+
+      await waitFor(() => {
+        expect(screen.queryByTestId('chat-typing')).not.toBeInTheDocument();
+      });
+      expect(screen.getAllByText('Streamed answer')).toHaveLength(1);
+      expect(goalsApi.agentRequest).not.toHaveBeenCalled();
+      expect(goalsApi.agentRequestStream.mock.calls[0][0].signal).toBeInstanceOf(AbortSignal);
+    });
+
+    it('aborts the in-flight stream when Stop is clicked', async () => {
+      goalsApi.agentRequestStream.mockImplementation(({ signal, onToken }) => new Promise((resolve, reject) => {
+        onToken('thinking');
+        signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+      }));
+
+      render(<ChatPanel width={320} side="left" />);
+      await sendPrompt('Long question');
+
+      await userEvent.click(await screen.findByTestId('chat-stop-request'));
+
+      expect(await screen.findByText('Request stopped.')).toBeInTheDocument();
+      expect(goalsApi.agentRequest).not.toHaveBeenCalled();
+      expect(screen.queryByTestId('chat-stop-request')).not.toBeInTheDocument();
+    });
+
+    it('falls back to the plain request when the stream fails before any event', async () => {
+      goalsApi.agentRequestStream.mockRejectedValue(new Error('Streaming request failed (404)'));
+      goalsApi.agentRequest.mockResolvedValue({ kind: 'question', answer: 'Plain answer', steps: [] });
+
+      render(<ChatPanel width={320} side="left" />);
+      await sendPrompt('Fallback please');
+
+      expect(await screen.findByText('Plain answer')).toBeInTheDocument();
+      expect(goalsApi.agentRequest).toHaveBeenCalledTimes(1);
+    });
+
+    it('clears the stop control when the plain-request fallback also fails', async () => {
+      goalsApi.agentRequestStream.mockRejectedValue(new Error('Streaming request failed (404)'));
+      goalsApi.agentRequest.mockRejectedValue(new Error('Backend offline'));
+
+      render(<ChatPanel width={320} side="left" />);
+      await sendPrompt('Fallback fails');
+
+      await waitFor(() => {
+        expect(screen.queryByTestId('chat-typing')).not.toBeInTheDocument();
+      });
+      expect(goalsApi.agentRequest).toHaveBeenCalledTimes(1);
+      expect(screen.queryByTestId('chat-stop-request')).not.toBeInTheDocument();
+    });
+
+    it('reports stream errors without retrying once events have arrived', async () => {
+      goalsApi.agentRequestStream.mockImplementation(async ({ onError }) => {
+        onError('LLM API Error: overloaded');
+      });
+
+      render(<ChatPanel width={320} side="left" />);
+      await sendPrompt('Break please');
+
+      await waitFor(() => {
+        expect(screen.queryByTestId('chat-typing')).not.toBeInTheDocument();
+      });
+      expect(goalsApi.agentRequest).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Chat Threads', () => {
+    beforeEach(() => {
+      axios.get.mockImplementation(async (url) => {
+        if (url === '/api/projects/123/chat-threads') {
+          return { data: { threads: [{ id: 4, title: 'Auth flow', archived: false, links: { goals: [9], autopilotSessions: [] } }] } };
+        }
+        if (url === '/api/projects/123/chat-threads/4/messages') {
+          return { data: { messages: [{ id: 'saved-1', sender: 'user', text: 'Earlier thread question' }] } };
+        }
+        return { data: {} };
+      });
+    });
+
+    it('loads the active thread and sends its id instead of local conversation context', async () => {
+      goalsApi.agentRequest.mockResolvedValue({ kind: 'question', answer: 'OK', steps: [] });
+
+      render(<ChatPanel width={320} side="left" />);
+
+      expect(await screen.findByTestId('chat-threads')).toBeInTheDocument();
+      expect(screen.getByTestId('chat-thread-select')).toHaveValue('4');
+      expect(screen.getByTestId('chat-thread-links')).toHaveTextContent('1 goal');
+      expect(screen.getByText('Earlier thread question')).toBeInTheDocument();
+
+      await userEvent.type(screen.getByTestId('chat-input'), 'Add password reset');
+      await userEvent.click(screen.getByTestId('chat-send-button'));
+
+      await waitFor(() => {
+        expect(goalsApi.agentRequest).toHaveBeenCalled();
+      });
+      expect(goalsApi.agentRequestStream.mock.calls[0][0].threadId).toBe(4);
+      const { prompt, threadId } = goalsApi.agentRequest.mock.calls[0][0];
+      expect(threadId).toBe(4);
+      expect(prompt).toBe('Current request: Add password reset');
+    });
+
+    it('starts autopilot sessions inside the active thread', async () => {
+      goalsApi.agentAutopilot.mockResolvedValueOnce({
+        session: { id: 'session-thread', status: 'running', statusMessage: 'Running', events: [] }
+      });
+
+      render(<ChatPanel width={320} side="left" />);
+      await screen.findByTestId('chat-threads');
+      await userEvent.type(screen.getByTestId('chat-input'), 'Build billing');
+
+      await act(async () => {
+        await ChatPanel.__testHooks.handlers.startAutopilot();
+      });
+
+      expect(goalsApi.agentAutopilot).toHaveBeenCalledWith({ projectId: 123, prompt: 'Build billing', threadId: 4 });
+    });
+  });
+
   describe('No Project Selected', () => {
     it('does not call agentRequest when no currentProject exists', async () => {
       useAppState.mockReturnValue({
@@ -0,0 +1,116 @@
+import React from 'react';
+import { describe, expect, test, vi, beforeEach, afterEach } from 'vitest';
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+
+import CommandApprovalCoordinator, { COMMAND_APPROVAL_POLL_MS } from '../components/CommandApprovalCoordinator.jsx';
+import { useAppState } from '../context/AppStateContext';
+import { fetchCommandApprovals, resolveCommandApproval } from '../utils/goalsApi';
+
+vi.mock('../context/AppStateContext', () => ({
+  useAppState: vi.fn()
+}));
+
+vi.mock('../utils/goalsApi', () => ({
+  fetchCommandApprovals: vi.fn(),
+  resolveCommandApproval: vi.fn()
+}));
+
+const approvals = [
+  { id: '1', projectId: '5', command: 'make build', reason: 'compile' },
+  { id: '2', projectId: '5', command: 'cargo test' }
+];
+
+describe('CommandApprovalCoordinator', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    useAppState.mockReturnValue({ currentProject: { id: 5 } });
+    fetchCommandApprovals.mockResolvedValue(approvals);
+    resolveCommandApproval.mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  test('renders nothing without a project', async () => {
+    useAppState.mockReturnValue({ currentProject: null });
+    render(<CommandApprovalCoordinator />);
+
+    await act(async () => {});
+    expect(fetchCommandApprovals).not.toHaveBeenCalled();
+    expect(screen.queryByTestId('command-approval-modal')).toBeNull();
+  });
+
+  test('shows pending approvals one at a time and sends decisions', async () => {
+    render(<CommandApprovalCoordinator />);
+
+    expect(await screen.findByTestId('command-approval-command')).toHaveTextContent('make build');
+    expect(fetchCommandApprovals).toHaveBeenCalledWith(5);
+
+    fireEvent.click(screen.getByTestId('approve-command'));
+    await waitFor(() => expect(screen.getByTestId('command-approval-command')).toHaveTextContent('cargo test'));
+    expect(resolveCommandApproval).toHaveBeenCalledWith({ approvalId: '1', approved: true });
+
+    fireEvent.click(screen.getByTestId('deny-command'));
+    await waitFor(() => expect(screen.queryByTestId('command-approval-modal')).toBeNull());
+    expect(resolveCommandApproval).toHaveBeenLastCalledWith({ approvalId: '2', approved: false });
+  });
+
+  test('polls for new approvals and keeps the last list when polling fails', async () => {
+    vi.useFakeTimers();
+    fetchCommandApprovals.mockResolvedValueOnce([]).mockRejectedValueOnce(new Error('offline')).mockResolvedValueOnce([approvals[1]]);
+    const view = render(<CommandApprovalCoordinator />);
+
+    await act(async () => {});
+    expect(screen.queryByTestId('command-approval-modal')).toBeNull();
+
+    await act(async () => {
+      vi.advanceTimersByTime(COMMAND_APPROVAL_POLL_MS);
+    });
+    expect(screen.queryByTestId('command-approval-modal')).toBeNull();
+
+    await act(async () => {
+      vi.advanceTimersByTime(COMMAND_APPROVAL_POLL_MS);
+    });
+    expect(screen.getByTestId('command-approval-command')).toHaveTextContent('cargo test');
+    expect(fetchCommandApprovals).toHaveBeenCalledTimes(3);
+
+    view.unmount();
+    await act(async () => {
+      vi.advanceTimersByTime(COMMAND_APPROVAL_POLL_MS * 2);
+    });
+    expect(fetchCommandApprovals).toHaveBeenCalledTimes(3);
+  });
+
+  test('clears approvals when the project is closed', async () => {
+    const view = render(<CommandApprovalCoordinator />);
+    await screen.findByTestId('command-approval-modal');
+
+    useAppState.mockReturnValue({ currentProject: null });
+    view.rerender(<CommandApprovalCoordinator />);
+    await waitFor(() => expect(screen.queryByTestId('command-approval-modal')).toBeNull());
+  });
+
+  test('reports failed decisions and drops approvals that no longer exist', async () => {
+    fetchCommandApprovals.mockResolvedValue([approvals[0]]);
+    resolveCommandApproval
+      .mockRejectedValueOnce({ response: { data: { error: 'Server busy' } } })
+      .mockRejectedValueOnce(new Error('Network down'))
+      .mockRejectedValueOnce({})
+      .mockRejectedValueOnce({ response: { status: 404 } });
+    render(<CommandApprovalCoordinator />);
+    await screen.findByTestId('command-approval-modal');
+
+    fireEvent.click(screen.getByTestId('approve-command'));
+    expect(await screen.findByRole('alert')).toHaveTextContent('Server busy');
+
+    fireEvent.click(screen.getByTestId('approve-command'));
+    await waitFor(() => expect(screen.getByRole('alert')).toHaveTextContent('Network down'));
+
+    fireEvent.click(screen.getByTestId('deny-command'));
+    await waitFor(() => expect(screen.getByRole('alert')).toHaveTextContent('Failed to send decision'));
+
+    fireEvent.click(screen.getByTestId('deny-command'));
+    await waitFor(() => expect(screen.queryByTestId('command-approval-modal')).toBeNull());
+  });
+});
@@ -591,6 +591,39 @@ describe('Validation', () => {
       });
     });
 
+    test('keeps every detected stack for imports and narrows it again for new projects', async () => {
+      const { user } = renderComponent();
+      mockAxios.post.mockResolvedValueOnce({
+        data: {
+          success: true,
+          frontend: { language: 'typescript', framework: 'angular' },
+          backend: { language: 'java', framework: 'spring' }
+        }
+      });
+
+      render(<CreateProject />);
+      await ensureGitStep(user, { source: 'git' });
+      await user.type(screen.getByLabelText('Repository URL *'), 'https://github.com/octocat/my-project.git');
+      await user.selectOptions(screen.getByLabelText('Git Workflow *'), 'local');
+      await user.click(getNextButton());
+      await screen.findByLabelText('Project Name *');
+
+      await waitFor(() => {
+        expect(screen.getByLabelText('Backend Framework *')).toHaveValue('spring');
+      });
+      expect(screen.getByLabelText('Frontend Framework *')).toHaveValue('angular');
+      expect(within(screen.getByLabelText('Backend Language *')).getAllByRole('option')).toHaveLength(10);
+
+      await user.click(screen.getByRole('button', { name: /back/i }));
+      await user.click(screen.getByRole('button', { name: /back/i }));
+      await ensureDetailsStep(user);
+
+      expect(screen.getByLabelText('Frontend Language *')).toHaveValue('typescript');
+      expect(screen.getByLabelText('Frontend Framework *')).toHaveValue('react');
+      expect(screen.getByLabelText('Backend Language *')).toHaveValue('javascript');
+      expect(screen.getByLabelText('Backend Framework *')).toHaveValue('express');
+    });
+
     test('skips git tech detection when repository url is cleared', async () => {
       const { user } = renderComponent();
 
@@ -936,8 +969,8 @@ describe('Validation', () => {
       render(<CreateProject />);
       await ensureDetailsStep(user);
       const frontendFramework = screen.getByLabelText('Frontend Framework *');
-      await user.selectOptions(frontendFramework, 'angular');
-      expect(frontendFramework).toHaveValue('angular');
+      await user.selectOptions(frontendFramework, 'svelte');
+      expect(frontendFramework).toHaveValue('svelte');
 
       const frontendLanguage = screen.getByLabelText('Frontend Language *');
       await user.selectOptions(frontendLanguage, 'typescript');
@@ -962,14 +995,33 @@ describe('Validation', () => {
 
       render(<CreateProject />);
       await ensureDetailsStep(user);
-      const frontendLanguage = screen.getByLabelText('Frontend Language *');
-      await user.selectOptions(frontendLanguage, 'typescript');
-
       const frameworkSelect = screen.getByLabelText('Frontend Framework *');
-      const options = within(frameworkSelect).getAllByRole('option');
-      const optionValues = options.map((option) => option.value);
+      const optionValues = () => within(frameworkSelect).getAllByRole('option').map((option) => option.value);
+
+      expect(optionValues()).toEqual(['react', 'vue', 'svelte', 'nextjs']);
 
-      expect(optionValues).toEqual(['react', 'vue', 'angular', 'svelte', 'nextjs', 'nuxtjs', 'vanilla']);
+      await user.selectOptions(screen.getByLabelText('Frontend Language *'), 'typescript');
+
+      expect(optionValues()).toEqual(['react']);
+    });
+
+    test('only offers backend frameworks that have scaffolding templates', async () => {
+      const { user } = renderComponent();
+
+      render(<CreateProject />);
+      await ensureDetailsStep(user);
+      const backendLanguage = screen.getByLabelText('Backend Language *');
+      const frameworkSelect = screen.getByLabelText('Backend Framework *');
+      const optionValues = () => within(frameworkSelect).getAllByRole('option').map((option) => option.value);
+
+      expect(optionValues()).toEqual(['express', 'fastify']);
+
+      await user.selectOptions(backendLanguage, 'typescript');
+      expect(optionValues()).toEqual(['express', 'nestjs']);
+
+      await user.selectOptions(backendLanguage, 'python');
+      expect(optionValues()).toEqual(['flask', 'fastapi']);
+      expect(frameworkSelect).toHaveValue('flask');
     });
   });
 
@@ -1363,8 +1415,7 @@ describe('Validation', () => {
       render(<CreateProject />);
       await fillProjectName(user, 'My Project');
       await fillDescription(user, 'Description');
-      await user.selectOptions(screen.getByLabelText('Frontend Language *'), 'typescript');
-      await user.selectOptions(screen.getByLabelText('Frontend Framework *'), 'vue');
+      await user.selectOptions(screen.getByLabelText('Frontend Framework *'), 'nextjs');
       await user.selectOptions(screen.getByLabelText('Backend Language *'), 'python');
       await user.selectOptions(screen.getByLabelText('Backend Framework *'), 'fastapi');
 
@@ -1374,7 +1425,7 @@ describe('Validation', () => {
         expect(mockAxios.post).toHaveBeenCalledWith('/api/projects', expect.objectContaining({
           name: 'My Project',
           description: 'Description',
-          frontend: { language: 'typescript', framework: 'vue' },
+          frontend: { language: 'javascript', framework: 'nextjs' },
           backend: { language: 'python', framework: 'fastapi' },
           progressKey: expect.any(String)
         }));
@@ -2880,7 +2931,8 @@ describe('Validation', () => {
         await Promise.resolve();
       });
 
-      expect(mockAxios.get).toHaveBeenCalledTimes(1);
+      const progressPolls = mockAxios.get.mock.calls.filter(([url]) => url.startsWith('/api/projects/progress/'));
+      expect(progressPolls).toHaveLength(1);
       mockAxios.get.mockClear();
 
       await act(async () => {
@@ -3615,7 +3667,7 @@ describe('Validation', () => {
   });
 
   describe('Technology Stack Options', () => {
-    test('shows all available languages', async () => {
+    test('shows the backend languages that can be scaffolded', async () => {
       const { user } = renderComponent();
 
       render(<CreateProject />);
@@ -3625,18 +3677,36 @@ describe('Validation', () => {
         .getAllByRole('option')
         .map((option) => option.value);
 
-      expect(optionValues).toEqual([
-        'javascript',
-        'typescript',
-        'python',
-        'java',
-        'csharp',
-        'go',
-        'rust',
-        'php',
-        'ruby',
-        'swift'
-      ]);
+      expect(optionValues).toEqual(['javascript', 'typescript', 'python']);
+    });
+
+    test('offers user templates from the registry with their manifest names', async () => {
+      mockAxios.get.mockImplementation((url) => (url === '/api/templates'
+        ? Promise.resolve({
+          data: {
+            success: true,
+            templates: [
+              { source: 'builtin', side: 'frontend', language: 'javascript', framework: 'react', name: 'React' },
+              { source: 'builtin', side: 'backend', language: 'javascript', framework: 'express', name: 'Express' },
+              { source: 'git', side: 'backend', language: 'go', framework: 'gin', name: 'Acme Gin' }
+            ]
+          }
+        })
+        : Promise.resolve({ data: {} })));
+      const { user } = renderComponent();
+
+      render(<CreateProject />);
+      await ensureDetailsStep(user);
+
+      const backendLanguage = screen.getByLabelText('Backend Language *');
+      await waitFor(() => {
+        expect(within(backendLanguage).getAllByRole('option').map((option) => option.value)).toEqual(['javascript', 'go']);
+      });
+
+      fireEvent.change(backendLanguage, { target: { value: 'go' } });
+      const backendFramework = screen.getByLabelText('Backend Framework *');
+      expect(backendFramework).toHaveValue('gin');
+      expect(within(backendFramework).getByRole('option', { name: 'Acme Gin' })).toBeInTheDocument();
     });
 
     test('language options are properly capitalized', async () => {
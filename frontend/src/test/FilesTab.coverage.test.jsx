@@ -0,0 +1,216 @@
+import React from 'react';
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor, act } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import axios from 'axios';
+import FilesTab from '../components/FilesTab';
+import { useFileCoverage } from '../components/filesTab/useFileCoverage';
+import { useAppState } from '../context/AppStateContext';
+
+vi.mock('../context/AppStateContext', () => ({
+  useAppState: vi.fn()
+}));
+
+let lastEditorProps;
+
+vi.mock('@monaco-editor/react', () => ({
+  __esModule: true,
+  default: (props) => {
+    lastEditorProps = props;
+    return <textarea data-testid="mock-editor" value={props.value} readOnly />;
+  },
+  DiffEditor: () => <div data-testid="mock-diff-editor" />
+}));
+
+const mockAxios = axios;
+const mockProject = { id: 'project-1', name: 'Demo Project' };
+const fileTree = [
+  {
+    name: 'src',
+    path: 'src',
+    type: 'folder',
+    children: [
+      { name: 'App.jsx', path: 'src/App.jsx', type: 'file' },
+      { name: 'util.js', path: 'src/util.js', type: 'file' }
+    ]
+  }
+];
+const appCoverage = {
+  workspace: 'root',
+  kind: 'node',
+  totals: { lines: 50, statements: 50, functions: 100, branches: 50 },
+  coveredLines: [1],
+  partialLines: [2],
+  uncoveredLines: [3]
+};
+
+const createEditor = () => {
+  const disposeListeners = [];
+  const decorations = { set: vi.fn() };
+  return {
+    decorations,
+    addCommand: vi.fn(),
+    createDecorationsCollection: vi.fn(() => decorations),
+    onDidDispose: vi.fn((listener) => disposeListeners.push(listener)),
+    dispose: () => disposeListeners.forEach((listener) => listener())
+  };
+};
+
+const routeGet = (overrides = {}) => {
+  const routes = {
+    '/api/projects/project-1/files': { data: { success: true, files: fileTree } },
+    '/api/projects/project-1/files/src/App.jsx': { data: { success: true, content: 'a\nb\nc\n' } },
+    '/api/projects/project-1/tests/coverage/summary': {
+      data: { success: true, files: [{ workspace: 'root', file: 'src/App.jsx', lines: 50 }] }
+    },
+    '/api/projects/project-1/tests/coverage/file': { data: { success: true, coverage: appCoverage } },
+    ...overrides
+  };
+  mockAxios.get.mockImplementation(async (url) => {
+    const response = routes[url];
+    if (response instanceof Error) {
+      throw response;
+    }
+    return response || { data: { success: true } };
+  });
+};
+
+const renderFilesTab = async () => {
+  useAppState.mockReturnValue({
+    theme: 'dark',
+    stageFileChange: vi.fn(),
+    getFileExplorerState: vi.fn(),
+    setFileExplorerState: vi.fn(),
+    editorFocusRequest: null,
+    clearEditorFocusRequest: vi.fn()
+  });
+  const user = userEvent.setup();
+  render(<FilesTab project={mockProject} />);
+  await screen.findByTestId('file-item-src/App.jsx');
+  return { user };
+};
+
+const HookHarness = ({ filePath, enabled, onResult }) => {
+  onResult(useFileCoverage('project-1', filePath, enabled));
+  return null;
+};
+
+describe('FilesTab coverage overlay', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    lastEditorProps = undefined;
+  });
+
+  test('shows file badges and gutter markers only while coverage is on', async () => {
+    routeGet();
+    const { user } = await renderFilesTab();
+
+    await user.click(screen.getByTestId('file-item-src/App.jsx'));
+    await screen.findByTestId('mock-editor');
+    const editor = createEditor();
+    act(() => {
+      lastEditorProps.onMount(editor, {});
+    });
+    expect(editor.decorations.set).toHaveBeenLastCalledWith([]);
+    expect(mockAxios.get).not.toHaveBeenCalledWith('/api/projects/project-1/tests/coverage/summary');
+    expect(screen.queryByTestId('file-coverage-src/App.jsx')).not.toBeInTheDocument();
+
+    await user.click(screen.getByTestId('files-coverage-toggle'));
+
+    expect(screen.getByTestId('files-coverage-toggle')).toHaveAttribute('aria-pressed', 'true');
+    expect(await screen.findByTestId('file-coverage-src/App.jsx')).toHaveTextContent('50%');
+    expect(screen.getByTestId('file-coverage-src/App.jsx')).toHaveClass('partial');
+    expect(screen.queryByTestId('file-coverage-src/util.js')).not.toBeInTheDocument();
+    expect(mockAxios.get).toHaveBeenCalledWith('/api/projects/project-1/tests/coverage/file', {
+      params: { path: 'src/App.jsx' }
+    });
+    await waitFor(() => expect(editor.decorations.set).toHaveBeenLastCalledWith([
+      expect.objectContaining({ options: expect.objectContaining({ linesDecorationsClassName: 'coverage-line-covered' }) }),
+      expect.objectContaining({ options: expect.objectContaining({ linesDecorationsClassName: 'coverage-line-partial' }) }),
+      expect.objectContaining({ options: expect.objectContaining({ linesDecorationsClassName: 'coverage-line-uncovered' }) })
+    ]));
+
+    // A remounted editor picks the markers up straight away.
+    editor.dispose();
+    const replacement = createEditor();
+    act(() => {
+      lastEditorProps.onMount(replacement, {});
+    });
+    expect(replacement.decorations.set).toHaveBeenLastCalledWith(expect.arrayContaining([
+      expect.objectContaining({ range: expect.objectContaining({ startLineNumber: 3 }) })
+    ]));
+
+    await user.click(screen.getByTestId('files-coverage-toggle'));
+    expect(screen.queryByTestId('file-coverage-src/App.jsx')).not.toBeInTheDocument();
+    expect(replacement.decorations.set).toHaveBeenLastCalledWith([]);
+  });
+
+  test('reports coverage summaries that fail to load', async () => {
+    routeGet({
+      '/api/projects/project-1/tests/coverage/summary': Object.assign(new Error('boom'), {
+        response: { data: { error: 'Project path not found' } }
+      })
+    });
+    const { user } = await renderFilesTab();
+
+    await user.click(screen.getByTestId('files-coverage-toggle'));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Project path not found');
+    await user.click(screen.getByTestId('files-coverage-toggle'));
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  });
+});
+
+describe('useFileCoverage', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  test('tolerates empty responses and failed file requests', async () => {
+    routeGet({
+      '/api/projects/project-1/tests/coverage/summary': { data: { success: true } },
+      '/api/projects/project-1/tests/coverage/file': new Error('boom')
+    });
+    const onResult = vi.fn();
+    render(<HookHarness filePath="src/App.jsx" enabled onResult={onResult} />);
+
+    await waitFor(() => expect(mockAxios.get).toHaveBeenCalledTimes(2));
+    await act(async () => {});
+    expect(onResult).toHaveBeenLastCalledWith({ coverageByPath: {}, fileCoverage: null, coverageError: null });
+
+    mockAxios.get.mockRejectedValueOnce({});
+    const rerenderResult = vi.fn();
+    render(<HookHarness filePath={null} enabled onResult={rerenderResult} />);
+    await waitFor(() => expect(rerenderResult).toHaveBeenLastCalledWith(
+      expect.objectContaining({ coverageError: 'Failed to load coverage' })
+    ));
+  });
+
+  test('ignores responses that arrive after coverage is hidden', async () => {
+    const pending = [];
+    mockAxios.get.mockImplementation(() => new Promise((resolve, reject) => pending.push({ resolve, reject })));
+    const onResult = vi.fn();
+    const { rerender } = render(<HookHarness filePath="src/App.jsx" enabled onResult={onResult} />);
+    expect(pending).toHaveLength(2);
+
+    rerender(<HookHarness filePath="src/App.jsx" enabled={false} onResult={onResult} />);
+    await act(async () => {
+      pending[0].reject(new Error('late'));
+      pending[1].resolve({ data: { coverage: appCoverage } });
+    });
+    rerender(<HookHarness filePath="src/App.jsx" enabled onResult={onResult} />);
+    await act(async () => {
+      pending[2].resolve({ data: { files: [{ file: 'src/App.jsx', lines: 80 }] } });
+      pending[3].resolve({ data: {} });
+    });
+    rerender(<HookHarness filePath="src/App.jsx" enabled={false} onResult={onResult} />);
+    expect(onResult).toHaveBeenLastCalledWith({ coverageByPath: {}, fileCoverage: null, coverageError: null });
+
+    rerender(<HookHarness filePath="src/App.jsx" enabled onResult={onResult} />);
+    rerender(<HookHarness filePath="src/App.jsx" enabled={false} onResult={onResult} />);
+    await act(async () => {
+      pending[4].resolve({ data: { files: [{ file: 'src/App.jsx', lines: 80 }] } });
+    });
+    expect(onResult).toHaveBeenLastCalledWith({ coverageByPath: {}, fileCoverage: null, coverageError: null });
+  });
+});
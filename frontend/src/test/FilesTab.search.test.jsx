@@ -0,0 +1,241 @@
+import React from 'react';
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor, act } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import axios from 'axios';
+import FilesTab from '../components/FilesTab';
+import { useAppState } from '../context/AppStateContext';
+
+vi.mock('../context/AppStateContext', () => ({
+  useAppState: vi.fn()
+}));
+
+let lastEditorProps;
+let lastSearchPanelProps;
+
+vi.mock('@monaco-editor/react', () => ({
+  __esModule: true,
+  default: (props) => {
+    lastEditorProps = props;
+    return (
+      <textarea
+        data-testid="mock-editor"
+        value={props.value}
+        onChange={(event) => props.onChange?.(event.target.value)}
+      />
+    );
+  },
+  DiffEditor: () => <div data-testid="mock-diff-editor" />
+}));
+
+vi.mock('../components/filesTab/SearchPanel', () => ({
+  __esModule: true,
+  default: (props) => {
+    lastSearchPanelProps = props;
+    return <div data-testid="mock-search-panel" />;
+  }
+}));
+
+const mockAxios = axios;
+const mockProject = { id: 'project-1', name: 'Demo Project' };
+const fileTree = [
+  {
+    name: 'src',
+    path: 'src',
+    type: 'folder',
+    children: [
+      { name: 'App.jsx', path: 'src/App.jsx', type: 'file' },
+      { name: 'util.js', path: 'src/util.js', type: 'file' }
+    ]
+  }
+];
+
+const stageFileChangeMock = vi.fn();
+
+const createEditor = () => {
+  const disposeListeners = [];
+  return {
+    addCommand: vi.fn(),
+    revealLineInCenter: vi.fn(),
+    setSelection: vi.fn(),
+    focus: vi.fn(),
+    onDidDispose: vi.fn((listener) => disposeListeners.push(listener)),
+    dispose: () => disposeListeners.forEach((listener) => listener())
+  };
+};
+
+const monaco = { KeyMod: { CtrlCmd: 1 << 11 }, KeyCode: { KeyS: 83 } };
+
+const renderFilesTab = async (overrides = {}) => {
+  useAppState.mockReturnValue({
+    theme: 'dark',
+    stageFileChange: stageFileChangeMock,
+    getFileExplorerState: vi.fn(),
+    setFileExplorerState: vi.fn(),
+    editorFocusRequest: null,
+    clearEditorFocusRequest: vi.fn(),
+    ...overrides
+  });
+  mockAxios.get.mockResolvedValueOnce({ data: { success: true, files: fileTree } });
+  const user = userEvent.setup();
+  render(<FilesTab project={mockProject} />);
+  await waitFor(() => expect(mockAxios.get).toHaveBeenCalledWith(`/api/projects/${mockProject.id}/files`));
+  await user.click(screen.getByTestId('files-view-search'));
+  return { user };
+};
+
+const openMatch = async (match) => {
+  await act(async () => {
+    lastSearchPanelProps.onOpenMatch(match);
+  });
+};
+
+const appMatch = { path: 'src/App.jsx', line: 2, column: 5, length: 3 };
+
+describe('FilesTab search view', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    lastEditorProps = undefined;
+    lastSearchPanelProps = undefined;
+  });
+
+  test('switches the sidebar between the explorer and search', async () => {
+    const { user } = await renderFilesTab();
+
+    expect(screen.getByTestId('mock-search-panel')).toBeInTheDocument();
+    expect(screen.getByTestId('files-view-search')).toHaveAttribute('aria-selected', 'true');
+    expect(screen.getByTestId('file-tree-content')).not.toBeVisible();
+    expect(lastSearchPanelProps).toMatchObject({ projectId: 'project-1', disabled: false });
+
+    await user.click(screen.getByTestId('files-view-explorer'));
+    expect(screen.queryByTestId('mock-search-panel')).not.toBeInTheDocument();
+    expect(screen.getByTestId('file-tree-content')).toBeVisible();
+  });
+
+  test('opens a match and jumps to it once the editor mounts', async () => {
+    await renderFilesTab();
+    mockAxios.get.mockResolvedValueOnce({ data: { success: true, content: 'one\ntwo foo\n' } });
+
+    await openMatch(appMatch);
+    await waitFor(() => expect(mockAxios.get).toHaveBeenCalledWith('/api/projects/project-1/files/src/App.jsx'));
+    await screen.findByTestId('mock-editor');
+
+    const editor = createEditor();
+    act(() => {
+      lastEditorProps.onMount(editor, monaco);
+    });
+
+    expect(editor.revealLineInCenter).toHaveBeenCalledWith(2);
+    expect(editor.setSelection).toHaveBeenCalledWith({
+      startLineNumber: 2,
+      startColumn: 5,
+      endLineNumber: 2,
+      endColumn: 8
+    });
+    expect(editor.focus).toHaveBeenCalled();
+
+    // A second match in the already open file is revealed straight away.
+    await openMatch({ ...appMatch, line: 1, column: 1 });
+    expect(editor.revealLineInCenter).toHaveBeenLastCalledWith(1);
+  });
+
+  test('waits for a newly opened file before revealing and forgets disposed editors', async () => {
+    await renderFilesTab();
+    mockAxios.get.mockResolvedValueOnce({ data: { success: true, content: 'first\n' } });
+    await openMatch(appMatch);
+    await screen.findByTestId('mock-editor');
+    const editor = createEditor();
+    act(() => {
+      lastEditorProps.onMount(editor, monaco);
+    });
+    editor.revealLineInCenter.mockClear();
+
+    let resolveFile;
+    mockAxios.get.mockImplementationOnce(() => new Promise((resolve) => {
+      resolveFile = resolve;
+    }));
+    await openMatch({ ...appMatch, path: 'src/util.js' });
+    expect(editor.revealLineInCenter).not.toHaveBeenCalled();
+
+    await act(async () => {
+      resolveFile({ data: { success: true, content: 'a\nb foo\n' } });
+    });
+    await waitFor(() => expect(editor.revealLineInCenter).toHaveBeenCalledWith(2));
+
+    editor.dispose();
+    editor.revealLineInCenter.mockClear();
+    await openMatch({ ...appMatch, path: 'src/util.js', line: 1 });
+    expect(editor.revealLineInCenter).not.toHaveBeenCalled();
+
+    // Disposing an editor that was already replaced keeps the current one.
+    const replacement = createEditor();
+    act(() => {
+      lastEditorProps.onMount(replacement, monaco);
+    });
+    expect(replacement.revealLineInCenter).toHaveBeenCalledWith(1);
+    editor.dispose();
+    await openMatch({ ...appMatch, path: 'src/util.js', line: 2 });
+    expect(replacement.revealLineInCenter).toHaveBeenLastCalledWith(2);
+  });
+
+  test('applies replacements without reopening files and skips unsaved edits', async () => {
+    const { user } = await renderFilesTab();
+    mockAxios.get.mockResolvedValueOnce({ data: { success: true, content: 'old app\n' } });
+    await openMatch(appMatch);
+    await screen.findByTestId('mock-editor');
+    mockAxios.put.mockResolvedValue({ data: { success: true } });
+
+    let outcome;
+    await act(async () => {
+      outcome = await lastSearchPanelProps.onApplyReplace([
+        { path: 'src/App.jsx', content: 'new app\n' },
+        { path: 'src/util.js', content: 'new util\n' }
+      ]);
+    });
+
+    expect(outcome).toEqual({ applied: ['src/App.jsx', 'src/util.js'], skipped: [] });
+    expect(mockAxios.put).toHaveBeenCalledWith('/api/projects/project-1/files/src/App.jsx', {
+      content: 'new app\n',
+      openInEditor: false
+    });
+    expect(mockAxios.put).toHaveBeenCalledWith('/api/projects/project-1/files/src/util.js', {
+      content: 'new util\n',
+      openInEditor: false
+    });
+    expect(stageFileChangeMock).toHaveBeenCalledWith('project-1', 'src/util.js', 'editor');
+    expect(screen.getByTestId('mock-editor')).toHaveValue('new app\n');
+    expect(screen.queryByTestId('file-tab-src/util.js')).not.toBeInTheDocument();
+
+    await user.type(screen.getByTestId('mock-editor'), '!');
+    mockAxios.put.mockClear();
+    await act(async () => {
+      outcome = await lastSearchPanelProps.onApplyReplace([{ path: 'src/App.jsx', content: 'other\n' }]);
+    });
+    expect(outcome).toEqual({ applied: [], skipped: ['src/App.jsx'] });
+    expect(mockAxios.put).not.toHaveBeenCalled();
+  });
+
+  test('keeps applying when staging fails or is unavailable', async () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    stageFileChangeMock.mockRejectedValueOnce(new Error('stage failed'));
+    await renderFilesTab();
+    mockAxios.put.mockResolvedValue({ data: { success: true } });
+
+    await act(async () => {
+      await lastSearchPanelProps.onApplyReplace([{ path: 'src/util.js', content: 'x' }]);
+    });
+    expect(warnSpy).toHaveBeenCalledWith('Failed to stage file change', expect.any(Error));
+    warnSpy.mockRestore();
+  });
+
+  test('applies replacements when staging is not available', async () => {
+    await renderFilesTab({ stageFileChange: undefined });
+    mockAxios.put.mockResolvedValue({ data: { success: true } });
+
+    let outcome;
+    await act(async () => {
+      outcome = await lastSearchPanelProps.onApplyReplace([{ path: 'src/util.js', content: 'x' }]);
+    });
+    expect(outcome.applied).toEqual(['src/util.js']);
+  });
+});
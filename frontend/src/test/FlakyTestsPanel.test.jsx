@@ -0,0 +1,146 @@
+import React from 'react';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import axios from 'axios';
+import FlakyTestsPanel from '../components/test-tab/FlakyTestsPanel.jsx';
+
+const flakyTests = [
+  {
+    testKey: 'frontend > src/a.test.js > adds',
+    workspace: 'frontend',
+    file: 'src/a.test.js',
+    name: 'adds',
+    observed: 4,
+    flips: 2,
+    score: 0.5,
+    quarantined: false
+  },
+  {
+    testKey: 'backend > tests/b.test.js > waits',
+    workspace: 'backend',
+    file: 'tests/b.test.js',
+    name: 'waits',
+    observed: 3,
+    flips: 1,
+    score: 0.33,
+    quarantined: true
+  }
+];
+
+const quarantinedTests = [
+  {
+    id: 9,
+    testKey: 'backend > tests/b.test.js > waits',
+    workspace: 'backend',
+    file: 'tests/b.test.js',
+    name: 'waits',
+    reason: 'Times out on CI'
+  }
+];
+
+const mockLoad = ({ flakyData = { success: true, tests: flakyTests }, quarantineData = { success: true, tests: quarantinedTests } } = {}) => {
+  axios.get.mockImplementation((url) => Promise.resolve({
+    data: url.endsWith('/quarantine') ? quarantineData : flakyData
+  }));
+};
+
+const renderPanel = async () => {
+  render(<FlakyTestsPanel projectId={5} />);
+  await waitFor(() => expect(axios.get).toHaveBeenCalledTimes(2));
+};
+
+describe('FlakyTestsPanel', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockLoad();
+  });
+
+  test('renders nothing without a project', () => {
+    const { container } = render(<FlakyTestsPanel projectId={null} />);
+
+    expect(container).toBeEmptyDOMElement();
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  test('lists flaky and quarantined tests', async () => {
+    await renderPanel();
+
+    expect(axios.get).toHaveBeenCalledWith('/api/projects/5/tests/flaky');
+    expect(axios.get).toHaveBeenCalledWith('/api/projects/5/tests/quarantine');
+    expect(await screen.findByTestId('flaky-tests-count')).toHaveTextContent('2 flaky');
+    expect(screen.getByTestId('quarantined-tests-count')).toHaveTextContent('1 quarantined');
+    expect(screen.getByTestId('flaky-tests-panel')).toHaveAttribute('open');
+
+    const flakyRow = screen.getByTestId('flaky-test-frontend > src/a.test.js > adds');
+    expect(flakyRow).toHaveTextContent('adds');
+    expect(flakyRow).toHaveTextContent('frontend · src/a.test.js');
+    expect(flakyRow).toHaveTextContent('50%');
+    expect(screen.getByTestId('flaky-test-backend > tests/b.test.js > waits')).toHaveTextContent('quarantined');
+    expect(screen.queryByTestId('quarantine-backend > tests/b.test.js > waits')).not.toBeInTheDocument();
+    expect(screen.getByTestId('quarantined-test-backend > tests/b.test.js > waits')).toHaveTextContent('Times out on CI');
+  });
+
+  test('shows empty states when nothing is flaky or quarantined', async () => {
+    mockLoad({ flakyData: { success: true }, quarantineData: {} });
+    await renderPanel();
+
+    expect(await screen.findByText('No flaky tests detected in recent branch test runs.')).toBeInTheDocument();
+    expect(screen.getByText(/No quarantined tests/)).toBeInTheDocument();
+    expect(screen.getByTestId('flaky-tests-panel')).not.toHaveAttribute('open');
+  });
+
+  test('quarantines a flaky test and reloads', async () => {
+    axios.post.mockResolvedValue({ data: { success: true } });
+    await renderPanel();
+
+    fireEvent.click(await screen.findByTestId('quarantine-frontend > src/a.test.js > adds'));
+
+    await waitFor(() => expect(axios.get).toHaveBeenCalledTimes(4));
+    expect(axios.post).toHaveBeenCalledWith('/api/projects/5/tests/quarantine', {
+      workspace: 'frontend',
+      file: 'src/a.test.js',
+      name: 'adds',
+      reason: 'Flipped on the same code in 2 of 4 observed runs'
+    });
+  });
+
+  test('releases a quarantined test without a reason', async () => {
+    mockLoad({ quarantineData: { success: true, tests: [{ ...quarantinedTests[0], reason: null, workspace: null }] } });
+    let resolveDelete;
+    axios.delete.mockReturnValue(new Promise((resolve) => { resolveDelete = resolve; }));
+    await renderPanel();
+
+    const row = await screen.findByTestId('quarantined-test-backend > tests/b.test.js > waits');
+    expect(row.querySelector('.test-flaky-reason')).toBeNull();
+    expect(row).toHaveTextContent('tests/b.test.js');
+
+    const release = screen.getByTestId('release-quarantine-backend > tests/b.test.js > waits');
+    fireEvent.click(release);
+    expect(release).toBeDisabled();
+
+    resolveDelete({ data: { success: true } });
+    await waitFor(() => expect(axios.get).toHaveBeenCalledTimes(4));
+    expect(axios.delete).toHaveBeenCalledWith('/api/projects/5/tests/quarantine/9');
+    await waitFor(() => expect(release).not.toBeDisabled());
+  });
+
+  test('reports load and update errors', async () => {
+    axios.get.mockRejectedValueOnce({ response: { data: { error: 'History unavailable' } } });
+    render(<FlakyTestsPanel projectId={5} />);
+
+    expect(await screen.findByTestId('flaky-tests-error')).toHaveTextContent('History unavailable');
+
+    mockLoad({ flakyData: { success: true, tests: [{ ...flakyTests[0], score: undefined }] }, quarantineData: { success: true, tests: [] } });
+    fireEvent.click(screen.getByTestId('flaky-tests-refresh'));
+    await waitFor(() => expect(screen.queryByTestId('flaky-tests-error')).not.toBeInTheDocument());
+    expect(screen.getByTestId('flaky-test-frontend > src/a.test.js > adds')).toHaveTextContent('0%');
+
+    axios.post.mockRejectedValueOnce(new Error('Network down'));
+    fireEvent.click(screen.getByTestId('quarantine-frontend > src/a.test.js > adds'));
+    expect(await screen.findByTestId('flaky-tests-error')).toHaveTextContent('Network down');
+
+    axios.post.mockRejectedValueOnce({});
+    fireEvent.click(screen.getByTestId('quarantine-frontend > src/a.test.js > adds'));
+    await waitFor(() => expect(screen.getByTestId('flaky-tests-error')).toHaveTextContent('Failed to quarantine test'));
+  });
+});
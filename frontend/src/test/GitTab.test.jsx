@@ -8,6 +8,17 @@ vi.mock('../context/AppStateContext', () => ({
   useAppState: vi.fn()
 }));
 
+vi.mock('../components/MergeConflictsModal', () => ({
+  default: ({ conflicts, onClose, onCompleted, onAborted }) => (
+    <div data-testid="merge-conflicts-modal">
+      <span>{conflicts.files.length} conflicted</span>
+      <button type="button" onClick={onClose}>close-conflicts</button>
+      <button type="button" onClick={() => onCompleted({ stash: { restored: true } })}>complete-conflicts</button>
+      <button type="button" onClick={() => onAborted({ stash: { error: 'Stash could not be restored' } })}>abort-conflicts</button>
+    </div>
+  )
+}));
+
 describe('GitTab', () => {
   const buildContext = (overrides = {}) => ({
     currentProject: { id: 'proj-1', name: 'Demo Project', path: '/tmp/demo' },
@@ -686,6 +697,48 @@ describe('GitTab', () => {
     expect(await screen.findByRole('alert')).toHaveTextContent('Pulled, but stashed changes were not restored');
   });
 
+  test('pull remote opens the conflict resolver when the pull hits conflicts', async () => {
+    const conflictError = Object.assign(new Error('Pulling from origin/main produced merge conflicts that must be resolved'), {
+      conflicts: { inProgress: true, operation: 'rebase', files: [{ path: 'a.js', resolved: false }] }
+    });
+    const pullProjectGitRemote = vi.fn().mockRejectedValue(conflictError);
+    const fetchProjectGitStatus = vi.fn().mockRejectedValue(new Error('offline'));
+    useAppState.mockReturnValue(buildContext({ pullProjectGitRemote, fetchProjectGitStatus }));
+
+    const user = userEvent.setup();
+    render(<GitTab />);
+
+    await user.click(screen.getByTestId('git-pull-remote'));
+
+    expect(await screen.findByTestId('merge-conflicts-modal')).toHaveTextContent('1 conflicted');
+    expect(screen.queryByTestId('git-resolve-conflicts')).toBeNull();
+
+    await user.click(screen.getByText('close-conflicts'));
+    expect(screen.queryByTestId('merge-conflicts-modal')).toBeNull();
+
+    await user.click(screen.getByTestId('git-resolve-conflicts'));
+    await user.click(screen.getByText('complete-conflicts'));
+
+    expect(await screen.findByText('Pull complete. Stashed changes restored.')).toBeInTheDocument();
+    expect(screen.queryByTestId('merge-conflicts-modal')).toBeNull();
+    expect(screen.queryByTestId('git-resolve-conflicts')).toBeNull();
+    expect(fetchProjectGitStatus).toHaveBeenCalledWith('proj-1');
+  });
+
+  test('aborting conflict resolution reports stash restore errors', async () => {
+    const pullProjectGitRemote = vi.fn().mockRejectedValue({ conflicts: { files: [] } });
+    useAppState.mockReturnValue(buildContext({ pullProjectGitRemote }));
+
+    const user = userEvent.setup();
+    render(<GitTab />);
+
+    await user.click(screen.getByTestId('git-pull-remote'));
+    await user.click(await screen.findByText('abort-conflicts'));
+
+    expect(await screen.findByText('Pull aborted.')).toBeInTheDocument();
+    expect(screen.getByRole('alert')).toHaveTextContent('Stash could not be restored');
+  });
+
   test('pull remote falls back to default error message', async () => {
     const pullProjectGitRemote = vi.fn().mockRejectedValue({});
     useAppState.mockReturnValue(buildContext({ pullProjectGitRemote }));
@@ -87,6 +87,58 @@ describe('GoalsPanel', () => {
     expect(await screen.findByTestId('goals-inspector-json')).toHaveTextContent('"id": 88');
   });
 
+  it('shows the child goal graph and reloads goals after starting a parallel run', async () => {
+    useAppState.mockReturnValue({ currentProject: project, jobState: null });
+    goalsApi.fetchGoals.mockResolvedValue([
+      { id: 60, title: 'Parent', status: 'planning', parentGoalId: null },
+      { id: 61, title: 'Styles', status: 'planning', parentGoalId: 60, lifecycleState: 'merged' },
+      { id: 62, title: 'Header', status: 'planning', parentGoalId: 60, dependsOn: [61] }
+    ]);
+    goalsApi.runChildGoals.mockResolvedValue({ goalId: 60, status: 'completed', merged: [62], failed: [], blocked: [] });
+
+    const user = userEvent.setup();
+    render(<GoalsPanel mode="tab" />);
+
+    await user.click(await screen.findByTestId('goals-modal-goal-60'));
+    expect(await screen.findByTestId('goals-graph-node-62')).toHaveTextContent('After Styles');
+    expect(goalsApi.fetchChildGoalRun).toHaveBeenCalledWith(60);
+
+    goalsApi.fetchGoals.mockClear();
+    await user.click(screen.getByTestId('goals-graph-run'));
+
+    expect(goalsApi.runChildGoals).toHaveBeenCalledWith(60, { maxParallel: 2 });
+    await waitFor(() => {
+      expect(goalsApi.fetchGoals).toHaveBeenCalledWith(1, { includeArchived: true });
+    });
+  });
+
+  it('verifies acceptance checks from the inspector and reloads goals', async () => {
+    useAppState.mockReturnValue({ currentProject: project, jobState: null });
+    const check = { type: 'route-status', path: '/about', status: 200 };
+    goalsApi.fetchGoals.mockResolvedValue([
+      { id: 70, title: 'About page', status: 'verifying', parentGoalId: null, acceptanceChecks: [check] }
+    ]);
+    goalsApi.verifyGoalAcceptance.mockResolvedValue({
+      goal: { id: 70 },
+      verification: { passed: false, checkedAt: 'now', results: [{ check, passed: false, detail: 'returned 404' }] }
+    });
+
+    const user = userEvent.setup();
+    render(<GoalsPanel mode="tab" />);
+
+    await user.click(await screen.findByTestId('goals-modal-goal-70'));
+    expect(screen.getByTestId('goals-acceptance-check-0')).toHaveTextContent('GET /about returns 200');
+
+    goalsApi.fetchGoals.mockClear();
+    await user.click(screen.getByTestId('goals-acceptance-verify'));
+
+    expect(goalsApi.verifyGoalAcceptance).toHaveBeenCalledWith(70);
+    expect(await screen.findByTestId('goals-acceptance-summary')).toHaveTextContent('Some checks failed');
+    await waitFor(() => {
+      expect(goalsApi.fetchGoals).toHaveBeenCalledWith(1, { includeArchived: true });
+    });
+  });
+
   it('selects a goal via keyboard input', async () => {
     useAppState.mockReturnValue({ currentProject: project, jobState: null });
     goalsApi.fetchGoals.mockResolvedValue([
@@ -263,7 +315,7 @@ describe('GoalsPanel', () => {
     render(<GoalsPanel mode="tab" />);
 
     expect(await screen.findByTestId('goals-tab-filter-current')).toBeInTheDocument();
-    expect(screen.getByText('Still working')).toBeInTheDocument();
+    expect(await screen.findByText('Still working')).toBeInTheDocument();
     expect(screen.queryByText('Merged lifecycle')).toBeNull();
 
     await user.click(screen.getByTestId('goals-tab-filter-past'));
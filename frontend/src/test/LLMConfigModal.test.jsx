@@ -21,6 +21,11 @@ vi.mock('../components/StatusPanel', () => ({
   }
 }));
 
+vi.mock('../components/LLMRoutingEditor', () => ({
+  __esModule: true,
+  default: () => <div data-testid="mock-routing-editor">Mock Routing Editor</div>
+}));
+
 describe('LLMConfigModal', () => {
   const onClose = vi.fn();
 
@@ -40,6 +45,7 @@ describe('LLMConfigModal', () => {
     expect(screen.getByRole('heading', { name: /configure llm/i })).toBeInTheDocument();
     expect(screen.getByText(/Update your provider/i)).toBeInTheDocument();
     expect(screen.getByTestId('mock-status-panel')).toBeInTheDocument();
+    expect(screen.getByTestId('mock-routing-editor')).toBeInTheDocument();
     expect(mockStatusPanel).toHaveBeenCalledWith(
       expect.objectContaining({
         allowConfigured: true,
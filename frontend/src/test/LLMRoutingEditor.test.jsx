@@ -0,0 +1,245 @@
+import React from 'react';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import axios from 'axios';
+import LLMRoutingEditor from '../components/LLMRoutingEditor.jsx';
+
+const ROLES = ['classification', 'planning', 'code_edit', 'question', 'commit_message', 'reflection'];
+
+const fast = { id: 1, name: 'Fast', provider: 'groq', model: 'llama-3.1-8b-instant' };
+const strong = { id: 2, name: 'Strong', provider: 'anthropic', model: 'claude-3-5-sonnet-20241022' };
+const local = { id: 3, name: 'Local', provider: 'ollama', model: 'llama3.2' };
+
+const mockProfiles = (overrides = {}) => {
+  axios.get.mockResolvedValue({
+    data: {
+      success: true,
+      roles: ROLES,
+      profiles: [fast, strong],
+      routes: { code_edit: [2, 1] },
+      ...overrides
+    }
+  });
+};
+
+const renderEditor = async () => {
+  render(<LLMRoutingEditor />);
+  await screen.findByText(/Model profiles & routing/i);
+};
+
+describe('LLMRoutingEditor', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockProfiles();
+  });
+
+  test('shows a loading state, then profiles and the routing table', async () => {
+    render(<LLMRoutingEditor />);
+    expect(screen.getByText('Loading model profiles…')).toBeInTheDocument();
+
+    await screen.findByText(/Model profiles & routing/i);
+
+    expect(axios.get).toHaveBeenCalledWith('/api/llm/profiles');
+    const profiles = screen.getByTestId('llm-routing-profiles');
+    expect(within(profiles).getByText('Fast')).toBeInTheDocument();
+    expect(within(profiles).getByText('anthropic / claude-3-5-sonnet-20241022')).toBeInTheDocument();
+
+    const codeEdit = screen.getByTestId('llm-route-code_edit');
+    expect(codeEdit).toHaveTextContent('Code edits');
+    expect(codeEdit).toHaveTextContent('1Strong');
+    expect(codeEdit).toHaveTextContent('2Fast');
+    expect(within(codeEdit).queryByRole('combobox')).toBeNull();
+    expect(screen.getByTestId('llm-route-question')).toHaveTextContent('Default configuration');
+    expect(screen.getByRole('button', { name: 'Save routing' })).toBeDisabled();
+  });
+
+  test('falls back to raw labels for unknown roles and missing profiles', async () => {
+    mockProfiles({ roles: ['triage'], profiles: undefined, routes: { triage: [9] } });
+
+    await renderEditor();
+
+    expect(screen.getByText('No profiles yet. Add one below.')).toBeInTheDocument();
+    expect(screen.getByTestId('llm-route-triage')).toHaveTextContent('triage');
+    expect(screen.getByTestId('llm-route-triage')).toHaveTextContent('#9');
+  });
+
+  test('tolerates an empty response body', async () => {
+    axios.get.mockResolvedValue({});
+
+    await renderEditor();
+
+    expect(screen.getByText('No profiles yet. Add one below.')).toBeInTheDocument();
+    expect(screen.getByTestId('llm-routing-table')).toBeEmptyDOMElement();
+  });
+
+  test('reports load failures', async () => {
+    axios.get.mockRejectedValue({ response: { data: { error: 'db down' } } });
+    await renderEditor();
+    expect(screen.getByRole('alert')).toHaveTextContent('db down');
+  });
+
+  test('reports load failures without a message', async () => {
+    axios.get.mockRejectedValue({});
+    await renderEditor();
+    expect(screen.getByRole('alert')).toHaveTextContent('Failed to load model profiles');
+  });
+
+  test('adds, reorders and removes profiles in a route, then saves the table', async () => {
+    const user = userEvent.setup();
+    axios.put.mockResolvedValue({ data: { success: true, routes: { code_edit: [1, 2], classification: [1] } } });
+    await renderEditor();
+
+    await user.selectOptions(screen.getByLabelText('Add profile to Classification'), '1');
+    expect(screen.getByTestId('llm-route-classification')).toHaveTextContent('1Fast');
+    expect(screen.getByLabelText('Add profile to Classification')).toHaveTextContent('+ Fallback…');
+
+    await user.click(screen.getByLabelText('Move code_edit profile 2 up'));
+    expect(screen.getByLabelText('Move code_edit profile 1 up')).toBeDisabled();
+    expect(screen.getByTestId('llm-route-code_edit')).toHaveTextContent('1Fast');
+
+    await user.selectOptions(screen.getByLabelText('Add profile to Planning'), '2');
+    await user.click(screen.getByLabelText('Remove planning profile 1'));
+    expect(screen.getByTestId('llm-route-planning')).toHaveTextContent('Default configuration');
+
+    await user.click(screen.getByRole('button', { name: 'Save routing' }));
+
+    expect(axios.put).toHaveBeenCalledWith('/api/llm/routes', {
+      routes: { code_edit: [1, 2], classification: [1] }
+    });
+    expect(await screen.findByTestId('llm-routing-notice')).toHaveTextContent('Routing saved.');
+    expect(screen.getByRole('button', { name: 'Save routing' })).toBeDisabled();
+  });
+
+  test('reports routing save failures and handles empty save responses', async () => {
+    const user = userEvent.setup();
+    axios.put
+      .mockRejectedValueOnce(new Error('Route for question references an unknown profile'))
+      .mockResolvedValueOnce({});
+    await renderEditor();
+
+    await user.click(screen.getByLabelText('Remove code_edit profile 2'));
+    await user.click(screen.getByRole('button', { name: 'Save routing' }));
+    expect(await screen.findByRole('alert')).toHaveTextContent('unknown profile');
+
+    await user.click(screen.getByRole('button', { name: 'Save routing' }));
+    await waitFor(() => expect(screen.getByTestId('llm-route-code_edit')).toHaveTextContent('Default configuration'));
+
+    axios.put.mockRejectedValueOnce({});
+    await user.selectOptions(screen.getByLabelText('Add profile to Reflection'), '1');
+    await user.click(screen.getByRole('button', { name: 'Save routing' }));
+    expect(await screen.findByRole('alert')).toHaveTextContent('Failed to save routing');
+  });
+
+  test('adds a local profile using the provider defaults', async () => {
+    const user = userEvent.setup();
+    axios.post.mockResolvedValue({ data: { success: true, profile: local } });
+    await renderEditor();
+
+    const addButton = screen.getByRole('button', { name: 'Test & add profile' });
+    expect(addButton).toBeDisabled();
+    expect(screen.queryByLabelText('API Key')).toBeNull();
+
+    await user.type(screen.getByLabelText('Profile name'), ' Local ');
+    await user.click(addButton);
+
+    expect(axios.post).toHaveBeenCalledWith('/api/llm/profiles', {
+      name: 'Local',
+      provider: 'ollama',
+      model: 'llama3.2',
+      apiUrl: 'http://localhost:11434',
+      apiKey: ''
+    });
+    expect(await screen.findByTestId('llm-routing-notice')).toHaveTextContent('Profile "Local" added.');
+    const names = within(screen.getByTestId('llm-routing-profiles')).getAllByText(/^(Fast|Local|Strong)$/);
+    expect(names.map((node) => node.textContent)).toEqual(['Fast', 'Local', 'Strong']);
+    expect(screen.getByLabelText('Profile name')).toHaveValue('');
+  });
+
+  test('requires an API key for hosted providers and sends custom model and URL', async () => {
+    const user = userEvent.setup();
+    axios.post.mockResolvedValue({ data: { profile: { id: 4, name: 'Cheap', provider: 'groq', model: 'm' } } });
+    await renderEditor();
+
+    await user.selectOptions(screen.getByLabelText('Provider'), 'groq');
+    await user.type(screen.getByLabelText('Profile name'), 'Cheap');
+    await user.type(screen.getByLabelText('Model'), 'llama-3.1-8b-instant');
+    await user.type(screen.getByLabelText('API URL'), 'https://proxy.test/v1');
+    const addButton = screen.getByRole('button', { name: 'Test & add profile' });
+    expect(addButton).toBeDisabled();
+
+    await user.type(screen.getByLabelText('API Key'), 'gsk-123');
+    await user.click(addButton);
+
+    expect(axios.post).toHaveBeenCalledWith('/api/llm/profiles', {
+      name: 'Cheap',
+      provider: 'groq',
+      model: 'llama-3.1-8b-instant',
+      apiUrl: 'https://proxy.test/v1',
+      apiKey: 'gsk-123'
+    });
+  });
+
+  test('needs a model and endpoint for custom providers', async () => {
+    const user = userEvent.setup();
+    await renderEditor();
+
+    await user.selectOptions(screen.getByLabelText('Provider'), 'custom');
+    await user.type(screen.getByLabelText('Profile name'), 'Mine');
+    await user.type(screen.getByLabelText('API Key'), 'key');
+    expect(screen.getByLabelText('API URL')).toHaveAttribute('placeholder', 'https://your-api-endpoint.com/v1');
+    expect(screen.getByRole('button', { name: 'Test & add profile' })).toBeDisabled();
+  });
+
+  test('shows profile test failures from the server', async () => {
+    const user = userEvent.setup();
+    let rejectSave;
+    axios.post
+      .mockImplementationOnce(() => new Promise((_, reject) => { rejectSave = reject; }))
+      .mockRejectedValueOnce({});
+    await renderEditor();
+
+    await user.type(screen.getByLabelText('Profile name'), 'Local');
+    await user.click(screen.getByRole('button', { name: 'Test & add profile' }));
+    expect(screen.getByRole('button', { name: 'Testing…' })).toBeDisabled();
+
+    rejectSave({ response: { data: { error: 'connect ECONNREFUSED' } } });
+    expect(await screen.findByRole('alert')).toHaveTextContent('connect ECONNREFUSED');
+
+    await user.click(screen.getByRole('button', { name: 'Test & add profile' }));
+    expect(await screen.findByRole('alert')).toHaveTextContent('Failed to save profile');
+  });
+
+  test('deletes profiles and keeps unsaved edits for other roles', async () => {
+    const user = userEvent.setup();
+    axios.delete.mockResolvedValueOnce({ data: { success: true, routes: { code_edit: [1] } } });
+    await renderEditor();
+
+    await user.selectOptions(screen.getByLabelText('Add profile to Questions'), '2');
+    await user.click(screen.getByLabelText('Delete profile Strong'));
+
+    expect(axios.delete).toHaveBeenCalledWith('/api/llm/profiles/2');
+    await waitFor(() => expect(screen.queryByLabelText('Delete profile Strong')).toBeNull());
+    expect(screen.getByTestId('llm-route-code_edit')).toHaveTextContent('1Fast');
+    expect(screen.getByTestId('llm-route-question')).toHaveTextContent('Default configuration');
+    expect(screen.getByRole('button', { name: 'Save routing' })).toBeDisabled();
+  });
+
+  test('reports delete failures and handles empty delete responses', async () => {
+    const user = userEvent.setup();
+    axios.delete
+      .mockRejectedValueOnce(new Error('locked'))
+      .mockRejectedValueOnce({})
+      .mockResolvedValueOnce({});
+    await renderEditor();
+
+    await user.click(screen.getByLabelText('Delete profile Fast'));
+    expect(await screen.findByRole('alert')).toHaveTextContent('locked');
+
+    await user.click(screen.getByLabelText('Delete profile Fast'));
+    expect(await screen.findByRole('alert')).toHaveTextContent('Failed to delete profile');
+
+    await user.click(screen.getByLabelText('Delete profile Fast'));
+    await waitFor(() => expect(screen.queryByLabelText('Delete profile Fast')).toBeNull());
+  });
+});
@@ -0,0 +1,212 @@
+import React from 'react';
+import { fireEvent, render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import axios from 'axios';
+import LLMSpendPanel, { formatTokens, formatUsd } from '../components/LLMSpendPanel.jsx';
+
+const usage = {
+  totals: {
+    requests: 4,
+    prompt_tokens: 12000,
+    completion_tokens: 3000,
+    cost_usd: 1.5,
+    estimated_requests: 1,
+    unpriced_requests: 0
+  },
+  byGoal: [{ goal_id: 7, requests: 3, prompt_tokens: 9000, completion_tokens: 2000, cost_usd: 1.2 }],
+  bySession: [{ session_id: 'session-a', requests: 2, prompt_tokens: 5000, completion_tokens: 1000, cost_usd: 0.004 }],
+  byModel: [{ provider: 'openai', model: 'gpt-4o', requests: 4, prompt_tokens: 12000, completion_tokens: 3000, cost_usd: 1.5 }]
+};
+
+const prices = [
+  { provider: 'openai', model: 'gpt-4o', input: 2.5, output: 10, source: 'default' },
+  { provider: 'groq', model: 'mixtral', input: 0.2, output: 0.4, source: 'custom' }
+];
+
+const budget = { budgetUsd: 10, spentUsd: 1.5, remainingUsd: 8.5, exceeded: false };
+
+const mockLoad = ({ usageData = { success: true, usage, budget }, pricesData = { success: true, prices } } = {}) => {
+  axios.get.mockImplementation((url) => Promise.resolve({
+    data: url === '/api/llm/prices' ? pricesData : usageData
+  }));
+};
+
+const renderPanel = async () => {
+  render(<LLMSpendPanel projectId={5} />);
+  await waitFor(() => expect(axios.get).toHaveBeenCalledTimes(2));
+};
+
+describe('LLMSpendPanel', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockLoad();
+  });
+
+  test('formats money and token counts', () => {
+    expect(formatUsd(1.5)).toBe('$1.50');
+    expect(formatUsd(0.0042)).toBe('$0.0042');
+    expect(formatUsd(0)).toBe('$0.00');
+    expect(formatUsd('nope')).toBe('$0.00');
+    expect(formatTokens(1234567)).toBe('1,234,567');
+  });
+
+  test('shows totals, budget and per goal, session and model breakdowns', async () => {
+    await renderPanel();
+
+    expect(axios.get).toHaveBeenCalledWith('/api/llm/usage', { params: { projectId: 5 } });
+    expect(await screen.findByTestId('llm-spend-cost')).toHaveTextContent('$1.50');
+    expect(screen.getByText('1 estimated, 0 unpriced')).toBeInTheDocument();
+    expect(screen.getByTestId('llm-spend-tokens')).toHaveTextContent('15,000');
+    expect(screen.getByTestId('llm-spend-budget')).toHaveTextContent('$10.00');
+    expect(screen.getByText('$8.50 remaining')).toBeInTheDocument();
+    expect(screen.getByLabelText('Project budget (USD)')).toHaveValue(10);
+    expect(screen.queryByTestId('llm-spend-exceeded')).toBeNull();
+
+    expect(screen.getByTestId('llm-spend-goals')).toHaveTextContent('#7');
+    expect(screen.getByTestId('llm-spend-sessions')).toHaveTextContent('$0.0040');
+    expect(screen.getByTestId('llm-spend-models')).toHaveTextContent('openai / gpt-4o');
+
+    const priceTable = screen.getByTestId('llm-spend-prices');
+    expect(within(priceTable).getByText('groq / mixtral')).toBeInTheDocument();
+    expect(within(priceTable).queryByText('openai / gpt-4o')).toBeNull();
+  });
+
+  test('handles empty usage and missing budgets', async () => {
+    mockLoad({ usageData: {}, pricesData: {} });
+    await renderPanel();
+
+    expect(await screen.findByTestId('llm-spend-budget')).toHaveTextContent('None');
+    expect(screen.getByText('No hard limit')).toBeInTheDocument();
+    expect(screen.getByTestId('llm-spend-cost')).toHaveTextContent('$0.00');
+    expect(screen.getAllByText('No spend recorded yet.')).toHaveLength(3);
+    expect(screen.queryByRole('button', { name: 'Remove limit' })).toBeNull();
+  });
+
+  test('warns when the budget is exhausted', async () => {
+    mockLoad({ usageData: { usage, budget: { budgetUsd: 1, spentUsd: 1.5, remainingUsd: 0, exceeded: true } } });
+    await renderPanel();
+
+    expect(await screen.findByTestId('llm-spend-exceeded')).toHaveTextContent('Autopilot pauses');
+  });
+
+  test('reports load failures and recovers on refresh', async () => {
+    const user = userEvent.setup();
+    axios.get.mockRejectedValueOnce({ response: { data: { error: 'db down' } } });
+    await renderPanel();
+    expect(await screen.findByRole('alert')).toHaveTextContent('db down');
+
+    axios.get.mockRejectedValueOnce({});
+    await user.click(screen.getByTestId('llm-spend-refresh'));
+    expect(await screen.findByRole('alert')).toHaveTextContent('Failed to load LLM spend');
+
+    await user.click(screen.getByTestId('llm-spend-refresh'));
+    await waitFor(() => expect(screen.queryByRole('alert')).toBeNull());
+  });
+
+  test('saves and removes the project budget', async () => {
+    const user = userEvent.setup();
+    axios.put
+      .mockResolvedValueOnce({ data: { budget: { budgetUsd: 25, spentUsd: 1.5, remainingUsd: 23.5, exceeded: false } } })
+      .mockResolvedValueOnce({ data: { budget: { budgetUsd: null, spentUsd: 1.5, remainingUsd: null, exceeded: false } } })
+      .mockResolvedValueOnce({});
+    await renderPanel();
+    await screen.findByText('$8.50 remaining');
+
+    const input = screen.getByLabelText('Project budget (USD)');
+    await user.clear(input);
+    await user.type(input, '25');
+    fireEvent.submit(screen.getByTestId('llm-spend-budget-form'));
+    expect(axios.put).toHaveBeenCalledWith('/api/llm/budgets/5', { budgetUsd: 25 });
+    expect(await screen.findByText('$23.50 remaining')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Remove limit' }));
+    expect(axios.put).toHaveBeenLastCalledWith('/api/llm/budgets/5', { budgetUsd: null });
+    expect(await screen.findByText('No hard limit')).toBeInTheDocument();
+    expect(screen.getByLabelText('Project budget (USD)')).toHaveValue(null);
+
+    fireEvent.submit(screen.getByTestId('llm-spend-budget-form'));
+    expect(axios.put).toHaveBeenLastCalledWith('/api/llm/budgets/5', { budgetUsd: null });
+  });
+
+  test('reports budget save failures', async () => {
+    const user = userEvent.setup();
+    axios.put
+      .mockRejectedValueOnce({ response: { data: { error: 'budgetUsd must be a non-negative number or null' } } })
+      .mockRejectedValueOnce({});
+    await renderPanel();
+    await screen.findByText('$8.50 remaining');
+
+    fireEvent.submit(screen.getByTestId('llm-spend-budget-form'));
+    expect(await screen.findByRole('alert')).toHaveTextContent('non-negative');
+
+    await user.click(screen.getByRole('button', { name: 'Remove limit' }));
+    expect(await screen.findByRole('alert')).toHaveTextContent('Failed to save LLM budget');
+  });
+
+  test('adds and removes price overrides', async () => {
+    const user = userEvent.setup();
+    const saved = [...prices, { provider: 'openai', model: 'ft:gpt-4o', input: 3.75, output: 15, source: 'custom' }];
+    axios.put.mockResolvedValueOnce({ data: { prices: saved } }).mockResolvedValueOnce({});
+    axios.delete.mockResolvedValueOnce({ data: { prices } }).mockResolvedValueOnce({});
+    await renderPanel();
+    await screen.findByText('groq / mixtral');
+
+    const saveButton = screen.getByRole('button', { name: 'Save price' });
+    expect(saveButton).toBeDisabled();
+    await user.type(screen.getByLabelText('Price provider'), ' openai ');
+    await user.type(screen.getByLabelText('Price model'), 'ft:gpt-4o');
+    await user.type(screen.getByLabelText('Input price per million tokens'), '3.75');
+    await user.type(screen.getByLabelText('Output price per million tokens'), '15');
+    fireEvent.submit(screen.getByTestId('llm-spend-price-form'));
+
+    expect(axios.put).toHaveBeenCalledWith('/api/llm/prices', {
+      provider: 'openai',
+      model: 'ft:gpt-4o',
+      input: 3.75,
+      output: 15
+    });
+    expect(await screen.findByText('openai / ft:gpt-4o')).toBeInTheDocument();
+    expect(screen.getByLabelText('Price model')).toHaveValue('');
+
+    await user.click(screen.getByLabelText('Remove price override openai / ft:gpt-4o'));
+    expect(axios.delete).toHaveBeenCalledWith('/api/llm/prices', { params: { provider: 'openai', model: 'ft:gpt-4o' } });
+    await waitFor(() => expect(screen.queryByText('openai / ft:gpt-4o')).toBeNull());
+
+    await user.click(screen.getByLabelText('Remove price override groq / mixtral'));
+    await waitFor(() => expect(screen.queryByText('groq / mixtral')).toBeNull());
+
+    await user.type(screen.getByLabelText('Price provider'), 'groq');
+    await user.type(screen.getByLabelText('Price model'), 'm');
+    await user.type(screen.getByLabelText('Input price per million tokens'), '0');
+    await user.type(screen.getByLabelText('Output price per million tokens'), '0');
+    fireEvent.submit(screen.getByTestId('llm-spend-price-form'));
+    await waitFor(() => expect(axios.put).toHaveBeenCalledTimes(2));
+  });
+
+  test('reports price save and delete failures', async () => {
+    const user = userEvent.setup();
+    axios.put
+      .mockRejectedValueOnce({ response: { data: { error: 'Provider and model are required' } } })
+      .mockRejectedValueOnce({});
+    axios.delete.mockRejectedValueOnce(new Error('locked')).mockRejectedValueOnce({});
+    await renderPanel();
+    await screen.findByText('groq / mixtral');
+
+    await user.type(screen.getByLabelText('Price provider'), 'groq');
+    await user.type(screen.getByLabelText('Price model'), 'm');
+    await user.type(screen.getByLabelText('Input price per million tokens'), '1');
+    await user.type(screen.getByLabelText('Output price per million tokens'), '1');
+    fireEvent.submit(screen.getByTestId('llm-spend-price-form'));
+    expect(await screen.findByRole('alert')).toHaveTextContent('Provider and model are required');
+
+    fireEvent.submit(screen.getByTestId('llm-spend-price-form'));
+    expect(await screen.findByRole('alert')).toHaveTextContent('Failed to save LLM price');
+
+    await user.click(screen.getByLabelText('Remove price override groq / mixtral'));
+    expect(await screen.findByRole('alert')).toHaveTextContent('locked');
+
+    await user.click(screen.getByLabelText('Remove price override groq / mixtral'));
+    expect(await screen.findByRole('alert')).toHaveTextContent('Failed to delete LLM price');
+  });
+});
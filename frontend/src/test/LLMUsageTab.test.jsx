@@ -8,6 +8,11 @@ vi.mock('../components/RunsTab', () => ({
   default: () => <div data-testid="mock-runs-tab" />
 }));
 
+vi.mock('../components/LLMSpendPanel', () => ({
+  __esModule: true,
+  default: ({ projectId }) => <div data-testid="mock-spend-panel">{projectId}</div>
+}));
+
 const makeResponse = (payload, ok = true, status = 200) => ({
   ok,
   status,
@@ -337,6 +342,30 @@ describe('LLMUsageTab', () => {
     expect(screen.getByText('code_edit')).toBeInTheDocument();
   });
 
+  test('breaks usage down per role', async () => {
+    global.fetch.mockResolvedValue(
+      makeResponse({
+        success: true,
+        metrics: {
+          counters: {
+            'kind_role:requested::classification': 5,
+            'kind_role:outbound::classification': 3,
+            'kind_role:profile_error::code_edit': 2,
+            'kind_role:requested::code_edit': 7,
+            'kind_role:dedup_recent::code_edit': 4,
+            'kind_role:requested': 1
+          }
+        }
+      })
+    );
+
+    render(<LLMUsageTab />);
+
+    const table = await screen.findByTestId('llm-usage-role-table');
+    const rows = Array.from(table.querySelectorAll('.llm-usage-table-row')).map((row) => row.textContent);
+    expect(rows).toEqual(['code_edit702', 'classification530', 'unknown100']);
+  });
+
   test('reset posts to reset endpoint and refreshes displayed metrics', async () => {
     const user = userEvent.setup();
 
@@ -444,6 +473,7 @@ describe('LLMUsageTab', () => {
     expect(await screen.findByText('Started: —')).toBeInTheDocument();
     expect(screen.getByText('Now: —')).toBeInTheDocument();
     expect(screen.getByTestId('llm-usage-phase-empty')).toBeInTheDocument();
+    expect(screen.getByTestId('llm-usage-role-empty')).toBeInTheDocument();
   });
 
   test('renders unknown phase/requestType and coerces non-finite numbers to 0', async () => {
@@ -462,7 +492,7 @@ describe('LLMUsageTab', () => {
     render(<LLMUsageTab />);
 
     expect(await screen.findByTestId('llm-usage-requested')).toHaveTextContent('0');
-    expect(screen.getAllByText('unknown').length).toBeGreaterThanOrEqual(2);
+    expect((await screen.findAllByText('unknown')).length).toBeGreaterThanOrEqual(2);
     expect(screen.getByTestId('llm-usage-phase-table')).toBeInTheDocument();
   });
 
@@ -547,6 +577,17 @@ describe('LLMUsageTab', () => {
     expect(__testHooks.formatMetricsJson(null)).toBe(JSON.stringify({}, null, 2));
   });
 
+  test('shows project spend only when a project is selected', async () => {
+    global.fetch.mockResolvedValue(makeResponse({ success: true, metrics: { counters: {} } }));
+
+    const { rerender } = render(<LLMUsageTab />);
+    await screen.findByTestId('llm-usage-tab-content');
+    expect(screen.queryByTestId('mock-spend-panel')).toBeNull();
+
+    rerender(<LLMUsageTab project={{ id: 42 }} />);
+    expect(screen.getByTestId('mock-spend-panel')).toHaveTextContent('42');
+  });
+
   test('switches between usage and runs views', async () => {
     global.fetch.mockResolvedValueOnce(
       makeResponse({ success: true, metrics: { counters: {} } })
@@ -0,0 +1,429 @@
+import React from 'react';
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor, fireEvent, act } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import axios from 'axios';
+import MergeConflictsModal from '../components/MergeConflictsModal';
+
+const editorProps = [];
+
+vi.mock('@monaco-editor/react', () => ({
+  __esModule: true,
+  default: (props) => {
+    editorProps.push(props);
+    return (
+      <textarea
+        data-testid={props.options?.readOnly ? 'mock-side-editor' : 'mock-result-editor'}
+        data-theme={props.theme}
+        value={props.value}
+        readOnly={props.options?.readOnly}
+        onChange={(event) => props.onChange?.(event.target.value)}
+      />
+    );
+  }
+}));
+
+const conflictsSummary = (overrides = {}) => ({
+  inProgress: true,
+  operation: 'merge',
+  kind: 'branch-merge',
+  branchName: 'feature/login',
+  labels: { ours: 'main', theirs: 'feature/login', base: 'Common ancestor' },
+  files: [
+    { path: 'src/app.js', resolved: false },
+    { path: 'README.md', resolved: false }
+  ],
+  unresolvedCount: 2,
+  ...overrides
+});
+
+const conflictFile = (overrides = {}) => ({
+  path: 'src/app.js',
+  base: 'const a = 1;\n',
+  ours: 'const a = 100;\n',
+  theirs: 'const a = 10;\n',
+  content: '<<<<<<< main\nconst a = 100;\n=======\nconst a = 10;\n>>>>>>> feature/login\n',
+  hunks: [{ index: 0, startLine: 1 }],
+  resolved: false,
+  ...overrides
+});
+
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+const mockLoads = ({ summary = null, file = conflictFile() } = {}) => {
+  axios.get.mockImplementation((url) => {
+    if (url.endsWith('/file')) {
+      return Promise.resolve({ data: { success: true, file } });
+    }
+    return Promise.resolve({ data: { success: true, conflicts: summary || { inProgress: false, files: [] } } });
+  });
+};
+
+const renderModal = (props = {}) => render(
+  <MergeConflictsModal
+    projectId="proj-1"
+    conflicts={conflictsSummary()}
+    onClose={vi.fn()}
+    onCompleted={vi.fn()}
+    onAborted={vi.fn()}
+    {...props}
+  />
+);
+
+describe('MergeConflictsModal', () => {
+  beforeEach(() => {
+    editorProps.length = 0;
+    vi.clearAllMocks();
+    axios.get.mockReset();
+    axios.post.mockReset();
+    axios.put.mockReset();
+    mockLoads();
+  });
+
+  test('loads the first unresolved file with ours, base and theirs versions', async () => {
+    renderModal({ conflicts: conflictsSummary({ files: [{ path: 'done.js', resolved: true }, { path: 'src/app.js', resolved: false }] }) });
+
+    expect(await screen.findByTestId('merge-conflicts-hunk-0')).toHaveTextContent('Conflict 1 (line 1)');
+    expect(axios.get).toHaveBeenCalledWith('/api/projects/proj-1/git/conflicts');
+    expect(axios.get).toHaveBeenCalledWith('/api/projects/proj-1/git/conflicts/file', { params: { path: 'src/app.js' } });
+    expect(screen.getByTestId('merge-conflicts-modal')).toHaveTextContent(
+      'Merging feature/login into main stopped on conflicting changes. Closing keeps the merge in progress.'
+    );
+    expect(screen.getByTestId('merge-conflicts-side-ours')).toHaveTextContent('Ours: main');
+    expect(screen.getByTestId('merge-conflicts-side-theirs')).toHaveTextContent('Theirs: feature/login');
+    expect(screen.getAllByTestId('mock-side-editor').map((node) => node.value)).toEqual([
+      'const a = 100;\n',
+      'const a = 1;\n',
+      'const a = 10;\n'
+    ]);
+    expect(screen.getByTestId('mock-result-editor')).toHaveAttribute('data-theme', 'vs-dark');
+    expect(screen.getByTestId('merge-conflicts-file-src/app.js').className).toContain('is-selected');
+    expect(screen.getByTestId('merge-conflicts-file-done.js')).toHaveTextContent('Resolved');
+    expect(screen.getByTestId('merge-conflicts-complete')).toBeDisabled();
+  });
+
+  test('refreshes a stale summary on mount and ignores failures', async () => {
+    mockLoads({ summary: conflictsSummary({ files: [{ path: 'src/app.js', resolved: true }], unresolvedCount: 0 }) });
+    const { unmount } = renderModal();
+
+    await waitFor(() => expect(screen.queryByTestId('merge-conflicts-file-README.md')).toBeNull());
+    expect(screen.getByTestId('merge-conflicts-complete')).not.toBeDisabled();
+    unmount();
+
+    axios.get.mockImplementation((url) => (url.endsWith('/file')
+      ? Promise.resolve({ data: { file: conflictFile() } })
+      : Promise.reject(new Error('offline'))));
+    renderModal();
+    expect(await screen.findByTestId('merge-conflicts-file-README.md')).toBeInTheDocument();
+  });
+
+  test('ignores responses that arrive after the modal closes', async () => {
+    const summaryRequest = deferred();
+    const fileRequest = deferred();
+    axios.get.mockImplementation((url) => (url.endsWith('/file') ? fileRequest.promise : summaryRequest.promise));
+    const { unmount } = renderModal();
+    unmount();
+
+    await act(async () => {
+      summaryRequest.resolve({ data: { conflicts: conflictsSummary() } });
+      fileRequest.reject({ response: { data: { error: 'late' } } });
+    });
+
+    const successRequest = deferred();
+    axios.get.mockImplementation((url) => (url.endsWith('/file') ? successRequest.promise : Promise.resolve({ data: {} })));
+    const second = renderModal();
+    second.unmount();
+    await act(async () => {
+      successRequest.resolve({ data: { file: conflictFile() } });
+    });
+    expect(screen.queryByTestId('merge-conflicts-modal')).toBeNull();
+  });
+
+  test('reports file load failures', async () => {
+    axios.get.mockImplementation((url) => (url.endsWith('/file')
+      ? Promise.reject({ response: { data: { error: 'File is not conflicted' } } })
+      : Promise.resolve({ data: {} })));
+    const { unmount } = renderModal();
+    expect(await screen.findByTestId('merge-conflicts-error')).toHaveTextContent('File is not conflicted');
+    unmount();
+
+    axios.get.mockImplementation((url) => (url.endsWith('/file') ? Promise.reject(new Error('boom')) : Promise.resolve({ data: {} })));
+    renderModal();
+    expect(await screen.findByTestId('merge-conflicts-error')).toHaveTextContent('Failed to load conflicted file');
+  });
+
+  test('accepts a hunk and applies the refreshed file and summary', async () => {
+    const user = userEvent.setup();
+    const request = deferred();
+    axios.post.mockReturnValue(request.promise);
+    renderModal();
+
+    await screen.findByTestId('merge-conflicts-hunk-0');
+    await user.click(screen.getByText('Accept theirs'));
+
+    expect(axios.post).toHaveBeenCalledWith('/api/projects/proj-1/git/conflicts/hunk', {
+      path: 'src/app.js',
+      hunkIndex: 0,
+      choice: 'theirs'
+    });
+    expect(screen.getByText('Keep both')).toBeDisabled();
+
+    await act(async () => {
+      request.resolve({
+        data: {
+          file: conflictFile({ content: 'const a = 10;\n', hunks: [], resolved: true }),
+          conflicts: conflictsSummary({ files: [{ path: 'src/app.js', resolved: true }, { path: 'README.md', resolved: false }] })
+        }
+      });
+    });
+
+    expect(screen.getByTestId('mock-result-editor')).toHaveValue('const a = 10;\n');
+    expect(screen.queryByTestId('merge-conflicts-whole-file')).toBeNull();
+    expect(screen.getByTestId('merge-conflicts-file-src/app.js')).toHaveTextContent('Resolved');
+  });
+
+  test('keeps one side of a file without conflict markers', async () => {
+    const user = userEvent.setup();
+    mockLoads({ file: conflictFile({ ours: null, content: undefined, hunks: [] }) });
+    axios.post.mockResolvedValueOnce({ data: { file: undefined } });
+    axios.post.mockResolvedValueOnce({ data: { file: conflictFile({ hunks: [], resolved: true }) } });
+    renderModal();
+
+    const wholeFile = await screen.findByTestId('merge-conflicts-whole-file');
+    expect(screen.getByTestId('merge-conflicts-side-ours')).toHaveTextContent('Not present on this side');
+    expect(screen.getByTestId('mock-result-editor')).toHaveValue('');
+
+    await user.click(screen.getByText('Use ours'));
+    expect(axios.post).toHaveBeenLastCalledWith('/api/projects/proj-1/git/conflicts/hunk', {
+      path: 'src/app.js',
+      hunkIndex: null,
+      choice: 'ours'
+    });
+    expect(screen.getByText('Select a file to resolve.')).toBeInTheDocument();
+    expect(wholeFile).not.toBeInTheDocument();
+
+    await user.click(screen.getByTestId('merge-conflicts-file-README.md'));
+    await user.click(await screen.findByText('Use theirs'));
+    expect(axios.post).toHaveBeenLastCalledWith('/api/projects/proj-1/git/conflicts/hunk', {
+      path: 'README.md',
+      hunkIndex: null,
+      choice: 'theirs'
+    });
+  });
+
+  test('saves a hand-edited result and surfaces save errors', async () => {
+    const user = userEvent.setup();
+    const request = deferred();
+    axios.put.mockReturnValueOnce(request.promise);
+    renderModal({ theme: 'light' });
+
+    await screen.findByTestId('merge-conflicts-hunk-0');
+    expect(screen.getByTestId('mock-result-editor')).toHaveAttribute('data-theme', 'vs-light');
+    fireEvent.change(screen.getByTestId('mock-result-editor'), { target: { value: 'const a = 110;\n' } });
+    await user.click(screen.getByTestId('merge-conflicts-save'));
+
+    expect(screen.getByTestId('merge-conflicts-save')).toHaveTextContent('Saving…');
+    expect(axios.put).toHaveBeenCalledWith('/api/projects/proj-1/git/conflicts/file', {
+      path: 'src/app.js',
+      content: 'const a = 110;\n'
+    });
+    await act(async () => {
+      request.resolve({ data: { file: conflictFile({ content: 'const a = 110;\n', hunks: [], resolved: true }) } });
+    });
+    expect(screen.getByTestId('merge-conflicts-save')).toHaveTextContent('Save result');
+
+    act(() => {
+      editorProps.at(-1).onChange(undefined);
+    });
+    axios.put.mockRejectedValueOnce(new Error('disk full'));
+    await user.click(screen.getByTestId('merge-conflicts-save'));
+    expect(axios.put).toHaveBeenLastCalledWith('/api/projects/proj-1/git/conflicts/file', { path: 'src/app.js', content: '' });
+    expect(await screen.findByTestId('merge-conflicts-error')).toHaveTextContent('Failed to save conflict resolution');
+  });
+
+  test('asks the agent for proposals and reports files it could not resolve', async () => {
+    const user = userEvent.setup();
+    const request = deferred();
+    axios.post.mockReturnValueOnce(request.promise);
+    renderModal();
+
+    await screen.findByTestId('merge-conflicts-hunk-0');
+    await user.click(screen.getByTestId('merge-conflicts-agent'));
+    expect(screen.getByTestId('merge-conflicts-agent')).toHaveTextContent('Asking agent…');
+
+    await act(async () => {
+      request.resolve({
+        data: {
+          proposals: [{ path: 'src/app.js', content: 'const a = 110;\n' }],
+          failed: [{ path: 'README.md', error: 'The agent left conflict markers in the file' }],
+          conflicts: conflictsSummary()
+        }
+      });
+    });
+
+    expect(screen.getByTestId('merge-conflicts-notice')).toHaveTextContent(
+      'The agent proposed resolutions for 1 file(s). Review and accept them before completing.'
+    );
+    expect(screen.getByTestId('merge-conflicts-error')).toHaveTextContent('README.md: The agent left conflict markers in the file');
+    expect(screen.getByTestId('merge-conflicts-proposal')).toHaveTextContent('Agent proposal');
+    expect(editorProps.some((props) => props.value === 'const a = 110;\n' && props.options.readOnly)).toBe(true);
+    expect(axios.put).not.toHaveBeenCalled();
+    expect(axios.get.mock.calls.filter(([url]) => url.endsWith('/file'))).toHaveLength(1);
+
+    await user.click(screen.getByTestId('merge-conflicts-file-README.md'));
+    expect(screen.queryByTestId('merge-conflicts-proposal')).toBeNull();
+
+    axios.post.mockResolvedValueOnce({ data: { proposals: [], failed: [], conflicts: conflictsSummary() } });
+    await user.click(screen.getByTestId('merge-conflicts-agent'));
+    expect(await screen.findByTestId('merge-conflicts-notice')).toHaveTextContent('0 file(s)');
+    expect(screen.queryByTestId('merge-conflicts-error')).toBeNull();
+
+    axios.post.mockRejectedValueOnce({ response: { data: { error: 'No LLM is configured' } } });
+    await user.click(screen.getByTestId('merge-conflicts-agent'));
+    expect(await screen.findByTestId('merge-conflicts-error')).toHaveTextContent('No LLM is configured');
+
+    await user.click(screen.getByTestId('merge-conflicts-file-src/app.js'));
+    expect(await screen.findByTestId('merge-conflicts-proposal')).toBeInTheDocument();
+  });
+
+  test('saves an accepted proposal and drops a discarded one', async () => {
+    const user = userEvent.setup();
+    axios.post.mockResolvedValue({
+      data: { proposals: [{ path: 'src/app.js', content: 'const a = 110;\n' }], failed: [], conflicts: conflictsSummary() }
+    });
+    renderModal();
+
+    await screen.findByTestId('merge-conflicts-hunk-0');
+    await user.click(screen.getByTestId('merge-conflicts-agent'));
+    await user.click(await screen.findByTestId('merge-conflicts-proposal-discard'));
+    expect(screen.queryByTestId('merge-conflicts-proposal')).toBeNull();
+    expect(axios.put).not.toHaveBeenCalled();
+
+    await user.click(screen.getByTestId('merge-conflicts-agent'));
+    axios.put.mockRejectedValueOnce(new Error('disk full'));
+    await user.click(await screen.findByTestId('merge-conflicts-proposal-accept'));
+    expect(await screen.findByTestId('merge-conflicts-error')).toHaveTextContent('Failed to save the proposed resolution');
+    expect(screen.getByTestId('merge-conflicts-proposal')).toBeInTheDocument();
+
+    const save = deferred();
+    axios.put.mockReturnValueOnce(save.promise);
+    await user.click(screen.getByTestId('merge-conflicts-proposal-accept'));
+    expect(screen.getByTestId('merge-conflicts-proposal-accept')).toHaveTextContent('Saving…');
+    expect(axios.put).toHaveBeenLastCalledWith('/api/projects/proj-1/git/conflicts/file', { path: 'src/app.js', content: 'const a = 110;\n' });
+
+    await act(async () => {
+      save.resolve({
+        data: {
+          file: conflictFile({ content: 'const a = 110;\n', hunks: [], resolved: true }),
+          conflicts: conflictsSummary({ files: [{ path: 'src/app.js', resolved: true }, { path: 'README.md', resolved: false }] })
+        }
+      });
+    });
+
+    expect(screen.queryByTestId('merge-conflicts-proposal')).toBeNull();
+    expect(screen.getByTestId('merge-conflicts-file-src/app.js')).toHaveTextContent('Resolved');
+  });
+
+  test('runs tests before completing the merge', async () => {
+    const user = userEvent.setup();
+    const onCompleted = vi.fn();
+    axios.post.mockRejectedValueOnce({
+      response: {
+        data: {
+          error: 'Resolve all conflicted files first (1 remaining)',
+          conflicts: conflictsSummary({ files: [{ path: 'src/app.js', resolved: false }] })
+        }
+      }
+    });
+    renderModal({ conflicts: conflictsSummary({ files: [{ path: 'src/app.js', resolved: true }] }), onCompleted });
+
+    await user.click(screen.getByTestId('merge-conflicts-complete'));
+    expect(axios.post).toHaveBeenCalledWith('/api/projects/proj-1/git/conflicts/complete');
+    expect(await screen.findByTestId('merge-conflicts-error')).toHaveTextContent('Resolve all conflicted files first (1 remaining)');
+    expect(screen.getByTestId('merge-conflicts-file-src/app.js')).toHaveTextContent('Conflicted');
+    expect(screen.getByTestId('merge-conflicts-complete')).toBeDisabled();
+    expect(onCompleted).not.toHaveBeenCalled();
+  });
+
+  test('completes and aborts, reporting progress and failures', async () => {
+    const user = userEvent.setup();
+    const onCompleted = vi.fn();
+    const onAborted = vi.fn();
+    const completeRequest = deferred();
+    const abortRequest = deferred();
+    const resolved = conflictsSummary({ files: [{ path: 'src/app.js', resolved: true }] });
+    axios.post.mockReturnValueOnce(completeRequest.promise);
+    renderModal({ conflicts: resolved, onCompleted, onAborted });
+
+    await user.click(screen.getByTestId('merge-conflicts-complete'));
+    expect(screen.getByTestId('merge-conflicts-complete')).toHaveTextContent('Running tests…');
+    await act(async () => {
+      completeRequest.resolve({ data: { completed: true, merge: { mergedBranch: 'feature/login' } } });
+    });
+    expect(onCompleted).toHaveBeenCalledWith({ completed: true, merge: { mergedBranch: 'feature/login' } });
+
+    axios.post.mockReturnValueOnce(abortRequest.promise);
+    await user.click(screen.getByTestId('merge-conflicts-abort'));
+    expect(screen.getByTestId('merge-conflicts-abort')).toHaveTextContent('Aborting…');
+    await act(async () => {
+      abortRequest.resolve({ data: { aborted: true } });
+    });
+    expect(onAborted).toHaveBeenCalledWith({ aborted: true });
+
+    axios.post.mockRejectedValueOnce(new Error('boom'));
+    await user.click(screen.getByTestId('merge-conflicts-abort'));
+    expect(await screen.findByTestId('merge-conflicts-error')).toHaveTextContent('Failed to abort merge');
+    axios.post.mockRejectedValueOnce(new Error('boom'));
+    await user.click(screen.getByTestId('merge-conflicts-complete'));
+    expect(await screen.findByTestId('merge-conflicts-error')).toHaveTextContent('Failed to complete merge');
+  });
+
+  test('describes pulls and tolerates missing callbacks and labels', async () => {
+    const user = userEvent.setup();
+    axios.post.mockResolvedValue({ data: { completed: true } });
+    const { unmount } = render(
+      <MergeConflictsModal
+        projectId="proj-1"
+        conflicts={{ operation: 'rebase', files: [{ path: 'src/app.js', resolved: true }] }}
+      />
+    );
+
+    expect(screen.getByTestId('merge-conflicts-modal')).toHaveTextContent(
+      'Pulling the remote branch stopped on conflicting changes. Closing keeps the pull in progress.'
+    );
+    expect(screen.getByTestId('merge-conflicts-abort')).toHaveTextContent('Abort pull');
+    expect(screen.getByTestId('merge-conflicts-complete')).toHaveTextContent('Run tests & complete pull');
+    await user.click(screen.getByTestId('merge-conflicts-complete'));
+    await user.click(screen.getByTestId('merge-conflicts-abort'));
+    await waitFor(() => expect(axios.post).toHaveBeenCalledTimes(2));
+    unmount();
+
+    render(
+      <MergeConflictsModal
+        projectId="proj-1"
+        conflicts={{ operation: 'rebase', labels: { ours: 'origin/main' }, files: [] }}
+      />
+    );
+    expect(screen.getByTestId('merge-conflicts-modal')).toHaveTextContent('Pulling origin/main stopped on conflicting changes.');
+    expect(screen.getByText('Select a file to resolve.')).toBeInTheDocument();
+  });
+
+  test('falls back to generic labels when no summary is available', async () => {
+    render(<MergeConflictsModal projectId="proj-1" conflicts={null} onClose={vi.fn()} />);
+
+    expect(screen.getByTestId('merge-conflicts-modal')).toHaveTextContent(
+      'Merging the branch into main stopped on conflicting changes.'
+    );
+    expect(screen.getByText('Select a file to resolve.')).toBeInTheDocument();
+    expect(screen.getByTestId('merge-conflicts-agent')).toBeDisabled();
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+});
@@ -3,6 +3,7 @@ import { fireEvent, render, screen, waitFor } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import Navigation from '../components/Navigation';
 import { useAppState } from '../context/AppStateContext';
+import { AuthProvider } from '../context/AuthContext';
 import { VERSION } from '../../../shared/version.mjs';
 
 vi.mock('../context/AppStateContext', () => ({
@@ -136,6 +137,50 @@ describe('Navigation Component', () => {
     expect(screen.getByText('No Project Selected')).toBeInTheDocument();
   });
 
+  test('hides the sign out button while no one is signed in', () => {
+    renderNavigation();
+
+    expect(screen.queryByTestId('nav-sign-out')).not.toBeInTheDocument();
+  });
+
+  test('signs the current user out', async () => {
+    fetch.mockImplementation((url) => Promise.resolve({
+      ok: true,
+      json: () => Promise.resolve(url === '/api/auth/status'
+        ? { success: true, authRequired: true, user: { id: 1, username: 'alice', role: 'admin' } }
+        : { success: true })
+    }));
+    useAppState.mockReturnValue(baseState());
+    const user = userEvent.setup();
+    render(
+      <AuthProvider>
+        <Navigation />
+      </AuthProvider>
+    );
+
+    const signOut = await screen.findByTestId('nav-sign-out');
+    expect(signOut).toHaveAttribute('title', 'Signed in as alice');
+    expect(screen.queryByTestId('nav-create-admin')).not.toBeInTheDocument();
+    await user.click(signOut);
+
+    expect(fetch).toHaveBeenCalledWith('/api/auth/logout', { method: 'POST' });
+    expect(await screen.findByTestId('login-screen')).toBeInTheDocument();
+  });
+
+  test('opens the first-account screen while no accounts exist', async () => {
+    useAppState.mockReturnValue(baseState());
+    const user = userEvent.setup();
+    render(
+      <AuthProvider>
+        <Navigation />
+      </AuthProvider>
+    );
+
+    await user.click(screen.getByTestId('nav-create-admin'));
+
+    expect(screen.getByTestId('login-screen')).toHaveAttribute('data-mode', 'bootstrap');
+  });
+
   test('theme toggle works correctly', async () => {
     const { state, user } = renderNavigation();
 
@@ -442,7 +487,7 @@ describe('Navigation Component', () => {
     fireEvent.change(slider, { target: { value: '70' } });
     await user.click(screen.getByTestId('testing-settings-save'));
 
-    expect(state.updateTestingSettings).toHaveBeenCalledWith({ coverageTarget: 70, maxSteps: 8 });
+    expect(state.updateTestingSettings).toHaveBeenCalledWith({ coverageTarget: 70, maxSteps: 8, failedTestRetries: 0 });
 
     alertSpy.mockRestore();
   });
@@ -5,6 +5,8 @@ import userEvent from '@testing-library/user-event';
 import PreviewPanel, { isLoopbackHostname } from '../components/PreviewPanel';
 import { useAppState } from '../context/AppStateContext';
 import { startAgentUiBridge } from '../utils/agentUiBridge';
+import { runPreviewElementCheck } from '../utils/previewElementCheck';
+import { reportPreviewElementCheck } from '../utils/goalsApi';
 
 vi.mock('../context/AppStateContext', () => ({
   useAppState: vi.fn()
@@ -14,6 +16,15 @@ vi.mock('../utils/agentUiBridge', () => ({
   startAgentUiBridge: vi.fn()
 }));
 
+vi.mock('../utils/previewElementCheck', async () => ({
+  ...(await vi.importActual('../utils/previewElementCheck')),
+  runPreviewElementCheck: vi.fn()
+}));
+
+vi.mock('../utils/goalsApi', () => ({
+  reportPreviewElementCheck: vi.fn()
+}));
+
 const reloadPreviewMock = vi.fn();
 let provideReloadPreview = true;
 const restartProjectMock = vi.fn();
@@ -139,6 +150,16 @@ vi.mock('../components/LLMUsageTab', () => ({
   default: () => <div data-testid="mock-llm-usage-tab" />
 }));
 
+const projectMemoryTabPropsRef = { current: null };
+
+vi.mock('../components/ProjectMemoryTab', () => ({
+  __esModule: true,
+  default: (props) => {
+    projectMemoryTabPropsRef.current = props;
+    return <div data-testid="mock-project-memory-tab" />;
+  }
+}));
+
 describe('PreviewPanel', () => {
   const originalWindowOpen = window.open;
   let latestBridgeOptions;
@@ -558,6 +579,18 @@ describe('PreviewPanel', () => {
     });
     expect(await screen.findByTestId('mock-branch-tab')).toBeInTheDocument();
 
+    await act(async () => {
+      latestBridgeOptions.executeCommand({ type: 'NAVIGATE_TAB', payload: { tab: 'Project Memory' } });
+      await flushPromises();
+    });
+    expect(await screen.findByTestId('mock-project-memory-tab')).toBeInTheDocument();
+
+    await act(async () => {
+      latestBridgeOptions.executeCommand({ type: 'NAVIGATE_TAB', payload: { tab: 'branches' } });
+      await flushPromises();
+    });
+    expect(await screen.findByTestId('mock-branch-tab')).toBeInTheDocument();
+
     await act(async () => {
       latestBridgeOptions.executeCommand({ type: 'NAVIGATE_TAB', payload: { tab: 123 } });
       await flushPromises();
@@ -911,6 +944,65 @@ describe('PreviewPanel', () => {
     unmount();
   });
 
+  test('runs preview element checks even when automation is not followed', async () => {
+    useAppState.mockReturnValue(
+      createAppState({ currentProject: { id: 101, name: 'Checks' }, previewPanelState: null })
+    );
+    getPreviewUrlMock.mockReturnValue('http://localhost:5000/preview/101/');
+    runPreviewElementCheck.mockResolvedValue({ count: 2 });
+    reportPreviewElementCheck.mockResolvedValue({ success: true });
+    const user = userEvent.setup();
+
+    await act(async () => {
+      render(<PreviewPanel />);
+      await flushPromises();
+    });
+    await act(async () => {
+      await user.click(screen.getByTestId('goals-tab'));
+      await flushPromises();
+    });
+
+    await act(async () => {
+      latestBridgeOptions.executeCommand({
+        type: 'PREVIEW_CHECK_ELEMENT',
+        payload: { checkId: '4', selector: 'nav a', path: '/about' }
+      });
+      await flushPromises();
+    });
+
+    expect(runPreviewElementCheck).toHaveBeenCalledWith({
+      url: 'http://localhost:5000/preview/101/about',
+      selector: 'nav a'
+    });
+    expect(reportPreviewElementCheck).toHaveBeenCalledWith('4', { projectId: 101, count: 2 });
+    expect(screen.getByTestId('mock-goals-tab')).toBeInTheDocument();
+  });
+
+  test('reports preview element checks it cannot run and ignores malformed ones', async () => {
+    useAppState.mockReturnValue(createAppState({ currentProject: { id: 102, name: 'No Preview' } }));
+    getPreviewUrlMock.mockReturnValue('about:blank');
+    reportPreviewElementCheck.mockRejectedValue(new Error('Preview check not found'));
+
+    await act(async () => {
+      render(<PreviewPanel />);
+      await flushPromises();
+    });
+
+    await act(async () => {
+      latestBridgeOptions.executeCommand({ type: 'PREVIEW_CHECK_ELEMENT' });
+      latestBridgeOptions.executeCommand({ type: 'PREVIEW_CHECK_ELEMENT', payload: { checkId: '5', selector: '' } });
+      latestBridgeOptions.executeCommand({ type: 'PREVIEW_CHECK_ELEMENT', payload: { checkId: '6', selector: 'h1' } });
+      await flushPromises();
+    });
+
+    expect(runPreviewElementCheck).not.toHaveBeenCalled();
+    expect(reportPreviewElementCheck).toHaveBeenCalledTimes(1);
+    expect(reportPreviewElementCheck).toHaveBeenCalledWith('6', {
+      projectId: 102,
+      error: 'The preview is not available in this window'
+    });
+  });
+
   test('agent UI bridge can execute branch toolbar actions once registered', async () => {
     const actionSpy = vi.fn();
 
@@ -1809,6 +1901,20 @@ describe('PreviewPanel', () => {
     expect(restartProject).toHaveBeenCalledWith(55);
   });
 
+  test('renders the project memory tab for the current project', async () => {
+    const project = { id: 56, name: 'Memory Project' };
+    useAppState.mockReturnValue(createAppState({ currentProject: project }));
+
+    const user = userEvent.setup();
+    render(<PreviewPanel />);
+
+    await user.click(screen.getByTestId('memory-tab'));
+
+    expect(screen.getByTestId('mock-project-memory-tab')).toBeInTheDocument();
+    expect(screen.getByTestId('memory-tab')).toHaveClass('active');
+    expect(projectMemoryTabPropsRef.current?.project).toBe(project);
+  });
+
   test('registers test tab actions so header controls call through to handlers', async () => {
     useAppState.mockReturnValue(createAppState({ currentProject: { id: 101, name: 'Test Actions' } }));
 
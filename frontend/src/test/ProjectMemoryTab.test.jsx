@@ -0,0 +1,159 @@
+import React from 'react';
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import { fireEvent, render, screen, waitFor, within } from '@testing-library/react';
+import axios from 'axios';
+import ProjectMemoryTab from '../components/ProjectMemoryTab.jsx';
+
+const project = { id: 9, name: 'Memory' };
+
+const memories = [
+  { id: 1, kind: 'avoid', content: 'Never use inline styles', priority: 5, enabled: true, source: 'correction' },
+  { id: 2, kind: 'fact', content: 'Uses pnpm', priority: 3, enabled: false, source: 'user' }
+];
+
+const listResponse = (overrides = {}) => ({
+  data: { success: true, memories, settings: { autoCapture: false, tokenBudget: 600 }, ...overrides }
+});
+
+const renderTab = async () => {
+  render(<ProjectMemoryTab project={project} />);
+  await screen.findByTestId('project-memory-list');
+};
+
+describe('ProjectMemoryTab', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    axios.get.mockResolvedValue(listResponse());
+    axios.post.mockResolvedValue({ data: { success: true } });
+    axios.put.mockResolvedValue({ data: { success: true } });
+    axios.delete.mockResolvedValue({ data: { success: true } });
+  });
+
+  test('asks for a project when none is selected', () => {
+    render(<ProjectMemoryTab project={null} />);
+
+    expect(screen.getByText('Select a project to manage its memory.')).toBeInTheDocument();
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  test('lists memories in the order the server returns them', async () => {
+    await renderTab();
+
+    expect(axios.get).toHaveBeenCalledWith('/api/projects/9/memory');
+    const first = screen.getByTestId('project-memory-item-1');
+    expect(first).toHaveTextContent('Avoid');
+    expect(first).toHaveTextContent('Priority 5');
+    expect(first).toHaveTextContent('From a correction');
+    expect(screen.getByTestId('project-memory-item-2')).toHaveClass('is-disabled');
+    expect(screen.getByTestId('project-memory-item-2')).not.toHaveTextContent('From a correction');
+    expect(screen.getByTestId('project-memory-budget-input')).toHaveValue(600);
+  });
+
+  test('shows an empty state and load errors', async () => {
+    axios.get.mockResolvedValueOnce({ data: {} });
+    const { unmount } = render(<ProjectMemoryTab project={project} />);
+    expect(await screen.findByText('No memories yet.')).toBeInTheDocument();
+    unmount();
+
+    axios.get.mockRejectedValueOnce({ response: { data: { error: 'Project not found' } } });
+    render(<ProjectMemoryTab project={project} />);
+    expect(await screen.findByRole('alert')).toHaveTextContent('Project not found');
+  });
+
+  test('adds a memory and reloads the list', async () => {
+    await renderTab();
+
+    fireEvent.change(screen.getByTestId('project-memory-new-kind'), { target: { value: 'decision' } });
+    fireEvent.change(screen.getByTestId('project-memory-new-priority'), { target: { value: '4' } });
+    fireEvent.change(screen.getByTestId('project-memory-new-content'), { target: { value: '  REST only  ' } });
+    fireEvent.submit(screen.getByTestId('project-memory-add-form'));
+
+    await waitFor(() => expect(axios.get).toHaveBeenCalledTimes(2));
+    expect(axios.post).toHaveBeenCalledWith('/api/projects/9/memory', { kind: 'decision', priority: 4, content: 'REST only' });
+    expect(screen.getByTestId('project-memory-new-content')).toHaveValue('');
+  });
+
+  test('reports failed saves', async () => {
+    axios.post.mockRejectedValueOnce(new Error('Network Error'));
+    axios.delete.mockRejectedValueOnce({});
+    await renderTab();
+
+    fireEvent.change(screen.getByTestId('project-memory-new-content'), { target: { value: 'REST only' } });
+    fireEvent.submit(screen.getByTestId('project-memory-add-form'));
+    expect(await screen.findByRole('alert')).toHaveTextContent('Network Error');
+    expect(screen.getByTestId('project-memory-new-content')).toHaveValue('REST only');
+
+    fireEvent.click(within(screen.getByTestId('project-memory-item-1')).getByRole('button', { name: 'Delete' }));
+    await waitFor(() => expect(screen.getByRole('alert')).toHaveTextContent('Failed to delete project memory'));
+  });
+
+  test('edits a memory in place', async () => {
+    await renderTab();
+    const item = screen.getByTestId('project-memory-item-1');
+
+    fireEvent.click(within(item).getByRole('button', { name: 'Edit' }));
+    fireEvent.change(screen.getByTestId('project-memory-edit-kind'), { target: { value: 'decision' } });
+    fireEvent.change(screen.getByTestId('project-memory-edit-priority'), { target: { value: '2' } });
+    fireEvent.change(screen.getByTestId('project-memory-edit-content'), { target: { value: ' Use CSS modules ' } });
+    fireEvent.click(within(item).getByRole('button', { name: 'Save' }));
+
+    await waitFor(() => expect(axios.put).toHaveBeenCalledWith('/api/projects/9/memory/1', {
+      kind: 'decision',
+      priority: 2,
+      content: 'Use CSS modules'
+    }));
+    await waitFor(() => expect(screen.queryByTestId('project-memory-edit-content')).not.toBeInTheDocument());
+
+    fireEvent.click(within(item).getByRole('button', { name: 'Edit' }));
+    fireEvent.click(within(item).getByRole('button', { name: 'Cancel' }));
+    expect(screen.queryByTestId('project-memory-edit-content')).not.toBeInTheDocument();
+  });
+
+  test('toggles and deletes memories', async () => {
+    await renderTab();
+
+    fireEvent.click(within(screen.getByTestId('project-memory-item-2')).getByLabelText('Enabled'));
+    await waitFor(() => expect(axios.put).toHaveBeenCalledWith('/api/projects/9/memory/2', { enabled: true }));
+
+    await waitFor(() => expect(within(screen.getByTestId('project-memory-item-1')).getByRole('button', { name: 'Delete' })).not.toBeDisabled());
+    fireEvent.click(within(screen.getByTestId('project-memory-item-1')).getByRole('button', { name: 'Delete' }));
+    await waitFor(() => expect(axios.delete).toHaveBeenCalledWith('/api/projects/9/memory/1'));
+  });
+
+  test('saves auto-capture and the token budget', async () => {
+    axios.put
+      .mockResolvedValueOnce({ data: { settings: { autoCapture: true, tokenBudget: 600 } } })
+      .mockResolvedValueOnce({ data: { settings: { autoCapture: true, tokenBudget: 250 } } });
+    axios.get
+      .mockResolvedValueOnce(listResponse())
+      .mockResolvedValueOnce(listResponse({ settings: undefined }))
+      .mockResolvedValueOnce(listResponse({ settings: undefined }));
+    await renderTab();
+
+    fireEvent.click(screen.getByTestId('project-memory-auto-capture'));
+    await waitFor(() => expect(screen.getByTestId('project-memory-auto-capture')).toBeChecked());
+    expect(axios.put).toHaveBeenCalledWith('/api/projects/9/memory/settings', { autoCapture: true });
+
+    fireEvent.change(screen.getByTestId('project-memory-budget-input'), { target: { value: '250' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save budget' }));
+    await waitFor(() => expect(axios.put).toHaveBeenLastCalledWith('/api/projects/9/memory/settings', { tokenBudget: 250 }));
+    await waitFor(() => expect(screen.getByTestId('project-memory-budget-input')).toHaveValue(250));
+  });
+
+  test('shows the prompt section agents receive', async () => {
+    await renderTab();
+    axios.get.mockResolvedValueOnce({ data: { context: 'Project memory:\n- Avoid: Never use inline styles' } });
+
+    fireEvent.click(screen.getByTestId('project-memory-preview-button'));
+    expect(await screen.findByTestId('project-memory-preview')).toHaveTextContent('- Avoid: Never use inline styles');
+    expect(axios.get).toHaveBeenLastCalledWith('/api/projects/9/memory/preview');
+
+    axios.get.mockResolvedValueOnce({ data: {} });
+    fireEvent.click(screen.getByTestId('project-memory-preview-button'));
+    await waitFor(() => expect(screen.getByTestId('project-memory-preview')).toHaveTextContent('No enabled memories fit the budget yet.'));
+
+    axios.get.mockRejectedValueOnce(new Error(''));
+    fireEvent.click(screen.getByTestId('project-memory-preview-button'));
+    expect(await screen.findByRole('alert')).toHaveTextContent('Failed to build project memory preview');
+  });
+});
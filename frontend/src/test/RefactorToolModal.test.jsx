@@ -0,0 +1,263 @@
+import React from 'react';
+import { describe, expect, it, vi, beforeEach } from 'vitest';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+
+import RefactorToolModal, {
+  formatCoverageTotals,
+  validateRefactorForm
+} from '../components/RefactorToolModal.jsx';
+
+vi.mock('../utils/goalsApi', () => ({
+  agentRefactorStream: vi.fn()
+}));
+
+vi.mock('../context/AppStateContext', () => ({
+  useAppState: vi.fn()
+}));
+
+import axios from 'axios';
+import { agentRefactorStream } from '../utils/goalsApi';
+import { useAppState } from '../context/AppStateContext';
+
+const comparison = {
+  unchanged: false,
+  reasons: ['branches coverage dropped from 100% to 98%.'],
+  baseline: { status: 'passed', coverage: { totals: { lines: 100, statements: 100, functions: 100, branches: 100 } } },
+  after: { status: 'passed', coverage: { totals: { lines: 100, branches: 98 } } }
+};
+
+const fillRename = async (user) => {
+  await user.type(screen.getByTestId('tool-refactor-scope-path'), 'src/utils/format.js');
+  await user.type(screen.getByTestId('tool-refactor-symbol'), 'fmt');
+  await user.type(screen.getByTestId('tool-refactor-new-name'), 'formatValue');
+};
+
+describe('RefactorToolModal helpers', () => {
+  it('validates the scope path and rename names', () => {
+    const base = { scopeType: 'file', scopePath: '', refactorType: 'simplify', symbolName: '', newName: '' };
+    expect(validateRefactorForm(base)).toBe('Enter the file path to refactor.');
+    expect(validateRefactorForm({ ...base, scopeType: 'repo', refactorType: 'rename-symbol', symbolName: 'a' }))
+      .toBe('Enter both the current and the new symbol name.');
+    expect(validateRefactorForm({ ...base, scopeType: 'repo' })).toBe('');
+  });
+
+  it('formats coverage totals', () => {
+    expect(formatCoverageTotals(null)).toBe('n/a');
+    expect(formatCoverageTotals({ totals: { lines: 90, branches: 80, bogus: 'x' } })).toBe('lines 90%, branches 80%');
+  });
+});
+
+describe('RefactorToolModal', () => {
+  beforeEach(() => {
+    agentRefactorStream.mockReset();
+    axios.delete.mockReset();
+    useAppState.mockReturnValue({ currentProject: { id: 7, name: 'Demo' }, isLLMConfigured: true });
+  });
+
+  it('streams a rename refactor and shows the committed result', async () => {
+    const user = userEvent.setup();
+    agentRefactorStream.mockImplementation(async ({ onEvent, onDone }) => {
+      onEvent('status', { text: 'Creating working branch feature/refactor-1…' });
+      onEvent('tests-job', { displayName: 'frontend tests', cwd: '/p/frontend' });
+      onEvent('tests-job', {});
+      onEvent('tests-log', { message: 'stdout | ✓ 3 passed\n\n' });
+      onEvent('tests-log', {});
+      onEvent('tests', { phase: 'baseline', run: 'passed' });
+      onEvent('tests', {});
+      onEvent('edit', { writes: 2, summary: 'renamed' });
+      onEvent('edit', {});
+      onEvent('status', {});
+      onEvent('unknown', {});
+      onDone({ status: 'complete', committed: true, comparison: { ...comparison, reasons: [], unchanged: true } });
+    });
+
+    render(<RefactorToolModal isOpen={true} onClose={() => {}} />);
+    expect(screen.getByTestId('tool-refactor-start')).toBeDisabled();
+    await fillRename(user);
+    await user.type(screen.getByTestId('tool-refactor-notes'), ' keep exports ');
+    await user.click(screen.getByTestId('tool-refactor-start'));
+
+    expect(agentRefactorStream).toHaveBeenCalledWith(expect.objectContaining({
+      projectId: 7,
+      prompt: 'keep exports',
+      scope: { type: 'file', path: 'src/utils/format.js' },
+      refactorType: 'rename-symbol',
+      symbolName: 'fmt',
+      newName: 'formatValue'
+    }));
+
+    expect(await screen.findByTestId('tool-refactor-result')).toHaveTextContent('verified and committed');
+    const log = screen.getByTestId('tool-refactor-progress-log');
+    expect(log).toHaveTextContent('Starting: frontend tests (/p/frontend)');
+    expect(log).toHaveTextContent('Starting: tests job');
+    expect(log).toHaveTextContent('✓ 3 passed');
+    expect(log).toHaveTextContent('Tests: baseline → passed');
+    expect(log).toHaveTextContent('Tests: run → unknown');
+    expect(log).toHaveTextContent('Edit: wrote 2 file(s) (renamed)');
+    expect(log).toHaveTextContent('Edit: wrote 0 file(s)');
+    expect(screen.getByTestId('tool-refactor-comparison')).toHaveTextContent('lines 100%, statements 100%');
+    expect(screen.queryByTestId('tool-refactor-comparison-reasons')).not.toBeInTheDocument();
+    expect(screen.getByTestId('tool-refactor-branch')).toHaveTextContent('feature/refactor-1');
+    expect(screen.queryByTestId('tool-refactor-delete-branch')).not.toBeInTheDocument();
+
+    await user.click(screen.getByTestId('tool-refactor-again'));
+    expect(screen.getByTestId('tool-refactor-start')).toBeEnabled();
+  });
+
+  it('shows rejected comparisons and deletes the branch on request', async () => {
+    const user = userEvent.setup();
+    agentRefactorStream.mockImplementation(async ({ onEvent, onDone }) => {
+      onEvent('comparison', { reasons: ['x'] });
+      onDone({ status: 'rejected', branchName: 'feature/refactor-2', comparison, canDeleteBranch: true });
+    });
+    axios.delete.mockRejectedValueOnce({ response: { data: { error: 'Branch is busy' } } }).mockResolvedValueOnce({});
+
+    render(<RefactorToolModal isOpen={true} onClose={() => {}} />);
+    fireEvent.change(screen.getByTestId('tool-refactor-scope-type'), { target: { value: 'repo' } });
+    await user.click(screen.getByTestId('tool-refactor-type-simplify'));
+    await user.click(screen.getByTestId('tool-refactor-start'));
+
+    expect(agentRefactorStream.mock.calls[0][0].scope).toEqual({ type: 'repo', path: '' });
+    expect(await screen.findByTestId('tool-refactor-result')).toHaveTextContent('rolled back');
+    expect(screen.getByTestId('tool-refactor-comparison-reasons')).toHaveTextContent('branches coverage dropped');
+
+    await user.click(screen.getByTestId('tool-refactor-delete-branch'));
+    expect(axios.delete).toHaveBeenCalledWith('/api/projects/7/branches/feature%2Frefactor-2', {
+      headers: { 'x-confirm-destructive': 'true' }
+    });
+    expect(await screen.findByTestId('tool-refactor-error')).toHaveTextContent('Branch is busy');
+
+    await user.click(screen.getByTestId('tool-refactor-delete-branch'));
+    await waitFor(() => expect(screen.getByTestId('tool-refactor-branch')).toHaveTextContent('(deleted)'));
+    expect(screen.queryByTestId('tool-refactor-delete-branch')).not.toBeInTheDocument();
+  });
+
+  it('describes refused, no-op, failed and empty results', async () => {
+    const user = userEvent.setup();
+    const results = [
+      { status: 'refused', reason: 'baseline-failed', branchName: 'feature/refactor-3' },
+      { status: 'complete', committed: false },
+      { status: 'failed', message: 'Agent crashed' },
+      null
+    ];
+    const expected = ['Baseline tests/coverage failed', 'did not change any files', 'Agent crashed', 'Refactor failed.'];
+
+    render(<RefactorToolModal isOpen={true} onClose={() => {}} />);
+    fireEvent.change(screen.getByTestId('tool-refactor-scope-type'), { target: { value: 'folder' } });
+    await user.click(screen.getByTestId('tool-refactor-type-extract-module'));
+    await user.type(screen.getByTestId('tool-refactor-scope-path'), 'backend/services');
+    await user.type(screen.getByTestId('tool-refactor-module'), 'backend/services/shared.js');
+
+    for (let index = 0; index < results.length; index += 1) {
+      agentRefactorStream.mockImplementationOnce(async ({ onDone }) => onDone(results[index]));
+      await user.click(screen.getByTestId('tool-refactor-start'));
+      expect(await screen.findByTestId('tool-refactor-result')).toHaveTextContent(expected[index]);
+      await user.click(screen.getByTestId('tool-refactor-again'));
+    }
+
+    expect(agentRefactorStream.mock.calls[0][0]).toEqual(expect.objectContaining({
+      scope: { type: 'folder', path: 'backend/services' },
+      refactorType: 'extract-module',
+      moduleName: 'backend/services/shared.js'
+    }));
+  });
+
+  it('reports stream errors with a deletable branch', async () => {
+    const user = userEvent.setup();
+    agentRefactorStream.mockImplementation(async ({ onEvent, onError }) => {
+      onEvent('status', { text: 'Creating working branch feature/refactor-4…' });
+      onError('Refactor failed');
+    });
+    axios.delete.mockRejectedValueOnce(new Error('offline')).mockRejectedValueOnce({});
+
+    render(<RefactorToolModal isOpen={true} onClose={() => {}} />);
+    await fillRename(user);
+    await user.click(screen.getByTestId('tool-refactor-start'));
+
+    expect(await screen.findByTestId('tool-refactor-error')).toHaveTextContent('Refactor failed');
+    await user.click(screen.getByTestId('tool-refactor-delete-branch'));
+    expect(await screen.findByText('offline')).toBeInTheDocument();
+    await user.click(screen.getByTestId('tool-refactor-delete-branch'));
+    expect(await screen.findByText('Failed to delete branch')).toBeInTheDocument();
+  });
+
+  it('returns to the form when the stream cannot start', async () => {
+    const user = userEvent.setup();
+    agentRefactorStream.mockRejectedValueOnce(new Error('Refactor stream failed (500)')).mockRejectedValueOnce({});
+
+    render(<RefactorToolModal isOpen={true} onClose={() => {}} />);
+    await fillRename(user);
+    await user.click(screen.getByTestId('tool-refactor-start'));
+    expect(await screen.findByTestId('tool-refactor-error')).toHaveTextContent('Refactor stream failed (500)');
+
+    await user.click(screen.getByTestId('tool-refactor-start'));
+    expect(await screen.findByTestId('tool-refactor-error')).toHaveTextContent('Failed to start the refactor.');
+  });
+
+  it('cancels an in-flight refactor and ignores late events', async () => {
+    const user = userEvent.setup();
+    let callbacks;
+    agentRefactorStream.mockImplementation((args) => {
+      callbacks = args;
+      args.onEvent('status', { text: 'Creating working branch feature/refactor-5…' });
+      return new Promise((resolve, reject) => {
+        args.signal.addEventListener('abort', () => {
+          const error = new Error('aborted');
+          error.name = 'AbortError';
+          reject(error);
+        });
+      });
+    });
+
+    const { rerender } = render(<RefactorToolModal isOpen={true} onClose={() => {}} />);
+    await fillRename(user);
+    await user.click(screen.getByTestId('tool-refactor-start'));
+    expect(screen.getByTestId('tool-refactor-progress-log')).toHaveTextContent('feature/refactor-5');
+
+    await user.click(screen.getByTestId('tool-refactor-cancel'));
+    expect(callbacks.signal.aborted).toBe(true);
+    expect(screen.getByTestId('tool-refactor-result')).toHaveTextContent('Refactor cancelled.');
+    expect(screen.getByTestId('tool-refactor-delete-branch')).toBeInTheDocument();
+
+    callbacks.onEvent('status', { text: 'late' });
+    callbacks.onDone({ status: 'complete', committed: true });
+    callbacks.onError('late error');
+    expect(screen.getByTestId('tool-refactor-progress-log')).not.toHaveTextContent('late');
+    expect(screen.getByTestId('tool-refactor-result')).toHaveTextContent('Refactor cancelled.');
+
+    rerender(<RefactorToolModal isOpen={false} onClose={() => {}} />);
+    rerender(<RefactorToolModal isOpen={true} onClose={() => {}} />);
+    expect(screen.getByTestId('tool-refactor-start')).toBeInTheDocument();
+  });
+
+  it('aborts the stream when the modal closes mid-run', async () => {
+    const user = userEvent.setup();
+    let signal;
+    agentRefactorStream.mockImplementation((args) => {
+      signal = args.signal;
+      args.onEvent('comparison', {});
+      return new Promise(() => {});
+    });
+
+    const { rerender } = render(<RefactorToolModal isOpen={true} onClose={() => {}} />);
+    fireEvent.change(screen.getByTestId('tool-refactor-scope-type'), { target: { value: 'repo' } });
+    await user.click(screen.getByTestId('tool-refactor-type-simplify'));
+    await user.click(screen.getByTestId('tool-refactor-start'));
+    expect(screen.getByTestId('tool-refactor-comparison')).toHaveTextContent('unknown · n/a');
+
+    rerender(<RefactorToolModal isOpen={false} onClose={() => {}} />);
+    expect(signal.aborted).toBe(true);
+  });
+
+  it('explains why a refactor cannot start', () => {
+    useAppState.mockReturnValue({ currentProject: null, isLLMConfigured: true });
+    const { rerender } = render(<RefactorToolModal isOpen={true} onClose={() => {}} />);
+    expect(screen.getByTestId('tool-refactor-hint')).toHaveTextContent('Select a project');
+
+    useAppState.mockReturnValue({ currentProject: { id: 7 }, isLLMConfigured: false });
+    rerender(<RefactorToolModal isOpen={true} onClose={() => {}} />);
+    expect(screen.getByTestId('tool-refactor-hint')).toHaveTextContent('Configure an LLM provider');
+    expect(screen.getByTestId('tool-refactor-start')).toBeDisabled();
+  });
+});
@@ -0,0 +1,154 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import axios from 'axios';
+import TargetedTestRun from '../components/test-tab/TargetedTestRun.jsx';
+import { useTargetedTestRuns } from '../components/test-tab/useTargetedTestRuns.js';
+
+let latestHook;
+
+const HookHarness = ({ projectId }) => {
+  latestHook = useTargetedTestRuns(projectId);
+  return null;
+};
+
+const passedResult = {
+  status: 'passed',
+  summary: { total: 1, passed: 1, failed: 0, skipped: 0 },
+  truncated: false,
+  tests: [{ name: 'adds', title: 'adds', file: 'src/a.test.js', status: 'passed', durationMs: 2 }],
+  logs: ['stdout: 1 passed']
+};
+
+describe('useTargetedTestRuns', () => {
+  beforeEach(() => {
+    latestHook = null;
+  });
+
+  it('runs a file or test and keeps the result per card until dismissed', async () => {
+    let resolvePost;
+    axios.post.mockReturnValueOnce(new Promise((resolve) => { resolvePost = resolve; }));
+    render(<HookHarness projectId={7} />);
+
+    let pending;
+    act(() => {
+      pending = latestHook.runTargetedTests('frontend:test', { workspace: 'frontend', file: 'src/a.test.js', testName: 'adds' });
+    });
+    expect(latestHook.targetedRuns['frontend:test']).toEqual({
+      label: 'src/a.test.js › adds',
+      running: true,
+      result: null,
+      error: null
+    });
+    expect(axios.post).toHaveBeenCalledWith('/api/projects/7/tests/run-targeted', {
+      workspace: 'frontend',
+      file: 'src/a.test.js',
+      testName: 'adds',
+      exact: true
+    });
+
+    await act(async () => {
+      resolvePost({ data: { success: true, result: passedResult } });
+      await pending;
+    });
+    expect(latestHook.targetedRuns['frontend:test']).toMatchObject({ running: false, result: passedResult });
+
+    act(() => latestHook.dismissTargetedRun('frontend:test'));
+    expect(latestHook.targetedRuns).toEqual({});
+  });
+
+  it('records request errors', async () => {
+    axios.post
+      .mockRejectedValueOnce({ response: { data: { error: 'Workspace backend not found' } } })
+      .mockRejectedValueOnce(new Error('Network down'))
+      .mockRejectedValueOnce({});
+    render(<HookHarness projectId={7} />);
+
+    await act(() => latestHook.runTargetedTests('backend:test', { workspace: 'backend', file: 'tests/a.test.js' }));
+    expect(axios.post).toHaveBeenLastCalledWith('/api/projects/7/tests/run-targeted', {
+      workspace: 'backend',
+      file: 'tests/a.test.js',
+      testName: null,
+      exact: false
+    });
+    expect(latestHook.targetedRuns['backend:test']).toEqual({
+      label: 'tests/a.test.js',
+      running: false,
+      result: null,
+      error: 'Workspace backend not found'
+    });
+
+    await act(() => latestHook.runTargetedTests('backend:test', { workspace: 'backend', testName: 'sums' }));
+    expect(latestHook.targetedRuns['backend:test'].error).toBe('Network down');
+
+    await act(() => latestHook.runTargetedTests('backend:test', { workspace: 'backend', testName: 'sums' }));
+    expect(latestHook.targetedRuns['backend:test'].error).toBe('Failed to run tests');
+  });
+});
+
+describe('TargetedTestRun', () => {
+  it('shows a running partial run without a dismiss button', () => {
+    render(
+      <TargetedTestRun
+        run={{ label: 'src/a.test.js', running: true, result: null, error: null }}
+        testId="targeted"
+        onDismiss={vi.fn()}
+      />
+    );
+
+    expect(screen.getByTestId('targeted')).toHaveClass('running');
+    expect(screen.getByTestId('targeted-status')).toHaveTextContent('running…');
+    expect(screen.getByText('Partial runs do not count as merge proof.')).toBeInTheDocument();
+    expect(screen.queryByTestId('targeted-dismiss')).not.toBeInTheDocument();
+  });
+
+  it('shows the cases of a finished run and can be dismissed', () => {
+    const onDismiss = vi.fn();
+    render(
+      <TargetedTestRun
+        run={{ label: 'src/a.test.js', running: false, result: passedResult, error: null }}
+        testId="targeted"
+        onDismiss={onDismiss}
+      />
+    );
+
+    expect(screen.getByTestId('targeted-status')).toHaveTextContent('passed');
+    expect(screen.getByTestId('targeted-results')).toHaveTextContent('1 tests');
+    expect(screen.queryByTestId('targeted-logs')).not.toBeInTheDocument();
+    expect(screen.queryByText('Run')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByTestId('targeted-dismiss'));
+    expect(onDismiss).toHaveBeenCalled();
+  });
+
+  it('falls back to the logs or the error when there are no cases', () => {
+    const { rerender } = render(
+      <TargetedTestRun
+        run={{ label: 'nothing', running: false, result: { ...passedResult, status: 'failed', tests: [], logs: ['stderr: No tests found'] }, error: null }}
+        testId="targeted"
+        onDismiss={vi.fn()}
+      />
+    );
+    expect(screen.getByTestId('targeted')).toHaveClass('failed');
+    expect(screen.getByTestId('targeted-logs')).toHaveTextContent('stderr: No tests found');
+
+    rerender(
+      <TargetedTestRun
+        run={{ label: 'nothing', running: false, result: { ...passedResult, status: 'failed', tests: [], logs: [] }, error: null }}
+        testId="targeted"
+        onDismiss={vi.fn()}
+      />
+    );
+    expect(screen.getByTestId('targeted-logs')).toHaveTextContent('No tests matched.');
+
+    rerender(
+      <TargetedTestRun
+        run={{ label: 'nothing', running: false, result: null, error: 'Workspace backend not found' }}
+        testId="targeted"
+        onDismiss={vi.fn()}
+      />
+    );
+    expect(screen.getByTestId('targeted-status')).toHaveTextContent('failed');
+    expect(screen.getByText('Workspace backend not found').tagName).toBe('PRE');
+  });
+});
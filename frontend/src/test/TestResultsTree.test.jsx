@@ -0,0 +1,89 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import TestResultsTree, { buildTestResultsTree } from '../components/test-tab/TestResultsTree.jsx';
+
+const cases = [
+  { name: 'App > form > submits', title: 'submits', suite: ['App', 'form'], file: 'src/App.test.jsx', status: 'passed', durationMs: 12, error: null },
+  { name: 'App > form > validates', title: 'validates', suite: ['App', 'form'], file: 'src/App.test.jsx', status: 'failed', durationMs: 1500, error: 'expected 1 to be 2' },
+  { name: 'App > later', title: 'later', suite: ['App'], file: 'src/App.test.jsx', status: 'skipped', durationMs: null, error: null },
+  { name: 'util works', title: 'util works', file: 'src/util.test.js', status: 'passed', durationMs: 3, error: null },
+  { name: 'test_ok', title: 'test_ok', suite: ['tests'], file: null, status: 'passed', durationMs: 0, error: null },
+  { name: 'unknown', title: 'unknown', file: null, status: 'todo', durationMs: null, error: null }
+];
+
+describe('TestResultsTree', () => {
+  it('groups cases by file and describe blocks with counts', () => {
+    const tree = buildTestResultsTree(cases);
+
+    expect([...tree.children.keys()]).toEqual(['src/App.test.jsx', 'src/util.test.js', 'Other tests']);
+    expect(tree.counts).toEqual({ passed: 3, failed: 1, skipped: 1 });
+    const appFile = tree.children.get('src/App.test.jsx');
+    expect(appFile.counts).toEqual({ passed: 1, failed: 1, skipped: 1 });
+    expect(appFile.children.get('App').children.get('form').key).toBe('src/App.test.jsx > App > form');
+    expect(buildTestResultsTree().children.size).toBe(0);
+  });
+
+  it('renders a collapsible tree that opens failing branches', () => {
+    render(
+      <TestResultsTree
+        report={{ summary: { total: 6 }, cases, truncated: true }}
+        testId="results"
+      />
+    );
+
+    const summary = screen.getByTestId('results');
+    expect(summary).toHaveTextContent('6 tests');
+    expect(summary).toHaveTextContent('Showing the first 6 results');
+
+    const appNode = screen.getByTestId('results-node-src/App.test.jsx');
+    expect(appNode).toHaveAttribute('open');
+    expect(screen.getByTestId('results-node-src/util.test.js')).not.toHaveAttribute('open');
+
+    const failing = screen.getByTestId('results-case-src/App.test.jsx > App > form > validates');
+    expect(failing).toHaveClass('failed');
+    expect(within(failing).getByText('1.5s')).toBeInTheDocument();
+    expect(within(failing).getByText('expected 1 to be 2').tagName).toBe('PRE');
+
+    expect(within(screen.getByTestId('results-case-src/App.test.jsx > App > form > submits')).getByText('12ms'))
+      .toBeInTheDocument();
+    expect(screen.getByTestId('results-case-src/App.test.jsx > App > later').querySelector('.test-results-duration'))
+      .toBeNull();
+    expect(screen.getByTestId('results-case-Other tests > tests > test_ok')).toHaveTextContent('0ms');
+  });
+
+  it('offers partial runs of a file or a single test when a handler is given', () => {
+    const onRunTests = vi.fn();
+    const { rerender } = render(<TestResultsTree report={{ cases }} testId="results" onRunTests={onRunTests} />);
+
+    const appNode = screen.getByTestId('results-node-src/App.test.jsx');
+    fireEvent.click(screen.getByTestId('results-node-src/App.test.jsx-run'));
+    expect(onRunTests).toHaveBeenCalledWith({ file: 'src/App.test.jsx', testName: null });
+    expect(appNode).toHaveAttribute('open');
+    expect(screen.queryByTestId('results-node-Other tests-run')).not.toBeInTheDocument();
+    expect(screen.queryByTestId('results-node-src/App.test.jsx > App-run')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByTestId('results-case-src/App.test.jsx > App > form > validates-run'));
+    expect(onRunTests).toHaveBeenLastCalledWith({ file: 'src/App.test.jsx', testName: 'validates' });
+    fireEvent.click(screen.getByTestId('results-case-Other tests > tests > test_ok-run'));
+    expect(onRunTests).toHaveBeenLastCalledWith({ file: null, testName: 'test_ok' });
+
+    rerender(<TestResultsTree report={{ cases }} testId="results" onRunTests={onRunTests} runDisabled />);
+    expect(screen.getByTestId('results-node-src/util.test.js-run')).toBeDisabled();
+
+    rerender(<TestResultsTree report={{ cases }} testId="results" />);
+    expect(screen.queryByText('Run file')).not.toBeInTheDocument();
+    expect(screen.queryByText('Run')).not.toBeInTheDocument();
+  });
+
+  it('falls back to the case count and renders nothing without cases', () => {
+    const { container, rerender } = render(<TestResultsTree report={{ cases: cases.slice(3, 4) }} />);
+    expect(screen.getByTestId('test-results')).toHaveTextContent('1 tests');
+    expect(screen.queryByText(/Showing the first/)).not.toBeInTheDocument();
+
+    rerender(<TestResultsTree report={{ cases: [] }} />);
+    expect(container).toBeEmptyDOMElement();
+    rerender(<TestResultsTree report={null} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+});
@@ -35,6 +35,21 @@ describe('TestSuiteCard', () => {
     expect(onRun).toHaveBeenCalledWith('frontend:test');
   });
 
+  it('shows the queue position while the run waits for a slot', () => {
+    render(
+      <TestSuiteCard
+        config={baseConfig}
+        job={{ status: 'pending', queuePosition: 1, command: 'npm', args: ['test'], cwd: '/workspace/app', logs: [] }}
+        project={{ id: 'proj-123' }}
+        onRun={vi.fn()}
+        onCancel={vi.fn()}
+      />
+    );
+
+    expect(screen.getByTestId('job-status-frontend:test')).toHaveTextContent('Queued #1');
+    expect(screen.getByTestId('run-frontend:test')).toHaveTextContent('Queued…');
+  });
+
   it('shows job details for an active run and allows canceling', async () => {
     const onCancel = vi.fn();
     const user = userEvent.setup();
@@ -81,6 +96,30 @@ describe('TestSuiteCard', () => {
     expect(onCancel).toHaveBeenCalledWith(activeJob);
   });
 
+  it('shows per-test results when the job carries a test report', () => {
+    render(
+      <TestSuiteCard
+        config={baseConfig}
+        job={{
+          status: 'failed',
+          command: 'npm',
+          cwd: '/workspace/app',
+          logs: [],
+          testReport: {
+            summary: { total: 1 },
+            cases: [{ name: 'App > saves', title: 'saves', suite: ['App'], file: 'src/App.test.jsx', status: 'failed', error: 'boom' }]
+          }
+        }}
+        project={{ id: 'proj-123' }}
+        onRun={vi.fn()}
+        onCancel={vi.fn()}
+      />
+    );
+
+    expect(screen.getByTestId('test-results-frontend:test')).toHaveTextContent('1 failed');
+    expect(screen.getByText('boom')).toBeInTheDocument();
+  });
+
   it('falls back to an empty args segment when job args are missing', () => {
     const jobWithoutArgs = {
       status: 'succeeded',
@@ -822,6 +822,32 @@ describe('TestTab coverage helpers', () => {
     expect(context.recentLogs).toEqual(['/* ...logs truncated... */']);
   });
 
+  test('buildJobFailureContext prefers failed cases from the test report', () => {
+    const context = hooks.buildJobFailureContext({
+      label: 'Frontend tests',
+      kind: 'frontend',
+      job: {
+        status: 'failed',
+        logs: [{ message: 'FAIL src/Ignored.test.jsx' }],
+        testReport: {
+          cases: [
+            { name: 'App > saves', file: 'src/App.test.jsx', status: 'failed', error: 'expected 1 to be 2' },
+            { name: 'App > saves', file: 'src/App.test.jsx', status: 'failed', error: 'expected 1 to be 2' },
+            { name: 'crashed', file: null, status: 'failed', error: null },
+            { name: 'App > renders', file: 'src/App.test.jsx', status: 'passed', error: null },
+            null
+          ]
+        }
+      }
+    });
+
+    expect(context.testFailures).toEqual(['src/App.test.jsx > App > saves', 'crashed']);
+    expect(context.failedTestDetails).toEqual([
+      { id: 'src/App.test.jsx > App > saves', error: 'expected 1 to be 2' },
+      { id: 'src/App.test.jsx > App > saves', error: 'expected 1 to be 2' }
+    ]);
+  });
+
   test('buildJobFailureContext ignores empty combined log entries', () => {
     const context = hooks.buildJobFailureContext({
       label: 'Frontend tests',
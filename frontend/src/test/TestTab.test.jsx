@@ -257,6 +257,79 @@ describe('TestTab', () => {
     expect(container.style.getPropertyValue('--test-log-font-size')).toBe('0.55rem');
   });
 
+  test('runs a single test file from a finished suite as a partial run', async () => {
+    const now = new Date().toISOString();
+    const testReport = {
+      summary: { total: 1, passed: 0, failed: 1, skipped: 0 },
+      cases: [{ name: 'math adds', title: 'adds', file: 'src/a.test.js', status: 'failed', durationMs: 3 }],
+      truncated: false
+    };
+    useAppState.mockReturnValue(buildContext({
+      getJobsForProject: vi.fn().mockReturnValue([
+        {
+          id: 'front-report',
+          type: 'frontend:test',
+          status: 'succeeded',
+          command: 'npm',
+          args: ['run', 'test'],
+          cwd: '/tmp/project',
+          logs: [],
+          testReport,
+          createdAt: now,
+          completedAt: now
+        },
+        {
+          id: 'back-report',
+          type: 'backend:test',
+          status: 'succeeded',
+          command: 'npm',
+          args: ['run', 'test'],
+          cwd: '/tmp/project/backend',
+          logs: [],
+          testReport,
+          createdAt: now,
+          completedAt: now
+        }
+      ])
+    }));
+    let resolvePost;
+    axios.post.mockReturnValueOnce(new Promise((resolve) => { resolvePost = resolve; }));
+
+    axios.post.mockRejectedValueOnce({ response: { data: { error: 'No test workspace contains src/a.test.js' } } });
+
+    render(<TestTab project={baseProject} />);
+
+    fireEvent.click(screen.getByTestId('test-results-frontend:test-node-src/a.test.js-run'));
+
+    expect(axios.post).toHaveBeenCalledWith('/api/projects/proj-1/tests/run-targeted', {
+      workspace: 'frontend',
+      file: 'src/a.test.js',
+      testName: null,
+      exact: false
+    });
+    expect(screen.getByTestId('targeted-run-frontend:test-status')).toHaveTextContent('running…');
+    expect(screen.getByTestId('test-results-frontend:test-node-src/a.test.js-run')).toBeDisabled();
+
+    await act(async () => {
+      resolvePost({ data: { success: true, result: { status: 'passed', summary: testReport.summary, truncated: false, tests: [], logs: [] } } });
+    });
+    expect(screen.getByTestId('targeted-run-frontend:test-status')).toHaveTextContent('passed');
+
+    fireEvent.click(screen.getByTestId('targeted-run-frontend:test-dismiss'));
+    expect(screen.queryByTestId('targeted-run-frontend:test')).not.toBeInTheDocument();
+
+    await act(async () => {
+      fireEvent.click(screen.getByTestId('test-results-backend:test-case-src/a.test.js > adds-run'));
+    });
+    expect(axios.post).toHaveBeenLastCalledWith('/api/projects/proj-1/tests/run-targeted', {
+      workspace: 'backend',
+      file: 'src/a.test.js',
+      testName: 'adds',
+      exact: true
+    });
+    expect(screen.getByTestId('targeted-run-backend:test')).toHaveTextContent('No test workspace contains src/a.test.js');
+  });
+
   test('keeps logs pinned to bottom unless user scrolls up and supports catch up', async () => {
     const now = new Date().toISOString();
     const runningLogs = Array.from({ length: 30 }, (_, idx) => ({
@@ -309,6 +382,29 @@ describe('TestTab', () => {
     });
   });
 
+  test('shows the queue position for suites waiting in the job queue', () => {
+    useAppState.mockReturnValue(buildContext({
+      getJobsForProject: vi.fn().mockReturnValue([
+        {
+          id: 'front-queued',
+          type: 'frontend:test',
+          status: 'pending',
+          queuePosition: 2,
+          command: 'npm',
+          args: ['run', 'test:coverage'],
+          cwd: '/tmp/project/frontend',
+          createdAt: new Date().toISOString(),
+          logs: []
+        }
+      ])
+    }));
+
+    render(<TestTab project={baseProject} />);
+
+    expect(screen.getByTestId('job-status-frontend:test')).toHaveTextContent('Queued #2');
+    expect(screen.getByTestId('run-frontend:test')).toHaveTextContent('Queued…');
+  });
+
   test('test hooks expose safe defaults for missing log containers and backend-disabled suites', async () => {
     useAppState.mockReturnValue(buildContext({
       projectProcesses: { capabilities: { backend: { exists: false } } }
@@ -5696,6 +5792,13 @@ describe('TestTab', () => {
       expect(TestTab.__testHooks.statusLabel('cancelled')).toBe('Cancelled');
     });
 
+    test('jobStatusLabel includes the queue position for pending jobs', () => {
+      expect(TestTab.__testHooks.jobStatusLabel({ status: 'pending', queuePosition: 3 })).toBe('Queued #3');
+      expect(TestTab.__testHooks.jobStatusLabel({ status: 'pending', queuePosition: null })).toBe('Pending');
+      expect(TestTab.__testHooks.jobStatusLabel({ status: 'running', queuePosition: 1 })).toBe('Running');
+      expect(TestTab.__testHooks.jobStatusLabel(null)).toBe('Idle');
+    });
+
     test('classifyLogToken returns null for unrecognized tokens', () => {
       expect(TestTab.__testHooks.classifyLogToken('skipped')).toBeNull();
     });
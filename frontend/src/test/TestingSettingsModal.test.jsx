@@ -82,6 +82,27 @@ describe('TestingSettingsModal', () => {
     fireEvent.change(screen.getByTestId('testing-max-steps-input'), { target: { value: '16' } });
     fireEvent.submit(screen.getByTestId('testing-settings-form'));
 
-    expect(onSave).toHaveBeenCalledWith({ coverageTarget: 80, maxSteps: 16 });
+    expect(onSave).toHaveBeenCalledWith({ coverageTarget: 80, maxSteps: 16, failedTestRetries: 0 });
+  });
+
+  test('clamps failed test retries and submits them', () => {
+    render(
+      <TestingSettingsModal
+        isOpen
+        onClose={onClose}
+        onSave={onSave}
+        settings={{ coverageTarget: 100, maxSteps: 8, failedTestRetries: 'nope' }}
+      />
+    );
+
+    const input = screen.getByTestId('testing-failed-test-retries-input');
+    expect(input).toHaveValue(0);
+
+    fireEvent.change(input, { target: { value: '7' } });
+    expect(screen.getByTestId('testing-failed-test-retries-value')).toHaveTextContent('3');
+    fireEvent.change(input, { target: { value: '2' } });
+    fireEvent.submit(screen.getByTestId('testing-settings-form'));
+
+    expect(onSave).toHaveBeenCalledWith({ coverageTarget: 100, maxSteps: 8, failedTestRetries: 2 });
   });
 });
@@ -28,6 +28,15 @@ describe('chat panel agent utils', () => {
     expect(result).toEqual({ ok: true });
   });
 
+  test('callAgentWithTimeout forwards the chat thread id when set', async () => {
+    const agentRequestFn = vi.fn(async () => ({ ok: true }));
+    await callAgentWithTimeout({ projectId: 'p1', prompt: 'hi', threadId: 7, timeoutMs: 100, agentRequestFn });
+    await callAgentWithTimeout({ projectId: 'p1', prompt: 'hi', timeoutMs: 100, agentRequestFn });
+
+    expect(agentRequestFn.mock.calls[0][0]).toEqual({ projectId: 'p1', prompt: 'hi', threadId: 7 });
+    expect(agentRequestFn.mock.calls[1][0]).toEqual({ projectId: 'p1', prompt: 'hi' });
+  });
+
   test('resolveAgentErrorMessage handles timeout and backend configured errors', () => {
     expect(resolveAgentErrorMessage(new Error('Agent request timed out'))).toContain('too long');
     expect(resolveAgentErrorMessage({ response: { data: { error: 'LLM is not configured', reason: 'missing key' } } })).toContain('Configure it in Settings');
@@ -0,0 +1,429 @@
+import React, { useState } from 'react';
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import { act, fireEvent, render, renderHook, screen, waitFor } from '@testing-library/react';
+import { useChatThreads } from '../components/chatPanel/useChatThreads';
+import ChatThreadBar, { describeThreadLinks } from '../components/chatPanel/ChatThreadBar.jsx';
+import {
+  createChatThread,
+  fetchChatThreadMessages,
+  fetchChatThreads,
+  saveChatThreadMessages,
+  updateChatThread
+} from '../utils/chatThreadsApi';
+
+vi.mock('../utils/chatThreadsApi', () => ({
+  createChatThread: vi.fn(),
+  fetchChatThreadMessages: vi.fn(),
+  fetchChatThreads: vi.fn(),
+  saveChatThreadMessages: vi.fn(),
+  updateChatThread: vi.fn()
+}));
+
+const localMessages = [{ id: 'local-1', sender: 'user', text: 'from this browser' }];
+const readLocalMessages = vi.fn(() => localMessages);
+
+const useHarness = ({ projectId }) => {
+  const [messages, setMessages] = useState([]);
+  return { ...useChatThreads({ projectId, messages, setMessages, readLocalMessages }), messages, setMessages };
+};
+
+const thread = (id, extra = {}) => ({ id, title: `Thread ${id}`, archived: false, links: { goals: [], autopilotSessions: [] }, ...extra });
+const message = (id, text, extra = {}) => ({ id, sender: 'user', text, ...extra });
+
+const createDeferred = () => {
+  let resolve;
+  const promise = new Promise((res) => {
+    resolve = res;
+  });
+  return { promise, resolve };
+};
+
+const renderThreads = async (projectId = 7) => {
+  const hook = renderHook((props) => useHarness(props), { initialProps: { projectId } });
+  await waitFor(() => expect(hook.result.current.isServerBacked).toBe(true));
+  return hook;
+};
+
+describe('useChatThreads', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    window.localStorage.clear();
+    fetchChatThreads.mockResolvedValue([thread(1), thread(2)]);
+    fetchChatThreadMessages.mockImplementation(async (projectId, threadId) => [message(`m${threadId}`, `Message in ${threadId}`)]);
+    saveChatThreadMessages.mockImplementation(async (projectId, threadId) => thread(threadId, { title: 'Saved' }));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('keeps the local history when threads cannot be loaded', async () => {
+    fetchChatThreads.mockRejectedValueOnce(new Error('offline'));
+    const { result } = renderHook((props) => useHarness(props), { initialProps: { projectId: 7 } });
+
+    await waitFor(() => expect(fetchChatThreads).toHaveBeenCalledWith(7));
+    expect(result.current.isServerBacked).toBe(false);
+    expect(result.current.messages).toEqual([]);
+  });
+
+  test('does nothing without a project', () => {
+    const { result } = renderHook((props) => useHarness(props), { initialProps: { projectId: null } });
+
+    expect(fetchChatThreads).not.toHaveBeenCalled();
+    expect(result.current.activeThreadId).toBeNull();
+  });
+
+  test('imports the local history into a first thread', async () => {
+    fetchChatThreads.mockResolvedValueOnce([]);
+    createChatThread.mockResolvedValueOnce(thread(9));
+
+    const { result } = await renderThreads();
+
+    expect(readLocalMessages).toHaveBeenCalledWith(7);
+    expect(createChatThread).toHaveBeenCalledWith(7, { messages: localMessages });
+    expect(result.current.threads).toEqual([thread(9)]);
+    expect(result.current.activeThreadId).toBe(9);
+    expect(result.current.messages).toEqual([message('m9', 'Message in 9')]);
+    expect(window.localStorage.getItem('lucidcoder.chatThread.7')).toBe('9');
+  });
+
+  test('reopens the remembered thread and otherwise the most recent one', async () => {
+    window.localStorage.setItem('lucidcoder.chatThread.7', '2');
+    const remembered = await renderThreads();
+    expect(remembered.result.current.activeThreadId).toBe(2);
+
+    window.localStorage.setItem('lucidcoder.chatThread.8', '99');
+    const fallback = await renderThreads(8);
+    expect(fallback.result.current.activeThreadId).toBe(1);
+  });
+
+  test('tolerates storage failures', async () => {
+    vi.spyOn(window.localStorage, 'getItem').mockImplementation(() => {
+      throw new Error('denied');
+    });
+    vi.spyOn(window.localStorage, 'setItem').mockImplementation(() => {
+      throw new Error('denied');
+    });
+
+    const { result } = await renderThreads();
+
+    expect(result.current.activeThreadId).toBe(1);
+  });
+
+  test('saves new and edited messages once they have text', async () => {
+    const { result } = await renderThreads();
+
+    act(() => {
+      result.current.setMessages((prev) => [
+        ...prev,
+        message('m2', 'Add search'),
+        { id: 'reply', sender: 'assistant', text: '' },
+        { id: 'bad', sender: 'assistant', text: { value: 1 } },
+        { sender: 'user', text: 'no id' },
+        { id: 'nobody', text: 'no sender' }
+      ]);
+    });
+    await waitFor(() => expect(saveChatThreadMessages).toHaveBeenCalledTimes(1));
+    expect(saveChatThreadMessages).toHaveBeenCalledWith(7, 1, [message('m2', 'Add search')]);
+    await waitFor(() => expect(result.current.threads[0].title).toBe('Saved'));
+
+    act(() => {
+      result.current.setMessages((prev) => prev.map((item) => (item.id === 'reply' ? { ...item, text: 'Done' } : item)));
+    });
+    await waitFor(() => expect(saveChatThreadMessages).toHaveBeenCalledTimes(2));
+    expect(saveChatThreadMessages.mock.calls[1][2]).toEqual([{ id: 'reply', sender: 'assistant', text: 'Done' }]);
+  });
+
+  test('retries messages that failed to save', async () => {
+    saveChatThreadMessages.mockRejectedValueOnce(new Error('offline'));
+    const { result } = await renderThreads();
+
+    act(() => {
+      result.current.setMessages((prev) => [...prev, message('m2', 'Add search')]);
+    });
+    await waitFor(() => expect(saveChatThreadMessages).toHaveBeenCalledTimes(1));
+
+    act(() => {
+      result.current.setMessages((prev) => [...prev, message('m3', 'And filters')]);
+    });
+    await waitFor(() => expect(saveChatThreadMessages).toHaveBeenCalledTimes(2));
+    expect(saveChatThreadMessages.mock.calls[1][2].map((item) => item.id)).toEqual(['m2', 'm3']);
+  });
+
+  test('switches threads after saving pending messages', async () => {
+    const { result } = await renderThreads();
+
+    act(() => {
+      result.current.setMessages((prev) => [...prev, message('pending', 'Unsaved')]);
+    });
+    await act(async () => {
+      await result.current.selectThread(thread(2));
+    });
+
+    expect(saveChatThreadMessages).toHaveBeenCalledWith(7, 1, [message('pending', 'Unsaved')]);
+    expect(result.current.activeThreadId).toBe(2);
+    expect(result.current.messages).toEqual([message('m2', 'Message in 2')]);
+
+    await act(async () => {
+      await result.current.selectThread(thread(2));
+    });
+    expect(fetchChatThreadMessages).toHaveBeenCalledTimes(2);
+
+    await act(async () => {
+      await result.current.selectThread(thread(5, { archived: true }));
+    });
+    expect(result.current.threads.map((item) => item.id)).toEqual([5, 1, 2]);
+  });
+
+  test('does not mark messages saved for a thread that is no longer open', async () => {
+    const save = createDeferred();
+    saveChatThreadMessages.mockReturnValueOnce(save.promise);
+    const { result } = await renderThreads();
+
+    act(() => {
+      result.current.setMessages((prev) => [...prev, message('m9', 'Slow')]);
+    });
+    await waitFor(() => expect(saveChatThreadMessages).toHaveBeenCalledTimes(1));
+    createChatThread.mockResolvedValueOnce(thread(3));
+    await act(async () => {
+      await result.current.createThread();
+    });
+    await act(async () => {
+      save.resolve(thread(1, { title: 'Late' }));
+    });
+
+    expect(result.current.threads.some((item) => item.title === 'Late')).toBe(false);
+  });
+
+  test('reports failures to open or create threads', async () => {
+    const { result } = await renderThreads();
+    fetchChatThreadMessages.mockRejectedValueOnce({ response: { data: { error: 'Chat thread not found' } } });
+    createChatThread.mockRejectedValueOnce(new Error('offline'));
+
+    await act(async () => {
+      await result.current.selectThread(thread(2));
+    });
+    expect(result.current.error).toBe('Chat thread not found');
+
+    await act(async () => {
+      await result.current.createThread();
+    });
+    expect(result.current.error).toBe('Failed to create a chat thread');
+  });
+
+  test('creates empty threads', async () => {
+    const { result } = await renderThreads();
+    createChatThread.mockResolvedValueOnce(thread(3));
+
+    await act(async () => {
+      await result.current.createThread();
+    });
+
+    expect(createChatThread).toHaveBeenLastCalledWith(7);
+    expect(result.current.activeThreadId).toBe(3);
+    expect(result.current.messages).toEqual([]);
+    expect(result.current.threads.map((item) => item.id)).toEqual([3, 1, 2]);
+  });
+
+  test('renames and archives threads', async () => {
+    const { result } = await renderThreads();
+    updateChatThread.mockImplementation(async (projectId, threadId, changes) => thread(threadId, changes));
+
+    await act(async () => {
+      await result.current.renameThread(2, 'Billing');
+    });
+    expect(updateChatThread).toHaveBeenCalledWith(7, 2, { title: 'Billing' });
+    expect(result.current.threads[1].title).toBe('Billing');
+
+    await act(async () => {
+      await result.current.archiveThread(2);
+    });
+    expect(result.current.threads.map((item) => item.id)).toEqual([1]);
+    expect(result.current.activeThreadId).toBe(1);
+
+    fetchChatThreads.mockResolvedValueOnce([thread(1), thread(2)]);
+    const second = await renderThreads(8);
+    await act(async () => {
+      await second.result.current.archiveThread(1);
+    });
+    expect(second.result.current.activeThreadId).toBe(2);
+
+    createChatThread.mockResolvedValueOnce(thread(4));
+    await act(async () => {
+      await second.result.current.archiveThread(2);
+    });
+    expect(second.result.current.activeThreadId).toBe(4);
+    expect(second.result.current.threads.map((item) => item.id)).toEqual([4]);
+
+    updateChatThread.mockRejectedValueOnce(new Error('offline'));
+    await act(async () => {
+      await second.result.current.renameThread(4, 'x');
+    });
+    expect(second.result.current.error).toBe('Failed to rename the chat thread');
+  });
+
+  test('searches threads including archived ones', async () => {
+    const { result } = await renderThreads();
+    fetchChatThreads.mockResolvedValueOnce([thread(5, { archived: true, match: 'webhooks' })]);
+
+    await act(async () => {
+      await result.current.searchThreads(' hooks ');
+    });
+    expect(fetchChatThreads).toHaveBeenLastCalledWith(7, { query: 'hooks', includeArchived: true });
+    expect(result.current.searchResults).toEqual([thread(5, { archived: true, match: 'webhooks' })]);
+
+    await act(async () => {
+      await result.current.searchThreads('  ');
+    });
+    expect(result.current.searchResults).toBeNull();
+
+    await act(async () => {
+      await result.current.searchThreads(null);
+    });
+    expect(result.current.searchResults).toBeNull();
+  });
+
+  test('ignores loads that finish after the project changed', async () => {
+    const list = createDeferred();
+    fetchChatThreads.mockReturnValueOnce(list.promise);
+    const hook = renderHook((props) => useHarness(props), { initialProps: { projectId: 7 } });
+    hook.rerender({ projectId: null });
+    await act(async () => {
+      list.resolve([thread(1)]);
+    });
+    expect(fetchChatThreadMessages).not.toHaveBeenCalled();
+
+    const created = createDeferred();
+    fetchChatThreads.mockResolvedValueOnce([]);
+    createChatThread.mockReturnValueOnce(created.promise);
+    hook.rerender({ projectId: 8 });
+    await waitFor(() => expect(createChatThread).toHaveBeenCalled());
+    hook.rerender({ projectId: null });
+    await act(async () => {
+      created.resolve(thread(3));
+    });
+    expect(fetchChatThreadMessages).not.toHaveBeenCalled();
+
+    const opened = createDeferred();
+    fetchChatThreadMessages.mockReturnValueOnce(opened.promise);
+    hook.rerender({ projectId: 9 });
+    await waitFor(() => expect(fetchChatThreadMessages).toHaveBeenCalled());
+    hook.rerender({ projectId: null });
+    await act(async () => {
+      opened.resolve([message('late', 'Late')]);
+    });
+    expect(hook.result.current.isServerBacked).toBe(false);
+    expect(hook.result.current.messages).toEqual([]);
+  });
+});
+
+describe('ChatThreadBar', () => {
+  const handlers = () => ({
+    onSelect: vi.fn(),
+    onCreate: vi.fn(),
+    onRename: vi.fn(),
+    onArchive: vi.fn(),
+    onSearch: vi.fn()
+  });
+
+  test('describes linked goals and autopilot runs', () => {
+    expect(describeThreadLinks(null)).toBe('');
+    expect(describeThreadLinks({ links: { goals: [1], autopilotSessions: ['a', 'b'] } })).toBe('1 goal · 2 autopilot runs');
+    expect(describeThreadLinks({ links: { goals: [1, 2], autopilotSessions: [] } })).toBe('2 goals');
+  });
+
+  test('switches, creates and archives threads', () => {
+    const props = handlers();
+    const threads = [thread(1, { links: { goals: [4], autopilotSessions: [] } }), thread(2, { archived: true })];
+    render(<ChatThreadBar threads={threads} activeThreadId={1} {...props} />);
+
+    expect(screen.getByTestId('chat-thread-links')).toHaveTextContent('1 goal');
+    expect(screen.getByRole('option', { name: 'Thread 2 (archived)' })).toBeInTheDocument();
+
+    fireEvent.change(screen.getByTestId('chat-thread-select'), { target: { value: '2' } });
+    expect(props.onSelect).toHaveBeenCalledWith(threads[1]);
+
+    fireEvent.click(screen.getByTestId('chat-thread-new'));
+    expect(props.onCreate).toHaveBeenCalled();
+
+    fireEvent.click(screen.getByTestId('chat-thread-archive'));
+    expect(props.onArchive).toHaveBeenCalledWith(1);
+  });
+
+  test('ignores selections that are not in the list and disables actions without a thread', () => {
+    const props = handlers();
+    const { rerender } = render(<ChatThreadBar threads={[thread(1)]} activeThreadId={1} {...props} />);
+
+    const select = screen.getByTestId('chat-thread-select');
+    const stray = document.createElement('option');
+    stray.value = '42';
+    select.appendChild(stray);
+    fireEvent.change(select, { target: { value: '42' } });
+    expect(props.onSelect).not.toHaveBeenCalled();
+
+    rerender(<ChatThreadBar threads={[]} activeThreadId={null} {...props} />);
+    expect(screen.getByTestId('chat-thread-rename')).toBeDisabled();
+    expect(screen.getByTestId('chat-thread-archive')).toBeDisabled();
+    expect(screen.queryByTestId('chat-thread-links')).not.toBeInTheDocument();
+
+    rerender(<ChatThreadBar threads={[thread(2, { archived: true })]} activeThreadId={2} {...props} />);
+    expect(screen.getByTestId('chat-thread-archive')).toBeDisabled();
+  });
+
+  test('renames the active thread', () => {
+    const props = handlers();
+    const { rerender } = render(<ChatThreadBar threads={[thread(1), thread(2)]} activeThreadId={1} {...props} />);
+
+    fireEvent.click(screen.getByTestId('chat-thread-rename'));
+    expect(screen.getByTestId('chat-thread-title-input')).toHaveValue('Thread 1');
+    expect(screen.queryByTestId('chat-thread-select')).not.toBeInTheDocument();
+    fireEvent.change(screen.getByTestId('chat-thread-title-input'), { target: { value: '  Billing  ' } });
+    fireEvent.click(screen.getByTestId('chat-thread-rename-save'));
+    expect(props.onRename).toHaveBeenCalledWith(1, 'Billing');
+    expect(screen.getByTestId('chat-thread-select')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByTestId('chat-thread-rename'));
+    fireEvent.click(screen.getByTestId('chat-thread-rename-save'));
+    fireEvent.click(screen.getByTestId('chat-thread-rename'));
+    fireEvent.change(screen.getByTestId('chat-thread-title-input'), { target: { value: '   ' } });
+    fireEvent.click(screen.getByTestId('chat-thread-rename-save'));
+    expect(props.onRename).toHaveBeenCalledTimes(1);
+
+    fireEvent.click(screen.getByTestId('chat-thread-rename'));
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+    expect(screen.getByTestId('chat-thread-select')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByTestId('chat-thread-rename'));
+    rerender(<ChatThreadBar threads={[thread(1), thread(2)]} activeThreadId={2} {...props} />);
+    expect(screen.getByTestId('chat-thread-select')).toBeInTheDocument();
+  });
+
+  test('searches threads and opens results', () => {
+    const props = handlers();
+    const results = [thread(5, { archived: true, match: 'Stripe webhooks' }), thread(6)];
+    const { rerender } = render(<ChatThreadBar threads={[thread(1)]} activeThreadId={1} {...props} />);
+    const input = screen.getByTestId('chat-thread-search');
+
+    fireEvent.change(input, { target: { value: 'webhooks' } });
+    fireEvent.submit(input.closest('form'));
+    expect(props.onSearch).toHaveBeenCalledWith('webhooks');
+
+    rerender(<ChatThreadBar threads={[thread(1)]} activeThreadId={1} searchResults={results} {...props} />);
+    expect(screen.getByTestId('chat-thread-results')).toHaveTextContent('Thread 5 (archived)');
+    expect(screen.getByText('Stripe webhooks')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Thread 6'));
+    expect(props.onSelect).toHaveBeenCalledWith(results[1]);
+    expect(props.onSearch).toHaveBeenLastCalledWith('');
+    expect(input).toHaveValue('');
+
+    rerender(<ChatThreadBar threads={[thread(1)]} activeThreadId={1} searchResults={[]} error="Failed to search chat threads" {...props} />);
+    expect(screen.getByText('No threads match.')).toBeInTheDocument();
+    expect(screen.getByRole('alert')).toHaveTextContent('Failed to search chat threads');
+
+    fireEvent.change(input, { target: { value: 'a' } });
+    props.onSearch.mockClear();
+    fireEvent.change(input, { target: { value: ' ' } });
+    expect(props.onSearch).toHaveBeenCalledWith('');
+  });
+});
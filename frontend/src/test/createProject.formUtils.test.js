@@ -3,6 +3,9 @@ import {
   deriveRepoName,
   resolveFrontendFrameworkOptions,
   resolveBackendFrameworkOptions,
+  restrictToScaffoldTemplates,
+  buildScaffoldCatalog,
+  DEFAULT_SCAFFOLD_CATALOG,
   applyDetectedTechToProject,
   buildGitSummaryItems
 } from '../components/create-project/formUtils';
@@ -21,6 +24,74 @@ describe('createProject formUtils', () => {
     expect(resolveBackendFrameworkOptions('unknown')).toEqual(['express']);
   });
 
+  test('limits options to scaffolding templates when requested', () => {
+    expect(resolveFrontendFrameworkOptions('javascript', { scaffoldOnly: true })).toEqual(['react', 'vue', 'svelte', 'nextjs']);
+    expect(resolveFrontendFrameworkOptions('unknown', { scaffoldOnly: true })).toEqual(['react']);
+    expect(resolveBackendFrameworkOptions('typescript', { scaffoldOnly: true })).toEqual(['express', 'nestjs']);
+    expect(resolveBackendFrameworkOptions('go', { scaffoldOnly: true })).toEqual(['express']);
+  });
+
+  test('narrows a project to a stack that can be scaffolded', () => {
+    const supported = {
+      name: 'demo',
+      frontend: { language: 'javascript', framework: 'svelte' },
+      backend: { language: 'python', framework: 'fastapi' }
+    };
+    expect(restrictToScaffoldTemplates(supported)).toBe(supported);
+
+    expect(restrictToScaffoldTemplates({
+      name: 'demo',
+      frontend: { language: 'typescript', framework: 'angular' },
+      backend: { language: 'go', framework: 'gin' }
+    })).toEqual({
+      name: 'demo',
+      frontend: { language: 'typescript', framework: 'react' },
+      backend: { language: 'javascript', framework: 'express' }
+    });
+
+    expect(restrictToScaffoldTemplates({
+      frontend: { language: 'elixir', framework: 'phoenix' },
+      backend: { language: 'typescript', framework: 'nestjs' }
+    })).toEqual({
+      frontend: { language: 'javascript', framework: 'react' },
+      backend: { language: 'typescript', framework: 'nestjs' }
+    });
+  });
+
+  test('builds the scaffold catalog from registry templates', () => {
+    const catalog = buildScaffoldCatalog([
+      { source: 'builtin', side: 'frontend', language: 'javascript', framework: 'react', name: 'React' },
+      { source: 'git', side: 'frontend', language: 'javascript', framework: 'solid', name: 'Acme Solid' },
+      { source: 'local', side: 'backend', language: 'go', framework: 'gin', name: '' },
+      { source: 'local', side: 'backend', language: 'go', framework: 'gin', name: 'Duplicate Gin' },
+      { source: 'local', side: 'desktop', language: 'rust', framework: 'tauri' },
+      { source: 'local', side: 'backend', language: 'go' },
+      null
+    ]);
+
+    expect(catalog.frontend).toEqual({ javascript: ['react', 'solid'] });
+    expect(catalog.backend).toEqual({ go: ['gin'] });
+    expect(catalog.labels).toEqual({ solid: 'Acme Solid', gin: 'Duplicate Gin' });
+
+    expect(resolveFrontendFrameworkOptions('javascript', { scaffoldOnly: true, catalog })).toEqual(['react', 'solid']);
+    expect(resolveBackendFrameworkOptions('go', { scaffoldOnly: true, catalog })).toEqual(['gin']);
+    expect(restrictToScaffoldTemplates({
+      frontend: { language: 'javascript', framework: 'solid' },
+      backend: { language: 'python', framework: 'flask' }
+    }, catalog)).toEqual({
+      frontend: { language: 'javascript', framework: 'solid' },
+      backend: { language: 'go', framework: 'gin' }
+    });
+  });
+
+  test('falls back to the built-in catalog when the registry lists no usable stacks', () => {
+    expect(buildScaffoldCatalog(undefined)).toBe(DEFAULT_SCAFFOLD_CATALOG);
+    expect(buildScaffoldCatalog([])).toBe(DEFAULT_SCAFFOLD_CATALOG);
+    expect(buildScaffoldCatalog([
+      { source: 'local', side: 'frontend', language: 'javascript', framework: 'solid' }
+    ])).toBe(DEFAULT_SCAFFOLD_CATALOG);
+  });
+
   test('applies detected tech and builds git summary items', () => {
     const next = applyDetectedTechToProject({
       frontend: { language: 'javascript', framework: 'react' },
@@ -4,12 +4,19 @@ import { describe, expect, test, vi } from 'vitest';
 import ProjectDetailsSection from '../components/create-project/ProjectDetailsSection';
 import { useGitTechDetection } from '../components/create-project/useGitTechDetection';
 import { useSetupJobsPolling } from '../components/create-project/useSetupJobsPolling';
+import { useProjectTemplates } from '../components/create-project/useProjectTemplates';
+import { DEFAULT_SCAFFOLD_CATALOG } from '../components/create-project/formUtils';
 
 function GitDetectionHarness({ params }) {
   useGitTechDetection(params);
   return null;
 }
 
+function ProjectTemplatesHarness({ params, onCatalog }) {
+  onCatalog(useProjectTemplates(params));
+  return null;
+}
+
 function JobsPollingHarness({ params }) {
   useSetupJobsPolling(params);
   return null;
@@ -77,6 +84,71 @@ describe('create-project hooks and sections', () => {
     });
   });
 
+  test('useProjectTemplates loads the registry once on the details step', async () => {
+    const onCatalog = vi.fn();
+    const get = vi.fn().mockResolvedValue({
+      data: {
+        success: true,
+        templates: [
+          { source: 'builtin', side: 'frontend', language: 'javascript', framework: 'react', name: 'React' },
+          { source: 'git', side: 'backend', language: 'go', framework: 'gin', name: 'Acme Gin' }
+        ]
+      }
+    });
+
+    const { rerender } = render(
+      <ProjectTemplatesHarness params={{ setupStep: 'source', enabled: true, axios: { get } }} onCatalog={onCatalog} />
+    );
+    expect(get).not.toHaveBeenCalled();
+
+    rerender(
+      <ProjectTemplatesHarness params={{ setupStep: 'details', enabled: true, axios: { get } }} onCatalog={onCatalog} />
+    );
+    await waitFor(() => {
+      expect(onCatalog).toHaveBeenLastCalledWith({
+        frontend: { javascript: ['react'] },
+        backend: { go: ['gin'] },
+        labels: { gin: 'Acme Gin' }
+      });
+    });
+
+    rerender(
+      <ProjectTemplatesHarness params={{ setupStep: 'git', enabled: true, axios: { get } }} onCatalog={onCatalog} />
+    );
+    rerender(
+      <ProjectTemplatesHarness params={{ setupStep: 'details', enabled: true, axios: { get } }} onCatalog={onCatalog} />
+    );
+    expect(get).toHaveBeenCalledTimes(1);
+    expect(get).toHaveBeenCalledWith('/api/templates');
+  });
+
+  test('useProjectTemplates keeps the built-in catalog when the registry is unavailable', async () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const onCatalog = vi.fn();
+    const rejected = vi.fn().mockRejectedValue(new Error('offline'));
+    const unsuccessful = vi.fn().mockResolvedValue({ data: { success: false } });
+    const failedWithMessage = vi.fn().mockResolvedValue({ data: { success: false, error: 'Registry broken' } });
+    const disabled = vi.fn();
+
+    render(
+      <>
+        <ProjectTemplatesHarness params={{ setupStep: 'details', enabled: true, axios: { get: rejected } }} onCatalog={onCatalog} />
+        <ProjectTemplatesHarness params={{ setupStep: 'details', enabled: true, axios: { get: unsuccessful } }} onCatalog={onCatalog} />
+        <ProjectTemplatesHarness params={{ setupStep: 'details', enabled: true, axios: { get: failedWithMessage } }} onCatalog={onCatalog} />
+        <ProjectTemplatesHarness params={{ setupStep: 'details', enabled: false, axios: { get: disabled } }} onCatalog={onCatalog} />
+      </>
+    );
+
+    await waitFor(() => {
+      expect(warnSpy).toHaveBeenCalledWith('Failed to load project templates:', 'offline');
+      expect(warnSpy).toHaveBeenCalledWith('Failed to load project templates:', 'Failed to load project templates');
+      expect(warnSpy).toHaveBeenCalledWith('Failed to load project templates:', 'Registry broken');
+    });
+    expect(disabled).not.toHaveBeenCalled();
+    expect(onCatalog.mock.calls.every(([catalog]) => catalog === DEFAULT_SCAFFOLD_CATALOG)).toBe(true);
+    warnSpy.mockRestore();
+  });
+
   test('useSetupJobsPolling stores jobs and completes when final states reached', async () => {
     const showMain = vi.fn();
     const setSetupState = vi.fn();
@@ -37,6 +37,16 @@ describe('create-project TechnologySelectors', () => {
     expect(screen.getByLabelText('Backend Framework *')).toBeInTheDocument();
   });
 
+  test('shows registry labels for user template frameworks', () => {
+    renderComponent({
+      getFrontendFrameworks: () => ['react', 'solid'],
+      frameworkLabels: { solid: 'Acme Solid' }
+    });
+
+    const labels = Array.from(screen.getByLabelText('Frontend Framework *').options).map((option) => option.textContent);
+    expect(labels).toEqual(['React', 'Acme Solid']);
+  });
+
   test('disables selectors for git project source', () => {
     renderComponent({ projectSource: 'git' });
 
@@ -3,7 +3,9 @@ import {
   DEFAULT_EXPLORER_WIDTH,
   MIN_EXPLORER_WIDTH,
   MAX_EXPLORER_WIDTH,
+  buildCoverageDecorations,
   clampExplorerWidth,
+  getCoverageLevel,
   getLanguageFromFile
 } from '../components/filesTab/editorUtils';
 
@@ -21,4 +23,31 @@ describe('files tab editor utils', () => {
     expect(getLanguageFromFile({ name: 'unknown.zzz' })).toBe('plaintext');
     expect(getLanguageFromFile(null)).toBe('plaintext');
   });
+
+  test('buildCoverageDecorations marks covered, partial and uncovered lines', () => {
+    const decorations = buildCoverageDecorations({ coveredLines: [1], partialLines: [2], uncoveredLines: [3], totals: {} });
+
+    expect(decorations).toEqual([
+      {
+        range: { startLineNumber: 1, startColumn: 1, endLineNumber: 1, endColumn: 1 },
+        options: { isWholeLine: true, linesDecorationsClassName: 'coverage-line-covered' }
+      },
+      {
+        range: { startLineNumber: 2, startColumn: 1, endLineNumber: 2, endColumn: 1 },
+        options: { isWholeLine: true, linesDecorationsClassName: 'coverage-line-partial' }
+      },
+      {
+        range: { startLineNumber: 3, startColumn: 1, endLineNumber: 3, endColumn: 1 },
+        options: { isWholeLine: true, linesDecorationsClassName: 'coverage-line-uncovered' }
+      }
+    ]);
+    expect(buildCoverageDecorations({ uncoveredLines: [4] })).toHaveLength(1);
+    expect(buildCoverageDecorations(null)).toEqual([]);
+  });
+
+  test('getCoverageLevel buckets a line coverage percent', () => {
+    expect(getCoverageLevel(100)).toBe('full');
+    expect(getCoverageLevel(50)).toBe('partial');
+    expect(getCoverageLevel(49.9)).toBe('low');
+  });
 });
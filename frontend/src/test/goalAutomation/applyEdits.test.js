@@ -45,6 +45,7 @@ describe('applyEdits modify fallbacks', () => {
 
     const result = await automationUtils.applyEdits({
       projectId,
+      goalId: 3,
       edits: [buildModifyEdit()],
       goalPrompt: 'Fix value',
       stage: 'implementation',
@@ -52,7 +53,7 @@ describe('applyEdits modify fallbacks', () => {
     });
 
     expect(result).toEqual({ applied: 1, skipped: 0 });
-    expect(deps.tryRepairModifyEdit).toHaveBeenCalled();
+    expect(deps.tryRepairModifyEdit).toHaveBeenCalledWith(expect.objectContaining({ projectId, goalId: 3 }));
     expect(deps.tryRewriteFileWithLLM).not.toHaveBeenCalled();
     expect(deps.upsertProjectFile).toHaveBeenCalledWith(
       expect.objectContaining({ projectId, filePath: targetPath, content: 'const value = 2;' })
@@ -991,6 +992,19 @@ describe('formatTestFailureContext', () => {
     expect(block).toContain('Error: TimeoutError');
   });
 
+  test('lists assertion failures from parsed test reports', () => {
+    const block = hooks.formatTestFailureContext({
+      jobs: [
+        {
+          label: 'Frontend tests',
+          failedTestDetails: [{ id: 'src/App.test.jsx > App > saves', error: 'expected 1 to be 2\n  at App.test.jsx:9' }]
+        }
+      ]
+    });
+
+    expect(block).toContain('Assertion failures:\n- src/App.test.jsx > App > saves\n    expected 1 to be 2\n      at App.test.jsx:9');
+  });
+
   test('ignores unserializable coverage payloads without throwing', () => {
     const circular = {};
     circular.self = circular;
@@ -6,6 +6,7 @@ const {
   resolveAttemptSequence,
   flattenFileTree,
   requestBranchNameFromLLM,
+  withLlmUsageContext,
   parseTextFromLLMResponse,
   extractJsonObject,
   tryParseLooseJson,
@@ -68,7 +69,29 @@ describe('flattenFileTree', () => {
   });
 });
 
+describe('withLlmUsageContext', () => {
+  it('adds the project and goal only when a project is known', () => {
+    const payload = { messages: [] };
+
+    expect(withLlmUsageContext(payload, { projectId: 7, goalId: 3 })).toEqual({ messages: [], projectId: 7, goalId: 3 });
+    expect(withLlmUsageContext(payload, { projectId: 7 })).toEqual({ messages: [], projectId: 7 });
+    expect(withLlmUsageContext(payload, { goalId: 3 })).toEqual({ messages: [] });
+    expect(withLlmUsageContext(payload)).toEqual({ messages: [] });
+  });
+});
+
 describe('requestBranchNameFromLLM', () => {
+  it('attributes the request to the project', async () => {
+    axios.post.mockResolvedValue({ data: { response: '{"branch":"added-search-bar"}' } });
+
+    await requestBranchNameFromLLM({ prompt: 'Add search bar', fallbackName: 'fallback', projectId: 7 });
+
+    expect(axios.post).toHaveBeenCalledWith(
+      '/api/llm/generate',
+      expect.objectContaining({ projectId: 7, __lucidcoderPurpose: 'goal-branch-name' })
+    );
+  });
+
   it('falls back to the provided branch name when the LLM call fails', async () => {
     const fallback = 'fallback-branch';
     axios.post.mockRejectedValue(new Error('offline'));
@@ -97,6 +97,7 @@ describe('ensureBranch', () => {
     );
 
     expect(result).toEqual({ name: 'build-something' });
+    expect(requestBranchNameFromLLM).toHaveBeenCalledWith(expect.objectContaining({ projectId: 11 }));
     expect(setPreviewPanelTab).toHaveBeenCalledWith('branches', { source: 'automation' });
     expect(syncBranchOverview).toHaveBeenCalledWith(11, { workingBranches: [{ name: 'build-something' }] });
     expect(createMessage).toHaveBeenCalledWith('assistant', 'Branch build-something created', { variant: 'status' });
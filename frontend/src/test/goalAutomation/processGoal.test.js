@@ -33,7 +33,8 @@ const automationModuleMock = vi.hoisted(() => ({
   parseScopeReflectionResponse: vi.fn(),
   validateExecutionContractGate: vi.fn(),
   validateEditsAgainstReflection: vi.fn(),
-  scoreEditPlanConfidence: vi.fn()
+  scoreEditPlanConfidence: vi.fn(),
+  withLlmUsageContext: vi.fn((payload, context) => ({ ...payload, ...context }))
 }));
 vi.mock('../../services/goalAutomation/automationUtils.js', () => automationModuleMock);
 
@@ -3998,6 +3999,33 @@ describe('processGoal edit accounting', () => {
     expect(result).toEqual({ success: true });
   });
 
+  test('attributes every generate call and edit repair to the project and goal', async () => {
+    automationModuleMock.parseScopeReflectionResponse.mockReturnValue({ testsNeeded: true });
+
+    const args = defaultArgs();
+    await processGoal(
+      args.goal,
+      args.projectId,
+      args.projectPath,
+      args.projectInfo,
+      args.setPreviewPanelTab,
+      args.setGoalCount,
+      args.createMessage,
+      args.setMessages,
+      baseOptions
+    );
+
+    const generateCalls = mockedAxios.post.mock.calls.filter(([url]) => url === '/api/llm/generate');
+    expect(generateCalls.length).toBeGreaterThanOrEqual(3);
+    generateCalls.forEach(([, payload]) => {
+      expect(payload).toMatchObject({ projectId: 7, goalId: 1 });
+    });
+    expect(automationModuleMock.applyEdits).toHaveBeenCalledWith(expect.objectContaining({ stage: 'tests', projectId: 7, goalId: 1 }));
+    expect(automationModuleMock.applyEdits).toHaveBeenCalledWith(
+      expect.objectContaining({ stage: 'implementation', projectId: 7, goalId: 1 })
+    );
+  });
+
   test('retries implementation when preserve preview is enabled and apply summary reports zero applied edits', async () => {
     automationModuleMock.parseScopeReflectionResponse.mockReturnValue({ testsNeeded: false });
 
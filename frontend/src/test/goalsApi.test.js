@@ -8,6 +8,11 @@ import {
   advanceGoalPhase,
   recordGoalTestRun,
   runGoalTests,
+  runChildGoals,
+  fetchChildGoalRun,
+  updateGoalAcceptanceChecks,
+  verifyGoalAcceptance,
+  reportPreviewElementCheck,
   createMetaGoalWithChildren,
   planMetaGoal,
   agentRequest,
@@ -16,8 +21,12 @@ import {
   agentAutopilotMessage,
   agentAutopilotCancel,
   agentAutopilotResume,
+  fetchCommandApprovals,
+  resolveCommandApproval,
   agentRequestStream,
-  agentCleanupStream
+  agentCleanupStream,
+  agentRefactorStream,
+  agentAddTestsStream
 } from '../utils/goalsApi.js';
 
 describe('goalsApi', () => {
@@ -117,6 +126,54 @@ describe('goalsApi', () => {
     expect(result).toBe(task);
   });
 
+  it('runChildGoals posts to run-children and returns the run', async () => {
+    const run = { goalId: 12, status: 'running' };
+    axios.post.mockResolvedValue({ data: { success: true, run } });
+
+    const result = await runChildGoals(12, { maxParallel: 3 });
+
+    expect(axios.post).toHaveBeenCalledWith('/api/goals/12/run-children', { maxParallel: 3 });
+    expect(result).toBe(run);
+    await expect(runChildGoals()).rejects.toThrow('goalId is required');
+  });
+
+  it('fetchChildGoalRun returns the latest run or null', async () => {
+    const run = { goalId: 12, status: 'completed' };
+    axios.get.mockResolvedValueOnce({ data: { success: true, run } });
+    axios.get.mockResolvedValueOnce({ data: { success: true, run: null } });
+
+    await expect(fetchChildGoalRun(12)).resolves.toBe(run);
+    await expect(fetchChildGoalRun(12)).resolves.toBeNull();
+    expect(axios.get).toHaveBeenCalledWith('/api/goals/12/run-children');
+    await expect(fetchChildGoalRun()).rejects.toThrow('goalId is required');
+  });
+
+  it('updateGoalAcceptanceChecks puts the checks and returns the goal', async () => {
+    const checks = [{ type: 'route-status', path: '/about', status: 200 }];
+    axios.put.mockResolvedValue({ data: { goal: { id: 12, acceptanceChecks: checks } } });
+
+    await expect(updateGoalAcceptanceChecks(12, checks)).resolves.toEqual({ id: 12, acceptanceChecks: checks });
+    expect(axios.put).toHaveBeenCalledWith('/api/goals/12/acceptance-checks', { acceptanceChecks: checks });
+    await expect(updateGoalAcceptanceChecks()).rejects.toThrow('goalId is required');
+  });
+
+  it('verifyGoalAcceptance posts to the verify endpoint', async () => {
+    const data = { goal: { id: 12 }, verification: { passed: true, results: [] } };
+    axios.post.mockResolvedValue({ data });
+
+    await expect(verifyGoalAcceptance(12)).resolves.toBe(data);
+    expect(axios.post).toHaveBeenCalledWith('/api/goals/12/acceptance-checks/verify');
+    await expect(verifyGoalAcceptance()).rejects.toThrow('goalId is required');
+  });
+
+  it('reportPreviewElementCheck posts the element count for a check', async () => {
+    axios.post.mockResolvedValue({ data: { success: true } });
+
+    await expect(reportPreviewElementCheck('7', { projectId: 3, count: 2 })).resolves.toEqual({ success: true });
+    expect(axios.post).toHaveBeenCalledWith('/api/goals/preview-checks/7', { projectId: 3, count: 2, error: undefined });
+    await expect(reportPreviewElementCheck()).rejects.toThrow('checkId is required');
+  });
+
   it('planMetaGoal posts to /api/goals/plan-from-prompt and returns parent and children', async () => {
     const backendResponse = {
       parent: { id: 1, projectId: 42, prompt: 'Build analytics dashboard' },
@@ -201,6 +258,21 @@ describe('goalsApi', () => {
     expect(result).toEqual({ ok: true });
   });
 
+  it('agentRequest and agentAutopilot forward the chat thread id', async () => {
+    axios.post.mockResolvedValue({ data: { ok: true } });
+
+    await agentRequest({ projectId: 99, prompt: 'Add search', threadId: 4 });
+    await agentAutopilot({ projectId: 'proj-1', prompt: 'Assist', threadId: 4 });
+
+    expect(axios.post).toHaveBeenCalledWith('/api/agent/request', { projectId: 99, prompt: 'Add search', threadId: 4 });
+    expect(axios.post).toHaveBeenCalledWith('/api/agent/autopilot', {
+      projectId: 'proj-1',
+      prompt: 'Assist',
+      options: {},
+      threadId: 4
+    });
+  });
+
   it('agentAutopilot defaults options to {} when omitted', async () => {
     axios.post.mockResolvedValueOnce({ data: { ok: true } });
 
@@ -381,6 +453,115 @@ describe('goalsApi', () => {
     global.TextDecoder = originalDecoder;
   });
 
+  it('agentRefactorStream validates input and surfaces server validation errors', async () => {
+    await expect(agentRefactorStream()).rejects.toThrow('projectId is required');
+
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 400,
+      body: null,
+      json: async () => ({ error: 'scope.path is required for file refactors' })
+    });
+    await expect(agentRefactorStream({ projectId: 'p1', scope: { type: 'file' } }))
+      .rejects.toThrow('scope.path is required for file refactors');
+
+    fetch.mockResolvedValueOnce({ ok: false, status: 502, body: null, json: async () => { throw new Error('not json'); } });
+    await expect(agentRefactorStream({ projectId: 'p1', prompt: 'Tidy up' })).rejects.toThrow('Refactor stream failed (502)');
+    expect(JSON.parse(fetch.mock.calls.at(-1)[1].body).prompt).toBe('Tidy up');
+
+    fetch.mockResolvedValueOnce({ ok: true, status: 200, body: null, json: async () => ({}) });
+    await expect(agentRefactorStream({ projectId: 'p1' })).rejects.toThrow('Refactor stream failed (200)');
+  });
+
+  it('agentRefactorStream posts the refactor request and streams events', async () => {
+    const encoder = new TextEncoder();
+    const stream = new ReadableStream({
+      start(controller) {
+        controller.enqueue(encoder.encode('event: comparison\ndata: {"unchanged":true}\n\n'));
+        controller.enqueue(encoder.encode('event: error\ndata: {}\n\n'));
+        controller.enqueue(encoder.encode('event: done\ndata: {"result":{"status":"complete"}}\n\n'));
+        controller.close();
+      }
+    });
+    fetch.mockResolvedValueOnce({ ok: true, status: 200, body: stream });
+
+    const events = [];
+    const done = [];
+    const errors = [];
+    await agentRefactorStream({
+      projectId: 'p1',
+      prompt: 42,
+      scope: { type: 'repo' },
+      refactorType: 'simplify',
+      onEvent: (name, payload) => events.push({ name, payload }),
+      onDone: (result) => done.push(result),
+      onError: (message) => errors.push(message)
+    });
+
+    const [url, init] = fetch.mock.calls.at(-1);
+    expect(url).toBe('/api/agent/refactor/stream');
+    expect(JSON.parse(init.body)).toEqual({
+      projectId: 'p1',
+      prompt: '',
+      scope: { type: 'repo' },
+      refactorType: 'simplify',
+      options: {}
+    });
+    expect(events).toEqual([{ name: 'comparison', payload: { unchanged: true } }]);
+    expect(errors).toEqual(['Refactor failed']);
+    expect(done).toEqual([{ status: 'complete' }]);
+  });
+
+  it('agentAddTestsStream posts the target and streams coverage events', async () => {
+    await expect(agentAddTestsStream()).rejects.toThrow('projectId is required');
+
+    fetch.mockResolvedValueOnce({ ok: false, status: 400, body: null, json: async () => ({ error: 'targetFile is required' }) });
+    await expect(agentAddTestsStream({ projectId: 'p1' })).rejects.toThrow('targetFile is required');
+
+    fetch.mockResolvedValueOnce({ ok: false, status: 503, body: null, json: async () => ({}) });
+    await expect(agentAddTestsStream({ projectId: 'p1' })).rejects.toThrow('Add tests stream failed (503)');
+
+    fetch.mockResolvedValueOnce({ ok: false, status: 500, body: null });
+    await expect(agentAddTestsStream({ projectId: 'p1' })).rejects.toThrow('Add tests stream failed (500)');
+
+    const encoder = new TextEncoder();
+    const stream = new ReadableStream({
+      start(controller) {
+        controller.enqueue(encoder.encode('event: coverage\ndata: {"delta":{"lines":12}}\n\n'));
+        controller.enqueue(encoder.encode('event: error\ndata: {}\n\n'));
+        controller.close();
+      }
+    });
+    fetch.mockResolvedValueOnce({ ok: true, status: 200, body: stream });
+
+    const events = [];
+    const errors = [];
+    await agentAddTestsStream({
+      projectId: 'p1',
+      targetFile: 'src/a.js',
+      lineRange: { start: 1, end: 4 },
+      options: { maxIterations: 2 },
+      onEvent: (name, payload) => events.push({ name, payload }),
+      onError: (message) => errors.push(message)
+    });
+
+    const [url, init] = fetch.mock.calls.at(-1);
+    expect(url).toBe('/api/agent/add-tests/stream');
+    expect(JSON.parse(init.body)).toEqual({
+      projectId: 'p1',
+      prompt: '',
+      targetFile: 'src/a.js',
+      lineRange: { start: 1, end: 4 },
+      options: { maxIterations: 2 }
+    });
+    expect(events).toEqual([{ name: 'coverage', payload: { delta: { lines: 12 } } }]);
+    expect(errors).toEqual(['Add tests failed']);
+
+    fetch.mockResolvedValueOnce({ ok: true, status: 200, body: new ReadableStream({ start: (controller) => controller.close() }) });
+    await agentAddTestsStream({ projectId: 'p1', prompt: 'more edge cases', targetFile: 'a.py' });
+    expect(JSON.parse(fetch.mock.calls.at(-1)[1].body)).toMatchObject({ prompt: 'more edge cases', lineRange: null, options: {} });
+  });
+
   it('agentRequestStream parses a trailing event block without a delimiter', async () => {
     const encoder = new TextEncoder();
     const chunks = [
@@ -624,6 +805,29 @@ describe('goalsApi', () => {
     expect(payload).toEqual({ success: true, resumed: [] });
   });
 
+  it('fetchCommandApprovals lists pending approvals for a project', async () => {
+    await expect(fetchCommandApprovals()).rejects.toThrow('projectId is required');
+
+    axios.get.mockResolvedValueOnce({ data: { approvals: [{ id: '1', command: 'make' }] } });
+    expect(await fetchCommandApprovals(4)).toEqual([{ id: '1', command: 'make' }]);
+    expect(axios.get).toHaveBeenCalledWith('/api/agent/command-approvals', { params: { projectId: 4 } });
+
+    axios.get.mockResolvedValueOnce({ data: {} });
+    expect(await fetchCommandApprovals(4)).toEqual([]);
+  });
+
+  it('resolveCommandApproval posts the decision', async () => {
+    await expect(resolveCommandApproval()).rejects.toThrow('approvalId is required');
+
+    axios.post.mockResolvedValueOnce({ data: { success: true } });
+    expect(await resolveCommandApproval({ approvalId: 'a/1', approved: true })).toEqual({ success: true });
+    expect(axios.post).toHaveBeenCalledWith('/api/agent/command-approvals/a%2F1', { approved: true });
+
+    axios.post.mockResolvedValueOnce({ data: { success: true } });
+    await resolveCommandApproval({ approvalId: 2 });
+    expect(axios.post).toHaveBeenLastCalledWith('/api/agent/command-approvals/2', { approved: false });
+  });
+
   it('agentAutopilotResume falls back to default limit when value is invalid', async () => {
     axios.post.mockResolvedValueOnce({ data: { success: true } });
 
@@ -0,0 +1,251 @@
+import React, { createRef } from 'react';
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { describe, expect, test, vi } from 'vitest';
+import axios from 'axios';
+import PreviewTab from '../components/PreviewTab';
+import PreviewRuntimeErrorsDrawer from '../components/preview-tab/PreviewRuntimeErrorsDrawer';
+import {
+  appendPreviewRuntimeError,
+  buildRuntimeErrorsFixPrompt,
+  clearReportedPreviewRuntimeErrors,
+  describePreviewRuntimeErrorKind,
+  describePreviewRuntimeErrorLocation,
+  normalizePreviewRuntimeError,
+  reportPreviewRuntimeError
+} from '../components/preview-tab/runtimeErrors';
+
+const mockProject = { id: 123, name: 'Demo Project', frontend: { framework: 'react' } };
+
+const buildProcessInfo = () => ({
+  projectId: mockProject.id,
+  fetchedAt: new Date().toISOString(),
+  processes: {
+    frontend: { status: 'running', port: 5555 },
+    backend: { status: 'running', port: 5656 }
+  },
+  ports: {
+    active: { frontend: 5555, backend: 5656 },
+    stored: { frontend: 5555, backend: 5656 },
+    preferred: { frontend: 5173, backend: 3000 }
+  }
+});
+
+const renderPreview = () => {
+  const previewRef = createRef();
+  render(
+    <PreviewTab
+      ref={previewRef}
+      project={mockProject}
+      processInfo={buildProcessInfo()}
+      onRestartProject={vi.fn().mockResolvedValue(null)}
+      autoStartOnNotRunning={false}
+    />
+  );
+
+  const iframe = screen.getByTestId('preview-iframe');
+  const iframeWindow = { postMessage: vi.fn(), location: { href: 'about:blank' } };
+  Object.defineProperty(iframe, 'contentWindow', { configurable: true, value: iframeWindow });
+  const origin = new URL(previewRef.current.getPreviewUrl()).origin;
+
+  const postFromIframe = (data) => {
+    act(() => {
+      window.dispatchEvent(new MessageEvent('message', { data, origin, source: iframeWindow }));
+    });
+  };
+
+  return { previewRef, postFromIframe };
+};
+
+describe('preview runtime error helpers', () => {
+  test('normalizePreviewRuntimeError validates and coerces payloads', () => {
+    expect(normalizePreviewRuntimeError(null)).toBeNull();
+    expect(normalizePreviewRuntimeError({ message: '  ' })).toBeNull();
+
+    const entry = normalizePreviewRuntimeError({
+      kind: 'weird',
+      level: 'warn',
+      message: ' boom ',
+      method: 'post',
+      line: 4,
+      column: -2,
+      timestamp: 10
+    });
+
+    expect(entry).toMatchObject({
+      kind: 'error',
+      level: 'warn',
+      message: 'boom',
+      method: 'POST',
+      line: 4,
+      column: null,
+      timestamp: 10
+    });
+  });
+
+  test('appendPreviewRuntimeError folds duplicates and caps the list', () => {
+    const first = normalizePreviewRuntimeError({ message: 'same', timestamp: 1 });
+    const again = normalizePreviewRuntimeError({ message: 'same', timestamp: 2 });
+    const other = normalizePreviewRuntimeError({ message: 'other', timestamp: 3 });
+
+    let list = appendPreviewRuntimeError([], first);
+    list = appendPreviewRuntimeError(list, again);
+    expect(list).toHaveLength(1);
+    expect(list[0]).toMatchObject({ count: 2, timestamp: 2 });
+
+    list = appendPreviewRuntimeError(list, other, 1);
+    expect(list.map((entry) => entry.message)).toEqual(['other']);
+    expect(appendPreviewRuntimeError(null, first)).toHaveLength(1);
+    expect(appendPreviewRuntimeError([{ message: 'raw' }], { message: 'raw', timestamp: 4 })).toEqual([
+      { message: 'raw', count: 2, timestamp: 4 }
+    ]);
+  });
+
+  test('describe helpers label kinds and locations', () => {
+    expect(describePreviewRuntimeErrorKind({ kind: 'console', level: 'warn' })).toBe('console.warn');
+    expect(describePreviewRuntimeErrorKind({ kind: 'console', level: 'error' })).toBe('console.error');
+    expect(describePreviewRuntimeErrorKind({ kind: 'unhandledrejection' })).toBe('unhandled rejection');
+    expect(describePreviewRuntimeErrorKind({ kind: 'network' })).toBe('network');
+    expect(describePreviewRuntimeErrorKind({ kind: 'error' })).toBe('uncaught error');
+
+    expect(describePreviewRuntimeErrorLocation(null)).toBe('');
+    expect(describePreviewRuntimeErrorLocation({ kind: 'network', method: 'GET', url: '/api', status: 404 })).toBe('GET /api → 404');
+    expect(describePreviewRuntimeErrorLocation({ kind: 'network', url: '/api', status: null })).toBe('/api');
+    expect(describePreviewRuntimeErrorLocation({ kind: 'error', source: 'app.js', line: 1, column: 2 })).toBe('app.js:1:2');
+    expect(describePreviewRuntimeErrorLocation({ kind: 'error', source: 'app.js', line: null, column: null })).toBe('app.js');
+    expect(describePreviewRuntimeErrorLocation({ kind: 'error', source: '' })).toBe('');
+  });
+
+  test('buildRuntimeErrorsFixPrompt lists recent errors with stack excerpts', () => {
+    const prompt = buildRuntimeErrorsFixPrompt({
+      project: mockProject,
+      entries: [
+        { kind: 'error', level: 'error', message: 'TypeError: nope', source: 'app.js', line: 3, column: 1, stack: 'TypeError: nope\n  at App', count: 2 },
+        { kind: 'network', level: 'error', message: 'Request failed with status 500', method: 'GET', url: '/api', status: 500, count: 1 }
+      ]
+    });
+
+    expect(prompt).toContain('Demo Project (123)');
+    expect(prompt).toContain('- [uncaught error] (x2) TypeError: nope (app.js:3:1)');
+    expect(prompt).toContain('    at App');
+    expect(prompt).toContain('- [network] Request failed with status 500 (GET /api → 500)');
+    expect(buildRuntimeErrorsFixPrompt({ project: null, entries: null })).toContain('project unknown');
+    expect(buildRuntimeErrorsFixPrompt({ project: { id: 7 }, entries: [] })).toContain('project 7 is');
+  });
+
+  test('report and clear helpers call the backend and swallow failures', async () => {
+    axios.post.mockResolvedValueOnce({ data: { success: true } });
+    await expect(reportPreviewRuntimeError(5, { message: 'x' })).resolves.toBe(true);
+    expect(axios.post).toHaveBeenCalledWith('/api/projects/5/preview/runtime-errors', { errors: [{ message: 'x' }] });
+
+    axios.post.mockRejectedValueOnce(new Error('offline'));
+    await expect(reportPreviewRuntimeError(5, { message: 'x' })).resolves.toBe(false);
+    await expect(reportPreviewRuntimeError(null, { message: 'x' })).resolves.toBe(false);
+
+    axios.delete.mockResolvedValueOnce({ data: { success: true } });
+    await expect(clearReportedPreviewRuntimeErrors(5)).resolves.toBe(true);
+    axios.delete.mockRejectedValueOnce(new Error('offline'));
+    await expect(clearReportedPreviewRuntimeErrors(5)).resolves.toBe(false);
+    await expect(clearReportedPreviewRuntimeErrors(null)).resolves.toBe(false);
+  });
+});
+
+describe('PreviewRuntimeErrorsDrawer', () => {
+  test('renders an empty state with disabled actions', () => {
+    render(<PreviewRuntimeErrorsDrawer entries={null} onClose={vi.fn()} onClear={vi.fn()} onAskAgent={vi.fn()} />);
+
+    expect(screen.getByText('No runtime errors captured from the preview.')).toBeInTheDocument();
+    expect(screen.getByTestId('preview-runtime-errors-fix')).toBeDisabled();
+    expect(screen.getByTestId('preview-runtime-errors-clear')).toBeDisabled();
+  });
+
+  test('renders entries newest first with counts, locations and stacks', () => {
+    const onClose = vi.fn();
+    render(
+      <PreviewRuntimeErrorsDrawer
+        entries={[
+          { kind: 'console', level: 'warn', message: 'first', timestamp: 1, count: 1 },
+          { kind: 'error', level: 'error', message: 'second', source: 'app.js', line: 1, column: 1, stack: 'trace', timestamp: 2, count: 3 }
+        ]}
+        onClose={onClose}
+        onClear={vi.fn()}
+        onAskAgent={vi.fn()}
+      />
+    );
+
+    const items = screen.getAllByTestId('preview-runtime-error');
+    expect(items[0]).toHaveTextContent('second');
+    expect(items[0]).toHaveTextContent('×3');
+    expect(items[0]).toHaveTextContent('app.js:1:1');
+    expect(items[0]).toHaveTextContent('Stack trace');
+    expect(items[1]).toHaveClass('preview-runtime-errors__item--warn');
+
+    fireEvent.click(screen.getByTestId('preview-runtime-errors-close'));
+    expect(onClose).toHaveBeenCalled();
+  });
+
+  test('leaves the time blank when it cannot be formatted', () => {
+    const spy = vi.spyOn(Date.prototype, 'toLocaleTimeString').mockImplementation(() => {
+      throw new RangeError('Invalid time value');
+    });
+    render(
+      <PreviewRuntimeErrorsDrawer
+        entries={[{ kind: 'error', level: 'error', message: 'boom', timestamp: 1, count: 1 }]}
+        onClose={vi.fn()}
+        onClear={vi.fn()}
+        onAskAgent={vi.fn()}
+      />
+    );
+
+    expect(screen.getByTestId('preview-runtime-error').querySelector('.preview-runtime-errors__time')).toHaveTextContent('');
+    spy.mockRestore();
+  });
+});
+
+describe('PreviewTab runtime errors', () => {
+  test('collects runtime errors from the bridge, reports them and shows the drawer', async () => {
+    const { previewRef, postFromIframe } = renderPreview();
+
+    postFromIframe({ type: 'LUCIDCODER_PREVIEW_RUNTIME_ERROR', kind: 'error', message: 'TypeError: boom', timestamp: 1 });
+    postFromIframe({ type: 'LUCIDCODER_PREVIEW_RUNTIME_ERROR', message: '' });
+
+    await waitFor(() => {
+      expect(screen.getByTestId('preview-runtime-errors-count')).toHaveTextContent('1');
+    });
+    expect(previewRef.current.__testHooks.getRuntimeErrorsForTests()).toHaveLength(1);
+    expect(axios.post).toHaveBeenCalledWith(
+      '/api/projects/123/preview/runtime-errors',
+      { errors: [expect.objectContaining({ message: 'TypeError: boom' })] }
+    );
+
+    fireEvent.click(screen.getByTestId('preview-runtime-errors-toggle'));
+    expect(screen.getByTestId('preview-runtime-errors')).toHaveTextContent('TypeError: boom');
+
+    const runPrompt = vi.fn();
+    window.addEventListener('lucidcoder:run-prompt', runPrompt);
+    fireEvent.click(screen.getByTestId('preview-runtime-errors-fix'));
+    window.removeEventListener('lucidcoder:run-prompt', runPrompt);
+    expect(runPrompt).toHaveBeenCalledTimes(1);
+    expect(runPrompt.mock.calls[0][0].detail.prompt).toContain('TypeError: boom');
+
+    fireEvent.click(screen.getByTestId('preview-runtime-errors-clear'));
+    expect(axios.delete).toHaveBeenCalledWith('/api/projects/123/preview/runtime-errors');
+    await waitFor(() => {
+      expect(screen.queryByTestId('preview-runtime-errors-count')).not.toBeInTheDocument();
+    });
+
+    fireEvent.click(screen.getByTestId('preview-runtime-errors-close'));
+    expect(screen.queryByTestId('preview-runtime-errors')).not.toBeInTheDocument();
+  });
+
+  test('caps the badge label at 99+', async () => {
+    const { postFromIframe } = renderPreview();
+
+    for (let index = 0; index < 100; index += 1) {
+      postFromIframe({ type: 'LUCIDCODER_PREVIEW_RUNTIME_ERROR', message: `error ${index}` });
+    }
+
+    await waitFor(() => {
+      expect(screen.getByTestId('preview-runtime-errors-count')).toHaveTextContent('99+');
+    });
+  });
+});
@@ -162,6 +162,15 @@ describe('settings git helpers', () => {
     await expect(pullProjectGitRemote({ trackedFetch, projectId: 'proj-3' })).rejects.toThrow('blocked');
   });
 
+  test('pullProjectGitRemote attaches merge conflicts to the error', async () => {
+    const conflicts = { inProgress: true, files: [{ path: 'a.js', resolved: false }] };
+    const trackedFetch = () => Promise.resolve(buildResponse(false, { success: false, error: 'conflicts', conflicts }));
+    await expect(pullProjectGitRemote({ trackedFetch, projectId: 'proj-3' })).rejects.toMatchObject({
+      message: 'conflicts',
+      conflicts
+    });
+  });
+
   test('pullProjectGitRemote falls back to default error message', async () => {
     const trackedFetch = () => Promise.resolve(buildResponse(false, { success: false }));
     await expect(pullProjectGitRemote({ trackedFetch, projectId: 'proj-4' })).rejects.toThrow(
@@ -492,6 +501,35 @@ describe('settings git helpers', () => {
     expect(updater({ coverageTarget: 100, maxSteps: 8 })).toEqual({ coverageTarget: 90, maxSteps: 8 });
   });
 
+  test('updateTestingSettings sends failed test retries from updates or current settings', async () => {
+    const bodies = [];
+    const trackedFetch = (url, options) => {
+      bodies.push(JSON.parse(options.body));
+      return Promise.resolve(buildResponse(true, {
+        success: true,
+        settings: { coverageTarget: 100, failedTestRetries: 2 }
+      }));
+    };
+
+    await updateTestingSettings({
+      trackedFetch,
+      testingSettings: { coverageTarget: 100, failedTestRetries: 1 },
+      setTestingSettings: vi.fn(),
+      updates: { failedTestRetries: 2 }
+    });
+    await updateTestingSettings({
+      trackedFetch,
+      testingSettings: { coverageTarget: 100, failedTestRetries: 1 },
+      setTestingSettings: vi.fn(),
+      updates: {}
+    });
+
+    expect(bodies).toEqual([
+      { coverageTarget: 100, failedTestRetries: 2 },
+      { coverageTarget: 100, failedTestRetries: 1 }
+    ]);
+  });
+
   test('updateTestingSettings surfaces fetch errors from request failures', async () => {
     const trackedFetch = () => Promise.reject(new Error('Network offline'));
 
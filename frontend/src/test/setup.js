@@ -201,6 +201,9 @@ vi.mock('axios', () => ({
     get: vi.fn(),
     put: vi.fn(),
     delete: vi.fn(),
+    interceptors: {
+      response: { use: vi.fn(), eject: vi.fn() }
+    },
   },
   post: vi.fn(),
   get: vi.fn(),
@@ -0,0 +1,83 @@
+import axios from 'axios';
+
+const threadsUrl = (projectId) => `/api/projects/${encodeURIComponent(projectId)}/chat-threads`;
+
+// Persisted messages keep only what the chat transcript renders.
+export const toStoredChatMessage = (message) => ({
+  id: message.id,
+  text: message.text,
+  sender: message.sender,
+  variant: message.variant || null,
+  timestamp: message.timestamp ? new Date(message.timestamp).toISOString() : new Date().toISOString()
+});
+
+export const fromStoredChatMessage = (message) => ({
+  ...message,
+  timestamp: message?.timestamp ? new Date(message.timestamp) : new Date()
+});
+
+const readThread = (res) => {
+  const thread = res?.data?.thread;
+  if (!thread || typeof thread !== 'object') {
+    throw new Error('Chat thread response was malformed');
+  }
+  return thread;
+};
+
+export const fetchChatThreads = async (projectId, { query, includeArchived = false } = {}) => {
+  if (!projectId) throw new Error('projectId is required');
+
+  const params = {};
+  if (typeof query === 'string' && query.trim()) {
+    params.q = query.trim();
+  }
+  if (includeArchived) {
+    params.includeArchived = 1;
+  }
+  const res = await axios.get(threadsUrl(projectId), { params });
+  const threads = res?.data?.threads;
+  if (!Array.isArray(threads)) {
+    throw new Error('Chat thread response was malformed');
+  }
+  return threads;
+};
+
+export const createChatThread = async (projectId, { title, messages } = {}) => {
+  if (!projectId) throw new Error('projectId is required');
+
+  const payload = {};
+  if (title) {
+    payload.title = title;
+  }
+  if (Array.isArray(messages) && messages.length > 0) {
+    payload.messages = messages.map(toStoredChatMessage);
+  }
+  return readThread(await axios.post(threadsUrl(projectId), payload));
+};
+
+export const updateChatThread = async (projectId, threadId, changes = {}) => {
+  if (!projectId) throw new Error('projectId is required');
+  if (!threadId) throw new Error('threadId is required');
+
+  return readThread(await axios.put(`${threadsUrl(projectId)}/${threadId}`, changes));
+};
+
+export const fetchChatThreadMessages = async (projectId, threadId) => {
+  if (!projectId) throw new Error('projectId is required');
+  if (!threadId) throw new Error('threadId is required');
+
+  const res = await axios.get(`${threadsUrl(projectId)}/${threadId}/messages`);
+  const messages = res?.data?.messages;
+  if (!Array.isArray(messages)) {
+    throw new Error('Chat thread response was malformed');
+  }
+  return messages.map(fromStoredChatMessage);
+};
+
+export const saveChatThreadMessages = async (projectId, threadId, messages) => {
+  if (!projectId) throw new Error('projectId is required');
+  if (!threadId) throw new Error('threadId is required');
+
+  const payload = { messages: (Array.isArray(messages) ? messages : []).map(toStoredChatMessage) };
+  return readThread(await axios.post(`${threadsUrl(projectId)}/${threadId}/messages`, payload));
+};
@@ -0,0 +1,108 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import axios from 'axios';
+import {
+  createChatThread,
+  fetchChatThreadMessages,
+  fetchChatThreads,
+  fromStoredChatMessage,
+  saveChatThreadMessages,
+  toStoredChatMessage,
+  updateChatThread
+} from './chatThreadsApi';
+
+const thread = { id: 4, projectId: 7, title: 'Auth' };
+
+describe('chatThreadsApi', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  test('converts messages to and from their stored shape', () => {
+    const timestamp = new Date('2026-01-02T03:04:05.000Z');
+    expect(toStoredChatMessage({ id: 'm1', text: 'hi', sender: 'user', timestamp, extra: true })).toEqual({
+      id: 'm1',
+      text: 'hi',
+      sender: 'user',
+      variant: null,
+      timestamp: '2026-01-02T03:04:05.000Z'
+    });
+    expect(toStoredChatMessage({ id: 'm2', text: 'x', sender: 'assistant', variant: 'status' }).timestamp)
+      .toEqual(expect.any(String));
+
+    expect(fromStoredChatMessage({ id: 'm1', timestamp: '2026-01-02T03:04:05.000Z' }).timestamp).toEqual(timestamp);
+    expect(fromStoredChatMessage({ id: 'm1' }).timestamp).toBeInstanceOf(Date);
+  });
+
+  test('fetchChatThreads lists threads with optional search and archive filters', async () => {
+    axios.get.mockResolvedValue({ data: { threads: [thread] } });
+
+    await expect(fetchChatThreads(7)).resolves.toEqual([thread]);
+    expect(axios.get).toHaveBeenCalledWith('/api/projects/7/chat-threads', { params: {} });
+
+    await fetchChatThreads(7, { query: ' login ', includeArchived: true });
+    expect(axios.get).toHaveBeenLastCalledWith('/api/projects/7/chat-threads', {
+      params: { q: 'login', includeArchived: 1 }
+    });
+
+    axios.get.mockResolvedValueOnce({ data: {} });
+    await expect(fetchChatThreads(7)).rejects.toThrow('Chat thread response was malformed');
+    await expect(fetchChatThreads()).rejects.toThrow('projectId is required');
+  });
+
+  test('createChatThread posts the title and imported messages', async () => {
+    axios.post.mockResolvedValue({ data: { thread } });
+
+    await expect(createChatThread(7)).resolves.toEqual(thread);
+    expect(axios.post).toHaveBeenCalledWith('/api/projects/7/chat-threads', {});
+
+    await createChatThread(7, { title: 'Auth', messages: [{ id: 'm1', text: 'hi', sender: 'user' }] });
+    expect(axios.post).toHaveBeenLastCalledWith('/api/projects/7/chat-threads', {
+      title: 'Auth',
+      messages: [expect.objectContaining({ id: 'm1', text: 'hi', sender: 'user', variant: null })]
+    });
+
+    axios.post.mockResolvedValueOnce({ data: { thread: 'nope' } });
+    await expect(createChatThread(7)).rejects.toThrow('Chat thread response was malformed');
+    await expect(createChatThread()).rejects.toThrow('projectId is required');
+  });
+
+  test('updateChatThread sends the changes', async () => {
+    axios.put.mockResolvedValue({ data: { thread: { ...thread, archived: true } } });
+
+    await expect(updateChatThread(7, 4, { archived: true })).resolves.toEqual({ ...thread, archived: true });
+    expect(axios.put).toHaveBeenCalledWith('/api/projects/7/chat-threads/4', { archived: true });
+
+    await updateChatThread(7, 4);
+    expect(axios.put).toHaveBeenLastCalledWith('/api/projects/7/chat-threads/4', {});
+    await expect(updateChatThread()).rejects.toThrow('projectId is required');
+    await expect(updateChatThread(7)).rejects.toThrow('threadId is required');
+  });
+
+  test('fetchChatThreadMessages returns messages with Date timestamps', async () => {
+    axios.get.mockResolvedValue({ data: { messages: [{ id: 'm1', timestamp: '2026-01-02T03:04:05.000Z' }] } });
+
+    const messages = await fetchChatThreadMessages(7, 4);
+
+    expect(axios.get).toHaveBeenCalledWith('/api/projects/7/chat-threads/4/messages');
+    expect(messages[0].timestamp).toBeInstanceOf(Date);
+
+    axios.get.mockResolvedValueOnce(undefined);
+    await expect(fetchChatThreadMessages(7, 4)).rejects.toThrow('Chat thread response was malformed');
+    await expect(fetchChatThreadMessages()).rejects.toThrow('projectId is required');
+    await expect(fetchChatThreadMessages(7)).rejects.toThrow('threadId is required');
+  });
+
+  test('saveChatThreadMessages posts stored messages', async () => {
+    axios.post.mockResolvedValue({ data: { thread } });
+
+    await expect(saveChatThreadMessages(7, 4, [{ id: 'm1', text: 'hi', sender: 'user' }])).resolves.toEqual(thread);
+    expect(axios.post).toHaveBeenCalledWith('/api/projects/7/chat-threads/4/messages', {
+      messages: [expect.objectContaining({ id: 'm1', text: 'hi' })]
+    });
+
+    await saveChatThreadMessages(7, 4, null);
+    expect(axios.post).toHaveBeenLastCalledWith('/api/projects/7/chat-threads/4/messages', { messages: [] });
+    await expect(saveChatThreadMessages()).rejects.toThrow('projectId is required');
+    await expect(saveChatThreadMessages(7)).rejects.toThrow('threadId is required');
+  });
+});
@@ -0,0 +1,67 @@
+import axios from 'axios';
+import { readAgentEventStream } from './goalsApi';
+
+const buildSearchBody = (options = {}) => ({
+  query: options.query,
+  regex: Boolean(options.regex),
+  caseSensitive: Boolean(options.caseSensitive),
+  wholeWord: Boolean(options.wholeWord),
+  include: options.include || '',
+  exclude: options.exclude || ''
+});
+
+// Streams matches as they are found: `onFile({ path, matches })` per file, resolving with the
+// summary `{ filesSearched, fileCount, matchCount, truncated }` once the search completes.
+export const searchProjectFiles = async ({ projectId, options, onFile, signal } = {}) => {
+  if (!projectId) throw new Error('projectId is required');
+
+  const response = await fetch(`/api/projects/${projectId}/files-search`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(buildSearchBody(options)),
+    signal
+  });
+
+  if (!response.ok || !response.body) {
+    let message = `Search failed (${response.status})`;
+    try {
+      const payload = await response.json();
+      if (payload?.error) {
+        message = payload.error;
+      }
+    } catch {
+      // Keep the status-based message when the body is not JSON.
+    }
+    throw new Error(message);
+  }
+
+  let summary = null;
+  let failure = null;
+  await readAgentEventStream(response, {
+    onEvent: (eventName, payload) => {
+      if (eventName === 'file') {
+        onFile?.(payload);
+      } else if (eventName === 'done') {
+        summary = payload;
+      } else if (eventName === 'error') {
+        failure = payload.message || 'Search failed';
+      }
+    }
+  });
+
+  if (failure) {
+    throw new Error(failure);
+  }
+  return summary;
+};
+
+export const previewProjectReplace = async ({ projectId, options, replacement, paths } = {}) => {
+  if (!projectId) throw new Error('projectId is required');
+
+  const response = await axios.post(`/api/projects/${projectId}/files-search/replace-preview`, {
+    ...buildSearchBody(options),
+    replacement,
+    ...(Array.isArray(paths) ? { paths } : {})
+  });
+  return response.data;
+};
@@ -0,0 +1,108 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import axios from 'axios';
+import { previewProjectReplace, searchProjectFiles } from './fileSearchApi';
+
+const streamResponse = (text) => {
+  const chunks = [new TextEncoder().encode(text)];
+  return {
+    ok: true,
+    status: 200,
+    body: {
+      getReader: () => ({
+        read: () => Promise.resolve(chunks.length ? { value: chunks.shift(), done: false } : { done: true })
+      })
+    }
+  };
+};
+
+const sse = (event, payload) => `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+
+describe('fileSearchApi', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  test('searchProjectFiles streams files and resolves with the summary', async () => {
+    const summary = { filesSearched: 4, fileCount: 1, matchCount: 1, truncated: false };
+    const file = { path: 'src/App.jsx', matches: [{ line: 2, column: 3, length: 5 }] };
+    fetch.mockResolvedValueOnce(streamResponse(`${sse('file', file)}${sse('done', summary)}`));
+    const onFile = vi.fn();
+    const controller = new AbortController();
+
+    const result = await searchProjectFiles({
+      projectId: 7,
+      options: { query: 'hello', regex: true, include: 'src/**' },
+      onFile,
+      signal: controller.signal
+    });
+
+    expect(result).toEqual(summary);
+    expect(onFile).toHaveBeenCalledWith(file);
+    expect(fetch).toHaveBeenCalledWith('/api/projects/7/files-search', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        query: 'hello',
+        regex: true,
+        caseSensitive: false,
+        wholeWord: false,
+        include: 'src/**',
+        exclude: ''
+      }),
+      signal: controller.signal
+    });
+  });
+
+  test('searchProjectFiles tolerates a missing onFile callback', async () => {
+    fetch.mockResolvedValueOnce(streamResponse(`${sse('file', { path: 'a.js', matches: [] })}${sse('done', { matchCount: 0 })}`));
+
+    await expect(searchProjectFiles({ projectId: 7 })).resolves.toEqual({ matchCount: 0 });
+  });
+
+  test('searchProjectFiles rejects with stream and request errors', async () => {
+    await expect(searchProjectFiles()).rejects.toThrow('projectId is required');
+
+    fetch.mockResolvedValueOnce(streamResponse(sse('error', { message: 'disk gone' })));
+    await expect(searchProjectFiles({ projectId: 7, options: { query: 'x' } })).rejects.toThrow('disk gone');
+
+    fetch.mockResolvedValueOnce(streamResponse(sse('error', {})));
+    await expect(searchProjectFiles({ projectId: 7, options: { query: 'x' } })).rejects.toThrow('Search failed');
+
+    fetch.mockResolvedValueOnce({ ok: false, status: 400, json: () => Promise.resolve({ error: 'Search query is required' }) });
+    await expect(searchProjectFiles({ projectId: 7, options: {} })).rejects.toThrow('Search query is required');
+
+    fetch.mockResolvedValueOnce({ ok: false, status: 500, json: () => Promise.resolve({}) });
+    await expect(searchProjectFiles({ projectId: 7, options: { query: 'x' } })).rejects.toThrow('Search failed (500)');
+
+    fetch.mockResolvedValueOnce({ ok: false, status: 502, json: () => Promise.reject(new Error('not json')) });
+    await expect(searchProjectFiles({ projectId: 7, options: { query: 'x' } })).rejects.toThrow('Search failed (502)');
+  });
+
+  test('previewProjectReplace posts the search options and replacement', async () => {
+    await expect(previewProjectReplace()).rejects.toThrow('projectId is required');
+
+    axios.post.mockResolvedValueOnce({ data: { success: true, files: [], replacementCount: 0 } });
+    const result = await previewProjectReplace({
+      projectId: 7,
+      options: { query: 'a', wholeWord: true, exclude: '*.md' },
+      replacement: 'b'
+    });
+    expect(result).toEqual({ success: true, files: [], replacementCount: 0 });
+    expect(axios.post).toHaveBeenCalledWith('/api/projects/7/files-search/replace-preview', {
+      query: 'a',
+      regex: false,
+      caseSensitive: false,
+      wholeWord: true,
+      include: '',
+      exclude: '*.md',
+      replacement: 'b'
+    });
+
+    axios.post.mockResolvedValueOnce({ data: { success: true, files: [] } });
+    await previewProjectReplace({ projectId: 7, options: { query: 'a' }, replacement: '', paths: ['src/a.js'] });
+    expect(axios.post).toHaveBeenLastCalledWith(
+      '/api/projects/7/files-search/replace-preview',
+      expect.objectContaining({ replacement: '', paths: ['src/a.js'] })
+    );
+  });
+});
@@ -94,6 +94,40 @@ export const runGoalTests = async (goalId, payload) => {
   return res.data;
 };
 
+export const runChildGoals = async (goalId, { maxParallel } = {}) => {
+  if (!goalId) throw new Error('goalId is required');
+  const res = await axios.post(`/api/goals/${goalId}/run-children`, { maxParallel });
+  return res.data.run;
+};
+
+export const fetchChildGoalRun = async (goalId) => {
+  if (!goalId) throw new Error('goalId is required');
+  const res = await axios.get(`/api/goals/${goalId}/run-children`);
+  return res.data.run || null;
+};
+
+export const updateGoalAcceptanceChecks = async (goalId, acceptanceChecks) => {
+  if (!goalId) throw new Error('goalId is required');
+  const res = await axios.put(`/api/goals/${goalId}/acceptance-checks`, { acceptanceChecks });
+  return res.data.goal;
+};
+
+export const verifyGoalAcceptance = async (goalId) => {
+  if (!goalId) throw new Error('goalId is required');
+  const res = await axios.post(`/api/goals/${goalId}/acceptance-checks/verify`);
+  return res.data;
+};
+
+export const reportPreviewElementCheck = async (checkId, { projectId, count, error } = {}) => {
+  if (!checkId) throw new Error('checkId is required');
+  const res = await axios.post(`/api/goals/preview-checks/${encodeURIComponent(String(checkId))}`, {
+    projectId,
+    count,
+    error
+  });
+  return res.data;
+};
+
 export const planMetaGoal = async ({ projectId, prompt, childPrompts }) => {
   if (!projectId) throw new Error('projectId is required');
   if (!prompt) throw new Error('prompt is required');
@@ -104,18 +138,31 @@ export const planMetaGoal = async ({ projectId, prompt, childPrompts }) => {
   return res.data;
 };
 
-export const agentRequest = async ({ projectId, prompt, maxSteps } = {}) => {
+export const agentRequest = async ({ projectId, prompt, maxSteps, threadId } = {}) => {
   if (!projectId) throw new Error('projectId is required');
   if (!prompt) throw new Error('prompt is required');
   const payload = { projectId, prompt };
   if (Number.isFinite(maxSteps)) {
     payload.maxSteps = Math.trunc(maxSteps);
   }
+  if (threadId) {
+    payload.threadId = threadId;
+  }
   const res = await axios.post('/api/agent/request', payload);
   return res.data;
 };
 
-export const agentRequestStream = async ({ projectId, prompt, maxSteps, onChunk, onComplete, onError, signal } = {}) => {
+export const agentRequestStream = async ({
+  projectId,
+  prompt,
+  maxSteps,
+  threadId,
+  onChunk,
+  onToken,
+  onComplete,
+  onError,
+  signal
+} = {}) => {
   if (!projectId) throw new Error('projectId is required');
   if (!prompt) throw new Error('prompt is required');
 
@@ -123,6 +170,9 @@ export const agentRequestStream = async ({ projectId, prompt, maxSteps, onChunk,
   if (Number.isFinite(maxSteps)) {
     payload.maxSteps = Math.trunc(maxSteps);
   }
+  if (threadId) {
+    payload.threadId = threadId;
+  }
 
   const response = await fetch('/api/agent/request/stream', {
     method: 'POST',
@@ -146,6 +196,10 @@ export const agentRequestStream = async ({ projectId, prompt, maxSteps, onChunk,
       onChunk(payload?.text || '');
       return;
     }
+    if (eventName === 'token' && typeof onToken === 'function') {
+      onToken(payload?.text || '');
+      return;
+    }
     if (eventName === 'done' && typeof onComplete === 'function') {
       /* c8 ignore next */
       onComplete(payload?.result || null);
@@ -214,38 +268,7 @@ export const agentRequestStream = async ({ projectId, prompt, maxSteps, onChunk,
   }
 };
 
-export const agentCleanupStream = async ({
-  projectId,
-  prompt,
-  includeFrontend = true,
-  includeBackend = true,
-  pruneRedundantTests = true,
-  options,
-  onEvent,
-  onDone,
-  onError,
-  signal
-} = {}) => {
-  if (!projectId) throw new Error('projectId is required');
-
-  const response = await fetch('/api/agent/cleanup/stream', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      projectId,
-      prompt: typeof prompt === 'string' ? prompt : '',
-      includeFrontend,
-      includeBackend,
-      pruneRedundantTests,
-      options: options || {}
-    }),
-    signal
-  });
-
-  if (!response.ok || !response.body) {
-    throw new Error(`Cleanup stream failed (${response.status})`);
-  }
-
+export const readAgentEventStream = async (response, { onEvent, onDone, onError, fallbackErrorMessage }) => {
   const reader = response.body.getReader();
   const decoder = new TextDecoder('utf-8');
   let buffer = '';
@@ -256,7 +279,7 @@ export const agentCleanupStream = async ({
       return;
     }
     if (eventName === 'error' && typeof onError === 'function') {
-      onError(payload?.message || 'Cleanup failed');
+      onError(payload?.message || fallbackErrorMessage);
       return;
     }
     if (typeof onEvent === 'function') {
@@ -319,7 +342,132 @@ export const agentCleanupStream = async ({
   }
 };
 
-export const agentAutopilot = async ({ projectId, prompt, options } = {}) => {
+export const agentCleanupStream = async ({
+  projectId,
+  prompt,
+  includeFrontend = true,
+  includeBackend = true,
+  pruneRedundantTests = true,
+  options,
+  onEvent,
+  onDone,
+  onError,
+  signal
+} = {}) => {
+  if (!projectId) throw new Error('projectId is required');
+
+  const response = await fetch('/api/agent/cleanup/stream', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      projectId,
+      prompt: typeof prompt === 'string' ? prompt : '',
+      includeFrontend,
+      includeBackend,
+      pruneRedundantTests,
+      options: options || {}
+    }),
+    signal
+  });
+
+  if (!response.ok || !response.body) {
+    throw new Error(`Cleanup stream failed (${response.status})`);
+  }
+
+  await readAgentEventStream(response, { onEvent, onDone, onError, fallbackErrorMessage: 'Cleanup failed' });
+};
+
+export const agentRefactorStream = async ({
+  projectId,
+  prompt,
+  scope,
+  refactorType,
+  symbolName,
+  newName,
+  moduleName,
+  options,
+  onEvent,
+  onDone,
+  onError,
+  signal
+} = {}) => {
+  if (!projectId) throw new Error('projectId is required');
+
+  const response = await fetch('/api/agent/refactor/stream', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      projectId,
+      prompt: typeof prompt === 'string' ? prompt : '',
+      scope,
+      refactorType,
+      symbolName,
+      newName,
+      moduleName,
+      options: options || {}
+    }),
+    signal
+  });
+
+  if (!response.ok || !response.body) {
+    let message = `Refactor stream failed (${response.status})`;
+    try {
+      const payload = await response.json();
+      if (payload?.error) {
+        message = payload.error;
+      }
+    } catch {
+      // Keep the status-based message when the body is not JSON.
+    }
+    throw new Error(message);
+  }
+
+  await readAgentEventStream(response, { onEvent, onDone, onError, fallbackErrorMessage: 'Refactor failed' });
+};
+
+export const agentAddTestsStream = async ({
+  projectId,
+  prompt,
+  targetFile,
+  lineRange,
+  options,
+  onEvent,
+  onDone,
+  onError,
+  signal
+} = {}) => {
+  if (!projectId) throw new Error('projectId is required');
+
+  const response = await fetch('/api/agent/add-tests/stream', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      projectId,
+      prompt: typeof prompt === 'string' ? prompt : '',
+      targetFile,
+      lineRange: lineRange || null,
+      options: options || {}
+    }),
+    signal
+  });
+
+  if (!response.ok || !response.body) {
+    let message = `Add tests stream failed (${response.status})`;
+    try {
+      const payload = await response.json();
+      if (payload?.error) {
+        message = payload.error;
+      }
+    } catch {
+      // Keep the status-based message when the body is not JSON.
+    }
+    throw new Error(message);
+  }
+
+  await readAgentEventStream(response, { onEvent, onDone, onError, fallbackErrorMessage: 'Add tests failed' });
+};
+
+export const agentAutopilot = async ({ projectId, prompt, options, threadId } = {}) => {
   if (!projectId) throw new Error('projectId is required');
   if (!prompt) throw new Error('prompt is required');
 
@@ -328,6 +476,9 @@ export const agentAutopilot = async ({ projectId, prompt, options } = {}) => {
   if (uiSessionId) {
     payload.uiSessionId = uiSessionId;
   }
+  if (threadId) {
+    payload.threadId = threadId;
+  }
 
   const res = await axios.post('/api/agent/autopilot', payload);
   return res.data;
@@ -379,6 +530,20 @@ export const agentAutopilotResume = async ({ projectId, uiSessionId, limit = 5 }
   return res.data;
 };
 
+export const fetchCommandApprovals = async (projectId) => {
+  if (!projectId) throw new Error('projectId is required');
+  const res = await axios.get('/api/agent/command-approvals', { params: { projectId } });
+  return Array.isArray(res.data?.approvals) ? res.data.approvals : [];
+};
+
+export const resolveCommandApproval = async ({ approvalId, approved } = {}) => {
+  if (!approvalId) throw new Error('approvalId is required');
+  const res = await axios.post(`/api/agent/command-approvals/${encodeURIComponent(String(approvalId))}`, {
+    approved: approved === true
+  });
+  return res.data;
+};
+
 export default {
   fetchGoals,
   createGoal,
@@ -387,14 +552,23 @@ export default {
   advanceGoalPhase,
   recordGoalTestRun,
   runGoalTests,
+  runChildGoals,
+  fetchChildGoalRun,
+  updateGoalAcceptanceChecks,
+  verifyGoalAcceptance,
+  reportPreviewElementCheck,
   planMetaGoal,
   agentRequest,
   agentRequestStream,
   agentCleanupStream,
+  agentRefactorStream,
+  agentAddTestsStream,
   agentAutopilot,
   agentAutopilotStatus,
   agentAutopilotMessage,
   agentAutopilotCancel,
   agentAutopilotResume,
+  fetchCommandApprovals,
+  resolveCommandApproval,
   readUiSessionId
 };
@@ -149,6 +149,18 @@ describe('goalsApi helpers', () => {
     }));
   });
 
+  test('agentRequestStream forwards the chat thread id in request payload', async () => {
+    fetch.mockResolvedValue({ ok: true, status: 200, body: null });
+
+    await expect(agentRequestStream({ projectId: 'proj-1', prompt: 'Hello', threadId: 4 })).rejects.toThrow(
+      'Streaming request failed (200)'
+    );
+
+    expect(fetch).toHaveBeenCalledWith('/api/agent/request/stream', expect.objectContaining({
+      body: JSON.stringify({ projectId: 'proj-1', prompt: 'Hello', threadId: 4 })
+    }));
+  });
+
   test('agentRequestStream emits chunk, done, and error events', async () => {
     const encoder = new TextEncoder();
     const chunks = [
@@ -437,4 +449,23 @@ describe('goalsApi helpers', () => {
     expect(onChunk).toHaveBeenCalledWith('Hi');
     expect(onComplete).toHaveBeenCalledWith({ kind: 'question' });
   });
+
+  test('agentRequestStream forwards model tokens and ignores them without a handler', async () => {
+    const encoder = new TextEncoder();
+    const body = 'event: token\ndata: {"text":"{\\"action\\""}\n\nevent: token\ndata: {}\n\n';
+    const makeReader = () => ({
+      read: vi
+        .fn()
+        .mockResolvedValueOnce({ value: encoder.encode(body), done: false })
+        .mockResolvedValueOnce({ value: undefined, done: true })
+    });
+
+    fetch.mockResolvedValueOnce({ ok: true, status: 200, body: { getReader: makeReader } });
+    const onToken = vi.fn();
+    await agentRequestStream({ projectId: 'proj-1', prompt: 'Hello', onToken });
+    expect(onToken.mock.calls).toEqual([['{"action"'], ['']]);
+
+    fetch.mockResolvedValueOnce({ ok: true, status: 200, body: { getReader: makeReader } });
+    await expect(agentRequestStream({ projectId: 'proj-1', prompt: 'Hello' })).resolves.toBeUndefined();
+  });
 });
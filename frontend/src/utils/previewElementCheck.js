@@ -0,0 +1,77 @@
+export const PREVIEW_QUERY_SELECTOR_MESSAGE_TYPE = 'LUCIDCODER_PREVIEW_QUERY_SELECTOR';
+export const PREVIEW_QUERY_RESULT_MESSAGE_TYPE = 'LUCIDCODER_PREVIEW_QUERY_RESULT';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRY_MS = 250;
+
+let nextNonce = 1;
+
+// Joins a route path onto the preview proxy URL, e.g. `${origin}/preview/12` + `/about`.
+export const buildPreviewCheckUrl = (previewUrl, path = '/') => {
+  if (typeof previewUrl !== 'string' || !/^https?:\/\//i.test(previewUrl)) {
+    return null;
+  }
+  const base = previewUrl.replace(/\/+$/, '');
+  const suffix = typeof path === 'string' && path.startsWith('/') ? path : '/';
+  return `${base}${suffix}`;
+};
+
+// Loads the page in a hidden frame and asks its preview bridge how many elements match the
+// selector. Apps render asynchronously, so the query repeats until something matches or the
+// time runs out. Resolves `{ count }` or `{ error }`; it never rejects.
+export const runPreviewElementCheck = ({
+  url,
+  selector,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retryMs = DEFAULT_RETRY_MS
+}) => new Promise((resolve) => {
+  const nonce = `check-${nextNonce}`;
+  nextNonce += 1;
+
+  const iframe = document.createElement('iframe');
+  iframe.setAttribute('aria-hidden', 'true');
+  iframe.setAttribute('tabindex', '-1');
+  iframe.title = 'Acceptance check';
+  iframe.style.cssText = 'position:fixed;left:-10000px;top:0;width:1280px;height:800px;border:0;visibility:hidden;';
+
+  let answered = false;
+  let intervalId = null;
+  let timeoutId = null;
+
+  const finish = (result) => {
+    window.clearInterval(intervalId);
+    window.clearTimeout(timeoutId);
+    window.removeEventListener('message', handleMessage);
+    iframe.remove();
+    resolve(result);
+  };
+
+  function handleMessage(event) {
+    const data = event?.data;
+    if (event?.source !== iframe.contentWindow || !data || data.type !== PREVIEW_QUERY_RESULT_MESSAGE_TYPE) {
+      return;
+    }
+    if (data.nonce !== nonce) {
+      return;
+    }
+    if (typeof data.error === 'string' && data.error) {
+      finish({ error: data.error });
+      return;
+    }
+    answered = true;
+    if (Number(data.count) > 0) {
+      finish({ count: Number(data.count) });
+    }
+  }
+
+  window.addEventListener('message', handleMessage);
+  intervalId = window.setInterval(() => {
+    iframe.contentWindow?.postMessage({ type: PREVIEW_QUERY_SELECTOR_MESSAGE_TYPE, nonce, selector }, '*');
+  }, retryMs);
+  timeoutId = window.setTimeout(() => {
+    finish(answered ? { count: 0 } : { error: 'The preview page did not respond' });
+  }, timeoutMs);
+
+  iframe.src = url;
+  document.body.appendChild(iframe);
+});
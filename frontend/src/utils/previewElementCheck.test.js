@@ -0,0 +1,84 @@
+import { describe, test, expect, vi, afterEach } from 'vitest';
+import {
+  buildPreviewCheckUrl,
+  runPreviewElementCheck,
+  PREVIEW_QUERY_RESULT_MESSAGE_TYPE,
+  PREVIEW_QUERY_SELECTOR_MESSAGE_TYPE
+} from './previewElementCheck';
+
+const findFrame = () => document.querySelector('iframe[title="Acceptance check"]');
+
+const reply = (frame, data) => {
+  window.dispatchEvent(new MessageEvent('message', { data, source: frame.contentWindow }));
+};
+
+describe('buildPreviewCheckUrl', () => {
+  test('joins the route path onto the preview URL', () => {
+    expect(buildPreviewCheckUrl('http://localhost:5000/preview/12', '/about')).toBe('http://localhost:5000/preview/12/about');
+    expect(buildPreviewCheckUrl('https://host/preview/12/', 'about')).toBe('https://host/preview/12/');
+    expect(buildPreviewCheckUrl('http://host/preview/12')).toBe('http://host/preview/12/');
+  });
+
+  test('returns null when there is no preview to load', () => {
+    expect(buildPreviewCheckUrl('about:blank', '/')).toBeNull();
+    expect(buildPreviewCheckUrl(null, '/')).toBeNull();
+  });
+});
+
+describe('runPreviewElementCheck', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  test('queries the hidden frame until an element matches', async () => {
+    vi.useFakeTimers();
+    const pending = runPreviewElementCheck({ url: 'about:blank', selector: 'nav a', retryMs: 100 });
+    const frame = findFrame();
+    const postMessage = vi.spyOn(frame.contentWindow, 'postMessage');
+
+    await vi.advanceTimersByTimeAsync(100);
+    expect(postMessage).toHaveBeenCalledWith(
+      { type: PREVIEW_QUERY_SELECTOR_MESSAGE_TYPE, nonce: expect.any(String), selector: 'nav a' },
+      '*'
+    );
+    const { nonce } = postMessage.mock.calls[0][0];
+
+    reply(frame, { type: PREVIEW_QUERY_RESULT_MESSAGE_TYPE, nonce, count: 0 });
+    reply(frame, { type: PREVIEW_QUERY_RESULT_MESSAGE_TYPE, nonce: 'other', count: 5 });
+    reply(frame, { type: 'LUCIDCODER_PREVIEW_NAV', nonce, count: 5 });
+    reply(frame, null);
+    window.dispatchEvent(new MessageEvent('message', { data: { type: PREVIEW_QUERY_RESULT_MESSAGE_TYPE, nonce, count: 5 } }));
+    expect(findFrame()).toBe(frame);
+
+    reply(frame, { type: PREVIEW_QUERY_RESULT_MESSAGE_TYPE, nonce, count: 3 });
+    await expect(pending).resolves.toEqual({ count: 3 });
+    expect(findFrame()).toBeNull();
+  });
+
+  test('reports selector errors from the bridge', async () => {
+    const pending = runPreviewElementCheck({ url: 'about:blank', selector: '[' });
+    const frame = findFrame();
+    const postMessage = vi.spyOn(frame.contentWindow, 'postMessage');
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    const { nonce } = postMessage.mock.calls[0][0];
+
+    reply(frame, { type: PREVIEW_QUERY_RESULT_MESSAGE_TYPE, nonce, error: 'Invalid selector: [' });
+
+    await expect(pending).resolves.toEqual({ error: 'Invalid selector: [' });
+  });
+
+  test('settles when time runs out', async () => {
+    vi.useFakeTimers();
+    const silent = runPreviewElementCheck({ url: 'about:blank', selector: 'h1', timeoutMs: 500 });
+    await vi.advanceTimersByTimeAsync(500);
+    await expect(silent).resolves.toEqual({ error: 'The preview page did not respond' });
+
+    const empty = runPreviewElementCheck({ url: 'about:blank', selector: 'h1', timeoutMs: 500, retryMs: 100 });
+    const frame = findFrame();
+    const postMessage = vi.spyOn(frame.contentWindow, 'postMessage');
+    await vi.advanceTimersByTimeAsync(100);
+    reply(frame, { type: PREVIEW_QUERY_RESULT_MESSAGE_TYPE, nonce: postMessage.mock.calls[0][0].nonce, count: 0 });
+    await vi.advanceTimersByTimeAsync(400);
+    await expect(empty).resolves.toEqual({ count: 0 });
+  });
+});